@@ -17,6 +17,14 @@ import { store } from './store';
 // Redux Actions (Make sure these import paths match your slice filenames!)
 import { loginSuccess, logout as reduxLogout } from './store/slices/auth.slice';
 import { setUser as setReduxUser, clearUser as clearReduxUser } from './store/slices/user.slice';
+import { loadEconomyConfig } from './store/slices/economySlice';
+import { syncStatusUpdated, requestReplayed } from './store/slices/offlineSlice';
+import { registerRealtimeHandlers } from './services/websocket/handlers';
+import websocketService from './services/websocket/websocket.service';
+import apiClient from './services/api/client';
+import { startOfflineSync, replayQueue, clearOfflineQueue } from './services/offline/offline.service';
+import { startBackgroundSync } from './services/offline/background.sync';
+import { startUploadSync, clearUploads } from './services/upload/upload.service';
 
 // Providers
 import { ThemeProvider } from './context/ThemeContext';
@@ -33,6 +41,8 @@ import { RouteLoadingFallback } from './routes/PublicRoutes';
 // Components
 import ErrorBoundary from './components/common/ErrorBoundary/ErrorBoundary';
 import Toast from './components/common/Toast/Toast';
+import { ToastContainer as GlobalToastContainer } from './components/common/Toast';
+import BadgeUnlockHost from './components/celebration/BadgeUnlock/BadgeUnlockHost';
 
 // Styles
 import './App.css';
@@ -216,6 +226,55 @@ const AppInner = () => {
     
     initializeApp();
   }, [dispatch]);
+
+  /**
+   * Load the game economy config; the shipped defaults apply until it
+   * arrives or if it cannot be loaded
+   */
+  useEffect(() => {
+    dispatch(loadEconomyConfig());
+  }, [dispatch]);
+
+  /**
+   * Keep the pending-sync indicator current and replay offline changes
+   * whenever the API is reachable, including via the service worker's
+   * background sync
+   */
+  useEffect(() => {
+    const stopOfflineSync = startOfflineSync({
+      onStatusChange: status => dispatch(syncStatusUpdated(status)),
+      onReplayed: replayed => dispatch(requestReplayed(replayed))
+    });
+    const stopBackgroundSync = startBackgroundSync();
+
+    return () => {
+      stopBackgroundSync();
+      stopOfflineSync();
+    };
+  }, [dispatch]);
+
+  /**
+   * Stream real-time updates into the store while signed in
+   */
+  useEffect(() => {
+    if (!isAuthenticated) return undefined;
+
+    // Changes queued before a sign-in prompt can go out now, and uploads
+    // left unfinished (even before a reload) carry on
+    replayQueue();
+    const stopUploadSync = startUploadSync();
+
+    const unregister = registerRealtimeHandlers(store);
+    websocketService.connect().catch((error) => {
+      console.warn('Real-time connection unavailable:', error?.message);
+    });
+
+    return () => {
+      unregister();
+      stopUploadSync();
+      websocketService.disconnect();
+    };
+  }, [isAuthenticated]);
   
   const addToast = useCallback((toast) => {
     const id = Date.now().toString();
@@ -353,6 +412,12 @@ const AppInner = () => {
       localStorage.removeItem('gps_user');
       localStorage.removeItem('gps_token');
 
+      // Unsent messages, uploads and cached responses belong to this session only
+      websocketService.clearOutbox();
+      clearOfflineQueue();
+      clearUploads();
+      apiClient.clearCache();
+
       // NEW: Sync logout with Redux
       dispatch(reduxLogout());
       dispatch(clearReduxUser());
@@ -452,6 +517,12 @@ const AppInner = () => {
         toasts={toasts}
         onDismiss={dismissToast}
       />
+      
+      {/* Toasts raised outside React, e.g. by the store's error middleware */}
+      <GlobalToastContainer />
+
+      {/* Badges unlocked by the badge engine */}
+      <BadgeUnlockHost isAuthenticated={isAuthenticated} />
     </div>
   );
 };
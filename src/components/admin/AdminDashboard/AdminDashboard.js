@@ -0,0 +1,103 @@
+/**
+ * GPS Lab Platform - AdminDashboard Component
+ *
+ * Landing page of the admin area: account counts, Baraka in circulation
+ * and the latest audit log entries.
+ *
+ * @module components/admin/AdminDashboard/AdminDashboard
+ */
+
+import React, { useEffect } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { Link } from 'react-router-dom';
+import { fetchAdminOverview } from '../../../store/slices/adminSlice';
+import { getAuditActionLabel, summarizeAuditDetails } from '../../../utils/helpers/audit.helper';
+import './AdminDashboard.css';
+
+/**
+ * Formats an ISO date with time
+ * @param {string} date - ISO date
+ * @returns {string} Formatted date
+ */
+const formatDate = (date) => {
+  return new Date(date).toLocaleString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+};
+
+/**
+ * AdminDashboard Component
+ */
+const AdminDashboard = ({ className = '' }) => {
+  const dispatch = useDispatch();
+  const { overview, loading, error } = useSelector(state => state.admin);
+
+  useEffect(() => {
+    dispatch(fetchAdminOverview());
+  }, [dispatch]);
+
+  const stats = overview ? [
+    { label: 'Accounts', value: overview.users.total },
+    { label: 'Learners', value: overview.users.learners },
+    { label: 'Staff', value: overview.users.staff },
+    { label: 'Suspended', value: overview.users.suspended },
+    { label: 'New this week', value: overview.users.newThisWeek },
+    { label: 'Baraka held by learners', value: overview.baraka.circulating }
+  ] : [];
+
+  return (
+    <div className={`admin-dashboard ${className}`}>
+      <header className="admin-dashboard__header">
+        <h1 className="admin-dashboard__title">Admin Dashboard</h1>
+      </header>
+
+      {error.overview && (
+        <div className="admin-dashboard__notice" role="alert">{error.overview.message}</div>
+      )}
+
+      {!overview ? (
+        <p className="admin-dashboard__empty">{loading.overview ? 'Loading overview...' : ''}</p>
+      ) : (
+        <>
+          <dl className="admin-dashboard__stats">
+            {stats.map(stat => (
+              <div key={stat.label} className="admin-dashboard__stat">
+                <dt>{stat.label}</dt>
+                <dd>{stat.value.toLocaleString()}</dd>
+              </div>
+            ))}
+          </dl>
+
+          <section className="admin-dashboard__panel">
+            <div className="admin-dashboard__panel-header">
+              <h2 className="admin-dashboard__panel-title">Recent admin activity</h2>
+              <Link to="/admin/audit" className="admin-dashboard__link">Full audit log</Link>
+            </div>
+            {overview.recentAudit.length === 0 ? (
+              <p className="admin-dashboard__empty">No admin actions recorded yet.</p>
+            ) : (
+              <ul className="admin-dashboard__activity">
+                {overview.recentAudit.map(entry => (
+                  <li key={entry.id} className="admin-dashboard__entry">
+                    <span className="admin-dashboard__entry-time">{formatDate(entry.createdAt)}</span>
+                    <span>
+                      <strong>{entry.actorName}</strong> · {getAuditActionLabel(entry.action)}
+                      {entry.targetName ? ` · ${entry.targetName}` : ''}
+                      {summarizeAuditDetails(entry) ? ` · ${summarizeAuditDetails(entry)}` : ''}
+                    </span>
+                    {entry.reason && <span className="admin-dashboard__entry-reason">{entry.reason}</span>}
+                  </li>
+                ))}
+              </ul>
+            )}
+          </section>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default AdminDashboard;
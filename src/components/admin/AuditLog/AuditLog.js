@@ -0,0 +1,213 @@
+/**
+ * GPS Lab Platform - AuditLog Component
+ *
+ * The admin audit log: who did what to which account, when and why.
+ * Filterable by action, text and date range, and exportable as CSV or
+ * JSON. Exports are themselves recorded in the log.
+ *
+ * @module components/admin/AuditLog/AuditLog
+ */
+
+import React, { useEffect, useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { Link } from 'react-router-dom';
+import { fetchAuditLog, exportAuditLog, setAuditFilters } from '../../../store/slices/adminSlice';
+import {
+  AUDIT_ACTION_LABELS,
+  getAuditActionLabel,
+  summarizeAuditDetails,
+  auditLogToCSV,
+  auditLogToJSON
+} from '../../../utils/helpers/audit.helper';
+import { downloadFile } from '../../../utils/helpers/export.helper';
+import './AuditLog.css';
+
+const PAGE_SIZE = 25;
+
+/**
+ * Formats an ISO date with time
+ * @param {string} date - ISO date
+ * @returns {string} Formatted date
+ */
+const formatDate = (date) => {
+  return new Date(date).toLocaleString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  });
+};
+
+/**
+ * AuditLog Component
+ */
+const AuditLog = ({ className = '' }) => {
+  const dispatch = useDispatch();
+  const { auditLog, loading, error } = useSelector(state => state.admin);
+  const [searchInput, setSearchInput] = useState(auditLog.filters.q);
+  const { entries, pagination, filters } = auditLog;
+
+  useEffect(() => {
+    dispatch(fetchAuditLog({ page: 1, limit: PAGE_SIZE }));
+  }, [dispatch]);
+
+  const load = (page = 1) => dispatch(fetchAuditLog({ page, limit: PAGE_SIZE }));
+
+  const handleFilter = (changes) => {
+    dispatch(setAuditFilters(changes));
+    load();
+  };
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    handleFilter({ q: searchInput.trim() });
+  };
+
+  const handleExport = async (format) => {
+    try {
+      const result = await dispatch(exportAuditLog()).unwrap();
+      const stamp = result.exportedAt.slice(0, 10);
+      if (format === 'csv') {
+        downloadFile(auditLogToCSV(result.entries), `gps-lab-audit-log-${stamp}.csv`, 'text/csv');
+      } else {
+        downloadFile(
+          auditLogToJSON(result.entries, { exportedAt: result.exportedAt, filters }),
+          `gps-lab-audit-log-${stamp}.json`,
+          'application/json'
+        );
+      }
+      // The export is now the newest entry
+      load(pagination?.page || 1);
+    } catch {
+      // Shown from error.export
+    }
+  };
+
+  return (
+    <div className={`audit-log ${className}`}>
+      <header className="audit-log__header">
+        <div>
+          <h1 className="audit-log__title">Audit Log</h1>
+          <p className="audit-log__subtitle">
+            Every admin action, with who took it and why.
+          </p>
+        </div>
+        <div className="audit-log__toolbar">
+          <button
+            type="button"
+            className="audit-log__button"
+            onClick={() => handleExport('csv')}
+            disabled={loading.export}
+          >
+            Export CSV
+          </button>
+          <button
+            type="button"
+            className="audit-log__button"
+            onClick={() => handleExport('json')}
+            disabled={loading.export}
+          >
+            Export JSON
+          </button>
+        </div>
+      </header>
+
+      <form className="audit-log__filters" onSubmit={handleSearch}>
+        <input
+          type="search"
+          className="audit-log__search"
+          value={searchInput}
+          placeholder="Search admin, user or reason"
+          aria-label="Search audit log"
+          onChange={(e) => setSearchInput(e.target.value)}
+        />
+        <select value={filters.action} aria-label="Action" onChange={(e) => handleFilter({ action: e.target.value })}>
+          <option value="">All actions</option>
+          {Object.entries(AUDIT_ACTION_LABELS).map(([value, label]) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+        <label className="audit-log__date">
+          <span>From</span>
+          <input type="date" value={filters.from} onChange={(e) => handleFilter({ from: e.target.value })} />
+        </label>
+        <label className="audit-log__date">
+          <span>To</span>
+          <input type="date" value={filters.to} onChange={(e) => handleFilter({ to: e.target.value })} />
+        </label>
+        <button type="submit" className="audit-log__button audit-log__button--primary">Search</button>
+      </form>
+
+      {(error.auditLog || error.export) && (
+        <div className="audit-log__notice" role="alert">
+          {(error.auditLog || error.export).message}
+        </div>
+      )}
+
+      <section className="audit-log__panel">
+        {loading.auditLog && entries.length === 0 ? (
+          <p className="audit-log__empty">Loading audit log...</p>
+        ) : entries.length === 0 ? (
+          <p className="audit-log__empty">No entries match these filters.</p>
+        ) : (
+          <table className="audit-log__table">
+            <thead>
+              <tr>
+                <th>Time</th>
+                <th>Admin</th>
+                <th>Action</th>
+                <th>Target</th>
+                <th>Reason</th>
+                <th>Details</th>
+              </tr>
+            </thead>
+            <tbody>
+              {entries.map(entry => (
+                <tr key={entry.id}>
+                  <td className="audit-log__time">{formatDate(entry.createdAt)}</td>
+                  <td>{entry.actorName}</td>
+                  <td>{getAuditActionLabel(entry.action)}</td>
+                  <td>
+                    {entry.targetType === 'user' && entry.targetId ? (
+                      <Link to={`/admin/users/${entry.targetId}`} className="audit-log__target">{entry.targetName}</Link>
+                    ) : (
+                      entry.targetName || '—'
+                    )}
+                  </td>
+                  <td>{entry.reason || '—'}</td>
+                  <td className="audit-log__details">{summarizeAuditDetails(entry)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+
+        {pagination && pagination.totalPages > 1 && (
+          <nav className="audit-log__pagination" aria-label="Pages">
+            <button
+              type="button"
+              className="audit-log__button"
+              onClick={() => load(pagination.page - 1)}
+              disabled={loading.auditLog || pagination.page <= 1}
+            >
+              Newer
+            </button>
+            <span>Page {pagination.page} of {pagination.totalPages}</span>
+            <button
+              type="button"
+              className="audit-log__button"
+              onClick={() => load(pagination.page + 1)}
+              disabled={loading.auditLog || pagination.page >= pagination.totalPages}
+            >
+              Older
+            </button>
+          </nav>
+        )}
+      </section>
+    </div>
+  );
+};
+
+export default AuditLog;
@@ -0,0 +1,231 @@
+/**
+ * GPS Lab Platform - ContentManagement Component
+ *
+ * Version history for GPS 101 content: which version learners see, the
+ * open draft with its changes and validation, and archived versions that
+ * can be restored by starting a new draft from them.
+ *
+ * @module components/admin/ContentManagement/ContentManagement
+ */
+
+import React, { useState } from 'react';
+import { useDispatch } from 'react-redux';
+import { Link } from 'react-router-dom';
+import useCurriculumDraft from '../../../hooks/useCurriculumDraft';
+import {
+  startCurriculumDraft,
+  publishCurriculumDraft,
+  discardCurriculumDraft
+} from '../../../store/slices/curriculumSlice';
+import './ContentManagement.css';
+
+/**
+ * Status labels
+ */
+const STATUS_LABELS = {
+  draft: 'Draft',
+  published: 'Published',
+  archived: 'Archived'
+};
+
+/**
+ * Change labels
+ */
+const CHANGE_LABELS = {
+  added: 'Added',
+  changed: 'Changed',
+  removed: 'Removed'
+};
+
+/**
+ * Formats an ISO date for the version list
+ * @param {string} date - ISO date
+ * @returns {string} Formatted date
+ */
+const formatDate = (date) => {
+  if (!date) return '—';
+  return new Date(date).toLocaleString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+};
+
+/**
+ * ContentManagement Component
+ */
+const ContentManagement = ({ className = '' }) => {
+  const dispatch = useDispatch();
+  const { versions, draftVersion, draft, validation, changes, loading, error } = useCurriculumDraft();
+  const [notice, setNotice] = useState(null);
+
+  const isBusy = loading.action || loading.save;
+
+  const runAction = async (action, successMessage) => {
+    setNotice(null);
+    try {
+      await dispatch(action).unwrap();
+      setNotice({ type: 'success', message: successMessage });
+    } catch (err) {
+      setNotice({ type: 'error', message: err?.message || 'Something went wrong' });
+    }
+  };
+
+  const handleStartDraft = (version) => {
+    runAction(startCurriculumDraft(version.versionId), `Draft started from version ${version.version}.`);
+  };
+
+  const handlePublish = (version) => {
+    if (!window.confirm(`Publish version ${version.version}? Learners will see it on their next visit.`)) return;
+    runAction(publishCurriculumDraft(version.versionId), `Version ${version.version} is now live.`);
+  };
+
+  const handleDiscard = (version) => {
+    if (!window.confirm(`Discard draft version ${version.version}? Its edits will be lost.`)) return;
+    runAction(discardCurriculumDraft(version.versionId), `Draft version ${version.version} discarded.`);
+  };
+
+  const canPublish = !!draft && draft.versionId === draftVersion?.versionId && validation?.valid;
+
+  return (
+    <div className={`content-management ${className}`}>
+      <header className="content-management__header">
+        <div>
+          <h1 className="content-management__title">GPS 101 Content</h1>
+          <p className="content-management__subtitle">
+            Publish, restore and review versions of the GPS 101 curriculum.
+          </p>
+        </div>
+        <Link to="/admin/missions" className="content-management__link">
+          Open authoring studio
+        </Link>
+      </header>
+
+      {notice && (
+        <div className={`content-management__notice content-management__notice--${notice.type}`} role="status">
+          {notice.message}
+        </div>
+      )}
+
+      {error.versions && (
+        <div className="content-management__notice content-management__notice--error" role="alert">
+          {error.versions.message}
+        </div>
+      )}
+
+      {/* Draft summary */}
+      {draft && (
+        <section className="content-management__panel">
+          <h2 className="content-management__panel-title">
+            Draft version {draft.version}
+            <span className="content-management__meta"> · based on version {draft.basedOn}</span>
+          </h2>
+
+          {validation && !validation.valid && (
+            <p className="content-management__issues content-management__issues--error">
+              {validation.errors.length} error{validation.errors.length === 1 ? '' : 's'} to fix before publishing.
+            </p>
+          )}
+          {validation?.warnings.length > 0 && (
+            <p className="content-management__issues content-management__issues--warning">
+              {validation.warnings.length} warning{validation.warnings.length === 1 ? '' : 's'} (missing translations or empty items).
+            </p>
+          )}
+
+          {changes.length === 0 ? (
+            <p className="content-management__empty">No changes from the published version yet.</p>
+          ) : (
+            <ul className="content-management__changes">
+              {changes.map(change => (
+                <li key={change.id} className={`content-management__change content-management__change--${change.change}`}>
+                  <span className="content-management__change-type">{CHANGE_LABELS[change.change]}</span>
+                  <span className="content-management__change-kind">{change.kind}</span>
+                  <span className="content-management__change-label">{change.label || change.id}</span>
+                </li>
+              ))}
+            </ul>
+          )}
+        </section>
+      )}
+
+      {/* Version history */}
+      <section className="content-management__panel">
+        <h2 className="content-management__panel-title">Versions</h2>
+
+        {loading.versions && versions.length === 0 ? (
+          <p className="content-management__empty">Loading versions...</p>
+        ) : (
+          <table className="content-management__table">
+            <thead>
+              <tr>
+                <th>Version</th>
+                <th>Status</th>
+                <th>Content</th>
+                <th>Notes</th>
+                <th>Updated</th>
+                <th>Published</th>
+                <th aria-label="Actions" />
+              </tr>
+            </thead>
+            <tbody>
+              {versions.map(version => (
+                <tr key={version.versionId}>
+                  <td>v{version.version}</td>
+                  <td>
+                    <span className={`content-management__status content-management__status--${version.status}`}>
+                      {STATUS_LABELS[version.status] || version.status}
+                    </span>
+                  </td>
+                  <td className="content-management__totals">
+                    {version.totals.missions} missions · {version.totals.subMissions} sub-missions · {version.totals.checkpoints} checkpoints
+                  </td>
+                  <td>{version.notes || '—'}</td>
+                  <td>{formatDate(version.updatedAt)}</td>
+                  <td>{formatDate(version.publishedAt)}</td>
+                  <td className="content-management__actions">
+                    {version.status === 'draft' ? (
+                      <>
+                        <Link to="/admin/missions" className="content-management__button">Edit</Link>
+                        <button
+                          type="button"
+                          className="content-management__button content-management__button--primary"
+                          onClick={() => handlePublish(version)}
+                          disabled={isBusy || !canPublish}
+                          title={canPublish ? undefined : 'Fix validation errors first'}
+                        >
+                          Publish
+                        </button>
+                        <button
+                          type="button"
+                          className="content-management__button content-management__button--danger"
+                          onClick={() => handleDiscard(version)}
+                          disabled={isBusy}
+                        >
+                          Discard
+                        </button>
+                      </>
+                    ) : (
+                      <button
+                        type="button"
+                        className="content-management__button"
+                        onClick={() => handleStartDraft(version)}
+                        disabled={isBusy || !!draftVersion}
+                        title={draftVersion ? 'Publish or discard the open draft first' : undefined}
+                      >
+                        {version.status === 'archived' ? 'Restore as draft' : 'New draft'}
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </section>
+    </div>
+  );
+};
+
+export default ContentManagement;
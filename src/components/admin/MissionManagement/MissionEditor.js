@@ -0,0 +1,396 @@
+/**
+ * GPS Lab Platform - MissionEditor Component
+ *
+ * Edits one mission of the open GPS 101 draft: mission text, its
+ * sub-missions (title, objectives) and their checkpoints (question, type,
+ * expected answer, rewards), each in English and Korean. The create route
+ * adds an empty mission to the requested stage and opens it here.
+ *
+ * @module components/admin/MissionManagement/MissionEditor
+ */
+
+import React, { useEffect, useRef, useState } from 'react';
+import { useDispatch } from 'react-redux';
+import { Link, useNavigate, useParams, useSearchParams } from 'react-router-dom';
+import useCurriculumDraft from '../../../hooks/useCurriculumDraft';
+import {
+  saveCurriculumDraft,
+  addMission,
+  updateMission,
+  addSubMission,
+  updateSubMission,
+  removeSubMission,
+  moveSubMission,
+  addCheckpoint,
+  updateCheckpoint,
+  removeCheckpoint,
+  moveCheckpoint
+} from '../../../store/slices/curriculumSlice';
+import {
+  CHECKPOINT_TYPES,
+  findMission,
+  createMission,
+  createSubMission,
+  createCheckpoint
+} from '../../../utils/helpers/curriculum.helper';
+import TranslatedField from './TranslatedField';
+import './MissionEditor.css';
+
+/**
+ * Mission fields with English and Korean text
+ */
+const MISSION_FIELDS = [
+  { field: 'missionTitle', label: 'Mission title' },
+  { field: 'description', label: 'Description', multiline: true },
+  { field: 'stageName', label: 'Stage question' },
+  { field: 'expectedOutcome', label: 'Expected outcome' },
+  { field: 'deliverable', label: 'Deliverable' }
+];
+
+/**
+ * Parses a reward input, keeping an empty value empty so validation flags it
+ * @param {string} value - Input value
+ * @returns {number|string} Reward
+ */
+const parseReward = (value) => (value === '' ? '' : Number(value));
+
+/**
+ * MissionEditor Component
+ */
+const MissionEditor = ({ className = '' }) => {
+  const dispatch = useDispatch();
+  const navigate = useNavigate();
+  const { missionId } = useParams();
+  const [searchParams] = useSearchParams();
+  const { draft, isDirty, validation, loading, error } = useCurriculumDraft();
+  const [expandedSubMission, setExpandedSubMission] = useState(null);
+  const [notice, setNotice] = useState(null);
+  const createdRef = useRef(false);
+
+  const mission = missionId ? findMission(draft, missionId) : null;
+
+  // Create route: add an empty mission to the requested stage, then edit it
+  useEffect(() => {
+    if (missionId || !draft || createdRef.current) return;
+    const stageNumber = Number(searchParams.get('stage'));
+    const stage = draft.stages.find(s => s.stageNumber === stageNumber) || draft.stages[0];
+    if (!stage) return;
+
+    createdRef.current = true;
+    const newMission = createMission(draft, stage);
+    dispatch(addMission(newMission));
+    navigate(`/admin/missions/${newMission.missionId}/edit`, { replace: true });
+  }, [missionId, draft, searchParams, dispatch, navigate]);
+
+  const handleSave = async () => {
+    setNotice(null);
+    try {
+      await dispatch(saveCurriculumDraft()).unwrap();
+      setNotice({ type: 'success', message: 'Draft saved.' });
+    } catch (err) {
+      setNotice({ type: 'error', message: err?.message || 'Could not save the draft' });
+    }
+  };
+
+  if (!draft || !mission) {
+    const isLoading = loading.versions || loading.draft || (!missionId && draft);
+    return (
+      <div className={`mission-editor ${className}`}>
+        <Link to="/admin/missions" className="mission-editor__back">← Back to studio</Link>
+        <p className="mission-editor__empty">
+          {isLoading
+            ? 'Loading...'
+            : error.draft?.message || (draft ? 'This mission is not in the draft.' : 'Open a draft in the studio to edit missions.')}
+        </p>
+      </div>
+    );
+  }
+
+  // ==================== HANDLERS ====================
+
+  const changeMission = (changes) => dispatch(updateMission({ missionId: mission.missionId, changes }));
+
+  const handleAddSubMission = () => {
+    const subMission = createSubMission(mission);
+    dispatch(addSubMission({ missionId: mission.missionId, subMission }));
+    setExpandedSubMission(subMission.subMissionId);
+  };
+
+  const handleRemoveSubMission = (subMission) => {
+    if (!window.confirm(`Remove "${subMission.title || subMission.subMissionId}" and its checkpoints?`)) return;
+    dispatch(removeSubMission(subMission.subMissionId));
+  };
+
+  const changeCheckpoint = (subMissionId, checkpointId, changes) => {
+    dispatch(updateCheckpoint({ subMissionId, checkpointId, changes }));
+  };
+
+  const issues = validation
+    ? [...validation.errors.map(i => ({ ...i, level: 'error' })), ...validation.warnings.map(i => ({ ...i, level: 'warning' }))]
+      .filter(i => i.id?.startsWith(mission.missionId))
+    : [];
+
+  // ==================== RENDER ====================
+
+  return (
+    <div className={`mission-editor ${className}`}>
+      <Link to="/admin/missions" className="mission-editor__back">← Back to studio</Link>
+
+      <header className="mission-editor__header">
+        <div>
+          <h1 className="mission-editor__title">{mission.missionTitle || 'Untitled mission'}</h1>
+          <p className="mission-editor__subtitle">
+            {mission.missionId} · draft version {draft.version} ·{' '}
+            <span className={isDirty ? 'mission-editor__dirty' : 'mission-editor__saved'}>
+              {isDirty ? 'Unsaved changes' : 'All changes saved'}
+            </span>
+          </p>
+        </div>
+        <button
+          type="button"
+          className="mission-editor__button mission-editor__button--primary"
+          onClick={handleSave}
+          disabled={loading.save || !isDirty}
+        >
+          {loading.save ? 'Saving...' : 'Save draft'}
+        </button>
+      </header>
+
+      {notice && (
+        <div className={`mission-editor__notice mission-editor__notice--${notice.type}`} role="status">
+          {notice.message}
+        </div>
+      )}
+
+      {issues.length > 0 && (
+        <ul className="mission-editor__issues">
+          {issues.map((issue, index) => (
+            <li key={`${issue.id}-${index}`} className={`mission-editor__issue mission-editor__issue--${issue.level}`}>
+              <span className="mission-editor__issue-id">{issue.id}</span> {issue.message}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {/* Mission */}
+      <section className="mission-editor__section">
+        <h2 className="mission-editor__section-title">Mission</h2>
+        <div className="mission-editor__fields">
+          <div className="mission-editor__row">
+            <label className="mission-editor__field">
+              <span>Stage</span>
+              <select
+                value={mission.stageNumber}
+                onChange={(e) => changeMission({ stageNumber: Number(e.target.value) })}
+              >
+                {draft.stages.map(stage => (
+                  <option key={stage.stageNumber} value={stage.stageNumber}>
+                    Stage {stage.stageNumber}: {stage.stageName}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <label className="mission-editor__field">
+              <span>Duration</span>
+              <input value={mission.duration || ''} onChange={(e) => changeMission({ duration: e.target.value })} />
+            </label>
+          </div>
+          {MISSION_FIELDS.map(({ field, label, multiline }) => (
+            <TranslatedField
+              key={field}
+              label={label}
+              field={field}
+              item={mission}
+              multiline={multiline}
+              onChange={changeMission}
+            />
+          ))}
+        </div>
+      </section>
+
+      {/* Sub-missions */}
+      <section className="mission-editor__section">
+        <h2 className="mission-editor__section-title">
+          Sub-missions <span className="mission-editor__count">{mission.subMissions.length}</span>
+        </h2>
+
+        <datalist id="mission-editor-checkpoint-types">
+          {CHECKPOINT_TYPES.map(type => <option key={type} value={type} />)}
+        </datalist>
+
+        {mission.subMissions.map((subMission, subIndex) => {
+          const isExpanded = expandedSubMission === subMission.subMissionId;
+
+          return (
+            <article key={subMission.subMissionId} className="mission-editor__sub-mission">
+              <div className="mission-editor__item-header">
+                <button
+                  type="button"
+                  className="mission-editor__toggle"
+                  onClick={() => setExpandedSubMission(isExpanded ? null : subMission.subMissionId)}
+                  aria-expanded={isExpanded}
+                >
+                  <span className="mission-editor__number">{subMission.subMissionNumber}</span>
+                  {subMission.title || 'Untitled sub-mission'}
+                  <span className="mission-editor__count">{subMission.checkpoints.length} checkpoints</span>
+                </button>
+                <div className="mission-editor__item-actions">
+                  <button
+                    type="button"
+                    className="mission-editor__icon-button"
+                    onClick={() => dispatch(moveSubMission({ subMissionId: subMission.subMissionId, direction: -1 }))}
+                    disabled={subIndex === 0}
+                    aria-label="Move up"
+                  >
+                    ↑
+                  </button>
+                  <button
+                    type="button"
+                    className="mission-editor__icon-button"
+                    onClick={() => dispatch(moveSubMission({ subMissionId: subMission.subMissionId, direction: 1 }))}
+                    disabled={subIndex === mission.subMissions.length - 1}
+                    aria-label="Move down"
+                  >
+                    ↓
+                  </button>
+                  <button
+                    type="button"
+                    className="mission-editor__button mission-editor__button--danger"
+                    onClick={() => handleRemoveSubMission(subMission)}
+                  >
+                    Remove
+                  </button>
+                </div>
+              </div>
+
+              {isExpanded && (
+                <div className="mission-editor__fields">
+                  <TranslatedField
+                    label="Title"
+                    field="title"
+                    item={subMission}
+                    onChange={(changes) => dispatch(updateSubMission({ subMissionId: subMission.subMissionId, changes }))}
+                  />
+                  <label className="mission-editor__field">
+                    <span>Objectives (one per line)</span>
+                    <textarea
+                      rows={4}
+                      value={(subMission.objectives || []).join('\n')}
+                      onChange={(e) => dispatch(updateSubMission({
+                        subMissionId: subMission.subMissionId,
+                        changes: { objectives: e.target.value.split('\n') }
+                      }))}
+                      onBlur={(e) => dispatch(updateSubMission({
+                        subMissionId: subMission.subMissionId,
+                        changes: { objectives: e.target.value.split('\n').map(line => line.trim()).filter(Boolean) }
+                      }))}
+                    />
+                  </label>
+
+                  <h3 className="mission-editor__subsection-title">Checkpoints</h3>
+                  {subMission.checkpoints.map((checkpoint, cpIndex) => (
+                    <div key={checkpoint.checkpointId} className="mission-editor__checkpoint">
+                      <div className="mission-editor__item-header">
+                        <span className="mission-editor__checkpoint-id">
+                          <span className="mission-editor__number">{checkpoint.order}</span>
+                          {checkpoint.checkpointId}
+                        </span>
+                        <div className="mission-editor__item-actions">
+                          <button
+                            type="button"
+                            className="mission-editor__icon-button"
+                            onClick={() => dispatch(moveCheckpoint({ subMissionId: subMission.subMissionId, checkpointId: checkpoint.checkpointId, direction: -1 }))}
+                            disabled={cpIndex === 0}
+                            aria-label="Move up"
+                          >
+                            ↑
+                          </button>
+                          <button
+                            type="button"
+                            className="mission-editor__icon-button"
+                            onClick={() => dispatch(moveCheckpoint({ subMissionId: subMission.subMissionId, checkpointId: checkpoint.checkpointId, direction: 1 }))}
+                            disabled={cpIndex === subMission.checkpoints.length - 1}
+                            aria-label="Move down"
+                          >
+                            ↓
+                          </button>
+                          <button
+                            type="button"
+                            className="mission-editor__button mission-editor__button--danger"
+                            onClick={() => dispatch(removeCheckpoint({ subMissionId: subMission.subMissionId, checkpointId: checkpoint.checkpointId }))}
+                          >
+                            Remove
+                          </button>
+                        </div>
+                      </div>
+
+                      <TranslatedField
+                        label="Question"
+                        field="question"
+                        item={checkpoint}
+                        multiline
+                        onChange={(changes) => changeCheckpoint(subMission.subMissionId, checkpoint.checkpointId, changes)}
+                      />
+                      <div className="mission-editor__row">
+                        <label className="mission-editor__field">
+                          <span>Type</span>
+                          <input
+                            list="mission-editor-checkpoint-types"
+                            value={checkpoint.type || ''}
+                            onChange={(e) => changeCheckpoint(subMission.subMissionId, checkpoint.checkpointId, { type: e.target.value })}
+                          />
+                        </label>
+                        <label className="mission-editor__field mission-editor__field--narrow">
+                          <span>Baraka</span>
+                          <input
+                            type="number"
+                            min="0"
+                            step="1"
+                            value={checkpoint.barakaReward ?? ''}
+                            onChange={(e) => changeCheckpoint(subMission.subMissionId, checkpoint.checkpointId, { barakaReward: parseReward(e.target.value) })}
+                          />
+                        </label>
+                        <label className="mission-editor__field mission-editor__field--narrow">
+                          <span>XP</span>
+                          <input
+                            type="number"
+                            min="0"
+                            step="1"
+                            value={checkpoint.xpReward ?? ''}
+                            onChange={(e) => changeCheckpoint(subMission.subMissionId, checkpoint.checkpointId, { xpReward: parseReward(e.target.value) })}
+                          />
+                        </label>
+                      </div>
+                      <label className="mission-editor__field">
+                        <span>Expected answer (guidance for reviewers)</span>
+                        <textarea
+                          rows={2}
+                          value={checkpoint.expectedAnswer || ''}
+                          onChange={(e) => changeCheckpoint(subMission.subMissionId, checkpoint.checkpointId, { expectedAnswer: e.target.value })}
+                        />
+                      </label>
+                    </div>
+                  ))}
+
+                  <button
+                    type="button"
+                    className="mission-editor__button"
+                    onClick={() => dispatch(addCheckpoint({ subMissionId: subMission.subMissionId, checkpoint: createCheckpoint(subMission) }))}
+                  >
+                    + Add checkpoint
+                  </button>
+                </div>
+              )}
+            </article>
+          );
+        })}
+
+        <button type="button" className="mission-editor__button" onClick={handleAddSubMission}>
+          + Add sub-mission
+        </button>
+      </section>
+    </div>
+  );
+};
+
+export default MissionEditor;
@@ -0,0 +1,306 @@
+/**
+ * GPS Lab Platform - MissionManagement Component
+ *
+ * Authoring studio for the open GPS 101 draft: stage text (English and
+ * Korean), the missions under each stage, draft notes, validation, and
+ * save / publish. Missions are edited in MissionEditor.
+ *
+ * @module components/admin/MissionManagement/MissionManagement
+ */
+
+import React, { useState } from 'react';
+import { useDispatch } from 'react-redux';
+import { Link, useNavigate } from 'react-router-dom';
+import useCurriculumDraft from '../../../hooks/useCurriculumDraft';
+import {
+  startCurriculumDraft,
+  openCurriculumDraft,
+  saveCurriculumDraft,
+  publishCurriculumDraft,
+  updateDraftNotes,
+  addStage,
+  updateStage,
+  removeStage,
+  removeMission
+} from '../../../store/slices/curriculumSlice';
+import { createStage, countCurriculum } from '../../../utils/helpers/curriculum.helper';
+import TranslatedField from './TranslatedField';
+import './MissionManagement.css';
+
+/**
+ * Stage fields with English and Korean text
+ */
+const STAGE_FIELDS = [
+  { field: 'stageName', label: 'Stage name' },
+  { field: 'question', label: 'Guiding question' },
+  { field: 'description', label: 'Description', multiline: true },
+  { field: 'expectedOutcome', label: 'Expected outcome' },
+  { field: 'deliverable', label: 'Deliverable' }
+];
+
+/**
+ * MissionManagement Component
+ */
+const MissionManagement = ({ className = '' }) => {
+  const dispatch = useDispatch();
+  const navigate = useNavigate();
+  const { draftVersion, draft, isDirty, validation, changes, loading, error } = useCurriculumDraft();
+  const [expandedStage, setExpandedStage] = useState(null);
+  const [notice, setNotice] = useState(null);
+
+  const isBusy = loading.action || loading.save;
+
+  const runAction = async (action, successMessage) => {
+    setNotice(null);
+    try {
+      await dispatch(action).unwrap();
+      if (successMessage) setNotice({ type: 'success', message: successMessage });
+    } catch (err) {
+      setNotice({ type: 'error', message: err?.message || 'Something went wrong' });
+    }
+  };
+
+  const handleSave = () => runAction(saveCurriculumDraft(), 'Draft saved.');
+
+  const handlePublish = () => {
+    if (!window.confirm(`Publish version ${draft.version}? Learners will see it on their next visit.`)) return;
+    runAction(publishCurriculumDraft(draft.versionId), `Version ${draft.version} is now live.`);
+  };
+
+  const handleReload = () => {
+    if (isDirty && !window.confirm('Reload the draft? Your unsaved edits will be lost.')) return;
+    runAction(openCurriculumDraft(draft.versionId));
+  };
+
+  const handleAddStage = () => {
+    const stage = createStage(draft);
+    dispatch(addStage(stage));
+    setExpandedStage(stage.stageNumber);
+  };
+
+  const handleRemoveMission = (mission) => {
+    if (!window.confirm(`Remove "${mission.missionTitle || mission.missionId}" and all its sub-missions and checkpoints?`)) return;
+    dispatch(removeMission(mission.missionId));
+  };
+
+  // ==================== NO DRAFT ====================
+
+  if (!draft) {
+    const isOpening = loading.versions || loading.draft || (draftVersion && !error.draft);
+    return (
+      <div className={`mission-management ${className}`}>
+        <header className="mission-management__header">
+          <h1 className="mission-management__title">GPS 101 Authoring Studio</h1>
+        </header>
+        <section className="mission-management__empty">
+          {isOpening ? (
+            <p>Opening draft...</p>
+          ) : (
+            <>
+              <p>
+                Edits are made on a draft copy of the curriculum. Learners keep seeing the
+                published version until the draft is published.
+              </p>
+              {(error.versions || error.draft || notice) && (
+                <p className="mission-management__error" role="alert">
+                  {(error.versions || error.draft || notice).message}
+                </p>
+              )}
+              <button
+                type="button"
+                className="mission-management__button mission-management__button--primary"
+                onClick={() => runAction(startCurriculumDraft())}
+                disabled={isBusy}
+              >
+                Start a draft from the published version
+              </button>
+            </>
+          )}
+        </section>
+      </div>
+    );
+  }
+
+  // ==================== DRAFT ====================
+
+  const totals = countCurriculum(draft);
+  const issues = validation ? [...validation.errors.map(i => ({ ...i, level: 'error' })), ...validation.warnings.map(i => ({ ...i, level: 'warning' }))] : [];
+  const isConflict = error.save?.type === 'CONFLICT';
+
+  return (
+    <div className={`mission-management ${className}`}>
+      <header className="mission-management__header">
+        <div>
+          <h1 className="mission-management__title">GPS 101 Authoring Studio</h1>
+          <p className="mission-management__subtitle">
+            Draft version {draft.version} · {totals.missions} missions · {totals.subMissions} sub-missions · {totals.checkpoints} checkpoints · {changes.length} change{changes.length === 1 ? '' : 's'}
+            {' · '}
+            <span className={isDirty ? 'mission-management__dirty' : 'mission-management__saved'}>
+              {isDirty ? 'Unsaved changes' : 'All changes saved'}
+            </span>
+          </p>
+        </div>
+        <div className="mission-management__toolbar">
+          <Link to="/admin/content" className="mission-management__button">Versions</Link>
+          <button
+            type="button"
+            className="mission-management__button"
+            onClick={handleSave}
+            disabled={isBusy || !isDirty}
+          >
+            {loading.save ? 'Saving...' : 'Save draft'}
+          </button>
+          <button
+            type="button"
+            className="mission-management__button mission-management__button--primary"
+            onClick={handlePublish}
+            disabled={isBusy || !validation?.valid}
+            title={validation?.valid ? undefined : 'Fix validation errors first'}
+          >
+            Publish
+          </button>
+        </div>
+      </header>
+
+      {notice && (
+        <div className={`mission-management__notice mission-management__notice--${notice.type}`} role="status">
+          {notice.message}
+          {isConflict && notice.type === 'error' && (
+            <button type="button" className="mission-management__inline-button" onClick={handleReload}>
+              Reload draft
+            </button>
+          )}
+        </div>
+      )}
+
+      <label className="mission-management__notes">
+        <span>Release notes</span>
+        <textarea
+          value={draft.notes || ''}
+          rows={2}
+          placeholder="What changes in this version?"
+          onChange={(e) => dispatch(updateDraftNotes(e.target.value))}
+        />
+      </label>
+
+      <div className="mission-management__layout">
+        {/* Stages and their missions */}
+        <div className="mission-management__stages">
+          {draft.stages.map(stage => {
+            const stageMissions = draft.missions.filter(m => m.stageNumber === stage.stageNumber);
+            const isExpanded = expandedStage === stage.stageNumber;
+
+            return (
+              <section key={stage.stageNumber} className="mission-management__stage">
+                <div className="mission-management__stage-header">
+                  <button
+                    type="button"
+                    className="mission-management__stage-toggle"
+                    onClick={() => setExpandedStage(isExpanded ? null : stage.stageNumber)}
+                    aria-expanded={isExpanded}
+                  >
+                    <span className="mission-management__stage-number">Stage {stage.stageNumber}</span>
+                    <span className="mission-management__stage-name">{stage.stageName || 'Untitled stage'}</span>
+                  </button>
+                  {stageMissions.length === 0 && (
+                    <button
+                      type="button"
+                      className="mission-management__button mission-management__button--danger"
+                      onClick={() => dispatch(removeStage(stage.stageNumber))}
+                    >
+                      Remove stage
+                    </button>
+                  )}
+                </div>
+
+                {isExpanded && (
+                  <div className="mission-management__stage-fields">
+                    {STAGE_FIELDS.map(({ field, label, multiline }) => (
+                      <TranslatedField
+                        key={field}
+                        label={label}
+                        field={field}
+                        item={stage}
+                        multiline={multiline}
+                        onChange={(stageChanges) => dispatch(updateStage({ stageNumber: stage.stageNumber, changes: stageChanges }))}
+                      />
+                    ))}
+                    <label className="mission-management__field">
+                      <span>Duration</span>
+                      <input
+                        value={stage.duration || ''}
+                        onChange={(e) => dispatch(updateStage({ stageNumber: stage.stageNumber, changes: { duration: e.target.value } }))}
+                      />
+                    </label>
+                  </div>
+                )}
+
+                <ul className="mission-management__missions">
+                  {stageMissions.map(mission => (
+                    <li key={mission.missionId} className="mission-management__mission">
+                      <div>
+                        <span className="mission-management__mission-id">{mission.missionId}</span>
+                        <span className="mission-management__mission-title">{mission.missionTitle || 'Untitled mission'}</span>
+                        <span className="mission-management__mission-meta">
+                          {mission.subMissions.length} sub-missions · {mission.subMissions.reduce((sum, sm) => sum + sm.checkpoints.length, 0)} checkpoints
+                        </span>
+                      </div>
+                      <div className="mission-management__mission-actions">
+                        <button
+                          type="button"
+                          className="mission-management__button"
+                          onClick={() => navigate(`/admin/missions/${mission.missionId}/edit`)}
+                        >
+                          Edit
+                        </button>
+                        <button
+                          type="button"
+                          className="mission-management__button mission-management__button--danger"
+                          onClick={() => handleRemoveMission(mission)}
+                        >
+                          Remove
+                        </button>
+                      </div>
+                    </li>
+                  ))}
+                </ul>
+
+                <Link
+                  to={`/admin/missions/create?stage=${stage.stageNumber}`}
+                  className="mission-management__add-link"
+                >
+                  + Add mission
+                </Link>
+              </section>
+            );
+          })}
+
+          <button type="button" className="mission-management__button" onClick={handleAddStage}>
+            + Add stage
+          </button>
+        </div>
+
+        {/* Validation */}
+        <aside className="mission-management__issues">
+          <h2 className="mission-management__issues-title">
+            {validation?.valid ? 'Ready to publish' : 'Fix before publishing'}
+          </h2>
+          {issues.length === 0 ? (
+            <p className="mission-management__issues-empty">No issues found.</p>
+          ) : (
+            <ul className="mission-management__issue-list">
+              {issues.map((issue, index) => (
+                <li key={`${issue.id}-${index}`} className={`mission-management__issue mission-management__issue--${issue.level}`}>
+                  <span className="mission-management__issue-id">{issue.id}</span>
+                  {issue.message}
+                </li>
+              ))}
+            </ul>
+          )}
+        </aside>
+      </div>
+    </div>
+  );
+};
+
+export default MissionManagement;
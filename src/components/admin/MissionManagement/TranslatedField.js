@@ -0,0 +1,58 @@
+/**
+ * GPS Lab Platform - TranslatedField Component
+ *
+ * Side-by-side English and Korean inputs for a curriculum field and its
+ * `<field>Ko` counterpart. English is required; a missing Korean value is
+ * flagged so translators can find it.
+ *
+ * @module components/admin/MissionManagement/TranslatedField
+ */
+
+import React from 'react';
+import './TranslatedField.css';
+
+/**
+ * TranslatedField Component
+ */
+const TranslatedField = ({
+  label,
+  field,
+  item,
+  onChange,
+  multiline = false,
+  className = ''
+}) => {
+  const koField = `${field}Ko`;
+  const Input = multiline ? 'textarea' : 'input';
+  const value = item?.[field] || '';
+  const koValue = item?.[koField] || '';
+
+  return (
+    <div className={`translated-field ${className}`}>
+      <span className="translated-field__label">{label}</span>
+      <div className="translated-field__inputs">
+        <label className="translated-field__input">
+          <span className="translated-field__lang">EN</span>
+          <Input
+            value={value}
+            rows={multiline ? 3 : undefined}
+            className={!value.trim() ? 'translated-field__control--missing' : undefined}
+            onChange={(e) => onChange({ [field]: e.target.value })}
+          />
+        </label>
+        <label className="translated-field__input">
+          <span className="translated-field__lang">KO</span>
+          <Input
+            value={koValue}
+            rows={multiline ? 3 : undefined}
+            lang="ko"
+            className={!koValue.trim() ? 'translated-field__control--untranslated' : undefined}
+            onChange={(e) => onChange({ [koField]: e.target.value })}
+          />
+        </label>
+      </div>
+    </div>
+  );
+};
+
+export default TranslatedField;
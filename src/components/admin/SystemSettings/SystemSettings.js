@@ -0,0 +1,456 @@
+/**
+ * GPS Lab Platform - SystemSettings Component
+ *
+ * Editor for the game economy config: XP and Baraka rewards, the level
+ * curve, prices, beacons, PSB terms, retry rights, leaderboards and praise.
+ * The form is built from ECONOMY_SCHEMA and checked with the same
+ * validator the server uses. Before saving, admins preview the impact:
+ * how level boundaries shift, which existing learners would change level,
+ * and what completing GPS 101 would pay. Saves need a reason for the
+ * audit log.
+ *
+ * @module components/admin/SystemSettings/SystemSettings
+ */
+
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { Modal } from '../../common/Modal';
+import {
+  loadEconomyConfig,
+  previewEconomyConfig,
+  saveEconomyConfig,
+  clearEconomyPreview,
+  clearEconomyError
+} from '../../../store/slices/economySlice';
+import { ECONOMY_SECTIONS } from '../../../config/economy.config';
+import {
+  getEconomyValue,
+  setEconomyValue,
+  listEconomyFields,
+  diffEconomyConfigs
+} from '../../../utils/helpers/economy.helper';
+import { validateEconomyConfig } from '../../../utils/validators/economy.validator';
+import './SystemSettings.css';
+
+/**
+ * Formats an ISO date with time
+ * @param {string} date - ISO date
+ * @returns {string} Formatted date
+ */
+const formatDate = (date) => {
+  return new Date(date).toLocaleString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+};
+
+/**
+ * Formats a setting value with its unit
+ * @param {*} value - Value
+ * @param {string} unit - Unit
+ * @returns {string} Formatted value
+ */
+const formatValue = (value, unit = '') => {
+  if (typeof value !== 'number') return '—';
+  return `${value.toLocaleString()}${unit ? ` ${unit}` : ''}`;
+};
+
+/**
+ * Formats a level change
+ * @param {number} before - Level before
+ * @param {number} after - Level after
+ * @returns {string} e.g. "12 → 10 (−2)"
+ */
+const formatLevelChange = (before, after) => {
+  const delta = after - before;
+  return `${before} → ${after} (${delta > 0 ? '+' : '−'}${Math.abs(delta)})`;
+};
+
+/**
+ * One setting in the form
+ */
+const SettingField = ({ field, value, currentValue, error, onChange }) => {
+  const isChanged = value !== currentValue;
+  const isRate = field.type === 'number' && field.max === 1;
+
+  return (
+    <label className={`system-settings__field ${isChanged ? 'system-settings__field--changed' : ''}`}>
+      <span className="system-settings__field-label">{field.label}</span>
+      <span className="system-settings__field-input">
+        <input
+          type="number"
+          value={value === undefined ? '' : value}
+          min={field.min}
+          max={field.max ?? undefined}
+          step={field.type === 'integer' ? 1 : 'any'}
+          aria-invalid={!!error}
+          onChange={(e) => onChange(e.target.value === '' ? '' : Number(e.target.value))}
+        />
+        {field.unit && <span className="system-settings__unit">{field.unit}</span>}
+        {isRate && typeof value === 'number' && (
+          <span className="system-settings__unit">{Math.round(value * 1000) / 10}%</span>
+        )}
+      </span>
+      {isChanged && (
+        <span className="system-settings__was">was {formatValue(currentValue)}</span>
+      )}
+      {error && <span className="system-settings__field-error">{error}</span>}
+    </label>
+  );
+};
+
+/**
+ * Impact of the previewed change
+ */
+const ImpactPreview = ({ preview, isStale }) => {
+  const { changes, levels, users, course } = preview;
+  const shiftedLevels = levels.filter(row => row.before !== row.after);
+
+  return (
+    <section className="system-settings__panel" aria-label="Impact preview">
+      <h2 className="system-settings__panel-title">Impact preview</h2>
+      {isStale && (
+        <p className="system-settings__warning">The settings changed since this preview. Preview again before saving.</p>
+      )}
+
+      <h3 className="system-settings__subtitle">Changed settings ({changes.length})</h3>
+      <table className="system-settings__table">
+        <thead>
+          <tr><th>Setting</th><th>Current</th><th>Proposed</th></tr>
+        </thead>
+        <tbody>
+          {changes.map(change => (
+            <tr key={change.path}>
+              <td>{change.label} <span className="system-settings__path">{change.path}</span></td>
+              <td>{formatValue(change.before, change.unit)}</td>
+              <td>{formatValue(change.after, change.unit)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <h3 className="system-settings__subtitle">Existing learners</h3>
+      <p className="system-settings__summary">
+        Of {users.total} learners, {users.up} would move up a level or more, {users.down} would
+        move down and {users.unchanged} would stay where they are.
+      </p>
+      {users.changed.length > 0 && (
+        <table className="system-settings__table">
+          <thead>
+            <tr><th>Learner</th><th>XP</th><th>Level</th></tr>
+          </thead>
+          <tbody>
+            {users.changed.map(user => (
+              <tr key={user.id}>
+                <td>{user.name}</td>
+                <td>{user.xp.toLocaleString()}</td>
+                <td className={user.levelAfter > user.levelBefore ? 'system-settings__up' : 'system-settings__down'}>
+                  {formatLevelChange(user.levelBefore, user.levelAfter)}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      <h3 className="system-settings__subtitle">Level boundaries</h3>
+      {shiftedLevels.length === 0 ? (
+        <p className="system-settings__summary">Level boundaries do not change.</p>
+      ) : (
+        <table className="system-settings__table">
+          <thead>
+            <tr><th>Level</th><th>Total XP now</th><th>Proposed</th></tr>
+          </thead>
+          <tbody>
+            {shiftedLevels.map(row => (
+              <tr key={row.level}>
+                <td>{row.level}</td>
+                <td>{formatValue(row.before)}</td>
+                <td>{formatValue(row.after)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      <h3 className="system-settings__subtitle">Completing GPS 101</h3>
+      <table className="system-settings__table">
+        <thead>
+          <tr><th>Reward for</th><th>Count</th><th>Baraka now</th><th>Proposed</th><th>XP now</th><th>Proposed</th></tr>
+        </thead>
+        <tbody>
+          {course.after.items.map((item, i) => (
+            <tr key={item.key}>
+              <td>{item.label}</td>
+              <td>{item.count}</td>
+              <td>{formatValue(course.before.items[i].baraka)}</td>
+              <td>{formatValue(item.baraka)}</td>
+              <td>{formatValue(course.before.items[i].xp)}</td>
+              <td>{formatValue(item.xp)}</td>
+            </tr>
+          ))}
+          <tr className="system-settings__total">
+            <td>Total</td>
+            <td />
+            <td>{formatValue(course.before.baraka, 'ƀ')}</td>
+            <td>{formatValue(course.after.baraka, 'ƀ')}</td>
+            <td>{formatValue(course.before.xp, 'XP')}</td>
+            <td>{formatValue(course.after.xp, 'XP')}</td>
+          </tr>
+        </tbody>
+      </table>
+      <p className="system-settings__summary">
+        The Orange Beacon needs {formatValue(course.orangeBeacon.after, 'ƀ')}
+        {course.orangeBeacon.after !== course.orangeBeacon.before && ` (now ${formatValue(course.orangeBeacon.before, 'ƀ')})`}.
+      </p>
+    </section>
+  );
+};
+
+/**
+ * SystemSettings Component
+ */
+const SystemSettings = ({ className = '' }) => {
+  const dispatch = useDispatch();
+  const { config, source, revision, updatedAt, updatedBy, preview, loading, error } = useSelector(state => state.economy);
+
+  const [draft, setDraft] = useState(config);
+  const [activeSection, setActiveSection] = useState(ECONOMY_SECTIONS[0].path);
+  const [previewedDraft, setPreviewedDraft] = useState(null);
+  const [isSaveOpen, setIsSaveOpen] = useState(false);
+  const [reason, setReason] = useState('');
+  const [savedRevision, setSavedRevision] = useState(null);
+  const baseRef = useRef(config);
+
+  // Follow the active config (it loads after start-up, or another save
+  // landed) unless there are unsaved changes
+  useEffect(() => {
+    const previous = baseRef.current;
+    baseRef.current = config;
+    setDraft(current => (JSON.stringify(current) === JSON.stringify(previous) ? config : current));
+  }, [config]);
+
+  useEffect(() => () => { dispatch(clearEconomyPreview()); }, [dispatch]);
+
+  const validation = useMemo(() => validateEconomyConfig(draft), [draft]);
+  const changes = useMemo(() => diffEconomyConfigs(config, draft), [config, draft]);
+  const fieldErrors = useMemo(() => {
+    const byPath = {};
+    validation.errors.forEach(e => { byPath[e.path] = byPath[e.path] || e.message; });
+    return byPath;
+  }, [validation]);
+
+  const draftKey = JSON.stringify(draft);
+  const isPreviewStale = !!preview && previewedDraft !== draftKey;
+  const canPreview = validation.valid && changes.length > 0 && !loading.preview;
+
+  const sectionStatus = (path) => ({
+    changed: changes.filter(c => c.path.startsWith(`${path}.`)).length,
+    invalid: validation.errors.some(e => e.path && e.path.startsWith(`${path}.`))
+  });
+
+  const handleChange = (path, value) => {
+    setSavedRevision(null);
+    setDraft(current => setEconomyValue(current, path, value));
+  };
+
+  const handleReset = () => {
+    setDraft(config);
+    setPreviewedDraft(null);
+    dispatch(clearEconomyPreview());
+  };
+
+  const handlePreview = () => {
+    setPreviewedDraft(draftKey);
+    dispatch(previewEconomyConfig(draft));
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    if (!reason.trim()) return;
+    try {
+      const result = await dispatch(saveEconomyConfig({ config: draft, reason: reason.trim() })).unwrap();
+      setIsSaveOpen(false);
+      setReason('');
+      setPreviewedDraft(null);
+      setSavedRevision(result.revision);
+    } catch {
+      // Shown from error.save
+    }
+  };
+
+  const handleReload = () => {
+    dispatch(clearEconomyError('save'));
+    setIsSaveOpen(false);
+    setDraft(baseRef.current);
+    dispatch(loadEconomyConfig({ useCache: false }));
+  };
+
+  const fields = listEconomyFields(activeSection);
+
+  return (
+    <div className={`system-settings ${className}`}>
+      <header className="system-settings__header">
+        <div>
+          <h1 className="system-settings__title">System Settings</h1>
+          <p className="system-settings__subtitle-text">
+            The game economy. Every XP, Baraka and level calculation reads these values.
+          </p>
+        </div>
+        <p className="system-settings__meta">
+          {source === 'server'
+            ? `Revision ${revision} · saved ${formatDate(updatedAt)}${updatedBy ? ` by ${updatedBy.displayName}` : ''}`
+            : loading.config ? 'Loading settings...' : 'Showing the shipped defaults'}
+        </p>
+      </header>
+
+      {error.config && (
+        <div className="system-settings__notice" role="alert">
+          The saved settings could not be loaded: {error.config.message}
+        </div>
+      )}
+      {savedRevision && (
+        <div className="system-settings__success" role="status">
+          Saved as revision {savedRevision}. The new values are active.
+        </div>
+      )}
+
+      <nav className="system-settings__tabs" aria-label="Settings sections">
+        {ECONOMY_SECTIONS.map(section => {
+          const status = sectionStatus(section.path);
+          return (
+            <button
+              key={section.path}
+              type="button"
+              className={`system-settings__tab ${activeSection === section.path ? 'system-settings__tab--active' : ''} ${status.invalid ? 'system-settings__tab--invalid' : ''}`}
+              onClick={() => setActiveSection(section.path)}
+            >
+              {section.title}
+              {status.changed > 0 && <span className="system-settings__count">{status.changed}</span>}
+            </button>
+          );
+        })}
+      </nav>
+
+      <section className="system-settings__panel">
+        <div className="system-settings__fields">
+          {fields.map(field => (
+            <SettingField
+              key={field.path}
+              field={field}
+              value={getEconomyValue(draft, field.path)}
+              currentValue={getEconomyValue(config, field.path)}
+              error={fieldErrors[field.path]}
+              onChange={(value) => handleChange(field.path, value)}
+            />
+          ))}
+        </div>
+        {validation.errors
+          .filter(e => e.path && e.path.startsWith(activeSection) && !fields.some(f => f.path === e.path))
+          .map(e => (
+            <p key={e.path} className="system-settings__field-error">{e.message}</p>
+          ))}
+      </section>
+
+      {validation.warnings.length > 0 && (
+        <ul className="system-settings__warnings">
+          {validation.warnings.map(w => (
+            <li key={`${w.path}:${w.message}`} className="system-settings__warning">{w.message}</li>
+          ))}
+        </ul>
+      )}
+
+      <div className="system-settings__toolbar">
+        <span className="system-settings__changes">
+          {changes.length === 0
+            ? 'No unsaved changes'
+            : `${changes.length} setting${changes.length === 1 ? '' : 's'} changed`}
+          {!validation.valid && ` · ${validation.errors.length} to fix`}
+        </span>
+        <button type="button" className="system-settings__button" onClick={handleReset} disabled={changes.length === 0}>
+          Discard changes
+        </button>
+        <button type="button" className="system-settings__button" onClick={handlePreview} disabled={!canPreview}>
+          {loading.preview ? 'Previewing...' : 'Preview impact'}
+        </button>
+        <button
+          type="button"
+          className="system-settings__button system-settings__button--primary"
+          onClick={() => setIsSaveOpen(true)}
+          disabled={!validation.valid || changes.length === 0 || !preview || isPreviewStale}
+          title={!preview || isPreviewStale ? 'Preview the impact before saving' : undefined}
+        >
+          Save changes
+        </button>
+      </div>
+
+      {error.preview && (
+        <div className="system-settings__notice" role="alert">{error.preview.message}</div>
+      )}
+
+      {preview && <ImpactPreview preview={preview} isStale={isPreviewStale} />}
+
+      {isSaveOpen && (
+        <Modal
+          isOpen
+          onClose={loading.save ? undefined : () => setIsSaveOpen(false)}
+          size="sm"
+          title="Save economy settings"
+          className="system-settings__dialog"
+        >
+          <form className="system-settings__dialog-form" onSubmit={handleSave}>
+            <p className="system-settings__summary">
+              {changes.length} setting{changes.length === 1 ? '' : 's'} will change for everyone as soon as you save.
+            </p>
+            <ul className="system-settings__dialog-changes">
+              {changes.map(change => (
+                <li key={change.path}>
+                  {change.label}: {formatValue(change.before, change.unit)} → {formatValue(change.after, change.unit)}
+                </li>
+              ))}
+            </ul>
+            <label className="system-settings__dialog-field">
+              <span>Reason (required, recorded in the audit log)</span>
+              <textarea
+                value={reason}
+                rows={3}
+                required
+                placeholder="Why is this change needed?"
+                onChange={(e) => setReason(e.target.value)}
+              />
+            </label>
+
+            {error.save && (
+              <div className="system-settings__notice" role="alert">
+                {error.save.message}
+                {error.save.type === 'CONFLICT' && (
+                  <button type="button" className="system-settings__link" onClick={handleReload}>
+                    Load the latest settings
+                  </button>
+                )}
+              </div>
+            )}
+
+            <div className="system-settings__dialog-actions">
+              <button type="button" className="system-settings__button" onClick={() => setIsSaveOpen(false)} disabled={loading.save}>
+                Cancel
+              </button>
+              <button
+                type="submit"
+                className="system-settings__button system-settings__button--primary"
+                disabled={loading.save || !reason.trim()}
+              >
+                {loading.save ? 'Saving...' : 'Save'}
+              </button>
+            </div>
+          </form>
+        </Modal>
+      )}
+    </div>
+  );
+};
+
+export default SystemSettings;
@@ -0,0 +1,161 @@
+/**
+ * GPS Lab Platform - AdminActionDialog Component
+ *
+ * Collects the inputs for an admin action on one or more users. Every
+ * action needs a reason, which is stored with the action in the audit log.
+ *
+ * @module components/admin/UserManagement/AdminActionDialog
+ */
+
+import React, { useState } from 'react';
+import { Modal } from '../../common/Modal';
+import { USER_ACTIONS } from '../../../services/api/admin.service';
+import './AdminActionDialog.css';
+
+/**
+ * Admin actions and the inputs each one needs
+ */
+export const ACTION_DEFINITIONS = {
+  [USER_ACTIONS.SUSPEND]: {
+    label: 'Suspend',
+    description: 'Suspended users cannot sign in or refresh their session until reactivated.',
+    danger: true
+  },
+  [USER_ACTIONS.REACTIVATE]: {
+    label: 'Reactivate',
+    description: 'Lets the user sign in again.'
+  },
+  [USER_ACTIONS.RESET_CHECKPOINT]: {
+    label: 'Reset checkpoint',
+    description: 'Clears attempts so the checkpoint can be retaken. Rewards already paid are not paid again.',
+    field: 'missionId'
+  },
+  [USER_ACTIONS.GRANT_R2R]: {
+    label: 'Grant R2R',
+    description: 'Adds free Right to Retry credits the learner can spend on checkpoint retries.',
+    field: 'count'
+  },
+  [USER_ACTIONS.ADJUST_BARAKA]: {
+    label: 'Adjust Baraka',
+    description: 'A positive amount credits the wallet; a negative amount debits it.',
+    field: 'amount'
+  }
+};
+
+/**
+ * AdminActionDialog Component
+ * @param {Object} props - Component props
+ * @param {string} props.action - One of USER_ACTIONS
+ * @param {string} props.targetLabel - Who the action applies to
+ * @param {Array<Object>} [props.checkpoints] - Checkpoints to choose from ({ missionId, title })
+ * @param {boolean} [props.isSubmitting] - Submit in progress
+ * @param {Object} [props.error] - Display error
+ * @param {Function} props.onSubmit - Called with { reason, missionId | count | amount }
+ * @param {Function} props.onClose - Close handler
+ */
+const AdminActionDialog = ({
+  action,
+  targetLabel,
+  checkpoints = null,
+  isSubmitting = false,
+  error = null,
+  onSubmit,
+  onClose
+}) => {
+  const definition = ACTION_DEFINITIONS[action];
+  const [reason, setReason] = useState('');
+  const [missionId, setMissionId] = useState(checkpoints?.[0]?.missionId || '');
+  const [count, setCount] = useState('1');
+  const [amount, setAmount] = useState('');
+
+  const values = { missionId: missionId.trim(), count: Number(count), amount: Number(amount) };
+  const isFieldValid = {
+    missionId: !!values.missionId,
+    count: Number.isInteger(values.count) && values.count >= 1 && values.count <= 10,
+    amount: Number.isInteger(values.amount) && values.amount !== 0
+  };
+  const canSubmit = !isSubmitting && reason.trim().length > 0 && (!definition.field || isFieldValid[definition.field]);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!canSubmit) return;
+    const params = { reason: reason.trim() };
+    if (definition.field) params[definition.field] = values[definition.field];
+    onSubmit(params);
+  };
+
+  return (
+    <Modal
+      isOpen
+      onClose={isSubmitting ? undefined : onClose}
+      size="sm"
+      title={`${definition.label}: ${targetLabel}`}
+      className="admin-action-dialog"
+    >
+      <form className="admin-action-dialog__form" onSubmit={handleSubmit}>
+        <p className="admin-action-dialog__description">{definition.description}</p>
+
+        {definition.field === 'missionId' && (
+          <label className="admin-action-dialog__field">
+            <span>Checkpoint (mission ID)</span>
+            {checkpoints?.length ? (
+              <select value={missionId} onChange={(e) => setMissionId(e.target.value)}>
+                {checkpoints.map(checkpoint => (
+                  <option key={checkpoint.missionId} value={checkpoint.missionId}>
+                    {checkpoint.missionId} · {checkpoint.title} ({checkpoint.status})
+                  </option>
+                ))}
+              </select>
+            ) : (
+              <input value={missionId} placeholder="e.g. S1M5" onChange={(e) => setMissionId(e.target.value)} />
+            )}
+          </label>
+        )}
+
+        {definition.field === 'count' && (
+          <label className="admin-action-dialog__field">
+            <span>Retries (1-10)</span>
+            <input type="number" min="1" max="10" step="1" value={count} onChange={(e) => setCount(e.target.value)} />
+          </label>
+        )}
+
+        {definition.field === 'amount' && (
+          <label className="admin-action-dialog__field">
+            <span>Amount (use a minus sign to debit)</span>
+            <input type="number" step="1" value={amount} placeholder="e.g. 100 or -50" onChange={(e) => setAmount(e.target.value)} />
+          </label>
+        )}
+
+        <label className="admin-action-dialog__field">
+          <span>Reason (required, recorded in the audit log)</span>
+          <textarea
+            value={reason}
+            rows={3}
+            required
+            placeholder="Why is this action needed?"
+            onChange={(e) => setReason(e.target.value)}
+          />
+        </label>
+
+        {error && (
+          <p className="admin-action-dialog__error" role="alert">{error.message}</p>
+        )}
+
+        <div className="admin-action-dialog__actions">
+          <button type="button" className="admin-action-dialog__button" onClick={onClose} disabled={isSubmitting}>
+            Cancel
+          </button>
+          <button
+            type="submit"
+            className={`admin-action-dialog__button ${definition.danger ? 'admin-action-dialog__button--danger' : 'admin-action-dialog__button--primary'}`}
+            disabled={!canSubmit}
+          >
+            {isSubmitting ? 'Working...' : definition.label}
+          </button>
+        </div>
+      </form>
+    </Modal>
+  );
+};
+
+export default AdminActionDialog;
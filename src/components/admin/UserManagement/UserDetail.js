@@ -0,0 +1,348 @@
+/**
+ * GPS Lab Platform - UserDetail Component
+ *
+ * One user's record in the admin console: account, GPS progress and
+ * checkpoints, Baraka ledger, badges and the audit entries about them,
+ * with the account actions (suspend, reset a checkpoint, grant R2R,
+ * adjust Baraka).
+ *
+ * @module components/admin/UserManagement/UserDetail
+ */
+
+import React, { useEffect, useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { Link, useParams } from 'react-router-dom';
+import {
+  fetchAdminUser,
+  runAdminUserAction,
+  clearSelectedUser,
+  clearAdminError
+} from '../../../store/slices/adminSlice';
+import { USER_ACTIONS } from '../../../services/api/admin.service';
+import { getAuditActionLabel, summarizeAuditDetails } from '../../../utils/helpers/audit.helper';
+import AdminActionDialog, { ACTION_DEFINITIONS } from './AdminActionDialog';
+import './UserDetail.css';
+
+/**
+ * Detail tabs
+ */
+const TABS = [
+  { id: 'progress', label: 'GPS Progress' },
+  { id: 'ledger', label: 'Baraka Ledger' },
+  { id: 'badges', label: 'Badges' },
+  { id: 'history', label: 'Admin History' }
+];
+
+/**
+ * Formats an ISO date with time
+ * @param {string} date - ISO date
+ * @returns {string} Formatted date
+ */
+const formatDate = (date) => {
+  if (!date) return '—';
+  return new Date(date).toLocaleString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+};
+
+/**
+ * UserDetail Component
+ */
+const UserDetail = ({ className = '' }) => {
+  const dispatch = useDispatch();
+  const { userId } = useParams();
+  const { selectedUser, loading, error } = useSelector(state => state.admin);
+  const [activeTab, setActiveTab] = useState('progress');
+  const [dialogAction, setDialogAction] = useState(null);
+  const [notice, setNotice] = useState(null);
+
+  useEffect(() => {
+    dispatch(fetchAdminUser({ userId }));
+    return () => { dispatch(clearSelectedUser()); };
+  }, [dispatch, userId]);
+
+  const openDialog = (action) => {
+    dispatch(clearAdminError('action'));
+    setNotice(null);
+    setDialogAction(action);
+  };
+
+  const handleSubmit = async (params) => {
+    try {
+      await dispatch(runAdminUserAction({ userId, action: dialogAction, params })).unwrap();
+      setNotice({ type: 'success', message: `${ACTION_DEFINITIONS[dialogAction].label}: done.` });
+      setDialogAction(null);
+    } catch {
+      // The dialog shows the error and stays open
+    }
+  };
+
+  if (!selectedUser) {
+    return (
+      <div className={`user-detail ${className}`}>
+        <Link to="/admin/users" className="user-detail__back">← Users</Link>
+        {error.user ? (
+          <p className="user-detail__error" role="alert">{error.user.message}</p>
+        ) : (
+          <p className="user-detail__loading">Loading user...</p>
+        )}
+      </div>
+    );
+  }
+
+  const { user, progress, ledger, badges, r2r, auditLog } = selectedUser;
+  const isSuspended = user.accountStatus === 'suspended';
+  const ledgerPagination = ledger.pagination;
+
+  return (
+    <div className={`user-detail ${className}`}>
+      <Link to="/admin/users" className="user-detail__back">← Users</Link>
+
+      {/* Account */}
+      <header className="user-detail__header">
+        <div>
+          <h1 className="user-detail__title">
+            {user.displayName}
+            <span className={`user-detail__status user-detail__status--${user.accountStatus}`}>
+              {isSuspended ? 'Suspended' : 'Active'}
+            </span>
+          </h1>
+          <p className="user-detail__meta">
+            @{user.username} · {user.email} · <span className="user-detail__role">{user.role}</span> · joined {formatDate(user.createdAt)} · last sign-in {formatDate(user.lastLoginAt)}
+          </p>
+          {isSuspended && user.suspension && (
+            <p className="user-detail__meta">Suspended {formatDate(user.suspension.suspendedAt)}</p>
+          )}
+        </div>
+        <div className="user-detail__actions">
+          <button type="button" className="user-detail__button" onClick={() => openDialog(USER_ACTIONS.ADJUST_BARAKA)}>
+            Adjust Baraka
+          </button>
+          <button type="button" className="user-detail__button" onClick={() => openDialog(USER_ACTIONS.GRANT_R2R)}>
+            Grant R2R
+          </button>
+          <button
+            type="button"
+            className="user-detail__button"
+            onClick={() => openDialog(USER_ACTIONS.RESET_CHECKPOINT)}
+            disabled={progress.checkpoints.length === 0}
+            title={progress.checkpoints.length === 0 ? 'No checkpoints attempted yet' : undefined}
+          >
+            Reset checkpoint
+          </button>
+          {isSuspended ? (
+            <button type="button" className="user-detail__button" onClick={() => openDialog(USER_ACTIONS.REACTIVATE)}>
+              Reactivate
+            </button>
+          ) : (
+            <button type="button" className="user-detail__button user-detail__button--danger" onClick={() => openDialog(USER_ACTIONS.SUSPEND)}>
+              Suspend
+            </button>
+          )}
+        </div>
+      </header>
+
+      {notice && (
+        <div className={`user-detail__notice user-detail__notice--${notice.type}`} role="status">
+          {notice.message}
+        </div>
+      )}
+
+      {/* Summary */}
+      <dl className="user-detail__summary">
+        <div><dt>Stage</dt><dd>{progress.currentStage} / {progress.totalStages}</dd></div>
+        <div><dt>Level</dt><dd>{user.level} ({user.xp.toLocaleString()} XP)</dd></div>
+        <div><dt>Missions</dt><dd>{progress.missionsCompleted} / {progress.missionsTotal}</dd></div>
+        <div><dt>Checkpoints passed</dt><dd>{progress.checkpointsPassed}</dd></div>
+        <div><dt>Baraka</dt><dd>{ledger.wallet.available.toLocaleString()}</dd></div>
+        <div><dt>R2R credits</dt><dd>{r2r.freeRetries} free · {r2r.paidRetries} paid</dd></div>
+      </dl>
+
+      {/* Tabs */}
+      <div className="user-detail__tabs" role="tablist">
+        {TABS.map(tab => (
+          <button
+            key={tab.id}
+            type="button"
+            role="tab"
+            aria-selected={activeTab === tab.id}
+            className={`user-detail__tab ${activeTab === tab.id ? 'user-detail__tab--active' : ''}`}
+            onClick={() => setActiveTab(tab.id)}
+          >
+            {tab.label}
+          </button>
+        ))}
+      </div>
+
+      <section className="user-detail__panel" role="tabpanel">
+        {activeTab === 'progress' && (
+          <>
+            <h2 className="user-detail__panel-title">Checkpoints</h2>
+            {progress.checkpoints.length === 0 ? (
+              <p className="user-detail__empty">No checkpoints attempted yet.</p>
+            ) : (
+              <table className="user-detail__table">
+                <thead>
+                  <tr>
+                    <th>Mission</th>
+                    <th>Status</th>
+                    <th>Attempts</th>
+                    <th>Best score</th>
+                    <th>Last attempt</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {progress.checkpoints.map(checkpoint => (
+                    <tr key={checkpoint.missionId}>
+                      <td>{checkpoint.missionId} · {checkpoint.title}</td>
+                      <td className="user-detail__capitalize">{checkpoint.status.replace('_', ' ')}</td>
+                      <td>{checkpoint.attempts} / {checkpoint.maxAttempts}{checkpoint.retryGranted ? ' (+ retry)' : ''}</td>
+                      <td>{checkpoint.bestScore ?? '—'}</td>
+                      <td>{formatDate(checkpoint.lastAttemptAt)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+
+            <h2 className="user-detail__panel-title">Missions</h2>
+            {progress.missions.length === 0 ? (
+              <p className="user-detail__empty">No missions started yet.</p>
+            ) : (
+              <ul className="user-detail__missions">
+                {progress.missions.map(mission => (
+                  <li key={mission.missionId} className={`user-detail__mission user-detail__mission--${mission.status}`}>
+                    <span>{mission.missionId} · {mission.title}</span>
+                    <span className="user-detail__capitalize">{mission.status.replace('_', ' ')}</span>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </>
+        )}
+
+        {activeTab === 'ledger' && (
+          <>
+            <p className="user-detail__wallet">
+              Available {ledger.wallet.available.toLocaleString()} · pending {ledger.wallet.pending.toLocaleString()} · earned {ledger.wallet.totalEarned.toLocaleString()} · spent {ledger.wallet.totalSpent.toLocaleString()} · withdrawn {ledger.wallet.totalWithdrawn.toLocaleString()}
+            </p>
+            {ledger.transactions.length === 0 ? (
+              <p className="user-detail__empty">No transactions yet.</p>
+            ) : (
+              <table className="user-detail__table">
+                <thead>
+                  <tr>
+                    <th>Date</th>
+                    <th>Type</th>
+                    <th>Description</th>
+                    <th className="user-detail__number">Amount</th>
+                    <th className="user-detail__number">Balance</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {ledger.transactions.map(transaction => (
+                    <tr key={transaction.id}>
+                      <td>{formatDate(transaction.createdAt)}</td>
+                      <td>{transaction.type}</td>
+                      <td>{transaction.description}</td>
+                      <td className={`user-detail__number ${transaction.amount < 0 ? 'user-detail__debit' : 'user-detail__credit'}`}>
+                        {transaction.amount > 0 ? '+' : ''}{transaction.amount.toLocaleString()}
+                      </td>
+                      <td className="user-detail__number">{transaction.balance.toLocaleString()}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+            {ledgerPagination?.totalPages > 1 && (
+              <nav className="user-detail__pagination" aria-label="Ledger pages">
+                <button
+                  type="button"
+                  className="user-detail__button"
+                  onClick={() => dispatch(fetchAdminUser({ userId, ledgerPage: ledgerPagination.page - 1 }))}
+                  disabled={loading.user || ledgerPagination.page <= 1}
+                >
+                  Newer
+                </button>
+                <span>Page {ledgerPagination.page} of {ledgerPagination.totalPages}</span>
+                <button
+                  type="button"
+                  className="user-detail__button"
+                  onClick={() => dispatch(fetchAdminUser({ userId, ledgerPage: ledgerPagination.page + 1 }))}
+                  disabled={loading.user || ledgerPagination.page >= ledgerPagination.totalPages}
+                >
+                  Older
+                </button>
+              </nav>
+            )}
+          </>
+        )}
+
+        {activeTab === 'badges' && (
+          badges.length === 0 ? (
+            <p className="user-detail__empty">No badges earned yet.</p>
+          ) : (
+            <ul className="user-detail__badges">
+              {badges.map(badge => (
+                <li key={badge.id} className="user-detail__badge">
+                  <span className="user-detail__badge-icon" aria-hidden="true">{badge.icon}</span>
+                  <span>
+                    <strong>{badge.name}</strong>
+                    <span className="user-detail__badge-meta">{badge.rarity} · {formatDate(badge.earnedAt)}</span>
+                  </span>
+                </li>
+              ))}
+            </ul>
+          )
+        )}
+
+        {activeTab === 'history' && (
+          auditLog.length === 0 ? (
+            <p className="user-detail__empty">No admin actions on this account.</p>
+          ) : (
+            <table className="user-detail__table">
+              <thead>
+                <tr>
+                  <th>Date</th>
+                  <th>Action</th>
+                  <th>By</th>
+                  <th>Reason</th>
+                  <th>Details</th>
+                </tr>
+              </thead>
+              <tbody>
+                {auditLog.map(entry => (
+                  <tr key={entry.id}>
+                    <td>{formatDate(entry.createdAt)}</td>
+                    <td>{getAuditActionLabel(entry.action)}</td>
+                    <td>{entry.actorName}</td>
+                    <td>{entry.reason}</td>
+                    <td>{summarizeAuditDetails(entry)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )
+        )}
+      </section>
+
+      {dialogAction && (
+        <AdminActionDialog
+          action={dialogAction}
+          targetLabel={user.displayName}
+          checkpoints={progress.checkpoints}
+          isSubmitting={loading.action}
+          error={error.action}
+          onSubmit={handleSubmit}
+          onClose={() => setDialogAction(null)}
+        />
+      )}
+    </div>
+  );
+};
+
+export default UserDetail;
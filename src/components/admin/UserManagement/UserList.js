@@ -0,0 +1,95 @@
+/**
+ * GPS Lab Platform - UserList Component
+ *
+ * Table of users for the admin console with row selection for bulk
+ * actions. Rows link to the user's detail page.
+ *
+ * @module components/admin/UserManagement/UserList
+ */
+
+import React from 'react';
+import { Link } from 'react-router-dom';
+import './UserList.css';
+
+/**
+ * Formats an ISO date for the list
+ * @param {string} date - ISO date
+ * @returns {string} Formatted date
+ */
+const formatDate = (date) => {
+  if (!date) return '—';
+  return new Date(date).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+};
+
+/**
+ * UserList Component
+ * @param {Object} props - Component props
+ * @param {Array<Object>} props.users - Users (staff view)
+ * @param {Array<string>} props.selectedIds - Selected user IDs
+ * @param {Function} props.onToggle - Called with a user ID
+ * @param {Function} props.onToggleAll - Called with true to select every row, false to clear
+ * @param {boolean} [props.isLoading] - Loading state
+ */
+const UserList = ({ users = [], selectedIds = [], onToggle, onToggleAll, isLoading = false, className = '' }) => {
+  const allSelected = users.length > 0 && users.every(u => selectedIds.includes(u.id));
+
+  if (!isLoading && users.length === 0) {
+    return <p className={`user-list__empty ${className}`}>No users match these filters.</p>;
+  }
+
+  return (
+    <table className={`user-list ${isLoading ? 'user-list--loading' : ''} ${className}`}>
+      <thead>
+        <tr>
+          <th className="user-list__select">
+            <input
+              type="checkbox"
+              checked={allSelected}
+              onChange={() => onToggleAll(!allSelected)}
+              aria-label="Select all users on this page"
+            />
+          </th>
+          <th>User</th>
+          <th>Role</th>
+          <th>Status</th>
+          <th>Stage</th>
+          <th>Level</th>
+          <th>Baraka</th>
+          <th>Joined</th>
+          <th>Last sign-in</th>
+        </tr>
+      </thead>
+      <tbody>
+        {users.map(user => (
+          <tr key={user.id} className={selectedIds.includes(user.id) ? 'user-list__row--selected' : undefined}>
+            <td className="user-list__select">
+              <input
+                type="checkbox"
+                checked={selectedIds.includes(user.id)}
+                onChange={() => onToggle(user.id)}
+                aria-label={`Select ${user.displayName}`}
+              />
+            </td>
+            <td>
+              <Link to={`/admin/users/${user.id}`} className="user-list__name">{user.displayName}</Link>
+              <span className="user-list__email">{user.email}</span>
+            </td>
+            <td className="user-list__role">{user.role}</td>
+            <td>
+              <span className={`user-list__status user-list__status--${user.accountStatus}`}>
+                {user.accountStatus === 'suspended' ? 'Suspended' : 'Active'}
+              </span>
+            </td>
+            <td>{user.currentStage}</td>
+            <td>{user.level}</td>
+            <td>{(user.barakaBalance || 0).toLocaleString()}</td>
+            <td>{formatDate(user.createdAt)}</td>
+            <td>{formatDate(user.lastLoginAt)}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+};
+
+export default UserList;
@@ -0,0 +1,256 @@
+/**
+ * GPS Lab Platform - UserManagement Component
+ *
+ * Admin user console: search, filter and page through accounts, select
+ * users and run bulk actions. Bulk actions run per user; the ones that
+ * fail are listed with the reason instead of undoing the rest.
+ *
+ * @module components/admin/UserManagement/UserManagement
+ */
+
+import React, { useEffect, useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { Link } from 'react-router-dom';
+import {
+  searchAdminUsers,
+  runAdminBulkAction,
+  setUserQuery,
+  setUserFilters,
+  clearBulkResult,
+  clearAdminError
+} from '../../../store/slices/adminSlice';
+import { USER_ACTIONS } from '../../../services/api/admin.service';
+import UserList from './UserList';
+import AdminActionDialog, { ACTION_DEFINITIONS } from './AdminActionDialog';
+import './UserManagement.css';
+
+const PAGE_SIZE = 20;
+
+/**
+ * Filter options
+ */
+const ROLE_OPTIONS = [
+  { value: '', label: 'All roles' },
+  { value: 'student', label: 'Students' },
+  { value: 'mentor', label: 'Mentors' },
+  { value: 'admin', label: 'Admins' }
+];
+
+const STATUS_OPTIONS = [
+  { value: '', label: 'Any status' },
+  { value: 'active', label: 'Active' },
+  { value: 'suspended', label: 'Suspended' }
+];
+
+const SORT_OPTIONS = [
+  { value: 'recent', label: 'Newest first' },
+  { value: 'name', label: 'Name' },
+  { value: 'xp', label: 'Most XP' }
+];
+
+const BULK_ACTIONS = [
+  USER_ACTIONS.GRANT_R2R,
+  USER_ACTIONS.ADJUST_BARAKA,
+  USER_ACTIONS.RESET_CHECKPOINT,
+  USER_ACTIONS.SUSPEND,
+  USER_ACTIONS.REACTIVATE
+];
+
+/**
+ * UserManagement Component
+ */
+const UserManagement = ({ className = '' }) => {
+  const dispatch = useDispatch();
+  const { users, lastBulkResult, loading, error } = useSelector(state => state.admin);
+  const [searchInput, setSearchInput] = useState(users.query);
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [dialogAction, setDialogAction] = useState(null);
+  const [notice, setNotice] = useState(null);
+
+  useEffect(() => {
+    dispatch(searchAdminUsers({ page: 1, limit: PAGE_SIZE }));
+    return () => { dispatch(clearBulkResult()); };
+  }, [dispatch]);
+
+  const search = (page = 1) => dispatch(searchAdminUsers({ page, limit: PAGE_SIZE }));
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    dispatch(setUserQuery(searchInput.trim()));
+    search();
+  };
+
+  const handleFilter = (changes) => {
+    dispatch(setUserFilters(changes));
+    search();
+  };
+
+  const handleToggle = (userId) => {
+    setSelectedIds(ids => (ids.includes(userId) ? ids.filter(id => id !== userId) : [...ids, userId]));
+  };
+
+  const handleToggleAll = (select) => {
+    const pageIds = users.items.map(u => u.id);
+    setSelectedIds(ids => (select
+      ? [...new Set([...ids, ...pageIds])]
+      : ids.filter(id => !pageIds.includes(id))));
+  };
+
+  const openDialog = (action) => {
+    dispatch(clearAdminError('action'));
+    setNotice(null);
+    setDialogAction(action);
+  };
+
+  const handleBulkSubmit = async (params) => {
+    try {
+      const result = await dispatch(runAdminBulkAction({ userIds: selectedIds, action: dialogAction, params })).unwrap();
+      setDialogAction(null);
+      setSelectedIds(result.results.filter(r => !r.success).map(r => r.userId));
+      setNotice({
+        type: result.failed ? 'warning' : 'success',
+        message: `${ACTION_DEFINITIONS[result.action].label}: ${result.succeeded} updated${result.failed ? `, ${result.failed} failed (still selected)` : ''}.`
+      });
+    } catch {
+      // The dialog shows the error and stays open
+    }
+  };
+
+  const { pagination, filters } = users;
+  const names = new Map(users.items.map(u => [u.id, u.displayName]));
+  const failures = lastBulkResult?.results.filter(r => !r.success) || [];
+
+  return (
+    <div className={`user-management ${className}`}>
+      <header className="user-management__header">
+        <div>
+          <h1 className="user-management__title">Users</h1>
+          <p className="user-management__subtitle">
+            {pagination ? `${pagination.total} account${pagination.total === 1 ? '' : 's'}` : 'Search accounts'}
+          </p>
+        </div>
+        <Link to="/admin/audit" className="user-management__link">Audit log</Link>
+      </header>
+
+      {/* Search and filters */}
+      <form className="user-management__filters" onSubmit={handleSearch}>
+        <input
+          type="search"
+          className="user-management__search"
+          value={searchInput}
+          placeholder="Search by name, username or email"
+          aria-label="Search users"
+          onChange={(e) => setSearchInput(e.target.value)}
+        />
+        <select value={filters.role} aria-label="Role" onChange={(e) => handleFilter({ role: e.target.value })}>
+          {ROLE_OPTIONS.map(o => <option key={o.value} value={o.value}>{o.label}</option>)}
+        </select>
+        <select value={filters.accountStatus} aria-label="Account status" onChange={(e) => handleFilter({ accountStatus: e.target.value })}>
+          {STATUS_OPTIONS.map(o => <option key={o.value} value={o.value}>{o.label}</option>)}
+        </select>
+        <input
+          type="number"
+          min="1"
+          className="user-management__stage"
+          value={filters.stage}
+          placeholder="Stage"
+          aria-label="Stage"
+          onChange={(e) => handleFilter({ stage: e.target.value })}
+        />
+        <select value={filters.sort} aria-label="Sort" onChange={(e) => handleFilter({ sort: e.target.value })}>
+          {SORT_OPTIONS.map(o => <option key={o.value} value={o.value}>{o.label}</option>)}
+        </select>
+        <button type="submit" className="user-management__button user-management__button--primary">Search</button>
+      </form>
+
+      {/* Bulk actions */}
+      {selectedIds.length > 0 && (
+        <div className="user-management__bulk" role="toolbar" aria-label="Bulk actions">
+          <span className="user-management__bulk-count">{selectedIds.length} selected</span>
+          {BULK_ACTIONS.map(action => (
+            <button
+              key={action}
+              type="button"
+              className={`user-management__button ${ACTION_DEFINITIONS[action].danger ? 'user-management__button--danger' : ''}`}
+              onClick={() => openDialog(action)}
+              disabled={loading.action}
+            >
+              {ACTION_DEFINITIONS[action].label}
+            </button>
+          ))}
+          <button type="button" className="user-management__inline-button" onClick={() => setSelectedIds([])}>
+            Clear selection
+          </button>
+        </div>
+      )}
+
+      {notice && (
+        <div className={`user-management__notice user-management__notice--${notice.type}`} role="status">
+          {notice.message}
+          {failures.length > 0 && (
+            <ul className="user-management__failures">
+              {failures.map(f => (
+                <li key={f.userId}>{names.get(f.userId) || f.userId}: {f.error}</li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+
+      {error.users && (
+        <div className="user-management__notice user-management__notice--error" role="alert">
+          {error.users.message}
+        </div>
+      )}
+
+      <section className="user-management__panel">
+        {loading.users && users.items.length === 0 ? (
+          <p className="user-management__loading">Loading users...</p>
+        ) : (
+          <UserList
+            users={users.items}
+            selectedIds={selectedIds}
+            onToggle={handleToggle}
+            onToggleAll={handleToggleAll}
+            isLoading={loading.users}
+          />
+        )}
+
+        {pagination && pagination.totalPages > 1 && (
+          <nav className="user-management__pagination" aria-label="Pages">
+            <button
+              type="button"
+              className="user-management__button"
+              onClick={() => search(pagination.page - 1)}
+              disabled={loading.users || pagination.page <= 1}
+            >
+              Previous
+            </button>
+            <span>Page {pagination.page} of {pagination.totalPages}</span>
+            <button
+              type="button"
+              className="user-management__button"
+              onClick={() => search(pagination.page + 1)}
+              disabled={loading.users || pagination.page >= pagination.totalPages}
+            >
+              Next
+            </button>
+          </nav>
+        )}
+      </section>
+
+      {dialogAction && (
+        <AdminActionDialog
+          action={dialogAction}
+          targetLabel={`${selectedIds.length} user${selectedIds.length === 1 ? '' : 's'}`}
+          isSubmitting={loading.action}
+          error={error.action}
+          onSubmit={handleBulkSubmit}
+          onClose={() => setDialogAction(null)}
+        />
+      )}
+    </div>
+  );
+};
+
+export default UserManagement;
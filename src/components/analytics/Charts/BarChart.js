@@ -0,0 +1,77 @@
+/**
+ * GPS Lab Platform - BarChart Component
+ *
+ * Responsive bar chart over recharts for one or more series. Animation is
+ * off so charts are fully drawn when a report is printed.
+ *
+ * @module components/analytics/Charts/BarChart
+ */
+
+import React from 'react';
+import {
+  ResponsiveContainer,
+  BarChart as RechartsBarChart,
+  Bar,
+  CartesianGrid,
+  XAxis,
+  YAxis,
+  Tooltip,
+  Legend
+} from 'recharts';
+import { CHART_COLORS } from '../../../utils/constants/ui.constants';
+import './BarChart.css';
+
+/**
+ * BarChart Component
+ * @param {Object} props - Component props
+ * @param {Array<Object>} props.data - Rows, one per bar group
+ * @param {string} props.xKey - Key of the category on each row
+ * @param {Array<Object>} props.series - [{ key, label, color?, stackId? }]
+ * @param {string} [props.title] - Caption
+ * @param {number} [props.height] - Height in pixels
+ * @param {Function} [props.formatX] - Formats category labels
+ * @param {Function} [props.formatValue] - Formats values in the axis and tooltip
+ * @param {string} [props.emptyMessage] - Shown when there is no data
+ */
+const BarChart = ({
+  data = [],
+  xKey,
+  series = [],
+  title,
+  height = 260,
+  formatX,
+  formatValue,
+  emptyMessage = 'No data for this period.',
+  className = ''
+}) => {
+  return (
+    <figure className={`bar-chart ${className}`}>
+      {title && <figcaption className="bar-chart__title">{title}</figcaption>}
+      {data.length === 0 ? (
+        <p className="bar-chart__empty">{emptyMessage}</p>
+      ) : (
+        <ResponsiveContainer width="100%" height={height}>
+          <RechartsBarChart data={data} margin={{ top: 8, right: 8, bottom: 0, left: 0 }}>
+            <CartesianGrid strokeDasharray="3 3" vertical={false} />
+            <XAxis dataKey={xKey} tickFormatter={formatX} tick={{ fontSize: 12 }} />
+            <YAxis tickFormatter={formatValue} tick={{ fontSize: 12 }} allowDecimals={false} width={48} />
+            <Tooltip labelFormatter={formatX} formatter={formatValue ? (value) => formatValue(value) : undefined} />
+            {series.length > 1 && <Legend wrapperStyle={{ fontSize: 12 }} />}
+            {series.map((s, i) => (
+              <Bar
+                key={s.key}
+                dataKey={s.key}
+                name={s.label}
+                stackId={s.stackId}
+                fill={s.color || CHART_COLORS[i % CHART_COLORS.length]}
+                isAnimationActive={false}
+              />
+            ))}
+          </RechartsBarChart>
+        </ResponsiveContainer>
+      )}
+    </figure>
+  );
+};
+
+export default BarChart;
@@ -0,0 +1,79 @@
+/**
+ * GPS Lab Platform - LineChart Component
+ *
+ * Responsive line chart over recharts for one or more series. Animation is
+ * off so charts are fully drawn when a report is printed.
+ *
+ * @module components/analytics/Charts/LineChart
+ */
+
+import React from 'react';
+import {
+  ResponsiveContainer,
+  LineChart as RechartsLineChart,
+  Line,
+  CartesianGrid,
+  XAxis,
+  YAxis,
+  Tooltip,
+  Legend
+} from 'recharts';
+import { CHART_COLORS } from '../../../utils/constants/ui.constants';
+import './LineChart.css';
+
+/**
+ * LineChart Component
+ * @param {Object} props - Component props
+ * @param {Array<Object>} props.data - Rows, one per point on the x axis
+ * @param {string} props.xKey - Key of the category on each row
+ * @param {Array<Object>} props.series - [{ key, label, color? }]
+ * @param {string} [props.title] - Caption
+ * @param {number} [props.height] - Height in pixels
+ * @param {Function} [props.formatX] - Formats category labels
+ * @param {Function} [props.formatValue] - Formats values in the axis and tooltip
+ * @param {string} [props.emptyMessage] - Shown when there is no data
+ */
+const LineChart = ({
+  data = [],
+  xKey,
+  series = [],
+  title,
+  height = 260,
+  formatX,
+  formatValue,
+  emptyMessage = 'No data for this period.',
+  className = ''
+}) => {
+  return (
+    <figure className={`line-chart ${className}`}>
+      {title && <figcaption className="line-chart__title">{title}</figcaption>}
+      {data.length === 0 ? (
+        <p className="line-chart__empty">{emptyMessage}</p>
+      ) : (
+        <ResponsiveContainer width="100%" height={height}>
+          <RechartsLineChart data={data} margin={{ top: 8, right: 8, bottom: 0, left: 0 }}>
+            <CartesianGrid strokeDasharray="3 3" vertical={false} />
+            <XAxis dataKey={xKey} tickFormatter={formatX} tick={{ fontSize: 12 }} />
+            <YAxis tickFormatter={formatValue} tick={{ fontSize: 12 }} allowDecimals={false} width={48} />
+            <Tooltip labelFormatter={formatX} formatter={formatValue ? (value) => formatValue(value) : undefined} />
+            {series.length > 1 && <Legend wrapperStyle={{ fontSize: 12 }} />}
+            {series.map((s, i) => (
+              <Line
+                key={s.key}
+                type="monotone"
+                dataKey={s.key}
+                name={s.label}
+                stroke={s.color || CHART_COLORS[i % CHART_COLORS.length]}
+                strokeWidth={2}
+                dot={{ r: 3 }}
+                isAnimationActive={false}
+              />
+            ))}
+          </RechartsLineChart>
+        </ResponsiveContainer>
+      )}
+    </figure>
+  );
+};
+
+export default LineChart;
@@ -0,0 +1,79 @@
+/**
+ * GPS Lab Platform - ImpactReport Component
+ *
+ * Cohort-wide section of a generated report: the chosen metrics across
+ * every student, stage deliverables submitted and how LQ (leadership
+ * quotient) levels are spread across the cohort.
+ *
+ * @module components/analytics/Reports/ImpactReport
+ */
+
+import React from 'react';
+import { REPORT_METRICS, LQ_LEVELS, formatMetricValue } from '../../../utils/helpers/report.helper';
+import { GPS_101_STRUCTURE } from '../../../utils/helpers/gps101.helper';
+import BarChart from '../Charts/BarChart';
+import './ImpactReport.css';
+
+/**
+ * ImpactReport Component
+ * @param {Object} props - Component props
+ * @param {Object} props.report - Report from university.service getCohortReport
+ * @param {Array<string>} props.metrics - Chosen metric IDs
+ */
+const ImpactReport = ({ report, metrics = [], className = '' }) => {
+  const { summary } = report;
+  const chosen = REPORT_METRICS.filter(metric => metrics.includes(metric.id));
+
+  const stageData = Object.entries(summary.deliverablesByStage).map(([stage, count]) => ({
+    stage: `Stage ${stage}`,
+    deliverable: GPS_101_STRUCTURE.STAGES[stage]?.deliverable,
+    count
+  }));
+  const lqData = LQ_LEVELS.map(level => ({ level, students: summary.lqLevels[level] || 0 }));
+
+  return (
+    <section className={`impact-report ${className}`}>
+      <h2 className="impact-report__title">Cohort summary</h2>
+
+      <dl className="impact-report__stats">
+        <div className="impact-report__stat">
+          <dt>Students</dt>
+          <dd>{summary.students}</dd>
+          <span className="impact-report__hint">{summary.activeStudents} active in this period</span>
+        </div>
+        {chosen.map(metric => (
+          <div key={metric.id} className="impact-report__stat">
+            <dt>{metric.id === 'lqScore' ? 'Average LQ score' : metric.label}</dt>
+            <dd>{formatMetricValue(metric.id, summary[metric.id])}</dd>
+            <span className="impact-report__hint">{metric.description}</span>
+          </div>
+        ))}
+      </dl>
+
+      {(metrics.includes('deliverablesSubmitted') || metrics.includes('lqScore')) && (
+        <div className="impact-report__charts">
+          {metrics.includes('deliverablesSubmitted') && (
+            <BarChart
+              title="Deliverables submitted by stage"
+              data={stageData}
+              xKey="stage"
+              series={[{ key: 'count', label: 'Deliverables' }]}
+              height={220}
+            />
+          )}
+          {metrics.includes('lqScore') && (
+            <BarChart
+              title="Students by LQ level"
+              data={lqData}
+              xKey="level"
+              series={[{ key: 'students', label: 'Students' }]}
+              height={220}
+            />
+          )}
+        </div>
+      )}
+    </section>
+  );
+};
+
+export default ImpactReport;
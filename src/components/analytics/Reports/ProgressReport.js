@@ -0,0 +1,107 @@
+/**
+ * GPS Lab Platform - ProgressReport Component
+ *
+ * Student-level section of a generated report: weekly checkpoint and
+ * Baraka activity over the report's date range, and a table with each
+ * student's chosen metrics.
+ *
+ * @module components/analytics/Reports/ProgressReport
+ */
+
+import React from 'react';
+import { REPORT_METRICS, formatMetricValue } from '../../../utils/helpers/report.helper';
+import { PROGRESS_STATUS_LABELS } from '../../../utils/helpers/cohort.helper';
+import BarChart from '../Charts/BarChart';
+import LineChart from '../Charts/LineChart';
+import './ProgressReport.css';
+
+/**
+ * Formats the first day of a week for the chart axis
+ * @param {string} date - ISO date
+ * @returns {string} e.g. "Mar 3"
+ */
+const formatWeek = (date) => new Date(date).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+
+/**
+ * ProgressReport Component
+ * @param {Object} props - Component props
+ * @param {Object} props.report - Report from university.service getCohortReport
+ * @param {Array<string>} props.metrics - Chosen metric IDs
+ */
+const ProgressReport = ({ report, metrics = [], className = '' }) => {
+  const chosen = REPORT_METRICS.filter(metric => metrics.includes(metric.id));
+  const showCheckpoints = metrics.includes('checkpointPassRate') || metrics.includes('averageAttempts');
+  const students = [...report.students].sort((a, b) => a.displayName.localeCompare(b.displayName));
+
+  return (
+    <section className={`progress-report ${className}`}>
+      {(showCheckpoints || metrics.includes('barakaEarned')) && (
+        <>
+          <h2 className="progress-report__title">Weekly activity</h2>
+          <div className="progress-report__charts">
+            {showCheckpoints && (
+              <BarChart
+                title="Checkpoint attempts and passes"
+                data={report.timeline}
+                xKey="weekStart"
+                formatX={formatWeek}
+                series={[
+                  { key: 'attempts', label: 'Attempts' },
+                  { key: 'checkpointsPassed', label: 'Passed' }
+                ]}
+              />
+            )}
+            {metrics.includes('barakaEarned') && (
+              <LineChart
+                title="Baraka earned"
+                data={report.timeline}
+                xKey="weekStart"
+                formatX={formatWeek}
+                formatValue={(value) => value.toLocaleString()}
+                series={[{ key: 'barakaEarned', label: 'Baraka' }]}
+              />
+            )}
+          </div>
+        </>
+      )}
+
+      <h2 className="progress-report__title">Students</h2>
+      {students.length === 0 ? (
+        <p className="progress-report__empty">This cohort has no students.</p>
+      ) : (
+        <table className="progress-report__table">
+          <thead>
+            <tr>
+              <th>Student</th>
+              <th>Pace</th>
+              {chosen.map(metric => <th key={metric.id}>{metric.label}</th>)}
+            </tr>
+          </thead>
+          <tbody>
+            {students.map(student => (
+              <tr key={student.id}>
+                <td>
+                  <span className="progress-report__name">{student.displayName}</span>
+                  <span className="progress-report__meta">
+                    {[student.studentNumber, student.email].filter(Boolean).join(' · ')}
+                  </span>
+                </td>
+                <td>{PROGRESS_STATUS_LABELS[student.progress.status]}</td>
+                {chosen.map(metric => (
+                  <td key={metric.id} className="progress-report__number">
+                    {formatMetricValue(metric.id, student.metrics[metric.id])}
+                    {metric.id === 'lqScore' && (
+                      <span className="progress-report__meta">{student.metrics.lqLevel}</span>
+                    )}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </section>
+  );
+};
+
+export default ProgressReport;
@@ -2,7 +2,8 @@
  * GPS Lab Platform - BarakaTransactionItem Component
  * 
  * Individual transaction record showing type, amount,
- * timestamp, and related context.
+ * timestamp, and related context, with the running balance after it
+ * and the covenant pool's share of anything spent.
  * 
  * UPDATED: GPS 101 Integration - Added GPS 101 transaction types
  * 
@@ -10,6 +11,7 @@
  */
 
 import React from 'react';
+import { getCounterAccount, splitCovenantReturn } from '../../../utils/helpers/baraka.ledger';
 import './BarakaTransactionItem.css';
 
 /**
@@ -72,6 +74,31 @@ const TRANSACTION_TYPES = {
     label: 'Transfer Received',
     color: 'success'
   },
+  transfer_out: {
+    icon: '➡️',
+    label: 'Transfer Sent',
+    color: 'warning'
+  },
+  transfer_in: {
+    icon: '⬅️',
+    label: 'Transfer Received',
+    color: 'success'
+  },
+  escrow_hold: {
+    icon: '🔐',
+    label: 'Held in Escrow',
+    color: 'warning'
+  },
+  escrow_release: {
+    icon: '🔓',
+    label: 'Escrow Released',
+    color: 'success'
+  },
+  escrow_refund: {
+    icon: '↩️',
+    label: 'Escrow Refunded',
+    color: 'primary'
+  },
   achievement: {
     icon: '🏆',
     label: 'Achievement',
@@ -169,6 +196,7 @@ const BarakaTransactionItem = ({
   transaction,
   onClick,
   showDetails = true,
+  showRunningBalance = true,
   variant = 'default', // default, compact
   className = '',
   ...props
@@ -183,7 +211,9 @@ const BarakaTransactionItem = ({
     description,
     reference,
     status = 'completed', // completed, pending, failed
-    balanceAfter
+    balance,
+    balanceAfter,
+    balanceMismatch = false
   } = transaction;
   
   const config = TRANSACTION_TYPES[type] || {
@@ -193,6 +223,9 @@ const BarakaTransactionItem = ({
   };
   
   const isPositive = amount >= 0;
+  const covenantShare = !isPositive && !getCounterAccount(transaction)
+    ? splitCovenantReturn(amount).covenant
+    : 0;
   
   const classNames = [
     'baraka-transaction-item',
@@ -248,13 +281,26 @@ const BarakaTransactionItem = ({
           {isPositive ? '+' : '-'}{formatNumber(amount)}
         </span>
         <span className="baraka-transaction-item__currency">🪙</span>
-        {balanceAfter !== undefined && (
-          <span className="baraka-transaction-item__balance-after">
-            Balance: {formatNumber(balanceAfter)}
+        {showDetails && covenantShare > 0 && (
+          <span className="baraka-transaction-item__covenant">
+            🤝 {formatNumber(covenantShare)} to covenant
           </span>
         )}
       </div>
       
+      {/* Running Balance */}
+      {showRunningBalance && balanceAfter !== undefined && (
+        <div
+          className={`baraka-transaction-item__running-balance ${balanceMismatch ? 'baraka-transaction-item__running-balance--mismatch' : ''}`}
+          title={balanceMismatch ? `Server reported ${formatNumber(balance)}` : undefined}
+        >
+          <span className="baraka-transaction-item__running-balance-label">Balance</span>
+          <span className="baraka-transaction-item__running-balance-value">
+            {balanceMismatch && '⚠️ '}{formatNumber(balanceAfter)}
+          </span>
+        </div>
+      )}
+      
       {/* Status indicator */}
       {status !== 'completed' && (
         <span className={`baraka-transaction-item__status baraka-transaction-item__status--${status}`}>
@@ -2,13 +2,20 @@
  * GPS Lab Platform - BarakaTransactionList Component
  * 
  * Scrollable list of Baraka transactions with filtering
- * and grouping by date.
+ * and grouping by date. Running balances are derived from the
+ * whole list before it is filtered, and a reconciliation result
+ * flags where the ledger and the server balance disagree.
  * 
  * @module components/baraka/BarakaTransactions/BarakaTransactionList
  */
 
 import React, { useState, useCallback, useMemo } from 'react';
 import BarakaTransactionItem, { TRANSACTION_TYPES } from './BarakaTransactionItem';
+import {
+  RECONCILIATION_STATUS,
+  withRunningBalance,
+  summarizeCovenantSplit
+} from '../../../utils/helpers/baraka.ledger';
 import './BarakaTransactionList.css';
 
 /**
@@ -55,6 +62,52 @@ const groupByDate = (transactions) => {
   return groups;
 };
 
+/**
+ * Ledger reconciliation notice
+ */
+const ReconciliationBanner = ({ reconciliation, onReconcile, isReconciling }) => {
+  const { status, stale, derivedBalance, serverBalance, difference, breaks = [] } = reconciliation;
+  const isMismatch = status === RECONCILIATION_STATUS.MISMATCH;
+
+  if (!isMismatch && !stale) {
+    return status === RECONCILIATION_STATUS.BALANCED ? (
+      <div className="baraka-transaction-list__reconciliation baraka-transaction-list__reconciliation--balanced">
+        ✓ Ledger balances with your wallet ({derivedBalance.toLocaleString()} 🪙)
+      </div>
+    ) : null;
+  }
+
+  return (
+    <div
+      className={`baraka-transaction-list__reconciliation baraka-transaction-list__reconciliation--${isMismatch ? 'mismatch' : 'stale'}`}
+      role={isMismatch ? 'alert' : 'status'}
+    >
+      <p className="baraka-transaction-list__reconciliation-text">
+        {isMismatch ? (
+          <>
+            ⚠️ Entries sum to {derivedBalance.toLocaleString()} 🪙
+            {serverBalance !== null && ` but your wallet shows ${serverBalance.toLocaleString()} 🪙 (${difference > 0 ? '+' : ''}${difference.toLocaleString()})`}
+            {breaks.length > 0 && `. ${breaks.length} transaction${breaks.length !== 1 ? 's' : ''} break the running balance`}
+            .
+          </>
+        ) : (
+          'Your balance has changed since this history was loaded.'
+        )}
+      </p>
+      {onReconcile && (
+        <button
+          type="button"
+          className="baraka-transaction-list__reconciliation-btn"
+          onClick={onReconcile}
+          disabled={isReconciling}
+        >
+          {isReconciling ? 'Reconciling...' : 'Reconcile'}
+        </button>
+      )}
+    </div>
+  );
+};
+
 /**
  * BarakaTransactionList Component
  */
@@ -68,6 +121,10 @@ const BarakaTransactionList = ({
   showFilters = true,
   showGrouping = true,
   showHeader = true,
+  showRunningBalance = true,
+  reconciliation,
+  onReconcile,
+  isReconciling = false,
   emptyMessage = 'No transactions yet',
   className = '',
   ...props
@@ -75,9 +132,14 @@ const BarakaTransactionList = ({
   const [activeFilter, setActiveFilter] = useState('all');
   const [searchQuery, setSearchQuery] = useState('');
   
+  // Running balances need the whole history, so they come before filtering
+  const ledgerTransactions = useMemo(() => (
+    showRunningBalance ? withRunningBalance(transactions) : transactions
+  ), [transactions, showRunningBalance]);
+  
   // Filter transactions
   const filteredTransactions = useMemo(() => {
-    let filtered = transactions;
+    let filtered = ledgerTransactions;
     
     // Apply type filter
     switch (activeFilter) {
@@ -88,9 +150,7 @@ const BarakaTransactionList = ({
         filtered = filtered.filter((t) => t.amount < 0);
         break;
       case 'transfers':
-        filtered = filtered.filter((t) => 
-          t.type === 'transfer_sent' || t.type === 'transfer_received'
-        );
+        filtered = filtered.filter((t) => /^(transfer|escrow)_/.test(t.type));
         break;
       default:
         break;
@@ -110,7 +170,7 @@ const BarakaTransactionList = ({
     }
     
     return filtered;
-  }, [transactions, activeFilter, searchQuery]);
+  }, [ledgerTransactions, activeFilter, searchQuery]);
   
   // Group transactions
   const groupedTransactions = useMemo(() => {
@@ -120,7 +180,7 @@ const BarakaTransactionList = ({
   
   // Calculate totals
   const totals = useMemo(() => {
-    return filteredTransactions.reduce(
+    const sums = filteredTransactions.reduce(
       (acc, t) => {
         if (t.amount > 0) {
           acc.earned += t.amount;
@@ -131,6 +191,7 @@ const BarakaTransactionList = ({
       },
       { earned: 0, spent: 0 }
     );
+    return { ...sums, covenant: summarizeCovenantSplit(filteredTransactions).covenant };
   }, [filteredTransactions]);
   
   const handleTransactionClick = useCallback((transaction) => {
@@ -161,6 +222,14 @@ const BarakaTransactionList = ({
               <span className="baraka-transaction-list__total baraka-transaction-list__total--spent">
                 -{totals.spent.toLocaleString()} 🪙
               </span>
+              {totals.covenant > 0 && (
+                <span
+                  className="baraka-transaction-list__total baraka-transaction-list__total--covenant"
+                  title="Share of spending returned to the covenant pool"
+                >
+                  🤝 {totals.covenant.toLocaleString()}
+                </span>
+              )}
             </div>
           </div>
           
@@ -178,6 +247,15 @@ const BarakaTransactionList = ({
         </header>
       )}
       
+      {/* Reconciliation */}
+      {reconciliation && (
+        <ReconciliationBanner
+          reconciliation={reconciliation}
+          onReconcile={onReconcile}
+          isReconciling={isReconciling}
+        />
+      )}
+      
       {/* Filters */}
       {showFilters && (
         <div className="baraka-transaction-list__filters">
@@ -231,6 +309,7 @@ const BarakaTransactionList = ({
                     <BarakaTransactionItem
                       key={transaction.id}
                       transaction={transaction}
+                      showRunningBalance={showRunningBalance}
                       onClick={() => handleTransactionClick(transaction)}
                     />
                   ))}
@@ -0,0 +1,265 @@
+/**
+ * GPS Lab Platform - BarakaEscrow Component
+ *
+ * Hold Baraka for a party member until a party task is done. Escrow is
+ * paid out when the task is completed and comes back to the funder if
+ * the task is cancelled or left open a week past its due date. The
+ * funder can release early or take the Baraka back; the recipient can
+ * turn it down.
+ *
+ * @module components/baraka/BarakaTransfer/BarakaEscrow
+ */
+
+import React, { useState, useCallback } from 'react';
+import {
+  ESCROW_STATUS,
+  ESCROW_GRACE_DAYS,
+  requiresConfirmation,
+  getEscrowActions
+} from '../../../utils/helpers/baraka.transfer';
+import { validateEscrow } from '../../../utils/validators/baraka.validator';
+import './BarakaEscrow.css';
+
+const STATUS_LABELS = {
+  [ESCROW_STATUS.HELD]: 'Held',
+  [ESCROW_STATUS.RELEASED]: 'Released',
+  [ESCROW_STATUS.REFUNDED]: 'Refunded'
+};
+
+const OPEN_TASK_STATUSES = ['todo', 'in_progress'];
+
+/**
+ * Format a date
+ */
+const formatDate = (iso) => new Date(iso).toLocaleDateString('en-US', {
+  month: 'short',
+  day: 'numeric'
+});
+
+/**
+ * BarakaEscrow Component
+ */
+const BarakaEscrow = ({
+  escrows = [],
+  tasks = [],
+  members = [],
+  currentUserId,
+  available = 0,
+  limits,
+  onCreate,
+  onSettle,
+  isSubmitting = false,
+  isSettling = false,
+  submitError,
+  settleError,
+  className = '',
+  ...props
+}) => {
+  const [taskId, setTaskId] = useState('');
+  const [recipientId, setRecipientId] = useState('');
+  const [amount, setAmount] = useState('');
+  const [message, setMessage] = useState('');
+  const [errors, setErrors] = useState({});
+  const [isConfirming, setIsConfirming] = useState(false);
+
+  const openTasks = tasks.filter((t) => OPEN_TASK_STATUSES.includes(t.status));
+  const recipients = members.filter((m) => m.id !== currentUserId);
+  const numAmount = parseInt(amount, 10) || 0;
+  const nameOf = (userId) => (userId === currentUserId
+    ? 'you'
+    : members.find((m) => m.id === userId)?.displayName || 'a party member');
+
+  const handleTaskChange = useCallback((e) => {
+    const task = tasks.find((t) => t.id === e.target.value);
+    setTaskId(e.target.value);
+    // Default to paying whoever the task is assigned to
+    if (task?.assigneeId && task.assigneeId !== currentUserId) setRecipientId(task.assigneeId);
+    setIsConfirming(false);
+  }, [tasks, currentUserId]);
+
+  const submit = useCallback(async () => {
+    if (!onCreate) return;
+    const created = await onCreate({ taskId, recipientId, amount: numAmount, message });
+    if (created) {
+      setAmount('');
+      setMessage('');
+    }
+    setIsConfirming(false);
+  }, [onCreate, taskId, recipientId, numAmount, message]);
+
+  const handleSubmit = useCallback((e) => {
+    e.preventDefault();
+    const { valid, errors: newErrors } = validateEscrow(
+      { taskId, recipientId, amount: numAmount, message },
+      { available, remaining: limits?.remaining }
+    );
+    setErrors(newErrors);
+    if (!valid) return;
+
+    if (requiresConfirmation(numAmount)) {
+      setIsConfirming(true);
+    } else {
+      submit();
+    }
+  }, [taskId, recipientId, numAmount, message, available, limits, submit]);
+
+  const classNames = [
+    'baraka-escrow',
+    className
+  ].filter(Boolean).join(' ');
+
+  return (
+    <div className={classNames} {...props}>
+      {/* Hold Form */}
+      <form className="baraka-escrow__form" onSubmit={handleSubmit}>
+        <p className="baraka-escrow__intro">
+          Baraka in escrow is paid out when the task is completed, or comes back to you if the task
+          is cancelled or still open {ESCROW_GRACE_DAYS} days after it is due.
+        </p>
+
+        <label className="baraka-escrow__label" htmlFor="baraka-escrow-task">Party task</label>
+        <select
+          id="baraka-escrow-task"
+          className={`baraka-escrow__input ${errors.taskId ? 'baraka-escrow__input--error' : ''}`}
+          value={taskId}
+          onChange={handleTaskChange}
+        >
+          <option value="">Choose an open task</option>
+          {openTasks.map((t) => (
+            <option key={t.id} value={t.id}>{t.title}</option>
+          ))}
+        </select>
+        {errors.taskId && <span className="baraka-escrow__error">{errors.taskId}</span>}
+
+        <label className="baraka-escrow__label" htmlFor="baraka-escrow-recipient">Pay to</label>
+        <select
+          id="baraka-escrow-recipient"
+          className={`baraka-escrow__input ${errors.recipientId ? 'baraka-escrow__input--error' : ''}`}
+          value={recipientId}
+          onChange={(e) => setRecipientId(e.target.value)}
+        >
+          <option value="">Choose a party member</option>
+          {recipients.map((m) => (
+            <option key={m.id} value={m.id}>{m.displayName}</option>
+          ))}
+        </select>
+        {errors.recipientId && <span className="baraka-escrow__error">{errors.recipientId}</span>}
+
+        <label className="baraka-escrow__label" htmlFor="baraka-escrow-amount">
+          Amount · {available.toLocaleString()} 🪙 available
+          {limits && `, ${limits.remaining.toLocaleString()} 🪙 left to send today`}
+        </label>
+        <input
+          id="baraka-escrow-amount"
+          type="text"
+          inputMode="numeric"
+          value={amount}
+          onChange={(e) => {
+            setAmount(e.target.value.replace(/[^0-9]/g, ''));
+            setIsConfirming(false);
+          }}
+          placeholder="0"
+          className={`baraka-escrow__input baraka-escrow__input--amount ${errors.amount ? 'baraka-escrow__input--error' : ''}`}
+        />
+        {errors.amount && <span className="baraka-escrow__error">{errors.amount}</span>}
+
+        <input
+          type="text"
+          value={message}
+          onChange={(e) => setMessage(e.target.value)}
+          placeholder="Note (optional)"
+          aria-label="Note"
+          className="baraka-escrow__input"
+        />
+        {errors.message && <span className="baraka-escrow__error">{errors.message}</span>}
+        {submitError && <span className="baraka-escrow__error">{submitError}</span>}
+
+        {isConfirming ? (
+          <div className="baraka-escrow__confirm" role="alert">
+            <p>
+              Hold <strong>{numAmount.toLocaleString()} 🪙</strong> for {nameOf(recipientId)}?
+              It leaves your wallet now and counts toward today's send limit.
+            </p>
+            <div className="baraka-escrow__actions">
+              <button type="button" className="baraka-escrow__btn" onClick={() => setIsConfirming(false)}>
+                Back
+              </button>
+              <button type="button" className="baraka-escrow__submit" onClick={submit} disabled={isSubmitting}>
+                {isSubmitting ? 'Holding...' : 'Confirm escrow'}
+              </button>
+            </div>
+          </div>
+        ) : (
+          <button type="submit" className="baraka-escrow__submit" disabled={!amount || isSubmitting}>
+            {isSubmitting ? 'Holding...' : 'Hold in escrow'}
+          </button>
+        )}
+      </form>
+
+      {/* Escrows */}
+      <div className="baraka-escrow__positions">
+        <h4 className="baraka-escrow__title">Escrow</h4>
+        {settleError && <span className="baraka-escrow__error">{settleError}</span>}
+        {escrows.length === 0 ? (
+          <p className="baraka-escrow__empty">No Baraka is held in escrow.</p>
+        ) : (
+          <ul className="baraka-escrow__list">
+            {escrows.map((escrow) => {
+              const { canRelease, canRefund } = getEscrowActions(escrow, currentUserId);
+              const isFunder = escrow.funderId === currentUserId;
+
+              return (
+                <li key={escrow.id} className={`baraka-escrow__item baraka-escrow__item--${escrow.status}`}>
+                  <div className="baraka-escrow__main">
+                    <div className="baraka-escrow__info">
+                      <span className="baraka-escrow__task">{escrow.taskTitle}</span>
+                      <span className="baraka-escrow__parties">
+                        {isFunder ? `For ${nameOf(escrow.recipientId)}` : `From ${nameOf(escrow.funderId)}`}
+                        {escrow.status === ESCROW_STATUS.HELD
+                          ? ` · returns ${formatDate(escrow.expiresAt)} if not done`
+                          : ` · ${formatDate(escrow.settledAt)}`}
+                      </span>
+                    </div>
+                    <div className="baraka-escrow__side">
+                      <span className="baraka-escrow__amount">{escrow.amount.toLocaleString()} 🪙</span>
+                      <span className={`baraka-escrow__status baraka-escrow__status--${escrow.status}`}>
+                        {STATUS_LABELS[escrow.status]}
+                      </span>
+                    </div>
+                  </div>
+
+                  {(canRelease || canRefund) && (
+                    <div className="baraka-escrow__actions">
+                      {canRelease && (
+                        <button
+                          type="button"
+                          className="baraka-escrow__btn baraka-escrow__btn--release"
+                          onClick={() => onSettle && onSettle({ escrow, action: 'release' })}
+                          disabled={isSettling}
+                        >
+                          Release now
+                        </button>
+                      )}
+                      {canRefund && (
+                        <button
+                          type="button"
+                          className="baraka-escrow__btn"
+                          onClick={() => onSettle && onSettle({ escrow, action: 'refund' })}
+                          disabled={isSettling}
+                        >
+                          {isFunder ? 'Take back' : 'Decline'}
+                        </button>
+                      )}
+                    </div>
+                  )}
+                </li>
+              );
+            })}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default BarakaEscrow;
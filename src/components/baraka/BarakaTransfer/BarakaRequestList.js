@@ -0,0 +1,187 @@
+/**
+ * GPS Lab Platform - BarakaRequestList Component
+ *
+ * Baraka requests to and from the learner, including shares of split
+ * store purchases. Incoming requests can be paid or declined, and the
+ * learner's own pending requests cancelled.
+ *
+ * @module components/baraka/BarakaTransfer/BarakaRequestList
+ */
+
+import React, { useState, useCallback } from 'react';
+import { REQUEST_STATUS, requiresConfirmation } from '../../../utils/helpers/baraka.transfer';
+import './BarakaRequestList.css';
+
+const STATUS_LABELS = {
+  [REQUEST_STATUS.PENDING]: 'Pending',
+  [REQUEST_STATUS.PAID]: 'Paid',
+  [REQUEST_STATUS.DECLINED]: 'Declined',
+  [REQUEST_STATUS.CANCELLED]: 'Cancelled'
+};
+
+/**
+ * Format a date
+ */
+const formatDate = (iso) => new Date(iso).toLocaleDateString('en-US', {
+  month: 'short',
+  day: 'numeric'
+});
+
+/**
+ * One request
+ */
+const RequestRow = ({ request, direction, available, onRespond, isResponding }) => {
+  const [isConfirming, setIsConfirming] = useState(false);
+  const isPending = request.status === REQUEST_STATUS.PENDING;
+  const other = direction === 'incoming' ? request.requester : request.payer;
+  const canPay = available >= request.amount;
+
+  const respond = useCallback(async (action) => {
+    if (onRespond) await onRespond({ request, action });
+    setIsConfirming(false);
+  }, [request, onRespond]);
+
+  const handlePay = useCallback(() => {
+    if (requiresConfirmation(request.amount)) {
+      setIsConfirming(true);
+    } else {
+      respond('pay');
+    }
+  }, [request.amount, respond]);
+
+  return (
+    <li className={`baraka-request-list__item baraka-request-list__item--${request.status}`}>
+      <div className="baraka-request-list__main">
+        <div className="baraka-request-list__info">
+          <span className="baraka-request-list__who">
+            {direction === 'incoming' ? `${other?.displayName} asks` : `You asked ${other?.displayName}`}
+            {request.splitId && <span className="baraka-request-list__tag">Split</span>}
+          </span>
+          {request.message && (
+            <span className="baraka-request-list__message">{request.message}</span>
+          )}
+          <span className="baraka-request-list__date">{formatDate(request.createdAt)}</span>
+        </div>
+        <div className="baraka-request-list__side">
+          <span className="baraka-request-list__amount">{request.amount.toLocaleString()} 🪙</span>
+          <span className={`baraka-request-list__status baraka-request-list__status--${request.status}`}>
+            {STATUS_LABELS[request.status]}
+          </span>
+        </div>
+      </div>
+
+      {isPending && !isConfirming && (
+        <div className="baraka-request-list__actions">
+          {direction === 'incoming' ? (
+            <>
+              <button
+                type="button"
+                className="baraka-request-list__btn baraka-request-list__btn--pay"
+                onClick={handlePay}
+                disabled={!canPay || isResponding}
+                title={canPay ? undefined : `You have ${available.toLocaleString()} 🪙`}
+              >
+                Pay
+              </button>
+              <button
+                type="button"
+                className="baraka-request-list__btn"
+                onClick={() => respond('decline')}
+                disabled={isResponding}
+              >
+                Decline
+              </button>
+            </>
+          ) : (
+            <button
+              type="button"
+              className="baraka-request-list__btn"
+              onClick={() => respond('cancel')}
+              disabled={isResponding}
+            >
+              Cancel request
+            </button>
+          )}
+        </div>
+      )}
+
+      {isConfirming && (
+        <div className="baraka-request-list__confirm" role="alert">
+          <p>
+            Pay <strong>{request.amount.toLocaleString()} 🪙</strong> to {other?.displayName}?
+            You will have {(available - request.amount).toLocaleString()} 🪙 left.
+          </p>
+          <div className="baraka-request-list__actions">
+            <button type="button" className="baraka-request-list__btn" onClick={() => setIsConfirming(false)}>
+              Back
+            </button>
+            <button
+              type="button"
+              className="baraka-request-list__btn baraka-request-list__btn--pay"
+              onClick={() => respond('pay')}
+              disabled={isResponding}
+            >
+              {isResponding ? 'Paying...' : 'Confirm payment'}
+            </button>
+          </div>
+        </div>
+      )}
+    </li>
+  );
+};
+
+/**
+ * BarakaRequestList Component
+ */
+const BarakaRequestList = ({
+  incoming = [],
+  outgoing = [],
+  available = 0,
+  onRespond,
+  isResponding = false,
+  error,
+  showOutgoing = true,
+  className = '',
+  ...props
+}) => {
+  const classNames = [
+    'baraka-request-list',
+    className
+  ].filter(Boolean).join(' ');
+
+  const sections = [
+    { id: 'incoming', title: 'Asked of you', requests: incoming, empty: 'No one has asked you for Baraka.' },
+    showOutgoing && { id: 'outgoing', title: 'Your requests', requests: outgoing, empty: 'You have not asked anyone for Baraka.' }
+  ].filter(Boolean);
+
+  return (
+    <div className={classNames} {...props}>
+      {error && (
+        <span className="baraka-request-list__error">{error}</span>
+      )}
+      {sections.map((section) => (
+        <section key={section.id} className="baraka-request-list__section">
+          <h4 className="baraka-request-list__title">{section.title}</h4>
+          {section.requests.length === 0 ? (
+            <p className="baraka-request-list__empty">{section.empty}</p>
+          ) : (
+            <ul className="baraka-request-list__list">
+              {section.requests.map((request) => (
+                <RequestRow
+                  key={request.id}
+                  request={request}
+                  direction={section.id}
+                  available={available}
+                  onRespond={onRespond}
+                  isResponding={isResponding}
+                />
+              ))}
+            </ul>
+          )}
+        </section>
+      ))}
+    </div>
+  );
+};
+
+export default BarakaRequestList;
@@ -0,0 +1,136 @@
+/**
+ * GPS Lab Platform - BarakaSplitBill Component
+ *
+ * Buy a store item for the party and split its cost. The buyer pays in
+ * full now and everyone chosen is sent a request for their share.
+ *
+ * @module components/baraka/BarakaTransfer/BarakaSplitBill
+ */
+
+import React, { useState, useMemo, useCallback } from 'react';
+import { splitBill } from '../../../utils/helpers/baraka.transfer';
+import { validateBillSplit } from '../../../utils/validators/baraka.validator';
+import './BarakaSplitBill.css';
+
+/**
+ * BarakaSplitBill Component
+ */
+const BarakaSplitBill = ({
+  storeItems = [],
+  members = [],
+  currentUserId,
+  available = 0,
+  onSplit,
+  isSubmitting = false,
+  submitError,
+  className = '',
+  ...props
+}) => {
+  const [itemId, setItemId] = useState('');
+  const [quantity, setQuantity] = useState(1);
+  const [participantIds, setParticipantIds] = useState([]);
+  const [errors, setErrors] = useState({});
+
+  const item = storeItems.find((i) => i.id === itemId);
+  const total = item ? item.price * quantity : 0;
+  const others = members.filter((m) => m.id !== currentUserId);
+
+  // The buyer is listed first, so covers any rounding
+  const shares = useMemo(
+    () => (item && participantIds.length ? splitBill(total, [currentUserId, ...participantIds]) : []),
+    [item, total, currentUserId, participantIds]
+  );
+
+  const toggleParticipant = useCallback((id) => {
+    setParticipantIds((prev) => (prev.includes(id) ? prev.filter((p) => p !== id) : [...prev, id]));
+    setErrors((prev) => ({ ...prev, participantIds: null }));
+  }, []);
+
+  const handleSubmit = useCallback(async (e) => {
+    e.preventDefault();
+    const data = { itemId, quantity, participantIds };
+    const { valid, errors: newErrors } = validateBillSplit(data, { available }, total);
+    setErrors(newErrors);
+
+    if (valid && onSplit) {
+      const split = await onSplit(data);
+      if (split) setParticipantIds([]);
+    }
+  }, [itemId, quantity, participantIds, available, total, onSplit]);
+
+  const nameOf = (userId) => (userId === currentUserId
+    ? 'You'
+    : members.find((m) => m.id === userId)?.displayName);
+
+  const classNames = [
+    'baraka-split-bill',
+    className
+  ].filter(Boolean).join(' ');
+
+  return (
+    <form className={classNames} onSubmit={handleSubmit} {...props}>
+      <div className="baraka-split-bill__row">
+        <select
+          className={`baraka-split-bill__input ${errors.itemId ? 'baraka-split-bill__input--error' : ''}`}
+          value={itemId}
+          onChange={(e) => setItemId(e.target.value)}
+          aria-label="Store item"
+        >
+          <option value="">Choose a store item</option>
+          {storeItems.map((i) => (
+            <option key={i.id} value={i.id} disabled={i.stock === 0}>
+              {i.icon} {i.name} · {i.price.toLocaleString()} 🪙
+            </option>
+          ))}
+        </select>
+        <input
+          type="number"
+          min="1"
+          max={item?.stock || undefined}
+          value={quantity}
+          onChange={(e) => setQuantity(Math.max(1, parseInt(e.target.value, 10) || 1))}
+          className="baraka-split-bill__input baraka-split-bill__input--quantity"
+          aria-label="Quantity"
+        />
+      </div>
+      {errors.itemId && <span className="baraka-split-bill__error">{errors.itemId}</span>}
+
+      <fieldset className="baraka-split-bill__members">
+        <legend className="baraka-split-bill__label">Split with</legend>
+        {others.map((m) => (
+          <label key={m.id} className="baraka-split-bill__member">
+            <input
+              type="checkbox"
+              checked={participantIds.includes(m.id)}
+              onChange={() => toggleParticipant(m.id)}
+            />
+            {m.displayName}
+          </label>
+        ))}
+      </fieldset>
+      {errors.participantIds && <span className="baraka-split-bill__error">{errors.participantIds}</span>}
+
+      {shares.length > 0 && (
+        <ul className="baraka-split-bill__shares">
+          {shares.map((share) => (
+            <li key={share.userId} className="baraka-split-bill__share">
+              <span>{nameOf(share.userId)}</span>
+              <span className="baraka-split-bill__share-amount">{share.amount.toLocaleString()} 🪙</span>
+            </li>
+          ))}
+          <li className="baraka-split-bill__share baraka-split-bill__share--total">
+            <span>You pay now</span>
+            <span className="baraka-split-bill__share-amount">{total.toLocaleString()} 🪙</span>
+          </li>
+        </ul>
+      )}
+      {submitError && <span className="baraka-split-bill__error">{submitError}</span>}
+
+      <button type="submit" className="baraka-split-bill__submit" disabled={!item || isSubmitting}>
+        {isSubmitting ? 'Buying...' : 'Buy and split'}
+      </button>
+    </form>
+  );
+};
+
+export default BarakaSplitBill;
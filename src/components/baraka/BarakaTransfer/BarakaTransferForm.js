@@ -0,0 +1,223 @@
+/**
+ * GPS Lab Platform - BarakaTransferForm Component
+ *
+ * Send Baraka to a party member or ask one for Baraka. Sends count
+ * against a daily allowance, and sends above the confirmation
+ * threshold are checked once more before they go out.
+ *
+ * @module components/baraka/BarakaTransfer/BarakaTransferForm
+ */
+
+import React, { useState, useCallback } from 'react';
+import { requiresConfirmation } from '../../../utils/helpers/baraka.transfer';
+import { validateBarakaTransfer, validateBarakaRequest, LIMITS } from '../../../utils/validators/baraka.validator';
+import './BarakaTransferForm.css';
+
+const MODES = [
+  { id: 'send', label: 'Send', icon: '📤' },
+  { id: 'request', label: 'Request', icon: '🙋' }
+];
+
+/**
+ * BarakaTransferForm Component
+ */
+const BarakaTransferForm = ({
+  members = [],
+  available = 0,
+  limits,
+  initialMode = 'send',
+  onSend,
+  onRequest,
+  onCancel,
+  isSubmitting = false,
+  submitError,
+  className = '',
+  ...props
+}) => {
+  const [mode, setMode] = useState(initialMode);
+  const [memberId, setMemberId] = useState('');
+  const [amount, setAmount] = useState('');
+  const [message, setMessage] = useState('');
+  const [errors, setErrors] = useState({});
+  const [isConfirming, setIsConfirming] = useState(false);
+
+  const isSend = mode === 'send';
+  const numAmount = parseInt(amount, 10) || 0;
+  const member = members.find((m) => m.id === memberId);
+
+  const reset = useCallback(() => {
+    setAmount('');
+    setMessage('');
+    setIsConfirming(false);
+  }, []);
+
+  const handleModeChange = useCallback((nextMode) => {
+    setMode(nextMode);
+    setErrors({});
+    setIsConfirming(false);
+  }, []);
+
+  const handleAmountChange = useCallback((e) => {
+    setAmount(e.target.value.replace(/[^0-9]/g, ''));
+    setErrors((prev) => ({ ...prev, amount: null }));
+    setIsConfirming(false);
+  }, []);
+
+  const submit = useCallback(async () => {
+    const handler = isSend ? onSend : onRequest;
+    if (!handler) return;
+    const done = await handler(isSend
+      ? { recipientId: memberId, amount: numAmount, message }
+      : { payerId: memberId, amount: numAmount, message });
+    if (done) reset();
+    else setIsConfirming(false);
+  }, [isSend, onSend, onRequest, memberId, numAmount, message, reset]);
+
+  const handleSubmit = useCallback((e) => {
+    e.preventDefault();
+    const { valid, errors: newErrors } = isSend
+      ? validateBarakaTransfer({ recipientId: memberId, amount: numAmount, message }, { available, remaining: limits?.remaining })
+      : validateBarakaRequest({ payerId: memberId, amount: numAmount, message });
+    setErrors(newErrors);
+    if (!valid) return;
+
+    if (isSend && requiresConfirmation(numAmount)) {
+      setIsConfirming(true);
+    } else {
+      submit();
+    }
+  }, [isSend, memberId, numAmount, message, available, limits, submit]);
+
+  const classNames = [
+    'baraka-transfer-form',
+    className
+  ].filter(Boolean).join(' ');
+
+  return (
+    <form className={classNames} onSubmit={handleSubmit} {...props}>
+      {/* Mode */}
+      <div className="baraka-transfer-form__modes" role="tablist">
+        {MODES.map((m) => (
+          <button
+            key={m.id}
+            type="button"
+            role="tab"
+            aria-selected={mode === m.id}
+            className={`baraka-transfer-form__mode ${mode === m.id ? 'baraka-transfer-form__mode--active' : ''}`}
+            onClick={() => handleModeChange(m.id)}
+          >
+            <span>{m.icon}</span>
+            {m.label}
+          </button>
+        ))}
+      </div>
+
+      {/* Member */}
+      <label className="baraka-transfer-form__label" htmlFor="baraka-transfer-member">
+        {isSend ? 'Send to' : 'Request from'}
+      </label>
+      <select
+        id="baraka-transfer-member"
+        className={`baraka-transfer-form__input ${errors.recipientId || errors.payerId ? 'baraka-transfer-form__input--error' : ''}`}
+        value={memberId}
+        onChange={(e) => {
+          setMemberId(e.target.value);
+          setIsConfirming(false);
+        }}
+      >
+        <option value="">Choose a party member</option>
+        {members.map((m) => (
+          <option key={m.id} value={m.id}>{m.displayName}</option>
+        ))}
+      </select>
+      {(errors.recipientId || errors.payerId) && (
+        <span className="baraka-transfer-form__error">{errors.recipientId || errors.payerId}</span>
+      )}
+
+      {/* Amount */}
+      <label className="baraka-transfer-form__label" htmlFor="baraka-transfer-amount">
+        Amount
+        {isSend && ` · ${available.toLocaleString()} 🪙 available`}
+      </label>
+      <input
+        id="baraka-transfer-amount"
+        type="text"
+        inputMode="numeric"
+        value={amount}
+        onChange={handleAmountChange}
+        placeholder="0"
+        className={`baraka-transfer-form__input baraka-transfer-form__input--amount ${errors.amount ? 'baraka-transfer-form__input--error' : ''}`}
+      />
+      {errors.amount && (
+        <span className="baraka-transfer-form__error">{errors.amount}</span>
+      )}
+      {isSend && limits && (
+        <span className="baraka-transfer-form__hint">
+          {limits.remaining.toLocaleString()} of {limits.dailyLimit.toLocaleString()} 🪙 left to send today
+        </span>
+      )}
+
+      {/* Message */}
+      <label className="baraka-transfer-form__label" htmlFor="baraka-transfer-message">
+        Note (optional)
+      </label>
+      <input
+        id="baraka-transfer-message"
+        type="text"
+        value={message}
+        maxLength={LIMITS.MAX_MESSAGE}
+        onChange={(e) => setMessage(e.target.value)}
+        placeholder={isSend ? 'Thanks for the help!' : 'What is it for?'}
+        className="baraka-transfer-form__input"
+      />
+      {errors.message && (
+        <span className="baraka-transfer-form__error">{errors.message}</span>
+      )}
+
+      {submitError && (
+        <span className="baraka-transfer-form__error">{submitError}</span>
+      )}
+
+      {isConfirming ? (
+        <div className="baraka-transfer-form__confirm" role="alert">
+          <p>
+            Send <strong>{numAmount.toLocaleString()} 🪙</strong> to {member?.displayName}?
+            You will have {(available - numAmount).toLocaleString()} 🪙 left
+            {limits && ` and can send ${(limits.remaining - numAmount).toLocaleString()} 🪙 more today`}.
+          </p>
+          <div className="baraka-transfer-form__actions">
+            <button type="button" className="baraka-transfer-form__link-btn" onClick={() => setIsConfirming(false)}>
+              Back
+            </button>
+            <button
+              type="button"
+              className="baraka-transfer-form__submit"
+              onClick={submit}
+              disabled={isSubmitting}
+            >
+              {isSubmitting ? 'Sending...' : 'Confirm send'}
+            </button>
+          </div>
+        </div>
+      ) : (
+        <div className="baraka-transfer-form__actions">
+          {onCancel && (
+            <button type="button" className="baraka-transfer-form__link-btn" onClick={onCancel}>
+              Cancel
+            </button>
+          )}
+          <button
+            type="submit"
+            className="baraka-transfer-form__submit"
+            disabled={!amount || isSubmitting}
+          >
+            {isSubmitting && (isSend ? 'Sending...' : 'Requesting...')}
+            {!isSubmitting && (isSend ? 'Send Baraka' : 'Request Baraka')}
+          </button>
+        </div>
+      )}
+    </form>
+  );
+};
+
+export default BarakaTransferForm;
@@ -2,13 +2,17 @@
  * GPS Lab Platform - BarakaWallet Component
  * 
  * Complete wallet interface showing balance, quick actions,
- * and summary statistics for the Baraka economy.
+ * and summary statistics for the Baraka economy. Given transfer
+ * props, Send opens the send/request form in place, and requests
+ * waiting on the learner are listed under the actions.
  * 
  * @module components/baraka/BarakaWallet/BarakaWallet
  */
 
 import React, { useState, useCallback } from 'react';
 import BarakaBalance from './BarakaBalance';
+import BarakaTransferForm from '../BarakaTransfer/BarakaTransferForm';
+import BarakaRequestList from '../BarakaTransfer/BarakaRequestList';
 import './BarakaWallet.css';
 
 /**
@@ -43,6 +47,10 @@ const BarakaWallet = ({
   rank = null,
   onAction,
   onBalanceClick,
+  transfer, // BarakaTransferForm props; Send opens the form when given
+  pendingRequests = [],
+  onRespondToRequest,
+  isResponding = false,
   showStats = true,
   showActions = true,
   variant = 'default', // default, compact, expanded
@@ -50,12 +58,23 @@ const BarakaWallet = ({
   ...props
 }) => {
   const [activeTab, setActiveTab] = useState('overview');
+  const [isTransferOpen, setIsTransferOpen] = useState(false);
   
   const handleAction = useCallback((actionId) => {
+    if (actionId === 'send' && transfer) {
+      setIsTransferOpen((open) => !open);
+      return;
+    }
     if (onAction) {
       onAction(actionId);
     }
-  }, [onAction]);
+  }, [onAction, transfer]);
+  
+  const handleSend = useCallback(async (data) => {
+    const sent = await transfer.onSend(data);
+    if (sent) setIsTransferOpen(false);
+    return sent;
+  }, [transfer]);
   
   const classNames = [
     'baraka-wallet',
@@ -142,11 +161,41 @@ const BarakaWallet = ({
             >
               <span className="baraka-wallet__action-icon">{action.icon}</span>
               <span className="baraka-wallet__action-label">{action.label}</span>
+              {action.id === 'send' && pendingRequests.length > 0 && (
+                <span className="baraka-wallet__action-badge" title="Requests waiting on you">
+                  {pendingRequests.length}
+                </span>
+              )}
             </button>
           ))}
         </div>
       )}
       
+      {/* Send / Request */}
+      {transfer && isTransferOpen && (
+        <div className="baraka-wallet__panel">
+          <BarakaTransferForm
+            {...transfer}
+            available={balance}
+            onSend={handleSend}
+            onCancel={() => setIsTransferOpen(false)}
+          />
+        </div>
+      )}
+      
+      {/* Pending Requests */}
+      {pendingRequests.length > 0 && (
+        <div className="baraka-wallet__panel">
+          <BarakaRequestList
+            incoming={pendingRequests}
+            available={balance}
+            onRespond={onRespondToRequest}
+            isResponding={isResponding}
+            showOutgoing={false}
+          />
+        </div>
+      )}
+      
       {/* Stats */}
       {showStats && (
         <div className="baraka-wallet__stats">
@@ -1,12 +1,18 @@
 /**
  * GPS Lab Platform - BiteDeliverableUpload Component
  * 
- * File upload component for task deliverables.
+ * File upload component for task deliverables. Files are checked against
+ * the evidence rules and uploaded in resumable chunks; each one is handed
+ * to `onUpload` once it is on the server.
  * 
  * @module components/bite/BiteSubmission/BiteDeliverableUpload
  */
 
 import React, { useState, useCallback, useRef } from 'react';
+import useUploads from '../../../hooks/useUploads';
+import { UPLOAD_KINDS } from '../../../utils/validators/upload.validator';
+import { ALLOWED_EXTENSIONS } from '../../../utils/validators/file.validator';
+import UploadProgress from '../../common/Media/UploadProgress';
 import './BiteDeliverableUpload.css';
 
 /**
@@ -46,10 +52,11 @@ const BiteDeliverableUpload = ({
   files = [],
   onUpload,
   onRemove,
-  accept = '*',
+  accept = ALLOWED_EXTENSIONS.evidenceFile.join(','),
   maxSize = 10 * 1024 * 1024, // 10MB
   maxFiles = 5,
   required = false,
+  uploadPurpose = 'bite:deliverables',
   className = '',
   ...props
 }) => {
@@ -57,6 +64,49 @@ const BiteDeliverableUpload = ({
   const [error, setError] = useState(null);
   const fileInputRef = useRef(null);
   
+  const handleUploaded = useCallback((upload) => {
+    onUpload?.([{
+      id: upload.id,
+      name: upload.fileName,
+      size: upload.size,
+      type: upload.mimeType,
+      file: upload.file,
+      mediaId: upload.result.id,
+      url: upload.result.url
+    }]);
+  }, [onUpload]);
+  
+  const { uploads, start, pause, resume, remove } = useUploads({
+    kind: UPLOAD_KINDS.EVIDENCE,
+    purpose: uploadPurpose,
+    onComplete: handleUploaded
+  });
+  const fileCount = files.length + uploads.length;
+  
+  const handleFiles = useCallback(async (newFiles) => {
+    setError(null);
+    
+    // Check file count, counting uploads still in progress
+    if (fileCount + newFiles.length > maxFiles) {
+      setError(`Maximum ${maxFiles} files allowed`);
+      return;
+    }
+    
+    // Validate and start uploading; each file is added once it is uploaded
+    const errors = [];
+    for (const file of newFiles) {
+      try {
+        await start(file, { validation: { maxSize } });
+      } catch (err) {
+        errors.push(err.message);
+      }
+    }
+    
+    if (errors.length > 0) {
+      setError(errors.join(', '));
+    }
+  }, [fileCount, maxFiles, maxSize, start]);
+  
   const handleDragOver = useCallback((e) => {
     e.preventDefault();
     setIsDragging(true);
@@ -72,7 +122,7 @@ const BiteDeliverableUpload = ({
     
     const droppedFiles = Array.from(e.dataTransfer.files);
     handleFiles(droppedFiles);
-  }, []);
+  }, [handleFiles]);
   
   const handleFileInput = (e) => {
     const selectedFiles = Array.from(e.target.files);
@@ -80,36 +130,6 @@ const BiteDeliverableUpload = ({
     e.target.value = ''; // Reset input
   };
   
-  const handleFiles = (newFiles) => {
-    setError(null);
-    
-    // Check file count
-    if (files.length + newFiles.length > maxFiles) {
-      setError(`Maximum ${maxFiles} files allowed`);
-      return;
-    }
-    
-    // Validate files
-    const validFiles = [];
-    for (const file of newFiles) {
-      if (file.size > maxSize) {
-        setError(`File "${file.name}" exceeds ${formatFileSize(maxSize)} limit`);
-        continue;
-      }
-      validFiles.push({
-        id: `file-${Date.now()}-${Math.random().toString(36).slice(2)}`,
-        name: file.name,
-        size: file.size,
-        type: file.type,
-        file: file
-      });
-    }
-    
-    if (validFiles.length > 0 && onUpload) {
-      onUpload(validFiles);
-    }
-  };
-  
   const triggerFileInput = () => {
     fileInputRef.current?.click();
   };
@@ -131,7 +151,7 @@ const BiteDeliverableUpload = ({
           Deliverables
           {required && <span className="bite-deliverable-upload__required">*</span>}
         </h3>
-        <span className="bite-deliverable-upload__count">{files.length}/{maxFiles}</span>
+        <span className="bite-deliverable-upload__count">{fileCount}/{maxFiles}</span>
       </div>
       
       {/* Drop Zone */}
@@ -178,6 +198,22 @@ const BiteDeliverableUpload = ({
         </div>
       )}
       
+      {/* Uploads in progress */}
+      {uploads.length > 0 && (
+        <div className="bite-deliverable-upload__uploads">
+          {uploads.map(upload => (
+            <UploadProgress
+              key={upload.id}
+              upload={upload}
+              onPause={pause}
+              onResume={resume}
+              onCancel={remove}
+              compact
+            />
+          ))}
+        </div>
+      )}
+      
       {/* Files List */}
       {files.length > 0 && (
         <div className="bite-deliverable-upload__files">
@@ -183,6 +183,7 @@ const BiteSubmissionForm = ({
               files={files}
               onUpload={handleFileUpload}
               onRemove={handleFileRemove}
+              uploadPurpose={bite ? `bite:${bite.id}` : undefined}
               required={bite?.type !== 'quiz' && bite?.type !== 'reflection'}
             />
             
@@ -141,6 +141,7 @@ const BiteSubmissionForm = ({
               files={files}
               onUpload={handleFileUpload}
               onRemove={handleFileRemove}
+              uploadPurpose={bite ? `bite:${bite.id}` : undefined}
               required={bite?.type !== 'quiz'}
             />
             
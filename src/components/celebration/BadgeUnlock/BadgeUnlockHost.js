@@ -0,0 +1,52 @@
+/**
+ * GPS Lab Platform - BadgeUnlockHost Component
+ *
+ * Shows the badges the badge engine unlocks, one BadgeUnlockModal at a
+ * time in the order they were earned. While signed in it first catches
+ * the engine up with the learner's stats, so only new badges appear.
+ *
+ * @module components/celebration/BadgeUnlock/BadgeUnlockHost
+ */
+
+import React, { useEffect, useCallback } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { syncBadgeProgress, badgeUnlockShown } from '../../../store/slices/badgeSlice';
+import BadgeUnlockModal from './BadgeUnlockModal';
+
+/**
+ * BadgeUnlockHost Component
+ */
+const BadgeUnlockHost = ({
+  isAuthenticated = false,
+  onShare,
+  onViewCollection
+}) => {
+  const dispatch = useDispatch();
+  const current = useSelector(state => state.badge.queue[0]);
+  const synced = useSelector(state => state.badge.synced);
+
+  useEffect(() => {
+    if (isAuthenticated && !synced) {
+      dispatch(syncBadgeProgress());
+    }
+  }, [dispatch, isAuthenticated, synced]);
+
+  const handleClose = useCallback(() => dispatch(badgeUnlockShown()), [dispatch]);
+
+  if (!isAuthenticated || !current) return null;
+
+  return (
+    <BadgeUnlockModal
+      // A fresh modal per badge, so each one gets its reveal animation
+      key={current.ruleId}
+      isOpen
+      badge={current.badge}
+      isOrangeBeacon={current.ruleId === 'orange-beacon'}
+      onClose={handleClose}
+      onShare={onShare}
+      onViewCollection={onViewCollection}
+    />
+  );
+};
+
+export default BadgeUnlockHost;
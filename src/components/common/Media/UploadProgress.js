@@ -0,0 +1,93 @@
+/**
+ * GPS Lab Platform - UploadProgress Component
+ *
+ * Progress of one resumable upload, with pause, resume, retry and cancel.
+ *
+ * @module components/common/Media/UploadProgress
+ */
+
+import React from 'react';
+import { ProgressBar } from '../Progress';
+import { UPLOAD_STATUS, UPLOAD_STATUS_LABELS } from '../../../services/upload/upload.service';
+import { formatFileSize } from '../../../utils/validators/file.validator';
+import './UploadProgress.css';
+
+const BAR_VARIANTS = {
+  [UPLOAD_STATUS.COMPLETED]: 'success',
+  [UPLOAD_STATUS.FAILED]: 'danger',
+  [UPLOAD_STATUS.PAUSED]: 'default',
+  [UPLOAD_STATUS.WAITING]: 'warning'
+};
+
+/**
+ * UploadProgress Component
+ */
+const UploadProgress = ({
+  upload,
+  onPause,
+  onResume,
+  onCancel,
+  compact = false,
+  className = ''
+}) => {
+  const { status } = upload;
+  const canPause = status === UPLOAD_STATUS.UPLOADING || status === UPLOAD_STATUS.QUEUED;
+  const canResume = status === UPLOAD_STATUS.PAUSED || status === UPLOAD_STATUS.FAILED || status === UPLOAD_STATUS.WAITING;
+
+  const classNames = [
+    'upload-progress',
+    `upload-progress--${status}`,
+    compact && 'upload-progress--compact',
+    className
+  ].filter(Boolean).join(' ');
+
+  return (
+    <div className={classNames}>
+      <div className="upload-progress__header">
+        <span className="upload-progress__name" title={upload.fileName}>{upload.fileName}</span>
+        <span className="upload-progress__bytes">
+          {formatFileSize(upload.uploadedBytes)} / {formatFileSize(upload.size)}
+        </span>
+      </div>
+
+      <ProgressBar
+        value={upload.progress}
+        size="sm"
+        variant={BAR_VARIANTS[status] || 'primary'}
+        striped={status === UPLOAD_STATUS.UPLOADING}
+        animated={status === UPLOAD_STATUS.UPLOADING}
+      />
+
+      <div className="upload-progress__footer">
+        <span className="upload-progress__status" role="status">
+          {UPLOAD_STATUS_LABELS[status]} · {upload.progress}%
+          {upload.error && <span className="upload-progress__error"> · {upload.error}</span>}
+        </span>
+
+        <div className="upload-progress__actions">
+          {canPause && onPause && (
+            <button type="button" className="upload-progress__button" onClick={() => onPause(upload.id)}>
+              Pause
+            </button>
+          )}
+          {canResume && onResume && (
+            <button type="button" className="upload-progress__button" onClick={() => onResume(upload.id)}>
+              {status === UPLOAD_STATUS.PAUSED ? 'Resume' : 'Retry now'}
+            </button>
+          )}
+          {status !== UPLOAD_STATUS.COMPLETED && onCancel && (
+            <button
+              type="button"
+              className="upload-progress__button upload-progress__button--cancel"
+              onClick={() => onCancel(upload.id)}
+            >
+              Cancel
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default UploadProgress;
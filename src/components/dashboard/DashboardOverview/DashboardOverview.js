@@ -6,7 +6,7 @@
  * * @module components/dashboard/DashboardOverview
  */
 
-import React, { useMemo } from 'react';
+import React, { useMemo, useCallback } from 'react';
 import StatsWidget from './StatsWidget';
 import ActivityFeed from './ActivityFeed';
 import './DashboardOverview.css';
@@ -48,7 +48,7 @@ const DashboardOverview = ({
         id: 'xp',
         icon: 'xp',
         label: 'Total XP',
-        value: stats.currentXP || 0,
+        value: stats.totalXP || stats.currentXP || 0,
         color: 'accent',
         trend: stats.xpTrend,
         trendLabel: 'vs last week'
@@ -139,6 +139,40 @@ const DashboardOverview = ({
     
   }, [stats, gps101Enrolled, gps101Stats]);
   
+  /**
+   * Route stat clicks, sending GPS 101 stats to enrollment when not enrolled
+   */
+  const handleStatClick = useCallback((statId) => {
+    if (!gps101Enrolled && (statId.includes('gps101') || statId === 'orange-beacon')) {
+      onStatClick?.('enroll-gps101');
+    } else {
+      onStatClick?.(statId);
+    }
+  }, [gps101Enrolled, onStatClick]);
+  
+  /**
+   * Click handlers bound per stat so memoized widgets keep stable props
+   */
+  const statClickHandlers = useMemo(() => (
+    statsConfig.reduce((handlers, stat) => {
+      handlers[stat.id] = () => handleStatClick(stat.id);
+      return handlers;
+    }, {})
+  ), [statsConfig, handleStatClick]);
+  
+  /**
+   * Level progress bar
+   */
+  const levelProgress = useMemo(() => {
+    const currentXP = stats.currentXP || 0;
+    const requiredXP = stats.requiredXP || 100;
+    const percent = stats.levelProgress ?? (currentXP / requiredXP) * 100;
+    return {
+      width: `${Math.min(100, Math.max(0, percent))}%`,
+      label: `${currentXP.toLocaleString()} / ${requiredXP.toLocaleString()} XP`
+    };
+  }, [stats.currentXP, stats.requiredXP, stats.levelProgress]);
+  
   /**
    * Get greeting based on time of day
    */
@@ -194,11 +228,11 @@ const DashboardOverview = ({
               <div className="dashboard-overview__level-progress">
                 <div 
                   className={`dashboard-overview__level-progress-fill ${gps101Enrolled ? 'dashboard-overview__level-progress-fill--gps101' : ''}`}
-                  style={{ width: `${((stats.currentXP || 0) / (stats.requiredXP || 100)) * 100}%` }}
+                  style={{ width: levelProgress.width }}
                 />
               </div>
               <span className="dashboard-overview__level-xp">
-                {stats.currentXP?.toLocaleString() || 0} / {stats.requiredXP?.toLocaleString() || 100} XP
+                {levelProgress.label}
               </span>
             </div>
           </div>
@@ -211,14 +245,7 @@ const DashboardOverview = ({
           <StatsWidget
             key={stat.id}
             {...stat}
-            // Intercept clicks if not enrolled
-            onClick={() => {
-              if (!gps101Enrolled && (stat.id.includes('gps101') || stat.id === 'orange-beacon')) {
-                onStatClick?.('enroll-gps101');
-              } else {
-                onStatClick?.(stat.id);
-              }
-            }}
+            onClick={statClickHandlers[stat.id]}
             className="dashboard-overview__stat"
           />
         ))}
@@ -9,7 +9,7 @@
  * @module components/dashboard/DashboardOverview/StatsWidget
  */
 
-import React from 'react';
+import React, { memo } from 'react';
 import './StatsWidget.css';
 
 /**
@@ -178,4 +178,6 @@ const StatsWidget = ({
 };
 
 export { StatIcons };
-export default StatsWidget;
\ No newline at end of file
+
+// Re-render only when the widget's own props change
+export default memo(StatsWidget);
\ No newline at end of file
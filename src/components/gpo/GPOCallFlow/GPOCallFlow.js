@@ -8,7 +8,6 @@
  */
 
 import React, { useState, useCallback, useEffect } from 'react';
-import { useNavigate } from 'react-router-dom';
 import GPOStageNavigator from './GPOStageNavigator';
 
 // Stage components
@@ -18,8 +17,8 @@ import ProblemOwnerStoryForm from '../GPOStages/Stage_Negative2/ProblemOwnerStor
 import VisionStatementForm from '../GPOStages/Stage_Negative1/VisionStatementForm';
 import CallToActionForm from '../GPOStages/Stage0/CallToActionForm';
 
-// Showcase Preview (if available - otherwise will show simple preview)
-// import ShowcasePreview from '../GPOShowcase/ShowcasePreview';
+// Showcase Preview
+import ShowcasePreview from '../GPOShowcase/ShowcasePreview';
 
 // Utilities
 import { buildShowcaseSummary, isGPOCallComplete, calculateGPOProgress } from '../../../utils/helpers/gpo.helper';
@@ -28,76 +27,6 @@ import { formatStageCompletionMessage } from '../../../utils/formatters/gpo.form
 
 import './GPOCallFlow.css';
 
-/**
- * Simple Showcase Preview Component
- * TODO: Replace with full ShowcasePreview component when available
- */
-const SimpleShowcasePreview = ({ showcaseData, onEdit, onSubmit }) => {
-  return (
-    <div style={{ padding: '24px' }}>
-      <div style={{ 
-        padding: '24px', 
-        background: 'linear-gradient(135deg, rgba(0,212,255,0.1), rgba(42,157,143,0.1))',
-        borderRadius: '12px',
-        marginBottom: '24px'
-      }}>
-        <h2 style={{ fontSize: '24px', fontWeight: '700', marginBottom: '12px' }}>
-          🎉 Your Problem Showcase is Ready!
-        </h2>
-        <p style={{ color: '#8b949e', lineHeight: '1.8' }}>
-          You've completed all 5 stages. Review your showcase below, then submit to make it live.
-        </p>
-      </div>
-
-      <div style={{ marginBottom: '24px' }}>
-        <h3 style={{ fontSize: '18px', fontWeight: '600', marginBottom: '12px' }}>Summary</h3>
-        <ul style={{ listStyle: 'none', padding: 0, display: 'flex', flexDirection: 'column', gap: '8px' }}>
-          <li>✅ Introduction Complete</li>
-          <li>✅ Problem Statement Complete</li>
-          <li>✅ Impact Story Complete</li>
-          <li>✅ Vision Statement Complete</li>
-          <li>✅ Call to Action Complete</li>
-        </ul>
-      </div>
-
-      <div style={{ display: 'flex', gap: '12px', justifyContent: 'center' }}>
-        <button
-          type="button"
-          onClick={() => onEdit(-4)}
-          style={{
-            padding: '12px 24px',
-            fontSize: '16px',
-            fontWeight: '600',
-            color: '#1b263b',
-            backgroundColor: '#ffffff',
-            border: '2px solid #d0d7de',
-            borderRadius: '8px',
-            cursor: 'pointer'
-          }}
-        >
-          ← Edit Stages
-        </button>
-        <button
-          type="button"
-          onClick={onSubmit}
-          style={{
-            padding: '12px 24px',
-            fontSize: '16px',
-            fontWeight: '600',
-            color: '#0d1117',
-            background: 'linear-gradient(135deg, #00d4ff, #2a9d8f)',
-            border: 'none',
-            borderRadius: '8px',
-            cursor: 'pointer'
-          }}
-        >
-          🚀 Submit Showcase
-        </button>
-      </div>
-    </div>
-  );
-};
-
 /**
  * GPO Stage Configuration
  */
@@ -150,14 +79,16 @@ const GPO_STAGES = [
 const GPOCallFlow = ({
   initialStage = -4,
   onComplete,
+  categories = [],
+  isSubmitting = false,
   className = '',
   ...props
 }) => {
-  const navigate = useNavigate();
   const [currentStage, setCurrentStage] = useState(initialStage);
   const [stageData, setStageData] = useState({});
   const [completedStages, setCompletedStages] = useState([]);
   const [showPreview, setShowPreview] = useState(false);
+  const [details, setDetails] = useState({ title: '', category: '' });
 
   /**
    * Get current stage configuration
@@ -230,16 +161,13 @@ const GPOCallFlow = ({
       
       console.log('Submitting Problem Showcase:', showcaseSummary);
       
-      // Call completion handler
-      onComplete?.(showcaseSummary);
-      
-      // Navigate to success page
-      navigate('/gpo-call/success', { state: { showcaseData: showcaseSummary } });
+      // Call completion handler, which submits the showcase for validation
+      await onComplete?.(showcaseSummary, details);
     } catch (error) {
       console.error('Failed to submit showcase:', error);
       alert('An error occurred while submitting. Please try again.');
     }
-  }, [stageData, onComplete, navigate]);
+  }, [stageData, details, onComplete]);
 
   const classNames = ['gpo-call-flow', className].filter(Boolean).join(' ');
 
@@ -278,10 +206,14 @@ const GPOCallFlow = ({
       {/* Content */}
       <div className="gpo-call-flow__content">
         {showPreview ? (
-          <SimpleShowcasePreview
-            showcaseData={stageData}
+          <ShowcasePreview
+            showcase={buildShowcaseSummary(stageData)}
             onEdit={handleNavigateToStage}
             onSubmit={handleSubmit}
+            isSubmitting={isSubmitting}
+            details={details}
+            onDetailsChange={setDetails}
+            categories={categories}
           />
         ) : (
           <>
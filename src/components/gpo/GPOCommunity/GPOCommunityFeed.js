@@ -0,0 +1,157 @@
+/**
+ * GPS Lab Platform - GPOCommunityFeed Component
+ *
+ * The community feed of validated Problem Showcases, filtered by category
+ * and searched by title or description, newest first.
+ *
+ * @module components/gpo/GPOCommunity/GPOCommunityFeed
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { fetchShowcases, fetchCategories } from '../../../store/slices/gpoSlice';
+import ProblemShowcaseCard from '../GPOShowcase/ProblemShowcaseCard';
+import './GPOCommunityFeed.css';
+
+const PAGE_SIZE = 12;
+const SEARCH_DELAY = 300;
+
+const SORT_OPTIONS = [
+  { value: 'newest', label: 'Newest first' },
+  { value: 'oldest', label: 'Oldest first' }
+];
+
+/**
+ * GPOCommunityFeed Component
+ */
+const GPOCommunityFeed = ({
+  onOpen,
+  className = '',
+  ...props
+}) => {
+  const dispatch = useDispatch();
+  const showcases = useSelector(state => state.gpo.showcases);
+  const pagination = useSelector(state => state.gpo.showcasesPagination);
+  const categories = useSelector(state => state.gpo.categories);
+  const isLoading = useSelector(state => state.gpo.loading.feed);
+  const error = useSelector(state => state.gpo.error.feed);
+
+  const [category, setCategory] = useState(null);
+  const [searchInput, setSearchInput] = useState('');
+  const [search, setSearch] = useState('');
+  const [sort, setSort] = useState('newest');
+
+  useEffect(() => {
+    if (categories.length === 0) dispatch(fetchCategories());
+  }, [dispatch, categories.length]);
+
+  // Wait for a pause in typing before searching
+  useEffect(() => {
+    const timer = setTimeout(() => setSearch(searchInput.trim()), SEARCH_DELAY);
+    return () => clearTimeout(timer);
+  }, [searchInput]);
+
+  const loadPage = useCallback((page) => {
+    dispatch(fetchShowcases({ page, limit: PAGE_SIZE, category, search, sort }));
+  }, [dispatch, category, search, sort]);
+
+  useEffect(() => {
+    loadPage(1);
+  }, [loadPage]);
+
+  const hasMore = pagination && pagination.page < pagination.totalPages;
+  const hasFilters = Boolean(category || search);
+
+  const classNames = ['gpo-community-feed', className].filter(Boolean).join(' ');
+
+  return (
+    <div className={classNames} {...props}>
+      {/* Filters */}
+      <div className="gpo-community-feed__filters">
+        <input
+          type="search"
+          value={searchInput}
+          onChange={e => setSearchInput(e.target.value)}
+          placeholder="Search showcases…"
+          className="gpo-community-feed__search"
+          aria-label="Search showcases"
+        />
+        <select
+          value={sort}
+          onChange={e => setSort(e.target.value)}
+          className="gpo-community-feed__sort"
+          aria-label="Sort showcases"
+        >
+          {SORT_OPTIONS.map(option => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+      </div>
+
+      <div className="gpo-community-feed__categories" role="group" aria-label="Filter by category">
+        <button
+          type="button"
+          onClick={() => setCategory(null)}
+          aria-pressed={!category}
+          className={`gpo-community-feed__chip ${!category ? 'gpo-community-feed__chip--active' : ''}`}
+        >
+          All
+        </button>
+        {categories.map(c => (
+          <button
+            key={c.id}
+            type="button"
+            onClick={() => setCategory(c.id)}
+            aria-pressed={category === c.id}
+            className={`gpo-community-feed__chip ${category === c.id ? 'gpo-community-feed__chip--active' : ''}`}
+          >
+            {c.icon} {c.name}
+          </button>
+        ))}
+      </div>
+
+      {/* Results */}
+      {error && showcases.length === 0 ? (
+        <div className="gpo-community-feed__message" role="alert">
+          <p>{error.message}</p>
+          <button type="button" onClick={() => loadPage(1)} className="gpo-community-feed__btn">Try again</button>
+        </div>
+      ) : !isLoading && showcases.length === 0 ? (
+        <div className="gpo-community-feed__message">
+          <h3>{hasFilters ? 'No showcases match' : 'No showcases yet'}</h3>
+          <p>
+            {hasFilters
+              ? 'Try another category or search.'
+              : 'Validated Problem Showcases appear here once peers and a mentor approve them.'}
+          </p>
+        </div>
+      ) : (
+        <div className="gpo-community-feed__grid" aria-busy={isLoading}>
+          {showcases.map(project => (
+            <ProblemShowcaseCard
+              key={project.id}
+              project={project}
+              category={categories.find(c => c.id === project.category)}
+              onOpen={onOpen}
+            />
+          ))}
+        </div>
+      )}
+
+      {(hasMore || (isLoading && showcases.length > 0)) && (
+        <div className="gpo-community-feed__more">
+          <button
+            type="button"
+            onClick={() => loadPage(pagination.page + 1)}
+            disabled={isLoading}
+            className="gpo-community-feed__btn"
+          >
+            {isLoading ? 'Loading…' : 'Load more'}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default GPOCommunityFeed;
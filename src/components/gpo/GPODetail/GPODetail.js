@@ -0,0 +1,96 @@
+/**
+ * GPS Lab Platform - GPODetail Component
+ *
+ * A single Problem Showcase: the showcase itself, where it stands in
+ * validation and, for a peer or mentor who has not yet validated it, the
+ * validation form. Published showcases also show their impact.
+ *
+ * @module components/gpo/GPODetail/GPODetail
+ */
+
+import React, { useEffect } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { fetchProject, fetchCategories } from '../../../store/slices/gpoSlice';
+import { formatShowcaseStatus, formatDate } from '../../../utils/formatters/gpo.formatter';
+import ShowcasePreview from '../GPOShowcase/ShowcasePreview';
+import ValidationRequest from '../GPOValidation/ValidationRequest';
+import GPOValidationForm from '../GPOValidation/GPOValidationForm';
+import ImpactDashboard from '../GPOImpact/ImpactDashboard';
+import './GPODetail.css';
+
+/**
+ * GPODetail Component
+ */
+const GPODetail = ({
+  projectId,
+  onBack,
+  className = '',
+  ...props
+}) => {
+  const dispatch = useDispatch();
+  const project = useSelector(state => state.gpo.projects.find(p => p.id === projectId));
+  const categories = useSelector(state => state.gpo.categories);
+  const isLoading = useSelector(state => state.gpo.loading.detail);
+  const error = useSelector(state => state.gpo.error.detail);
+
+  useEffect(() => {
+    dispatch(fetchProject(projectId));
+  }, [dispatch, projectId]);
+
+  useEffect(() => {
+    if (categories.length === 0) dispatch(fetchCategories());
+  }, [dispatch, categories.length]);
+
+  const classNames = ['gpo-detail', className].filter(Boolean).join(' ');
+
+  if (!project) {
+    return (
+      <div className={`${classNames} gpo-detail--message`} {...props}>
+        {isLoading || !error ? (
+          <div className="gpo-detail__spinner" aria-label="Loading showcase" />
+        ) : (
+          <>
+            <p className="gpo-detail__message" role="alert">{error.message}</p>
+            {onBack && <button type="button" onClick={onBack} className="gpo-detail__back">← Back</button>}
+          </>
+        )}
+      </div>
+    );
+  }
+
+  const category = categories.find(c => c.id === project.category);
+  const status = formatShowcaseStatus(project.status);
+
+  return (
+    <div className={classNames} {...props}>
+      <header className="gpo-detail__header">
+        {onBack && <button type="button" onClick={onBack} className="gpo-detail__back">← Back</button>}
+        <div className="gpo-detail__meta">
+          <span>{category ? `${category.icon} ${category.name}` : project.category}</span>
+          <span className="gpo-detail__status" style={{ '--status-color': status.color }}>{status.label}</span>
+        </div>
+        <h1 className="gpo-detail__title">{project.title}</h1>
+        <p className="gpo-detail__byline">
+          by {project.owner.displayName || project.owner.username}
+          {project.publishedAt
+            ? ` · Published ${formatDate(project.publishedAt)}`
+            : project.submittedAt && ` · Submitted ${formatDate(project.submittedAt)}`}
+        </p>
+      </header>
+
+      <ValidationRequest project={project} />
+
+      {project.viewer?.canValidate && <GPOValidationForm key={project.validation?.round} project={project} />}
+
+      {project.status === 'published' && <ImpactDashboard project={project} />}
+
+      {project.showcase ? (
+        <ShowcasePreview showcase={project.showcase} className="gpo-detail__showcase" />
+      ) : (
+        <p className="gpo-detail__description">{project.description}</p>
+      )}
+    </div>
+  );
+};
+
+export default GPODetail;
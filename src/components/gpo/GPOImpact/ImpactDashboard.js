@@ -0,0 +1,109 @@
+/**
+ * GPS Lab Platform - ImpactDashboard Component
+ *
+ * The measurable outcomes of a published Problem Showcase: a summary of
+ * its impact, the indicators the project team tracks and their stories of
+ * change. The Problem Owner and project team keep it up to date; funders,
+ * universities and the community read it.
+ *
+ * @module components/gpo/GPOImpact/ImpactDashboard
+ */
+
+import React, { useEffect, useMemo, useCallback } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { fetchImpact } from '../../../store/slices/projectSlice';
+import { summarizeImpact } from '../../../utils/helpers/gpo.helper';
+import { parseAffectedCount, formatDate } from '../../../utils/formatters/gpo.formatter';
+import ImpactMetrics from './ImpactMetrics';
+import ImpactStories from './ImpactStories';
+import './ImpactDashboard.css';
+
+/**
+ * ImpactDashboard Component
+ */
+const ImpactDashboard = ({
+  project,
+  className = '',
+  ...props
+}) => {
+  const dispatch = useDispatch();
+  const impact = useSelector(state => state.project.impact[project.id]);
+  const isLoading = useSelector(state => state.project.loading.impact);
+  const error = useSelector(state => state.project.error.impact);
+
+  const loadImpact = useCallback(() => dispatch(fetchImpact(project.id)), [dispatch, project.id]);
+
+  useEffect(() => {
+    loadImpact();
+  }, [loadImpact]);
+
+  const summary = useMemo(() => summarizeImpact(impact), [impact]);
+  const canEdit = Boolean(project.viewer?.isMember) && project.status === 'published';
+  const affectedCount = parseAffectedCount(project.showcase?.pain?.affectedPeople);
+
+  const classNames = ['impact-dashboard', className].filter(Boolean).join(' ');
+
+  return (
+    <section className={classNames} aria-labelledby="impactDashboardTitle" {...props}>
+      <header className="impact-dashboard__header">
+        <h2 id="impactDashboardTitle" className="impact-dashboard__title">📈 Impact</h2>
+        <p className="impact-dashboard__subtitle">
+          {canEdit
+            ? 'Track the change your project makes, so funders and partners can see it.'
+            : 'The change this project has made so far, as measured by its team.'}
+        </p>
+      </header>
+
+      {!impact ? (
+        isLoading || !error ? (
+          <div className="impact-dashboard__spinner" aria-label="Loading impact" />
+        ) : (
+          <div className="impact-dashboard__message" role="alert">
+            <p>{error.message}</p>
+            <button type="button" onClick={loadImpact} className="impact-dashboard__retry">Try again</button>
+          </div>
+        )
+      ) : (
+        <>
+          <dl className="impact-dashboard__stats">
+            <div className="impact-dashboard__stat">
+              <dt>Indicators</dt>
+              <dd>{summary.indicators.length}</dd>
+            </div>
+            <div className="impact-dashboard__stat">
+              <dt>Average progress</dt>
+              <dd>{summary.averageProgress}%</dd>
+            </div>
+            <div className="impact-dashboard__stat">
+              <dt>Measurements</dt>
+              <dd>{summary.measurementCount}</dd>
+            </div>
+            <div className="impact-dashboard__stat">
+              <dt>Stories</dt>
+              <dd>{summary.stories.length}</dd>
+            </div>
+            <div className="impact-dashboard__stat">
+              <dt>Last measured</dt>
+              <dd>{summary.lastMeasuredAt ? formatDate(`${summary.lastMeasuredAt}T00:00:00`) : '—'}</dd>
+            </div>
+          </dl>
+
+          <ImpactMetrics
+            projectId={project.id}
+            indicators={summary.indicators}
+            canEdit={canEdit}
+            affectedCount={affectedCount}
+          />
+
+          <ImpactStories
+            projectId={project.id}
+            stories={summary.stories}
+            canEdit={canEdit}
+          />
+        </>
+      )}
+    </section>
+  );
+};
+
+export default ImpactDashboard;
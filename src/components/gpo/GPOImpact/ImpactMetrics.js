@@ -0,0 +1,395 @@
+/**
+ * GPS Lab Platform - ImpactMetrics Component
+ *
+ * The indicators a project tracks, each with its latest value, change since
+ * the baseline and progress to its target, and a trend chart of the chosen
+ * indicator. The project team can add indicators and log measurements.
+ *
+ * @module components/gpo/GPOImpact/ImpactMetrics
+ */
+
+import React, { useState, useCallback } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { recordImpact, defineImpactIndicator } from '../../../store/slices/projectSlice';
+import {
+  validateImpactIndicator,
+  validateImpactMeasurement,
+  IMPACT_METRICS
+} from '../../../utils/validators/gpo.validator';
+import { formatImpactValue, formatDate } from '../../../utils/formatters/gpo.formatter';
+import { ProgressBar } from '../../common/Progress';
+import LineChart from '../../analytics/Charts/LineChart';
+import { NEUTRAL_COLORS } from '../../../utils/constants/ui.constants';
+import './ImpactMetrics.css';
+
+const today = () => {
+  const now = new Date();
+  return new Date(now.getTime() - now.getTimezoneOffset() * 60000).toISOString().slice(0, 10);
+};
+
+const getMetric = (metricType) =>
+  IMPACT_METRICS.find(m => m.id === metricType) || IMPACT_METRICS.find(m => m.id === 'custom');
+
+// Measurement dates are calendar days, read in local time
+const toLocalDate = (date) => new Date(`${date}T00:00:00`);
+
+const formatChartDate = (date) =>
+  toLocalDate(date).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+
+/**
+ * Clears one field's error once it is edited
+ */
+const clearError = (setErrors, field) => setErrors(prev => {
+  if (!prev[field]) return prev;
+  const next = { ...prev };
+  delete next[field];
+  return next;
+});
+
+/**
+ * ImpactMetrics Component
+ */
+const ImpactMetrics = ({
+  projectId,
+  indicators = [],
+  canEdit = false,
+  affectedCount = null,
+  className = '',
+  ...props
+}) => {
+  const dispatch = useDispatch();
+  const isSaving = useSelector(state => state.project.loading.action);
+
+  const [selectedType, setSelectedType] = useState(null);
+  const [openForm, setOpenForm] = useState(null);
+  const [measurement, setMeasurement] = useState({ metricType: '', value: '', date: today(), evidence: '' });
+  const [indicator, setIndicator] = useState({ metricType: '', label: '', unit: '', baseline: '', target: '' });
+  const [errors, setErrors] = useState({});
+  const [submitError, setSubmitError] = useState(null);
+
+  const selected = indicators.find(i => i.metricType === selectedType) || indicators[0];
+
+  const toggleForm = (form) => {
+    setOpenForm(current => (current === form ? null : form));
+    setErrors({});
+    setSubmitError(null);
+    if (form === 'measurement' && !measurement.metricType && selected) {
+      setMeasurement(prev => ({ ...prev, metricType: selected.metricType }));
+    }
+  };
+
+  const handleMeasurementChange = useCallback((field, value) => {
+    setMeasurement(prev => ({ ...prev, [field]: value }));
+    clearError(setErrors, field);
+  }, []);
+
+  const handleIndicatorChange = useCallback((field, value) => {
+    setIndicator(prev => ({ ...prev, [field]: value }));
+    clearError(setErrors, field);
+  }, []);
+
+  /**
+   * Fill in a preset's name and unit; the people-affected target comes
+   * from the showcase when it gives a number
+   */
+  const handlePresetSelect = (metricType) => {
+    const metric = getMetric(metricType);
+    setIndicator(prev => ({
+      ...prev,
+      metricType,
+      label: metricType === 'custom' ? '' : metric.label,
+      unit: metric.unit,
+      baseline: metricType === 'people_affected' && prev.baseline === '' ? '0' : prev.baseline,
+      target: metricType === 'people_affected' && affectedCount ? String(affectedCount) : prev.target
+    }));
+    setErrors({});
+  };
+
+  const handleMeasurementSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitError(null);
+
+    const { valid, errors: validationErrors } = validateImpactMeasurement(measurement, indicators);
+    setErrors(validationErrors);
+    if (!valid) return;
+
+    try {
+      await dispatch(recordImpact({
+        projectId,
+        measurement: { ...measurement, value: Number(measurement.value), evidence: measurement.evidence.trim() }
+      })).unwrap();
+      setSelectedType(measurement.metricType);
+      setMeasurement(prev => ({ ...prev, value: '', evidence: '' }));
+      setOpenForm(null);
+    } catch (err) {
+      setSubmitError(err.message || 'Could not save the measurement');
+    }
+  };
+
+  const handleIndicatorSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitError(null);
+
+    const { valid, errors: validationErrors } = validateImpactIndicator(indicator, indicators);
+    setErrors(validationErrors);
+    if (!valid) return;
+
+    try {
+      const { impact } = await dispatch(defineImpactIndicator({
+        projectId,
+        indicator: {
+          ...indicator,
+          label: indicator.label.trim(),
+          unit: indicator.unit.trim(),
+          baseline: Number(indicator.baseline),
+          target: Number(indicator.target)
+        }
+      })).unwrap();
+      const added = impact.indicators[impact.indicators.length - 1];
+      setSelectedType(added?.metricType || null);
+      setIndicator({ metricType: '', label: '', unit: '', baseline: '', target: '' });
+      setOpenForm(null);
+    } catch (err) {
+      setSubmitError(err.message || 'Could not add the indicator');
+    }
+  };
+
+  const measurementUnit = indicators.find(i => i.metricType === measurement.metricType)?.unit;
+  const chartData = selected
+    ? selected.series.map(point => ({ ...point, target: selected.target }))
+    : [];
+  const formatSelected = (value) => formatImpactValue(value, selected?.unit);
+
+  const classNames = ['impact-metrics', className].filter(Boolean).join(' ');
+
+  return (
+    <section className={classNames} aria-labelledby="impactMetricsTitle" {...props}>
+      <header className="impact-metrics__header">
+        <h3 id="impactMetricsTitle" className="impact-metrics__title">Indicators</h3>
+        {canEdit && (
+          <div className="impact-metrics__actions">
+            {indicators.length > 0 && (
+              <button
+                type="button"
+                onClick={() => toggleForm('measurement')}
+                aria-expanded={openForm === 'measurement'}
+                className="impact-metrics__btn impact-metrics__btn--primary"
+              >
+                + Log measurement
+              </button>
+            )}
+            <button
+              type="button"
+              onClick={() => toggleForm('indicator')}
+              aria-expanded={openForm === 'indicator'}
+              className="impact-metrics__btn"
+            >
+              + Add indicator
+            </button>
+          </div>
+        )}
+      </header>
+
+      {/* Log a measurement */}
+      {openForm === 'measurement' && (
+        <form className="impact-metrics__form" onSubmit={handleMeasurementSubmit} noValidate>
+          <div className="impact-metrics__fields">
+            <label className="impact-metrics__field">
+              <span className="impact-metrics__label">Indicator</span>
+              <select
+                value={measurement.metricType}
+                onChange={e => handleMeasurementChange('metricType', e.target.value)}
+                className="impact-metrics__input"
+              >
+                <option value="">Choose…</option>
+                {indicators.map(i => <option key={i.metricType} value={i.metricType}>{i.label}</option>)}
+              </select>
+              {errors.metricType && <span className="impact-metrics__error">{errors.metricType}</span>}
+            </label>
+            <label className="impact-metrics__field">
+              <span className="impact-metrics__label">Value{measurementUnit && ` (${measurementUnit})`}</span>
+              <input
+                type="number"
+                value={measurement.value}
+                onChange={e => handleMeasurementChange('value', e.target.value)}
+                className="impact-metrics__input"
+              />
+              {errors.value && <span className="impact-metrics__error">{errors.value}</span>}
+            </label>
+            <label className="impact-metrics__field">
+              <span className="impact-metrics__label">Measured on</span>
+              <input
+                type="date"
+                value={measurement.date}
+                max={today()}
+                onChange={e => handleMeasurementChange('date', e.target.value)}
+                className="impact-metrics__input"
+              />
+              {errors.date && <span className="impact-metrics__error">{errors.date}</span>}
+            </label>
+          </div>
+          <label className="impact-metrics__field">
+            <span className="impact-metrics__label">Source (optional)</span>
+            <input
+              type="text"
+              value={measurement.evidence}
+              onChange={e => handleMeasurementChange('evidence', e.target.value)}
+              placeholder="e.g. Clinic register, March"
+              className="impact-metrics__input"
+            />
+            {errors.evidence && <span className="impact-metrics__error">{errors.evidence}</span>}
+          </label>
+          {submitError && <div className="impact-metrics__submit-error" role="alert">{submitError}</div>}
+          <div className="impact-metrics__form-actions">
+            <button type="button" onClick={() => setOpenForm(null)} className="impact-metrics__btn">Cancel</button>
+            <button type="submit" disabled={isSaving} className="impact-metrics__btn impact-metrics__btn--primary">
+              {isSaving ? 'Saving…' : 'Save measurement'}
+            </button>
+          </div>
+        </form>
+      )}
+
+      {/* Add an indicator */}
+      {openForm === 'indicator' && (
+        <form className="impact-metrics__form" onSubmit={handleIndicatorSubmit} noValidate>
+          <div className="impact-metrics__presets" role="radiogroup" aria-label="What will you measure?">
+            {IMPACT_METRICS.map(metric => (
+              <button
+                key={metric.id}
+                type="button"
+                role="radio"
+                aria-checked={indicator.metricType === metric.id}
+                onClick={() => handlePresetSelect(metric.id)}
+                className={`impact-metrics__preset ${indicator.metricType === metric.id ? 'impact-metrics__preset--active' : ''}`}
+              >
+                <span aria-hidden="true">{metric.icon}</span> {metric.label}
+              </button>
+            ))}
+          </div>
+          {errors.metricType && <span className="impact-metrics__error">{errors.metricType}</span>}
+
+          {indicator.metricType && (
+            <div className="impact-metrics__fields">
+              <label className="impact-metrics__field">
+                <span className="impact-metrics__label">Name</span>
+                <input
+                  type="text"
+                  value={indicator.label}
+                  onChange={e => handleIndicatorChange('label', e.target.value)}
+                  placeholder="e.g. Mothers reached"
+                  className="impact-metrics__input"
+                />
+                {errors.label && <span className="impact-metrics__error">{errors.label}</span>}
+              </label>
+              <label className="impact-metrics__field">
+                <span className="impact-metrics__label">Unit</span>
+                <input
+                  type="text"
+                  value={indicator.unit}
+                  onChange={e => handleIndicatorChange('unit', e.target.value)}
+                  placeholder="e.g. people or %"
+                  className="impact-metrics__input"
+                />
+                {errors.unit && <span className="impact-metrics__error">{errors.unit}</span>}
+              </label>
+              <label className="impact-metrics__field">
+                <span className="impact-metrics__label">Baseline</span>
+                <input
+                  type="number"
+                  value={indicator.baseline}
+                  onChange={e => handleIndicatorChange('baseline', e.target.value)}
+                  className="impact-metrics__input"
+                />
+                {errors.baseline && <span className="impact-metrics__error">{errors.baseline}</span>}
+              </label>
+              <label className="impact-metrics__field">
+                <span className="impact-metrics__label">Target</span>
+                <input
+                  type="number"
+                  value={indicator.target}
+                  onChange={e => handleIndicatorChange('target', e.target.value)}
+                  className="impact-metrics__input"
+                />
+                {errors.target && <span className="impact-metrics__error">{errors.target}</span>}
+              </label>
+            </div>
+          )}
+          {indicator.metricType === 'people_affected' && affectedCount && (
+            <p className="impact-metrics__hint">
+              The target starts at the {formatImpactValue(affectedCount, 'people')} the showcase says are affected.
+            </p>
+          )}
+          {submitError && <div className="impact-metrics__submit-error" role="alert">{submitError}</div>}
+          <div className="impact-metrics__form-actions">
+            <button type="button" onClick={() => setOpenForm(null)} className="impact-metrics__btn">Cancel</button>
+            <button type="submit" disabled={isSaving} className="impact-metrics__btn impact-metrics__btn--primary">
+              {isSaving ? 'Saving…' : 'Add indicator'}
+            </button>
+          </div>
+        </form>
+      )}
+
+      {indicators.length === 0 ? (
+        <p className="impact-metrics__empty">
+          {canEdit
+            ? 'Add an indicator, such as people reached, to start tracking the change your project makes.'
+            : 'No indicators are being tracked yet.'}
+        </p>
+      ) : (
+        <>
+          <ul className="impact-metrics__grid">
+            {indicators.map(item => (
+              <li key={item.metricType}>
+                <button
+                  type="button"
+                  onClick={() => setSelectedType(item.metricType)}
+                  aria-pressed={selected?.metricType === item.metricType}
+                  className={`impact-metrics__card ${selected?.metricType === item.metricType ? 'impact-metrics__card--active' : ''}`}
+                >
+                  <span className="impact-metrics__card-label">
+                    <span aria-hidden="true">{getMetric(item.metricType).icon}</span> {item.label}
+                  </span>
+                  <span className="impact-metrics__card-value">
+                    {formatImpactValue(item.latest ? item.latest.value : item.baseline, item.unit)}
+                  </span>
+                  <span className="impact-metrics__card-change">
+                    {item.latest
+                      ? `${item.change >= 0 ? '+' : '−'}${formatImpactValue(Math.abs(item.change), item.unit)} since baseline`
+                      : 'No measurements yet'}
+                  </span>
+                  <ProgressBar value={item.progress} size="sm" variant={item.progress >= 100 ? 'success' : 'primary'} />
+                  <span className="impact-metrics__card-target">
+                    {item.progress}% of the way to {formatImpactValue(item.target, item.unit)}
+                  </span>
+                </button>
+              </li>
+            ))}
+          </ul>
+
+          {selected && (
+            <LineChart
+              title={`${selected.label} over time`}
+              data={chartData}
+              xKey="date"
+              series={[
+                { key: 'value', label: selected.label },
+                { key: 'target', label: 'Target', color: NEUTRAL_COLORS.gray400 }
+              ]}
+              formatX={formatChartDate}
+              formatValue={formatSelected}
+              emptyMessage="Log a measurement to see the trend."
+            />
+          )}
+
+          {selected?.latest && (
+            <p className="impact-metrics__hint">
+              Last measured {formatDate(toLocalDate(selected.latest.date))}.
+            </p>
+          )}
+        </>
+      )}
+    </section>
+  );
+};
+
+export default ImpactMetrics;
@@ -0,0 +1,289 @@
+/**
+ * GPS Lab Platform - ImpactStories Component
+ *
+ * Before/after stories of the change a project made. The project team tells
+ * a story with photos picked in BeforeAfterComparison; each photo is
+ * uploaded as soon as it is added, and the story can be shared once they
+ * are all on the server.
+ *
+ * @module components/gpo/GPOImpact/ImpactStories
+ */
+
+import React, { useState, useCallback } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { addImpactStory } from '../../../store/slices/projectSlice';
+import useUploads from '../../../hooks/useUploads';
+import { UPLOAD_KINDS } from '../../../utils/validators/upload.validator';
+import { validateImpactStory, LIMITS } from '../../../utils/validators/gpo.validator';
+import { formatDate } from '../../../utils/formatters/gpo.formatter';
+import BeforeAfterComparison from '../GPOStages/Stage_Negative1/BeforeAfterComparison';
+import UploadProgress from '../../common/Media/UploadProgress';
+import './ImpactStories.css';
+
+const EMPTY_STORY = { title: '', story: '', beforeImages: [], afterImages: [] };
+
+/**
+ * The photos of a story as they are sent: the uploaded copy only
+ */
+const toStoryImages = (images) =>
+  images.map(({ mediaId, mediaUrl, caption }) => ({ mediaId, url: mediaUrl, caption }));
+
+/**
+ * ImpactStories Component
+ */
+const ImpactStories = ({
+  projectId,
+  stories = [],
+  canEdit = false,
+  className = '',
+  ...props
+}) => {
+  const dispatch = useDispatch();
+  const isSaving = useSelector(state => state.project.loading.action);
+
+  const [isOpen, setIsOpen] = useState(false);
+  const [formData, setFormData] = useState(EMPTY_STORY);
+  const [errors, setErrors] = useState({});
+  const [uploadError, setUploadError] = useState(null);
+  const [submitError, setSubmitError] = useState(null);
+
+  /**
+   * Point a photo at its uploaded copy once the upload finishes
+   */
+  const handleUploaded = useCallback((side, upload) => {
+    setFormData(prev => ({
+      ...prev,
+      [side]: prev[side].map(image => (image.file === upload.file
+        ? { ...image, mediaId: upload.result.id, mediaUrl: upload.result.url }
+        : image))
+    }));
+  }, []);
+
+  const handleBeforeUploaded = useCallback(upload => handleUploaded('beforeImages', upload), [handleUploaded]);
+  const handleAfterUploaded = useCallback(upload => handleUploaded('afterImages', upload), [handleUploaded]);
+
+  const before = useUploads({
+    kind: UPLOAD_KINDS.GPO_MEDIA,
+    purpose: `gpo:impact:${projectId}:before`,
+    onComplete: handleBeforeUploaded
+  });
+  const after = useUploads({
+    kind: UPLOAD_KINDS.GPO_MEDIA,
+    purpose: `gpo:impact:${projectId}:after`,
+    onComplete: handleAfterUploaded
+  });
+  const uploadsBySide = { beforeImages: before, afterImages: after };
+  const pendingUploads = [...before.uploads, ...after.uploads];
+
+  const handleChange = useCallback((field, value) => {
+    setFormData(prev => ({ ...prev, [field]: value }));
+    setErrors(prev => {
+      if (!prev[field]) return prev;
+      const next = { ...prev };
+      delete next[field];
+      return next;
+    });
+  }, []);
+
+  /**
+   * Start uploading photos added in the comparison, and stop the uploads
+   * of photos taken out of it
+   */
+  const handleImagesChange = async (side, images) => {
+    const { start, uploads, remove } = uploadsBySide[side];
+    const previous = formData[side];
+    const added = images.filter(image => !previous.includes(image));
+    const removed = previous.filter(image => !images.includes(image));
+
+    removed.forEach(image => {
+      const upload = uploads.find(u => u.file === image.file);
+      if (upload) remove(upload.id);
+      URL.revokeObjectURL(image.url);
+    });
+    handleChange(side, images);
+    setErrors(prev => ({ ...prev, images: undefined }));
+    setUploadError(null);
+
+    for (const image of added) {
+      try {
+        await start(image.file);
+      } catch (err) {
+        setUploadError(err.message);
+        URL.revokeObjectURL(image.url);
+        setFormData(prev => ({ ...prev, [side]: prev[side].filter(i => i !== image) }));
+      }
+    }
+  };
+
+  /**
+   * Cancelling an upload takes its photo out of the story too
+   */
+  const handleCancelUpload = (id) => {
+    const upload = pendingUploads.find(u => u.id === id);
+    if (!upload) return;
+    (before.uploads.includes(upload) ? before : after).remove(id);
+    setFormData(prev => ({
+      ...prev,
+      beforeImages: prev.beforeImages.filter(image => image.file !== upload.file),
+      afterImages: prev.afterImages.filter(image => image.file !== upload.file)
+    }));
+  };
+
+  const handleClose = () => {
+    pendingUploads.forEach(upload => handleCancelUpload(upload.id));
+    [...formData.beforeImages, ...formData.afterImages].forEach(image => URL.revokeObjectURL(image.url));
+    setFormData(EMPTY_STORY);
+    setErrors({});
+    setUploadError(null);
+    setSubmitError(null);
+    setIsOpen(false);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitError(null);
+
+    const story = {
+      title: formData.title.trim(),
+      story: formData.story.trim(),
+      beforeImages: toStoryImages(formData.beforeImages),
+      afterImages: toStoryImages(formData.afterImages)
+    };
+    const { valid, errors: validationErrors } = validateImpactStory(story);
+    setErrors(validationErrors);
+    if (!valid) return;
+
+    try {
+      await dispatch(addImpactStory({ projectId, story })).unwrap();
+      handleClose();
+    } catch (err) {
+      setSubmitError(err.message || 'Could not share the story');
+    }
+  };
+
+  const classNames = ['impact-stories', className].filter(Boolean).join(' ');
+
+  return (
+    <section className={classNames} aria-labelledby="impactStoriesTitle" {...props}>
+      <header className="impact-stories__header">
+        <h3 id="impactStoriesTitle" className="impact-stories__title">Stories of change</h3>
+        {canEdit && !isOpen && (
+          <button type="button" onClick={() => setIsOpen(true)} className="impact-stories__btn">
+            + Share a story
+          </button>
+        )}
+      </header>
+
+      {isOpen && (
+        <form className="impact-stories__form" onSubmit={handleSubmit} noValidate>
+          <label className="impact-stories__field">
+            <span className="impact-stories__label">Title</span>
+            <input
+              type="text"
+              value={formData.title}
+              onChange={e => handleChange('title', e.target.value)}
+              placeholder="e.g. Amina's first birth at the clinic"
+              maxLength={LIMITS.MAX_STORY_TITLE}
+              className="impact-stories__input"
+            />
+            {errors.title && <span className="impact-stories__error">{errors.title}</span>}
+          </label>
+
+          <label className="impact-stories__field">
+            <span className="impact-stories__label">What changed?</span>
+            <textarea
+              value={formData.story}
+              onChange={e => handleChange('story', e.target.value)}
+              placeholder="Who did this change reach, and what is different for them now?"
+              rows={4}
+              className="impact-stories__input"
+            />
+            <span className={`impact-stories__count ${formData.story.trim().length < LIMITS.MIN_STORY ? 'impact-stories__count--warn' : ''}`}>
+              {formData.story.trim().length} / {LIMITS.MIN_STORY} min characters
+            </span>
+            {errors.story && <span className="impact-stories__error">{errors.story}</span>}
+          </label>
+
+          <BeforeAfterComparison
+            beforeImages={formData.beforeImages}
+            afterImages={formData.afterImages}
+            onBeforeUpdate={images => handleImagesChange('beforeImages', images)}
+            onAfterUpdate={images => handleImagesChange('afterImages', images)}
+          />
+
+          {pendingUploads.length > 0 && (
+            <div className="impact-stories__uploads">
+              {[before, after].flatMap(side => side.uploads.map(upload => (
+                <UploadProgress
+                  key={upload.id}
+                  upload={upload}
+                  onPause={side.pause}
+                  onResume={side.resume}
+                  onCancel={handleCancelUpload}
+                  compact
+                />
+              )))}
+            </div>
+          )}
+          {(uploadError || errors.images) && (
+            <span className="impact-stories__error">{uploadError || errors.images}</span>
+          )}
+          {submitError && <div className="impact-stories__submit-error" role="alert">{submitError}</div>}
+
+          <div className="impact-stories__actions">
+            <button type="button" onClick={handleClose} className="impact-stories__btn">Cancel</button>
+            <button
+              type="submit"
+              disabled={isSaving || pendingUploads.length > 0}
+              className="impact-stories__btn impact-stories__btn--primary"
+            >
+              {isSaving ? 'Sharing…' : pendingUploads.length > 0 ? 'Uploading photos…' : 'Share story'}
+            </button>
+          </div>
+        </form>
+      )}
+
+      {stories.length === 0 ? (
+        !isOpen && (
+          <p className="impact-stories__empty">
+            {canEdit
+              ? 'Show the difference your project makes with before and after photos.'
+              : 'No stories have been shared yet.'}
+          </p>
+        )
+      ) : (
+        <ul className="impact-stories__list">
+          {stories.map(story => (
+            <li key={story.id}>
+              <article className="impact-stories__story">
+                <div className="impact-stories__photos">
+                  {[['before', story.beforeImages], ['after', story.afterImages]].map(([side, images]) => (
+                    <figure key={side} className={`impact-stories__side impact-stories__side--${side}`}>
+                      <figcaption className="impact-stories__side-label">{side === 'before' ? 'Before' : 'After'}</figcaption>
+                      {images.map((image, index) => (
+                        <img
+                          key={image.mediaId || index}
+                          src={image.url}
+                          alt={image.caption || `${side === 'before' ? 'Before' : 'After'}: ${story.title}`}
+                          loading="lazy"
+                          className="impact-stories__photo"
+                        />
+                      ))}
+                    </figure>
+                  ))}
+                </div>
+                <h4 className="impact-stories__story-title">{story.title}</h4>
+                <p className="impact-stories__byline">
+                  {story.author?.displayName || story.author?.username} · {formatDate(story.createdAt)}
+                </p>
+                <p className="impact-stories__text">{story.story}</p>
+              </article>
+            </li>
+          ))}
+        </ul>
+      )}
+    </section>
+  );
+};
+
+export default ImpactStories;
@@ -0,0 +1,75 @@
+/**
+ * GPS Lab Platform - GPOList Component
+ *
+ * A list of GPO projects, such as the learner's own showcases or those
+ * waiting for their validation, with loading, error and empty states.
+ *
+ * @module components/gpo/GPOList/GPOList
+ */
+
+import React from 'react';
+import GPOListItem from './GPOListItem';
+import './GPOList.css';
+
+/**
+ * GPOList Component
+ */
+const GPOList = ({
+  projects = [],
+  categories = [],
+  onOpen,
+  isLoading = false,
+  error = null,
+  onRetry,
+  emptyTitle = 'Nothing here yet',
+  emptyMessage,
+  emptyAction,
+  className = '',
+  ...props
+}) => {
+  const classNames = ['gpo-list', className].filter(Boolean).join(' ');
+
+  if (isLoading && projects.length === 0) {
+    return (
+      <div className={classNames} {...props}>
+        {[0, 1, 2].map(i => <div key={i} className="gpo-list__skeleton" aria-hidden="true" />)}
+      </div>
+    );
+  }
+
+  if (error && projects.length === 0) {
+    return (
+      <div className={`${classNames} gpo-list--message`} role="alert" {...props}>
+        <p className="gpo-list__message">{error}</p>
+        {onRetry && (
+          <button type="button" onClick={onRetry} className="gpo-list__btn">Try again</button>
+        )}
+      </div>
+    );
+  }
+
+  if (projects.length === 0) {
+    return (
+      <div className={`${classNames} gpo-list--message`} {...props}>
+        <h3 className="gpo-list__empty-title">{emptyTitle}</h3>
+        {emptyMessage && <p className="gpo-list__message">{emptyMessage}</p>}
+        {emptyAction}
+      </div>
+    );
+  }
+
+  return (
+    <div className={classNames} {...props}>
+      {projects.map(project => (
+        <GPOListItem
+          key={project.id}
+          project={project}
+          category={categories.find(c => c.id === project.category)}
+          onOpen={onOpen}
+        />
+      ))}
+    </div>
+  );
+};
+
+export default GPOList;
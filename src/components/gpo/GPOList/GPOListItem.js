@@ -0,0 +1,82 @@
+/**
+ * GPS Lab Platform - GPOListItem Component
+ *
+ * One GPO project as a row: its status and, once submitted, how far it is
+ * through peer and mentor validation.
+ *
+ * @module components/gpo/GPOList/GPOListItem
+ */
+
+import React from 'react';
+import { getValidationProgress } from '../../../utils/helpers/gpo.helper';
+import { formatShowcaseStatus, formatDate } from '../../../utils/formatters/gpo.formatter';
+import './GPOListItem.css';
+
+/**
+ * Statuses that have been through validation at least once
+ */
+const VALIDATED_STATUSES = ['submitted', 'changes_requested', 'published'];
+
+/**
+ * GPOListItem Component
+ */
+const GPOListItem = ({
+  project,
+  category,
+  onOpen,
+  className = '',
+  ...props
+}) => {
+  const status = formatShowcaseStatus(project.status);
+  const progress = getValidationProgress(project.validation);
+  const showProgress = VALIDATED_STATUSES.includes(project.status);
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter' || e.key === ' ') {
+      e.preventDefault();
+      onOpen?.(project.id);
+    }
+  };
+
+  const classNames = ['gpo-list-item', className].filter(Boolean).join(' ');
+
+  return (
+    <article
+      className={classNames}
+      role="link"
+      tabIndex={0}
+      aria-label={project.title}
+      onClick={() => onOpen?.(project.id)}
+      onKeyDown={handleKeyDown}
+      {...props}
+    >
+      <span className="gpo-list-item__icon" aria-hidden="true">{category?.icon || '📢'}</span>
+
+      <div className="gpo-list-item__main">
+        <h3 className="gpo-list-item__title">{project.title}</h3>
+        <p className="gpo-list-item__meta">
+          {category?.name || project.category}
+          {!project.viewer?.isOwner && project.owner && <> · by {project.owner.displayName || project.owner.username}</>}
+          {' · '}Updated {formatDate(project.updatedAt)}
+        </p>
+      </div>
+
+      {showProgress && (
+        <div className="gpo-list-item__progress" aria-label={`${progress.percentage}% validated`}>
+          <span className="gpo-list-item__approvals">
+            👥 {progress.peer.count}/{progress.peer.required} peers
+          </span>
+          <span className="gpo-list-item__approvals">
+            🎓 {progress.mentor.count}/{progress.mentor.required} mentor
+          </span>
+        </div>
+      )}
+
+      <span className="gpo-list-item__status" style={{ '--status-color': status.color }}>
+        {status.label}
+      </span>
+    </article>
+  );
+};
+
+export default GPOListItem;
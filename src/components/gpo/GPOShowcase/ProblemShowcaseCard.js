@@ -0,0 +1,101 @@
+/**
+ * GPS Lab Platform - ProblemShowcaseCard Component
+ *
+ * A published (or in-validation) Problem Showcase as a card for the
+ * community feed: the owner's place, the gap they face, how many people it
+ * touches and the skills they are asking for.
+ *
+ * @module components/gpo/GPOShowcase/ProblemShowcaseCard
+ */
+
+import React from 'react';
+import { getValidationProgress } from '../../../utils/helpers/gpo.helper';
+import { formatAffectedCount, formatShowcaseStatus, formatDate, truncateForCard } from '../../../utils/formatters/gpo.formatter';
+import './ProblemShowcaseCard.css';
+
+/**
+ * ProblemShowcaseCard Component
+ */
+const ProblemShowcaseCard = ({
+  project,
+  category,
+  onOpen,
+  className = '',
+  ...props
+}) => {
+  const showcase = project.showcase || {};
+  const poster = showcase.pain?.testimonyVideo?.poster || showcase.owner?.selfieVideo?.poster;
+  const skills = showcase.callToAction?.skillsNeeded || [];
+  const isPublished = project.status === 'published';
+  const progress = getValidationProgress(project.validation);
+  const status = formatShowcaseStatus(project.status);
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter' || e.key === ' ') {
+      e.preventDefault();
+      onOpen?.(project.id);
+    }
+  };
+
+  const classNames = ['problem-showcase-card', className].filter(Boolean).join(' ');
+
+  return (
+    <article
+      className={classNames}
+      role="link"
+      tabIndex={0}
+      aria-label={project.title}
+      onClick={() => onOpen?.(project.id)}
+      onKeyDown={handleKeyDown}
+      {...props}
+    >
+      <div className="psc__media">
+        {poster?.url ? (
+          <img className="psc__poster" src={poster.url} alt="" />
+        ) : (
+          <span className="psc__media-icon" aria-hidden="true">{category?.icon || '📢'}</span>
+        )}
+        {showcase.pain?.testimonyVideo && <span className="psc__video-badge">▶ Testimony</span>}
+      </div>
+
+      <div className="psc__body">
+        <div className="psc__meta">
+          <span className="psc__category">
+            {category ? `${category.icon} ${category.name}` : project.category}
+          </span>
+          {!isPublished && (
+            <span className="psc__status" style={{ '--status-color': status.color }}>{status.label}</span>
+          )}
+        </div>
+
+        <h3 className="psc__title">{project.title}</h3>
+        {showcase.owner?.location && <p className="psc__location">📍 {showcase.owner.location}</p>}
+        <p className="psc__description">{truncateForCard(project.description)}</p>
+
+        <dl className="psc__facts">
+          <div>
+            <dt>Affected</dt>
+            <dd>{formatAffectedCount(showcase.pain?.affectedPeople)}</dd>
+          </div>
+          <div>
+            <dt>Skills needed</dt>
+            <dd>{skills.length}</dd>
+          </div>
+        </dl>
+      </div>
+
+      <footer className="psc__footer">
+        <span className="psc__owner">by {project.owner?.displayName || project.owner?.username}</span>
+        {isPublished ? (
+          <span className="psc__validated" title="Validated by peers and a mentor">
+            ✓ Validated · {formatDate(project.publishedAt)}
+          </span>
+        ) : (
+          <span className="psc__progress">{progress.percentage}% validated</span>
+        )}
+      </footer>
+    </article>
+  );
+};
+
+export default ProblemShowcaseCard;
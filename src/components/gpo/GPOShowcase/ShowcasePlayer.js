@@ -0,0 +1,166 @@
+/**
+ * GPS Lab Platform - ShowcasePlayer Component
+ *
+ * Plays a showcase video with its edits: only the trimmed part plays, the
+ * chosen poster frame shows before playback, and every captioned language
+ * is offered as a WebVTT caption track. Captions start in the viewer's
+ * language when the video has it.
+ *
+ * @module components/gpo/GPOShowcase/ShowcasePlayer
+ */
+
+import React, { useState, useRef, useEffect, useMemo, useCallback } from 'react';
+import {
+  CAPTION_LANGUAGES,
+  VTT_MIME_TYPE,
+  getCaptionedLanguages,
+  toWebVTT
+} from '../../../utils/helpers/caption.helper';
+import { formatDuration } from '../../../utils/formatters/gpo.formatter';
+import { getLocale } from '../../../services/storage/localStorage.service';
+import './ShowcasePlayer.css';
+
+const CAPTIONS_OFF = 'off';
+
+/**
+ * Object URL for a local file, revoked when the file changes
+ * @param {Blob} [blob] - File
+ * @returns {string|null} Object URL
+ */
+const useObjectUrl = (blob) => {
+  const url = useMemo(() => (blob ? URL.createObjectURL(blob) : null), [blob]);
+  useEffect(() => () => {
+    if (url) URL.revokeObjectURL(url);
+  }, [url]);
+  return url;
+};
+
+/**
+ * Caption language to start with
+ * @param {Array<string>} languages - Captioned languages
+ * @returns {string} Language code, or CAPTIONS_OFF
+ */
+const getDefaultLanguage = (languages) => {
+  const viewer = getLocale();
+  if (languages.includes(viewer)) return viewer;
+  return languages[0] || CAPTIONS_OFF;
+};
+
+/**
+ * ShowcasePlayer Component
+ */
+const ShowcasePlayer = ({
+  video,
+  title,
+  className = '',
+  ...props
+}) => {
+  const videoRef = useRef(null);
+  const captions = video?.captions;
+  const languages = useMemo(() => getCaptionedLanguages(captions), [captions]);
+  const [captionLanguage, setCaptionLanguage] = useState(() => getDefaultLanguage(languages));
+
+  const fileUrl = useObjectUrl(video?.file);
+  const posterFileUrl = useObjectUrl(video?.poster?.file);
+
+  // One WebVTT file per captioned language
+  const trackUrls = useMemo(() => Object.fromEntries(languages.map(code => [
+    code,
+    URL.createObjectURL(new Blob([toWebVTT(captions[code])], { type: VTT_MIME_TYPE }))
+  ])), [languages, captions]);
+  useEffect(() => () => {
+    Object.values(trackUrls).forEach(url => URL.revokeObjectURL(url));
+  }, [trackUrls]);
+
+  const start = video?.trim?.start ?? 0;
+  const end = video?.trim?.end ?? null;
+  const length = (end ?? video?.duration ?? 0) - start;
+
+  // Show the chosen track; the rest stay loaded for switching
+  useEffect(() => {
+    const tracks = videoRef.current?.textTracks;
+    if (!tracks) return;
+    Array.from(tracks).forEach(track => {
+      track.mode = track.language === captionLanguage ? 'showing' : 'disabled';
+    });
+  }, [captionLanguage, trackUrls]);
+
+  const handleLoadedMetadata = useCallback(() => {
+    if (videoRef.current.currentTime < start) videoRef.current.currentTime = start;
+  }, [start]);
+
+  // Keep playback inside the trim, starting over after the end
+  const handleTimeUpdate = useCallback(() => {
+    const element = videoRef.current;
+    if (end !== null && element.currentTime >= end) {
+      element.pause();
+      element.currentTime = end;
+    } else if (element.currentTime < start - 0.25) {
+      element.currentTime = start;
+    }
+  }, [start, end]);
+
+  const handlePlay = useCallback(() => {
+    const element = videoRef.current;
+    if (end !== null && element.currentTime >= end - 0.05) element.currentTime = start;
+  }, [start, end]);
+
+  const source = fileUrl || video?.url;
+  if (!source) return null;
+
+  const fragment = start > 0 || end !== null ? `#t=${start}${end !== null ? `,${end}` : ''}` : '';
+  const classNames = ['showcase-player', className].filter(Boolean).join(' ');
+
+  return (
+    <figure className={classNames} {...props}>
+      <video
+        ref={videoRef}
+        className="showcase-player__video"
+        src={`${source}${fragment}`}
+        poster={posterFileUrl || video.poster?.url}
+        controls
+        playsInline
+        preload="metadata"
+        aria-label={title}
+        onLoadedMetadata={handleLoadedMetadata}
+        onTimeUpdate={handleTimeUpdate}
+        onPlay={handlePlay}
+      >
+        {languages.map(code => (
+          <track
+            key={code}
+            kind="captions"
+            src={trackUrls[code]}
+            srcLang={code}
+            label={CAPTION_LANGUAGES.find(language => language.code === code).label}
+            default={code === captionLanguage}
+          />
+        ))}
+        Your browser does not support video playback.
+      </video>
+
+      <figcaption className="showcase-player__footer">
+        <span className="showcase-player__meta">
+          {title && <strong className="showcase-player__title">{title}</strong>}
+          {length > 0 && <span>{formatDuration(Math.round(length))}</span>}
+        </span>
+
+        {languages.length > 0 && (
+          <label className="showcase-player__captions">
+            <span>Captions</span>
+            <select value={captionLanguage} onChange={(e) => setCaptionLanguage(e.target.value)}>
+              <option value={CAPTIONS_OFF}>Off</option>
+              {languages.map(code => (
+                <option key={code} value={code}>
+                  {CAPTION_LANGUAGES.find(language => language.code === code).label}
+                </option>
+              ))}
+            </select>
+          </label>
+        )}
+      </figcaption>
+    </figure>
+  );
+};
+
+export default ShowcasePlayer;
@@ -0,0 +1,216 @@
+/**
+ * GPS Lab Platform - ShowcasePreview Component
+ *
+ * The finished Problem Showcase as solvers will see it. At the end of the
+ * GPO Call (when `onSubmit` is given) it also asks for the title and
+ * category the showcase is published under; on its own it is the read-only
+ * showcase. Videos play with their trims, posters and captions; with
+ * `onEdit`, every section links back to its stage.
+ *
+ * @module components/gpo/GPOShowcase/ShowcasePreview
+ */
+
+import React, { useState } from 'react';
+import ShowcasePlayer from './ShowcasePlayer';
+import MediaGallery from '../../common/Media/MediaGallery';
+import { SKILL_CATEGORIES } from '../GPOStages/Stage0/SkillsNeededSelector';
+import { estimateReadingTime } from '../../../utils/helpers/gpo.helper';
+import { formatAffectedCount, formatSkillsList } from '../../../utils/formatters/gpo.formatter';
+import { validateShowcaseDetails, LIMITS } from '../../../utils/validators/gpo.validator';
+import './ShowcasePreview.css';
+
+const ALL_SKILLS = SKILL_CATEGORIES.flatMap(category => category.skills);
+
+/**
+ * Before/after photos are stored without a media type
+ * @param {Array<Object>} images - Images
+ * @returns {Array<Object>} Gallery items
+ */
+const asImages = (images = []) => images.map(image => ({ ...image, type: 'image' }));
+
+/**
+ * One section of the showcase, with a link back to its stage
+ */
+const PreviewSection = ({ icon, title, stage, onEdit, children }) => (
+  <section className="showcase-preview__section">
+    <div className="showcase-preview__section-header">
+      <h3 className="showcase-preview__section-title">
+        <span aria-hidden="true">{icon}</span> {title}
+      </h3>
+      {onEdit && (
+        <button type="button" className="showcase-preview__edit" onClick={() => onEdit(stage)}>
+          Edit
+        </button>
+      )}
+    </div>
+    {children}
+  </section>
+);
+
+/**
+ * Labelled paragraph, left out when empty
+ */
+const PreviewText = ({ label, children }) => (children ? (
+  <div className="showcase-preview__text">
+    <h4 className="showcase-preview__label">{label}</h4>
+    <p>{children}</p>
+  </div>
+) : null);
+
+/**
+ * ShowcasePreview Component
+ */
+const ShowcasePreview = ({
+  showcase,
+  onEdit,
+  onSubmit,
+  isSubmitting = false,
+  details = { title: '', category: '' },
+  onDetailsChange,
+  categories = [],
+  className = '',
+  ...props
+}) => {
+  const [errors, setErrors] = useState({});
+  const { owner, problem, pain, vision, callToAction } = showcase;
+  const readingTime = estimateReadingTime(showcase);
+  const visionMedia = [...vision.futureMedia, ...asImages(vision.beforeImages), ...asImages(vision.afterImages)];
+
+  const handleDetailChange = (field, value) => {
+    onDetailsChange?.({ ...details, [field]: value });
+    setErrors(prev => ({ ...prev, [field]: undefined }));
+  };
+
+  const handleSubmit = () => {
+    const { valid, errors: detailErrors } = validateShowcaseDetails(details, categories);
+    setErrors(detailErrors);
+    if (valid) onSubmit();
+  };
+
+  const classNames = ['showcase-preview', className].filter(Boolean).join(' ');
+
+  return (
+    <div className={classNames} {...props}>
+      {onSubmit && (
+        <div className="showcase-preview__hero">
+          <h2 className="showcase-preview__hero-title">🎉 Your Problem Showcase is Ready!</h2>
+          <p className="showcase-preview__hero-text">
+            You've completed all 5 stages. Review your showcase below, then submit it for validation.
+          </p>
+          <span className="showcase-preview__reading-time">
+            About {readingTime} min read · {formatAffectedCount(pain.affectedPeople)} affected
+          </span>
+        </div>
+      )}
+
+      <PreviewSection icon="👋" title={owner.name || 'Introduction'} stage={-4} onEdit={onEdit}>
+        {owner.location && <p className="showcase-preview__location">📍 {owner.location}</p>}
+        {owner.selfieVideo && <ShowcasePlayer video={owner.selfieVideo} title="Introduction" />}
+        <PreviewText label="Background">{owner.background}</PreviewText>
+        <PreviewText label="Community">{owner.community}</PreviewText>
+      </PreviewSection>
+
+      <PreviewSection icon="🎯" title="The Problem" stage={-3} onEdit={onEdit}>
+        <PreviewText label="Current reality">{problem.currentReality}</PreviewText>
+        <PreviewText label="Desired state">{problem.desiredState}</PreviewText>
+        <PreviewText label="The gap">{problem.theGap}</PreviewText>
+        {problem.statistics.length > 0 && (
+          <ul className="showcase-preview__stats">
+            {problem.statistics.map(stat => (
+              <li key={stat.id} className="showcase-preview__stat">
+                <strong>{stat.value}</strong>
+                <span>{stat.label}</span>
+                {stat.source && <small>Source: {stat.source}</small>}
+              </li>
+            ))}
+          </ul>
+        )}
+        <MediaGallery items={problem.evidence} columns={3} />
+      </PreviewSection>
+
+      <PreviewSection icon="💔" title="Whose Pain" stage={-2} onEdit={onEdit}>
+        {pain.testimonyVideo && <ShowcasePlayer video={pain.testimonyVideo} title="Testimony" />}
+        <PreviewText label="Testimony">{pain.testimony}</PreviewText>
+        <PreviewText label="Daily burden">{pain.dailyBurden}</PreviewText>
+        <PreviewText label="Who is affected">{pain.affectedPeople}</PreviewText>
+        <MediaGallery items={pain.dailyLifeMedia} columns={3} />
+      </PreviewSection>
+
+      <PreviewSection icon="🌟" title="The Vision" stage={-1} onEdit={onEdit}>
+        <PreviewText label="Vision">{vision.statement}</PreviewText>
+        <PreviewText label="Success looks like">{vision.successMetrics}</PreviewText>
+        <PreviewText label="Timeframe">{vision.timeframe}</PreviewText>
+        <MediaGallery items={visionMedia} columns={3} />
+      </PreviewSection>
+
+      <PreviewSection icon="🤝" title="How GPS Can Help" stage={0} onEdit={onEdit}>
+        {callToAction.invitationVideo && <ShowcasePlayer video={callToAction.invitationVideo} title="Invitation" />}
+        <PreviewText label="What we need">{callToAction.collaborationNeeds}</PreviewText>
+        <PreviewText label="What we offer">{callToAction.whatYouOffer}</PreviewText>
+        <PreviewText label="Skills needed">{formatSkillsList(callToAction.skillsNeeded, ALL_SKILLS)}</PreviewText>
+      </PreviewSection>
+
+      {onSubmit && (
+        <section className="showcase-preview__section showcase-preview__details">
+          <h3 className="showcase-preview__section-title">
+            <span aria-hidden="true">🏷️</span> Publishing Details
+          </h3>
+          <p className="showcase-preview__details-hint">
+            Peers and a mentor validate your showcase before it appears in the community feed.
+          </p>
+          <div className="showcase-preview__field">
+            <label htmlFor="showcaseTitle" className="showcase-preview__label">Showcase title</label>
+            <input
+              id="showcaseTitle"
+              type="text"
+              value={details.title}
+              onChange={e => handleDetailChange('title', e.target.value)}
+              maxLength={LIMITS.MAX_SHOWCASE_TITLE}
+              placeholder="e.g. Clean Water Is a Six-Hour Walk Away"
+              className={`showcase-preview__input ${errors.title ? 'showcase-preview__input--error' : ''}`}
+            />
+            {errors.title && <span className="showcase-preview__error">{errors.title}</span>}
+          </div>
+          <div className="showcase-preview__field">
+            <label htmlFor="showcaseCategory" className="showcase-preview__label">Category</label>
+            <select
+              id="showcaseCategory"
+              value={details.category}
+              onChange={e => handleDetailChange('category', e.target.value)}
+              className={`showcase-preview__input ${errors.category ? 'showcase-preview__input--error' : ''}`}
+            >
+              <option value="">Choose a category</option>
+              {categories.map(category => (
+                <option key={category.id} value={category.id}>{category.icon} {category.name}</option>
+              ))}
+            </select>
+            {errors.category && <span className="showcase-preview__error">{errors.category}</span>}
+          </div>
+        </section>
+      )}
+
+      {onSubmit && (
+        <div className="showcase-preview__actions">
+          <button
+            type="button"
+            className="showcase-preview__btn showcase-preview__btn--secondary"
+            onClick={() => onEdit?.(-4)}
+            disabled={isSubmitting}
+          >
+            ← Edit Stages
+          </button>
+          <button
+            type="button"
+            className="showcase-preview__btn showcase-preview__btn--primary"
+            onClick={handleSubmit}
+            disabled={isSubmitting}
+          >
+            {isSubmitting ? 'Submitting...' : '🚀 Submit Showcase'}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ShowcasePreview;
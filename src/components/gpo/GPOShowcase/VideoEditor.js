@@ -0,0 +1,456 @@
+/**
+ * GPS Lab Platform - VideoEditor Component
+ *
+ * In-browser editing for a recorded showcase video: trim the start and end,
+ * pick a poster frame and write timed captions in English, Korean or
+ * Swahili. Nothing is re-encoded — the edits are saved on the video and
+ * applied by ShowcasePlayer. The poster frame is uploaded like any other
+ * GPO media.
+ *
+ * @module components/gpo/GPOShowcase/VideoEditor
+ */
+
+import React, { useState, useRef, useEffect, useMemo, useCallback } from 'react';
+import useUploads from '../../../hooks/useUploads';
+import { toUploadedMedia, UPLOAD_STATUS } from '../../../services/upload/upload.service';
+import { UPLOAD_KINDS } from '../../../utils/validators/upload.validator';
+import { validateVideoEdit } from '../../../utils/validators/gpo.validator';
+import {
+  CAPTION_LANGUAGES,
+  VTT_MIME_TYPE,
+  createCue,
+  formatCueTime,
+  parseWebVTT,
+  sortCues,
+  toWebVTT
+} from '../../../utils/helpers/caption.helper';
+import { downloadFile } from '../../../utils/helpers/export.helper';
+import UploadProgress from '../../common/Media/UploadProgress';
+import './VideoEditor.css';
+
+const POSTER_QUALITY = 0.85;
+
+/**
+ * Captures the frame a video is showing as a JPEG file
+ * @param {HTMLVideoElement} element - Video
+ * @returns {Promise<File|null>} Frame, or null when it cannot be drawn
+ * @throws {DOMException} SecurityError when the video is from another origin
+ */
+const captureFrame = (element) => new Promise((resolve) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = element.videoWidth;
+  canvas.height = element.videoHeight;
+  const context = canvas.getContext('2d');
+  if (!context || !canvas.width) {
+    resolve(null);
+    return;
+  }
+  context.drawImage(element, 0, 0, canvas.width, canvas.height);
+  canvas.toBlob(
+    blob => resolve(blob ? new File([blob], `poster-${Date.now()}.jpg`, { type: 'image/jpeg' }) : null),
+    'image/jpeg',
+    POSTER_QUALITY
+  );
+});
+
+/**
+ * VideoEditor Component
+ */
+const VideoEditor = ({
+  video,
+  title = 'Edit Video',
+  minDuration = 0,
+  onSave,
+  onCancel,
+  className = '',
+  ...props
+}) => {
+  const videoRef = useRef(null);
+  const importRef = useRef(null);
+
+  // Recorded webm files often report an unknown length, so fall back to the recorder's
+  const [duration, setDuration] = useState(video.duration || 0);
+  const [trim, setTrim] = useState(() => ({
+    start: video.trim?.start ?? 0,
+    end: video.trim?.end ?? video.duration ?? 0
+  }));
+  const [poster, setPoster] = useState(video.poster || null);
+  const [captions, setCaptions] = useState(() => video.captions || {});
+  const [language, setLanguage] = useState(CAPTION_LANGUAGES[0].code);
+  const [currentTime, setCurrentTime] = useState(trim.start);
+  const [submitted, setSubmitted] = useState(false);
+  const [actionError, setActionError] = useState(null);
+
+  const source = useMemo(() => (video.file ? URL.createObjectURL(video.file) : video.url), [video.file, video.url]);
+  useEffect(() => () => {
+    if (video.file) URL.revokeObjectURL(source);
+  }, [video.file, source]);
+
+  const handlePosterUploaded = useCallback(upload => setPoster(toUploadedMedia(upload)), []);
+  const { uploads, start: startUpload, pause, resume, remove } = useUploads({
+    kind: UPLOAD_KINDS.GPO_MEDIA,
+    purpose: `gpo:poster:${video.id || video.fileName}`,
+    onComplete: handlePosterUploaded
+  });
+  const posterUpload = uploads[uploads.length - 1] || null;
+  const isPosterUploading = Boolean(posterUpload) && posterUpload.status !== UPLOAD_STATUS.FAILED;
+
+  const posterUrl = useMemo(
+    () => (poster?.file ? URL.createObjectURL(poster.file) : poster?.url),
+    [poster]
+  );
+  useEffect(() => () => {
+    if (poster?.file) URL.revokeObjectURL(posterUrl);
+  }, [poster, posterUrl]);
+
+  const cues = captions[language] || [];
+  const { errors } = validateVideoEdit({ trim, poster, captions }, { duration, minDuration });
+  const shownErrors = submitted ? errors : {};
+  const cueErrors = shownErrors.captions?.[language] || {};
+
+  // =========================================================================
+  // PLAYBACK
+  // =========================================================================
+
+  const seek = useCallback((time) => {
+    if (videoRef.current) videoRef.current.currentTime = time;
+    setCurrentTime(time);
+  }, []);
+
+  const handleLoadedMetadata = useCallback(() => {
+    const element = videoRef.current;
+    if (Number.isFinite(element.duration)) {
+      setDuration(element.duration);
+      setTrim(current => ({ ...current, end: current.end > 0 ? Math.min(current.end, element.duration) : element.duration }));
+    }
+    element.currentTime = trim.start;
+  }, [trim.start]);
+
+  // Preview the trimmed video: playback stops at the trim end
+  const handleTimeUpdate = useCallback(() => {
+    const element = videoRef.current;
+    if (!element.paused && element.currentTime >= trim.end) {
+      element.pause();
+      element.currentTime = trim.end;
+    }
+    setCurrentTime(element.currentTime);
+  }, [trim.end]);
+
+  const handlePlay = useCallback(() => {
+    const element = videoRef.current;
+    if (element.currentTime < trim.start || element.currentTime >= trim.end - 0.05) {
+      element.currentTime = trim.start;
+    }
+  }, [trim.start, trim.end]);
+
+  // =========================================================================
+  // TRIM AND POSTER
+  // =========================================================================
+
+  const updateTrim = useCallback((field, value) => {
+    const time = Math.round(Number(value) * 10) / 10;
+    setTrim(current => ({ ...current, [field]: time }));
+    seek(time);
+  }, [seek]);
+
+  const handleCapturePoster = useCallback(async () => {
+    setActionError(null);
+    try {
+      const frame = await captureFrame(videoRef.current);
+      if (!frame) {
+        setActionError('Could not capture this frame. Let the video load, then try again.');
+        return;
+      }
+      await startUpload(frame, { meta: { time: Math.round(currentTime * 10) / 10 }, replace: true });
+    } catch (err) {
+      setActionError(err.message);
+    }
+  }, [currentTime, startUpload]);
+
+  // =========================================================================
+  // CAPTIONS
+  // =========================================================================
+
+  const setCues = useCallback((updater) => {
+    setCaptions(current => ({ ...current, [language]: updater(current[language] || []) }));
+  }, [language]);
+
+  const handleAddCue = useCallback(() => {
+    const startAt = Math.min(Math.max(currentTime, trim.start), trim.end);
+    setCues(current => sortCues([...current, createCue(startAt, trim.end)]));
+  }, [currentTime, trim, setCues]);
+
+  const handleCueChange = useCallback((index, field, value) => {
+    setCues(current => current.map((cue, i) => (
+      i === index ? { ...cue, [field]: field === 'text' ? value : Number(value) } : cue
+    )));
+  }, [setCues]);
+
+  const handleRemoveCue = useCallback((index) => {
+    setCues(current => current.filter((_, i) => i !== index));
+  }, [setCues]);
+
+  const handleImport = useCallback((e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    setActionError(null);
+    const reader = new FileReader();
+    reader.onload = () => {
+      const imported = parseWebVTT(reader.result);
+      if (imported.length === 0) {
+        setActionError(`No captions found in ${file.name}`);
+        return;
+      }
+      setCues(current => sortCues([...current, ...imported]));
+    };
+    reader.onerror = () => setActionError(`Could not read ${file.name}`);
+    reader.readAsText(file);
+  }, [setCues]);
+
+  const handleDownload = useCallback(() => {
+    const name = (video.fileName || 'video').replace(/\.[^.]+$/, '');
+    downloadFile(toWebVTT(captions[language]), `${name}.${language}.vtt`, VTT_MIME_TYPE);
+  }, [video.fileName, captions, language]);
+
+  // =========================================================================
+  // SAVE
+  // =========================================================================
+
+  const handleSave = useCallback(() => {
+    setSubmitted(true);
+    if (Object.keys(errors).length > 0 || isPosterUploading) return;
+
+    const isTrimmed = trim.start > 0 || (duration > 0 && trim.end < duration);
+    const savedCaptions = Object.fromEntries(
+      Object.entries(captions)
+        .filter(([, list]) => list.length > 0)
+        .map(([code, list]) => [code, sortCues(list)])
+    );
+
+    onSave?.({
+      ...video,
+      duration: duration || video.duration,
+      trim: isTrimmed ? trim : null,
+      poster,
+      captions: savedCaptions
+    });
+  }, [errors, isPosterUploading, trim, duration, captions, poster, video, onSave]);
+
+  const classNames = ['video-editor', className].filter(Boolean).join(' ');
+
+  return (
+    <div className={classNames} {...props}>
+      <div className="video-editor__header">
+        <h3 className="video-editor__title">{title}</h3>
+        <p className="video-editor__subtitle">
+          Trim the video, choose the frame viewers see first and add captions so more people can follow your story.
+        </p>
+      </div>
+
+      <div className="video-editor__stage">
+        <video
+          ref={videoRef}
+          className="video-editor__video"
+          src={source}
+          controls
+          playsInline
+          preload="metadata"
+          onLoadedMetadata={handleLoadedMetadata}
+          onTimeUpdate={handleTimeUpdate}
+          onPlay={handlePlay}
+        />
+        <div className="video-editor__time">
+          {formatCueTime(currentTime)} · trimmed length {formatCueTime(trim.end - trim.start)}
+        </div>
+      </div>
+
+      {/* Trim */}
+      <section className="video-editor__section">
+        <h4 className="video-editor__section-title">Trim</h4>
+        <div className="video-editor__trim">
+          <label className="video-editor__range">
+            <span>Start {formatCueTime(trim.start)}</span>
+            <input
+              type="range"
+              min={0}
+              max={duration || trim.end}
+              step={0.1}
+              value={trim.start}
+              onChange={(e) => updateTrim('start', e.target.value)}
+            />
+          </label>
+          <label className="video-editor__range">
+            <span>End {formatCueTime(trim.end)}</span>
+            <input
+              type="range"
+              min={0}
+              max={duration || trim.end}
+              step={0.1}
+              value={trim.end}
+              onChange={(e) => updateTrim('end', e.target.value)}
+            />
+          </label>
+        </div>
+        <div className="video-editor__actions">
+          <button type="button" className="video-editor__btn" onClick={() => updateTrim('start', currentTime)}>
+            Start here
+          </button>
+          <button type="button" className="video-editor__btn" onClick={() => updateTrim('end', currentTime)}>
+            End here
+          </button>
+        </div>
+        {shownErrors.trim && <p className="video-editor__error">{shownErrors.trim}</p>}
+      </section>
+
+      {/* Poster */}
+      <section className="video-editor__section">
+        <h4 className="video-editor__section-title">Poster frame</h4>
+        <div className="video-editor__poster">
+          {posterUrl ? (
+            <img className="video-editor__poster-image" src={posterUrl} alt="Poster frame" />
+          ) : (
+            <div className="video-editor__poster-empty">No poster yet — the first frame is shown</div>
+          )}
+          <div className="video-editor__poster-controls">
+            <button
+              type="button"
+              className="video-editor__btn"
+              onClick={handleCapturePoster}
+              disabled={isPosterUploading}
+            >
+              Use current frame
+            </button>
+            {poster && (
+              <button type="button" className="video-editor__btn" onClick={() => seek(poster.time)}>
+                Show at {formatCueTime(poster.time)}
+              </button>
+            )}
+            {poster && (
+              <button type="button" className="video-editor__btn video-editor__btn--danger" onClick={() => setPoster(null)}>
+                Remove poster
+              </button>
+            )}
+          </div>
+        </div>
+        {posterUpload && (
+          <UploadProgress upload={posterUpload} onPause={pause} onResume={resume} onCancel={remove} compact />
+        )}
+        {shownErrors.poster && <p className="video-editor__error">{shownErrors.poster}</p>}
+      </section>
+
+      {/* Captions */}
+      <section className="video-editor__section">
+        <h4 className="video-editor__section-title">Captions</h4>
+        <div className="video-editor__tabs" role="tablist">
+          {CAPTION_LANGUAGES.map(({ code, label }) => (
+            <button
+              key={code}
+              type="button"
+              role="tab"
+              aria-selected={language === code}
+              className={`video-editor__tab ${language === code ? 'video-editor__tab--active' : ''}`}
+              onClick={() => setLanguage(code)}
+            >
+              {label}
+              {(captions[code] || []).length > 0 && (
+                <span className="video-editor__tab-count">{captions[code].length}</span>
+              )}
+              {shownErrors.captions?.[code] && <span className="video-editor__tab-error" aria-label="Has errors">!</span>}
+            </button>
+          ))}
+        </div>
+
+        {cues.length === 0 ? (
+          <p className="video-editor__empty">
+            No captions in this language yet. Play to the moment someone starts speaking and add a caption.
+          </p>
+        ) : (
+          <ol className="video-editor__cues">
+            {cues.map((cue, index) => (
+              <li
+                key={index}
+                className={`video-editor__cue ${cueErrors[index] ? 'video-editor__cue--error' : ''}`}
+              >
+                <div className="video-editor__cue-times">
+                  <input
+                    type="number"
+                    min={0}
+                    step={0.1}
+                    value={cue.start}
+                    onChange={(e) => handleCueChange(index, 'start', e.target.value)}
+                    aria-label={`Caption ${index + 1} start (seconds)`}
+                  />
+                  <span aria-hidden="true">→</span>
+                  <input
+                    type="number"
+                    min={0}
+                    step={0.1}
+                    value={cue.end}
+                    onChange={(e) => handleCueChange(index, 'end', e.target.value)}
+                    aria-label={`Caption ${index + 1} end (seconds)`}
+                  />
+                </div>
+                <textarea
+                  className="video-editor__cue-text"
+                  rows={2}
+                  value={cue.text}
+                  onChange={(e) => handleCueChange(index, 'text', e.target.value)}
+                  placeholder="What is being said"
+                  aria-label={`Caption ${index + 1} text`}
+                />
+                <div className="video-editor__cue-actions">
+                  <button type="button" className="video-editor__link" onClick={() => seek(cue.start)}>
+                    Play from here
+                  </button>
+                  <button type="button" className="video-editor__link video-editor__link--danger" onClick={() => handleRemoveCue(index)}>
+                    Remove
+                  </button>
+                </div>
+                {cueErrors[index] && <p className="video-editor__error">{cueErrors[index]}</p>}
+              </li>
+            ))}
+          </ol>
+        )}
+
+        <div className="video-editor__actions">
+          <button type="button" className="video-editor__btn" onClick={handleAddCue}>
+            + Add caption at {formatCueTime(currentTime)}
+          </button>
+          <button type="button" className="video-editor__btn" onClick={() => importRef.current?.click()}>
+            Import .vtt
+          </button>
+          <button type="button" className="video-editor__btn" onClick={handleDownload} disabled={cues.length === 0}>
+            Download .vtt
+          </button>
+          <input
+            ref={importRef}
+            type="file"
+            accept=".vtt,.srt,text/vtt"
+            onChange={handleImport}
+            className="video-editor__file-input"
+          />
+        </div>
+      </section>
+
+      {actionError && <p className="video-editor__error">{actionError}</p>}
+
+      <div className="video-editor__footer">
+        <button type="button" className="video-editor__btn" onClick={onCancel}>
+          Cancel
+        </button>
+        <button
+          type="button"
+          className="video-editor__btn video-editor__btn--primary"
+          onClick={handleSave}
+          disabled={isPosterUploading}
+        >
+          {isPosterUploading ? 'Uploading poster...' : 'Save Edits'}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default VideoEditor;
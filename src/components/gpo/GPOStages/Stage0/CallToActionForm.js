@@ -8,7 +8,8 @@
  */
 
 import React, { useState, useCallback } from 'react';
-import InvitationVideoRecorder from './InvitationVideoRecorder';
+import InvitationVideoRecorder, { MIN_DURATION } from './InvitationVideoRecorder';
+import VideoEditor from '../../GPOShowcase/VideoEditor';
 import SkillsNeededSelector from './SkillsNeededSelector';
 import './CallToActionForm.css';
 
@@ -29,6 +30,7 @@ const CallToActionForm = ({
 
   const [errors, setErrors] = useState({});
   const [currentStep, setCurrentStep] = useState(0);
+  const [isEditingVideo, setIsEditingVideo] = useState(false);
 
   const handleChange = useCallback((field, value) => {
     setFormData(prev => ({ ...prev, [field]: value }));
@@ -148,11 +150,28 @@ const CallToActionForm = ({
         {/* Step 1 — Invitation Video */}
         {currentStep === 1 && (
           <div className="ctaf__content">
-            <InvitationVideoRecorder
-              existingVideo={formData.invitationVideo}
-              onVideoRecorded={video => handleChange('invitationVideo', video)}
-              error={errors.invitationVideo}
-            />
+            {isEditingVideo ? (
+              <VideoEditor
+                video={formData.invitationVideo}
+                title="Edit Your Invitation"
+                minDuration={MIN_DURATION}
+                onSave={video => { handleChange('invitationVideo', video); setIsEditingVideo(false); }}
+                onCancel={() => setIsEditingVideo(false)}
+              />
+            ) : (
+              <>
+                <InvitationVideoRecorder
+                  existingVideo={formData.invitationVideo}
+                  onVideoRecorded={video => handleChange('invitationVideo', video)}
+                  error={errors.invitationVideo}
+                />
+                {formData.invitationVideo && (
+                  <button type="button" onClick={() => setIsEditingVideo(true)} className="ctaf__btn ctaf__btn--secondary ctaf__edit-video">
+                    ✂️ Trim, poster &amp; captions
+                  </button>
+                )}
+              </>
+            )}
           </div>
         )}
 
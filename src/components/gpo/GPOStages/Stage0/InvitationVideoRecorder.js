@@ -2,16 +2,22 @@
  * GPS Lab Platform - InvitationVideoRecorder Component
  *
  * Record invitation message to GPS — Stage 0.
- * Max 2 minutes, guided prompts.
+ * Max 2 minutes, guided prompts. The chosen take is uploaded in the
+ * background and handed to the form once it is on the server.
  *
  * @module components/gpo/GPOStages/Stage0/InvitationVideoRecorder
  */
 
 import React, { useState, useRef, useEffect, useCallback } from 'react';
+import useUploads from '../../../../hooks/useUploads';
+import { findUploads, toUploadedMedia, UPLOAD_STATUS } from '../../../../services/upload/upload.service';
+import { UPLOAD_KINDS } from '../../../../utils/validators/upload.validator';
+import UploadProgress from '../../../common/Media/UploadProgress';
 import './InvitationVideoRecorder.css';
 
 const MAX_DURATION = 120;
-const MIN_DURATION = 15;
+export const MIN_DURATION = 15;
+const UPLOAD_PURPOSE = 'gpo:invitation';
 
 const InvitationVideoRecorder = ({
   existingVideo = null,
@@ -28,10 +34,21 @@ const InvitationVideoRecorder = ({
 
   const [isRecording, setIsRecording] = useState(false);
   const [isPaused, setIsPaused] = useState(false);
-  const [recordedBlob, setRecordedBlob] = useState(existingVideo);
-  const [recordingTime, setRecordingTime] = useState(0);
+  // A take still uploading (e.g. before a reload) comes back first
+  const [recordedBlob, setRecordedBlob] = useState(() => findUploads(UPLOAD_PURPOSE).pop()?.file || existingVideo?.file || null);
+  const [recordingTime, setRecordingTime] = useState(() => findUploads(UPLOAD_PURPOSE).pop()?.meta.duration || existingVideo?.duration || 0);
   const [cameraError, setCameraError] = useState(null);
   const [cameraReady, setCameraReady] = useState(false);
+  const [uploadError, setUploadError] = useState(null);
+
+  const handleUploaded = useCallback(upload => onVideoRecorded?.(toUploadedMedia(upload)), [onVideoRecorded]);
+  const { uploads, start, pause, resume, remove } = useUploads({
+    kind: UPLOAD_KINDS.GPO_VIDEO,
+    purpose: UPLOAD_PURPOSE,
+    onComplete: handleUploaded
+  });
+  const upload = uploads[uploads.length - 1] || null;
+  const isUploading = Boolean(upload) && upload.status !== UPLOAD_STATUS.FAILED;
 
   const formatTime = s => `${Math.floor(s / 60)}:${String(s % 60).padStart(2, '0')}`;
   const timePercent = Math.min((recordingTime / MAX_DURATION) * 100, 100);
@@ -98,14 +115,27 @@ const InvitationVideoRecorder = ({
   }, [isPaused, stopRecording]);
 
   const retry = useCallback(() => {
+    if (upload) remove(upload.id);
     setRecordedBlob(null);
     setRecordingTime(0);
+    setUploadError(null);
     chunksRef.current = [];
-  }, []);
+  }, [upload, remove]);
 
-  const handleSave = useCallback(() => {
-    if (recordedBlob && recordingTime >= MIN_DURATION) onVideoRecorded?.(recordedBlob);
-  }, [recordedBlob, recordingTime, onVideoRecorded]);
+  const handleSave = useCallback(async () => {
+    if (!recordedBlob || recordingTime < MIN_DURATION) return;
+    if (existingVideo && recordedBlob === existingVideo.file) {
+      onVideoRecorded?.(existingVideo);
+      return;
+    }
+    setUploadError(null);
+    try {
+      const file = new File([recordedBlob], `invitation-${Date.now()}.webm`, { type: recordedBlob.type || 'video/webm' });
+      await start(file, { meta: { duration: recordingTime }, replace: true });
+    } catch (err) {
+      setUploadError(err.message);
+    }
+  }, [recordedBlob, recordingTime, existingVideo, onVideoRecorded, start]);
 
   useEffect(() => {
     initCamera();
@@ -195,8 +225,8 @@ const InvitationVideoRecorder = ({
             <button type="button" onClick={retry} className="ivr__btn ivr__btn--retry">
               🔄 Record Again
             </button>
-            <button type="button" onClick={handleSave} disabled={recordingTime < MIN_DURATION} className="ivr__btn ivr__btn--save">
-              ✅ Use This Invitation
+            <button type="button" onClick={handleSave} disabled={recordingTime < MIN_DURATION || isUploading} className="ivr__btn ivr__btn--save">
+              {isUploading ? 'Uploading...' : '✅ Use This Invitation'}
             </button>
           </>
         )}
@@ -205,6 +235,8 @@ const InvitationVideoRecorder = ({
       {recordedBlob && recordingTime < MIN_DURATION && (
         <p className="ivr__warn">⚠️ Must be at least {MIN_DURATION} seconds. Please record again.</p>
       )}
+      {upload && <UploadProgress upload={upload} onPause={pause} onResume={resume} onCancel={remove} />}
+      {uploadError && <p className="ivr__field-error">{uploadError}</p>}
       {error && <p className="ivr__field-error">{error}</p>}
     </div>
   );
@@ -9,7 +9,7 @@
 import React, { useState, useCallback } from 'react';
 import './SkillsNeededSelector.css';
 
-const SKILL_CATEGORIES = [
+export const SKILL_CATEGORIES = [
   {
     category: 'Technical',
     icon: '⚙️',
@@ -8,7 +8,8 @@
  */
 
 import React, { useState, useCallback } from 'react';
-import TestimonyRecorder from './TestimonyRecorder';
+import TestimonyRecorder, { MIN_DURATION } from './TestimonyRecorder';
+import VideoEditor from '../../GPOShowcase/VideoEditor';
 import DailyLifeCapture from './DailyLifeCapture';
 import './ProblemOwnerStoryForm.css';
 
@@ -30,6 +31,7 @@ const ProblemOwnerStoryForm = ({
 
   const [errors, setErrors] = useState({});
   const [currentStep, setCurrentStep] = useState(0);
+  const [isEditingVideo, setIsEditingVideo] = useState(false);
 
   const handleChange = useCallback((field, value) => {
     setFormData(prev => ({ ...prev, [field]: value }));
@@ -180,11 +182,28 @@ const ProblemOwnerStoryForm = ({
         {/* Step 1 — Testimony Video */}
         {currentStep === 1 && (
           <div className="posf__content">
-            <TestimonyRecorder
-              existingVideo={formData.testimonyVideo}
-              onVideoRecorded={video => handleChange('testimonyVideo', video)}
-              error={errors.testimonyVideo}
-            />
+            {isEditingVideo ? (
+              <VideoEditor
+                video={formData.testimonyVideo}
+                title="Edit Your Testimony"
+                minDuration={MIN_DURATION}
+                onSave={video => { handleChange('testimonyVideo', video); setIsEditingVideo(false); }}
+                onCancel={() => setIsEditingVideo(false)}
+              />
+            ) : (
+              <>
+                <TestimonyRecorder
+                  existingVideo={formData.testimonyVideo}
+                  onVideoRecorded={video => handleChange('testimonyVideo', video)}
+                  error={errors.testimonyVideo}
+                />
+                {formData.testimonyVideo && (
+                  <button type="button" onClick={() => setIsEditingVideo(true)} className="posf__btn posf__btn--secondary posf__edit-video">
+                    ✂️ Trim, poster &amp; captions
+                  </button>
+                )}
+              </>
+            )}
           </div>
         )}
 
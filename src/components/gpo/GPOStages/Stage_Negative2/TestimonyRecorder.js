@@ -2,16 +2,22 @@
  * GPS Lab Platform - TestimonyRecorder Component
  *
  * Short testimony video/audio recorder for Stage -2.
- * Max 3 minutes.
+ * Max 3 minutes. The chosen take is uploaded in the background and handed
+ * to the form once it is on the server.
  *
  * @module components/gpo/GPOStages/Stage_Negative2/TestimonyRecorder
  */
 
 import React, { useState, useRef, useEffect, useCallback } from 'react';
+import useUploads from '../../../../hooks/useUploads';
+import { findUploads, toUploadedMedia, UPLOAD_STATUS } from '../../../../services/upload/upload.service';
+import { UPLOAD_KINDS } from '../../../../utils/validators/upload.validator';
+import UploadProgress from '../../../common/Media/UploadProgress';
 import './TestimonyRecorder.css';
 
 const MAX_DURATION = 180; // 3 minutes
-const MIN_DURATION = 20;
+export const MIN_DURATION = 20;
+const UPLOAD_PURPOSE = 'gpo:testimony';
 
 const TestimonyRecorder = ({
   existingVideo = null,
@@ -28,10 +34,21 @@ const TestimonyRecorder = ({
 
   const [isRecording, setIsRecording] = useState(false);
   const [isPaused, setIsPaused] = useState(false);
-  const [recordedBlob, setRecordedBlob] = useState(existingVideo);
-  const [recordingTime, setRecordingTime] = useState(0);
+  // A take still uploading (e.g. before a reload) comes back first
+  const [recordedBlob, setRecordedBlob] = useState(() => findUploads(UPLOAD_PURPOSE).pop()?.file || existingVideo?.file || null);
+  const [recordingTime, setRecordingTime] = useState(() => findUploads(UPLOAD_PURPOSE).pop()?.meta.duration || existingVideo?.duration || 0);
   const [cameraError, setCameraError] = useState(null);
   const [cameraReady, setCameraReady] = useState(false);
+  const [uploadError, setUploadError] = useState(null);
+
+  const handleUploaded = useCallback(upload => onVideoRecorded?.(toUploadedMedia(upload)), [onVideoRecorded]);
+  const { uploads, start, pause, resume, remove } = useUploads({
+    kind: UPLOAD_KINDS.GPO_VIDEO,
+    purpose: UPLOAD_PURPOSE,
+    onComplete: handleUploaded
+  });
+  const upload = uploads[uploads.length - 1] || null;
+  const isUploading = Boolean(upload) && upload.status !== UPLOAD_STATUS.FAILED;
 
   const formatTime = s => `${Math.floor(s / 60)}:${String(s % 60).padStart(2, '0')}`;
   const timePercent = Math.min((recordingTime / MAX_DURATION) * 100, 100);
@@ -98,14 +115,27 @@ const TestimonyRecorder = ({
   }, [isPaused, stopRecording]);
 
   const retry = useCallback(() => {
+    if (upload) remove(upload.id);
     setRecordedBlob(null);
     setRecordingTime(0);
+    setUploadError(null);
     chunksRef.current = [];
-  }, []);
+  }, [upload, remove]);
 
-  const handleSave = useCallback(() => {
-    if (recordedBlob && recordingTime >= MIN_DURATION) onVideoRecorded?.(recordedBlob);
-  }, [recordedBlob, recordingTime, onVideoRecorded]);
+  const handleSave = useCallback(async () => {
+    if (!recordedBlob || recordingTime < MIN_DURATION) return;
+    if (existingVideo && recordedBlob === existingVideo.file) {
+      onVideoRecorded?.(existingVideo);
+      return;
+    }
+    setUploadError(null);
+    try {
+      const file = new File([recordedBlob], `testimony-${Date.now()}.webm`, { type: recordedBlob.type || 'video/webm' });
+      await start(file, { meta: { duration: recordingTime }, replace: true });
+    } catch (err) {
+      setUploadError(err.message);
+    }
+  }, [recordedBlob, recordingTime, existingVideo, onVideoRecorded, start]);
 
   useEffect(() => {
     initCamera();
@@ -203,9 +233,9 @@ const TestimonyRecorder = ({
               <svg viewBox="0 0 20 20" fill="currentColor"><path fillRule="evenodd" d="M4 2a1 1 0 011 1v2.101a7.002 7.002 0 0111.601 2.566 1 1 0 11-1.885.666A5.002 5.002 0 005.999 7H9a1 1 0 010 2H4a1 1 0 01-1-1V3a1 1 0 011-1zm.008 9.057a1 1 0 011.276.61A5.002 5.002 0 0014.001 13H11a1 1 0 110-2h5a1 1 0 011 1v5a1 1 0 11-2 0v-2.101a7.002 7.002 0 01-11.601-2.566 1 1 0 01.61-1.276z" clipRule="evenodd"/></svg>
               Record Again
             </button>
-            <button type="button" onClick={handleSave} disabled={recordingTime < MIN_DURATION} className="tr__btn tr__btn--save">
+            <button type="button" onClick={handleSave} disabled={recordingTime < MIN_DURATION || isUploading} className="tr__btn tr__btn--save">
               <svg viewBox="0 0 20 20" fill="currentColor"><path fillRule="evenodd" d="M16.707 5.293a1 1 0 010 1.414l-8 8a1 1 0 01-1.414 0l-4-4a1 1 0 011.414-1.414L8 12.586l7.293-7.293a1 1 0 011.414 0z" clipRule="evenodd"/></svg>
-              Use This Testimony
+              {isUploading ? 'Uploading...' : 'Use This Testimony'}
             </button>
           </>
         )}
@@ -215,6 +245,11 @@ const TestimonyRecorder = ({
         <p className="tr__warn">⚠️ Testimony must be at least {MIN_DURATION} seconds. Please record again.</p>
       )}
 
+      {upload && (
+        <UploadProgress upload={upload} onPause={pause} onResume={resume} onCancel={remove} />
+      )}
+
+      {uploadError && <p className="tr__error">{uploadError}</p>}
       {error && <p className="tr__error">{error}</p>}
     </div>
   );
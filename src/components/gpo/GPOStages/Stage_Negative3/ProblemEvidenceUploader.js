@@ -1,21 +1,22 @@
 /**
  * GPS Lab Platform - ProblemEvidenceUploader Component
  * 
- * Upload photos/videos showing the problem.
+ * Upload photos/videos showing the problem. Files are checked against the
+ * GPO media rules and uploaded in resumable chunks; each one joins the
+ * evidence once it is on the server.
  * 
  * @module components/gpo/GPOStages/Stage_Negative3/ProblemEvidenceUploader
  */
 
-import React, { useState, useCallback } from 'react';
+import React, { useState, useCallback, useEffect, useRef } from 'react';
 import MediaGallery from '../../../common/Media/MediaGallery';
+import UploadProgress from '../../../common/Media/UploadProgress';
+import useUploads from '../../../../hooks/useUploads';
+import { UPLOAD_KINDS } from '../../../../utils/validators/upload.validator';
 import './ProblemEvidenceUploader.css';
 
 const MAX_FILES = 10;
-const MAX_FILE_SIZE = 50 * 1024 * 1024; // 50MB
-const ACCEPTED_TYPES = {
-  image: ['image/jpeg', 'image/png', 'image/gif', 'image/webp'],
-  video: ['video/mp4', 'video/webm', 'video/quicktime']
-};
+const UPLOAD_PURPOSE = 'gpo:evidence';
 
 /**
  * ProblemEvidenceUploader Component
@@ -27,61 +28,62 @@ const ProblemEvidenceUploader = ({
   className = '',
   ...props
 }) => {
-  const [uploading, setUploading] = useState(false);
   const [uploadError, setUploadError] = useState(null);
 
+  // Uploads can finish back to back, before the new evidence comes back as props
+  const evidenceRef = useRef(evidence);
+  useEffect(() => {
+    evidenceRef.current = evidence;
+  }, [evidence]);
+
+  /**
+   * Add an uploaded file to the evidence
+   */
+  const handleUploaded = useCallback((upload) => {
+    evidenceRef.current = [...evidenceRef.current, {
+      id: upload.id,
+      file: upload.file,
+      type: upload.mimeType.startsWith('image/') ? 'image' : 'video',
+      url: URL.createObjectURL(upload.file),
+      caption: '',
+      mediaId: upload.result.id,
+      mediaUrl: upload.result.url
+    }];
+    onEvidenceUpdate?.(evidenceRef.current);
+  }, [onEvidenceUpdate]);
+
+  const { uploads, start, pause, resume, remove } = useUploads({
+    kind: UPLOAD_KINDS.GPO_MEDIA,
+    purpose: UPLOAD_PURPOSE,
+    onComplete: handleUploaded
+  });
+  const fileCount = evidence.length + uploads.length;
+
   /**
    * Handle file selection
    */
-  const handleFileSelect = useCallback((event) => {
+  const handleFileSelect = useCallback(async (event) => {
     const files = Array.from(event.target.files);
-    
-    if (evidence.length + files.length > MAX_FILES) {
+
+    // Reset input
+    event.target.value = '';
+
+    if (fileCount + files.length > MAX_FILES) {
       setUploadError(`Maximum ${MAX_FILES} files allowed`);
       return;
     }
 
-    const validFiles = [];
     const errors = [];
-
-    files.forEach(file => {
-      // Check file size
-      if (file.size > MAX_FILE_SIZE) {
-        errors.push(`${file.name} is too large (max 50MB)`);
-        return;
-      }
-
-      // Check file type
-      const isImage = ACCEPTED_TYPES.image.includes(file.type);
-      const isVideo = ACCEPTED_TYPES.video.includes(file.type);
-
-      if (!isImage && !isVideo) {
-        errors.push(`${file.name} is not a supported format`);
-        return;
+    for (const file of files) {
+      try {
+        await start(file);
+      } catch (err) {
+        errors.push(err.message);
       }
-
-      validFiles.push({
-        id: Date.now() + Math.random(),
-        file,
-        type: isImage ? 'image' : 'video',
-        url: URL.createObjectURL(file),
-        caption: ''
-      });
-    });
-
-    if (errors.length > 0) {
-      setUploadError(errors.join(', '));
-    } else {
-      setUploadError(null);
     }
 
-    if (validFiles.length > 0) {
-      onEvidenceUpdate?.([...evidence, ...validFiles]);
-    }
-
-    // Reset input
-    event.target.value = '';
-  }, [evidence, onEvidenceUpdate]);
+    setUploadError(errors.length > 0 ? errors.join(', ') : null);
+  }, [fileCount, start]);
 
   /**
    * Handle remove evidence
@@ -130,7 +132,7 @@ const ProblemEvidenceUploader = ({
           </ul>
           <p className="problem-evidence-uploader__requirements">
             <strong>Requirements:</strong> Upload at least 2 pieces of evidence (max {MAX_FILES}). 
-            Accepted formats: JPG, PNG, GIF, WebP, MP4, WebM, MOV. Max size: 50MB per file.
+            Accepted formats: JPG, PNG, GIF, WebP, MP4, WebM, MOV. Max size: 50MB per photo, 100MB per video.
           </p>
         </div>
 
@@ -143,19 +145,19 @@ const ProblemEvidenceUploader = ({
             multiple
             onChange={handleFileSelect}
             className="problem-evidence-uploader__input"
-            disabled={evidence.length >= MAX_FILES}
+            disabled={fileCount >= MAX_FILES}
           />
           <label
             htmlFor="evidence-upload"
             className={`problem-evidence-uploader__label ${
-              evidence.length >= MAX_FILES ? 'problem-evidence-uploader__label--disabled' : ''
+              fileCount >= MAX_FILES ? 'problem-evidence-uploader__label--disabled' : ''
             }`}
           >
             <svg viewBox="0 0 24 24" fill="currentColor" className="problem-evidence-uploader__icon">
               <path d="M4 16l4.586-4.586a2 2 0 012.828 0L16 16m-2-2l1.586-1.586a2 2 0 012.828 0L20 14m-6-6h.01M6 20h12a2 2 0 002-2V6a2 2 0 00-2-2H6a2 2 0 00-2 2v12a2 2 0 002 2z"/>
             </svg>
             <span>
-              {evidence.length >= MAX_FILES 
+              {fileCount >= MAX_FILES 
                 ? 'Maximum files reached' 
                 : 'Upload Photos/Videos'}
             </span>
@@ -182,6 +184,22 @@ const ProblemEvidenceUploader = ({
           </div>
         )}
 
+        {/* Uploads in progress */}
+        {uploads.length > 0 && (
+          <div className="problem-evidence-uploader__uploads">
+            {uploads.map(upload => (
+              <UploadProgress
+                key={upload.id}
+                upload={upload}
+                onPause={pause}
+                onResume={resume}
+                onCancel={remove}
+                compact
+              />
+            ))}
+          </div>
+        )}
+
         {/* Gallery */}
         {evidence.length > 0 && (
           <MediaGallery
@@ -54,8 +54,8 @@ const IntroductionForm = ({
   /**
    * Handle video recorded
    */
-  const handleVideoRecorded = useCallback((videoBlob) => {
-    setFormData(prev => ({ ...prev, selfieVideo: videoBlob }));
+  const handleVideoRecorded = useCallback((video) => {
+    setFormData(prev => ({ ...prev, selfieVideo: video }));
     setShowVideoRecorder(false);
   }, []);
 
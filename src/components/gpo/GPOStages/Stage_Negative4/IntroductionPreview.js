@@ -43,7 +43,7 @@ const IntroductionPreview = ({
                 <video
                   controls
                   className="introduction-preview__video"
-                  src={URL.createObjectURL(formData.selfieVideo)}
+                  src={formData.selfieVideo.file ? URL.createObjectURL(formData.selfieVideo.file) : formData.selfieVideo.url}
                 >
                   Your browser does not support video playback.
                 </video>
@@ -1,16 +1,23 @@
 /**
  * GPS Lab Platform - SelfieVideoRecorder Component
  * 
- * Records 1-minute selfie video using device camera.
+ * Records 1-minute selfie video using device camera. The saved take is
+ * uploaded in the background and handed to the form once it is on the
+ * server.
  * 
  * @module components/gpo/GPOStages/Stage_Negative4/SelfieVideoRecorder
  */
 
 import React, { useState, useRef, useEffect, useCallback } from 'react';
+import useUploads from '../../../../hooks/useUploads';
+import { findUploads, toUploadedMedia, UPLOAD_STATUS } from '../../../../services/upload/upload.service';
+import { UPLOAD_KINDS } from '../../../../utils/validators/upload.validator';
+import UploadProgress from '../../../common/Media/UploadProgress';
 import './SelfieVideoRecorder.css';
 
 const MAX_DURATION = 90; // 90 seconds (1.5 minutes)
 const MIN_DURATION = 30; // 30 seconds minimum
+const UPLOAD_PURPOSE = 'gpo:selfie';
 
 /**
  * SelfieVideoRecorder Component
@@ -30,11 +37,21 @@ const SelfieVideoRecorder = ({
 
   const [isRecording, setIsRecording] = useState(false);
   const [isPaused, setIsPaused] = useState(false);
-  const [recordedBlob, setRecordedBlob] = useState(existingVideo);
-  const [recordingTime, setRecordingTime] = useState(0);
+  // A take still uploading (e.g. before a reload) comes back first
+  const [recordedBlob, setRecordedBlob] = useState(() => findUploads(UPLOAD_PURPOSE).pop()?.file || existingVideo?.file || null);
+  const [recordingTime, setRecordingTime] = useState(() => findUploads(UPLOAD_PURPOSE).pop()?.meta.duration || existingVideo?.duration || 0);
   const [error, setError] = useState(null);
   const [cameraReady, setCameraReady] = useState(false);
 
+  const handleUploaded = useCallback(upload => onVideoRecorded?.(toUploadedMedia(upload)), [onVideoRecorded]);
+  const { uploads, start, pause, resume, remove } = useUploads({
+    kind: UPLOAD_KINDS.GPO_VIDEO,
+    purpose: UPLOAD_PURPOSE,
+    onComplete: handleUploaded
+  });
+  const upload = uploads[uploads.length - 1] || null;
+  const isUploading = Boolean(upload) && upload.status !== UPLOAD_STATUS.FAILED;
+
   /**
    * Format time as MM:SS
    */
@@ -160,19 +177,32 @@ const SelfieVideoRecorder = ({
    * Retry recording
    */
   const retryRecording = useCallback(() => {
+    if (upload) remove(upload.id);
     setRecordedBlob(null);
     setRecordingTime(0);
+    setError(null);
     chunksRef.current = [];
-  }, []);
+  }, [upload, remove]);
 
   /**
-   * Save video
+   * Save video: upload it, or keep the one already uploaded
    */
-  const handleSave = useCallback(() => {
-    if (recordedBlob && recordingTime >= MIN_DURATION) {
-      onVideoRecorded?.(recordedBlob);
+  const handleSave = useCallback(async () => {
+    if (!recordedBlob || recordingTime < MIN_DURATION) return;
+
+    if (existingVideo && recordedBlob === existingVideo.file) {
+      onVideoRecorded?.(existingVideo);
+      return;
+    }
+
+    setError(null);
+    try {
+      const file = new File([recordedBlob], `selfie-${Date.now()}.webm`, { type: recordedBlob.type || 'video/webm' });
+      await start(file, { meta: { duration: recordingTime }, replace: true });
+    } catch (err) {
+      setError(err.message);
     }
-  }, [recordedBlob, recordingTime, onVideoRecorded]);
+  }, [recordedBlob, recordingTime, existingVideo, onVideoRecorded, start]);
 
   /**
    * Cleanup
@@ -313,18 +343,23 @@ const SelfieVideoRecorder = ({
               <button
                 type="button"
                 onClick={handleSave}
-                disabled={recordingTime < MIN_DURATION}
+                disabled={recordingTime < MIN_DURATION || isUploading}
                 className="selfie-video-recorder__button selfie-video-recorder__button--save"
               >
                 <svg viewBox="0 0 20 20" fill="currentColor">
                   <path fillRule="evenodd" d="M16.707 5.293a1 1 0 010 1.414l-8 8a1 1 0 01-1.414 0l-4-4a1 1 0 011.414-1.414L8 12.586l7.293-7.293a1 1 0 011.414 0z" clipRule="evenodd"/>
                 </svg>
-                Save Video
+                {isUploading ? 'Uploading...' : 'Save Video'}
               </button>
             </>
           )}
         </div>
 
+        {/* Upload */}
+        {upload && (
+          <UploadProgress upload={upload} onPause={pause} onResume={resume} onCancel={remove} />
+        )}
+
         {/* Hints */}
         <div className="selfie-video-recorder__hints">
           {!recordedBlob && !isRecording && (
@@ -0,0 +1,196 @@
+/**
+ * GPS Lab Platform - GPOValidationForm Component
+ *
+ * A peer's or mentor's validation of a submitted Problem Showcase: approve
+ * or request changes, confirm the checklist, explain the decision to the
+ * Problem Owner and attach the evidence behind it.
+ *
+ * @module components/gpo/GPOValidation/GPOValidationForm
+ */
+
+import React, { useState, useCallback } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { validateProject } from '../../../store/slices/gpoSlice';
+import {
+  validateShowcaseValidation,
+  VALIDATION_DECISIONS,
+  VALIDATION_CHECKLIST,
+  LIMITS
+} from '../../../utils/validators/gpo.validator';
+import ValidationEvidence from './ValidationEvidence';
+import './GPOValidationForm.css';
+
+const DECISIONS = [
+  { id: VALIDATION_DECISIONS.APPROVE, icon: '✅', label: 'Approve', hint: 'The showcase is ready for the community' },
+  { id: VALIDATION_DECISIONS.REQUEST_CHANGES, icon: '✏️', label: 'Request changes', hint: 'The owner should fix something first' }
+];
+
+/**
+ * GPOValidationForm Component
+ */
+const GPOValidationForm = ({
+  project,
+  onValidated,
+  className = '',
+  ...props
+}) => {
+  const dispatch = useDispatch();
+  const isSubmitting = useSelector(state => state.gpo.loading.action);
+
+  const [formData, setFormData] = useState({
+    decision: null,
+    checklist: [],
+    comment: '',
+    evidence: []
+  });
+  const [errors, setErrors] = useState({});
+  const [submitError, setSubmitError] = useState(null);
+
+  const role = project.viewer?.validatorRole;
+
+  const handleChange = useCallback((field, value) => {
+    setFormData(prev => ({ ...prev, [field]: value }));
+    setErrors(prev => {
+      if (!prev[field]) return prev;
+      const next = { ...prev };
+      delete next[field];
+      return next;
+    });
+  }, []);
+
+  const toggleChecklist = (id) => {
+    handleChange('checklist', formData.checklist.includes(id)
+      ? formData.checklist.filter(item => item !== id)
+      : [...formData.checklist, id]);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitError(null);
+
+    const { valid, errors: validationErrors } = validateShowcaseValidation(formData);
+    setErrors(validationErrors);
+    if (!valid) return;
+
+    try {
+      const evidence = formData.evidence.map(({ id, ...item }) => item);
+      const updated = await dispatch(validateProject({
+        projectId: project.id,
+        validation: { ...formData, comment: formData.comment.trim(), evidence }
+      })).unwrap();
+      onValidated?.(updated);
+    } catch (err) {
+      setSubmitError(err.message || 'Could not save your validation');
+    }
+  };
+
+  const isApproving = formData.decision === VALIDATION_DECISIONS.APPROVE;
+  const classNames = ['gpo-validation-form', className].filter(Boolean).join(' ');
+
+  return (
+    <form className={classNames} onSubmit={handleSubmit} noValidate {...props}>
+      <header className="gvf__header">
+        <h2 className="gvf__title">Validate this showcase</h2>
+        <p className="gvf__subtitle">
+          You are validating as a <strong>{role === 'mentor' ? 'mentor' : 'peer'}</strong>.
+          Check the story against what you can verify, and be kind and specific in your feedback.
+        </p>
+      </header>
+
+      {/* Decision */}
+      <fieldset className="gvf__section">
+        <legend className="gvf__label">Your decision <span className="gvf__required">*</span></legend>
+        <div className="gvf__decisions">
+          {DECISIONS.map(decision => (
+            <label
+              key={decision.id}
+              className={`gvf__decision ${formData.decision === decision.id ? `gvf__decision--active gvf__decision--${decision.id}` : ''}`}
+            >
+              <input
+                type="radio"
+                name="decision"
+                value={decision.id}
+                checked={formData.decision === decision.id}
+                onChange={() => handleChange('decision', decision.id)}
+              />
+              <span className="gvf__decision-icon" aria-hidden="true">{decision.icon}</span>
+              <span>
+                <span className="gvf__decision-label">{decision.label}</span>
+                <span className="gvf__decision-hint">{decision.hint}</span>
+              </span>
+            </label>
+          ))}
+        </div>
+        {errors.decision && <span className="gvf__error">{errors.decision}</span>}
+      </fieldset>
+
+      {/* Checklist */}
+      <fieldset className="gvf__section">
+        <legend className="gvf__label">
+          Checklist {isApproving && <span className="gvf__required">*</span>}
+        </legend>
+        <p className="gvf__hint">Confirm each point you could verify. Approving needs all of them.</p>
+        <div className="gvf__checklist">
+          {VALIDATION_CHECKLIST.map(item => (
+            <label key={item.id} className="gvf__check">
+              <input
+                type="checkbox"
+                checked={formData.checklist.includes(item.id)}
+                onChange={() => toggleChecklist(item.id)}
+              />
+              {item.label}
+            </label>
+          ))}
+        </div>
+        {errors.checklist && <span className="gvf__error">{errors.checklist}</span>}
+      </fieldset>
+
+      {/* Comment */}
+      <div className="gvf__section">
+        <label htmlFor="validationComment" className="gvf__label">
+          Feedback for the Problem Owner <span className="gvf__required">*</span>
+        </label>
+        <textarea
+          id="validationComment"
+          value={formData.comment}
+          onChange={e => handleChange('comment', e.target.value)}
+          placeholder={isApproving
+            ? 'What convinced you? What makes this problem worth solving?'
+            : 'What should the owner change, and why?'}
+          rows={5}
+          className={`gvf__textarea ${errors.comment ? 'gvf__textarea--error' : ''}`}
+        />
+        <span className={`gvf__count ${formData.comment.trim().length < LIMITS.MIN_VALIDATION_COMMENT ? 'gvf__count--warn' : ''}`}>
+          {formData.comment.trim().length} / {LIMITS.MIN_VALIDATION_COMMENT} min characters
+        </span>
+        {errors.comment && <span className="gvf__error">{errors.comment}</span>}
+      </div>
+
+      {/* Evidence */}
+      <div className="gvf__section">
+        <span className="gvf__label">
+          Evidence {isApproving && <span className="gvf__required">*</span>}
+        </span>
+        <p className="gvf__hint">
+          Links to reports or news, notes from a call with the owner or their community, photos or documents.
+        </p>
+        <ValidationEvidence
+          evidence={formData.evidence}
+          onChange={evidence => handleChange('evidence', evidence)}
+          projectId={project.id}
+          error={errors.evidence}
+        />
+      </div>
+
+      {submitError && <div className="gvf__submit-error" role="alert">{submitError}</div>}
+
+      <div className="gvf__actions">
+        <button type="submit" disabled={isSubmitting} className="gvf__btn">
+          {isSubmitting ? 'Saving…' : 'Submit validation'}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default GPOValidationForm;
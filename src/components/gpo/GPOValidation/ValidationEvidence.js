@@ -0,0 +1,225 @@
+/**
+ * GPS Lab Platform - ValidationEvidence Component
+ *
+ * The evidence a validator attaches to back their decision: links to
+ * sources, notes from a call or visit, and uploaded files. Read-only when
+ * no `onChange` is given, as in the list of past validations.
+ *
+ * @module components/gpo/GPOValidation/ValidationEvidence
+ */
+
+import React, { useState, useCallback, useEffect, useRef } from 'react';
+import useUploads from '../../../hooks/useUploads';
+import { UPLOAD_KINDS } from '../../../utils/validators/upload.validator';
+import { ALLOWED_EXTENSIONS } from '../../../utils/validators/file.validator';
+import { EVIDENCE_TYPES } from '../../../utils/validators/gpo.validator';
+import UploadProgress from '../../common/Media/UploadProgress';
+import './ValidationEvidence.css';
+
+const TYPE_ICONS = {
+  [EVIDENCE_TYPES.LINK]: '🔗',
+  [EVIDENCE_TYPES.NOTE]: '📝',
+  [EVIDENCE_TYPES.FILE]: '📎'
+};
+
+const MAX_ITEMS = 5;
+
+let itemCounter = 0;
+const nextItemId = () => `evidence_${Date.now()}_${++itemCounter}`;
+
+/**
+ * ValidationEvidence Component
+ */
+const ValidationEvidence = ({
+  evidence = [],
+  onChange,
+  projectId,
+  error,
+  className = '',
+  ...props
+}) => {
+  const [draft, setDraft] = useState({ type: EVIDENCE_TYPES.LINK, label: '', value: '' });
+  const [uploadError, setUploadError] = useState(null);
+  const fileInputRef = useRef(null);
+  const isEditable = typeof onChange === 'function';
+
+  // Uploads finish after the render that started them
+  const evidenceRef = useRef(evidence);
+  useEffect(() => {
+    evidenceRef.current = evidence;
+  }, [evidence]);
+
+  const handleUploaded = useCallback((upload) => {
+    onChange?.([...evidenceRef.current, {
+      id: nextItemId(),
+      type: EVIDENCE_TYPES.FILE,
+      label: upload.fileName,
+      fileName: upload.fileName,
+      mediaId: upload.result.id,
+      url: upload.result.url
+    }]);
+  }, [onChange]);
+
+  const { uploads, start, pause, resume, remove } = useUploads({
+    kind: UPLOAD_KINDS.EVIDENCE,
+    purpose: `gpo:validation:${projectId}`,
+    onComplete: isEditable ? handleUploaded : undefined
+  });
+  const isFull = evidence.length + uploads.length >= MAX_ITEMS;
+
+  const handleAdd = () => {
+    const value = draft.value.trim();
+    if (!value) return;
+    const item = draft.type === EVIDENCE_TYPES.LINK
+      ? { id: nextItemId(), type: EVIDENCE_TYPES.LINK, label: draft.label.trim() || value, url: value }
+      : { id: nextItemId(), type: EVIDENCE_TYPES.NOTE, label: draft.label.trim() || 'Note', text: value };
+    onChange([...evidence, item]);
+    setDraft(prev => ({ ...prev, label: '', value: '' }));
+  };
+
+  const handleFiles = async (e) => {
+    const files = Array.from(e.target.files);
+    e.target.value = '';
+    setUploadError(null);
+    try {
+      for (const file of files.slice(0, MAX_ITEMS - evidence.length - uploads.length)) {
+        await start(file);
+      }
+    } catch (err) {
+      setUploadError(err.message);
+    }
+  };
+
+  const handleRemove = (index) => {
+    onChange(evidence.filter((_, i) => i !== index));
+  };
+
+  const classNames = ['validation-evidence', className].filter(Boolean).join(' ');
+
+  return (
+    <div className={classNames} {...props}>
+      {evidence.length > 0 ? (
+        <ul className="validation-evidence__list">
+          {evidence.map((item, index) => (
+            <li key={item.id || index} className="validation-evidence__item">
+              <span className="validation-evidence__icon" aria-hidden="true">{TYPE_ICONS[item.type]}</span>
+              <div className="validation-evidence__content">
+                {item.type === EVIDENCE_TYPES.NOTE ? (
+                  <>
+                    <span className="validation-evidence__label">{item.label}</span>
+                    <p className="validation-evidence__text">{item.text}</p>
+                  </>
+                ) : (
+                  <a href={item.url} target="_blank" rel="noopener noreferrer" className="validation-evidence__link">
+                    {item.label || item.fileName || item.url}
+                  </a>
+                )}
+              </div>
+              {isEditable && (
+                <button
+                  type="button"
+                  onClick={() => handleRemove(index)}
+                  className="validation-evidence__remove"
+                  aria-label={`Remove ${item.label}`}
+                >
+                  ✕
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+      ) : !isEditable && (
+        <p className="validation-evidence__empty">No evidence attached.</p>
+      )}
+
+      {isEditable && uploads.length > 0 && (
+        <div className="validation-evidence__uploads">
+          {uploads.map(upload => (
+            <UploadProgress
+              key={upload.id}
+              upload={upload}
+              onPause={pause}
+              onResume={resume}
+              onCancel={remove}
+              compact
+            />
+          ))}
+        </div>
+      )}
+
+      {isEditable && !isFull && (
+        <div className="validation-evidence__add">
+          <div className="validation-evidence__types" role="radiogroup" aria-label="Evidence type">
+            {[EVIDENCE_TYPES.LINK, EVIDENCE_TYPES.NOTE].map(type => (
+              <button
+                key={type}
+                type="button"
+                role="radio"
+                aria-checked={draft.type === type}
+                onClick={() => setDraft(prev => ({ ...prev, type }))}
+                className={`validation-evidence__type ${draft.type === type ? 'validation-evidence__type--active' : ''}`}
+              >
+                {TYPE_ICONS[type]} {type === EVIDENCE_TYPES.LINK ? 'Link' : 'Note'}
+              </button>
+            ))}
+            <button
+              type="button"
+              onClick={() => fileInputRef.current?.click()}
+              className="validation-evidence__type"
+            >
+              {TYPE_ICONS[EVIDENCE_TYPES.FILE]} File
+            </button>
+            <input
+              ref={fileInputRef}
+              type="file"
+              accept={ALLOWED_EXTENSIONS.evidenceFile.join(',')}
+              multiple
+              onChange={handleFiles}
+              className="validation-evidence__input"
+            />
+          </div>
+
+          <input
+            type="text"
+            value={draft.label}
+            onChange={e => setDraft(prev => ({ ...prev, label: e.target.value }))}
+            placeholder={draft.type === EVIDENCE_TYPES.LINK ? 'What is this? e.g. District health report 2024' : 'Title, e.g. Call with the village chief'}
+            className="validation-evidence__field"
+            aria-label="Evidence title"
+          />
+          {draft.type === EVIDENCE_TYPES.LINK ? (
+            <input
+              type="url"
+              value={draft.value}
+              onChange={e => setDraft(prev => ({ ...prev, value: e.target.value }))}
+              placeholder="https://"
+              className="validation-evidence__field"
+              aria-label="Link"
+            />
+          ) : (
+            <textarea
+              value={draft.value}
+              onChange={e => setDraft(prev => ({ ...prev, value: e.target.value }))}
+              placeholder="What did you see, hear or confirm?"
+              rows={3}
+              className="validation-evidence__field"
+              aria-label="Note"
+            />
+          )}
+          <button
+            type="button"
+            onClick={handleAdd}
+            disabled={!draft.value.trim()}
+            className="validation-evidence__add-btn"
+          >
+            + Add evidence
+          </button>
+        </div>
+      )}
+
+      {(uploadError || error) && <span className="validation-evidence__error">{uploadError || error}</span>}
+    </div>
+  );
+};
+
+export default ValidationEvidence;
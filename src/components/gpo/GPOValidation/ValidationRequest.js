@@ -0,0 +1,139 @@
+/**
+ * GPS Lab Platform - ValidationRequest Component
+ *
+ * Where a showcase stands in validation: the approvals still needed, each
+ * validator's decision, feedback and evidence, and, when changes were
+ * requested, a way for the owner to submit it for a new round.
+ *
+ * @module components/gpo/GPOValidation/ValidationRequest
+ */
+
+import React, { useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { submitProject } from '../../../store/slices/gpoSlice';
+import { getValidationProgress } from '../../../utils/helpers/gpo.helper';
+import { formatDate } from '../../../utils/formatters/gpo.formatter';
+import { VALIDATION_DECISIONS } from '../../../utils/validators/gpo.validator';
+import ValidationEvidence from './ValidationEvidence';
+import './ValidationRequest.css';
+
+const STATUS_COPY = {
+  submitted: {
+    icon: '🔍',
+    title: 'Waiting for validation',
+    text: 'Peers and a mentor are checking the story and evidence.'
+  },
+  changes_requested: {
+    icon: '✏️',
+    title: 'Changes requested',
+    text: 'A validator asked for changes. Read their feedback, then submit the showcase for a new round.'
+  },
+  published: {
+    icon: '✅',
+    title: 'Validated and published',
+    text: 'This showcase is live in the community feed.'
+  }
+};
+
+/**
+ * One approval requirement as a progress bar
+ */
+const ApprovalBar = ({ label, count, required }) => (
+  <div className="validation-request__bar">
+    <div className="validation-request__bar-label">
+      <span>{label}</span>
+      <span>{count}/{required}</span>
+    </div>
+    <div className="validation-request__bar-track">
+      <div
+        className="validation-request__bar-fill"
+        style={{ width: `${required ? (count / required) * 100 : 100}%` }}
+      />
+    </div>
+  </div>
+);
+
+/**
+ * ValidationRequest Component
+ */
+const ValidationRequest = ({
+  project,
+  className = '',
+  ...props
+}) => {
+  const dispatch = useDispatch();
+  const isSubmitting = useSelector(state => state.gpo.loading.action);
+  const [submitError, setSubmitError] = useState(null);
+
+  const copy = STATUS_COPY[project.status];
+  const progress = getValidationProgress(project.validation);
+  const validations = project.validation?.validations || [];
+  const canResubmit = project.viewer?.isOwner && project.status === 'changes_requested';
+
+  const handleResubmit = async () => {
+    setSubmitError(null);
+    try {
+      await dispatch(submitProject(project.id)).unwrap();
+    } catch (err) {
+      setSubmitError(err.message || 'Could not resubmit the showcase');
+    }
+  };
+
+  if (!copy) return null;
+
+  const classNames = ['validation-request', `validation-request--${project.status}`, className].filter(Boolean).join(' ');
+
+  return (
+    <section className={classNames} {...props}>
+      <header className="validation-request__header">
+        <span className="validation-request__icon" aria-hidden="true">{copy.icon}</span>
+        <div>
+          <h2 className="validation-request__title">{copy.title}</h2>
+          <p className="validation-request__text">
+            {copy.text}
+            {project.validation?.round > 1 && ` Round ${project.validation.round}.`}
+          </p>
+        </div>
+      </header>
+
+      <div className="validation-request__bars">
+        <ApprovalBar label="Peer approvals" {...progress.peer} />
+        <ApprovalBar label="Mentor approval" {...progress.mentor} />
+      </div>
+
+      {canResubmit && (
+        <div className="validation-request__resubmit">
+          <button type="button" onClick={handleResubmit} disabled={isSubmitting} className="validation-request__btn">
+            {isSubmitting ? 'Submitting…' : 'Submit for a new round'}
+          </button>
+          {submitError && <span className="validation-request__error" role="alert">{submitError}</span>}
+        </div>
+      )}
+
+      {validations.length > 0 && (
+        <ol className="validation-request__reviews">
+          {validations.map(validation => (
+            <li key={validation.id} className="validation-request__review">
+              <div className="validation-request__review-header">
+                <span className="validation-request__reviewer">
+                  {validation.role === 'mentor' ? '🎓' : '👥'} {validation.reviewer.displayName || validation.reviewer.username}
+                  <span className="validation-request__role">{validation.role}</span>
+                </span>
+                <span className={`validation-request__decision validation-request__decision--${validation.decision}`}>
+                  {validation.decision === VALIDATION_DECISIONS.APPROVE ? 'Approved' : 'Requested changes'}
+                </span>
+              </div>
+              <p className="validation-request__comment">{validation.comment}</p>
+              {validation.evidence.length > 0 && <ValidationEvidence evidence={validation.evidence} />}
+              <time className="validation-request__date" dateTime={validation.createdAt}>
+                {formatDate(validation.createdAt)}
+              </time>
+            </li>
+          ))}
+        </ol>
+      )}
+    </section>
+  );
+};
+
+export default ValidationRequest;
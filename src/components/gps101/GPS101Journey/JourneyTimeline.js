@@ -10,7 +10,8 @@
  */
 
 import React from 'react';
-import { GPS_101_CONFIG } from '../../../config/gps101.config';
+import { useSelector } from 'react-redux';
+import { selectGPS101Stages } from '../../../store/selectors/gps101Selectors';
 import './JourneyTimeline.css';
 
 const JourneyTimeline = ({ 
@@ -20,7 +21,7 @@ const JourneyTimeline = ({
   currentStage = 1,
   enrollmentDate 
 }) => {
-  const stages = GPS_101_CONFIG?.STAGES || [];
+  const stages = useSelector(selectGPS101Stages);
 
   const getStageStatus = (stageNumber) => {
     if (completedStages.includes(stageNumber)) return 'completed';
@@ -11,7 +11,8 @@
 
 import React from 'react';
 import { useNavigate } from 'react-router-dom';
-import { GPS_101_CONFIG } from '../../../config/gps101.config';
+import { useSelector } from 'react-redux';
+import { selectGPS101Stages } from '../../../store/selectors/gps101Selectors';
 import './GPS101StageCard.css';
 
 const GPS101StageCard = ({ 
@@ -23,7 +24,8 @@ const GPS101StageCard = ({
 }) => {
   const navigate = useNavigate();
 
-  const stage = GPS_101_CONFIG?.STAGES?.find(s => s.stageNumber === stageNumber);
+  const stages = useSelector(selectGPS101Stages);
+  const stage = stages.find(s => s.stageNumber === stageNumber);
 
   const handleClick = () => {
     if (isUnlocked) {
@@ -9,12 +9,14 @@
 
 import React from 'react';
 import { useNavigate } from 'react-router-dom';
+import { useSelector } from 'react-redux';
 import useGPS101 from '../../../hooks/useGPS101';
-import { GPS_101_CONFIG } from '../../../config/gps101.config';
+import { selectGPS101Stages } from '../../../store/selectors/gps101Selectors';
 import './GPS101StageMap.css';
 
 const GPS101StageMap = () => {
   const navigate = useNavigate();
+  const stages = useSelector(selectGPS101Stages);
   const {
     progressSummary,
     currentStage,
@@ -38,8 +40,6 @@ const GPS101StageMap = () => {
     );
   }
 
-  const stages = GPS_101_CONFIG?.STAGES || [];
-
   const getStageStatus = (stageNumber) => {
     const completion = getStageCompletionPercentage(stageNumber);
     const isUnlocked = isStageUnlocked(stageNumber);
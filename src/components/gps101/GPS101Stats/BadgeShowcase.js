@@ -2,15 +2,18 @@
  * Badge Showcase Component
  * 
  * Display earned and available GPS 101 badges.
+ *
+ * Badges are course awards, not curriculum content, so they come from the
+ * badge catalogue rather than the published curriculum version.
  */
 
 import React from 'react';
-import { GPS_101_BADGES } from '../../../utils/constants/gps101.constants';
+import { GPS_101_COURSE_BADGES } from '../../../utils/constants/badges.constants';
 import { formatBadgeName } from '../../../utils/formatters/gps101.formatter';
 import './BadgeShowcase.css';
 
 const BadgeShowcase = ({ earnedBadges = [], currentStage = 1 }) => {
-  const allBadges = GPS_101_BADGES;
+  const allBadges = GPS_101_COURSE_BADGES;
 
   const getBadgeStatus = (badge) => {
     if (earnedBadges.includes(badge.id)) return 'earned';
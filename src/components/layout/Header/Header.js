@@ -17,6 +17,8 @@ import Navigation from './Navigation';
 import UserMenu from './UserMenu';
 import NotificationBell from './NotificationBell';
 import LanguageSelector from './LanguageSelector';
+import SyncIndicator from './SyncIndicator';
+import useOfflineSync from '../../../hooks/useOfflineSync';
 import './Header.css';
 
 // =============================================================================
@@ -66,6 +68,7 @@ const Header = ({
   
   const [isScrolled, setIsScrolled] = useState(false);
   const [isMobileMenuOpen, setIsMobileMenuOpen] = useState(false);
+  const { isOnline, pendingCount, isSyncing, conflicts, syncNow } = useOfflineSync();
   
   // Handle scroll for header styling
   useEffect(() => {
@@ -139,6 +142,16 @@ const Header = ({
           
           {/* Header Actions */}
           <div className="header__actions">
+            {/* Offline / pending sync status */}
+            <SyncIndicator
+              isOnline={isOnline}
+              pendingCount={pendingCount}
+              isSyncing={isSyncing}
+              conflicts={conflicts}
+              onRetry={syncNow}
+              className="header__action header__action--sync"
+            />
+            
             {/* Language Selector */}
             <LanguageSelector
               currentLanguage={currentLanguage}
@@ -0,0 +1,108 @@
+/**
+ * GPS Lab Platform - SyncIndicator Component
+ * 
+ * Shows when the app is offline, how many changes are waiting to sync and
+ * how many were refused by the server. Hidden while everything is in sync.
+ * 
+ * @module components/layout/Header/SyncIndicator
+ * @version 1.0.0
+ */
+
+import React from 'react';
+import './SyncIndicator.css';
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * Builds the indicator label
+ * @param {Object} status - { isOnline, pendingCount, isSyncing }
+ * @returns {string} Label
+ */
+const getLabel = ({ isOnline, pendingCount, isSyncing }) => {
+  if (isSyncing) return 'Syncing…';
+  
+  const pending = pendingCount === 1 ? '1 change' : `${pendingCount} changes`;
+  if (!isOnline) {
+    return pendingCount > 0 ? `Offline · ${pending} pending sync` : 'Offline';
+  }
+  return `${pending} pending sync`;
+};
+
+// =============================================================================
+// COMPONENT
+// =============================================================================
+
+/**
+ * SyncIndicator component
+ * 
+ * @param {Object} props - Component props
+ * @param {boolean} [props.isOnline=true] - Whether the API is reachable
+ * @param {number} [props.pendingCount=0] - Changes waiting to sync
+ * @param {boolean} [props.isSyncing=false] - Whether a sync is running
+ * @param {Array} [props.conflicts] - Changes the server refused
+ * @param {Function} [props.onRetry] - Sync-now handler
+ * @param {string} [props.className] - Additional CSS classes
+ */
+const SyncIndicator = ({
+  isOnline = true,
+  pendingCount = 0,
+  isSyncing = false,
+  conflicts = [],
+  onRetry,
+  className = '',
+  ...props
+}) => {
+  
+  if (isOnline && pendingCount === 0 && !isSyncing && conflicts.length === 0) {
+    return null;
+  }
+  
+  const showStatus = !isOnline || pendingCount > 0 || isSyncing;
+  const canRetry = isOnline && pendingCount > 0 && !isSyncing && onRetry;
+  
+  const classNames = [
+    'sync-indicator',
+    !isOnline && 'sync-indicator--offline',
+    isSyncing && 'sync-indicator--syncing',
+    conflicts.length > 0 && 'sync-indicator--conflicts',
+    className
+  ].filter(Boolean).join(' ');
+  
+  return (
+    <div className={classNames} role="status" aria-live="polite" {...props}>
+      {showStatus && (
+        <span className="sync-indicator__status">
+          <span className="sync-indicator__dot" aria-hidden="true" />
+          <span className="sync-indicator__label">{getLabel({ isOnline, pendingCount, isSyncing })}</span>
+        </span>
+      )}
+      
+      {conflicts.length > 0 && (
+        <span
+          className="sync-indicator__conflicts"
+          title={conflicts.map(c => c.message || c.label).join('\n')}
+        >
+          {conflicts.length === 1 ? '1 change not synced' : `${conflicts.length} changes not synced`}
+        </span>
+      )}
+      
+      {canRetry && (
+        <button
+          type="button"
+          className="sync-indicator__retry"
+          onClick={onRetry}
+        >
+          Sync now
+        </button>
+      )}
+    </div>
+  );
+};
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+export default SyncIndicator;
@@ -7,4 +7,5 @@ export { default as TopBar } from './TopBar';
 export { default as Navigation, NAV_ITEMS } from './Navigation';
 export { default as UserMenu } from './UserMenu';
 export { default as LanguageSelector, LANGUAGES } from './LanguageSelector';
-export { default as NotificationBell, NOTIFICATION_TYPES } from './NotificationBell';
\ No newline at end of file
+export { default as NotificationBell, NOTIFICATION_TYPES } from './NotificationBell';
+export { default as SyncIndicator } from './SyncIndicator';
\ No newline at end of file
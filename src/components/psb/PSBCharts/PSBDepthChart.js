@@ -0,0 +1,95 @@
+/**
+ * GPS Lab Platform - PSBDepthChart Component
+ *
+ * Depth chart of the PSB order book over recharts: the PSB wanted at or
+ * above each bid price rising from the left, and the PSB offered at or
+ * below each ask price rising from the right, with the gap between them
+ * the spread.
+ *
+ * @module components/psb/PSBCharts/PSBDepthChart
+ */
+
+import React, { useMemo } from 'react';
+import {
+  ResponsiveContainer,
+  AreaChart,
+  Area,
+  CartesianGrid,
+  XAxis,
+  YAxis,
+  Tooltip,
+  ReferenceLine
+} from 'recharts';
+import { getDepthCurve } from '../../../utils/helpers/psb.market';
+import { SEMANTIC_COLORS } from '../../../utils/constants/ui.constants';
+import './PSBDepthChart.css';
+
+const GRID_COLOR = 'rgba(255, 255, 255, 0.08)';
+const AXIS_TICK = { fontSize: 12, fill: '#8b949e' };
+
+/**
+ * PSBDepthChart Component
+ * @param {Object} props - Component props
+ * @param {Object} props.depth - Market depth from the order book
+ * @param {number} [props.height] - Height in pixels
+ */
+const PSBDepthChart = ({
+  depth,
+  height = 260,
+  className = ''
+}) => {
+  const data = useMemo(() => (depth ? getDepthCurve(depth) : []), [depth]);
+
+  return (
+    <figure className={`psb-depth-chart ${className}`}>
+      {data.length === 0 ? (
+        <p className="psb-depth-chart__empty" style={{ height }}>The order book is empty.</p>
+      ) : (
+        <ResponsiveContainer width="100%" height={height}>
+          <AreaChart data={data} margin={{ top: 8, right: 8, bottom: 0, left: 0 }}>
+            <CartesianGrid stroke={GRID_COLOR} strokeDasharray="3 3" vertical={false} />
+            <XAxis
+              dataKey="price"
+              type="number"
+              domain={['dataMin', 'dataMax']}
+              tickFormatter={(price) => price.toFixed(3)}
+              tick={AXIS_TICK}
+              stroke={GRID_COLOR}
+            />
+            <YAxis tick={AXIS_TICK} stroke={GRID_COLOR} allowDecimals={false} width={52} />
+            <Tooltip
+              contentStyle={{ background: '#0d1117', border: `1px solid ${GRID_COLOR}` }}
+              labelFormatter={(price) => `${Number(price).toFixed(4)} 🪙`}
+              formatter={(value, name) => [`${value.toLocaleString()} 💎`, name]}
+            />
+            {depth.midPrice !== null && (
+              <ReferenceLine x={depth.midPrice} stroke={AXIS_TICK.fill} strokeDasharray="4 4" />
+            )}
+            <Area
+              type="stepAfter"
+              dataKey="bids"
+              name="Bids"
+              stroke={SEMANTIC_COLORS.success}
+              fill={SEMANTIC_COLORS.success}
+              fillOpacity={0.2}
+              connectNulls={false}
+              isAnimationActive={false}
+            />
+            <Area
+              type="stepBefore"
+              dataKey="asks"
+              name="Asks"
+              stroke={SEMANTIC_COLORS.danger}
+              fill={SEMANTIC_COLORS.danger}
+              fillOpacity={0.2}
+              connectNulls={false}
+              isAnimationActive={false}
+            />
+          </AreaChart>
+        </ResponsiveContainer>
+      )}
+    </figure>
+  );
+};
+
+export default PSBDepthChart;
@@ -0,0 +1,196 @@
+/**
+ * GPS Lab Platform - PSBPriceChart Component
+ *
+ * Candlestick chart of PSB trades over recharts, with traded volume as
+ * bars along the bottom. Each candle is a range bar from low to high drawn
+ * as a wick and an open-close body, green when the price rose.
+ *
+ * @module components/psb/PSBCharts/PSBPriceChart
+ */
+
+import React, { useMemo } from 'react';
+import {
+  ResponsiveContainer,
+  ComposedChart,
+  Bar,
+  Cell,
+  CartesianGrid,
+  XAxis,
+  YAxis,
+  Tooltip
+} from 'recharts';
+import { CANDLE_INTERVALS } from '../../../utils/helpers/psb.market';
+import { SEMANTIC_COLORS } from '../../../utils/constants/ui.constants';
+import './PSBPriceChart.css';
+
+// Muted enough for the marketplace's dark panels
+const GRID_COLOR = 'rgba(255, 255, 255, 0.08)';
+const AXIS_TICK = { fontSize: 12, fill: '#8b949e' };
+
+const INTERVAL_LABELS = {
+  '1h': '1H',
+  '1d': '1D',
+  '1w': '1W'
+};
+
+/**
+ * Format a candle's start for the axis and tooltip
+ */
+const formatCandleTime = (time, interval) => {
+  const date = new Date(time);
+  if (interval === '1h') {
+    return date.toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit' });
+  }
+  return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+};
+
+/**
+ * Candle color: green when the price closed at or above its open
+ */
+const candleColor = (candle) => (candle.close >= candle.open ? SEMANTIC_COLORS.success : SEMANTIC_COLORS.danger);
+
+/**
+ * Draws one candle inside the low-high range bar recharts lays out
+ */
+const Candle = ({ x, y, width, height, payload }) => {
+  const { open, close, high, low } = payload;
+  const color = candleColor(payload);
+  const ratio = high === low ? 0 : height / (high - low);
+  const bodyTop = y + (high - Math.max(open, close)) * ratio;
+  const bodyHeight = Math.max(1, Math.abs(open - close) * ratio);
+  const center = x + width / 2;
+
+  return (
+    <g>
+      <line x1={center} x2={center} y1={y} y2={y + height} stroke={color} />
+      <rect x={x + width * 0.15} y={bodyTop} width={width * 0.7} height={bodyHeight} fill={color} />
+    </g>
+  );
+};
+
+/**
+ * Tooltip listing a candle's prices and volume
+ */
+const CandleTooltip = ({ active, payload, interval }) => {
+  if (!active || !payload?.length) return null;
+  const candle = payload[0].payload;
+
+  return (
+    <div className="psb-price-chart__tooltip">
+      <strong>{formatCandleTime(candle.time, interval)}</strong>
+      <span>O {candle.open.toFixed(4)} · H {candle.high.toFixed(4)}</span>
+      <span>L {candle.low.toFixed(4)} · C {candle.close.toFixed(4)}</span>
+      <span>{candle.volume.toLocaleString()} 💎 in {candle.trades} trades</span>
+    </div>
+  );
+};
+
+/**
+ * PSBPriceChart Component
+ * @param {Object} props - Component props
+ * @param {Array<Object>} props.candles - OHLC candles, oldest first
+ * @param {string} [props.interval] - CANDLE_INTERVALS key the candles are in
+ * @param {Function} [props.onIntervalChange] - Shows the interval picker when set
+ * @param {boolean} [props.showVolume] - Draw volume bars
+ * @param {number} [props.height] - Height in pixels
+ */
+const PSBPriceChart = ({
+  candles = [],
+  interval = '1h',
+  onIntervalChange,
+  showVolume = true,
+  height = 280,
+  isLoading = false,
+  className = ''
+}) => {
+  const data = useMemo(() => candles.map(candle => ({ ...candle, range: [candle.low, candle.high] })), [candles]);
+
+  // Movement over the candles shown
+  const summary = useMemo(() => {
+    if (candles.length === 0) return null;
+    const open = candles[0].open;
+    const close = candles[candles.length - 1].close;
+    return {
+      close,
+      change: open ? ((close - open) / open) * 100 : 0,
+      high: Math.max(...candles.map(c => c.high)),
+      low: Math.min(...candles.map(c => c.low))
+    };
+  }, [candles]);
+
+  const maxVolume = useMemo(() => Math.max(1, ...candles.map(c => c.volume)), [candles]);
+
+  return (
+    <figure className={`psb-price-chart ${className}`}>
+      <figcaption className="psb-price-chart__header">
+        {summary ? (
+          <span className="psb-price-chart__summary">
+            <span className={`psb-price-chart__change psb-price-chart__change--${summary.change >= 0 ? 'up' : 'down'}`}>
+              {summary.change >= 0 ? '+' : ''}{summary.change.toFixed(2)}%
+            </span>
+            <span>H {summary.high.toFixed(4)}</span>
+            <span>L {summary.low.toFixed(4)}</span>
+          </span>
+        ) : <span />}
+        {onIntervalChange && (
+          <span className="psb-price-chart__intervals">
+            {Object.keys(CANDLE_INTERVALS).map(key => (
+              <button
+                key={key}
+                type="button"
+                onClick={() => onIntervalChange(key)}
+                aria-pressed={interval === key}
+                className={`psb-price-chart__interval ${interval === key ? 'psb-price-chart__interval--active' : ''}`}
+              >
+                {INTERVAL_LABELS[key]}
+              </button>
+            ))}
+          </span>
+        )}
+      </figcaption>
+
+      {data.length === 0 ? (
+        <p className="psb-price-chart__empty" style={{ height }}>
+          {isLoading ? 'Loading prices...' : 'No trades yet.'}
+        </p>
+      ) : (
+        <ResponsiveContainer width="100%" height={height}>
+          <ComposedChart data={data} margin={{ top: 8, right: 8, bottom: 0, left: 0 }} barCategoryGap="15%">
+            <CartesianGrid stroke={GRID_COLOR} strokeDasharray="3 3" vertical={false} />
+            <XAxis
+              dataKey="time"
+              tickFormatter={(time) => formatCandleTime(time, interval)}
+              tick={AXIS_TICK}
+              stroke={GRID_COLOR}
+              minTickGap={24}
+            />
+            <YAxis
+              yAxisId="price"
+              orientation="right"
+              domain={['auto', 'auto']}
+              tickFormatter={(price) => price.toFixed(3)}
+              tick={AXIS_TICK}
+              stroke={GRID_COLOR}
+              width={52}
+            />
+            {showVolume && (
+              // Volume fills the bottom quarter of the chart
+              <YAxis yAxisId="volume" hide domain={[0, maxVolume * 4]} />
+            )}
+            <Tooltip content={<CandleTooltip interval={interval} />} />
+            {showVolume && (
+              <Bar yAxisId="volume" dataKey="volume" isAnimationActive={false}>
+                {data.map(candle => (
+                  <Cell key={candle.time} fill={candleColor(candle)} fillOpacity={0.25} />
+                ))}
+              </Bar>
+            )}
+            <Bar yAxisId="price" dataKey="range" shape={<Candle />} isAnimationActive={false} />
+          </ComposedChart>
+        </ResponsiveContainer>
+      )}
+    </figure>
+  );
+};
+
+export default PSBPriceChart;
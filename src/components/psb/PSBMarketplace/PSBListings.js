@@ -1,13 +1,14 @@
 /**
  * GPS Lab Platform - PSBListings Component
  * 
- * Displays active PSB buy/sell listings on the marketplace
- * with price, quantity, and seller information.
+ * Displays the PSB order book: resting buy and sell orders
+ * aggregated by price, with depth bars and the spread.
  * 
  * @module components/psb/PSBMarketplace/PSBListings
  */
 
 import React, { useState, useCallback, useMemo } from 'react';
+import { ORDER_SIDES } from '../../../utils/helpers/psb.market';
 import './PSBListings.css';
 
 /**
@@ -20,104 +21,56 @@ const formatNumber = (num, decimals = 2) => {
   });
 };
 
-/**
- * Format relative time
- */
-const formatTime = (timestamp) => {
-  if (!timestamp) return '';
-  
-  const date = new Date(timestamp);
-  const now = new Date();
-  const diffMs = now - date;
-  const diffMins = Math.floor(diffMs / 60000);
-  const diffHours = Math.floor(diffMs / 3600000);
-  
-  if (diffMins < 1) return 'Just now';
-  if (diffMins < 60) return `${diffMins}m ago`;
-  if (diffHours < 24) return `${diffHours}h ago`;
-  return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
-};
-
 /**
  * PSBListings Component
  */
 const PSBListings = ({
-  listings = [],
+  depth = { bids: [], asks: [], spread: null },
   type = 'all', // all, buy, sell
-  currentPrice = 0.01,
-  userBalance = 0,
-  userPSBBalance = 0,
-  onAcceptListing,
-  onCancelListing,
-  currentUserId,
+  currentPrice = 1,
+  onSelectLevel,
   isLoading = false,
   showFilters = true,
   className = '',
   ...props
 }) => {
   const [activeType, setActiveType] = useState(type);
-  const [sortBy, setSortBy] = useState('price'); // price, amount, time
+  const [sortBy, setSortBy] = useState('price'); // price, amount
   const [sortOrder, setSortOrder] = useState('asc'); // asc, desc
   
-  // Filter and sort listings
-  const processedListings = useMemo(() => {
-    let filtered = listings;
-    
-    // Filter by type
-    if (activeType !== 'all') {
-      filtered = filtered.filter((l) => l.type === activeType);
-    }
+  // Price levels of the chosen side, sorted
+  const processedLevels = useMemo(() => {
+    const levels = activeType === 'buy' ? depth.bids : depth.asks;
     
-    // Sort
-    filtered = [...filtered].sort((a, b) => {
-      let comparison = 0;
-      
-      switch (sortBy) {
-        case 'price':
-          comparison = a.pricePerPSB - b.pricePerPSB;
-          break;
-        case 'amount':
-          comparison = a.amount - b.amount;
-          break;
-        case 'time':
-          comparison = new Date(b.createdAt) - new Date(a.createdAt);
-          break;
-        default:
-          comparison = 0;
-      }
-      
+    return [...levels].sort((a, b) => {
+      const comparison = sortBy === 'amount' ? a.amount - b.amount : a.price - b.price;
       return sortOrder === 'asc' ? comparison : -comparison;
     });
-    
-    return filtered;
-  }, [listings, activeType, sortBy, sortOrder]);
+  }, [depth, activeType, sortBy, sortOrder]);
   
-  // Separate buy and sell listings for order book view
+  // Top of the book, with bars scaled to the deepest side
   const orderBook = useMemo(() => {
-    const buyOrders = listings
-      .filter((l) => l.type === 'buy')
-      .sort((a, b) => b.pricePerPSB - a.pricePerPSB)
-      .slice(0, 10);
-    
-    const sellOrders = listings
-      .filter((l) => l.type === 'sell')
-      .sort((a, b) => a.pricePerPSB - b.pricePerPSB)
-      .slice(0, 10);
+    const buyOrders = depth.bids.slice(0, 10);
+    const sellOrders = depth.asks.slice(0, 10);
+    const maxDepth = Math.max(
+      1,
+      buyOrders[buyOrders.length - 1]?.cumulative || 0,
+      sellOrders[sellOrders.length - 1]?.cumulative || 0
+    );
     
-    return { buyOrders, sellOrders };
-  }, [listings]);
+    return { buyOrders, sellOrders, maxDepth };
+  }, [depth]);
   
-  const handleAccept = useCallback((listing) => {
-    if (onAcceptListing) {
-      onAcceptListing(listing);
+  // Taking a level means trading against it: buy from asks, sell to bids
+  const handleSelect = useCallback((level, levelType) => {
+    if (onSelectLevel) {
+      onSelectLevel({
+        side: levelType === 'sell' ? ORDER_SIDES.BUY : ORDER_SIDES.SELL,
+        price: level.price,
+        amount: level.amount
+      });
     }
-  }, [onAcceptListing]);
-  
-  const handleCancel = useCallback((listing) => {
-    if (onCancelListing) {
-      onCancelListing(listing);
-    }
-  }, [onCancelListing]);
+  }, [onSelectLevel]);
   
   const toggleSort = useCallback((field) => {
     if (sortBy === field) {
@@ -133,6 +86,22 @@ const PSBListings = ({
     className
   ].filter(Boolean).join(' ');
   
+  const renderBookRow = (level, levelType) => (
+    <div
+      key={level.price}
+      className={`psb-listings__book-row psb-listings__book-row--${levelType}`}
+      onClick={() => handleSelect(level, levelType)}
+    >
+      <span className="psb-listings__book-price">{formatNumber(level.price, 4)}</span>
+      <span className="psb-listings__book-amount">{formatNumber(level.amount, 0)}</span>
+      <span className="psb-listings__book-total">{formatNumber(level.total)}</span>
+      <div 
+        className="psb-listings__book-bar"
+        style={{ width: `${(level.cumulative / orderBook.maxDepth) * 100}%` }}
+      />
+    </div>
+  );
+  
   return (
     <div className={classNames} {...props}>
       {/* Header */}
@@ -142,8 +111,8 @@ const PSBListings = ({
           Order Book
         </h3>
         <div className="psb-listings__current-price">
-          <span className="psb-listings__price-label">Current Price</span>
-          <span className="psb-listings__price-value">${formatNumber(currentPrice, 4)}</span>
+          <span className="psb-listings__price-label">Last Price</span>
+          <span className="psb-listings__price-value">{formatNumber(currentPrice, 4)} 🪙</span>
         </div>
       </header>
       
@@ -182,22 +151,12 @@ const PSBListings = ({
           {/* Sell Orders (asks) */}
           <div className="psb-listings__book-section psb-listings__book-section--sell">
             <div className="psb-listings__book-header">
-              <span>Price</span>
-              <span>Amount</span>
-              <span>Total</span>
+              <span>Price (🪙)</span>
+              <span>Amount (💎)</span>
+              <span>Total (🪙)</span>
             </div>
             <div className="psb-listings__book-rows">
-              {orderBook.sellOrders.map((order) => (
-                <div key={order.id} className="psb-listings__book-row psb-listings__book-row--sell">
-                  <span className="psb-listings__book-price">${formatNumber(order.pricePerPSB, 4)}</span>
-                  <span className="psb-listings__book-amount">{formatNumber(order.amount)}</span>
-                  <span className="psb-listings__book-total">${formatNumber(order.amount * order.pricePerPSB)}</span>
-                  <div 
-                    className="psb-listings__book-bar"
-                    style={{ width: `${Math.min(100, (order.amount / 1000) * 100)}%` }}
-                  />
-                </div>
-              ))}
+              {orderBook.sellOrders.map((level) => renderBookRow(level, 'sell'))}
             </div>
           </div>
           
@@ -205,26 +164,14 @@ const PSBListings = ({
           <div className="psb-listings__spread">
             <span className="psb-listings__spread-label">Spread</span>
             <span className="psb-listings__spread-value">
-              {orderBook.sellOrders[0] && orderBook.buyOrders[0] 
-                ? `$${formatNumber(orderBook.sellOrders[0].pricePerPSB - orderBook.buyOrders[0].pricePerPSB, 4)}`
-                : '-'}
+              {depth.spread !== null ? formatNumber(depth.spread, 4) : '-'}
             </span>
           </div>
           
           {/* Buy Orders (bids) */}
           <div className="psb-listings__book-section psb-listings__book-section--buy">
             <div className="psb-listings__book-rows">
-              {orderBook.buyOrders.map((order) => (
-                <div key={order.id} className="psb-listings__book-row psb-listings__book-row--buy">
-                  <span className="psb-listings__book-price">${formatNumber(order.pricePerPSB, 4)}</span>
-                  <span className="psb-listings__book-amount">{formatNumber(order.amount)}</span>
-                  <span className="psb-listings__book-total">${formatNumber(order.amount * order.pricePerPSB)}</span>
-                  <div 
-                    className="psb-listings__book-bar"
-                    style={{ width: `${Math.min(100, (order.amount / 1000) * 100)}%` }}
-                  />
-                </div>
-              ))}
+              {orderBook.buyOrders.map((level) => renderBookRow(level, 'buy'))}
             </div>
           </div>
         </div>
@@ -250,55 +197,45 @@ const PSBListings = ({
               Amount {sortBy === 'amount' && (sortOrder === 'asc' ? '↑' : '↓')}
             </button>
             <span>Total</span>
-            <span>Seller</span>
+            <span>Orders</span>
             <span>Action</span>
           </div>
           
-          {/* Listings */}
+          {/* Price levels */}
           {isLoading ? (
             <div className="psb-listings__loading">
               <div className="psb-listings__spinner" />
             </div>
-          ) : processedListings.length === 0 ? (
+          ) : processedLevels.length === 0 ? (
             <div className="psb-listings__empty">
               No {activeType} orders available
             </div>
           ) : (
-            processedListings.map((listing) => (
+            processedLevels.map((level) => (
               <div 
-                key={listing.id} 
-                className={`psb-listings__row psb-listings__row--${listing.type}`}
+                key={level.price} 
+                className={`psb-listings__row psb-listings__row--${activeType}`}
               >
                 <span className="psb-listings__cell psb-listings__cell--price">
-                  ${formatNumber(listing.pricePerPSB, 4)}
+                  {formatNumber(level.price, 4)} 🪙
                 </span>
                 <span className="psb-listings__cell psb-listings__cell--amount">
-                  {formatNumber(listing.amount)} 💎
+                  {formatNumber(level.amount, 0)} 💎
                 </span>
                 <span className="psb-listings__cell psb-listings__cell--total">
-                  ${formatNumber(listing.amount * listing.pricePerPSB)}
+                  {formatNumber(level.total)} 🪙
                 </span>
                 <span className="psb-listings__cell psb-listings__cell--seller">
-                  {listing.sellerId === currentUserId ? 'You' : listing.sellerName || 'Anonymous'}
+                  {level.orders}
                 </span>
                 <div className="psb-listings__cell psb-listings__cell--action">
-                  {listing.sellerId === currentUserId ? (
-                    <button
-                      type="button"
-                      className="psb-listings__cancel-btn"
-                      onClick={() => handleCancel(listing)}
-                    >
-                      Cancel
-                    </button>
-                  ) : (
-                    <button
-                      type="button"
-                      className={`psb-listings__accept-btn psb-listings__accept-btn--${listing.type}`}
-                      onClick={() => handleAccept(listing)}
-                    >
-                      {listing.type === 'sell' ? 'Buy' : 'Sell'}
-                    </button>
-                  )}
+                  <button
+                    type="button"
+                    className={`psb-listings__accept-btn psb-listings__accept-btn--${activeType}`}
+                    onClick={() => handleSelect(level, activeType)}
+                  >
+                    {activeType === 'sell' ? 'Buy' : 'Sell'}
+                  </button>
                 </div>
               </div>
             ))
@@ -1,35 +1,27 @@
 /**
  * GPS Lab Platform - PSBMarketplace Component
  * 
- * Main marketplace interface for trading PSB with
- * order book, price charts, and trading controls.
+ * Main marketplace interface for trading PSB against Baraka
+ * with price candles, the order book and its depth, recent trades
+ * and the learner's orders.
  * 
  * @module components/psb/PSBMarketplace/PSBMarketplace
  */
 
-import React, { useState, useCallback, useMemo } from 'react';
+import React, { useState, useMemo } from 'react';
 import PSBListings from './PSBListings';
+import PSBPriceChart from '../PSBCharts/PSBPriceChart';
+import PSBDepthChart from '../PSBCharts/PSBDepthChart';
+import { ORDER_SIDES, ORDER_TYPES, isOrderActive } from '../../../utils/helpers/psb.market';
 import './PSBMarketplace.css';
 
-/**
- * Market stats mock data generator
- */
-const generateMarketStats = (currentPrice) => ({
-  high24h: currentPrice * 1.05,
-  low24h: currentPrice * 0.95,
-  change24h: ((currentPrice - currentPrice * 0.98) / (currentPrice * 0.98)) * 100,
-  volume24h: 125000,
-  trades24h: 342,
-  marketCap: currentPrice * 10000000
-});
-
 /**
  * Format number with K/M suffix
  */
 const formatCompact = (num) => {
-  if (num >= 1000000) return '$' + (num / 1000000).toFixed(2) + 'M';
-  if (num >= 1000) return '$' + (num / 1000).toFixed(2) + 'K';
-  return '$' + num.toFixed(2);
+  if (num >= 1000000) return (num / 1000000).toFixed(2) + 'M';
+  if (num >= 1000) return (num / 1000).toFixed(2) + 'K';
+  return num.toFixed(2);
 };
 
 /**
@@ -40,32 +32,34 @@ const formatPercent = (num) => {
   return `${sign}${num.toFixed(2)}%`;
 };
 
+const EMPTY_STATS = { lastPrice: 1, high: 1, low: 1, change: 0, volume: 0, value: 0, trades: 0 };
+
 /**
  * PSBMarketplace Component
  */
 const PSBMarketplace = ({
-  listings = [],
+  depth,
+  stats = EMPTY_STATS,
   recentTrades = [],
-  currentPrice = 0.01,
+  candles = [],
+  candleInterval = '1h',
+  onCandleIntervalChange,
+  orders = [],
   userBalance = 0,
   userPSBBalance = 0,
-  currentUserId,
-  onCreateListing,
-  onAcceptListing,
-  onCancelListing,
+  seller,
+  onCreateOrder,
+  onCancelOrder,
   isLoading = false,
   className = '',
   ...props
 }) => {
-  const [activeTab, setActiveTab] = useState('orderbook'); // orderbook, trades, myorders
+  const [activeTab, setActiveTab] = useState('orderbook'); // orderbook, depth, trades, myorders
   
-  const marketStats = useMemo(() => generateMarketStats(currentPrice), [currentPrice]);
+  const marketStats = stats || EMPTY_STATS;
   
-  // Filter user's listings
-  const myListings = useMemo(() => 
-    listings.filter((l) => l.sellerId === currentUserId),
-    [listings, currentUserId]
-  );
+  // Orders still in the book
+  const activeOrders = useMemo(() => orders.filter(isOrderActive), [orders]);
   
   const classNames = [
     'psb-marketplace',
@@ -82,17 +76,17 @@ const PSBMarketplace = ({
             PSB Marketplace
           </h2>
           <p className="psb-marketplace__subtitle">
-            Trade Problem-Solving Bonds
+            Trade Problem-Solving Bonds for Baraka
           </p>
         </div>
         
         {/* Price Display */}
         <div className="psb-marketplace__price-display">
           <div className="psb-marketplace__current-price">
-            <span className="psb-marketplace__price-label">💎 PSB/USD</span>
-            <span className="psb-marketplace__price-value">${currentPrice.toFixed(4)}</span>
-            <span className={`psb-marketplace__price-change ${marketStats.change24h >= 0 ? 'psb-marketplace__price-change--positive' : 'psb-marketplace__price-change--negative'}`}>
-              {formatPercent(marketStats.change24h)}
+            <span className="psb-marketplace__price-label">💎 PSB/🪙 Baraka</span>
+            <span className="psb-marketplace__price-value">{marketStats.lastPrice.toFixed(4)}</span>
+            <span className={`psb-marketplace__price-change ${marketStats.change >= 0 ? 'psb-marketplace__price-change--positive' : 'psb-marketplace__price-change--negative'}`}>
+              {formatPercent(marketStats.change)}
             </span>
           </div>
         </div>
@@ -103,35 +97,45 @@ const PSBMarketplace = ({
         <div className="psb-marketplace__stat">
           <span className="psb-marketplace__stat-label">24h High</span>
           <span className="psb-marketplace__stat-value psb-marketplace__stat-value--high">
-            ${marketStats.high24h.toFixed(4)}
+            {marketStats.high.toFixed(4)}
           </span>
         </div>
         <div className="psb-marketplace__stat">
           <span className="psb-marketplace__stat-label">24h Low</span>
           <span className="psb-marketplace__stat-value psb-marketplace__stat-value--low">
-            ${marketStats.low24h.toFixed(4)}
+            {marketStats.low.toFixed(4)}
           </span>
         </div>
         <div className="psb-marketplace__stat">
           <span className="psb-marketplace__stat-label">24h Volume</span>
           <span className="psb-marketplace__stat-value">
-            {formatCompact(marketStats.volume24h)}
+            {formatCompact(marketStats.volume)} 💎
           </span>
         </div>
         <div className="psb-marketplace__stat">
           <span className="psb-marketplace__stat-label">Trades</span>
           <span className="psb-marketplace__stat-value">
-            {marketStats.trades24h}
+            {marketStats.trades}
           </span>
         </div>
         <div className="psb-marketplace__stat">
-          <span className="psb-marketplace__stat-label">Market Cap</span>
+          <span className="psb-marketplace__stat-label">24h Value</span>
           <span className="psb-marketplace__stat-value">
-            {formatCompact(marketStats.marketCap)}
+            {formatCompact(marketStats.value)} 🪙
           </span>
         </div>
       </div>
       
+      {/* Price Chart */}
+      <section className="psb-marketplace__chart" aria-label="PSB price">
+        <PSBPriceChart
+          candles={candles}
+          interval={candleInterval}
+          onIntervalChange={onCandleIntervalChange}
+          isLoading={isLoading}
+        />
+      </section>
+      
       {/* Balances */}
       <div className="psb-marketplace__balances">
         <div className="psb-marketplace__balance">
@@ -148,10 +152,23 @@ const PSBMarketplace = ({
             <span className="psb-marketplace__balance-value">{userPSBBalance.toLocaleString()}</span>
           </div>
         </div>
+        {seller && (
+          <div className="psb-marketplace__balance">
+            <span className="psb-marketplace__balance-icon">🏷️</span>
+            <div className="psb-marketplace__balance-content">
+              <span className="psb-marketplace__balance-label">
+                {seller.name} · {Math.round(seller.commission * 100)}% commission
+              </span>
+              <span className="psb-marketplace__balance-value">
+                {seller.openListings}/{seller.maxListings} listings
+              </span>
+            </div>
+          </div>
+        )}
         <button
           type="button"
           className="psb-marketplace__trade-btn"
-          onClick={() => onCreateListing && onCreateListing()}
+          onClick={() => onCreateOrder && onCreateOrder()}
         >
           <span className="psb-marketplace__trade-btn-icon">📊</span>
           Create Order
@@ -167,6 +184,13 @@ const PSBMarketplace = ({
         >
           Order Book
         </button>
+        <button
+          type="button"
+          className={`psb-marketplace__tab ${activeTab === 'depth' ? 'psb-marketplace__tab--active' : ''}`}
+          onClick={() => setActiveTab('depth')}
+        >
+          Depth
+        </button>
         <button
           type="button"
           className={`psb-marketplace__tab ${activeTab === 'trades' ? 'psb-marketplace__tab--active' : ''}`}
@@ -179,7 +203,7 @@ const PSBMarketplace = ({
           className={`psb-marketplace__tab ${activeTab === 'myorders' ? 'psb-marketplace__tab--active' : ''}`}
           onClick={() => setActiveTab('myorders')}
         >
-          My Orders ({myListings.length})
+          My Orders ({activeOrders.length})
         </button>
       </div>
       
@@ -187,17 +211,17 @@ const PSBMarketplace = ({
       <div className="psb-marketplace__content">
         {activeTab === 'orderbook' && (
           <PSBListings
-            listings={listings}
-            currentPrice={currentPrice}
-            userBalance={userBalance}
-            userPSBBalance={userPSBBalance}
-            currentUserId={currentUserId}
-            onAcceptListing={onAcceptListing}
-            onCancelListing={onCancelListing}
+            depth={depth}
+            currentPrice={marketStats.lastPrice}
+            onSelectLevel={(level) => onCreateOrder && onCreateOrder({ ...level, type: ORDER_TYPES.LIMIT })}
             isLoading={isLoading}
           />
         )}
         
+        {activeTab === 'depth' && (
+          <PSBDepthChart depth={depth} />
+        )}
+        
         {activeTab === 'trades' && (
           <div className="psb-marketplace__trades">
             <div className="psb-marketplace__trades-header">
@@ -214,16 +238,16 @@ const PSBMarketplace = ({
                 recentTrades.map((trade) => (
                   <div 
                     key={trade.id} 
-                    className={`psb-marketplace__trade psb-marketplace__trade--${trade.type}`}
+                    className={`psb-marketplace__trade psb-marketplace__trade--${trade.takerSide}`}
                   >
                     <span className="psb-marketplace__trade-price">
-                      ${trade.pricePerPSB.toFixed(4)}
+                      {trade.price.toFixed(4)} 🪙
                     </span>
                     <span className="psb-marketplace__trade-amount">
                       {trade.amount.toLocaleString()} 💎
                     </span>
                     <span className="psb-marketplace__trade-time">
-                      {new Date(trade.timestamp).toLocaleTimeString()}
+                      {new Date(trade.executedAt).toLocaleTimeString()}
                     </span>
                   </div>
                 ))
@@ -234,43 +258,44 @@ const PSBMarketplace = ({
         
         {activeTab === 'myorders' && (
           <div className="psb-marketplace__my-orders">
-            {myListings.length === 0 ? (
+            {activeOrders.length === 0 ? (
               <div className="psb-marketplace__empty">
                 <span className="psb-marketplace__empty-icon">📋</span>
                 <p>You have no active orders</p>
                 <button
                   type="button"
                   className="psb-marketplace__empty-btn"
-                  onClick={() => onCreateListing && onCreateListing()}
+                  onClick={() => onCreateOrder && onCreateOrder()}
                 >
                   Create Order
                 </button>
               </div>
             ) : (
               <div className="psb-marketplace__orders-list">
-                {myListings.map((listing) => (
+                {activeOrders.map((order) => (
                   <div 
-                    key={listing.id} 
-                    className={`psb-marketplace__order psb-marketplace__order--${listing.type}`}
+                    key={order.id} 
+                    className={`psb-marketplace__order psb-marketplace__order--${order.side}`}
                   >
                     <div className="psb-marketplace__order-type">
-                      {listing.type === 'buy' ? '🟢 BUY' : '🔴 SELL'}
+                      {order.side === ORDER_SIDES.BUY ? '🟢 BUY' : '🔴 SELL'}
                     </div>
                     <div className="psb-marketplace__order-details">
                       <span className="psb-marketplace__order-amount">
-                        {listing.amount.toLocaleString()} 💎
+                        {order.remaining.toLocaleString()} 💎
+                        {order.filled > 0 && ` (${order.filled.toLocaleString()} of ${order.amount.toLocaleString()} filled)`}
                       </span>
                       <span className="psb-marketplace__order-price">
-                        @ ${listing.pricePerPSB.toFixed(4)}
+                        @ {order.price.toFixed(4)} 🪙
                       </span>
                     </div>
                     <div className="psb-marketplace__order-total">
-                      ${(listing.amount * listing.pricePerPSB).toLocaleString()}
+                      {(order.remaining * order.price).toLocaleString(undefined, { maximumFractionDigits: 2 })} 🪙
                     </div>
                     <button
                       type="button"
                       className="psb-marketplace__order-cancel"
-                      onClick={() => onCancelListing && onCancelListing(listing)}
+                      onClick={() => onCancelOrder && onCancelOrder(order)}
                     >
                       Cancel
                     </button>
@@ -0,0 +1,345 @@
+/**
+ * GPS Lab Platform - PSBStaking Component
+ *
+ * Lock PSB up for a term to earn interest: pick a lockup period,
+ * see what it will earn by maturity, and follow each position's
+ * accrued interest day by day. Positions can be unlocked early
+ * for a penalty; at maturity they are released automatically.
+ *
+ * @module components/psb/PSBStaking/PSBStaking
+ */
+
+import React, { useState, useMemo, useCallback } from 'react';
+import { STAKE_STATUS, projectInterest, calculateStakePayout } from '../../../utils/helpers/psb.staking';
+import { validatePSBStake } from '../../../utils/validators/psb.validator';
+import './PSBStaking.css';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const STATUS_LABELS = {
+  [STAKE_STATUS.ACTIVE]: 'Active',
+  [STAKE_STATUS.MATURED]: 'Matured',
+  [STAKE_STATUS.UNLOCKED]: 'Unlocked early'
+};
+
+/**
+ * Format a date
+ */
+const formatDate = (iso) => new Date(iso).toLocaleDateString('en-US', {
+  month: 'short',
+  day: 'numeric',
+  year: 'numeric'
+});
+
+/**
+ * Format an APY as a percentage
+ */
+const formatAPY = (apy) => `${Math.round(apy * 100)}%`;
+
+/**
+ * Daily accrual of one position
+ */
+const AccrualSchedule = ({ schedule }) => {
+  if (!schedule) {
+    return <p className="psb-staking__schedule-empty">Loading schedule...</p>;
+  }
+
+  return (
+    <div className="psb-staking__schedule">
+      <div className="psb-staking__schedule-row psb-staking__schedule-row--header">
+        <span>Day</span>
+        <span>Date</span>
+        <span>Interest</span>
+        <span>Accrued</span>
+      </div>
+      {schedule.map((row) => (
+        <div
+          key={row.day}
+          className={`psb-staking__schedule-row ${row.earned ? 'psb-staking__schedule-row--earned' : ''}`}
+        >
+          <span>{row.day}</span>
+          <span>{formatDate(row.date)}</span>
+          <span>+{row.interest.toFixed(2)}</span>
+          <span>{row.accrued.toFixed(2)}</span>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+/**
+ * PSBStaking Component
+ */
+const PSBStaking = ({
+  terms = [],
+  stakes = [],
+  summary,
+  earlyUnlockPenalty = 0,
+  available = 0,
+  schedules = {},
+  onStake,
+  onUnlock,
+  onViewSchedule,
+  isSubmitting = false,
+  isUnlocking = false,
+  submitError,
+  unlockError,
+  className = '',
+  ...props
+}) => {
+  const [termId, setTermId] = useState(null);
+  const [amount, setAmount] = useState('');
+  const [errors, setErrors] = useState({});
+  const [expandedId, setExpandedId] = useState(null);
+  const [confirmingId, setConfirmingId] = useState(null);
+
+  const term = terms.find((t) => t.id === termId) || terms[0];
+
+  // What the lockup being drafted would earn
+  const preview = useMemo(() => {
+    const numAmount = parseInt(amount, 10) || 0;
+    if (!term || numAmount <= 0) return null;
+    return {
+      interest: projectInterest(numAmount, term),
+      maturesAt: new Date(Date.now() + term.days * DAY).toISOString()
+    };
+  }, [amount, term]);
+
+  const handleAmountChange = useCallback((e) => {
+    setAmount(e.target.value.replace(/[^0-9]/g, ''));
+    setErrors((prev) => ({ ...prev, amount: null }));
+  }, []);
+
+  const handleSubmit = useCallback(async (e) => {
+    e.preventDefault();
+    const data = { amount: parseInt(amount, 10), term: term?.id };
+    const { valid, errors: newErrors } = validatePSBStake(data, available);
+    setErrors(newErrors);
+
+    if (valid && onStake) {
+      const staked = await onStake(data);
+      if (staked) setAmount('');
+    }
+  }, [amount, term, available, onStake]);
+
+  const handleToggleSchedule = useCallback((stake) => {
+    const next = expandedId === stake.id ? null : stake.id;
+    setExpandedId(next);
+    if (next && onViewSchedule) onViewSchedule(stake);
+  }, [expandedId, onViewSchedule]);
+
+  const handleConfirmUnlock = useCallback(async (stake) => {
+    if (onUnlock) await onUnlock(stake);
+    setConfirmingId(null);
+  }, [onUnlock]);
+
+  const classNames = [
+    'psb-staking',
+    className
+  ].filter(Boolean).join(' ');
+
+  return (
+    <div className={classNames} {...props}>
+      {/* Header */}
+      <header className="psb-staking__header">
+        <h3 className="psb-staking__title">
+          <span className="psb-staking__title-icon">🔒</span>
+          Stake PSB
+        </h3>
+        {summary && summary.positions > 0 && (
+          <div className="psb-staking__summary">
+            <div className="psb-staking__summary-item">
+              <span className="psb-staking__summary-label">Staked</span>
+              <span className="psb-staking__summary-value">{summary.staked.toLocaleString()} 💎</span>
+            </div>
+            <div className="psb-staking__summary-item">
+              <span className="psb-staking__summary-label">Accrued</span>
+              <span className="psb-staking__summary-value psb-staking__summary-value--earned">
+                +{summary.accrued.toFixed(2)}
+              </span>
+            </div>
+            <div className="psb-staking__summary-item">
+              <span className="psb-staking__summary-label">At maturity</span>
+              <span className="psb-staking__summary-value">+{summary.projected.toFixed(2)}</span>
+            </div>
+          </div>
+        )}
+      </header>
+
+      {/* Stake Form */}
+      <form className="psb-staking__form" onSubmit={handleSubmit}>
+        <div className="psb-staking__terms" role="radiogroup" aria-label="Lockup period">
+          {terms.map((t) => (
+            <button
+              key={t.id}
+              type="button"
+              role="radio"
+              aria-checked={term?.id === t.id}
+              className={`psb-staking__term ${term?.id === t.id ? 'psb-staking__term--active' : ''}`}
+              onClick={() => setTermId(t.id)}
+            >
+              <span className="psb-staking__term-days">{t.days} days</span>
+              <span className="psb-staking__term-apy">{formatAPY(t.apy)} APY</span>
+            </button>
+          ))}
+        </div>
+        {errors.term && (
+          <span className="psb-staking__error">{errors.term}</span>
+        )}
+
+        <label className="psb-staking__label" htmlFor="psb-stake-amount">
+          Amount (PSB) · {available.toLocaleString()} available
+        </label>
+        <div className="psb-staking__input-wrapper">
+          <input
+            id="psb-stake-amount"
+            type="text"
+            inputMode="numeric"
+            value={amount}
+            onChange={handleAmountChange}
+            placeholder="0"
+            className={`psb-staking__input ${errors.amount ? 'psb-staking__input--error' : ''}`}
+          />
+          <button
+            type="button"
+            className="psb-staking__max-btn"
+            onClick={() => setAmount(String(available))}
+          >
+            Max
+          </button>
+        </div>
+        {errors.amount && (
+          <span className="psb-staking__error">{errors.amount}</span>
+        )}
+
+        {preview && (
+          <p className="psb-staking__preview">
+            Earns <strong>+{preview.interest.toFixed(2)} PSB</strong> by {formatDate(preview.maturesAt)},
+            paid in whole PSB with your stake. Unlocking early costs {formatAPY(earlyUnlockPenalty)} of
+            the stake and the interest accrued so far.
+          </p>
+        )}
+        {submitError && (
+          <span className="psb-staking__error">{submitError}</span>
+        )}
+
+        <button
+          type="submit"
+          className="psb-staking__submit"
+          disabled={!amount || isSubmitting}
+        >
+          {isSubmitting ? 'Locking...' : 'Lock PSB'}
+        </button>
+      </form>
+
+      {/* Positions */}
+      <div className="psb-staking__positions">
+        <h4 className="psb-staking__positions-title">Positions</h4>
+        {unlockError && (
+          <span className="psb-staking__error">{unlockError}</span>
+        )}
+        {stakes.length === 0 ? (
+          <p className="psb-staking__empty">You have no PSB staked yet.</p>
+        ) : (
+          <ul className="psb-staking__list">
+            {stakes.map((stake) => {
+              const isActive = stake.status === STAKE_STATUS.ACTIVE;
+              const payout = confirmingId === stake.id
+                ? calculateStakePayout(stake, new Date().toISOString())
+                : null;
+
+              return (
+                <li key={stake.id} className={`psb-staking__position psb-staking__position--${stake.status}`}>
+                  <div className="psb-staking__position-main">
+                    <div className="psb-staking__position-info">
+                      <span className="psb-staking__position-amount">
+                        {stake.amount.toLocaleString()} PSB
+                      </span>
+                      <span className="psb-staking__position-terms">
+                        {stake.days} days · {formatAPY(stake.apy)} APY
+                      </span>
+                    </div>
+                    <span className={`psb-staking__status psb-staking__status--${stake.status}`}>
+                      {STATUS_LABELS[stake.status]}
+                    </span>
+                  </div>
+
+                  <div className="psb-staking__progress" aria-hidden="true">
+                    <div className="psb-staking__progress-fill" style={{ width: `${stake.progress}%` }} />
+                  </div>
+
+                  <div className="psb-staking__position-stats">
+                    {isActive ? (
+                      <>
+                        <span>+{stake.accrued.toFixed(2)} of +{stake.projected.toFixed(2)} accrued</span>
+                        <span>Matures {formatDate(stake.maturesAt)} ({stake.daysLeft}d)</span>
+                      </>
+                    ) : (
+                      <>
+                        <span>
+                          {stake.returned.toLocaleString()} PSB returned
+                          {stake.interest > 0 && ` incl. ${stake.interest} interest`}
+                          {stake.penalty > 0 && ` after a ${stake.penalty} PSB penalty`}
+                        </span>
+                        <span>{formatDate(stake.closedAt)}</span>
+                      </>
+                    )}
+                  </div>
+
+                  <div className="psb-staking__position-actions">
+                    <button
+                      type="button"
+                      className="psb-staking__link-btn"
+                      onClick={() => handleToggleSchedule(stake)}
+                      aria-expanded={expandedId === stake.id}
+                    >
+                      {expandedId === stake.id ? 'Hide schedule' : 'Accrual schedule'}
+                    </button>
+                    {isActive && confirmingId !== stake.id && (
+                      <button
+                        type="button"
+                        className="psb-staking__link-btn psb-staking__link-btn--danger"
+                        onClick={() => setConfirmingId(stake.id)}
+                      >
+                        Unlock early
+                      </button>
+                    )}
+                  </div>
+
+                  {payout && (
+                    <div className="psb-staking__confirm" role="alert">
+                      <p>
+                        Unlocking now returns <strong>{payout.returned.toLocaleString()} PSB</strong>:
+                        a {payout.penalty.toLocaleString()} PSB penalty, and {payout.forfeited.toFixed(2)} PSB
+                        of accrued interest forfeited.
+                      </p>
+                      <div className="psb-staking__confirm-actions">
+                        <button type="button" className="psb-staking__link-btn" onClick={() => setConfirmingId(null)}>
+                          Keep staking
+                        </button>
+                        <button
+                          type="button"
+                          className="psb-staking__confirm-btn"
+                          onClick={() => handleConfirmUnlock(stake)}
+                          disabled={isUnlocking}
+                        >
+                          {isUnlocking ? 'Unlocking...' : 'Unlock'}
+                        </button>
+                      </div>
+                    </div>
+                  )}
+
+                  {expandedId === stake.id && (
+                    <AccrualSchedule schedule={schedules[stake.id]} />
+                  )}
+                </li>
+              );
+            })}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default PSBStaking;
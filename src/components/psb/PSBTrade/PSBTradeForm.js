@@ -2,12 +2,18 @@
  * GPS Lab Platform - PSBTradeForm Component
  * 
  * Form for creating buy/sell orders for PSB with
- * price setting, amount input, and order preview.
+ * price setting, amount input, and order preview. Orders are in
+ * whole PSB priced in Baraka; sellers pay their tier's commission
+ * on what they sell, buyers pay no fee. Recent candles and the 24h
+ * range are shown so traders can see where the price has been.
  * 
  * @module components/psb/PSBTrade/PSBTradeForm
  */
 
 import React, { useState, useCallback, useMemo } from 'react';
+import { ORDER_SIDES, ORDER_TYPES } from '../../../utils/helpers/psb.market';
+import { LIMITS, validatePSBOrder } from '../../../utils/validators/psb.validator';
+import PSBPriceChart from '../PSBCharts/PSBPriceChart';
 import './PSBTradeForm.css';
 
 /**
@@ -24,31 +30,36 @@ const formatNumber = (num, decimals = 2) => {
  * PSBTradeForm Component
  */
 const PSBTradeForm = ({
-  currentPrice = 0.01,
+  currentPrice = 1,
+  stats,
+  candles = [],
+  candleInterval = '1h',
   userBalance = 0,
   userPSBBalance = 0,
-  minOrder = 1,
-  maxOrder = 10000,
-  tradingFeePercent = 1,
+  sellerCommission = 0,
+  initialOrder = {},
+  submitError,
   onSubmit,
   onCancel,
   isSubmitting = false,
   className = '',
   ...props
 }) => {
-  const [orderType, setOrderType] = useState('buy'); // buy, sell
-  const [priceType, setPriceType] = useState('market'); // market, limit
-  const [amount, setAmount] = useState('');
-  const [limitPrice, setLimitPrice] = useState(currentPrice.toFixed(4));
+  const [orderType, setOrderType] = useState(initialOrder.side || ORDER_SIDES.BUY);
+  const [priceType, setPriceType] = useState(initialOrder.type || ORDER_TYPES.MARKET);
+  const [amount, setAmount] = useState(initialOrder.amount ? String(initialOrder.amount) : '');
+  const [limitPrice, setLimitPrice] = useState((initialOrder.price || currentPrice).toFixed(4));
   const [errors, setErrors] = useState({});
   
-  // Calculate order details
+  const feePercent = orderType === ORDER_SIDES.SELL ? sellerCommission * 100 : 0;
+  
+  // Calculate order details (a market order's price is an estimate)
   const orderDetails = useMemo(() => {
-    const numAmount = parseFloat(amount) || 0;
+    const numAmount = parseInt(amount, 10) || 0;
     const price = priceType === 'market' ? currentPrice : (parseFloat(limitPrice) || 0);
     const subtotal = numAmount * price;
-    const fee = subtotal * (tradingFeePercent / 100);
-    const total = orderType === 'buy' ? subtotal + fee : subtotal - fee;
+    const fee = subtotal * (feePercent / 100);
+    const total = orderType === 'buy' ? subtotal : subtotal - fee;
     
     return {
       amount: numAmount,
@@ -58,41 +69,43 @@ const PSBTradeForm = ({
       total,
       priceImpact: priceType === 'market' ? 0 : ((price - currentPrice) / currentPrice) * 100
     };
-  }, [amount, limitPrice, priceType, currentPrice, orderType, tradingFeePercent]);
+  }, [amount, limitPrice, priceType, currentPrice, orderType, feePercent]);
+  
+  // Where a limit price sits against the last 24 hours of trading
+  const rangeNote = useMemo(() => {
+    if (!stats?.trades || priceType !== 'limit' || !orderDetails.price) return null;
+    if (orderDetails.price > stats.high) return `Above the 24h high of ${formatNumber(stats.high, 4)}`;
+    if (orderDetails.price < stats.low) return `Below the 24h low of ${formatNumber(stats.low, 4)}`;
+    return null;
+  }, [stats, priceType, orderDetails.price]);
   
   // Validation
   const validateForm = useCallback(() => {
-    const newErrors = {};
-    const numAmount = parseFloat(amount) || 0;
-    const price = priceType === 'market' ? currentPrice : (parseFloat(limitPrice) || 0);
+    const { errors: newErrors } = validatePSBOrder({
+      side: orderType,
+      type: priceType,
+      amount: parseInt(amount, 10),
+      price: parseFloat(limitPrice)
+    });
     
-    if (numAmount < minOrder) {
-      newErrors.amount = `Minimum order is ${minOrder} PSB`;
-    } else if (numAmount > maxOrder) {
-      newErrors.amount = `Maximum order is ${maxOrder} PSB`;
-    }
-    
-    if (orderType === 'buy') {
-      const required = numAmount * price * (1 + tradingFeePercent / 100);
-      if (required > userBalance) {
-        newErrors.amount = `Insufficient Baraka balance (need ${formatNumber(required)} 🪙)`;
-      }
-    } else {
-      if (numAmount > userPSBBalance) {
-        newErrors.amount = `Insufficient PSB balance (have ${formatNumber(userPSBBalance)} 💎)`;
+    if (!newErrors.amount) {
+      if (orderType === 'buy') {
+        // A limit buy holds its full cost until it fills
+        const required = Math.ceil(orderDetails.subtotal);
+        if (required > userBalance) {
+          newErrors.amount = `Insufficient Baraka balance (need ${formatNumber(required, 0)} 🪙)`;
+        }
+      } else if (orderDetails.amount > userPSBBalance) {
+        newErrors.amount = `Insufficient PSB balance (have ${formatNumber(userPSBBalance, 0)} 💎)`;
       }
     }
     
-    if (priceType === 'limit' && price <= 0) {
-      newErrors.price = 'Please enter a valid price';
-    }
-    
     setErrors(newErrors);
     return Object.keys(newErrors).length === 0;
-  }, [amount, limitPrice, priceType, currentPrice, orderType, userBalance, userPSBBalance, minOrder, maxOrder, tradingFeePercent]);
+  }, [amount, limitPrice, priceType, orderType, orderDetails, userBalance, userPSBBalance]);
   
   const handleAmountChange = useCallback((e) => {
-    const value = e.target.value.replace(/[^0-9.]/g, '');
+    const value = e.target.value.replace(/[^0-9]/g, '');
     setAmount(value);
     setErrors((prev) => ({ ...prev, amount: null }));
   }, []);
@@ -105,28 +118,26 @@ const PSBTradeForm = ({
   
   const handlePercentClick = useCallback((percent) => {
     const maxAvailable = orderType === 'buy'
-      ? userBalance / (currentPrice * (1 + tradingFeePercent / 100))
+      ? userBalance / (orderDetails.price || currentPrice)
       : userPSBBalance;
     
-    const newAmount = Math.min(maxAvailable * (percent / 100), maxOrder);
-    setAmount(newAmount.toFixed(2));
+    const newAmount = Math.floor(Math.min(maxAvailable * (percent / 100), LIMITS.MAX_ORDER));
+    setAmount(String(newAmount));
     setErrors((prev) => ({ ...prev, amount: null }));
-  }, [orderType, userBalance, userPSBBalance, currentPrice, tradingFeePercent, maxOrder]);
+  }, [orderType, userBalance, userPSBBalance, currentPrice, orderDetails.price]);
   
   const handleSubmit = useCallback((e) => {
     e.preventDefault();
     
     if (validateForm() && onSubmit) {
       onSubmit({
-        type: orderType,
-        priceType,
-        amount: parseFloat(amount),
-        pricePerPSB: priceType === 'market' ? currentPrice : parseFloat(limitPrice),
-        total: orderDetails.total,
-        fee: orderDetails.fee
+        side: orderType,
+        type: priceType,
+        amount: parseInt(amount, 10),
+        price: priceType === 'limit' ? parseFloat(limitPrice) : undefined
       });
     }
-  }, [validateForm, onSubmit, orderType, priceType, amount, limitPrice, currentPrice, orderDetails]);
+  }, [validateForm, onSubmit, orderType, priceType, amount, limitPrice]);
   
   const classNames = [
     'psb-trade-form',
@@ -143,10 +154,22 @@ const PSBTradeForm = ({
         </h3>
         <div className="psb-trade-form__current-price">
           <span className="psb-trade-form__price-label">Market Price</span>
-          <span className="psb-trade-form__price-value">${currentPrice.toFixed(4)}</span>
+          <span className="psb-trade-form__price-value">{currentPrice.toFixed(4)} 🪙</span>
         </div>
       </header>
       
+      {/* Recent Prices */}
+      {candles.length > 0 && (
+        <div className="psb-trade-form__chart">
+          <PSBPriceChart candles={candles} interval={candleInterval} showVolume={false} height={120} />
+          {stats?.trades > 0 && (
+            <span className="psb-trade-form__range">
+              24h range {formatNumber(stats.low, 4)} – {formatNumber(stats.high, 4)} 🪙
+            </span>
+          )}
+        </div>
+      )}
+      
       {/* Order Type Toggle */}
       <div className="psb-trade-form__type-toggle">
         <button
@@ -172,8 +195,8 @@ const PSBTradeForm = ({
         <span className="psb-trade-form__balance-label">Available</span>
         <span className="psb-trade-form__balance-value">
           {orderType === 'buy' 
-            ? `${formatNumber(userBalance)} 🪙 Baraka`
-            : `${formatNumber(userPSBBalance)} 💎 PSB`}
+            ? `${formatNumber(userBalance, 0)} 🪙 Baraka`
+            : `${formatNumber(userPSBBalance, 0)} 💎 PSB`}
         </span>
       </div>
       
@@ -200,9 +223,9 @@ const PSBTradeForm = ({
       {/* Limit Price Input */}
       {priceType === 'limit' && (
         <div className="psb-trade-form__section">
-          <label className="psb-trade-form__label">Price per PSB</label>
+          <label className="psb-trade-form__label">Price per PSB (Baraka)</label>
           <div className="psb-trade-form__input-wrapper">
-            <span className="psb-trade-form__input-prefix">$</span>
+            <span className="psb-trade-form__input-prefix">🪙</span>
             <input
               type="text"
               value={limitPrice}
@@ -219,6 +242,9 @@ const PSBTradeForm = ({
               {orderDetails.priceImpact > 0 ? '↑' : '↓'} {Math.abs(orderDetails.priceImpact).toFixed(2)}% vs market
             </span>
           )}
+          {rangeNote && (
+            <span className="psb-trade-form__range-note">{rangeNote}</span>
+          )}
         </div>
       )}
       
@@ -230,7 +256,7 @@ const PSBTradeForm = ({
             type="text"
             value={amount}
             onChange={handleAmountChange}
-            placeholder="0.00"
+            placeholder="0"
             className={`psb-trade-form__input ${errors.amount ? 'psb-trade-form__input--error' : ''}`}
           />
           <span className="psb-trade-form__input-suffix">💎</span>
@@ -257,27 +283,29 @@ const PSBTradeForm = ({
       {/* Order Summary */}
       <div className="psb-trade-form__summary">
         <div className="psb-trade-form__summary-row">
-          <span>Price</span>
-          <span>${formatNumber(orderDetails.price, 4)} per PSB</span>
+          <span>{priceType === 'market' ? 'Est. Price' : 'Price'}</span>
+          <span>{formatNumber(orderDetails.price, 4)} 🪙 per PSB</span>
         </div>
         <div className="psb-trade-form__summary-row">
           <span>Subtotal</span>
-          <span>${formatNumber(orderDetails.subtotal)}</span>
-        </div>
-        <div className="psb-trade-form__summary-row">
-          <span>Fee ({tradingFeePercent}%)</span>
-          <span>${formatNumber(orderDetails.fee)}</span>
+          <span>{formatNumber(orderDetails.subtotal)} 🪙</span>
         </div>
+        {orderType === 'sell' && (
+          <div className="psb-trade-form__summary-row">
+            <span>Seller commission ({formatNumber(feePercent, 0)}%)</span>
+            <span>{formatNumber(orderDetails.fee)} 🪙</span>
+          </div>
+        )}
         <div className="psb-trade-form__summary-row psb-trade-form__summary-row--total">
           <span>{orderType === 'buy' ? 'Total Cost' : 'You Receive'}</span>
-          <span>
-            {orderType === 'buy' 
-              ? `${formatNumber(orderDetails.total)} 🪙`
-              : `${formatNumber(orderDetails.total)} 🪙`}
-          </span>
+          <span>{formatNumber(orderDetails.total)} 🪙</span>
         </div>
       </div>
       
+      {submitError && (
+        <span className="psb-trade-form__error">{submitError}</span>
+      )}
+      
       {/* Actions */}
       <div className="psb-trade-form__actions">
         {onCancel && (
@@ -54,6 +54,11 @@ const PSB_TRANSACTION_TYPES = {
     label: 'Unstaked',
     color: 'purple'
   },
+  stake_interest: {
+    icon: '📈',
+    label: 'Staking Interest',
+    color: 'success'
+  },
   transfer_in: {
     icon: '⬅️',
     label: 'Received',
@@ -64,6 +69,11 @@ const PSB_TRANSACTION_TYPES = {
     label: 'Sent',
     color: 'error'
   },
+  withdraw: {
+    icon: '🪙',
+    label: 'Withdrawn to Baraka',
+    color: 'error'
+  },
   reward: {
     icon: '🎁',
     label: 'Reward',
@@ -206,12 +216,12 @@ const PSBTransactionItem = ({
         <span className="psb-transaction-item__currency">💎 PSB</span>
         {pricePerPSB !== undefined && (
           <span className="psb-transaction-item__price">
-            @ ${pricePerPSB.toFixed(4)}
+            @ {pricePerPSB.toFixed(4)} 🪙
           </span>
         )}
         {totalValue !== undefined && (
           <span className="psb-transaction-item__value">
-            ${formatNumber(totalValue)}
+            {formatNumber(totalValue)} 🪙
           </span>
         )}
       </div>
@@ -105,12 +105,12 @@ const PSBTransactionList = ({
         break;
       case 'staking':
         filtered = filtered.filter((t) => 
-          t.type === 'stake' || t.type === 'unstake'
+          t.type === 'stake' || t.type === 'unstake' || t.type === 'stake_interest'
         );
         break;
       case 'transfers':
         filtered = filtered.filter((t) => 
-          t.type === 'transfer_in' || t.type === 'transfer_out'
+          t.type === 'transfer_in' || t.type === 'transfer_out' || t.type === 'withdraw'
         );
         break;
       default:
@@ -33,6 +33,7 @@ const formatNumber = (num, decimals = 2) => {
 const PSBBalance = ({
   balance = 0,
   lockedBalance = 0,
+  stakedBalance = 0,
   marketValue = 0,
   previousBalance = null,
   showChange = true,
@@ -142,9 +143,14 @@ const PSBBalance = ({
               🔒 {formatNumber(lockedBalance)} locked
             </span>
           )}
+          {stakedBalance > 0 && (
+            <span className="psb-balance__locked">
+              📈 {formatNumber(stakedBalance)} staked
+            </span>
+          )}
           {showMarketValue && marketValue > 0 && (
             <span className="psb-balance__market-value">
-              ≈ ${formatNumber(marketValue)} market value
+              ≈ {formatNumber(marketValue)} 🪙 market value
             </span>
           )}
         </div>
@@ -180,10 +186,16 @@ const PSBBalance = ({
               <span className="psb-balance__card-stat-value">{formatNumber(lockedBalance)}</span>
             </div>
           )}
+          {stakedBalance > 0 && (
+            <div className="psb-balance__card-stat">
+              <span className="psb-balance__card-stat-label">Staked</span>
+              <span className="psb-balance__card-stat-value">{formatNumber(stakedBalance)}</span>
+            </div>
+          )}
           {showMarketValue && (
             <div className="psb-balance__card-stat">
               <span className="psb-balance__card-stat-label">Value</span>
-              <span className="psb-balance__card-stat-value">${formatNumber(marketValue)}</span>
+              <span className="psb-balance__card-stat-value">{formatNumber(marketValue)} 🪙</span>
             </div>
           )}
         </div>
@@ -2,7 +2,8 @@
  * GPS Lab Platform - PSBWallet Component
  * 
  * Complete wallet interface for Problem-Solving Bonds (PSB)
- * showing balance, market stats, and quick actions.
+ * showing balance, market stats, quick actions and the PSB
+ * locked up in staking positions.
  * 
  * @module components/psb/PSBWallet/PSBWallet
  */
@@ -44,6 +45,8 @@ const formatChange = (change) => {
 const PSBWallet = ({
   balance = 0,
   lockedBalance = 0,
+  stakedBalance = 0,
+  stakes = [],
   marketValue = 0,
   pricePerPSB = 0.01,
   priceChange24h = 0,
@@ -68,6 +71,9 @@ const PSBWallet = ({
     }
   }, [onAction]);
   
+  const totalBalance = balance + lockedBalance + stakedBalance;
+  const activeStakes = stakes.filter((stake) => stake.status === 'active');
+  
   const classNames = [
     'psb-wallet',
     `psb-wallet--${variant}`,
@@ -127,7 +133,7 @@ const PSBWallet = ({
         {showMarketData && (
           <div className="psb-wallet__ticker">
             <span className="psb-wallet__price">
-              ${pricePerPSB.toFixed(4)}
+              {pricePerPSB.toFixed(4)} 🪙
             </span>
             <span className={`psb-wallet__change ${priceChange24h >= 0 ? 'psb-wallet__change--positive' : 'psb-wallet__change--negative'}`}>
               {formatChange(priceChange24h)}
@@ -141,6 +147,7 @@ const PSBWallet = ({
         <PSBBalance
           balance={balance}
           lockedBalance={lockedBalance}
+          stakedBalance={stakedBalance}
           marketValue={marketValue}
           variant={variant === 'expanded' ? 'large' : 'card'}
           onClick={onBalanceClick}
@@ -171,7 +178,7 @@ const PSBWallet = ({
           <div className="psb-wallet__stat">
             <span className="psb-wallet__stat-icon">📈</span>
             <div className="psb-wallet__stat-content">
-              <span className="psb-wallet__stat-value">${formatCompact(volume24h)}</span>
+              <span className="psb-wallet__stat-value">{formatCompact(volume24h)} 💎</span>
               <span className="psb-wallet__stat-label">24h Volume</span>
             </div>
           </div>
@@ -205,19 +212,19 @@ const PSBWallet = ({
       )}
       
       {/* Portfolio Distribution */}
-      {showStats && balance > 0 && (
+      {showStats && totalBalance > 0 && (
         <div className="psb-wallet__portfolio">
           <h4 className="psb-wallet__portfolio-title">Portfolio</h4>
           <div className="psb-wallet__portfolio-bars">
             <div className="psb-wallet__portfolio-bar">
               <div className="psb-wallet__portfolio-bar-header">
                 <span>Available</span>
-                <span>{((balance / (balance + lockedBalance)) * 100).toFixed(1)}%</span>
+                <span>{((balance / totalBalance) * 100).toFixed(1)}%</span>
               </div>
               <div className="psb-wallet__portfolio-bar-track">
                 <div 
                   className="psb-wallet__portfolio-bar-fill psb-wallet__portfolio-bar-fill--available"
-                  style={{ width: `${(balance / (balance + lockedBalance)) * 100}%` }}
+                  style={{ width: `${(balance / totalBalance) * 100}%` }}
                 />
               </div>
             </div>
@@ -225,12 +232,26 @@ const PSBWallet = ({
               <div className="psb-wallet__portfolio-bar">
                 <div className="psb-wallet__portfolio-bar-header">
                   <span>Locked</span>
-                  <span>{((lockedBalance / (balance + lockedBalance)) * 100).toFixed(1)}%</span>
+                  <span>{((lockedBalance / totalBalance) * 100).toFixed(1)}%</span>
                 </div>
                 <div className="psb-wallet__portfolio-bar-track">
                   <div 
                     className="psb-wallet__portfolio-bar-fill psb-wallet__portfolio-bar-fill--locked"
-                    style={{ width: `${(lockedBalance / (balance + lockedBalance)) * 100}%` }}
+                    style={{ width: `${(lockedBalance / totalBalance) * 100}%` }}
+                  />
+                </div>
+              </div>
+            )}
+            {stakedBalance > 0 && (
+              <div className="psb-wallet__portfolio-bar">
+                <div className="psb-wallet__portfolio-bar-header">
+                  <span>Staked</span>
+                  <span>{((stakedBalance / totalBalance) * 100).toFixed(1)}%</span>
+                </div>
+                <div className="psb-wallet__portfolio-bar-track">
+                  <div 
+                    className="psb-wallet__portfolio-bar-fill psb-wallet__portfolio-bar-fill--staked"
+                    style={{ width: `${(stakedBalance / totalBalance) * 100}%` }}
                   />
                 </div>
               </div>
@@ -239,6 +260,24 @@ const PSBWallet = ({
         </div>
       )}
       
+      {/* Staking Positions */}
+      {activeStakes.length > 0 && (
+        <div className="psb-wallet__stakes">
+          <h4 className="psb-wallet__portfolio-title">Staking Positions</h4>
+          <ul className="psb-wallet__stakes-list">
+            {activeStakes.map((stake) => (
+              <li key={stake.id} className="psb-wallet__stake">
+                <span className="psb-wallet__stake-amount">🔒 {stake.amount.toLocaleString()} PSB</span>
+                <span className="psb-wallet__stake-terms">
+                  {Math.round(stake.apy * 100)}% APY · {stake.daysLeft}d left
+                </span>
+                <span className="psb-wallet__stake-accrued">+{stake.accrued.toFixed(2)}</span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+      
       {/* Glow Effect */}
       <div className="psb-wallet__glow" />
     </div>
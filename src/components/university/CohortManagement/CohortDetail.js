@@ -0,0 +1,335 @@
+/**
+ * GPS Lab Platform - CohortDetail Component
+ *
+ * One cohort and every student's GPS 101 progress: current stage,
+ * sub-missions and checkpoints done, and pace against the weeks since
+ * they started. Staff enroll students from a roster CSV, edit the
+ * cohort, archive it, and filter down to the students who are behind or
+ * at risk.
+ *
+ * @module components/university/CohortManagement/CohortDetail
+ */
+
+import React, { useEffect, useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { Link, useParams } from 'react-router-dom';
+import {
+  fetchCohort,
+  updateCohort,
+  importCohortStudents,
+  removeCohortStudent,
+  clearImportPreview,
+  clearUniversityError
+} from '../../../store/slices/universitySlice';
+import { PROGRESS_STATUS, PROGRESS_STATUS_LABELS } from '../../../utils/helpers/cohort.helper';
+import { contains } from '../../../utils/helpers/string.helper';
+import { ProgressBar } from '../../common/Progress';
+import ProgressStatusBadge from '../StudentProgress/ProgressStatusBadge';
+import CohortForm from './CohortForm';
+import RosterImport from './RosterImport';
+import './CohortDetail.css';
+
+/**
+ * Students needing attention first, then by progress
+ */
+const STATUS_ORDER = [
+  PROGRESS_STATUS.AT_RISK,
+  PROGRESS_STATUS.BEHIND,
+  PROGRESS_STATUS.NOT_STARTED,
+  PROGRESS_STATUS.ON_TRACK,
+  PROGRESS_STATUS.COMPLETED
+];
+
+/**
+ * Formats an ISO date
+ * @param {string} date - ISO date
+ * @returns {string} Formatted date
+ */
+const formatDate = (date) => {
+  if (!date) return '—';
+  return new Date(date).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+};
+
+/**
+ * Formats how long ago a date was
+ * @param {string} date - ISO date
+ * @returns {string} e.g. "Today", "3 days ago"
+ */
+const formatDaysAgo = (date) => {
+  if (!date) return 'Never';
+  const days = Math.floor((Date.now() - new Date(date).getTime()) / (24 * 60 * 60 * 1000));
+  if (days <= 0) return 'Today';
+  return days === 1 ? 'Yesterday' : `${days} days ago`;
+};
+
+/**
+ * CohortDetail Component
+ */
+const CohortDetail = ({ className = '' }) => {
+  const { cohortId } = useParams();
+  const dispatch = useDispatch();
+  const { selectedCohort, importPreview, loading, error } = useSelector(state => state.university);
+  const [statusFilter, setStatusFilter] = useState('');
+  const [query, setQuery] = useState('');
+  const [dialog, setDialog] = useState(null);
+  const [notice, setNotice] = useState(null);
+
+  useEffect(() => {
+    dispatch(fetchCohort(cohortId));
+  }, [dispatch, cohortId]);
+
+  const openDialog = (name) => {
+    dispatch(clearUniversityError());
+    dispatch(clearImportPreview());
+    setNotice(null);
+    setDialog(name);
+  };
+
+  const handleEdit = async (values) => {
+    try {
+      await dispatch(updateCohort({ cohortId, changes: values })).unwrap();
+      setDialog(null);
+    } catch {
+      // The form shows the error and stays open
+    }
+  };
+
+  const handleArchive = async () => {
+    const archiving = selectedCohort.cohort.status === 'active';
+    if (archiving && !window.confirm('Archive this cohort? It will leave the dashboard and stop taking new students.')) return;
+    try {
+      await dispatch(updateCohort({ cohortId, changes: { status: archiving ? 'archived' : 'active' } })).unwrap();
+    } catch (err) {
+      setNotice({ type: 'error', message: err.message });
+    }
+  };
+
+  const handleImport = async (csv) => {
+    try {
+      const result = await dispatch(importCohortStudents({ cohortId, csv })).unwrap();
+      setDialog(null);
+      const count = result.enrolled.length + result.invited.length;
+      setNotice({
+        type: result.errors.length ? 'warning' : 'success',
+        message: `${count} student${count === 1 ? '' : 's'} enrolled`
+          + (result.invited.length ? `, ${result.invited.length} invited to create an account` : '')
+          + (result.errors.length ? `. ${result.errors.length} row${result.errors.length === 1 ? '' : 's'} had problems and were left out.` : '.')
+      });
+    } catch {
+      // The dialog shows the error and stays open
+    }
+  };
+
+  const handleRemove = async (student) => {
+    if (!window.confirm(`Remove ${student.displayName} from this cohort? Their GPS 101 progress is kept.`)) return;
+    try {
+      await dispatch(removeCohortStudent({ cohortId, studentId: student.id })).unwrap();
+      setNotice({ type: 'success', message: `${student.displayName} was removed from the cohort.` });
+    } catch (err) {
+      setNotice({ type: 'error', message: err.message });
+    }
+  };
+
+  if (!selectedCohort) {
+    return (
+      <div className={`cohort-detail ${className}`}>
+        <Link to="/university/cohorts" className="cohort-detail__back">← Cohorts</Link>
+        {error.cohort ? (
+          <div className="cohort-detail__notice cohort-detail__notice--error" role="alert">{error.cohort.message}</div>
+        ) : (
+          <p className="cohort-detail__empty">Loading cohort...</p>
+        )}
+      </div>
+    );
+  }
+
+  const { cohort, students } = selectedCohort;
+  const { summary } = cohort;
+  const isArchived = cohort.status === 'archived';
+
+  const visible = students
+    .filter(s => !statusFilter || s.progress.status === statusFilter)
+    .filter(s => contains([s.displayName, s.email, s.studentNumber].filter(Boolean).join(' '), query.trim(), false))
+    .sort((a, b) => (STATUS_ORDER.indexOf(a.progress.status) - STATUS_ORDER.indexOf(b.progress.status))
+      || b.progress.weeksBehind - a.progress.weeksBehind
+      || b.progress.percentage - a.progress.percentage);
+
+  const stats = [
+    { label: 'Students', value: summary.total },
+    { label: 'On track', value: summary.onTrack, status: PROGRESS_STATUS.ON_TRACK },
+    { label: 'Behind', value: summary.behind, status: PROGRESS_STATUS.BEHIND },
+    { label: 'At risk', value: summary.atRisk, status: PROGRESS_STATUS.AT_RISK },
+    { label: 'Completed', value: summary.completed, status: PROGRESS_STATUS.COMPLETED },
+    { label: 'Average progress', value: `${summary.averageProgress}%` }
+  ];
+
+  return (
+    <div className={`cohort-detail ${className}`}>
+      <Link to="/university/cohorts" className="cohort-detail__back">← Cohorts</Link>
+
+      <header className="cohort-detail__header">
+        <div>
+          <h1 className="cohort-detail__title">
+            {cohort.name}
+            {isArchived && <span className="cohort-detail__archived">Archived</span>}
+          </h1>
+          <p className="cohort-detail__meta">
+            {[cohort.code, cohort.term, cohort.universityName].filter(Boolean).join(' · ')}
+          </p>
+          <p className="cohort-detail__meta">
+            Starts {formatDate(cohort.startDate)}{cohort.endDate ? ` · Ends ${formatDate(cohort.endDate)}` : ''}
+          </p>
+          {cohort.description && <p className="cohort-detail__description">{cohort.description}</p>}
+        </div>
+        <div className="cohort-detail__actions">
+          <Link to={`/university/reports?cohort=${cohort.id}`} className="cohort-detail__button">
+            Report
+          </Link>
+          <button type="button" className="cohort-detail__button" onClick={() => openDialog('edit')}>
+            Edit details
+          </button>
+          <button type="button" className="cohort-detail__button" onClick={handleArchive} disabled={loading.save}>
+            {isArchived ? 'Reactivate' : 'Archive'}
+          </button>
+          <button
+            type="button"
+            className="cohort-detail__button cohort-detail__button--primary"
+            onClick={() => openDialog('import')}
+            disabled={isArchived}
+            title={isArchived ? 'Reactivate the cohort to enroll students' : undefined}
+          >
+            Enroll students
+          </button>
+        </div>
+      </header>
+
+      {notice && (
+        <div className={`cohort-detail__notice cohort-detail__notice--${notice.type}`} role="status">
+          {notice.message}
+        </div>
+      )}
+
+      <dl className="cohort-detail__stats">
+        {stats.map(stat => (
+          <div
+            key={stat.label}
+            className={`cohort-detail__stat ${stat.status ? `cohort-detail__stat--${stat.status}` : ''}`}
+          >
+            <dt>{stat.label}</dt>
+            <dd>{stat.value}</dd>
+          </div>
+        ))}
+      </dl>
+
+      <section className="cohort-detail__panel">
+        <div className="cohort-detail__filters">
+          <input
+            type="search"
+            value={query}
+            placeholder="Search students"
+            aria-label="Search students"
+            onChange={(e) => setQuery(e.target.value)}
+          />
+          <select value={statusFilter} aria-label="Pace" onChange={(e) => setStatusFilter(e.target.value)}>
+            <option value="">Every student</option>
+            {STATUS_ORDER.map(status => (
+              <option key={status} value={status}>{PROGRESS_STATUS_LABELS[status]}</option>
+            ))}
+          </select>
+        </div>
+
+        {students.length === 0 ? (
+          <p className="cohort-detail__empty">
+            No students yet. Use “Enroll students” to upload the class roster.
+          </p>
+        ) : visible.length === 0 ? (
+          <p className="cohort-detail__empty">No students match these filters.</p>
+        ) : (
+          <table className={`cohort-detail__table ${loading.cohort ? 'cohort-detail__table--loading' : ''}`}>
+            <thead>
+              <tr>
+                <th>Student</th>
+                <th>Stage</th>
+                <th>Sub-missions</th>
+                <th>Checkpoints</th>
+                <th>Progress</th>
+                <th>Pace</th>
+                <th>Last active</th>
+                <th><span className="cohort-detail__sr-only">Actions</span></th>
+              </tr>
+            </thead>
+            <tbody>
+              {visible.map(student => {
+                const { progress } = student;
+                return (
+                  <tr key={student.id} className={`cohort-detail__row--${progress.status}`}>
+                    <td>
+                      <Link to={`/university/cohorts/${cohort.id}/students/${student.id}`} className="cohort-detail__name">
+                        {student.displayName}
+                      </Link>
+                      <span className="cohort-detail__email">
+                        {[student.studentNumber, student.email].filter(Boolean).join(' · ')}
+                        {student.invited && ' · Invited'}
+                      </span>
+                    </td>
+                    <td>{progress.status === PROGRESS_STATUS.COMPLETED ? 'Done' : `${progress.currentStage} of ${progress.stages.total}`}</td>
+                    <td>{progress.subMissions.completed} / {progress.subMissions.total}</td>
+                    <td>{progress.checkpoints.completed} / {progress.checkpoints.total}</td>
+                    <td className="cohort-detail__progress">
+                      <ProgressBar value={progress.percentage} size="sm" />
+                      <span>{progress.percentage}%</span>
+                    </td>
+                    <td>
+                      <ProgressStatusBadge progress={progress} showWeeks />
+                      {progress.status !== PROGRESS_STATUS.NOT_STARTED && progress.status !== PROGRESS_STATUS.COMPLETED && (
+                        <span className="cohort-detail__pace">
+                          Week {progress.weeksElapsed}: {progress.subMissions.completed} of {progress.expectedSubMissions} expected
+                        </span>
+                      )}
+                    </td>
+                    <td>{formatDaysAgo(progress.lastActivityAt)}</td>
+                    <td>
+                      <button
+                        type="button"
+                        className="cohort-detail__inline-button"
+                        onClick={() => handleRemove(student)}
+                        disabled={loading.save}
+                      >
+                        Remove
+                      </button>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        )}
+      </section>
+
+      {dialog === 'edit' && (
+        <CohortForm
+          cohort={cohort}
+          isSubmitting={loading.save}
+          error={error.save}
+          onSubmit={handleEdit}
+          onClose={() => setDialog(null)}
+        />
+      )}
+
+      {dialog === 'import' && (
+        <RosterImport
+          cohortName={cohort.name}
+          preview={importPreview}
+          isLoading={loading.import}
+          error={error.import}
+          onPreview={(csv) => dispatch(importCohortStudents({ cohortId, csv, dryRun: true }))}
+          onImport={handleImport}
+          onReset={() => dispatch(clearImportPreview())}
+          onClose={() => setDialog(null)}
+        />
+      )}
+    </div>
+  );
+};
+
+export default CohortDetail;
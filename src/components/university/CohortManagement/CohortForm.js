@@ -0,0 +1,139 @@
+/**
+ * GPS Lab Platform - CohortForm Component
+ *
+ * Dialog for creating a cohort or editing its details. The start date is
+ * when the cohort's GPS 101 pace starts counting, so changing it moves
+ * every student's on-track and at-risk status.
+ *
+ * @module components/university/CohortManagement/CohortForm
+ */
+
+import React, { useState } from 'react';
+import { Modal } from '../../common/Modal';
+import './CohortForm.css';
+
+/**
+ * Converts an ISO date to a date input value
+ * @param {string} date - ISO date
+ * @returns {string} YYYY-MM-DD
+ */
+const toDateInput = (date) => (date ? date.slice(0, 10) : '');
+
+/**
+ * Checks the fields before they are sent
+ * @param {Object} values - Form values
+ * @returns {Object} Field errors
+ */
+const validate = ({ name, startDate, endDate }) => {
+  const errors = {};
+  if (!name.trim()) errors.name = 'Name is required';
+  if (!startDate) errors.startDate = 'Start date is required';
+  if (startDate && endDate && endDate <= startDate) errors.endDate = 'End date must be after the start date';
+  return errors;
+};
+
+/**
+ * CohortForm Component
+ * @param {Object} props - Component props
+ * @param {Object} [props.cohort] - Cohort to edit; omit to create one
+ * @param {boolean} [props.isSubmitting] - Save in progress
+ * @param {Object} [props.error] - Display error
+ * @param {Function} props.onSubmit - Called with { name, code, term, description, startDate, endDate }
+ * @param {Function} props.onClose - Close handler
+ */
+const CohortForm = ({ cohort = null, isSubmitting = false, error = null, onSubmit, onClose }) => {
+  const [values, setValues] = useState({
+    name: cohort?.name || '',
+    code: cohort?.code || '',
+    term: cohort?.term || '',
+    description: cohort?.description || '',
+    startDate: toDateInput(cohort?.startDate),
+    endDate: toDateInput(cohort?.endDate)
+  });
+  const [touched, setTouched] = useState(false);
+  const errors = validate(values);
+
+  const handleChange = (field) => (e) => setValues(v => ({ ...v, [field]: e.target.value }));
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    setTouched(true);
+    if (Object.keys(errors).length > 0) return;
+    onSubmit({
+      ...values,
+      name: values.name.trim(),
+      startDate: new Date(`${values.startDate}T00:00:00`).toISOString(),
+      endDate: values.endDate ? new Date(`${values.endDate}T00:00:00`).toISOString() : null
+    });
+  };
+
+  const fieldError = (field) => touched && errors[field] && (
+    <span className="cohort-form__error">{errors[field]}</span>
+  );
+
+  return (
+    <Modal
+      isOpen
+      onClose={isSubmitting ? undefined : onClose}
+      size="sm"
+      title={cohort ? `Edit ${cohort.name}` : 'New cohort'}
+      className="cohort-form"
+    >
+      <form className="cohort-form__form" onSubmit={handleSubmit} noValidate>
+        <label className="cohort-form__field">
+          <span>Name</span>
+          <input value={values.name} placeholder="e.g. GPS 101 Spring Cohort" onChange={handleChange('name')} />
+          {fieldError('name')}
+        </label>
+
+        <div className="cohort-form__row">
+          <label className="cohort-form__field">
+            <span>Code</span>
+            <input value={values.code} placeholder="e.g. HGU-GPS101-S1" onChange={handleChange('code')} />
+          </label>
+          <label className="cohort-form__field">
+            <span>Term</span>
+            <input value={values.term} placeholder="e.g. Spring semester" onChange={handleChange('term')} />
+          </label>
+        </div>
+
+        <div className="cohort-form__row">
+          <label className="cohort-form__field">
+            <span>Start date</span>
+            <input type="date" value={values.startDate} onChange={handleChange('startDate')} />
+            {fieldError('startDate')}
+          </label>
+          <label className="cohort-form__field">
+            <span>End date (optional)</span>
+            <input type="date" value={values.endDate} onChange={handleChange('endDate')} />
+            {fieldError('endDate')}
+          </label>
+        </div>
+
+        <label className="cohort-form__field">
+          <span>Description</span>
+          <textarea value={values.description} rows={3} onChange={handleChange('description')} />
+        </label>
+
+        {cohort && values.startDate !== toDateInput(cohort.startDate) && (
+          <p className="cohort-form__hint">
+            Students are paced from the start date, so this changes who is on track or at risk.
+          </p>
+        )}
+
+        {error && <p className="cohort-form__error" role="alert">{error.message}</p>}
+
+        <div className="cohort-form__actions">
+          <button type="button" className="cohort-form__button" onClick={onClose} disabled={isSubmitting}>
+            Cancel
+          </button>
+          <button type="submit" className="cohort-form__button cohort-form__button--primary" disabled={isSubmitting}>
+            {isSubmitting ? 'Saving...' : cohort ? 'Save changes' : 'Create cohort'}
+          </button>
+        </div>
+      </form>
+    </Modal>
+  );
+};
+
+export default CohortForm;
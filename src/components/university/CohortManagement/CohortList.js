@@ -0,0 +1,176 @@
+/**
+ * GPS Lab Platform - CohortList Component
+ *
+ * The university's cohorts with how each one is pacing through GPS 101:
+ * average progress and how many students are on track, behind or at risk.
+ * New cohorts are created here and open straight into their detail page
+ * for enrollment.
+ *
+ * @module components/university/CohortManagement/CohortList
+ */
+
+import React, { useEffect, useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { Link, useNavigate } from 'react-router-dom';
+import {
+  fetchCohorts,
+  createCohort,
+  setCohortFilters,
+  clearUniversityError
+} from '../../../store/slices/universitySlice';
+import { ProgressBar } from '../../common/Progress';
+import CohortForm from './CohortForm';
+import './CohortList.css';
+
+const STATUS_OPTIONS = [
+  { value: 'active', label: 'Active' },
+  { value: 'archived', label: 'Archived' },
+  { value: '', label: 'All cohorts' }
+];
+
+/**
+ * Formats an ISO date for the list
+ * @param {string} date - ISO date
+ * @returns {string} Formatted date
+ */
+const formatDate = (date) => {
+  if (!date) return '—';
+  return new Date(date).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+};
+
+/**
+ * CohortList Component
+ */
+const CohortList = ({ className = '' }) => {
+  const dispatch = useDispatch();
+  const navigate = useNavigate();
+  const { cohorts, loading, error } = useSelector(state => state.university);
+  const [searchInput, setSearchInput] = useState(cohorts.filters.q);
+  const [isCreating, setIsCreating] = useState(false);
+
+  useEffect(() => {
+    dispatch(fetchCohorts());
+  }, [dispatch]);
+
+  const handleFilter = (changes) => {
+    dispatch(setCohortFilters(changes));
+    dispatch(fetchCohorts());
+  };
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    handleFilter({ q: searchInput.trim() });
+  };
+
+  const openCreate = () => {
+    dispatch(clearUniversityError('save'));
+    setIsCreating(true);
+  };
+
+  const handleCreate = async (values) => {
+    try {
+      const { cohort } = await dispatch(createCohort(values)).unwrap();
+      setIsCreating(false);
+      navigate(`/university/cohorts/${cohort.id}`);
+    } catch {
+      // The form shows the error and stays open
+    }
+  };
+
+  return (
+    <div className={`cohort-list ${className}`}>
+      <header className="cohort-list__header">
+        <div>
+          <h1 className="cohort-list__title">Cohorts</h1>
+          <p className="cohort-list__subtitle">
+            {cohorts.total} cohort{cohorts.total === 1 ? '' : 's'}
+          </p>
+        </div>
+        <button type="button" className="cohort-list__button cohort-list__button--primary" onClick={openCreate}>
+          New cohort
+        </button>
+      </header>
+
+      <form className="cohort-list__filters" onSubmit={handleSearch}>
+        <input
+          type="search"
+          className="cohort-list__search"
+          value={searchInput}
+          placeholder="Search by name, code or term"
+          aria-label="Search cohorts"
+          onChange={(e) => setSearchInput(e.target.value)}
+        />
+        <select
+          value={cohorts.filters.status}
+          aria-label="Cohort status"
+          onChange={(e) => handleFilter({ status: e.target.value })}
+        >
+          {STATUS_OPTIONS.map(o => <option key={o.value} value={o.value}>{o.label}</option>)}
+        </select>
+        <button type="submit" className="cohort-list__button">Search</button>
+      </form>
+
+      {error.cohorts && (
+        <div className="cohort-list__notice" role="alert">{error.cohorts.message}</div>
+      )}
+
+      <section className="cohort-list__panel">
+        {loading.cohorts && cohorts.items.length === 0 ? (
+          <p className="cohort-list__empty">Loading cohorts...</p>
+        ) : cohorts.items.length === 0 ? (
+          <p className="cohort-list__empty">No cohorts match these filters.</p>
+        ) : (
+          <table className={`cohort-list__table ${loading.cohorts ? 'cohort-list__table--loading' : ''}`}>
+            <thead>
+              <tr>
+                <th>Cohort</th>
+                <th>Term</th>
+                <th>Starts</th>
+                <th>Students</th>
+                <th>Average progress</th>
+                <th>On track</th>
+                <th>Behind</th>
+                <th>At risk</th>
+              </tr>
+            </thead>
+            <tbody>
+              {cohorts.items.map(cohort => (
+                <tr key={cohort.id}>
+                  <td>
+                    <Link to={`/university/cohorts/${cohort.id}`} className="cohort-list__name">{cohort.name}</Link>
+                    <span className="cohort-list__meta">
+                      {[cohort.code, cohort.status === 'archived' ? 'Archived' : null].filter(Boolean).join(' · ')}
+                    </span>
+                  </td>
+                  <td>{cohort.term || '—'}</td>
+                  <td>{formatDate(cohort.startDate)}</td>
+                  <td>{cohort.summary.total}</td>
+                  <td className="cohort-list__progress">
+                    <ProgressBar value={cohort.summary.averageProgress} size="sm" />
+                    <span>{cohort.summary.averageProgress}%</span>
+                  </td>
+                  <td>{cohort.summary.onTrack + cohort.summary.completed}</td>
+                  <td>{cohort.summary.behind}</td>
+                  <td className={cohort.summary.atRisk > 0 ? 'cohort-list__at-risk' : undefined}>
+                    {cohort.summary.atRisk}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </section>
+
+      {isCreating && (
+        <CohortForm
+          isSubmitting={loading.save}
+          error={error.save}
+          onSubmit={handleCreate}
+          onClose={() => setIsCreating(false)}
+        />
+      )}
+    </div>
+  );
+};
+
+export default CohortList;
@@ -0,0 +1,179 @@
+/**
+ * GPS Lab Platform - RosterImport Component
+ *
+ * Dialog for enrolling students in bulk from a roster CSV (pasted or
+ * uploaded). The roster is checked with a dry run first so staff see who
+ * will be enrolled, who gets a new account and which rows have problems
+ * before anything changes. Rows with problems are left out of the import.
+ *
+ * @module components/university/CohortManagement/RosterImport
+ */
+
+import React, { useState } from 'react';
+import { Modal } from '../../common/Modal';
+import { ROSTER_COLUMNS, ROSTER_TEMPLATE } from '../../../utils/helpers/cohort.helper';
+import { downloadFile } from '../../../utils/helpers/export.helper';
+import './RosterImport.css';
+
+/**
+ * One group of rows in the dry-run result
+ */
+const ResultGroup = ({ title, rows, render, variant }) => {
+  if (rows.length === 0) return null;
+  return (
+    <details className={`roster-import__group roster-import__group--${variant}`} open={variant === 'error'}>
+      <summary>{title} ({rows.length})</summary>
+      <ul>
+        {rows.map(row => <li key={`${row.row}:${row.email || ''}`}>{render(row)}</li>)}
+      </ul>
+    </details>
+  );
+};
+
+/**
+ * RosterImport Component
+ * @param {Object} props - Component props
+ * @param {string} props.cohortName - Cohort being enrolled into
+ * @param {Object} [props.preview] - Dry-run result ({ enrolled, invited, skipped, errors })
+ * @param {boolean} [props.isLoading] - Check or import in progress
+ * @param {Object} [props.error] - Display error
+ * @param {Function} props.onPreview - Called with the CSV text for a dry run
+ * @param {Function} props.onImport - Called with the CSV text to enroll
+ * @param {Function} props.onReset - Called when the roster changes after a dry run
+ * @param {Function} props.onClose - Close handler
+ */
+const RosterImport = ({
+  cohortName,
+  preview = null,
+  isLoading = false,
+  error = null,
+  onPreview,
+  onImport,
+  onReset,
+  onClose
+}) => {
+  const [csv, setCsv] = useState('');
+  const [fileName, setFileName] = useState('');
+
+  const changeRoster = (text) => {
+    setCsv(text);
+    if (preview) onReset();
+  };
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    setFileName(file.name);
+    changeRoster(await file.text());
+    e.target.value = '';
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!csv.trim() || isLoading) return;
+    if (preview) {
+      onImport(csv);
+    } else {
+      onPreview(csv);
+    }
+  };
+
+  const toEnroll = preview ? preview.enrolled.length + preview.invited.length : 0;
+
+  return (
+    <Modal
+      isOpen
+      onClose={isLoading ? undefined : onClose}
+      size="md"
+      title={`Enroll students in ${cohortName}`}
+      className="roster-import"
+    >
+      <form className="roster-import__form" onSubmit={handleSubmit}>
+        <p className="roster-import__description">
+          Upload or paste a CSV with a header row. Only <code>email</code> is required;
+          {' '}{ROSTER_COLUMNS.filter(col => !col.required).map(col => col.label).join(', ')} are optional.
+          Students without a GPS Lab account get one and an invitation.
+        </p>
+
+        <div className="roster-import__source">
+          <label className="roster-import__file">
+            <input type="file" accept=".csv,text/csv" onChange={handleFile} />
+            <span>{fileName || 'Choose CSV file'}</span>
+          </label>
+          <button
+            type="button"
+            className="roster-import__link"
+            onClick={() => downloadFile(ROSTER_TEMPLATE, 'roster-template.csv', 'text/csv')}
+          >
+            Download template
+          </button>
+        </div>
+
+        <textarea
+          className="roster-import__text"
+          value={csv}
+          rows={8}
+          spellCheck={false}
+          placeholder={ROSTER_TEMPLATE}
+          aria-label="Roster CSV"
+          onChange={(e) => changeRoster(e.target.value)}
+        />
+
+        {preview && (
+          <div className="roster-import__result" aria-live="polite">
+            <p className="roster-import__summary">
+              {toEnroll === 0
+                ? 'Nobody new to enroll from this roster.'
+                : `${toEnroll} student${toEnroll === 1 ? '' : 's'} will be enrolled`}
+              {preview.invited.length > 0 && `, ${preview.invited.length} with a new account`}
+              {preview.errors.length > 0 && `. ${preview.errors.length} row${preview.errors.length === 1 ? '' : 's'} will be left out.`}
+            </p>
+            <ResultGroup
+              title="Rows with problems"
+              variant="error"
+              rows={preview.errors}
+              render={row => `Row ${row.row}: ${row.message}`}
+            />
+            <ResultGroup
+              title="Existing accounts to enroll"
+              variant="enroll"
+              rows={preview.enrolled}
+              render={row => `${row.displayName} · ${row.email}`}
+            />
+            <ResultGroup
+              title="New accounts to invite"
+              variant="invite"
+              rows={preview.invited}
+              render={row => [row.firstName, row.lastName].filter(Boolean).join(' ') || row.email}
+            />
+            <ResultGroup
+              title="Already in the cohort"
+              variant="skip"
+              rows={preview.skipped}
+              render={row => row.email}
+            />
+          </div>
+        )}
+
+        {error && <p className="roster-import__error" role="alert">{error.message}</p>}
+
+        <div className="roster-import__actions">
+          <button type="button" className="roster-import__button" onClick={onClose} disabled={isLoading}>
+            Cancel
+          </button>
+          <button
+            type="submit"
+            className="roster-import__button roster-import__button--primary"
+            disabled={!csv.trim() || isLoading || (preview && toEnroll === 0)}
+          >
+            {isLoading
+              ? 'Working...'
+              : preview ? `Enroll ${toEnroll} student${toEnroll === 1 ? '' : 's'}` : 'Check roster'}
+          </button>
+        </div>
+      </form>
+    </Modal>
+  );
+};
+
+export default RosterImport;
@@ -0,0 +1,32 @@
+/**
+ * GPS Lab Platform - ProgressStatusBadge Component
+ *
+ * Pill showing a student's GPS 101 pacing status (on track, behind, at
+ * risk, ...), with how far behind pace they are when it matters.
+ *
+ * @module components/university/StudentProgress/ProgressStatusBadge
+ */
+
+import React from 'react';
+import { PROGRESS_STATUS, PROGRESS_STATUS_LABELS } from '../../../utils/helpers/cohort.helper';
+import './ProgressStatusBadge.css';
+
+/**
+ * ProgressStatusBadge Component
+ * @param {Object} props - Component props
+ * @param {Object} props.progress - Progress from cohort.helper getStudentProgress
+ * @param {boolean} [props.showWeeks] - Add the weeks behind pace
+ */
+const ProgressStatusBadge = ({ progress, showWeeks = false, className = '' }) => {
+  const { status, weeksBehind } = progress;
+  const isBehind = status === PROGRESS_STATUS.BEHIND || status === PROGRESS_STATUS.AT_RISK;
+
+  return (
+    <span className={`progress-status-badge progress-status-badge--${status} ${className}`}>
+      {PROGRESS_STATUS_LABELS[status]}
+      {showWeeks && isBehind && ` · ${weeksBehind} wk${weeksBehind === 1 ? '' : 's'} behind`}
+    </span>
+  );
+};
+
+export default ProgressStatusBadge;
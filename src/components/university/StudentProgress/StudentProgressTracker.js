@@ -0,0 +1,181 @@
+/**
+ * GPS Lab Platform - StudentProgressTracker Component
+ *
+ * One student's GPS 101 journey for university staff: where they are in
+ * the 15-week pace, each stage's sub-missions and checkpoints, and the
+ * Baraka earned toward the Orange Beacon.
+ *
+ * @module components/university/StudentProgress/StudentProgressTracker
+ */
+
+import React, { useEffect } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { Link, useParams } from 'react-router-dom';
+import { fetchCohortStudent } from '../../../store/slices/universitySlice';
+import { GPS_101_STRUCTURE } from '../../../utils/helpers/gps101.helper';
+import { PROGRESS_STATUS } from '../../../utils/helpers/cohort.helper';
+import { ProgressBar } from '../../common/Progress';
+import ProgressStatusBadge from './ProgressStatusBadge';
+import './StudentProgressTracker.css';
+
+/**
+ * Formats an ISO date
+ * @param {string} date - ISO date
+ * @returns {string} Formatted date
+ */
+const formatDate = (date) => {
+  if (!date) return '—';
+  return new Date(date).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+};
+
+/**
+ * Describes the student's pace in a sentence
+ * @param {Object} progress - Progress from cohort.helper getStudentProgress
+ * @returns {string} Pace summary
+ */
+const describePace = (progress) => {
+  switch (progress.status) {
+    case PROGRESS_STATUS.COMPLETED:
+      return 'Finished GPS 101.';
+    case PROGRESS_STATUS.NOT_STARTED:
+      return 'The cohort has not started yet.';
+    case PROGRESS_STATUS.ON_TRACK:
+      return `${progress.subMissions.completed} sub-missions done; ${progress.expectedSubMissions} expected by now.`;
+    default:
+      return `${progress.subMissionsBehind} sub-mission${progress.subMissionsBehind === 1 ? '' : 's'} behind the `
+        + `${progress.expectedSubMissions} expected by week ${progress.weeksElapsed}.`;
+  }
+};
+
+/**
+ * StudentProgressTracker Component
+ */
+const StudentProgressTracker = ({ className = '' }) => {
+  const { cohortId, studentId } = useParams();
+  const dispatch = useDispatch();
+  const { selectedStudent, error } = useSelector(state => state.university);
+
+  useEffect(() => {
+    dispatch(fetchCohortStudent({ cohortId, studentId }));
+  }, [dispatch, cohortId, studentId]);
+
+  const backLink = (
+    <Link to={`/university/cohorts/${cohortId}`} className="student-progress__back">
+      ← {selectedStudent?.cohort.name || 'Cohort'}
+    </Link>
+  );
+
+  if (!selectedStudent) {
+    return (
+      <div className={`student-progress ${className}`}>
+        {backLink}
+        {error.student ? (
+          <div className="student-progress__notice" role="alert">{error.student.message}</div>
+        ) : (
+          <p className="student-progress__empty">Loading student...</p>
+        )}
+      </div>
+    );
+  }
+
+  const { student, stages } = selectedStudent;
+  const { progress } = student;
+  const week = Math.min(progress.weeksElapsed, GPS_101_STRUCTURE.DURATION_WEEKS);
+
+  return (
+    <div className={`student-progress ${className}`}>
+      {backLink}
+
+      <header className="student-progress__header">
+        <div>
+          <h1 className="student-progress__title">{student.displayName}</h1>
+          <p className="student-progress__meta">
+            {[student.studentNumber, student.email].filter(Boolean).join(' · ')}
+            {student.invited && ' · Invited, no sign-in yet'}
+          </p>
+          <p className="student-progress__meta">
+            Enrolled {formatDate(student.enrolledAt)} · Last active {formatDate(progress.lastActivityAt)}
+          </p>
+        </div>
+        <ProgressStatusBadge progress={progress} showWeeks />
+      </header>
+
+      <section className="student-progress__summary">
+        <div className="student-progress__card">
+          <h2>Pace</h2>
+          <p className="student-progress__value">
+            {progress.status === PROGRESS_STATUS.NOT_STARTED
+              ? 'Not started'
+              : `Week ${week} of ${GPS_101_STRUCTURE.DURATION_WEEKS}`}
+          </p>
+          <ProgressBar value={Math.round((week / GPS_101_STRUCTURE.DURATION_WEEKS) * 100)} size="sm" />
+          <p className="student-progress__hint">{describePace(progress)}</p>
+        </div>
+
+        <div className="student-progress__card">
+          <h2>Overall</h2>
+          <p className="student-progress__value">{progress.percentage}%</p>
+          <ProgressBar value={progress.percentage} size="sm" />
+          <p className="student-progress__hint">
+            {progress.subMissions.completed} / {progress.subMissions.total} sub-missions ·
+            {' '}{progress.checkpoints.completed} / {progress.checkpoints.total} checkpoints
+          </p>
+        </div>
+
+        <div className="student-progress__card">
+          <h2>Orange Beacon</h2>
+          <p className="student-progress__value">{progress.baraka.baraka.toLocaleString()} Baraka</p>
+          <ProgressBar value={progress.baraka.percentage} size="sm" />
+          <p className="student-progress__hint">
+            {progress.baraka.earned
+              ? 'Orange Beacon earned.'
+              : `${progress.baraka.remaining.toLocaleString()} to go of ${progress.baraka.target.toLocaleString()}.`}
+          </p>
+        </div>
+      </section>
+
+      <section className="student-progress__panel">
+        <h2 className="student-progress__section-title">Stages</h2>
+        <ol className="student-progress__stages">
+          {stages.map(stage => {
+            const isCurrent = !stage.isComplete && stage.stageNumber === progress.currentStage;
+            return (
+              <li
+                key={stage.stageNumber}
+                className={[
+                  'student-progress__stage',
+                  stage.isComplete && 'student-progress__stage--complete',
+                  isCurrent && 'student-progress__stage--current'
+                ].filter(Boolean).join(' ')}
+              >
+                <span className="student-progress__stage-icon" aria-hidden="true">{stage.icon}</span>
+                <div className="student-progress__stage-body">
+                  <h3>
+                    Stage {stage.stageNumber}: {stage.question}
+                    {stage.isComplete && <span className="student-progress__tag">Complete</span>}
+                    {isCurrent && <span className="student-progress__tag">Current</span>}
+                  </h3>
+                  <p className="student-progress__hint">Deliverable: {stage.deliverable}</p>
+                  <dl className="student-progress__counts">
+                    <div>
+                      <dt>Sub-missions</dt>
+                      <dd>{stage.subMissions.completed} / {stage.subMissions.total}</dd>
+                      <ProgressBar value={stage.subMissions.percentage} size="sm" />
+                    </div>
+                    <div>
+                      <dt>Checkpoints</dt>
+                      <dd>{stage.checkpoints.completed} / {stage.checkpoints.total}</dd>
+                      <ProgressBar value={stage.checkpoints.percentage} size="sm" />
+                    </div>
+                  </dl>
+                </div>
+              </li>
+            );
+          })}
+        </ol>
+      </section>
+    </div>
+  );
+};
+
+export default StudentProgressTracker;
@@ -0,0 +1,139 @@
+/**
+ * GPS Lab Platform - UniversityDashboard Component
+ *
+ * Landing page of the university portal: how the students in active
+ * cohorts are pacing through GPS 101, each active cohort at a glance and
+ * the students most at risk of falling out.
+ *
+ * @module components/university/UniversityDashboard/UniversityDashboard
+ */
+
+import React, { useEffect } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { Link } from 'react-router-dom';
+import { fetchPortalOverview } from '../../../store/slices/universitySlice';
+import { PROGRESS_STATUS } from '../../../utils/helpers/cohort.helper';
+import { ProgressBar } from '../../common/Progress';
+import ProgressStatusBadge from '../StudentProgress/ProgressStatusBadge';
+import './UniversityDashboard.css';
+
+/**
+ * UniversityDashboard Component
+ */
+const UniversityDashboard = ({ className = '' }) => {
+  const dispatch = useDispatch();
+  const { overview, loading, error } = useSelector(state => state.university);
+
+  useEffect(() => {
+    dispatch(fetchPortalOverview());
+  }, [dispatch]);
+
+  const stats = overview ? [
+    { label: 'Active students', value: overview.summary.total },
+    { label: 'On track', value: overview.summary.onTrack, status: PROGRESS_STATUS.ON_TRACK },
+    { label: 'Behind', value: overview.summary.behind, status: PROGRESS_STATUS.BEHIND },
+    { label: 'At risk', value: overview.summary.atRisk, status: PROGRESS_STATUS.AT_RISK },
+    { label: 'Completed', value: overview.summary.completed, status: PROGRESS_STATUS.COMPLETED },
+    { label: 'Average progress', value: `${overview.summary.averageProgress}%` }
+  ] : [];
+
+  return (
+    <div className={`university-dashboard ${className}`}>
+      <header className="university-dashboard__header">
+        <h1 className="university-dashboard__title">{overview?.university?.name || 'University Portal'}</h1>
+        <p className="university-dashboard__subtitle">GPS 101 progress across your active cohorts</p>
+      </header>
+
+      {error.overview && (
+        <div className="university-dashboard__notice" role="alert">{error.overview.message}</div>
+      )}
+
+      {!overview ? (
+        <p className="university-dashboard__empty">{loading.overview ? 'Loading overview...' : ''}</p>
+      ) : (
+        <>
+          <dl className="university-dashboard__stats">
+            {stats.map(stat => (
+              <div
+                key={stat.label}
+                className={`university-dashboard__stat ${stat.status ? `university-dashboard__stat--${stat.status}` : ''}`}
+              >
+                <dt>{stat.label}</dt>
+                <dd>{stat.value}</dd>
+              </div>
+            ))}
+          </dl>
+
+          <div className="university-dashboard__columns">
+            <section className="university-dashboard__panel">
+              <div className="university-dashboard__panel-header">
+                <h2 className="university-dashboard__panel-title">Active cohorts</h2>
+                <Link to="/university/cohorts" className="university-dashboard__link">All cohorts</Link>
+              </div>
+              {overview.cohorts.length === 0 ? (
+                <p className="university-dashboard__empty">
+                  No active cohorts. <Link to="/university/cohorts">Create one</Link> to start enrolling students.
+                </p>
+              ) : (
+                <ul className="university-dashboard__list">
+                  {overview.cohorts.map(cohort => (
+                    <li key={cohort.id} className="university-dashboard__cohort">
+                      <div className="university-dashboard__cohort-header">
+                        <Link to={`/university/cohorts/${cohort.id}`} className="university-dashboard__name">
+                          {cohort.name}
+                        </Link>
+                        <span className="university-dashboard__meta">
+                          {cohort.summary.total} student{cohort.summary.total === 1 ? '' : 's'}
+                          {cohort.summary.atRisk > 0 && ` · ${cohort.summary.atRisk} at risk`}
+                        </span>
+                      </div>
+                      <div className="university-dashboard__progress">
+                        <ProgressBar value={cohort.summary.averageProgress} size="sm" />
+                        <span>{cohort.summary.averageProgress}%</span>
+                      </div>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </section>
+
+            <section className="university-dashboard__panel">
+              <div className="university-dashboard__panel-header">
+                <h2 className="university-dashboard__panel-title">Students at risk</h2>
+                {overview.totalAtRisk > overview.atRisk.length && (
+                  <span className="university-dashboard__meta">
+                    Showing {overview.atRisk.length} of {overview.totalAtRisk}
+                  </span>
+                )}
+              </div>
+              {overview.atRisk.length === 0 ? (
+                <p className="university-dashboard__empty">Nobody is more than two weeks behind pace.</p>
+              ) : (
+                <ul className="university-dashboard__list">
+                  {overview.atRisk.map(student => (
+                    <li key={`${student.cohortId}:${student.id}`} className="university-dashboard__student">
+                      <div>
+                        <Link
+                          to={`/university/cohorts/${student.cohortId}/students/${student.id}`}
+                          className="university-dashboard__name"
+                        >
+                          {student.displayName}
+                        </Link>
+                        <span className="university-dashboard__meta">
+                          {student.cohortName} · {student.progress.subMissions.completed} of {student.progress.expectedSubMissions} sub-missions
+                        </span>
+                      </div>
+                      <ProgressStatusBadge progress={student.progress} showWeeks />
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </section>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default UniversityDashboard;
@@ -0,0 +1,285 @@
+/**
+ * GPS Lab Platform - ReportGenerator Component
+ *
+ * Report builder for university staff: pick a cohort, a date range and the
+ * metrics to include, then read the report on screen or export it as CSV,
+ * an XLSX workbook, or a print layout that saves as PDF for accreditation
+ * reviews. Metrics can be switched on and off after generating; a new
+ * cohort or date range needs the report generated again.
+ *
+ * @module components/university/UniversityReports/ReportGenerator
+ */
+
+import React, { useEffect, useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { useSearchParams } from 'react-router-dom';
+import { fetchCohorts, fetchCohortReport, clearReport } from '../../../store/slices/universitySlice';
+import {
+  REPORT_METRICS,
+  DEFAULT_REPORT_METRICS,
+  validateReportRange,
+  getReportColumns,
+  getReportFileName
+} from '../../../utils/helpers/report.helper';
+import { toCSV, toXLSX, downloadFile, printDocument, XLSX_MIME_TYPE } from '../../../utils/helpers/export.helper';
+import ImpactReport from '../../analytics/Reports/ImpactReport';
+import ProgressReport from '../../analytics/Reports/ProgressReport';
+import './ReportGenerator.css';
+
+const PRINT_CLASS = 'report-printing';
+
+/**
+ * Converts a date to a local date input value
+ * @param {string|Date} date - Date
+ * @returns {string} YYYY-MM-DD
+ */
+const toDateInput = (date) => {
+  const d = new Date(date);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+};
+
+/**
+ * Formats an ISO date
+ * @param {string} date - ISO date
+ * @returns {string} Formatted date
+ */
+const formatDate = (date) => new Date(date).toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric' });
+
+/**
+ * Default report range for a cohort: its start until today, or its end
+ * when that has passed
+ * @param {Object} cohort - Cohort
+ * @returns {Object} { from, to } date input values
+ */
+const getDefaultRange = (cohort) => {
+  const from = toDateInput(cohort.startDate);
+  const end = cohort.endDate && new Date(cohort.endDate) < new Date() ? cohort.endDate : new Date();
+  const to = toDateInput(end);
+  return { from, to: to < from ? from : to };
+};
+
+/**
+ * ReportGenerator Component
+ */
+const ReportGenerator = ({ className = '' }) => {
+  const dispatch = useDispatch();
+  const [searchParams] = useSearchParams();
+  const { cohorts, report, loading, error } = useSelector(state => state.university);
+  const [cohortId, setCohortId] = useState(searchParams.get('cohort') || '');
+  const [range, setRange] = useState({ from: '', to: '' });
+  const [metrics, setMetrics] = useState(DEFAULT_REPORT_METRICS);
+  const [rangeErrors, setRangeErrors] = useState(null);
+  const [hasCohorts, setHasCohorts] = useState(false);
+
+  // Archived cohorts are listed too: their reports are often the ones reviewed
+  useEffect(() => {
+    dispatch(fetchCohorts({ status: '', q: '' })).finally(() => setHasCohorts(true));
+    return () => { dispatch(clearReport()); };
+  }, [dispatch]);
+
+  // Pick a cohort and its default range once the cohorts load
+  const cohort = cohorts.items.find(c => c.id === cohortId) || null;
+  useEffect(() => {
+    if (!hasCohorts) return;
+    if (!cohort && cohorts.items.length > 0) {
+      setCohortId(cohorts.items[0].id);
+    } else if (cohort && !range.from) {
+      setRange(getDefaultRange(cohort));
+    }
+  }, [hasCohorts, cohort, cohorts.items, range.from]);
+
+  const handleCohortChange = (e) => {
+    const next = cohorts.items.find(c => c.id === e.target.value);
+    setCohortId(e.target.value);
+    if (next) setRange(getDefaultRange(next));
+    setRangeErrors(null);
+  };
+
+  const toggleMetric = (metricId) => {
+    setMetrics(current => (current.includes(metricId)
+      ? current.filter(id => id !== metricId)
+      : DEFAULT_REPORT_METRICS.filter(id => id === metricId || current.includes(id))));
+  };
+
+  const handleGenerate = (e) => {
+    e.preventDefault();
+    const dates = {
+      from: range.from && new Date(`${range.from}T00:00:00`).toISOString(),
+      to: range.to && new Date(`${range.to}T23:59:59.999`).toISOString()
+    };
+    const errors = validateReportRange(dates);
+    setRangeErrors(errors);
+    if (errors || !cohortId) return;
+    dispatch(fetchCohortReport({ cohortId, ...dates }));
+  };
+
+  const exportCSV = () => {
+    downloadFile(toCSV(report.students, getReportColumns(metrics)), getReportFileName(report, 'csv'), 'text/csv');
+  };
+
+  const exportXLSX = () => {
+    const { cohort: reported, range: period, summary } = report;
+    const details = [
+      { field: 'Cohort', value: reported.name },
+      { field: 'Code', value: reported.code },
+      { field: 'University', value: reported.universityName },
+      { field: 'Period start', value: toDateInput(period.from) },
+      { field: 'Period end', value: toDateInput(period.to) },
+      { field: 'Generated', value: new Date(report.generatedAt).toLocaleString('en-US') },
+      { field: 'Students', value: summary.students },
+      { field: 'Students active in period', value: summary.activeStudents },
+      ...REPORT_METRICS
+        .filter(metric => metrics.includes(metric.id))
+        .map(metric => ({
+          field: metric.id === 'lqScore' ? 'Average LQ score' : metric.exportLabel,
+          value: summary[metric.id]
+        }))
+    ];
+
+    const workbook = toXLSX([
+      { name: 'Students', rows: report.students, columns: getReportColumns(metrics) },
+      {
+        name: 'Summary',
+        rows: details,
+        columns: [{ key: 'field', label: 'Field' }, { key: 'value', label: 'Value' }]
+      },
+      {
+        name: 'Weekly activity',
+        rows: report.timeline,
+        columns: [
+          { key: 'weekStart', label: 'Week starting', value: (week) => toDateInput(week.weekStart) },
+          { key: 'attempts', label: 'Checkpoint attempts' },
+          { key: 'checkpointsPassed', label: 'Checkpoints passed' },
+          { key: 'barakaEarned', label: 'Baraka earned' },
+          { key: 'deliverablesSubmitted', label: 'Deliverables submitted' }
+        ]
+      }
+    ]);
+    downloadFile(workbook, getReportFileName(report, 'xlsx'), XLSX_MIME_TYPE);
+  };
+
+  const isStale = report && (
+    report.cohort.id !== cohortId
+    || toDateInput(report.range.from) !== range.from
+    || toDateInput(report.range.to) !== range.to
+  );
+
+  return (
+    <div className={`report-generator ${className}`}>
+      <header className="report-generator__header">
+        <h1 className="report-generator__title">Reports</h1>
+        <p className="report-generator__subtitle">
+          Cohort reports for accreditation reviews and program records
+        </p>
+      </header>
+
+      <form className="report-generator__builder" onSubmit={handleGenerate} noValidate>
+        <div className="report-generator__fields">
+          <label className="report-generator__field">
+            <span>Cohort</span>
+            <select value={cohortId} onChange={handleCohortChange} disabled={cohorts.items.length === 0}>
+              {cohorts.items.length === 0 && <option value="">{loading.cohorts ? 'Loading...' : 'No cohorts'}</option>}
+              {cohorts.items.map(c => (
+                <option key={c.id} value={c.id}>
+                  {c.name}{c.status === 'archived' ? ' (archived)' : ''}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label className="report-generator__field">
+            <span>From</span>
+            <input type="date" value={range.from} onChange={(e) => setRange(r => ({ ...r, from: e.target.value }))} />
+            {rangeErrors?.from && <span className="report-generator__error">{rangeErrors.from}</span>}
+          </label>
+          <label className="report-generator__field">
+            <span>To</span>
+            <input type="date" value={range.to} onChange={(e) => setRange(r => ({ ...r, to: e.target.value }))} />
+            {rangeErrors?.to && <span className="report-generator__error">{rangeErrors.to}</span>}
+          </label>
+        </div>
+
+        <fieldset className="report-generator__metrics">
+          <legend>Metrics</legend>
+          {REPORT_METRICS.map(metric => (
+            <label key={metric.id} className="report-generator__metric" title={metric.description}>
+              <input
+                type="checkbox"
+                checked={metrics.includes(metric.id)}
+                onChange={() => toggleMetric(metric.id)}
+              />
+              {metric.label}
+            </label>
+          ))}
+        </fieldset>
+
+        <div className="report-generator__actions">
+          <button
+            type="submit"
+            className="report-generator__button report-generator__button--primary"
+            disabled={!cohortId || loading.report}
+          >
+            {loading.report ? 'Generating...' : 'Generate report'}
+          </button>
+          {report && (
+            <>
+              <button type="button" className="report-generator__button" onClick={exportCSV}>
+                Export CSV
+              </button>
+              <button type="button" className="report-generator__button" onClick={exportXLSX}>
+                Export XLSX
+              </button>
+              <button type="button" className="report-generator__button" onClick={() => printDocument(PRINT_CLASS)}>
+                Print / Save as PDF
+              </button>
+            </>
+          )}
+        </div>
+      </form>
+
+      {(error.report || error.cohorts) && (
+        <div className="report-generator__notice report-generator__notice--error" role="alert">
+          {(error.report || error.cohorts).message}
+        </div>
+      )}
+
+      {isStale && (
+        <div className="report-generator__notice" role="status">
+          The cohort or dates changed. Generate the report again to update it.
+        </div>
+      )}
+
+      {report && (
+        <article className="report-generator__document">
+          <header className="report-generator__document-header">
+            <p className="report-generator__eyebrow">GPS 101 cohort report</p>
+            <h2 className="report-generator__document-title">{report.cohort.name}</h2>
+            <p className="report-generator__meta">
+              {[report.cohort.universityName, report.cohort.code, report.cohort.term].filter(Boolean).join(' · ')}
+            </p>
+            <p className="report-generator__meta">
+              {formatDate(report.range.from)} – {formatDate(report.range.to)}
+            </p>
+          </header>
+
+          {metrics.length === 0 ? (
+            <p className="report-generator__empty">Choose at least one metric to include.</p>
+          ) : (
+            <>
+              <ImpactReport report={report} metrics={metrics} />
+              <ProgressReport report={report} metrics={metrics} />
+            </>
+          )}
+
+          <footer className="report-generator__footer">
+            Generated by GPS Lab on {new Date(report.generatedAt).toLocaleString('en-US')}.
+            {metrics.includes('lqScore') && ' LQ scores reflect the character badges held on that date.'}
+            {' '}A dash means the student attempted no checkpoints in the period.
+          </footer>
+        </article>
+      )}
+    </div>
+  );
+};
+
+export default ReportGenerator;
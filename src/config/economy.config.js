@@ -0,0 +1,471 @@
+/**
+ * Economy Configuration
+ *
+ * The single source for every number in the game economy: XP rewards,
+ * bonuses, the level curve and level thresholds, Baraka rewards, prices
+ * and beacons, the GPS 101 rewards, PSB terms, retry rights, leaderboard
+ * paging and praise limits.
+ *
+ * The defaults below ship with the app. At start-up the server's config is
+ * loaded, validated (utils/validators/economy.validator) and made active
+ * with setEconomyConfig. The constants other modules export (XP_CONFIG,
+ * XP_VALUES, LEVEL_CONFIG, BARAKA_CONSTANTS, ...) are views bound with
+ * bindEconomyView, so they are refilled in place whenever the active config
+ * changes and the calculators never hold values of their own.
+ */
+
+// ==================== SCHEMA ====================
+
+/**
+ * Describes a numeric setting
+ * @param {string} label - Label shown to admins
+ * @param {Object} options - { type: 'integer'|'number', min, max, unit }
+ * @returns {Object} Field descriptor
+ */
+const field = (label, { type = 'integer', min = 0, max = null, unit = '' } = {}) => ({
+  isField: true,
+  label,
+  type,
+  min,
+  max,
+  unit
+});
+
+const xpReward = (label) => field(label, { max: 100000, unit: 'XP' });
+const barakaAmount = (label) => field(label, { max: 1000000, unit: 'ƀ' });
+const rate = (label) => field(label, { type: 'number', max: 1 });
+
+/**
+ * Levels with a hand-set XP threshold (the last one covers every level above)
+ */
+export const LEVEL_THRESHOLD_COUNT = 16;
+
+/**
+ * Shape of the economy config. Every leaf is a field descriptor; a config
+ * must have exactly these keys.
+ */
+export const ECONOMY_SCHEMA = {
+  xp: {
+    rewards: {
+      checkpoint: xpReward('Checkpoint completed'),
+      mission: xpReward('Mission completed'),
+      bite: xpReward('Bite completed'),
+      stage: xpReward('Stage completed'),
+      adventure: xpReward('Adventure completed'),
+      perfectCheckpoint: xpReward('Perfect checkpoint bonus'),
+      speedBonus: xpReward('Ahead of schedule bonus'),
+      firstTryBonus: xpReward('First try bonus'),
+      givingHonor: xpReward('Honoring another GPS'),
+      receivingHonor: xpReward('Being honored'),
+      partyContribution: xpReward('Party contribution'),
+      helpingNewbie: xpReward('Helping a new member'),
+      qualityEvidence: xpReward('Quality evidence'),
+      resourceContribution: xpReward('Resource contribution'),
+      feedbackProvided: xpReward('Peer feedback'),
+      dailyLogin: xpReward('Daily login'),
+      dailyMission: xpReward('Daily mission'),
+      firstMission: xpReward('First mission ever'),
+      firstStage: xpReward('First stage'),
+      firstAdventure: xpReward('First adventure'),
+      streak7Days: xpReward('7-day streak'),
+      streak30Days: xpReward('30-day streak'),
+      streak90Days: xpReward('90-day streak')
+    },
+    bonuses: {
+      perfectCheckpoint: xpReward('Perfect checkpoint'),
+      firstTry: xpReward('First try'),
+      helpPartyMember: xpReward('Helping a party member')
+    },
+    levels: {
+      baseXP: field('XP needed for level 2', { min: 1, max: 100000, unit: 'XP' }),
+      growthRate: field('Growth per level', { type: 'number', min: 1, max: 3, unit: '×' }),
+      maxLevel: field('Maximum level', { min: 2, max: 200 }),
+      levelCap: {
+        adventure1: field('Cap in GPS 101', { min: 1, max: 200 }),
+        adventure2: field('Cap in GPS Prep', { min: 1, max: 200 }),
+        adventure3: field('Cap in GPS Simulation', { min: 1, max: 200 }),
+        adventure4: field('Cap in GPS Capstone 1', { min: 1, max: 200 }),
+        adventure5: field('Cap in GPS Capstone 2', { min: 1, max: 200 }),
+        adventure6: field('Cap in Venture Acceleration', { min: 1, max: 200 }),
+        adventure7: field('Cap in Venture Capitalization', { min: 1, max: 200 })
+      }
+    },
+    levelThresholds: Object.fromEntries(
+      Array.from({ length: LEVEL_THRESHOLD_COUNT }, (_, i) => [i + 1, xpReward(`Level ${i + 1}`)])
+    )
+  },
+  baraka: {
+    rewards: {
+      checkpoint: barakaAmount('Checkpoint passed'),
+      mission: barakaAmount('Mission completed'),
+      stage: barakaAmount('Stage completed')
+    },
+    bonuses: {
+      perfectCheckpoint: barakaAmount('Perfect checkpoint'),
+      firstTry: barakaAmount('First try'),
+      earlyCompletion: barakaAmount('Ahead of schedule'),
+      helpPartyMember: barakaAmount('Helping a party member'),
+      dailyLogin: barakaAmount('Daily login'),
+      weeklyStreak: barakaAmount('Weekly streak'),
+      monthlyStreak: barakaAmount('Monthly streak')
+    },
+    prices: {
+      retryRight: barakaAmount('Retry right (R2R)'),
+      provisionalRetryRight: barakaAmount('Provisional retry right (pR2R)'),
+      unlockAdventureMission: barakaAmount('Unlock adventure mission'),
+      navigatorHint: barakaAmount('Navigator hint'),
+      skipStudyMission: barakaAmount('Skip study mission'),
+      unlockSpecialBadge: barakaAmount('Unlock special badge')
+    },
+    beacons: {
+      white: barakaAmount('White Beacon'),
+      orange: barakaAmount('Orange Beacon'),
+      red: barakaAmount('Red Beacon'),
+      purple: barakaAmount('Purple Beacon')
+    },
+    milestoneBonuses: {
+      25: barakaAmount('25% of Orange Beacon'),
+      50: barakaAmount('50% of Orange Beacon'),
+      75: barakaAmount('75% of Orange Beacon'),
+      100: barakaAmount('Orange Beacon reached')
+    },
+    transfers: {
+      confirmAbove: barakaAmount('Confirm transfers above'),
+      dailyLimit: barakaAmount('Daily send limit')
+    }
+  },
+  gps101: {
+    rewards: {
+      checkpoint: {
+        baraka: barakaAmount('Checkpoint Baraka'),
+        xp: xpReward('Checkpoint XP')
+      },
+      subMission: {
+        baraka: barakaAmount('Sub-mission Baraka'),
+        xp: xpReward('Sub-mission XP')
+      },
+      mission: {
+        baraka: barakaAmount('Mission Baraka'),
+        xp: xpReward('Mission XP')
+      },
+      stage: {
+        baraka: barakaAmount('Stage Baraka'),
+        xp: xpReward('Stage XP')
+      }
+    },
+    xp: {
+      checkpoint: xpReward('Checkpoint passed'),
+      mission: xpReward('Mission completed'),
+      stage: xpReward('Stage completed'),
+      course: xpReward('Course completed')
+    },
+    baraka: {
+      checkpoint: barakaAmount('Checkpoint passed'),
+      mission: barakaAmount('Mission completed'),
+      stage: barakaAmount('Stage completed'),
+      course: barakaAmount('Course completed')
+    },
+    progress: {
+      checkpoint: barakaAmount('Baraka per checkpoint'),
+      missionBonus: barakaAmount('Mission completion bonus'),
+      stageBonus: barakaAmount('Stage completion bonus')
+    }
+  },
+  psb: {
+    covenantReturn: rate('Covenant return share'),
+    withdrawalFee: rate('Withdrawal fee'),
+    minimumWithdrawal: field('Minimum withdrawal', { max: 1000000, unit: 'PSB' }),
+    conversionRate: field('PSB per Baraka', { type: 'number', min: 0.01, max: 100 }),
+    lockupDays: {
+      short: field('Short lockup', { min: 1, max: 3650, unit: 'days' }),
+      medium: field('Medium lockup', { min: 1, max: 3650, unit: 'days' }),
+      long: field('Long lockup', { min: 1, max: 3650, unit: 'days' })
+    },
+    interestRates: {
+      short: rate('Short lockup APY'),
+      medium: rate('Medium lockup APY'),
+      long: rate('Long lockup APY')
+    },
+    earlyUnlockPenalty: rate('Early unlock penalty')
+  },
+  study: {
+    r2rInitial: field('Initial R2R per mission', { max: 20 }),
+    r2rMax: field('Maximum R2R', { max: 20 }),
+    r2rEarnPerStudy: field('R2R earned per study mission', { max: 20 }),
+    pr2rThreshold: field('Failed checkpoints before pR2R', { max: 20 }),
+    pr2rMax: field('Maximum pR2R', { max: 20 }),
+    studyMissionDuration: field('Study mission length', { min: 1, max: 600, unit: 'min' }),
+    studyMissionMinScore: field('Study mission pass mark', { max: 100, unit: '%' })
+  },
+  leaderboard: {
+    pageSize: field('Entries per page', { min: 1, max: 200 }),
+    updateIntervalMinutes: field('Refresh interval', { min: 1, max: 1440, unit: 'min' })
+  },
+  praise: {
+    maxDailySent: field('Praise a learner can give per day', { max: 1000 }),
+    maxDailyReceived: field('Praise a learner can receive per day', { max: 1000 }),
+    barakaForGiving: barakaAmount('Baraka for giving praise'),
+    barakaForReceiving: barakaAmount('Baraka for receiving praise'),
+    xpForGiving: xpReward('XP for giving praise'),
+    xpForReceiving: xpReward('XP for receiving praise')
+  }
+};
+
+/**
+ * Sections of the schema, in the order admins see them
+ */
+export const ECONOMY_SECTIONS = [
+  { path: 'xp.rewards', title: 'XP rewards' },
+  { path: 'xp.bonuses', title: 'XP bonuses' },
+  { path: 'xp.levels', title: 'Level curve' },
+  { path: 'xp.levelThresholds', title: 'Level thresholds' },
+  { path: 'baraka.rewards', title: 'Baraka rewards' },
+  { path: 'baraka.bonuses', title: 'Baraka bonuses' },
+  { path: 'baraka.prices', title: 'Baraka Store prices' },
+  { path: 'baraka.beacons', title: 'Beacon thresholds' },
+  { path: 'baraka.milestoneBonuses', title: 'Orange Beacon milestone bonuses' },
+  { path: 'baraka.transfers', title: 'Peer transfers' },
+  { path: 'gps101.rewards', title: 'GPS 101 reward schedule' },
+  { path: 'gps101.xp', title: 'GPS 101 XP' },
+  { path: 'gps101.baraka', title: 'GPS 101 Baraka' },
+  { path: 'gps101.progress', title: 'GPS 101 progress estimates' },
+  { path: 'psb', title: 'PSB' },
+  { path: 'study', title: 'Retry rights and study' },
+  { path: 'leaderboard', title: 'Leaderboards' },
+  { path: 'praise', title: 'Praise' }
+];
+
+// ==================== DEFAULTS ====================
+
+/**
+ * The economy the app ships with, used until the server's config loads
+ */
+export const DEFAULT_ECONOMY_CONFIG = {
+  xp: {
+    rewards: {
+      checkpoint: 5,
+      mission: 25,
+      bite: 5,
+      stage: 100,
+      adventure: 500,
+      perfectCheckpoint: 10,
+      speedBonus: 5,
+      firstTryBonus: 15,
+      givingHonor: 2,
+      receivingHonor: 5,
+      partyContribution: 10,
+      helpingNewbie: 20,
+      qualityEvidence: 10,
+      resourceContribution: 25,
+      feedbackProvided: 5,
+      dailyLogin: 5,
+      dailyMission: 10,
+      firstMission: 50,
+      firstStage: 100,
+      firstAdventure: 500,
+      streak7Days: 50,
+      streak30Days: 200,
+      streak90Days: 500
+    },
+    bonuses: {
+      perfectCheckpoint: 2,
+      firstTry: 5,
+      helpPartyMember: 3
+    },
+    levels: {
+      baseXP: 100,
+      growthRate: 1.5,
+      maxLevel: 100,
+      levelCap: {
+        adventure1: 10,
+        adventure2: 20,
+        adventure3: 35,
+        adventure4: 50,
+        adventure5: 65,
+        adventure6: 80,
+        adventure7: 100
+      }
+    },
+    levelThresholds: {
+      1: 0,
+      2: 100,
+      3: 250,
+      4: 500,
+      5: 1000,
+      6: 2000,
+      7: 3500,
+      8: 5500,
+      9: 8000,
+      10: 11000,
+      11: 15000,
+      12: 20000,
+      13: 26000,
+      14: 33000,
+      15: 41000,
+      16: 50000
+    }
+  },
+  baraka: {
+    rewards: {
+      checkpoint: 25,
+      mission: 150,
+      stage: 1000
+    },
+    bonuses: {
+      perfectCheckpoint: 10,
+      firstTry: 25,
+      earlyCompletion: 25,
+      helpPartyMember: 15,
+      dailyLogin: 10,
+      weeklyStreak: 50,
+      monthlyStreak: 200
+    },
+    prices: {
+      retryRight: 100,
+      provisionalRetryRight: 50,
+      unlockAdventureMission: 500,
+      navigatorHint: 25,
+      skipStudyMission: 200,
+      unlockSpecialBadge: 1000
+    },
+    beacons: {
+      white: 0,
+      orange: 5000,
+      red: 10000,
+      purple: 50000
+    },
+    milestoneBonuses: {
+      25: 50,
+      50: 100,
+      75: 150,
+      100: 500
+    },
+    transfers: {
+      confirmAbove: 100,
+      dailyLimit: 1000
+    }
+  },
+  gps101: {
+    rewards: {
+      checkpoint: { baraka: 5, xp: 5 },
+      subMission: { baraka: 25, xp: 0 },
+      mission: { baraka: 250, xp: 0 },
+      stage: { baraka: 500, xp: 0 }
+    },
+    xp: {
+      checkpoint: 5,
+      mission: 30,
+      stage: 180,
+      course: 1500
+    },
+    baraka: {
+      checkpoint: 25,
+      mission: 150,
+      stage: 1000,
+      course: 5000
+    },
+    progress: {
+      checkpoint: 33,
+      missionBonus: 50,
+      stageBonus: 100
+    }
+  },
+  psb: {
+    covenantReturn: 0.5,
+    withdrawalFee: 0.05,
+    minimumWithdrawal: 1000,
+    conversionRate: 1,
+    lockupDays: {
+      short: 30,
+      medium: 90,
+      long: 180
+    },
+    interestRates: {
+      short: 0.05,
+      medium: 0.10,
+      long: 0.15
+    },
+    earlyUnlockPenalty: 0.05
+  },
+  study: {
+    r2rInitial: 3,
+    r2rMax: 5,
+    r2rEarnPerStudy: 1,
+    pr2rThreshold: 2,
+    pr2rMax: 3,
+    studyMissionDuration: 30,
+    studyMissionMinScore: 80
+  },
+  leaderboard: {
+    pageSize: 50,
+    updateIntervalMinutes: 5
+  },
+  praise: {
+    maxDailySent: 10,
+    maxDailyReceived: 50,
+    barakaForGiving: 5,
+    barakaForReceiving: 2,
+    xpForGiving: 1,
+    xpForReceiving: 2
+  }
+};
+
+// ==================== ACTIVE CONFIG ====================
+
+const copy = (value) => JSON.parse(JSON.stringify(value));
+
+let activeConfig = copy(DEFAULT_ECONOMY_CONFIG);
+const views = [];
+
+/**
+ * Gets the active economy config. Treat it as read-only.
+ * @returns {Object} Economy config
+ */
+export const getEconomyConfig = () => activeConfig;
+
+/**
+ * Binds an exported constant to the active config. The target is filled
+ * now and refilled in place on every setEconomyConfig, so modules that
+ * imported it see the new values without re-importing.
+ * @param {Object} target - Object to fill
+ * @param {Function} project - (config) => values for the target
+ * @returns {Object} The target
+ */
+export const bindEconomyView = (target, project) => {
+  const refresh = (config) => {
+    Object.keys(target).forEach(key => { delete target[key]; });
+    Object.assign(target, project(config));
+  };
+  refresh(activeConfig);
+  views.push(refresh);
+  return target;
+};
+
+/**
+ * Makes a config active and refreshes every bound view. The config must
+ * already have passed validateEconomyConfig.
+ * @param {Object} config - Economy config
+ * @returns {Object} The active config
+ */
+export const setEconomyConfig = (config) => {
+  activeConfig = copy(config);
+  views.forEach(refresh => refresh(activeConfig));
+  return activeConfig;
+};
+
+/**
+ * Restores the shipped defaults
+ * @returns {Object} The active config
+ */
+export const resetEconomyConfig = () => setEconomyConfig(DEFAULT_ECONOMY_CONFIG);
+
+export default {
+  LEVEL_THRESHOLD_COUNT,
+  ECONOMY_SCHEMA,
+  ECONOMY_SECTIONS,
+  DEFAULT_ECONOMY_CONFIG,
+  getEconomyConfig,
+  bindEconomyView,
+  setEconomyConfig,
+  resetEconomyConfig
+};
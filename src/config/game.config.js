@@ -2,94 +2,87 @@
  * Game Configuration
  * 
  * Configuration for gamification mechanics, rewards, and progression systems.
+ *
+ * The economy sections (XP, Baraka, PSB, study, leaderboard and praise
+ * numbers) are views of the active economy config (./economy.config); only
+ * names, labels and other non-economy values are defined here.
  */
 
 import { GPS_101_CONFIG } from './gps101.config';
+import { bindEconomyView, LEVEL_THRESHOLD_COUNT } from './economy.config';
 
 // ==================== XP SYSTEM ====================
 
-export const XP_CONFIG = {
+export const XP_CONFIG = bindEconomyView({}, ({ xp, gps101, praise }) => ({
   // General XP
-  CHECKPOINT_PASS: 5,
-  MISSION_COMPLETE: 25,
-  STAGE_COMPLETE: 100,
+  CHECKPOINT_PASS: xp.rewards.checkpoint,
+  MISSION_COMPLETE: xp.rewards.mission,
+  STAGE_COMPLETE: xp.rewards.stage,
   
   // GPS 101 XP
-  GPS_101_CHECKPOINT_PASS: 5,
-  GPS_101_MISSION_COMPLETE: 30,
-  GPS_101_STAGE_COMPLETE: 180,
-  GPS_101_COURSE_COMPLETE: 1500,
+  GPS_101_CHECKPOINT_PASS: gps101.xp.checkpoint,
+  GPS_101_MISSION_COMPLETE: gps101.xp.mission,
+  GPS_101_STAGE_COMPLETE: gps101.xp.stage,
+  GPS_101_COURSE_COMPLETE: gps101.xp.course,
   
   // Bonus XP
-  PERFECT_CHECKPOINT: 2, // Bonus for perfect score
-  FIRST_TRY: 5, // Bonus for passing on first try
-  HELP_PARTY_MEMBER: 3,
-  GIVE_PRAISE: 1,
-  RECEIVE_PRAISE: 2,
+  PERFECT_CHECKPOINT: xp.bonuses.perfectCheckpoint, // Bonus for perfect score
+  FIRST_TRY: xp.bonuses.firstTry, // Bonus for passing on first try
+  HELP_PARTY_MEMBER: xp.bonuses.helpPartyMember,
+  GIVE_PRAISE: praise.xpForGiving,
+  RECEIVE_PRAISE: praise.xpForReceiving,
   
-  // Level thresholds (XP needed for each level)
-  LEVEL_THRESHOLDS: [
-    0,      // Level 1
-    100,    // Level 2
-    250,    // Level 3
-    500,    // Level 4
-    1000,   // Level 5
-    2000,   // Level 6
-    3500,   // Level 7
-    5500,   // Level 8
-    8000,   // Level 9
-    11000,  // Level 10
-    15000,  // Level 11
-    20000,  // Level 12
-    26000,  // Level 13
-    33000,  // Level 14
-    41000,  // Level 15
-    50000   // Level 16+
-  ]
-};
+  // Level thresholds (XP needed for each level, the last for 16+)
+  LEVEL_THRESHOLDS: Array.from({ length: LEVEL_THRESHOLD_COUNT }, (_, i) => xp.levelThresholds[i + 1])
+}));
 
 // ==================== BARAKA ECONOMY ====================
 
-export const BARAKA_CONFIG = {
+export const BARAKA_CONFIG = bindEconomyView({}, ({ baraka, gps101, praise }) => ({
   // Earning Baraka
-  CHECKPOINT_PASS: 25,
-  MISSION_COMPLETE: 150,
-  STAGE_COMPLETE: 1000,
+  CHECKPOINT_PASS: baraka.rewards.checkpoint,
+  MISSION_COMPLETE: baraka.rewards.mission,
+  STAGE_COMPLETE: baraka.rewards.stage,
   
   // GPS 101 Baraka
-  GPS_101_CHECKPOINT_PASS: 25,
-  GPS_101_MISSION_COMPLETE: 150,
-  GPS_101_STAGE_COMPLETE: 1000,
-  GPS_101_COURSE_COMPLETE: 5000,
+  GPS_101_CHECKPOINT_PASS: gps101.baraka.checkpoint,
+  GPS_101_MISSION_COMPLETE: gps101.baraka.mission,
+  GPS_101_STAGE_COMPLETE: gps101.baraka.stage,
+  GPS_101_COURSE_COMPLETE: gps101.baraka.course,
   
   // Bonus Baraka
-  PERFECT_CHECKPOINT: 10,
-  FIRST_TRY: 25,
-  HELP_PARTY_MEMBER: 15,
-  GIVE_PRAISE: 5,
-  DAILY_LOGIN: 10,
-  WEEKLY_STREAK: 50,
-  MONTHLY_STREAK: 200,
+  PERFECT_CHECKPOINT: baraka.bonuses.perfectCheckpoint,
+  FIRST_TRY: baraka.bonuses.firstTry,
+  HELP_PARTY_MEMBER: baraka.bonuses.helpPartyMember,
+  GIVE_PRAISE: praise.barakaForGiving,
+  DAILY_LOGIN: baraka.bonuses.dailyLogin,
+  WEEKLY_STREAK: baraka.bonuses.weeklyStreak,
+  MONTHLY_STREAK: baraka.bonuses.monthlyStreak,
   
   // Spending Baraka (Baraka Store)
-  RETRY_RIGHT: 100,
-  PROVISIONAL_RETRY_RIGHT: 50,
-  UNLOCK_ADVENTURE_MISSION: 500,
-  NAVIGATOR_HINT: 25,
-  SKIP_STUDY_MISSION: 200,
-  UNLOCK_SPECIAL_BADGE: 1000,
+  RETRY_RIGHT: baraka.prices.retryRight,
+  PROVISIONAL_RETRY_RIGHT: baraka.prices.provisionalRetryRight,
+  UNLOCK_ADVENTURE_MISSION: baraka.prices.unlockAdventureMission,
+  NAVIGATOR_HINT: baraka.prices.navigatorHint,
+  SKIP_STUDY_MISSION: baraka.prices.skipStudyMission,
+  UNLOCK_SPECIAL_BADGE: baraka.prices.unlockSpecialBadge,
+  
+  // Peer transfers: larger sends ask for confirmation, and what a learner
+  // sends or holds in escrow each day is capped
+  TRANSFER_CONFIRM_ABOVE: baraka.transfers.confirmAbove,
+  DAILY_TRANSFER_LIMIT: baraka.transfers.dailyLimit,
   
   // Beacons (Baraka milestones)
   BEACONS: {
     WHITE: {
-      threshold: 0,
+      threshold: baraka.beacons.white,
       name: 'White Beacon',
       color: '#FFFFFF',
       badge: 'white-beacon',
       description: 'Starting your GPS journey'
     },
     ORANGE: {
-      threshold: 5000,
+      threshold: baraka.beacons.orange,
       name: 'Orange Beacon',
       color: '#FFA500',
       badge: 'orange-beacon',
@@ -97,7 +90,7 @@ export const BARAKA_CONFIG = {
       unlocks: ['GPS Prep enrollment']
     },
     RED: {
-      threshold: 10000,
+      threshold: baraka.beacons.red,
       name: 'Red Beacon',
       color: '#FF0000',
       badge: 'red-beacon',
@@ -105,7 +98,7 @@ export const BARAKA_CONFIG = {
       unlocks: ['GPS Simulation enrollment']
     },
     PURPLE: {
-      threshold: 50000,
+      threshold: baraka.beacons.purple,
       name: 'Purple Beacon',
       color: '#9370DB',
       badge: 'purple-beacon',
@@ -113,30 +106,34 @@ export const BARAKA_CONFIG = {
       unlocks: ['Exclusive mentorship', 'Venture funding opportunities']
     }
   }
-};
+}));
 
 // ==================== PSB (Purpose-Secured Baraka) ====================
 
-export const PSB_CONFIG = {
-  COVENANT_RETURN: 0.5, // 50% returned to covenant economy
-  WITHDRAWAL_FEE: 0.05, // 5% fee on withdrawal
-  MINIMUM_WITHDRAWAL: 1000, // Minimum PSB to withdraw
-  CONVERSION_RATE: 1, // 1 Baraka = 1 PSB
+export const PSB_CONFIG = bindEconomyView({}, ({ psb }) => ({
+  COVENANT_RETURN: psb.covenantReturn, // Share returned to covenant economy
+  WITHDRAWAL_FEE: psb.withdrawalFee, // Fee on withdrawal
+  MINIMUM_WITHDRAWAL: psb.minimumWithdrawal, // Minimum PSB to withdraw
+  CONVERSION_RATE: psb.conversionRate, // PSB per Baraka
   
   // Lockup periods (in days)
   LOCKUP_PERIODS: {
-    SHORT: 30,
-    MEDIUM: 90,
-    LONG: 180
+    SHORT: psb.lockupDays.short,
+    MEDIUM: psb.lockupDays.medium,
+    LONG: psb.lockupDays.long
   },
   
-  // Interest rates based on lockup
+  // Interest rates (APY) based on lockup
   INTEREST_RATES: {
-    SHORT: 0.05,   // 5% APY
-    MEDIUM: 0.10,  // 10% APY
-    LONG: 0.15     // 15% APY
-  }
-};
+    SHORT: psb.interestRates.short,
+    MEDIUM: psb.interestRates.medium,
+    LONG: psb.interestRates.long
+  },
+  
+  // Share of the principal kept when a lockup is ended before it matures;
+  // the interest accrued so far is forfeited too
+  EARLY_UNLOCK_PENALTY: psb.earlyUnlockPenalty
+}));
 
 // ==================== BADGE SYSTEM ====================
 
@@ -251,29 +248,29 @@ export const BADGE_CONFIG = {
 
 // ==================== STUDY SYSTEM (R2R/pR2R) ====================
 
-export const STUDY_CONFIG = {
+export const STUDY_CONFIG = bindEconomyView({}, ({ study }) => ({
   // Retry Rights (R2R)
-  R2R_INITIAL: 3, // Initial R2R per mission
-  R2R_MAX: 5, // Maximum R2R that can be accumulated
-  R2R_EARN_PER_STUDY: 1, // R2R earned per completed study mission
+  R2R_INITIAL: study.r2rInitial, // Initial R2R per mission
+  R2R_MAX: study.r2rMax, // Maximum R2R that can be accumulated
+  R2R_EARN_PER_STUDY: study.r2rEarnPerStudy, // R2R earned per completed study mission
   
   // Provisional Retry Rights (pR2R)
-  PR2R_THRESHOLD: 2, // Checkpoints failed to qualify for pR2R
-  PR2R_MAX: 3, // Maximum pR2R
+  PR2R_THRESHOLD: study.pr2rThreshold, // Checkpoints failed to qualify for pR2R
+  PR2R_MAX: study.pr2rMax, // Maximum pR2R
   PR2R_EARN_CONDITION: 'complete_study', // How to earn pR2R
   
   // Study Mission
-  STUDY_MISSION_DURATION: 30, // minutes
-  STUDY_MISSION_MIN_SCORE: 80, // percentage to pass
+  STUDY_MISSION_DURATION: study.studyMissionDuration, // minutes
+  STUDY_MISSION_MIN_SCORE: study.studyMissionMinScore, // percentage to pass
   
   // GPS 101 Study Config
   GPS_101: {
-    R2R_INITIAL: 3,
-    PR2R_THRESHOLD: 2,
+    R2R_INITIAL: study.r2rInitial,
+    PR2R_THRESHOLD: study.pr2rThreshold,
     STUDY_REQUIRED_FOR_R2R: true,
-    STUDY_DURATION: 30
+    STUDY_DURATION: study.studyMissionDuration
   }
-};
+}));
 
 // ==================== PROGRESSION SYSTEM ====================
 
@@ -371,23 +368,23 @@ export const CELEBRATION_CONFIG = {
 
 // ==================== LEADERBOARD CONFIG ====================
 
-export const LEADERBOARD_CONFIG = {
+export const LEADERBOARD_CONFIG = bindEconomyView({}, ({ leaderboard }) => ({
   TYPES: ['global', 'regional', 'university', 'cohort'],
   TIMEFRAMES: ['daily', 'weekly', 'monthly', 'all-time'],
   METRICS: ['baraka', 'xp', 'missions-completed', 'stages-completed'],
-  PAGE_SIZE: 50,
-  UPDATE_INTERVAL: 300000 // 5 minutes
-};
+  PAGE_SIZE: leaderboard.pageSize,
+  UPDATE_INTERVAL: leaderboard.updateIntervalMinutes * 60 * 1000 // ms
+}));
 
 // ==================== PRAISE ENGINE CONFIG ====================
 
-export const PRAISE_CONFIG = {
-  MAX_DAILY_PRAISE_SENT: 10,
-  MAX_DAILY_PRAISE_RECEIVED: 50,
-  BARAKA_FOR_GIVING: 5,
-  BARAKA_FOR_RECEIVING: 2,
-  XP_FOR_GIVING: 1,
-  XP_FOR_RECEIVING: 2,
+export const PRAISE_CONFIG = bindEconomyView({}, ({ praise }) => ({
+  MAX_DAILY_PRAISE_SENT: praise.maxDailySent,
+  MAX_DAILY_PRAISE_RECEIVED: praise.maxDailyReceived,
+  BARAKA_FOR_GIVING: praise.barakaForGiving,
+  BARAKA_FOR_RECEIVING: praise.barakaForReceiving,
+  XP_FOR_GIVING: praise.xpForGiving,
+  XP_FOR_RECEIVING: praise.xpForReceiving,
   
   CATEGORIES: [
     { id: 'encouragement', name: 'Encouragement', icon: '💪' },
@@ -416,7 +413,7 @@ export const PRAISE_CONFIG = {
       "Unafanya tofauti halisi!"
     ]
   }
-};
+}));
 
 // ==================== PARTY SYSTEM CONFIG ====================
 
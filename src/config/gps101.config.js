@@ -11,6 +11,8 @@
  * Duration: 15 weeks, Solo mode
  */
 
+import { bindEconomyView } from './economy.config';
+
 export const GPS_101_CONFIG = {
   // ==================== COURSE IDENTITY ====================
   courseId: 'GPS_101_BASIC',
@@ -62,31 +64,9 @@ export const GPS_101_CONFIG = {
     descriptionSw: 'Inapatikana kwa kukamilisha GPS 101 Msingi'
   },
   
-  rewards: {
-    checkpoint: {
-      baraka: 5,
-      xp: 5
-    },
-    subMission: {
-      baraka: 25,
-      xp: 0
-    },
-    mission: {
-      baraka: 250,
-      xp: 0
-    },
-    stage: {
-      baraka: 500,
-      xp: 0
-    }
-  },
-  
-  // Calculation breakdown:
-  // Checkpoints: 150 × 5 Baraka = 750
-  // Sub-missions: 30 × 25 Baraka = 750
-  // Missions: 5 × 250 Baraka = 1,250
-  // Stages: 5 × 500 Baraka = 2,500
-  // TOTAL: 750 + 750 + 1,250 + 2,500 = 5,000 Baraka ✓
+  // Reward schedule, from the economy config (economy.config gps101.rewards):
+  // per checkpoint, sub-mission, mission and stage
+  rewards: bindEconomyView({}, ({ gps101 }) => JSON.parse(JSON.stringify(gps101.rewards))),
   
   // ==================== RETRY RIGHTS ====================
   R2R_INITIAL: 3,           // Start with 3 R2R
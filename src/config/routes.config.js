@@ -250,6 +250,18 @@ export const ROUTE_METADATA = {
     description: 'Create your Problem Owner Showcase',
     breadcrumbs: ['Dashboard', 'GPO Call']
   },
+  [AUTHENTICATED_ROUTES.GPO_COMMUNITY]: {
+    title: 'GPO Community',
+    description: 'Validated Problem Showcases',
+    breadcrumbs: ['Dashboard', 'GPO Community']
+  },
+  
+  // Marketplace
+  [AUTHENTICATED_ROUTES.MARKETPLACE]: {
+    title: 'PSB Marketplace',
+    description: 'Trade PSB for Baraka',
+    breadcrumbs: ['Dashboard', 'Marketplace']
+  },
   
   // Portfolio
   [AUTHENTICATED_ROUTES.PORTFOLIO]: {
@@ -24,6 +24,12 @@ import {
   getPendingAction,
   clearPendingAction
 } from '../services/storage/sessionStorage.service';
+import {
+  hasSession,
+  restoreSession,
+  getTokenExpiry,
+  onSessionChange
+} from '../services/session/session.manager';
 
 // =============================================================================
 // INITIAL STATE
@@ -164,10 +170,8 @@ export const AuthProvider = ({ children }) => {
     const initializeAuth = async () => {
       try {
         const storedUser = getItem(STORAGE_KEYS.user);
-        const accessToken = getItem(STORAGE_KEYS.accessToken);
-        const tokenExpiry = getItem(STORAGE_KEYS.tokenExpiry);
         
-        if (!accessToken || !storedUser) {
+        if (!storedUser || !hasSession()) {
           dispatch({
             type: AUTH_ACTIONS.INITIALIZE,
             payload: { user: null, expiresAt: null }
@@ -175,34 +179,23 @@ export const AuthProvider = ({ children }) => {
           return;
         }
         
-        // Check if token is expired
-        const isExpired = tokenExpiry && new Date(tokenExpiry) < new Date();
-        
-        if (isExpired) {
-          // Try to refresh
-          try {
-            const result = await authService.refreshToken();
-            dispatch({
-              type: AUTH_ACTIONS.INITIALIZE,
-              payload: { 
-                user: storedUser, 
-                expiresAt: result.expiresAt 
-              }
-            });
-          } catch (error) {
-            // Refresh failed, log out
-            dispatch({
-              type: AUTH_ACTIONS.INITIALIZE,
-              payload: { user: null, expiresAt: null }
-            });
-          }
-        } else {
-          // Token still valid
+        // The access token lives in memory only: take it from another tab
+        // or refresh it
+        try {
+          const accessToken = await restoreSession();
+          dispatch({
+            type: AUTH_ACTIONS.INITIALIZE,
+            payload: accessToken
+              ? { user: storedUser, expiresAt: getTokenExpiry() }
+              : { user: null, expiresAt: null }
+          });
+        } catch (error) {
+          // Server unreachable; stay signed in and refresh on the next request
           dispatch({
             type: AUTH_ACTIONS.INITIALIZE,
             payload: { 
               user: storedUser, 
-              expiresAt: tokenExpiry 
+              expiresAt: getTokenExpiry() 
             }
           });
         }
@@ -239,6 +232,20 @@ export const AuthProvider = ({ children }) => {
     return unsubscribe;
   }, []);
   
+  // Refreshes in any tab move the session expiry
+  useEffect(() => {
+    const unsubscribe = onSessionChange((change) => {
+      if (change.type === 'refreshed') {
+        dispatch({
+          type: AUTH_ACTIONS.REFRESH_TOKEN,
+          payload: change.expiresAt || getTokenExpiry()
+        });
+      }
+    });
+    
+    return unsubscribe;
+  }, []);
+  
   // ===========================================================================
   // EVENT LISTENERS
   // ===========================================================================
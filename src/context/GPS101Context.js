@@ -17,12 +17,15 @@
  *          getSubMissionsByMissionId all return true/available when the user is
  *          enrolled but no real API has populated Redux state. This unblocks the
  *          entire GPS 101 flow (mission page, checkpoint page) during development.
+ * UPDATED: Stages and missions come from the published curriculum in Redux
+ *          (bundled content until it loads), fetched when the provider mounts.
  */
 
 import React, { createContext, useContext, useState, useEffect, useCallback } from 'react';
 import { useSelector, useDispatch } from 'react-redux';
 import { GPS_101_CONFIG } from '../config/gps101.config';
-import { GPS_101_ALL_MISSIONS } from '../utils/constants/gps101.constants';
+import { fetchGPS101Curriculum } from '../store/slices/gps101Slice';
+import { selectGPS101Stages, selectGPS101Missions } from '../store/selectors/gps101Selectors';
 
 // Create Context
 const GPS101Context = createContext(undefined);
@@ -53,6 +56,10 @@ export const GPS101Provider = ({ children }) => {
     totalXPEarned: 0
   });
 
+  // Curriculum content (published version, bundled until it loads)
+  const allStages = useSelector(selectGPS101Stages);
+  const allMissions = useSelector(selectGPS101Missions);
+
   // Local State
   const [currentStage, setCurrentStage] = useState(1);
   const [currentMission, setCurrentMission] = useState(null);
@@ -133,7 +140,7 @@ export const GPS101Provider = ({ children }) => {
     const totalXPEarned = gps101State.totalXPEarned || 0;
 
     // CORRECTED: 5 total missions, not 30
-    const totalMissions = GPS_101_CONFIG?.TOTAL_MISSIONS || 5;
+    const totalMissions = allMissions.length || GPS_101_CONFIG?.TOTAL_MISSIONS || 5;
     const overallProgress = (completedMissions / totalMissions) * 100;
 
     return {
@@ -145,7 +152,7 @@ export const GPS101Provider = ({ children }) => {
       totalXPEarned,
       overallProgress: Math.round(overallProgress)
     };
-  }, [gps101State]);
+  }, [allMissions, gps101State]);
 
   /**
    * Update progress whenever gps101State changes
@@ -156,29 +163,33 @@ export const GPS101Provider = ({ children }) => {
   }, [gps101State, calculateProgress]);
 
   /**
-   * Initialize stages from config
+   * Load the published curriculum
    */
   useEffect(() => {
-    if (GPS_101_CONFIG?.STAGES) {
-      setStages(GPS_101_CONFIG.STAGES);
-    }
-  }, []);
+    const request = dispatch(fetchGPS101Curriculum());
+    return () => request.abort();
+  }, [dispatch]);
+
+  /**
+   * Keep stages in sync with the curriculum
+   */
+  useEffect(() => {
+    setStages(allStages);
+  }, [allStages]);
 
   /**
    * Get current stage data
    */
   const getCurrentStageData = useCallback(() => {
-    if (!GPS_101_CONFIG?.STAGES) return null;
-    return GPS_101_CONFIG.STAGES.find(stage => stage.stageNumber === currentStage);
-  }, [currentStage]);
+    return allStages.find(stage => stage.stageNumber === currentStage) || null;
+  }, [allStages, currentStage]);
 
   /**
    * Get mission for current stage (CORRECTED: 1 mission per stage)
    */
   const getCurrentStageMission = useCallback(() => {
-    if (!GPS_101_ALL_MISSIONS) return null;
-    return GPS_101_ALL_MISSIONS.find(mission => mission.stageNumber === currentStage);
-  }, [currentStage]);
+    return allMissions.find(mission => mission.stageNumber === currentStage) || null;
+  }, [allMissions, currentStage]);
 
   /**
    * Get sub-missions for current mission
@@ -192,16 +203,14 @@ export const GPS101Provider = ({ children }) => {
    * Get mission by ID
    */
   const getMissionById = useCallback((missionId) => {
-    if (!GPS_101_ALL_MISSIONS) return null;
-    return GPS_101_ALL_MISSIONS.find(mission => mission.missionId === missionId);
-  }, []);
+    return allMissions.find(mission => mission.missionId === missionId) || null;
+  }, [allMissions]);
 
   /**
    * Get sub-mission by ID
    */
   const getSubMissionById = useCallback((subMissionId) => {
-    if (!GPS_101_ALL_MISSIONS) return null;
-    for (const mission of GPS_101_ALL_MISSIONS) {
+    for (const mission of allMissions) {
       if (!mission.subMissions) continue;
       const subMission = mission.subMissions.find(sm => sm.subMissionId === subMissionId);
       if (subMission) {
@@ -209,14 +218,13 @@ export const GPS101Provider = ({ children }) => {
       }
     }
     return null;
-  }, []);
+  }, [allMissions]);
 
   /**
    * Get checkpoint by ID
    */
   const getCheckpointById = useCallback((checkpointId) => {
-    if (!GPS_101_ALL_MISSIONS) return null;
-    for (const mission of GPS_101_ALL_MISSIONS) {
+    for (const mission of allMissions) {
       if (!mission.subMissions) continue;
       for (const subMission of mission.subMissions) {
         if (!subMission.checkpoints) continue;
@@ -227,7 +235,7 @@ export const GPS101Provider = ({ children }) => {
       }
     }
     return null;
-  }, []);
+  }, [allMissions]);
 
   /**
    * NEW: Get stage by number (ADDED TO FIX GPS101StagePage ERROR)
@@ -238,9 +246,7 @@ export const GPS101Provider = ({ children }) => {
    * later stages until the previous stage is completed.
    */
   const getStageByNumber = useCallback((stageNumber) => {
-    if (!GPS_101_CONFIG?.STAGES) return null;
-    
-    const configStage = GPS_101_CONFIG.STAGES.find(s => s.stageNumber === stageNumber);
+    const configStage = allStages.find(s => s.stageNumber === stageNumber);
     if (!configStage) return null;
 
     // Find stage state from Redux (populated when a real API exists)
@@ -265,7 +271,7 @@ export const GPS101Provider = ({ children }) => {
       barakaEarned: stageState?.barakaEarned || 0,
       xpEarned: stageState?.xpEarned || 0
     };
-  }, [gps101State, isUserEnrolled]);
+  }, [allStages, gps101State, isUserEnrolled]);
 
   /**
    * NEW: Get mission by stage number (ADDED TO FIX GPS101StagePage ERROR)
@@ -275,9 +281,7 @@ export const GPS101Provider = ({ children }) => {
    * the stage is 'available' or 'completed', the mission is also 'available'.
    */
   const getMissionByStageNumber = useCallback((stageNumber) => {
-    if (!GPS_101_ALL_MISSIONS) return null;
-    
-    const mission = GPS_101_ALL_MISSIONS.find(m => m.stageNumber === stageNumber);
+    const mission = allMissions.find(m => m.stageNumber === stageNumber);
     if (!mission) return null;
 
     // Find mission state from Redux (populated when a real API exists)
@@ -303,7 +307,7 @@ export const GPS101Provider = ({ children }) => {
       barakaEarned: missionState?.barakaEarned || 0,
       xpEarned: missionState?.xpEarned || 0
     };
-  }, [gps101State, isUserEnrolled, getStageByNumber]);
+  }, [allMissions, gps101State, isUserEnrolled, getStageByNumber]);
 
   /**
    * NEW: Get sub-missions by mission ID (ADDED TO FIX GPS101StagePage ERROR)
@@ -388,11 +392,10 @@ export const GPS101Provider = ({ children }) => {
    */
   const isStageUnlocked = useCallback((stageNumber) => {
     if (stageNumber === 1) return true;
-    if (!GPS_101_ALL_MISSIONS) return false;
     
     // Check if previous stage's mission is completed
     const previousStageNumber = stageNumber - 1;
-    const previousMission = GPS_101_ALL_MISSIONS.find(
+    const previousMission = allMissions.find(
       m => m.stageNumber === previousStageNumber
     );
     
@@ -400,7 +403,7 @@ export const GPS101Provider = ({ children }) => {
 
     const missionState = gps101State?.missions?.find(m => m.missionId === previousMission.missionId);
     return missionState?.status === 'completed';
-  }, [gps101State]);
+  }, [allMissions, gps101State]);
 
   /**
    * Check if mission is unlocked
@@ -438,7 +441,7 @@ export const GPS101Provider = ({ children }) => {
     if (isUserEnrolled) return true;
 
     // With a real API, use sequential unlock logic
-    const mission = GPS_101_ALL_MISSIONS.find(m => 
+    const mission = allMissions.find(m => 
       m.subMissions?.some(sm => sm.subMissionId === subMissionId)
     );
 
@@ -462,7 +465,7 @@ export const GPS101Provider = ({ children }) => {
     );
 
     return previousSubMissionState?.status === 'completed';
-  }, [getSubMissionById, isMissionUnlocked, gps101State, isUserEnrolled]);
+  }, [allMissions, getSubMissionById, isMissionUnlocked, gps101State, isUserEnrolled]);
 
   /**
    * Check if checkpoint is unlocked
@@ -482,7 +485,7 @@ export const GPS101Provider = ({ children }) => {
 
     // With a real API, use sequential unlock logic
     let parentSubMission = null;
-    for (const mission of GPS_101_ALL_MISSIONS) {
+    for (const mission of allMissions) {
       if (!mission.subMissions) continue;
       for (const subMission of mission.subMissions) {
         if (subMission.checkpoints?.some(cp => cp.checkpointId === checkpointId)) {
@@ -512,19 +515,18 @@ export const GPS101Provider = ({ children }) => {
     );
 
     return previousCheckpointState?.status === 'passed';
-  }, [getCheckpointById, isSubMissionUnlocked, gps101State, isUserEnrolled]);
+  }, [allMissions, getCheckpointById, isSubMissionUnlocked, gps101State, isUserEnrolled]);
 
   /**
    * Get deliverable for stage
    */
   const getStageDeliverable = useCallback((stageNumber) => {
-    if (!GPS_101_CONFIG?.STAGES) return null;
-    const stage = GPS_101_CONFIG.STAGES.find(s => s.stageNumber === stageNumber);
+    const stage = allStages.find(s => s.stageNumber === stageNumber);
     if (!stage) return null;
 
     const deliverableId = stage.deliverable;
     return deliverables[deliverableId] || null;
-  }, [deliverables]);
+  }, [allStages, deliverables]);
 
   /**
    * Update deliverable
@@ -540,8 +542,7 @@ export const GPS101Provider = ({ children }) => {
    * Get next uncompleted mission
    */
   const getNextMission = useCallback(() => {
-    if (!GPS_101_ALL_MISSIONS) return null;
-    for (const mission of GPS_101_ALL_MISSIONS) {
+    for (const mission of allMissions) {
       const missionState = gps101State?.missions?.find(m => m.missionId === mission.missionId);
       if (!missionState || missionState.status !== 'completed') {
         if (isMissionUnlocked(mission.missionId)) {
@@ -550,7 +551,7 @@ export const GPS101Provider = ({ children }) => {
       }
     }
     return null;
-  }, [gps101State, isMissionUnlocked]);
+  }, [allMissions, gps101State, isMissionUnlocked]);
 
   /**
    * Get next uncompleted checkpoint in current sub-mission
@@ -576,18 +577,16 @@ export const GPS101Provider = ({ children }) => {
    * Check if GPS 101 is completed
    */
   const isGPS101Completed = useCallback(() => {
-    const totalMissions = GPS_101_CONFIG?.TOTAL_MISSIONS || 5; // CORRECTED: 5 missions
+    const totalMissions = allMissions.length || GPS_101_CONFIG?.TOTAL_MISSIONS || 5; // CORRECTED: 5 missions
     return progress.completedMissions === totalMissions;
-  }, [progress]);
+  }, [allMissions, progress]);
 
   /**
    * Get completion percentage for stage
    */
   const getStageCompletionPercentage = useCallback((stageNumber) => {
-    if (!GPS_101_ALL_MISSIONS) return 0;
-    
     // CORRECTED: 1 mission per stage
-    const stageMission = GPS_101_ALL_MISSIONS.find(m => m.stageNumber === stageNumber);
+    const stageMission = allMissions.find(m => m.stageNumber === stageNumber);
     if (!stageMission) return 0;
     
     const missionState = gps101State?.missions?.find(m => m.missionId === stageMission.missionId);
@@ -604,7 +603,7 @@ export const GPS101Provider = ({ children }) => {
     }).length;
     
     return Math.round((completedSubMissions / stageMission.subMissions.length) * 100);
-  }, [gps101State]);
+  }, [allMissions, gps101State]);
 
   /**
    * Get completion percentage for mission
@@ -669,11 +668,11 @@ export const GPS101Provider = ({ children }) => {
     const badges = [];
 
     // Stage badges
-    for (let i = 1; i <= 5; i++) {
-      if (getStageCompletionPercentage(i) === 100) {
-        badges.push(`GPS101_STAGE_${i}`);
+    allStages.forEach(({ stageNumber }) => {
+      if (getStageCompletionPercentage(stageNumber) === 100) {
+        badges.push(`GPS101_STAGE_${stageNumber}`);
       }
-    }
+    });
 
     // Completion badge
     if (isGPS101Completed()) {
@@ -686,7 +685,7 @@ export const GPS101Provider = ({ children }) => {
     }
 
     return badges;
-  }, [getStageCompletionPercentage, isGPS101Completed, hasOrangeBeacon]);
+  }, [allStages, getStageCompletionPercentage, isGPS101Completed, hasOrangeBeacon]);
 
   /**
    * Get time remaining in weeks
@@ -12,6 +12,7 @@ import { useState, useEffect, useCallback, useMemo } from 'react';
 import authService from '../services/api/auth.service';
 import { getItem, setItem, removeItem, STORAGE_KEYS, subscribe } from '../services/storage/localStorage.service';
 import { getReturnUrl, clearReturnUrl, getPendingAction } from '../services/storage/sessionStorage.service';
+import { hasSession } from '../services/session/session.manager';
 
 // =============================================================================
 // HOOK IMPLEMENTATION
@@ -41,9 +42,8 @@ export const useAuth = () => {
       
       try {
         const storedUser = getItem(STORAGE_KEYS.user);
-        const token = getItem(STORAGE_KEYS.accessToken);
         
-        if (token && storedUser) {
+        if (hasSession() && storedUser) {
           // Validate token is still valid
           const isValid = await authService.validateToken();
           
@@ -0,0 +1,57 @@
+/**
+ * GPS Lab Platform - useCurriculumDraft Hook
+ *
+ * Loads the GPS 101 curriculum version history and opens the current draft
+ * (if there is one) for the admin authoring studio. Also derives the
+ * draft's validation result and its changes against the published version.
+ *
+ * @module hooks/useCurriculumDraft
+ */
+
+import { useEffect, useMemo } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import {
+  fetchCurriculumVersions,
+  openCurriculumDraft
+} from '../store/slices/curriculumSlice';
+import { validateCurriculum } from '../utils/validators/gps101.validator';
+import { diffCurriculum } from '../utils/helpers/curriculum.helper';
+
+/**
+ * useCurriculumDraft Hook
+ */
+const useCurriculumDraft = () => {
+  const dispatch = useDispatch();
+  const { versions, draft, published, isDirty, loading, error } = useSelector(state => state.curriculum);
+
+  const draftVersion = versions.find(v => v.status === 'draft') || null;
+
+  // Load the history once
+  useEffect(() => {
+    dispatch(fetchCurriculumVersions());
+  }, [dispatch]);
+
+  // Open the existing draft unless another one is already open
+  useEffect(() => {
+    if (draftVersion && draft?.versionId !== draftVersion.versionId && !loading.draft && !error.draft) {
+      dispatch(openCurriculumDraft(draftVersion.versionId));
+    }
+  }, [dispatch, draftVersion, draft, loading.draft, error.draft]);
+
+  const validation = useMemo(() => (draft ? validateCurriculum(draft) : null), [draft]);
+  const changes = useMemo(() => (draft && published ? diffCurriculum(published, draft) : []), [draft, published]);
+
+  return {
+    versions,
+    draftVersion,
+    draft,
+    published,
+    isDirty,
+    validation,
+    changes,
+    loading,
+    error
+  };
+};
+
+export default useCurriculumDraft;
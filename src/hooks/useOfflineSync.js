@@ -0,0 +1,52 @@
+/**
+ * GPS Lab Platform - useOfflineSync Hook
+ * 
+ * Custom hook for the offline sync status: connectivity, changes waiting to
+ * sync and conflicts reported when they were replayed.
+ * 
+ * @module hooks/useOfflineSync
+ */
+
+import { useCallback } from 'react';
+import { useSelector } from 'react-redux';
+import {
+  replayQueue,
+  dismissConflict as dismissOfflineConflict
+} from '../services/offline/offline.service';
+
+/**
+ * useOfflineSync Hook
+ */
+const useOfflineSync = () => {
+  const { isOnline, pendingCount, isSyncing, conflicts } = useSelector(state => state.offline);
+
+  /**
+   * Replay queued changes now instead of waiting for the next retry
+   */
+  const syncNow = useCallback(() => replayQueue(), []);
+
+  /**
+   * Dismiss a reported conflict
+   */
+  const dismissConflict = useCallback((id) => {
+    dismissOfflineConflict(id);
+  }, []);
+
+  return {
+    // State
+    isOnline,
+    pendingCount,
+    isSyncing,
+    conflicts,
+    
+    // Actions
+    syncNow,
+    dismissConflict,
+    
+    // Computed
+    hasPendingChanges: pendingCount > 0,
+    hasConflicts: conflicts.length > 0
+  };
+};
+
+export default useOfflineSync;
@@ -0,0 +1,95 @@
+/**
+ * GPS Lab Platform - useUploads Hook
+ *
+ * Follows the resumable uploads for one purpose (e.g. 'gpo:selfie' or a
+ * bite's deliverables) and hands each finished file to `onComplete`. Uploads
+ * outlive the component: one that finishes while the form is closed, or
+ * after a reload, is handed over the next time the form mounts.
+ *
+ * @module hooks/useUploads
+ */
+
+import { useCallback, useEffect, useRef, useState } from 'react';
+import {
+  UPLOAD_STATUS,
+  startUpload,
+  pauseUpload,
+  resumeUpload,
+  removeUpload,
+  findUploads,
+  onUploadChange
+} from '../services/upload/upload.service';
+
+/**
+ * useUploads Hook
+ * @param {Object} options - Hook options
+ * @param {string} options.kind - One of UPLOAD_KINDS
+ * @param {string} options.purpose - What the uploads are for
+ * @param {Function} [options.onComplete] - (upload) => void; the upload is removed from the list afterwards
+ */
+const useUploads = ({ kind, purpose, onComplete } = {}) => {
+  const [uploads, setUploads] = useState(() => findUploads(purpose));
+  const onCompleteRef = useRef(onComplete);
+
+  useEffect(() => {
+    onCompleteRef.current = onComplete;
+  }, [onComplete]);
+
+  useEffect(() => {
+    /**
+     * Hands a completed upload to the owner, who keeps the file from here
+     */
+    const claim = (upload) => {
+      if (!onCompleteRef.current || upload.status !== UPLOAD_STATUS.COMPLETED) return false;
+      onCompleteRef.current(upload);
+      removeUpload(upload.id);
+      return true;
+    };
+
+    findUploads(purpose).forEach(claim);
+    setUploads(findUploads(purpose));
+
+    return onUploadChange((upload) => {
+      if (upload.purpose !== purpose) return;
+      if (!upload.removed && claim(upload)) return;
+
+      setUploads(current => {
+        const others = current.filter(u => u.id !== upload.id);
+        return upload.removed
+          ? others
+          : [...others, upload].sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+      });
+    });
+  }, [purpose]);
+
+  /**
+   * Start uploading a file
+   * @param {File} file - File
+   * @param {Object} [options] - { meta, validation, replace }
+   * @returns {Promise<Object>} The upload
+   * @throws {GPSLabError} VALIDATION_ERROR when the file is not accepted
+   */
+  const start = useCallback((file, options = {}) => startUpload(file, { ...options, kind, purpose }), [kind, purpose]);
+
+  const pause = useCallback((id) => pauseUpload(id), []);
+
+  const resume = useCallback((id) => resumeUpload(id), []);
+
+  const remove = useCallback((id) => removeUpload(id), []);
+
+  return {
+    // State
+    uploads,
+
+    // Actions
+    start,
+    pause,
+    resume,
+    remove,
+
+    // Computed
+    isUploading: uploads.some(u => u.status !== UPLOAD_STATUS.COMPLETED && u.status !== UPLOAD_STATUS.FAILED)
+  };
+};
+
+export default useUploads;
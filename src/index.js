@@ -18,6 +18,10 @@ import './index.css';
 // Performance monitoring (optional)
 import reportWebVitals from './reportWebVitals';
 
+// Offline support
+import * as serviceWorkerRegistration from './serviceWorkerRegistration';
+import { toast } from './components/common/Toast';
+
 /**
  * Strict Mode Wrapper
  * 
@@ -70,13 +74,24 @@ root.render(
 reportWebVitals();
 
 /**
- * Service Worker Registration (Optional)
- * 
- * Uncomment to enable PWA features:
+ * Service Worker Registration
  * 
- * import * as serviceWorkerRegistration from './serviceWorkerRegistration';
- * serviceWorkerRegistration.register();
+ * Caches the app shell and GPS 101 content so the platform opens and stays
+ * usable offline (production builds only). When a new build is deployed it
+ * waits until the student chooses to reload.
  */
+serviceWorkerRegistration.register({
+  onUpdate: (registration) => {
+    toast.info('A new version of GPS Lab is available.', {
+      title: 'Update available',
+      duration: 0,
+      action: {
+        label: 'Reload',
+        onClick: () => serviceWorkerRegistration.applyUpdate(registration)
+      }
+    });
+  }
+});
 
 /**
  * Hot Module Replacement (Development)
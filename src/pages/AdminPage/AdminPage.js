@@ -0,0 +1,75 @@
+/**
+ * GPS Lab Platform - Admin Page
+ *
+ * Entry point for the admin area (`/admin/*`). Renders the admin section
+ * navigation and routes to the admin tools, starting at the dashboard.
+ *
+ * @module pages/AdminPage/AdminPage
+ */
+
+import React, { Suspense, lazy } from 'react';
+import { NavLink, Navigate, Route, Routes } from 'react-router-dom';
+import './AdminPage.css';
+
+// Lazy load admin tools
+const AdminDashboard = lazy(() => import('../../components/admin/AdminDashboard/AdminDashboard'));
+const UserManagement = lazy(() => import('../../components/admin/UserManagement/UserManagement'));
+const UserDetail = lazy(() => import('../../components/admin/UserManagement/UserDetail'));
+const AuditLog = lazy(() => import('../../components/admin/AuditLog/AuditLog'));
+const MissionManagement = lazy(() => import('../../components/admin/MissionManagement/MissionManagement'));
+const MissionEditor = lazy(() => import('../../components/admin/MissionManagement/MissionEditor'));
+const ContentManagement = lazy(() => import('../../components/admin/ContentManagement/ContentManagement'));
+const SystemSettings = lazy(() => import('../../components/admin/SystemSettings/SystemSettings'));
+
+/**
+ * Admin sections shown in the navigation
+ */
+const ADMIN_SECTIONS = [
+  { path: '', label: 'Dashboard', end: true },
+  { path: 'users', label: 'Users' },
+  { path: 'audit', label: 'Audit Log' },
+  { path: 'missions', label: 'Authoring Studio' },
+  { path: 'content', label: 'Content Versions' },
+  { path: 'settings', label: 'Settings' }
+];
+
+/**
+ * AdminPage Component
+ */
+const AdminPage = () => {
+  return (
+    <div className="admin-page">
+      <nav className="admin-page__nav" aria-label="Admin sections">
+        {ADMIN_SECTIONS.map(section => (
+          <NavLink
+            key={section.path}
+            to={section.path}
+            end={section.end}
+            className={({ isActive }) => `admin-page__nav-link ${isActive ? 'admin-page__nav-link--active' : ''}`}
+          >
+            {section.label}
+          </NavLink>
+        ))}
+      </nav>
+
+      <div className="admin-page__content">
+        <Suspense fallback={<p className="admin-page__loading">Loading...</p>}>
+          <Routes>
+            <Route index element={<AdminDashboard />} />
+            <Route path="users" element={<UserManagement />} />
+            <Route path="users/:userId" element={<UserDetail />} />
+            <Route path="audit" element={<AuditLog />} />
+            <Route path="missions" element={<MissionManagement />} />
+            <Route path="missions/create" element={<MissionEditor />} />
+            <Route path="missions/:missionId/edit" element={<MissionEditor />} />
+            <Route path="content" element={<ContentManagement />} />
+            <Route path="settings" element={<SystemSettings />} />
+            <Route path="*" element={<Navigate to="/admin" replace />} />
+          </Routes>
+        </Suspense>
+      </div>
+    </div>
+  );
+};
+
+export default AdminPage;
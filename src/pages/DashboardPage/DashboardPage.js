@@ -6,6 +6,10 @@
  */
 
 import React, { useState, useCallback, useMemo } from 'react';
+import { useSelector } from 'react-redux';
+
+// Selectors
+import { selectCurrentUser, selectDashboardStats } from '../../store/selectors/userSelectors';
 
 // Dashboard Components
 import DashboardOverview from '../../components/dashboard/DashboardOverview/DashboardOverview';
@@ -106,26 +110,34 @@ const MOCK_OBJECTIVES = [
   { id: '5', text: 'Review feedback on last submission', completed: true, reward: 10 }
 ];
 
+// Shared empty default so memoized values stay stable between renders
+const EMPTY = {};
+
 /**
  * DashboardPage Component
  */
 const DashboardPage = ({
-  user = {},
-  stats = {},
+  user,
+  stats = EMPTY,
   wallets = {},
   // GPS 101 Props
   gps101Enrolled = false, 
   gps101CurrentStage = 1,
   gps101Progress = 0,
-  gps101Stats = {},
+  gps101Stats = EMPTY,
   onNavigate,
   className = '',
   ...props
 }) => {
   const [viewMode, setViewMode] = useState('overview'); // overview, map, command
   
+  // Memoized store values; references only change when the slices do
+  const currentUser = useSelector(selectCurrentUser);
+  const storeStats = useSelector(selectDashboardStats);
+  const dashboardUser = user || currentUser || EMPTY;
+  
   /**
-   * Merged stats with defaults
+   * Merged stats: defaults, then store-derived values, then explicit props
    */
   const mergedStats = useMemo(() => ({
     currentStage: 2,
@@ -139,8 +151,9 @@ const DashboardPage = ({
     missionsTrend: 8,
     streakTrend: 2,
     barakaTrend: 12,
+    ...storeStats,
     ...stats
-  }), [stats]);
+  }), [storeStats, stats]);
   
   /**
    * GPS 101 Stats with defaults
@@ -317,7 +330,7 @@ const DashboardPage = ({
         <div className="dashboard-page__overview">
           {/* Stats and Activity with GPS 101 */}
           <DashboardOverview
-            user={user}
+            user={dashboardUser}
             stats={mergedStats}
             activities={allActivities}
             gps101Enrolled={gps101Enrolled}
@@ -363,7 +376,7 @@ const DashboardPage = ({
       {viewMode === 'command' && (
         <div className="dashboard-page__command">
           <CommandCenter
-            user={user}
+            user={dashboardUser}
             currentStage={mergedStats.currentStage}
             currentMission={currentMission}
             objectives={MOCK_OBJECTIVES}
@@ -7,11 +7,12 @@
  * @module pages/GPOCallPage
  */
 
-import React, { useState, useCallback } from 'react';
+import React, { useState, useCallback, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
+import { useDispatch, useSelector } from 'react-redux';
 import GPOCallFlow from '../../components/gpo/GPOCallFlow/GPOCallFlow';
-import { formatForAPISubmission } from '../../utils/formatters/gpo.formatter';
-import { countTotalMediaFiles, estimateReadingTime } from '../../utils/helpers/gpo.helper';
+import { createProject, submitProject, fetchCategories } from '../../store/slices/gpoSlice';
+import { buildShowcaseProject } from '../../utils/helpers/gpo.helper';
 import './GPOCallPage.css';
 
 /**
@@ -19,55 +20,35 @@ import './GPOCallPage.css';
  */
 const GPOCallPage = () => {
   const navigate = useNavigate();
+  const dispatch = useDispatch();
+  const categories = useSelector(state => state.gpo.categories);
   const [isSubmitting, setIsSubmitting] = useState(false);
+  const [submitError, setSubmitError] = useState(null);
+
+  useEffect(() => {
+    dispatch(fetchCategories());
+  }, [dispatch]);
 
   /**
-   * Handle GPO Call completion
+   * Handle GPO Call completion: save the showcase as a GPO project and
+   * submit it for validation
    */
-  const handleComplete = useCallback(async (showcaseData) => {
+  const handleComplete = useCallback(async (showcaseData, details) => {
     setIsSubmitting(true);
+    setSubmitError(null);
     
     try {
-      // Format data for API submission
-      const apiData = formatForAPISubmission(showcaseData);
-      
-      // Get additional metadata
-      const mediaCount = countTotalMediaFiles(showcaseData);
-      const readingTime = estimateReadingTime(showcaseData);
-      
-      console.log('Submitting Problem Showcase:', {
-        ...apiData,
-        metadata: {
-          mediaFiles: mediaCount,
-          estimatedReadingTime: readingTime
-        }
-      });
+      const project = await dispatch(createProject(buildShowcaseProject(showcaseData, details))).unwrap();
+      await dispatch(submitProject(project.id)).unwrap();
       
-      // TODO: Replace with actual API call
-      // const response = await fetch('/api/gpo/showcase', {
-      //   method: 'POST',
-      //   headers: { 'Content-Type': 'application/json' },
-      //   body: JSON.stringify(apiData)
-      // });
-      
-      // Simulate API call
-      await new Promise(resolve => setTimeout(resolve, 2000));
-      
-      // Navigate to success page with showcase data
-      navigate('/gpo-call/success', { 
-        state: { 
-          showcaseData,
-          mediaCount,
-          readingTime
-        } 
-      });
+      // Navigate to success page with the submitted project
+      navigate('/gpo-call/success', { state: { projectId: project.id } });
     } catch (error) {
-      console.error('Failed to submit showcase:', error);
-      alert('Failed to submit. Please try again.');
+      setSubmitError(error.message || 'Failed to submit. Please try again.');
     } finally {
       setIsSubmitting(false);
     }
-  }, [navigate]);
+  }, [dispatch, navigate]);
 
   return (
     <div className="gpo-call-page">
@@ -107,9 +88,16 @@ const GPOCallPage = () => {
 
       {/* Main Content */}
       <div className="gpo-call-page__content">
+        {submitError && (
+          <div className="gpo-call-page__error" role="alert">
+            {submitError}
+          </div>
+        )}
         <GPOCallFlow 
           initialStage={-4}
           onComplete={handleComplete}
+          categories={categories}
+          isSubmitting={isSubmitting}
         />
       </div>
 
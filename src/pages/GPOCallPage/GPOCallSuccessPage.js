@@ -16,7 +16,7 @@ import './GPOCallSuccessPage.css';
 const GPOCallSuccessPage = () => {
   const navigate = useNavigate();
   const location = useLocation();
-  const showcaseData = location.state?.showcaseData;
+  const projectId = location.state?.projectId;
 
   return (
     <div className="gpo-success-page">
@@ -31,11 +31,11 @@ const GPOCallSuccessPage = () => {
         {/* Content */}
         <div className="gpo-success-page__content">
           <h1 className="gpo-success-page__title">
-            🎉 Problem Showcase Created!
+            🎉 Problem Showcase Submitted!
           </h1>
           <p className="gpo-success-page__subtitle">
-            Congratulations! You've successfully created your Problem Showcase. 
-            Your problem is now visible to Global Problem Solvers around the world.
+            Congratulations! You've successfully created your Problem Showcase.
+            Two peers and a mentor will now validate it before it goes live for Global Problem Solvers.
           </p>
 
           {/* Stats */}
@@ -74,9 +74,13 @@ const GPOCallSuccessPage = () => {
               What's Next?
             </h3>
             <ul className="gpo-success-page__steps-list">
+              <li>
+                <span className="gpo-success-page__step-icon">🔍</span>
+                <span>Peers and a mentor check your story and evidence, and may ask for changes</span>
+              </li>
               <li>
                 <span className="gpo-success-page__step-icon">📢</span>
-                <span>Your Problem Showcase is now live on the GPS Lab globe</span>
+                <span>Once validated, your showcase is published to the community feed</span>
               </li>
               <li>
                 <span className="gpo-success-page__step-icon">🔔</span>
@@ -108,7 +112,7 @@ const GPOCallSuccessPage = () => {
 
             <button
               type="button"
-              onClick={() => navigate('/showcase')}
+              onClick={() => navigate(projectId ? `/gpo/showcase/${projectId}` : '/gpo/community')}
               className="gpo-success-page__button gpo-success-page__button--secondary"
             >
               View My Showcase
@@ -0,0 +1,131 @@
+/**
+ * GPS Lab Platform - GPOCommunityPage Component
+ *
+ * The GPO community (`/gpo/community`): the feed of published Problem
+ * Showcases, the showcases waiting for the learner's validation and the
+ * learner's own showcases. The tab is kept in `?tab=`.
+ *
+ * @module pages/GPOCommunityPage/GPOCommunityPage
+ */
+
+import React, { useEffect, useCallback, useMemo } from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import { useDispatch, useSelector } from 'react-redux';
+import { fetchProjects, fetchValidationQueue, fetchCategories } from '../../store/slices/gpoSlice';
+import GPOCommunityFeed from '../../components/gpo/GPOCommunity/GPOCommunityFeed';
+import GPOList from '../../components/gpo/GPOList/GPOList';
+import './GPOCommunityPage.css';
+
+const TABS = [
+  { id: 'feed', label: 'Community Feed' },
+  { id: 'validate', label: 'Validate' },
+  { id: 'mine', label: 'My Showcases' }
+];
+
+/**
+ * GPOCommunityPage Component
+ */
+const GPOCommunityPage = () => {
+  const navigate = useNavigate();
+  const dispatch = useDispatch();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const tab = TABS.some(t => t.id === searchParams.get('tab')) ? searchParams.get('tab') : 'feed';
+
+  const { projects, validationQueue, validatorRole, categories, loading, error } = useSelector(state => state.gpo);
+
+  const myProjects = useMemo(() => projects
+    .filter(p => p.viewer?.isOwner)
+    .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt)), [projects]);
+
+  const loadQueue = useCallback(() => dispatch(fetchValidationQueue()), [dispatch]);
+  const loadMine = useCallback(() => dispatch(fetchProjects()), [dispatch]);
+
+  useEffect(() => {
+    if (categories.length === 0) dispatch(fetchCategories());
+  }, [dispatch, categories.length]);
+
+  useEffect(() => {
+    if (tab === 'validate') loadQueue();
+    if (tab === 'mine') loadMine();
+  }, [tab, loadQueue, loadMine]);
+
+  const handleOpen = useCallback((projectId) => {
+    navigate(`/gpo/showcase/${projectId}`);
+  }, [navigate]);
+
+  return (
+    <div className="gpo-community-page">
+      <header className="gpo-community-page__header">
+        <div>
+          <h1 className="gpo-community-page__title">📢 GPO Community</h1>
+          <p className="gpo-community-page__subtitle">
+            Real problems from real Problem Owners, validated by peers and mentors.
+          </p>
+        </div>
+        <button type="button" onClick={() => navigate('/gpo-call')} className="gpo-community-page__cta">
+          + Share a problem
+        </button>
+      </header>
+
+      <nav className="gpo-community-page__tabs" aria-label="GPO community sections">
+        {TABS.map(t => (
+          <button
+            key={t.id}
+            type="button"
+            onClick={() => setSearchParams(t.id === 'feed' ? {} : { tab: t.id })}
+            aria-current={tab === t.id ? 'page' : undefined}
+            className={`gpo-community-page__tab ${tab === t.id ? 'gpo-community-page__tab--active' : ''}`}
+          >
+            {t.label}
+            {t.id === 'validate' && validationQueue.length > 0 && (
+              <span className="gpo-community-page__count">{validationQueue.length}</span>
+            )}
+          </button>
+        ))}
+      </nav>
+
+      {tab === 'feed' && <GPOCommunityFeed onOpen={handleOpen} />}
+
+      {tab === 'validate' && (
+        <>
+          {validatorRole && (
+            <p className="gpo-community-page__hint">
+              You validate as a <strong>{validatorRole}</strong>. A showcase is published once
+              two peers and one mentor approve it.
+            </p>
+          )}
+          <GPOList
+            projects={validationQueue}
+            categories={categories}
+            onOpen={handleOpen}
+            isLoading={loading.queue}
+            error={error.queue?.message}
+            onRetry={loadQueue}
+            emptyTitle="You're all caught up"
+            emptyMessage="No showcases are waiting for your validation right now."
+          />
+        </>
+      )}
+
+      {tab === 'mine' && (
+        <GPOList
+          projects={myProjects}
+          categories={categories}
+          onOpen={handleOpen}
+          isLoading={loading.list}
+          error={error.list?.message}
+          onRetry={loadMine}
+          emptyTitle="No showcases yet"
+          emptyMessage="Complete a GPO Call to share a problem you live with."
+          emptyAction={(
+            <button type="button" onClick={() => navigate('/gpo-call')} className="gpo-community-page__cta">
+              Start a GPO Call
+            </button>
+          )}
+        />
+      )}
+    </div>
+  );
+};
+
+export default GPOCommunityPage;
@@ -0,0 +1,29 @@
+/**
+ * GPS Lab Platform - GPOShowcasePage Component
+ *
+ * A single Problem Showcase (`/gpo/showcase/:showcaseId`), with its
+ * validation status and, for validators, the validation form.
+ *
+ * @module pages/GPOCommunityPage/GPOShowcasePage
+ */
+
+import React from 'react';
+import { useNavigate, useParams } from 'react-router-dom';
+import GPODetail from '../../components/gpo/GPODetail/GPODetail';
+import './GPOCommunityPage.css';
+
+/**
+ * GPOShowcasePage Component
+ */
+const GPOShowcasePage = () => {
+  const navigate = useNavigate();
+  const { showcaseId } = useParams();
+
+  return (
+    <div className="gpo-community-page">
+      <GPODetail projectId={showcaseId} onBack={() => navigate('/gpo/community')} />
+    </div>
+  );
+};
+
+export default GPOShowcasePage;
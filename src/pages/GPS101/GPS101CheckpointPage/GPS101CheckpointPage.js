@@ -7,20 +7,22 @@
 
 import React, { useEffect, useState } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
+import { useSelector } from 'react-redux';
 import useGPS101 from '../../../hooks/useGPS101';
 import GPS101CheckpointForm from '../../../components/gps101/GPS101Checkpoint/GPS101CheckpointForm';
 import GPS101NavigatorGuide from '../../../components/gps101/GPS101Navigator/GPS101NavigatorGuide';
-// FIX: Import GPS_101_ALL_MISSIONS so we can scan for the parent sub-mission and
-// mission of a checkpoint. Checkpoint objects from the constants file do NOT carry
-// subMissionId or missionId fields, so the previous code
+// FIX: Checkpoint objects in the curriculum do NOT carry subMissionId or
+// missionId fields, so the previous code
 //   getSubMissionById(checkpoint.subMissionId)  →  always null
-// was broken. We resolve the hierarchy by scanning the constants directly.
-import { GPS_101_ALL_MISSIONS } from '../../../utils/constants/gps101.constants';
+// was broken. We resolve the hierarchy by scanning the loaded curriculum.
+import { selectGPS101Curriculum } from '../../../store/selectors/gps101Selectors';
+import { findCheckpoint } from '../../../utils/helpers/curriculum.helper';
 import './GPS101CheckpointPage.css';
 
 const GPS101CheckpointPage = () => {
   const { checkpointId } = useParams();
   const navigate = useNavigate();
+  const curriculum = useSelector(selectGPS101Curriculum);
   const {
     getCheckpointById,
     getSubMissionById,
@@ -42,28 +44,17 @@ const GPS101CheckpointPage = () => {
     initialize();
   }, [initialize]);
 
-  // Get checkpoint from context (scans GPS_101_ALL_MISSIONS internally)
+  // Get checkpoint from context (scans the curriculum internally)
   const checkpoint = getCheckpointById(checkpointId);
 
-  // FIX: checkpoint objects in gps101.constants do NOT have subMissionId or missionId
-  // fields, so `getSubMissionById(checkpoint.subMissionId)` always returned null,
-  // breaking breadcrumbs, navigator guidance, sub-mission progress display, and
-  // the "continue to next checkpoint" navigation. We now scan GPS_101_ALL_MISSIONS
-  // directly to find the parent sub-mission and mission for any given checkpoint ID.
-  let subMission = null;
-  let mission = null;
-  if (checkpoint && GPS_101_ALL_MISSIONS) {
-    outer: for (const m of GPS_101_ALL_MISSIONS) {
-      if (!m.subMissions) continue;
-      for (const sm of m.subMissions) {
-        if (sm.checkpoints?.some(cp => cp.checkpointId === checkpointId)) {
-          subMission = sm;
-          mission = m;
-          break outer;
-        }
-      }
-    }
-  }
+  // FIX: checkpoint objects do NOT have subMissionId or missionId fields, so
+  // `getSubMissionById(checkpoint.subMissionId)` always returned null, breaking
+  // breadcrumbs, navigator guidance, sub-mission progress display, and the
+  // "continue to next checkpoint" navigation. We now look the checkpoint up in
+  // the curriculum to find its parent sub-mission and mission.
+  const placement = checkpoint ? findCheckpoint(curriculum, checkpointId) : null;
+  const subMission = placement?.subMission || null;
+  const mission = placement?.mission || null;
 
   const isUnlocked = checkpoint ? isCheckpointUnlocked(checkpointId) : false;
   
@@ -8,12 +8,14 @@
 
 import React, { useEffect, useState } from 'react';
 import { useNavigate } from 'react-router-dom';
+import { useSelector } from 'react-redux';
 import useGPS101 from '../../../hooks/useGPS101';
 import GPS101StageMap from '../../../components/gps101/GPS101StageMap/GPS101StageMap';
 import GPS101ProgressWidget from '../../../components/gps101/GPS101Progress/GPS101ProgressWidget';
 import WeeklyProgressBar from '../../../components/gps101/GPS101Progress/WeeklyProgressBar';
 import GPS101NavigatorGuide from '../../../components/gps101/GPS101Navigator/GPS101NavigatorGuide';
 import { GPS_101_CONFIG } from '../../../config/gps101.config';
+import { selectGPS101Stages, selectGPS101Totals } from '../../../store/selectors/gps101Selectors';
 import './GPS101Page.css';
 
 const GPS101Page = () => {
@@ -32,6 +34,8 @@ const GPS101Page = () => {
     getWeeksRemaining,
     loading
   } = useGPS101();
+  const curriculumStages = useSelector(selectGPS101Stages);
+  const curriculumTotals = useSelector(selectGPS101Totals);
 
   const [isEnrolling, setIsEnrolling] = useState(false);
   const [showEnrollmentModal, setShowEnrollmentModal] = useState(false);
@@ -58,11 +62,11 @@ const GPS101Page = () => {
   const safeConfig = {
     DELIVERABLES: GPS_101_CONFIG.DELIVERABLES || [],
     PREREQUISITES: GPS_101_CONFIG.PREREQUISITES || [],
-    STAGES: GPS_101_CONFIG.STAGES || [],
-    TOTAL_STAGES: GPS_101_CONFIG.TOTAL_STAGES || 5,
-    TOTAL_MISSIONS: GPS_101_CONFIG.TOTAL_MISSIONS || 5,
-    TOTAL_SUB_MISSIONS: GPS_101_CONFIG.TOTAL_SUB_MISSIONS || 30,
-    TOTAL_CHECKPOINTS: GPS_101_CONFIG.TOTAL_CHECKPOINTS || 150,
+    STAGES: curriculumStages,
+    TOTAL_STAGES: curriculumTotals.stages || GPS_101_CONFIG.TOTAL_STAGES || 5,
+    TOTAL_MISSIONS: curriculumTotals.missions || GPS_101_CONFIG.TOTAL_MISSIONS || 5,
+    TOTAL_SUB_MISSIONS: curriculumTotals.subMissions || GPS_101_CONFIG.TOTAL_SUB_MISSIONS || 30,
+    TOTAL_CHECKPOINTS: curriculumTotals.checkpoints || GPS_101_CONFIG.TOTAL_CHECKPOINTS || 150,
     TOTAL_BARAKA: GPS_101_CONFIG.TOTAL_BARAKA || 5000,
     DURATION_WEEKS: GPS_101_CONFIG.DURATION_WEEKS || 15
   };
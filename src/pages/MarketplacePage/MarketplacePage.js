@@ -0,0 +1,269 @@
+/**
+ * GPS Lab Platform - MarketplacePage Component
+ *
+ * The PSB marketplace (`/marketplace`): price candles, the live order
+ * book and recent trades, the learner's open orders, an order form, their
+ * PSB wallet and staking positions, their PSB history and withdrawals of
+ * PSB to Baraka. The book is refreshed every few seconds, and after every
+ * order, cancellation and withdrawal.
+ *
+ * @module pages/MarketplacePage/MarketplacePage
+ */
+
+import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import {
+  fetchPSBMarket,
+  fetchPSBCandles,
+  fetchPSBWallet,
+  fetchPSBOrders,
+  fetchPSBHistory,
+  placePSBOrder,
+  cancelPSBOrder,
+  withdrawPSB,
+  fetchPSBStakes,
+  fetchPSBStake,
+  stakePSB,
+  unlockPSBStake,
+  clearPSBMarketError
+} from '../../store/slices/psbMarketSlice';
+import { calculateWithdrawal } from '../../utils/helpers/psb.market';
+import { validatePSBWithdrawal } from '../../utils/validators/psb.validator';
+import PSBMarketplace from '../../components/psb/PSBMarketplace/PSBMarketplace';
+import PSBTradeForm from '../../components/psb/PSBTrade/PSBTradeForm';
+import PSBTransactionList from '../../components/psb/PSBTransactions/PSBTransactionList';
+import PSBWallet from '../../components/psb/PSBWallet/PSBWallet';
+import PSBStaking from '../../components/psb/PSBStaking/PSBStaking';
+import { Modal } from '../../components/common/Modal';
+import './MarketplacePage.css';
+
+const REFRESH_INTERVAL = 15 * 1000;
+
+/**
+ * MarketplacePage Component
+ */
+const MarketplacePage = () => {
+  const dispatch = useDispatch();
+  const {
+    depth,
+    stats,
+    recentTrades,
+    candles,
+    wallet,
+    orders,
+    history,
+    staking,
+    loading,
+    error
+  } = useSelector(state => state.psbMarket);
+
+  // The order being drafted; null while the form is closed
+  const [draft, setDraft] = useState(null);
+  const [withdrawAmount, setWithdrawAmount] = useState('');
+  const [withdrawError, setWithdrawError] = useState(null);
+
+  const [candleInterval, setCandleInterval] = useState(candles.interval);
+  const stakingRef = useRef(null);
+  const historyRef = useRef(null);
+
+  const refresh = useCallback(() => {
+    dispatch(fetchPSBMarket());
+    dispatch(fetchPSBCandles({ interval: candleInterval }));
+    dispatch(fetchPSBOrders({ limit: 50 }));
+    dispatch(fetchPSBHistory());
+  }, [dispatch, candleInterval]);
+
+  useEffect(() => {
+    dispatch(fetchPSBWallet());
+    dispatch(fetchPSBStakes());
+  }, [dispatch]);
+
+  useEffect(() => {
+    refresh();
+    const timer = setInterval(() => {
+      dispatch(fetchPSBMarket());
+      dispatch(fetchPSBCandles({ interval: candleInterval }));
+    }, REFRESH_INTERVAL);
+    return () => clearInterval(timer);
+  }, [dispatch, refresh, candleInterval]);
+
+  const handleCreateOrder = useCallback((prefill = {}) => {
+    dispatch(clearPSBMarketError('order'));
+    setDraft(prefill);
+  }, [dispatch]);
+
+  const handleSubmitOrder = useCallback(async (order) => {
+    const result = await dispatch(placePSBOrder(order));
+    if (placePSBOrder.fulfilled.match(result)) {
+      setDraft(null);
+      refresh();
+    }
+  }, [dispatch, refresh]);
+
+  const handleCancelOrder = useCallback(async (order) => {
+    const result = await dispatch(cancelPSBOrder(order.id));
+    if (cancelPSBOrder.fulfilled.match(result)) refresh();
+  }, [dispatch, refresh]);
+
+  const handleStake = useCallback(async (data) => {
+    const result = await dispatch(stakePSB(data));
+    return stakePSB.fulfilled.match(result);
+  }, [dispatch]);
+
+  const handleUnlockStake = useCallback((stake) => dispatch(unlockPSBStake(stake.id)), [dispatch]);
+
+  // Schedules are fetched each time one is opened, as active ones grow daily
+  const handleViewSchedule = useCallback((stake) => dispatch(fetchPSBStake(stake.id)), [dispatch]);
+
+  const handleWalletAction = useCallback((actionId) => {
+    if (actionId === 'trade') handleCreateOrder();
+    else if (actionId === 'stake') stakingRef.current?.scrollIntoView({ behavior: 'smooth' });
+    else if (actionId === 'history') historyRef.current?.scrollIntoView({ behavior: 'smooth' });
+    else window.scrollTo({ top: 0, behavior: 'smooth' });
+  }, [handleCreateOrder]);
+
+  const available = wallet?.available || 0;
+  const quote = useMemo(() => calculateWithdrawal(parseInt(withdrawAmount, 10) || 0), [withdrawAmount]);
+
+  const handleWithdraw = useCallback(async (e) => {
+    e.preventDefault();
+    const { valid, errors } = validatePSBWithdrawal(parseInt(withdrawAmount, 10), available);
+    if (!valid) {
+      setWithdrawError(errors.amount);
+      return;
+    }
+    const result = await dispatch(withdrawPSB(parseInt(withdrawAmount, 10)));
+    if (withdrawPSB.fulfilled.match(result)) {
+      setWithdrawAmount('');
+      refresh();
+    }
+  }, [dispatch, withdrawAmount, available, refresh]);
+
+  return (
+    <div className="marketplace-page">
+      {error.market && (
+        <div className="marketplace-page__error" role="alert">
+          {error.market.message}
+          <button type="button" onClick={refresh}>Retry</button>
+        </div>
+      )}
+      {error.cancel && (
+        <div className="marketplace-page__error" role="alert">{error.cancel.message}</div>
+      )}
+
+      <PSBMarketplace
+        depth={depth}
+        stats={stats}
+        recentTrades={recentTrades}
+        candles={candles.items}
+        candleInterval={candles.interval}
+        onCandleIntervalChange={setCandleInterval}
+        orders={orders}
+        userBalance={wallet?.baraka || 0}
+        userPSBBalance={available}
+        seller={wallet?.seller}
+        onCreateOrder={handleCreateOrder}
+        onCancelOrder={handleCancelOrder}
+        isLoading={loading.market && !stats}
+      />
+
+      <div className="marketplace-page__columns marketplace-page__columns--staking">
+        <PSBWallet
+          balance={available}
+          lockedBalance={wallet?.locked || 0}
+          stakedBalance={wallet?.staked || 0}
+          stakes={staking.stakes}
+          marketValue={wallet?.marketValue || 0}
+          showMarketData={false}
+          onAction={handleWalletAction}
+        />
+        <div ref={stakingRef}>
+          <PSBStaking
+            terms={staking.terms}
+            stakes={staking.stakes}
+            summary={staking.summary}
+            earlyUnlockPenalty={staking.earlyUnlockPenalty}
+            available={available}
+            schedules={staking.schedules}
+            onStake={handleStake}
+            onUnlock={handleUnlockStake}
+            onViewSchedule={handleViewSchedule}
+            isSubmitting={loading.stake}
+            isUnlocking={loading.unlock}
+            submitError={error.stake?.message}
+            unlockError={error.unlock?.message}
+          />
+        </div>
+      </div>
+
+      <div className="marketplace-page__columns">
+        <div ref={historyRef}>
+          <PSBTransactionList
+            transactions={history}
+            isLoading={loading.history && history.length === 0}
+            className="marketplace-page__history"
+          />
+        </div>
+
+        <form className="marketplace-page__withdraw" onSubmit={handleWithdraw}>
+          <h3 className="marketplace-page__withdraw-title">🪙 Withdraw to Baraka</h3>
+          <p className="marketplace-page__withdraw-hint">
+            At least {quote.minimum.toLocaleString()} PSB. A {quote.amount ? quote.fee.toLocaleString() : '5%'} PSB
+            fee is taken from what you withdraw.
+          </p>
+          <label className="marketplace-page__withdraw-label" htmlFor="psb-withdraw-amount">
+            Amount (PSB) · {available.toLocaleString()} available
+          </label>
+          <input
+            id="psb-withdraw-amount"
+            type="text"
+            inputMode="numeric"
+            value={withdrawAmount}
+            onChange={(e) => {
+              setWithdrawAmount(e.target.value.replace(/[^0-9]/g, ''));
+              setWithdrawError(null);
+            }}
+            placeholder="0"
+            className="marketplace-page__withdraw-input"
+          />
+          {quote.amount > 0 && (
+            <p className="marketplace-page__withdraw-quote">
+              You receive {quote.baraka.toLocaleString()} 🪙
+            </p>
+          )}
+          {(withdrawError || error.withdraw) && (
+            <span className="marketplace-page__withdraw-error">{withdrawError || error.withdraw.message}</span>
+          )}
+          <button
+            type="submit"
+            className="marketplace-page__withdraw-btn"
+            disabled={!withdrawAmount || loading.withdraw}
+          >
+            {loading.withdraw ? 'Withdrawing...' : 'Withdraw'}
+          </button>
+        </form>
+      </div>
+
+      <Modal isOpen={draft !== null} onClose={() => setDraft(null)} title="Create Order">
+        {draft !== null && (
+          <PSBTradeForm
+            currentPrice={stats?.lastPrice}
+            stats={stats}
+            candles={candles.items}
+            candleInterval={candles.interval}
+            userBalance={wallet?.baraka || 0}
+            userPSBBalance={available}
+            sellerCommission={wallet?.seller?.commission || 0}
+            initialOrder={draft}
+            submitError={error.order?.message}
+            onSubmit={handleSubmitOrder}
+            onCancel={() => setDraft(null)}
+            isSubmitting={loading.order}
+          />
+        )}
+      </Modal>
+    </div>
+  );
+};
+
+export default MarketplacePage;
@@ -0,0 +1,66 @@
+/**
+ * GPS Lab Platform - University Portal Page
+ *
+ * Entry point for the university partner portal (`/university/*`).
+ * Renders the portal navigation and routes to the dashboard, cohorts,
+ * individual students' progress and cohort reports.
+ *
+ * @module pages/UniversityPortalPage/UniversityPortalPage
+ */
+
+import React, { Suspense, lazy } from 'react';
+import { NavLink, Navigate, Route, Routes } from 'react-router-dom';
+import './UniversityPortalPage.css';
+
+// Lazy load portal tools
+const UniversityDashboard = lazy(() => import('../../components/university/UniversityDashboard/UniversityDashboard'));
+const CohortList = lazy(() => import('../../components/university/CohortManagement/CohortList'));
+const CohortDetail = lazy(() => import('../../components/university/CohortManagement/CohortDetail'));
+const StudentProgressTracker = lazy(() => import('../../components/university/StudentProgress/StudentProgressTracker'));
+const ReportGenerator = lazy(() => import('../../components/university/UniversityReports/ReportGenerator'));
+
+/**
+ * Portal sections shown in the navigation
+ */
+const PORTAL_SECTIONS = [
+  { path: '', label: 'Dashboard', end: true },
+  { path: 'cohorts', label: 'Cohorts' },
+  { path: 'reports', label: 'Reports' }
+];
+
+/**
+ * UniversityPortalPage Component
+ */
+const UniversityPortalPage = () => {
+  return (
+    <div className="university-portal-page">
+      <nav className="university-portal-page__nav" aria-label="University portal sections">
+        {PORTAL_SECTIONS.map(section => (
+          <NavLink
+            key={section.path}
+            to={section.path}
+            end={section.end}
+            className={({ isActive }) => `university-portal-page__nav-link ${isActive ? 'university-portal-page__nav-link--active' : ''}`}
+          >
+            {section.label}
+          </NavLink>
+        ))}
+      </nav>
+
+      <div className="university-portal-page__content">
+        <Suspense fallback={<p className="university-portal-page__loading">Loading...</p>}>
+          <Routes>
+            <Route index element={<UniversityDashboard />} />
+            <Route path="cohorts" element={<CohortList />} />
+            <Route path="cohorts/:cohortId" element={<CohortDetail />} />
+            <Route path="cohorts/:cohortId/students/:studentId" element={<StudentProgressTracker />} />
+            <Route path="reports" element={<ReportGenerator />} />
+            <Route path="*" element={<Navigate to="/university" replace />} />
+          </Routes>
+        </Suspense>
+      </div>
+    </div>
+  );
+};
+
+export default UniversityPortalPage;
@@ -14,7 +14,14 @@ import { RouteLoadingFallback, PlaceholderPage } from './PublicRoutes';
 import './AdminRoutes.css';
 
 // Lazy load admin pages
-const AdminDashboard = lazy(() => import('../pages/AdminPage/AdminPage'));
+const AdminDashboard = lazy(() => import('../components/admin/AdminDashboard/AdminDashboard'));
+const UserManagement = lazy(() => import('../components/admin/UserManagement/UserManagement'));
+const UserDetail = lazy(() => import('../components/admin/UserManagement/UserDetail'));
+const AuditLogs = lazy(() => import('../components/admin/AuditLog/AuditLog'));
+const MissionManagement = lazy(() => import('../components/admin/MissionManagement/MissionManagement'));
+const MissionEditor = lazy(() => import('../components/admin/MissionManagement/MissionEditor'));
+const ContentManagement = lazy(() => import('../components/admin/ContentManagement/ContentManagement'));
+const SystemSettings = lazy(() => import('../components/admin/SystemSettings/SystemSettings'));
 
 /**
  * Admin route configuration
@@ -184,9 +191,9 @@ export const ADMIN_ROUTES = [
     path: '/admin/settings',
     element: 'SystemSettings',
     title: 'System Settings',
-    description: 'Platform settings',
+    description: 'Game economy settings',
     icon: 'settings',
-    requiredRoles: ['super_admin'],
+    requiredRoles: ['admin', 'super_admin'],
     breadcrumbs: [
       { label: 'Admin', href: '/admin' },
       { label: 'Settings', href: '/admin/settings' }
@@ -226,9 +233,9 @@ export const ADMIN_ROUTES = [
     path: '/admin/audit',
     element: 'AuditLogs',
     title: 'Audit Logs',
-    description: 'View system audit logs',
+    description: 'View and export the admin audit log',
     icon: 'audit',
-    requiredRoles: ['super_admin'],
+    requiredRoles: ['admin', 'super_admin'],
     breadcrumbs: [
       { label: 'Admin', href: '/admin' },
       { label: 'Audit', href: '/admin/audit' }
@@ -242,21 +249,21 @@ export const ADMIN_ROUTES = [
 const getAdminRouteComponent = (elementName) => {
   const components = {
     AdminDashboard,
+    MissionManagement,
+    MissionEditor,
+    ContentManagement,
+    UserManagement,
+    UserDetail,
+    AuditLogs,
+    SystemSettings,
     // Placeholder for pages not yet implemented
-    UserManagement: () => <PlaceholderPage title="User Management" />,
-    UserDetail: () => <PlaceholderPage title="User Details" />,
-    MissionManagement: () => <PlaceholderPage title="Mission Management" />,
-    MissionEditor: () => <PlaceholderPage title="Mission Editor" />,
     StageManagement: () => <PlaceholderPage title="Stage Management" />,
-    ContentManagement: () => <PlaceholderPage title="Content Management" />,
     GPOManagement: () => <PlaceholderPage title="GPO Management" />,
     UniversityManagement: () => <PlaceholderPage title="University Management" />,
     AdminAnalytics: () => <PlaceholderPage title="Analytics" />,
     AdminReports: () => <PlaceholderPage title="Reports" />,
-    SystemSettings: () => <PlaceholderPage title="System Settings" />,
     BarakaManagement: () => <PlaceholderPage title="Baraka Economy" />,
-    PSBManagement: () => <PlaceholderPage title="PSB Management" />,
-    AuditLogs: () => <PlaceholderPage title="Audit Logs" />
+    PSBManagement: () => <PlaceholderPage title="PSB Management" />
   };
   
   return components[elementName] || (() => <PlaceholderPage title={elementName} />);
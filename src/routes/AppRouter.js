@@ -49,6 +49,11 @@ const GPS101CheckpointPage = lazy(() => import('../pages/GPS101/GPS101Checkpoint
 // GPO Call
 const GPOCallPage = lazy(() => import('../pages/GPOCallPage/GPOCallPage'));
 const GPOCallSuccessPage = lazy(() => import('../pages/GPOCallPage/GPOCallSuccessPage'));
+const GPOCommunityPage = lazy(() => import('../pages/GPOCommunityPage/GPOCommunityPage'));
+const GPOShowcasePage = lazy(() => import('../pages/GPOCommunityPage/GPOShowcasePage'));
+
+// Marketplace
+const MarketplacePage = lazy(() => import('../pages/MarketplacePage/MarketplacePage'));
 
 // Projects
 const ProjectsPage = lazy(() => import('../pages/ProjectsPage/ProjectsPage'));
@@ -231,6 +236,24 @@ const AppRouter = (props) => {
             </Protected>
           } />
 
+          <Route path={AUTHENTICATED_ROUTES.GPO_COMMUNITY} element={
+            <Protected>
+              <DashboardLayout {...props}><GPOCommunityPage /></DashboardLayout>
+            </Protected>
+          } />
+
+          <Route path={AUTHENTICATED_ROUTES.GPO_SHOWCASE} element={
+            <Protected>
+              <DashboardLayout {...props}><GPOShowcasePage /></DashboardLayout>
+            </Protected>
+          } />
+
+          <Route path={AUTHENTICATED_ROUTES.MARKETPLACE} element={
+            <Protected>
+              <DashboardLayout {...props}><MarketplacePage /></DashboardLayout>
+            </Protected>
+          } />
+
           {/* ==================== OTHER ROUTES ==================== */}
 
           <Route path={AUTHENTICATED_ROUTES.PROJECTS} element={
@@ -36,6 +36,8 @@ const HelpPage = lazy(() => import('../pages/HelpPage/HelpPage'));
 // GPO Call pages
 const GPOCallPage = lazy(() => import('../pages/GPOCallPage/GPOCallPage'));
 const GPOCallSuccessPage = lazy(() => import('../pages/GPOCallPage/GPOCallSuccessPage'));
+const GPOCommunityPage = lazy(() => import('../pages/GPOCommunityPage/GPOCommunityPage'));
+const GPOShowcasePage = lazy(() => import('../pages/GPOCommunityPage/GPOShowcasePage'));
 
 // GPS 101 pages - Use actual paths, fallback to placeholders
 const GPS101Page = lazy(() => import('../pages/GPS101/GPS101Page/GPS101Page').catch(() => ({ 
@@ -212,6 +214,29 @@ export const PRIVATE_ROUTES = [
       { label: 'Success', href: '/gpo-call/success' }
     ] 
   },
+  { 
+    path: '/gpo/community', 
+    element: 'GPOCommunityPage', 
+    title: 'GPO Community', 
+    description: 'Browse and validate problem showcases', 
+    icon: 'gpo-call', 
+    showInNav: true, 
+    breadcrumbs: [
+      { label: 'Dashboard', href: '/dashboard' }, 
+      { label: 'GPO Community', href: '/gpo/community' }
+    ] 
+  },
+  { 
+    path: '/gpo/showcase/:showcaseId', 
+    element: 'GPOShowcasePage', 
+    title: 'Problem Showcase', 
+    description: 'View a problem showcase', 
+    breadcrumbs: [
+      { label: 'Dashboard', href: '/dashboard' }, 
+      { label: 'GPO Community', href: '/gpo/community' }, 
+      { label: 'Showcase', href: '' }
+    ] 
+  },
   
   // ==================== MISSION ROUTES ====================
   { 
@@ -522,6 +547,8 @@ const getPrivateRouteComponent = (elementName) => {
     // GPO Call Components
     GPOCallPage,
     GPOCallSuccessPage,
+    GPOCommunityPage,
+    GPOShowcasePage,
     // Regular Components
     MissionsPage,
     MissionDetailPage,
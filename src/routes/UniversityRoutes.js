@@ -15,6 +15,10 @@ import './UniversityRoutes.css';
 
 // Lazy load university pages
 const UniversityPortalPage = lazy(() => import('../pages/UniversityPortalPage/UniversityPortalPage'));
+const CohortList = lazy(() => import('../components/university/CohortManagement/CohortList'));
+const CohortDetail = lazy(() => import('../components/university/CohortManagement/CohortDetail'));
+const StudentProgressTracker = lazy(() => import('../components/university/StudentProgress/StudentProgressTracker'));
+const ReportGenerator = lazy(() => import('../components/university/UniversityReports/ReportGenerator'));
 
 /**
  * University route configuration
@@ -27,7 +31,7 @@ export const UNIVERSITY_ROUTES = [
     title: 'University Portal',
     description: 'University administration portal',
     icon: 'university',
-    requiredRoles: ['university_admin', 'professor', 'teaching_assistant', 'admin', 'super_admin'],
+    requiredRoles: ['university', 'university_admin', 'professor', 'teaching_assistant', 'admin', 'super_admin'],
     breadcrumbs: [{ label: 'University', href: '/university' }]
   },
   
@@ -38,7 +42,7 @@ export const UNIVERSITY_ROUTES = [
     title: 'Cohorts',
     description: 'Manage student cohorts',
     icon: 'cohorts',
-    requiredRoles: ['university_admin', 'professor', 'admin', 'super_admin'],
+    requiredRoles: ['university', 'university_admin', 'professor', 'admin', 'super_admin'],
     breadcrumbs: [
       { label: 'University', href: '/university' },
       { label: 'Cohorts', href: '/university/cohorts' }
@@ -61,13 +65,25 @@ export const UNIVERSITY_ROUTES = [
     element: 'CohortDetail',
     title: 'Cohort Details',
     description: 'View cohort details',
-    requiredRoles: ['university_admin', 'professor', 'teaching_assistant', 'admin', 'super_admin'],
+    requiredRoles: ['university', 'university_admin', 'professor', 'teaching_assistant', 'admin', 'super_admin'],
     breadcrumbs: [
       { label: 'University', href: '/university' },
       { label: 'Cohorts', href: '/university/cohorts' },
       { label: 'Cohort', href: '' }
     ]
   },
+  {
+    path: '/university/cohorts/:cohortId/students/:studentId',
+    element: 'CohortStudent',
+    title: 'Student Progress',
+    description: 'GPS 101 progress of a cohort student',
+    requiredRoles: ['university', 'university_admin', 'professor', 'teaching_assistant', 'admin', 'super_admin'],
+    breadcrumbs: [
+      { label: 'University', href: '/university' },
+      { label: 'Cohorts', href: '/university/cohorts' },
+      { label: 'Student', href: '' }
+    ]
+  },
   {
     path: '/university/cohorts/:cohortId/edit',
     element: 'CohortEdit',
@@ -164,7 +180,7 @@ export const UNIVERSITY_ROUTES = [
     title: 'Reports',
     description: 'Generate reports',
     icon: 'reports',
-    requiredRoles: ['university_admin', 'professor', 'admin', 'super_admin'],
+    requiredRoles: ['university', 'university_admin', 'professor', 'admin', 'super_admin'],
     breadcrumbs: [
       { label: 'University', href: '/university' },
       { label: 'Reports', href: '/university/reports' }
@@ -175,7 +191,7 @@ export const UNIVERSITY_ROUTES = [
     element: 'ReportGenerator',
     title: 'Generate Report',
     description: 'Create a new report',
-    requiredRoles: ['university_admin', 'professor', 'admin', 'super_admin'],
+    requiredRoles: ['university', 'university_admin', 'professor', 'admin', 'super_admin'],
     breadcrumbs: [
       { label: 'University', href: '/university' },
       { label: 'Reports', href: '/university/reports' },
@@ -268,10 +284,13 @@ export const UNIVERSITY_ROUTES = [
 const getUniversityRouteComponent = (elementName) => {
   const components = {
     UniversityDashboard: UniversityPortalPage,
+    CohortList,
+    CohortDetail,
+    CohortStudent: StudentProgressTracker,
+    UniversityReports: ReportGenerator,
+    ReportGenerator,
     // Placeholder for pages not yet implemented
-    CohortList: () => <PlaceholderPage title="Cohorts" />,
     CohortCreate: () => <PlaceholderPage title="Create Cohort" />,
-    CohortDetail: () => <PlaceholderPage title="Cohort Details" />,
     CohortEdit: () => <PlaceholderPage title="Edit Cohort" />,
     StudentList: () => <PlaceholderPage title="Students" />,
     StudentDetail: () => <PlaceholderPage title="Student Profile" />,
@@ -279,8 +298,6 @@ const getUniversityRouteComponent = (elementName) => {
     ProgressOverview: () => <PlaceholderPage title="Progress Tracking" />,
     CohortProgress: () => <PlaceholderPage title="Cohort Progress" />,
     UniversityAnalytics: () => <PlaceholderPage title="Analytics" />,
-    UniversityReports: () => <PlaceholderPage title="Reports" />,
-    ReportGenerator: () => <PlaceholderPage title="Generate Report" />,
     AssignmentList: () => <PlaceholderPage title="Assignments" />,
     AssignmentCreate: () => <PlaceholderPage title="Create Assignment" />,
     AssignmentDetail: () => <PlaceholderPage title="Assignment Details" />,
@@ -0,0 +1,198 @@
+/* eslint-disable no-restricted-globals */
+
+/**
+ * GPS Lab Platform - Service Worker
+ *
+ * Keeps the platform usable on the intermittent connections many students
+ * have:
+ * - Precaches the app shell (every file the build emits) and answers
+ *   navigations with index.html, so the app opens offline
+ * - Caches GPS 101 content and the platform's sounds up front, and the
+ *   GPS 101 videos as they are played
+ * - Relays background sync to open tabs, which own the offline request queue
+ *
+ * A new build waits until the page asks it to take over (see
+ * `applyUpdate` in serviceWorkerRegistration).
+ *
+ * @module service-worker
+ */
+
+import { clientsClaim } from 'workbox-core';
+import { ExpirationPlugin } from 'workbox-expiration';
+import { precacheAndRoute, createHandlerBoundToURL } from 'workbox-precaching';
+import { registerRoute } from 'workbox-routing';
+import { StaleWhileRevalidate, CacheFirst } from 'workbox-strategies';
+import { CacheableResponsePlugin } from 'workbox-cacheable-response';
+import { RangeRequestsPlugin } from 'workbox-range-requests';
+import { getGPS101PrecacheUrls } from './utils/constants/gps101.constants';
+import { getAudioAssetUrls } from './services/audio/audio.service';
+import { SW_MESSAGES, BACKGROUND_SYNC_TAG } from './serviceWorkerRegistration';
+
+// =============================================================================
+// CONFIGURATION
+// =============================================================================
+
+const CACHE_VERSION = 'v1';
+
+const CACHE_NAMES = {
+  assets: `gps-static-assets-${CACHE_VERSION}`,
+  media: `gps-media-${CACHE_VERSION}`,
+  images: `gps-images-${CACHE_VERSION}`
+};
+
+const SW_CONFIG = {
+  // How long background sync waits for an open tab to flush the queue
+  flushTimeout: 30000,
+  maxImages: 100,
+  maxVideos: 10,
+  maxAgeSeconds: 30 * 24 * 60 * 60
+};
+
+const fileExtensionRegexp = /\/[^/?]+\.[^/]+$/;
+
+// =============================================================================
+// APP SHELL
+// =============================================================================
+
+clientsClaim();
+
+// Injected at build time with every file webpack emits
+precacheAndRoute(self.__WB_MANIFEST);
+
+// Serve index.html for client-side routes; leave files and API calls alone
+registerRoute(
+  ({ request, url }) => {
+    if (request.mode !== 'navigate') return false;
+    if (url.pathname.startsWith('/_')) return false;
+    if (url.pathname.match(fileExtensionRegexp)) return false;
+    return true;
+  },
+  createHandlerBoundToURL(`${process.env.PUBLIC_URL}/index.html`)
+);
+
+// =============================================================================
+// STATIC CONTENT
+// =============================================================================
+
+/**
+ * Files in /public warmed into the cache on install. Their names carry no
+ * content hash, so they are revalidated in the background when used.
+ * @returns {Array<string>} Asset URLs
+ */
+const getStaticAssetUrls = () => [
+  ...getGPS101PrecacheUrls(),
+  ...getAudioAssetUrls(),
+  '/manifest.json',
+  '/favicon.ico',
+  '/logo192.png',
+  '/logo512.png'
+].map(path => `${process.env.PUBLIC_URL}${path}`);
+
+const staticAssetUrls = new Set(getStaticAssetUrls());
+
+registerRoute(
+  ({ url }) => url.origin === self.location.origin && (
+    staticAssetUrls.has(url.pathname) || url.pathname.startsWith(`${process.env.PUBLIC_URL}/locales/`)
+  ),
+  new StaleWhileRevalidate({
+    cacheName: CACHE_NAMES.assets,
+    plugins: [new CacheableResponsePlugin({ statuses: [200] })]
+  })
+);
+
+// Videos are too large to fetch up front; keep the ones students watch
+registerRoute(
+  ({ url, request }) => url.origin === self.location.origin && request.destination === 'video',
+  new CacheFirst({
+    cacheName: CACHE_NAMES.media,
+    plugins: [
+      new CacheableResponsePlugin({ statuses: [200] }),
+      new RangeRequestsPlugin(),
+      new ExpirationPlugin({ maxEntries: SW_CONFIG.maxVideos, maxAgeSeconds: SW_CONFIG.maxAgeSeconds })
+    ]
+  })
+);
+
+registerRoute(
+  ({ url, request }) => url.origin === self.location.origin && request.destination === 'image',
+  new StaleWhileRevalidate({
+    cacheName: CACHE_NAMES.images,
+    plugins: [
+      new CacheableResponsePlugin({ statuses: [200] }),
+      new ExpirationPlugin({ maxEntries: SW_CONFIG.maxImages, maxAgeSeconds: SW_CONFIG.maxAgeSeconds })
+    ]
+  })
+);
+
+// =============================================================================
+// LIFECYCLE
+// =============================================================================
+
+self.addEventListener('install', (event) => {
+  // Missing files must not block the install, so each is added on its own
+  event.waitUntil(
+    caches.open(CACHE_NAMES.assets).then(cache =>
+      Promise.allSettled([...staticAssetUrls].map(url => cache.add(url)))
+    )
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  const current = Object.values(CACHE_NAMES);
+  event.waitUntil(
+    caches.keys().then(keys => Promise.all(
+      keys
+        .filter(key => key.startsWith('gps-') && !current.includes(key))
+        .map(key => caches.delete(key))
+    ))
+  );
+});
+
+self.addEventListener('message', (event) => {
+  if (event.data?.type === SW_MESSAGES.SKIP_WAITING) {
+    self.skipWaiting();
+  }
+});
+
+// =============================================================================
+// BACKGROUND SYNC
+// =============================================================================
+
+/**
+ * Asks a tab to replay the offline queue
+ * @param {Client} client - Window client
+ * @returns {Promise<Object>} What the tab reports ({ pendingCount } or { error })
+ */
+const requestFlush = (client) => new Promise((resolve, reject) => {
+  const channel = new MessageChannel();
+  const timer = setTimeout(() => reject(new Error('Offline queue flush timed out')), SW_CONFIG.flushTimeout);
+
+  channel.port1.onmessage = (event) => {
+    clearTimeout(timer);
+    resolve(event.data || {});
+  };
+
+  client.postMessage({ type: SW_MESSAGES.FLUSH_OFFLINE_QUEUE }, [channel.port2]);
+});
+
+/**
+ * Flushes the offline queue through an open tab. The queue lives in the
+ * page's storage, so with no tab open there is nothing to do here; the app
+ * replays it on its next start. Rejects while changes remain so the browser
+ * retries the sync later.
+ */
+const flushOfflineQueue = async () => {
+  const [client] = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+  if (!client) return;
+
+  const { pendingCount = 0, error } = await requestFlush(client);
+  if (error || pendingCount > 0) {
+    throw new Error(error || `${pendingCount} offline changes still pending`);
+  }
+};
+
+self.addEventListener('sync', (event) => {
+  if (event.tag === BACKGROUND_SYNC_TAG) {
+    event.waitUntil(flushOfflineQueue());
+  }
+});
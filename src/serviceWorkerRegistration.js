@@ -0,0 +1,188 @@
+/**
+ * GPS Lab Platform - Service Worker Registration
+ *
+ * Registers the service worker built from `service-worker.js` in
+ * production, reports when a new build is waiting, and lets the page
+ * activate it. Also holds the message and sync names the page and the
+ * worker share, so this module must stay free of browser-only side effects.
+ *
+ * @module serviceWorkerRegistration
+ */
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+/**
+ * Messages exchanged between the page and the service worker
+ */
+export const SW_MESSAGES = {
+  SKIP_WAITING: 'SKIP_WAITING',
+  FLUSH_OFFLINE_QUEUE: 'FLUSH_OFFLINE_QUEUE'
+};
+
+/**
+ * Background sync tag for the offline request queue
+ */
+export const BACKGROUND_SYNC_TAG = 'gps-offline-queue';
+
+const isLocalhost = () => Boolean(
+  window.location.hostname === 'localhost' ||
+  // [::1] is the IPv6 localhost address
+  window.location.hostname === '[::1]' ||
+  // 127.0.0.0/8 are considered localhost for IPv4
+  window.location.hostname.match(/^127(?:\.(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)){3}$/)
+);
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * Whether service workers can run here
+ * @returns {boolean} True in production builds on browsers that support them
+ */
+export const isServiceWorkerSupported = () =>
+  process.env.NODE_ENV === 'production' &&
+  typeof navigator !== 'undefined' &&
+  'serviceWorker' in navigator;
+
+/**
+ * Watches a registration for a new worker and reports when it is installed
+ * @param {ServiceWorkerRegistration} registration - Registration
+ * @param {Object} config - { onUpdate, onSuccess }
+ */
+const watchForUpdates = (registration, config) => {
+  registration.onupdatefound = () => {
+    const installingWorker = registration.installing;
+    if (!installingWorker) return;
+
+    installingWorker.onstatechange = () => {
+      if (installingWorker.state !== 'installed') return;
+
+      if (navigator.serviceWorker.controller) {
+        // The old worker still controls the page; the new build waits
+        config.onUpdate?.(registration);
+      } else {
+        // First install: everything is now cached for offline use
+        config.onSuccess?.(registration);
+      }
+    };
+  };
+
+  // A build may already be waiting from an earlier visit
+  if (registration.waiting && navigator.serviceWorker.controller) {
+    config.onUpdate?.(registration);
+  }
+};
+
+/**
+ * Registers a worker the page knows is valid
+ * @param {string} swUrl - Worker URL
+ * @param {Object} config - { onUpdate, onSuccess }
+ */
+const registerValidSW = (swUrl, config) => {
+  navigator.serviceWorker
+    .register(swUrl)
+    .then(registration => watchForUpdates(registration, config))
+    .catch(error => {
+      console.error('Service worker registration failed:', error);
+    });
+};
+
+/**
+ * On localhost, checks the worker still exists before registering it, so a
+ * stale worker from another project does not take over the page
+ * @param {string} swUrl - Worker URL
+ * @param {Object} config - { onUpdate, onSuccess }
+ */
+const checkValidServiceWorker = (swUrl, config) => {
+  fetch(swUrl, { headers: { 'Service-Worker': 'script' } })
+    .then(response => {
+      const contentType = response.headers.get('content-type');
+      if (response.status === 404 || (contentType && !contentType.includes('javascript'))) {
+        navigator.serviceWorker.ready.then(registration => {
+          registration.unregister().then(() => window.location.reload());
+        });
+      } else {
+        registerValidSW(swUrl, config);
+      }
+    })
+    .catch(() => {
+      console.info('No internet connection found. App is running in offline mode.');
+    });
+};
+
+// =============================================================================
+// REGISTRATION
+// =============================================================================
+
+/**
+ * Registers the service worker once the page has loaded
+ * @param {Object} [config] - Callbacks
+ * @param {Function} [config.onUpdate] - (registration) => void, a new build is waiting
+ * @param {Function} [config.onSuccess] - (registration) => void, content cached for offline use
+ */
+export const register = (config = {}) => {
+  if (!isServiceWorkerSupported()) return;
+
+  // The worker cannot serve a page from another origin
+  const publicUrl = new URL(process.env.PUBLIC_URL, window.location.href);
+  if (publicUrl.origin !== window.location.origin) return;
+
+  window.addEventListener('load', () => {
+    const swUrl = `${process.env.PUBLIC_URL}/service-worker.js`;
+
+    if (isLocalhost()) {
+      checkValidServiceWorker(swUrl, config);
+    } else {
+      registerValidSW(swUrl, config);
+    }
+  });
+};
+
+/**
+ * Activates a waiting build and reloads once it controls the page
+ * @param {ServiceWorkerRegistration} registration - Registration with a waiting worker
+ */
+export const applyUpdate = (registration) => {
+  if (!registration?.waiting) {
+    window.location.reload();
+    return;
+  }
+
+  let reloading = false;
+  navigator.serviceWorker.addEventListener('controllerchange', () => {
+    if (reloading) return;
+    reloading = true;
+    window.location.reload();
+  });
+
+  registration.waiting.postMessage({ type: SW_MESSAGES.SKIP_WAITING });
+};
+
+/**
+ * Unregisters the service worker
+ */
+export const unregister = () => {
+  if (typeof navigator === 'undefined' || !('serviceWorker' in navigator)) return;
+
+  navigator.serviceWorker.ready
+    .then(registration => registration.unregister())
+    .catch(error => {
+      console.error(error.message);
+    });
+};
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+export default {
+  SW_MESSAGES,
+  BACKGROUND_SYNC_TAG,
+  isServiceWorkerSupported,
+  register,
+  applyUpdate,
+  unregister
+};
@@ -0,0 +1,199 @@
+/**
+ * GPS Lab Platform - Admin Service
+ *
+ * User administration for the admin console: user records, account and
+ * progress actions (each with a mandatory reason), bulk actions and the
+ * audit log. User search goes through user.service.searchUsers, which
+ * returns the staff view of each account for admins.
+ *
+ * @module services/api/admin.service
+ * @version 1.0.0
+ */
+
+import apiClient from './client';
+import { logUserAction } from '../../utils/error/error.logger';
+
+// =============================================================================
+// API ENDPOINTS
+// =============================================================================
+
+const ENDPOINTS = {
+  overview: '/admin/overview',
+  user: (userId) => `/admin/users/${userId}`,
+  userAction: (userId, action) => `/admin/users/${userId}/actions/${action}`,
+  bulk: '/admin/users/bulk',
+  auditLog: '/admin/audit-log',
+  auditLogExport: '/admin/audit-log/export'
+};
+
+/**
+ * Admin actions on a user account
+ */
+export const USER_ACTIONS = {
+  SUSPEND: 'suspend',
+  REACTIVATE: 'reactivate',
+  RESET_CHECKPOINT: 'reset_checkpoint',
+  GRANT_R2R: 'grant_r2r',
+  ADJUST_BARAKA: 'adjust_baraka'
+};
+
+// =============================================================================
+// OVERVIEW
+// =============================================================================
+
+/**
+ * Gets platform counts and the latest audit entries
+ * @param {Object} options - Options
+ * @returns {Promise<Object>} { users, baraka, recentAudit }
+ */
+export const getOverview = async ({ signal } = {}) => {
+  const response = await apiClient.get(ENDPOINTS.overview, { signal });
+  return response.data;
+};
+
+// =============================================================================
+// USERS
+// =============================================================================
+
+/**
+ * Gets a user's full record: account, progress, Baraka ledger, badges and
+ * the audit entries about them
+ * @param {string} userId - User ID
+ * @param {Object} options - Options
+ * @returns {Promise<Object>} { user, progress, ledger, badges, r2r, auditLog }
+ */
+export const getUser = async (userId, { ledgerPage = 1, signal } = {}) => {
+  const response = await apiClient.get(ENDPOINTS.user(userId), {
+    params: { ledgerPage },
+    signal
+  });
+  return response.data;
+};
+
+/**
+ * Runs an action on one user
+ * @param {string} userId - User ID
+ * @param {string} action - One of USER_ACTIONS
+ * @param {Object} params - { reason, missionId, count, amount }
+ * @returns {Promise<Object>} { user, audit }
+ */
+export const runUserAction = async (userId, action, params = {}) => {
+  const response = await apiClient.post(ENDPOINTS.userAction(userId, action), params);
+  logUserAction('admin_user_action', { userId, action });
+  return response.data;
+};
+
+/**
+ * Runs an action on several users. Failures are reported per user.
+ * @param {Array<string>} userIds - User IDs
+ * @param {string} action - One of USER_ACTIONS
+ * @param {Object} params - { reason, missionId, count, amount }
+ * @returns {Promise<Object>} { bulkId, action, results, succeeded, failed }
+ */
+export const runBulkAction = async (userIds, action, params = {}) => {
+  const response = await apiClient.post(ENDPOINTS.bulk, { ...params, userIds, action });
+  logUserAction('admin_bulk_action', { action, count: userIds.length });
+  return response.data;
+};
+
+/**
+ * Suspends a user
+ * @param {string} userId - User ID
+ * @param {string} reason - Reason
+ * @returns {Promise<Object>} { user, audit }
+ */
+export const suspendUser = (userId, reason) => runUserAction(userId, USER_ACTIONS.SUSPEND, { reason });
+
+/**
+ * Reactivates a suspended user
+ * @param {string} userId - User ID
+ * @param {string} reason - Reason
+ * @returns {Promise<Object>} { user, audit }
+ */
+export const reactivateUser = (userId, reason) => runUserAction(userId, USER_ACTIONS.REACTIVATE, { reason });
+
+/**
+ * Resets a user's checkpoint so it can be retaken
+ * @param {string} userId - User ID
+ * @param {string} missionId - Mission the checkpoint belongs to
+ * @param {string} reason - Reason
+ * @returns {Promise<Object>} { user, audit }
+ */
+export const resetCheckpoint = (userId, missionId, reason) => {
+  return runUserAction(userId, USER_ACTIONS.RESET_CHECKPOINT, { missionId, reason });
+};
+
+/**
+ * Grants free Right to Retry credits
+ * @param {string} userId - User ID
+ * @param {number} count - Credits to grant
+ * @param {string} reason - Reason
+ * @returns {Promise<Object>} { user, audit }
+ */
+export const grantR2R = (userId, count, reason) => {
+  return runUserAction(userId, USER_ACTIONS.GRANT_R2R, { count, reason });
+};
+
+/**
+ * Credits (positive) or debits (negative) a user's Baraka
+ * @param {string} userId - User ID
+ * @param {number} amount - Signed amount
+ * @param {string} reason - Reason
+ * @returns {Promise<Object>} { user, audit }
+ */
+export const adjustBaraka = (userId, amount, reason) => {
+  return runUserAction(userId, USER_ACTIONS.ADJUST_BARAKA, { amount, reason });
+};
+
+// =============================================================================
+// AUDIT LOG
+// =============================================================================
+
+/**
+ * Gets a page of the audit log
+ * @param {Object} params - { page, limit, action, actorId, targetId, q, from, to }
+ * @returns {Promise<Object>} { entries, pagination }
+ */
+export const getAuditLog = async ({ page = 1, limit = 25, signal, ...filters } = {}) => {
+  const response = await apiClient.get(ENDPOINTS.auditLog, {
+    params: { page, limit, ...filters },
+    signal
+  });
+  return response.data;
+};
+
+/**
+ * Gets every audit entry matching the filters, for export
+ * @param {Object} filters - { action, actorId, targetId, q, from, to }
+ * @returns {Promise<Object>} { entries, total, exportedAt }
+ */
+export const exportAuditLog = async (filters = {}) => {
+  const response = await apiClient.get(ENDPOINTS.auditLogExport, { params: filters });
+  logUserAction('admin_audit_log_exported', { total: response.data.total });
+  return response.data;
+};
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+export default {
+  USER_ACTIONS,
+
+  // Overview
+  getOverview,
+
+  // Users
+  getUser,
+  runUserAction,
+  runBulkAction,
+  suspendUser,
+  reactivateUser,
+  resetCheckpoint,
+  grantR2R,
+  adjustBaraka,
+
+  // Audit log
+  getAuditLog,
+  exportAuditLog
+};
@@ -0,0 +1,209 @@
+/**
+ * GPS Lab Platform - API Response Cache
+ *
+ * Shared stale-while-revalidate cache for GET responses, used by the API
+ * client when a request is made with `cache`. Entries are persisted through
+ * the storage service (under the `cache_` prefix, so `clearCache` and quota
+ * recovery still apply) and carry tags, so a mutation can invalidate every
+ * response it affects without knowing their keys. The client clears the
+ * cache whenever the session ends.
+ *
+ * @module services/api/api.cache
+ * @version 1.0.0
+ */
+
+import { getItem, setItem, removeItem, getAll } from '../storage/localStorage.service';
+
+// =============================================================================
+// CONFIGURATION
+// =============================================================================
+
+const CACHE_CONFIG = {
+  keyPrefix: 'cache_api_',
+  // How long a response stays fresh when the request names no ttl
+  defaultTtl: 5 * 60 * 1000,
+  // How long past its ttl a response may still be served while revalidating
+  maxStale: 24 * 60 * 60 * 1000
+};
+
+/**
+ * Freshness windows shared by the services. Past its ttl a response is
+ * still served while it revalidates, so these bound staleness, not loading.
+ */
+export const CACHE_TTL = {
+  LIVE: 30 * 1000,            // 30 seconds: balances
+  SHORT: 2 * 60 * 1000,       // 2 minutes: lists and progress
+  DEFAULT: 5 * 60 * 1000,     // 5 minutes: details and stats
+  LONG: 15 * 60 * 1000,       // 15 minutes: briefings, badges, featured content
+  STATIC: 60 * 60 * 1000      // 1 hour: categories, templates, reference data
+};
+
+/**
+ * Tags shared by the services that cache and the code that invalidates.
+ * Collections are plain strings; single resources are built from their id.
+ */
+export const CACHE_TAGS = {
+  MISSIONS: 'missions',
+  mission: (missionId) => `mission:${missionId}`,
+  BITES: 'bites',
+  bite: (biteId) => `bite:${biteId}`,
+  checkpoint: (missionId) => `checkpoint:${missionId}`,
+  BARAKA: 'baraka',
+  BARAKA_STORE: 'baraka:store',
+  party: (partyId) => `party:${partyId}`,
+  PRAISE: 'praise',
+  PRAISE_CATEGORIES: 'praise:categories',
+  PROJECTS: 'projects',
+  project: (projectId) => `project:${projectId}`,
+  STUDY: 'study',
+  USER: 'user',
+  LEADERBOARD: 'leaderboard',
+  NAVIGATOR: 'navigator',
+  PSB: 'psb',
+  GPO: 'gpo',
+  GPS101_CURRICULUM: 'gps101:curriculum',
+  PORTFOLIO: 'portfolio',
+  MENTORS: 'mentors',
+  UNIVERSITIES: 'universities',
+  ECONOMY_CONFIG: 'economy:config'
+};
+
+// =============================================================================
+// CACHE
+// =============================================================================
+
+class ResponseCache {
+  /**
+   * @param {Object} [config] - Overrides for CACHE_CONFIG
+   */
+  constructor(config = {}) {
+    this.config = { ...CACHE_CONFIG, ...config };
+    this.listeners = new Set();
+  }
+
+  /**
+   * Storage key for a cache key
+   * @param {string} key - Cache key
+   * @returns {string} Storage key
+   */
+  storageKey(key) {
+    return `${this.config.keyPrefix}${key}`;
+  }
+
+  /**
+   * Reads an entry
+   * @param {string} key - Cache key
+   * @returns {Object|null} { data, storedAt, ttl, tags }, or null on a miss
+   */
+  get(key) {
+    const entry = getItem(this.storageKey(key));
+    return entry && typeof entry.storedAt === 'number' ? entry : null;
+  }
+
+  /**
+   * Stores a response
+   * @param {string} key - Cache key
+   * @param {*} data - Response data
+   * @param {Object} [options] - Options
+   * @param {number} [options.ttl] - Freshness window in ms
+   * @param {Array<string>} [options.tags] - Tags to invalidate the entry by
+   * @returns {Object} Stored entry
+   */
+  set(key, data, { ttl = this.config.defaultTtl, tags = [] } = {}) {
+    const entry = { data, storedAt: Date.now(), ttl, tags };
+    setItem(this.storageKey(key), entry);
+    return entry;
+  }
+
+  /**
+   * Removes an entry
+   * @param {string} key - Cache key
+   */
+  delete(key) {
+    removeItem(this.storageKey(key));
+  }
+
+  /**
+   * How an entry stands right now
+   * @param {Object} entry - Cache entry
+   * @param {number} [now] - Current time
+   * @returns {string} 'fresh', 'stale' (servable while revalidating) or 'expired'
+   */
+  getState(entry, now = Date.now()) {
+    const age = now - entry.storedAt;
+    if (age <= entry.ttl) return 'fresh';
+    if (age <= entry.ttl + this.config.maxStale) return 'stale';
+    return 'expired';
+  }
+
+  /**
+   * Removes every entry carrying any of the tags
+   * @param {Array<string>|string} tags - Tags to invalidate
+   * @returns {Array<string>} Removed cache keys
+   */
+  invalidateTags(tags) {
+    const wanted = new Set([].concat(tags).filter(Boolean));
+    if (wanted.size === 0) return [];
+
+    const removed = [];
+    Object.entries(getAll()).forEach(([storageKey, entry]) => {
+      if (!storageKey.startsWith(this.config.keyPrefix)) return;
+      if (!entry?.tags?.some(tag => wanted.has(tag))) return;
+
+      removeItem(storageKey);
+      removed.push(storageKey.slice(this.config.keyPrefix.length));
+    });
+
+    return removed;
+  }
+
+  /**
+   * Removes every entry, e.g. on sign-out
+   */
+  clear() {
+    Object.keys(getAll()).forEach(storageKey => {
+      if (storageKey.startsWith(this.config.keyPrefix)) {
+        removeItem(storageKey);
+      }
+    });
+  }
+
+  // ===========================================================================
+  // SUBSCRIPTIONS
+  // ===========================================================================
+
+  /**
+   * Subscribes to entries refreshed in the background
+   * @param {Function} listener - ({ key, tags, data }) => void
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Notifies listeners of a refreshed entry
+   * @param {Object} update - { key, tags, data }
+   */
+  notify(update) {
+    this.listeners.forEach(listener => {
+      try {
+        listener(update);
+      } catch (e) {
+        console.error('Cache listener error:', e);
+      }
+    });
+  }
+}
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+export {
+  ResponseCache,
+  CACHE_CONFIG
+};
+
+export default ResponseCache;
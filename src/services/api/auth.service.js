@@ -4,80 +4,17 @@
  * Authentication service for login, register, logout, token refresh,
  * and OAuth integration.
  * 
- * MOCK MODE: When REACT_APP_USE_MOCK_DATA=true or API is unreachable,
- * all methods return realistic mock data for frontend-only development.
- * 
  * @module services/api/auth.service
  * @version 1.1.0
  */
 
-import apiClient, { setTokens, clearTokens, getRefreshToken } from './client';
+import apiClient, { setTokens, getRefreshToken } from './client';
+import { endSession, refreshSession, getTokenExpiry } from '../session/session.manager';
 import { setUser, removeItem, STORAGE_KEYS } from '../storage/localStorage.service';
 import { saveOAuthState, validateOAuthState, savePendingAction } from '../storage/sessionStorage.service';
 import { logUserAction, authLogger } from '../../utils/error/error.logger';
 import { createError, ERROR_TYPES } from '../../utils/error/error.handler';
 
-// =============================================================================
-// MOCK MODE CONFIGURATION
-// =============================================================================
-
-const USE_MOCK = process.env.REACT_APP_USE_MOCK_DATA === 'true' ||
-                 process.env.NODE_ENV === 'development';
-
-/**
- * Mock user data for frontend-only development
- */
-const MOCK_USER = {
-  id: 'usr_mock_001',
-  email: 'gps.solver@gpslab.dev',
-  username: 'GPSExplorer',
-  firstName: 'GPS',
-  lastName: 'Explorer',
-  displayName: 'GPS Explorer',
-  avatarUrl: null,
-  locale: 'en',
-  role: 'student',
-  tier: 'explorer',
-  emailVerified: true,
-  isActive: true,
-  university: {
-    id: 'uni_001',
-    name: 'Handong Global University',
-    code: 'HGU'
-  },
-  preferences: {
-    language: 'en',
-    theme: 'light',
-    notifications: true
-  },
-  createdAt: '2025-09-01T08:00:00Z',
-  lastLoginAt: new Date().toISOString()
-};
-
-/**
- * Mock tokens
- */
-const MOCK_TOKENS = {
-  accessToken: 'mock_access_token_' + Date.now(),
-  refreshToken: 'mock_refresh_token_' + Date.now(),
-  expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString()
-};
-
-/**
- * Simulates API delay for realistic mock responses
- * @param {number} ms - Delay in milliseconds
- * @returns {Promise<void>}
- */
-const mockDelay = (ms = 300) => new Promise(r => setTimeout(r, ms));
-
-/**
- * Logs mock mode usage
- * @param {string} method - Method name
- */
-const logMock = (method) => {
-  console.info(`[AuthService:MOCK] ${method}`);
-};
-
 // =============================================================================
 // OAUTH CONFIGURATION
 // =============================================================================
@@ -190,18 +127,6 @@ const processAuthResponse = (response) => {
   return data;
 };
 
-/**
- * Processes mock auth response - same side effects as real
- * @param {Object} user - Mock user
- * @param {Object} tokens - Mock tokens
- * @returns {Object} Mock auth response data
- */
-const processMockAuthResponse = (user, tokens) => {
-  setTokens(tokens);
-  setUser(user);
-  return { user, ...tokens };
-};
-
 // =============================================================================
 // LOGIN / REGISTER
 // =============================================================================
@@ -214,22 +139,6 @@ const processMockAuthResponse = (user, tokens) => {
 export const login = async ({ email, password, rememberMe = false }) => {
   authLogger.info('Login attempt', { email });
   
-  // --- MOCK MODE ---
-  if (USE_MOCK) {
-    logMock('login');
-    await mockDelay(500);
-    
-    const mockUser = { ...MOCK_USER, email, lastLoginAt: new Date().toISOString() };
-    const data = processMockAuthResponse(mockUser, { ...MOCK_TOKENS });
-    
-    authLogger.info('Login successful (mock)', { userId: mockUser.id });
-    logUserAction('login', { method: 'email', mock: true });
-    window.dispatchEvent(new CustomEvent('auth:login', { detail: mockUser }));
-    
-    return data;
-  }
-  
-  // --- LIVE API ---
   try {
     const response = await apiClient.post(ENDPOINTS.login, {
       email,
@@ -268,33 +177,6 @@ export const register = async ({
 }) => {
   authLogger.info('Registration attempt', { email });
   
-  // --- MOCK MODE ---
-  if (USE_MOCK) {
-    logMock('register');
-    await mockDelay(700);
-    
-    const mockUser = {
-      ...MOCK_USER,
-      id: 'usr_mock_' + Date.now(),
-      email,
-      firstName,
-      lastName,
-      username: username || MOCK_USER.username,
-      displayName: `${firstName} ${lastName}`,
-      locale,
-      emailVerified: false,
-      createdAt: new Date().toISOString()
-    };
-    const data = processMockAuthResponse(mockUser, { ...MOCK_TOKENS });
-    
-    authLogger.info('Registration successful (mock)', { userId: mockUser.id });
-    logUserAction('register', { method: 'email', mock: true });
-    window.dispatchEvent(new CustomEvent('auth:register', { detail: mockUser }));
-    
-    return data;
-  }
-  
-  // --- LIVE API ---
   try {
     const response = await apiClient.post(ENDPOINTS.register, {
       email,
@@ -333,24 +215,20 @@ export const register = async ({
 export const logout = async () => {
   authLogger.info('Logout');
   
-  if (!USE_MOCK) {
-    try {
-      await apiClient.post(ENDPOINTS.logout);
-    } catch (error) {
-      authLogger.warn('Logout API call failed', { error: error.message });
-    }
-  } else {
-    logMock('logout');
-    await mockDelay(200);
+  try {
+    await apiClient.post(ENDPOINTS.logout);
+  } catch (error) {
+    authLogger.warn('Logout API call failed', { error: error.message });
   }
   
   // Clear local auth state (always runs)
-  clearTokens();
   removeItem(STORAGE_KEYS.user);
   removeItem(STORAGE_KEYS.userProfile);
   
   logUserAction('logout');
-  window.dispatchEvent(new CustomEvent('auth:logout'));
+  
+  // Signs out every open tab and dispatches auth:logout
+  endSession({ reason: 'logout' });
 };
 
 // =============================================================================
@@ -358,50 +236,33 @@ export const logout = async () => {
 // =============================================================================
 
 /**
- * Refreshes access token
+ * Refreshes access token. Goes through the session manager so it never
+ * races a refresh in another tab.
  * @returns {Promise<Object>} New tokens
  */
 export const refreshToken = async () => {
-  // --- MOCK MODE ---
-  if (USE_MOCK) {
-    logMock('refreshToken');
-    await mockDelay(200);
-    
-    const newTokens = {
-      accessToken: 'mock_access_token_' + Date.now(),
-      refreshToken: 'mock_refresh_token_' + Date.now(),
-      expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString()
-    };
-    setTokens(newTokens);
-    return newTokens;
-  }
-  
-  // --- LIVE API ---
-  const currentRefreshToken = getRefreshToken();
-  
-  if (!currentRefreshToken) {
+  if (!getRefreshToken()) {
     throw createError(ERROR_TYPES.UNAUTHORIZED, {
       message: 'No refresh token available'
     });
   }
   
   try {
-    const response = await apiClient.post(ENDPOINTS.refreshToken, {
-      refreshToken: currentRefreshToken
-    });
+    const accessToken = await refreshSession();
     
-    const { accessToken, refreshToken: newRefreshToken, expiresAt } = response.data;
+    if (!accessToken) {
+      throw createError(ERROR_TYPES.UNAUTHORIZED, {
+        message: 'Session expired'
+      });
+    }
     
-    setTokens({
+    return {
       accessToken,
-      refreshToken: newRefreshToken || currentRefreshToken,
-      expiresAt
-    });
-    
-    return response.data;
+      refreshToken: getRefreshToken(),
+      expiresAt: getTokenExpiry()
+    };
   } catch (error) {
     authLogger.error('Token refresh failed', { error: error.message });
-    clearTokens();
     throw error;
   }
 };
@@ -411,11 +272,6 @@ export const refreshToken = async () => {
  * @returns {Promise<boolean>} True if valid
  */
 export const validateToken = async () => {
-  if (USE_MOCK) {
-    logMock('validateToken');
-    return true;
-  }
-  
   try {
     await apiClient.get(ENDPOINTS.validateToken);
     return true;
@@ -436,13 +292,6 @@ export const validateToken = async () => {
 export const forgotPassword = async (email) => {
   authLogger.info('Password reset requested', { email });
   
-  if (USE_MOCK) {
-    logMock('forgotPassword');
-    await mockDelay(500);
-    logUserAction('forgot_password', { email });
-    return { success: true, message: 'Password reset email sent (mock)' };
-  }
-  
   const response = await apiClient.post(ENDPOINTS.forgotPassword, { email });
   logUserAction('forgot_password', { email });
   return response.data;
@@ -456,13 +305,6 @@ export const forgotPassword = async (email) => {
 export const resetPassword = async ({ token, password }) => {
   authLogger.info('Password reset attempt');
   
-  if (USE_MOCK) {
-    logMock('resetPassword');
-    await mockDelay(500);
-    logUserAction('reset_password');
-    return { success: true, message: 'Password reset successful (mock)' };
-  }
-  
   const response = await apiClient.post(ENDPOINTS.resetPassword, { token, password });
   logUserAction('reset_password');
   return response.data;
@@ -476,13 +318,6 @@ export const resetPassword = async ({ token, password }) => {
 export const changePassword = async ({ currentPassword, newPassword }) => {
   authLogger.info('Password change attempt');
   
-  if (USE_MOCK) {
-    logMock('changePassword');
-    await mockDelay(500);
-    logUserAction('change_password');
-    return { success: true, message: 'Password changed successfully (mock)' };
-  }
-  
   const response = await apiClient.post(ENDPOINTS.changePassword, {
     currentPassword,
     newPassword
@@ -503,15 +338,6 @@ export const changePassword = async ({ currentPassword, newPassword }) => {
 export const verifyEmail = async (token) => {
   authLogger.info('Email verification attempt');
   
-  if (USE_MOCK) {
-    logMock('verifyEmail');
-    await mockDelay(500);
-    const verifiedUser = { ...MOCK_USER, emailVerified: true };
-    setUser(verifiedUser);
-    logUserAction('verify_email');
-    return { success: true, user: verifiedUser };
-  }
-  
   const response = await apiClient.post(ENDPOINTS.verifyEmail, { token });
   
   if (response.data.user) {
@@ -530,13 +356,6 @@ export const verifyEmail = async (token) => {
 export const resendVerification = async (email) => {
   authLogger.info('Resend verification requested', { email });
   
-  if (USE_MOCK) {
-    logMock('resendVerification');
-    await mockDelay(400);
-    logUserAction('resend_verification', { email });
-    return { success: true, message: 'Verification email resent (mock)' };
-  }
-  
   const response = await apiClient.post(ENDPOINTS.resendVerification, { email });
   logUserAction('resend_verification', { email });
   return response.data;
@@ -604,28 +423,6 @@ export const handleOAuthCallback = async ({ provider, code, state, error }) => {
     });
   }
   
-  // --- MOCK MODE ---
-  if (USE_MOCK) {
-    logMock('handleOAuthCallback');
-    await mockDelay(600);
-    
-    const mockUser = {
-      ...MOCK_USER,
-      oauthProvider: provider,
-      lastLoginAt: new Date().toISOString()
-    };
-    const data = processMockAuthResponse(mockUser, { ...MOCK_TOKENS });
-    
-    authLogger.info('OAuth successful (mock)', { provider });
-    logUserAction('oauth_login', { provider, mock: true });
-    window.dispatchEvent(new CustomEvent('auth:login', {
-      detail: { ...mockUser, oauthProvider: provider }
-    }));
-    
-    return { ...data, returnUrl: '/dashboard' };
-  }
-  
-  // --- LIVE API ---
   const savedData = validateOAuthState(state);
   
   if (!savedData) {
@@ -666,13 +463,6 @@ export const handleOAuthCallback = async ({ provider, code, state, error }) => {
  * @returns {Promise<Object>} User data
  */
 export const getCurrentUser = async () => {
-  if (USE_MOCK) {
-    logMock('getCurrentUser');
-    await mockDelay(200);
-    setUser(MOCK_USER);
-    return { ...MOCK_USER };
-  }
-  
   const response = await apiClient.get(ENDPOINTS.me);
   
   if (response.data) {
@@ -687,10 +477,6 @@ export const getCurrentUser = async () => {
  * @returns {boolean} True if authenticated
  */
 export const isAuthenticated = () => {
-  if (USE_MOCK) {
-    return true;
-  }
-  
   const { getItem } = require('../storage/localStorage.service');
   const token = getItem(STORAGE_KEYS.accessToken);
   return !!token;
@@ -9,9 +9,11 @@
  */
 
 import apiClient from './client';
-import { getCache, setCache, getDraftBite, setDraftBite, clearDraftBite } from '../storage/localStorage.service';
+import { CACHE_TAGS, CACHE_TTL } from './api.cache';
+import { getDraftBite, setDraftBite, clearDraftBite } from '../storage/localStorage.service';
 import { saveBiteWorkspace, getBiteWorkspace } from '../storage/sessionStorage.service';
 import { logUserAction } from '../../utils/error/error.logger';
+import { OFFLINE_LABELS, registerReplayHandler } from '../offline/offline.service';
 
 // =============================================================================
 // API ENDPOINTS
@@ -33,15 +35,6 @@ const ENDPOINTS = {
   feedback: (id) => `/bites/${id}/feedback`
 };
 
-// =============================================================================
-// CACHE CONFIGURATION
-// =============================================================================
-
-const CACHE_TTL = {
-  biteDetail: 2 * 60 * 1000,  // 2 minutes
-  biteList: 1 * 60 * 1000     // 1 minute
-};
-
 // =============================================================================
 // BITE LISTING
 // =============================================================================
@@ -52,19 +45,11 @@ const CACHE_TTL = {
  * @param {Object} options - Options
  * @returns {Promise<Object>} Bites list
  */
-export const getBitesByMission = async (missionId, { useCache = true } = {}) => {
-  const cacheKey = `bites_mission_${missionId}`;
-  
-  if (useCache) {
-    const cached = getCache(cacheKey, CACHE_TTL.biteList);
-    if (cached) {
-      return cached;
-    }
-  }
-  
-  const response = await apiClient.get(ENDPOINTS.missionBites(missionId));
-  
-  setCache(cacheKey, response.data);
+export const getBitesByMission = async (missionId, { useCache = true, signal } = {}) => {
+  const response = await apiClient.get(ENDPOINTS.missionBites(missionId), {
+    signal,
+    cache: { ttl: CACHE_TTL.SHORT, tags: [CACHE_TAGS.BITES], refresh: !useCache }
+  });
   
   return response.data;
 };
@@ -101,19 +86,11 @@ export const getBites = async ({
  * @param {Object} options - Options
  * @returns {Promise<Object>} Bite details
  */
-export const getBite = async (biteId, { useCache = true } = {}) => {
-  const cacheKey = `bite_${biteId}`;
-  
-  if (useCache) {
-    const cached = getCache(cacheKey, CACHE_TTL.biteDetail);
-    if (cached) {
-      return cached;
-    }
-  }
-  
-  const response = await apiClient.get(ENDPOINTS.bite(biteId));
-  
-  setCache(cacheKey, response.data);
+export const getBite = async (biteId, { useCache = true, signal } = {}) => {
+  const response = await apiClient.get(ENDPOINTS.bite(biteId), {
+    signal,
+    cache: { ttl: CACHE_TTL.SHORT, tags: [CACHE_TAGS.bite(biteId)], refresh: !useCache }
+  });
   
   return response.data;
 };
@@ -148,13 +125,12 @@ export const getBiteDependencies = async (biteId) => {
  * @returns {Promise<Object>} Updated bite
  */
 export const startBite = async (biteId) => {
-  const response = await apiClient.post(ENDPOINTS.startWork(biteId));
+  const response = await apiClient.post(ENDPOINTS.startWork(biteId), undefined, {
+    invalidates: getBiteTags(biteId)
+  });
   
   logUserAction('bite_started', { biteId });
   
-  // Clear any cached version
-  invalidateBiteCache(biteId);
-  
   window.dispatchEvent(new CustomEvent('bite:started', { detail: response.data }));
   
   return response.data;
@@ -172,10 +148,11 @@ export const pauseBite = async (biteId) => {
     setDraftBite(biteId, workspace);
   }
   
-  const response = await apiClient.post(ENDPOINTS.pause(biteId));
+  const response = await apiClient.post(ENDPOINTS.pause(biteId), undefined, {
+    invalidates: getBiteTags(biteId)
+  });
   
   logUserAction('bite_paused', { biteId });
-  invalidateBiteCache(biteId);
   
   return response.data;
 };
@@ -186,7 +163,9 @@ export const pauseBite = async (biteId) => {
  * @returns {Promise<Object>} Updated bite
  */
 export const resumeBite = async (biteId) => {
-  const response = await apiClient.post(ENDPOINTS.resume(biteId));
+  const response = await apiClient.post(ENDPOINTS.resume(biteId), undefined, {
+    invalidates: getBiteTags(biteId)
+  });
   
   // Restore workspace from draft if available
   const draft = getDraftBite(biteId);
@@ -195,7 +174,6 @@ export const resumeBite = async (biteId) => {
   }
   
   logUserAction('bite_resumed', { biteId });
-  invalidateBiteCache(biteId);
   
   return response.data;
 };
@@ -207,9 +185,9 @@ export const resumeBite = async (biteId) => {
  * @returns {Promise<Object>} Updated bite
  */
 export const updateBite = async (biteId, data) => {
-  const response = await apiClient.patch(ENDPOINTS.bite(biteId), data);
-  
-  invalidateBiteCache(biteId);
+  const response = await apiClient.patch(ENDPOINTS.bite(biteId), data, {
+    invalidates: getBiteTags(biteId)
+  });
   
   return response.data;
 };
@@ -219,21 +197,42 @@ export const updateBite = async (biteId, data) => {
 // =============================================================================
 
 /**
- * Submits a bite for review
+ * Runs the side effects of a submission the server accepted
  * @param {string} biteId - Bite ID
- * @param {Object} submission - Submission data
- * @returns {Promise<Object>} Submission result
+ * @param {Object} data - Updated bite
  */
-export const submitBite = async (biteId, submission) => {
-  const response = await apiClient.post(ENDPOINTS.submit(biteId), submission);
-  
+const onBiteSubmitted = (biteId, data) => {
   // Clear draft after successful submission
   clearDraftBite(biteId);
   
   logUserAction('bite_submitted', { biteId });
-  invalidateBiteCache(biteId);
   
-  window.dispatchEvent(new CustomEvent('bite:submitted', { detail: response.data }));
+  window.dispatchEvent(new CustomEvent('bite:submitted', { detail: data }));
+};
+
+/**
+ * Submits a bite for review. Offline, the submission is queued and synced
+ * when the connection returns; the draft is kept until then.
+ * @param {string} biteId - Bite ID
+ * @param {Object} submission - Submission data
+ * @returns {Promise<Object>} Submission result, or `{ id, pendingSync: true }` when queued
+ */
+export const submitBite = async (biteId, submission) => {
+  const response = await apiClient.post(ENDPOINTS.submit(biteId), submission, {
+    invalidates: getBiteTags(biteId),
+    queueOffline: {
+      label: OFFLINE_LABELS.BITE_SUBMIT,
+      dedupeKey: `bite_submit_${biteId}`,
+      meta: { biteId }
+    }
+  });
+  
+  if (response.queued) {
+    logUserAction('bite_submit_queued', { biteId });
+    return { id: biteId, pendingSync: true, ...response.data };
+  }
+  
+  onBiteSubmitted(biteId, response.data);
   
   return response.data;
 };
@@ -244,10 +243,11 @@ export const submitBite = async (biteId, submission) => {
  * @returns {Promise<Object>} Completion result
  */
 export const completeBite = async (biteId) => {
-  const response = await apiClient.post(ENDPOINTS.complete(biteId));
+  const response = await apiClient.post(ENDPOINTS.complete(biteId), undefined, {
+    invalidates: getBiteTags(biteId)
+  });
   
   logUserAction('bite_completed', { biteId });
-  invalidateBiteCache(biteId);
   
   window.dispatchEvent(new CustomEvent('bite:completed', { detail: response.data }));
   
@@ -444,13 +444,30 @@ export const getFeedback = async (biteId) => {
 // =============================================================================
 
 /**
- * Saves bite draft locally
+ * Saves bite draft locally and syncs it to the server. Offline, the sync is
+ * queued and repeated saves collapse into the latest draft.
  * @param {string} biteId - Bite ID
  * @param {Object} data - Draft data
+ * @returns {Promise<Object|null>} Synced bite, queued marker, or null if the sync failed
  */
 export const saveDraft = (biteId, data) => {
   setDraftBite(biteId, data);
   saveBiteWorkspace(biteId, data);
+  
+  return apiClient.patch(ENDPOINTS.bite(biteId), {
+    draft: data,
+    draftSavedAt: new Date().toISOString()
+  }, {
+    invalidates: [CACHE_TAGS.bite(biteId)],
+    queueOffline: {
+      label: OFFLINE_LABELS.BITE_DRAFT,
+      dedupeKey: `bite_draft_${biteId}`,
+      meta: { biteId }
+    }
+  })
+    .then(response => response.data)
+    // The local copy is already safe; the next save retries the sync
+    .catch(() => null);
 };
 
 /**
@@ -475,13 +492,12 @@ export const clearDraft = (biteId) => {
 // =============================================================================
 
 /**
- * Invalidates bite cache
+ * Cache tags a change to a bite invalidates: the bite and the lists
+ * showing its status
  * @param {string} biteId - Bite ID
+ * @returns {Array<string>} Cache tags
  */
-const invalidateBiteCache = (biteId) => {
-  const { removeItem } = require('../storage/localStorage.service');
-  removeItem(`cache_bite_${biteId}`);
-};
+const getBiteTags = (biteId) => [CACHE_TAGS.BITES, CACHE_TAGS.bite(biteId)];
 
 /**
  * Gets bite status label
@@ -520,6 +536,14 @@ export const calculateTimeSpent = (bite) => {
   }, 0);
 };
 
+// =============================================================================
+// OFFLINE REPLAY
+// =============================================================================
+
+registerReplayHandler(OFFLINE_LABELS.BITE_SUBMIT, (data, entry) => {
+  onBiteSubmitted(entry.meta.biteId, data);
+});
+
 // =============================================================================
 // EXPORTS
 // =============================================================================
@@ -2,14 +2,34 @@
  * GPS Lab Platform - API Client
  * 
  * Core axios instance configuration with request/response interceptors,
- * error handling, and authentication token management.
+ * error handling, and authentication token management. Identical in-flight
+ * GETs share one request, callers may cancel with an AbortSignal, and GETs
+ * made with `cache` are served stale-while-revalidate from a shared cache
+ * that mutations invalidate by tag.
  * 
  * @module services/api/client
  * @version 1.0.0
  */
 
-import { createError, createErrorFromResponse, createNetworkError, ERROR_TYPES } from '../../utils/error/error.handler';
+import { createError, createErrorFromResponse, createNetworkError, ERROR_TYPES, ERROR_SEVERITY } from '../../utils/error/error.handler';
 import { logApiRequest, logApiResponse, error as logError } from '../../utils/error/error.logger';
+import { isMockEnabled, handleMockRequest } from '../mock/mock.backend';
+import { isOnline, setOnline } from '../offline/connectivity';
+import { ResponseCache } from './api.cache';
+import {
+  TOKEN_KEYS,
+  getAccessToken,
+  getRefreshToken,
+  isTokenExpired,
+  hasSession,
+  setSession,
+  clearSession,
+  endSession,
+  refreshSession,
+  restoreSession,
+  setRefreshHandler,
+  onSessionChange
+} from '../session/session.manager';
 
 // =============================================================================
 // CONFIGURATION
@@ -57,118 +77,105 @@ const PUBLIC_ENDPOINTS = [
 // TOKEN MANAGEMENT
 // =============================================================================
 
-/**
- * Token storage keys
- */
-const TOKEN_KEYS = {
-  accessToken: 'gps_access_token',
-  refreshToken: 'gps_refresh_token',
-  tokenExpiry: 'gps_token_expiry'
-};
+// Tokens are owned by the session manager, which keeps the access token in
+// memory and coordinates refreshes and logouts across tabs. These names are
+// kept for existing callers.
+
+export { getAccessToken, getRefreshToken, isTokenExpired };
 
 /**
- * Gets access token from storage
- * @returns {string|null} Access token
+ * Stores tokens for this session and shares them with other tabs
+ * @param {Object} tokens - { accessToken, refreshToken, expiresAt }
  */
-export const getAccessToken = () => {
-  try {
-    return localStorage.getItem(TOKEN_KEYS.accessToken);
-  } catch (e) {
-    return null;
-  }
-};
+export const setTokens = (tokens) => setSession(tokens);
 
 /**
- * Gets refresh token from storage
- * @returns {string|null} Refresh token
+ * Forgets the tokens in this tab
  */
-export const getRefreshToken = () => {
-  try {
-    return localStorage.getItem(TOKEN_KEYS.refreshToken);
-  } catch (e) {
-    return null;
-  }
-};
+export const clearTokens = () => clearSession();
+
+// =============================================================================
+// OFFLINE QUEUE
+// =============================================================================
+
+// Registered by the offline service, which keeps this module free of an
+// offline service import
+let offlineHandler = null;
 
 /**
- * Sets tokens in storage
- * @param {Object} tokens - Token data
+ * Registers what answers `queueOffline` requests made while offline
+ * @param {Function} handler - (config) => response-shaped result with `queued: true`
  */
-export const setTokens = (tokens) => {
-  try {
-    if (tokens.accessToken) {
-      localStorage.setItem(TOKEN_KEYS.accessToken, tokens.accessToken);
-    }
-    if (tokens.refreshToken) {
-      localStorage.setItem(TOKEN_KEYS.refreshToken, tokens.refreshToken);
-    }
-    if (tokens.expiresAt) {
-      localStorage.setItem(TOKEN_KEYS.tokenExpiry, tokens.expiresAt);
-    }
-  } catch (e) {
-    console.error('Failed to store tokens:', e);
-  }
+export const setOfflineHandler = (handler) => {
+  offlineHandler = handler;
 };
 
+// =============================================================================
+// URL HELPERS
+// =============================================================================
+
 /**
- * Clears tokens from storage
+ * Serializes query params, skipping empty values and repeating arrays
+ * @param {Object} params - Query params
+ * @returns {string} Query string without the leading '?'
  */
-export const clearTokens = () => {
-  try {
-    localStorage.removeItem(TOKEN_KEYS.accessToken);
-    localStorage.removeItem(TOKEN_KEYS.refreshToken);
-    localStorage.removeItem(TOKEN_KEYS.tokenExpiry);
-  } catch (e) {
-    console.error('Failed to clear tokens:', e);
-  }
+const buildQueryString = (params = {}) => {
+  const search = new URLSearchParams();
+  
+  Object.entries(params).forEach(([key, value]) => {
+    if (value === undefined || value === null) return;
+    if (Array.isArray(value)) {
+      value.forEach(item => search.append(key, item));
+    } else {
+      search.append(key, value);
+    }
+  });
+  
+  return search.toString();
 };
 
 /**
- * Checks if token is expired
- * @returns {boolean} True if expired
+ * Builds the URL a request is sent to
+ * @param {string} baseURL - Client base URL
+ * @param {Object} config - Request config ({ url, params })
+ * @returns {string} Full URL with query string
  */
-export const isTokenExpired = () => {
-  try {
-    const expiry = localStorage.getItem(TOKEN_KEYS.tokenExpiry);
-    if (!expiry) return true;
-    return new Date(expiry) <= new Date();
-  } catch (e) {
-    return true;
-  }
+const buildUrl = (baseURL, config) => {
+  const baseUrl = config.url.startsWith('http')
+    ? config.url
+    : `${baseURL}${config.url}`;
+  const queryString = config.params ? buildQueryString(config.params) : '';
+  return queryString
+    ? `${baseUrl}${baseUrl.includes('?') ? '&' : '?'}${queryString}`
+    : baseUrl;
 };
 
 // =============================================================================
-// REQUEST QUEUE (for token refresh)
+// CANCELLATION HELPERS
 // =============================================================================
 
-let isRefreshing = false;
-let refreshSubscribers = [];
-
 /**
- * Adds request to refresh queue
- * @param {Function} callback - Callback to execute after refresh
+ * Creates the error a cancelled request rejects with. It is informational,
+ * so the error middleware does not toast it.
+ * @param {string} url - Request URL
+ * @returns {GPSLabError} Cancellation error
  */
-const subscribeToRefresh = (callback) => {
-  refreshSubscribers.push(callback);
-};
-
-/**
- * Processes refresh queue
- * @param {string} token - New access token
- */
-const onRefreshed = (token) => {
-  refreshSubscribers.forEach(callback => callback(token));
-  refreshSubscribers = [];
-};
+const createCancelledError = (url) => createError(ERROR_TYPES.REQUEST_CANCELLED, {
+  details: { url, severity: ERROR_SEVERITY.INFO }
+});
 
 /**
- * Clears refresh queue on error
- * @param {Error} error - Refresh error
+ * Copies a response so callers sharing one request cannot mutate each
+ * other's data (e.g. once the store has frozen it)
+ * @param {Object} response - Response object
+ * @returns {Object} Response with cloned data
  */
-const onRefreshError = (error) => {
-  refreshSubscribers.forEach(callback => callback(null, error));
-  refreshSubscribers = [];
-};
+const cloneResponse = (response) => ({
+  ...response,
+  data: response.data !== null && typeof response.data === 'object'
+    ? JSON.parse(JSON.stringify(response.data))
+    : response.data
+});
 
 // =============================================================================
 // API CLIENT CLASS
@@ -183,6 +190,10 @@ class ApiClient {
     this.requestInterceptors = [];
     this.responseInterceptors = [];
     
+    // In-flight GETs by request key, shared by identical concurrent calls
+    this.inflight = new Map();
+    this.cache = new ResponseCache(config.cache);
+    
     // Initialize with default interceptors
     this.addRequestInterceptor(this.authInterceptor.bind(this));
     this.addRequestInterceptor(this.loggingRequestInterceptor.bind(this));
@@ -221,12 +232,12 @@ class ApiClient {
       return config;
     }
     
-    // Check for token
+    // The access token is held in memory, so after a reload (or once it
+    // expires) it is restored from another tab or refreshed first
     let token = getAccessToken();
     
-    // If token is expired, try to refresh
-    if (token && isTokenExpired()) {
-      token = await this.refreshAccessToken();
+    if (hasSession() && (!token || isTokenExpired())) {
+      token = await restoreSession();
     }
     
     // Add token to headers
@@ -277,9 +288,10 @@ class ApiClient {
       return response;
     }
     
-    // Handle 401 - try to refresh token
+    // Handle 401 - try to refresh token. A refused refresh ends the session
+    // in every tab; an unreachable server leaves it for the next attempt.
     if (response.status === 401 && !response.config?.url?.includes('/auth/')) {
-      const newToken = await this.refreshAccessToken();
+      const newToken = hasSession() ? await this.refreshAccessToken() : null;
       
       if (newToken) {
         // Retry the request with new token
@@ -290,77 +302,275 @@ class ApiClient {
             'Authorization': `Bearer ${newToken}`
           }
         };
-        return this.request(retryConfig);
+        return this.send(retryConfig);
       }
       
-      // Token refresh failed - logout user
-      clearTokens();
-      window.dispatchEvent(new CustomEvent('auth:logout', { detail: { reason: 'session_expired' } }));
+      if (hasSession()) {
+        endSession({ reason: 'session_expired' });
+      }
     }
     
     throw response;
   }
   
   /**
-   * Refreshes access token
-   * @returns {Promise<string|null>} New access token
+   * Refreshes access token through the session manager, which makes sure
+   * only one tab spends the refresh token at a time
+   * @returns {Promise<string|null>} New access token, or null if the session ended
    */
   async refreshAccessToken() {
-    const refreshToken = getRefreshToken();
+    return refreshSession();
+  }
+  
+  /**
+   * Exchanges a refresh token for new tokens. Registered with the session
+   * manager as its refresh request.
+   * @param {string} refreshToken - Refresh token
+   * @returns {Promise<Object>} { accessToken, refreshToken, expiresAt }
+   */
+  async requestTokens(refreshToken) {
+    const response = await this.post('/auth/refresh-token', { refreshToken });
+    return response.data;
+  }
+  
+  // ===========================================================================
+  // REQUESTS
+  // ===========================================================================
+  
+  /**
+   * Makes HTTP request. GETs made with `cache` are answered from the shared
+   * cache (see `cachedRequest`); other GETs share any identical request
+   * already in flight. Successful mutations invalidate the cache tags they
+   * name in `invalidates`. While offline, requests made with `queueOffline`
+   * are queued for replay (resolving with `queued: true`) and all others
+   * fail fast with a network error.
+   * @param {Object} config - Request configuration
+   * @param {boolean|Object} [config.cache] - Cache a GET; may hold { key, ttl, tags, refresh }
+   * @param {Array<string>} [config.invalidates] - Cache tags a successful mutation invalidates
+   * @param {AbortSignal} [config.signal] - Cancels the request (rejects with REQUEST_CANCELLED)
+   * @param {boolean} [config.dedupe=true] - Share identical in-flight GETs
+   * @param {boolean|Object} [config.queueOffline] - Queue when offline; may hold { label, dedupeKey, meta }
+   * @returns {Promise<Object>} Response data
+   */
+  async request(config) {
+    const method = (config.method || 'GET').toUpperCase();
+    
+    if (method === 'GET') {
+      if (config.cache) {
+        return this.cachedRequest(config);
+      }
+      return config.dedupe === false || config.probe
+        ? this.send(config)
+        : this.dedupedRequest(config);
+    }
+    
+    const response = await this.send(config);
     
-    if (!refreshToken) {
-      return null;
+    // A queued mutation invalidates once it is replayed
+    if (config.invalidates && !response.queued) {
+      this.invalidateTags(config.invalidates);
     }
     
-    // If already refreshing, wait for result
-    if (isRefreshing) {
-      return new Promise((resolve, reject) => {
-        subscribeToRefresh((token, error) => {
-          if (error) reject(error);
-          else resolve(token);
+    return response;
+  }
+  
+  /**
+   * Key identifying a request: identical keys fetch identical data
+   * @param {Object} config - Request config
+   * @returns {string} Request key
+   */
+  getRequestKey(config) {
+    return `${(config.method || 'GET').toUpperCase()} ${buildUrl(this.config.baseURL, config)}`;
+  }
+  
+  /**
+   * Sends a GET, or joins an identical one already in flight. The shared
+   * request is only aborted once every caller waiting on it has cancelled.
+   * @param {Object} config - Request config
+   * @returns {Promise<Object>} Response
+   */
+  dedupedRequest(config) {
+    const key = this.getRequestKey(config);
+    let inflight = this.inflight.get(key);
+    
+    if (!inflight) {
+      const controller = new AbortController();
+      inflight = { controller, callers: 0, shared: false };
+      inflight.promise = this.send({ ...config, signal: controller.signal })
+        .finally(() => {
+          if (this.inflight.get(key) === inflight) this.inflight.delete(key);
         });
-      });
+      this.inflight.set(key, inflight);
+    } else {
+      inflight.shared = true;
     }
     
-    isRefreshing = true;
+    return this.joinRequest(inflight, config);
+  }
+  
+  /**
+   * Waits on a shared request on behalf of one caller
+   * @param {Object} inflight - Shared request ({ promise, controller, callers, shared })
+   * @param {Object} config - The caller's config (its `signal` may cancel)
+   * @returns {Promise<Object>} Response
+   */
+  joinRequest(inflight, config) {
+    const { signal } = config;
+    const url = buildUrl(this.config.baseURL, config);
     
-    try {
-      const response = await this.post('/auth/refresh-token', {
-        refreshToken
-      });
-      
-      const { accessToken, refreshToken: newRefreshToken, expiresAt } = response.data;
-      
-      setTokens({
-        accessToken,
-        refreshToken: newRefreshToken || refreshToken,
-        expiresAt
-      });
+    if (signal?.aborted) {
+      return Promise.reject(createCancelledError(url));
+    }
+    
+    inflight.callers += 1;
+    const settle = (response) => (inflight.shared ? cloneResponse(response) : response);
+    
+    // Callers that cannot cancel keep the request alive for good
+    if (!signal) {
+      return inflight.promise.then(settle);
+    }
+    
+    return new Promise((resolve, reject) => {
+      const handleAbort = () => {
+        inflight.callers -= 1;
+        if (inflight.callers === 0) inflight.controller.abort();
+        reject(createCancelledError(url));
+      };
       
-      onRefreshed(accessToken);
-      isRefreshing = false;
+      signal.addEventListener('abort', handleAbort, { once: true });
+      inflight.promise
+        .then(response => resolve(settle(response)), reject)
+        .finally(() => signal.removeEventListener('abort', handleAbort));
+    });
+  }
+  
+  /**
+   * Serves a GET from the shared cache, stale-while-revalidate: a fresh
+   * entry is returned as is, a stale one is returned while a background
+   * request refreshes it, and a miss waits for the network. Offline, or
+   * when the network fails, any entry beats none.
+   * @param {Object} config - Request config; `cache` may hold { key, ttl, tags, refresh }
+   * @returns {Promise<Object>} Response; `cached` and `stale` describe the source
+   */
+  async cachedRequest(config) {
+    const options = typeof config.cache === 'object' ? config.cache : {};
+    const key = options.key || this.getRequestKey(config);
+    const entry = options.refresh ? null : this.cache.get(key);
+    
+    if (entry) {
+      const state = this.cache.getState(entry);
       
-      return accessToken;
+      if (state === 'fresh') {
+        return this.fromCache(entry, config, false);
+      }
+      if (!isOnline()) {
+        return this.fromCache(entry, config, true);
+      }
+      if (state === 'stale') {
+        this.revalidate(key, config, options);
+        return this.fromCache(entry, config, true);
+      }
+    }
+    
+    try {
+      const response = await this.dedupedRequest(config);
+      this.cache.set(key, response.data, options);
+      return response;
     } catch (error) {
-      onRefreshError(error);
-      isRefreshing = false;
-      clearTokens();
-      return null;
+      const fallback = options.refresh ? this.cache.get(key) : entry;
+      const unreachable = error?.type === ERROR_TYPES.NETWORK_ERROR ||
+        error?.type === ERROR_TYPES.TIMEOUT_ERROR;
+      if (fallback && unreachable) {
+        return this.fromCache(fallback, config, true);
+      }
+      throw error;
     }
   }
   
   /**
-   * Makes HTTP request
+   * Refreshes a cache entry in the background and announces the new data
+   * @param {string} key - Cache key
+   * @param {Object} config - Request config
+   * @param {Object} options - Cache options ({ ttl, tags })
+   */
+  revalidate(key, config, options) {
+    // Nobody waits on the refresh, so the caller's signal must not cancel it
+    this.dedupedRequest({ ...config, signal: undefined })
+      .then(response => {
+        this.cache.set(key, response.data, options);
+        this.cache.notify({ key, tags: options.tags || [], data: response.data });
+      })
+      .catch(() => {
+        // The stale entry stays; the next read tries again
+      });
+  }
+  
+  /**
+   * Builds a response from a cache entry
+   * @param {Object} entry - Cache entry
+   * @param {Object} config - Request config
+   * @param {boolean} stale - Whether the entry is past its ttl
+   * @returns {Object} Response-shaped result
+   */
+  fromCache(entry, config, stale) {
+    return {
+      data: entry.data,
+      status: 200,
+      statusText: 'OK',
+      headers: null,
+      config,
+      cached: true,
+      stale,
+      cachedAt: entry.storedAt
+    };
+  }
+  
+  /**
+   * Invalidates every cached response carrying any of the tags
+   * @param {Array<string>|string} tags - Cache tags (see CACHE_TAGS)
+   * @returns {Array<string>} Removed cache keys
+   */
+  invalidateTags(tags) {
+    return this.cache.invalidateTags(tags);
+  }
+  
+  /**
+   * Drops every cached response, e.g. on sign-out
+   */
+  clearCache() {
+    this.cache.clear();
+  }
+  
+  /**
+   * Subscribes to cached responses refreshed in the background
+   * @param {Function} listener - ({ key, tags, data }) => void
+   * @returns {Function} Unsubscribe function
+   */
+  onCacheUpdate(listener) {
+    return this.cache.subscribe(listener);
+  }
+  
+  /**
+   * Sends a request over the network (or to the mock backend)
    * @param {Object} config - Request configuration
    * @returns {Promise<Object>} Response data
    */
-  async request(config) {
-    const startTime = Date.now();
+  async send(config) {
+    if (config.signal?.aborted) {
+      throw createCancelledError(config.url);
+    }
+    
+    if (!isOnline() && !config.probe) {
+      if (config.queueOffline && offlineHandler) {
+        return offlineHandler(config);
+      }
+      throw createError(ERROR_TYPES.NETWORK_ERROR, {
+        details: { url: config.url, offline: true }
+      });
+    }
     
     // Build full URL
-    const url = config.url.startsWith('http') 
-      ? config.url 
-      : `${this.config.baseURL}${config.url}`;
+    const url = buildUrl(this.config.baseURL, config);
     
     // Build request config
     let requestConfig = {
@@ -376,20 +586,33 @@ class ApiClient {
       requestConfig = await interceptor(requestConfig);
     }
     
-    // Create AbortController for timeout
+    // The caller may have cancelled while the interceptors ran
+    if (config.signal?.aborted) {
+      throw createCancelledError(url);
+    }
+    
+    // Create AbortController for timeout, following the caller's signal
     const controller = new AbortController();
     const timeout = config.timeout || this.config.timeout;
     const timeoutId = setTimeout(() => controller.abort(), timeout);
+    const cancel = () => controller.abort();
+    config.signal?.addEventListener('abort', cancel, { once: true });
     
     try {
-      let response = await fetch(url, {
-        method: requestConfig.method,
-        headers: requestConfig.headers,
-        body: requestConfig.body,
-        signal: controller.signal
-      });
+      let response = isMockEnabled()
+        ? await handleMockRequest({ ...requestConfig, url }, { signal: controller.signal })
+        : await fetch(url, {
+            method: requestConfig.method,
+            headers: requestConfig.headers,
+            body: requestConfig.body,
+            signal: controller.signal
+          });
       
       clearTimeout(timeoutId);
+      config.signal?.removeEventListener('abort', cancel);
+      
+      // Any response means the API is reachable
+      setOnline(true, 'request');
       
       // Attach config for interceptors
       response.config = requestConfig;
@@ -419,8 +642,12 @@ class ApiClient {
       
     } catch (error) {
       clearTimeout(timeoutId);
+      config.signal?.removeEventListener('abort', cancel);
       
-      // Handle abort (timeout)
+      // Handle abort: the caller cancelled, or the timeout fired
+      if (error.name === 'AbortError' && config.signal?.aborted) {
+        throw createCancelledError(url);
+      }
       if (error.name === 'AbortError') {
         throw createError(ERROR_TYPES.TIMEOUT_ERROR, {
           details: { url, timeout }
@@ -429,6 +656,10 @@ class ApiClient {
       
       // Handle network errors
       if (error instanceof TypeError) {
+        setOnline(false, 'request');
+        if (config.queueOffline && offlineHandler) {
+          return offlineHandler(config);
+        }
         throw createNetworkError(error);
       }
       
@@ -548,6 +779,14 @@ class ApiClient {
  */
 const apiClient = new ApiClient();
 
+setRefreshHandler(refreshToken => apiClient.requestTokens(refreshToken));
+
+// Cached responses belong to the signed-in user, so they go however the
+// session ends: logout, expiry, or either of those in another tab
+onSessionChange((change) => {
+  if (change.type === 'ended') apiClient.clearCache();
+});
+
 // =============================================================================
 // EXPORTS
 // =============================================================================
@@ -0,0 +1,85 @@
+/**
+ * GPS Lab Platform - Economy Service
+ *
+ * The game economy config: the active config every calculator reads
+ * (loaded at start-up and served from the cache while it revalidates),
+ * and the admin preview and save. Saves carry a reason for the audit log
+ * and the `updatedAt` the config was loaded with; the server refuses the
+ * save (409) if someone else saved since.
+ *
+ * @module services/api/economy.service
+ * @version 1.0.0
+ */
+
+import apiClient from './client';
+import { CACHE_TAGS, CACHE_TTL } from './api.cache';
+import { logUserAction } from '../../utils/error/error.logger';
+
+// =============================================================================
+// API ENDPOINTS
+// =============================================================================
+
+const ENDPOINTS = {
+  config: '/economy/config',
+  adminConfig: '/admin/economy/config',
+  preview: '/admin/economy/config/preview'
+};
+
+// =============================================================================
+// CONFIG
+// =============================================================================
+
+/**
+ * Gets the active economy config
+ * @param {Object} options - { signal, useCache }
+ * @returns {Promise<Object>} { config, revision, updatedAt, updatedBy }
+ */
+export const getEconomyConfig = async ({ signal, useCache = true } = {}) => {
+  const response = await apiClient.get(ENDPOINTS.config, {
+    signal,
+    cache: {
+      ttl: CACHE_TTL.STATIC,
+      tags: [CACHE_TAGS.ECONOMY_CONFIG],
+      refresh: !useCache
+    }
+  });
+  return response.data;
+};
+
+// =============================================================================
+// ADMIN
+// =============================================================================
+
+/**
+ * Works out what a proposed config would change
+ * @param {Object} config - Proposed config
+ * @returns {Promise<Object>} { changes, levels, users, course }
+ */
+export const previewEconomyConfig = async (config) => {
+  const response = await apiClient.post(ENDPOINTS.preview, { config });
+  return response.data;
+};
+
+/**
+ * Saves a new economy config
+ * @param {Object} config - New config
+ * @param {Object} options - { reason, updatedAt }
+ * @returns {Promise<Object>} { config, revision, updatedAt, updatedBy, audit }
+ */
+export const updateEconomyConfig = async (config, { reason, updatedAt }) => {
+  const response = await apiClient.put(ENDPOINTS.adminConfig, { config, reason, updatedAt }, {
+    invalidates: [CACHE_TAGS.ECONOMY_CONFIG]
+  });
+  logUserAction('admin_economy_config_updated', { revision: response.data.revision });
+  return response.data;
+};
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+export default {
+  getEconomyConfig,
+  previewEconomyConfig,
+  updateEconomyConfig
+};
@@ -10,8 +10,11 @@
  */
 
 import apiClient from './client';
+import { CACHE_TAGS, CACHE_TTL } from './api.cache';
+import { OFFLINE_LABELS } from '../offline/offline.service';
 
 const GPS101_API_BASE = '/api/gps101';
+const CURRICULUM_ADMIN_BASE = `${GPS101_API_BASE}/admin/curriculum/versions`;
 
 /**
  * GPS 101 Service
@@ -43,6 +46,111 @@ const gps101Service = {
     }
   },
 
+  // ==================== CURRICULUM ====================
+
+  /**
+   * Get the published curriculum (stages, missions, sub-missions and
+   * checkpoints). Served from the cache while it revalidates, so content
+   * published by curriculum staff reaches learners without a deploy.
+   */
+  getPublishedCurriculum: async ({ signal, useCache = true } = {}) => {
+    try {
+      const response = await apiClient.get(`${GPS101_API_BASE}/curriculum`, {
+        signal,
+        cache: {
+          ttl: CACHE_TTL.LONG,
+          tags: [CACHE_TAGS.GPS101_CURRICULUM],
+          refresh: !useCache
+        }
+      });
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  // ==================== CURRICULUM AUTHORING (ADMIN) ====================
+
+  /**
+   * List curriculum versions (published, drafts and archived), newest first
+   */
+  getCurriculumVersions: async () => {
+    try {
+      const response = await apiClient.get(CURRICULUM_ADMIN_BASE);
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  /**
+   * Get a curriculum version with its full content
+   */
+  getCurriculumVersion: async (versionId) => {
+    try {
+      const response = await apiClient.get(`${CURRICULUM_ADMIN_BASE}/${versionId}`);
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  /**
+   * Start a draft from an existing version (the published one by default)
+   */
+  createCurriculumDraft: async (fromVersionId = null) => {
+    try {
+      const response = await apiClient.post(CURRICULUM_ADMIN_BASE, { fromVersionId });
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  /**
+   * Save a draft. `updatedAt` is the draft's last saved time as loaded;
+   * the server refuses the save (409) if someone else saved since.
+   */
+  saveCurriculumDraft: async (versionId, { stages, missions, notes, updatedAt }) => {
+    try {
+      const response = await apiClient.put(`${CURRICULUM_ADMIN_BASE}/${versionId}`, {
+        stages,
+        missions,
+        notes,
+        updatedAt
+      });
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  /**
+   * Publish a draft. The previously published version is archived.
+   */
+  publishCurriculumVersion: async (versionId) => {
+    try {
+      const response = await apiClient.post(`${CURRICULUM_ADMIN_BASE}/${versionId}/publish`, undefined, {
+        invalidates: [CACHE_TAGS.GPS101_CURRICULUM]
+      });
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  /**
+   * Discard a draft
+   */
+  deleteCurriculumDraft: async (versionId) => {
+    try {
+      const response = await apiClient.delete(`${CURRICULUM_ADMIN_BASE}/${versionId}`);
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
   // ==================== STAGES ====================
 
   /**
@@ -301,11 +409,17 @@ const gps101Service = {
   // ==================== DELIVERABLES ====================
 
   /**
-   * Save deliverable
+   * Save deliverable (queued for sync while offline)
    */
   saveDeliverable: async (deliverableId, data) => {
     try {
-      const response = await apiClient.post(`${GPS101_API_BASE}/deliverables/${deliverableId}`, data);
+      const response = await apiClient.post(`${GPS101_API_BASE}/deliverables/${deliverableId}`, data, {
+        queueOffline: {
+          label: OFFLINE_LABELS.GPS101_DELIVERABLE,
+          dedupeKey: `gps101_deliverable_${deliverableId}`,
+          meta: { deliverableId }
+        }
+      });
       return response.data;
     } catch (error) {
       throw error;
@@ -4,106 +4,15 @@
  * Notification management service for in-app notifications,
  * push notifications, and notification preferences.
  * 
- * MOCK MODE: When REACT_APP_USE_MOCK_DATA=true or API is unreachable,
- * all methods return realistic mock data for frontend-only development.
- * 
  * @module services/api/notification.service
  * @version 1.1.0
  */
 
 import apiClient from './client';
-import { getCache, setCache, getItem, setItem, STORAGE_KEYS } from '../storage/localStorage.service';
-import { logUserAction } from '../../utils/error/logger';
+import { getItem, setItem, STORAGE_KEYS } from '../storage/localStorage.service';
+import { logUserAction } from '../../utils/error/error.logger';
 import { on as wsOn, WS_EVENTS } from '../websocket/websocket.service';
 
-// =============================================================================
-// MOCK MODE CONFIGURATION
-// =============================================================================
-
-const USE_MOCK = process.env.REACT_APP_USE_MOCK_DATA === 'true' ||
-                 process.env.NODE_ENV === 'development';
-
-const mockDelay = (ms = 300) => new Promise(r => setTimeout(r, ms));
-const logMock = (method) => console.info(`[NotificationService:MOCK] ${method}`);
-
-// =============================================================================
-// MOCK DATA
-// =============================================================================
-
-let mockNotifications = [
-  {
-    id: 'notif_001', type: 'mission_completed', category: 'progress',
-    title: 'Mission Completed!', message: 'You completed "Understanding Systems" — well done!',
-    priority: 'normal', read: false, actionUrl: '/missions/S1M2',
-    metadata: { missionId: 'S1M2', xpEarned: 120, barakaEarned: 175 },
-    createdAt: new Date(Date.now() - 2 * 60 * 60 * 1000).toISOString()
-  },
-  {
-    id: 'notif_002', type: 'badge_earned', category: 'achievement',
-    title: 'Badge Earned: Explorer 🗺️', message: 'You completed Adventure 1: Foundation!',
-    priority: 'high', read: false, actionUrl: '/profile/badges',
-    metadata: { badgeId: 'badge_005' },
-    createdAt: new Date(Date.now() - 5 * 60 * 60 * 1000).toISOString()
-  },
-  {
-    id: 'notif_003', type: 'streak_milestone', category: 'achievement',
-    title: '7-Day Streak! 🔥', message: 'Amazing consistency — claim your 50 Baraka reward.',
-    priority: 'high', read: false, actionUrl: '/study/streak',
-    metadata: { streakDays: 7, reward: 50 },
-    createdAt: new Date(Date.now() - 8 * 60 * 60 * 1000).toISOString()
-  },
-  {
-    id: 'notif_004', type: 'praise_received', category: 'social',
-    title: 'Praise from SolverAlpha', message: '"Great analysis on the systems mapping exercise!"',
-    priority: 'normal', read: true, actionUrl: '/praise',
-    metadata: { fromUserId: 'usr_002', fromUsername: 'SolverAlpha' },
-    createdAt: new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString()
-  },
-  {
-    id: 'notif_005', type: 'baraka_earned', category: 'baraka',
-    title: 'Baraka Earned', message: 'You earned 300 Baraka from mission completion.',
-    priority: 'normal', read: true, actionUrl: '/wallet/baraka',
-    metadata: { amount: 300, source: 'mission_complete' },
-    createdAt: new Date(Date.now() - 26 * 60 * 60 * 1000).toISOString()
-  },
-  {
-    id: 'notif_006', type: 'party_invite', category: 'social',
-    title: 'Party Invitation', message: 'BuilderGamma invited you to join "Impact Makers".',
-    priority: 'normal', read: true, actionUrl: '/parties/invitations',
-    metadata: { partyId: 'party_002', fromUserId: 'usr_004' },
-    createdAt: new Date(Date.now() - 48 * 60 * 60 * 1000).toISOString()
-  },
-  {
-    id: 'notif_007', type: 'streak_reminder', category: 'reminder',
-    title: 'Keep Your Streak Alive!', message: "You haven't studied today yet. 5 minutes is all it takes!",
-    priority: 'high', read: true, actionUrl: '/study',
-    metadata: {},
-    createdAt: new Date(Date.now() - 72 * 60 * 60 * 1000).toISOString()
-  },
-  {
-    id: 'notif_008', type: 'system_announcement', category: 'system',
-    title: 'New Feature: Praise System', message: 'Give and receive praise from your fellow GPS solvers!',
-    priority: 'low', read: true, actionUrl: '/praise',
-    metadata: {},
-    createdAt: new Date(Date.now() - 5 * 24 * 60 * 60 * 1000).toISOString()
-  }
-];
-
-const MOCK_PREFERENCES = {
-  enabled: true,
-  email: true,
-  push: false,
-  sound: true,
-  categories: {
-    achievement: true,
-    progress: true,
-    social: true,
-    baraka: true,
-    system: true,
-    reminder: true
-  }
-};
-
 // =============================================================================
 // API ENDPOINTS
 // =============================================================================
@@ -138,6 +47,8 @@ export const NOTIFICATION_TYPES = {
   REVIEW_REQUEST: 'review_request',
   BARAKA_EARNED: 'baraka_earned',
   BARAKA_RECEIVED: 'baraka_received',
+  BARAKA_REQUESTED: 'baraka_requested',
+  BARAKA_ESCROW: 'baraka_escrow',
   COVENANT_RETURN: 'covenant_return',
   SYSTEM_ANNOUNCEMENT: 'system_announcement',
   MAINTENANCE: 'maintenance',
@@ -159,23 +70,6 @@ export const NOTIFICATION_CATEGORIES = {
 // =============================================================================
 
 export const getNotifications = async ({ page = 1, limit = 20, category, unreadOnly = false } = {}) => {
-  if (USE_MOCK) {
-    logMock('getNotifications');
-    await mockDelay(300);
-
-    let filtered = [...mockNotifications];
-    if (category) filtered = filtered.filter(n => n.category === category);
-    if (unreadOnly) filtered = filtered.filter(n => !n.read);
-
-    const start = (page - 1) * limit;
-    const paged = filtered.slice(start, start + limit);
-
-    return {
-      notifications: paged,
-      pagination: { page, limit, total: filtered.length, totalPages: Math.ceil(filtered.length / limit) }
-    };
-  }
-
   const params = { page, limit };
   if (category) params.category = category;
   if (unreadOnly) params.unread = true;
@@ -184,62 +78,24 @@ export const getNotifications = async ({ page = 1, limit = 20, category, unreadO
 };
 
 export const getUnreadCount = async () => {
-  if (USE_MOCK) {
-    logMock('getUnreadCount');
-    await mockDelay(150);
-    const count = mockNotifications.filter(n => !n.read).length;
-    return { count, byCategory: { achievement: 1, progress: 1, social: 0, baraka: 0, system: 0, reminder: 1 } };
-  }
   const response = await apiClient.get(ENDPOINTS.unread);
   return response.data;
 };
 
 export const getNotification = async (notificationId) => {
-  if (USE_MOCK) {
-    logMock(`getNotification: ${notificationId}`);
-    await mockDelay(200);
-    const n = mockNotifications.find(n => n.id === notificationId);
-    if (!n) throw new Error(`Notification ${notificationId} not found`);
-    return { ...n };
-  }
   const response = await apiClient.get(`${ENDPOINTS.notifications}/${notificationId}`);
   return response.data;
 };
 
 export const markAsRead = async (notificationId) => {
-  if (USE_MOCK) {
-    logMock(`markAsRead: ${notificationId}`);
-    await mockDelay(150);
-    const n = mockNotifications.find(n => n.id === notificationId);
-    if (n) n.read = true;
-    return;
-  }
   await apiClient.post(`${ENDPOINTS.markRead}/${notificationId}`);
 };
 
 export const markMultipleAsRead = async (notificationIds) => {
-  if (USE_MOCK) {
-    logMock(`markMultipleAsRead: ${notificationIds.length} items`);
-    await mockDelay(200);
-    notificationIds.forEach(id => {
-      const n = mockNotifications.find(n => n.id === id);
-      if (n) n.read = true;
-    });
-    return;
-  }
   await apiClient.post(ENDPOINTS.markRead, { ids: notificationIds });
 };
 
 export const markAllAsRead = async (category) => {
-  if (USE_MOCK) {
-    logMock('markAllAsRead');
-    await mockDelay(200);
-    mockNotifications.forEach(n => {
-      if (!category || n.category === category) n.read = true;
-    });
-    logUserAction('notifications_all_marked_read', { category });
-    return;
-  }
   const params = {};
   if (category) params.category = category;
   await apiClient.post(ENDPOINTS.markAllRead, null, { params });
@@ -247,27 +103,10 @@ export const markAllAsRead = async (category) => {
 };
 
 export const deleteNotification = async (notificationId) => {
-  if (USE_MOCK) {
-    logMock(`deleteNotification: ${notificationId}`);
-    await mockDelay(200);
-    mockNotifications = mockNotifications.filter(n => n.id !== notificationId);
-    return;
-  }
   await apiClient.delete(`${ENDPOINTS.notifications}/${notificationId}`);
 };
 
 export const clearAll = async (category) => {
-  if (USE_MOCK) {
-    logMock('clearAll');
-    await mockDelay(300);
-    if (category) {
-      mockNotifications = mockNotifications.filter(n => n.category !== category);
-    } else {
-      mockNotifications = [];
-    }
-    logUserAction('notifications_cleared', { category });
-    return;
-  }
   const params = {};
   if (category) params.category = category;
   await apiClient.delete(ENDPOINTS.notifications, { params });
@@ -279,25 +118,11 @@ export const clearAll = async (category) => {
 // =============================================================================
 
 export const getPreferences = async () => {
-  if (USE_MOCK) {
-    logMock('getPreferences');
-    await mockDelay(200);
-    return { ...MOCK_PREFERENCES };
-  }
   const response = await apiClient.get(ENDPOINTS.preferences);
   return response.data;
 };
 
 export const updatePreferences = async (preferences) => {
-  if (USE_MOCK) {
-    logMock('updatePreferences');
-    await mockDelay(300);
-    Object.assign(MOCK_PREFERENCES, preferences);
-    setItem(STORAGE_KEYS.notificationsEnabled, preferences.enabled !== false);
-    logUserAction('notification_preferences_updated');
-    return { ...MOCK_PREFERENCES };
-  }
-
   const response = await apiClient.patch(ENDPOINTS.preferences, preferences);
   setItem(STORAGE_KEYS.notificationsEnabled, preferences.enabled !== false);
   logUserAction('notification_preferences_updated');
@@ -305,12 +130,6 @@ export const updatePreferences = async (preferences) => {
 };
 
 export const setCategoryEnabled = async (category, enabled) => {
-  if (USE_MOCK) {
-    logMock(`setCategoryEnabled: ${category} = ${enabled}`);
-    await mockDelay(200);
-    MOCK_PREFERENCES.categories[category] = enabled;
-    return { ...MOCK_PREFERENCES };
-  }
   const response = await apiClient.patch(ENDPOINTS.preferences, { categories: { [category]: enabled } });
   return response.data;
 };
@@ -320,24 +139,12 @@ export const setCategoryEnabled = async (category, enabled) => {
 // =============================================================================
 
 export const subscribeToPush = async (subscription) => {
-  if (USE_MOCK) {
-    logMock('subscribeToPush');
-    await mockDelay(400);
-    logUserAction('push_notifications_subscribed');
-    return { subscribed: true };
-  }
   const response = await apiClient.post(ENDPOINTS.pushSubscribe, subscription);
   logUserAction('push_notifications_subscribed');
   return response.data;
 };
 
 export const unsubscribeFromPush = async () => {
-  if (USE_MOCK) {
-    logMock('unsubscribeFromPush');
-    await mockDelay(300);
-    logUserAction('push_notifications_unsubscribed');
-    return;
-  }
   await apiClient.post(ENDPOINTS.pushUnsubscribe);
   logUserAction('push_notifications_unsubscribed');
 };
@@ -368,22 +175,6 @@ export const requestPushPermission = async () => {
 // =============================================================================
 
 export const onNotification = (callback) => {
-  if (USE_MOCK) {
-    // In mock mode, simulate receiving a notification after 30 seconds
-    const timer = setTimeout(() => {
-      const mockNew = {
-        id: 'notif_live_' + Date.now(),
-        type: 'study_reminder', category: 'reminder',
-        title: 'Time to Study!', message: 'Your daily study session awaits.',
-        priority: 'normal', read: false, actionUrl: '/study',
-        createdAt: new Date().toISOString()
-      };
-      mockNotifications.unshift(mockNew);
-      callback(mockNew);
-    }, 30000);
-    return () => clearTimeout(timer);
-  }
-
   return wsOn(WS_EVENTS.NOTIFICATION, (data) => {
     if (getItem(STORAGE_KEYS.notificationsEnabled) !== false) {
       showBrowserNotification(data);
@@ -442,6 +233,9 @@ export const getTypeInfo = (type) => {
     [NOTIFICATION_TYPES.HONOR_RECEIVED]: { icon: '🙏', color: 'blue', category: NOTIFICATION_CATEGORIES.SOCIAL },
     [NOTIFICATION_TYPES.PARTY_INVITE]: { icon: '🎉', color: 'blue', category: NOTIFICATION_CATEGORIES.SOCIAL },
     [NOTIFICATION_TYPES.BARAKA_EARNED]: { icon: '💰', color: 'baraka', category: NOTIFICATION_CATEGORIES.BARAKA },
+    [NOTIFICATION_TYPES.BARAKA_RECEIVED]: { icon: '🎁', color: 'baraka', category: NOTIFICATION_CATEGORIES.BARAKA },
+    [NOTIFICATION_TYPES.BARAKA_REQUESTED]: { icon: '🙋', color: 'baraka', category: NOTIFICATION_CATEGORIES.BARAKA },
+    [NOTIFICATION_TYPES.BARAKA_ESCROW]: { icon: '🔐', color: 'baraka', category: NOTIFICATION_CATEGORIES.BARAKA },
     [NOTIFICATION_TYPES.COVENANT_RETURN]: { icon: '🤝', color: 'baraka', category: NOTIFICATION_CATEGORIES.BARAKA },
     [NOTIFICATION_TYPES.STREAK_REMINDER]: { icon: '🔥', color: 'orange', category: NOTIFICATION_CATEGORIES.REMINDER },
     [NOTIFICATION_TYPES.STUDY_REMINDER]: { icon: '📚', color: 'blue', category: NOTIFICATION_CATEGORIES.REMINDER },
@@ -9,8 +9,8 @@
  */
 
 import apiClient from './client';
-import { getCache, setCache } from '../storage/localStorage.service';
-import { logUserAction } from '../../utils/error/logger';
+import { CACHE_TAGS, CACHE_TTL } from './api.cache';
+import { logUserAction } from '../../utils/error/error.logger';
 import { subscribe as wsSubscribe, unsubscribe as wsUnsubscribe, send as wsSend } from '../websocket/websocket.service';
 
 // =============================================================================
@@ -32,16 +32,6 @@ const ENDPOINTS = {
   myParties: '/parties/my'
 };
 
-// =============================================================================
-// CACHE CONFIGURATION
-// =============================================================================
-
-const CACHE_TTL = {
-  party: 2 * 60 * 1000,       // 2 minutes
-  members: 1 * 60 * 1000,     // 1 minute
-  discover: 5 * 60 * 1000     // 5 minutes
-};
-
 // =============================================================================
 // PARTY CONSTANTS
 // =============================================================================
@@ -119,19 +109,11 @@ export const createParty = async ({
  * @param {Object} options - Options
  * @returns {Promise<Object>} Party data
  */
-export const getParty = async (partyId, { useCache = true } = {}) => {
-  const cacheKey = `party_${partyId}`;
-  
-  if (useCache) {
-    const cached = getCache(cacheKey, CACHE_TTL.party);
-    if (cached) {
-      return cached;
-    }
-  }
-  
-  const response = await apiClient.get(ENDPOINTS.party(partyId));
-  
-  setCache(cacheKey, response.data);
+export const getParty = async (partyId, { useCache = true, signal } = {}) => {
+  const response = await apiClient.get(ENDPOINTS.party(partyId), {
+    signal,
+    cache: { ttl: CACHE_TTL.SHORT, tags: [CACHE_TAGS.party(partyId)], refresh: !useCache }
+  });
   
   return response.data;
 };
@@ -143,10 +125,9 @@ export const getParty = async (partyId, { useCache = true } = {}) => {
  * @returns {Promise<Object>} Updated party
  */
 export const updateParty = async (partyId, data) => {
-  const response = await apiClient.patch(ENDPOINTS.party(partyId), data);
-  
-  // Invalidate cache
-  invalidatePartyCache(partyId);
+  const response = await apiClient.patch(ENDPOINTS.party(partyId), data, {
+    invalidates: [CACHE_TAGS.party(partyId)]
+  });
   
   logUserAction('party_updated', { partyId });
   
@@ -159,10 +140,9 @@ export const updateParty = async (partyId, data) => {
  * @returns {Promise<void>}
  */
 export const disbandParty = async (partyId) => {
-  await apiClient.delete(ENDPOINTS.party(partyId));
-  
-  // Invalidate cache
-  invalidatePartyCache(partyId);
+  await apiClient.delete(ENDPOINTS.party(partyId), {
+    invalidates: [CACHE_TAGS.party(partyId)]
+  });
   
   logUserAction('party_disbanded', { partyId });
   
@@ -185,14 +165,13 @@ export const disbandParty = async (partyId) => {
 export const joinParty = async (partyId, { inviteCode } = {}) => {
   const response = await apiClient.post(ENDPOINTS.join(partyId), {
     inviteCode
+  }, {
+    invalidates: [CACHE_TAGS.party(partyId)]
   });
   
   // Subscribe to party WebSocket channel
   wsSubscribe(`party:${partyId}`);
   
-  // Invalidate cache
-  invalidatePartyCache(partyId);
-  
   logUserAction('party_joined', { partyId });
   
   // Dispatch event
@@ -209,14 +188,13 @@ export const joinParty = async (partyId, { inviteCode } = {}) => {
  * @returns {Promise<void>}
  */
 export const leaveParty = async (partyId) => {
-  await apiClient.post(ENDPOINTS.leave(partyId));
+  await apiClient.post(ENDPOINTS.leave(partyId), undefined, {
+    invalidates: [CACHE_TAGS.party(partyId)]
+  });
   
   // Unsubscribe from party WebSocket channel
   wsUnsubscribe(`party:${partyId}`);
   
-  // Invalidate cache
-  invalidatePartyCache(partyId);
-  
   logUserAction('party_left', { partyId });
   
   // Dispatch event
@@ -231,19 +209,11 @@ export const leaveParty = async (partyId) => {
  * @param {Object} options - Options
  * @returns {Promise<Object>} Members list
  */
-export const getMembers = async (partyId, { useCache = true } = {}) => {
-  const cacheKey = `party_${partyId}_members`;
-  
-  if (useCache) {
-    const cached = getCache(cacheKey, CACHE_TTL.members);
-    if (cached) {
-      return cached;
-    }
-  }
-  
-  const response = await apiClient.get(ENDPOINTS.members(partyId));
-  
-  setCache(cacheKey, response.data);
+export const getMembers = async (partyId, { useCache = true, signal } = {}) => {
+  const response = await apiClient.get(ENDPOINTS.members(partyId), {
+    signal,
+    cache: { ttl: CACHE_TTL.SHORT, tags: [CACHE_TAGS.party(partyId)], refresh: !useCache }
+  });
   
   return response.data;
 };
@@ -258,11 +228,10 @@ export const getMembers = async (partyId, { useCache = true } = {}) => {
 export const updateMemberRole = async (partyId, userId, role) => {
   const response = await apiClient.patch(`${ENDPOINTS.members(partyId)}/${userId}`, {
     role
+  }, {
+    invalidates: [CACHE_TAGS.party(partyId)]
   });
   
-  // Invalidate cache
-  invalidatePartyCache(partyId);
-  
   logUserAction('party_member_role_updated', { partyId, userId, role });
   
   return response.data;
@@ -275,10 +244,9 @@ export const updateMemberRole = async (partyId, userId, role) => {
  * @returns {Promise<void>}
  */
 export const removeMember = async (partyId, userId) => {
-  await apiClient.delete(`${ENDPOINTS.members(partyId)}/${userId}`);
-  
-  // Invalidate cache
-  invalidatePartyCache(partyId);
+  await apiClient.delete(`${ENDPOINTS.members(partyId)}/${userId}`, {
+    invalidates: [CACHE_TAGS.party(partyId)]
+  });
   
   logUserAction('party_member_removed', { partyId, userId });
 };
@@ -347,12 +315,14 @@ export const getChatMessages = async (partyId, {
 };
 
 /**
- * Sends chat message via WebSocket
+ * Sends chat message via WebSocket. The message is queued while offline and
+ * delivered exactly once after reconnecting or reloading.
  * @param {string} partyId - Party ID
  * @param {Object} message - Message data
+ * @returns {string} Outbox message ID
  */
 export const sendChatMessage = (partyId, { content, type = 'text', attachments }) => {
-  wsSend('party:message', {
+  const messageId = wsSend('party:message', {
     partyId,
     content,
     type,
@@ -360,6 +330,8 @@ export const sendChatMessage = (partyId, { content, type = 'text', attachments }
   });
   
   logUserAction('party_message_sent', { partyId, type });
+  
+  return messageId;
 };
 
 /**
@@ -510,16 +482,6 @@ export const getRecommendedParties = async () => {
 // HELPER FUNCTIONS
 // =============================================================================
 
-/**
- * Invalidates party cache
- * @param {string} partyId - Party ID
- */
-const invalidatePartyCache = (partyId) => {
-  const { removeItem } = require('../storage/localStorage.service');
-  removeItem(`cache_party_${partyId}`);
-  removeItem(`cache_party_${partyId}_members`);
-};
-
 /**
  * Gets party type info
  * @param {string} type - Party type
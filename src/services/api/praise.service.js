@@ -9,8 +9,8 @@
  */
 
 import apiClient from './client';
-import { getCache, setCache } from '../storage/localStorage.service';
-import { logUserAction, logBarakaTransaction } from '../../utils/error/logger';
+import { CACHE_TAGS, CACHE_TTL } from './api.cache';
+import { logUserAction, logBarakaTransaction } from '../../utils/error/error.logger';
 
 // =============================================================================
 // API ENDPOINTS
@@ -27,15 +27,6 @@ const ENDPOINTS = {
   categories: '/praise/categories'
 };
 
-// =============================================================================
-// CACHE CONFIGURATION
-// =============================================================================
-
-const CACHE_TTL = {
-  categories: 30 * 60 * 1000,  // 30 minutes
-  stats: 5 * 60 * 1000         // 5 minutes
-};
-
 // =============================================================================
 // PRAISE CONSTANTS
 // =============================================================================
@@ -94,6 +85,8 @@ export const sendPraise = async ({
     contextId,
     isPublic,
     attachBaraka
+  }, {
+    invalidates: attachBaraka > 0 ? [CACHE_TAGS.PRAISE, CACHE_TAGS.BARAKA] : [CACHE_TAGS.PRAISE]
   });
   
   logUserAction('praise_sent', { 
@@ -186,25 +179,17 @@ export const acknowledgePraise = async (praiseId, { thankYouMessage } = {}) => {
  * @param {Object} options - Options
  * @returns {Promise<Object>} Honor stats
  */
-export const getHonorStats = async ({ useCache = true } = {}) => {
-  if (useCache) {
-    const cached = getCache('praise_honor_stats', CACHE_TTL.stats);
-    if (cached) {
-      return cached;
-    }
-  }
-  
-  const response = await apiClient.get(ENDPOINTS.honor);
+export const getHonorStats = async ({ useCache = true, signal } = {}) => {
+  const response = await apiClient.get(ENDPOINTS.honor, {
+    signal,
+    cache: { ttl: CACHE_TTL.DEFAULT, tags: [CACHE_TAGS.PRAISE], refresh: !useCache }
+  });
   
   // Enrich with tier info
-  const enriched = {
+  return {
     ...response.data,
     tier: getHonorTier(response.data.totalHonor)
   };
-  
-  setCache('praise_honor_stats', enriched);
-  
-  return enriched;
 };
 
 /**
@@ -227,6 +212,8 @@ export const getHonorHistory = async ({ page = 1, limit = 20 } = {}) => {
 export const convertHonorToBaraka = async (honorAmount) => {
   const response = await apiClient.post(`${ENDPOINTS.honor}/convert`, {
     amount: honorAmount
+  }, {
+    invalidates: [CACHE_TAGS.PRAISE, CACHE_TAGS.BARAKA]
   });
   
   logUserAction('honor_converted', { 
@@ -234,10 +221,6 @@ export const convertHonorToBaraka = async (honorAmount) => {
     barakaReceived: response.data.barakaReceived 
   });
   
-  // Invalidate cache
-  const { removeItem } = require('../storage/localStorage.service');
-  removeItem('cache_praise_honor_stats');
-  
   return response.data;
 };
 
@@ -251,21 +234,11 @@ export const convertHonorToBaraka = async (honorAmount) => {
  * @returns {Promise<Object>} Stats
  */
 export const getStats = async ({ period = '30d', useCache = true } = {}) => {
-  const cacheKey = `praise_stats_${period}`;
-  
-  if (useCache) {
-    const cached = getCache(cacheKey, CACHE_TTL.stats);
-    if (cached) {
-      return cached;
-    }
-  }
-  
   const response = await apiClient.get(ENDPOINTS.stats, {
-    params: { period }
+    params: { period },
+    cache: { ttl: CACHE_TTL.DEFAULT, tags: [CACHE_TAGS.PRAISE], refresh: !useCache }
   });
   
-  setCache(cacheKey, response.data);
-  
   return response.data;
 };
 
@@ -295,14 +268,9 @@ export const getLeaderboard = async ({
  * @returns {Promise<Object>} Categories
  */
 export const getCategories = async () => {
-  const cached = getCache('praise_categories', CACHE_TTL.categories);
-  if (cached) {
-    return cached;
-  }
-  
-  const response = await apiClient.get(ENDPOINTS.categories);
-  
-  setCache('praise_categories', response.data);
+  const response = await apiClient.get(ENDPOINTS.categories, {
+    cache: { ttl: CACHE_TTL.STATIC, tags: [CACHE_TAGS.PRAISE_CATEGORIES] }
+  });
   
   return response.data;
 };
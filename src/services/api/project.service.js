@@ -9,8 +9,8 @@
  */
 
 import apiClient from './client';
-import { getCache, setCache } from '../storage/localStorage.service';
-import { logUserAction } from '../../utils/error/logger';
+import { CACHE_TAGS, CACHE_TTL } from './api.cache';
+import { logUserAction } from '../../utils/error/error.logger';
 
 // =============================================================================
 // API ENDPOINTS
@@ -27,21 +27,13 @@ const ENDPOINTS = {
   team: (id) => `/projects/${id}/team`,
   updates: (id) => `/projects/${id}/updates`,
   impact: (id) => `/projects/${id}/impact`,
+  impactIndicators: (id) => `/projects/${id}/impact/indicators`,
+  impactStories: (id) => `/projects/${id}/impact/stories`,
   funding: (id) => `/projects/${id}/funding`,
   resources: (id) => `/projects/${id}/resources`,
   gallery: (id) => `/projects/${id}/gallery`
 };
 
-// =============================================================================
-// CACHE CONFIGURATION
-// =============================================================================
-
-const CACHE_TTL = {
-  project: 5 * 60 * 1000,     // 5 minutes
-  featured: 15 * 60 * 1000,   // 15 minutes
-  discover: 5 * 60 * 1000     // 5 minutes
-};
-
 // =============================================================================
 // PROJECT CONSTANTS
 // =============================================================================
@@ -143,19 +135,11 @@ export const createProject = async ({
  * @param {Object} options - Options
  * @returns {Promise<Object>} Project data
  */
-export const getProject = async (projectId, { useCache = true } = {}) => {
-  const cacheKey = `project_${projectId}`;
-  
-  if (useCache) {
-    const cached = getCache(cacheKey, CACHE_TTL.project);
-    if (cached) {
-      return cached;
-    }
-  }
-  
-  const response = await apiClient.get(ENDPOINTS.project(projectId));
-  
-  setCache(cacheKey, response.data);
+export const getProject = async (projectId, { useCache = true, signal } = {}) => {
+  const response = await apiClient.get(ENDPOINTS.project(projectId), {
+    signal,
+    cache: { ttl: CACHE_TTL.DEFAULT, tags: [CACHE_TAGS.project(projectId)], refresh: !useCache }
+  });
   
   return response.data;
 };
@@ -167,10 +151,9 @@ export const getProject = async (projectId, { useCache = true } = {}) => {
  * @returns {Promise<Object>} Updated project
  */
 export const updateProject = async (projectId, data) => {
-  const response = await apiClient.patch(ENDPOINTS.project(projectId), data);
-  
-  // Invalidate cache
-  invalidateProjectCache(projectId);
+  const response = await apiClient.patch(ENDPOINTS.project(projectId), data, {
+    invalidates: getProjectTags(projectId)
+  });
   
   logUserAction('project_updated', { projectId });
   
@@ -183,10 +166,9 @@ export const updateProject = async (projectId, data) => {
  * @returns {Promise<void>}
  */
 export const deleteProject = async (projectId) => {
-  await apiClient.delete(ENDPOINTS.project(projectId));
-  
-  // Invalidate cache
-  invalidateProjectCache(projectId);
+  await apiClient.delete(ENDPOINTS.project(projectId), {
+    invalidates: getProjectTags(projectId)
+  });
   
   logUserAction('project_deleted', { projectId });
 };
@@ -200,11 +182,10 @@ export const deleteProject = async (projectId) => {
 export const changeStatus = async (projectId, status) => {
   const response = await apiClient.patch(`${ENDPOINTS.project(projectId)}/status`, {
     status
+  }, {
+    invalidates: getProjectTags(projectId)
   });
   
-  // Invalidate cache
-  invalidateProjectCache(projectId);
-  
   logUserAction('project_status_changed', { projectId, status });
   
   return response.data;
@@ -260,14 +241,9 @@ export const discoverProjects = async ({
  * @returns {Promise<Object>} Featured projects
  */
 export const getFeaturedProjects = async () => {
-  const cached = getCache('projects_featured', CACHE_TTL.featured);
-  if (cached) {
-    return cached;
-  }
-  
-  const response = await apiClient.get(ENDPOINTS.featured);
-  
-  setCache('projects_featured', response.data);
+  const response = await apiClient.get(ENDPOINTS.featured, {
+    cache: { ttl: CACHE_TTL.LONG, tags: [CACHE_TAGS.PROJECTS] }
+  });
   
   return response.data;
 };
@@ -435,7 +411,7 @@ export const postUpdate = async (projectId, { title, content, type = 'progress',
 /**
  * Gets project impact metrics
  * @param {string} projectId - Project ID
- * @returns {Promise<Object>} Impact data
+ * @returns {Promise<Object>} Impact data ({ indicators, measurements, stories })
  */
 export const getImpact = async (projectId) => {
   const response = await apiClient.get(ENDPOINTS.impact(projectId));
@@ -443,10 +419,10 @@ export const getImpact = async (projectId) => {
 };
 
 /**
- * Records impact metric
+ * Records a measurement of one of the project's impact indicators
  * @param {string} projectId - Project ID
- * @param {Object} metric - Metric data
- * @returns {Promise<Object>} Recorded metric
+ * @param {Object} metric - Metric data ({ metricType, value, date, evidence })
+ * @returns {Promise<Object>} Impact data with the new measurement
  */
 export const recordImpact = async (projectId, { metricType, value, date, evidence }) => {
   const response = await apiClient.post(ENDPOINTS.impact(projectId), {
@@ -461,6 +437,45 @@ export const recordImpact = async (projectId, { metricType, value, date, evidenc
   return response.data;
 };
 
+/**
+ * Adds an impact indicator to track
+ * @param {string} projectId - Project ID
+ * @param {Object} indicator - { metricType, label, unit, baseline, target }
+ * @returns {Promise<Object>} Impact data with the new indicator
+ */
+export const defineImpactIndicator = async (projectId, { metricType, label, unit, baseline, target }) => {
+  const response = await apiClient.post(ENDPOINTS.impactIndicators(projectId), {
+    metricType,
+    label,
+    unit,
+    baseline,
+    target
+  });
+  
+  logUserAction('impact_indicator_added', { projectId, metricType });
+  
+  return response.data;
+};
+
+/**
+ * Shares a before/after impact story
+ * @param {string} projectId - Project ID
+ * @param {Object} story - { title, story, beforeImages, afterImages } with uploaded images
+ * @returns {Promise<Object>} Impact data with the new story
+ */
+export const addImpactStory = async (projectId, { title, story, beforeImages, afterImages }) => {
+  const response = await apiClient.post(ENDPOINTS.impactStories(projectId), {
+    title,
+    story,
+    beforeImages,
+    afterImages
+  });
+  
+  logUserAction('impact_story_added', { projectId });
+  
+  return response.data;
+};
+
 // =============================================================================
 // FUNDING & RESOURCES
 // =============================================================================
@@ -550,13 +565,12 @@ export const uploadGalleryItem = async (projectId, file, metadata = {}) => {
 // =============================================================================
 
 /**
- * Invalidates project cache
+ * Cache tags a change to a project invalidates: the project and the lists
+ * featuring it
  * @param {string} projectId - Project ID
+ * @returns {Array<string>} Cache tags
  */
-const invalidateProjectCache = (projectId) => {
-  const { removeItem } = require('../storage/localStorage.service');
-  removeItem(`cache_project_${projectId}`);
-};
+const getProjectTags = (projectId) => [CACHE_TAGS.PROJECTS, CACHE_TAGS.project(projectId)];
 
 /**
  * Gets project status info
@@ -648,6 +662,8 @@ export default {
   // Impact
   getImpact,
   recordImpact,
+  defineImpactIndicator,
+  addImpactStory,
   
   // Funding
   getFunding,
@@ -9,8 +9,8 @@
  */
 
 import apiClient from './client';
-import { getCache, setCache } from '../storage/localStorage.service';
-import { logUserAction } from '../../utils/error/logger';
+import { CACHE_TAGS, CACHE_TTL } from './api.cache';
+import { logUserAction } from '../../utils/error/error.logger';
 
 // =============================================================================
 // API ENDPOINTS
@@ -28,15 +28,6 @@ const ENDPOINTS = {
   feedback: '/psb/feedback'
 };
 
-// =============================================================================
-// CACHE CONFIGURATION
-// =============================================================================
-
-const CACHE_TTL = {
-  templates: 30 * 60 * 1000,   // 30 minutes
-  examples: 30 * 60 * 1000     // 30 minutes
-};
-
 // =============================================================================
 // PSB CONSTANTS
 // =============================================================================
@@ -190,19 +181,11 @@ export const updateProblem = async (analysisId, problemId, data) => {
  * @returns {Promise<Object>} Examples
  */
 export const getProblemExamples = async (category) => {
-  const cacheKey = `psb_problem_examples_${category}`;
-  
-  const cached = getCache(cacheKey, CACHE_TTL.examples);
-  if (cached) {
-    return cached;
-  }
-  
   const response = await apiClient.get(`${ENDPOINTS.problems}/examples`, {
-    params: { category }
+    params: { category },
+    cache: { ttl: CACHE_TTL.STATIC, tags: [CACHE_TAGS.PSB] }
   });
   
-  setCache(cacheKey, response.data);
-  
   return response.data;
 };
 
@@ -241,14 +224,9 @@ export const updateSolution = async (analysisId, solutionId, data) => {
  * @returns {Promise<Object>} Frameworks
  */
 export const getSolutionFrameworks = async () => {
-  const cached = getCache('psb_solution_frameworks', CACHE_TTL.templates);
-  if (cached) {
-    return cached;
-  }
-  
-  const response = await apiClient.get(`${ENDPOINTS.solutions}/frameworks`);
-  
-  setCache('psb_solution_frameworks', response.data);
+  const response = await apiClient.get(`${ENDPOINTS.solutions}/frameworks`, {
+    cache: { ttl: CACHE_TTL.STATIC, tags: [CACHE_TAGS.PSB] }
+  });
   
   return response.data;
 };
@@ -288,14 +266,9 @@ export const updateBenefit = async (analysisId, benefitId, data) => {
  * @returns {Promise<Object>} Templates
  */
 export const getBenefitMetrics = async () => {
-  const cached = getCache('psb_benefit_metrics', CACHE_TTL.templates);
-  if (cached) {
-    return cached;
-  }
-  
-  const response = await apiClient.get(`${ENDPOINTS.benefits}/metrics`);
-  
-  setCache('psb_benefit_metrics', response.data);
+  const response = await apiClient.get(`${ENDPOINTS.benefits}/metrics`, {
+    cache: { ttl: CACHE_TTL.STATIC, tags: [CACHE_TAGS.PSB] }
+  });
   
   return response.data;
 };
@@ -310,20 +283,14 @@ export const getBenefitMetrics = async () => {
  * @returns {Promise<Object>} Templates
  */
 export const getTemplates = async ({ category, stage } = {}) => {
-  const cacheKey = `psb_templates_${category || 'all'}_${stage || 'all'}`;
-  
-  const cached = getCache(cacheKey, CACHE_TTL.templates);
-  if (cached) {
-    return cached;
-  }
-  
   const params = {};
   if (category) params.category = category;
   if (stage) params.stage = stage;
   
-  const response = await apiClient.get(ENDPOINTS.templates, { params });
-  
-  setCache(cacheKey, response.data);
+  const response = await apiClient.get(ENDPOINTS.templates, {
+    params,
+    cache: { ttl: CACHE_TTL.STATIC, tags: [CACHE_TAGS.PSB] }
+  });
   
   return response.data;
 };
@@ -334,19 +301,13 @@ export const getTemplates = async ({ category, stage } = {}) => {
  * @returns {Promise<Object>} Examples
  */
 export const getExamples = async ({ category, quality = 'exemplary' } = {}) => {
-  const cacheKey = `psb_examples_${category || 'all'}_${quality}`;
-  
-  const cached = getCache(cacheKey, CACHE_TTL.examples);
-  if (cached) {
-    return cached;
-  }
-  
   const params = { quality };
   if (category) params.category = category;
   
-  const response = await apiClient.get(ENDPOINTS.examples, { params });
-  
-  setCache(cacheKey, response.data);
+  const response = await apiClient.get(ENDPOINTS.examples, {
+    params,
+    cache: { ttl: CACHE_TTL.STATIC, tags: [CACHE_TAGS.PSB] }
+  });
   
   return response.data;
 };
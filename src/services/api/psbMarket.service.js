@@ -0,0 +1,216 @@
+/**
+ * GPS Lab Platform - PSB Market Service
+ *
+ * Trading PSB against Baraka: the order book, market stats and price
+ * candles, the learner's orders, PSB wallet and history, PSB lockups that
+ * earn interest, and PSB withdrawals to Baraka. Market data moves with
+ * every trade, so nothing here is cached; orders and withdrawals move
+ * Baraka, so they clear the cached balance.
+ * (psb.service covers problem-solution-benefit analyses, not trading.)
+ *
+ * @module services/api/psbMarket.service
+ * @version 1.0.0
+ */
+
+import apiClient from './client';
+import { CACHE_TAGS } from './api.cache';
+import { logBarakaTransaction, logUserAction } from '../../utils/error/error.logger';
+
+// =============================================================================
+// API ENDPOINTS
+// =============================================================================
+
+const ENDPOINTS = {
+  market: '/psb/market',
+  candles: '/psb/market/candles',
+  wallet: '/psb/market/wallet',
+  orders: '/psb/market/orders',
+  order: (id) => `/psb/market/orders/${id}`,
+  history: '/psb/market/history',
+  withdraw: '/psb/market/withdraw',
+  withdrawQuote: '/psb/market/withdraw/quote',
+  stakes: '/psb/stakes',
+  stake: (id) => `/psb/stakes/${id}`,
+  unlockStake: (id) => `/psb/stakes/${id}/unlock`
+};
+
+// =============================================================================
+// MARKET
+// =============================================================================
+
+/**
+ * Gets the order book, 24h stats and recent trades
+ * @param {Object} options - { levels, trades, signal }
+ * @returns {Promise<Object>} { depth, stats, recentTrades, updatedAt }
+ */
+export const getMarket = async ({ levels, trades, signal } = {}) => {
+  const response = await apiClient.get(ENDPOINTS.market, { params: { levels, trades }, signal });
+  return response.data;
+};
+
+/**
+ * Gets OHLC candles of executed trades, oldest first
+ * @param {Object} options - { interval ('1h', '1d' or '1w'), count, signal }
+ * @returns {Promise<Object>} { interval, candles }
+ */
+export const getCandles = async ({ interval = '1h', count, signal } = {}) => {
+  const response = await apiClient.get(ENDPOINTS.candles, { params: { interval, count }, signal });
+  return response.data;
+};
+
+/**
+ * Gets the learner's PSB wallet and seller standing
+ * @returns {Promise<Object>} { available, locked, balance, marketValue, baraka, seller }
+ */
+export const getWallet = async () => {
+  const response = await apiClient.get(ENDPOINTS.wallet);
+  return response.data;
+};
+
+// =============================================================================
+// ORDERS
+// =============================================================================
+
+/**
+ * Gets the learner's orders
+ * @param {Object} params - { status ('active' or an order status), page, limit }
+ * @returns {Promise<Object>} { orders, pagination }
+ */
+export const getOrders = async (params = {}) => {
+  const response = await apiClient.get(ENDPOINTS.orders, { params });
+  return response.data;
+};
+
+/**
+ * Places an order, which matches at once against the book
+ * @param {Object} order - { side, type, amount, price }
+ * @returns {Promise<Object>} { order, trades, wallet }
+ */
+export const placeOrder = async (order) => {
+  const response = await apiClient.post(ENDPOINTS.orders, order, {
+    invalidates: [CACHE_TAGS.BARAKA]
+  });
+  logUserAction('psb_order_placed', {
+    side: order.side,
+    type: order.type,
+    amount: order.amount,
+    trades: response.data.trades.length
+  });
+  return response.data;
+};
+
+/**
+ * Cancels what is left of an order
+ * @param {string} orderId - Order ID
+ * @returns {Promise<Object>} { order, wallet }
+ */
+export const cancelOrder = async (orderId) => {
+  const response = await apiClient.delete(ENDPOINTS.order(orderId), {
+    invalidates: [CACHE_TAGS.BARAKA]
+  });
+  logUserAction('psb_order_cancelled', { orderId });
+  return response.data;
+};
+
+// =============================================================================
+// HISTORY AND WITHDRAWALS
+// =============================================================================
+
+/**
+ * Gets the learner's PSB history: trades, earnings and withdrawals
+ * @param {Object} params - { page, limit }
+ * @returns {Promise<Object>} { transactions, pagination }
+ */
+export const getHistory = async (params = {}) => {
+  const response = await apiClient.get(ENDPOINTS.history, { params });
+  return response.data;
+};
+
+/**
+ * Works out what a withdrawal would pay
+ * @param {number} amount - PSB to withdraw
+ * @returns {Promise<Object>} { amount, fee, net, baraka, minimum, allowed }
+ */
+export const getWithdrawalQuote = async (amount) => {
+  const response = await apiClient.get(ENDPOINTS.withdrawQuote, { params: { amount } });
+  return response.data;
+};
+
+/**
+ * Withdraws PSB to Baraka, less the withdrawal fee
+ * @param {number} amount - PSB to withdraw
+ * @returns {Promise<Object>} { amount, fee, net, baraka, transaction, wallet }
+ */
+export const withdraw = async (amount) => {
+  const response = await apiClient.post(ENDPOINTS.withdraw, { amount }, {
+    invalidates: [CACHE_TAGS.BARAKA]
+  });
+  logBarakaTransaction('psb_withdrawal', response.data.baraka, { psb: amount, fee: response.data.fee });
+  return response.data;
+};
+
+// =============================================================================
+// STAKING
+// =============================================================================
+
+/**
+ * Gets the learner's PSB lockups and the terms on offer
+ * @param {Object} params - { status ('active', 'matured' or 'unlocked') }
+ * @returns {Promise<Object>} { stakes, summary, terms, earlyUnlockPenalty }
+ */
+export const getStakes = async (params = {}) => {
+  const response = await apiClient.get(ENDPOINTS.stakes, { params });
+  return response.data;
+};
+
+/**
+ * Gets a lockup with its daily accrual schedule
+ * @param {string} stakeId - Stake ID
+ * @returns {Promise<Object>} { stake, schedule, payout }
+ */
+export const getStake = async (stakeId) => {
+  const response = await apiClient.get(ENDPOINTS.stake(stakeId));
+  return response.data;
+};
+
+/**
+ * Locks PSB up for a term
+ * @param {Object} data - { amount, term ('short', 'medium' or 'long') }
+ * @returns {Promise<Object>} { stake, transaction, wallet }
+ */
+export const stake = async (data) => {
+  const response = await apiClient.post(ENDPOINTS.stakes, data);
+  logUserAction('psb_staked', { amount: data.amount, term: data.term });
+  return response.data;
+};
+
+/**
+ * Ends a lockup before it matures, less the early-unlock penalty
+ * @param {string} stakeId - Stake ID
+ * @returns {Promise<Object>} { stake, payout, transactions, wallet }
+ */
+export const unlockStake = async (stakeId) => {
+  const response = await apiClient.post(ENDPOINTS.unlockStake(stakeId));
+  logUserAction('psb_stake_unlocked', { stakeId, penalty: response.data.payout.penalty });
+  return response.data;
+};
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+export default {
+  getMarket,
+  getCandles,
+  getWallet,
+  getOrders,
+  placeOrder,
+  cancelOrder,
+  getHistory,
+  getWithdrawalQuote,
+  withdraw,
+  getStakes,
+  getStake,
+  stake,
+  unlockStake
+};
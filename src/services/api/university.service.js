@@ -2,80 +2,17 @@
  * GPS Lab Platform - University Service
  * 
  * University integration for enrollment, program browsing,
- * course management, and credential verification.
+ * course management, and credential verification, plus the partner
+ * portal: cohorts, bulk enrollment from a roster CSV, per-student
+ * GPS 101 progress and cohort reports.
  * 
  * @module services/api/university.service
- * @version 1.1.0
+ * @version 1.3.0
  */
 
 import apiClient from './client';
-import { getCache, setCache } from '../storage/localStorage.service';
-import { logUserAction } from '../../utils/error/logger';
-
-const USE_MOCK = process.env.REACT_APP_USE_MOCK_DATA === 'true' ||
-                 process.env.NODE_ENV === 'development';
-const mockDelay = (ms = 300) => new Promise(r => setTimeout(r, ms));
-const logMock = (method) => console.info(`[UniversityService:MOCK] ${method}`);
-
-// =============================================================================
-// MOCK DATA
-// =============================================================================
-
-const MOCK_UNIVERSITIES = [
-  {
-    id: 'uni_001', code: 'HGU', name: 'Handong Global University',
-    country: 'South Korea', city: 'Pohang', logo: null,
-    programs: 3, students: 245, isPartner: true,
-    website: 'https://www.handong.edu'
-  },
-  {
-    id: 'uni_002', code: 'UON', name: 'University of Nairobi',
-    country: 'Kenya', city: 'Nairobi', logo: null,
-    programs: 2, students: 180, isPartner: true,
-    website: 'https://www.uonbi.ac.ke'
-  },
-  {
-    id: 'uni_003', code: 'MAK', name: 'Makerere University',
-    country: 'Uganda', city: 'Kampala', logo: null,
-    programs: 2, students: 120, isPartner: true,
-    website: 'https://www.mak.ac.ug'
-  },
-  {
-    id: 'uni_004', code: 'UDSM', name: 'University of Dar es Salaam',
-    country: 'Tanzania', city: 'Dar es Salaam', logo: null,
-    programs: 1, students: 85, isPartner: false,
-    website: 'https://www.udsm.ac.tz'
-  }
-];
-
-const MOCK_PROGRAMS = [
-  {
-    id: 'prog_001', universityId: 'uni_001', name: 'GPS Lab Certificate Program',
-    type: 'certificate', duration: '12 months', credits: 18,
-    description: 'Complete the full GPS Lab curriculum integrated with university credits.',
-    stages: { start: 1, end: 35 }, tuition: 0, enrolledCount: 145
-  },
-  {
-    id: 'prog_002', universityId: 'uni_001', name: 'Social Innovation Minor',
-    type: 'minor', duration: '24 months', credits: 36,
-    description: 'GPS Lab curriculum as part of a Social Innovation academic minor.',
-    stages: { start: 1, end: 35 }, tuition: 2400, enrolledCount: 68
-  },
-  {
-    id: 'prog_003', universityId: 'uni_001', name: 'GPS Foundations Module',
-    type: 'module', duration: '3 months', credits: 6,
-    description: 'Adventures 1-2 as a standalone academic module.',
-    stages: { start: 1, end: 10 }, tuition: 0, enrolledCount: 85
-  }
-];
-
-const MOCK_MY_ENROLLMENT = {
-  id: 'enr_001', universityId: 'uni_001', programId: 'prog_001',
-  universityName: 'Handong Global University', programName: 'GPS Lab Certificate Program',
-  status: 'active', enrolledAt: '2025-09-01T00:00:00Z',
-  progress: { completedCredits: 3, totalCredits: 18, percentage: 17 },
-  expectedCompletion: '2026-08-31T00:00:00Z'
-};
+import { CACHE_TAGS, CACHE_TTL } from './api.cache';
+import { logUserAction } from '../../utils/error/error.logger';
 
 // =============================================================================
 // ENDPOINTS
@@ -89,134 +26,197 @@ const ENDPOINTS = {
   enroll: '/universities/enroll',
   myEnrollments: '/universities/my-enrollments',
   search: '/universities/search',
-  verify: '/universities/verify'
+  verify: '/universities/verify',
+  portalOverview: '/university/overview',
+  cohorts: '/university/cohorts',
+  cohort: (cohortId) => `/university/cohorts/${cohortId}`,
+  cohortImport: (cohortId) => `/university/cohorts/${cohortId}/students/import`,
+  cohortStudent: (cohortId, studentId) => `/university/cohorts/${cohortId}/students/${studentId}`,
+  cohortReport: (cohortId) => `/university/cohorts/${cohortId}/report`
 };
 
-const CACHE_TTL = { universities: 30 * 60 * 1000, programs: 15 * 60 * 1000 };
-
 // =============================================================================
 // OPERATIONS
 // =============================================================================
 
 export const getUniversities = async ({ page = 1, limit = 20, country } = {}) => {
-  if (USE_MOCK) {
-    logMock('getUniversities');
-    await mockDelay(300);
-    let filtered = [...MOCK_UNIVERSITIES];
-    if (country) filtered = filtered.filter(u => u.country.toLowerCase().includes(country.toLowerCase()));
-    return { universities: filtered, pagination: { page, limit, total: filtered.length, totalPages: 1 } };
-  }
   const params = { page, limit };
   if (country) params.country = country;
-  const response = await apiClient.get(ENDPOINTS.universities, { params });
+  const response = await apiClient.get(ENDPOINTS.universities, {
+    params,
+    cache: { ttl: CACHE_TTL.STATIC, tags: [CACHE_TAGS.UNIVERSITIES] }
+  });
   return response.data;
 };
 
 export const getUniversity = async (universityId) => {
-  if (USE_MOCK) {
-    logMock(`getUniversity: ${universityId}`);
-    await mockDelay(250);
-    const u = MOCK_UNIVERSITIES.find(u => u.id === universityId);
-    if (!u) throw new Error(`University ${universityId} not found`);
-    return { ...u };
-  }
   const response = await apiClient.get(ENDPOINTS.university(universityId));
   return response.data;
 };
 
 export const getPrograms = async (universityId) => {
-  if (USE_MOCK) {
-    logMock(`getPrograms: ${universityId}`);
-    await mockDelay(250);
-    const progs = MOCK_PROGRAMS.filter(p => p.universityId === universityId);
-    return { programs: progs, total: progs.length };
-  }
-  const cached = getCache(`uni_programs_${universityId}`, CACHE_TTL.programs);
-  if (cached) return cached;
-  const response = await apiClient.get(ENDPOINTS.programs(universityId));
-  setCache(`uni_programs_${universityId}`, response.data);
+  const response = await apiClient.get(ENDPOINTS.programs(universityId), {
+    cache: { ttl: CACHE_TTL.LONG, tags: [CACHE_TAGS.UNIVERSITIES] }
+  });
   return response.data;
 };
 
 export const getProgram = async (universityId, programId) => {
-  if (USE_MOCK) {
-    logMock(`getProgram: ${programId}`);
-    await mockDelay(200);
-    const p = MOCK_PROGRAMS.find(p => p.id === programId);
-    if (!p) throw new Error(`Program ${programId} not found`);
-    return { ...p };
-  }
   const response = await apiClient.get(ENDPOINTS.program(universityId, programId));
   return response.data;
 };
 
 export const enroll = async ({ universityId, programId, studentId }) => {
-  if (USE_MOCK) {
-    logMock(`enroll: ${programId}`);
-    await mockDelay(600);
-    logUserAction('university_enrolled', { universityId, programId });
-    return {
-      enrollmentId: 'enr_' + Date.now(), universityId, programId,
-      status: 'active', enrolledAt: new Date().toISOString()
-    };
-  }
   const response = await apiClient.post(ENDPOINTS.enroll, { universityId, programId, studentId });
   logUserAction('university_enrolled', { universityId, programId });
   return response.data;
 };
 
 export const getMyEnrollments = async () => {
-  if (USE_MOCK) {
-    logMock('getMyEnrollments');
-    await mockDelay(250);
-    return { enrollments: [{ ...MOCK_MY_ENROLLMENT }], total: 1 };
-  }
   const response = await apiClient.get(ENDPOINTS.myEnrollments);
   return response.data;
 };
 
 export const searchUniversities = async (query) => {
-  if (USE_MOCK) {
-    logMock(`searchUniversities: ${query}`);
-    await mockDelay(350);
-    const q = query.toLowerCase();
-    const results = MOCK_UNIVERSITIES.filter(u =>
-      u.name.toLowerCase().includes(q) || u.code.toLowerCase().includes(q) || u.country.toLowerCase().includes(q)
-    );
-    return { universities: results, total: results.length };
-  }
   const response = await apiClient.get(ENDPOINTS.search, { params: { q: query } });
   return response.data;
 };
 
 export const verifyEnrollment = async (verificationCode) => {
-  if (USE_MOCK) {
-    logMock(`verifyEnrollment: ${verificationCode}`);
-    await mockDelay(400);
-    return {
-      valid: true, enrollmentId: MOCK_MY_ENROLLMENT.id,
-      university: 'Handong Global University', program: 'GPS Lab Certificate Program',
-      student: 'GPS Explorer', status: 'active'
-    };
-  }
   const response = await apiClient.post(ENDPOINTS.verify, { code: verificationCode });
   return response.data;
 };
 
 export const withdrawEnrollment = async (enrollmentId, { reason } = {}) => {
-  if (USE_MOCK) {
-    logMock(`withdrawEnrollment: ${enrollmentId}`);
-    await mockDelay(500);
-    logUserAction('university_withdrawn', { enrollmentId });
-    return { enrollmentId, status: 'withdrawn', effectiveDate: new Date().toISOString() };
-  }
   const response = await apiClient.post(`${ENDPOINTS.myEnrollments}/${enrollmentId}/withdraw`, { reason });
   logUserAction('university_withdrawn', { enrollmentId });
   return response.data;
 };
 
+// =============================================================================
+// PARTNER PORTAL
+// =============================================================================
+
+/**
+ * Gets the portal overview: progress across active cohorts and the
+ * students most at risk
+ * @param {Object} options - { universityId } (admins only)
+ * @returns {Promise<Object>} { university, summary, cohorts, atRisk, totalAtRisk }
+ */
+export const getPortalOverview = async ({ universityId } = {}) => {
+  const response = await apiClient.get(ENDPOINTS.portalOverview, {
+    params: universityId ? { universityId } : {}
+  });
+  return response.data;
+};
+
+/**
+ * Lists cohorts with their progress summaries
+ * @param {Object} filters - { status, q, universityId }
+ * @returns {Promise<Object>} { cohorts, total }
+ */
+export const getCohorts = async ({ status, q, universityId } = {}) => {
+  const params = {};
+  if (status) params.status = status;
+  if (q) params.q = q;
+  if (universityId) params.universityId = universityId;
+  const response = await apiClient.get(ENDPOINTS.cohorts, { params });
+  return response.data;
+};
+
+/**
+ * Gets a cohort with every student's progress
+ * @param {string} cohortId - Cohort ID
+ * @returns {Promise<Object>} { cohort, students }
+ */
+export const getCohort = async (cohortId) => {
+  const response = await apiClient.get(ENDPOINTS.cohort(cohortId));
+  return response.data;
+};
+
+/**
+ * Creates a cohort
+ * @param {Object} data - { name, code, term, description, startDate, endDate, universityId }
+ * @returns {Promise<Object>} { cohort, students }
+ */
+export const createCohort = async (data) => {
+  const response = await apiClient.post(ENDPOINTS.cohorts, data);
+  logUserAction('university_cohort_created', { cohortId: response.data.cohort.id });
+  return response.data;
+};
+
+/**
+ * Updates a cohort's details or status
+ * @param {string} cohortId - Cohort ID
+ * @param {Object} changes - Fields to change
+ * @returns {Promise<Object>} { cohort, students }
+ */
+export const updateCohort = async (cohortId, changes) => {
+  const response = await apiClient.patch(ENDPOINTS.cohort(cohortId), changes);
+  return response.data;
+};
+
+/**
+ * Enrolls students from a roster CSV. With `dryRun` nothing changes and
+ * the result shows who would be enrolled, invited or skipped.
+ * @param {string} cohortId - Cohort ID
+ * @param {Object} options - { csv, dryRun }
+ * @returns {Promise<Object>} { dryRun, enrolled, invited, skipped, errors, cohort?, students? }
+ */
+export const importCohortStudents = async (cohortId, { csv, dryRun = false }) => {
+  const response = await apiClient.post(ENDPOINTS.cohortImport(cohortId), { csv, dryRun });
+  if (!dryRun) {
+    logUserAction('university_students_imported', {
+      cohortId,
+      enrolled: response.data.enrolled.length,
+      invited: response.data.invited.length
+    });
+  }
+  return response.data;
+};
+
+/**
+ * Removes a student from a cohort
+ * @param {string} cohortId - Cohort ID
+ * @param {string} studentId - Student user ID
+ * @returns {Promise<Object>} { cohort, students }
+ */
+export const removeCohortStudent = async (cohortId, studentId) => {
+  const response = await apiClient.delete(ENDPOINTS.cohortStudent(cohortId, studentId));
+  return response.data;
+};
+
+/**
+ * Gets one student's GPS 101 progress, stage by stage
+ * @param {string} cohortId - Cohort ID
+ * @param {string} studentId - Student user ID
+ * @returns {Promise<Object>} { cohort, student, stages }
+ */
+export const getCohortStudent = async (cohortId, studentId) => {
+  const response = await apiClient.get(ENDPOINTS.cohortStudent(cohortId, studentId));
+  return response.data;
+};
+
+/**
+ * Generates a cohort report for a date range: each student's checkpoint
+ * pass rate, attempts, Baraka earned, deliverables and LQ score, the
+ * cohort totals and weekly activity
+ * @param {string} cohortId - Cohort ID
+ * @param {Object} [range] - { from, to } ISO dates; defaults to the cohort start until now
+ * @returns {Promise<Object>} { cohort, range, generatedAt, students, summary, timeline }
+ */
+export const getCohortReport = async (cohortId, { from, to } = {}) => {
+  const params = {};
+  if (from) params.from = from;
+  if (to) params.to = to;
+  const response = await apiClient.get(ENDPOINTS.cohortReport(cohortId), { params });
+  return response.data;
+};
+
 export default {
   getUniversities, getUniversity, getPrograms, getProgram,
   enroll, getMyEnrollments, searchUniversities,
-  verifyEnrollment, withdrawEnrollment
+  verifyEnrollment, withdrawEnrollment,
+  getPortalOverview, getCohorts, getCohort, createCohort, updateCohort,
+  importCohortStudents, removeCohortStudent, getCohortStudent, getCohortReport
 };
\ No newline at end of file
@@ -507,8 +507,15 @@ export const toggle = () => audioService.toggle();
 export const isEnabled = () => audioService.isEnabled();
 export const stopAll = () => audioService.stopAll();
 
+/**
+ * URLs of every sound and music track, for precaching
+ * @returns {Array<string>} Asset URLs
+ */
+export const getAudioAssetUrls = () =>
+  [...Object.values(SOUNDS), ...Object.values(MUSIC)].map(path => `${AUDIO_CONFIG.basePath}${path}`);
+
 // =============================================================================
 // EXPORTS
 // =============================================================================
 
-export { audioService as default, SOUNDS, MUSIC };
\ No newline at end of file
+export { audioService as default };
\ No newline at end of file
@@ -12,6 +12,7 @@
 // =============================================================================
 
 export { default as apiClient, setTokens, clearTokens, getAccessToken, getRefreshToken } from './api/client';
+export { CACHE_TAGS, CACHE_TTL } from './api/api.cache';
 export { default as authService } from './api/auth.service';
 export { default as userService } from './api/user.service';
 export { default as missionService } from './api/mission.service';
@@ -26,6 +27,18 @@ export { default as projectService } from './api/project.service';
 export { default as navigatorService } from './api/navigator.service';
 export { default as notificationService } from './api/notification.service';
 
+// =============================================================================
+// SESSION
+// =============================================================================
+
+export {
+  default as sessionManager,
+  restoreSession,
+  refreshSession,
+  endSession,
+  onSessionChange
+} from './session/session.manager';
+
 // =============================================================================
 // STORAGE SERVICES
 // =============================================================================
@@ -177,11 +190,24 @@ export {
   NAMESPACES
 } from './i18n/i18n.service';
 
+// =============================================================================
+// MOCK BACKEND
+// =============================================================================
+
+export {
+  default as mockBackend,
+  isMockEnabled,
+  setMockEnabled,
+  configureMockBackend,
+  resetMockBackend
+} from './mock/mock.backend';
+
 // =============================================================================
 // SERVICE INITIALIZATION
 // =============================================================================
 
-import { cleanupExpired, clearCache, clearTokens } from './storage/localStorage.service';
+import { cleanupExpired, clearCache } from './storage/localStorage.service';
+import { clearSession } from './session/session.manager';
 import { wsDisconnect } from './websocket/websocket.service';
 import { audioInitialize } from './audio/audio.service';
 import { analyticsInitialize, cleanup as analyticsCleanup } from './analytics/analytics.service';
@@ -212,7 +238,7 @@ export const initializeServices = async () => {
  */
 export const cleanupServices = () => {
   // Clear tokens
-  clearTokens();
+  clearSession();
   
   // Clear user-specific cache
   clearCache();
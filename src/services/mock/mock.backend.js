@@ -0,0 +1,328 @@
+/**
+ * GPS Lab Platform - Mock Backend
+ *
+ * In-process stand-in for the GPS Lab API. When enabled, ApiClient hands
+ * each request here instead of calling fetch, and gets back a
+ * fetch-compatible response built from one seeded, stateful database.
+ * Interceptors, token refresh and error handling in the client run exactly
+ * as they do against the real API.
+ *
+ * Enabled by default in development or when REACT_APP_USE_MOCK_DATA=true;
+ * tests and demos can switch it on with configureMockBackend().
+ *
+ * @module services/mock/mock.backend
+ * @version 1.0.0
+ */
+
+import { createMockRouter } from './mock.router';
+import { getDb, resetMockDb } from './mock.db';
+import { MockHttpError, clone } from './mock.utils';
+import { error as logError } from '../../utils/error/error.logger';
+
+import { registerAuthRoutes, resolveRequestUser } from './routes/auth.routes';
+import { registerUserRoutes } from './routes/user.routes';
+import { registerMissionRoutes } from './routes/mission.routes';
+import { registerBiteRoutes } from './routes/bite.routes';
+import { registerCheckpointRoutes } from './routes/checkpoint.routes';
+import { registerBarakaRoutes } from './routes/baraka.routes';
+import { registerLeaderboardRoutes } from './routes/leaderboard.routes';
+import { registerPartyRoutes } from './routes/party.routes';
+import { registerStudyRoutes } from './routes/study.routes';
+import { registerNavigatorRoutes } from './routes/navigator.routes';
+import { registerNotificationRoutes } from './routes/notification.routes';
+import { registerGpoRoutes } from './routes/gpo.routes';
+import { registerMentorRoutes } from './routes/mentor.routes';
+import { registerPaymentRoutes } from './routes/payment.routes';
+import { registerPortfolioRoutes } from './routes/portfolio.routes';
+import { registerUniversityRoutes } from './routes/university.routes';
+import { registerCohortRoutes } from './routes/cohort.routes';
+import { registerGps101Routes } from './routes/gps101.routes';
+import { registerAdminRoutes } from './routes/admin.routes';
+import { registerEconomyRoutes } from './routes/economy.routes';
+import { registerUploadRoutes } from './routes/upload.routes';
+import { registerPsbRoutes } from './routes/psb.routes';
+
+// =============================================================================
+// CONFIGURATION
+// =============================================================================
+
+const settings = {
+  enabled: process.env.REACT_APP_USE_MOCK_DATA === 'true' ||
+           process.env.NODE_ENV === 'development',
+  latency: process.env.NODE_ENV === 'test' ? 0 : 250
+};
+
+const STATUS_TEXT = {
+  200: 'OK',
+  400: 'Bad Request',
+  401: 'Unauthorized',
+  403: 'Forbidden',
+  404: 'Not Found',
+  409: 'Conflict',
+  422: 'Unprocessable Entity',
+  429: 'Too Many Requests',
+  500: 'Internal Server Error'
+};
+
+/**
+ * Checks whether requests are served by the mock backend
+ * @returns {boolean} True if enabled
+ */
+export const isMockEnabled = () => settings.enabled;
+
+/**
+ * Turns the mock backend on or off
+ * @param {boolean} enabled - Enabled flag
+ */
+export const setMockEnabled = (enabled) => {
+  settings.enabled = Boolean(enabled);
+};
+
+/**
+ * Configures the mock backend
+ * @param {Object} options - { enabled, latency }
+ * @returns {Object} Current settings
+ */
+export const configureMockBackend = ({ enabled, latency } = {}) => {
+  if (enabled !== undefined) settings.enabled = Boolean(enabled);
+  if (latency !== undefined) settings.latency = Math.max(0, Number(latency) || 0);
+  return { ...settings };
+};
+
+/**
+ * Discards all mock state and reseeds the database
+ */
+export const resetMockBackend = () => {
+  resetMockDb();
+};
+
+// =============================================================================
+// ROUTER
+// =============================================================================
+
+const router = createMockRouter();
+
+[
+  registerAuthRoutes,
+  registerUserRoutes,
+  registerMissionRoutes,
+  registerBiteRoutes,
+  registerCheckpointRoutes,
+  registerBarakaRoutes,
+  registerLeaderboardRoutes,
+  registerPartyRoutes,
+  registerStudyRoutes,
+  registerNavigatorRoutes,
+  registerNotificationRoutes,
+  registerGpoRoutes,
+  registerMentorRoutes,
+  registerPaymentRoutes,
+  registerPortfolioRoutes,
+  registerUniversityRoutes,
+  registerCohortRoutes,
+  registerGps101Routes,
+  registerAdminRoutes,
+  registerEconomyRoutes,
+  registerUploadRoutes,
+  registerPsbRoutes
+].forEach(register => register(router));
+
+// =============================================================================
+// REQUEST PARSING
+// =============================================================================
+
+/**
+ * Reads a header case-insensitively
+ * @param {Object} headers - Header map
+ * @param {string} name - Header name
+ * @returns {string|undefined} Header value
+ */
+const readHeader = (headers = {}, name) => {
+  const key = Object.keys(headers).find(k => k.toLowerCase() === name.toLowerCase());
+  return key ? headers[key] : undefined;
+};
+
+/**
+ * Splits a request URL into its API path and query
+ * @param {string} url - Absolute or relative URL
+ * @param {Object} params - Extra query params from the request config
+ * @returns {Object} { path, query }
+ */
+const parseUrl = (url, params = {}) => {
+  const parsed = new URL(url, 'http://mock.local');
+  const apiBase = new URL(process.env.REACT_APP_API_URL || 'https://api.gpslab.io/v1', 'http://mock.local');
+  const basePath = apiBase.pathname.replace(/\/$/, '');
+
+  let path = parsed.pathname;
+  if (basePath && path.startsWith(basePath)) path = path.slice(basePath.length);
+
+  const query = {};
+  parsed.searchParams.forEach((value, key) => {
+    query[key] = query[key] === undefined ? value : [].concat(query[key], value);
+  });
+  Object.entries(params || {}).forEach(([key, value]) => {
+    if (value !== undefined && value !== null) query[key] = value;
+  });
+
+  return { path: path || '/', query };
+};
+
+/**
+ * Reads the request body as a plain object
+ * @param {Object} config - Request config
+ * @returns {Object} Body
+ */
+const parseBody = (config) => {
+  const payload = config.data !== undefined ? config.data : config.body;
+  if (payload === undefined || payload === null) return {};
+
+  if (typeof FormData !== 'undefined' && payload instanceof FormData) {
+    const body = {};
+    payload.forEach((value, key) => {
+      body[key] = body[key] === undefined ? value : [].concat(body[key], value);
+    });
+    return body;
+  }
+
+  if (typeof payload === 'string') {
+    try {
+      return JSON.parse(payload);
+    } catch {
+      return { raw: payload };
+    }
+  }
+
+  // Files must survive as-is; everything else is copied so handlers
+  // cannot mutate the caller's objects
+  return Object.values(payload).some(v => typeof Blob !== 'undefined' && v instanceof Blob)
+    ? { ...payload }
+    : clone(payload);
+};
+
+// =============================================================================
+// RESPONSES
+// =============================================================================
+
+/**
+ * Builds a fetch-compatible response
+ * @param {number} status - HTTP status
+ * @param {*} data - Response payload
+ * @param {string} url - Request URL
+ * @returns {Object} Response-like object
+ */
+const createResponse = (status, data, url) => {
+  const body = clone(data === undefined ? {} : data);
+  const headers = { 'content-type': 'application/json', 'x-mock-backend': 'true' };
+
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    statusText: STATUS_TEXT[status] || '',
+    url,
+    headers: { get: (name) => headers[name.toLowerCase()] ?? null },
+    // Exposed so createErrorFromResponse can read the error message
+    data: body,
+    json: async () => clone(body),
+    text: async () => JSON.stringify(body)
+  };
+};
+
+/**
+ * Waits for the configured latency, honouring aborts
+ * @param {AbortSignal} signal - Abort signal
+ * @returns {Promise<void>}
+ */
+const simulateLatency = (signal) => new Promise((resolve, reject) => {
+  const abortError = () => {
+    const err = new Error('The operation was aborted.');
+    err.name = 'AbortError';
+    return err;
+  };
+
+  if (signal?.aborted) {
+    reject(abortError());
+    return;
+  }
+  if (!settings.latency) {
+    resolve();
+    return;
+  }
+
+  const timer = setTimeout(() => {
+    signal?.removeEventListener('abort', onAbort);
+    resolve();
+  }, settings.latency);
+
+  function onAbort() {
+    clearTimeout(timer);
+    reject(abortError());
+  }
+  signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+// =============================================================================
+// REQUEST HANDLING
+// =============================================================================
+
+/**
+ * Serves a request from the mock backend
+ * @param {Object} requestConfig - ApiClient request config ({ method, url, headers, data, params })
+ * @param {Object} options - { signal }
+ * @returns {Promise<Object>} Fetch-compatible response
+ */
+export const handleMockRequest = async (requestConfig, { signal } = {}) => {
+  await simulateLatency(signal);
+
+  const method = (requestConfig.method || 'GET').toUpperCase();
+  const { path, query } = parseUrl(requestConfig.url, requestConfig.params);
+  const route = router.match(method, path);
+
+  if (!route) {
+    return createResponse(404, {
+      message: `No mock route for ${method} ${path}`,
+      code: 'NOT_FOUND'
+    }, requestConfig.url);
+  }
+
+  const db = getDb();
+  const authorization = readHeader(requestConfig.headers, 'Authorization') || '';
+  const token = authorization.startsWith('Bearer ') ? authorization.slice(7) : null;
+  const { userId, authenticated } = resolveRequestUser(db, token);
+
+  try {
+    const data = await route.handler({
+      db,
+      userId,
+      authenticated,
+      token,
+      params: route.params,
+      query,
+      body: parseBody(requestConfig),
+      headers: requestConfig.headers || {}
+    });
+    return createResponse(200, data, requestConfig.url);
+  } catch (err) {
+    if (err instanceof MockHttpError) {
+      return createResponse(err.status, {
+        message: err.message,
+        code: err.details?.code,
+        details: err.details
+      }, requestConfig.url);
+    }
+
+    logError(`[MockBackend] ${method} ${path} failed`, { message: err.message });
+    return createResponse(500, { message: err.message, code: 'MOCK_HANDLER_ERROR' }, requestConfig.url);
+  }
+};
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+export default {
+  isMockEnabled,
+  setMockEnabled,
+  configureMockBackend,
+  resetMockBackend,
+  handleMockRequest
+};
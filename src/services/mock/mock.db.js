@@ -0,0 +1,1147 @@
+/**
+ * GPS Lab Platform - Mock Backend Database
+ *
+ * Owns the single in-memory dataset behind the mock backend and the domain
+ * operations that more than one route module relies on (Baraka ledger and
+ * escrow, XP, mission progression, checkpoints, notifications). Route modules stay thin
+ * and call into here so every service sees the same state.
+ *
+ * @module services/mock/mock.db
+ * @version 1.0.0
+ */
+
+import { getLevelFromXP } from '../../utils/helpers/xp.calculator';
+import { getBarakaTier } from '../../utils/formatters/currency.formatter';
+import { ESCROW_STATUS, INCOMING_TRANSFER_TYPES, resolveEscrow } from '../../utils/helpers/baraka.transfer';
+import {
+  createSeed,
+  createLearnerState,
+  createUserRecord,
+  createCheckpointState,
+  defaultMissionScore,
+  DEMO_USER_ID,
+  MISSIONS_PER_STAGE,
+  TOTAL_STAGES
+} from './mock.seed';
+import { mockError, notFound, nowISO } from './mock.utils';
+
+// =============================================================================
+// DATABASE
+// =============================================================================
+
+let db = null;
+
+/**
+ * Gets the live mock database, seeding it on first use
+ * @returns {Object} Mock database
+ */
+export const getDb = () => {
+  if (!db) {
+    db = createSeed();
+  }
+  return db;
+};
+
+/**
+ * Discards all mock state and reseeds
+ * @returns {Object} Fresh mock database
+ */
+export const resetMockDb = () => {
+  db = createSeed();
+  return db;
+};
+
+/**
+ * Generates the next sequential ID
+ * @param {Object} database - Mock database
+ * @param {string} prefix - ID prefix (e.g. 'txn')
+ * @returns {string} New ID
+ */
+export const nextId = (database, prefix) => {
+  database.sequence += 1;
+  return `${prefix}_${database.sequence}`;
+};
+
+// =============================================================================
+// USERS
+// =============================================================================
+
+/**
+ * Finds a user by ID
+ * @param {Object} database - Mock database
+ * @param {string} userId - User ID
+ * @returns {Object|null} User record
+ */
+export const findUser = (database, userId) => {
+  return database.users.find(u => u.id === userId) || null;
+};
+
+/**
+ * Finds a user by ID or throws 404
+ * @param {Object} database - Mock database
+ * @param {string} userId - User ID
+ * @returns {Object} User record
+ */
+export const requireUser = (database, userId) => {
+  const user = findUser(database, userId);
+  if (!user) throw notFound('User', userId);
+  return user;
+};
+
+/**
+ * Roles allowed into the admin console
+ */
+export const ADMIN_ROLES = ['admin', 'super_admin'];
+
+/**
+ * Requires the acting user to hold one of the given roles
+ * @param {Object} database - Mock database
+ * @param {string} userId - User ID
+ * @param {Array<string>} roles - Allowed roles
+ * @returns {Object} User record
+ * @throws {MockHttpError} 403 when the user lacks the role
+ */
+export const requireRole = (database, userId, roles) => {
+  const user = requireUser(database, userId);
+  if (!roles.includes(user.role)) {
+    throw mockError(403, 'You do not have permission to do this', { code: 'FORBIDDEN', requiredRoles: roles });
+  }
+  return user;
+};
+
+/**
+ * Creates a new user record and learner state
+ * @param {Object} database - Mock database
+ * @param {Object} data - Registration data
+ * @returns {Object} User record
+ */
+export const createUser = (database, data) => {
+  const email = String(data.email || '').toLowerCase();
+  if (database.users.some(u => u.email === email)) {
+    throw mockError(409, 'An account with this email already exists', { code: 'EMAIL_TAKEN' });
+  }
+
+  const username = data.username || email.split('@')[0];
+  const user = createUserRecord({
+    id: nextId(database, 'usr'),
+    email,
+    username,
+    firstName: data.firstName || '',
+    lastName: data.lastName || '',
+    displayName: [data.firstName, data.lastName].filter(Boolean).join(' ') || username,
+    emailVerified: false,
+    status: 'online',
+    createdAt: nowISO(),
+    lastLoginAt: nowISO()
+  });
+
+  database.users.push(user);
+  database.learners[user.id] = createLearnerState();
+  return user;
+};
+
+/**
+ * Gets learner state, creating an empty one if needed
+ * @param {Object} database - Mock database
+ * @param {string} userId - User ID
+ * @returns {Object} Learner state
+ */
+export const ensureLearner = (database, userId) => {
+  if (!database.learners[userId]) {
+    database.learners[userId] = createLearnerState();
+  }
+  return database.learners[userId];
+};
+
+/**
+ * Gets the level and tier derived from a user's stats and wallet
+ * @param {Object} database - Mock database
+ * @param {Object} user - User record
+ * @returns {Object} { levelInfo, tier }
+ */
+export const getUserStanding = (database, user) => {
+  const learner = ensureLearner(database, user.id);
+  return {
+    levelInfo: getLevelFromXP(user.stats.xp),
+    tier: getBarakaTier(learner.wallet.available)
+  };
+};
+
+/**
+ * Builds the public view of a user
+ * @param {Object} database - Mock database
+ * @param {Object} user - User record
+ * @returns {Object} Public user
+ */
+export const toPublicUser = (database, user) => {
+  const { levelInfo, tier } = getUserStanding(database, user);
+  return {
+    id: user.id,
+    username: user.username,
+    displayName: user.displayName,
+    firstName: user.firstName,
+    lastName: user.lastName,
+    avatarUrl: user.avatarUrl,
+    bio: user.bio,
+    university: user.university,
+    level: levelInfo.level,
+    xp: user.stats.xp,
+    tier: tier.id,
+    currentStage: user.stats.currentStage,
+    status: user.status,
+    createdAt: user.createdAt
+  };
+};
+
+/**
+ * Builds the authenticated user's own profile
+ * @param {Object} database - Mock database
+ * @param {Object} user - User record
+ * @returns {Object} Full profile
+ */
+export const toProfile = (database, user) => {
+  const { levelInfo, tier } = getUserStanding(database, user);
+  const learner = ensureLearner(database, user.id);
+  return {
+    id: user.id,
+    email: user.email,
+    username: user.username,
+    displayName: user.displayName,
+    firstName: user.firstName,
+    lastName: user.lastName,
+    avatarUrl: user.avatarUrl,
+    bio: user.bio,
+    role: user.role,
+    locale: user.locale,
+    emailVerified: user.emailVerified,
+    tier: tier.id,
+    level: levelInfo.level,
+    xp: user.stats.xp,
+    barakaBalance: learner.wallet.available,
+    currentStage: user.stats.currentStage,
+    streak: user.stats.streak,
+    university: user.university,
+    location: user.location,
+    socialLinks: user.socialLinks,
+    preferences: user.preferences,
+    privacy: user.privacy,
+    createdAt: user.createdAt,
+    lastLoginAt: user.lastLoginAt
+  };
+};
+
+/**
+ * Builds the staff view of a user (account state and progress counters)
+ * @param {Object} database - Mock database
+ * @param {Object} user - User record
+ * @returns {Object} Admin user
+ */
+export const toAdminUser = (database, user) => {
+  const learner = ensureLearner(database, user.id);
+  return {
+    ...toPublicUser(database, user),
+    email: user.email,
+    role: user.role,
+    accountStatus: user.isActive === false ? 'suspended' : 'active',
+    suspension: user.suspension || null,
+    emailVerified: user.emailVerified,
+    barakaBalance: learner.wallet.available,
+    missionsCompleted: user.stats.missionsCompleted,
+    checkpointsPassed: user.stats.checkpointsPassed,
+    lastLoginAt: user.lastLoginAt
+  };
+};
+
+/**
+ * Ranks all learners (staff excluded) by a stats field
+ * @param {Object} database - Mock database
+ * @param {string} field - Stats field (e.g. 'xp', 'weeklyXp')
+ * @returns {Array<Object>} Users sorted best first
+ */
+export const rankUsers = (database, field = 'xp') => {
+  return database.users.filter(u => u.role === 'student').sort((a, b) => (b.stats[field] || 0) - (a.stats[field] || 0));
+};
+
+/**
+ * Gets a user's 1-based rank by a stats field
+ * @param {Object} database - Mock database
+ * @param {string} userId - User ID
+ * @param {string} field - Stats field
+ * @returns {number} Rank
+ */
+export const getUserRank = (database, userId, field = 'xp') => {
+  return rankUsers(database, field).findIndex(u => u.id === userId) + 1;
+};
+
+// =============================================================================
+// NOTIFICATIONS & ACTIVITY
+// =============================================================================
+
+/**
+ * Adds a notification to a learner's inbox
+ * @param {Object} database - Mock database
+ * @param {string} userId - Recipient
+ * @param {Object} data - Notification fields
+ * @returns {Object} Notification
+ */
+export const pushNotification = (database, userId, data) => {
+  const learner = ensureLearner(database, userId);
+  const notification = {
+    id: nextId(database, 'notif'),
+    category: 'system',
+    priority: 'normal',
+    read: false,
+    actionUrl: null,
+    metadata: {},
+    createdAt: nowISO(),
+    ...data
+  };
+  learner.notifications.unshift(notification);
+  return notification;
+};
+
+/**
+ * Adds an entry to a learner's activity feed
+ * @param {Object} database - Mock database
+ * @param {string} userId - User ID
+ * @param {Object} data - Activity fields
+ * @returns {Object} Activity entry
+ */
+export const recordActivity = (database, userId, data) => {
+  const learner = ensureLearner(database, userId);
+  const activity = {
+    id: nextId(database, 'act'),
+    timestamp: nowISO(),
+    ...data
+  };
+  learner.activity.unshift(activity);
+  return activity;
+};
+
+// =============================================================================
+// BARAKA LEDGER
+// =============================================================================
+
+// Credits that return Baraka an earlier debit took, undoing that debit's
+// total rather than counting as income
+const REFUND_TYPES = ['refund', 'escrow_refund'];
+
+/**
+ * Appends a ledger entry and updates wallet totals. Peer credits add to
+ * the balance but not to totalEarned; refunds reduce what was spent or
+ * withdrawn.
+ * @param {Object} database - Mock database
+ * @param {string} userId - Wallet owner
+ * @param {number} amount - Signed amount
+ * @param {Object} entry - { type, source, description, metadata }
+ * @returns {Object} Transaction
+ */
+const postLedgerEntry = (database, userId, amount, entry) => {
+  const learner = ensureLearner(database, userId);
+  const { wallet } = learner;
+
+  wallet.available += amount;
+  if (REFUND_TYPES.includes(entry.type)) {
+    if (entry.source === 'withdrawal_cancelled') wallet.totalWithdrawn -= amount;
+    else wallet.totalSpent -= amount;
+  } else if (amount > 0) {
+    // Baraka from another learner was earned by them, not by this wallet
+    if (!INCOMING_TRANSFER_TYPES.includes(entry.type)) wallet.totalEarned += amount;
+  } else if (entry.type === 'withdraw') {
+    wallet.totalWithdrawn += -amount;
+  } else {
+    wallet.totalSpent += -amount;
+  }
+  wallet.lastUpdated = nowISO();
+
+  const transaction = {
+    id: nextId(database, 'txn'),
+    userId,
+    type: entry.type,
+    amount,
+    balance: wallet.available,
+    description: entry.description || '',
+    source: entry.source || entry.type,
+    metadata: entry.metadata || {},
+    createdAt: wallet.lastUpdated
+  };
+  learner.transactions.unshift(transaction);
+  return transaction;
+};
+
+/**
+ * Credits Baraka to a wallet
+ * @param {Object} database - Mock database
+ * @param {string} userId - Wallet owner
+ * @param {number} amount - Positive amount
+ * @param {Object} entry - { type, source, description, metadata }
+ * @returns {Object} Transaction
+ */
+export const creditBaraka = (database, userId, amount, entry) => {
+  const value = Math.round(Number(amount));
+  if (!value || value <= 0) {
+    throw mockError(400, 'Amount must be a positive number', { code: 'INVALID_AMOUNT' });
+  }
+  return postLedgerEntry(database, userId, value, entry);
+};
+
+/**
+ * Debits Baraka from a wallet
+ * @param {Object} database - Mock database
+ * @param {string} userId - Wallet owner
+ * @param {number} amount - Positive amount
+ * @param {Object} entry - { type, source, description, metadata }
+ * @returns {Object} Transaction
+ */
+export const debitBaraka = (database, userId, amount, entry) => {
+  const value = Math.round(Number(amount));
+  if (!value || value <= 0) {
+    throw mockError(400, 'Amount must be a positive number', { code: 'INVALID_AMOUNT' });
+  }
+
+  const { wallet } = ensureLearner(database, userId);
+  if (wallet.available < value) {
+    throw mockError(400, 'Insufficient Baraka balance', {
+      code: 'INSUFFICIENT_BARAKA',
+      required: value,
+      available: wallet.available
+    });
+  }
+  return postLedgerEntry(database, userId, -value, entry);
+};
+
+// =============================================================================
+// BARAKA ESCROW
+// =============================================================================
+
+/**
+ * Pays held escrow to its recipient or returns it to its funder
+ * @param {Object} database - Mock database
+ * @param {Object} escrow - Held escrow
+ * @param {string} status - ESCROW_STATUS.RELEASED or ESCROW_STATUS.REFUNDED
+ * @returns {Object} Transaction crediting the Baraka
+ */
+export const settleEscrow = (database, escrow, status) => {
+  const released = status === ESCROW_STATUS.RELEASED;
+  const userId = released ? escrow.recipientId : escrow.funderId;
+
+  escrow.status = status;
+  escrow.settledAt = nowISO();
+  const transaction = creditBaraka(database, userId, escrow.amount, {
+    type: released ? 'escrow_release' : 'escrow_refund',
+    source: 'escrow',
+    description: `Escrow ${released ? 'released' : 'refunded'}: ${escrow.taskTitle}`,
+    metadata: { escrowId: escrow.id, partyId: escrow.partyId, taskId: escrow.taskId }
+  });
+
+  pushNotification(database, userId, {
+    type: 'baraka_escrow',
+    category: 'baraka',
+    title: released ? 'Escrow Released' : 'Escrow Refunded',
+    message: released
+      ? `${escrow.amount} Baraka released for "${escrow.taskTitle}"`
+      : `${escrow.amount} Baraka held for "${escrow.taskTitle}" came back to you`,
+    actionUrl: '/baraka',
+    metadata: { escrowId: escrow.id, amount: escrow.amount }
+  });
+  return transaction;
+};
+
+/**
+ * Settles any of the given escrows whose party task is done, gone or overdue
+ * @param {Object} database - Mock database
+ * @param {Array<Object>} escrows - Escrows to check
+ */
+export const settleEscrows = (database, escrows) => {
+  const now = nowISO();
+  escrows.forEach(escrow => {
+    const party = database.parties.find(p => p.id === escrow.partyId && p.status !== 'disbanded');
+    const task = party?.tasks.find(t => t.id === escrow.taskId) || null;
+    const status = resolveEscrow(escrow, task, now);
+    if (status) settleEscrow(database, escrow, status);
+  });
+};
+
+// =============================================================================
+// XP
+// =============================================================================
+
+/**
+ * Awards XP and reports level changes
+ * @param {Object} database - Mock database
+ * @param {string} userId - User ID
+ * @param {number} amount - XP to award
+ * @returns {Object} { xp, level, levelUp }
+ */
+export const awardXp = (database, userId, amount) => {
+  const user = requireUser(database, userId);
+  const before = getLevelFromXP(user.stats.xp).level;
+
+  user.stats.xp += amount;
+  user.stats.weeklyXp += amount;
+  user.stats.monthlyXp += amount;
+
+  const after = getLevelFromXP(user.stats.xp).level;
+  const levelUp = after > before ? { previousLevel: before, newLevel: after } : null;
+
+  if (levelUp) {
+    pushNotification(database, userId, {
+      type: 'level_up',
+      category: 'achievement',
+      title: `Level ${after} Reached! 🎉`,
+      message: `You advanced from level ${before} to level ${after}.`,
+      priority: 'high',
+      actionUrl: '/profile',
+      metadata: levelUp
+    });
+  }
+
+  return { xp: user.stats.xp, level: after, levelUp };
+};
+
+// =============================================================================
+// MISSIONS
+// =============================================================================
+
+/**
+ * Finds a mission definition or throws 404
+ * @param {Object} database - Mock database
+ * @param {string} missionId - Mission ID
+ * @returns {Object} Mission definition
+ */
+export const requireMission = (database, missionId) => {
+  const mission = database.missions.find(m => m.id === missionId);
+  if (!mission) throw notFound('Mission', missionId);
+  return mission;
+};
+
+/**
+ * Gets a learner's state for a mission, creating it on first write
+ * @param {Object} database - Mock database
+ * @param {string} userId - User ID
+ * @param {string} missionId - Mission ID
+ * @returns {Object} Mission state
+ */
+export const getMissionState = (database, userId, missionId) => {
+  const learner = ensureLearner(database, userId);
+  if (!learner.missions[missionId]) {
+    learner.missions[missionId] = {
+      status: missionId === 'S1M1' ? 'available' : 'locked',
+      bites: {}
+    };
+  }
+  return learner.missions[missionId];
+};
+
+/**
+ * Reads a learner's mission status without creating state
+ * @param {Object} database - Mock database
+ * @param {string} userId - User ID
+ * @param {string} missionId - Mission ID
+ * @returns {string} Status
+ */
+export const getMissionStatus = (database, userId, missionId) => {
+  const state = ensureLearner(database, userId).missions[missionId];
+  if (state) return state.status;
+  return missionId === 'S1M1' ? 'available' : 'locked';
+};
+
+/**
+ * Builds the learner-facing view of a mission
+ * @param {Object} database - Mock database
+ * @param {string} userId - User ID
+ * @param {Object} definition - Mission definition
+ * @returns {Object} Mission with status, bites and progress
+ */
+export const buildMissionView = (database, userId, definition) => {
+  const state = ensureLearner(database, userId).missions[definition.id] || {
+    status: getMissionStatus(database, userId, definition.id),
+    bites: {}
+  };
+
+  const bites = definition.bites.map(bite => ({
+    ...bite,
+    status: state.bites[bite.id] || 'pending'
+  }));
+  const bitesCompleted = bites.filter(b => b.status === 'completed').length;
+
+  const view = {
+    ...definition,
+    status: state.status,
+    bites,
+    updatedAt: state.lastActivityAt || definition.createdAt
+  };
+
+  if (state.status === 'in_progress' || state.status === 'completed') {
+    view.progress = {
+      bitesCompleted,
+      bitesTotal: bites.length,
+      percentage: Math.round((bitesCompleted / bites.length) * 100),
+      lastActivityAt: state.lastActivityAt || null,
+      startedAt: state.startedAt || null
+    };
+  }
+  if (state.status === 'completed') {
+    view.completedAt = state.completedAt;
+    view.score = state.score;
+  }
+
+  return view;
+};
+
+/**
+ * Gets the mission that follows another in curriculum order
+ * @param {Object} definition - Mission definition
+ * @returns {string|null} Next mission ID
+ */
+export const getNextMissionId = (definition) => {
+  if (definition.missionNumber < MISSIONS_PER_STAGE) {
+    return `S${definition.stageNumber}M${definition.missionNumber + 1}`;
+  }
+  if (definition.stageNumber < TOTAL_STAGES) {
+    return `S${definition.stageNumber + 1}M1`;
+  }
+  return null;
+};
+
+/**
+ * Starts a mission for a learner
+ * @param {Object} database - Mock database
+ * @param {string} userId - User ID
+ * @param {string} missionId - Mission ID
+ * @returns {Object} Mission view
+ */
+export const acceptMission = (database, userId, missionId) => {
+  const definition = requireMission(database, missionId);
+  const state = getMissionState(database, userId, missionId);
+
+  if (state.status === 'locked') {
+    throw mockError(403, 'Mission is locked', { code: 'MISSION_LOCKED', missionId });
+  }
+  if (state.status === 'completed') {
+    throw mockError(409, 'Mission already completed', { code: 'MISSION_COMPLETED', missionId });
+  }
+
+  if (state.status !== 'in_progress') {
+    state.status = 'in_progress';
+    state.startedAt = nowISO();
+    state.lastActivityAt = state.startedAt;
+    recordActivity(database, userId, {
+      type: 'mission_started',
+      title: `Started Mission ${missionId}`,
+      description: definition.title
+    });
+  }
+
+  return buildMissionView(database, userId, definition);
+};
+
+/**
+ * Abandons an in-progress mission, discarding bite progress
+ * @param {Object} database - Mock database
+ * @param {string} userId - User ID
+ * @param {string} missionId - Mission ID
+ * @returns {Object} Mission view
+ */
+export const abandonMission = (database, userId, missionId) => {
+  const definition = requireMission(database, missionId);
+  const state = getMissionState(database, userId, missionId);
+
+  if (state.status !== 'in_progress') {
+    throw mockError(409, 'Mission is not in progress', { code: 'MISSION_NOT_ACTIVE', missionId });
+  }
+
+  state.status = 'available';
+  state.bites = {};
+  state.startedAt = null;
+  state.lastActivityAt = nowISO();
+
+  return buildMissionView(database, userId, definition);
+};
+
+/**
+ * Completes a mission: pays rewards, unlocks the next mission and awards
+ * the stage badge on the final mission of a stage
+ * @param {Object} database - Mock database
+ * @param {string} userId - User ID
+ * @param {string} missionId - Mission ID
+ * @returns {Object} Mission view with rewards, newlyUnlocked, levelUp, newBadge
+ */
+export const completeMission = (database, userId, missionId) => {
+  const definition = requireMission(database, missionId);
+  const state = getMissionState(database, userId, missionId);
+  const user = requireUser(database, userId);
+  const learner = ensureLearner(database, userId);
+
+  if (state.status === 'locked') {
+    throw mockError(403, 'Mission is locked', { code: 'MISSION_LOCKED', missionId });
+  }
+  if (state.status === 'completed') {
+    throw mockError(409, 'Mission already completed', { code: 'MISSION_COMPLETED', missionId });
+  }
+
+  const completedAt = nowISO();
+  state.status = 'completed';
+  state.startedAt = state.startedAt || completedAt;
+  state.completedAt = completedAt;
+  state.lastActivityAt = completedAt;
+  definition.bites.forEach(b => { state.bites[b.id] = 'completed'; });
+  state.score = learner.checkpoints[missionId]?.bestScore || defaultMissionScore(definition);
+
+  const { xp, baraka } = definition.rewards;
+  const { levelUp } = awardXp(database, userId, xp);
+  creditBaraka(database, userId, baraka, {
+    type: 'earn_mission',
+    source: 'mission_complete',
+    description: `Mission ${missionId} completed`,
+    metadata: { missionId, missionTitle: definition.title }
+  });
+
+  user.stats.missionsCompleted += 1;
+  learner.study.goals.monthly.current += 1;
+
+  let newlyUnlocked = null;
+  const nextMissionId = getNextMissionId(definition);
+  if (nextMissionId) {
+    const nextState = getMissionState(database, userId, nextMissionId);
+    if (nextState.status === 'locked') {
+      nextState.status = 'available';
+      newlyUnlocked = nextMissionId;
+    }
+    const nextStage = requireMission(database, nextMissionId).stageNumber;
+    user.stats.currentStage = Math.max(user.stats.currentStage, nextStage);
+  }
+
+  let newBadge = null;
+  if (definition.rewards.badge && !learner.badges.some(b => b.id === definition.rewards.badge)) {
+    newBadge = {
+      id: definition.rewards.badge,
+      name: `Stage ${definition.stageNumber} Complete`,
+      description: `Completed all missions in Stage ${definition.stageNumber}`,
+      icon: '🏁',
+      category: 'completion',
+      rarity: 'rare',
+      earnedAt: completedAt,
+      featured: false
+    };
+    learner.badges.push(newBadge);
+  }
+
+  recordActivity(database, userId, {
+    type: 'mission_completed',
+    title: `Completed Mission ${missionId}`,
+    description: definition.title,
+    xpEarned: xp,
+    barakaEarned: baraka
+  });
+  pushNotification(database, userId, {
+    type: 'mission_completed',
+    category: 'progress',
+    title: 'Mission Completed!',
+    message: `You completed "${definition.title}" — well done!`,
+    actionUrl: `/missions/${missionId}`,
+    metadata: { missionId, xpEarned: xp, barakaEarned: baraka }
+  });
+
+  return {
+    ...buildMissionView(database, userId, definition),
+    rewards: { xp, baraka, badge: definition.rewards.badge },
+    newlyUnlocked,
+    levelUp,
+    newBadge
+  };
+};
+
+// =============================================================================
+// BITES
+// =============================================================================
+
+/**
+ * Finds a bite and its mission or throws 404
+ * @param {Object} database - Mock database
+ * @param {string} biteId - Bite ID (e.g. 'S2M4_bite_3')
+ * @returns {Object} { mission, bite }
+ */
+export const requireBite = (database, biteId) => {
+  const missionId = String(biteId).split('_bite_')[0];
+  const mission = database.missions.find(m => m.id === missionId);
+  const bite = mission?.bites.find(b => b.id === biteId);
+  if (!bite) throw notFound('Bite', biteId);
+  return { mission, bite };
+};
+
+/**
+ * Sets a bite's status, starting its mission if needed
+ * @param {Object} database - Mock database
+ * @param {string} userId - User ID
+ * @param {string} biteId - Bite ID
+ * @param {string} status - New bite status
+ * @returns {Object} { mission, bite, state }
+ */
+export const setBiteStatus = (database, userId, biteId, status) => {
+  const { mission, bite } = requireBite(database, biteId);
+  const state = getMissionState(database, userId, mission.id);
+
+  if (state.status === 'locked') {
+    throw mockError(403, 'Mission is locked', { code: 'MISSION_LOCKED', missionId: mission.id });
+  }
+  if (state.status === 'available') {
+    acceptMission(database, userId, mission.id);
+  }
+
+  state.bites[biteId] = status;
+  state.lastActivityAt = nowISO();
+  return { mission, bite, state };
+};
+
+/**
+ * Completes a bite, awarding XP and updating mission progress
+ * @param {Object} database - Mock database
+ * @param {string} userId - User ID
+ * @param {string} biteId - Bite ID
+ * @returns {Object} { bite, progress, xpEarned, levelUp }
+ */
+export const completeBite = (database, userId, biteId) => {
+  const { mission: definition } = requireBite(database, biteId);
+  if (getMissionState(database, userId, definition.id).bites[biteId] === 'completed') {
+    throw mockError(409, 'Bite already completed', { code: 'BITE_COMPLETED', biteId });
+  }
+  const { mission, bite } = setBiteStatus(database, userId, biteId, 'completed');
+
+  const user = requireUser(database, userId);
+  const learner = ensureLearner(database, userId);
+  user.stats.bitesCompleted += 1;
+  learner.study.goals.weekly.current += 1;
+
+  const xpEarned = 25;
+  const { levelUp } = awardXp(database, userId, xpEarned);
+  recordActivity(database, userId, {
+    type: 'bite_completed',
+    title: 'Study Bite Completed',
+    description: `${mission.title} — ${bite.title}`,
+    xpEarned
+  });
+
+  const view = buildMissionView(database, userId, mission);
+  return {
+    bite: view.bites.find(b => b.id === biteId),
+    missionId: mission.id,
+    progress: view.progress,
+    xpEarned,
+    levelUp
+  };
+};
+
+// =============================================================================
+// CHECKPOINTS
+// =============================================================================
+
+export const CHECKPOINT_REWARDS = { xp: 200, baraka: 100 };
+
+/**
+ * Gets a learner's checkpoint state, creating it from the template
+ * @param {Object} database - Mock database
+ * @param {string} userId - User ID
+ * @param {string} missionId - Mission ID
+ * @returns {Object} Checkpoint state
+ */
+export const getCheckpointState = (database, userId, missionId) => {
+  requireMission(database, missionId);
+  const learner = ensureLearner(database, userId);
+  if (!learner.checkpoints[missionId]) {
+    learner.checkpoints[missionId] = createCheckpointState(missionId);
+  }
+  return learner.checkpoints[missionId];
+};
+
+/**
+ * Builds the learner-facing checkpoint view (answers and rubrics hidden)
+ * @param {Object} checkpoint - Checkpoint state
+ * @returns {Object} Checkpoint view
+ */
+export const buildCheckpointView = (checkpoint) => {
+  const { session, retryGranted, rewardsClaimed, history, ...rest } = checkpoint;
+  return {
+    ...rest,
+    id: `cp_${checkpoint.missionId}`,
+    attemptsRemaining: Math.max(0, checkpoint.maxAttempts - checkpoint.attempts),
+    canRetry: checkpoint.attempts < checkpoint.maxAttempts || retryGranted,
+    sessionId: session?.id || null,
+    questions: checkpoint.questions.map(({ correctIndex, rubric, ...q }) => q),
+    hints: checkpoint.hints.map(h => (h.revealed ? h : { index: h.index, cost: h.cost, revealed: false }))
+  };
+};
+
+/**
+ * Starts a checkpoint attempt
+ * @param {Object} database - Mock database
+ * @param {string} userId - User ID
+ * @param {string} missionId - Mission ID
+ * @returns {Object} Session with questions (answers hidden)
+ */
+export const startCheckpoint = (database, userId, missionId) => {
+  const checkpoint = getCheckpointState(database, userId, missionId);
+
+  if (checkpoint.status === 'passed') {
+    throw mockError(409, 'Checkpoint already passed', { code: 'CHECKPOINT_PASSED', missionId });
+  }
+  if (checkpoint.attempts >= checkpoint.maxAttempts && !checkpoint.retryGranted) {
+    throw mockError(403, 'No attempts remaining. Purchase a retry to continue.', {
+      code: 'NO_ATTEMPTS',
+      retryCost: checkpoint.retryCost * checkpoint.attempts
+    });
+  }
+
+  if (!checkpoint.session) {
+    checkpoint.session = {
+      id: nextId(database, 'cps'),
+      startedAt: nowISO(),
+      expiresAt: new Date(Date.now() + checkpoint.timeLimit * 1000).toISOString()
+    };
+  }
+  checkpoint.status = 'in_progress';
+
+  return {
+    sessionId: checkpoint.session.id,
+    missionId,
+    questions: buildCheckpointView(checkpoint).questions,
+    timeLimit: checkpoint.timeLimit,
+    attemptNumber: checkpoint.attempts + 1,
+    startedAt: checkpoint.session.startedAt,
+    expiresAt: checkpoint.session.expiresAt
+  };
+};
+
+/**
+ * Scores a single answer against its question
+ * @param {Object} question - Question with correctIndex or rubric
+ * @param {*} answer - Submitted answer
+ * @returns {number} Points earned
+ */
+const scoreAnswer = (question, answer) => {
+  if (answer === undefined || answer === null || answer === '') return 0;
+  if (question.type === 'multiple_choice') {
+    return Number(answer) === question.correctIndex ? question.points : 0;
+  }
+  const text = String(answer).trim();
+  if (!text) return 0;
+  return text.length >= 20 ? question.points : Math.floor(question.points / 2);
+};
+
+/**
+ * Grades a checkpoint submission and pays first-pass rewards
+ * @param {Object} database - Mock database
+ * @param {string} userId - User ID
+ * @param {string} missionId - Mission ID
+ * @param {Array<Object>} answers - [{ questionId, answer }]
+ * @returns {Object} Result with score, passed, breakdown, rewards
+ */
+export const submitCheckpoint = (database, userId, missionId, answers = []) => {
+  const checkpoint = getCheckpointState(database, userId, missionId);
+
+  if (checkpoint.status === 'passed') {
+    throw mockError(409, 'Checkpoint already passed', { code: 'CHECKPOINT_PASSED', missionId });
+  }
+  if (!checkpoint.session && checkpoint.attempts >= checkpoint.maxAttempts && !checkpoint.retryGranted) {
+    throw mockError(403, 'No attempts remaining. Purchase a retry to continue.', { code: 'NO_ATTEMPTS' });
+  }
+
+  const answerMap = new Map((answers || []).map(a => [a.questionId, a.answer]));
+  const breakdown = checkpoint.questions.map(question => {
+    const earned = scoreAnswer(question, answerMap.get(question.id));
+    return {
+      questionId: question.id,
+      correct: earned === question.points,
+      score: earned,
+      maxScore: question.points
+    };
+  });
+
+  const totalPoints = checkpoint.questions.reduce((sum, q) => sum + q.points, 0);
+  const earnedPoints = breakdown.reduce((sum, b) => sum + b.score, 0);
+  const score = Math.round((earnedPoints / totalPoints) * 100);
+  const passed = score >= checkpoint.passingScore;
+
+  const sessionId = checkpoint.session?.id || null;
+  const startedAt = checkpoint.session ? Date.parse(checkpoint.session.startedAt) : Date.now();
+  const submittedAt = nowISO();
+
+  checkpoint.attempts += 1;
+  checkpoint.retryGranted = false;
+  checkpoint.session = null;
+  checkpoint.bestScore = Math.max(checkpoint.bestScore || 0, score);
+  checkpoint.status = passed ? 'passed' : 'failed';
+  checkpoint.questions.forEach(q => { q.answered = answerMap.has(q.id); });
+  checkpoint.history.push({
+    attemptNumber: checkpoint.attempts,
+    score,
+    passed,
+    submittedAt,
+    duration: Math.round((Date.now() - startedAt) / 1000)
+  });
+
+  let rewards = null;
+  let levelUp = null;
+  if (passed && !checkpoint.rewardsClaimed) {
+    checkpoint.rewardsClaimed = true;
+    ({ levelUp } = awardXp(database, userId, CHECKPOINT_REWARDS.xp));
+    creditBaraka(database, userId, CHECKPOINT_REWARDS.baraka, {
+      type: 'earn_checkpoint',
+      source: 'checkpoint_pass',
+      description: `Checkpoint passed: ${missionId}`,
+      metadata: { missionId, score }
+    });
+    requireUser(database, userId).stats.checkpointsPassed += 1;
+    recordActivity(database, userId, {
+      type: 'checkpoint_passed',
+      title: `Checkpoint ${missionId} Passed`,
+      description: `Score: ${score}/100`,
+      xpEarned: CHECKPOINT_REWARDS.xp,
+      barakaEarned: CHECKPOINT_REWARDS.baraka
+    });
+    rewards = { ...CHECKPOINT_REWARDS };
+  }
+
+  return {
+    sessionId,
+    missionId,
+    score,
+    passed,
+    maxScore: 100,
+    passingScore: checkpoint.passingScore,
+    attemptNumber: checkpoint.attempts,
+    feedback: passed
+      ? 'Excellent work! You demonstrated strong understanding of the core concepts.'
+      : 'Good effort. Review the mission material and try again — you are close!',
+    breakdown,
+    rewards,
+    levelUp,
+    attemptsRemaining: Math.max(0, checkpoint.maxAttempts - checkpoint.attempts),
+    completedAt: submittedAt
+  };
+};
+
+/**
+ * Grants one more checkpoint attempt
+ * @param {Object} database - Mock database
+ * @param {string} userId - User ID
+ * @param {string} missionId - Mission ID
+ * @param {Object} options - { useR2R } to spend a free retry instead of Baraka
+ * @returns {Object} Retry grant
+ */
+export const grantCheckpointRetry = (database, userId, missionId, { useR2R = false } = {}) => {
+  const checkpoint = getCheckpointState(database, userId, missionId);
+  const learner = ensureLearner(database, userId);
+
+  if (checkpoint.status === 'passed') {
+    throw mockError(409, 'Checkpoint already passed', { code: 'CHECKPOINT_PASSED', missionId });
+  }
+
+  let cost = 0;
+  let method = 'baraka';
+  const r2r = learner.study.r2r;
+
+  if (useR2R && (r2r.freeRetries > 0 || r2r.paidRetries > 0)) {
+    method = r2r.freeRetries > 0 ? 'free' : 'paid';
+    if (method === 'free') r2r.freeRetries -= 1;
+    else r2r.paidRetries -= 1;
+    r2r.totalUsed += 1;
+    r2r.history.unshift({ missionId, type: method, usedAt: nowISO(), result: 'pending' });
+  } else {
+    cost = checkpoint.retryCost * Math.max(1, checkpoint.attempts);
+    debitBaraka(database, userId, cost, {
+      type: 'spend_retry',
+      source: 'checkpoint_retry',
+      description: `Checkpoint retry: ${missionId}`,
+      metadata: { missionId, attempt: checkpoint.attempts + 1 }
+    });
+  }
+
+  checkpoint.retryGranted = true;
+  checkpoint.status = 'available';
+  checkpoint.questions.forEach(q => { q.answered = false; });
+
+  return {
+    missionId,
+    retryGranted: true,
+    usedPR2R: method !== 'baraka',
+    attemptsRemaining: Math.max(1, checkpoint.maxAttempts - checkpoint.attempts),
+    cost
+  };
+};
+
+// =============================================================================
+// AUDIT LOG
+// =============================================================================
+
+/**
+ * Appends an entry to the admin audit log
+ * @param {Object} database - Mock database
+ * @param {string} actorId - Acting staff user ID
+ * @param {Object} entry - { action, targetType, targetId, targetName, reason, details }
+ * @returns {Object} Audit entry
+ */
+export const recordAudit = (database, actorId, entry) => {
+  const actor = findUser(database, actorId);
+  const audit = {
+    id: nextId(database, 'aud'),
+    actorId,
+    actorName: actor?.displayName || actorId,
+    targetType: 'user',
+    targetId: null,
+    targetName: null,
+    reason: '',
+    details: {},
+    createdAt: nowISO(),
+    ...entry
+  };
+  database.auditLog.unshift(audit);
+  return audit;
+};
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+export { DEMO_USER_ID };
+
+export default {
+  getDb,
+  resetMockDb,
+  nextId,
+  findUser,
+  requireUser,
+  ADMIN_ROLES,
+  requireRole,
+  createUser,
+  ensureLearner,
+  getUserStanding,
+  toPublicUser,
+  toProfile,
+  toAdminUser,
+  rankUsers,
+  getUserRank,
+  pushNotification,
+  recordActivity,
+  creditBaraka,
+  debitBaraka,
+  awardXp,
+  requireMission,
+  getMissionState,
+  getMissionStatus,
+  buildMissionView,
+  getNextMissionId,
+  acceptMission,
+  abandonMission,
+  completeMission,
+  requireBite,
+  setBiteStatus,
+  completeBite,
+  CHECKPOINT_REWARDS,
+  getCheckpointState,
+  buildCheckpointView,
+  startCheckpoint,
+  submitCheckpoint,
+  grantCheckpointRetry,
+  recordAudit
+};
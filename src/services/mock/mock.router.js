@@ -0,0 +1,117 @@
+/**
+ * GPS Lab Platform - Mock Backend Router
+ *
+ * Minimal path router for the mock backend. Patterns use `:param` segments;
+ * when several patterns match, the one with the most literal segments wins
+ * so `/missions/current` is never captured by `/missions/:id`.
+ *
+ * @module services/mock/mock.router
+ * @version 1.0.0
+ */
+
+// =============================================================================
+// PATTERN MATCHING
+// =============================================================================
+
+/**
+ * Splits a path into non-empty segments
+ * @param {string} path - URL path
+ * @returns {Array<string>} Segments
+ */
+const splitPath = (path) => path.split('/').filter(Boolean);
+
+/**
+ * Compiles a route pattern
+ * @param {string} pattern - Pattern such as '/missions/:id/accept'
+ * @returns {Object} Compiled pattern
+ */
+const compilePattern = (pattern) => {
+  const segments = splitPath(pattern);
+  return {
+    pattern,
+    segments,
+    literalCount: segments.filter(s => !s.startsWith(':')).length
+  };
+};
+
+/**
+ * Matches a path against a compiled pattern
+ * @param {Object} compiled - Compiled pattern
+ * @param {Array<string>} pathSegments - Request path segments
+ * @returns {Object|null} Route params, or null if no match
+ */
+const matchPattern = (compiled, pathSegments) => {
+  if (compiled.segments.length !== pathSegments.length) return null;
+
+  const params = {};
+  for (let i = 0; i < compiled.segments.length; i++) {
+    const segment = compiled.segments[i];
+    if (segment.startsWith(':')) {
+      params[segment.slice(1)] = decodeURIComponent(pathSegments[i]);
+    } else if (segment !== pathSegments[i]) {
+      return null;
+    }
+  }
+  return params;
+};
+
+// =============================================================================
+// ROUTER
+// =============================================================================
+
+/**
+ * Creates a mock router
+ *
+ * Handlers receive `{ db, userId, params, query, body, headers }` and return
+ * the response payload; throwing a MockHttpError produces an error response.
+ *
+ * @returns {Object} Router with get/post/put/patch/delete and match
+ */
+export const createMockRouter = () => {
+  const routes = [];
+
+  const add = (method) => (pattern, handler) => {
+    routes.push({ method, handler, ...compilePattern(pattern) });
+  };
+
+  /**
+   * Finds the best route for a request
+   * @param {string} method - HTTP method
+   * @param {string} path - URL path (no query string)
+   * @returns {Object|null} { handler, params, pattern }
+   */
+  const match = (method, path) => {
+    const pathSegments = splitPath(path);
+    let best = null;
+
+    routes.forEach(route => {
+      if (route.method !== method) return;
+      const params = matchPattern(route, pathSegments);
+      if (params && (!best || route.literalCount > best.literalCount)) {
+        best = { handler: route.handler, params, pattern: route.pattern, literalCount: route.literalCount };
+      }
+    });
+
+    return best;
+  };
+
+  return {
+    get: add('GET'),
+    post: add('POST'),
+    put: add('PUT'),
+    patch: add('PATCH'),
+    delete: add('DELETE'),
+    match,
+    get size() {
+      return routes.length;
+    }
+  };
+};
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+export default {
+  createMockRouter
+};
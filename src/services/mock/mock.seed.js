@@ -0,0 +1,1956 @@
+/**
+ * GPS Lab Platform - Mock Backend Seed Data
+ *
+ * The single seeded dataset behind the mock backend: users, the mission
+ * catalog, per-learner state (Baraka ledger, mission progress, checkpoints,
+ * notifications, study loop, GPS 101 progress), parties, university
+ * cohorts and reference data.
+ *
+ * Everything here is deterministic so demos and Jest runs start from the
+ * same state after every reset.
+ *
+ * @module services/mock/mock.seed
+ * @version 1.0.0
+ */
+
+import { createSeededRandom, seedFromString, randomInt, offsetISO, todayDate, clone, HOUR, DAY } from './mock.utils';
+import { BUNDLED_CURRICULUM } from '../../utils/helpers/curriculum.helper';
+import { GPS_101_STRUCTURE } from '../../utils/helpers/gps101.helper';
+import { getGPS101CharacterDevelopment } from '../../utils/helpers/character.calculator';
+import { DEFAULT_ECONOMY_CONFIG } from '../../config/economy.config';
+import {
+  ORDER_SIDES,
+  ORDER_TYPES,
+  createOrder,
+  createOrderBook,
+  matchOrder,
+  roundPrice,
+  tradeValue,
+  getSellerTier,
+  calculateSaleProceeds
+} from '../../utils/helpers/psb.market';
+import { createStake } from '../../utils/helpers/psb.staking';
+import { REQUEST_STATUS, ESCROW_STATUS, ESCROW_GRACE_DAYS, INCOMING_TRANSFER_TYPES } from '../../utils/helpers/baraka.transfer';
+
+// =============================================================================
+// IDENTIFIERS
+// =============================================================================
+
+/**
+ * The seeded learner that unauthenticated mock requests act as
+ */
+export const DEMO_USER_ID = 'usr_mock_001';
+
+/**
+ * The seeded staff account for the admin screens (sign in as admin@gpslab.dev)
+ */
+export const ADMIN_USER_ID = 'usr_admin_001';
+
+/**
+ * The seeded university partner for the university portal (sign in as
+ * partner@hgu.gpslab.dev)
+ */
+export const UNIVERSITY_STAFF_ID = 'usr_uni_001';
+
+/**
+ * First value of the id sequence (keeps generated ids clear of fixture ids)
+ */
+export const SEQUENCE_START = 1000;
+
+// =============================================================================
+// CURRICULUM
+// =============================================================================
+
+/**
+ * Adventure definitions (7 adventures × 5 stages each = 35 stages)
+ */
+export const MOCK_ADVENTURES = [
+  { number: 1, name: 'Foundation',  theme: 'Building Your GPS Identity', stageRange: { start: 1, end: 5 } },
+  { number: 2, name: 'Discovery',   theme: 'Understanding Global Challenges', stageRange: { start: 6, end: 10 } },
+  { number: 3, name: 'Connection',  theme: 'Building Teams & Networks', stageRange: { start: 11, end: 15 } },
+  { number: 4, name: 'Innovation',  theme: 'Design & Solution Crafting', stageRange: { start: 16, end: 20 } },
+  { number: 5, name: 'Impact',      theme: 'Implementation & Real-World Testing', stageRange: { start: 21, end: 25 } },
+  { number: 6, name: 'Leadership',  theme: 'Scaling & Leading Change', stageRange: { start: 26, end: 30 } },
+  { number: 7, name: 'Legacy',      theme: 'Sustainability & Knowledge Transfer', stageRange: { start: 31, end: 35 } }
+];
+
+export const TOTAL_STAGES = 35;
+export const MISSIONS_PER_STAGE = 5;
+export const BITES_PER_MISSION = 5;
+
+/**
+ * Mission titles for stages 1-3 (detailed sample data)
+ */
+const STAGE_MISSIONS = {
+  1: [
+    { number: 1, title: 'Introduction to GPS Thinking', xp: 100, baraka: 150, difficulty: 'beginner', estimatedMinutes: 30 },
+    { number: 2, title: 'Understanding Systems', xp: 120, baraka: 175, difficulty: 'beginner', estimatedMinutes: 35 },
+    { number: 3, title: 'Your Problem-Solving Identity', xp: 130, baraka: 200, difficulty: 'beginner', estimatedMinutes: 40 },
+    { number: 4, title: 'Empathy in Action', xp: 140, baraka: 225, difficulty: 'beginner', estimatedMinutes: 45 },
+    { number: 5, title: 'Setting Your GPS Compass', xp: 200, baraka: 300, difficulty: 'intermediate', estimatedMinutes: 60 }
+  ],
+  2: [
+    { number: 1, title: 'Observing Your Community', xp: 150, baraka: 200, difficulty: 'beginner', estimatedMinutes: 35 },
+    { number: 2, title: 'Mapping Local Challenges', xp: 160, baraka: 225, difficulty: 'beginner', estimatedMinutes: 40 },
+    { number: 3, title: 'Research Methods Basics', xp: 170, baraka: 250, difficulty: 'intermediate', estimatedMinutes: 45 },
+    { number: 4, title: 'Interviewing Stakeholders', xp: 180, baraka: 275, difficulty: 'intermediate', estimatedMinutes: 50 },
+    { number: 5, title: 'Problem Statement Workshop', xp: 250, baraka: 350, difficulty: 'intermediate', estimatedMinutes: 60 }
+  ],
+  3: [
+    { number: 1, title: 'Data Collection Fundamentals', xp: 175, baraka: 225, difficulty: 'intermediate', estimatedMinutes: 40 },
+    { number: 2, title: 'Analyzing Patterns', xp: 185, baraka: 250, difficulty: 'intermediate', estimatedMinutes: 45 },
+    { number: 3, title: 'Root Cause Analysis', xp: 200, baraka: 275, difficulty: 'intermediate', estimatedMinutes: 50 },
+    { number: 4, title: 'Systems Mapping', xp: 220, baraka: 300, difficulty: 'intermediate', estimatedMinutes: 55 },
+    { number: 5, title: 'Insight Synthesis', xp: 300, baraka: 400, difficulty: 'advanced', estimatedMinutes: 70 }
+  ]
+};
+
+const BITE_TYPES = ['read', 'watch', 'practice', 'reflect', 'apply'];
+
+/**
+ * Finds the adventure containing a stage
+ * @param {number} stageNumber - Stage number
+ * @returns {Object|null} Adventure
+ */
+export const findAdventureForStage = (stageNumber) => {
+  return MOCK_ADVENTURES.find(
+    a => stageNumber >= a.stageRange.start && stageNumber <= a.stageRange.end
+  ) || null;
+};
+
+/**
+ * Builds a static mission definition (no learner state)
+ * @param {number} stageNumber - Stage number
+ * @param {number} missionNumber - Mission number within stage
+ * @returns {Object} Mission definition
+ */
+const buildMissionDefinition = (stageNumber, missionNumber) => {
+  const id = `S${stageNumber}M${missionNumber}`;
+  const adventure = findAdventureForStage(stageNumber);
+
+  const stageData = STAGE_MISSIONS[stageNumber];
+  const missionData = stageData
+    ? stageData[missionNumber - 1]
+    : {
+        title: `Mission ${missionNumber}: Stage ${stageNumber} Challenge`,
+        xp: 100 + (stageNumber * 20) + (missionNumber * 10),
+        baraka: 150 + (stageNumber * 25) + (missionNumber * 15),
+        difficulty: stageNumber <= 10 ? 'beginner' : stageNumber <= 20 ? 'intermediate' : 'advanced',
+        estimatedMinutes: 30 + (stageNumber * 2) + (missionNumber * 5)
+      };
+
+  return {
+    id,
+    stageNumber,
+    missionNumber,
+    adventureNumber: adventure?.number || 1,
+    adventureName: adventure?.name || 'Unknown',
+    title: missionData.title,
+    description: `Complete this mission to advance through ${adventure?.name || 'the adventure'}. Focus on ${adventure?.theme || 'core skills'}.`,
+    difficulty: missionData.difficulty,
+    estimatedMinutes: missionData.estimatedMinutes,
+    rewards: {
+      xp: missionData.xp,
+      baraka: missionData.baraka,
+      badge: missionNumber === MISSIONS_PER_STAGE ? `stage_${stageNumber}_complete` : null
+    },
+    bites: BITE_TYPES.map((type, i) => ({
+      id: `${id}_bite_${i + 1}`,
+      missionId: id,
+      number: i + 1,
+      title: `Bite ${i + 1}`,
+      type,
+      estimatedMinutes: Math.floor(missionData.estimatedMinutes / BITES_PER_MISSION)
+    })),
+    prerequisites: missionNumber > 1
+      ? [`S${stageNumber}M${missionNumber - 1}`]
+      : stageNumber > 1
+        ? [`S${stageNumber - 1}M${MISSIONS_PER_STAGE}`]
+        : [],
+    tags: [adventure?.name?.toLowerCase(), missionData.difficulty, `stage-${stageNumber}`],
+    createdAt: '2025-01-01T00:00:00Z'
+  };
+};
+
+/**
+ * Builds the full mission catalog (35 stages × 5 missions)
+ * @returns {Array<Object>} Mission definitions in curriculum order
+ */
+export const buildMissionCatalog = () => {
+  const missions = [];
+  for (let stage = 1; stage <= TOTAL_STAGES; stage++) {
+    for (let mission = 1; mission <= MISSIONS_PER_STAGE; mission++) {
+      missions.push(buildMissionDefinition(stage, mission));
+    }
+  }
+  return missions;
+};
+
+/**
+ * Deterministic completion score for a mission without a checkpoint score
+ * @param {Object} mission - Mission definition
+ * @returns {number} Score (80-99)
+ */
+export const defaultMissionScore = (mission) => {
+  return 80 + ((mission.stageNumber * 7 + mission.missionNumber * 3) % 20);
+};
+
+// =============================================================================
+// CHECKPOINTS
+// =============================================================================
+
+/**
+ * Creates checkpoint state for a mission
+ * @param {string} missionId - Mission ID
+ * @returns {Object} Checkpoint state
+ */
+export const createCheckpointState = (missionId) => ({
+  missionId,
+  type: 'quiz',
+  status: 'available',
+  passingScore: 70,
+  timeLimit: 30 * 60,
+  maxAttempts: 3,
+  attempts: 0,
+  retryCost: 50,
+  retryGranted: false,
+  bestScore: null,
+  rewardsClaimed: false,
+  session: null,
+  history: [],
+  questions: [
+    {
+      id: `${missionId}_q1`, type: 'multiple_choice', answered: false,
+      question: 'What is the primary purpose of GPS thinking?',
+      options: ['Individual achievement', 'Solving global problems collaboratively', 'Academic research only', 'Technology development'],
+      correctIndex: 1, points: 20
+    },
+    {
+      id: `${missionId}_q2`, type: 'multiple_choice', answered: false,
+      question: 'Which step comes first in the problem-solving framework?',
+      options: ['Implementation', 'Empathy & understanding', 'Scaling', 'Testing'],
+      correctIndex: 1, points: 20
+    },
+    {
+      id: `${missionId}_q3`, type: 'short_answer', answered: false,
+      question: 'Describe one local challenge in your community and how systems thinking could help address it.',
+      rubric: ['Identifies real challenge', 'Applies systems thinking', 'Shows depth of analysis'],
+      points: 25
+    },
+    {
+      id: `${missionId}_q4`, type: 'multiple_choice', answered: false,
+      question: 'Stakeholder interviews are most valuable for:',
+      options: ['Building professional networks', 'Understanding diverse perspectives', 'Collecting quantitative data', 'Satisfying requirements'],
+      correctIndex: 1, points: 15
+    },
+    {
+      id: `${missionId}_q5`, type: 'reflection', answered: false,
+      question: 'Reflect on how you would apply the concepts from this mission to a real-world problem you care about.',
+      rubric: ['Personal connection', 'Conceptual understanding', 'Actionable insights'],
+      points: 20
+    }
+  ],
+  hints: [
+    { index: 0, text: 'Think about the core values of GPS Lab — collaboration and impact.', cost: 0, revealed: false },
+    { index: 1, text: 'Remember the 5-step framework from the mission briefing.', cost: 10, revealed: false },
+    { index: 2, text: 'Consider multiple stakeholder perspectives when analyzing systems.', cost: 25, revealed: false }
+  ]
+});
+
+// =============================================================================
+// USERS
+// =============================================================================
+
+const UNIVERSITY_REFS = [
+  { id: 'uni_001', name: 'Handong Global University', code: 'HGU' },
+  { id: 'uni_002', name: 'University of Nairobi', code: 'UON' },
+  { id: 'uni_003', name: 'Makerere University', code: 'MAK' },
+  { id: 'uni_004', name: 'University of Dar es Salaam', code: 'UDSM' }
+];
+
+/**
+ * Creates a user record with profile and progress counters
+ * @param {Object} data - User fields
+ * @returns {Object} User record
+ */
+export const createUserRecord = (data) => ({
+  avatarUrl: null,
+  bio: '',
+  locale: 'en',
+  role: 'student',
+  emailVerified: true,
+  isActive: true,
+  status: 'offline',
+  university: null,
+  location: null,
+  socialLinks: { github: '', linkedin: '', twitter: '' },
+  preferences: {
+    language: 'en',
+    theme: 'light',
+    notifications: true,
+    emailDigest: 'weekly',
+    soundEffects: true,
+    navigatorPersonality: 'encouraging'
+  },
+  privacy: {
+    profileVisible: true,
+    showActivity: true,
+    showBadges: true,
+    showStats: true
+  },
+  createdAt: '2025-09-01T08:00:00Z',
+  lastLoginAt: null,
+  ...data,
+  stats: {
+    xp: 0,
+    weeklyXp: 0,
+    monthlyXp: 0,
+    streak: 0,
+    longestStreak: 0,
+    missionsCompleted: 0,
+    checkpointsPassed: 0,
+    bitesCompleted: 0,
+    studyHours: 0,
+    currentStage: 1,
+    ...(data.stats || {})
+  }
+});
+
+/**
+ * Creates the seeded user list
+ * @returns {Array<Object>} User records
+ */
+const createUsers = () => {
+  const demo = createUserRecord({
+    id: DEMO_USER_ID,
+    email: 'gps.solver@gpslab.dev',
+    username: 'GPSExplorer',
+    firstName: 'GPS',
+    lastName: 'Explorer',
+    displayName: 'GPS Explorer',
+    bio: 'Passionate about solving global problems through technology and collaboration.',
+    status: 'online',
+    university: UNIVERSITY_REFS[0],
+    location: {
+      country: 'Kenya',
+      city: 'Nairobi',
+      timezone: 'Africa/Nairobi'
+    },
+    lastLoginAt: offsetISO(0),
+    stats: {
+      xp: 6250,
+      weeklyXp: 640,
+      monthlyXp: 2180,
+      streak: 7,
+      longestStreak: 14,
+      missionsCompleted: 8,
+      checkpointsPassed: 2,
+      bitesCompleted: 42,
+      studyHours: 28.5,
+      currentStage: 2
+    }
+  });
+
+  const peers = [
+    createUserRecord({
+      id: 'usr_002', email: 'solver.alpha@gpslab.dev', username: 'SolverAlpha',
+      firstName: 'Solver', lastName: 'Alpha', displayName: 'Solver Alpha',
+      bio: 'Fellow GPS solver exploring global challenges.', status: 'online',
+      university: UNIVERSITY_REFS[1], createdAt: '2025-09-10T08:00:00Z',
+      stats: { xp: 2600, weeklyXp: 410, monthlyXp: 1320, streak: 5, longestStreak: 9, missionsCompleted: 12, checkpointsPassed: 2, bitesCompleted: 60, studyHours: 31, currentStage: 3 }
+    }),
+    createUserRecord({
+      id: 'usr_003', email: 'innovator.beta@gpslab.dev', username: 'InnovatorBeta',
+      firstName: 'Innovator', lastName: 'Beta', displayName: 'Innovator Beta',
+      bio: 'Fellow GPS solver exploring global challenges.',
+      university: UNIVERSITY_REFS[0], createdAt: '2025-11-01T08:00:00Z',
+      stats: { xp: 600, weeklyXp: 180, monthlyXp: 540, streak: 2, longestStreak: 4, missionsCompleted: 4, checkpointsPassed: 0, bitesCompleted: 21, studyHours: 9, currentStage: 1 }
+    }),
+    createUserRecord({
+      id: 'usr_004', email: 'builder.gamma@gpslab.dev', username: 'BuilderGamma',
+      firstName: 'Builder', lastName: 'Gamma', displayName: 'Builder Gamma',
+      bio: 'Fellow GPS solver exploring global challenges.', status: 'online',
+      university: UNIVERSITY_REFS[2], createdAt: '2025-06-15T08:00:00Z',
+      stats: { xp: 5600, weeklyXp: 520, monthlyXp: 1900, streak: 12, longestStreak: 21, missionsCompleted: 22, checkpointsPassed: 4, bitesCompleted: 110, studyHours: 64, currentStage: 5 }
+    })
+  ];
+
+  const random = createSeededRandom(20250901);
+  const leaders = Array.from({ length: 30 }, (_, i) => {
+    const n = i + 1;
+    const weeklyXp = randomInt(random, 200, 1500);
+    return createUserRecord({
+      id: `usr_lb_${n}`,
+      email: `solver${String(n).padStart(3, '0')}@gpslab.dev`,
+      username: `Solver${String(n).padStart(3, '0')}`,
+      firstName: 'GPS',
+      lastName: `Solver ${n}`,
+      displayName: `GPS Solver ${n}`,
+      status: n % 3 === 0 ? 'online' : 'offline',
+      university: UNIVERSITY_REFS[i % UNIVERSITY_REFS.length],
+      createdAt: '2025-03-01T08:00:00Z',
+      stats: {
+        xp: 50000 - i * 1500 + randomInt(random, 0, 400),
+        weeklyXp,
+        monthlyXp: weeklyXp * 3 + randomInt(random, 0, 800),
+        streak: Math.max(0, 30 - i),
+        longestStreak: Math.max(5, 45 - i),
+        missionsCompleted: Math.max(1, 50 - i * 2),
+        checkpointsPassed: Math.max(0, 10 - Math.floor(i / 3)),
+        bitesCompleted: Math.max(5, 250 - i * 8),
+        studyHours: Math.max(5, 220 - i * 7),
+        currentStage: Math.max(1, 20 - Math.floor(i / 2))
+      }
+    });
+  });
+
+  // Staff sign in like learners but are left out of rankings
+  const staff = [
+    createUserRecord({
+      id: ADMIN_USER_ID, email: 'admin@gpslab.dev', username: 'GPSAdmin',
+      firstName: 'GPS', lastName: 'Admin', displayName: 'GPS Admin',
+      role: 'admin', createdAt: '2025-01-15T08:00:00Z'
+    }),
+    createUserRecord({
+      id: UNIVERSITY_STAFF_ID, email: 'partner@hgu.gpslab.dev', username: 'HGUPartner',
+      firstName: 'Grace', lastName: 'Kim', displayName: 'Grace Kim',
+      role: 'university', university: UNIVERSITY_REFS[0], createdAt: '2025-02-01T08:00:00Z'
+    })
+  ];
+
+  return [demo, ...peers, ...leaders, ...staff];
+};
+
+// =============================================================================
+// LEARNER STATE
+// =============================================================================
+
+/**
+ * Creates the default per-learner state
+ * @param {Object} overrides - Seeded values
+ * @returns {Object} Learner state
+ */
+export const createLearnerState = (overrides = {}) => ({
+  wallet: {
+    available: 0,
+    pending: 0,
+    totalEarned: 0,
+    totalSpent: 0,
+    totalWithdrawn: 0,
+    currency: 'BRK'
+  },
+  transactions: [],
+  withdrawals: [],
+  covenant: {
+    totalContributed: 0,
+    totalReturned: 0,
+    returns: []
+  },
+  // PSB outside the order book; trades are kept with the market
+  psb: {
+    available: 0,
+    locked: 0,
+    stakes: [],
+    transactions: []
+  },
+  missions: {},
+  checkpoints: {},
+  bites: {},
+  badges: [],
+  characterBadges: [],
+  activity: [],
+  notifications: [],
+  notificationPreferences: {
+    enabled: true,
+    email: true,
+    push: false,
+    sound: true,
+    categories: {
+      achievement: true,
+      progress: true,
+      social: true,
+      baraka: true,
+      system: true,
+      reminder: true
+    }
+  },
+  connections: [],
+  referrals: {
+    code: null,
+    referrals: []
+  },
+  study: {
+    session: null,
+    sessionsCount: 0,
+    streak: {
+      lastStudyDate: null,
+      milestones: [
+        { day: 3, claimed: false, reward: 25 },
+        { day: 7, claimed: false, reward: 50 },
+        { day: 14, claimed: false, reward: 100 },
+        { day: 30, claimed: false, reward: 250 }
+      ]
+    },
+    r2r: {
+      freeRetries: 2,
+      paidRetries: 0,
+      graceUsed: false,
+      totalUsed: 0,
+      history: []
+    },
+    goals: {
+      daily: { target: 60, unit: 'minutes', current: 0, type: 'study_time' },
+      weekly: { target: 5, unit: 'bites', current: 0, type: 'bites_completed' },
+      monthly: { target: 2, unit: 'missions', current: 0, type: 'missions_completed' }
+    },
+    schedule: {
+      preferredDays: ['monday', 'tuesday', 'wednesday', 'thursday', 'friday'],
+      preferredTime: '14:00',
+      sessionDuration: 60,
+      reminderEnabled: true,
+      reminderMinutesBefore: 15
+    }
+  },
+  navigator: {
+    history: [],
+    context: {
+      type: 'general',
+      missionId: null,
+      biteId: null,
+      recentActivity: null
+    },
+    preferences: {
+      personality: 'encouraging',
+      responseLength: 'medium',
+      language: 'en',
+      autoSuggestions: true,
+      soundEffects: true
+    },
+    feedback: []
+  },
+  payments: {
+    subscription: { planId: 'plan_free', status: 'active', interval: 'month', startedAt: null },
+    methods: [],
+    history: []
+  },
+  portfolio: null,
+  portfolioProjects: [],
+  certificates: [],
+  mentorSessions: [],
+  mentorRequests: [],
+  myMentorIds: [],
+  enrollments: [],
+  gps101: null,
+  ...overrides
+});
+
+/**
+ * Seeds the demo learner's Baraka ledger (oldest first)
+ * @returns {Array<Object>} Ledger entries without running balances
+ */
+const createDemoLedger = () => [
+  {
+    id: 'txn_000', type: 'earn_mission', amount: 1575,
+    description: 'Stage 1 mission rewards', source: 'mission_complete',
+    metadata: { stageNumber: 1 },
+    createdAt: '2025-11-20T14:30:00Z'
+  },
+  {
+    id: 'txn_008', type: 'earn_referral', amount: 500,
+    description: 'Referral bonus: FriendJoined', source: 'referral_bonus',
+    metadata: { referredUserId: 'usr_003' },
+    createdAt: '2025-12-13T10:00:00Z'
+  },
+  {
+    id: 'txn_007', type: 'spend_retry', amount: -50,
+    description: 'Checkpoint retry: Stage 1', source: 'checkpoint_retry',
+    metadata: { stageNumber: 1 },
+    createdAt: '2025-12-14T13:30:00Z'
+  },
+  {
+    id: 'txn_006', type: 'earn_mission', amount: 300,
+    description: 'Mission S1M2 completed', source: 'mission_complete',
+    metadata: { missionId: 'S1M2', missionTitle: 'Understanding Systems' },
+    createdAt: '2025-12-15T09:10:00Z'
+  },
+  {
+    id: 'txn_005', type: 'earn_honor', amount: 75,
+    description: 'Honor received from peer review', source: 'honor_received',
+    metadata: { fromUserId: 'usr_002', fromUsername: 'SolverAlpha' },
+    createdAt: '2025-12-16T11:20:00Z'
+  },
+  {
+    id: 'txn_004', type: 'spend_purchase', amount: -200,
+    description: 'Store: Navigator Theme Pack', source: 'store_purchase',
+    metadata: { itemId: 'item_003', itemName: 'Navigator Theme Pack' },
+    createdAt: '2025-12-17T16:45:00Z'
+  },
+  {
+    id: 'txn_003', type: 'earn_streak', amount: 50,
+    description: '7-day streak bonus', source: 'streak_bonus',
+    metadata: { streakDays: 7 },
+    createdAt: '2025-12-18T08:00:00Z'
+  },
+  {
+    id: 'txn_002', type: 'earn_checkpoint', amount: 100,
+    description: 'Checkpoint passed: Stage 1', source: 'checkpoint_pass',
+    metadata: { stageNumber: 1 },
+    createdAt: '2025-12-19T14:15:00Z'
+  },
+  {
+    id: 'txn_009', type: 'withdraw', amount: -150,
+    description: 'Withdrawal via M-Pesa', source: 'withdrawal',
+    metadata: { withdrawalId: 'wd_001', method: 'mpesa' },
+    createdAt: '2025-12-19T18:00:00Z'
+  },
+  {
+    id: 'txn_001', type: 'earn_mission', amount: 250,
+    description: 'Mission S1M1 completed', source: 'mission_complete',
+    metadata: { missionId: 'S1M1', missionTitle: 'Introduction to GPS Thinking' },
+    createdAt: '2025-12-20T10:30:00Z'
+  }
+];
+
+/**
+ * Applies a ledger to a fresh wallet, filling running balances
+ * @param {Array<Object>} entries - Ledger entries (oldest first)
+ * @param {string} userId - Owner
+ * @returns {Object} { wallet, transactions } with transactions newest first
+ */
+const applyLedger = (entries, userId) => {
+  const wallet = createLearnerState().wallet;
+  const transactions = entries.map(entry => {
+    wallet.available += entry.amount;
+    if (entry.amount > 0) {
+      if (!INCOMING_TRANSFER_TYPES.includes(entry.type)) wallet.totalEarned += entry.amount;
+    } else if (entry.type.startsWith('spend_') || entry.type === 'transfer_out' || entry.type === 'escrow_hold') {
+      wallet.totalSpent += -entry.amount;
+    }
+    return { ...entry, userId, balance: wallet.available };
+  });
+  wallet.lastUpdated = entries.length ? entries[entries.length - 1].createdAt : null;
+  return { wallet, transactions: transactions.reverse() };
+};
+
+/**
+ * Seeds the demo learner's mission progress
+ * Stage 1 and S2M1-3 completed, S2M4 in progress, S2M5 and S3M1 available
+ * @param {Array<Object>} catalog - Mission catalog
+ * @returns {Object} Mission state keyed by mission ID
+ */
+const createDemoMissionState = (catalog) => {
+  const states = {};
+  const completedIds = ['S1M1', 'S1M2', 'S1M3', 'S1M4', 'S1M5', 'S2M1', 'S2M2', 'S2M3'];
+
+  completedIds.forEach((id, index) => {
+    const mission = catalog.find(m => m.id === id);
+    const completedAt = new Date(Date.parse('2025-10-01T10:00:00Z') + index * 10 * DAY).toISOString();
+    states[id] = {
+      status: 'completed',
+      bites: Object.fromEntries(mission.bites.map(b => [b.id, 'completed'])),
+      startedAt: completedAt,
+      lastActivityAt: completedAt,
+      completedAt,
+      score: defaultMissionScore(mission)
+    };
+  });
+
+  states.S2M4 = {
+    status: 'in_progress',
+    bites: { S2M4_bite_1: 'completed', S2M4_bite_2: 'completed', S2M4_bite_3: 'in_progress' },
+    startedAt: offsetISO(-2 * DAY),
+    lastActivityAt: offsetISO(-3 * HOUR),
+    completedAt: null,
+    score: null
+  };
+  states.S2M5 = { status: 'available', bites: {} };
+  states.S3M1 = { status: 'available', bites: {} };
+
+  return states;
+};
+
+/**
+ * Creates the demo learner state
+ * @param {Array<Object>} catalog - Mission catalog
+ * @returns {Object} Learner state
+ */
+const createDemoLearner = (catalog) => {
+  const { wallet, transactions } = applyLedger(createDemoLedger(), DEMO_USER_ID);
+  wallet.pending = 150;
+
+  const stageOneCheckpoint = {
+    ...createCheckpointState('S1M5'),
+    status: 'passed',
+    attempts: 2,
+    bestScore: 82,
+    rewardsClaimed: true,
+    history: [
+      { attemptNumber: 1, score: 65, passed: false, submittedAt: '2025-12-15T10:30:00Z', duration: 1200 },
+      { attemptNumber: 2, score: 82, passed: true, submittedAt: '2025-12-16T14:20:00Z', duration: 980 }
+    ]
+  };
+  const researchCheckpoint = {
+    ...createCheckpointState('S2M3'),
+    status: 'passed',
+    attempts: 1,
+    bestScore: 87,
+    rewardsClaimed: true,
+    history: [
+      { attemptNumber: 1, score: 87, passed: true, submittedAt: '2025-12-17T14:15:00Z', duration: 1100 }
+    ]
+  };
+
+  const base = createLearnerState();
+
+  return createLearnerState({
+    wallet,
+    transactions,
+    withdrawals: [
+      {
+        id: 'wd_001', amount: 150, method: 'mpesa', currency: 'KES',
+        status: 'pending', accountDetails: { phone: '+254 7** *** 890' },
+        createdAt: '2025-12-19T18:00:00Z',
+        estimatedCompletion: offsetISO(3 * DAY)
+      }
+    ],
+    covenant: {
+      totalContributed: 420,
+      totalReturned: 126,
+      returns: [
+        { id: 'cov_001', amount: 63, returnDate: '2025-12-15T00:00:00Z', poolSize: 120000 },
+        { id: 'cov_002', amount: 63, returnDate: '2025-12-08T00:00:00Z', poolSize: 115000 }
+      ]
+    },
+    missions: createDemoMissionState(catalog),
+    checkpoints: {
+      S1M5: stageOneCheckpoint,
+      S2M3: researchCheckpoint
+    },
+    badges: [
+      {
+        id: 'badge_001', name: 'First Steps', description: 'Completed your first mission',
+        icon: '👣', category: 'milestone', rarity: 'common',
+        earnedAt: '2025-09-15T10:00:00Z', featured: true
+      },
+      {
+        id: 'badge_002', name: 'Week Warrior', description: 'Maintained a 7-day streak',
+        icon: '🔥', category: 'streak', rarity: 'uncommon',
+        earnedAt: '2025-10-01T08:00:00Z', featured: true
+      },
+      {
+        id: 'badge_003', name: 'Stage Clear', description: 'Completed all missions in Stage 1',
+        icon: '🏁', category: 'completion', rarity: 'rare',
+        earnedAt: '2025-11-20T14:30:00Z', featured: false
+      },
+      {
+        id: 'badge_004', name: 'Helpful Hand', description: 'Gave honor to 5 peers',
+        icon: '🤝', category: 'community', rarity: 'uncommon',
+        earnedAt: '2025-12-05T11:00:00Z', featured: false
+      },
+      {
+        id: 'badge_005', name: 'Explorer', description: 'Completed Adventure 1: Foundation',
+        icon: '🗺️', category: 'adventure', rarity: 'rare',
+        earnedAt: '2025-12-18T16:45:00Z', featured: true
+      }
+    ],
+    activity: [
+      {
+        id: 'act_001', type: 'mission_completed', title: 'Completed Mission S1M2',
+        description: 'Understanding Systems', xpEarned: 150, barakaEarned: 300,
+        timestamp: '2025-12-20T10:30:00Z'
+      },
+      {
+        id: 'act_002', type: 'badge_earned', title: 'Badge Earned: Explorer',
+        description: 'Completed Adventure 1: Foundation', xpEarned: 50,
+        timestamp: '2025-12-18T16:45:00Z'
+      },
+      {
+        id: 'act_003', type: 'checkpoint_passed', title: 'Stage 1 Checkpoint Passed',
+        description: 'Score: 87/100', xpEarned: 200, barakaEarned: 100,
+        timestamp: '2025-12-17T14:15:00Z'
+      },
+      {
+        id: 'act_004', type: 'streak_milestone', title: '7-Day Streak!',
+        description: 'Keep it going!', barakaEarned: 50,
+        timestamp: '2025-12-16T08:00:00Z'
+      },
+      {
+        id: 'act_005', type: 'bite_completed', title: 'Study Bite Completed',
+        description: 'Introduction to Design Thinking', xpEarned: 25,
+        timestamp: '2025-12-15T11:20:00Z'
+      }
+    ],
+    notifications: [
+      {
+        id: 'notif_001', type: 'mission_completed', category: 'progress',
+        title: 'Mission Completed!', message: 'You completed "Understanding Systems" — well done!',
+        priority: 'normal', read: false, actionUrl: '/missions/S1M2',
+        metadata: { missionId: 'S1M2', xpEarned: 120, barakaEarned: 175 },
+        createdAt: offsetISO(-2 * HOUR)
+      },
+      {
+        id: 'notif_002', type: 'badge_earned', category: 'achievement',
+        title: 'Badge Earned: Explorer 🗺️', message: 'You completed Adventure 1: Foundation!',
+        priority: 'high', read: false, actionUrl: '/profile/badges',
+        metadata: { badgeId: 'badge_005' },
+        createdAt: offsetISO(-5 * HOUR)
+      },
+      {
+        id: 'notif_003', type: 'streak_milestone', category: 'achievement',
+        title: '7-Day Streak! 🔥', message: 'Amazing consistency — claim your 50 Baraka reward.',
+        priority: 'high', read: false, actionUrl: '/study/streak',
+        metadata: { streakDays: 7, reward: 50 },
+        createdAt: offsetISO(-8 * HOUR)
+      },
+      {
+        id: 'notif_004', type: 'praise_received', category: 'social',
+        title: 'Praise from SolverAlpha', message: '"Great analysis on the systems mapping exercise!"',
+        priority: 'normal', read: true, actionUrl: '/praise',
+        metadata: { fromUserId: 'usr_002', fromUsername: 'SolverAlpha' },
+        createdAt: offsetISO(-24 * HOUR)
+      },
+      {
+        id: 'notif_005', type: 'baraka_earned', category: 'baraka',
+        title: 'Baraka Earned', message: 'You earned 300 Baraka from mission completion.',
+        priority: 'normal', read: true, actionUrl: '/wallet/baraka',
+        metadata: { amount: 300, source: 'mission_complete' },
+        createdAt: offsetISO(-26 * HOUR)
+      },
+      {
+        id: 'notif_006', type: 'party_invite', category: 'social',
+        title: 'Party Invitation', message: 'BuilderGamma invited you to join "Impact Makers".',
+        priority: 'normal', read: true, actionUrl: '/parties/invitations',
+        metadata: { partyId: 'party_002', fromUserId: 'usr_004' },
+        createdAt: offsetISO(-48 * HOUR)
+      },
+      {
+        id: 'notif_007', type: 'streak_reminder', category: 'reminder',
+        title: 'Keep Your Streak Alive!', message: "You haven't studied today yet. 5 minutes is all it takes!",
+        priority: 'high', read: true, actionUrl: '/study',
+        metadata: {},
+        createdAt: offsetISO(-72 * HOUR)
+      },
+      {
+        id: 'notif_008', type: 'system_announcement', category: 'system',
+        title: 'New Feature: Praise System', message: 'Give and receive praise from your fellow GPS solvers!',
+        priority: 'low', read: true, actionUrl: '/praise',
+        metadata: {},
+        createdAt: offsetISO(-5 * DAY)
+      }
+    ],
+    connections: [
+      { userId: 'usr_002', connectionType: 'party_member', connectedAt: '2025-10-15T00:00:00Z' },
+      { userId: 'usr_003', connectionType: 'friend', connectedAt: '2025-11-01T00:00:00Z' },
+      { userId: 'usr_004', connectionType: 'mentor', connectedAt: '2025-09-20T00:00:00Z' }
+    ],
+    referrals: {
+      code: 'GPS-EXPLORER-2025',
+      referrals: [
+        { id: 'ref_001', referredUser: 'InnovatorBeta', status: 'active', reward: 500, earnedAt: '2025-11-01T00:00:00Z' },
+        { id: 'ref_002', referredUser: 'NewSolver99', status: 'active', reward: 500, earnedAt: '2025-12-10T00:00:00Z' }
+      ]
+    },
+    study: {
+      ...base.study,
+      sessionsCount: 28,
+      streak: {
+        lastStudyDate: todayDate(),
+        milestones: [
+          { day: 3, claimed: true, reward: 25 },
+          { day: 7, claimed: false, reward: 50 },
+          { day: 14, claimed: false, reward: 100 },
+          { day: 30, claimed: false, reward: 250 }
+        ]
+      },
+      r2r: {
+        freeRetries: 2,
+        paidRetries: 0,
+        graceUsed: false,
+        totalUsed: 1,
+        history: [
+          { missionId: 'S1M5', type: 'free', usedAt: '2025-12-10T14:00:00Z', result: 'passed' }
+        ]
+      },
+      goals: {
+        daily: { target: 60, unit: 'minutes', current: 45, type: 'study_time' },
+        weekly: { target: 5, unit: 'bites', current: 3, type: 'bites_completed' },
+        monthly: { target: 2, unit: 'missions', current: 1, type: 'missions_completed' }
+      }
+    },
+    navigator: {
+      ...base.navigator,
+      history: [
+        {
+          id: 'msg_001', role: 'user', character: 'navigator',
+          content: 'How do I start with systems thinking?',
+          type: 'text', createdAt: offsetISO(-HOUR)
+        },
+        {
+          id: 'msg_002', role: 'assistant', character: 'navigator',
+          content: 'Great question! Systems thinking starts with understanding that problems are interconnected. Here are 3 steps to begin:\n\n1. **Identify the system** — What are the key elements involved?\n2. **Map relationships** — How do these elements influence each other?\n3. **Find leverage points** — Where can small changes create big impact?\n\nTry applying this to a challenge in your community. What comes to mind?',
+          type: 'guidance', createdAt: offsetISO(-HOUR + 100000)
+        }
+      ],
+      context: {
+        type: 'general',
+        missionId: null,
+        biteId: null,
+        recentActivity: 'mission_progress'
+      }
+    },
+    payments: {
+      subscription: { planId: 'plan_free', status: 'active', interval: 'month', startedAt: '2025-09-01T00:00:00Z' },
+      methods: [
+        { id: 'pm_mpesa', type: 'mobile_money', provider: 'M-Pesa', last4: '7890', isDefault: true },
+        { id: 'pm_card', type: 'card', brand: 'Visa', last4: '4242', isDefault: false }
+      ],
+      history: [
+        { id: 'pay_001', amount: 0, currency: 'USD', description: 'Free Plan', status: 'completed', createdAt: '2025-09-01T00:00:00Z' }
+      ]
+    },
+    portfolio: {
+      headline: 'GPS Problem Solver | Sustainable Development Advocate',
+      summary: 'Passionate about leveraging technology and systems thinking to address agricultural and community challenges in East Africa.',
+      featured: ['proj_001'],
+      visibility: 'public',
+      lastUpdated: offsetISO(0)
+    },
+    portfolioProjects: [
+      {
+        id: 'proj_001', title: 'Clean Water Access Mapping',
+        description: 'Mapped and analyzed clean water access points across 5 communities in Kiambu County.',
+        category: 'environment', status: 'completed',
+        skills: ['GIS mapping', 'community research', 'data analysis'],
+        images: [], links: [], featured: true,
+        completedAt: '2025-12-15T00:00:00Z'
+      },
+      {
+        id: 'proj_002', title: 'Digital Literacy Curriculum Draft',
+        description: 'Initial framework for a mobile-first digital literacy program for smallholder farmers.',
+        category: 'education', status: 'in_progress',
+        skills: ['curriculum design', 'UX research', 'mobile-first design'],
+        images: [], links: [], featured: false,
+        completedAt: null
+      }
+    ],
+    certificates: [
+      {
+        id: 'cert_001', title: 'Adventure 1: Foundation — Complete',
+        issueDate: '2025-12-18T00:00:00Z', type: 'adventure',
+        verificationCode: 'GPS-CERT-A1-2025-001',
+        pdfUrl: null, skills: ['GPS thinking', 'systems thinking', 'empathy mapping']
+      }
+    ],
+    mentorSessions: [
+      {
+        id: 'sess_001', mentorId: 'mnt_001', mentorName: 'Dr. Amara Chen',
+        topic: 'Research Methods for Stage 2', status: 'completed',
+        scheduledAt: '2025-12-15T14:00:00Z', duration: 45,
+        notes: 'Discussed interview techniques and stakeholder mapping.', rating: 5
+      }
+    ],
+    myMentorIds: ['mnt_001'],
+    enrollments: [
+      {
+        id: 'enr_001', universityId: 'uni_001', programId: 'prog_001',
+        universityName: 'Handong Global University', programName: 'GPS Lab Certificate Program',
+        status: 'active', enrolledAt: '2025-09-01T00:00:00Z',
+        progress: { completedCredits: 3, totalCredits: 18, percentage: 17 },
+        expectedCompletion: '2026-08-31T00:00:00Z',
+        verificationCode: 'HGU-GPS-2025-0001'
+      }
+    ]
+  });
+};
+
+/**
+ * Creates a peer's learner state from their seeded stats
+ * @param {Object} user - User record
+ * @param {Array<Object>} [entries] - Later ledger entries (oldest first)
+ * @returns {Object} Learner state
+ */
+const createPeerLearner = (user, entries = []) => {
+  const earned = Math.round(user.stats.xp * 0.5) + 500;
+  const { wallet, transactions } = applyLedger([
+    {
+      id: `txn_${user.id}_seed`, type: 'earn_mission', amount: earned,
+      description: 'Mission rewards to date', source: 'mission_complete',
+      metadata: {}, createdAt: user.createdAt
+    },
+    ...entries
+  ], user.id);
+  return createLearnerState({ wallet, transactions });
+};
+
+// =============================================================================
+// PEER TRANSFERS
+// =============================================================================
+
+/**
+ * Seeds Baraka moving between Systems Thinkers members: usr_003 asks the
+ * demo learner for their share of an XP Booster, and usr_002 holds Baraka
+ * for the demo learner's interview task
+ * @returns {Object} { barakaRequests, escrows, holds } - holds are the
+ *   funders' ledger entries keyed by user (oldest first)
+ */
+const createPeerTransfers = () => {
+  const escrow = {
+    id: 'esc_001', funderId: 'usr_002', recipientId: DEMO_USER_ID,
+    partyId: 'party_001', taskId: 'ptask_001', taskTitle: 'Draft interview questions',
+    amount: 100, message: 'Thanks for taking on the interviews!',
+    status: ESCROW_STATUS.HELD,
+    // ptask_001 is due in 3 days
+    expiresAt: offsetISO((3 + ESCROW_GRACE_DAYS) * DAY),
+    createdAt: offsetISO(-2 * DAY), settledAt: null
+  };
+
+  return {
+    barakaRequests: [
+      {
+        id: 'breq_001', requesterId: 'usr_003', payerId: DEMO_USER_ID,
+        amount: 167, message: 'Your share of the XP Booster (24h)',
+        partyId: 'party_001', splitId: 'split_001', itemId: 'item_001',
+        status: REQUEST_STATUS.PENDING,
+        createdAt: offsetISO(-3 * HOUR), respondedAt: null
+      }
+    ],
+    escrows: [escrow],
+    holds: {
+      usr_002: [{
+        id: 'txn_esc_001_hold', type: 'escrow_hold', amount: -escrow.amount,
+        description: `Escrow: ${escrow.taskTitle}`, source: 'escrow',
+        metadata: { escrowId: escrow.id, partyId: escrow.partyId, taskId: escrow.taskId },
+        createdAt: escrow.createdAt
+      }]
+    }
+  };
+};
+
+// =============================================================================
+// PARTIES
+// =============================================================================
+
+const createParties = () => [
+  {
+    id: 'party_001', name: 'Systems Thinkers',
+    description: 'Working through Adventure 1 together, one stage at a time.',
+    type: 'study_group', visibility: 'public', status: 'active',
+    maxMembers: 5, focusMission: 'S2M4', focusStage: 2,
+    tags: ['systems', 'foundation', 'kenya'],
+    inviteCode: 'STHINK-2025',
+    leaderId: DEMO_USER_ID,
+    members: [
+      { userId: DEMO_USER_ID, role: 'leader', joinedAt: '2025-10-15T00:00:00Z' },
+      { userId: 'usr_002', role: 'co_leader', joinedAt: '2025-10-15T00:00:00Z' },
+      { userId: 'usr_003', role: 'member', joinedAt: '2025-11-02T00:00:00Z' }
+    ],
+    invitations: [],
+    chat: [
+      { id: 'pmsg_001', userId: 'usr_002', content: 'Who is tackling the stakeholder interviews this week?', type: 'text', createdAt: offsetISO(-20 * HOUR) },
+      { id: 'pmsg_002', userId: DEMO_USER_ID, content: 'I am — halfway through S2M4 already.', type: 'text', createdAt: offsetISO(-19 * HOUR) },
+      { id: 'pmsg_003', userId: 'usr_003', content: 'Nice! I will share my interview template tonight.', type: 'text', createdAt: offsetISO(-18 * HOUR) }
+    ],
+    tasks: [
+      {
+        id: 'ptask_001', title: 'Draft interview questions', description: 'Prepare 8-10 open questions for community stakeholders.',
+        status: 'in_progress', assigneeId: DEMO_USER_ID, dueDate: offsetISO(3 * DAY),
+        createdBy: 'usr_002', createdAt: offsetISO(-2 * DAY)
+      },
+      {
+        id: 'ptask_002', title: 'Share research template', description: 'Upload the shared research notes template.',
+        status: 'completed', assigneeId: 'usr_003', dueDate: offsetISO(-DAY),
+        createdBy: DEMO_USER_ID, createdAt: offsetISO(-4 * DAY), completedAt: offsetISO(-DAY)
+      }
+    ],
+    progress: { goal: 'Finish Stage 2 together', targetStage: 2, percentage: 60, milestones: [] },
+    createdAt: '2025-10-15T00:00:00Z',
+    lastActivityAt: offsetISO(-18 * HOUR)
+  },
+  {
+    id: 'party_002', name: 'Impact Makers',
+    description: 'Project team turning GPO ideas into field pilots.',
+    type: 'project_team', visibility: 'invite_only', status: 'active',
+    maxMembers: 6, focusMission: null, focusStage: 5,
+    tags: ['gpo', 'impact', 'pilots'],
+    inviteCode: 'IMPACT-2025',
+    leaderId: 'usr_004',
+    members: [
+      { userId: 'usr_004', role: 'leader', joinedAt: '2025-09-20T00:00:00Z' },
+      { userId: 'usr_lb_12', role: 'member', joinedAt: '2025-10-02T00:00:00Z' }
+    ],
+    invitations: [
+      { id: 'pinv_001', userId: DEMO_USER_ID, invitedBy: 'usr_004', status: 'pending', createdAt: offsetISO(-48 * HOUR) }
+    ],
+    chat: [],
+    tasks: [],
+    progress: { goal: 'Launch first pilot', targetStage: 5, percentage: 35, milestones: [] },
+    createdAt: '2025-09-20T00:00:00Z',
+    lastActivityAt: offsetISO(-2 * DAY)
+  },
+  {
+    id: 'party_003', name: 'Morning Study Crew',
+    description: 'Daily 7am accountability check-ins.',
+    type: 'accountability', visibility: 'public', status: 'active',
+    maxMembers: 8, focusMission: null, focusStage: 10,
+    tags: ['streaks', 'accountability'],
+    inviteCode: 'MORNING-2025',
+    leaderId: 'usr_lb_20',
+    members: [
+      { userId: 'usr_lb_20', role: 'leader', joinedAt: '2025-08-01T00:00:00Z' },
+      { userId: 'usr_lb_25', role: 'member', joinedAt: '2025-08-03T00:00:00Z' }
+    ],
+    invitations: [],
+    chat: [],
+    tasks: [],
+    progress: { goal: '30-day streak for everyone', targetStage: null, percentage: 50, milestones: [] },
+    createdAt: '2025-08-01T00:00:00Z',
+    lastActivityAt: offsetISO(-5 * HOUR)
+  }
+];
+
+// =============================================================================
+// REFERENCE DATA
+// =============================================================================
+
+const createStoreItems = () => [
+  {
+    id: 'item_001', name: 'XP Booster (24h)', description: '2x XP for 24 hours',
+    price: 500, category: 'boosters', icon: '⚡', stock: 99, popular: true
+  },
+  {
+    id: 'item_002', name: 'Checkpoint Retry Token', description: 'One free checkpoint retry',
+    price: 150, category: 'tokens', icon: '🔄', stock: 99, popular: true
+  },
+  {
+    id: 'item_003', name: 'Navigator Theme Pack', description: 'Unlock custom navigator themes',
+    price: 200, category: 'cosmetics', icon: '🎨', stock: 50, popular: false
+  },
+  {
+    id: 'item_004', name: 'Profile Badge: Early Solver', description: 'Show off your pioneer status',
+    price: 300, category: 'cosmetics', icon: '🏅', stock: 25, popular: false
+  },
+  {
+    id: 'item_005', name: 'Party Slot Expansion', description: 'Add 2 more members to your party',
+    price: 750, category: 'upgrades', icon: '👥', stock: 10, popular: true
+  }
+];
+
+const EARN_OPPORTUNITIES = [
+  { id: 'opp_001', title: 'Complete Daily Mission', reward: 100, type: 'daily', available: true },
+  { id: 'opp_002', title: 'Peer Review (3 submissions)', reward: 75, type: 'task', available: true },
+  { id: 'opp_003', title: 'Maintain 7-day Streak', reward: 50, type: 'streak', available: true },
+  { id: 'opp_004', title: 'Invite a Friend', reward: 500, type: 'referral', available: true },
+  { id: 'opp_005', title: 'Complete Stage Checkpoint', reward: 200, type: 'checkpoint', available: true }
+];
+
+const WITHDRAWAL_METHODS = [
+  { id: 'mpesa', name: 'M-Pesa', minAmount: 100, maxAmount: 50000, fee: 0, currency: 'KES' },
+  { id: 'bank_transfer', name: 'Bank Transfer', minAmount: 500, maxAmount: 100000, fee: 50, currency: 'KES' },
+  { id: 'paypal', name: 'PayPal', minAmount: 10, maxAmount: 5000, fee: 0.5, currency: 'USD' }
+];
+
+const PLANS = [
+  {
+    id: 'plan_free', name: 'Free', price: 0, currency: 'USD', interval: 'month',
+    features: ['Basic missions', 'Community access', 'Navigator (limited)', 'Baraka earning'],
+    recommended: false
+  },
+  {
+    id: 'plan_contender', name: 'Contender', price: 19, currency: 'USD', interval: 'month',
+    annualPrice: 190, features: ['All missions', 'Full Navigator access', 'Mentor matching', '10% Baraka bonus'],
+    recommended: true
+  },
+  {
+    id: 'plan_pathfinder', name: 'Pathfinder', price: 49, currency: 'USD', interval: 'month',
+    annualPrice: 490, features: ['Everything in Contender', 'Priority support', 'Advanced analytics', '20% Baraka bonus', 'Certificate of completion'],
+    recommended: false
+  },
+  {
+    id: 'plan_navigators_circle', name: "Navigator's Circle", price: 149, currency: 'USD', interval: 'month',
+    annualPrice: 1490, features: ['Everything in Pathfinder', '1-on-1 mentoring', 'GPS Ambassador status', '30% Baraka bonus', 'Revenue sharing eligibility'],
+    recommended: false
+  }
+];
+
+const createMentors = () => [
+  {
+    id: 'mnt_001', username: 'DrAmara', displayName: 'Dr. Amara Chen',
+    avatarUrl: null, title: 'Senior GPS Mentor', bio: 'PhD in Sustainable Development, 10+ years guiding global problem solvers.',
+    expertise: ['systems thinking', 'sustainability', 'research methods'],
+    rating: 4.9, reviewCount: 47, sessionsCompleted: 120, availability: 'available',
+    stageRange: { min: 1, max: 35 }, languages: ['en', 'sw'],
+    nextAvailable: offsetISO(2 * DAY)
+  },
+  {
+    id: 'mnt_002', username: 'ProfNdege', displayName: 'Prof. Ndege Okafor',
+    avatarUrl: null, title: 'Agriculture & Tech Mentor', bio: 'Agri-tech entrepreneur helping GPS solvers bridge technology and farming.',
+    expertise: ['agriculture', 'technology', 'entrepreneurship'],
+    rating: 4.7, reviewCount: 32, sessionsCompleted: 85, availability: 'busy',
+    stageRange: { min: 11, max: 35 }, languages: ['en'],
+    nextAvailable: offsetISO(5 * DAY)
+  },
+  {
+    id: 'mnt_003', username: 'CoachLisa', displayName: 'Lisa Wanjiku',
+    avatarUrl: null, title: 'Community Development Coach', bio: 'Passionate about grassroots impact and youth empowerment.',
+    expertise: ['community development', 'leadership', 'impact measurement'],
+    rating: 4.8, reviewCount: 28, sessionsCompleted: 65, availability: 'available',
+    stageRange: { min: 1, max: 21 }, languages: ['en', 'sw', 'fr'],
+    nextAvailable: offsetISO(DAY)
+  }
+];
+
+const UNIVERSITIES = [
+  {
+    id: 'uni_001', code: 'HGU', name: 'Handong Global University',
+    country: 'South Korea', city: 'Pohang', logo: null,
+    programs: 3, students: 245, isPartner: true,
+    website: 'https://www.handong.edu'
+  },
+  {
+    id: 'uni_002', code: 'UON', name: 'University of Nairobi',
+    country: 'Kenya', city: 'Nairobi', logo: null,
+    programs: 2, students: 180, isPartner: true,
+    website: 'https://www.uonbi.ac.ke'
+  },
+  {
+    id: 'uni_003', code: 'MAK', name: 'Makerere University',
+    country: 'Uganda', city: 'Kampala', logo: null,
+    programs: 2, students: 120, isPartner: true,
+    website: 'https://www.mak.ac.ug'
+  },
+  {
+    id: 'uni_004', code: 'UDSM', name: 'University of Dar es Salaam',
+    country: 'Tanzania', city: 'Dar es Salaam', logo: null,
+    programs: 1, students: 85, isPartner: false,
+    website: 'https://www.udsm.ac.tz'
+  }
+];
+
+const PROGRAMS = [
+  {
+    id: 'prog_001', universityId: 'uni_001', name: 'GPS Lab Certificate Program',
+    type: 'certificate', duration: '12 months', credits: 18,
+    description: 'Complete the full GPS Lab curriculum integrated with university credits.',
+    stages: { start: 1, end: 35 }, tuition: 0, enrolledCount: 145
+  },
+  {
+    id: 'prog_002', universityId: 'uni_001', name: 'Social Innovation Minor',
+    type: 'minor', duration: '24 months', credits: 36,
+    description: 'GPS Lab curriculum as part of a Social Innovation academic minor.',
+    stages: { start: 1, end: 35 }, tuition: 2400, enrolledCount: 68
+  },
+  {
+    id: 'prog_003', universityId: 'uni_001', name: 'GPS Foundations Module',
+    type: 'module', duration: '3 months', credits: 6,
+    description: 'Adventures 1-2 as a standalone academic module.',
+    stages: { start: 1, end: 10 }, tuition: 0, enrolledCount: 85
+  }
+];
+
+const GPO_CATEGORIES = [
+  { id: 'environment', name: 'Environment & Sustainability', icon: '🌍', projectCount: 24 },
+  { id: 'education', name: 'Education & Skills', icon: '📚', projectCount: 31 },
+  { id: 'health', name: 'Health & Wellbeing', icon: '🏥', projectCount: 18 },
+  { id: 'agriculture', name: 'Agriculture & Food', icon: '🌾', projectCount: 22 },
+  { id: 'technology', name: 'Technology & Innovation', icon: '💡', projectCount: 15 },
+  { id: 'community', name: 'Community Development', icon: '🏘️', projectCount: 20 }
+];
+
+/**
+ * Builds a Problem Showcase as the GPO Call produces it (see buildShowcaseSummary)
+ * @param {Object} data - { owner, problem, pain, vision, callToAction, createdAt }
+ * @returns {Object} Showcase
+ */
+const createShowcase = ({ owner, problem, pain, vision, callToAction, createdAt }) => ({
+  owner: { background: '', community: '', selfieVideo: null, ...owner },
+  problem: { evidence: [], statistics: [], ...problem },
+  pain: { testimonyVideo: null, dailyLifeMedia: [], ...pain },
+  vision: { futureMedia: [], beforeImages: [], afterImages: [], ...vision },
+  callToAction: { invitationVideo: null, ...callToAction },
+  createdAt,
+  status: 'pending_review'
+});
+
+/**
+ * A peer or mentor validation of a submitted showcase
+ * @param {Object} data - Validation fields
+ * @returns {Object} Validation
+ */
+const createValidation = (data) => ({
+  decision: 'approve',
+  checklist: ['problem_is_real', 'owner_is_affected', 'evidence_supports'],
+  evidence: [],
+  round: 1,
+  ...data
+});
+
+/**
+ * Impact a published project has tracked: its indicators, and one
+ * measurement of each indicator per entry in `readings`
+ * @param {Object} data - { indicators, readings: [{ id, daysAgo, values }], recordedBy }
+ * @returns {Object} Impact
+ */
+const createImpact = ({ indicators = [], readings = [], recordedBy } = {}) => ({
+  indicators,
+  measurements: readings.flatMap(({ id, daysAgo, values }) => indicators.map((indicator, index) => ({
+    id: `${id}_${index + 1}`,
+    metricType: indicator.metricType,
+    value: values[index],
+    date: offsetISO(-daysAgo * DAY).slice(0, 10),
+    evidence: null,
+    recordedBy,
+    createdAt: offsetISO(-daysAgo * DAY)
+  }))),
+  stories: []
+});
+
+const createGpoProjects = () => [
+  {
+    id: 'gpo_001', title: 'Clean Water Access Mapping',
+    description: 'Map and analyze clean water access points in rural Kiambu County.',
+    category: 'environment', status: 'in_progress', stage: 2,
+    ownerId: DEMO_USER_ID,
+    team: [], tags: ['water', 'mapping', 'rural', 'kenya'],
+    progress: 45, submittedAt: null, review: null,
+    showcase: null, validations: [], validationRound: 0, publishedAt: null,
+    impact: createImpact(),
+    createdAt: '2025-11-01T10:00:00Z', updatedAt: offsetISO(-DAY)
+  },
+  {
+    id: 'gpo_002', title: 'Digital Literacy for Farmers',
+    description: 'Design a mobile-first curriculum for smallholder farmer digital skills.',
+    category: 'education', status: 'draft', stage: 1,
+    ownerId: DEMO_USER_ID,
+    team: [], tags: ['education', 'agriculture', 'mobile'],
+    progress: 15, submittedAt: null, review: null,
+    showcase: null, validations: [], validationRound: 0, publishedAt: null,
+    impact: createImpact(),
+    createdAt: '2025-12-05T08:30:00Z', updatedAt: offsetISO(-3 * DAY)
+  },
+  {
+    id: 'gpo_003', title: 'Maternal Care Is Three Hours Away',
+    description: 'Expectant mothers in Kasulu walk up to three hours to reach the nearest clinic.',
+    category: 'health', status: 'published', stage: 0,
+    ownerId: 'usr_002',
+    team: [], tags: ['health', 'maternal-care', 'tanzania'],
+    progress: 100, submittedAt: offsetISO(-20 * DAY),
+    review: { status: 'approved', feedback: null, reviewedAt: offsetISO(-16 * DAY), reviewer: 'GPSAdmin' },
+    showcase: createShowcase({
+      owner: { name: 'Solver Alpha', location: 'Kasulu, Tanzania', community: 'Rural villages around Kasulu town' },
+      problem: {
+        currentReality: 'The nearest clinic with a midwife is 14 km away over dirt roads. Most mothers walk.',
+        desiredState: 'Every expectant mother can reach skilled care within 30 minutes.',
+        theGap: 'There is no transport, and no one to call when labour starts at night.',
+        statistics: [{ id: 1, label: 'Births without a skilled attendant', value: '42%', source: 'District health office, 2024' }]
+      },
+      pain: {
+        testimony: 'My sister gave birth on the road last rainy season. She survived, the baby did not.',
+        dailyBurden: 'Women stop working weeks early so they are near family who can carry them.',
+        affectedPeople: 'About 3,200 births a year across 11 villages'
+      },
+      vision: {
+        statement: 'A community transport and on-call network that gets every mother to care in time.',
+        successMetrics: 'Skilled attendance above 90%; no births on the road.',
+        timeframe: '1-2 years'
+      },
+      callToAction: {
+        collaborationNeeds: 'A dispatch system that works over basic phones, and partners to fund motorbike ambulances.',
+        whatYouOffer: 'Village health volunteers, local knowledge and a network of 40 motorbike riders.',
+        skillsNeeded: ['public_health', 'software_eng', 'nurse']
+      },
+      createdAt: offsetISO(-21 * DAY)
+    }),
+    validationRound: 1,
+    validations: [
+      createValidation({ id: 'val_001', reviewerId: 'usr_003', role: 'peer', comment: 'Spoke with two volunteers from the district; the distances match.', createdAt: offsetISO(-18 * DAY) }),
+      createValidation({ id: 'val_002', reviewerId: 'usr_004', role: 'peer', comment: 'Health office figures line up with the statistic given.', createdAt: offsetISO(-17 * DAY) }),
+      createValidation({ id: 'val_003', reviewerId: ADMIN_USER_ID, role: 'mentor', comment: 'Clear, well evidenced and ready for solvers.', createdAt: offsetISO(-16 * DAY) })
+    ],
+    publishedAt: offsetISO(-16 * DAY),
+    impact: createImpact({
+      indicators: [
+        { id: 'ind_001', metricType: 'people_affected', label: 'Mothers reached', unit: 'people', baseline: 0, target: 3200, createdAt: offsetISO(-15 * DAY) },
+        { id: 'ind_002', metricType: 'custom_ind_002', label: 'Births with a skilled attendant', unit: '%', baseline: 58, target: 90, createdAt: offsetISO(-15 * DAY) }
+      ],
+      readings: [
+        { id: 'msr_001', daysAgo: 14, values: [120, 61] },
+        { id: 'msr_002', daysAgo: 7, values: [340, 66] },
+        { id: 'msr_003', daysAgo: 1, values: [610, 70] }
+      ],
+      recordedBy: 'usr_002'
+    }),
+    createdAt: offsetISO(-21 * DAY), updatedAt: offsetISO(-16 * DAY)
+  },
+  {
+    id: 'gpo_004', title: 'Post-Harvest Losses in Maize Storage',
+    description: 'Smallholders lose up to a third of their maize to pests before it can be sold.',
+    category: 'agriculture', status: 'published', stage: 0,
+    ownerId: 'usr_004',
+    team: [], tags: ['agriculture', 'storage', 'food-security'],
+    progress: 100, submittedAt: offsetISO(-12 * DAY),
+    review: { status: 'approved', feedback: null, reviewedAt: offsetISO(-9 * DAY), reviewer: 'GPSAdmin' },
+    showcase: createShowcase({
+      owner: { name: 'Builder Gamma', location: 'Kakamega, Kenya', community: 'Maize farming cooperative of 120 households' },
+      problem: {
+        currentReality: 'Maize is stored in sacks on the floor and weevils ruin much of it within three months.',
+        desiredState: 'Farmers store grain safely and sell when prices recover.',
+        theGap: 'Hermetic storage costs more than a season of savings.'
+      },
+      pain: {
+        testimony: 'We sell at harvest for almost nothing because we know the grain will not last.',
+        dailyBurden: 'Families buy back maize at three times the price before the next harvest.',
+        affectedPeople: '120 households, around 700 people'
+      },
+      vision: {
+        statement: 'Affordable, locally made storage that keeps a full harvest safe for a year.',
+        successMetrics: 'Losses below 5%; average sale price up 40%.',
+        timeframe: '6-12 months'
+      },
+      callToAction: {
+        collaborationNeeds: 'Design help for low-cost hermetic storage and a pay-as-you-store model.',
+        whatYouOffer: 'Test plots, a cooperative store and farmers ready to pilot.',
+        skillsNeeded: ['agri_tech', 'hardware_eng', 'data_analyst']
+      },
+      createdAt: offsetISO(-13 * DAY)
+    }),
+    validationRound: 1,
+    validations: [
+      createValidation({ id: 'val_004', reviewerId: 'usr_002', role: 'peer', comment: 'Visited the cooperative store; losses are clearly visible.', createdAt: offsetISO(-11 * DAY) }),
+      createValidation({ id: 'val_005', reviewerId: 'usr_003', role: 'peer', comment: 'Price data from the county market supports the claim.', createdAt: offsetISO(-10 * DAY) }),
+      createValidation({ id: 'val_006', reviewerId: ADMIN_USER_ID, role: 'mentor', comment: 'Strong problem with a committed community.', createdAt: offsetISO(-9 * DAY) })
+    ],
+    publishedAt: offsetISO(-9 * DAY),
+    impact: createImpact({
+      indicators: [
+        { id: 'ind_003', metricType: 'loss_rate', label: 'Harvest lost in storage', unit: '%', baseline: 33, target: 5, createdAt: offsetISO(-8 * DAY) },
+        { id: 'ind_004', metricType: 'households_served', label: 'Households storing safely', unit: 'households', baseline: 0, target: 120, createdAt: offsetISO(-8 * DAY) }
+      ],
+      readings: [
+        { id: 'msr_004', daysAgo: 8, values: [30, 18] },
+        { id: 'msr_005', daysAgo: 4, values: [22, 42] },
+        { id: 'msr_006', daysAgo: 1, values: [14, 65] }
+      ],
+      recordedBy: 'usr_004'
+    }),
+    createdAt: offsetISO(-13 * DAY), updatedAt: offsetISO(-9 * DAY)
+  },
+  {
+    id: 'gpo_005', title: 'No Light to Study After Dark',
+    description: 'Students in off-grid homes cannot study once the sun sets.',
+    category: 'education', status: 'submitted', stage: 0,
+    ownerId: 'usr_003',
+    team: [], tags: ['energy', 'education', 'off-grid'],
+    progress: 100, submittedAt: offsetISO(-2 * DAY),
+    review: { status: 'pending', feedback: null, reviewedAt: null, reviewer: null },
+    showcase: createShowcase({
+      owner: { name: 'Innovator Beta', location: 'Gulu, Uganda', community: 'Secondary school students in off-grid villages' },
+      problem: {
+        currentReality: 'Homes rely on kerosene lamps, which are costly and fill rooms with smoke.',
+        desiredState: 'Every student has safe, free light for three hours each evening.',
+        theGap: 'Solar lamps exist but families cannot afford the upfront cost.'
+      },
+      pain: {
+        testimony: 'I do my homework by the fire while my mother cooks. My eyes burn.',
+        dailyBurden: 'Students fall behind and many drop out before their final exams.',
+        affectedPeople: 'Around 1,500 students in 6 schools'
+      },
+      vision: {
+        statement: 'School-run solar lending libraries so every student takes light home.',
+        successMetrics: 'Every student has a working lamp; exam pass rates up 20%.',
+        timeframe: '6-12 months'
+      },
+      callToAction: {
+        collaborationNeeds: 'A lending and repair model the schools can run themselves.',
+        whatYouOffer: 'Six head teachers ready to pilot and student volunteers.',
+        skillsNeeded: ['energy_eng', 'teacher', 'data_analyst']
+      },
+      createdAt: offsetISO(-3 * DAY)
+    }),
+    validationRound: 1,
+    validations: [
+      createValidation({ id: 'val_007', reviewerId: 'usr_004', role: 'peer', comment: 'Confirmed with a teacher at one of the schools.', createdAt: offsetISO(-DAY) })
+    ],
+    publishedAt: null,
+    impact: createImpact(),
+    createdAt: offsetISO(-3 * DAY), updatedAt: offsetISO(-DAY)
+  }
+];
+
+// =============================================================================
+// SEED
+// =============================================================================
+
+/**
+ * Creates a fresh copy of the full mock dataset
+ * @returns {Object} Mock database
+ */
+export const createSeed = () => {
+  const missions = buildMissionCatalog();
+  const users = createUsers();
+
+  const psbMarket = createPsbMarket();
+  const peerTransfers = createPeerTransfers();
+
+  const learners = {};
+  users.forEach(user => {
+    const entries = [...(psbMarket.holds[user.id] || []), ...(peerTransfers.holds[user.id] || [])]
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    learners[user.id] = user.id === DEMO_USER_ID
+      ? createDemoLearner(missions)
+      : createPeerLearner(user, entries);
+  });
+  Object.entries(psbMarket.holdings).forEach(([userId, psb]) => {
+    learners[userId].psb = psb;
+  });
+  Object.entries(GPS101_PROGRESS).forEach(([userId, progress]) => {
+    const record = createGPS101Record(userId, progress);
+    learners[userId].gps101 = record;
+    learners[userId].characterBadges = getGPS101CharacterDevelopment(
+      record.completedStages.map(stage => Number(stage.split('-').pop()))
+    ).map(development => development.trait);
+  });
+
+  return {
+    sequence: SEQUENCE_START,
+    users,
+    revokedTokens: {},
+    learners,
+    missions,
+    parties: createParties(),
+    storeItems: createStoreItems(),
+    earnOpportunities: EARN_OPPORTUNITIES.map(o => ({ ...o })),
+    withdrawalMethods: WITHDRAWAL_METHODS.map(m => ({ ...m })),
+    covenantPool: { poolSize: 125000, participants: 340 },
+    plans: PLANS.map(p => ({ ...p })),
+    mentors: createMentors(),
+    universities: UNIVERSITIES.map(u => ({ ...u })),
+    programs: PROGRAMS.map(p => ({ ...p })),
+    gpoCategories: GPO_CATEGORIES.map(c => ({ ...c })),
+    gpoProjects: createGpoProjects(),
+    curriculumVersions: createCurriculumVersions(),
+    economy: createEconomy(),
+    cohorts: createCohorts(),
+    psbMarket: {
+      book: psbMarket.book,
+      orders: psbMarket.orders,
+      trades: psbMarket.trades
+    },
+    barakaRequests: peerTransfers.barakaRequests,
+    escrows: peerTransfers.escrows,
+    uploads: [],
+    auditLog: []
+  };
+};
+
+// =============================================================================
+// GPS 101 CURRICULUM
+// =============================================================================
+
+/**
+ * Curriculum versions, starting with the bundled curriculum as version 1
+ * @returns {Array<Object>} Versions
+ */
+const createCurriculumVersions = () => [
+  {
+    versionId: 'cur_v1',
+    version: 1,
+    status: 'published',
+    notes: 'Initial GPS 101 curriculum',
+    basedOn: null,
+    stages: clone(BUNDLED_CURRICULUM.stages),
+    missions: clone(BUNDLED_CURRICULUM.missions),
+    createdBy: ADMIN_USER_ID,
+    createdAt: '2025-08-01T00:00:00Z',
+    updatedBy: ADMIN_USER_ID,
+    updatedAt: '2025-08-01T00:00:00Z',
+    publishedBy: ADMIN_USER_ID,
+    publishedAt: '2025-08-01T00:00:00Z'
+  }
+];
+
+// =============================================================================
+// ECONOMY
+// =============================================================================
+
+/**
+ * The economy config, starting from the shipped defaults as revision 1
+ * @returns {Object} { config, revision, updatedBy, updatedAt }
+ */
+const createEconomy = () => ({
+  config: clone(DEFAULT_ECONOMY_CONFIG),
+  revision: 1,
+  updatedBy: ADMIN_USER_ID,
+  updatedAt: '2025-08-01T00:00:00Z'
+});
+
+// =============================================================================
+// PSB MARKET
+// =============================================================================
+
+const PSB_TRADERS = ['usr_002', 'usr_003', 'usr_004'];
+
+/**
+ * PSB each trader earned, before trading
+ */
+const PSB_EARNINGS = {
+  [DEMO_USER_ID]: [
+    { type: 'earn_stage', amount: 1500, description: 'Stage 1 completed', daysAgo: 40 },
+    { type: 'earn_achievement', amount: 500, description: 'First checkpoint passed', daysAgo: 33 },
+    { type: 'earn_project', amount: 1000, description: 'GPO project milestone', daysAgo: 12 }
+  ],
+  usr_002: [{ type: 'earn_stage', amount: 30000, description: 'Stages 1-2 completed', daysAgo: 45 }],
+  usr_003: [{ type: 'earn_stage', amount: 30000, description: 'Stage 1 completed', daysAgo: 45 }],
+  usr_004: [{ type: 'earn_leadership', amount: 40000, description: 'Party leadership to date', daysAgo: 45 }]
+};
+
+const PSB_STAKES = {
+  [DEMO_USER_ID]: [
+    { amount: 1000, term: 'medium', daysAgo: 38 },
+    // Matured a few days ago; released the first time the wallet is read
+    { amount: 500, term: 'short', daysAgo: 33 }
+  ]
+};
+
+/**
+ * Thirty days of trades, oldest first. Peers trade with each other and
+ * the demo learner takes every tenth trade, selling one in three of them
+ * (so they are still a new seller); the price is a random walk pulled
+ * back towards 1 Baraka per PSB.
+ * @returns {Array<Object>} Trades
+ */
+const createPsbTrades = () => {
+  const random = createSeededRandom(seedFromString('psb-market'));
+  const sales = {};
+  const trades = [];
+  let price = 0.92;
+
+  for (let hoursAgo = 30 * 24; hoursAgo > 0; hoursAgo -= randomInt(random, 1, 5)) {
+    price = roundPrice(price + (1 - price) * 0.05 + (random() - 0.5) * 0.03);
+    let sellerId = PSB_TRADERS[randomInt(random, 0, 2)];
+    let buyerId = PSB_TRADERS.filter(id => id !== sellerId)[randomInt(random, 0, 1)];
+    let amount = randomInt(random, 2, 60) * 10;
+
+    if (trades.length % 10 === 9) {
+      const demoSells = trades.length % 30 === 29;
+      if (demoSells) sellerId = DEMO_USER_ID;
+      else buyerId = DEMO_USER_ID;
+      amount = randomInt(random, 2, 15) * 10;
+    }
+
+    const value = tradeValue(amount, price);
+    const charge = Math.ceil(value);
+    const { commission } = calculateSaleProceeds(charge, getSellerTier(sales[sellerId]));
+    sales[sellerId] = (sales[sellerId] || 0) + 1;
+
+    trades.push({
+      id: `trd_seed_${trades.length + 1}`,
+      price,
+      amount,
+      value,
+      charge,
+      commission,
+      buyOrderId: null,
+      sellOrderId: null,
+      buyerId,
+      sellerId,
+      takerSide: random() < 0.5 ? ORDER_SIDES.BUY : ORDER_SIDES.SELL,
+      executedAt: offsetISO(-hoursAgo * HOUR - randomInt(random, 0, 59) * 60 * 1000)
+    });
+  }
+  return trades;
+};
+
+/**
+ * Resting peer orders a little either side of the last price. Buy orders
+ * hold the Baraka they could spend, as they would when placed.
+ * @param {number} lastPrice - Last traded price
+ * @returns {Object} { book, orders }
+ */
+const createPsbBook = (lastPrice) => {
+  const random = createSeededRandom(seedFromString('psb-book'));
+  let book = createOrderBook();
+  const orders = [];
+
+  const place = (data) => {
+    const createdAt = offsetISO(-randomInt(random, 10, 36 * 60) * 60 * 1000);
+    const order = createOrder({ ...data, type: ORDER_TYPES.LIMIT, createdAt });
+    const held = data.side === ORDER_SIDES.BUY ? Math.ceil(tradeValue(order.amount, order.price)) : 0;
+    const result = matchOrder(book, { ...order, held }, { now: createdAt, createTradeId: () => null });
+    book = result.book;
+    orders.push(result.order);
+  };
+
+  for (let level = 1; level <= 8; level++) {
+    place({
+      id: `ord_seed_ask_${level}`,
+      userId: PSB_TRADERS[level % 3],
+      side: ORDER_SIDES.SELL,
+      amount: randomInt(random, 5, 40) * 10,
+      price: lastPrice * (1 + level * 0.006)
+    });
+    place({
+      id: `ord_seed_bid_${level}`,
+      // InnovatorBeta has the least Baraka, so bids come from the others
+      userId: level % 2 ? 'usr_002' : 'usr_004',
+      side: ORDER_SIDES.BUY,
+      amount: randomInt(random, 5, 25) * 10,
+      price: lastPrice * (1 - level * 0.006)
+    });
+  }
+  return { book, orders: orders.sort((a, b) => a.createdAt.localeCompare(b.createdAt)) };
+};
+
+/**
+ * Seeds the PSB market: trade history, the resting book, each trader's
+ * PSB (earnings, plus trades, less what rests in the book or is staked)
+ * and the Baraka ledger entries that hold funds for resting buy orders
+ * @returns {Object} { trades, book, orders, holdings, holds }
+ */
+const createPsbMarket = () => {
+  const trades = createPsbTrades();
+  const { book, orders } = createPsbBook(trades[trades.length - 1].price);
+
+  const holdings = {};
+  Object.entries(PSB_EARNINGS).forEach(([userId, earnings]) => {
+    const transactions = earnings.map((earning, index) => ({
+      id: `psbtx_${userId}_${index + 1}`,
+      type: earning.type,
+      amount: earning.amount,
+      description: earning.description,
+      timestamp: offsetISO(-earning.daysAgo * DAY),
+      status: 'completed'
+    }));
+    holdings[userId] = {
+      available: transactions.reduce((sum, t) => sum + t.amount, 0),
+      locked: 0,
+      stakes: [],
+      transactions: transactions.reverse()
+    };
+  });
+  Object.entries(PSB_STAKES).forEach(([userId, stakes]) => {
+    stakes.forEach(({ amount, term, daysAgo }, index) => {
+      const stake = createStake({ id: `stk_${userId}_${index + 1}`, userId, amount, term, now: offsetISO(-daysAgo * DAY) });
+      holdings[userId].stakes.push(stake);
+      holdings[userId].available -= amount;
+      holdings[userId].transactions.push({
+        id: `psbtx_${stake.id}`,
+        type: 'stake',
+        amount: -amount,
+        description: `Locked for ${stake.days} days at ${Math.round(stake.apy * 100)}% APY`,
+        timestamp: stake.lockedAt,
+        status: 'completed'
+      });
+    });
+  });
+  trades.forEach(trade => {
+    holdings[trade.buyerId].available += trade.amount;
+    holdings[trade.sellerId].available -= trade.amount;
+  });
+  book.asks.forEach(order => {
+    holdings[order.userId].available -= order.remaining;
+    holdings[order.userId].locked += order.remaining;
+  });
+
+  const holds = {};
+  book.bids.forEach(order => {
+    holds[order.userId] = [...(holds[order.userId] || []), {
+      id: `txn_${order.id}_hold`, type: 'spend_psb', amount: -order.held,
+      description: `Held for a buy order of ${order.amount} PSB`, source: 'psb_order',
+      metadata: { orderId: order.id }, createdAt: order.createdAt
+    }];
+  });
+  Object.values(holds).forEach(entries => entries.sort((a, b) => a.createdAt.localeCompare(b.createdAt)));
+
+  return { trades, book, orders, holdings, holds };
+};
+
+// =============================================================================
+// UNIVERSITY COHORTS
+// =============================================================================
+
+const WEEK = 7 * DAY;
+
+/**
+ * Seeded GPS 101 progress of cohort students: sub-missions finished in
+ * order, checkpoints passed in the next sub-mission, days since they
+ * started and since last active
+ */
+const GPS101_PROGRESS = {
+  [DEMO_USER_ID]: { subMissions: 14, checkpoints: 2, started: 42, lastActive: 0 },
+  usr_003: { subMissions: 11, checkpoints: 3, started: 42, lastActive: 2 },
+  usr_lb_1: { subMissions: 30, checkpoints: 0, started: 42, lastActive: 5 },
+  usr_lb_5: { subMissions: 12, checkpoints: 1, started: 42, lastActive: 1 },
+  usr_lb_9: { subMissions: 6, checkpoints: 0, started: 42, lastActive: 16 },
+  usr_lb_13: { subMissions: 9, checkpoints: 4, started: 42, lastActive: 3 },
+  usr_lb_17: { subMissions: 2, checkpoints: 2, started: 42, lastActive: 24 },
+  usr_lb_21: { subMissions: 13, checkpoints: 0, started: 42, lastActive: 1 },
+  usr_002: { subMissions: 18, checkpoints: 2, started: 70, lastActive: 1 },
+  usr_lb_2: { subMissions: 22, checkpoints: 3, started: 70, lastActive: 0 },
+  usr_lb_6: { subMissions: 8, checkpoints: 1, started: 70, lastActive: 12 }
+};
+
+/**
+ * Builds a GPS 101 progress record with the sub-missions finished in order
+ * and a dated history: every checkpoint attempt (some pass on a retry),
+ * the Baraka each step earned and the stage deliverables submitted.
+ * @param {string} userId - Student
+ * @param {Object} progress - { subMissions, checkpoints, started, lastActive }
+ * @returns {Object} GPS 101 record
+ */
+const createGPS101Record = (userId, { subMissions, checkpoints, started, lastActive }) => {
+  const random = createSeededRandom(seedFromString(userId));
+  const perMission = GPS_101_STRUCTURE.SUB_MISSIONS_PER_MISSION;
+  const perSubMission = GPS_101_STRUCTURE.CHECKPOINTS_PER_SUB_MISSION;
+  const { rewards } = DEFAULT_ECONOMY_CONFIG.gps101;
+  const subMissionId = (index) =>
+    `gps101-stage-${Math.floor(index / perMission) + 1}-mission-1-sub-${(index % perMission) + 1}`;
+
+  const completedSubMissions = Array.from({ length: subMissions }, (_, i) => subMissionId(i));
+  const completedCheckpoints = completedSubMissions.flatMap(id =>
+    Array.from({ length: perSubMission }, (_, i) => `${id}-checkpoint-${i + 1}`));
+  if (subMissions < GPS_101_STRUCTURE.TOTAL_SUB_MISSIONS) {
+    for (let i = 1; i <= checkpoints; i++) completedCheckpoints.push(`${subMissionId(subMissions)}-checkpoint-${i}`);
+  }
+  const completedStages = Array.from({ length: Math.floor(subMissions / perMission) }, (_, i) => `gps101-stage-${i + 1}`);
+
+  // Checkpoints are spread evenly from the start day to the last active day
+  const gap = (started - lastActive) / completedCheckpoints.length;
+  const daysAgo = (index) => started - gap * (index + 1);
+
+  const checkpointAttempts = [];
+  const barakaHistory = [];
+  const deliverables = [];
+  completedCheckpoints.forEach((checkpointId, index) => {
+    const submittedAt = offsetISO(-daysAgo(index) * DAY);
+    if (random() < 0.25) {
+      checkpointAttempts.push({
+        checkpointId, attemptNumber: 1, score: randomInt(random, 40, 69), passed: false,
+        submittedAt: offsetISO(-(daysAgo(index) + gap / 2) * DAY)
+      });
+    }
+    checkpointAttempts.push({
+      checkpointId,
+      attemptNumber: checkpointAttempts.filter(a => a.checkpointId === checkpointId).length + 1,
+      score: randomInt(random, 70, 100),
+      passed: true,
+      submittedAt
+    });
+    barakaHistory.push({ source: 'checkpoint', sourceId: checkpointId, amount: rewards.checkpoint.baraka, earnedAt: submittedAt });
+
+    const subIndex = Math.floor(index / perSubMission);
+    if (index % perSubMission === perSubMission - 1 && subIndex < subMissions) {
+      barakaHistory.push({ source: 'sub_mission', sourceId: subMissionId(subIndex), amount: rewards.subMission.baraka, earnedAt: submittedAt });
+      if (subIndex % perMission === perMission - 1) {
+        const stageNumber = (subIndex + 1) / perMission;
+        barakaHistory.push({
+          source: 'stage', sourceId: `gps101-stage-${stageNumber}`,
+          amount: rewards.mission.baraka + rewards.stage.baraka, earnedAt: submittedAt
+        });
+        deliverables.push({ stageNumber, title: GPS_101_STRUCTURE.STAGES[stageNumber].deliverable, submittedAt });
+      }
+    }
+  });
+
+  // Some students are stuck on a checkpoint they have failed
+  if (completedCheckpoints.length > 0 && subMissions < GPS_101_STRUCTURE.TOTAL_SUB_MISSIONS && random() < 0.5) {
+    checkpointAttempts.push({
+      checkpointId: `${subMissionId(subMissions)}-checkpoint-${checkpoints + 1}`,
+      attemptNumber: 1,
+      score: randomInt(random, 40, 69),
+      passed: false,
+      submittedAt: offsetISO(-lastActive * DAY)
+    });
+  }
+
+  return {
+    completedStages,
+    completedSubMissions,
+    completedCheckpoints,
+    totalBaraka: barakaHistory.reduce((total, entry) => total + entry.amount, 0),
+    checkpointAttempts,
+    barakaHistory,
+    deliverables,
+    lastActivityAt: offsetISO(-lastActive * DAY)
+  };
+};
+
+/**
+ * Builds a cohort member
+ * @param {string} userId - Student
+ * @param {string} studentNumber - University student number
+ * @param {string} enrolledAt - Enrollment date
+ * @returns {Object} Member
+ */
+const member = (userId, studentNumber, enrolledAt) => ({ userId, studentNumber, enrolledAt, invited: false });
+
+/**
+ * Cohorts at partner universities
+ * @returns {Array<Object>} Cohorts
+ */
+const createCohorts = () => {
+  const springStart = offsetISO(-6 * WEEK);
+  const fallStart = offsetISO(2 * WEEK);
+  const nairobiStart = offsetISO(-10 * WEEK);
+
+  return [
+    {
+      id: 'coh_001', universityId: 'uni_001', name: 'GPS 101 Spring Cohort', code: 'HGU-GPS101-S1',
+      term: 'Spring semester', description: 'First-year students taking GPS 101 for credit.',
+      startDate: springStart, endDate: offsetISO(9 * WEEK), status: 'active',
+      members: [
+        member(DEMO_USER_ID, '2025-0101', springStart),
+        member('usr_003', '2025-0102', springStart),
+        member('usr_lb_1', '2025-0103', springStart),
+        member('usr_lb_5', '2025-0104', springStart),
+        member('usr_lb_9', '2025-0105', springStart),
+        member('usr_lb_13', '2025-0106', springStart),
+        member('usr_lb_17', '2025-0107', springStart),
+        member('usr_lb_21', '2025-0108', springStart)
+      ],
+      createdBy: UNIVERSITY_STAFF_ID, createdAt: offsetISO(-8 * WEEK), updatedAt: offsetISO(-8 * WEEK)
+    },
+    {
+      id: 'coh_002', universityId: 'uni_001', name: 'GPS 101 Fall Cohort', code: 'HGU-GPS101-F1',
+      term: 'Fall semester', description: 'Enrollment opens before the semester starts.',
+      startDate: fallStart, endDate: offsetISO(17 * WEEK), status: 'active',
+      members: [
+        member('usr_lb_25', '2025-0201', offsetISO(-3 * DAY)),
+        member('usr_lb_29', '2025-0202', offsetISO(-1 * DAY))
+      ],
+      createdBy: UNIVERSITY_STAFF_ID, createdAt: offsetISO(-1 * WEEK), updatedAt: offsetISO(-1 * WEEK)
+    },
+    {
+      id: 'coh_003', universityId: 'uni_002', name: 'Innovation Fellows', code: 'UON-GPS101-IF',
+      term: 'Year 2', description: 'Social innovation fellows at the University of Nairobi.',
+      startDate: nairobiStart, endDate: offsetISO(5 * WEEK), status: 'active',
+      members: [
+        member('usr_002', 'UON-3301', nairobiStart),
+        member('usr_lb_2', 'UON-3302', nairobiStart),
+        member('usr_lb_6', 'UON-3303', nairobiStart)
+      ],
+      createdBy: ADMIN_USER_ID, createdAt: offsetISO(-12 * WEEK), updatedAt: offsetISO(-12 * WEEK)
+    }
+  ];
+};
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+export default {
+  DEMO_USER_ID,
+  ADMIN_USER_ID,
+  UNIVERSITY_STAFF_ID,
+  SEQUENCE_START,
+  MOCK_ADVENTURES,
+  TOTAL_STAGES,
+  MISSIONS_PER_STAGE,
+  BITES_PER_MISSION,
+  findAdventureForStage,
+  buildMissionCatalog,
+  defaultMissionScore,
+  createCheckpointState,
+  createUserRecord,
+  createLearnerState,
+  createSeed
+};
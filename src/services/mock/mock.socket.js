@@ -0,0 +1,158 @@
+/**
+ * GPS Lab Platform - Mock WebSocket
+ *
+ * In-process stand-in for the GPS Lab socket server. When the mock backend
+ * is enabled, WebSocketService opens a MockWebSocket instead of a real
+ * connection. Tests and demos push server events with
+ * emitMockSocketEvent(); pings are answered with pongs and messages that
+ * carry an id are acknowledged, as the real server does. Like the server,
+ * the mock delivers each idempotency key once and acks every repeat.
+ *
+ * @module services/mock/mock.socket
+ * @version 1.0.0
+ */
+
+// =============================================================================
+// CONFIGURATION
+// =============================================================================
+
+const READY_STATES = {
+  CONNECTING: 0,
+  OPEN: 1,
+  CLOSING: 2,
+  CLOSED: 3
+};
+
+/**
+ * Sockets currently open against the mock server
+ */
+const openSockets = new Set();
+
+/**
+ * Messages the mock server accepted, keyed by idempotency key
+ */
+const deliveries = new Map();
+
+// =============================================================================
+// MOCK SOCKET
+// =============================================================================
+
+/**
+ * WebSocket-compatible socket backed by the in-process mock server
+ */
+export class MockWebSocket {
+  constructor(url) {
+    this.url = url;
+    this.readyState = READY_STATES.CONNECTING;
+    this.sent = [];
+    this.onopen = null;
+    this.onclose = null;
+    this.onerror = null;
+    this.onmessage = null;
+
+    // Open asynchronously, like a real handshake
+    setTimeout(() => {
+      if (this.readyState !== READY_STATES.CONNECTING) return;
+      this.readyState = READY_STATES.OPEN;
+      openSockets.add(this);
+      this.onopen?.({ type: 'open' });
+    }, 0);
+  }
+
+  /**
+   * Sends a frame to the mock server
+   * @param {string} data - Serialized message
+   */
+  send(data) {
+    if (this.readyState !== READY_STATES.OPEN) {
+      throw new Error('MockWebSocket is not open');
+    }
+
+    const message = JSON.parse(data);
+    this.sent.push(message);
+
+    const key = message.idempotencyKey || message.id;
+    if (key && !deliveries.has(key)) {
+      deliveries.set(key, message);
+    }
+
+    if (message.type === 'ping') {
+      this.reply({ type: 'pong' });
+    } else if (message.id) {
+      this.reply({ id: message.id, payload: { received: true } });
+    }
+  }
+
+  /**
+   * Closes the socket
+   * @param {number} [code=1000] - Close code
+   * @param {string} [reason=''] - Close reason
+   */
+  close(code = 1000, reason = '') {
+    if (this.readyState === READY_STATES.CLOSED) return;
+    this.readyState = READY_STATES.CLOSED;
+    openSockets.delete(this);
+    this.onclose?.({ code, reason, wasClean: code === 1000 });
+  }
+
+  /**
+   * Delivers a server frame to this socket
+   * @param {Object} message - Message to deliver
+   */
+  receive(message) {
+    if (this.readyState !== READY_STATES.OPEN) return;
+    this.onmessage?.({ data: JSON.stringify(message) });
+  }
+
+  /**
+   * Delivers a reply on the next tick, as the network would
+   * @param {Object} message - Reply message
+   */
+  reply(message) {
+    setTimeout(() => this.receive(message), 0);
+  }
+}
+
+Object.assign(MockWebSocket, READY_STATES);
+
+// =============================================================================
+// SERVER CONTROLS
+// =============================================================================
+
+/**
+ * Pushes a server event to every open mock socket
+ * @param {string} type - Event type (see WS_EVENTS)
+ * @param {Object} payload - Event payload
+ * @returns {number} Number of sockets the event reached
+ */
+export const emitMockSocketEvent = (type, payload = {}) => {
+  openSockets.forEach(socket => socket.receive({ type, payload }));
+  return openSockets.size;
+};
+
+/**
+ * Drops every open mock socket, as a network failure would
+ * @param {number} [code=1006] - Close code (non-1000 triggers reconnect)
+ */
+export const dropMockSockets = (code = 1006) => {
+  [...openSockets].forEach(socket => socket.close(code, 'Mock connection dropped'));
+};
+
+/**
+ * Lists open mock sockets
+ * @returns {Array<MockWebSocket>} Open sockets
+ */
+export const getMockSockets = () => [...openSockets];
+
+/**
+ * Lists messages the mock server accepted, once per idempotency key
+ * @returns {Array<Object>} Messages in arrival order
+ */
+export const getMockDeliveries = () => [...deliveries.values()];
+
+/**
+ * Forgets accepted messages
+ */
+export const resetMockDeliveries = () => {
+  deliveries.clear();
+};
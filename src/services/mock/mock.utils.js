@@ -0,0 +1,190 @@
+/**
+ * GPS Lab Platform - Mock Backend Utilities
+ *
+ * Shared helpers for the in-process mock backend: HTTP-style errors,
+ * pagination, cloning, search and time helpers.
+ *
+ * @module services/mock/mock.utils
+ * @version 1.0.0
+ */
+
+// =============================================================================
+// ERRORS
+// =============================================================================
+
+/**
+ * Error thrown by mock route handlers. Converted by the mock backend into a
+ * non-ok response so ApiClient handles it exactly like a real API error.
+ */
+export class MockHttpError extends Error {
+  constructor(status, message, details = {}) {
+    super(message);
+    this.name = 'MockHttpError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+/**
+ * Creates a mock HTTP error
+ * @param {number} status - HTTP status code
+ * @param {string} message - Error message
+ * @param {Object} details - Additional details (e.g. code, required, available)
+ * @returns {MockHttpError} Error instance
+ */
+export const mockError = (status, message, details = {}) => {
+  return new MockHttpError(status, message, details);
+};
+
+/**
+ * Creates a 404 error for a missing resource
+ * @param {string} resource - Resource label
+ * @param {string} id - Resource ID
+ * @returns {MockHttpError} Error instance
+ */
+export const notFound = (resource, id) => {
+  return mockError(404, `${resource} ${id} not found`, { code: 'NOT_FOUND' });
+};
+
+// =============================================================================
+// DATA HELPERS
+// =============================================================================
+
+/**
+ * Deep clones JSON-compatible data so callers never hold live db references
+ * @param {*} value - Value to clone
+ * @returns {*} Cloned value
+ */
+export const clone = (value) => {
+  if (value === undefined) return undefined;
+  return JSON.parse(JSON.stringify(value));
+};
+
+/**
+ * Paginates a list
+ * @param {Array} items - Items to paginate
+ * @param {Object} query - Query with page and limit
+ * @returns {Object} { items, pagination }
+ */
+export const paginate = (items, { page = 1, limit = 20 } = {}) => {
+  const pageNum = Math.max(1, Number(page) || 1);
+  const limitNum = Math.max(1, Number(limit) || 20);
+  const start = (pageNum - 1) * limitNum;
+
+  return {
+    items: items.slice(start, start + limitNum),
+    pagination: {
+      page: pageNum,
+      limit: limitNum,
+      total: items.length,
+      totalPages: Math.ceil(items.length / limitNum)
+    }
+  };
+};
+
+/**
+ * Case-insensitive substring match across fields
+ * @param {Object} item - Item to test
+ * @param {string} query - Search text
+ * @param {Array<string>} fields - Fields to search
+ * @returns {boolean} True if any field matches
+ */
+export const matchesSearch = (item, query, fields) => {
+  if (!query) return true;
+  const q = String(query).toLowerCase();
+  return fields.some(field => String(item[field] || '').toLowerCase().includes(q));
+};
+
+/**
+ * Parses a boolean-ish query value
+ * @param {*} value - Query value
+ * @returns {boolean} Parsed value
+ */
+export const toBoolean = (value) => value === true || value === 'true' || value === '1';
+
+/**
+ * Creates a deterministic pseudo-random generator (mulberry32) so seeded
+ * data and generated series are identical across reloads and test runs
+ * @param {number} seed - Integer seed
+ * @returns {Function} Generator returning floats in [0, 1)
+ */
+export const createSeededRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * Derives an integer seed from a string (e.g. a user ID)
+ * @param {string} value - Source string
+ * @returns {number} Integer seed
+ */
+export const seedFromString = (value) => {
+  let hash = 2166136261;
+  for (const char of String(value)) {
+    hash = Math.imul(hash ^ char.charCodeAt(0), 16777619);
+  }
+  return hash >>> 0;
+};
+
+/**
+ * Gets a deterministic integer in [min, max] from a generator
+ * @param {Function} random - Seeded generator
+ * @param {number} min - Minimum (inclusive)
+ * @param {number} max - Maximum (inclusive)
+ * @returns {number} Integer
+ */
+export const randomInt = (random, min, max) => min + Math.floor(random() * (max - min + 1));
+
+// =============================================================================
+// TIME HELPERS
+// =============================================================================
+
+/**
+ * Gets current ISO timestamp
+ * @returns {string} ISO timestamp
+ */
+export const nowISO = () => new Date().toISOString();
+
+/**
+ * Gets ISO timestamp offset from now
+ * @param {number} ms - Offset in milliseconds (negative for past)
+ * @returns {string} ISO timestamp
+ */
+export const offsetISO = (ms) => new Date(Date.now() + ms).toISOString();
+
+/**
+ * Gets today's date as YYYY-MM-DD
+ * @returns {string} Date string
+ */
+export const todayDate = () => new Date().toISOString().split('T')[0];
+
+export const HOUR = 60 * 60 * 1000;
+export const DAY = 24 * HOUR;
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+export default {
+  MockHttpError,
+  mockError,
+  notFound,
+  clone,
+  paginate,
+  matchesSearch,
+  toBoolean,
+  createSeededRandom,
+  seedFromString,
+  randomInt,
+  nowISO,
+  offsetISO,
+  todayDate,
+  HOUR,
+  DAY
+};
@@ -0,0 +1,341 @@
+/**
+ * GPS Lab Platform - Mock Admin Routes
+ *
+ * User administration for the admin console: a user's full record
+ * (progress, Baraka ledger, badges), account and progress actions, bulk
+ * actions, and the audit log. Every action needs a reason and is written
+ * to the audit log with the acting admin; bulk actions run per user and
+ * report which users failed instead of stopping at the first error.
+ *
+ * @module services/mock/routes/admin.routes
+ * @version 1.0.0
+ */
+
+import {
+  ADMIN_ROLES,
+  requireRole,
+  requireUser,
+  ensureLearner,
+  toAdminUser,
+  creditBaraka,
+  debitBaraka,
+  getCheckpointState,
+  pushNotification,
+  recordAudit,
+  nextId
+} from '../mock.db';
+import { createCheckpointState, TOTAL_STAGES, MISSIONS_PER_STAGE } from '../mock.seed';
+import { MockHttpError, mockError, paginate, matchesSearch, clone, nowISO, DAY } from '../mock.utils';
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+const BASE = '/admin';
+
+const MAX_BULK_USERS = 100;
+const MAX_R2R_GRANT = 10;
+const LEDGER_PAGE_SIZE = 50;
+
+/**
+ * Requires a non-empty reason for an admin action
+ * @param {string} reason - Reason given by the admin
+ * @returns {string} Trimmed reason
+ * @throws {MockHttpError} 400 when missing
+ */
+const requireReason = (reason) => {
+  const text = String(reason || '').trim();
+  if (!text) {
+    throw mockError(400, 'A reason is required for this action', { code: 'REASON_REQUIRED' });
+  }
+  return text;
+};
+
+/**
+ * Refuses actions an admin must not take on their own account
+ * @param {string} actorId - Acting admin
+ * @param {Object} user - Target user
+ * @param {string} action - Action name
+ */
+const requireOtherUser = (actorId, user, action) => {
+  if (user.id === actorId) {
+    throw mockError(400, 'You cannot do this to your own account', { code: 'CANNOT_TARGET_SELF', action });
+  }
+};
+
+/**
+ * Builds a user's GPS progress for the admin view
+ * @param {Object} db - Mock database
+ * @param {Object} user - User record
+ * @returns {Object} Progress
+ */
+const buildProgress = (db, user) => {
+  const learner = ensureLearner(db, user.id);
+  const titles = new Map(db.missions.map(m => [m.id, m.title]));
+
+  return {
+    currentStage: user.stats.currentStage,
+    totalStages: TOTAL_STAGES,
+    missionsCompleted: user.stats.missionsCompleted,
+    missionsTotal: TOTAL_STAGES * MISSIONS_PER_STAGE,
+    checkpointsPassed: user.stats.checkpointsPassed,
+    bitesCompleted: user.stats.bitesCompleted,
+    missions: Object.entries(learner.missions)
+      .filter(([, state]) => state.status !== 'locked')
+      .map(([missionId, state]) => ({ missionId, title: titles.get(missionId) || missionId, status: state.status })),
+    checkpoints: Object.values(learner.checkpoints).map(checkpoint => ({
+      missionId: checkpoint.missionId,
+      title: titles.get(checkpoint.missionId) || checkpoint.missionId,
+      status: checkpoint.status,
+      attempts: checkpoint.attempts,
+      maxAttempts: checkpoint.maxAttempts,
+      bestScore: checkpoint.bestScore,
+      retryGranted: checkpoint.retryGranted,
+      lastAttemptAt: checkpoint.history[checkpoint.history.length - 1]?.submittedAt || null
+    }))
+  };
+};
+
+// =============================================================================
+// ACTIONS
+// =============================================================================
+
+/**
+ * User actions. Each applies the change and returns the details recorded
+ * in the audit log.
+ */
+const USER_ACTIONS = {
+  suspend: (db, actorId, user) => {
+    requireOtherUser(actorId, user, 'suspend');
+    if (user.isActive === false) {
+      throw mockError(409, 'This account is already suspended', { code: 'ALREADY_SUSPENDED' });
+    }
+    user.isActive = false;
+    user.status = 'offline';
+    user.suspension = { suspendedAt: nowISO(), suspendedBy: actorId };
+    return {};
+  },
+
+  reactivate: (db, actorId, user) => {
+    if (user.isActive !== false) {
+      throw mockError(409, 'This account is not suspended', { code: 'NOT_SUSPENDED' });
+    }
+    const { suspendedAt } = user.suspension || {};
+    user.isActive = true;
+    user.suspension = null;
+    return { suspendedAt: suspendedAt || null };
+  },
+
+  // Clears attempts so the learner can retake; first-pass rewards stay claimed
+  reset_checkpoint: (db, actorId, user, { missionId }) => {
+    if (!missionId) {
+      throw mockError(400, 'A mission is required', { code: 'INVALID_INPUT' });
+    }
+    const previous = getCheckpointState(db, user.id, missionId);
+    const learner = ensureLearner(db, user.id);
+    learner.checkpoints[missionId] = {
+      ...createCheckpointState(missionId),
+      rewardsClaimed: previous.rewardsClaimed
+    };
+    if (previous.status === 'passed') {
+      user.stats.checkpointsPassed = Math.max(0, user.stats.checkpointsPassed - 1);
+    }
+    return { missionId, previousStatus: previous.status, previousAttempts: previous.attempts, previousBestScore: previous.bestScore };
+  },
+
+  grant_r2r: (db, actorId, user, { count = 1 }) => {
+    const retries = Number(count);
+    if (!Number.isInteger(retries) || retries < 1 || retries > MAX_R2R_GRANT) {
+      throw mockError(400, `Retries must be a whole number from 1 to ${MAX_R2R_GRANT}`, { code: 'INVALID_AMOUNT' });
+    }
+    const { r2r } = ensureLearner(db, user.id).study;
+    r2r.freeRetries += retries;
+    pushNotification(db, user.id, {
+      type: 'r2r_granted',
+      category: 'system',
+      title: 'Retries Granted',
+      message: `You received ${retries} free Right to Retry credit${retries === 1 ? '' : 's'}.`,
+      actionUrl: '/study'
+    });
+    return { count: retries, freeRetries: r2r.freeRetries };
+  },
+
+  adjust_baraka: (db, actorId, user, { amount, reason }) => {
+    const value = Math.round(Number(amount));
+    if (!value) {
+      throw mockError(400, 'Amount must be a non-zero number', { code: 'INVALID_AMOUNT' });
+    }
+    const entry = {
+      type: 'admin_adjustment',
+      source: 'admin',
+      description: `Adjustment by staff: ${reason}`,
+      metadata: { adjustedBy: actorId }
+    };
+    const transaction = value > 0
+      ? creditBaraka(db, user.id, value, entry)
+      : debitBaraka(db, user.id, -value, entry);
+    pushNotification(db, user.id, {
+      type: 'baraka_adjusted',
+      category: 'baraka',
+      title: 'Baraka Balance Adjusted',
+      message: `${value > 0 ? '+' : ''}${value} Baraka: ${reason}`,
+      actionUrl: '/baraka'
+    });
+    return { amount: value, transactionId: transaction.id, balance: transaction.balance };
+  }
+};
+
+/**
+ * Runs a user action and records it in the audit log
+ * @param {Object} db - Mock database
+ * @param {string} actorId - Acting admin
+ * @param {Object} user - Target user
+ * @param {string} action - USER_ACTIONS key
+ * @param {Object} params - Action parameters with reason
+ * @param {Object} extra - Extra audit details (e.g. bulkId)
+ * @returns {Object} { user, audit }
+ */
+const runUserAction = (db, actorId, user, action, params, extra = {}) => {
+  const handler = USER_ACTIONS[action];
+  if (!handler) {
+    throw mockError(400, `Unknown action: ${action}`, { code: 'INVALID_ACTION' });
+  }
+  const reason = requireReason(params.reason);
+  const details = handler(db, actorId, user, { ...params, reason });
+  const audit = recordAudit(db, actorId, {
+    action,
+    targetId: user.id,
+    targetName: user.displayName,
+    reason,
+    details: { ...details, ...extra }
+  });
+  return { user: toAdminUser(db, user), audit: clone(audit) };
+};
+
+/**
+ * Filters the audit log
+ * @param {Array<Object>} entries - Audit entries (newest first)
+ * @param {Object} query - { action, actorId, targetId, q, from, to }
+ * @returns {Array<Object>} Matching entries
+ */
+const filterAuditLog = (entries, query) => {
+  return entries
+    .filter(e => !query.action || e.action === query.action)
+    .filter(e => !query.actorId || e.actorId === query.actorId)
+    .filter(e => !query.targetId || e.targetId === query.targetId)
+    .filter(e => !query.from || e.createdAt >= query.from)
+    .filter(e => !query.to || e.createdAt <= query.to)
+    .filter(e => matchesSearch(e, query.q, ['actorName', 'targetName', 'reason']));
+};
+
+// =============================================================================
+// ROUTES
+// =============================================================================
+
+/**
+ * Registers admin routes
+ * @param {Object} router - Mock router
+ */
+export const registerAdminRoutes = (router) => {
+  router.get(`${BASE}/overview`, ({ db, userId }) => {
+    requireRole(db, userId, ADMIN_ROLES);
+    const weekAgo = new Date(Date.now() - 7 * DAY).toISOString();
+    const learners = db.users.filter(u => u.role === 'student');
+
+    return {
+      users: {
+        total: db.users.length,
+        learners: learners.length,
+        staff: db.users.length - learners.length,
+        suspended: db.users.filter(u => u.isActive === false).length,
+        newThisWeek: db.users.filter(u => u.createdAt >= weekAgo).length
+      },
+      baraka: {
+        circulating: learners.reduce((sum, u) => sum + ensureLearner(db, u.id).wallet.available, 0)
+      },
+      recentAudit: clone(db.auditLog.slice(0, 10))
+    };
+  });
+
+  // ==================== USERS ====================
+
+  router.get(`${BASE}/users/:id`, ({ db, userId, params, query }) => {
+    requireRole(db, userId, ADMIN_ROLES);
+    const user = requireUser(db, params.id);
+    const learner = ensureLearner(db, user.id);
+    const { items, pagination } = paginate(learner.transactions, { page: query.ledgerPage, limit: LEDGER_PAGE_SIZE });
+
+    return {
+      user: toAdminUser(db, user),
+      progress: buildProgress(db, user),
+      ledger: { wallet: clone(learner.wallet), transactions: clone(items), pagination },
+      badges: clone(learner.badges),
+      r2r: clone(learner.study.r2r),
+      auditLog: clone(db.auditLog.filter(e => e.targetId === user.id).slice(0, 20))
+    };
+  });
+
+  router.post(`${BASE}/users/bulk`, ({ db, userId, body }) => {
+    requireRole(db, userId, ADMIN_ROLES);
+    const userIds = Array.isArray(body.userIds) ? [...new Set(body.userIds)] : [];
+    if (userIds.length === 0) {
+      throw mockError(400, 'Select at least one user', { code: 'INVALID_INPUT' });
+    }
+    if (userIds.length > MAX_BULK_USERS) {
+      throw mockError(400, `Bulk actions are limited to ${MAX_BULK_USERS} users`, { code: 'TOO_MANY_USERS' });
+    }
+    if (!USER_ACTIONS[body.action]) {
+      throw mockError(400, `Unknown action: ${body.action}`, { code: 'INVALID_ACTION' });
+    }
+    requireReason(body.reason);
+
+    const { action, userIds: _ids, ...params } = body;
+    const bulkId = nextId(db, 'bulk');
+    const results = userIds.map(id => {
+      try {
+        const user = requireUser(db, id);
+        const { user: updated } = runUserAction(db, userId, user, action, params, { bulkId });
+        return { userId: id, success: true, user: updated };
+      } catch (error) {
+        if (!(error instanceof MockHttpError)) throw error;
+        return { userId: id, success: false, error: error.message, code: error.details?.code || null };
+      }
+    });
+
+    return {
+      bulkId,
+      action,
+      results,
+      succeeded: results.filter(r => r.success).length,
+      failed: results.filter(r => !r.success).length
+    };
+  });
+
+  router.post(`${BASE}/users/:id/actions/:action`, ({ db, userId, params, body }) => {
+    requireRole(db, userId, ADMIN_ROLES);
+    return runUserAction(db, userId, requireUser(db, params.id), params.action, body);
+  });
+
+  // ==================== AUDIT LOG ====================
+
+  router.get(`${BASE}/audit-log`, ({ db, userId, query }) => {
+    requireRole(db, userId, ADMIN_ROLES);
+    const { items, pagination } = paginate(filterAuditLog(db.auditLog, query), query);
+    return { entries: clone(items), pagination };
+  });
+
+  // Exports are themselves audited
+  router.get(`${BASE}/audit-log/export`, ({ db, userId, query }) => {
+    requireRole(db, userId, ADMIN_ROLES);
+    const entries = clone(filterAuditLog(db.auditLog, query));
+    const { action, actorId, targetId, q, from, to } = query;
+    recordAudit(db, userId, {
+      action: 'audit_log_exported',
+      targetType: 'audit_log',
+      details: { count: entries.length, filters: clone({ action, actorId, targetId, q, from, to }) }
+    });
+    return { entries, total: entries.length, exportedAt: nowISO() };
+  });
+};
+
+export default registerAdminRoutes;
@@ -0,0 +1,186 @@
+/**
+ * GPS Lab Platform - Mock Auth Routes
+ *
+ * Login, registration, token refresh and OAuth for the mock backend.
+ * Tokens embed the user ID so a signed-in session survives page reloads
+ * (which reseed the in-memory database). Any password is accepted; an
+ * unknown email signs in as the seeded demo learner. Suspended accounts
+ * cannot sign in or refresh.
+ *
+ * @module services/mock/routes/auth.routes
+ * @version 1.0.0
+ */
+
+import {
+  findUser,
+  createUser,
+  nextId,
+  toProfile,
+  DEMO_USER_ID
+} from '../mock.db';
+import { mockError, nowISO, DAY } from '../mock.utils';
+
+// =============================================================================
+// TOKENS
+// =============================================================================
+
+const ACCESS_PREFIX = 'mock_access';
+const REFRESH_PREFIX = 'mock_refresh';
+
+/**
+ * Issues a token pair for a user
+ * @param {Object} db - Mock database
+ * @param {string} userId - User ID
+ * @returns {Object} { accessToken, refreshToken, expiresAt }
+ */
+const issueTokens = (db, userId) => {
+  const serial = nextId(db, 'tok');
+  return {
+    accessToken: `${ACCESS_PREFIX}.${userId}.${serial}`,
+    refreshToken: `${REFRESH_PREFIX}.${userId}.${serial}`,
+    expiresAt: new Date(Date.now() + DAY).toISOString()
+  };
+};
+
+/**
+ * Reads the user ID from a mock token
+ * @param {string} token - Access or refresh token
+ * @param {string} prefix - Expected token prefix
+ * @returns {string|null} User ID
+ */
+const parseToken = (token, prefix) => {
+  if (typeof token !== 'string') return null;
+  const [tokenPrefix, userId] = token.split('.');
+  return tokenPrefix === prefix && userId ? userId : null;
+};
+
+/**
+ * Resolves the acting user for a request
+ * @param {Object} db - Mock database
+ * @param {string|null} token - Bearer token
+ * @returns {Object} { userId, authenticated }
+ */
+export const resolveRequestUser = (db, token) => {
+  const userId = parseToken(token, ACCESS_PREFIX);
+  if (userId && !db.revokedTokens[token] && findUser(db, userId)) {
+    return { userId, authenticated: true };
+  }
+  return { userId: DEMO_USER_ID, authenticated: false };
+};
+
+/**
+ * Refuses sessions for suspended accounts
+ * @param {Object} user - User record
+ * @throws {MockHttpError} 403 when the account is suspended
+ */
+const requireActive = (user) => {
+  if (user.isActive === false) {
+    throw mockError(403, 'This account has been suspended', {
+      code: 'ACCOUNT_SUSPENDED',
+      suspendedAt: user.suspension?.suspendedAt || null
+    });
+  }
+};
+
+/**
+ * Builds an auth response for a user
+ * @param {Object} db - Mock database
+ * @param {Object} user - User record
+ * @param {Object} extra - Extra user fields
+ * @returns {Object} { user, accessToken, refreshToken, expiresAt }
+ */
+const authResponse = (db, user, extra = {}) => {
+  requireActive(user);
+  user.lastLoginAt = nowISO();
+  user.status = 'online';
+  return { user: { ...toProfile(db, user), ...extra }, ...issueTokens(db, user.id) };
+};
+
+// =============================================================================
+// ROUTES
+// =============================================================================
+
+/**
+ * Registers auth routes
+ * @param {Object} router - Mock router
+ */
+export const registerAuthRoutes = (router) => {
+  router.post('/auth/login', ({ db, body }) => {
+    if (!body.email || !body.password) {
+      throw mockError(400, 'Email and password are required', { code: 'INVALID_INPUT' });
+    }
+    const email = String(body.email).toLowerCase();
+    const user = db.users.find(u => u.email === email) || findUser(db, DEMO_USER_ID);
+    return authResponse(db, user);
+  });
+
+  router.post('/auth/register', ({ db, body }) => {
+    if (!body.email || !body.password) {
+      throw mockError(400, 'Email and password are required', { code: 'INVALID_INPUT' });
+    }
+    const user = createUser(db, body);
+    if (body.locale) user.locale = body.locale;
+    return authResponse(db, user);
+  });
+
+  router.post('/auth/logout', ({ db, token }) => {
+    if (token) db.revokedTokens[token] = nowISO();
+    return { success: true };
+  });
+
+  router.post('/auth/refresh-token', ({ db, body }) => {
+    const userId = parseToken(body.refreshToken, REFRESH_PREFIX);
+    if (!userId || !findUser(db, userId)) {
+      throw mockError(401, 'Invalid refresh token', { code: 'INVALID_TOKEN' });
+    }
+    requireActive(findUser(db, userId));
+    return issueTokens(db, userId);
+  });
+
+  router.get('/auth/validate-token', ({ db, userId, authenticated }) => {
+    if (!authenticated) {
+      throw mockError(401, 'Invalid or expired token', { code: 'INVALID_TOKEN' });
+    }
+    requireActive(findUser(db, userId));
+    return { valid: true };
+  });
+
+  router.get('/auth/me', ({ db, userId }) => toProfile(db, findUser(db, userId)));
+
+  router.post('/auth/forgot-password', () => ({
+    success: true,
+    message: 'Password reset email sent'
+  }));
+
+  router.post('/auth/reset-password', ({ body }) => {
+    if (!body.token || !body.password) {
+      throw mockError(400, 'Reset token and new password are required', { code: 'INVALID_INPUT' });
+    }
+    return { success: true, message: 'Password reset successful' };
+  });
+
+  router.post('/auth/change-password', () => ({
+    success: true,
+    message: 'Password changed successfully'
+  }));
+
+  router.post('/auth/verify-email', ({ db, userId }) => {
+    const user = findUser(db, userId);
+    user.emailVerified = true;
+    return { success: true, user: toProfile(db, user) };
+  });
+
+  router.post('/auth/resend-verification', () => ({
+    success: true,
+    message: 'Verification email resent'
+  }));
+
+  router.post('/auth/oauth/:provider', ({ db, params, body }) => {
+    if (!body.code) {
+      throw mockError(400, 'Authorization code is required', { code: 'INVALID_INPUT' });
+    }
+    return authResponse(db, findUser(db, DEMO_USER_ID), { oauthProvider: params.provider });
+  });
+};
+
+export default registerAuthRoutes;
@@ -0,0 +1,767 @@
+/**
+ * GPS Lab Platform - Mock Baraka Routes
+ *
+ * Balance, ledger, store, withdrawals, peer transfers, requests, split
+ * bills, escrow and covenant returns for the mock backend. Every movement
+ * of Baraka is posted through the shared ledger so balances, transaction
+ * history and tier stay in step.
+ *
+ * @module services/mock/routes/baraka.routes
+ * @version 1.0.0
+ */
+
+import { getBarakaTier } from '../../../utils/formatters/currency.formatter';
+import {
+  requireUser,
+  ensureLearner,
+  toPublicUser,
+  nextId,
+  creditBaraka,
+  debitBaraka,
+  settleEscrow,
+  settleEscrows,
+  pushNotification
+} from '../mock.db';
+import { mockError, notFound, paginate, nowISO, offsetISO, DAY } from '../mock.utils';
+import { PSB_CONFIG } from '../../../config/game.config';
+import {
+  REQUEST_STATUS,
+  ESCROW_STATUS,
+  getSentToday,
+  getTransferAllowance,
+  splitBill,
+  getEscrowExpiry,
+  getEscrowActions
+} from '../../../utils/helpers/baraka.transfer';
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+const TIER_LADDER = [
+  { id: 'starter', minBalance: 0, benefits: ['Baraka earning', 'Community access'] },
+  { id: 'beginner', minBalance: 1000, benefits: ['Access to Study Hub', 'Custom profile badge'] },
+  { id: 'intermediate', minBalance: 10000, benefits: ['5% bonus on mission rewards', 'Priority party matching'] },
+  { id: 'advanced', minBalance: 50000, benefits: ['10% bonus on mission rewards', 'Mentor office hours'] },
+  { id: 'expert', minBalance: 100000, benefits: ['15% bonus on mission rewards', 'GPO showcase priority'] },
+  { id: 'master', minBalance: 500000, benefits: ['20% bonus on mission rewards', 'Covenant pool boost'] },
+  { id: 'legendary', minBalance: 1000000, benefits: ['25% bonus on mission rewards', 'Hall of fame listing'] }
+];
+
+const STORE_CATEGORIES = ['boosters', 'tokens', 'cosmetics', 'upgrades'];
+
+const PERIOD_DAYS = { '7d': 7, '30d': 30, '90d': 90, '1y': 365 };
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * Builds a wallet balance view
+ * @param {Object} wallet - Learner wallet
+ * @returns {Object} Balance
+ */
+const toBalance = (wallet) => ({
+  ...wallet,
+  lastUpdated: wallet.lastUpdated || nowISO()
+});
+
+/**
+ * Builds tier progress for a balance
+ * @param {Object} wallet - Learner wallet
+ * @returns {Object} Tier data
+ */
+const buildTier = (wallet) => {
+  const current = getBarakaTier(wallet.available);
+  const index = TIER_LADDER.findIndex(t => t.id === current.id);
+  const next = TIER_LADDER[index + 1] || null;
+  const span = next ? next.minBalance - current.minBalance : 0;
+
+  return {
+    current: current.id,
+    name: current.name,
+    color: current.color,
+    totalEarned: wallet.totalEarned,
+    nextTier: next ? next.id : null,
+    nextTierThreshold: next ? next.minBalance : null,
+    progress: next ? Math.min(100, Math.floor(((wallet.available - current.minBalance) / span) * 100)) : 100,
+    benefits: TIER_LADDER[index].benefits
+  };
+};
+
+/**
+ * Filters transactions to a trailing period
+ * @param {Array<Object>} transactions - Transactions
+ * @param {string} period - Period key (7d, 30d, 90d, 1y, all)
+ * @returns {Array<Object>} Transactions in period
+ */
+const inPeriod = (transactions, period) => {
+  const days = PERIOD_DAYS[period];
+  if (!days) return transactions;
+  const since = Date.now() - days * DAY;
+  return transactions.filter(t => new Date(t.createdAt).getTime() >= since);
+};
+
+/**
+ * Totals earnings by source
+ * @param {Array<Object>} transactions - Transactions
+ * @returns {Array<Object>} [{ source, total, percentage }] largest first
+ */
+const summarizeSources = (transactions) => {
+  const earned = transactions.filter(t => t.amount > 0);
+  const total = earned.reduce((sum, t) => sum + t.amount, 0);
+  const bySource = {};
+  earned.forEach(t => { bySource[t.source] = (bySource[t.source] || 0) + t.amount; });
+
+  return Object.entries(bySource)
+    .map(([source, sourceTotal]) => ({
+      source,
+      total: sourceTotal,
+      percentage: total ? Math.round((sourceTotal / total) * 1000) / 10 : 0
+    }))
+    .sort((a, b) => b.total - a.total);
+};
+
+/**
+ * Finds a store item
+ * @param {Object} db - Mock database
+ * @param {string} itemId - Item ID
+ * @returns {Object} Store item
+ * @throws {MockHttpError} 404 when missing
+ */
+const requireStoreItem = (db, itemId) => {
+  const item = db.storeItems.find(i => i.id === itemId);
+  if (!item) throw notFound('Store item', itemId);
+  return item;
+};
+
+/**
+ * What is left of a learner's daily send allowance
+ * @param {Object} db - Mock database
+ * @param {string} userId - Sender
+ * @returns {Object} { dailyLimit, sentToday, remaining, confirmAbove }
+ */
+const getAllowance = (db, userId) => getTransferAllowance(
+  getSentToday(ensureLearner(db, userId).transactions, nowISO())
+);
+
+/**
+ * Checks an amount against the daily send allowance
+ * @param {Object} db - Mock database
+ * @param {string} userId - Sender
+ * @param {number} amount - Baraka to send
+ * @throws {MockHttpError} 422 when it is over what is left today
+ */
+const requireAllowance = (db, userId, amount) => {
+  const allowance = getAllowance(db, userId);
+  if (Number(amount) > allowance.remaining) {
+    throw mockError(422, `You can send ${allowance.remaining} more Baraka today`, {
+      code: 'SPENDING_LIMIT_EXCEEDED',
+      ...allowance
+    });
+  }
+};
+
+/**
+ * Reads a whole, positive Baraka amount
+ * @param {*} value - Amount from the request body
+ * @returns {number} Amount
+ * @throws {MockHttpError} 400 when it is not a positive number
+ */
+const requireAmount = (value) => {
+  const amount = Math.round(Number(value));
+  if (!amount || amount <= 0) {
+    throw mockError(400, 'Amount must be a positive number', { code: 'INVALID_AMOUNT' });
+  }
+  return amount;
+};
+
+/**
+ * Finds an active party every given user belongs to
+ * @param {Object} db - Mock database
+ * @param {string} partyId - Party ID
+ * @param {Array<string>} userIds - Users who must be members
+ * @returns {Object} Party
+ * @throws {MockHttpError} 404 when missing, 403 when someone is not a member
+ */
+const requireSharedParty = (db, partyId, userIds) => {
+  const party = db.parties.find(p => p.id === partyId && p.status !== 'disbanded');
+  if (!party) throw notFound('Party', partyId);
+  const outsider = userIds.find(id => !party.members.some(m => m.userId === id));
+  if (outsider) {
+    throw mockError(403, 'Everyone involved must be in the party', { code: 'NOT_PARTY_MEMBER', partyId, userId: outsider });
+  }
+  return party;
+};
+
+/**
+ * Moves Baraka from one wallet to another and tells the recipient
+ * @param {Object} db - Mock database
+ * @param {string} senderId - Sender
+ * @param {string} recipientId - Recipient
+ * @param {number} amount - Baraka to send
+ * @param {Object} [options] - { message, metadata } - metadata is added to both sides
+ * @returns {Object} { transferId, transaction } - transaction is the sender's
+ */
+const postTransfer = (db, senderId, recipientId, amount, { message = '', metadata = {} } = {}) => {
+  const recipient = requireUser(db, recipientId);
+  const sender = requireUser(db, senderId);
+  const transferId = nextId(db, 'xfr');
+
+  const transaction = debitBaraka(db, senderId, amount, {
+    type: 'transfer_out',
+    source: 'transfer',
+    description: `Transfer to ${recipient.displayName}`,
+    metadata: { ...metadata, transferId, recipientId, message }
+  });
+  creditBaraka(db, recipientId, -transaction.amount, {
+    type: 'transfer_in',
+    source: 'transfer',
+    description: `Transfer from ${sender.displayName}`,
+    metadata: { ...metadata, transferId, senderId, message }
+  });
+  pushNotification(db, recipientId, {
+    type: 'baraka_received',
+    category: 'baraka',
+    title: 'Baraka Received',
+    message: `${sender.displayName} sent you ${-transaction.amount} Baraka`,
+    actionUrl: '/baraka',
+    metadata: { transferId, senderId, amount: -transaction.amount }
+  });
+
+  return { transferId, transaction };
+};
+
+/**
+ * Builds the view of a Baraka request
+ * @param {Object} db - Mock database
+ * @param {Object} request - Request record
+ * @returns {Object} Request with requester and payer
+ */
+const toRequestView = (db, request) => ({
+  ...request,
+  requester: toPublicUser(db, requireUser(db, request.requesterId)),
+  payer: toPublicUser(db, requireUser(db, request.payerId))
+});
+
+/**
+ * Creates a pending Baraka request and tells the payer
+ * @param {Object} db - Mock database
+ * @param {string} requesterId - Who is asking
+ * @param {Object} data - { payerId, amount, message, partyId, splitId, itemId }
+ * @returns {Object} Request record
+ */
+const createRequest = (db, requesterId, data) => {
+  const requester = requireUser(db, requesterId);
+  const request = {
+    id: nextId(db, 'breq'),
+    requesterId,
+    payerId: data.payerId,
+    amount: data.amount,
+    message: data.message || '',
+    partyId: data.partyId || null,
+    splitId: data.splitId || null,
+    itemId: data.itemId || null,
+    status: REQUEST_STATUS.PENDING,
+    createdAt: nowISO(),
+    respondedAt: null
+  };
+  db.barakaRequests.unshift(request);
+  pushNotification(db, data.payerId, {
+    type: 'baraka_requested',
+    category: 'baraka',
+    title: 'Baraka Requested',
+    message: `${requester.displayName} asked you for ${request.amount} Baraka${request.message ? `: ${request.message}` : ''}`,
+    actionUrl: '/baraka',
+    metadata: { requestId: request.id, requesterId, amount: request.amount }
+  });
+  return request;
+};
+
+/**
+ * Finds a pending Baraka request the user is part of
+ * @param {Object} db - Mock database
+ * @param {string} requestId - Request ID
+ * @param {string} userId - Acting user
+ * @param {string} role - 'payerId' or 'requesterId', the side that may act
+ * @returns {Object} Request record
+ * @throws {MockHttpError} 404 when missing or not theirs, 409 when already answered
+ */
+const requirePendingRequest = (db, requestId, userId, role) => {
+  const request = db.barakaRequests.find(r => r.id === requestId && r[role] === userId);
+  if (!request) throw notFound('Baraka request', requestId);
+  if (request.status !== REQUEST_STATUS.PENDING) {
+    throw mockError(409, 'This request has already been answered', { code: 'REQUEST_NOT_PENDING', status: request.status });
+  }
+  return request;
+};
+
+/**
+ * Finds held escrow the user funded or is due to receive
+ * @param {Object} db - Mock database
+ * @param {string} escrowId - Escrow ID
+ * @param {string} userId - Acting user
+ * @returns {Object} Escrow
+ * @throws {MockHttpError} 404 when missing or not theirs, 409 when already settled
+ */
+const requireHeldEscrow = (db, escrowId, userId) => {
+  const escrow = db.escrows.find(e => e.id === escrowId && (e.funderId === userId || e.recipientId === userId));
+  if (!escrow) throw notFound('Escrow', escrowId);
+  if (escrow.status !== ESCROW_STATUS.HELD) {
+    throw mockError(409, 'This escrow has already been settled', { code: 'ESCROW_SETTLED', status: escrow.status });
+  }
+  return escrow;
+};
+
+/**
+ * The escrows a user funded or is due to receive, settling any that are due
+ * @param {Object} db - Mock database
+ * @param {string} userId - User ID
+ * @returns {Array<Object>} Escrows, newest first
+ */
+const getUserEscrows = (db, userId) => {
+  const escrows = db.escrows.filter(e => e.funderId === userId || e.recipientId === userId);
+  settleEscrows(db, escrows);
+  return escrows;
+};
+
+// =============================================================================
+// ROUTES
+// =============================================================================
+
+/**
+ * Registers Baraka routes
+ * @param {Object} router - Mock router
+ */
+export const registerBarakaRoutes = (router) => {
+  router.get('/baraka/balance', ({ db, userId }) => toBalance(ensureLearner(db, userId).wallet));
+
+  router.get('/baraka/balance/summary', ({ db, userId }) => {
+    const { wallet, transactions } = ensureLearner(db, userId);
+    const earnedSince = (days) => inPeriod(transactions, `${days}d`)
+      .filter(t => t.amount > 0)
+      .reduce((sum, t) => sum + t.amount, 0);
+    const monthly = earnedSince(30);
+
+    return {
+      balance: toBalance(wallet),
+      tier: buildTier(wallet),
+      recentTransactions: transactions.slice(0, 5),
+      earningRate: {
+        daily: Math.round(monthly / 30),
+        weekly: earnedSince(7),
+        monthly
+      },
+      topSources: summarizeSources(transactions).slice(0, 5)
+    };
+  });
+
+  router.get('/baraka/tier', ({ db, userId }) => buildTier(ensureLearner(db, userId).wallet));
+
+  router.get('/baraka/transactions', ({ db, userId, query }) => {
+    const { type, startDate, endDate, sortOrder = 'desc' } = query;
+    let transactions = [...ensureLearner(db, userId).transactions];
+
+    if (type) transactions = transactions.filter(t => t.type === type);
+    if (startDate) transactions = transactions.filter(t => t.createdAt >= startDate);
+    if (endDate) transactions = transactions.filter(t => t.createdAt <= endDate);
+    if (sortOrder === 'asc') transactions.reverse();
+
+    const { items, pagination } = paginate(transactions, query);
+    return { transactions: items, pagination };
+  });
+
+  router.get('/baraka/transactions/summary', ({ db, userId, query }) => {
+    const period = query.period || '30d';
+    const transactions = inPeriod(ensureLearner(db, userId).transactions, period);
+    const totalEarned = transactions.filter(t => t.amount > 0).reduce((sum, t) => sum + t.amount, 0);
+    const totalSpent = transactions.filter(t => t.amount < 0).reduce((sum, t) => sum - t.amount, 0);
+
+    const byType = {};
+    transactions.forEach(t => {
+      byType[t.type] = byType[t.type] || { count: 0, total: 0 };
+      byType[t.type].count += 1;
+      byType[t.type].total += t.amount;
+    });
+
+    return {
+      period,
+      totalEarned,
+      totalSpent,
+      netChange: totalEarned - totalSpent,
+      transactionCount: transactions.length,
+      byType
+    };
+  });
+
+  router.get('/baraka/transactions/:id', ({ db, userId, params }) => {
+    const transaction = ensureLearner(db, userId).transactions.find(t => t.id === params.id);
+    if (!transaction) throw notFound('Transaction', params.id);
+    return transaction;
+  });
+
+  router.post('/baraka/earn', ({ db, userId, body }) => {
+    if (!body.source) throw mockError(400, 'Earning source is required', { code: 'INVALID_INPUT' });
+    const transaction = creditBaraka(db, userId, body.amount, {
+      type: `earn_${body.source.split('_')[0]}`,
+      source: body.source,
+      description: body.metadata?.description || `Earned from ${body.source.replace(/_/g, ' ')}`,
+      metadata: body.metadata
+    });
+    const { wallet } = ensureLearner(db, userId);
+
+    return {
+      transactionId: transaction.id,
+      amount: transaction.amount,
+      source: body.source,
+      newBalance: wallet.available,
+      tier: getBarakaTier(wallet.available)
+    };
+  });
+
+  router.post('/baraka/spend', ({ db, userId, body }) => {
+    if (!body.purpose) throw mockError(400, 'Spending purpose is required', { code: 'INVALID_INPUT' });
+    const transaction = debitBaraka(db, userId, body.amount, {
+      type: 'spend_purchase',
+      source: body.purpose,
+      description: body.metadata?.description || `Spent on ${body.purpose.replace(/_/g, ' ')}`,
+      metadata: body.metadata
+    });
+
+    return {
+      transactionId: transaction.id,
+      amount: -transaction.amount,
+      purpose: body.purpose,
+      newBalance: transaction.balance
+    };
+  });
+
+  router.get('/baraka/opportunities', ({ db }) => ({ opportunities: db.earnOpportunities }));
+
+  router.get('/baraka/store', ({ db, query }) => ({
+    items: query.category ? db.storeItems.filter(i => i.category === query.category) : db.storeItems,
+    categories: STORE_CATEGORIES
+  }));
+
+  router.get('/baraka/store/:id', ({ db, params }) => requireStoreItem(db, params.id));
+
+  router.post('/baraka/purchase', ({ db, userId, body }) => {
+    const item = requireStoreItem(db, body.itemId);
+    const quantity = Math.max(1, Number(body.quantity) || 1);
+    if (item.stock < quantity) {
+      throw mockError(409, 'Item is out of stock', { code: 'OUT_OF_STOCK', itemId: item.id, stock: item.stock });
+    }
+
+    const totalCost = item.price * quantity;
+    const transaction = debitBaraka(db, userId, totalCost, {
+      type: 'spend_purchase',
+      source: 'store_purchase',
+      description: `Store: ${item.name}${quantity > 1 ? ` x${quantity}` : ''}`,
+      metadata: { itemId: item.id, itemName: item.name, quantity }
+    });
+    item.stock -= quantity;
+
+    return {
+      transactionId: transaction.id,
+      itemId: item.id,
+      quantity,
+      totalCost,
+      item,
+      newBalance: transaction.balance
+    };
+  });
+
+  router.post('/baraka/withdraw', ({ db, userId, body }) => {
+    const method = db.withdrawalMethods.find(m => m.id === body.method);
+    if (!method) throw mockError(400, 'Unsupported withdrawal method', { code: 'INVALID_INPUT', method: body.method });
+
+    const amount = Number(body.amount);
+    if (amount < method.minAmount || amount > method.maxAmount) {
+      throw mockError(400, `Withdrawals via ${method.name} must be between ${method.minAmount} and ${method.maxAmount}`, {
+        code: 'INVALID_AMOUNT',
+        minAmount: method.minAmount,
+        maxAmount: method.maxAmount
+      });
+    }
+
+    const learner = ensureLearner(db, userId);
+    const withdrawal = {
+      id: nextId(db, 'wd'),
+      amount,
+      method: method.id,
+      currency: body.currency || 'USD',
+      status: 'pending',
+      accountDetails: body.accountDetails || {},
+      createdAt: nowISO(),
+      estimatedCompletion: offsetISO(3 * DAY)
+    };
+    const transaction = debitBaraka(db, userId, amount, {
+      type: 'withdraw',
+      source: 'withdrawal',
+      description: `Withdrawal via ${method.name}`,
+      metadata: { withdrawalId: withdrawal.id, method: method.id }
+    });
+    learner.wallet.pending += amount;
+    learner.withdrawals.unshift(withdrawal);
+
+    return {
+      withdrawalId: withdrawal.id,
+      amount,
+      method: method.id,
+      currency: withdrawal.currency,
+      status: withdrawal.status,
+      estimatedCompletion: withdrawal.estimatedCompletion,
+      newBalance: transaction.balance
+    };
+  });
+
+  router.get('/baraka/withdraw/history', ({ db, userId, query }) => {
+    const { items, pagination } = paginate(ensureLearner(db, userId).withdrawals, query);
+    return { withdrawals: items, pagination };
+  });
+
+  router.get('/baraka/withdraw/methods', ({ db }) => ({ methods: db.withdrawalMethods }));
+
+  router.post('/baraka/withdraw/:id/cancel', ({ db, userId, params }) => {
+    const learner = ensureLearner(db, userId);
+    const withdrawal = learner.withdrawals.find(w => w.id === params.id);
+    if (!withdrawal) throw notFound('Withdrawal', params.id);
+    if (withdrawal.status !== 'pending') {
+      throw mockError(409, 'Only pending withdrawals can be cancelled', { code: 'WITHDRAWAL_NOT_PENDING', status: withdrawal.status });
+    }
+
+    withdrawal.status = 'cancelled';
+    withdrawal.cancelledAt = nowISO();
+    learner.wallet.pending = Math.max(0, learner.wallet.pending - withdrawal.amount);
+    creditBaraka(db, userId, withdrawal.amount, {
+      type: 'refund',
+      source: 'withdrawal_cancelled',
+      description: `Withdrawal ${withdrawal.id} cancelled`,
+      metadata: { withdrawalId: withdrawal.id }
+    });
+
+    return { success: true, withdrawalId: withdrawal.id, status: withdrawal.status };
+  });
+
+  router.get('/baraka/transfer/limits', ({ db, userId }) => getAllowance(db, userId));
+
+  router.post('/baraka/transfer', ({ db, userId, body }) => {
+    if (body.recipientId === userId) {
+      throw mockError(400, 'You cannot transfer Baraka to yourself', { code: 'INVALID_RECIPIENT' });
+    }
+    requireUser(db, body.recipientId);
+    requireAllowance(db, userId, body.amount);
+    const { transferId, transaction } = postTransfer(db, userId, body.recipientId, body.amount, {
+      message: body.message || ''
+    });
+
+    return {
+      transferId,
+      amount: -transaction.amount,
+      recipientId: body.recipientId,
+      message: body.message,
+      newBalance: transaction.balance,
+      limits: getAllowance(db, userId),
+      status: 'completed'
+    };
+  });
+
+  router.get('/baraka/requests', ({ db, userId, query }) => {
+    const matches = (request) => !query.status || request.status === query.status;
+    return {
+      incoming: db.barakaRequests.filter(r => r.payerId === userId && matches(r)).map(r => toRequestView(db, r)),
+      outgoing: db.barakaRequests.filter(r => r.requesterId === userId && matches(r)).map(r => toRequestView(db, r))
+    };
+  });
+
+  router.post('/baraka/requests', ({ db, userId, body }) => {
+    if (body.payerId === userId) {
+      throw mockError(400, 'You cannot request Baraka from yourself', { code: 'INVALID_RECIPIENT' });
+    }
+    requireUser(db, body.payerId);
+    if (body.partyId) requireSharedParty(db, body.partyId, [userId, body.payerId]);
+
+    const request = createRequest(db, userId, {
+      payerId: body.payerId,
+      amount: requireAmount(body.amount),
+      message: body.message,
+      partyId: body.partyId
+    });
+    return toRequestView(db, request);
+  });
+
+  router.post('/baraka/requests/:id/pay', ({ db, userId, params }) => {
+    const request = requirePendingRequest(db, params.id, userId, 'payerId');
+    requireAllowance(db, userId, request.amount);
+    const { transferId, transaction } = postTransfer(db, userId, request.requesterId, request.amount, {
+      message: request.message,
+      metadata: { requestId: request.id }
+    });
+    request.status = REQUEST_STATUS.PAID;
+    request.respondedAt = nowISO();
+    request.transferId = transferId;
+
+    return {
+      request: toRequestView(db, request),
+      newBalance: transaction.balance,
+      limits: getAllowance(db, userId)
+    };
+  });
+
+  router.post('/baraka/requests/:id/decline', ({ db, userId, params }) => {
+    const request = requirePendingRequest(db, params.id, userId, 'payerId');
+    request.status = REQUEST_STATUS.DECLINED;
+    request.respondedAt = nowISO();
+    pushNotification(db, request.requesterId, {
+      type: 'baraka_requested',
+      category: 'baraka',
+      title: 'Baraka Request Declined',
+      message: `${requireUser(db, userId).displayName} declined your request for ${request.amount} Baraka`,
+      actionUrl: '/baraka',
+      metadata: { requestId: request.id, amount: request.amount }
+    });
+    return { request: toRequestView(db, request) };
+  });
+
+  router.post('/baraka/requests/:id/cancel', ({ db, userId, params }) => {
+    const request = requirePendingRequest(db, params.id, userId, 'requesterId');
+    request.status = REQUEST_STATUS.CANCELLED;
+    request.respondedAt = nowISO();
+    return { request: toRequestView(db, request) };
+  });
+
+  router.post('/baraka/splits', ({ db, userId, body }) => {
+    const participantIds = [...new Set(body.participantIds || [])].filter(id => id !== userId);
+    if (!participantIds.length) {
+      throw mockError(400, 'Choose at least one party member to split with', { code: 'INVALID_INPUT' });
+    }
+    const party = requireSharedParty(db, body.partyId, [userId, ...participantIds]);
+    const item = requireStoreItem(db, body.itemId);
+    const quantity = Math.max(1, Number(body.quantity) || 1);
+    if (item.stock < quantity) {
+      throw mockError(409, 'Item is out of stock', { code: 'OUT_OF_STOCK', itemId: item.id, stock: item.stock });
+    }
+
+    const splitId = nextId(db, 'split');
+    const totalCost = item.price * quantity;
+    const itemName = `${item.name}${quantity > 1 ? ` x${quantity}` : ''}`;
+    // The buyer pays up front and is listed first, so covers any rounding
+    const [own, ...shares] = splitBill(totalCost, [userId, ...participantIds]);
+    const transaction = debitBaraka(db, userId, totalCost, {
+      type: 'spend_purchase',
+      source: 'store_purchase',
+      description: `Store: ${itemName} (split)`,
+      metadata: { itemId: item.id, itemName: item.name, quantity, splitId, partyId: party.id }
+    });
+    item.stock -= quantity;
+
+    const requests = shares.map(share => createRequest(db, userId, {
+      payerId: share.userId,
+      amount: share.amount,
+      message: `Your share of ${itemName}`,
+      partyId: party.id,
+      splitId,
+      itemId: item.id
+    }));
+
+    return {
+      splitId,
+      item,
+      quantity,
+      totalCost,
+      ownShare: own.amount,
+      requests: requests.map(r => toRequestView(db, r)),
+      transactionId: transaction.id,
+      newBalance: transaction.balance
+    };
+  });
+
+  router.get('/baraka/escrow', ({ db, userId, query }) => {
+    const escrows = getUserEscrows(db, userId);
+    return {
+      escrows: query.status ? escrows.filter(e => e.status === query.status) : escrows,
+      balance: ensureLearner(db, userId).wallet.available
+    };
+  });
+
+  router.post('/baraka/escrow', ({ db, userId, body }) => {
+    if (body.recipientId === userId) {
+      throw mockError(400, 'You cannot hold Baraka in escrow for yourself', { code: 'INVALID_RECIPIENT' });
+    }
+    const party = requireSharedParty(db, body.partyId, [userId, body.recipientId]);
+    const task = party.tasks.find(t => t.id === body.taskId);
+    if (!task) throw notFound('Task', body.taskId);
+    if (task.status === 'completed' || task.status === 'cancelled') {
+      throw mockError(409, 'Escrow can only be held for an open task', { code: 'TASK_CLOSED', status: task.status });
+    }
+    const amount = requireAmount(body.amount);
+    requireAllowance(db, userId, amount);
+
+    const now = nowISO();
+    const escrow = {
+      id: nextId(db, 'esc'),
+      funderId: userId,
+      recipientId: body.recipientId,
+      partyId: party.id,
+      taskId: task.id,
+      taskTitle: task.title,
+      amount,
+      message: body.message || '',
+      status: ESCROW_STATUS.HELD,
+      expiresAt: getEscrowExpiry(task, now),
+      createdAt: now,
+      settledAt: null
+    };
+    const transaction = debitBaraka(db, userId, escrow.amount, {
+      type: 'escrow_hold',
+      source: 'escrow',
+      description: `Escrow: ${task.title}`,
+      metadata: { escrowId: escrow.id, partyId: party.id, taskId: task.id }
+    });
+    db.escrows.unshift(escrow);
+    pushNotification(db, escrow.recipientId, {
+      type: 'baraka_escrow',
+      category: 'baraka',
+      title: 'Baraka In Escrow',
+      message: `${requireUser(db, userId).displayName} is holding ${escrow.amount} Baraka for you until "${task.title}" is done`,
+      actionUrl: '/baraka',
+      metadata: { escrowId: escrow.id, amount: escrow.amount }
+    });
+
+    return { escrow, newBalance: transaction.balance, limits: getAllowance(db, userId) };
+  });
+
+  router.post('/baraka/escrow/:id/release', ({ db, userId, params }) => {
+    const escrow = requireHeldEscrow(db, params.id, userId);
+    if (!getEscrowActions(escrow, userId).canRelease) {
+      throw mockError(403, 'Only the funder can release escrow early', { code: 'NOT_ESCROW_FUNDER', escrowId: escrow.id });
+    }
+    settleEscrow(db, escrow, ESCROW_STATUS.RELEASED);
+    return { escrow, newBalance: ensureLearner(db, userId).wallet.available };
+  });
+
+  router.post('/baraka/escrow/:id/refund', ({ db, userId, params }) => {
+    const escrow = requireHeldEscrow(db, params.id, userId);
+    settleEscrow(db, escrow, ESCROW_STATUS.REFUNDED);
+    return { escrow, newBalance: ensureLearner(db, userId).wallet.available };
+  });
+
+  router.get('/baraka/covenant', ({ db, userId }) => {
+    const { covenant } = ensureLearner(db, userId);
+    return {
+      totalContributed: covenant.totalContributed,
+      totalReturned: covenant.totalReturned,
+      returnRate: PSB_CONFIG.COVENANT_RETURN,
+      nextReturnDate: offsetISO(7 * DAY),
+      poolSize: db.covenantPool.poolSize,
+      participants: db.covenantPool.participants
+    };
+  });
+
+  router.get('/baraka/covenant/history', ({ db, userId, query }) => {
+    const { items, pagination } = paginate(ensureLearner(db, userId).covenant.returns, query);
+    return { returns: items, pagination };
+  });
+};
+
+export default registerBarakaRoutes;
@@ -0,0 +1,323 @@
+/**
+ * GPS Lab Platform - Mock Bite Routes
+ *
+ * Bite workflow (start, pause, submit, complete), deliverables, notes,
+ * resources and reviews for the mock backend. Bite status lives on the
+ * learner's mission state so mission progress updates as bites complete.
+ *
+ * @module services/mock/routes/bite.routes
+ * @version 1.0.0
+ */
+
+import {
+  ensureLearner,
+  nextId,
+  requireBite,
+  getMissionStatus,
+  setBiteStatus,
+  completeBite
+} from '../mock.db';
+import { mockError, notFound, paginate, nowISO } from '../mock.utils';
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * Gets a learner's working state for a bite
+ * @param {Object} db - Mock database
+ * @param {string} userId - User ID
+ * @param {string} biteId - Bite ID
+ * @returns {Object} Bite work state
+ */
+const getBiteWork = (db, userId, biteId) => {
+  requireBite(db, biteId);
+  const learner = ensureLearner(db, userId);
+  if (!learner.bites[biteId]) {
+    learner.bites[biteId] = {
+      workSessions: [],
+      submission: null,
+      notes: [],
+      deliverables: [],
+      resources: [],
+      reviews: [],
+      progress: {}
+    };
+  }
+  return learner.bites[biteId];
+};
+
+/**
+ * Builds the learner-facing view of a bite
+ * @param {Object} db - Mock database
+ * @param {string} userId - User ID
+ * @param {string} biteId - Bite ID
+ * @returns {Object} Bite view
+ */
+const buildBiteView = (db, userId, biteId) => {
+  const { mission, bite } = requireBite(db, biteId);
+  const missionStatus = getMissionStatus(db, userId, mission.id);
+  const missionState = ensureLearner(db, userId).missions[mission.id];
+  const work = ensureLearner(db, userId).bites[biteId];
+
+  return {
+    ...bite,
+    missionTitle: mission.title,
+    stageNumber: mission.stageNumber,
+    status: missionStatus === 'locked' ? 'locked' : (missionState?.bites?.[biteId] || 'open'),
+    workSessions: work?.workSessions || [],
+    submission: work?.submission || null,
+    progress: work?.progress || {},
+    createdAt: mission.createdAt
+  };
+};
+
+/**
+ * Closes any open work session
+ * @param {Object} work - Bite work state
+ */
+const closeWorkSession = (work) => {
+  const open = work.workSessions.find(s => !s.endedAt);
+  if (open) open.endedAt = nowISO();
+};
+
+// =============================================================================
+// ROUTES
+// =============================================================================
+
+/**
+ * Registers bite routes
+ * @param {Object} router - Mock router
+ */
+export const registerBiteRoutes = (router) => {
+  router.get('/bites', ({ db, userId, query }) => {
+    const { missions } = ensureLearner(db, userId);
+    let bites = Object.keys(missions)
+      .filter(missionId => !query.missionId || missionId === query.missionId)
+      .flatMap(missionId => Object.keys(missions[missionId].bites || {}))
+      .map(biteId => buildBiteView(db, userId, biteId));
+
+    if (query.status) bites = bites.filter(b => b.status === query.status);
+    const { items, pagination } = paginate(bites, query);
+    return { bites: items, pagination };
+  });
+
+  router.get('/bites/:id', ({ db, userId, params }) => buildBiteView(db, userId, params.id));
+
+  router.patch('/bites/:id', ({ db, userId, params, body }) => {
+    const work = getBiteWork(db, userId, params.id);
+    work.progress = { ...work.progress, ...body, updatedAt: nowISO() };
+    return buildBiteView(db, userId, params.id);
+  });
+
+  router.get('/bites/:id/criteria', ({ db, params }) => {
+    const { bite } = requireBite(db, params.id);
+    return {
+      biteId: bite.id,
+      criteria: [
+        { id: `${bite.id}_ac_1`, description: `Complete the ${bite.type} activity`, required: true },
+        { id: `${bite.id}_ac_2`, description: 'Record at least one insight in your notes', required: true },
+        { id: `${bite.id}_ac_3`, description: 'Connect the activity to your community context', required: false }
+      ]
+    };
+  });
+
+  router.get('/bites/:id/dependencies', ({ db, params }) => {
+    const { mission, bite } = requireBite(db, params.id);
+    const previous = mission.bites.filter(b => b.number < bite.number).map(b => b.id);
+    return { biteId: bite.id, dependsOn: previous, blocks: mission.bites.filter(b => b.number > bite.number).map(b => b.id) };
+  });
+
+  router.post('/bites/:id/start', ({ db, userId, params }) => {
+    setBiteStatus(db, userId, params.id, 'in_progress');
+    const work = getBiteWork(db, userId, params.id);
+    closeWorkSession(work);
+    work.workSessions.push({ startedAt: nowISO(), endedAt: null });
+    return buildBiteView(db, userId, params.id);
+  });
+
+  router.post('/bites/:id/pause', ({ db, userId, params }) => {
+    const work = getBiteWork(db, userId, params.id);
+    closeWorkSession(work);
+    return { ...buildBiteView(db, userId, params.id), paused: true };
+  });
+
+  router.post('/bites/:id/resume', ({ db, userId, params }) => {
+    const work = getBiteWork(db, userId, params.id);
+    closeWorkSession(work);
+    work.workSessions.push({ startedAt: nowISO(), endedAt: null });
+    return { ...buildBiteView(db, userId, params.id), paused: false };
+  });
+
+  router.post('/bites/:id/submit', ({ db, userId, params, body }) => {
+    setBiteStatus(db, userId, params.id, 'submitted');
+    const work = getBiteWork(db, userId, params.id);
+    closeWorkSession(work);
+    work.submission = { ...body, submittedAt: nowISO() };
+    return buildBiteView(db, userId, params.id);
+  });
+
+  router.post('/bites/:id/complete', ({ db, userId, params }) => {
+    const result = completeBite(db, userId, params.id);
+    closeWorkSession(getBiteWork(db, userId, params.id));
+    return { ...result, bite: buildBiteView(db, userId, params.id) };
+  });
+
+  router.get('/bites/:id/deliverables', ({ db, userId, params }) => {
+    const { deliverables } = getBiteWork(db, userId, params.id);
+    return { deliverables, total: deliverables.length };
+  });
+
+  router.post('/bites/:id/deliverables', ({ db, userId, params, body }) => {
+    requireBite(db, params.id);
+    if (!body.file) throw mockError(400, 'File is required', { code: 'INVALID_INPUT' });
+
+    let metadata = {};
+    try {
+      metadata = body.metadata ? JSON.parse(body.metadata) : {};
+    } catch (e) {
+      throw mockError(400, 'Invalid metadata', { code: 'INVALID_INPUT' });
+    }
+
+    const deliverable = {
+      id: nextId(db, 'dlv'),
+      biteId: params.id,
+      fileName: body.file.name || 'upload',
+      fileSize: body.file.size || 0,
+      mimeType: body.file.type || 'application/octet-stream',
+      url: `/mock/deliverables/${params.id}/${body.file.name || 'upload'}`,
+      metadata,
+      uploadedAt: nowISO()
+    };
+    getBiteWork(db, userId, params.id).deliverables.push(deliverable);
+    return deliverable;
+  });
+
+  router.delete('/bites/:id/deliverables/:deliverableId', ({ db, userId, params }) => {
+    const work = getBiteWork(db, userId, params.id);
+    const index = work.deliverables.findIndex(d => d.id === params.deliverableId);
+    if (index === -1) throw notFound('Deliverable', params.deliverableId);
+    work.deliverables.splice(index, 1);
+    return { success: true };
+  });
+
+  router.get('/bites/:id/notes', ({ db, userId, params }) => {
+    const { notes } = getBiteWork(db, userId, params.id);
+    return { notes, total: notes.length };
+  });
+
+  router.post('/bites/:id/notes', ({ db, userId, params, body }) => {
+    requireBite(db, params.id);
+    if (!body.content) throw mockError(400, 'Note content is required', { code: 'INVALID_INPUT' });
+    const note = {
+      id: nextId(db, 'note'),
+      biteId: params.id,
+      title: body.title || '',
+      content: body.content,
+      createdAt: nowISO(),
+      updatedAt: nowISO()
+    };
+    getBiteWork(db, userId, params.id).notes.push(note);
+    return note;
+  });
+
+  router.patch('/bites/:id/notes/:noteId', ({ db, userId, params, body }) => {
+    const note = getBiteWork(db, userId, params.id).notes.find(n => n.id === params.noteId);
+    if (!note) throw notFound('Note', params.noteId);
+    Object.assign(note, body, { id: note.id, biteId: note.biteId, updatedAt: nowISO() });
+    return note;
+  });
+
+  router.delete('/bites/:id/notes/:noteId', ({ db, userId, params }) => {
+    const work = getBiteWork(db, userId, params.id);
+    const index = work.notes.findIndex(n => n.id === params.noteId);
+    if (index === -1) throw notFound('Note', params.noteId);
+    work.notes.splice(index, 1);
+    return { success: true };
+  });
+
+  router.get('/bites/:id/resources', ({ db, userId, params }) => {
+    const { bite } = requireBite(db, params.id);
+    const { resources } = getBiteWork(db, userId, params.id);
+    return {
+      resources: [
+        { id: `${bite.id}_res_1`, title: `${bite.title} guide`, type: 'article', url: `/resources/${bite.id}/guide`, addedBy: 'system' },
+        ...resources
+      ]
+    };
+  });
+
+  router.post('/bites/:id/resources', ({ db, userId, params, body }) => {
+    requireBite(db, params.id);
+    if (!body.url) throw mockError(400, 'Resource URL is required', { code: 'INVALID_INPUT' });
+    const resource = {
+      id: nextId(db, 'res'),
+      title: body.title || body.url,
+      type: body.type || 'link',
+      url: body.url,
+      addedBy: userId,
+      createdAt: nowISO()
+    };
+    getBiteWork(db, userId, params.id).resources.push(resource);
+    return resource;
+  });
+
+  router.get('/bites/:id/reviews', ({ db, userId, params }) => {
+    const { reviews } = getBiteWork(db, userId, params.id);
+    return { reviews, total: reviews.length };
+  });
+
+  router.get('/bites/:id/reviews/ai', ({ db, userId, params }) => {
+    const work = getBiteWork(db, userId, params.id);
+    if (!work.submission) {
+      throw mockError(404, 'Submit the bite before requesting an AI review', { code: 'NOT_FOUND' });
+    }
+    return {
+      biteId: params.id,
+      score: 85,
+      summary: 'Clear work that meets the acceptance criteria. Add one concrete local example to strengthen it.',
+      strengths: ['Meets acceptance criteria', 'Clear reasoning'],
+      suggestions: ['Add a concrete local example'],
+      reviewedAt: work.submission.submittedAt
+    };
+  });
+
+  router.post('/bites/:id/reviews/peer', ({ db, userId, params, body }) => {
+    requireBite(db, params.id);
+    const request = {
+      id: nextId(db, 'rvq'),
+      biteId: params.id,
+      reviewerIds: body.reviewerIds || [],
+      status: 'pending',
+      requestedAt: nowISO()
+    };
+    getBiteWork(db, userId, params.id).reviews.push({ ...request, type: 'peer_request' });
+    return request;
+  });
+
+  router.post('/bites/:id/reviews/submit', ({ db, userId, params, body }) => {
+    requireBite(db, params.id);
+    const review = {
+      id: nextId(db, 'rev'),
+      biteId: params.id,
+      type: 'peer',
+      reviewerId: userId,
+      rating: body.rating ?? null,
+      comment: body.comment || '',
+      createdAt: nowISO()
+    };
+    getBiteWork(db, userId, params.id).reviews.push(review);
+    return review;
+  });
+
+  router.get('/bites/:id/feedback', ({ db, userId, params }) => {
+    const { reviews, submission } = getBiteWork(db, userId, params.id);
+    return {
+      biteId: params.id,
+      submitted: Boolean(submission),
+      feedback: reviews.filter(r => r.type === 'peer')
+    };
+  });
+};
+
+export default registerBiteRoutes;
@@ -0,0 +1,155 @@
+/**
+ * GPS Lab Platform - Mock Checkpoint Routes
+ *
+ * Checkpoint sessions, grading, hints, reviews and retries for the mock
+ * backend. Grading is deterministic: multiple choice is checked against the
+ * answer key and written answers are scored by length, so tests can pass
+ * or fail a checkpoint on purpose.
+ *
+ * @module services/mock/routes/checkpoint.routes
+ * @version 1.0.0
+ */
+
+import {
+  ensureLearner,
+  debitBaraka,
+  getCheckpointState,
+  buildCheckpointView,
+  startCheckpoint,
+  submitCheckpoint,
+  grantCheckpointRetry
+} from '../mock.db';
+import { mockError, notFound, paginate, nowISO } from '../mock.utils';
+
+// =============================================================================
+// ROUTES
+// =============================================================================
+
+/**
+ * Registers checkpoint routes
+ * @param {Object} router - Mock router
+ */
+export const registerCheckpointRoutes = (router) => {
+  router.get('/missions/:id/checkpoint', ({ db, userId, params }) => {
+    return buildCheckpointView(getCheckpointState(db, userId, params.id));
+  });
+
+  router.post('/missions/:id/checkpoint/start', ({ db, userId, params }) => {
+    return startCheckpoint(db, userId, params.id);
+  });
+
+  router.post('/missions/:id/checkpoint/submit', ({ db, userId, params, body }) => {
+    return submitCheckpoint(db, userId, params.id, body.answers);
+  });
+
+  router.get('/missions/:id/checkpoint/result', ({ db, userId, params }) => {
+    const checkpoint = getCheckpointState(db, userId, params.id);
+    return {
+      missionId: params.id,
+      status: checkpoint.status,
+      bestScore: checkpoint.bestScore,
+      attempts: checkpoint.attempts,
+      passed: checkpoint.status === 'passed'
+    };
+  });
+
+  router.get('/missions/:id/checkpoint/history', ({ db, userId, params, query }) => {
+    const { history } = getCheckpointState(db, userId, params.id);
+    const attempts = [...history].reverse().map(entry => ({ ...entry, missionId: params.id }));
+    const { items, pagination } = paginate(attempts, { page: query.page, limit: query.limit || 10 });
+    return { missionId: params.id, attempts: items, pagination };
+  });
+
+  router.get('/missions/:id/checkpoint/hints', ({ db, userId, params }) => {
+    const { hints } = getCheckpointState(db, userId, params.id);
+    return {
+      missionId: params.id,
+      hints: hints.map(h => ({
+        index: h.index,
+        cost: h.cost,
+        revealed: h.revealed,
+        text: h.revealed ? h.text : null
+      })),
+      total: hints.length,
+      revealed: hints.filter(h => h.revealed).length
+    };
+  });
+
+  router.post('/missions/:id/checkpoint/hints/:index', ({ db, userId, params }) => {
+    const checkpoint = getCheckpointState(db, userId, params.id);
+    const hint = checkpoint.hints.find(h => h.index === Number(params.index));
+    if (!hint) throw notFound('Hint', params.index);
+
+    if (!hint.revealed && hint.cost > 0) {
+      debitBaraka(db, userId, hint.cost, {
+        type: 'spend_purchase',
+        source: 'checkpoint_hint',
+        description: `Checkpoint hint: ${params.id}`,
+        metadata: { missionId: params.id, hintIndex: hint.index }
+      });
+    }
+    hint.revealed = true;
+
+    return { index: hint.index, text: hint.text, cost: hint.cost };
+  });
+
+  router.get('/missions/:id/checkpoint/review', ({ db, userId, params }) => {
+    const checkpoint = getCheckpointState(db, userId, params.id);
+    if (!checkpoint.history.length) {
+      throw mockError(404, 'No submission to review yet', { code: 'NOT_FOUND' });
+    }
+    return {
+      missionId: params.id,
+      score: checkpoint.bestScore || 0,
+      status: checkpoint.status,
+      feedback: 'You showed good understanding of the core concepts. Consider exploring systems mapping in more depth.',
+      strengths: ['Clear problem identification', 'Good use of examples'],
+      areasForImprovement: ['Deeper systems analysis', 'More stakeholder perspectives'],
+      reviewedAt: checkpoint.history[checkpoint.history.length - 1].submittedAt
+    };
+  });
+
+  router.post('/missions/:id/checkpoint/review/ai', ({ db, userId, params }) => {
+    const checkpoint = getCheckpointState(db, userId, params.id);
+    if (!checkpoint.history.length) {
+      throw mockError(404, 'No submission to review yet', { code: 'NOT_FOUND' });
+    }
+    const aiScore = checkpoint.bestScore || 0;
+    return {
+      missionId: params.id,
+      aiScore,
+      summary: 'Your submission demonstrates solid foundational understanding. The reflection section shows genuine personal connection to the material.',
+      detailedFeedback: [
+        { area: 'Conceptual Understanding', score: Math.min(100, aiScore + 3), comment: 'Strong grasp of core framework.' },
+        { area: 'Application', score: Math.max(0, aiScore - 4), comment: 'Good real-world connections. Try to be more specific.' },
+        { area: 'Critical Thinking', score: aiScore, comment: 'Evidence of deeper analysis. Push further.' }
+      ],
+      recommendations: [
+        'Revisit the systems mapping exercise in Bite 3',
+        'Try discussing your analysis with a party member for new perspectives'
+      ],
+      reviewedAt: nowISO()
+    };
+  });
+
+  router.get('/missions/:id/checkpoint/retry', ({ db, userId, params }) => {
+    const checkpoint = getCheckpointState(db, userId, params.id);
+    const { r2r } = ensureLearner(db, userId).study;
+    const available = checkpoint.status !== 'passed' && checkpoint.attempts > 0;
+    return {
+      missionId: params.id,
+      available,
+      attemptsUsed: checkpoint.attempts,
+      maxAttempts: checkpoint.maxAttempts,
+      cost: available ? checkpoint.retryCost * checkpoint.attempts : null,
+      pr2rAvailable: r2r.freeRetries + r2r.paidRetries > 0,
+      cooldownEnds: null
+    };
+  });
+
+  router.post('/missions/:id/checkpoint/retry', ({ db, userId, params, body }) => {
+    return grantCheckpointRetry(db, userId, params.id, { useR2R: Boolean(body.usePR2R) });
+  });
+};
+
+export default registerCheckpointRoutes;
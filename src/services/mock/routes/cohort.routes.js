@@ -0,0 +1,389 @@
+/**
+ * GPS Lab Platform - Mock University Cohort Routes
+ *
+ * The university partner portal: cohorts, bulk enrollment from a roster
+ * CSV and per-student GPS 101 progress. University staff only see their
+ * own university's cohorts; admins see every university's, optionally
+ * narrowed with `universityId`. Progress and at-risk flags are worked out
+ * with cohort.helper so the portal and the mock agree, and report metrics
+ * with report.helper.
+ *
+ * @module services/mock/routes/cohort.routes
+ * @version 1.0.0
+ */
+
+import { ADMIN_ROLES, requireRole, createUser, nextId, pushNotification } from '../mock.db';
+import { mockError, notFound, matchesSearch, clone, nowISO } from '../mock.utils';
+import {
+  PROGRESS_STATUS,
+  getPacingStart,
+  getStudentProgress,
+  getStageBreakdown,
+  summarizeCohort,
+  parseRoster
+} from '../../../utils/helpers/cohort.helper';
+import {
+  validateReportRange,
+  calculateStudentMetrics,
+  summarizeReport,
+  countDeliverablesByStage,
+  buildReportTimeline
+} from '../../../utils/helpers/report.helper';
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+const BASE = '/university';
+
+const UNIVERSITY_ROLES = ['university', ...ADMIN_ROLES];
+
+const COHORT_STATUSES = ['active', 'archived'];
+
+/**
+ * Requires a portal user and works out which university they act for
+ * @param {Object} db - Mock database
+ * @param {string} userId - Acting user
+ * @param {string} [universityId] - University an admin asked for
+ * @returns {Object} { user, universityId } (universityId is null for admins viewing every university)
+ * @throws {MockHttpError} 403 for learners, or staff without a university
+ */
+const requirePortalScope = (db, userId, universityId) => {
+  const user = requireRole(db, userId, UNIVERSITY_ROLES);
+  if (ADMIN_ROLES.includes(user.role)) {
+    return { user, universityId: universityId || null };
+  }
+  if (!user.university?.id) {
+    throw mockError(403, 'Your account is not linked to a university', { code: 'NO_UNIVERSITY' });
+  }
+  return { user, universityId: user.university.id };
+};
+
+/**
+ * Finds a cohort the acting user can see
+ * @param {Object} db - Mock database
+ * @param {Object} scope - From requirePortalScope
+ * @param {string} cohortId - Cohort ID
+ * @returns {Object} Cohort
+ * @throws {MockHttpError} 404 when missing or at another university
+ */
+const requireCohort = (db, scope, cohortId) => {
+  const cohort = db.cohorts.find(c => c.id === cohortId);
+  if (!cohort || (scope.universityId && cohort.universityId !== scope.universityId)) {
+    throw notFound('Cohort', cohortId);
+  }
+  return cohort;
+};
+
+/**
+ * Finds a university by ID
+ * @param {Object} db - Mock database
+ * @param {string} universityId - University ID
+ * @returns {Object} University
+ * @throws {MockHttpError} 404 when missing
+ */
+const requireUniversity = (db, universityId) => {
+  const university = db.universities.find(u => u.id === universityId);
+  if (!university) throw notFound('University', universityId);
+  return university;
+};
+
+/**
+ * Builds a student row with their GPS 101 progress
+ * @param {Object} db - Mock database
+ * @param {Object} cohort - Cohort
+ * @param {Object} member - Cohort member
+ * @returns {Object} Student
+ */
+const toStudent = (db, cohort, member) => {
+  const user = db.users.find(u => u.id === member.userId);
+  const record = db.learners[member.userId]?.gps101 || {};
+  return {
+    id: member.userId,
+    displayName: user?.displayName || 'Unknown student',
+    email: user?.email || null,
+    studentNumber: member.studentNumber || null,
+    enrolledAt: member.enrolledAt,
+    invited: member.invited,
+    progress: getStudentProgress(record, getPacingStart(cohort, member))
+  };
+};
+
+/**
+ * Builds the list view of a cohort with its progress summary
+ * @param {Object} db - Mock database
+ * @param {Object} cohort - Cohort
+ * @returns {Object} Cohort summary
+ */
+const toCohortSummary = (db, cohort) => {
+  const { members, ...fields } = cohort;
+  const university = db.universities.find(u => u.id === cohort.universityId);
+  return {
+    ...clone(fields),
+    universityName: university?.name || null,
+    summary: summarizeCohort(members.map(m => toStudent(db, cohort, m)))
+  };
+};
+
+/**
+ * Builds the full view of a cohort with every student's progress
+ * @param {Object} db - Mock database
+ * @param {Object} cohort - Cohort
+ * @returns {Object} { cohort, students }
+ */
+const toCohortDetail = (db, cohort) => ({
+  cohort: toCohortSummary(db, cohort),
+  students: cohort.members.map(m => toStudent(db, cohort, m))
+});
+
+/**
+ * Validates cohort fields
+ * @param {Object} fields - { name, code, term, description, startDate, endDate, status }
+ * @param {Object} [existing] - Cohort being edited
+ * @returns {Object} Cleaned fields
+ * @throws {MockHttpError} 422 with field errors
+ */
+const validateCohortFields = (fields, existing = null) => {
+  const merged = { ...existing, ...fields };
+  const errors = {};
+  const name = String(merged.name || '').trim();
+  const startTime = Date.parse(merged.startDate);
+  const endTime = merged.endDate ? Date.parse(merged.endDate) : null;
+
+  if (!name) errors.name = 'Name is required';
+  if (Number.isNaN(startTime)) errors.startDate = 'Start date is required';
+  if (endTime !== null && (Number.isNaN(endTime) || endTime <= startTime)) {
+    errors.endDate = 'End date must be after the start date';
+  }
+  if (merged.status && !COHORT_STATUSES.includes(merged.status)) {
+    errors.status = `Status must be one of: ${COHORT_STATUSES.join(', ')}`;
+  }
+  if (Object.keys(errors).length > 0) {
+    throw mockError(422, 'Please fix the highlighted fields', { code: 'VALIDATION_ERROR', errors });
+  }
+
+  return {
+    name,
+    code: String(merged.code || '').trim(),
+    term: String(merged.term || '').trim(),
+    description: String(merged.description || '').trim(),
+    startDate: new Date(startTime).toISOString(),
+    endDate: endTime === null ? null : new Date(endTime).toISOString(),
+    status: merged.status || 'active'
+  };
+};
+
+/**
+ * Works out what a roster import would do
+ * @param {Object} db - Mock database
+ * @param {Object} cohort - Cohort
+ * @param {string} csv - Roster CSV
+ * @returns {Object} { enroll: [], invite: [], skipped: [], errors: [] }
+ */
+const planRosterImport = (db, cohort, csv) => {
+  const { rows, errors } = parseRoster(csv);
+  const plan = { enroll: [], invite: [], skipped: [], errors: [...errors] };
+
+  rows.forEach(row => {
+    const user = db.users.find(u => u.email === row.email);
+    if (!user) {
+      plan.invite.push(row);
+    } else if (user.role !== 'student') {
+      plan.errors.push({ row: row.row, email: row.email, message: `${row.email} is not a student account` });
+    } else if (user.university?.id && user.university.id !== cohort.universityId) {
+      plan.errors.push({ row: row.row, email: row.email, message: `${row.email} is a student at ${user.university.name}` });
+    } else if (cohort.members.some(m => m.userId === user.id)) {
+      plan.skipped.push({ ...row, userId: user.id, reason: 'Already in this cohort' });
+    } else {
+      plan.enroll.push({ ...row, userId: user.id, displayName: user.displayName });
+    }
+  });
+  return plan;
+};
+
+/**
+ * Adds a student to a cohort and tells them about it
+ * @param {Object} db - Mock database
+ * @param {Object} cohort - Cohort
+ * @param {Object} user - Student
+ * @param {Object} row - Roster row
+ * @param {boolean} invited - Whether the account was created by the import
+ */
+const enrollStudent = (db, cohort, user, row, invited) => {
+  const university = requireUniversity(db, cohort.universityId);
+  if (!user.university) {
+    user.university = { id: university.id, name: university.name, code: university.code };
+  }
+  cohort.members.push({
+    userId: user.id,
+    studentNumber: row.studentNumber || null,
+    enrolledAt: nowISO(),
+    invited
+  });
+  pushNotification(db, user.id, {
+    type: 'cohort_enrolled',
+    category: 'system',
+    title: `You joined ${cohort.name}`,
+    message: `${university.name} enrolled you in ${cohort.name}. Your GPS 101 progress is now shared with the cohort.`,
+    actionUrl: '/gps101'
+  });
+};
+
+// =============================================================================
+// ROUTES
+// =============================================================================
+
+/**
+ * Registers university cohort routes
+ * @param {Object} router - Mock router
+ */
+export const registerCohortRoutes = (router) => {
+  router.get(`${BASE}/overview`, ({ db, userId, query }) => {
+    const scope = requirePortalScope(db, userId, query.universityId);
+    const cohorts = db.cohorts.filter(c => !scope.universityId || c.universityId === scope.universityId);
+    const active = cohorts.filter(c => c.status === 'active');
+
+    const students = active.flatMap(cohort => cohort.members.map(m => ({
+      ...toStudent(db, cohort, m),
+      cohortId: cohort.id,
+      cohortName: cohort.name
+    })));
+    const atRisk = students
+      .filter(s => s.progress.status === PROGRESS_STATUS.AT_RISK)
+      .sort((a, b) => b.progress.weeksBehind - a.progress.weeksBehind);
+
+    return {
+      university: scope.universityId ? clone(requireUniversity(db, scope.universityId)) : null,
+      summary: summarizeCohort(students),
+      cohorts: active.map(c => toCohortSummary(db, c)),
+      atRisk: atRisk.slice(0, 10),
+      totalAtRisk: atRisk.length
+    };
+  });
+
+  router.get(`${BASE}/cohorts`, ({ db, userId, query }) => {
+    const scope = requirePortalScope(db, userId, query.universityId);
+    const cohorts = db.cohorts
+      .filter(c => !scope.universityId || c.universityId === scope.universityId)
+      .filter(c => !query.status || c.status === query.status)
+      .filter(c => matchesSearch(c, query.q, ['name', 'code', 'term']))
+      .sort((a, b) => new Date(b.startDate) - new Date(a.startDate));
+
+    return { cohorts: cohorts.map(c => toCohortSummary(db, c)), total: cohorts.length };
+  });
+
+  router.post(`${BASE}/cohorts`, ({ db, userId, body }) => {
+    const scope = requirePortalScope(db, userId, body.universityId);
+    if (!scope.universityId) {
+      throw mockError(400, 'Choose the university this cohort belongs to', { code: 'UNIVERSITY_REQUIRED' });
+    }
+    requireUniversity(db, scope.universityId);
+
+    const cohort = {
+      id: nextId(db, 'coh'),
+      universityId: scope.universityId,
+      ...validateCohortFields({ ...body, status: 'active' }),
+      members: [],
+      createdBy: userId,
+      createdAt: nowISO(),
+      updatedAt: nowISO()
+    };
+    db.cohorts.push(cohort);
+    return toCohortDetail(db, cohort);
+  });
+
+  router.get(`${BASE}/cohorts/:id`, ({ db, userId, params }) => {
+    const cohort = requireCohort(db, requirePortalScope(db, userId), params.id);
+    return toCohortDetail(db, cohort);
+  });
+
+  router.patch(`${BASE}/cohorts/:id`, ({ db, userId, params, body }) => {
+    const cohort = requireCohort(db, requirePortalScope(db, userId), params.id);
+    Object.assign(cohort, validateCohortFields(body, cohort), { updatedAt: nowISO() });
+    return toCohortDetail(db, cohort);
+  });
+
+  router.post(`${BASE}/cohorts/:id/students/import`, ({ db, userId, params, body }) => {
+    const cohort = requireCohort(db, requirePortalScope(db, userId), params.id);
+    if (cohort.status !== 'active') {
+      throw mockError(409, 'Archived cohorts cannot take new students', { code: 'COHORT_ARCHIVED' });
+    }
+
+    const plan = planRosterImport(db, cohort, String(body.csv || ''));
+    const result = {
+      dryRun: !!body.dryRun,
+      enrolled: plan.enroll.map(({ row, email, displayName, userId: id }) => ({ row, email, displayName, userId: id })),
+      invited: plan.invite.map(({ row, email, firstName, lastName }) => ({ row, email, firstName, lastName })),
+      skipped: plan.skipped.map(({ row, email, reason }) => ({ row, email, reason })),
+      errors: plan.errors
+    };
+    if (body.dryRun) return result;
+
+    plan.enroll.forEach(row => {
+      enrollStudent(db, cohort, db.users.find(u => u.id === row.userId), row, false);
+    });
+    plan.invite.forEach((row, i) => {
+      const user = createUser(db, { email: row.email, firstName: row.firstName, lastName: row.lastName });
+      Object.assign(user, { status: 'offline', lastLoginAt: null });
+      result.invited[i].userId = user.id;
+      enrollStudent(db, cohort, user, row, true);
+    });
+    cohort.updatedAt = nowISO();
+
+    return { ...result, ...toCohortDetail(db, cohort) };
+  });
+
+  router.delete(`${BASE}/cohorts/:id/students/:studentId`, ({ db, userId, params }) => {
+    const cohort = requireCohort(db, requirePortalScope(db, userId), params.id);
+    const index = cohort.members.findIndex(m => m.userId === params.studentId);
+    if (index === -1) throw notFound('Student', params.studentId);
+
+    cohort.members.splice(index, 1);
+    cohort.updatedAt = nowISO();
+    return toCohortDetail(db, cohort);
+  });
+
+  router.get(`${BASE}/cohorts/:id/students/:studentId`, ({ db, userId, params }) => {
+    const cohort = requireCohort(db, requirePortalScope(db, userId), params.id);
+    const member = cohort.members.find(m => m.userId === params.studentId);
+    if (!member) throw notFound('Student', params.studentId);
+
+    const record = db.learners[member.userId]?.gps101 || {};
+    return {
+      cohort: { id: cohort.id, name: cohort.name, startDate: cohort.startDate },
+      student: toStudent(db, cohort, member),
+      stages: getStageBreakdown(record)
+    };
+  });
+
+  router.get(`${BASE}/cohorts/:id/report`, ({ db, userId, params, query }) => {
+    const cohort = requireCohort(db, requirePortalScope(db, userId), params.id);
+    const range = {
+      from: query.from || cohort.startDate,
+      to: query.to || nowISO()
+    };
+    const errors = validateReportRange(range);
+    if (errors) {
+      throw mockError(422, 'Please fix the report dates', { code: 'VALIDATION_ERROR', errors });
+    }
+    range.from = new Date(range.from).toISOString();
+    range.to = new Date(range.to).toISOString();
+
+    const records = cohort.members.map(m => db.learners[m.userId]?.gps101 || {});
+    const students = cohort.members.map((m, i) => ({
+      ...toStudent(db, cohort, m),
+      metrics: calculateStudentMetrics(records[i], db.learners[m.userId]?.characterBadges, range)
+    }));
+
+    return {
+      cohort: toCohortSummary(db, cohort),
+      range,
+      generatedAt: nowISO(),
+      students,
+      summary: summarizeReport(students, countDeliverablesByStage(records, range)),
+      timeline: buildReportTimeline(records, range)
+    };
+  });
+};
+
+export default registerCohortRoutes;
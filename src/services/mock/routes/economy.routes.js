@@ -0,0 +1,137 @@
+/**
+ * GPS Lab Platform - Mock Economy Routes
+ *
+ * The game economy config: anyone can read the active config (the app
+ * loads it at start-up); admins preview a change against the current
+ * learners and published curriculum, and save it with a reason. Saves are
+ * refused if someone else saved since the config was loaded, and every
+ * save is written to the audit log with the settings it changed.
+ *
+ * @module services/mock/routes/economy.routes
+ * @version 1.0.0
+ */
+
+import { ADMIN_ROLES, requireRole, findUser, recordAudit } from '../mock.db';
+import { mockError, clone, nowISO } from '../mock.utils';
+import { validateEconomyConfig } from '../../../utils/validators/economy.validator';
+import { getEconomyImpact, diffEconomyConfigs } from '../../../utils/helpers/economy.helper';
+import { countCurriculum } from '../../../utils/helpers/curriculum.helper';
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+const BASE = '/economy';
+const ADMIN_BASE = '/admin/economy';
+
+/**
+ * Builds the response for the current config
+ * @param {Object} db - Mock database
+ * @returns {Object} { config, revision, updatedAt, updatedBy }
+ */
+const toEconomyResponse = (db) => {
+  const { config, revision, updatedAt, updatedBy } = db.economy;
+  const editor = findUser(db, updatedBy);
+  return {
+    config: clone(config),
+    revision,
+    updatedAt,
+    updatedBy: editor ? { id: editor.id, displayName: editor.displayName } : null
+  };
+};
+
+/**
+ * Requires a config that passes validation
+ * @param {Object} config - Proposed config
+ * @returns {Object} The config
+ * @throws {MockHttpError} 422 with the validation errors
+ */
+const requireValidConfig = (config) => {
+  const { valid, errors } = validateEconomyConfig(config);
+  if (!valid) {
+    throw mockError(422, 'The economy config has errors to fix', { code: 'INVALID_ECONOMY_CONFIG', errors });
+  }
+  return config;
+};
+
+/**
+ * Works out the impact of a proposed config on the current data
+ * @param {Object} db - Mock database
+ * @param {Object} proposed - Proposed config
+ * @returns {Object} Impact (see economy.helper getEconomyImpact)
+ */
+const previewImpact = (db, proposed) => {
+  const learners = db.users
+    .filter(u => u.role === 'student')
+    .map(u => ({ id: u.id, name: u.displayName, xp: u.stats.xp }));
+  const published = db.curriculumVersions.find(v => v.status === 'published');
+
+  return getEconomyImpact(db.economy.config, proposed, {
+    learners,
+    counts: published ? countCurriculum(published) : undefined
+  });
+};
+
+// =============================================================================
+// ROUTES
+// =============================================================================
+
+/**
+ * Registers economy routes
+ * @param {Object} router - Mock router
+ */
+export const registerEconomyRoutes = (router) => {
+  router.get(`${BASE}/config`, ({ db }) => toEconomyResponse(db));
+
+  // ==================== ADMIN ====================
+
+  router.post(`${ADMIN_BASE}/config/preview`, ({ db, userId, body }) => {
+    requireRole(db, userId, ADMIN_ROLES);
+    return previewImpact(db, requireValidConfig(body.config));
+  });
+
+  router.put(`${ADMIN_BASE}/config`, ({ db, userId, body }) => {
+    requireRole(db, userId, ADMIN_ROLES);
+    const reason = String(body.reason || '').trim();
+    if (!reason) {
+      throw mockError(400, 'A reason is required for this change', { code: 'REASON_REQUIRED' });
+    }
+    if (body.updatedAt && body.updatedAt !== db.economy.updatedAt) {
+      throw mockError(409, 'The economy config was changed by someone else since you opened it', {
+        code: 'ECONOMY_CONFIG_CONFLICT',
+        revision: db.economy.revision,
+        updatedAt: db.economy.updatedAt,
+        updatedBy: db.economy.updatedBy
+      });
+    }
+
+    const proposed = requireValidConfig(body.config);
+    const changes = diffEconomyConfigs(db.economy.config, proposed);
+    if (changes.length === 0) {
+      throw mockError(400, 'Nothing has changed', { code: 'NO_CHANGES' });
+    }
+
+    db.economy = {
+      config: clone(proposed),
+      revision: db.economy.revision + 1,
+      updatedBy: userId,
+      updatedAt: nowISO()
+    };
+
+    const audit = recordAudit(db, userId, {
+      action: 'economy_config_updated',
+      targetType: 'economy',
+      targetId: `economy_r${db.economy.revision}`,
+      targetName: `Economy revision ${db.economy.revision}`,
+      reason,
+      details: {
+        revision: db.economy.revision,
+        changes: changes.map(({ path, before, after }) => ({ path, before, after }))
+      }
+    });
+
+    return { ...toEconomyResponse(db), audit: clone(audit) };
+  });
+};
+
+export default registerEconomyRoutes;
@@ -0,0 +1,536 @@
+/**
+ * GPS Lab Platform - Mock GPO Routes
+ *
+ * GPS Problem Opportunity (GPO) projects, submission, validation and
+ * categories for the mock backend. Learners see the projects they own or
+ * belong to; only owners may edit, submit or delete them. A submitted
+ * showcase is validated by peers and a mentor, and is published to the
+ * community feed once enough of them approve. Once published, the project
+ * team tracks its impact, served under `/projects/:id/impact` where
+ * project.service looks for it.
+ *
+ * @module services/mock/routes/gpo.routes
+ * @version 1.2.0
+ */
+
+import { ADMIN_ROLES, requireUser, nextId, recordActivity, pushNotification } from '../mock.db';
+import { mockError, notFound, paginate, matchesSearch, nowISO } from '../mock.utils';
+import {
+  validateShowcaseValidation,
+  validateImpactIndicator,
+  validateImpactMeasurement,
+  validateImpactStory,
+  VALIDATION_DECISIONS
+} from '../../../utils/validators/gpo.validator';
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+const EDITABLE_FIELDS = ['title', 'description', 'category', 'tags', 'stage', 'progress', 'team', 'showcase'];
+
+/**
+ * Approvals needed in one validation round before a showcase is published
+ */
+const VALIDATION_RULES = { peer: 2, mentor: 1 };
+
+/**
+ * Roles whose validations count as a mentor's
+ */
+const MENTOR_ROLES = ['mentor', ...ADMIN_ROLES];
+
+/**
+ * Statuses anyone signed in may view
+ */
+const PUBLIC_STATUSES = ['submitted', 'published'];
+
+/**
+ * Finds a GPO project
+ * @param {Object} db - Mock database
+ * @param {string} projectId - Project ID
+ * @returns {Object} Project
+ * @throws {MockHttpError} 404 when missing
+ */
+const requireProject = (db, projectId) => {
+  const project = db.gpoProjects.find(p => p.id === projectId);
+  if (!project) throw notFound('GPO project', projectId);
+  return project;
+};
+
+/**
+ * Requires the acting user to own a project
+ * @param {Object} project - Project
+ * @param {string} userId - User ID
+ * @throws {MockHttpError} 403 when not the owner
+ */
+const requireOwner = (project, userId) => {
+  if (project.ownerId !== userId) {
+    throw mockError(403, 'Only the project owner can do this', { code: 'NOT_PROJECT_OWNER', projectId: project.id });
+  }
+};
+
+/**
+ * Requires a project to still be editable
+ * @param {Object} project - Project
+ * @throws {MockHttpError} 409 once submitted or published
+ */
+const requireEditable = (project) => {
+  if (project.status === 'submitted') {
+    throw mockError(409, 'Submitted projects cannot be edited', { code: 'PROJECT_SUBMITTED', projectId: project.id });
+  }
+  if (project.status === 'published') {
+    throw mockError(409, 'Published projects cannot be edited', { code: 'PROJECT_PUBLISHED', projectId: project.id });
+  }
+};
+
+const isMember = (project, userId) =>
+  project.ownerId === userId || project.team.some(m => m.userId === userId);
+
+/**
+ * Requires the acting user to own or belong to a project
+ * @param {Object} project - Project
+ * @param {string} userId - User ID
+ * @throws {MockHttpError} 403 for everyone else
+ */
+const requireMember = (project, userId) => {
+  if (!isMember(project, userId)) {
+    throw mockError(403, 'Only the project team can do this', { code: 'NOT_PROJECT_MEMBER', projectId: project.id });
+  }
+};
+
+/**
+ * Requires a project to be published before its impact is tracked
+ * @param {Object} project - Project
+ * @throws {MockHttpError} 409 before publishing
+ */
+const requirePublished = (project) => {
+  if (project.status !== 'published') {
+    throw mockError(409, 'Impact is tracked once the showcase is published', { code: 'PROJECT_NOT_PUBLISHED', projectId: project.id });
+  }
+};
+
+/**
+ * Validations from the project's current round
+ * @param {Object} project - Project
+ * @returns {Array<Object>} Validations
+ */
+const getRoundValidations = (project) =>
+  project.validations.filter(v => v.round === project.validationRound);
+
+/**
+ * Whose validation a user gives
+ * @param {Object} user - User record
+ * @returns {string} 'mentor' or 'peer'
+ */
+const getValidatorRole = (user) => (MENTOR_ROLES.includes(user.role) ? 'mentor' : 'peer');
+
+/**
+ * Whether a user may validate a project now
+ * @param {Object} project - Project
+ * @param {string} userId - User ID
+ * @returns {boolean} True when it is awaiting validation and they have not validated it this round
+ */
+const canValidate = (project, userId) =>
+  project.status === 'submitted' &&
+  !isMember(project, userId) &&
+  !getRoundValidations(project).some(v => v.reviewerId === userId);
+
+/**
+ * Builds the validation progress of a project
+ * @param {Object} db - Mock database
+ * @param {Object} project - Project
+ * @returns {Object} { round, required, approvals, validations }
+ */
+const toValidationView = (db, project) => {
+  const validations = getRoundValidations(project).map(({ reviewerId, ...validation }) => {
+    const reviewer = requireUser(db, reviewerId);
+    return { ...validation, reviewer: { id: reviewer.id, username: reviewer.username, displayName: reviewer.displayName } };
+  });
+  const approvals = { peer: 0, mentor: 0 };
+  validations
+    .filter(v => v.decision === VALIDATION_DECISIONS.APPROVE)
+    .forEach(v => { approvals[v.role] += 1; });
+
+  return { round: project.validationRound, required: VALIDATION_RULES, approvals, validations };
+};
+
+/**
+ * Builds the view of a project
+ * @param {Object} db - Mock database
+ * @param {Object} project - Project
+ * @param {string} userId - Acting user
+ * @returns {Object} Project view
+ */
+const toProjectView = (db, project, userId) => {
+  const { ownerId, review, validations, validationRound, impact, ...rest } = project;
+  const owner = requireUser(db, ownerId);
+  const viewer = requireUser(db, userId);
+  return {
+    ...rest,
+    owner: { id: owner.id, username: owner.username, displayName: owner.displayName },
+    validation: toValidationView(db, project),
+    viewer: {
+      isOwner: ownerId === userId,
+      isMember: isMember(project, userId),
+      canValidate: canValidate(project, userId),
+      validatorRole: getValidatorRole(viewer)
+    }
+  };
+};
+
+/**
+ * Public details of a user
+ * @param {Object} db - Mock database
+ * @param {string} userId - User ID
+ * @returns {Object} { id, username, displayName }
+ */
+const toPerson = (db, userId) => {
+  const user = requireUser(db, userId);
+  return { id: user.id, username: user.username, displayName: user.displayName };
+};
+
+/**
+ * Builds the impact view of a project
+ * @param {Object} db - Mock database
+ * @param {Object} project - Project
+ * @returns {Object} { projectId, indicators, measurements, stories }
+ */
+const toImpactView = (db, project) => ({
+  projectId: project.id,
+  indicators: project.impact.indicators,
+  measurements: project.impact.measurements
+    .map(({ recordedBy, ...measurement }) => ({ ...measurement, recordedBy: toPerson(db, recordedBy) }))
+    .sort((a, b) => a.date.localeCompare(b.date)),
+  stories: project.impact.stories
+    .map(({ authorId, ...story }) => ({ ...story, author: toPerson(db, authorId) }))
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+});
+
+/**
+ * Requires the acting user to be allowed to see a project
+ * @param {Object} project - Project
+ * @param {string} userId - User ID
+ * @throws {MockHttpError} 404 for other learners' drafts
+ */
+const requireVisible = (project, userId) => {
+  if (!isMember(project, userId) && !PUBLIC_STATUSES.includes(project.status)) {
+    throw notFound('GPO project', project.id);
+  }
+};
+
+/**
+ * Settles a validation round after a new validation: any request for
+ * changes sends the showcase back to its owner, enough approvals publish it
+ * @param {Object} db - Mock database
+ * @param {Object} project - Project
+ * @param {Object} validation - The new validation
+ * @param {Object} reviewer - Reviewer's user record
+ */
+const settleRound = (db, project, validation, reviewer) => {
+  const { approvals } = toValidationView(db, project);
+  const now = nowISO();
+
+  if (validation.decision === VALIDATION_DECISIONS.REQUEST_CHANGES) {
+    project.status = 'changes_requested';
+    project.review = { status: 'changes_requested', feedback: validation.comment, reviewedAt: now, reviewer: reviewer.username };
+    pushNotification(db, project.ownerId, {
+      type: 'gpo_changes_requested',
+      category: 'system',
+      title: 'Changes Requested',
+      message: `${reviewer.username} asked for changes to "${project.title}" before it can be published.`,
+      priority: 'high',
+      actionUrl: `/gpo/showcase/${project.id}`,
+      metadata: { projectId: project.id }
+    });
+    return;
+  }
+
+  if (approvals.peer >= VALIDATION_RULES.peer && approvals.mentor >= VALIDATION_RULES.mentor) {
+    project.status = 'published';
+    project.publishedAt = now;
+    project.review = { status: 'approved', feedback: null, reviewedAt: now, reviewer: reviewer.username };
+    recordActivity(db, project.ownerId, { type: 'gpo_published', title: 'Published a Problem Showcase', description: project.title });
+    pushNotification(db, project.ownerId, {
+      type: 'gpo_published',
+      category: 'achievement',
+      title: 'Your Showcase Is Live! 🎉',
+      message: `"${project.title}" passed validation and is now in the community feed.`,
+      priority: 'high',
+      actionUrl: `/gpo/showcase/${project.id}`,
+      metadata: { projectId: project.id }
+    });
+    return;
+  }
+
+  pushNotification(db, project.ownerId, {
+    type: 'gpo_validated',
+    category: 'system',
+    title: 'New Validation',
+    message: `${reviewer.username} approved "${project.title}" as a ${validation.role}.`,
+    actionUrl: `/gpo/showcase/${project.id}`,
+    metadata: { projectId: project.id, approvals }
+  });
+};
+
+// =============================================================================
+// ROUTES
+// =============================================================================
+
+/**
+ * Registers GPO routes
+ * @param {Object} router - Mock router
+ */
+export const registerGpoRoutes = (router) => {
+  router.get('/gpo/projects', ({ db, userId, query }) => {
+    let projects = db.gpoProjects.filter(p => isMember(p, userId));
+    if (query.status) projects = projects.filter(p => p.status === query.status);
+    if (query.category) projects = projects.filter(p => p.category === query.category);
+    if (query.search) projects = projects.filter(p => matchesSearch(p, query.search, ['title', 'description']));
+
+    const { items, pagination } = paginate(projects.map(p => toProjectView(db, p, userId)), query);
+    return { projects: items, pagination };
+  });
+
+  router.post('/gpo/projects', ({ db, userId, body }) => {
+    if (!body.title) throw mockError(400, 'Project title is required', { code: 'INVALID_INPUT' });
+    if (body.category && !db.gpoCategories.some(c => c.id === body.category)) {
+      throw mockError(400, 'Unknown project category', { code: 'INVALID_INPUT', category: body.category });
+    }
+
+    const project = {
+      id: nextId(db, 'gpo'),
+      title: body.title,
+      description: body.description || '',
+      category: body.category || 'community',
+      status: 'draft',
+      stage: 1,
+      ownerId: userId,
+      team: [],
+      tags: body.tags || [],
+      progress: 0,
+      submittedAt: null,
+      review: null,
+      showcase: body.showcase || null,
+      validations: [],
+      validationRound: 0,
+      impact: { indicators: [], measurements: [], stories: [] },
+      publishedAt: null,
+      createdAt: nowISO(),
+      updatedAt: nowISO()
+    };
+    db.gpoProjects.push(project);
+    db.gpoCategories.find(c => c.id === project.category).projectCount += 1;
+    recordActivity(db, userId, { type: 'gpo_created', title: 'Started a GPO project', description: project.title });
+
+    return toProjectView(db, project, userId);
+  });
+
+  router.get('/gpo/projects/:id', ({ db, userId, params }) => {
+    const project = requireProject(db, params.id);
+    requireVisible(project, userId);
+    return toProjectView(db, project, userId);
+  });
+
+  router.patch('/gpo/projects/:id', ({ db, userId, params, body }) => {
+    const project = requireProject(db, params.id);
+    requireOwner(project, userId);
+    requireEditable(project);
+
+    EDITABLE_FIELDS.forEach(field => {
+      if (body[field] !== undefined) project[field] = body[field];
+    });
+    project.updatedAt = nowISO();
+    return toProjectView(db, project, userId);
+  });
+
+  router.delete('/gpo/projects/:id', ({ db, userId, params }) => {
+    const project = requireProject(db, params.id);
+    requireOwner(project, userId);
+    db.gpoProjects = db.gpoProjects.filter(p => p.id !== project.id);
+    const category = db.gpoCategories.find(c => c.id === project.category);
+    if (category) category.projectCount = Math.max(0, category.projectCount - 1);
+    return { deleted: true };
+  });
+
+  router.post('/gpo/projects/:id/submit', ({ db, userId, params }) => {
+    const project = requireProject(db, params.id);
+    requireOwner(project, userId);
+    if (project.status === 'submitted') {
+      throw mockError(409, 'Project already submitted', { code: 'PROJECT_SUBMITTED', projectId: project.id });
+    }
+    if (project.status === 'published') {
+      throw mockError(409, 'Project already published', { code: 'PROJECT_PUBLISHED', projectId: project.id });
+    }
+
+    // Each submission starts a fresh validation round
+    project.status = 'submitted';
+    project.submittedAt = nowISO();
+    project.updatedAt = project.submittedAt;
+    project.validationRound += 1;
+    project.review = { status: 'pending', feedback: null, reviewedAt: null, reviewer: null };
+    return { ...toProjectView(db, project, userId), message: 'Project submitted for validation' };
+  });
+
+  router.get('/gpo/projects/:id/review', ({ db, userId, params }) => {
+    const project = requireProject(db, params.id);
+    requireVisible(project, userId);
+    return {
+      projectId: project.id,
+      ...(project.review || { status: 'pending', feedback: null, reviewedAt: null, reviewer: null })
+    };
+  });
+
+  router.post('/gpo/projects/:id/validations', ({ db, userId, params, body }) => {
+    const project = requireProject(db, params.id);
+    requireVisible(project, userId);
+    if (isMember(project, userId)) {
+      throw mockError(403, 'You cannot validate your own showcase', { code: 'OWN_PROJECT', projectId: project.id });
+    }
+    if (project.status !== 'submitted') {
+      throw mockError(409, 'This showcase is not awaiting validation', { code: 'NOT_AWAITING_VALIDATION', projectId: project.id });
+    }
+    if (!canValidate(project, userId)) {
+      throw mockError(409, 'You have already validated this showcase', { code: 'ALREADY_VALIDATED', projectId: project.id });
+    }
+
+    const { valid, errors } = validateShowcaseValidation(body);
+    if (!valid) {
+      throw mockError(422, 'The validation has errors to fix', { code: 'INVALID_VALIDATION', errors });
+    }
+
+    const reviewer = requireUser(db, userId);
+    const validation = {
+      id: nextId(db, 'val'),
+      reviewerId: userId,
+      role: getValidatorRole(reviewer),
+      decision: body.decision,
+      comment: body.comment.trim(),
+      checklist: body.checklist || [],
+      evidence: (body.evidence || []).map(({ type, label, url, text, mediaId, fileName }) => ({
+        type, label: label || '', url: url || null, text: text || null, mediaId: mediaId || null, fileName: fileName || null
+      })),
+      round: project.validationRound,
+      createdAt: nowISO()
+    };
+    project.validations.push(validation);
+    project.updatedAt = validation.createdAt;
+    settleRound(db, project, validation, reviewer);
+    recordActivity(db, userId, { type: 'gpo_validated', title: 'Validated a Problem Showcase', description: project.title });
+
+    return toProjectView(db, project, userId);
+  });
+
+  router.get('/gpo/validations/queue', ({ db, userId, query }) => {
+    const projects = db.gpoProjects
+      .filter(p => canValidate(p, userId))
+      .sort((a, b) => a.submittedAt.localeCompare(b.submittedAt));
+
+    const { items, pagination } = paginate(projects.map(p => toProjectView(db, p, userId)), query);
+    return { projects: items, pagination, validatorRole: getValidatorRole(requireUser(db, userId)) };
+  });
+
+  router.get('/gpo/showcases', ({ db, userId, query }) => {
+    let showcases = db.gpoProjects.filter(p => p.status === 'published');
+    if (query.category) showcases = showcases.filter(p => p.category === query.category);
+    if (query.search) showcases = showcases.filter(p => matchesSearch(p, query.search, ['title', 'description']));
+    showcases.sort((a, b) => (query.sort === 'oldest'
+      ? a.publishedAt.localeCompare(b.publishedAt)
+      : b.publishedAt.localeCompare(a.publishedAt)));
+
+    const { items, pagination } = paginate(showcases.map(p => toProjectView(db, p, userId)), query);
+    return { showcases: items, pagination };
+  });
+
+  router.get('/gpo/categories', ({ db }) => ({ categories: db.gpoCategories }));
+
+  // ---------------------------------------------------------------------------
+  // Impact
+  // ---------------------------------------------------------------------------
+
+  router.get('/projects/:id/impact', ({ db, userId, params }) => {
+    const project = requireProject(db, params.id);
+    requireVisible(project, userId);
+    return toImpactView(db, project);
+  });
+
+  router.post('/projects/:id/impact', ({ db, userId, params, body }) => {
+    const project = requireProject(db, params.id);
+    requireMember(project, userId);
+    requirePublished(project);
+
+    const { valid, errors } = validateImpactMeasurement(body, project.impact.indicators);
+    if (!valid) {
+      throw mockError(422, 'The measurement has errors to fix', { code: 'INVALID_MEASUREMENT', errors });
+    }
+
+    const measurement = {
+      id: nextId(db, 'msr'),
+      metricType: body.metricType,
+      value: Number(body.value),
+      date: body.date.slice(0, 10),
+      evidence: body.evidence?.trim() || null,
+      recordedBy: userId,
+      createdAt: nowISO()
+    };
+    project.impact.measurements.push(measurement);
+    project.updatedAt = measurement.createdAt;
+    recordActivity(db, userId, { type: 'gpo_impact_recorded', title: 'Recorded project impact', description: project.title });
+
+    return toImpactView(db, project);
+  });
+
+  router.post('/projects/:id/impact/indicators', ({ db, userId, params, body }) => {
+    const project = requireProject(db, params.id);
+    requireMember(project, userId);
+    requirePublished(project);
+
+    const { valid, errors } = validateImpactIndicator(body, project.impact.indicators);
+    if (!valid) {
+      throw mockError(422, 'The indicator has errors to fix', { code: 'INVALID_INDICATOR', errors });
+    }
+
+    // Custom indicators each get a metric type of their own
+    const id = nextId(db, 'ind');
+    project.impact.indicators.push({
+      id,
+      metricType: body.metricType === 'custom' ? `custom_${id}` : body.metricType,
+      label: body.label.trim(),
+      unit: body.unit.trim(),
+      baseline: Number(body.baseline),
+      target: Number(body.target),
+      createdAt: nowISO()
+    });
+    project.updatedAt = nowISO();
+
+    return toImpactView(db, project);
+  });
+
+  router.post('/projects/:id/impact/stories', ({ db, userId, params, body }) => {
+    const project = requireProject(db, params.id);
+    requireMember(project, userId);
+    requirePublished(project);
+
+    const { valid, errors } = validateImpactStory(body);
+    if (!valid) {
+      throw mockError(422, 'The story has errors to fix', { code: 'INVALID_STORY', errors });
+    }
+
+    const toImage = ({ mediaId, url, caption }) => ({ mediaId, url, caption: caption || '' });
+    const story = {
+      id: nextId(db, 'sty'),
+      title: body.title.trim(),
+      story: body.story.trim(),
+      beforeImages: body.beforeImages.map(toImage),
+      afterImages: body.afterImages.map(toImage),
+      authorId: userId,
+      createdAt: nowISO()
+    };
+    project.impact.stories.push(story);
+    project.updatedAt = story.createdAt;
+    recordActivity(db, userId, { type: 'gpo_impact_story', title: 'Shared an impact story', description: story.title });
+
+    return toImpactView(db, project);
+  });
+};
+
+export default registerGpoRoutes;
@@ -0,0 +1,202 @@
+/**
+ * GPS Lab Platform - Mock GPS 101 Routes
+ *
+ * The published GPS 101 curriculum for learners, and the versioned
+ * authoring endpoints behind the admin studio. One draft exists at a time;
+ * publishing it archives the previously published version. Saves carry the
+ * draft's `updatedAt` as loaded, so two editors cannot overwrite each other.
+ *
+ * @module services/mock/routes/gps101.routes
+ * @version 1.0.0
+ */
+
+import { requireRole, recordAudit, nextId } from '../mock.db';
+import { mockError, notFound, clone, nowISO } from '../mock.utils';
+import { countCurriculum } from '../../../utils/helpers/curriculum.helper';
+import { validateCurriculum } from '../../../utils/validators/gps101.validator';
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+const BASE = '/api/gps101';
+const ADMIN_BASE = `${BASE}/admin/curriculum/versions`;
+
+const CURRICULUM_ROLES = ['admin', 'super_admin', 'content_admin'];
+
+/**
+ * Finds a curriculum version
+ * @param {Object} db - Mock database
+ * @param {string} versionId - Version ID
+ * @returns {Object} Version
+ * @throws {MockHttpError} 404 when missing
+ */
+const requireVersion = (db, versionId) => {
+  const version = db.curriculumVersions.find(v => v.versionId === versionId);
+  if (!version) throw notFound('Curriculum version', versionId);
+  return version;
+};
+
+/**
+ * Requires a version to be a draft
+ * @param {Object} version - Version
+ * @throws {MockHttpError} 409 when it is published or archived
+ */
+const requireDraft = (version) => {
+  if (version.status !== 'draft') {
+    throw mockError(409, 'Only drafts can be changed', { code: 'VERSION_NOT_DRAFT', versionId: version.versionId });
+  }
+};
+
+/**
+ * Gets the published version
+ * @param {Object} db - Mock database
+ * @returns {Object} Version
+ */
+const getPublished = (db) => db.curriculumVersions.find(v => v.status === 'published');
+
+/**
+ * Builds the list view of a version (no content)
+ * @param {Object} version - Version
+ * @returns {Object} Version summary
+ */
+const toSummary = (version) => {
+  const { stages, missions, ...summary } = version;
+  return { ...summary, totals: countCurriculum(version) };
+};
+
+/**
+ * Records a version change in the admin audit log
+ * @param {Object} db - Mock database
+ * @param {string} userId - Acting user
+ * @param {string} action - Audit action
+ * @param {Object} version - Version
+ * @param {Object} details - Extra details
+ */
+const auditVersion = (db, userId, action, version, details = {}) => {
+  recordAudit(db, userId, {
+    action,
+    targetType: 'curriculum',
+    targetId: version.versionId,
+    targetName: `GPS 101 v${version.version}`,
+    reason: version.notes || '',
+    details
+  });
+};
+
+// =============================================================================
+// ROUTES
+// =============================================================================
+
+/**
+ * Registers GPS 101 routes
+ * @param {Object} router - Mock router
+ */
+export const registerGps101Routes = (router) => {
+  router.get(`${BASE}/curriculum`, ({ db }) => {
+    const { versionId, version, publishedAt, stages, missions } = getPublished(db);
+    return clone({ versionId, version, publishedAt, stages, missions });
+  });
+
+  // ==================== AUTHORING ====================
+
+  router.get(ADMIN_BASE, ({ db, userId }) => {
+    requireRole(db, userId, CURRICULUM_ROLES);
+    const versions = [...db.curriculumVersions].sort((a, b) => b.version - a.version);
+    return { versions: versions.map(toSummary) };
+  });
+
+  router.get(`${ADMIN_BASE}/:id`, ({ db, userId, params }) => {
+    requireRole(db, userId, CURRICULUM_ROLES);
+    return clone(requireVersion(db, params.id));
+  });
+
+  router.post(ADMIN_BASE, ({ db, userId, body }) => {
+    requireRole(db, userId, CURRICULUM_ROLES);
+
+    const existingDraft = db.curriculumVersions.find(v => v.status === 'draft');
+    if (existingDraft) {
+      throw mockError(409, 'A draft already exists; publish or discard it first', {
+        code: 'DRAFT_EXISTS',
+        versionId: existingDraft.versionId
+      });
+    }
+
+    const source = body.fromVersionId ? requireVersion(db, body.fromVersionId) : getPublished(db);
+    const now = nowISO();
+    const draft = {
+      versionId: nextId(db, 'cur'),
+      version: Math.max(...db.curriculumVersions.map(v => v.version)) + 1,
+      status: 'draft',
+      notes: '',
+      basedOn: source.version,
+      stages: clone(source.stages),
+      missions: clone(source.missions),
+      createdBy: userId,
+      createdAt: now,
+      updatedBy: userId,
+      updatedAt: now,
+      publishedBy: null,
+      publishedAt: null
+    };
+    db.curriculumVersions.push(draft);
+    auditVersion(db, userId, 'curriculum_draft_created', draft, { basedOn: source.version });
+    return clone(draft);
+  });
+
+  router.put(`${ADMIN_BASE}/:id`, ({ db, userId, params, body }) => {
+    requireRole(db, userId, CURRICULUM_ROLES);
+    const draft = requireVersion(db, params.id);
+    requireDraft(draft);
+
+    if (body.updatedAt && body.updatedAt !== draft.updatedAt) {
+      throw mockError(409, 'This draft was saved by someone else since you opened it', {
+        code: 'VERSION_CONFLICT',
+        versionId: draft.versionId,
+        updatedAt: draft.updatedAt,
+        updatedBy: draft.updatedBy
+      });
+    }
+    if (!Array.isArray(body.stages) || !Array.isArray(body.missions)) {
+      throw mockError(400, 'Stages and missions are required', { code: 'INVALID_INPUT' });
+    }
+
+    draft.stages = clone(body.stages);
+    draft.missions = clone(body.missions);
+    if (body.notes !== undefined) draft.notes = body.notes;
+    draft.updatedBy = userId;
+    draft.updatedAt = nowISO();
+    return clone(draft);
+  });
+
+  router.post(`${ADMIN_BASE}/:id/publish`, ({ db, userId, params }) => {
+    requireRole(db, userId, CURRICULUM_ROLES);
+    const draft = requireVersion(db, params.id);
+    requireDraft(draft);
+
+    const { valid, errors } = validateCurriculum(draft);
+    if (!valid) {
+      throw mockError(422, 'The draft has errors to fix before publishing', { code: 'INVALID_CURRICULUM', errors });
+    }
+
+    const previous = getPublished(db);
+    if (previous) previous.status = 'archived';
+
+    draft.status = 'published';
+    draft.publishedBy = userId;
+    draft.publishedAt = nowISO();
+    auditVersion(db, userId, 'curriculum_published', draft, { previousVersion: previous?.version || null });
+    return clone(draft);
+  });
+
+  router.delete(`${ADMIN_BASE}/:id`, ({ db, userId, params }) => {
+    requireRole(db, userId, CURRICULUM_ROLES);
+    const draft = requireVersion(db, params.id);
+    requireDraft(draft);
+    db.curriculumVersions = db.curriculumVersions.filter(v => v.versionId !== draft.versionId);
+    auditVersion(db, userId, 'curriculum_draft_discarded', draft);
+    return { deleted: true };
+  });
+};
+
+export default registerGps101Routes;
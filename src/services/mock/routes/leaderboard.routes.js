@@ -0,0 +1,128 @@
+/**
+ * GPS Lab Platform - Mock Leaderboard Routes
+ *
+ * Global, periodic, stage, party and university rankings for the mock
+ * backend. Rankings are computed from the shared user stats, so the demo
+ * learner climbs as they earn XP.
+ *
+ * @module services/mock/routes/leaderboard.routes
+ * @version 1.0.0
+ */
+
+import { requireUser, ensureLearner, getUserStanding, rankUsers } from '../mock.db';
+import { notFound, paginate, nowISO, offsetISO, DAY } from '../mock.utils';
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * Builds ranked leaderboard entries
+ * @param {Object} db - Mock database
+ * @param {Array<Object>} users - Users sorted best first
+ * @param {string} field - Stats field used as the XP column
+ * @returns {Array<Object>} Leaders
+ */
+const toLeaders = (db, users, field = 'xp') => users.map((user, index) => {
+  const { levelInfo, tier } = getUserStanding(db, user);
+  return {
+    rank: index + 1,
+    userId: user.id,
+    username: user.username,
+    displayName: user.displayName,
+    avatarUrl: user.avatarUrl,
+    level: levelInfo.level,
+    xp: user.stats[field] || 0,
+    baraka: ensureLearner(db, user.id).wallet.available,
+    missionsCompleted: user.stats.missionsCompleted,
+    streak: user.stats.streak,
+    tier: tier.id,
+    university: user.university?.code || null
+  };
+});
+
+/**
+ * Ranks a subset of users
+ * @param {Object} db - Mock database
+ * @param {string} field - Stats field
+ * @param {Function} predicate - User filter
+ * @returns {Array<Object>} Leaders
+ */
+const rankWhere = (db, field, predicate = () => true) => {
+  return toLeaders(db, rankUsers(db, field).filter(predicate), field);
+};
+
+// =============================================================================
+// ROUTES
+// =============================================================================
+
+/**
+ * Registers leaderboard routes
+ * @param {Object} router - Mock router
+ */
+export const registerLeaderboardRoutes = (router) => {
+  router.get('/leaderboard/global', ({ db, query }) => {
+    const { items, pagination } = paginate(rankWhere(db, 'xp'), query);
+    return { leaders: items, pagination, updatedAt: nowISO() };
+  });
+
+  router.get('/leaderboard/weekly', ({ db, query }) => {
+    const { items, pagination } = paginate(rankWhere(db, 'weeklyXp'), query);
+    return {
+      leaders: items,
+      period: { start: offsetISO(-7 * DAY), end: nowISO() },
+      pagination
+    };
+  });
+
+  router.get('/leaderboard/monthly', ({ db, query }) => {
+    const now = new Date();
+    const { items, pagination } = paginate(rankWhere(db, 'monthlyXp'), query);
+    return {
+      leaders: items,
+      period: { month: now.getMonth() + 1, year: now.getFullYear() },
+      pagination
+    };
+  });
+
+  router.get('/leaderboard/stage/:stageNumber', ({ db, params, query }) => {
+    const stageNumber = Number(params.stageNumber);
+    const leaders = rankWhere(db, 'xp', u => u.stats.currentStage >= stageNumber);
+    const { items, pagination } = paginate(leaders, query);
+    return { stageNumber, leaders: items, pagination };
+  });
+
+  router.get('/leaderboard/party/:partyId', ({ db, params, query }) => {
+    const party = db.parties.find(p => p.id === params.partyId);
+    if (!party) throw notFound('Party', params.partyId);
+
+    const memberIds = party.members.map(m => m.userId);
+    const members = rankWhere(db, 'xp', u => memberIds.includes(u.id));
+    const { items, pagination } = paginate(members, query);
+    return { partyId: party.id, members: items, pagination };
+  });
+
+  router.get('/leaderboard/university/:code', ({ db, params, query }) => {
+    const code = params.code.toUpperCase();
+    const leaders = rankWhere(db, 'xp', u => u.university?.code === code);
+    const { items, pagination } = paginate(leaders, query);
+    return { universityCode: params.code, leaders: items, pagination };
+  });
+
+  router.get('/leaderboard/me', ({ db, userId }) => {
+    const user = requireUser(db, userId);
+    const rank = rankUsers(db, 'xp').findIndex(u => u.id === userId) + 1;
+    const totalUsers = rankUsers(db).length;
+    return {
+      rank,
+      totalUsers,
+      percentile: Math.round(((totalUsers - rank) / totalUsers) * 100),
+      xp: user.stats.xp,
+      baraka: ensureLearner(db, userId).wallet.available,
+      missionsCompleted: user.stats.missionsCompleted,
+      streak: user.stats.streak
+    };
+  });
+};
+
+export default registerLeaderboardRoutes;
@@ -0,0 +1,144 @@
+/**
+ * GPS Lab Platform - Mock Mentor Routes
+ *
+ * Mentor directory, mentorship requests and mentor sessions for the mock
+ * backend.
+ *
+ * @module services/mock/routes/mentor.routes
+ * @version 1.0.0
+ */
+
+import { ensureLearner, nextId } from '../mock.db';
+import { mockError, notFound, paginate, matchesSearch, nowISO, offsetISO, DAY } from '../mock.utils';
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * Finds a mentor
+ * @param {Object} db - Mock database
+ * @param {string} mentorId - Mentor ID
+ * @returns {Object} Mentor
+ * @throws {MockHttpError} 404 when missing
+ */
+const requireMentor = (db, mentorId) => {
+  const mentor = db.mentors.find(m => m.id === mentorId);
+  if (!mentor) throw notFound('Mentor', mentorId);
+  return mentor;
+};
+
+/**
+ * Finds one of the learner's mentor sessions
+ * @param {Object} db - Mock database
+ * @param {string} userId - User ID
+ * @param {string} sessionId - Session ID
+ * @returns {Object} Session
+ * @throws {MockHttpError} 404 when missing
+ */
+const requireSession = (db, userId, sessionId) => {
+  const session = ensureLearner(db, userId).mentorSessions.find(s => s.id === sessionId);
+  if (!session) throw notFound('Mentor session', sessionId);
+  return session;
+};
+
+// =============================================================================
+// ROUTES
+// =============================================================================
+
+/**
+ * Registers mentor routes
+ * @param {Object} router - Mock router
+ */
+export const registerMentorRoutes = (router) => {
+  router.get('/mentors', ({ db, query }) => {
+    let mentors = db.mentors;
+    if (query.expertise) mentors = mentors.filter(m => m.expertise.some(e => e.includes(query.expertise)));
+    if (query.availability) mentors = mentors.filter(m => m.availability === query.availability);
+
+    const { items, pagination } = paginate(mentors, query);
+    return { mentors: items, pagination };
+  });
+
+  router.get('/mentors/search', ({ db, query }) => {
+    const q = String(query.q || '').toLowerCase();
+    const mentors = db.mentors.filter(m =>
+      matchesSearch(m, q, ['displayName', 'bio']) || m.expertise.some(e => e.includes(q))
+    );
+    return { mentors, total: mentors.length };
+  });
+
+  router.get('/mentors/my-mentors', ({ db, userId }) => {
+    const mentors = ensureLearner(db, userId).myMentorIds.map(id => requireMentor(db, id));
+    return { mentors, total: mentors.length };
+  });
+
+  router.post('/mentors/request', ({ db, userId, body }) => {
+    const mentor = requireMentor(db, body.mentorId);
+    const learner = ensureLearner(db, userId);
+    if (learner.myMentorIds.includes(mentor.id)) {
+      throw mockError(409, 'This mentor is already working with you', { code: 'ALREADY_MENTORED', mentorId: mentor.id });
+    }
+
+    const request = {
+      requestId: nextId(db, 'req'),
+      mentorId: mentor.id,
+      status: 'pending',
+      message: body.message,
+      topic: body.topic,
+      createdAt: nowISO()
+    };
+    learner.mentorRequests.push(request);
+    return request;
+  });
+
+  router.get('/mentors/sessions', ({ db, userId, query }) => {
+    let sessions = ensureLearner(db, userId).mentorSessions;
+    if (query.status) sessions = sessions.filter(s => s.status === query.status);
+
+    const { items, pagination } = paginate(sessions, query);
+    return { sessions: items, pagination };
+  });
+
+  router.post('/mentors/sessions/schedule', ({ db, userId, body }) => {
+    const mentor = requireMentor(db, body.mentorId);
+    const session = {
+      id: nextId(db, 'sess'),
+      mentorId: mentor.id,
+      mentorName: mentor.displayName,
+      topic: body.topic,
+      status: 'scheduled',
+      scheduledAt: body.preferredDate || offsetISO(3 * DAY),
+      duration: body.duration || 45,
+      notes: null,
+      rating: null
+    };
+    ensureLearner(db, userId).mentorSessions.push(session);
+    return session;
+  });
+
+  router.get('/mentors/sessions/:id', ({ db, userId, params }) => requireSession(db, userId, params.id));
+
+  router.post('/mentors/sessions/:id/cancel', ({ db, userId, params }) => {
+    const session = requireSession(db, userId, params.id);
+    if (session.status !== 'scheduled') {
+      throw mockError(409, 'Only scheduled sessions can be cancelled', { code: 'SESSION_NOT_SCHEDULED', status: session.status });
+    }
+    session.status = 'cancelled';
+    return { sessionId: session.id, status: session.status };
+  });
+
+  router.post('/mentors/sessions/:id/review', ({ db, userId, params, body }) => {
+    const session = requireSession(db, userId, params.id);
+    if (session.status !== 'completed') {
+      throw mockError(409, 'Only completed sessions can be reviewed', { code: 'SESSION_NOT_COMPLETED', status: session.status });
+    }
+    session.rating = body.rating;
+    session.review = body.comment || '';
+    return { sessionId: session.id, rating: body.rating, comment: body.comment };
+  });
+
+  router.get('/mentors/:id', ({ db, params }) => requireMentor(db, params.id));
+};
+
+export default registerMentorRoutes;
@@ -0,0 +1,207 @@
+/**
+ * GPS Lab Platform - Mock Mission Routes
+ *
+ * Mission catalog, progression and briefing endpoints for the mock backend.
+ * Status and progress are read from the learner's state in the shared
+ * dataset, so accepting or completing a mission is visible to every
+ * other service.
+ *
+ * @module services/mock/routes/mission.routes
+ * @version 1.0.0
+ */
+
+import {
+  requireMission,
+  getMissionState,
+  buildMissionView,
+  acceptMission,
+  abandonMission,
+  completeMission
+} from '../mock.db';
+import { MOCK_ADVENTURES, findAdventureForStage } from '../mock.seed';
+import { mockError, notFound, paginate, matchesSearch, nowISO } from '../mock.utils';
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * Builds views of every mission for a learner
+ * @param {Object} db - Mock database
+ * @param {string} userId - User ID
+ * @returns {Array<Object>} Mission views in curriculum order
+ */
+const listMissions = (db, userId) => db.missions.map(m => buildMissionView(db, userId, m));
+
+/**
+ * Summarizes a group of missions
+ * @param {Array<Object>} missions - Mission views
+ * @returns {Object} { missions, completed, total }
+ */
+const summarize = (missions) => ({
+  missions,
+  completed: missions.filter(m => m.status === 'completed').length,
+  total: missions.length
+});
+
+// =============================================================================
+// ROUTES
+// =============================================================================
+
+/**
+ * Registers mission routes
+ * @param {Object} router - Mock router
+ */
+export const registerMissionRoutes = (router) => {
+  router.get('/missions', ({ db, userId, query }) => {
+    const { status, stage, adventure, search, sortBy = 'stageNumber', sortOrder = 'asc' } = query;
+
+    let missions = listMissions(db, userId);
+    if (status) missions = missions.filter(m => m.status === status);
+    if (stage) missions = missions.filter(m => m.stageNumber === Number(stage));
+    if (adventure) missions = missions.filter(m => m.adventureNumber === Number(adventure));
+    if (search) missions = missions.filter(m => matchesSearch(m, search, ['title', 'id']));
+
+    const direction = sortOrder === 'desc' ? -1 : 1;
+    missions.sort((a, b) => {
+      const aVal = a[sortBy] ?? 0;
+      const bVal = b[sortBy] ?? 0;
+      if (aVal === bVal) return (a.stageNumber - b.stageNumber) || (a.missionNumber - b.missionNumber);
+      return aVal > bVal ? direction : -direction;
+    });
+
+    const { items, pagination } = paginate(missions, query);
+    return { missions: items, pagination };
+  });
+
+  router.get('/stages/:stageNumber/missions', ({ db, userId, params }) => {
+    const stageNumber = Number(params.stageNumber);
+    const adventure = findAdventureForStage(stageNumber);
+    if (!adventure) throw notFound('Stage', params.stageNumber);
+
+    return {
+      stageNumber,
+      adventureName: adventure.name,
+      adventureNumber: adventure.number,
+      ...summarize(listMissions(db, userId).filter(m => m.stageNumber === stageNumber))
+    };
+  });
+
+  router.get('/adventures/:adventureNumber/missions', ({ db, userId, params }) => {
+    const adventureNumber = Number(params.adventureNumber);
+    const adventure = MOCK_ADVENTURES.find(a => a.number === adventureNumber);
+    if (!adventure) throw notFound('Adventure', params.adventureNumber);
+
+    const missions = listMissions(db, userId).filter(m => m.adventureNumber === adventureNumber);
+    const stages = [];
+    for (let stage = adventure.stageRange.start; stage <= adventure.stageRange.end; stage++) {
+      stages.push({ stageNumber: stage, ...summarize(missions.filter(m => m.stageNumber === stage)) });
+    }
+
+    return { adventure, ...summarize(missions), stages };
+  });
+
+  router.get('/missions/current', ({ db, userId }) => {
+    return listMissions(db, userId).find(m => m.status === 'in_progress') || null;
+  });
+
+  router.get('/missions/available', ({ db, userId }) => {
+    const missions = listMissions(db, userId).filter(m => m.status === 'available');
+    return { missions, total: missions.length };
+  });
+
+  router.get('/missions/completed', ({ db, userId, query }) => {
+    const completed = listMissions(db, userId).filter(m => m.status === 'completed');
+    const { items, pagination } = paginate(completed, query);
+    return { missions: items, pagination };
+  });
+
+  router.get('/missions/recommended', ({ db, userId }) => {
+    const missions = listMissions(db, userId);
+    const recommended = missions.find(m => m.status === 'in_progress') ||
+                        missions.find(m => m.status === 'available') ||
+                        null;
+    return {
+      mission: recommended,
+      reason: recommended?.status === 'in_progress'
+        ? 'Continue where you left off'
+        : 'Ready for your next challenge'
+    };
+  });
+
+  router.get('/missions/:id', ({ db, userId, params }) => {
+    return buildMissionView(db, userId, requireMission(db, params.id));
+  });
+
+  router.get('/missions/:id/briefing', ({ db, params }) => {
+    const mission = requireMission(db, params.id);
+    return {
+      missionId: mission.id,
+      title: mission.title,
+      overview: `In this mission, you will explore ${mission.title.toLowerCase()}. This is part of the ${mission.adventureName} adventure, Stage ${mission.stageNumber}.`,
+      learningObjectives: [
+        'Understand core concepts related to this topic',
+        'Apply knowledge through hands-on exercises',
+        'Reflect on real-world applications',
+        'Demonstrate understanding through checkpoint evaluation'
+      ],
+      prerequisites: mission.prerequisites,
+      estimatedTime: `${mission.estimatedMinutes} minutes`,
+      difficulty: mission.difficulty,
+      rewards: mission.rewards,
+      tips: [
+        'Take notes as you progress through each bite',
+        'Connect concepts to your own community context',
+        'Discuss insights with your party members'
+      ]
+    };
+  });
+
+  router.get('/missions/:id/progress', ({ db, userId, params }) => {
+    const view = buildMissionView(db, userId, requireMission(db, params.id));
+    return view.progress || {
+      bitesCompleted: 0,
+      bitesTotal: view.bites.length,
+      percentage: 0,
+      lastActivityAt: null,
+      startedAt: null
+    };
+  });
+
+  router.patch('/missions/:id/progress', ({ db, userId, params, body }) => {
+    const mission = requireMission(db, params.id);
+    const state = getMissionState(db, userId, mission.id);
+    if (state.status !== 'in_progress') {
+      throw mockError(409, 'Mission is not in progress', { code: 'MISSION_NOT_ACTIVE', missionId: mission.id });
+    }
+
+    if (body.bitesCompleted !== undefined) {
+      const count = Math.max(0, Math.min(Number(body.bitesCompleted), mission.bites.length));
+      mission.bites.forEach((bite, i) => {
+        if (i < count) state.bites[bite.id] = 'completed';
+        else if (state.bites[bite.id] === 'completed') delete state.bites[bite.id];
+      });
+    }
+    state.lastActivityAt = nowISO();
+
+    return buildMissionView(db, userId, mission).progress;
+  });
+
+  router.get('/missions/:id/bites', ({ db, userId, params }) => {
+    const view = buildMissionView(db, userId, requireMission(db, params.id));
+    return {
+      missionId: view.id,
+      bites: view.bites,
+      total: view.bites.length,
+      completed: view.bites.filter(b => b.status === 'completed').length
+    };
+  });
+
+  router.post('/missions/:id/accept', ({ db, userId, params }) => acceptMission(db, userId, params.id));
+
+  router.post('/missions/:id/abandon', ({ db, userId, params }) => abandonMission(db, userId, params.id));
+
+  router.post('/missions/:id/complete', ({ db, userId, params }) => completeMission(db, userId, params.id));
+};
+
+export default registerMissionRoutes;
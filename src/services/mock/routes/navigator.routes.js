@@ -0,0 +1,224 @@
+/**
+ * GPS Lab Platform - Mock Navigator Routes
+ *
+ * AI character chat, history, context, suggestions and preferences for
+ * the mock backend. Replies are picked deterministically from canned
+ * responses so demos and tests see the same conversation every run.
+ *
+ * @module services/mock/routes/navigator.routes
+ * @version 1.0.0
+ */
+
+import { requireUser, ensureLearner, nextId, buildMissionView } from '../mock.db';
+import { findAdventureForStage } from '../mock.seed';
+import { mockError, notFound, nowISO, seedFromString } from '../mock.utils';
+
+// =============================================================================
+// CANNED RESPONSES
+// =============================================================================
+
+const RESPONSES = {
+  general: [
+    "That's a thoughtful question! Let me help you explore it from the GPS perspective. The key is to connect theory with your local context — what real-world examples come to mind?",
+    "Great thinking! You're developing strong problem-solving instincts. Remember the framework from your current mission: observe, analyze, and then design a response.",
+    "I like where you're going with this. Consider how different stakeholders might see this issue. That multiplicity of perspectives is what makes GPS thinking powerful."
+  ],
+  hint: [
+    "Here's a nudge: think about the *relationships* between the elements, not just the elements themselves. What happens when one changes?",
+    "Try looking at this from the community's perspective. What would they say is the real problem behind the problem?",
+    "Remember the root cause analysis technique from Bite 3? Apply that same logic here — keep asking 'why' until you get to the foundation."
+  ],
+  encouragement: [
+    "You're doing amazing work! Your consistency shows real dedication — that's GPS solver energy! 🔥",
+    "Keep pushing forward! Every mission you complete is building skills that will help you create real change in your community.",
+    "I'm impressed by your thoughtfulness. The way you approach problems shows you're becoming a true GPS thinker."
+  ],
+  feedback: [
+    "Your analysis shows good understanding of the core concepts. To strengthen it further, try incorporating more data points and consider the second-order effects of your proposed solution.",
+    "Solid work! I especially liked how you connected the theory to your local context. Next time, try exploring counterarguments to make your analysis even stronger.",
+    "Good effort! You've identified the key stakeholders well. Consider adding a systems map to visualize the relationships — it will make your argument more compelling."
+  ],
+  reflection: [
+    "Take a moment to consider: how has your understanding of this topic changed since you started the mission? What surprised you most?",
+    "Here's a reflection prompt: if you could explain what you've learned to someone in your community, what would you say first? What matters most?",
+    "Think about how this connects to your personal GPS compass. How does this learning align with the change you want to create?"
+  ]
+};
+
+const CHARACTERS = [
+  { id: 'navigator', name: 'Navigator', avatar: '🧭', color: 'blue', unlockStage: 1 },
+  { id: 'companion', name: 'Companion', avatar: '🤝', color: 'green', unlockStage: 1 },
+  { id: 'coach', name: 'Coach', avatar: '🏆', color: 'orange', unlockStage: 8 },
+  { id: 'mentor', name: 'Mentor', avatar: '🦉', color: 'purple', unlockStage: 22 }
+];
+
+const SUGGESTIONS = [
+  { id: 'sug_001', type: 'continue', text: 'Continue with your current mission', icon: '▶️', priority: 1 },
+  { id: 'sug_002', type: 'review', text: 'Review your previous stage key concepts', icon: '📖', priority: 2 },
+  { id: 'sug_003', type: 'practice', text: 'Try a practice exercise on systems mapping', icon: '🗺️', priority: 3 },
+  { id: 'sug_004', type: 'social', text: 'Connect with your party members', icon: '👥', priority: 4 }
+];
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * Picks a canned response for a prompt
+ * @param {string} kind - Response kind
+ * @param {string} prompt - Text the reply is keyed on
+ * @returns {string} Response
+ */
+const pickResponse = (kind, prompt = '') => {
+  const options = RESPONSES[kind];
+  return options[seedFromString(prompt) % options.length];
+};
+
+/**
+ * Appends a message to a learner's navigator history
+ * @param {Object} db - Mock database
+ * @param {string} userId - User ID
+ * @param {Object} data - Message fields
+ * @returns {Object} Message
+ */
+const appendMessage = (db, userId, data) => {
+  const message = { id: nextId(db, 'msg'), type: 'text', createdAt: nowISO(), ...data };
+  ensureLearner(db, userId).navigator.history.push(message);
+  return message;
+};
+
+// =============================================================================
+// ROUTES
+// =============================================================================
+
+/**
+ * Registers navigator routes
+ * @param {Object} router - Mock router
+ */
+export const registerNavigatorRoutes = (router) => {
+  router.post('/navigator/message', ({ db, userId, body }) => {
+    if (!body.message) throw mockError(400, 'Message is required', { code: 'INVALID_INPUT' });
+    const character = body.character || 'navigator';
+
+    appendMessage(db, userId, { role: 'user', character, content: body.message });
+    const reply = appendMessage(db, userId, {
+      role: 'assistant',
+      character,
+      content: pickResponse('general', body.message),
+      type: 'guidance'
+    });
+
+    return { message: reply.content, character, messageId: reply.id, type: reply.type };
+  });
+
+  router.post('/navigator/message/hint', ({ body }) => ({
+    hint: pickResponse('hint', body.question || body.biteId || body.checkpointId),
+    type: 'hint',
+    biteId: body.biteId,
+    checkpointId: body.checkpointId
+  }));
+
+  router.post('/navigator/message/feedback', ({ body }) => ({
+    feedback: pickResponse('feedback', body.content),
+    type: 'feedback',
+    contentType: body.type
+  }));
+
+  router.post('/navigator/message/encourage', ({ db, userId }) => ({
+    message: pickResponse('encouragement', `${userId}:${requireUser(db, userId).stats.streak}`),
+    type: 'encouragement'
+  }));
+
+  router.post('/navigator/message/reflect', ({ db, userId }) => ({
+    prompt: pickResponse('reflection', `${userId}:${ensureLearner(db, userId).navigator.history.length}`),
+    type: 'reflection'
+  }));
+
+  router.get('/navigator/history', ({ db, userId, query }) => {
+    let messages = ensureLearner(db, userId).navigator.history;
+    if (query.character) messages = messages.filter(m => m.character === query.character);
+    if (query.before) messages = messages.filter(m => m.createdAt < query.before);
+    const limit = Math.max(1, Number(query.limit) || 50);
+    return { messages: messages.slice(-limit), total: messages.length };
+  });
+
+  router.delete('/navigator/history', ({ db, userId, query }) => {
+    const navigator = ensureLearner(db, userId).navigator;
+    navigator.history = query.character
+      ? navigator.history.filter(m => m.character !== query.character)
+      : [];
+    return { success: true };
+  });
+
+  router.get('/navigator/context', ({ db, userId }) => {
+    const { stats } = requireUser(db, userId);
+    return {
+      ...ensureLearner(db, userId).navigator.context,
+      stageNumber: stats.currentStage,
+      adventureNumber: findAdventureForStage(stats.currentStage)?.number || 1
+    };
+  });
+
+  router.put('/navigator/context', ({ db, userId, body }) => {
+    const navigator = ensureLearner(db, userId).navigator;
+    navigator.context = { ...navigator.context, ...body };
+    return navigator.context;
+  });
+
+  router.get('/navigator/suggestions', ({ query }) => ({
+    suggestions: query.type ? SUGGESTIONS.filter(s => s.type === query.type) : SUGGESTIONS
+  }));
+
+  router.get('/navigator/suggestions/next', ({ db, userId }) => ({
+    ...SUGGESTIONS[0],
+    reason: `Based on your current progress in Stage ${requireUser(db, userId).stats.currentStage}`
+  }));
+
+  router.get('/navigator/suggestions/path', ({ db, userId }) => {
+    const { stats } = requireUser(db, userId);
+    const current = db.missions
+      .map(m => buildMissionView(db, userId, m))
+      .find(m => m.status === 'in_progress' || m.status === 'available');
+
+    return {
+      currentPath: {
+        adventure: findAdventureForStage(stats.currentStage)?.number || 1,
+        stage: stats.currentStage,
+        mission: current?.missionNumber || null,
+        progress: current?.progress?.percentage || 0
+      },
+      recommendations: [
+        { action: 'Complete current mission', priority: 'high', estimated: `${current?.estimatedMinutes || 45} minutes` },
+        { action: 'Review previous stage checkpoint', priority: 'medium', estimated: '20 minutes' },
+        { action: `Start Stage ${stats.currentStage + 1} when ready`, priority: 'low', estimated: 'Next week' }
+      ]
+    };
+  });
+
+  router.get('/navigator/characters', ({ db, userId }) => {
+    const { currentStage } = requireUser(db, userId).stats;
+    return {
+      characters: CHARACTERS.map(({ unlockStage, ...character }) => {
+        const unlocked = currentStage >= unlockStage;
+        return { ...character, available: unlocked, unlocked, unlocksAt: unlocked ? null : `Stage ${unlockStage}` };
+      })
+    };
+  });
+
+  router.get('/navigator/preferences', ({ db, userId }) => ensureLearner(db, userId).navigator.preferences);
+
+  router.patch('/navigator/preferences', ({ db, userId, body }) => {
+    const navigator = ensureLearner(db, userId).navigator;
+    navigator.preferences = { ...navigator.preferences, ...body };
+    return navigator.preferences;
+  });
+
+  router.post('/navigator/feedback/:messageId', ({ db, userId, params, body }) => {
+    const navigator = ensureLearner(db, userId).navigator;
+    if (!navigator.history.some(m => m.id === params.messageId)) throw notFound('Message', params.messageId);
+    navigator.feedback.push({ messageId: params.messageId, rating: body.rating, comment: body.comment || '', createdAt: nowISO() });
+    return { success: true };
+  });
+};
+
+export default registerNavigatorRoutes;
@@ -0,0 +1,119 @@
+/**
+ * GPS Lab Platform - Mock Notification Routes
+ *
+ * Inbox, read state, preferences and push subscription for the mock
+ * backend. Other routes add to the same inbox (level ups, party invites,
+ * transfers), so new notifications appear as the learner plays.
+ *
+ * @module services/mock/routes/notification.routes
+ * @version 1.0.0
+ */
+
+import { ensureLearner } from '../mock.db';
+import { notFound, paginate, toBoolean } from '../mock.utils';
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+const CATEGORIES = ['achievement', 'progress', 'social', 'baraka', 'system', 'reminder'];
+
+// =============================================================================
+// ROUTES
+// =============================================================================
+
+/**
+ * Registers notification routes
+ * @param {Object} router - Mock router
+ */
+export const registerNotificationRoutes = (router) => {
+  router.get('/notifications', ({ db, userId, query }) => {
+    let notifications = ensureLearner(db, userId).notifications;
+    if (query.category) notifications = notifications.filter(n => n.category === query.category);
+    if (toBoolean(query.unread)) notifications = notifications.filter(n => !n.read);
+
+    const { items, pagination } = paginate(notifications, query);
+    return { notifications: items, pagination };
+  });
+
+  router.delete('/notifications', ({ db, userId, query }) => {
+    const learner = ensureLearner(db, userId);
+    learner.notifications = query.category
+      ? learner.notifications.filter(n => n.category !== query.category)
+      : [];
+    return { success: true };
+  });
+
+  router.get('/notifications/unread', ({ db, userId }) => {
+    const unread = ensureLearner(db, userId).notifications.filter(n => !n.read);
+    const byCategory = {};
+    CATEGORIES.forEach(category => {
+      byCategory[category] = unread.filter(n => n.category === category).length;
+    });
+    return { count: unread.length, byCategory };
+  });
+
+  router.post('/notifications/mark-read', ({ db, userId, body }) => {
+    const ids = Array.isArray(body.ids) ? body.ids : [];
+    ensureLearner(db, userId).notifications.forEach(n => {
+      if (ids.includes(n.id)) n.read = true;
+    });
+    return { success: true };
+  });
+
+  router.post('/notifications/mark-read/:id', ({ db, userId, params }) => {
+    const notification = ensureLearner(db, userId).notifications.find(n => n.id === params.id);
+    if (!notification) throw notFound('Notification', params.id);
+    notification.read = true;
+    return { success: true };
+  });
+
+  router.post('/notifications/mark-all-read', ({ db, userId, query }) => {
+    ensureLearner(db, userId).notifications.forEach(n => {
+      if (!query.category || n.category === query.category) n.read = true;
+    });
+    return { success: true };
+  });
+
+  router.get('/notifications/preferences', ({ db, userId }) => ensureLearner(db, userId).notificationPreferences);
+
+  router.patch('/notifications/preferences', ({ db, userId, body }) => {
+    const learner = ensureLearner(db, userId);
+    const current = learner.notificationPreferences;
+    learner.notificationPreferences = {
+      ...current,
+      ...body,
+      categories: { ...current.categories, ...body.categories }
+    };
+    return learner.notificationPreferences;
+  });
+
+  router.post('/notifications/push/subscribe', ({ db, userId, body }) => {
+    const learner = ensureLearner(db, userId);
+    learner.notificationPreferences.push = true;
+    learner.pushSubscription = body;
+    return { subscribed: true };
+  });
+
+  router.post('/notifications/push/unsubscribe', ({ db, userId }) => {
+    const learner = ensureLearner(db, userId);
+    learner.notificationPreferences.push = false;
+    learner.pushSubscription = null;
+    return { subscribed: false };
+  });
+
+  router.get('/notifications/:id', ({ db, userId, params }) => {
+    const notification = ensureLearner(db, userId).notifications.find(n => n.id === params.id);
+    if (!notification) throw notFound('Notification', params.id);
+    return notification;
+  });
+
+  router.delete('/notifications/:id', ({ db, userId, params }) => {
+    const learner = ensureLearner(db, userId);
+    if (!learner.notifications.some(n => n.id === params.id)) throw notFound('Notification', params.id);
+    learner.notifications = learner.notifications.filter(n => n.id !== params.id);
+    return { success: true };
+  });
+};
+
+export default registerNotificationRoutes;
@@ -0,0 +1,479 @@
+/**
+ * GPS Lab Platform - Mock Party Routes
+ *
+ * Party CRUD, membership, invitations, chat history, tasks and progress
+ * for the mock backend. Only leaders and co-leaders may manage a party,
+ * mirroring the permission checks of the real API.
+ *
+ * @module services/mock/routes/party.routes
+ * @version 1.0.0
+ */
+
+import {
+  requireUser,
+  toPublicUser,
+  nextId,
+  pushNotification,
+  recordActivity,
+  settleEscrows
+} from '../mock.db';
+import { mockError, notFound, paginate, matchesSearch, nowISO } from '../mock.utils';
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+const MANAGER_ROLES = ['leader', 'co_leader'];
+
+const EDITABLE_FIELDS = [
+  'name', 'description', 'type', 'visibility', 'status',
+  'maxMembers', 'focusMission', 'focusStage', 'tags'
+];
+
+/**
+ * Finds a party
+ * @param {Object} db - Mock database
+ * @param {string} partyId - Party ID
+ * @returns {Object} Party
+ * @throws {MockHttpError} 404 when missing
+ */
+const requireParty = (db, partyId) => {
+  const party = db.parties.find(p => p.id === partyId);
+  if (!party || party.status === 'disbanded') throw notFound('Party', partyId);
+  return party;
+};
+
+/**
+ * Settles Baraka escrow held for a party's tasks once they are done or gone
+ * @param {Object} db - Mock database
+ * @param {Object} party - Party
+ */
+const settlePartyEscrows = (db, party) => {
+  settleEscrows(db, db.escrows.filter(e => e.partyId === party.id));
+};
+
+/**
+ * Finds a user's membership in a party
+ * @param {Object} party - Party
+ * @param {string} userId - User ID
+ * @returns {Object|undefined} Membership
+ */
+const findMember = (party, userId) => party.members.find(m => m.userId === userId);
+
+/**
+ * Requires the acting user to be a party member
+ * @param {Object} party - Party
+ * @param {string} userId - User ID
+ * @returns {Object} Membership
+ * @throws {MockHttpError} 403 when not a member
+ */
+const requireMember = (party, userId) => {
+  const member = findMember(party, userId);
+  if (!member) {
+    throw mockError(403, 'You are not a member of this party', { code: 'NOT_PARTY_MEMBER', partyId: party.id });
+  }
+  return member;
+};
+
+/**
+ * Requires the acting user to lead the party
+ * @param {Object} party - Party
+ * @param {string} userId - User ID
+ * @throws {MockHttpError} 403 when not a leader or co-leader
+ */
+const requireManager = (party, userId) => {
+  const member = requireMember(party, userId);
+  if (!MANAGER_ROLES.includes(member.role)) {
+    throw mockError(403, 'Only party leaders can do this', { code: 'NOT_PARTY_LEADER', partyId: party.id });
+  }
+};
+
+/**
+ * Builds member views for a party
+ * @param {Object} db - Mock database
+ * @param {Object} party - Party
+ * @returns {Array<Object>} Members
+ */
+const buildMembers = (db, party) => party.members.map(m => ({
+  ...toPublicUser(db, requireUser(db, m.userId)),
+  userId: m.userId,
+  role: m.role,
+  joinedAt: m.joinedAt
+}));
+
+/**
+ * Builds the view of a party
+ * @param {Object} db - Mock database
+ * @param {Object} party - Party
+ * @param {string} userId - Acting user
+ * @returns {Object} Party view
+ */
+const buildPartyView = (db, party, userId) => {
+  const { chat, tasks, invitations, inviteCode, ...rest } = party;
+  const member = findMember(party, userId);
+  return {
+    ...rest,
+    members: buildMembers(db, party),
+    memberCount: party.members.length,
+    isMember: Boolean(member),
+    myRole: member?.role || null,
+    inviteCode: member ? inviteCode : null,
+    pendingInvitation: invitations.find(i => i.userId === userId && i.status === 'pending') || null
+  };
+};
+
+/**
+ * Marks a party as recently active
+ * @param {Object} party - Party
+ */
+const touch = (party) => {
+  party.lastActivityAt = nowISO();
+};
+
+/**
+ * Builds a party invite link
+ * @param {Object} party - Party
+ * @returns {Object} { inviteCode, url }
+ */
+const inviteLink = (party) => ({
+  inviteCode: party.inviteCode,
+  url: `${window.location.origin}/parties/join/${party.inviteCode}`
+});
+
+/**
+ * Sorts parties for discovery
+ * @param {Array<Object>} parties - Parties
+ * @param {string} sortBy - activity | members | newest
+ * @returns {Array<Object>} Sorted parties
+ */
+const sortParties = (parties, sortBy) => {
+  const sorters = {
+    members: (a, b) => b.members.length - a.members.length,
+    newest: (a, b) => b.createdAt.localeCompare(a.createdAt),
+    activity: (a, b) => b.lastActivityAt.localeCompare(a.lastActivityAt)
+  };
+  return [...parties].sort(sorters[sortBy] || sorters.activity);
+};
+
+// =============================================================================
+// ROUTES
+// =============================================================================
+
+/**
+ * Registers party routes
+ * @param {Object} router - Mock router
+ */
+export const registerPartyRoutes = (router) => {
+  router.post('/parties/create', ({ db, userId, body }) => {
+    if (!body.name) throw mockError(400, 'Party name is required', { code: 'INVALID_INPUT' });
+
+    const id = nextId(db, 'party');
+    const party = {
+      id,
+      name: body.name,
+      description: body.description || '',
+      type: body.type || 'study_group',
+      visibility: body.visibility || 'public',
+      status: 'active',
+      maxMembers: Number(body.maxMembers) || 5,
+      focusMission: body.focusMission || null,
+      focusStage: body.focusStage || null,
+      tags: body.tags || [],
+      inviteCode: `${body.name.replace(/[^A-Za-z]/g, '').slice(0, 6).toUpperCase() || 'PARTY'}-${id.split('_')[1]}`,
+      leaderId: userId,
+      members: [{ userId, role: 'leader', joinedAt: nowISO() }],
+      invitations: [],
+      chat: [],
+      tasks: [],
+      progress: { goal: '', targetStage: body.focusStage || null, percentage: 0, milestones: [] },
+      createdAt: nowISO(),
+      lastActivityAt: nowISO()
+    };
+    db.parties.push(party);
+    recordActivity(db, userId, {
+      type: 'party_created',
+      title: 'Created a party',
+      description: party.name
+    });
+
+    return buildPartyView(db, party, userId);
+  });
+
+  router.get('/parties/discover', ({ db, userId, query }) => {
+    const { type, focusStage, search, sortBy } = query;
+    let parties = db.parties.filter(p => p.status === 'active' && p.visibility === 'public');
+    if (type) parties = parties.filter(p => p.type === type);
+    if (focusStage) parties = parties.filter(p => p.focusStage === Number(focusStage));
+    if (search) parties = parties.filter(p => matchesSearch(p, search, ['name', 'description']));
+
+    const views = sortParties(parties, sortBy).map(p => buildPartyView(db, p, userId));
+    const { items, pagination } = paginate(views, query);
+    return { parties: items, pagination };
+  });
+
+  router.get('/parties/discover/recommended', ({ db, userId }) => {
+    const { stats } = requireUser(db, userId);
+    const parties = db.parties
+      .filter(p => p.status === 'active' && p.visibility === 'public' && !findMember(p, userId))
+      .filter(p => p.members.length < p.maxMembers)
+      .sort((a, b) => Math.abs((a.focusStage || 0) - stats.currentStage) - Math.abs((b.focusStage || 0) - stats.currentStage))
+      .map(p => ({ ...buildPartyView(db, p, userId), reason: `Focused near your current stage (${stats.currentStage})` }));
+    return { parties };
+  });
+
+  router.get('/parties/my', ({ db, userId, query }) => {
+    const status = query.status || 'active';
+    const parties = db.parties
+      .filter(p => findMember(p, userId) && (status === 'all' || p.status === status))
+      .map(p => buildPartyView(db, p, userId));
+    const invitations = db.parties
+      .filter(p => p.status === 'active')
+      .flatMap(p => p.invitations
+        .filter(i => i.userId === userId && i.status === 'pending')
+        .map(i => ({ ...i, partyId: p.id, partyName: p.name })));
+    return { parties, invitations, total: parties.length };
+  });
+
+  router.get('/parties/:id', ({ db, userId, params }) => {
+    return buildPartyView(db, requireParty(db, params.id), userId);
+  });
+
+  router.patch('/parties/:id', ({ db, userId, params, body }) => {
+    const party = requireParty(db, params.id);
+    requireManager(party, userId);
+    EDITABLE_FIELDS.forEach(field => {
+      if (body[field] !== undefined) party[field] = body[field];
+    });
+    touch(party);
+    return buildPartyView(db, party, userId);
+  });
+
+  router.delete('/parties/:id', ({ db, userId, params }) => {
+    const party = requireParty(db, params.id);
+    if (party.leaderId !== userId) {
+      throw mockError(403, 'Only the party leader can disband the party', { code: 'NOT_PARTY_LEADER', partyId: party.id });
+    }
+    party.status = 'disbanded';
+    settlePartyEscrows(db, party);
+    return { success: true };
+  });
+
+  router.post('/parties/:id/join', ({ db, userId, params, body }) => {
+    const party = requireParty(db, params.id);
+    if (findMember(party, userId)) {
+      throw mockError(409, 'You are already a member of this party', { code: 'ALREADY_MEMBER', partyId: party.id });
+    }
+    if (party.members.length >= party.maxMembers) {
+      throw mockError(409, 'This party is full', { code: 'PARTY_FULL', partyId: party.id });
+    }
+
+    const invitation = party.invitations.find(i => i.userId === userId && i.status === 'pending');
+    if (party.visibility !== 'public' && !invitation && body.inviteCode !== party.inviteCode) {
+      throw mockError(403, 'An invitation is required to join this party', { code: 'INVITE_REQUIRED', partyId: party.id });
+    }
+
+    if (invitation) invitation.status = 'accepted';
+    party.members.push({ userId, role: 'member', joinedAt: nowISO() });
+    touch(party);
+    recordActivity(db, userId, {
+      type: 'party_joined',
+      title: 'Joined a party',
+      description: party.name
+    });
+
+    return buildPartyView(db, party, userId);
+  });
+
+  router.post('/parties/:id/leave', ({ db, userId, params }) => {
+    const party = requireParty(db, params.id);
+    requireMember(party, userId);
+    party.members = party.members.filter(m => m.userId !== userId);
+
+    if (party.leaderId === userId) {
+      const successor = party.members.find(m => m.role === 'co_leader') || party.members[0];
+      if (successor) {
+        successor.role = 'leader';
+        party.leaderId = successor.userId;
+      } else {
+        party.status = 'disbanded';
+        settlePartyEscrows(db, party);
+      }
+    }
+    touch(party);
+    return { success: true };
+  });
+
+  router.get('/parties/:id/members', ({ db, params }) => {
+    const party = requireParty(db, params.id);
+    return { members: buildMembers(db, party), total: party.members.length, maxMembers: party.maxMembers };
+  });
+
+  router.patch('/parties/:id/members/:userId', ({ db, userId, params, body }) => {
+    const party = requireParty(db, params.id);
+    requireManager(party, userId);
+    const member = findMember(party, params.userId);
+    if (!member) throw notFound('Party member', params.userId);
+    if (member.role === 'leader' || body.role === 'leader') {
+      throw mockError(400, 'Leadership cannot be changed through role updates', { code: 'INVALID_ROLE' });
+    }
+    member.role = body.role;
+    return { ...toPublicUser(db, requireUser(db, member.userId)), ...member };
+  });
+
+  router.delete('/parties/:id/members/:userId', ({ db, userId, params }) => {
+    const party = requireParty(db, params.id);
+    requireManager(party, userId);
+    if (params.userId === party.leaderId) {
+      throw mockError(400, 'The party leader cannot be removed', { code: 'INVALID_ROLE' });
+    }
+    if (!findMember(party, params.userId)) throw notFound('Party member', params.userId);
+    party.members = party.members.filter(m => m.userId !== params.userId);
+    return { success: true };
+  });
+
+  router.post('/parties/:id/invite', ({ db, userId, params, body }) => {
+    const party = requireParty(db, params.id);
+    requireMember(party, userId);
+
+    const invitee = body.userId ? requireUser(db, body.userId) : db.users.find(u => u.email === body.email);
+    if (!invitee && !body.email) {
+      throw mockError(400, 'A user or email is required', { code: 'INVALID_INPUT' });
+    }
+    if (invitee && findMember(party, invitee.id)) {
+      throw mockError(409, 'User is already a member of this party', { code: 'ALREADY_MEMBER' });
+    }
+
+    const invitation = {
+      id: nextId(db, 'pinv'),
+      userId: invitee?.id || null,
+      email: invitee ? null : body.email,
+      invitedBy: userId,
+      message: body.message || '',
+      status: 'pending',
+      createdAt: nowISO()
+    };
+    party.invitations.push(invitation);
+
+    if (invitee) {
+      pushNotification(db, invitee.id, {
+        type: 'party_invite',
+        category: 'social',
+        title: 'Party Invitation',
+        message: `${requireUser(db, userId).displayName} invited you to join "${party.name}"`,
+        actionUrl: `/parties/${party.id}`,
+        metadata: { partyId: party.id, invitationId: invitation.id }
+      });
+    }
+
+    return { success: true, invitation };
+  });
+
+  router.get('/parties/:id/invite/link', ({ db, userId, params }) => {
+    const party = requireParty(db, params.id);
+    requireMember(party, userId);
+    return inviteLink(party);
+  });
+
+  router.post('/parties/:id/invite/regenerate', ({ db, userId, params }) => {
+    const party = requireParty(db, params.id);
+    requireManager(party, userId);
+    party.inviteCode = `${party.inviteCode.split('-')[0]}-${nextId(db, 'inv').split('_')[1]}`;
+    return inviteLink(party);
+  });
+
+  router.get('/parties/:id/chat', ({ db, params, query }) => {
+    const party = requireParty(db, params.id);
+    const limit = Math.max(1, Number(query.limit) || 50);
+    const older = query.before ? party.chat.filter(m => m.createdAt < query.before) : party.chat;
+    const messages = older.slice(-limit).map(m => {
+      const author = requireUser(db, m.userId);
+      return { ...m, author: { id: author.id, username: author.username, displayName: author.displayName, avatarUrl: author.avatarUrl } };
+    });
+    return { messages, hasMore: older.length > messages.length };
+  });
+
+  router.get('/parties/:id/tasks', ({ db, params }) => {
+    const { tasks } = requireParty(db, params.id);
+    return {
+      tasks,
+      total: tasks.length,
+      completed: tasks.filter(t => t.status === 'completed').length
+    };
+  });
+
+  router.post('/parties/:id/tasks', ({ db, userId, params, body }) => {
+    const party = requireParty(db, params.id);
+    requireMember(party, userId);
+    if (!body.title) throw mockError(400, 'Task title is required', { code: 'INVALID_INPUT' });
+
+    const task = {
+      id: nextId(db, 'ptask'),
+      title: body.title,
+      description: body.description || '',
+      status: 'todo',
+      assigneeId: body.assigneeId || null,
+      dueDate: body.dueDate || null,
+      createdBy: userId,
+      createdAt: nowISO()
+    };
+    party.tasks.push(task);
+    touch(party);
+    return task;
+  });
+
+  router.patch('/parties/:id/tasks/:taskId', ({ db, userId, params, body }) => {
+    const party = requireParty(db, params.id);
+    requireMember(party, userId);
+    const task = party.tasks.find(t => t.id === params.taskId);
+    if (!task) throw notFound('Task', params.taskId);
+
+    Object.assign(task, body, { id: task.id, createdBy: task.createdBy, createdAt: task.createdAt });
+    if (body.status === 'completed' && !task.completedAt) task.completedAt = nowISO();
+    touch(party);
+    settlePartyEscrows(db, party);
+    return task;
+  });
+
+  router.post('/parties/:id/tasks/:taskId/assign', ({ db, userId, params, body }) => {
+    const party = requireParty(db, params.id);
+    requireMember(party, userId);
+    const task = party.tasks.find(t => t.id === params.taskId);
+    if (!task) throw notFound('Task', params.taskId);
+    if (!findMember(party, body.userId)) throw notFound('Party member', body.userId);
+
+    task.assigneeId = body.userId;
+    touch(party);
+    return task;
+  });
+
+  router.get('/parties/:id/progress', ({ db, params }) => {
+    const party = requireParty(db, params.id);
+    return {
+      partyId: party.id,
+      ...party.progress,
+      members: party.members.map(m => {
+        const { stats } = requireUser(db, m.userId);
+        return {
+          userId: m.userId,
+          currentStage: stats.currentStage,
+          missionsCompleted: stats.missionsCompleted,
+          streak: stats.streak,
+          ...(party.progress.memberUpdates?.[m.userId] || {})
+        };
+      })
+    };
+  });
+
+  router.patch('/parties/:id/progress', ({ db, userId, params, body }) => {
+    const party = requireParty(db, params.id);
+    requireMember(party, userId);
+    party.progress.memberUpdates = {
+      ...party.progress.memberUpdates,
+      [userId]: { ...party.progress.memberUpdates?.[userId], ...body, updatedAt: nowISO() }
+    };
+    touch(party);
+    return { partyId: party.id, userId, ...party.progress.memberUpdates[userId] };
+  });
+};
+
+export default registerPartyRoutes;
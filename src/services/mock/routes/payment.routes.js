@@ -0,0 +1,170 @@
+/**
+ * GPS Lab Platform - Mock Payment Routes
+ *
+ * Plans, subscriptions, payment methods, purchases and invoices for the
+ * mock backend. No money moves; paid actions are recorded in the
+ * learner's payment history and half of each payment goes into their
+ * covenant contribution, as on the real platform.
+ *
+ * @module services/mock/routes/payment.routes
+ * @version 1.0.0
+ */
+
+import { ensureLearner, nextId } from '../mock.db';
+import { mockError, notFound, paginate, nowISO, offsetISO, DAY } from '../mock.utils';
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+const COVENANT_SHARE = 0.5;
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * Requires a payment method for a paid action
+ * @param {Object} payments - Learner payment state
+ * @param {string} methodId - Requested method ID
+ * @returns {Object} Payment method
+ * @throws {MockHttpError} 400 when no usable method exists
+ */
+const resolveMethod = (payments, methodId) => {
+  const method = methodId
+    ? payments.methods.find(m => m.id === methodId)
+    : payments.methods.find(m => m.isDefault);
+  if (!method) {
+    throw mockError(400, 'A valid payment method is required', { code: 'PAYMENT_METHOD_REQUIRED' });
+  }
+  return method;
+};
+
+/**
+ * Records a completed payment and its covenant contribution
+ * @param {Object} learner - Learner state
+ * @param {Object} db - Mock database
+ * @param {Object} data - { amount, description, methodId }
+ * @returns {Object} Payment record
+ */
+const recordPayment = (learner, db, { amount, description, methodId }) => {
+  const payment = {
+    id: nextId(db, 'pay'),
+    amount,
+    currency: 'USD',
+    description,
+    methodId: methodId || null,
+    status: 'completed',
+    createdAt: nowISO()
+  };
+  learner.payments.history.unshift(payment);
+  learner.covenant.totalContributed += amount * COVENANT_SHARE;
+  return payment;
+};
+
+// =============================================================================
+// ROUTES
+// =============================================================================
+
+/**
+ * Registers payment routes
+ * @param {Object} router - Mock router
+ */
+export const registerPaymentRoutes = (router) => {
+  router.get('/payments/plans', ({ db, userId }) => {
+    const { planId } = ensureLearner(db, userId).payments.subscription;
+    return { plans: db.plans.map(p => ({ ...p, current: p.id === planId })) };
+  });
+
+  router.post('/payments/subscribe', ({ db, userId, body }) => {
+    const plan = db.plans.find(p => p.id === body.planId);
+    if (!plan) throw notFound('Plan', body.planId);
+
+    const learner = ensureLearner(db, userId);
+    const amount = body.isAnnual ? plan.annualPrice || plan.price * 12 : plan.price;
+    const method = amount > 0 ? resolveMethod(learner.payments, body.paymentMethodId) : null;
+    const interval = body.isAnnual ? 'year' : 'month';
+
+    learner.payments.subscription = { planId: plan.id, status: 'active', interval, startedAt: nowISO() };
+    if (amount > 0) {
+      recordPayment(learner, db, { amount, description: `${plan.name} Plan (${interval}ly)`, methodId: method.id });
+    }
+
+    return {
+      subscriptionId: nextId(db, 'sub'),
+      planId: plan.id,
+      planName: plan.name,
+      status: 'active',
+      amount,
+      interval,
+      nextBillingDate: offsetISO((body.isAnnual ? 365 : 30) * DAY),
+      covenantReturn: amount * COVENANT_SHARE
+    };
+  });
+
+  router.post('/payments/cancel', ({ db, userId, body }) => {
+    const { subscription } = ensureLearner(db, userId).payments;
+    if (subscription.planId === 'plan_free') {
+      throw mockError(409, 'There is no paid subscription to cancel', { code: 'NO_SUBSCRIPTION' });
+    }
+    subscription.status = 'cancelled';
+    subscription.cancelReason = body.reason || null;
+    return { status: 'cancelled', effectiveDate: offsetISO(30 * DAY) };
+  });
+
+  router.get('/payments/history', ({ db, userId, query }) => {
+    const { items, pagination } = paginate(ensureLearner(db, userId).payments.history, query);
+    return { payments: items, pagination };
+  });
+
+  router.get('/payments/methods', ({ db, userId }) => ({ methods: ensureLearner(db, userId).payments.methods }));
+
+  router.post('/payments/methods', ({ db, userId, body }) => {
+    if (!body.type) throw mockError(400, 'Payment method type is required', { code: 'INVALID_INPUT' });
+    const { methods } = ensureLearner(db, userId).payments;
+    const method = { id: nextId(db, 'pm'), ...body, isDefault: methods.length === 0 };
+    methods.push(method);
+    return method;
+  });
+
+  router.delete('/payments/methods/:id', ({ db, userId, params }) => {
+    const payments = ensureLearner(db, userId).payments;
+    const method = payments.methods.find(m => m.id === params.id);
+    if (!method) throw notFound('Payment method', params.id);
+
+    payments.methods = payments.methods.filter(m => m.id !== method.id);
+    if (method.isDefault && payments.methods.length) payments.methods[0].isDefault = true;
+    return { removed: true };
+  });
+
+  router.post('/payments/purchase', ({ db, userId, body }) => {
+    const amount = Number(body.amount);
+    if (!amount || amount <= 0) {
+      throw mockError(400, 'Amount must be a positive number', { code: 'INVALID_AMOUNT' });
+    }
+    const learner = ensureLearner(db, userId);
+    const method = resolveMethod(learner.payments, body.paymentMethodId);
+    const payment = recordPayment(learner, db, {
+      amount,
+      description: `Purchase: ${body.itemType}/${body.itemId}`,
+      methodId: method.id
+    });
+
+    return {
+      transactionId: payment.id,
+      itemType: body.itemType,
+      itemId: body.itemId,
+      amount,
+      status: 'completed',
+      covenantReturn: amount * COVENANT_SHARE
+    };
+  });
+
+  router.get('/payments/invoice/:id', ({ db, userId, params }) => {
+    const payment = ensureLearner(db, userId).payments.history.find(p => p.id === params.id);
+    if (!payment) throw notFound('Invoice', params.id);
+    return { id: payment.id, amount: payment.amount, currency: payment.currency, status: 'paid', pdfUrl: null };
+  });
+};
+
+export default registerPaymentRoutes;
@@ -0,0 +1,190 @@
+/**
+ * GPS Lab Platform - Mock Portfolio Routes
+ *
+ * Portfolio profile, showcase projects, certificates, sharing and export
+ * for the mock backend. Portfolio stats are read live from the learner's
+ * progress rather than stored.
+ *
+ * @module services/mock/routes/portfolio.routes
+ * @version 1.0.0
+ */
+
+import { requireUser, ensureLearner, getUserRank, getMissionStatus, nextId } from '../mock.db';
+import { MOCK_ADVENTURES } from '../mock.seed';
+import { mockError, notFound, nowISO } from '../mock.utils';
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+const EDITABLE_FIELDS = ['headline', 'summary', 'featured', 'visibility'];
+
+/**
+ * Gets a learner's portfolio settings, creating defaults on first use
+ * @param {Object} db - Mock database
+ * @param {string} userId - User ID
+ * @returns {Object} Portfolio settings
+ */
+const getPortfolioState = (db, userId) => {
+  const learner = ensureLearner(db, userId);
+  if (!learner.portfolio) {
+    learner.portfolio = {
+      headline: '',
+      summary: requireUser(db, userId).bio || '',
+      featured: [],
+      visibility: 'public',
+      lastUpdated: nowISO()
+    };
+  }
+  return learner.portfolio;
+};
+
+/**
+ * Builds a portfolio view
+ * @param {Object} db - Mock database
+ * @param {string} userId - Portfolio owner
+ * @returns {Object} Portfolio
+ */
+const buildPortfolio = (db, userId) => {
+  const user = requireUser(db, userId);
+  const learner = ensureLearner(db, userId);
+  const adventuresCompleted = MOCK_ADVENTURES.filter(adventure =>
+    db.missions
+      .filter(m => m.adventureNumber === adventure.number)
+      .every(m => getMissionStatus(db, userId, m.id) === 'completed')
+  ).length;
+
+  return {
+    userId: user.id,
+    username: user.username,
+    displayName: user.displayName,
+    ...getPortfolioState(db, userId),
+    stats: {
+      missionsCompleted: user.stats.missionsCompleted,
+      checkpointsPassed: user.stats.checkpointsPassed,
+      adventuresCompleted,
+      totalXP: user.stats.xp,
+      totalBaraka: learner.wallet.available,
+      rank: getUserRank(db, userId, 'xp'),
+      badgeCount: learner.badges.length
+    }
+  };
+};
+
+/**
+ * Finds one of the learner's portfolio projects
+ * @param {Object} db - Mock database
+ * @param {string} userId - User ID
+ * @param {string} projectId - Project ID
+ * @returns {Object} Project
+ * @throws {MockHttpError} 404 when missing
+ */
+const requireProject = (db, userId, projectId) => {
+  const project = ensureLearner(db, userId).portfolioProjects.find(p => p.id === projectId);
+  if (!project) throw notFound('Portfolio project', projectId);
+  return project;
+};
+
+// =============================================================================
+// ROUTES
+// =============================================================================
+
+/**
+ * Registers portfolio routes
+ * @param {Object} router - Mock router
+ */
+export const registerPortfolioRoutes = (router) => {
+  router.get('/portfolio', ({ db, userId }) => {
+    const learner = ensureLearner(db, userId);
+    return {
+      ...buildPortfolio(db, userId),
+      projects: learner.portfolioProjects,
+      certificates: learner.certificates
+    };
+  });
+
+  router.patch('/portfolio', ({ db, userId, body }) => {
+    const portfolio = getPortfolioState(db, userId);
+    EDITABLE_FIELDS.forEach(field => {
+      if (body[field] !== undefined) portfolio[field] = body[field];
+    });
+    portfolio.lastUpdated = nowISO();
+    return buildPortfolio(db, userId);
+  });
+
+  router.get('/portfolio/projects', ({ db, userId }) => ({
+    projects: ensureLearner(db, userId).portfolioProjects
+  }));
+
+  router.post('/portfolio/projects', ({ db, userId, body }) => {
+    if (!body.title) throw mockError(400, 'Project title is required', { code: 'INVALID_INPUT' });
+    const project = {
+      id: nextId(db, 'proj'),
+      skills: [],
+      images: [],
+      links: [],
+      status: 'in_progress',
+      completedAt: null,
+      ...body,
+      featured: false,
+      createdAt: nowISO()
+    };
+    ensureLearner(db, userId).portfolioProjects.push(project);
+    return project;
+  });
+
+  router.patch('/portfolio/projects/:id', ({ db, userId, params, body }) => {
+    const project = requireProject(db, userId, params.id);
+    Object.assign(project, body, { id: project.id });
+    if (body.status === 'completed' && !project.completedAt) project.completedAt = nowISO();
+
+    const portfolio = getPortfolioState(db, userId);
+    if (body.featured !== undefined) {
+      portfolio.featured = body.featured
+        ? [...new Set([...portfolio.featured, project.id])]
+        : portfolio.featured.filter(id => id !== project.id);
+    }
+    return project;
+  });
+
+  router.delete('/portfolio/projects/:id', ({ db, userId, params }) => {
+    const project = requireProject(db, userId, params.id);
+    const learner = ensureLearner(db, userId);
+    learner.portfolioProjects = learner.portfolioProjects.filter(p => p.id !== project.id);
+    getPortfolioState(db, userId).featured = getPortfolioState(db, userId).featured.filter(id => id !== project.id);
+    return { removed: true };
+  });
+
+  router.get('/portfolio/certificates', ({ db, userId }) => ({
+    certificates: ensureLearner(db, userId).certificates
+  }));
+
+  router.get('/portfolio/achievements', ({ db, userId }) => ({
+    achievements: ensureLearner(db, userId).badges
+  }));
+
+  router.post('/portfolio/share',({ db, userId }) => ({
+    url: `${window.location.origin}/portfolio/${requireUser(db, userId).username}`,
+    expiresAt: null
+  }));
+
+  router.post('/portfolio/export', ({ db, body }) => ({
+    requestId: nextId(db, 'exp'),
+    format: body.format || 'pdf',
+    status: 'processing'
+  }));
+
+  router.get('/portfolio/:username', ({ db, params }) => {
+    const user = db.users.find(u => u.username === params.username);
+    if (!user) throw notFound('Portfolio', params.username);
+    const portfolio = buildPortfolio(db, user.id);
+    if (portfolio.visibility !== 'public') throw notFound('Portfolio', params.username);
+
+    return {
+      ...portfolio,
+      projects: ensureLearner(db, user.id).portfolioProjects.filter(p => p.status === 'completed')
+    };
+  });
+};
+
+export default registerPortfolioRoutes;
@@ -0,0 +1,557 @@
+/**
+ * GPS Lab Platform - Mock PSB Market Routes
+ *
+ * PSB trading against Baraka, run on the psb.market matching engine. A buy
+ * order holds the Baraka it could spend until it fills or is cancelled,
+ * when what it did not spend is refunded; a market buy spends from the
+ * wallet as it fills. A sell order locks its PSB, and the seller is paid
+ * each sale less their tier's commission. Sellers can only have as many
+ * sell orders resting as their tier allows.
+ *
+ * PSB can also be locked up for a term to earn interest (psb.staking).
+ * Lockups that have matured are released, with their interest, the next
+ * time their owner's PSB is read.
+ *
+ * @module services/mock/routes/psb.routes
+ * @version 1.0.0
+ */
+
+import { ensureLearner, nextId, findUser, creditBaraka, debitBaraka } from '../mock.db';
+import { mockError, notFound, clone, nowISO, paginate } from '../mock.utils';
+import {
+  ORDER_SIDES,
+  ORDER_TYPES,
+  isOrderActive,
+  createOrder,
+  matchOrder,
+  cancelOrder,
+  tradeValue,
+  getDepth,
+  getMarketStats,
+  aggregateCandles,
+  CANDLE_INTERVALS,
+  getSellerTier,
+  canListMore,
+  calculateSaleProceeds,
+  calculateWithdrawal
+} from '../../../utils/helpers/psb.market';
+import {
+  STAKE_STATUS,
+  getLockupTerms,
+  getAccrualSchedule,
+  createStake,
+  isStakeMatured,
+  calculateStakePayout,
+  closeStake,
+  getStakeProgress,
+  summarizeStakes
+} from '../../../utils/helpers/psb.staking';
+import { validatePSBOrder, validatePSBWithdrawal, validatePSBStake } from '../../../utils/validators/psb.validator';
+import { PSB_CONFIG } from '../../../config/game.config';
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+const BASE = '/psb/market';
+const STAKES_BASE = '/psb/stakes';
+
+/**
+ * Gets a learner's PSB holdings
+ * @param {Object} db - Mock database
+ * @param {string} userId - User ID
+ * @returns {Object} { available, locked, stakes, transactions }
+ */
+const getHoldings = (db, userId) => ensureLearner(db, userId).psb;
+
+/**
+ * Pays out a closed stake and records it in the owner's PSB history
+ * @param {Object} db - Mock database
+ * @param {Object} closed - { stake, payout } from closeStake
+ * @returns {Array<Object>} PSB transactions recorded
+ */
+const payOutStake = (db, { stake, payout }) => {
+  const holdings = getHoldings(db, stake.userId);
+  const transactions = [{
+    id: nextId(db, 'psbtx'),
+    type: 'unstake',
+    amount: payout.principal - payout.penalty,
+    timestamp: stake.closedAt,
+    description: payout.early
+      ? `Unlocked early (${payout.penalty} PSB penalty, ${payout.forfeited} PSB interest forfeited)`
+      : `Lockup of ${stake.days} days matured`,
+    metadata: { stakeId: stake.id },
+    status: 'completed'
+  }];
+  if (payout.interest > 0) {
+    transactions.push({
+      id: nextId(db, 'psbtx'),
+      type: 'stake_interest',
+      amount: payout.interest,
+      timestamp: stake.closedAt,
+      description: `Interest at ${Math.round(stake.apy * 100)}% APY over ${stake.days} days`,
+      metadata: { stakeId: stake.id },
+      status: 'completed'
+    });
+  }
+
+  holdings.available += payout.returned;
+  holdings.transactions.unshift(...transactions);
+  return transactions;
+};
+
+/**
+ * Releases a user's stakes that have reached maturity
+ * @param {Object} db - Mock database
+ * @param {string} userId - User ID
+ * @param {string} now - ISO time
+ * @returns {Object} The user's PSB holdings
+ */
+const releaseMaturedStakes = (db, userId, now) => {
+  const holdings = getHoldings(db, userId);
+  holdings.stakes = holdings.stakes.map(stake => {
+    if (!isStakeMatured(stake, now)) return stake;
+    const closed = closeStake(stake, now);
+    payOutStake(db, closed);
+    return closed.stake;
+  });
+  return holdings;
+};
+
+/**
+ * Sales a user has made, which set their seller tier
+ * @param {Object} db - Mock database
+ * @param {string} userId - User ID
+ * @returns {number} Sales
+ */
+const countSales = (db, userId) =>
+  db.psbMarket.trades.filter(t => t.sellerId === userId).length;
+
+/**
+ * A user's sell orders resting in the book
+ * @param {Object} db - Mock database
+ * @param {string} userId - User ID
+ * @returns {number} Open listings
+ */
+const countListings = (db, userId) =>
+  db.psbMarket.book.asks.filter(o => o.userId === userId).length;
+
+/**
+ * Replaces stored orders with their updated copies
+ * @param {Object} db - Mock database
+ * @param {Array<Object>} orders - Updated orders
+ */
+const saveOrders = (db, orders) => {
+  orders.forEach(order => {
+    const index = db.psbMarket.orders.findIndex(o => o.id === order.id);
+    if (index === -1) db.psbMarket.orders.push(order);
+    else db.psbMarket.orders[index] = order;
+  });
+};
+
+/**
+ * Returns what a closed buy order held but did not spend
+ * @param {Object} db - Mock database
+ * @param {Object} order - Buy order that filled or was cancelled
+ */
+const refundHold = (db, order) => {
+  const refund = (order.held || 0) - Math.ceil(order.value);
+  if (refund <= 0) return;
+
+  creditBaraka(db, order.userId, refund, {
+    type: 'refund',
+    source: 'psb_order',
+    description: `Unspent Baraka from buy order ${order.id}`,
+    metadata: { orderId: order.id }
+  });
+};
+
+/**
+ * Moves PSB and pays sellers for executed trades
+ * @param {Object} db - Mock database
+ * @param {Array<Object>} trades - Trades from matchOrder
+ */
+const settleTrades = (db, trades) => {
+  trades.forEach(trade => {
+    const tier = getSellerTier(countSales(db, trade.sellerId));
+    const { net, commission } = calculateSaleProceeds(trade.charge, tier);
+
+    getHoldings(db, trade.buyerId).available += trade.amount;
+    getHoldings(db, trade.sellerId).locked -= trade.amount;
+    if (net > 0) {
+      creditBaraka(db, trade.sellerId, net, {
+        type: 'earn_psb',
+        source: 'psb_sale',
+        description: `Sold ${trade.amount} PSB at ${trade.price}`,
+        metadata: { tradeId: trade.id, commission }
+      });
+    }
+
+    db.psbMarket.trades.push({ ...trade, commission });
+  });
+};
+
+/**
+ * Closes out an order that left the book: unspent Baraka back to the
+ * buyer, unsold PSB back to the seller
+ * @param {Object} db - Mock database
+ * @param {Object} order - Order no longer active
+ */
+const releaseOrder = (db, order) => {
+  if (order.side === ORDER_SIDES.BUY) {
+    refundHold(db, order);
+    return;
+  }
+  if (order.remaining > 0) {
+    const holdings = getHoldings(db, order.userId);
+    holdings.locked -= order.remaining;
+    holdings.available += order.remaining;
+  }
+};
+
+/**
+ * An order as its owner sees it
+ * @param {Object} order - Order
+ * @returns {Object} Order
+ */
+const toOrderResponse = (order) => clone(order);
+
+/**
+ * A trade as an entry in a user's PSB history
+ * @param {Object} db - Mock database
+ * @param {Object} trade - Trade
+ * @param {string} userId - User the history belongs to
+ * @returns {Object} PSB transaction
+ */
+const toTradeTransaction = (db, trade, userId) => {
+  const bought = trade.buyerId === userId;
+  const counterparty = findUser(db, bought ? trade.sellerId : trade.buyerId);
+  return {
+    id: trade.id,
+    type: bought ? 'buy' : 'sell',
+    amount: bought ? trade.amount : -trade.amount,
+    pricePerPSB: trade.price,
+    totalValue: trade.value,
+    commission: bought ? 0 : trade.commission,
+    timestamp: trade.executedAt,
+    description: bought
+      ? `Bought ${trade.amount} PSB`
+      : `Sold ${trade.amount} PSB (${trade.commission} Baraka commission)`,
+    counterparty: counterparty?.displayName || null,
+    status: 'completed'
+  };
+};
+
+/**
+ * A stake with how far it has run and what it has earned
+ * @param {Object} stake - Stake
+ * @param {string} now - ISO time
+ * @returns {Object} Stake
+ */
+const toStakeResponse = (stake, now) => ({ ...clone(stake), ...getStakeProgress(stake, now) });
+
+/**
+ * A user's PSB wallet and seller standing
+ * @param {Object} db - Mock database
+ * @param {string} userId - User ID
+ * @returns {Object} Wallet
+ */
+const toWalletResponse = (db, userId) => {
+  const now = nowISO();
+  const holdings = getHoldings(db, userId);
+  const staking = summarizeStakes(holdings.stakes, now);
+  const balance = holdings.available + holdings.locked + staking.staked;
+  const sales = countSales(db, userId);
+  const tier = getSellerTier(sales);
+  const { lastPrice } = getMarketStats(db.psbMarket.trades, { now });
+
+  return {
+    available: holdings.available,
+    locked: holdings.locked,
+    staked: staking.staked,
+    balance,
+    marketValue: tradeValue(balance, lastPrice),
+    staking,
+    baraka: ensureLearner(db, userId).wallet.available,
+    seller: {
+      tier: tier.id,
+      name: tier.name,
+      commission: tier.commission,
+      sales,
+      openListings: countListings(db, userId),
+      maxListings: tier.maxListings
+    }
+  };
+};
+
+// =============================================================================
+// ROUTES
+// =============================================================================
+
+/**
+ * Registers PSB market routes
+ * @param {Object} router - Mock router
+ */
+export const registerPsbRoutes = (router) => {
+  router.get(BASE, ({ db, query }) => {
+    const now = nowISO();
+    const { trades, book } = db.psbMarket;
+
+    return {
+      depth: getDepth(book, { levels: Number(query.levels) || 20 }),
+      stats: getMarketStats(trades, { now }),
+      recentTrades: trades.slice(-Math.min(Number(query.trades) || 50, 200)).reverse().map(clone),
+      updatedAt: now
+    };
+  });
+
+  router.get(`${BASE}/candles`, ({ db, query }) => {
+    const interval = query.interval || '1h';
+    if (!CANDLE_INTERVALS[interval]) {
+      throw mockError(400, 'Unsupported candle interval', { code: 'INVALID_INPUT', intervals: Object.keys(CANDLE_INTERVALS) });
+    }
+    const count = Math.min(Math.max(1, Number(query.count) || 48), 500);
+
+    return {
+      interval,
+      candles: aggregateCandles(db.psbMarket.trades, { interval, now: nowISO(), count })
+    };
+  });
+
+  router.get(`${BASE}/wallet`, ({ db, userId }) => {
+    releaseMaturedStakes(db, userId, nowISO());
+    return toWalletResponse(db, userId);
+  });
+
+  router.get(`${BASE}/orders`, ({ db, userId, query }) => {
+    let orders = db.psbMarket.orders.filter(o => o.userId === userId);
+    if (query.status === 'active') orders = orders.filter(isOrderActive);
+    else if (query.status) orders = orders.filter(o => o.status === query.status);
+
+    const sorted = [...orders].sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    const { items, pagination } = paginate(sorted, query);
+    return { orders: items.map(toOrderResponse), pagination };
+  });
+
+  router.post(`${BASE}/orders`, ({ db, userId, body }) => {
+    const { valid, errors } = validatePSBOrder(body);
+    if (!valid) {
+      throw mockError(422, 'Please fix the highlighted fields', { code: 'VALIDATION_ERROR', errors });
+    }
+
+    const now = nowISO();
+    const amount = Number(body.amount);
+    const learner = ensureLearner(db, userId);
+    const holdings = releaseMaturedStakes(db, userId, now);
+    let order = createOrder({
+      id: nextId(db, 'ord'),
+      userId,
+      side: body.side,
+      type: body.type,
+      amount,
+      price: Number(body.price),
+      budget: body.side === ORDER_SIDES.BUY && body.type === ORDER_TYPES.MARKET ? learner.wallet.available : null,
+      createdAt: now
+    });
+
+    if (order.side === ORDER_SIDES.SELL) {
+      if (holdings.available < amount) {
+        throw mockError(400, 'Insufficient PSB balance', {
+          code: 'INSUFFICIENT_PSB',
+          required: amount,
+          available: holdings.available
+        });
+      }
+      const tier = getSellerTier(countSales(db, userId));
+      if (order.type === ORDER_TYPES.LIMIT && !canListMore(tier, countListings(db, userId))) {
+        throw mockError(409, `${tier.name}s can have ${tier.maxListings} sell orders open at once`, {
+          code: 'LISTING_LIMIT_REACHED',
+          tier: tier.id,
+          maxListings: tier.maxListings
+        });
+      }
+      holdings.available -= amount;
+      holdings.locked += amount;
+    } else if (order.type === ORDER_TYPES.LIMIT) {
+      const held = Math.ceil(tradeValue(amount, order.price));
+      debitBaraka(db, userId, held, {
+        type: 'spend_psb',
+        source: 'psb_order',
+        description: `Held for a buy order of ${amount} PSB`,
+        metadata: { orderId: order.id }
+      });
+      order = { ...order, held };
+    } else if (!db.psbMarket.book.asks.some(o => o.userId !== userId)) {
+      throw mockError(409, 'There are no sell orders to buy from', { code: 'NO_LIQUIDITY' });
+    }
+
+    const result = matchOrder(db.psbMarket.book, order, {
+      now,
+      createTradeId: () => nextId(db, 'trd')
+    });
+    db.psbMarket.book = result.book;
+
+    if (order.side === ORDER_SIDES.BUY && order.type === ORDER_TYPES.MARKET && result.order.value > 0) {
+      debitBaraka(db, userId, Math.ceil(result.order.value), {
+        type: 'spend_psb',
+        source: 'psb_order',
+        description: `Bought ${result.order.filled} PSB at market`,
+        metadata: { orderId: order.id }
+      });
+    }
+    settleTrades(db, result.trades);
+    [result.order, ...result.makers].filter(o => !isOrderActive(o)).forEach(o => releaseOrder(db, o));
+    saveOrders(db, [result.order, ...result.makers]);
+
+    return {
+      order: toOrderResponse(result.order),
+      trades: clone(result.trades),
+      wallet: toWalletResponse(db, userId)
+    };
+  });
+
+  router.delete(`${BASE}/orders/:id`, ({ db, userId, params }) => {
+    const stored = db.psbMarket.orders.find(o => o.id === params.id && o.userId === userId);
+    if (!stored) throw notFound('Order', params.id);
+    if (!isOrderActive(stored)) {
+      throw mockError(409, 'Only open orders can be cancelled', { code: 'ORDER_NOT_OPEN', status: stored.status });
+    }
+
+    const { book, order } = cancelOrder(db.psbMarket.book, params.id, nowISO());
+    db.psbMarket.book = book;
+    releaseOrder(db, order);
+    saveOrders(db, [order]);
+
+    return { order: toOrderResponse(order), wallet: toWalletResponse(db, userId) };
+  });
+
+  router.get(`${BASE}/history`, ({ db, userId, query }) => {
+    releaseMaturedStakes(db, userId, nowISO());
+    const trades = db.psbMarket.trades
+      .filter(t => t.buyerId === userId || t.sellerId === userId)
+      .map(t => toTradeTransaction(db, t, userId));
+    const history = [...trades, ...getHoldings(db, userId).transactions]
+      .sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+
+    const { items, pagination } = paginate(history, { page: query.page, limit: query.limit || 50 });
+    return { transactions: clone(items), pagination };
+  });
+
+  router.get(`${BASE}/withdraw/quote`, ({ query }) => calculateWithdrawal(Number(query.amount) || 0));
+
+  router.post(`${BASE}/withdraw`, ({ db, userId, body }) => {
+    const amount = Number(body.amount);
+    const holdings = releaseMaturedStakes(db, userId, nowISO());
+    const { valid, errors } = validatePSBWithdrawal(amount, holdings.available);
+    if (!valid) {
+      throw mockError(400, errors.amount, { code: 'INVALID_AMOUNT', minimum: calculateWithdrawal(amount).minimum });
+    }
+
+    const quote = calculateWithdrawal(amount);
+    holdings.available -= amount;
+    const transaction = {
+      id: nextId(db, 'psbtx'),
+      type: 'withdraw',
+      amount: -amount,
+      totalValue: quote.baraka,
+      timestamp: nowISO(),
+      description: `Converted to ${quote.baraka} Baraka (${quote.fee} PSB fee)`,
+      status: 'completed'
+    };
+    holdings.transactions.unshift(transaction);
+    creditBaraka(db, userId, quote.baraka, {
+      type: 'earn_psb',
+      source: 'psb_withdrawal',
+      description: `Withdrew ${amount} PSB`,
+      metadata: { psbTransactionId: transaction.id, fee: quote.fee }
+    });
+
+    return { ...quote, transaction: clone(transaction), wallet: toWalletResponse(db, userId) };
+  });
+
+  // ==================== STAKING ====================
+
+  router.get(STAKES_BASE, ({ db, userId, query }) => {
+    const now = nowISO();
+    const holdings = releaseMaturedStakes(db, userId, now);
+    const stakes = query.status
+      ? holdings.stakes.filter(stake => stake.status === query.status)
+      : holdings.stakes;
+
+    return {
+      stakes: [...stakes]
+        .sort((a, b) => b.lockedAt.localeCompare(a.lockedAt))
+        .map(stake => toStakeResponse(stake, now)),
+      summary: summarizeStakes(holdings.stakes, now),
+      terms: getLockupTerms(),
+      earlyUnlockPenalty: PSB_CONFIG.EARLY_UNLOCK_PENALTY
+    };
+  });
+
+  router.get(`${STAKES_BASE}/:id`, ({ db, userId, params }) => {
+    const now = nowISO();
+    const stake = releaseMaturedStakes(db, userId, now).stakes.find(s => s.id === params.id);
+    if (!stake) throw notFound('Stake', params.id);
+
+    return {
+      stake: toStakeResponse(stake, now),
+      schedule: getAccrualSchedule(stake, { now }),
+      payout: stake.status === STAKE_STATUS.ACTIVE ? calculateStakePayout(stake, now) : null
+    };
+  });
+
+  router.post(STAKES_BASE, ({ db, userId, body }) => {
+    const now = nowISO();
+    const holdings = releaseMaturedStakes(db, userId, now);
+    const { valid, errors } = validatePSBStake(body, holdings.available);
+    if (!valid) {
+      throw mockError(422, 'Please fix the highlighted fields', { code: 'VALIDATION_ERROR', errors });
+    }
+
+    const stake = createStake({ id: nextId(db, 'stk'), userId, amount: Number(body.amount), term: body.term, now });
+    const transaction = {
+      id: nextId(db, 'psbtx'),
+      type: 'stake',
+      amount: -stake.amount,
+      timestamp: now,
+      description: `Locked for ${stake.days} days at ${Math.round(stake.apy * 100)}% APY`,
+      metadata: { stakeId: stake.id },
+      status: 'completed'
+    };
+    holdings.available -= stake.amount;
+    holdings.stakes.push(stake);
+    holdings.transactions.unshift(transaction);
+
+    return {
+      stake: toStakeResponse(stake, now),
+      transaction: clone(transaction),
+      wallet: toWalletResponse(db, userId)
+    };
+  });
+
+  router.post(`${STAKES_BASE}/:id/unlock`, ({ db, userId, params }) => {
+    const now = nowISO();
+    const holdings = releaseMaturedStakes(db, userId, now);
+    const index = holdings.stakes.findIndex(s => s.id === params.id);
+    if (index === -1) throw notFound('Stake', params.id);
+    if (holdings.stakes[index].status !== STAKE_STATUS.ACTIVE) {
+      throw mockError(409, 'This lockup has already ended', {
+        code: 'STAKE_NOT_ACTIVE',
+        status: holdings.stakes[index].status
+      });
+    }
+
+    const closed = closeStake(holdings.stakes[index], now);
+    holdings.stakes[index] = closed.stake;
+    const transactions = payOutStake(db, closed);
+
+    return {
+      stake: toStakeResponse(closed.stake, now),
+      payout: closed.payout,
+      transactions: clone(transactions),
+      wallet: toWalletResponse(db, userId)
+    };
+  });
+};
+
+export default registerPsbRoutes;
@@ -0,0 +1,438 @@
+/**
+ * GPS Lab Platform - Mock Study Routes
+ *
+ * Study progress, sessions, R2R (Right to Retry), streaks, stats, goals
+ * and recommendations for the mock backend. Progress is read from the
+ * learner's mission state; sessions award XP and Baraka through the
+ * shared ledger.
+ *
+ * @module services/mock/routes/study.routes
+ * @version 1.0.0
+ */
+
+import {
+  requireUser,
+  ensureLearner,
+  nextId,
+  creditBaraka,
+  debitBaraka,
+  awardXp,
+  requireMission,
+  getMissionStatus,
+  buildMissionView,
+  getCheckpointState
+} from '../mock.db';
+import { findAdventureForStage, TOTAL_STAGES, MISSIONS_PER_STAGE, BITES_PER_MISSION } from '../mock.seed';
+import {
+  mockError,
+  notFound,
+  paginate,
+  createSeededRandom,
+  seedFromString,
+  randomInt,
+  nowISO,
+  todayDate,
+  offsetISO,
+  DAY
+} from '../mock.utils';
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+const PR2R_PRICE = 100;
+
+const SESSION_REWARDS = {
+  completed: { xp: 150, baraka: 75 },
+  partial: { xp: 50, baraka: 25 }
+};
+
+const WEEK_DAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * Builds a learner's streak summary
+ * @param {Object} db - Mock database
+ * @param {string} userId - User ID
+ * @returns {Object} Streak
+ */
+const buildStreak = (db, userId) => {
+  const { stats } = requireUser(db, userId);
+  const { streak } = ensureLearner(db, userId).study;
+  return {
+    current: stats.streak,
+    longest: stats.longestStreak,
+    lastStudyDate: streak.lastStudyDate,
+    studiedToday: streak.lastStudyDate === todayDate(),
+    milestones: streak.milestones
+  };
+};
+
+/**
+ * Records that the learner studied today
+ * @param {Object} db - Mock database
+ * @param {string} userId - User ID
+ */
+const markStudiedToday = (db, userId) => {
+  const { stats } = requireUser(db, userId);
+  const { streak } = ensureLearner(db, userId).study;
+  const today = todayDate();
+  if (streak.lastStudyDate === today) return;
+
+  const yesterday = offsetISO(-DAY).split('T')[0];
+  stats.streak = streak.lastStudyDate === yesterday ? stats.streak + 1 : 1;
+  stats.longestStreak = Math.max(stats.longestStreak, stats.streak);
+  streak.lastStudyDate = today;
+};
+
+/**
+ * Builds recommendations from a learner's current position
+ * @param {Object} db - Mock database
+ * @param {string} userId - User ID
+ * @returns {Array<Object>} Recommendations, highest priority first
+ */
+const buildRecommendations = (db, userId) => {
+  const { stats } = requireUser(db, userId);
+  const views = db.missions.map(m => buildMissionView(db, userId, m));
+  const current = views.find(m => m.status === 'in_progress');
+  const next = views.find(m => m.status === 'available');
+  const recommendations = [];
+
+  if (current) {
+    recommendations.push({
+      type: 'continue',
+      title: `Continue Mission ${current.id}`,
+      description: `You are ${current.progress.percentage}% through — keep going!`,
+      priority: 'high',
+      missionId: current.id
+    });
+  } else if (next) {
+    recommendations.push({
+      type: 'start',
+      title: `Start Mission ${next.id}`,
+      description: next.title,
+      priority: 'high',
+      missionId: next.id
+    });
+  }
+
+  if (stats.streak > 0) {
+    recommendations.push({
+      type: 'streak',
+      title: 'Maintain Your Streak',
+      description: `${stats.streak}-day streak — keep it alive!`,
+      priority: 'high'
+    });
+  }
+
+  if (stats.currentStage > 1) {
+    recommendations.push({
+      type: 'review',
+      title: `Review Stage ${stats.currentStage - 1} Concepts`,
+      description: 'Strengthen your foundation before advancing.',
+      priority: 'medium'
+    });
+  }
+
+  recommendations.push({
+    type: 'practice',
+    title: `Practice Stage ${stats.currentStage} Skills`,
+    description: `Extra practice available for Stage ${stats.currentStage} skills.`,
+    priority: 'medium'
+  });
+
+  return recommendations;
+};
+
+// =============================================================================
+// ROUTES
+// =============================================================================
+
+/**
+ * Registers study routes
+ * @param {Object} router - Mock router
+ */
+export const registerStudyRoutes = (router) => {
+  router.get('/study/progress', ({ db, userId }) => {
+    const { stats } = requireUser(db, userId);
+    const streak = buildStreak(db, userId);
+    return {
+      completedMissions: stats.missionsCompleted,
+      totalMissions: TOTAL_STAGES * MISSIONS_PER_STAGE,
+      completedCheckpoints: stats.checkpointsPassed,
+      totalCheckpoints: TOTAL_STAGES,
+      completedBites: stats.bitesCompleted,
+      totalBites: TOTAL_STAGES * MISSIONS_PER_STAGE * BITES_PER_MISSION,
+      currentStage: stats.currentStage,
+      currentAdventure: findAdventureForStage(stats.currentStage)?.number || 1,
+      studyHoursTotal: stats.studyHours,
+      lastStudyDate: streak.lastStudyDate,
+      studiedToday: streak.studiedToday
+    };
+  });
+
+  router.get('/study/progress/stage/:stageNumber', ({ db, userId, params }) => {
+    const stageNumber = Number(params.stageNumber);
+    const missions = db.missions
+      .filter(m => m.stageNumber === stageNumber)
+      .map(m => ({ id: m.id, status: getMissionStatus(db, userId, m.id) }));
+    if (!missions.length) throw notFound('Stage', params.stageNumber);
+
+    const completed = missions.filter(m => m.status === 'completed').length;
+    return {
+      stageNumber,
+      completed,
+      total: missions.length,
+      percentage: (completed / missions.length) * 100,
+      missions
+    };
+  });
+
+  router.get('/study/progress/mission/:missionId', ({ db, userId, params }) => {
+    const view = buildMissionView(db, userId, requireMission(db, params.missionId));
+    const checkpoint = ensureLearner(db, userId).checkpoints[view.id];
+    return {
+      missionId: view.id,
+      bitesCompleted: view.progress?.bitesCompleted || 0,
+      bitesTotal: view.bites.length,
+      percentage: view.progress?.percentage || 0,
+      checkpointStatus: checkpoint ? checkpoint.status : 'not_started',
+      lastActivityAt: view.progress?.lastActivityAt || null
+    };
+  });
+
+  router.get('/study/session', ({ db, userId }) => {
+    const { session } = ensureLearner(db, userId).study;
+    if (!session) throw mockError(404, 'No active study session', { code: 'NOT_FOUND' });
+    return {
+      ...session,
+      minutesElapsed: Math.floor((Date.now() - new Date(session.startedAt).getTime()) / 60000)
+    };
+  });
+
+  router.patch('/study/session', ({ db, userId, body }) => {
+    const study = ensureLearner(db, userId).study;
+    if (!study.session) throw mockError(404, 'No active study session', { code: 'NOT_FOUND' });
+    study.session = { ...study.session, ...body, sessionId: study.session.sessionId };
+    return study.session;
+  });
+
+  router.post('/study/session/start', ({ db, userId, body }) => {
+    const study = ensureLearner(db, userId).study;
+    study.session = {
+      sessionId: nextId(db, 'sess'),
+      missionId: body.missionId || null,
+      biteId: body.biteId || null,
+      goals: body.goals || [],
+      plannedDuration: body.plannedDuration || 60,
+      startedAt: body.startedAt || nowISO(),
+      status: 'active',
+      minutesElapsed: 0,
+      bitesCompleted: 0
+    };
+    return study.session;
+  });
+
+  router.post('/study/session/end', ({ db, userId, body }) => {
+    const user = requireUser(db, userId);
+    const study = ensureLearner(db, userId).study;
+    const { session } = study;
+    if (!session) throw mockError(404, 'No active study session', { code: 'NOT_FOUND' });
+
+    const endedAt = body.endedAt || nowISO();
+    const duration = Math.max(1, Math.floor((new Date(endedAt).getTime() - new Date(session.startedAt).getTime()) / 60000));
+    const rewards = body.completed ? SESSION_REWARDS.completed : SESSION_REWARDS.partial;
+
+    const { levelUp } = awardXp(db, userId, rewards.xp);
+    creditBaraka(db, userId, rewards.baraka, {
+      type: 'earn_study',
+      source: 'study_session',
+      description: body.completed ? 'Study session completed' : 'Study session',
+      metadata: { sessionId: session.sessionId, duration }
+    });
+
+    user.stats.studyHours = Math.round((user.stats.studyHours + duration / 60) * 10) / 10;
+    study.sessionsCount += 1;
+    study.goals.daily.current += duration;
+    study.session = null;
+    markStudiedToday(db, userId);
+
+    return {
+      sessionId: session.sessionId,
+      duration,
+      completed: Boolean(body.completed),
+      xpEarned: rewards.xp,
+      barakaEarned: rewards.baraka,
+      bitesCompleted: session.bitesCompleted || 0,
+      notes: body.notes || null,
+      rating: body.rating ?? null,
+      levelUp,
+      endedAt
+    };
+  });
+
+  router.get('/study/r2r', ({ db, userId }) => ensureLearner(db, userId).study.r2r);
+
+  router.get('/study/r2r/history', ({ db, userId, query }) => {
+    const { items, pagination } = paginate(ensureLearner(db, userId).study.r2r.history, query);
+    return { history: items, pagination };
+  });
+
+  router.post('/study/r2r/activate', ({ db, userId, body }) => {
+    const { r2r } = ensureLearner(db, userId).study;
+    const type = body.type || 'free';
+    const checkpoint = getCheckpointState(db, userId, body.missionId);
+
+    if (checkpoint.status === 'passed') {
+      throw mockError(409, 'Checkpoint already passed', { code: 'CHECKPOINT_PASSED', missionId: body.missionId });
+    }
+
+    if (type === 'grace') {
+      if (r2r.graceUsed) throw mockError(409, 'Grace retry already used', { code: 'NO_R2R_AVAILABLE', type });
+      r2r.graceUsed = true;
+    } else {
+      const key = type === 'paid' ? 'paidRetries' : 'freeRetries';
+      if (r2r[key] <= 0) throw mockError(409, `No ${type} retries remaining`, { code: 'NO_R2R_AVAILABLE', type });
+      r2r[key] -= 1;
+    }
+
+    r2r.totalUsed += 1;
+    r2r.history.unshift({ missionId: body.missionId, type, usedAt: nowISO(), result: 'pending' });
+    checkpoint.retryGranted = true;
+    checkpoint.status = 'available';
+
+    return { missionId: body.missionId, type, activated: true, remainingFree: r2r.freeRetries };
+  });
+
+  router.post('/study/r2r/purchase', ({ db, userId, body }) => {
+    const quantity = Math.max(1, Number(body.quantity) || 1);
+    const totalCost = quantity * PR2R_PRICE;
+    debitBaraka(db, userId, totalCost, {
+      type: 'spend_retry',
+      source: 'pr2r_purchase',
+      description: `Purchased ${quantity} PR2R token${quantity > 1 ? 's' : ''}`,
+      metadata: { quantity }
+    });
+
+    const { r2r } = ensureLearner(db, userId).study;
+    r2r.paidRetries += quantity;
+    return { quantity, totalCost, newPR2RBalance: r2r.paidRetries };
+  });
+
+  router.get('/study/streak', ({ db, userId }) => buildStreak(db, userId));
+
+  router.post('/study/streak/claim', ({ db, userId, body }) => {
+    const { streak } = ensureLearner(db, userId).study;
+    const milestone = streak.milestones.find(m => m.day === Number(body.milestone));
+    if (!milestone) throw notFound('Streak milestone', body.milestone);
+    if (milestone.claimed) {
+      throw mockError(409, 'Streak reward already claimed', { code: 'ALREADY_CLAIMED', milestone: milestone.day });
+    }
+    if (requireUser(db, userId).stats.streak < milestone.day) {
+      throw mockError(400, 'Streak milestone not reached yet', { code: 'MILESTONE_NOT_REACHED', milestone: milestone.day });
+    }
+
+    creditBaraka(db, userId, milestone.reward, {
+      type: 'earn_streak',
+      source: 'streak_bonus',
+      description: `${milestone.day}-day streak bonus`,
+      metadata: { streakDays: milestone.day }
+    });
+    milestone.claimed = true;
+
+    return { milestone: milestone.day, reward: milestone.reward, claimed: true };
+  });
+
+  router.get('/study/streak/calendar', ({ db, userId, query }) => {
+    const now = new Date();
+    const month = Number(query.month) || now.getMonth() + 1;
+    const year = Number(query.year) || now.getFullYear();
+    const { current } = buildStreak(db, userId);
+    const random = createSeededRandom(seedFromString(`${userId}:${year}-${month}`));
+    const streakStart = new Date(now.getTime() - (current - 1) * DAY).toISOString().split('T')[0];
+    const today = todayDate();
+
+    const days = Array.from({ length: new Date(year, month, 0).getDate() }, (_, i) => {
+      const date = `${year}-${String(month).padStart(2, '0')}-${String(i + 1).padStart(2, '0')}`;
+      const roll = random();
+      const isPast = date <= today;
+      const studied = isPast && ((current > 0 && date >= streakStart) || roll > 0.4);
+      return { date, studied, minutes: studied ? 15 + Math.floor(roll * 90) : 0 };
+    });
+
+    return { month, year, days, streakDays: current };
+  });
+
+  router.get('/study/stats', ({ db, userId, query }) => {
+    const { stats } = requireUser(db, userId);
+    const study = ensureLearner(db, userId).study;
+    const random = createSeededRandom(seedFromString(`${userId}:stats`));
+    const totalStudyMinutes = Math.round(stats.studyHours * 60);
+    const byWeek = ['W1', 'W2', 'W3', 'W4'].map(week => ({
+      week,
+      minutes: randomInt(random, 300, 480),
+      bites: randomInt(random, 6, 14)
+    }));
+
+    return {
+      period: query.period || '30d',
+      totalStudyMinutes,
+      avgDailyMinutes: Math.round(totalStudyMinutes / 30),
+      sessionsCount: study.sessionsCount,
+      avgSessionMinutes: study.sessionsCount ? Math.round(totalStudyMinutes / study.sessionsCount) : 0,
+      bitesCompleted: stats.bitesCompleted,
+      missionsCompleted: stats.missionsCompleted,
+      checkpointsPassed: stats.checkpointsPassed,
+      streakDays: stats.streak,
+      xpEarned: stats.xp,
+      barakaEarned: ensureLearner(db, userId).wallet.totalEarned,
+      mostProductiveDay: WEEK_DAYS[randomInt(random, 1, 5)],
+      mostProductiveHour: randomInt(random, 9, 20),
+      byWeek
+    };
+  });
+
+  router.get('/study/stats/analytics', ({ userId, query }) => {
+    const random = createSeededRandom(seedFromString(`${userId}:analytics`));
+    return {
+      startDate: query.startDate,
+      endDate: query.endDate,
+      groupBy: query.groupBy || 'day',
+      dataPoints: Array.from({ length: 30 }, (_, i) => ({
+        date: offsetISO(-(29 - i) * DAY).split('T')[0],
+        studyMinutes: randomInt(random, 15, 104),
+        bitesCompleted: randomInt(random, 1, 5),
+        xpEarned: randomInt(random, 50, 249)
+      }))
+    };
+  });
+
+  router.get('/study/goals', ({ db, userId }) => ensureLearner(db, userId).study.goals);
+
+  router.put('/study/goals', ({ db, userId, body }) => {
+    const study = ensureLearner(db, userId).study;
+    Object.keys(body).forEach(key => {
+      study.goals[key] = { ...study.goals[key], ...body[key] };
+    });
+    return study.goals;
+  });
+
+  router.get('/study/schedule', ({ db, userId }) => ensureLearner(db, userId).study.schedule);
+
+  router.put('/study/schedule', ({ db, userId, body }) => {
+    const study = ensureLearner(db, userId).study;
+    study.schedule = { ...study.schedule, ...body };
+    return study.schedule;
+  });
+
+  router.get('/study/recommendations', ({ db, userId }) => ({
+    recommendations: buildRecommendations(db, userId)
+  }));
+
+  router.get('/study/recommendations/next', ({ db, userId }) => buildRecommendations(db, userId)[0]);
+};
+
+export default registerStudyRoutes;
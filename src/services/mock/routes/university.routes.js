@@ -0,0 +1,163 @@
+/**
+ * GPS Lab Platform - Mock University Routes
+ *
+ * Partner universities, academic programs, enrollment and credential
+ * verification for the mock backend.
+ *
+ * @module services/mock/routes/university.routes
+ * @version 1.0.0
+ */
+
+import { requireUser, ensureLearner, nextId, recordActivity } from '../mock.db';
+import { mockError, notFound, paginate, matchesSearch, nowISO } from '../mock.utils';
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * Finds a university
+ * @param {Object} db - Mock database
+ * @param {string} universityId - University ID
+ * @returns {Object} University
+ * @throws {MockHttpError} 404 when missing
+ */
+const requireUniversity = (db, universityId) => {
+  const university = db.universities.find(u => u.id === universityId);
+  if (!university) throw notFound('University', universityId);
+  return university;
+};
+
+/**
+ * Finds a program offered by a university
+ * @param {Object} db - Mock database
+ * @param {string} universityId - University ID
+ * @param {string} programId - Program ID
+ * @returns {Object} Program
+ * @throws {MockHttpError} 404 when missing
+ */
+const requireProgram = (db, universityId, programId) => {
+  const program = db.programs.find(p => p.id === programId && p.universityId === universityId);
+  if (!program) throw notFound('Program', programId);
+  return program;
+};
+
+/**
+ * Finds an enrollment across all learners by its verification code
+ * @param {Object} db - Mock database
+ * @param {string} code - Verification code
+ * @returns {Object|null} { userId, enrollment }
+ */
+const findByVerificationCode = (db, code) => {
+  for (const [userId, learner] of Object.entries(db.learners)) {
+    const enrollment = learner.enrollments.find(e => e.verificationCode === code);
+    if (enrollment) return { userId, enrollment };
+  }
+  return null;
+};
+
+// =============================================================================
+// ROUTES
+// =============================================================================
+
+/**
+ * Registers university routes
+ * @param {Object} router - Mock router
+ */
+export const registerUniversityRoutes = (router) => {
+  router.get('/universities', ({ db, query }) => {
+    let universities = db.universities;
+    if (query.country) universities = universities.filter(u => matchesSearch(u, query.country, ['country']));
+
+    const { items, pagination } = paginate(universities, query);
+    return { universities: items, pagination };
+  });
+
+  router.get('/universities/search', ({ db, query }) => {
+    const universities = db.universities.filter(u => matchesSearch(u, query.q || '', ['name', 'code', 'country']));
+    return { universities, total: universities.length };
+  });
+
+  router.get('/universities/my-enrollments', ({ db, userId }) => {
+    const { enrollments } = ensureLearner(db, userId);
+    return { enrollments, total: enrollments.length };
+  });
+
+  router.post('/universities/my-enrollments/:id/withdraw', ({ db, userId, params, body }) => {
+    const enrollment = ensureLearner(db, userId).enrollments.find(e => e.id === params.id);
+    if (!enrollment) throw notFound('Enrollment', params.id);
+    if (enrollment.status !== 'active') {
+      throw mockError(409, 'Only active enrollments can be withdrawn', { code: 'ENROLLMENT_NOT_ACTIVE', status: enrollment.status });
+    }
+
+    enrollment.status = 'withdrawn';
+    enrollment.withdrawnReason = body.reason || null;
+    enrollment.withdrawnAt = nowISO();
+    return { enrollmentId: enrollment.id, status: enrollment.status, effectiveDate: enrollment.withdrawnAt };
+  });
+
+  router.post('/universities/enroll', ({ db, userId, body }) => {
+    const university = requireUniversity(db, body.universityId);
+    const program = requireProgram(db, university.id, body.programId);
+    const learner = ensureLearner(db, userId);
+    if (learner.enrollments.some(e => e.programId === program.id && e.status === 'active')) {
+      throw mockError(409, 'Already enrolled in this program', { code: 'ALREADY_ENROLLED', programId: program.id });
+    }
+
+    const id = nextId(db, 'enr');
+    const enrollment = {
+      id,
+      universityId: university.id,
+      programId: program.id,
+      universityName: university.name,
+      programName: program.name,
+      studentId: body.studentId || null,
+      status: 'active',
+      enrolledAt: nowISO(),
+      progress: { completedCredits: 0, totalCredits: program.credits, percentage: 0 },
+      expectedCompletion: null,
+      verificationCode: `${university.code}-GPS-${new Date().getFullYear()}-${id.split('_')[1]}`
+    };
+    learner.enrollments.push(enrollment);
+    program.enrolledCount += 1;
+    university.students += 1;
+    recordActivity(db, userId, { type: 'university_enrolled', title: 'Enrolled in a program', description: program.name });
+
+    return {
+      enrollmentId: enrollment.id,
+      universityId: university.id,
+      programId: program.id,
+      status: enrollment.status,
+      enrolledAt: enrollment.enrolledAt
+    };
+  });
+
+  router.post('/universities/verify', ({ db, body }) => {
+    const match = findByVerificationCode(db, body.code);
+    if (!match) return { valid: false };
+
+    const { userId, enrollment } = match;
+    return {
+      valid: true,
+      enrollmentId: enrollment.id,
+      university: enrollment.universityName,
+      program: enrollment.programName,
+      student: requireUser(db, userId).displayName,
+      status: enrollment.status
+    };
+  });
+
+  router.get('/universities/:id', ({ db, params }) => requireUniversity(db, params.id));
+
+  router.get('/universities/:id/programs', ({ db, params }) => {
+    const university = requireUniversity(db, params.id);
+    const programs = db.programs.filter(p => p.universityId === university.id);
+    return { programs, total: programs.length };
+  });
+
+  router.get('/universities/:id/programs/:programId', ({ db, params }) =>
+    requireProgram(db, params.id, params.programId)
+  );
+};
+
+export default registerUniversityRoutes;
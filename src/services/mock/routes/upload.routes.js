@@ -0,0 +1,161 @@
+/**
+ * GPS Lab Platform - Mock Upload Routes
+ *
+ * Resumable upload sessions: a session is opened for a file, which is then
+ * sent in chunks in order and completed once every byte has arrived. The
+ * session reports how many bytes it holds, so a client that lost track
+ * (a dropped connection, a reload) asks and carries on from there. Files are
+ * checked against the same rules the client applies before opening the
+ * session. The mock counts bytes rather than keeping them.
+ *
+ * @module services/mock/routes/upload.routes
+ * @version 1.0.0
+ */
+
+import { nextId } from '../mock.db';
+import { mockError, notFound, clone, nowISO } from '../mock.utils';
+import { validateUploadFile } from '../../../utils/validators/upload.validator';
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+const BASE = '/uploads';
+
+const DEFAULT_CHUNK_SIZE = 1024 * 1024;
+const MAX_CHUNK_SIZE = 8 * 1024 * 1024;
+
+/**
+ * Finds one of the user's upload sessions or throws 404
+ * @param {Object} db - Mock database
+ * @param {string} userId - User ID
+ * @param {string} uploadId - Upload ID
+ * @returns {Object} Upload session
+ */
+const requireUpload = (db, userId, uploadId) => {
+  const upload = db.uploads.find(u => u.id === uploadId && u.userId === userId);
+  if (!upload) throw notFound('Upload', uploadId);
+  return upload;
+};
+
+/**
+ * Public view of an upload session
+ * @param {Object} upload - Upload session
+ * @returns {Object} Upload
+ */
+const toUploadResponse = (upload) => {
+  const { userId, ...rest } = upload;
+  return clone(rest);
+};
+
+// =============================================================================
+// ROUTES
+// =============================================================================
+
+/**
+ * Registers upload routes
+ * @param {Object} router - Mock router
+ */
+export const registerUploadRoutes = (router) => {
+  router.post(BASE, async ({ db, userId, body }) => {
+    const size = Number(body.size);
+    if (!body.fileName || !Number.isInteger(size) || size < 0) {
+      throw mockError(400, 'A file name and size are required', { code: 'INVALID_UPLOAD' });
+    }
+
+    const { valid, errors } = await validateUploadFile(
+      { name: body.fileName, type: body.mimeType || '', size },
+      body.kind
+    );
+    if (!valid) {
+      throw mockError(422, errors[0], { code: 'INVALID_UPLOAD_FILE', errors });
+    }
+
+    const upload = {
+      id: nextId(db, 'upl'),
+      userId,
+      kind: body.kind,
+      fileName: body.fileName,
+      mimeType: body.mimeType || '',
+      size,
+      chunkSize: Math.min(Number(body.chunkSize) || DEFAULT_CHUNK_SIZE, MAX_CHUNK_SIZE),
+      receivedBytes: 0,
+      status: 'open',
+      file: null,
+      createdAt: nowISO(),
+      updatedAt: nowISO()
+    };
+    db.uploads.push(upload);
+
+    return { upload: toUploadResponse(upload) };
+  });
+
+  router.get(`${BASE}/:uploadId`, ({ db, userId, params }) => ({
+    upload: toUploadResponse(requireUpload(db, userId, params.uploadId))
+  }));
+
+  router.post(`${BASE}/:uploadId/chunks`, ({ db, userId, params, body }) => {
+    const upload = requireUpload(db, userId, params.uploadId);
+    const offset = Number(body.offset);
+    const chunk = body.chunk;
+
+    if (upload.status !== 'open') {
+      throw mockError(409, 'This upload is already complete', { code: 'UPLOAD_COMPLETE' });
+    }
+    if (offset !== upload.receivedBytes) {
+      throw mockError(409, 'The chunk does not continue the upload', {
+        code: 'UPLOAD_OFFSET_MISMATCH',
+        receivedBytes: upload.receivedBytes
+      });
+    }
+    if (!chunk || typeof chunk.size !== 'number' || chunk.size === 0) {
+      throw mockError(400, 'The chunk is empty', { code: 'INVALID_CHUNK' });
+    }
+    if (chunk.size > upload.chunkSize || upload.receivedBytes + chunk.size > upload.size) {
+      throw mockError(413, 'The chunk is larger than the upload allows', { code: 'CHUNK_TOO_LARGE' });
+    }
+
+    upload.receivedBytes += chunk.size;
+    upload.updatedAt = nowISO();
+
+    return { upload: toUploadResponse(upload) };
+  });
+
+  // Completing twice returns the same file, so a lost answer can be retried
+  router.post(`${BASE}/:uploadId/complete`, ({ db, userId, params }) => {
+    const upload = requireUpload(db, userId, params.uploadId);
+
+    if (upload.status === 'open') {
+      if (upload.receivedBytes < upload.size) {
+        throw mockError(409, 'The upload is missing data', {
+          code: 'UPLOAD_INCOMPLETE',
+          receivedBytes: upload.receivedBytes,
+          size: upload.size
+        });
+      }
+
+      const fileId = nextId(db, 'med');
+      upload.status = 'completed';
+      upload.updatedAt = nowISO();
+      upload.file = {
+        id: fileId,
+        url: `/mock/uploads/${fileId}/${encodeURIComponent(upload.fileName)}`,
+        fileName: upload.fileName,
+        mimeType: upload.mimeType,
+        size: upload.size,
+        kind: upload.kind,
+        uploadedAt: upload.updatedAt
+      };
+    }
+
+    return { upload: toUploadResponse(upload), file: clone(upload.file) };
+  });
+
+  router.delete(`${BASE}/:uploadId`, ({ db, userId, params }) => {
+    const upload = requireUpload(db, userId, params.uploadId);
+    db.uploads = db.uploads.filter(u => u.id !== upload.id);
+    return { success: true };
+  });
+};
+
+export default registerUploadRoutes;
@@ -0,0 +1,368 @@
+/**
+ * GPS Lab Platform - Mock User Routes
+ *
+ * Profile, stats, badges, achievements, activity, connections, referrals
+ * and public profiles for the mock backend. Stats are derived from the
+ * shared dataset so they move as missions, bites and Baraka change.
+ *
+ * @module services/mock/routes/user.routes
+ * @version 1.0.0
+ */
+
+import { getLevelFromXP } from '../../../utils/helpers/xp.calculator';
+import { getBarakaTier } from '../../../utils/formatters/currency.formatter';
+import {
+  findUser,
+  requireUser,
+  ensureLearner,
+  toProfile,
+  toPublicUser,
+  toAdminUser,
+  getUserRank,
+  getMissionStatus,
+  rankUsers,
+  nextId,
+  ADMIN_ROLES
+} from '../mock.db';
+import { MOCK_ADVENTURES, TOTAL_STAGES, MISSIONS_PER_STAGE, BITES_PER_MISSION } from '../mock.seed';
+import {
+  mockError,
+  notFound,
+  paginate,
+  matchesSearch,
+  createSeededRandom,
+  seedFromString,
+  randomInt,
+  nowISO,
+  offsetISO,
+  DAY
+} from '../mock.utils';
+
+// =============================================================================
+// DERIVED DATA
+// =============================================================================
+
+const PROFILE_FIELDS = [
+  'username', 'firstName', 'lastName', 'displayName', 'bio',
+  'locale', 'location', 'socialLinks', 'university'
+];
+
+const WEEK_DAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+/**
+ * Builds a user's stats summary
+ * @param {Object} db - Mock database
+ * @param {string} userId - User ID
+ * @returns {Object} Stats
+ */
+export const buildUserStats = (db, userId) => {
+  const user = requireUser(db, userId);
+  const learner = ensureLearner(db, userId);
+  const levelInfo = getLevelFromXP(user.stats.xp);
+  const rank = getUserRank(db, userId, 'xp');
+  const totalUsers = rankUsers(db).length;
+  const random = createSeededRandom(seedFromString(userId));
+
+  const adventureProgress = {};
+  MOCK_ADVENTURES.forEach(adventure => {
+    const missions = db.missions.filter(m => m.adventureNumber === adventure.number);
+    adventureProgress[adventure.number] = {
+      completed: missions.filter(m => getMissionStatus(db, userId, m.id) === 'completed').length,
+      total: missions.length,
+      name: adventure.name
+    };
+  });
+
+  return {
+    level: levelInfo.level,
+    xp: levelInfo.xpIntoLevel,
+    xpToNextLevel: levelInfo.xpForNextLevel,
+    totalXP: user.stats.xp,
+    streak: user.stats.streak,
+    longestStreak: user.stats.longestStreak,
+    missionsCompleted: user.stats.missionsCompleted,
+    missionsTotal: TOTAL_STAGES * MISSIONS_PER_STAGE,
+    checkpointsPassed: user.stats.checkpointsPassed,
+    checkpointsTotal: TOTAL_STAGES,
+    bitesCompleted: user.stats.bitesCompleted,
+    bitesTotal: TOTAL_STAGES * MISSIONS_PER_STAGE * BITES_PER_MISSION,
+    studyHours: user.stats.studyHours,
+    baraka: learner.wallet.available,
+    barakaTier: getBarakaTier(learner.wallet.available).id,
+    rank,
+    totalUsers,
+    percentile: Math.round(((totalUsers - rank) / totalUsers) * 100),
+    adventureProgress,
+    weeklyActivity: WEEK_DAYS.map(day => {
+      const bites = randomInt(random, 1, 6);
+      return { day, minutes: bites * 15, bites };
+    })
+  };
+};
+
+/**
+ * Builds achievement progress from a user's stats
+ * @param {Object} db - Mock database
+ * @param {string} userId - User ID
+ * @returns {Array<Object>} Achievements
+ */
+const buildAchievements = (db, userId) => {
+  const { stats } = requireUser(db, userId);
+  const partiesJoined = db.parties.filter(p => p.members.some(m => m.userId === userId)).length;
+
+  const definitions = [
+    { id: 'ach_001', name: 'Mission Master', description: 'Complete 10 missions', progress: stats.missionsCompleted, target: 10, reward: 500, category: 'missions' },
+    { id: 'ach_002', name: 'Streak Legend', description: 'Maintain a 30-day streak', progress: stats.longestStreak, target: 30, reward: 1000, category: 'streaks' },
+    { id: 'ach_003', name: 'Knowledge Seeker', description: 'Complete 100 study bites', progress: stats.bitesCompleted, target: 100, reward: 750, category: 'study' },
+    { id: 'ach_004', name: 'Social Solver', description: 'Join 3 different parties', progress: partiesJoined, target: 3, reward: 300, category: 'community' },
+    { id: 'ach_005', name: 'Speed Runner', description: 'Complete a mission in under 1 hour', progress: 0, target: 1, reward: 250, category: 'special' }
+  ];
+
+  return definitions.map(def => {
+    const progress = Math.min(def.progress, def.target);
+    return {
+      ...def,
+      progress,
+      percentage: Math.floor((progress / def.target) * 100),
+      rewardType: 'baraka'
+    };
+  });
+};
+
+/**
+ * Sort orders for the staff user search
+ */
+const ADMIN_SORTS = {
+  recent: (a, b) => String(b.createdAt).localeCompare(String(a.createdAt)),
+  name: (a, b) => a.displayName.localeCompare(b.displayName),
+  xp: (a, b) => b.stats.xp - a.stats.xp
+};
+
+/**
+ * Searches every account for the admin console, by name, username or email,
+ * filtered by role, account status and GPS stage
+ * @param {Object} db - Mock database
+ * @param {Object} query - { q, role, accountStatus, stage, sort, page, limit }
+ * @returns {Object} { users, pagination }
+ */
+const searchAsStaff = (db, query) => {
+  const results = db.users
+    .filter(u => matchesSearch(u, query.q, ['username', 'displayName', 'email']))
+    .filter(u => !query.role || u.role === query.role)
+    .filter(u => !query.accountStatus || (u.isActive === false ? 'suspended' : 'active') === query.accountStatus)
+    .filter(u => !query.stage || u.stats.currentStage === Number(query.stage))
+    .sort(ADMIN_SORTS[query.sort] || ADMIN_SORTS.recent)
+    .map(u => toAdminUser(db, u));
+  const { items, pagination } = paginate(results, query);
+  return { users: items, pagination };
+};
+
+// =============================================================================
+// ROUTES
+// =============================================================================
+
+/**
+ * Registers user routes
+ * @param {Object} router - Mock router
+ */
+export const registerUserRoutes = (router) => {
+  router.get('/users/me', ({ db, userId }) => toProfile(db, requireUser(db, userId)));
+
+  router.patch('/users/me', ({ db, userId, body }) => {
+    const user = requireUser(db, userId);
+    PROFILE_FIELDS.forEach(field => {
+      if (body[field] !== undefined) user[field] = body[field];
+    });
+    if (body.preferences) user.preferences = { ...user.preferences, ...body.preferences };
+    if (body.privacy) user.privacy = { ...user.privacy, ...body.privacy };
+    return toProfile(db, user);
+  });
+
+  router.post('/users/me/avatar', ({ db, userId, body }) => {
+    const user = requireUser(db, userId);
+    const file = body.avatar;
+    if (!file) {
+      throw mockError(400, 'Avatar file is required', { code: 'INVALID_INPUT' });
+    }
+    user.avatarUrl = typeof URL.createObjectURL === 'function' && typeof Blob !== 'undefined' && file instanceof Blob
+      ? URL.createObjectURL(file)
+      : `/mock/avatars/${userId}.png`;
+    return { avatarUrl: user.avatarUrl, profile: toProfile(db, user) };
+  });
+
+  router.delete('/users/me/avatar', ({ db, userId }) => {
+    const user = requireUser(db, userId);
+    user.avatarUrl = null;
+    return { avatarUrl: null, profile: toProfile(db, user) };
+  });
+
+  router.get('/users/me/stats', ({ db, userId, query }) => {
+    const stats = buildUserStats(db, userId);
+    if (query.detailed !== 'true' && query.detailed !== true) return stats;
+
+    const random = createSeededRandom(seedFromString(`${userId}:timeline`));
+    return {
+      ...stats,
+      period: query.period || '30d',
+      groupBy: query.groupBy || 'day',
+      timeline: Array.from({ length: 30 }, (_, i) => ({
+        date: offsetISO(-(29 - i) * DAY).split('T')[0],
+        xpEarned: randomInt(random, 50, 249),
+        bitesCompleted: randomInt(random, 1, 5),
+        studyMinutes: randomInt(random, 15, 104)
+      }))
+    };
+  });
+
+  router.get('/users/me/preferences', ({ db, userId }) => requireUser(db, userId).preferences);
+
+  router.patch('/users/me/preferences', ({ db, userId, body }) => {
+    const user = requireUser(db, userId);
+    user.preferences = { ...user.preferences, ...body };
+    return user.preferences;
+  });
+
+  router.patch('/users/me/notifications', ({ db, userId, body }) => {
+    const learner = ensureLearner(db, userId);
+    learner.notificationPreferences = { ...learner.notificationPreferences, ...body };
+    return learner.notificationPreferences;
+  });
+
+  router.patch('/users/me/privacy', ({ db, userId, body }) => {
+    const user = requireUser(db, userId);
+    user.privacy = { ...user.privacy, ...body };
+    return user.privacy;
+  });
+
+  router.get('/users/me/badges', ({ db, userId }) => {
+    const { badges } = ensureLearner(db, userId);
+    return {
+      badges,
+      total: badges.length,
+      featured: badges.filter(b => b.featured)
+    };
+  });
+
+  router.patch('/users/me/badges', ({ db, userId, body }) => {
+    const { badges } = ensureLearner(db, userId);
+    const featuredIds = Array.isArray(body.featured) ? body.featured : [];
+    badges.forEach(b => { b.featured = featuredIds.includes(b.id); });
+    return { featured: badges.filter(b => b.featured) };
+  });
+
+  router.get('/users/me/achievements', ({ db, userId }) => {
+    const achievements = buildAchievements(db, userId);
+    return {
+      achievements,
+      completed: achievements.filter(a => a.percentage >= 100).length,
+      inProgress: achievements.filter(a => a.percentage > 0 && a.percentage < 100).length,
+      total: achievements.length
+    };
+  });
+
+  router.get('/users/me/activity', ({ db, userId, query }) => {
+    let items = ensureLearner(db, userId).activity;
+    if (query.type) items = items.filter(a => a.type === query.type);
+    const { items: activities, pagination } = paginate(items, query);
+    return { activities, pagination };
+  });
+
+  router.get('/users/me/connections', ({ db, userId, query }) => {
+    let connections = ensureLearner(db, userId).connections;
+    if (query.type && query.type !== 'all') {
+      connections = connections.filter(c => c.connectionType === query.type);
+    }
+    const enriched = connections.map(c => ({
+      ...toPublicUser(db, requireUser(db, c.userId)),
+      connectionType: c.connectionType,
+      connectedAt: c.connectedAt
+    }));
+    const { items, pagination } = paginate(enriched, query);
+    return { connections: items, pagination };
+  });
+
+  router.get('/users/me/referrals', ({ db, userId }) => {
+    const { referrals } = ensureLearner(db, userId).referrals;
+    return {
+      totalReferred: referrals.length,
+      totalEarned: referrals.filter(r => r.status === 'active').reduce((sum, r) => sum + r.reward, 0),
+      pendingRewards: referrals.filter(r => r.status === 'pending').reduce((sum, r) => sum + r.reward, 0),
+      referrals
+    };
+  });
+
+  router.get('/users/me/referrals/code', ({ db, userId }) => {
+    const user = requireUser(db, userId);
+    const state = ensureLearner(db, userId).referrals;
+    if (!state.code) {
+      state.code = `GPS-${user.username.toUpperCase()}-${new Date().getFullYear()}`;
+    }
+    return {
+      code: state.code,
+      url: `${window.location.origin}/join?ref=${state.code}`,
+      uses: state.referrals.length,
+      maxUses: null
+    };
+  });
+
+  router.get('/users/me/subscription', ({ db, userId }) => {
+    const { subscription } = ensureLearner(db, userId).payments;
+    const current = db.plans.find(p => p.id === subscription.planId) || db.plans[0];
+    return {
+      plan: current.id.replace(/^plan_/, ''),
+      status: subscription.status,
+      features: current.features,
+      upgrades: db.plans
+        .filter(p => p.price > current.price)
+        .map(p => ({ plan: p.id.replace(/^plan_/, ''), price: p.price, features: p.features }))
+    };
+  });
+
+  router.post('/users/me/export', () => ({
+    requestId: `exp_${Date.now()}`,
+    status: 'processing',
+    estimatedCompletion: offsetISO(DAY)
+  }));
+
+  router.post('/users/me/delete', ({ db, body }) => {
+    if (!body.confirmDeletion) {
+      throw mockError(400, 'Deletion must be confirmed', { code: 'INVALID_INPUT' });
+    }
+    return {
+      requestId: nextId(db, 'del'),
+      status: 'pending_confirmation',
+      requestedAt: nowISO(),
+      gracePeriodEnds: offsetISO(30 * DAY)
+    };
+  });
+
+  router.get('/users/search', ({ db, userId, query }) => {
+    if (ADMIN_ROLES.includes(findUser(db, userId)?.role)) return searchAsStaff(db, query);
+
+    const results = db.users
+      .filter(u => u.id !== userId && matchesSearch(u, query.q, ['username', 'displayName']))
+      .map(u => toPublicUser(db, u));
+    const { items, pagination } = paginate(results, query);
+    return { users: items, pagination };
+  });
+
+  router.get('/users/:username', ({ db, params }) => {
+    const user = db.users.find(u => u.username === params.username || u.id === params.username);
+    if (!user || !user.privacy.profileVisible) throw notFound('User', params.username);
+
+    const { badges } = ensureLearner(db, user.id);
+    return {
+      ...toPublicUser(db, user),
+      badges: user.privacy.showBadges ? badges.filter(b => b.featured) : [],
+      stats: user.privacy.showStats
+        ? {
+            missionsCompleted: user.stats.missionsCompleted,
+            streak: user.stats.streak,
+            rank: getUserRank(db, user.id, 'xp')
+          }
+        : null
+    };
+  });
+};
+
+export default registerUserRoutes;
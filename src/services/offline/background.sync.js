@@ -0,0 +1,95 @@
+/**
+ * GPS Lab Platform - Background Sync
+ *
+ * Page side of background sync for the offline queue. While changes are
+ * queued, a one-off sync is registered with the service worker; when the
+ * browser sees the connection return it fires the sync, and the worker asks
+ * this page to replay the queue, which lives in the page's storage.
+ *
+ * @module services/offline/background.sync
+ * @version 1.0.0
+ */
+
+import { SW_MESSAGES, BACKGROUND_SYNC_TAG, isServiceWorkerSupported } from '../../serviceWorkerRegistration';
+import { setOnline, replayQueue, onSyncStatusChange } from './offline.service';
+import { warn as logWarn } from '../../utils/error/error.logger';
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * Whether the browser supports background sync
+ * @returns {boolean} True when a sync can be registered
+ */
+const isBackgroundSyncSupported = () =>
+  isServiceWorkerSupported() && typeof window !== 'undefined' && 'SyncManager' in window;
+
+/**
+ * Registers the one-off sync for the offline queue. Registering an existing
+ * tag again is a no-op, so this is safe to call on every queued change.
+ * @returns {Promise<void>}
+ */
+export const requestBackgroundSync = async () => {
+  if (!isBackgroundSyncSupported()) return;
+
+  try {
+    const registration = await navigator.serviceWorker.ready;
+    await registration.sync.register(BACKGROUND_SYNC_TAG);
+  } catch (error) {
+    logWarn('Background sync unavailable', { message: error?.message });
+  }
+};
+
+/**
+ * Replays the queue for the service worker and answers with what is left.
+ * The sync firing means the browser sees a connection, so the replay is
+ * attempted even if this page still believes it is offline.
+ * @param {MessageEvent} event - Message from the service worker
+ */
+const handleWorkerMessage = (event) => {
+  if (event.data?.type !== SW_MESSAGES.FLUSH_OFFLINE_QUEUE) return;
+
+  const [port] = event.ports;
+  setOnline(true, 'background-sync');
+
+  replayQueue()
+    .then(status => port?.postMessage({ pendingCount: status.pendingCount }))
+    .catch(error => port?.postMessage({ error: error?.message || 'Replay failed' }));
+};
+
+// =============================================================================
+// LIFECYCLE
+// =============================================================================
+
+/**
+ * Starts background sync: registers a sync while changes are queued offline
+ * and answers the worker's replay requests
+ * @returns {Function} Stops background sync
+ */
+export const startBackgroundSync = () => {
+  if (!isBackgroundSyncSupported()) return () => {};
+
+  navigator.serviceWorker.addEventListener('message', handleWorkerMessage);
+
+  // Online, the offline service retries on its own schedule
+  const unsubscribe = onSyncStatusChange(({ isOnline, pendingCount }) => {
+    if (!isOnline && pendingCount > 0) {
+      requestBackgroundSync();
+    }
+  });
+
+  return () => {
+    navigator.serviceWorker.removeEventListener('message', handleWorkerMessage);
+    unsubscribe();
+  };
+};
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+export default {
+  requestBackgroundSync,
+  startBackgroundSync
+};
@@ -0,0 +1,74 @@
+/**
+ * GPS Lab Platform - Connectivity
+ *
+ * Tracks whether the API is reachable. The browser's online/offline events
+ * are the first signal; the API client refines them, marking the app offline
+ * when a request fails at the network level and online again as soon as any
+ * response comes back. Kept free of imports so storage and the API client
+ * can both depend on it.
+ *
+ * @module services/offline/connectivity
+ * @version 1.0.0
+ */
+
+// =============================================================================
+// STATE
+// =============================================================================
+
+let online = typeof navigator === 'undefined' || navigator.onLine !== false;
+
+const listeners = new Set();
+
+// =============================================================================
+// CONNECTIVITY
+// =============================================================================
+
+/**
+ * Whether the API is believed reachable
+ * @returns {boolean} True when online
+ */
+export const isOnline = () => online;
+
+/**
+ * Updates connectivity and notifies listeners on change
+ * @param {boolean} value - New connectivity
+ * @param {string} [reason] - What detected the change (e.g. 'browser', 'request')
+ */
+export const setOnline = (value, reason = 'manual') => {
+  if (online === value) return;
+  online = value;
+
+  listeners.forEach(listener => {
+    try {
+      listener(online, reason);
+    } catch (e) {
+      console.error('Connectivity listener error:', e);
+    }
+  });
+};
+
+/**
+ * Subscribes to connectivity changes
+ * @param {Function} listener - (online, reason) => void
+ * @returns {Function} Unsubscribe function
+ */
+export const onConnectivityChange = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+// Follow the browser's own signal
+if (typeof window !== 'undefined') {
+  window.addEventListener('online', () => setOnline(true, 'browser'));
+  window.addEventListener('offline', () => setOnline(false, 'browser'));
+}
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+export default {
+  isOnline,
+  setOnline,
+  onConnectivityChange
+};
@@ -0,0 +1,239 @@
+/**
+ * GPS Lab Platform - Offline Queue
+ *
+ * Persisted, ordered queue of API mutations made while offline, plus the
+ * conflicts reported when replaying them. Both live in localStorage so work
+ * saved on a dropped connection survives a reload.
+ *
+ * @module services/offline/offline.queue
+ * @version 1.0.0
+ */
+
+import { getItem, setItem, removeItem, STORAGE_KEYS } from '../storage/localStorage.service';
+
+// =============================================================================
+// CONFIGURATION
+// =============================================================================
+
+const QUEUE_CONFIG = {
+  maxSize: 500,
+  maxConflicts: 50
+};
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * Creates a queue entry id, used as the replay's idempotency key
+ * @returns {string} Entry ID
+ */
+const createEntryId = () =>
+  `off-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+
+/**
+ * Reads an array from storage
+ * @param {string} key - Storage key
+ * @returns {Array} Stored array, or empty
+ */
+const readList = (key) => {
+  const stored = getItem(key, []);
+  return Array.isArray(stored) ? stored : [];
+};
+
+/**
+ * Writes an array to storage, removing the key when empty
+ * @param {string} key - Storage key
+ * @param {Array} list - Array to store
+ */
+const writeList = (key, list) => {
+  if (list.length > 0) {
+    setItem(key, list);
+  } else {
+    removeItem(key);
+  }
+};
+
+// =============================================================================
+// QUEUE
+// =============================================================================
+
+class OfflineQueue {
+  /**
+   * @param {Object} [options] - Options
+   * @param {string} [options.queueKey] - localStorage key for queued requests
+   * @param {string} [options.conflictsKey] - localStorage key for conflicts
+   * @param {Object} [options.config] - Overrides for QUEUE_CONFIG
+   */
+  constructor({
+    queueKey = STORAGE_KEYS.offlineQueue,
+    conflictsKey = STORAGE_KEYS.offlineConflicts,
+    config = {}
+  } = {}) {
+    this.queueKey = queueKey;
+    this.conflictsKey = conflictsKey;
+    this.config = { ...QUEUE_CONFIG, ...config };
+    this.entries = readList(queueKey);
+    this.conflicts = readList(conflictsKey);
+  }
+
+  // ===========================================================================
+  // QUEUED REQUESTS
+  // ===========================================================================
+
+  /**
+   * Adds a request to the end of the queue. A request with the same
+   * dedupeKey replaces the earlier one, so only the latest draft is sent.
+   * @param {Object} request - { method, url, data, params, label, dedupeKey, meta, invalidates }
+   * @returns {Object} Queued entry
+   */
+  enqueue({ method, url, data, params, label, dedupeKey, meta, invalidates }) {
+    if (dedupeKey) {
+      this.entries = this.entries.filter(entry => entry.dedupeKey !== dedupeKey);
+    }
+
+    const entry = {
+      id: createEntryId(),
+      method,
+      url,
+      data,
+      params,
+      label: label || `${method} ${url}`,
+      dedupeKey: dedupeKey || null,
+      meta: meta || {},
+      // Cache tags to invalidate once the replay succeeds
+      invalidates: invalidates || [],
+      queuedAt: new Date().toISOString(),
+      attempts: 0
+    };
+
+    this.entries.push(entry);
+    if (this.entries.length > this.config.maxSize) {
+      this.entries.shift();
+    }
+    writeList(this.queueKey, this.entries);
+
+    return entry;
+  }
+
+  /**
+   * Oldest queued request
+   * @returns {Object|null} Entry
+   */
+  peek() {
+    return this.entries[0] || null;
+  }
+
+  /**
+   * Removes a request
+   * @param {string} id - Entry ID
+   */
+  remove(id) {
+    this.entries = this.entries.filter(entry => entry.id !== id);
+    writeList(this.queueKey, this.entries);
+  }
+
+  /**
+   * Records a failed replay attempt
+   * @param {string} id - Entry ID
+   * @param {string} message - Failure message
+   * @returns {number} Attempts so far
+   */
+  recordAttempt(id, message) {
+    const entry = this.entries.find(e => e.id === id);
+    if (!entry) return 0;
+    entry.attempts += 1;
+    entry.lastError = message;
+    writeList(this.queueKey, this.entries);
+    return entry.attempts;
+  }
+
+  /**
+   * Queued requests in replay order
+   * @returns {Array<Object>} Entries
+   */
+  list() {
+    return [...this.entries];
+  }
+
+  /**
+   * Number of queued requests
+   * @returns {number} Queue size
+   */
+  get size() {
+    return this.entries.length;
+  }
+
+  // ===========================================================================
+  // CONFLICTS
+  // ===========================================================================
+
+  /**
+   * Records a request the server refused on replay
+   * @param {Object} entry - Queued entry
+   * @param {Object} details - { reason, status, message }
+   * @returns {Object} Conflict record
+   */
+  addConflict(entry, { reason, status, message }) {
+    const conflict = {
+      id: entry.id,
+      label: entry.label,
+      method: entry.method,
+      url: entry.url,
+      data: entry.data,
+      meta: entry.meta,
+      queuedAt: entry.queuedAt,
+      reason,
+      status,
+      message,
+      reportedAt: new Date().toISOString()
+    };
+
+    this.conflicts = [conflict, ...this.conflicts].slice(0, this.config.maxConflicts);
+    writeList(this.conflictsKey, this.conflicts);
+
+    return conflict;
+  }
+
+  /**
+   * Dismisses a conflict
+   * @param {string} id - Conflict (entry) ID
+   */
+  dismissConflict(id) {
+    this.conflicts = this.conflicts.filter(conflict => conflict.id !== id);
+    writeList(this.conflictsKey, this.conflicts);
+  }
+
+  /**
+   * Reported conflicts, newest first
+   * @returns {Array<Object>} Conflicts
+   */
+  listConflicts() {
+    return [...this.conflicts];
+  }
+
+  // ===========================================================================
+  // RESET
+  // ===========================================================================
+
+  /**
+   * Drops queued requests and conflicts
+   */
+  clear() {
+    this.entries = [];
+    this.conflicts = [];
+    writeList(this.queueKey, this.entries);
+    writeList(this.conflictsKey, this.conflicts);
+  }
+}
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+export {
+  OfflineQueue,
+  QUEUE_CONFIG
+};
+
+export default OfflineQueue;
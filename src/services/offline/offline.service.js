@@ -0,0 +1,407 @@
+/**
+ * GPS Lab Platform - Offline Service
+ *
+ * Offline-first support for learners on unreliable connections. Requests
+ * made with `queueOffline` (bite drafts and submissions, checkpoint
+ * submissions, GPS 101 deliverables) are queued while offline, or when the
+ * network drops mid-request, and replayed in order once the API is reachable
+ * again. Replays the server refuses are reported as conflicts instead of
+ * being retried forever. Cached GETs are served by the services' own caches,
+ * which return stale entries while offline.
+ *
+ * @module services/offline/offline.service
+ * @version 1.0.0
+ */
+
+import { isOnline, setOnline, onConnectivityChange } from './connectivity';
+import { OfflineQueue } from './offline.queue';
+import apiClient, { setOfflineHandler } from '../api/client';
+import { ERROR_TYPES } from '../../utils/error/error.handler';
+import { info as logInfo, warn as logWarn } from '../../utils/error/error.logger';
+
+// =============================================================================
+// CONFIGURATION
+// =============================================================================
+
+const OFFLINE_CONFIG = {
+  probeUrl: '/health',
+  probeInterval: 15000,
+  retryDelay: 2000,
+  maxRetryDelay: 60000,
+  maxReplayAttempts: 5
+};
+
+/**
+ * Statuses that mean the server holds a newer version of the resource
+ */
+const CONFLICT_STATUSES = [409, 412];
+
+/**
+ * Labels for the mutations that may be queued
+ */
+export const OFFLINE_LABELS = {
+  BITE_DRAFT: 'bite:draft',
+  BITE_SUBMIT: 'bite:submit',
+  CHECKPOINT_SUBMIT: 'checkpoint:submit',
+  GPS101_DELIVERABLE: 'gps101:deliverable'
+};
+
+// =============================================================================
+// STATE
+// =============================================================================
+
+const queue = new OfflineQueue();
+
+const statusListeners = new Set();
+
+const replayListeners = new Set();
+
+// label -> (data, entry) => void
+const replayHandlers = new Map();
+
+let replaying = null;
+let probeTimer = null;
+let retryTimer = null;
+
+// =============================================================================
+// STATUS
+// =============================================================================
+
+/**
+ * Current sync status for the pending-changes indicator
+ * @returns {Object} { isOnline, pendingCount, isSyncing, conflicts }
+ */
+export const getSyncStatus = () => ({
+  isOnline: isOnline(),
+  pendingCount: queue.size,
+  isSyncing: Boolean(replaying),
+  conflicts: queue.listConflicts()
+});
+
+/**
+ * Notifies status listeners
+ */
+const notifyStatus = () => {
+  const status = getSyncStatus();
+  statusListeners.forEach(listener => {
+    try {
+      listener(status);
+    } catch (e) {
+      console.error('Offline status listener error:', e);
+    }
+  });
+};
+
+/**
+ * Subscribes to sync status changes
+ * @param {Function} listener - (status) => void
+ * @returns {Function} Unsubscribe function
+ */
+export const onSyncStatusChange = (listener) => {
+  statusListeners.add(listener);
+  return () => statusListeners.delete(listener);
+};
+
+/**
+ * Subscribes to successful replays
+ * @param {Function} listener - ({ label, meta, data }) => void
+ * @returns {Function} Unsubscribe function
+ */
+export const onRequestReplayed = (listener) => {
+  replayListeners.add(listener);
+  return () => replayListeners.delete(listener);
+};
+
+/**
+ * Registers the side effects a service runs once a queued request of its
+ * succeeds, e.g. clearing a draft after the submission lands
+ * @param {string} label - Request label (see OFFLINE_LABELS)
+ * @param {Function} handler - (data, entry) => void
+ */
+export const registerReplayHandler = (label, handler) => {
+  replayHandlers.set(label, handler);
+};
+
+// =============================================================================
+// QUEUEING
+// =============================================================================
+
+/**
+ * Queues a request for replay and answers in its place
+ * @param {Object} config - Request config; `queueOffline` may hold { label, dedupeKey, meta }
+ * @returns {Object} Response-shaped result with `queued: true`
+ */
+export const queueRequest = (config) => {
+  const options = typeof config.queueOffline === 'object' ? config.queueOffline : {};
+  const entry = queue.enqueue({
+    method: (config.method || 'POST').toUpperCase(),
+    url: config.url,
+    data: config.data,
+    params: config.params,
+    label: options.label,
+    dedupeKey: options.dedupeKey,
+    meta: options.meta,
+    invalidates: config.invalidates
+  });
+
+  logInfo('Request queued for sync', { label: entry.label, url: entry.url, pending: queue.size });
+  notifyStatus();
+
+  return {
+    data: { queued: true, offlineId: entry.id, queuedAt: entry.queuedAt },
+    status: 202,
+    statusText: 'Queued',
+    headers: null,
+    config,
+    queued: true
+  };
+};
+
+// =============================================================================
+// REPLAY
+// =============================================================================
+
+/**
+ * Whether a replay failed because the API could not be reached
+ * @param {Error} error - Replay error
+ * @returns {boolean} True for network failures and timeouts
+ */
+const isUnreachable = (error) =>
+  error?.type === ERROR_TYPES.NETWORK_ERROR || error?.type === ERROR_TYPES.TIMEOUT_ERROR;
+
+/**
+ * Reports a request the server will not accept and drops it from the queue
+ * @param {Object} entry - Queued entry
+ * @param {string} reason - 'conflict', 'rejected' or 'failed'
+ * @param {Error} error - Replay error
+ */
+const reportConflict = (entry, reason, error) => {
+  const conflict = queue.addConflict(entry, {
+    reason,
+    status: error?.details?.status,
+    message: error?.message
+  });
+  queue.remove(entry.id);
+
+  logWarn(`Offline change ${reason}`, { label: entry.label, url: entry.url, status: conflict.status });
+  window.dispatchEvent(new CustomEvent('offline:conflict', { detail: conflict }));
+};
+
+/**
+ * Schedules another replay after a server error
+ * @param {number} attempts - Attempts so far for the head of the queue
+ */
+const scheduleRetry = (attempts) => {
+  clearTimeout(retryTimer);
+  const delay = Math.min(
+    OFFLINE_CONFIG.retryDelay * Math.pow(2, attempts - 1),
+    OFFLINE_CONFIG.maxRetryDelay
+  );
+  retryTimer = setTimeout(() => {
+    retryTimer = null;
+    replayQueue();
+  }, delay);
+};
+
+/**
+ * Replays a single entry and runs its side effects
+ * @param {Object} entry - Queued entry
+ */
+const replayEntry = async (entry) => {
+  const response = await apiClient.request({
+    method: entry.method,
+    url: entry.url,
+    data: entry.data,
+    params: entry.params,
+    headers: { 'Idempotency-Key': entry.id },
+    invalidates: entry.invalidates,
+    queueOffline: false
+  });
+
+  queue.remove(entry.id);
+
+  const replayed = { label: entry.label, meta: entry.meta || {}, data: response.data };
+  try {
+    replayHandlers.get(entry.label)?.(response.data, entry);
+  } catch (e) {
+    console.error('Offline replay handler error:', e);
+  }
+  replayListeners.forEach(listener => listener(replayed));
+
+  logInfo('Offline change synced', { label: entry.label, url: entry.url });
+};
+
+/**
+ * Replays queued requests in order. Stops when the API becomes unreachable
+ * or asks for sign-in; server errors are retried with backoff and reported
+ * as failed after OFFLINE_CONFIG.maxReplayAttempts.
+ * @returns {Promise<Object>} Sync status once the replay stops
+ */
+export const replayQueue = () => {
+  if (replaying) return replaying;
+  if (!isOnline() || queue.size === 0) return Promise.resolve(getSyncStatus());
+
+  replaying = (async () => {
+    notifyStatus();
+
+    while (isOnline() && queue.size > 0) {
+      const entry = queue.peek();
+
+      try {
+        await replayEntry(entry);
+      } catch (error) {
+        const status = error?.details?.status;
+
+        // Unreachable: the client has flipped offline; the probe resumes us.
+        // Signed out: the next sign-in resumes us.
+        if (isUnreachable(error) || status === 401) break;
+
+        if (!status || status >= 500 || status === 429) {
+          const attempts = queue.recordAttempt(entry.id, error?.message);
+          if (attempts < OFFLINE_CONFIG.maxReplayAttempts) {
+            scheduleRetry(attempts);
+            break;
+          }
+          reportConflict(entry, 'failed', error);
+        } else {
+          reportConflict(entry, CONFLICT_STATUSES.includes(status) ? 'conflict' : 'rejected', error);
+        }
+      }
+
+      notifyStatus();
+    }
+
+    return getSyncStatus();
+  })().finally(() => {
+    replaying = null;
+    notifyStatus();
+  });
+
+  return replaying;
+};
+
+// =============================================================================
+// CONNECTIVITY PROBE
+// =============================================================================
+
+/**
+ * Checks whether the API answers. Any HTTP response counts; the client marks
+ * the app online when one arrives.
+ */
+const probe = () => {
+  if (typeof navigator !== 'undefined' && navigator.onLine === false) return;
+  apiClient.request({ method: 'GET', url: OFFLINE_CONFIG.probeUrl, probe: true }).catch(() => {});
+};
+
+/**
+ * Starts probing while offline
+ */
+const startProbe = () => {
+  if (probeTimer) return;
+  probeTimer = setInterval(probe, OFFLINE_CONFIG.probeInterval);
+};
+
+/**
+ * Stops probing
+ */
+const stopProbe = () => {
+  clearInterval(probeTimer);
+  probeTimer = null;
+};
+
+// =============================================================================
+// LIFECYCLE
+// =============================================================================
+
+/**
+ * Starts syncing: replays the queue whenever the API becomes reachable and
+ * probes for it while offline. The callbacks let the caller mirror the sync
+ * status (e.g. into the `offline` slice) and announce each replayed request.
+ * @param {Object} [callbacks] - Callbacks
+ * @param {Function} [callbacks.onStatusChange] - (status) => void, called with the current status straight away
+ * @param {Function} [callbacks.onReplayed] - ({ label, meta, data }) => void
+ * @returns {Function} Stops syncing
+ */
+export const startOfflineSync = ({ onStatusChange, onReplayed } = {}) => {
+  const unsubscribers = [];
+
+  if (onStatusChange) {
+    onStatusChange(getSyncStatus());
+    unsubscribers.push(onSyncStatusChange(onStatusChange));
+  }
+  if (onReplayed) {
+    unsubscribers.push(onRequestReplayed(onReplayed));
+  }
+
+  unsubscribers.push(onConnectivityChange((online) => {
+    if (online) {
+      stopProbe();
+      replayQueue();
+    } else {
+      startProbe();
+    }
+  }));
+
+  if (isOnline()) {
+    replayQueue();
+  } else {
+    startProbe();
+  }
+
+  return () => {
+    unsubscribers.forEach(unsubscribe => unsubscribe());
+    stopProbe();
+    clearTimeout(retryTimer);
+    retryTimer = null;
+  };
+};
+
+/**
+ * Dismisses a reported conflict
+ * @param {string} id - Conflict ID
+ */
+export const dismissConflict = (id) => {
+  queue.dismissConflict(id);
+  notifyStatus();
+};
+
+/**
+ * Lists queued requests in replay order
+ * @returns {Array<Object>} Entries
+ */
+export const getPendingRequests = () => queue.list();
+
+/**
+ * Drops queued requests and conflicts, e.g. on sign-out
+ */
+export const clearOfflineQueue = () => {
+  queue.clear();
+  notifyStatus();
+};
+
+// Connectivity changes always reach the indicator
+onConnectivityChange(() => notifyStatus());
+
+setOfflineHandler(queueRequest);
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+export { isOnline, setOnline };
+
+export default {
+  OFFLINE_LABELS,
+  isOnline,
+  setOnline,
+  getSyncStatus,
+  onSyncStatusChange,
+  onRequestReplayed,
+  registerReplayHandler,
+  queueRequest,
+  replayQueue,
+  startOfflineSync,
+  dismissConflict,
+  getPendingRequests,
+  clearOfflineQueue
+};
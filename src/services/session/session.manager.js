@@ -0,0 +1,538 @@
+/**
+ * GPS Lab Platform - Session Manager
+ *
+ * Owns the auth tokens for every open tab:
+ * - The access token lives in memory only; the refresh token and expiry are
+ *   persisted so a reload can restore the session
+ * - Refreshes are serialized across tabs (Web Locks, or a storage lease
+ *   where unsupported), so a rotated refresh token is never spent twice
+ * - Refreshed tokens and logouts are broadcast to the other tabs (over
+ *   BroadcastChannel, or storage events where unsupported), which adopt
+ *   them instead of refreshing or logging out on their own
+ * - The token is refreshed shortly before it expires, so requests rarely
+ *   meet a 401
+ *
+ * The refresh request itself is registered by the API client (see
+ * `setRefreshHandler`), which keeps this module free of a client import.
+ *
+ * @module services/session/session.manager
+ * @version 1.0.0
+ */
+
+import { authLogger } from '../../utils/error/error.logger';
+import { ERROR_TYPES } from '../../utils/error/error.handler';
+
+// =============================================================================
+// CONFIGURATION
+// =============================================================================
+
+const SESSION_CONFIG = {
+  channelName: 'gps-session',
+  lockName: 'gps-token-refresh',
+  // Refresh this long before the access token expires
+  refreshLeadTime: 60 * 1000,
+  minRefreshDelay: 5 * 1000,
+  // How long a new tab waits for another tab to share its access token
+  peerTokenTimeout: 300,
+  // Storage lease used when Web Locks are unavailable
+  leaseTimeout: 15 * 1000,
+  leasePollInterval: 100
+};
+
+/**
+ * Storage keys. The access token key is only read once, to adopt tokens
+ * stored by earlier versions; the message key only ever holds a message in
+ * transit between tabs.
+ */
+export const TOKEN_KEYS = {
+  accessToken: 'gps_access_token',
+  refreshToken: 'gps_refresh_token',
+  tokenExpiry: 'gps_token_expiry',
+  refreshLease: 'gps_refresh_lease',
+  message: 'gps_session_message'
+};
+
+/**
+ * Messages exchanged between tabs
+ */
+export const SESSION_MESSAGES = {
+  TOKEN_REQUEST: 'session/tokenRequest',
+  TOKEN_SHARE: 'session/tokenShare',
+  REFRESHED: 'session/refreshed',
+  LOGOUT: 'session/logout'
+};
+
+// The longest delay setTimeout honours
+const MAX_TIMER_DELAY = 2147483647;
+
+// =============================================================================
+// STATE
+// =============================================================================
+
+const tabId = `tab-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+let accessToken = null;
+let refreshHandler = null;
+let refreshPromise = null;
+let refreshTimer = null;
+let channel = null;
+let syncStarted = false;
+
+const listeners = new Set();
+
+// =============================================================================
+// STORAGE HELPERS
+// =============================================================================
+
+const readKey = (key) => {
+  try {
+    return localStorage.getItem(key);
+  } catch (e) {
+    return null;
+  }
+};
+
+const writeKey = (key, value) => {
+  try {
+    if (value === null || value === undefined) {
+      localStorage.removeItem(key);
+    } else {
+      localStorage.setItem(key, value);
+    }
+  } catch (e) {
+    console.error('Failed to store session:', e);
+  }
+};
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// =============================================================================
+// TOKENS
+// =============================================================================
+
+/**
+ * Gets the access token
+ * @returns {string|null} Access token, held in memory only
+ */
+export const getAccessToken = () => accessToken;
+
+/**
+ * Gets the refresh token
+ * @returns {string|null} Refresh token
+ */
+export const getRefreshToken = () => readKey(TOKEN_KEYS.refreshToken);
+
+/**
+ * Gets when the access token expires
+ * @returns {string|null} Expiry (ISO string)
+ */
+export const getTokenExpiry = () => readKey(TOKEN_KEYS.tokenExpiry);
+
+/**
+ * Checks if the access token is expired
+ * @param {number} [leadTime=0] - Treat tokens expiring within this many ms as expired
+ * @returns {boolean} True if expired
+ */
+export const isTokenExpired = (leadTime = 0) => {
+  const expiry = getTokenExpiry();
+  if (!expiry) return true;
+  return new Date(expiry).getTime() - leadTime <= Date.now();
+};
+
+/**
+ * Whether a session exists to restore or use
+ * @returns {boolean} True when a refresh token is stored
+ */
+export const hasSession = () => Boolean(accessToken || getRefreshToken());
+
+// =============================================================================
+// LISTENERS
+// =============================================================================
+
+/**
+ * Subscribes to session changes
+ * @param {Function} listener - ({ type: 'refreshed'|'ended', expiresAt, reason, remote }) => void
+ * @returns {Function} Unsubscribe function
+ */
+export const onSessionChange = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+const notify = (change) => {
+  listeners.forEach(listener => {
+    try {
+      listener(change);
+    } catch (e) {
+      console.error('Session listener error:', e);
+    }
+  });
+};
+
+// =============================================================================
+// CROSS-TAB MESSAGING
+// =============================================================================
+
+/**
+ * Sends a message to the other tabs. Without BroadcastChannel it is written
+ * to storage, which reaches them as a storage event, and removed straight
+ * away so a shared access token never rests in storage.
+ * @param {Object} message - Message ({ type, ... })
+ */
+const broadcast = (message) => {
+  ensureSessionSync();
+  const envelope = { ...message, from: tabId };
+
+  if (channel) {
+    channel.postMessage(envelope);
+    return;
+  }
+
+  writeKey(TOKEN_KEYS.message, JSON.stringify(envelope));
+  writeKey(TOKEN_KEYS.message, null);
+};
+
+/**
+ * Handles a message from another tab
+ * @param {Object} message - Message
+ */
+const handleMessage = (message) => {
+  if (!message || message.from === tabId) return;
+
+  switch (message.type) {
+    case SESSION_MESSAGES.TOKEN_REQUEST:
+      // Only a tab holding a live token for the same session answers
+      if (accessToken && !isTokenExpired() && readKey(TOKEN_KEYS.refreshToken)) {
+        channel?.postMessage({
+          type: SESSION_MESSAGES.TOKEN_SHARE,
+          from: tabId,
+          accessToken,
+          expiresAt: getTokenExpiry()
+        });
+      }
+      break;
+
+    case SESSION_MESSAGES.TOKEN_SHARE:
+    case SESSION_MESSAGES.REFRESHED:
+      // The sending tab already persisted the refresh token and expiry; a
+      // message that arrives after a logout finds none and is dropped
+      if (message.accessToken && getRefreshToken()) {
+        accessToken = message.accessToken;
+        scheduleRefresh();
+        notify({ type: 'refreshed', expiresAt: message.expiresAt, remote: true });
+      }
+      break;
+
+    case SESSION_MESSAGES.LOGOUT:
+      if (!hasSession()) return;
+      clearSession();
+      announceEnded(message.reason, true);
+      break;
+
+    default:
+      break;
+  }
+};
+
+/**
+ * Without BroadcastChannel, messages arrive as writes to the message key
+ * @param {StorageEvent} event - Storage event from another tab
+ */
+const handleStorage = (event) => {
+  if (event.key !== TOKEN_KEYS.message || !event.newValue) return;
+
+  try {
+    handleMessage(JSON.parse(event.newValue));
+  } catch (e) {
+    console.error('Invalid session message:', e);
+  }
+};
+
+/**
+ * Starts listening to the other tabs. Called lazily by everything that
+ * needs it, so the session works before the app has mounted.
+ * @returns {Function} Stops listening
+ */
+export const ensureSessionSync = () => {
+  if (syncStarted || typeof window === 'undefined') return stopSessionSync;
+  syncStarted = true;
+
+  if (typeof BroadcastChannel !== 'undefined') {
+    channel = new BroadcastChannel(SESSION_CONFIG.channelName);
+    channel.onmessage = (event) => handleMessage(event.data);
+  } else {
+    window.addEventListener('storage', handleStorage);
+  }
+
+  return stopSessionSync;
+};
+
+/**
+ * Stops listening to the other tabs
+ */
+export const stopSessionSync = () => {
+  if (!syncStarted) return;
+  syncStarted = false;
+  channel?.close();
+  channel = null;
+  window.removeEventListener('storage', handleStorage);
+  clearTimeout(refreshTimer);
+};
+
+// =============================================================================
+// SESSION LIFECYCLE
+// =============================================================================
+
+/**
+ * Stores new tokens, schedules their refresh and shares them with the
+ * other tabs
+ * @param {Object} tokens - { accessToken, refreshToken, expiresAt }
+ */
+export const setSession = ({ accessToken: token, refreshToken, expiresAt }) => {
+  if (!token) return;
+
+  accessToken = token;
+  if (refreshToken) writeKey(TOKEN_KEYS.refreshToken, refreshToken);
+  if (expiresAt) writeKey(TOKEN_KEYS.tokenExpiry, expiresAt);
+
+  scheduleRefresh();
+  broadcast({ type: SESSION_MESSAGES.REFRESHED, accessToken: token, expiresAt });
+  notify({ type: 'refreshed', expiresAt, remote: false });
+};
+
+/**
+ * Forgets the tokens in this tab only
+ */
+export const clearSession = () => {
+  accessToken = null;
+  clearTimeout(refreshTimer);
+  refreshTimer = null;
+  writeKey(TOKEN_KEYS.refreshToken, null);
+  writeKey(TOKEN_KEYS.tokenExpiry, null);
+  writeKey(TOKEN_KEYS.accessToken, null);
+};
+
+/**
+ * Tells listeners and the app that the session is over
+ * @param {string} reason - Why ('logout', 'session_expired')
+ * @param {boolean} remote - Whether another tab ended it
+ */
+const announceEnded = (reason, remote) => {
+  authLogger.info('Session ended', { reason, remote });
+  notify({ type: 'ended', reason, remote });
+  window.dispatchEvent(new CustomEvent('auth:logout', { detail: { reason, remote } }));
+};
+
+/**
+ * Ends the session in every tab
+ * @param {Object} [options] - Options
+ * @param {string} [options.reason='logout'] - Why ('logout', 'session_expired')
+ */
+export const endSession = ({ reason = 'logout' } = {}) => {
+  const hadSession = hasSession();
+  clearSession();
+  broadcast({ type: SESSION_MESSAGES.LOGOUT, reason });
+  if (hadSession || reason === 'logout') {
+    announceEnded(reason, false);
+  }
+};
+
+// =============================================================================
+// REFRESH
+// =============================================================================
+
+/**
+ * Registers the request that exchanges a refresh token for new tokens
+ * @param {Function} handler - (refreshToken) => Promise<{ accessToken, refreshToken, expiresAt }>
+ */
+export const setRefreshHandler = (handler) => {
+  refreshHandler = handler;
+};
+
+/**
+ * Runs a function while holding the cross-tab refresh lock
+ * @param {Function} fn - Async function
+ * @returns {Promise<*>} Its result
+ */
+const withRefreshLock = async (fn) => {
+  if (typeof navigator !== 'undefined' && navigator.locks?.request) {
+    return navigator.locks.request(SESSION_CONFIG.lockName, fn);
+  }
+
+  // Wait out another tab's lease; an abandoned one lapses
+  const deadline = Date.now() + SESSION_CONFIG.leaseTimeout;
+  for (;;) {
+    const lease = JSON.parse(readKey(TOKEN_KEYS.refreshLease) || 'null');
+    if (!lease || lease.tabId === tabId || lease.until <= Date.now() || Date.now() >= deadline) break;
+    await delay(SESSION_CONFIG.leasePollInterval);
+  }
+
+  writeKey(TOKEN_KEYS.refreshLease, JSON.stringify({
+    tabId,
+    until: Date.now() + SESSION_CONFIG.leaseTimeout
+  }));
+  try {
+    return await fn();
+  } finally {
+    writeKey(TOKEN_KEYS.refreshLease, null);
+  }
+};
+
+/**
+ * Whether a failed refresh means the session is gone, rather than the
+ * server being unreachable
+ * @param {Error} error - Refresh error
+ * @returns {boolean} True when the refresh token was refused
+ */
+const isSessionRejected = (error) => {
+  if (error?.type === ERROR_TYPES.NETWORK_ERROR || error?.type === ERROR_TYPES.TIMEOUT_ERROR) {
+    return false;
+  }
+  const status = error?.details?.status ?? error?.status;
+  return status === 400 || status === 401 || status === 403;
+};
+
+/**
+ * Refreshes while holding the lock. If another tab refreshed while this one
+ * waited, its token is used instead of spending the new refresh token.
+ * @param {string} knownRefreshToken - Refresh token before waiting
+ * @returns {Promise<string|null>} Access token
+ */
+const refreshLocked = async (knownRefreshToken) => {
+  const current = getRefreshToken();
+  if (!current) return null;
+
+  if (current !== knownRefreshToken && accessToken && !isTokenExpired()) {
+    return accessToken;
+  }
+
+  if (!refreshHandler) {
+    throw new Error('No session refresh handler registered');
+  }
+
+  const result = await refreshHandler(current);
+  setSession({
+    accessToken: result.accessToken,
+    refreshToken: result.refreshToken || current,
+    expiresAt: result.expiresAt
+  });
+  return result.accessToken;
+};
+
+/**
+ * Refreshes the access token, once per tab at a time and once across tabs
+ * at a time. A refused refresh token ends the session in every tab; a
+ * network failure leaves it intact so the next attempt can succeed.
+ * @returns {Promise<string|null>} Access token, or null without a session
+ * @throws {Error} When the server could not be reached
+ */
+export const refreshSession = () => {
+  if (refreshPromise) return refreshPromise;
+
+  const knownRefreshToken = getRefreshToken();
+  if (!knownRefreshToken) return Promise.resolve(null);
+
+  ensureSessionSync();
+  refreshPromise = withRefreshLock(() => refreshLocked(knownRefreshToken))
+    .catch(error => {
+      if (isSessionRejected(error)) {
+        authLogger.warn('Session refresh refused', { message: error?.message });
+        endSession({ reason: 'session_expired' });
+        return null;
+      }
+      authLogger.warn('Session refresh failed', { message: error?.message });
+      throw error;
+    })
+    .finally(() => {
+      refreshPromise = null;
+    });
+
+  return refreshPromise;
+};
+
+/**
+ * Schedules a refresh shortly before the access token expires
+ */
+const scheduleRefresh = () => {
+  clearTimeout(refreshTimer);
+  refreshTimer = null;
+
+  const expiry = getTokenExpiry();
+  if (!expiry || !getRefreshToken()) return;
+
+  const dueIn = new Date(expiry).getTime() - SESSION_CONFIG.refreshLeadTime - Date.now();
+  const wait = Math.min(Math.max(dueIn, SESSION_CONFIG.minRefreshDelay), MAX_TIMER_DELAY);
+
+  refreshTimer = setTimeout(() => {
+    refreshSession().catch(() => {
+      // Offline; try again later rather than letting the token lapse silently
+      refreshTimer = setTimeout(scheduleRefresh, SESSION_CONFIG.refreshLeadTime);
+    });
+  }, wait);
+};
+
+/**
+ * Returns a usable access token: the one in memory, one shared by another
+ * tab, or a fresh one. Used on start-up and by the API client before
+ * authenticated requests.
+ * @returns {Promise<string|null>} Access token, or null without a session
+ */
+export const restoreSession = async () => {
+  ensureSessionSync();
+
+  if (accessToken && !isTokenExpired()) return accessToken;
+  if (!getRefreshToken()) return null;
+
+  // Adopt a token stored by an earlier version, then keep it in memory only
+  const legacyToken = readKey(TOKEN_KEYS.accessToken);
+  if (legacyToken) {
+    writeKey(TOKEN_KEYS.accessToken, null);
+    if (!isTokenExpired()) {
+      accessToken = legacyToken;
+      scheduleRefresh();
+      return accessToken;
+    }
+  }
+
+  if (!isTokenExpired() && channel) {
+    const shared = await new Promise(resolve => {
+      const timer = setTimeout(() => {
+        unsubscribe();
+        resolve(null);
+      }, SESSION_CONFIG.peerTokenTimeout);
+      const unsubscribe = onSessionChange(change => {
+        if (change.type !== 'refreshed' || !change.remote) return;
+        clearTimeout(timer);
+        unsubscribe();
+        resolve(accessToken);
+      });
+      broadcast({ type: SESSION_MESSAGES.TOKEN_REQUEST });
+    });
+    if (shared) return shared;
+  }
+
+  return refreshSession();
+};
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+export default {
+  TOKEN_KEYS,
+  SESSION_MESSAGES,
+  getAccessToken,
+  getRefreshToken,
+  getTokenExpiry,
+  isTokenExpired,
+  hasSession,
+  onSessionChange,
+  ensureSessionSync,
+  stopSessionSync,
+  setSession,
+  clearSession,
+  endSession,
+  setRefreshHandler,
+  refreshSession,
+  restoreSession
+};
@@ -8,6 +8,8 @@
  * @version 1.0.0
  */
 
+import { isOnline } from '../offline/connectivity';
+
 // =============================================================================
 // CONFIGURATION
 // =============================================================================
@@ -58,7 +60,14 @@ export const STORAGE_KEYS = {
   // Temporary
   draftBite: 'draft_bite',
   draftProject: 'draft_project',
-  unsavedChanges: 'unsaved_changes'
+  unsavedChanges: 'unsaved_changes',
+  
+  // Real-time
+  wsOutbox: 'ws_outbox',
+  
+  // Offline sync
+  offlineQueue: 'offline_queue',
+  offlineConflicts: 'offline_conflicts'
 };
 
 // =============================================================================
@@ -462,7 +471,8 @@ export const clearDraftBite = (biteId) => {
 // =============================================================================
 
 /**
- * Gets cached data with TTL check
+ * Gets cached data with TTL check. While offline the TTL is ignored, since
+ * stale data beats none; expired entries are therefore kept until replaced.
  * @param {string} key - Cache key
  * @param {number} maxAge - Max age in ms
  * @returns {Object|null} Cached data
@@ -476,8 +486,7 @@ export const getCache = (key, maxAge = 5 * 60 * 1000) => {
   
   const { data, timestamp } = cached;
   
-  if (Date.now() - timestamp > maxAge) {
-    removeItem(`cache_${key}`);
+  if (Date.now() - timestamp > maxAge && isOnline()) {
     return null;
   }
   
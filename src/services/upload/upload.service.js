@@ -0,0 +1,652 @@
+/**
+ * GPS Lab Platform - Upload Service
+ *
+ * Resumable, chunked uploads for GPO recordings and evidence. A file is
+ * checked (see upload.validator), kept on the device (see upload.store) and
+ * sent in chunks to an upload session on the API. The session knows how
+ * many bytes arrived, so an upload carries on where it stopped after a
+ * pause, a dropped connection or a reload. Uploads wait while offline and
+ * resume once the API is reachable; server errors are retried with backoff
+ * and reported as failed after UPLOAD_CONFIG.maxRetries.
+ *
+ * @module services/upload/upload.service
+ * @version 1.0.0
+ */
+
+import apiClient from '../api/client';
+import { isOnline, onConnectivityChange } from '../offline/connectivity';
+import * as uploadStore from './upload.store';
+import { validateUploadFile } from '../../utils/validators/upload.validator';
+import { createError, ERROR_TYPES } from '../../utils/error/error.handler';
+import { warn as logWarn, logUserAction } from '../../utils/error/error.logger';
+
+// =============================================================================
+// CONFIGURATION
+// =============================================================================
+
+const UPLOAD_CONFIG = {
+  chunkSize: 1024 * 1024,
+  chunkTimeout: 120000,
+  maxRetries: 5,
+  retryDelay: 2000,
+  maxRetryDelay: 60000
+};
+
+const ENDPOINTS = {
+  create: '/uploads',
+  detail: (id) => `/uploads/${id}`,
+  chunks: (id) => `/uploads/${id}/chunks`,
+  complete: (id) => `/uploads/${id}/complete`
+};
+
+export const UPLOAD_STATUS = {
+  QUEUED: 'queued',
+  UPLOADING: 'uploading',
+  PAUSED: 'paused',
+  WAITING: 'waiting',
+  FAILED: 'failed',
+  COMPLETED: 'completed'
+};
+
+export const UPLOAD_STATUS_LABELS = {
+  [UPLOAD_STATUS.QUEUED]: 'Preparing upload',
+  [UPLOAD_STATUS.UPLOADING]: 'Uploading',
+  [UPLOAD_STATUS.PAUSED]: 'Paused',
+  [UPLOAD_STATUS.WAITING]: 'Waiting for a connection',
+  [UPLOAD_STATUS.FAILED]: 'Upload failed',
+  [UPLOAD_STATUS.COMPLETED]: 'Uploaded'
+};
+
+// =============================================================================
+// STATE
+// =============================================================================
+
+// id -> upload, including its file
+const uploads = new Map();
+
+// id -> AbortController of the running transfer
+const transfers = new Map();
+
+// id -> backoff timer
+const retryTimers = new Map();
+
+const listeners = new Set();
+
+let restoring = null;
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * Creates a local upload ID
+ * @returns {string} Upload ID
+ */
+const createUploadId = () =>
+  `upl-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+
+/**
+ * HTTP status of a failed request
+ * @param {Error} error - Request error
+ * @returns {number|undefined} Status
+ */
+const getStatus = (error) => error?.details?.status;
+
+/**
+ * Public view of an upload
+ * @param {Object} upload - Upload
+ * @returns {Object} Upload with its progress percentage
+ */
+const toSnapshot = (upload) => ({
+  ...upload,
+  progress: upload.size ? Math.floor((upload.uploadedBytes / upload.size) * 100) : 100
+});
+
+/**
+ * Stored form of an upload; the file is stored on its own
+ * @param {Object} upload - Upload
+ * @returns {Object} Record
+ */
+const toRecord = ({ file, ...record }) => record;
+
+/**
+ * Notifies listeners of a change to one upload
+ * @param {Object} upload - Upload
+ * @param {boolean} [removed=false] - Whether the upload is gone
+ */
+const notify = (upload, removed = false) => {
+  const snapshot = { ...toSnapshot(upload), removed };
+  listeners.forEach(listener => {
+    try {
+      listener(snapshot);
+    } catch (e) {
+      console.error('Upload listener error:', e);
+    }
+  });
+};
+
+/**
+ * Saves an upload's record when its file made it into storage
+ * @param {Object} upload - Upload
+ */
+const persist = (upload) => {
+  if (!upload.persisted) return;
+  uploadStore.saveRecord(toRecord(upload)).catch(error => {
+    logWarn('Upload progress not saved', { uploadId: upload.id, message: error?.message });
+  });
+};
+
+/**
+ * Applies changes to an upload, saves and announces them
+ * @param {string} id - Upload ID
+ * @param {Object} changes - Fields to change
+ * @returns {Object|null} The updated upload, or null if it is gone
+ */
+const update = (id, changes) => {
+  const current = uploads.get(id);
+  if (!current) return null;
+
+  const upload = { ...current, ...changes, updatedAt: new Date().toISOString() };
+  uploads.set(id, upload);
+  persist(upload);
+  notify(upload);
+  return upload;
+};
+
+/**
+ * Cancels a pending backoff retry
+ * @param {string} id - Upload ID
+ */
+const clearRetry = (id) => {
+  clearTimeout(retryTimers.get(id));
+  retryTimers.delete(id);
+};
+
+// =============================================================================
+// TRANSFER
+// =============================================================================
+
+/**
+ * Opens the upload's session on the API, or reads how far an existing one
+ * got. An expired session is replaced and the file sent again.
+ * @param {string} id - Upload ID
+ * @param {AbortSignal} signal - Cancels the request
+ */
+const openSession = async (id, signal) => {
+  const upload = uploads.get(id);
+
+  if (upload.sessionId) {
+    try {
+      const { data } = await apiClient.get(ENDPOINTS.detail(upload.sessionId), { signal, dedupe: false });
+      update(id, { uploadedBytes: data.upload.receivedBytes });
+      return;
+    } catch (error) {
+      if (getStatus(error) !== 404) throw error;
+    }
+  }
+
+  const { data } = await apiClient.post(ENDPOINTS.create, {
+    fileName: upload.fileName,
+    mimeType: upload.mimeType,
+    size: upload.size,
+    kind: upload.kind,
+    chunkSize: UPLOAD_CONFIG.chunkSize
+  }, { signal });
+
+  update(id, {
+    sessionId: data.upload.id,
+    chunkSize: data.upload.chunkSize,
+    uploadedBytes: data.upload.receivedBytes
+  });
+};
+
+/**
+ * Sends the next chunk of an upload
+ * @param {Object} upload - Upload
+ * @param {AbortSignal} signal - Cancels the request
+ * @returns {Promise<number>} Bytes the API now holds
+ */
+const sendChunk = async (upload, signal) => {
+  const offset = upload.uploadedBytes;
+  const formData = new FormData();
+  formData.append('offset', String(offset));
+  formData.append('chunk', upload.file.slice(offset, offset + upload.chunkSize), upload.fileName);
+
+  const { data } = await apiClient.upload(ENDPOINTS.chunks(upload.sessionId), formData, {
+    signal,
+    timeout: UPLOAD_CONFIG.chunkTimeout
+  });
+  return data.upload.receivedBytes;
+};
+
+/**
+ * Marks an upload completed. The file is on the API now, so the device
+ * copy is dropped; the upload stays listed until its owner removes it.
+ * @param {string} id - Upload ID
+ * @param {Object} result - Uploaded file ({ id, url, ... })
+ */
+const finish = (id, result) => {
+  const { persisted, size, kind, purpose } = uploads.get(id);
+
+  update(id, {
+    status: UPLOAD_STATUS.COMPLETED,
+    uploadedBytes: size,
+    result,
+    error: null,
+    attempts: 0,
+    persisted: false
+  });
+
+  if (persisted) {
+    uploadStore.removeUpload(id).catch(error => {
+      logWarn('Uploaded file not cleared from the device', { uploadId: id, message: error?.message });
+    });
+  }
+
+  logUserAction('upload_completed', { uploadId: id, kind, purpose, size });
+};
+
+/**
+ * Schedules another attempt after a server error
+ * @param {string} id - Upload ID
+ * @param {number} attempts - Failed attempts so far
+ * @returns {string} When the next attempt starts (ISO)
+ */
+const scheduleRetry = (id, attempts) => {
+  clearRetry(id);
+  const delay = Math.min(
+    UPLOAD_CONFIG.retryDelay * Math.pow(2, attempts - 1),
+    UPLOAD_CONFIG.maxRetryDelay
+  );
+  retryTimers.set(id, setTimeout(() => {
+    retryTimers.delete(id);
+    transfer(id);
+  }, delay));
+  return new Date(Date.now() + delay).toISOString();
+};
+
+/**
+ * Decides what happens after a transfer stops with an error
+ * @param {string} id - Upload ID
+ * @param {Error} error - Request error
+ */
+const handleFailure = (id, error) => {
+  const upload = uploads.get(id);
+  if (!upload || error?.type === ERROR_TYPES.REQUEST_CANCELLED) return;
+
+  const status = getStatus(error);
+
+  // Unreachable: the client has flipped offline and reconnecting resumes us.
+  // Signed out: the next sign-in resumes us.
+  if (error?.type === ERROR_TYPES.NETWORK_ERROR || status === 401) {
+    update(id, {
+      status: UPLOAD_STATUS.WAITING,
+      error: status === 401 ? 'Sign in again to finish this upload' : null
+    });
+    return;
+  }
+
+  if (error?.type === ERROR_TYPES.TIMEOUT_ERROR || !status || status >= 500 || status === 429) {
+    const attempts = upload.attempts + 1;
+    if (attempts < UPLOAD_CONFIG.maxRetries) {
+      update(id, {
+        status: UPLOAD_STATUS.WAITING,
+        attempts,
+        error: error?.message,
+        retryAt: scheduleRetry(id, attempts)
+      });
+      return;
+    }
+  }
+
+  logWarn('Upload failed', { uploadId: id, status, message: error?.message });
+  update(id, { status: UPLOAD_STATUS.FAILED, error: error?.message || 'Upload failed', retryAt: null });
+};
+
+/**
+ * Sends an upload from wherever its session stands until it completes,
+ * is paused or removed, or fails
+ * @param {string} id - Upload ID
+ */
+const transfer = async (id) => {
+  if (transfers.has(id) || !uploads.has(id)) return;
+
+  const controller = new AbortController();
+  transfers.set(id, controller);
+  clearRetry(id);
+  update(id, { status: UPLOAD_STATUS.UPLOADING, error: null, retryAt: null });
+
+  try {
+    await openSession(id, controller.signal);
+
+    let upload = uploads.get(id);
+    while (upload.uploadedBytes < upload.size) {
+      try {
+        const receivedBytes = await sendChunk(upload, controller.signal);
+        if (controller.signal.aborted) return;
+        upload = update(id, { uploadedBytes: receivedBytes, attempts: 0 });
+      } catch (error) {
+        const status = getStatus(error);
+
+        // 409: the API holds a different offset, e.g. a chunk landed but
+        // its answer was lost. 404: the session expired. Re-read and go on.
+        if (status !== 409 && status !== 404) throw error;
+        if (status === 404) update(id, { sessionId: null, uploadedBytes: 0 });
+        await openSession(id, controller.signal);
+        upload = uploads.get(id);
+      }
+      if (!upload) return;
+    }
+
+    const { data } = await apiClient.post(ENDPOINTS.complete(upload.sessionId), {}, { signal: controller.signal });
+    if (!controller.signal.aborted) finish(id, data.file);
+  } catch (error) {
+    handleFailure(id, error);
+  } finally {
+    if (transfers.get(id) === controller) transfers.delete(id);
+  }
+};
+
+/**
+ * Resumes every upload waiting for the connection
+ */
+const resumeWaiting = () => {
+  uploads.forEach(upload => {
+    if (upload.status === UPLOAD_STATUS.WAITING || upload.status === UPLOAD_STATUS.QUEUED) {
+      transfer(upload.id);
+    }
+  });
+};
+
+// =============================================================================
+// UPLOADS
+// =============================================================================
+
+/**
+ * Starts an upload
+ * @param {File|Blob} file - File to send; a Blob needs a `name`
+ * @param {Object} options - Upload options
+ * @param {string} options.kind - One of UPLOAD_KINDS
+ * @param {string} [options.purpose] - What the file is for, e.g. 'gpo:selfie'
+ * @param {Object} [options.meta] - Extra details kept with the upload, e.g. { duration }
+ * @param {Object} [options.validation] - Extra validator options, e.g. { maxSize }
+ * @param {boolean} [options.replace=false] - Remove unfinished uploads with the same purpose
+ * @returns {Promise<Object>} The upload
+ * @throws {GPSLabError} VALIDATION_ERROR when the file breaks the rules for its kind
+ */
+export const startUpload = async (file, { kind, purpose = null, meta = {}, validation = {}, replace = false } = {}) => {
+  const { valid, errors } = await validateUploadFile(file, kind, validation);
+  if (!valid) {
+    throw createError(ERROR_TYPES.VALIDATION_ERROR, {
+      message: errors[0],
+      details: { errors, fileName: file?.name }
+    });
+  }
+
+  if (replace && purpose) {
+    findUploads(purpose)
+      .filter(upload => upload.status !== UPLOAD_STATUS.COMPLETED)
+      .forEach(upload => removeUpload(upload.id));
+  }
+
+  const now = new Date().toISOString();
+  const upload = {
+    id: createUploadId(),
+    kind,
+    purpose,
+    meta,
+    fileName: file.name,
+    mimeType: file.type,
+    size: file.size,
+    file,
+    sessionId: null,
+    chunkSize: UPLOAD_CONFIG.chunkSize,
+    uploadedBytes: 0,
+    status: UPLOAD_STATUS.QUEUED,
+    error: null,
+    attempts: 0,
+    retryAt: null,
+    result: null,
+    persisted: false,
+    createdAt: now,
+    updatedAt: now
+  };
+  uploads.set(upload.id, upload);
+  notify(upload);
+
+  // Without a stored copy the upload still runs, but will not survive a reload
+  try {
+    await uploadStore.saveFile(upload.id, file);
+    upload.persisted = true;
+    await uploadStore.saveRecord(toRecord(upload));
+  } catch (error) {
+    logWarn('Upload not saved on this device', { uploadId: upload.id, message: error?.message });
+  }
+
+  if (!uploads.has(upload.id)) return toSnapshot(upload);
+
+  logUserAction('upload_started', { uploadId: upload.id, kind, purpose, size: file.size });
+
+  if (isOnline()) {
+    transfer(upload.id);
+  } else {
+    update(upload.id, { status: UPLOAD_STATUS.WAITING });
+  }
+
+  return toSnapshot(uploads.get(upload.id));
+};
+
+/**
+ * Pauses an upload; the bytes sent so far are kept
+ * @param {string} id - Upload ID
+ */
+export const pauseUpload = (id) => {
+  const upload = uploads.get(id);
+  if (!upload || [UPLOAD_STATUS.PAUSED, UPLOAD_STATUS.FAILED, UPLOAD_STATUS.COMPLETED].includes(upload.status)) return;
+
+  clearRetry(id);
+  update(id, { status: UPLOAD_STATUS.PAUSED, retryAt: null });
+  transfers.get(id)?.abort();
+  transfers.delete(id);
+};
+
+/**
+ * Resumes a paused upload, or tries a failed or waiting one again now
+ * @param {string} id - Upload ID
+ */
+export const resumeUpload = (id) => {
+  const upload = uploads.get(id);
+  if (!upload || upload.status === UPLOAD_STATUS.COMPLETED || transfers.has(id)) return;
+
+  update(id, { attempts: 0 });
+  if (isOnline()) {
+    transfer(id);
+  } else {
+    clearRetry(id);
+    update(id, { status: UPLOAD_STATUS.WAITING, error: null, retryAt: null });
+  }
+};
+
+/**
+ * Stops and forgets an upload. An unfinished upload's session is discarded
+ * on the API as well; a completed upload's file stays there.
+ * @param {string} id - Upload ID
+ */
+export const removeUpload = (id) => {
+  const upload = uploads.get(id);
+  if (!upload) return;
+
+  clearRetry(id);
+  transfers.get(id)?.abort();
+  transfers.delete(id);
+  uploads.delete(id);
+
+  uploadStore.removeUpload(id).catch(error => {
+    logWarn('Upload not cleared from the device', { uploadId: id, message: error?.message });
+  });
+
+  if (upload.sessionId && upload.status !== UPLOAD_STATUS.COMPLETED && isOnline()) {
+    apiClient.delete(ENDPOINTS.detail(upload.sessionId)).catch(() => {});
+  }
+
+  notify(upload, true);
+};
+
+/**
+ * Gets an upload
+ * @param {string} id - Upload ID
+ * @returns {Object|null} Upload
+ */
+export const getUpload = (id) => {
+  const upload = uploads.get(id);
+  return upload ? toSnapshot(upload) : null;
+};
+
+/**
+ * Lists uploads, oldest first
+ * @returns {Array<Object>} Uploads
+ */
+export const listUploads = () =>
+  [...uploads.values()]
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+    .map(toSnapshot);
+
+/**
+ * Lists the uploads for one purpose, oldest first
+ * @param {string} purpose - Upload purpose
+ * @returns {Array<Object>} Uploads
+ */
+export const findUploads = (purpose) => listUploads().filter(upload => upload.purpose === purpose);
+
+/**
+ * Subscribes to upload changes. Removed uploads arrive with `removed: true`.
+ * @param {Function} listener - (upload) => void
+ * @returns {Function} Unsubscribe function
+ */
+export const onUploadChange = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+/**
+ * The uploaded file of a completed upload, in the shape forms keep
+ * @param {Object} upload - Completed upload
+ * @returns {Object} { id, url, fileName, mimeType, size, uploadId, file, ...meta }
+ */
+export const toUploadedMedia = (upload) => ({
+  ...upload.meta,
+  id: upload.result.id,
+  url: upload.result.url,
+  fileName: upload.fileName,
+  mimeType: upload.mimeType,
+  size: upload.size,
+  uploadId: upload.id,
+  file: upload.file
+});
+
+// =============================================================================
+// LIFECYCLE
+// =============================================================================
+
+/**
+ * Brings back the uploads stored on the device, e.g. after a reload.
+ * Nothing is running after a reload, so unfinished uploads come back
+ * waiting unless they were paused or had failed.
+ * @returns {Promise<void>}
+ */
+export const restoreUploads = () => {
+  if (restoring) return restoring;
+
+  restoring = (async () => {
+    const records = await uploadStore.listRecords();
+
+    for (const record of records) {
+      if (uploads.has(record.id)) continue;
+
+      const file = await uploadStore.getFile(record.id);
+      if (!file) {
+        await uploadStore.removeUpload(record.id);
+        continue;
+      }
+
+      const upload = {
+        ...record,
+        file,
+        persisted: true,
+        retryAt: null,
+        status: [UPLOAD_STATUS.PAUSED, UPLOAD_STATUS.FAILED].includes(record.status)
+          ? record.status
+          : UPLOAD_STATUS.WAITING
+      };
+      uploads.set(upload.id, upload);
+      notify(upload);
+    }
+  })().catch(error => {
+    logWarn('Stored uploads could not be restored', { message: error?.message });
+  });
+
+  return restoring;
+};
+
+/**
+ * Starts syncing uploads: restores the stored ones and resumes waiting
+ * uploads now and whenever the API becomes reachable again
+ * @returns {Function} Stops syncing
+ */
+export const startUploadSync = () => {
+  let active = true;
+
+  restoreUploads().then(() => {
+    if (active && isOnline()) resumeWaiting();
+  });
+
+  const unsubscribe = onConnectivityChange((online) => {
+    if (online) resumeWaiting();
+  });
+
+  return () => {
+    active = false;
+    unsubscribe();
+  };
+};
+
+/**
+ * Stops and forgets every upload, e.g. on sign-out. Sessions on the API
+ * are left to expire.
+ * @returns {Promise<void>}
+ */
+export const clearUploads = async () => {
+  transfers.forEach(controller => controller.abort());
+  transfers.clear();
+  [...retryTimers.keys()].forEach(clearRetry);
+
+  const removed = [...uploads.values()];
+  uploads.clear();
+  restoring = null;
+  removed.forEach(upload => notify(upload, true));
+
+  await uploadStore.clearUploads().catch(error => {
+    logWarn('Stored uploads not cleared', { message: error?.message });
+  });
+};
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+export default {
+  UPLOAD_STATUS,
+  UPLOAD_STATUS_LABELS,
+  startUpload,
+  pauseUpload,
+  resumeUpload,
+  removeUpload,
+  getUpload,
+  listUploads,
+  findUploads,
+  onUploadChange,
+  toUploadedMedia,
+  restoreUploads,
+  startUploadSync,
+  clearUploads
+};
@@ -0,0 +1,191 @@
+/**
+ * GPS Lab Platform - Upload Store
+ *
+ * IndexedDB persistence for uploads that have not finished: each upload's
+ * progress record, and the file itself in a separate store so progress
+ * updates never rewrite the video. A recording whose upload failed, or was
+ * cut off by closing the tab, is still on the device after a reload. Where
+ * IndexedDB is unavailable (private browsing, blocked storage, tests) the
+ * store keeps everything in memory for the session instead.
+ *
+ * @module services/upload/upload.store
+ * @version 1.0.0
+ */
+
+import { warn as logWarn } from '../../utils/error/error.logger';
+
+// =============================================================================
+// CONFIGURATION
+// =============================================================================
+
+const DB_NAME = 'gpslab-uploads';
+const DB_VERSION = 1;
+
+const STORES = {
+  records: 'records',
+  files: 'files'
+};
+
+// =============================================================================
+// DATABASE
+// =============================================================================
+
+let databasePromise = null;
+
+const memory = {
+  [STORES.records]: new Map(),
+  [STORES.files]: new Map()
+};
+
+/**
+ * Opens the uploads database once
+ * @returns {Promise<IDBDatabase|null>} Database, or null to use memory
+ */
+const openDatabase = () => {
+  if (databasePromise) return databasePromise;
+
+  databasePromise = new Promise((resolve) => {
+    if (typeof indexedDB === 'undefined') {
+      resolve(null);
+      return;
+    }
+
+    let request;
+    try {
+      request = indexedDB.open(DB_NAME, DB_VERSION);
+    } catch (error) {
+      logWarn('Upload storage unavailable', { message: error?.message });
+      resolve(null);
+      return;
+    }
+
+    request.onupgradeneeded = () => {
+      const database = request.result;
+      Object.values(STORES).forEach(name => {
+        if (!database.objectStoreNames.contains(name)) database.createObjectStore(name);
+      });
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => {
+      logWarn('Upload storage unavailable', { message: request.error?.message });
+      resolve(null);
+    };
+  });
+
+  return databasePromise;
+};
+
+/**
+ * Runs one operation against a store: an IndexedDB request in its own
+ * transaction, or the in-memory equivalent
+ * @param {string} storeName - Object store
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} operation - (IDBObjectStore) => IDBRequest
+ * @param {Function} memoryOperation - (Map) => result
+ * @returns {Promise<*>} The result once the transaction commits
+ */
+const runTransaction = async (storeName, mode, operation, memoryOperation) => {
+  const database = await openDatabase();
+
+  if (!database) {
+    return memoryOperation(memory[storeName]);
+  }
+
+  return new Promise((resolve, reject) => {
+    const transaction = database.transaction(storeName, mode);
+    const request = operation(transaction.objectStore(storeName));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+};
+
+// =============================================================================
+// RECORDS AND FILES
+// =============================================================================
+
+/**
+ * Whether uploads survive a reload
+ * @returns {Promise<boolean>} True when IndexedDB is in use
+ */
+export const isPersistent = async () => Boolean(await openDatabase());
+
+/**
+ * Saves an upload's progress record
+ * @param {Object} record - Upload record without its file
+ * @returns {Promise<void>}
+ */
+export const saveRecord = async (record) => {
+  await runTransaction(STORES.records, 'readwrite',
+    store => store.put(record, record.id),
+    map => map.set(record.id, record));
+};
+
+/**
+ * Saves an upload's file
+ * @param {string} id - Upload ID
+ * @param {Blob} file - File
+ * @returns {Promise<void>}
+ * @throws When the device is out of storage
+ */
+export const saveFile = async (id, file) => {
+  await runTransaction(STORES.files, 'readwrite',
+    store => store.put(file, id),
+    map => map.set(id, file));
+};
+
+/**
+ * Reads an upload's file
+ * @param {string} id - Upload ID
+ * @returns {Promise<Blob|null>} File, or null if it was not stored
+ */
+export const getFile = async (id) => {
+  const file = await runTransaction(STORES.files, 'readonly',
+    store => store.get(id),
+    map => map.get(id));
+  return file || null;
+};
+
+/**
+ * Lists every stored upload record
+ * @returns {Promise<Array<Object>>} Records
+ */
+export const listRecords = async () => {
+  const records = await runTransaction(STORES.records, 'readonly',
+    store => store.getAll(),
+    map => [...map.values()]);
+  return records || [];
+};
+
+/**
+ * Removes an upload's record and file
+ * @param {string} id - Upload ID
+ * @returns {Promise<void>}
+ */
+export const removeUpload = async (id) => {
+  await runTransaction(STORES.records, 'readwrite', store => store.delete(id), map => map.delete(id));
+  await runTransaction(STORES.files, 'readwrite', store => store.delete(id), map => map.delete(id));
+};
+
+/**
+ * Removes every upload, e.g. on sign-out
+ * @returns {Promise<void>}
+ */
+export const clearUploads = async () => {
+  await runTransaction(STORES.records, 'readwrite', store => store.clear(), map => map.clear());
+  await runTransaction(STORES.files, 'readwrite', store => store.clear(), map => map.clear());
+};
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+export default {
+  isPersistent,
+  saveRecord,
+  saveFile,
+  getFile,
+  listRecords,
+  removeUpload,
+  clearUploads
+};
@@ -0,0 +1,41 @@
+/**
+ * GPS Lab Platform - WebSocket Handlers
+ *
+ * Registers every domain handler against the store in one call, so the app
+ * subscribes once per session and unsubscribes on sign-out.
+ *
+ * @module services/websocket/handlers
+ * @version 1.0.0
+ */
+
+import websocketService from '../websocket.service';
+import { registerMissionHandlers } from './mission.handler';
+import { registerPartyHandlers } from './party.handler';
+import { registerPraiseHandlers } from './praise.handler';
+import { registerNotificationHandlers } from './notification.handler';
+
+/**
+ * Registers all real-time handlers on a socket
+ * @param {Object} store - Redux store ({ dispatch, getState })
+ * @param {Object} [socket] - WebSocket service (defaults to the shared instance)
+ * @returns {Function} Unregisters every handler
+ */
+export const registerRealtimeHandlers = (store, socket = websocketService) => {
+  const unregisters = [
+    registerMissionHandlers(store, socket),
+    registerPartyHandlers(store, socket),
+    registerPraiseHandlers(store, socket),
+    registerNotificationHandlers(store, socket)
+  ];
+
+  return () => unregisters.forEach(unregister => unregister());
+};
+
+export {
+  registerMissionHandlers,
+  registerPartyHandlers,
+  registerPraiseHandlers,
+  registerNotificationHandlers
+};
+
+export default registerRealtimeHandlers;
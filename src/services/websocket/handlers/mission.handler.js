@@ -0,0 +1,172 @@
+/**
+ * GPS Lab Platform - Mission WebSocket Handler
+ *
+ * Applies real-time mission events to the store: progress updates,
+ * completions and the missions they unlock, checkpoint results that arrive
+ * after review, and the Baraka credited or spent along the way. Completions
+ * never credit Baraka themselves; the server follows each reward with a
+ * `baraka:earned` event so the balance is only counted once.
+ *
+ * @module services/websocket/handlers/mission.handler
+ * @version 1.0.0
+ */
+
+import websocketService, { WS_EVENTS } from '../websocket.service';
+import { missionUpdated } from '../../../store/slices/missionSlice';
+import { checkpointResultReceived } from '../../../store/slices/checkpointSlice';
+import { transactionReceived } from '../../../store/slices/barakaSlice';
+import apiClient from '../../api/client';
+import { CACHE_TAGS } from '../../api/api.cache';
+import { getMissionTags } from '../../api/mission.service';
+import {
+  logMissionEvent,
+  logCheckpointEvent,
+  logBarakaTransaction
+} from '../../../utils/error/error.logger';
+
+// =============================================================================
+// NORMALIZERS
+// =============================================================================
+
+/**
+ * Normalizes a mission update. The server sends either the full mission or
+ * `{ missionId, ...changes }`.
+ * @param {Object} payload - Event payload
+ * @returns {Object|null} Mission patch with an id
+ */
+const normalizeMission = (payload = {}) => {
+  const { mission, missionId, ...changes } = payload;
+  const id = mission?.id || missionId || payload.id;
+  if (!id) return null;
+  return { ...mission, ...changes, id };
+};
+
+/**
+ * Normalizes a checkpoint result
+ * @param {Object} payload - Event payload
+ * @returns {Object|null} Result keyed by mission
+ */
+const normalizeCheckpointResult = (payload = {}) => {
+  const { result, ...rest } = payload;
+  const merged = { ...result, ...rest };
+  if (!merged.missionId) return null;
+  return {
+    ...merged,
+    passed: merged.passed ?? merged.status === 'passed',
+    receivedAt: merged.receivedAt || new Date().toISOString()
+  };
+};
+
+/**
+ * Normalizes a Baraka transaction. Amounts are signed: credits positive,
+ * debits negative, whatever sign the server used.
+ * @param {Object} payload - Event payload
+ * @param {boolean} isCredit - Whether the event is a credit
+ * @returns {Object|null} { amount, balance, transaction }
+ */
+const normalizeTransaction = (payload = {}, isCredit) => {
+  const rawAmount = Number(payload.amount ?? payload.transaction?.amount);
+  if (!Number.isFinite(rawAmount) || rawAmount === 0) return null;
+
+  const amount = isCredit ? Math.abs(rawAmount) : -Math.abs(rawAmount);
+  const transaction = payload.transaction || (payload.transactionId ? {
+    id: payload.transactionId,
+    type: payload.type || (isCredit ? 'earn' : 'spend'),
+    amount,
+    source: payload.source,
+    description: payload.description,
+    createdAt: payload.createdAt || new Date().toISOString()
+  } : null);
+
+  return {
+    amount,
+    balance: payload.balance ?? payload.newBalance,
+    transaction
+  };
+};
+
+// =============================================================================
+// HANDLERS
+// =============================================================================
+
+/**
+ * Registers mission, checkpoint and Baraka handlers on a socket
+ * @param {Object} store - Redux store ({ dispatch, getState })
+ * @param {Object} [socket] - WebSocket service (defaults to the shared instance)
+ * @returns {Function} Unregisters every handler
+ */
+export const registerMissionHandlers = ({ dispatch, getState }, socket = websocketService) => {
+  // Partial patches only apply to missions already loaded; a full mission
+  // (one with a title) may be added
+  const applyMission = (mission) => {
+    const isLoaded = getState().mission?.missions?.some(m => m.id === mission.id);
+    if (isLoaded || mission.title) {
+      dispatch(missionUpdated(mission));
+    }
+  };
+
+  const handleMissionUpdate = (payload) => {
+    const mission = normalizeMission(payload);
+    if (!mission) return;
+    applyMission(mission);
+    apiClient.invalidateTags(getMissionTags(mission.id));
+  };
+
+  const handleMissionCompleted = (payload = {}) => {
+    const mission = normalizeMission(payload);
+    if (!mission) return;
+
+    const { unlockedMissions = [], rewards, ...completed } = mission;
+    applyMission({
+      ...completed,
+      status: 'completed',
+      completedAt: completed.completedAt || new Date().toISOString()
+    });
+
+    // Unlocks arrive as ids or as mission summaries
+    unlockedMissions.forEach(unlocked => {
+      const patch = typeof unlocked === 'object' ? unlocked : { id: unlocked };
+      if (patch?.id) applyMission({ ...patch, status: 'available' });
+    });
+
+    apiClient.invalidateTags(getMissionTags(mission.id));
+    logMissionEvent('completed', { missionId: mission.id, rewards, source: 'realtime' });
+  };
+
+  const handleCheckpointResult = (payload) => {
+    const result = normalizeCheckpointResult(payload);
+    if (!result) return;
+    dispatch(checkpointResultReceived(result));
+    apiClient.invalidateTags([CACHE_TAGS.checkpoint(result.missionId), ...getMissionTags(result.missionId)]);
+    logCheckpointEvent('result received', { missionId: result.missionId, passed: result.passed });
+  };
+
+  const handleBaraka = (isCredit) => (payload) => {
+    const change = normalizeTransaction(payload, isCredit);
+    if (!change) return;
+    dispatch(transactionReceived(change));
+    apiClient.invalidateTags([CACHE_TAGS.BARAKA]);
+    logBarakaTransaction(isCredit ? 'earn' : 'spend', Math.abs(change.amount), {
+      source: payload?.source,
+      realtime: true
+    });
+  };
+
+  const unregisters = [
+    socket.onMessage(WS_EVENTS.MISSION_UPDATE, handleMissionUpdate),
+    socket.onMessage(WS_EVENTS.MISSION_COMPLETED, handleMissionCompleted),
+    socket.onMessage(WS_EVENTS.CHECKPOINT_RESULT, handleCheckpointResult),
+    socket.onMessage(WS_EVENTS.BARAKA_EARNED, handleBaraka(true)),
+    socket.onMessage(WS_EVENTS.BARAKA_SPENT, handleBaraka(false))
+  ];
+
+  return () => unregisters.forEach(unregister => unregister());
+};
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+export default {
+  registerMissionHandlers
+};
@@ -0,0 +1,64 @@
+/**
+ * GPS Lab Platform - Notification WebSocket Handler
+ *
+ * Adds notifications pushed by the server to the store so the bell and
+ * notification center update without polling. Browser notifications stay
+ * with `onNotification` in the notification service.
+ *
+ * @module services/websocket/handlers/notification.handler
+ * @version 1.0.0
+ */
+
+import websocketService, { WS_EVENTS } from '../websocket.service';
+import { notificationReceived } from '../../../store/slices/notificationSlice';
+import { getTypeInfo, NOTIFICATION_PRIORITY } from '../../api/notification.service';
+
+// =============================================================================
+// NORMALIZERS
+// =============================================================================
+
+/**
+ * Normalizes a notification. The server sends either `{ notification }`
+ * or the notification itself.
+ * @param {Object} payload - Event payload
+ * @returns {Object|null} Notification with id, category and priority
+ */
+const normalizeNotification = (payload = {}) => {
+  const notification = payload.notification || payload;
+  if (!notification.id) return null;
+  return {
+    priority: NOTIFICATION_PRIORITY.NORMAL,
+    category: getTypeInfo(notification.type).category,
+    ...notification,
+    read: Boolean(notification.read),
+    createdAt: notification.createdAt || new Date().toISOString()
+  };
+};
+
+// =============================================================================
+// HANDLERS
+// =============================================================================
+
+/**
+ * Registers notification handlers on a socket
+ * @param {Object} store - Redux store ({ dispatch })
+ * @param {Object} [socket] - WebSocket service (defaults to the shared instance)
+ * @returns {Function} Unregisters every handler
+ */
+export const registerNotificationHandlers = ({ dispatch }, socket = websocketService) => {
+  const handleNotification = (payload) => {
+    const notification = normalizeNotification(payload);
+    if (!notification) return;
+    dispatch(notificationReceived(notification));
+  };
+
+  return socket.onMessage(WS_EVENTS.NOTIFICATION, handleNotification);
+};
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+export default {
+  registerNotificationHandlers
+};
@@ -0,0 +1,148 @@
+/**
+ * GPS Lab Platform - Party WebSocket Handler
+ *
+ * Applies real-time party events to the store: chat messages, members
+ * joining and leaving, and task updates. Membership changes also drop the
+ * party's cached details so the next fetch sees the new roster.
+ *
+ * @module services/websocket/handlers/party.handler
+ * @version 1.0.0
+ */
+
+import websocketService, { WS_EVENTS } from '../websocket.service';
+import {
+  chatMessageReceived,
+  partyMemberJoined,
+  partyMemberLeft,
+  taskReceived
+} from '../../../store/slices/partySlice';
+import apiClient from '../../api/client';
+import { CACHE_TAGS } from '../../api/api.cache';
+import { logUserAction } from '../../../utils/error/error.logger';
+
+// =============================================================================
+// NORMALIZERS
+// =============================================================================
+
+/**
+ * Normalizes a chat message. The server sends either `{ partyId, message }`
+ * or the message itself.
+ * @param {Object} payload - Event payload
+ * @returns {Object|null} Message with partyId and id
+ */
+const normalizeChatMessage = (payload = {}) => {
+  const { message, ...rest } = payload;
+  const merged = { ...rest, ...message };
+  const partyId = merged.partyId || rest.partyId;
+  if (!partyId || !merged.id) return null;
+  return {
+    type: 'text',
+    ...merged,
+    partyId,
+    createdAt: merged.createdAt || new Date().toISOString()
+  };
+};
+
+/**
+ * Normalizes a member who joined. The server sends either
+ * `{ partyId, member }` or `{ partyId, userId, user, role }`.
+ * @param {Object} payload - Event payload
+ * @returns {Object|null} { partyId, member }
+ */
+const normalizeMemberJoined = (payload = {}) => {
+  const { partyId, member, user, ...rest } = payload;
+  const merged = { ...user, ...rest, ...member };
+  const userId = merged.userId || user?.id;
+  if (!partyId || !userId) return null;
+  return {
+    partyId,
+    member: {
+      role: 'member',
+      ...merged,
+      userId,
+      joinedAt: merged.joinedAt || new Date().toISOString()
+    }
+  };
+};
+
+/**
+ * Normalizes a member who left
+ * @param {Object} payload - Event payload
+ * @returns {Object|null} { partyId, userId }
+ */
+const normalizeMemberLeft = (payload = {}) => {
+  const userId = payload.userId || payload.member?.userId || payload.user?.id;
+  if (!payload.partyId || !userId) return null;
+  return { partyId: payload.partyId, userId };
+};
+
+/**
+ * Normalizes a task update. The server sends either `{ partyId, task }`
+ * or the task itself.
+ * @param {Object} payload - Event payload
+ * @returns {Object|null} { partyId, task }
+ */
+const normalizeTask = (payload = {}) => {
+  const { task, ...rest } = payload;
+  const merged = { ...rest, ...task };
+  const partyId = rest.partyId || merged.partyId;
+  if (!partyId || !merged.id) return null;
+  return { partyId, task: merged };
+};
+
+// =============================================================================
+// HANDLERS
+// =============================================================================
+
+/**
+ * Registers party handlers on a socket
+ * @param {Object} store - Redux store ({ dispatch })
+ * @param {Object} [socket] - WebSocket service (defaults to the shared instance)
+ * @returns {Function} Unregisters every handler
+ */
+export const registerPartyHandlers = ({ dispatch }, socket = websocketService) => {
+  const handleChatMessage = (payload) => {
+    const message = normalizeChatMessage(payload);
+    if (!message) return;
+    dispatch(chatMessageReceived(message));
+  };
+
+  const handleMemberJoined = (payload) => {
+    const change = normalizeMemberJoined(payload);
+    if (!change) return;
+    dispatch(partyMemberJoined(change));
+    apiClient.invalidateTags([CACHE_TAGS.party(change.partyId)]);
+    logUserAction('party_member_joined', { partyId: change.partyId, userId: change.member.userId });
+  };
+
+  const handleMemberLeft = (payload) => {
+    const change = normalizeMemberLeft(payload);
+    if (!change) return;
+    dispatch(partyMemberLeft(change));
+    apiClient.invalidateTags([CACHE_TAGS.party(change.partyId)]);
+    logUserAction('party_member_left', change);
+  };
+
+  const handleTaskUpdate = (payload) => {
+    const change = normalizeTask(payload);
+    if (!change) return;
+    dispatch(taskReceived(change));
+  };
+
+  const unregisters = [
+    socket.onMessage(WS_EVENTS.PARTY_MESSAGE, handleChatMessage),
+    socket.onMessage(WS_EVENTS.PARTY_MEMBER_JOINED, handleMemberJoined),
+    socket.onMessage(WS_EVENTS.PARTY_MEMBER_LEFT, handleMemberLeft),
+    socket.onMessage(WS_EVENTS.PARTY_TASK_UPDATE, handleTaskUpdate)
+  ];
+
+  return () => unregisters.forEach(unregister => unregister());
+};
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+export default {
+  registerPartyHandlers
+};
@@ -0,0 +1,89 @@
+/**
+ * GPS Lab Platform - Praise WebSocket Handler
+ *
+ * Applies real-time praise and honor to the store. Praise carries no honor
+ * of its own here; the server follows it with an `honor:received` event so
+ * the total is only counted once.
+ *
+ * @module services/websocket/handlers/praise.handler
+ * @version 1.0.0
+ */
+
+import websocketService, { WS_EVENTS } from '../websocket.service';
+import { praiseReceived, honorReceived } from '../../../store/slices/praiseSlice';
+import apiClient from '../../api/client';
+import { CACHE_TAGS } from '../../api/api.cache';
+import { logUserAction } from '../../../utils/error/error.logger';
+
+// =============================================================================
+// NORMALIZERS
+// =============================================================================
+
+/**
+ * Normalizes received praise. The server sends either `{ praise }` or the
+ * praise itself.
+ * @param {Object} payload - Event payload
+ * @returns {Object|null} Praise with id
+ */
+const normalizePraise = (payload = {}) => {
+  const praise = payload.praise || payload;
+  if (!praise.id) return null;
+  return {
+    ...praise,
+    createdAt: praise.createdAt || new Date().toISOString()
+  };
+};
+
+/**
+ * Normalizes an honor award
+ * @param {Object} payload - Event payload
+ * @returns {Object|null} { amount, totalHonor }
+ */
+const normalizeHonor = (payload = {}) => {
+  const amount = Number(payload.amount ?? payload.honor ?? 0);
+  const totalHonor = payload.totalHonor ?? undefined;
+  if (!amount && totalHonor === undefined) return null;
+  return { amount, totalHonor };
+};
+
+// =============================================================================
+// HANDLERS
+// =============================================================================
+
+/**
+ * Registers praise and honor handlers on a socket
+ * @param {Object} store - Redux store ({ dispatch })
+ * @param {Object} [socket] - WebSocket service (defaults to the shared instance)
+ * @returns {Function} Unregisters every handler
+ */
+export const registerPraiseHandlers = ({ dispatch }, socket = websocketService) => {
+  const handlePraise = (payload) => {
+    const praise = normalizePraise(payload);
+    if (!praise) return;
+    dispatch(praiseReceived(praise));
+    apiClient.invalidateTags([CACHE_TAGS.PRAISE]);
+    logUserAction('praise_received', { praiseId: praise.id, category: praise.category });
+  };
+
+  const handleHonor = (payload) => {
+    const honor = normalizeHonor(payload);
+    if (!honor) return;
+    dispatch(honorReceived(honor));
+    apiClient.invalidateTags([CACHE_TAGS.PRAISE]);
+  };
+
+  const unregisters = [
+    socket.onMessage(WS_EVENTS.PRAISE_RECEIVED, handlePraise),
+    socket.onMessage(WS_EVENTS.HONOR_RECEIVED, handleHonor)
+  ];
+
+  return () => unregisters.forEach(unregister => unregister());
+};
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+export default {
+  registerPraiseHandlers
+};
@@ -0,0 +1,258 @@
+/**
+ * GPS Lab Platform - WebSocket Outbox
+ *
+ * Durable, ordered queue of outbound socket messages. Each message gets a
+ * client id, a sequence number and an idempotency key, and stays in
+ * localStorage until the server acknowledges it, so it survives reconnects
+ * and tab reloads. Unacknowledged messages are resent with exponential
+ * backoff; the server drops repeats by idempotency key, so a resend never
+ * duplicates.
+ *
+ * @module services/websocket/websocket.outbox
+ * @version 1.0.0
+ */
+
+import { getItem, setItem, removeItem, STORAGE_KEYS } from '../storage/localStorage.service';
+
+// =============================================================================
+// CONFIGURATION
+// =============================================================================
+
+const OUTBOX_CONFIG = {
+  ackTimeout: 10000,
+  retryInterval: 1000,
+  maxRetryInterval: 30000,
+  retryDecay: 2,
+  maxAttempts: 8,
+  maxSize: 200,
+  maxAge: 24 * 60 * 60 * 1000
+};
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * Creates a client message id, unique across reloads
+ * @returns {string} Message ID
+ */
+export const createMessageId = () =>
+  `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+
+/**
+ * Builds the frame sent for an outbox entry
+ * @param {Object} entry - Outbox entry
+ * @returns {Object} Wire message
+ */
+export const toWireMessage = (entry) => ({
+  id: entry.id,
+  type: entry.type,
+  payload: entry.payload,
+  seq: entry.seq,
+  idempotencyKey: entry.idempotencyKey,
+  attempt: entry.attempts + 1,
+  timestamp: new Date(entry.createdAt).toISOString()
+});
+
+// =============================================================================
+// OUTBOX
+// =============================================================================
+
+class WebSocketOutbox {
+  /**
+   * @param {Object} [options] - Options
+   * @param {string} [options.storageKey] - localStorage key for the queue
+   * @param {Object} [options.config] - Overrides for OUTBOX_CONFIG
+   */
+  constructor({ storageKey = STORAGE_KEYS.wsOutbox, config = {} } = {}) {
+    this.storageKey = storageKey;
+    this.config = { ...OUTBOX_CONFIG, ...config };
+    this.entries = this.load();
+    this.seq = this.entries.reduce((max, entry) => Math.max(max, entry.seq), 0);
+  }
+
+  // ===========================================================================
+  // PERSISTENCE
+  // ===========================================================================
+
+  /**
+   * Loads persisted entries, dropping stale ones. Nothing is in flight after
+   * a reload, so every entry is due straight away.
+   * @returns {Array<Object>} Entries in send order
+   */
+  load() {
+    const stored = getItem(this.storageKey, []);
+    const cutoff = Date.now() - this.config.maxAge;
+
+    return (Array.isArray(stored) ? stored : [])
+      .filter(entry => entry?.id && entry.createdAt > cutoff)
+      .sort((a, b) => a.seq - b.seq)
+      .map(entry => ({ ...entry, nextAttemptAt: 0 }));
+  }
+
+  /**
+   * Persists the queue
+   */
+  persist() {
+    if (this.entries.length > 0) {
+      setItem(this.storageKey, this.entries);
+    } else {
+      removeItem(this.storageKey);
+    }
+  }
+
+  // ===========================================================================
+  // QUEUE OPERATIONS
+  // ===========================================================================
+
+  /**
+   * Adds a message to the end of the queue
+   * @param {string} type - Message type
+   * @param {Object} payload - Message payload
+   * @param {Object} [options] - Options
+   * @param {string} [options.idempotencyKey] - Key the server dedupes on (defaults to the id)
+   * @returns {Object} { entry, dropped } - dropped holds entries evicted by the size cap
+   */
+  enqueue(type, payload, { idempotencyKey } = {}) {
+    const id = createMessageId();
+    const entry = {
+      id,
+      seq: ++this.seq,
+      type,
+      payload,
+      idempotencyKey: idempotencyKey || id,
+      createdAt: Date.now(),
+      attempts: 0,
+      nextAttemptAt: 0
+    };
+
+    this.entries.push(entry);
+
+    const overflow = this.entries.length - this.config.maxSize;
+    const dropped = overflow > 0 ? this.entries.splice(0, overflow) : [];
+
+    this.persist();
+
+    return { entry, dropped };
+  }
+
+  /**
+   * Removes an acknowledged message
+   * @param {string} id - Message ID
+   * @returns {Object|null} Removed entry, or null if it was not queued
+   */
+  ack(id) {
+    const index = this.entries.findIndex(entry => entry.id === id);
+    if (index === -1) return null;
+
+    const [entry] = this.entries.splice(index, 1);
+    this.persist();
+    return entry;
+  }
+
+  /**
+   * Entries to (re)send now. Once the earliest unacknowledged entry is due,
+   * everything after it is resent too, so the server sees the stream in order.
+   * @param {number} [now] - Current time
+   * @returns {Array<Object>} Entries in send order
+   */
+  due(now = Date.now()) {
+    const index = this.entries.findIndex(entry => entry.nextAttemptAt <= now);
+    return index === -1 ? [] : this.entries.slice(index);
+  }
+
+  /**
+   * Records a send and schedules the retry should no ack arrive
+   * @param {Array<Object>} entries - Entries just sent
+   * @param {number} [now] - Current time
+   */
+  markSent(entries, now = Date.now()) {
+    const { ackTimeout, retryInterval, retryDecay, maxRetryInterval } = this.config;
+
+    entries.forEach(entry => {
+      const backoff = Math.min(
+        retryInterval * Math.pow(retryDecay, entry.attempts),
+        maxRetryInterval
+      );
+      entry.attempts += 1;
+      entry.nextAttemptAt = now + ackTimeout + backoff;
+    });
+
+    this.persist();
+  }
+
+  /**
+   * Removes entries that are out of attempts or too old to deliver
+   * @param {number} [now] - Current time
+   * @returns {Array<Object>} Abandoned entries
+   */
+  expire(now = Date.now()) {
+    const cutoff = now - this.config.maxAge;
+    const isAbandoned = (entry) =>
+      entry.createdAt <= cutoff ||
+      (entry.attempts >= this.config.maxAttempts && entry.nextAttemptAt <= now);
+
+    const abandoned = this.entries.filter(isAbandoned);
+    if (abandoned.length > 0) {
+      this.entries = this.entries.filter(entry => !isAbandoned(entry));
+      this.persist();
+    }
+
+    return abandoned;
+  }
+
+  /**
+   * Makes every entry due again, e.g. after a reconnect. Attempts restart
+   * because the lost sends were the connection's fault, not the message's.
+   */
+  requeue() {
+    this.entries.forEach(entry => {
+      entry.attempts = 0;
+      entry.nextAttemptAt = 0;
+    });
+    this.persist();
+  }
+
+  /**
+   * Drops every queued message
+   * @returns {Array<Object>} Dropped entries
+   */
+  clear() {
+    const dropped = this.entries;
+    this.entries = [];
+    this.persist();
+    return dropped;
+  }
+
+  // ===========================================================================
+  // GETTERS
+  // ===========================================================================
+
+  /**
+   * Time the next retry falls due
+   * @returns {number|null} Timestamp, or null when nothing is queued
+   */
+  getNextAttemptAt() {
+    if (this.entries.length === 0) return null;
+    return Math.min(...this.entries.map(entry => entry.nextAttemptAt));
+  }
+
+  /**
+   * Number of messages awaiting an ack
+   * @returns {number} Queue size
+   */
+  get size() {
+    return this.entries.length;
+  }
+}
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+export {
+  WebSocketOutbox,
+  OUTBOX_CONFIG
+};
+
+export default WebSocketOutbox;
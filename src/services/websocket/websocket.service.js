@@ -8,8 +8,11 @@
  * @version 1.0.0
  */
 
-import { getAccessToken } from '../api/client';
-import { logUserAction } from '../../utils/error/error.logger';
+import { getAccessToken, hasSession, restoreSession } from '../session/session.manager';
+import { isMockEnabled } from '../mock/mock.backend';
+import { MockWebSocket } from '../mock/mock.socket';
+import { WebSocketOutbox, createMessageId, toWireMessage } from './websocket.outbox';
+import { logUserAction, warn as logWarn } from '../../utils/error/error.logger';
 
 // =============================================================================
 // CONFIGURATION
@@ -34,6 +37,7 @@ export const WS_EVENTS = {
   DISCONNECT: 'disconnect',
   RECONNECT: 'reconnect',
   ERROR: 'error',
+  MESSAGE_FAILED: 'message:failed',
   
   // Mission
   MISSION_UPDATE: 'mission:update',
@@ -65,6 +69,12 @@ export const WS_EVENTS = {
   NAVIGATOR_MESSAGE: 'navigator:message'
 };
 
+/**
+ * Messages that change server state, so go through the outbox. Everything
+ * else (heartbeats, typing, channel subscriptions) is sent live or dropped.
+ */
+const DURABLE_MESSAGE_TYPES = ['party:message', 'party:task_update', 'party:progress_update'];
+
 /**
  * Connection states
  */
@@ -89,9 +99,10 @@ class WebSocketService {
     this.heartbeatInterval = null;
     this.messageHandlers = new Map();
     this.eventListeners = new Map();
-    this.pendingMessages = [];
+    this.outbox = new WebSocketOutbox();
+    this.outboxTimeout = null;
     this.messageCallbacks = new Map();
-    this.messageId = 0;
+    this.channels = new Set();
   }
   
   // ===========================================================================
@@ -99,10 +110,25 @@ class WebSocketService {
   // ===========================================================================
   
   /**
-   * Connects to WebSocket server
+   * Connects to WebSocket server. The access token is held in memory, so
+   * after a reload it is restored (from another tab, or by refreshing)
+   * before the socket opens.
    * @returns {Promise<void>}
    */
   connect() {
+    if (!getAccessToken() && hasSession()) {
+      return restoreSession()
+        .catch(() => null)
+        .then(() => this.openSocket());
+    }
+    return this.openSocket();
+  }
+  
+  /**
+   * Opens the socket with the current access token
+   * @returns {Promise<void>}
+   */
+  openSocket() {
     return new Promise((resolve, reject) => {
       if (this.socket && this.state === CONNECTION_STATES.CONNECTED) {
         resolve();
@@ -116,7 +142,7 @@ class WebSocketService {
       const url = `${WS_CONFIG.url}?token=${token}`;
       
       try {
-        this.socket = new WebSocket(url);
+        this.socket = isMockEnabled() ? new MockWebSocket(url) : new WebSocket(url);
         
         this.socket.onopen = () => {
           this.state = CONNECTION_STATES.CONNECTED;
@@ -127,8 +153,10 @@ class WebSocketService {
           // Start heartbeat
           this.startHeartbeat();
           
-          // Send pending messages
+          // Resend everything still awaiting an ack, in order
+          this.outbox.requeue();
           this.flushPendingMessages();
+          this.resubscribe();
           
           logUserAction('websocket_connected');
           
@@ -163,8 +191,9 @@ class WebSocketService {
     this.state = CONNECTION_STATES.DISCONNECTING;
     this.emit('stateChange', this.state);
     
-    // Stop heartbeat
+    // Stop heartbeat and outbox retries
     this.stopHeartbeat();
+    this.stopOutboxRetry();
     
     // Clear reconnect timeout
     if (this.reconnectTimeout) {
@@ -191,6 +220,7 @@ class WebSocketService {
    */
   handleClose(event) {
     this.stopHeartbeat();
+    this.stopOutboxRetry();
     
     if (this.state === CONNECTION_STATES.DISCONNECTING) {
       return;
@@ -274,12 +304,20 @@ class WebSocketService {
         return;
       }
       
-      // Handle response to request
-      if (data.id && this.messageCallbacks.has(data.id)) {
-        const callback = this.messageCallbacks.get(data.id);
-        this.messageCallbacks.delete(data.id);
-        callback(data.error, data.payload);
-        return;
+      // Handle acks and responses; a response doubles as the ack
+      if (data.id) {
+        const acked = this.outbox.ack(data.id);
+        
+        if (this.messageCallbacks.has(data.id)) {
+          const callback = this.messageCallbacks.get(data.id);
+          this.messageCallbacks.delete(data.id);
+          callback(data.error, data.payload);
+          return;
+        }
+        
+        if (acked || data.type === 'ack') {
+          return;
+        }
       }
       
       // Emit event
@@ -305,14 +343,65 @@ class WebSocketService {
   }
   
   /**
-   * Sends message
+   * Sends message. Durable messages go through the outbox: they are queued
+   * while disconnected, persisted across reloads and resent until acked.
+   * Only mutating types are durable by default; the rest are sent live or
+   * dropped.
    * @param {string} type - Message type
    * @param {Object} payload - Message payload
    * @param {Object} options - Send options
-   * @returns {Promise<Object>} Response
+   * @param {boolean} [options.expectResponse=false] - Resolve with the server's reply
+   * @param {boolean} [options.durable] - Queue through the outbox (defaults by type)
+   * @param {string} [options.idempotencyKey] - Key the server dedupes on
+   * @param {number} [options.timeout] - Reply timeout for ephemeral requests
+   * @returns {Promise<Object>|string|undefined} Reply promise, or the outbox message ID
    */
   send(type, payload = {}, options = {}) {
-    const { expectResponse = false, timeout = WS_CONFIG.messageTimeout } = options;
+    const {
+      expectResponse = false,
+      durable = DURABLE_MESSAGE_TYPES.includes(type) && options.queueIfDisconnected !== false,
+      idempotencyKey,
+      timeout = WS_CONFIG.messageTimeout
+    } = options;
+    
+    if (!durable) {
+      return this.sendEphemeral(type, payload, { expectResponse, timeout });
+    }
+    
+    const { entry, dropped } = this.outbox.enqueue(type, payload, { idempotencyKey });
+    dropped.forEach(evicted => this.failMessage(evicted, 'WebSocket outbox full'));
+    
+    // Durable requests settle on the server's reply or when the outbox gives up
+    const response = expectResponse
+      ? new Promise((resolve, reject) => {
+          this.messageCallbacks.set(entry.id, (error, data) => {
+            if (error) {
+              reject(error);
+            } else {
+              resolve(data);
+            }
+          });
+        })
+      : null;
+    
+    this.flushPendingMessages();
+    
+    return expectResponse ? response : entry.id;
+  }
+  
+  /**
+   * Sends a message live, without queueing
+   * @param {string} type - Message type
+   * @param {Object} payload - Message payload
+   * @param {Object} options - { expectResponse, timeout }
+   * @returns {Promise<Object>|undefined} Reply promise when expecting a response
+   */
+  sendEphemeral(type, payload, { expectResponse, timeout }) {
+    if (this.state !== CONNECTION_STATES.CONNECTED) {
+      return expectResponse
+        ? Promise.reject(new Error('WebSocket not connected'))
+        : undefined;
+    }
     
     const message = {
       type,
@@ -320,28 +409,12 @@ class WebSocketService {
       timestamp: new Date().toISOString()
     };
     
-    // Add message ID if expecting response
     if (expectResponse) {
-      message.id = ++this.messageId;
-    }
-    
-    // Queue message if not connected
-    if (this.state !== CONNECTION_STATES.CONNECTED) {
-      if (options.queueIfDisconnected !== false) {
-        this.pendingMessages.push(message);
-      }
-      
-      if (expectResponse) {
-        return Promise.reject(new Error('WebSocket not connected'));
-      }
-      
-      return;
+      message.id = createMessageId();
     }
     
-    // Send message
     this.socket.send(JSON.stringify(message));
     
-    // Return promise if expecting response
     if (expectResponse) {
       return new Promise((resolve, reject) => {
         const timeoutId = setTimeout(() => {
@@ -362,13 +435,89 @@ class WebSocketService {
   }
   
   /**
-   * Flushes pending messages
+   * Sends outbox messages that are due and schedules the next retry
    */
   flushPendingMessages() {
-    while (this.pendingMessages.length > 0) {
-      const message = this.pendingMessages.shift();
-      this.socket.send(JSON.stringify(message));
+    if (this.state !== CONNECTION_STATES.CONNECTED) {
+      return;
+    }
+    
+    const now = Date.now();
+    
+    this.outbox.expire(now).forEach(entry => {
+      this.failMessage(entry, 'WebSocket message not acknowledged');
+    });
+    
+    const sent = [];
+    try {
+      this.outbox.due(now).forEach(entry => {
+        this.socket.send(JSON.stringify(toWireMessage(entry)));
+        sent.push(entry);
+      });
+    } catch (error) {
+      // The socket is closing; the rest goes out after reconnecting
+      logWarn('WebSocket flush interrupted', { message: error.message });
     }
+    
+    if (sent.length > 0) {
+      this.outbox.markSent(sent, now);
+    }
+    
+    this.scheduleOutboxRetry();
+  }
+  
+  /**
+   * Schedules the next outbox flush for when a retry falls due
+   */
+  scheduleOutboxRetry() {
+    this.stopOutboxRetry();
+    
+    const nextAttemptAt = this.outbox.getNextAttemptAt();
+    if (nextAttemptAt === null) {
+      return;
+    }
+    
+    this.outboxTimeout = setTimeout(() => {
+      this.outboxTimeout = null;
+      this.flushPendingMessages();
+    }, Math.max(0, nextAttemptAt - Date.now()));
+  }
+  
+  /**
+   * Stops scheduled outbox retries
+   */
+  stopOutboxRetry() {
+    if (this.outboxTimeout) {
+      clearTimeout(this.outboxTimeout);
+      this.outboxTimeout = null;
+    }
+  }
+  
+  /**
+   * Reports a message the outbox gave up on
+   * @param {Object} entry - Outbox entry
+   * @param {string} reason - Why it was abandoned
+   */
+  failMessage(entry, reason) {
+    const callback = this.messageCallbacks.get(entry.id);
+    if (callback) {
+      this.messageCallbacks.delete(entry.id);
+      callback(new Error(reason));
+    }
+    
+    logWarn(reason, { messageId: entry.id, type: entry.type, attempts: entry.attempts });
+    this.emit(WS_EVENTS.MESSAGE_FAILED, { id: entry.id, type: entry.type, payload: entry.payload, reason });
+  }
+  
+  /**
+   * Drops every queued message and channel subscription, e.g. on sign-out
+   */
+  clearOutbox() {
+    this.channels.clear();
+    this.stopOutboxRetry();
+    this.outbox.clear().forEach(entry => {
+      this.failMessage(entry, 'WebSocket outbox cleared');
+    });
   }
   
   // ===========================================================================
@@ -458,11 +607,18 @@ class WebSocketService {
   // ===========================================================================
   
   /**
-   * Subscribes to channel
+   * Subscribes to channel. Subscriptions are sent live and renewed on every
+   * connect, so one made while disconnected takes effect on reconnect.
    * @param {string} channel - Channel name
    * @returns {Promise<void>}
    */
   subscribe(channel) {
+    this.channels.add(channel);
+    
+    if (this.state !== CONNECTION_STATES.CONNECTED) {
+      return Promise.resolve();
+    }
+    
     return this.send('subscribe', { channel }, { expectResponse: true });
   }
   
@@ -472,9 +628,26 @@ class WebSocketService {
    * @returns {Promise<void>}
    */
   unsubscribe(channel) {
+    this.channels.delete(channel);
+    
+    if (this.state !== CONNECTION_STATES.CONNECTED) {
+      return Promise.resolve();
+    }
+    
     return this.send('unsubscribe', { channel }, { expectResponse: true });
   }
   
+  /**
+   * Renews channel subscriptions on a fresh connection
+   */
+  resubscribe() {
+    this.channels.forEach(channel => {
+      this.send('subscribe', { channel }, { expectResponse: true }).catch(error => {
+        logWarn('WebSocket resubscribe failed', { channel, message: error.message });
+      });
+    });
+  }
+  
   // ===========================================================================
   // GETTERS
   // ===========================================================================
@@ -494,6 +667,14 @@ class WebSocketService {
   isConnected() {
     return this.state === CONNECTION_STATES.CONNECTED;
   }
+  
+  /**
+   * Gets the number of messages awaiting an ack
+   * @returns {number} Pending message count
+   */
+  getPendingCount() {
+    return this.outbox.size;
+  }
 }
 
 // =============================================================================
@@ -575,6 +756,17 @@ export const getState = () => websocketService.getState();
  */
 export const isConnected = () => websocketService.isConnected();
 
+/**
+ * Gets the number of messages awaiting an ack
+ * @returns {number}
+ */
+export const getPendingCount = () => websocketService.getPendingCount();
+
+/**
+ * Drops every queued outbound message
+ */
+export const clearOutbox = () => websocketService.clearOutbox();
+
 // =============================================================================
 // EXPORTS
 // =============================================================================
@@ -7,6 +7,31 @@ import { configureStore } from '@reduxjs/toolkit';
 import authReducer from './slices/auth.slice';
 import gps101Reducer from './slices/gps101Slice';
 import userReducer from './slices/user.slice';
+import missionReducer from './slices/missionSlice';
+import biteReducer from './slices/biteSlice';
+import checkpointReducer from './slices/checkpointSlice';
+import barakaReducer from './slices/barakaSlice';
+import partyReducer from './slices/partySlice';
+import praiseReducer from './slices/praiseSlice';
+import psbReducer from './slices/psbSlice';
+import psbMarketReducer from './slices/psbMarketSlice';
+import studyReducer from './slices/studySlice';
+import projectReducer from './slices/projectSlice';
+import portfolioReducer from './slices/portfolioSlice';
+import leaderboardReducer from './slices/leaderboardSlice';
+import navigatorReducer from './slices/navigatorSlice';
+import notificationReducer from './slices/notificationSlice';
+import gpoReducer from './slices/gpoSlice';
+import offlineReducer from './slices/offlineSlice';
+import curriculumReducer from './slices/curriculumSlice';
+import adminReducer from './slices/adminSlice';
+import economyReducer from './slices/economySlice';
+import universityReducer from './slices/universitySlice';
+import badgeReducer from './slices/badgeSlice';
+import { apiMiddleware } from './middleware/apiMiddleware';
+import { errorMiddleware } from './middleware/errorMiddleware';
+import { loggerMiddleware } from './middleware/loggerMiddleware';
+import { badgeMiddleware } from './middleware/badgeMiddleware';
 
 /**
  * Create and configure Redux store
@@ -16,6 +41,27 @@ export const store = configureStore({
     auth: authReducer,
     gps101: gps101Reducer,
     user: userReducer,
+    mission: missionReducer,
+    bite: biteReducer,
+    checkpoint: checkpointReducer,
+    baraka: barakaReducer,
+    party: partyReducer,
+    praise: praiseReducer,
+    psb: psbReducer,
+    psbMarket: psbMarketReducer,
+    study: studyReducer,
+    project: projectReducer,
+    portfolio: portfolioReducer,
+    leaderboard: leaderboardReducer,
+    navigator: navigatorReducer,
+    notification: notificationReducer,
+    gpo: gpoReducer,
+    offline: offlineReducer,
+    curriculum: curriculumReducer,
+    admin: adminReducer,
+    economy: economyReducer,
+    university: universityReducer,
+    badge: badgeReducer,
   },
   middleware: (getDefaultMiddleware) =>
     getDefaultMiddleware({
@@ -27,6 +73,9 @@ export const store = configureStore({
         // Ignore these paths in the state
         ignoredPaths: ['gps101.enrollmentDate'],
       },
-    }),
+    })
+      // Declarative API actions carry callbacks, so handle them before the serializable check
+      .prepend(apiMiddleware)
+      .concat(badgeMiddleware, errorMiddleware, loggerMiddleware),
   devTools: process.env.NODE_ENV !== 'production',
-});
\ No newline at end of file
+});
@@ -0,0 +1,152 @@
+/**
+ * API Middleware
+ *
+ * Handles declarative API actions so simple requests don't need a thunk.
+ * Dispatching `callApi({ type: 'gpo/fetchCategories', url: '/gpo/categories' })`
+ * runs the request through the API client and dispatches
+ * `gpo/fetchCategories/request`, then `/success` or `/failure`. Requests that
+ * share a `cancelKey` supersede each other, and `cancelApi(cancelKey)` drops
+ * one in flight with a `/cancelled` action.
+ */
+
+import apiClient from '../../services/api/client';
+import { formatErrorForDisplay } from '../../utils/error/error.handler';
+import { apiLogger } from '../../utils/error/error.logger';
+
+// ==================== CONSTANTS ====================
+
+export const API_CALL = 'api/call';
+
+export const API_CANCEL = 'api/cancel';
+
+// ==================== ACTION CREATORS ====================
+
+/**
+ * Builds a declarative API action
+ * @param {Object} request - Request description
+ * @param {string} request.type - Base action type for the lifecycle actions
+ * @param {string} request.url - Endpoint, relative to the API base URL
+ * @param {string} [request.method='GET'] - HTTP method
+ * @param {Object} [request.data] - Request body
+ * @param {Object} [request.params] - Query parameters
+ * @param {string} [request.cancelKey] - Requests sharing a key supersede each other
+ * @param {Function} [request.transform] - Maps response data to the success payload
+ * @param {Object} [request.meta] - Extra meta copied onto every lifecycle action
+ * @returns {Object} API action
+ */
+export const callApi = ({
+  type,
+  url,
+  method = 'GET',
+  data,
+  params,
+  cancelKey = null,
+  transform,
+  meta = {}
+}) => ({
+  type: API_CALL,
+  payload: { type, url, method, data, params, cancelKey, transform, meta }
+});
+
+/**
+ * Cancels the in-flight request registered under a key
+ * @param {string} cancelKey - Cancellation key
+ * @returns {Object} Cancel action
+ */
+export const cancelApi = (cancelKey) => ({
+  type: API_CANCEL,
+  payload: cancelKey
+});
+
+/**
+ * Lifecycle action types for a base type
+ * @param {string} type - Base action type
+ * @returns {Object} { request, success, failure, cancelled }
+ */
+export const getApiActionTypes = (type) => ({
+  request: `${type}/request`,
+  success: `${type}/success`,
+  failure: `${type}/failure`,
+  cancelled: `${type}/cancelled`
+});
+
+// ==================== MIDDLEWARE ====================
+
+/**
+ * Creates the API middleware
+ * @param {Object} [options] - Options
+ * @param {Object} [options.client] - API client (defaults to the shared instance)
+ * @returns {Function} Redux middleware
+ */
+export const createApiMiddleware = ({ client = apiClient } = {}) => {
+  // cancelKey -> { controller, types, meta }
+  const inFlight = new Map();
+
+  return ({ dispatch }) => (next) => (action) => {
+    if (action?.type === API_CANCEL) {
+      const entry = inFlight.get(action.payload);
+      if (entry) {
+        inFlight.delete(action.payload);
+        entry.controller.abort();
+        dispatch({ type: entry.types.cancelled, meta: entry.meta });
+      }
+      return next(action);
+    }
+
+    if (action?.type !== API_CALL) {
+      return next(action);
+    }
+
+    const { type, url, method, data, params, cancelKey, transform, meta } = action.payload;
+    const types = getApiActionTypes(type);
+    const requestMeta = { ...meta, method, url, cancelKey };
+    const controller = new AbortController();
+
+    // A newer request with the same key supersedes the older one
+    if (cancelKey) {
+      dispatch(cancelApi(cancelKey));
+      inFlight.set(cancelKey, { controller, types, meta: requestMeta });
+    }
+
+    dispatch({ type: types.request, meta: requestMeta });
+
+    const settle = () => {
+      if (cancelKey && inFlight.get(cancelKey)?.controller === controller) {
+        inFlight.delete(cancelKey);
+      }
+    };
+
+    const cancelled = () => ({ type: types.cancelled, meta: requestMeta });
+
+    return client.request({ method, url, data, params, signal: controller.signal })
+      .then((response) => {
+        settle();
+        if (controller.signal.aborted) return cancelled();
+        return transform ? transform(response.data) : response.data;
+      })
+      .then(
+        (payload) => {
+          if (controller.signal.aborted) return payload;
+          return dispatch({ type: types.success, payload, meta: requestMeta });
+        },
+        (error) => {
+          settle();
+          if (controller.signal.aborted) return cancelled();
+          apiLogger.warn(`${method} ${url} failed`, { action: type, message: error.message });
+          return dispatch({
+            type: types.failure,
+            payload: formatErrorForDisplay(error),
+            error: true,
+            meta: requestMeta
+          });
+        }
+      );
+  };
+};
+
+/**
+ * Default API middleware using the shared client
+ */
+export const apiMiddleware = createApiMiddleware();
+
+export default apiMiddleware;
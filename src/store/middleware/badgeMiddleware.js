@@ -0,0 +1,107 @@
+/**
+ * Badge Middleware
+ *
+ * Turns completed actions into badge engine events: a passed checkpoint,
+ * a completed mission, a streak read, praise sent or received, a Baraka
+ * balance or a new project. The events are recorded in the badge slice,
+ * which evaluates the rules and queues what they unlock. This is where
+ * events get their time, so the engine itself stays deterministic.
+ */
+
+import { submitCheckpoint } from '../slices/checkpointSlice';
+import { completeMission } from '../slices/missionSlice';
+import { fetchStreak } from '../slices/studySlice';
+import { sendPraise, sendQuickPraise, praiseReceived } from '../slices/praiseSlice';
+import { fetchBalance } from '../slices/barakaSlice';
+import { createProject } from '../slices/projectSlice';
+import { createProject as createGPOProject } from '../slices/gpoSlice';
+import { badgeEventsRecorded } from '../slices/badgeSlice';
+import { BADGE_EVENTS } from '../../utils/helpers/badge.engine';
+
+// ==================== EVENT MAPPING ====================
+
+/**
+ * Action matchers and the events they record. Each `toEvents` gets the
+ * action and returns event data without a time.
+ */
+const EVENT_SOURCES = [
+  {
+    match: submitCheckpoint.fulfilled.match,
+    toEvents: ({ payload }) => (payload?.passed
+      ? [{ type: BADGE_EVENTS.CHECKPOINT_PASSED, score: payload.score, at: payload.completedAt }]
+      : [])
+  },
+  {
+    match: completeMission.fulfilled.match,
+    // The final mission of a stage comes back with the stage badge
+    toEvents: ({ payload }) => [{
+      type: BADGE_EVENTS.MISSION_COMPLETED,
+      stageCompleted: Boolean(payload?.newBadge),
+      at: payload?.completedAt
+    }]
+  },
+  {
+    match: fetchStreak.fulfilled.match,
+    toEvents: ({ payload }) => (payload
+      ? [{ type: BADGE_EVENTS.STREAK_DAY, streak: payload.current, at: payload.lastStudyDate }]
+      : [])
+  },
+  {
+    match: action => sendPraise.fulfilled.match(action) || sendQuickPraise.fulfilled.match(action),
+    toEvents: () => [{ type: BADGE_EVENTS.PRAISE_GIVEN }]
+  },
+  {
+    match: praiseReceived.match,
+    toEvents: ({ payload }) => [{ type: BADGE_EVENTS.PRAISE_RECEIVED, at: payload?.createdAt }]
+  },
+  {
+    match: fetchBalance.fulfilled.match,
+    toEvents: ({ payload }) => (payload?.totalEarned !== undefined
+      ? [{ type: BADGE_EVENTS.BARAKA_EARNED, total: payload.totalEarned, at: payload.lastUpdated }]
+      : [])
+  },
+  {
+    match: action => createProject.fulfilled.match(action) || createGPOProject.fulfilled.match(action),
+    toEvents: ({ payload }) => [{ type: BADGE_EVENTS.PROJECT_CREATED, at: payload?.createdAt }]
+  }
+];
+
+/**
+ * The badge events an action records
+ * @param {Object} action - Redux action
+ * @param {Function} now - () => ISO time for events without one
+ * @returns {Array<Object>} Events, in order
+ */
+export const toBadgeEvents = (action, now) =>
+  EVENT_SOURCES
+    .filter(source => source.match(action))
+    .flatMap(source => source.toEvents(action))
+    .map(event => ({ ...event, at: event.at || now() }));
+
+// ==================== MIDDLEWARE ====================
+
+/**
+ * Creates the badge middleware
+ * @param {Object} [options] - Options
+ * @param {Function} [options.now] - () => ISO time stamped on events
+ * @returns {Function} Redux middleware
+ */
+export const createBadgeMiddleware = ({
+  now = () => new Date().toISOString()
+} = {}) => (store) => (next) => (action) => {
+  const result = next(action);
+
+  const events = toBadgeEvents(action, now);
+  if (events.length > 0) {
+    store.dispatch(badgeEventsRecorded(events));
+  }
+
+  return result;
+};
+
+/**
+ * Default badge middleware
+ */
+export const badgeMiddleware = createBadgeMiddleware();
+
+export default badgeMiddleware;
@@ -0,0 +1,133 @@
+/**
+ * Error Middleware
+ *
+ * Surfaces failed requests in one place: every rejected thunk and failed
+ * API action is logged and shown as a toast with a user-facing message, so
+ * components don't each need their own try/catch to report errors.
+ */
+
+import { isRejected } from '@reduxjs/toolkit';
+import { toast } from '../../components/common/Toast/ToastContainer';
+import {
+  GPSLabError,
+  ERROR_SEVERITY,
+  getUserMessage
+} from '../../utils/error/error.handler';
+import { error as logError, LOG_CATEGORIES } from '../../utils/error/error.logger';
+
+// ==================== CONSTANTS ====================
+
+// Identical messages inside this window are only shown once
+const DEFAULT_DEDUPE_WINDOW = 3000;
+
+// ==================== HELPERS ====================
+
+/**
+ * Whether an action reports a failure
+ * @param {Object} action - Redux action
+ * @returns {boolean} True for rejected thunks and failed API actions
+ */
+const isFailureAction = (action) => isRejected(action) || action?.error === true;
+
+/**
+ * Whether the failure was caused by the caller rather than the request
+ * @param {Object} action - Failure action
+ * @returns {boolean} True when the thunk was aborted or skipped by its condition
+ */
+const isCancellation = (action) => Boolean(action.meta?.aborted || action.meta?.condition);
+
+/**
+ * Rebuilds an error from a failure action. Thunks reject with the output of
+ * `formatErrorForDisplay`; thunks that threw carry a serialized error instead.
+ * @param {Object} action - Failure action
+ * @returns {Error} Error to describe
+ */
+const toError = (action) => {
+  const { payload } = action;
+  if (payload?.type && payload?.message) {
+    return new GPSLabError(payload.type, payload.message, { severity: payload.severity });
+  }
+  const serialized = typeof action.error === 'object' ? action.error : {};
+  return Object.assign(new Error(serialized.message || ''), { name: serialized.name || 'Error' });
+};
+
+/**
+ * Shows a toast for an error, as a warning when the learner can fix it
+ * @param {string} message - User-facing message
+ * @param {Error} error - Error being reported
+ */
+const defaultNotify = (message, error) => {
+  if (error.severity === ERROR_SEVERITY.WARNING) {
+    toast.warning(message);
+  } else {
+    toast.error(message);
+  }
+};
+
+// ==================== MIDDLEWARE ====================
+
+/**
+ * Creates the error middleware
+ * @param {Object} [options] - Options
+ * @param {Array<string>} [options.ignoredActions] - Action type prefixes that never toast
+ * @param {Function} [options.notify] - (message, error, action) => void
+ * @param {number} [options.dedupeWindow] - Milliseconds to suppress repeated messages
+ * @param {string} [options.locale] - Locale for user messages
+ * @returns {Function} Redux middleware
+ */
+export const createErrorMiddleware = ({
+  ignoredActions = [],
+  notify = defaultNotify,
+  dedupeWindow = DEFAULT_DEDUPE_WINDOW,
+  locale = 'en'
+} = {}) => {
+  // message -> time last shown
+  const recent = new Map();
+
+  const shouldNotify = (message) => {
+    const now = Date.now();
+    const lastShown = recent.get(message);
+    recent.set(message, now);
+    recent.forEach((shownAt, key) => {
+      if (now - shownAt > dedupeWindow) recent.delete(key);
+    });
+    return !lastShown || now - lastShown > dedupeWindow;
+  };
+
+  return () => (next) => (action) => {
+    const result = next(action);
+
+    if (!isFailureAction(action) || isCancellation(action)) {
+      return result;
+    }
+
+    const error = toError(action);
+    const message = getUserMessage(error, locale);
+
+    logError(message, {
+      category: LOG_CATEGORIES.ERROR,
+      action: action.type,
+      errorType: error.type,
+      detail: error.message
+    });
+
+    const silent = action.meta?.silent || action.meta?.arg?.silent === true;
+    const ignored = ignoredActions.some(prefix => action.type.startsWith(prefix));
+    if (silent || ignored || error.severity === ERROR_SEVERITY.INFO) {
+      return result;
+    }
+
+    if (shouldNotify(message)) {
+      notify(message, error, action);
+    }
+
+    return result;
+  };
+};
+
+/**
+ * Default error middleware, reporting through the toast system
+ */
+export const errorMiddleware = createErrorMiddleware();
+
+export default errorMiddleware;
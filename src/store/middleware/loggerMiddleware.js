@@ -0,0 +1,128 @@
+/**
+ * Logger Middleware
+ *
+ * Records every dispatched action in the error logger's buffer together
+ * with the state paths it changed, so `getBufferedLogs({ category: 'state' })`
+ * shows what led up to a failure. Values are summarized and credentials are
+ * redacted before they reach the log.
+ */
+
+import { isRejected } from '@reduxjs/toolkit';
+import { stateLogger } from '../../utils/error/error.logger';
+
+// ==================== CONSTANTS ====================
+
+// High-frequency actions that would crowd out everything else in the buffer
+const DEFAULT_IGNORED_ACTIONS = ['navigator/streamChunkReceived'];
+
+// Keys whose values never reach the log
+const REDACTED_KEYS = /token|password|secret/i;
+
+// Deepest state path compared, e.g. `mission.loading.detail`
+const MAX_DIFF_DEPTH = 3;
+
+// ==================== HELPERS ====================
+
+/**
+ * Whether a value is a plain object (not an array or null)
+ * @param {*} value - Value to check
+ * @returns {boolean} True for plain objects
+ */
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Summarizes a value for the log without copying large structures
+ * @param {*} value - Value to summarize
+ * @param {string} [key] - Key the value was found under
+ * @returns {*} Primitive or short description
+ */
+const summarize = (value, key = '') => {
+  if (REDACTED_KEYS.test(key) && value !== null && value !== undefined) return '[redacted]';
+  if (Array.isArray(value)) return `Array(${value.length})`;
+  if (isPlainObject(value)) return `{${Object.keys(value).slice(0, 5).join(', ')}}`;
+  if (typeof value === 'string' && value.length > 80) return `${value.slice(0, 77)}...`;
+  return value;
+};
+
+/**
+ * Lists the state paths that changed, down to `slice.key.field`
+ * @param {*} prev - Value before the action
+ * @param {*} next - Value after the action
+ * @param {string} [path] - Path of the values being compared
+ * @param {Object} [diff] - Accumulated changes
+ * @returns {Object} Changed paths mapped to { from, to }
+ */
+const diffState = (prev, next, path = '', diff = {}) => {
+  if (prev === next) return diff;
+
+  const key = path.split('.').pop();
+  const depth = path ? path.split('.').length : 0;
+
+  if (!isPlainObject(prev) || !isPlainObject(next) || depth >= MAX_DIFF_DEPTH) {
+    diff[path] = { from: summarize(prev, key), to: summarize(next, key) };
+    return diff;
+  }
+
+  new Set([...Object.keys(prev), ...Object.keys(next)]).forEach(childKey => {
+    diffState(prev[childKey], next[childKey], path ? `${path}.${childKey}` : childKey, diff);
+  });
+
+  return diff;
+};
+
+/**
+ * Summarizes an action for the log
+ * @param {Object} action - Redux action
+ * @returns {Object} Type, payload summary and request status
+ */
+const summarizeAction = (action) => ({
+  type: action.type,
+  // The type doubles as the key so e.g. `auth/setToken` payloads are redacted
+  payload: summarize(action.payload, action.type),
+  requestStatus: action.meta?.requestStatus
+});
+
+// ==================== MIDDLEWARE ====================
+
+/**
+ * Creates the logger middleware
+ * @param {Object} [options] - Options
+ * @param {string} [options.level='debug'] - Log level for successful actions
+ * @param {Array<string>} [options.ignoredActions] - Action types to skip
+ * @param {boolean} [options.enabled=true] - Toggle logging
+ * @returns {Function} Redux middleware
+ */
+export const createLoggerMiddleware = ({
+  level = 'debug',
+  ignoredActions = DEFAULT_IGNORED_ACTIONS,
+  enabled = true
+} = {}) => ({ getState }) => (next) => (action) => {
+  if (!enabled || typeof action?.type !== 'string' || ignoredActions.includes(action.type)) {
+    return next(action);
+  }
+
+  const prevState = getState();
+  const startTime = Date.now();
+  const result = next(action);
+
+  // Failures are always worth keeping, whatever the configured level
+  const logLevel = isRejected(action) || action.error === true ? 'warn' : level;
+
+  stateLogger[logLevel](action.type, {
+    action: summarizeAction(action),
+    diff: diffState(prevState, getState()),
+    duration: Date.now() - startTime
+  });
+
+  return result;
+};
+
+/**
+ * Default logger middleware. Development logs actions at info level so they
+ * are buffered and printed; elsewhere they follow the logger's debug setting.
+ */
+export const loggerMiddleware = createLoggerMiddleware({
+  level: process.env.NODE_ENV === 'development' ? 'info' : 'debug'
+});
+
+export default loggerMiddleware;
@@ -0,0 +1,252 @@
+/**
+ * Baraka Redux Selectors
+ *
+ * Memoized selectors for the Baraka wallet: balance with its tier, Orange
+ * Beacon progress, pending withdrawals, transaction views, the
+ * double-entry ledger with its reconciliation against the server balance,
+ * and peer requests and escrow.
+ */
+
+import { createSelector } from '@reduxjs/toolkit';
+import { getBarakaTier } from '../../utils/formatters/currency.formatter';
+import { calculateOrangeBeaconProgress, getNextMilestone } from '../../utils/helpers/baraka.calculator';
+import {
+  buildLedger,
+  deriveBalance,
+  withRunningBalance,
+  reconcileLedger,
+  summarizeCovenantSplit
+} from '../../utils/helpers/baraka.ledger';
+import { REQUEST_STATUS, ESCROW_STATUS } from '../../utils/helpers/baraka.transfer';
+import { selectEconomyConfig } from './economySelectors';
+
+// ==================== BASE SELECTORS ====================
+
+export const selectBarakaState = (state) => state.baraka;
+
+export const selectBarakaBalance = (state) => state.baraka?.balance || null;
+
+export const selectServerTier = (state) => state.baraka?.tier || null;
+
+export const selectTransactions = (state) => state.baraka?.transactions || [];
+
+export const selectTransactionsPagination = (state) => state.baraka?.transactionsPagination || null;
+
+export const selectStoreItems = (state) => state.baraka?.storeItems || [];
+
+export const selectLastPurchase = (state) => state.baraka?.lastPurchase || null;
+
+export const selectWithdrawals = (state) => state.baraka?.withdrawals || [];
+
+export const selectWithdrawalMethods = (state) => state.baraka?.withdrawalMethods || [];
+
+export const selectCovenant = (state) => state.baraka?.covenant || null;
+
+export const selectLedgerSync = (state) => state.baraka?.ledger || null;
+
+export const selectIncomingRequests = (state) => state.baraka?.peer?.incoming || [];
+
+export const selectOutgoingRequests = (state) => state.baraka?.peer?.outgoing || [];
+
+export const selectEscrows = (state) => state.baraka?.peer?.escrows || [];
+
+export const selectTransferLimits = (state) => state.baraka?.peer?.limits || null;
+
+export const selectBarakaLoading = (state) => state.baraka?.loading || {};
+
+export const selectBarakaError = (state) => state.baraka?.error || {};
+
+// ==================== COMPUTED SELECTORS ====================
+
+/**
+ * Spendable Baraka
+ */
+export const selectAvailableBaraka = createSelector(
+  [selectBarakaBalance],
+  (balance) => balance?.available || 0
+);
+
+/**
+ * Lifetime Baraka earned
+ */
+export const selectTotalBarakaEarned = createSelector(
+  [selectBarakaBalance],
+  (balance) => balance?.totalEarned || 0
+);
+
+/**
+ * Tier for the available balance
+ */
+export const selectBarakaTier = createSelector(
+  [selectAvailableBaraka],
+  (available) => getBarakaTier(available)
+);
+
+/**
+ * Balance together with its tier and the server's progress to the next tier
+ */
+export const selectBalanceByTier = createSelector(
+  [selectBarakaBalance, selectBarakaTier, selectServerTier],
+  (balance, tier, serverTier) => ({
+    available: balance?.available || 0,
+    pending: balance?.pending || 0,
+    totalEarned: balance?.totalEarned || 0,
+    tier,
+    nextTier: serverTier?.nextTier || null,
+    nextTierThreshold: serverTier?.nextTierThreshold || null,
+    progressToNextTier: serverTier?.progress ?? null
+  })
+);
+
+/**
+ * Orange Beacon progress from lifetime earnings
+ */
+export const selectOrangeBeaconProgress = createSelector(
+  [selectTotalBarakaEarned, selectEconomyConfig],
+  (totalEarned) => calculateOrangeBeaconProgress(totalEarned)
+);
+
+/**
+ * Next Orange Beacon milestone
+ */
+export const selectNextBarakaMilestone = createSelector(
+  [selectTotalBarakaEarned, selectEconomyConfig],
+  (totalEarned) => getNextMilestone(totalEarned)
+);
+
+/**
+ * Withdrawals still awaiting processing
+ */
+export const selectPendingWithdrawals = createSelector(
+  [selectWithdrawals],
+  (withdrawals) => withdrawals.filter(w => w.status === 'pending')
+);
+
+/**
+ * Total Baraka held by pending withdrawals
+ */
+export const selectPendingWithdrawalTotal = createSelector(
+  [selectPendingWithdrawals],
+  (pending) => pending.reduce((sum, w) => sum + (w.amount || 0), 0)
+);
+
+/**
+ * Loaded transactions split into credits and debits
+ */
+export const selectTransactionsByDirection = createSelector(
+  [selectTransactions],
+  (transactions) => ({
+    credits: transactions.filter(t => t.amount > 0),
+    debits: transactions.filter(t => t.amount < 0)
+  })
+);
+
+/**
+ * Loaded transactions posted as a double-entry ledger
+ */
+export const selectBarakaLedger = createSelector(
+  [selectTransactions, selectEconomyConfig],
+  (transactions) => buildLedger(transactions)
+);
+
+/**
+ * Wallet balance summed from the ledger
+ */
+export const selectDerivedBalance = createSelector(
+  [selectBarakaLedger],
+  (ledger) => deriveBalance(ledger.entries)
+);
+
+/**
+ * Loaded transactions with their derived running balance
+ */
+export const selectTransactionsWithRunningBalance = createSelector(
+  [selectTransactions],
+  (transactions) => withRunningBalance(transactions)
+);
+
+/**
+ * Ledger snapshot checked against the server balance fetched with it
+ */
+export const selectBalanceReconciliation = createSelector(
+  [selectTransactions, selectLedgerSync],
+  (transactions, sync) => ({
+    ...reconcileLedger(transactions, sync?.serverBalance),
+    stale: Boolean(sync?.stale),
+    syncedAt: sync?.syncedAt || null
+  })
+);
+
+/**
+ * Loaded spending split between the covenant pool and the platform
+ */
+export const selectCovenantSplit = createSelector(
+  [selectTransactions, selectEconomyConfig],
+  (transactions) => summarizeCovenantSplit(transactions)
+);
+
+/**
+ * Store items the learner can currently afford
+ */
+export const selectAffordableStoreItems = createSelector(
+  [selectStoreItems, selectAvailableBaraka],
+  (items, available) => items.filter(item => (item.price || 0) <= available)
+);
+
+/**
+ * Requests from other learners still waiting to be paid or declined
+ */
+export const selectPendingIncomingRequests = createSelector(
+  [selectIncomingRequests],
+  (requests) => requests.filter(r => r.status === REQUEST_STATUS.PENDING)
+);
+
+/**
+ * Escrow still held for an open party task
+ */
+export const selectHeldEscrows = createSelector(
+  [selectEscrows],
+  (escrows) => escrows.filter(e => e.status === ESCROW_STATUS.HELD)
+);
+
+// ==================== EXPORTS ====================
+
+export default {
+  // Base
+  selectBarakaState,
+  selectBarakaBalance,
+  selectServerTier,
+  selectTransactions,
+  selectTransactionsPagination,
+  selectStoreItems,
+  selectLastPurchase,
+  selectWithdrawals,
+  selectWithdrawalMethods,
+  selectCovenant,
+  selectLedgerSync,
+  selectIncomingRequests,
+  selectOutgoingRequests,
+  selectEscrows,
+  selectTransferLimits,
+  selectBarakaLoading,
+  selectBarakaError,
+
+  // Computed
+  selectAvailableBaraka,
+  selectTotalBarakaEarned,
+  selectBarakaTier,
+  selectBalanceByTier,
+  selectOrangeBeaconProgress,
+  selectNextBarakaMilestone,
+  selectPendingWithdrawals,
+  selectPendingWithdrawalTotal,
+  selectTransactionsByDirection,
+  selectBarakaLedger,
+  selectDerivedBalance,
+  selectTransactionsWithRunningBalance,
+  selectBalanceReconciliation,
+  selectCovenantSplit,
+  selectAffordableStoreItems,
+  selectPendingIncomingRequests,
+  selectHeldEscrows
+};
@@ -0,0 +1,24 @@
+/**
+ * Economy Redux Selectors
+ *
+ * The active economy config. Selectors whose results come from the
+ * calculators take it as an input so they recompute when it changes.
+ */
+
+import { getEconomyConfig } from '../../config/economy.config';
+
+// ==================== BASE SELECTORS ====================
+
+export const selectEconomyConfig = (state) => state.economy?.config || getEconomyConfig();
+
+export const selectEconomyRevision = (state) => state.economy?.revision ?? null;
+
+export const selectEconomyPreview = (state) => state.economy?.preview || null;
+
+// ==================== EXPORTS ====================
+
+export default {
+  selectEconomyConfig,
+  selectEconomyRevision,
+  selectEconomyPreview
+};
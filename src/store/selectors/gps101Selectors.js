@@ -7,16 +7,24 @@
  * - 150 Checkpoints (5 per sub-mission)
  * 
  * Memoized selectors for GPS 101 state with complete selector logic.
+ * Course content comes from the loaded curriculum (selectGPS101Missions /
+ * selectGPS101Stages), not the bundled constants, so published edits apply.
  */
 
 import { createSelector } from '@reduxjs/toolkit';
 import { GPS_101_CONFIG } from '../../config/gps101.config';
-import { GPS_101_ALL_MISSIONS } from '../../utils/constants/gps101.constants';
+import { BUNDLED_CURRICULUM, countCurriculum } from '../../utils/helpers/curriculum.helper';
 
 // ==================== BASE SELECTORS ====================
 
 export const selectGPS101State = (state) => state.gps101;
 
+export const selectGPS101Curriculum = (state) => state.gps101?.curriculum || BUNDLED_CURRICULUM;
+
+export const selectGPS101Stages = (state) => selectGPS101Curriculum(state).stages || [];
+
+export const selectGPS101Missions = (state) => selectGPS101Curriculum(state).missions || []; // Content, not progress
+
 export const selectIsEnrolled = (state) => state.gps101?.isEnrolled || false;
 
 export const selectCurrentStage = (state) => state.gps101?.currentStage || 1;
@@ -61,13 +69,21 @@ export const selectGPS101Error = (state) => state.gps101?.error || {};
 
 // ==================== COMPUTED SELECTORS ====================
 
+/**
+ * Select curriculum totals (stages, missions, sub-missions, checkpoints)
+ */
+export const selectGPS101Totals = createSelector(
+  [selectGPS101Curriculum],
+  (curriculum) => countCurriculum(curriculum)
+);
+
 /**
  * Select overall progress percentage (CORRECTED: Based on 5 missions)
  */
 export const selectOverallProgress = createSelector(
-  [selectCompletedMissions],
-  (completedMissions) => {
-    const totalMissions = GPS_101_CONFIG?.TOTAL_MISSIONS || 5;
+  [selectCompletedMissions, selectGPS101Totals],
+  (completedMissions, totals) => {
+    const totalMissions = totals.missions || GPS_101_CONFIG?.TOTAL_MISSIONS || 5;
     return Math.round((completedMissions / totalMissions) * 100);
   }
 );
@@ -76,10 +92,9 @@ export const selectOverallProgress = createSelector(
  * Select current stage data
  */
 export const selectCurrentStageData = createSelector(
-  [selectCurrentStage],
-  (currentStage) => {
-    if (!GPS_101_CONFIG?.STAGES) return null;
-    return GPS_101_CONFIG.STAGES.find(stage => stage.stageNumber === currentStage);
+  [selectCurrentStage, selectGPS101Stages],
+  (currentStage, allStages) => {
+    return allStages.find(stage => stage.stageNumber === currentStage) || null;
   }
 );
 
@@ -87,12 +102,10 @@ export const selectCurrentStageData = createSelector(
  * Select mission for current stage (CORRECTED: 1 mission per stage)
  */
 export const selectCurrentStageMission = createSelector(
-  [selectCurrentStage, selectMissions],
-  (currentStage, missions) => {
-    if (!GPS_101_ALL_MISSIONS) return null;
-    
+  [selectCurrentStage, selectMissions, selectGPS101Missions],
+  (currentStage, missions, allMissions) => {
     // Find the mission for this stage
-    const stageMission = GPS_101_ALL_MISSIONS.find(m => m.stageNumber === currentStage);
+    const stageMission = allMissions.find(m => m.stageNumber === currentStage);
     if (!stageMission) return null;
     
     const missionState = missions.find(m => m.missionId === stageMission.missionId);
@@ -110,11 +123,11 @@ export const selectCurrentStageMission = createSelector(
  * NEW: Select sub-missions for current mission
  */
 export const selectCurrentMissionSubMissions = createSelector(
-  [selectCurrentMission, selectSubMissions],
-  (currentMissionId, subMissions) => {
-    if (!currentMissionId || !GPS_101_ALL_MISSIONS) return [];
+  [selectCurrentMission, selectSubMissions, selectGPS101Missions],
+  (currentMissionId, subMissions, allMissions) => {
+    if (!currentMissionId) return [];
     
-    const mission = GPS_101_ALL_MISSIONS.find(m => m.missionId === currentMissionId);
+    const mission = allMissions.find(m => m.missionId === currentMissionId);
     if (!mission?.subMissions) return [];
     
     return mission.subMissions.map(subMission => {
@@ -133,13 +146,11 @@ export const selectCurrentMissionSubMissions = createSelector(
  * Select stage completion status (CORRECTED: 1 mission per stage)
  */
 export const selectStageCompletionStatus = createSelector(
-  [selectStages, selectMissions],
-  (stages, missions) => {
-    if (!GPS_101_CONFIG?.STAGES || !GPS_101_ALL_MISSIONS) return [];
-    
-    return GPS_101_CONFIG.STAGES.map(stage => {
+  [selectGPS101Stages, selectMissions, selectGPS101Missions],
+  (allStages, missions, allMissions) => {
+    return allStages.map(stage => {
       // CORRECTED: 1 mission per stage
-      const stageMission = GPS_101_ALL_MISSIONS.find(m => m.stageNumber === stage.stageNumber);
+      const stageMission = allMissions.find(m => m.stageNumber === stage.stageNumber);
       const missionState = missions.find(m => m.missionId === stageMission?.missionId);
       const isCompleted = missionState?.status === 'completed';
       
@@ -160,11 +171,9 @@ export const selectStageCompletionStatus = createSelector(
  * Select mission completion status (CORRECTED: Based on sub-missions)
  */
 export const selectMissionCompletionStatus = (missionId) => createSelector(
-  [selectSubMissions],
-  (subMissions) => {
-    if (!GPS_101_ALL_MISSIONS) return null;
-    
-    const mission = GPS_101_ALL_MISSIONS.find(m => m.missionId === missionId);
+  [selectSubMissions, selectGPS101Missions],
+  (subMissions, allMissions) => {
+    const mission = allMissions.find(m => m.missionId === missionId);
     if (!mission?.subMissions) return null;
 
     const completedSubMissions = mission.subMissions.filter(subMission => {
@@ -186,13 +195,11 @@ export const selectMissionCompletionStatus = (missionId) => createSelector(
  * NEW: Select sub-mission completion status (Based on checkpoints)
  */
 export const selectSubMissionCompletionStatus = (subMissionId) => createSelector(
-  [selectCheckpoints],
-  (checkpoints) => {
-    if (!GPS_101_ALL_MISSIONS) return null;
-    
+  [selectCheckpoints, selectGPS101Missions],
+  (checkpoints, allMissions) => {
     // Find the sub-mission in mission data
     let subMission = null;
-    for (const mission of GPS_101_ALL_MISSIONS) {
+    for (const mission of allMissions) {
       if (!mission.subMissions) continue;
       const found = mission.subMissions.find(sm => sm.subMissionId === subMissionId);
       if (found) {
@@ -222,11 +229,9 @@ export const selectSubMissionCompletionStatus = (subMissionId) => createSelector
  * Select next uncompleted mission
  */
 export const selectNextMission = createSelector(
-  [selectMissions],
-  (missions) => {
-    if (!GPS_101_ALL_MISSIONS) return null;
-    
-    for (const mission of GPS_101_ALL_MISSIONS) {
+  [selectMissions, selectGPS101Missions],
+  (missions, allMissions) => {
+    for (const mission of allMissions) {
       const missionState = missions.find(m => m.missionId === mission.missionId);
       if (!missionState || missionState.status !== 'completed') {
         return mission;
@@ -240,9 +245,9 @@ export const selectNextMission = createSelector(
  * Select if GPS 101 is completed
  */
 export const selectIsGPS101Completed = createSelector(
-  [selectCompletedMissions],
-  (completedMissions) => {
-    const totalMissions = GPS_101_CONFIG?.TOTAL_MISSIONS || 5;
+  [selectCompletedMissions, selectGPS101Totals],
+  (completedMissions, totals) => {
+    const totalMissions = totals.missions || GPS_101_CONFIG?.TOTAL_MISSIONS || 5;
     return completedMissions === totalMissions;
   }
 );
@@ -295,7 +300,8 @@ export const selectProgressSummary = createSelector(
     selectTotalBarakaEarned,
     selectTotalXPEarned,
     selectOverallProgress,
-    selectCompletedDeliverablesCount
+    selectCompletedDeliverablesCount,
+    selectGPS101Totals
   ],
   (
     completedStages,
@@ -305,12 +311,13 @@ export const selectProgressSummary = createSelector(
     totalBarakaEarned,
     totalXPEarned,
     overallProgress,
-    completedDeliverablesCount
+    completedDeliverablesCount,
+    totals
   ) => {
-    const totalStages = GPS_101_CONFIG?.TOTAL_STAGES || 5;
-    const totalMissions = GPS_101_CONFIG?.TOTAL_MISSIONS || 5;
-    const totalSubMissions = GPS_101_CONFIG?.TOTAL_SUB_MISSIONS || 30;
-    const totalCheckpoints = GPS_101_CONFIG?.TOTAL_CHECKPOINTS || 150;
+    const totalStages = totals.stages || GPS_101_CONFIG?.TOTAL_STAGES || 5;
+    const totalMissions = totals.missions || GPS_101_CONFIG?.TOTAL_MISSIONS || 5;
+    const totalSubMissions = totals.subMissions || GPS_101_CONFIG?.TOTAL_SUB_MISSIONS || 30;
+    const totalCheckpoints = totals.checkpoints || GPS_101_CONFIG?.TOTAL_CHECKPOINTS || 150;
     const totalDeliverables = GPS_101_CONFIG?.DELIVERABLES?.length || 5;
     
     return {
@@ -382,11 +389,9 @@ export const selectIsStageUnlocked = (stageNumber) => createSelector(
  * Select if mission is unlocked
  */
 export const selectIsMissionUnlocked = (missionId) => createSelector(
-  [selectMissions, selectUnlockedStages],
-  (missions, unlockedStages) => {
-    if (!GPS_101_ALL_MISSIONS) return false;
-    
-    const mission = GPS_101_ALL_MISSIONS.find(m => m.missionId === missionId);
+  [selectUnlockedStages, selectGPS101Missions],
+  (unlockedStages, allMissions) => {
+    const mission = allMissions.find(m => m.missionId === missionId);
     if (!mission) return false;
 
     // Mission is unlocked if its stage is unlocked
@@ -398,15 +403,13 @@ export const selectIsMissionUnlocked = (missionId) => createSelector(
  * NEW: Select if sub-mission is unlocked
  */
 export const selectIsSubMissionUnlocked = (subMissionId) => createSelector(
-  [selectMissions, selectSubMissions],
-  (missions, subMissions) => {
-    if (!GPS_101_ALL_MISSIONS) return false;
-    
+  [selectMissions, selectSubMissions, selectGPS101Missions],
+  (missions, subMissions, allMissions) => {
     // Find parent mission
     let parentMission = null;
     let targetSubMission = null;
     
-    for (const mission of GPS_101_ALL_MISSIONS) {
+    for (const mission of allMissions) {
       if (!mission.subMissions) continue;
       const found = mission.subMissions.find(sm => sm.subMissionId === subMissionId);
       if (found) {
@@ -479,6 +482,9 @@ export const selectIsBadgeEarned = (badgeId) => createSelector(
 export default {
   // Base selectors
   selectGPS101State,
+  selectGPS101Curriculum,
+  selectGPS101Stages,
+  selectGPS101Missions,
   selectIsEnrolled,
   selectCurrentStage,
   selectCurrentMission,
@@ -502,6 +508,7 @@ export default {
   selectGPS101Error,
   
   // Computed selectors
+  selectGPS101Totals,
   selectOverallProgress,
   selectCurrentStageData,
   selectCurrentStageMission,
@@ -0,0 +1,185 @@
+/**
+ * Mission Redux Selectors
+ *
+ * Memoized selectors for the mission catalog: the active mission, unlock
+ * state and per-stage groupings. Unlock rules come from the mission service
+ * so the UI and the API client agree on what a learner can start.
+ */
+
+import { createSelector } from '@reduxjs/toolkit';
+import { isMissionUnlocked } from '../../services/api/mission.service';
+
+// ==================== HELPERS ====================
+
+// Statuses that the backend only reports for missions the learner can open
+const OPEN_STATUSES = ['available', 'in_progress', 'completed'];
+
+/**
+ * Groups missions by stage number, sorted by mission number
+ * @param {Array<Object>} missions - Missions to group
+ * @returns {Object} Missions keyed by stage number
+ */
+const groupByStage = (missions) => {
+  const byStage = {};
+  missions.forEach(mission => {
+    (byStage[mission.stageNumber] = byStage[mission.stageNumber] || []).push(mission);
+  });
+  Object.values(byStage).forEach(stageMissions => {
+    stageMissions.sort((a, b) => a.missionNumber - b.missionNumber);
+  });
+  return byStage;
+};
+
+// ==================== BASE SELECTORS ====================
+
+export const selectMissionState = (state) => state.mission;
+
+export const selectMissions = (state) => state.mission?.missions || [];
+
+export const selectMissionPagination = (state) => state.mission?.pagination || null;
+
+export const selectLoadedStages = (state) => state.mission?.loadedStages || [];
+
+export const selectCurrentMissionId = (state) => state.mission?.currentMissionId || null;
+
+export const selectRecommendedMission = (state) => state.mission?.recommended || null;
+
+export const selectMissionBriefings = (state) => state.mission?.briefings || {};
+
+export const selectLastCompletion = (state) => state.mission?.lastCompletion || null;
+
+export const selectMissionLoading = (state) => state.mission?.loading || {};
+
+export const selectMissionError = (state) => state.mission?.error || {};
+
+// ==================== COMPUTED SELECTORS ====================
+
+/**
+ * Missions keyed by id
+ */
+export const selectMissionsById = createSelector(
+  [selectMissions],
+  (missions) => missions.reduce((byId, mission) => {
+    byId[mission.id] = mission;
+    return byId;
+  }, {})
+);
+
+/**
+ * Active mission: the selected mission, falling back to the one in progress
+ */
+export const selectActiveMission = createSelector(
+  [selectMissionsById, selectMissions, selectCurrentMissionId],
+  (missionsById, missions, currentMissionId) => {
+    if (currentMissionId && missionsById[currentMissionId]) {
+      return missionsById[currentMissionId];
+    }
+    return missions.find(m => m.status === 'in_progress') || null;
+  }
+);
+
+/**
+ * IDs of completed missions, in the shape `isMissionUnlocked` expects
+ */
+export const selectCompletedMissionIds = createSelector(
+  [selectMissions],
+  (missions) => missions.filter(m => m.status === 'completed').map(m => m.id)
+);
+
+/**
+ * Missions the learner can open. The backend status wins when present;
+ * otherwise the previous mission must be completed.
+ */
+export const selectUnlockedMissions = createSelector(
+  [selectMissions, selectCompletedMissionIds],
+  (missions, completedMissions) => missions.filter(mission => (mission.status
+    ? OPEN_STATUSES.includes(mission.status)
+    : isMissionUnlocked(mission, { completedMissions })))
+);
+
+/**
+ * Missions grouped by stage number, ordered by mission number
+ */
+export const selectMissionsByStage = createSelector(
+  [selectMissions],
+  (missions) => groupByStage(missions)
+);
+
+/**
+ * Unlocked missions grouped by stage number
+ */
+export const selectUnlockedMissionsByStage = createSelector(
+  [selectUnlockedMissions],
+  (missions) => groupByStage(missions)
+);
+
+/**
+ * Missions of one stage
+ * @param {number} stageNumber - Stage number
+ */
+export const selectMissionsForStage = (stageNumber) => createSelector(
+  [selectMissionsByStage],
+  (byStage) => byStage[stageNumber] || []
+);
+
+/**
+ * Unlocked missions of one stage
+ * @param {number} stageNumber - Stage number
+ */
+export const selectUnlockedMissionsForStage = (stageNumber) => createSelector(
+  [selectUnlockedMissionsByStage],
+  (byStage) => byStage[stageNumber] || []
+);
+
+/**
+ * Briefing for one mission
+ * @param {string} missionId - Mission ID
+ */
+export const selectMissionBriefing = (missionId) => createSelector(
+  [selectMissionBriefings],
+  (briefings) => briefings[missionId] || null
+);
+
+/**
+ * Counts across the loaded catalog
+ */
+export const selectMissionStats = createSelector(
+  [selectMissions, selectUnlockedMissions, selectCompletedMissionIds],
+  (missions, unlocked, completedIds) => ({
+    total: missions.length,
+    unlocked: unlocked.length,
+    completed: completedIds.length,
+    inProgress: missions.filter(m => m.status === 'in_progress').length,
+    completionRate: missions.length > 0
+      ? Math.round((completedIds.length / missions.length) * 100)
+      : 0
+  })
+);
+
+// ==================== EXPORTS ====================
+
+export default {
+  // Base
+  selectMissionState,
+  selectMissions,
+  selectMissionPagination,
+  selectLoadedStages,
+  selectCurrentMissionId,
+  selectRecommendedMission,
+  selectMissionBriefings,
+  selectLastCompletion,
+  selectMissionLoading,
+  selectMissionError,
+
+  // Computed
+  selectMissionsById,
+  selectActiveMission,
+  selectCompletedMissionIds,
+  selectUnlockedMissions,
+  selectMissionsByStage,
+  selectUnlockedMissionsByStage,
+  selectMissionsForStage,
+  selectUnlockedMissionsForStage,
+  selectMissionBriefing,
+  selectMissionStats
+};
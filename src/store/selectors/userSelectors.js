@@ -0,0 +1,110 @@
+/**
+ * User Redux Selectors
+ *
+ * Memoized selectors for the signed-in learner: profile, level derived from
+ * XP, featured badges and the stats shown on the dashboard.
+ */
+
+import { createSelector } from '@reduxjs/toolkit';
+import { getLevelFromXP, getLevelTitle } from '../../utils/helpers/xp.calculator';
+import { selectBarakaBalance, selectBarakaTier } from './barakaSelectors';
+import { selectEconomyConfig } from './economySelectors';
+
+// ==================== BASE SELECTORS ====================
+
+// The profile lives on the user slice; auth keeps the copy from sign-in
+export const selectCurrentUser = (state) => state.user?.currentUser || state.auth?.user || null;
+
+export const selectIsAuthenticated = (state) =>
+  state.user?.isAuthenticated || state.auth?.isAuthenticated || false;
+
+export const selectBadges = (state) => state.user?.badges || [];
+
+export const selectUserLoading = (state) => state.user?.loading || false;
+
+export const selectUserError = (state) => state.user?.error || null;
+
+// ==================== COMPUTED SELECTORS ====================
+
+/**
+ * Total XP from the profile
+ */
+export const selectUserXP = createSelector(
+  [selectCurrentUser],
+  (user) => user?.xp ?? user?.stats?.xp ?? 0
+);
+
+/**
+ * Level information derived from total XP, on the active level curve
+ */
+export const selectUserLevel = createSelector(
+  [selectUserXP, selectEconomyConfig],
+  (xp) => {
+    const levelInfo = getLevelFromXP(xp);
+    return { ...levelInfo, title: getLevelTitle(levelInfo.level) };
+  }
+);
+
+/**
+ * Display name with the usual fallbacks
+ */
+export const selectUserDisplayName = createSelector(
+  [selectCurrentUser],
+  (user) => user?.displayName || user?.firstName || user?.username || 'Explorer'
+);
+
+/**
+ * Badges the learner chose to feature on their profile
+ */
+export const selectFeaturedBadges = createSelector(
+  [selectBadges],
+  (badges) => badges.filter(b => b.featured)
+);
+
+/**
+ * Stats for the dashboard overview. Only fields backed by loaded state are
+ * included so callers can layer them over their own defaults.
+ */
+export const selectDashboardStats = createSelector(
+  [selectCurrentUser, selectUserLevel, selectBarakaBalance, selectBarakaTier],
+  (user, levelInfo, balance, barakaTier) => {
+    const stats = {};
+
+    if (user) {
+      stats.level = levelInfo.level;
+      stats.levelTitle = levelInfo.title;
+      stats.totalXP = levelInfo.totalXP;
+      stats.currentXP = levelInfo.xpIntoLevel;
+      stats.requiredXP = levelInfo.xpForNextLevel;
+      stats.levelProgress = levelInfo.progressPercent;
+      if (user.currentStage) stats.currentStage = user.currentStage;
+      if (user.streak !== undefined) stats.currentStreak = user.streak;
+      if (user.barakaBalance !== undefined) stats.barakaBalance = user.barakaBalance;
+    }
+
+    if (balance) {
+      stats.barakaBalance = balance.available;
+      stats.barakaTier = barakaTier;
+    }
+
+    return stats;
+  }
+);
+
+// ==================== EXPORTS ====================
+
+export default {
+  // Base
+  selectCurrentUser,
+  selectIsAuthenticated,
+  selectBadges,
+  selectUserLoading,
+  selectUserError,
+
+  // Computed
+  selectUserXP,
+  selectUserLevel,
+  selectUserDisplayName,
+  selectFeaturedBadges,
+  selectDashboardStats
+};
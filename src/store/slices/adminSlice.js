@@ -0,0 +1,350 @@
+/**
+ * Admin Console Redux Slice
+ *
+ * Backs the admin user console: the user search (through
+ * user.service.searchUsers), the user being inspected, single and bulk
+ * account actions, the platform overview and the audit log. Every action
+ * carries a reason that the server records in the audit log; the open user
+ * is refetched after an action so their history and ledger stay current.
+ */
+
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import adminService from '../../services/api/admin.service';
+import { searchUsers } from '../../services/api/user.service';
+import { formatErrorForDisplay } from '../../utils/error/error.handler';
+
+// ==================== ASYNC THUNKS ====================
+
+/**
+ * Builds the audit log query, widening the date filters to whole days
+ * @param {Object} filters - { action, q, from, to } with YYYY-MM-DD dates
+ * @returns {Object} Query
+ */
+const toAuditQuery = ({ from, to, ...filters }) => ({
+  ...filters,
+  from: from ? `${from}T00:00:00.000Z` : '',
+  to: to ? `${to}T23:59:59.999Z` : ''
+});
+
+/**
+ * Search users with the current query and filters
+ */
+export const searchAdminUsers = createAsyncThunk(
+  'admin/searchUsers',
+  async ({ page = 1, limit = 20 } = {}, { getState, rejectWithValue }) => {
+    try {
+      const { query, filters } = getState().admin.users;
+      return await searchUsers({ query, page, limit, filters });
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+/**
+ * Fetch one user's full record
+ */
+export const fetchAdminUser = createAsyncThunk(
+  'admin/fetchUser',
+  async ({ userId, ledgerPage = 1 }, { rejectWithValue }) => {
+    try {
+      return await adminService.getUser(userId, { ledgerPage });
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+/**
+ * Run an action on one user, then refresh their record
+ */
+export const runAdminUserAction = createAsyncThunk(
+  'admin/runUserAction',
+  async ({ userId, action, params }, { dispatch, getState, rejectWithValue }) => {
+    try {
+      const result = await adminService.runUserAction(userId, action, params);
+      if (getState().admin.selectedUser?.user.id === userId) {
+        dispatch(fetchAdminUser({ userId }));
+      }
+      return result;
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+/**
+ * Run an action on the selected users
+ */
+export const runAdminBulkAction = createAsyncThunk(
+  'admin/runBulkAction',
+  async ({ userIds, action, params }, { rejectWithValue }) => {
+    try {
+      return await adminService.runBulkAction(userIds, action, params);
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+/**
+ * Fetch platform counts and recent audit entries
+ */
+export const fetchAdminOverview = createAsyncThunk(
+  'admin/fetchOverview',
+  async (_, { rejectWithValue }) => {
+    try {
+      return await adminService.getOverview();
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+/**
+ * Fetch a page of the audit log with the current filters
+ */
+export const fetchAuditLog = createAsyncThunk(
+  'admin/fetchAuditLog',
+  async ({ page = 1, limit = 25 } = {}, { getState, rejectWithValue }) => {
+    try {
+      const { filters } = getState().admin.auditLog;
+      return await adminService.getAuditLog({ page, limit, ...toAuditQuery(filters) });
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+/**
+ * Fetch every audit entry matching the current filters
+ */
+export const exportAuditLog = createAsyncThunk(
+  'admin/exportAuditLog',
+  async (_, { getState, rejectWithValue }) => {
+    try {
+      return await adminService.exportAuditLog(toAuditQuery(getState().admin.auditLog.filters));
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+// ==================== HELPERS ====================
+
+/**
+ * Replaces updated users in the search results
+ * @param {Object} state - Slice state
+ * @param {Array<Object>} users - Updated users
+ */
+const mergeUsers = (state, users) => {
+  const updated = new Map(users.map(u => [u.id, u]));
+  state.users.items = state.users.items.map(u => updated.get(u.id) || u);
+};
+
+// ==================== INITIAL STATE ====================
+
+const initialState = {
+  // User search
+  users: {
+    items: [],
+    pagination: null,
+    query: '',
+    filters: {
+      role: '',
+      accountStatus: '',
+      stage: '',
+      sort: 'recent'
+    }
+  },
+
+  // User being inspected and the outcome of the last bulk action
+  selectedUser: null,
+  lastBulkResult: null,
+
+  overview: null,
+
+  auditLog: {
+    entries: [],
+    pagination: null,
+    filters: {
+      action: '',
+      q: '',
+      from: '',
+      to: ''
+    }
+  },
+
+  // Loading states
+  loading: {
+    users: false,
+    user: false,
+    action: false,
+    overview: false,
+    auditLog: false,
+    export: false
+  },
+
+  // Error states
+  error: {
+    users: null,
+    user: null,
+    action: null,
+    overview: null,
+    auditLog: null,
+    export: null
+  }
+};
+
+// ==================== SLICE ====================
+
+const adminSlice = createSlice({
+  name: 'admin',
+  initialState,
+  reducers: {
+    setUserQuery: (state, action) => {
+      state.users.query = action.payload;
+    },
+
+    setUserFilters: (state, action) => {
+      state.users.filters = { ...state.users.filters, ...action.payload };
+    },
+
+    setAuditFilters: (state, action) => {
+      state.auditLog.filters = { ...state.auditLog.filters, ...action.payload };
+    },
+
+    clearSelectedUser: (state) => {
+      state.selectedUser = null;
+      state.error.user = null;
+    },
+
+    clearBulkResult: (state) => {
+      state.lastBulkResult = null;
+    },
+
+    clearAdminError: (state, action) => {
+      if (action.payload) {
+        state.error[action.payload] = null;
+      } else {
+        Object.keys(state.error).forEach(key => { state.error[key] = null; });
+      }
+    },
+
+    resetAdminState: () => initialState
+  },
+  extraReducers: (builder) => {
+    builder
+      // ==================== USERS ====================
+      .addCase(searchAdminUsers.pending, (state) => {
+        state.loading.users = true;
+        state.error.users = null;
+      })
+      .addCase(searchAdminUsers.fulfilled, (state, action) => {
+        state.loading.users = false;
+        state.users.items = action.payload.users || [];
+        state.users.pagination = action.payload.pagination || null;
+      })
+      .addCase(searchAdminUsers.rejected, (state, action) => {
+        state.loading.users = false;
+        state.error.users = action.payload;
+      })
+      .addCase(fetchAdminUser.pending, (state, action) => {
+        state.loading.user = true;
+        state.error.user = null;
+        if (state.selectedUser?.user.id !== action.meta.arg.userId) {
+          state.selectedUser = null;
+        }
+      })
+      .addCase(fetchAdminUser.fulfilled, (state, action) => {
+        state.loading.user = false;
+        state.selectedUser = action.payload;
+      })
+      .addCase(fetchAdminUser.rejected, (state, action) => {
+        state.loading.user = false;
+        state.error.user = action.payload;
+      })
+
+      // ==================== ACTIONS ====================
+      .addCase(runAdminUserAction.pending, (state) => {
+        state.loading.action = true;
+        state.error.action = null;
+      })
+      .addCase(runAdminUserAction.fulfilled, (state, action) => {
+        state.loading.action = false;
+        mergeUsers(state, [action.payload.user]);
+      })
+      .addCase(runAdminUserAction.rejected, (state, action) => {
+        state.loading.action = false;
+        state.error.action = action.payload;
+      })
+      .addCase(runAdminBulkAction.pending, (state) => {
+        state.loading.action = true;
+        state.error.action = null;
+        state.lastBulkResult = null;
+      })
+      .addCase(runAdminBulkAction.fulfilled, (state, action) => {
+        state.loading.action = false;
+        state.lastBulkResult = action.payload;
+        mergeUsers(state, action.payload.results.filter(r => r.success).map(r => r.user));
+      })
+      .addCase(runAdminBulkAction.rejected, (state, action) => {
+        state.loading.action = false;
+        state.error.action = action.payload;
+      })
+
+      // ==================== OVERVIEW ====================
+      .addCase(fetchAdminOverview.pending, (state) => {
+        state.loading.overview = true;
+        state.error.overview = null;
+      })
+      .addCase(fetchAdminOverview.fulfilled, (state, action) => {
+        state.loading.overview = false;
+        state.overview = action.payload;
+      })
+      .addCase(fetchAdminOverview.rejected, (state, action) => {
+        state.loading.overview = false;
+        state.error.overview = action.payload;
+      })
+
+      // ==================== AUDIT LOG ====================
+      .addCase(fetchAuditLog.pending, (state) => {
+        state.loading.auditLog = true;
+        state.error.auditLog = null;
+      })
+      .addCase(fetchAuditLog.fulfilled, (state, action) => {
+        state.loading.auditLog = false;
+        state.auditLog.entries = action.payload.entries || [];
+        state.auditLog.pagination = action.payload.pagination || null;
+      })
+      .addCase(fetchAuditLog.rejected, (state, action) => {
+        state.loading.auditLog = false;
+        state.error.auditLog = action.payload;
+      })
+      .addCase(exportAuditLog.pending, (state) => {
+        state.loading.export = true;
+        state.error.export = null;
+      })
+      .addCase(exportAuditLog.fulfilled, (state) => {
+        state.loading.export = false;
+      })
+      .addCase(exportAuditLog.rejected, (state, action) => {
+        state.loading.export = false;
+        state.error.export = action.payload;
+      });
+  }
+});
+
+// ==================== EXPORTS ====================
+
+export const {
+  setUserQuery,
+  setUserFilters,
+  setAuditFilters,
+  clearSelectedUser,
+  clearBulkResult,
+  clearAdminError,
+  resetAdminState
+} = adminSlice.actions;
+
+export default adminSlice.reducer;
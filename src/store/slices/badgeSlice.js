@@ -0,0 +1,117 @@
+/**
+ * Badge Redux Slice
+ *
+ * Runs the badge engine in the store. Domain events (recorded by the badge
+ * middleware from completed actions) are evaluated here, and the badges
+ * they unlock are queued for BadgeUnlockModal one at a time.
+ * syncBadgeProgress catches the engine up with the learner's stats on the
+ * server after sign-in, so badges earned before aren't announced again.
+ */
+
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import userService from '../../services/api/user.service';
+import barakaService from '../../services/api/baraka.service';
+import { clearUser } from './user.slice';
+import {
+  createBadgeState,
+  replayBadgeEvents,
+  seedBadgeState
+} from '../../utils/helpers/badge.engine';
+import { formatErrorForDisplay } from '../../utils/error/error.handler';
+
+// ==================== ASYNC THUNKS ====================
+
+/**
+ * Read the learner's stats and lifetime Baraka for the badge engine
+ */
+export const syncBadgeProgress = createAsyncThunk(
+  'badge/syncProgress',
+  async ({ useCache = true } = {}, { rejectWithValue }) => {
+    try {
+      const [stats, balance] = await Promise.all([
+        userService.getStats({ useCache }),
+        barakaService.getBalance({ useCache })
+      ]);
+      return {
+        ...stats,
+        barakaEarned: balance?.totalEarned ?? stats.baraka ?? 0
+      };
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+// ==================== INITIAL STATE ====================
+
+const initialState = {
+  // Engine state: learner stats and the rule ids already unlocked
+  ...createBadgeState(),
+
+  // Unlocks waiting to be shown, oldest first
+  queue: [],
+
+  // Until the server's stats are in, events only update the stats
+  synced: false,
+  loading: false,
+  error: null
+};
+
+// ==================== SLICE ====================
+
+const badgeSlice = createSlice({
+  name: 'badge',
+  initialState,
+  reducers: {
+    /**
+     * Evaluates domain events and queues what they unlock
+     * @param {Array<Object>} action.payload - Domain events, in order
+     */
+    badgeEventsRecorded: (state, action) => {
+      const { stats, unlocked, synced } = state;
+      const result = replayBadgeEvents(action.payload, {
+        state: { stats, unlocked },
+        rules: synced ? undefined : {}
+      });
+      state.stats = result.state.stats;
+      state.unlocked = result.state.unlocked;
+      state.queue.push(...result.unlocks);
+    },
+
+    /**
+     * Drops the unlock that was just shown
+     */
+    badgeUnlockShown: (state) => {
+      state.queue.shift();
+    }
+  },
+  extraReducers: (builder) => {
+    builder
+      .addCase(syncBadgeProgress.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+      })
+      .addCase(syncBadgeProgress.fulfilled, (state, action) => {
+        const { stats, unlocked } = seedBadgeState(
+          { stats: state.stats, unlocked: state.unlocked },
+          action.payload
+        );
+        state.loading = false;
+        state.stats = stats;
+        state.unlocked = unlocked;
+        state.synced = true;
+      })
+      .addCase(syncBadgeProgress.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.payload;
+      })
+      // Progress belongs to the learner who signed out
+      .addCase(clearUser, () => initialState);
+  }
+});
+
+// ==================== EXPORTS ====================
+
+export const { badgeEventsRecorded, badgeUnlockShown } = badgeSlice.actions;
+
+export default badgeSlice.reducer;
@@ -0,0 +1,670 @@
+/**
+ * Baraka Redux Slice
+ *
+ * Manages the learner's Baraka wallet: balance, tier, transaction history,
+ * store purchases, withdrawals, transfers and covenant returns. Mission and
+ * checkpoint rewards are credited locally as they are paid so the balance
+ * stays current without a refetch.
+ *
+ * Peer state holds Baraka requests to and from the learner, escrow held for
+ * party tasks and what is left of today's send allowance. Escrow is settled
+ * locally as soon as its party task is updated here.
+ *
+ * The ledger snapshot pairs the server balance with the history fetched
+ * alongside it. Anything that moves the balance afterwards marks the
+ * snapshot stale until it is fetched again; the reconciliation itself is
+ * derived in the selectors.
+ */
+
+import { createSlice, createAsyncThunk, isAnyOf } from '@reduxjs/toolkit';
+import barakaService from '../../services/api/baraka.service';
+import { completeMission } from './missionSlice';
+import { submitCheckpoint } from './checkpointSlice';
+import { updateTask } from './partySlice';
+import { formatErrorForDisplay } from '../../utils/error/error.handler';
+import { resolveEscrow } from '../../utils/helpers/baraka.transfer';
+
+// ==================== ASYNC THUNKS ====================
+
+/**
+ * Fetch the wallet balance
+ */
+export const fetchBalance = createAsyncThunk(
+  'baraka/fetchBalance',
+  async ({ useCache = true } = {}, { rejectWithValue }) => {
+    try {
+      return await barakaService.getBalance({ useCache });
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+/**
+ * Fetch the learner's tier and progress to the next one
+ */
+export const fetchTier = createAsyncThunk(
+  'baraka/fetchTier',
+  async ({ useCache = true } = {}, { rejectWithValue }) => {
+    try {
+      return await barakaService.getTier({ useCache });
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+/**
+ * Fetch transactions (paginated, filterable)
+ */
+export const fetchTransactions = createAsyncThunk(
+  'baraka/fetchTransactions',
+  async (params = {}, { rejectWithValue }) => {
+    try {
+      return await barakaService.getTransactions(params);
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+/**
+ * Fetch the balance and latest transactions as one ledger snapshot
+ */
+export const fetchLedger = createAsyncThunk(
+  'baraka/fetchLedger',
+  async ({ limit } = {}, { rejectWithValue }) => {
+    try {
+      return await barakaService.getLedgerSnapshot({ limit });
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+/**
+ * Spend Baraka
+ */
+export const spendBaraka = createAsyncThunk(
+  'baraka/spendBaraka',
+  async ({ purpose, amount, metadata }, { rejectWithValue }) => {
+    try {
+      return await barakaService.spendBaraka({ purpose, amount, metadata });
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+/**
+ * Fetch store items
+ */
+export const fetchStoreItems = createAsyncThunk(
+  'baraka/fetchStoreItems',
+  async ({ category, useCache = true } = {}, { rejectWithValue }) => {
+    try {
+      const response = await barakaService.getStoreItems({ category, useCache });
+      return response.items || [];
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+/**
+ * Purchase a store item
+ */
+export const purchaseItem = createAsyncThunk(
+  'baraka/purchaseItem',
+  async ({ itemId, quantity = 1 }, { rejectWithValue }) => {
+    try {
+      return await barakaService.purchaseItem(itemId, { quantity });
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+/**
+ * Fetch withdrawal history
+ */
+export const fetchWithdrawals = createAsyncThunk(
+  'baraka/fetchWithdrawals',
+  async (params = {}, { rejectWithValue }) => {
+    try {
+      return await barakaService.getWithdrawalHistory(params);
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+/**
+ * Fetch available withdrawal methods
+ */
+export const fetchWithdrawalMethods = createAsyncThunk(
+  'baraka/fetchWithdrawalMethods',
+  async (_, { rejectWithValue }) => {
+    try {
+      const response = await barakaService.getWithdrawalMethods();
+      return response.methods || [];
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+/**
+ * Request a withdrawal
+ */
+export const initiateWithdrawal = createAsyncThunk(
+  'baraka/initiateWithdrawal',
+  async (request, { rejectWithValue }) => {
+    try {
+      return await barakaService.initiateWithdrawal(request);
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+/**
+ * Cancel a pending withdrawal (payload includes the refreshed balance)
+ */
+export const cancelWithdrawal = createAsyncThunk(
+  'baraka/cancelWithdrawal',
+  async (withdrawalId, { rejectWithValue }) => {
+    try {
+      const result = await barakaService.cancelWithdrawal(withdrawalId);
+      const balance = await barakaService.refreshBalance();
+      return { ...result, balance };
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+/**
+ * Transfer Baraka to another learner
+ */
+export const transferBaraka = createAsyncThunk(
+  'baraka/transferBaraka',
+  async ({ recipientId, amount, message }, { rejectWithValue }) => {
+    try {
+      return await barakaService.transferBaraka({ recipientId, amount, message });
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+/**
+ * Fetch Baraka requests, escrow and today's send allowance together
+ */
+export const fetchPeerTransfers = createAsyncThunk(
+  'baraka/fetchPeerTransfers',
+  async (_, { rejectWithValue }) => {
+    try {
+      const [limits, requests, escrow] = await Promise.all([
+        barakaService.getTransferLimits(),
+        barakaService.getBarakaRequests(),
+        barakaService.getEscrows()
+      ]);
+      return { limits, ...requests, escrows: escrow.escrows || [] };
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+/**
+ * Ask another learner for Baraka
+ */
+export const requestBaraka = createAsyncThunk(
+  'baraka/requestBaraka',
+  async ({ payerId, amount, message, partyId }, { rejectWithValue }) => {
+    try {
+      return await barakaService.requestBaraka({ payerId, amount, message, partyId });
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+/**
+ * Pay, decline or cancel a Baraka request
+ */
+export const respondToBarakaRequest = createAsyncThunk(
+  'baraka/respondToBarakaRequest',
+  async ({ id, action, amount }, { rejectWithValue }) => {
+    try {
+      if (action === 'pay') return await barakaService.payBarakaRequest(id, { amount });
+      if (action === 'decline') return await barakaService.declineBarakaRequest(id);
+      return await barakaService.cancelBarakaRequest(id);
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+/**
+ * Buy a store item and split its cost across party members
+ */
+export const splitPurchase = createAsyncThunk(
+  'baraka/splitPurchase',
+  async ({ itemId, quantity = 1, partyId, participantIds }, { rejectWithValue }) => {
+    try {
+      return await barakaService.splitPurchase({ itemId, quantity, partyId, participantIds });
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+/**
+ * Hold Baraka for a party member until a party task is done
+ */
+export const createEscrow = createAsyncThunk(
+  'baraka/createEscrow',
+  async ({ partyId, taskId, recipientId, amount, message }, { rejectWithValue }) => {
+    try {
+      return await barakaService.createEscrow({ partyId, taskId, recipientId, amount, message });
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+/**
+ * Release or refund held escrow
+ */
+export const settleEscrow = createAsyncThunk(
+  'baraka/settleEscrow',
+  async ({ id, action }, { rejectWithValue }) => {
+    try {
+      return action === 'release'
+        ? await barakaService.releaseEscrow(id)
+        : await barakaService.refundEscrow(id);
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+/**
+ * Fetch the covenant return summary
+ */
+export const fetchCovenantSummary = createAsyncThunk(
+  'baraka/fetchCovenantSummary',
+  async (_, { rejectWithValue }) => {
+    try {
+      return await barakaService.getCovenantSummary();
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+// ==================== HELPERS ====================
+
+// Wallet actions; those that move Baraka report the new balance
+const WALLET_MUTATIONS = [
+  spendBaraka,
+  purchaseItem,
+  initiateWithdrawal,
+  transferBaraka,
+  requestBaraka,
+  respondToBarakaRequest,
+  splitPurchase,
+  createEscrow,
+  settleEscrow
+];
+
+/**
+ * Swaps an updated record into a list by id
+ * @param {Array<Object>} list - Records
+ * @param {Object} record - Updated record
+ * @returns {Array<Object>} New list
+ */
+const replaceById = (list, record) => list.map(item => (item.id === record.id ? record : item));
+
+/**
+ * Credits a reward locally until the balance is next fetched
+ * @param {Object} state - Slice state
+ * @param {number} amount - Baraka earned
+ */
+const creditReward = (state, amount) => {
+  if (!state.balance || !amount) return;
+  state.balance.available += amount;
+  state.balance.totalEarned += amount;
+  state.ledger.stale = true;
+};
+
+// ==================== INITIAL STATE ====================
+
+const initialState = {
+  // Wallet
+  balance: null,
+  tier: null,
+
+  // Ledger
+  transactions: [],
+  transactionsPagination: null,
+  ledger: {
+    serverBalance: null, // Available balance when the transactions were fetched
+    syncedAt: null,
+    stale: false
+  },
+
+  // Store
+  storeItems: [],
+  lastPurchase: null,
+
+  // Withdrawals
+  withdrawals: [],
+  withdrawalMethods: [],
+
+  // Covenant returns
+  covenant: null,
+
+  // Peer transfers
+  peer: {
+    incoming: [], // Requests the learner has been asked to pay
+    outgoing: [], // Requests the learner has made
+    escrows: [],
+    limits: null // { dailyLimit, sentToday, remaining, confirmAbove }
+  },
+
+  // Loading states
+  loading: {
+    balance: false,
+    tier: false,
+    transactions: false,
+    ledger: false,
+    store: false,
+    withdrawals: false,
+    peer: false,
+    action: false
+  },
+
+  // Error states
+  error: {
+    balance: null,
+    tier: null,
+    transactions: null,
+    ledger: null,
+    store: null,
+    withdrawals: null,
+    peer: null,
+    action: null
+  }
+};
+
+// ==================== SLICE ====================
+
+const barakaSlice = createSlice({
+  name: 'baraka',
+  initialState,
+  reducers: {
+    // Merge a balance pushed from outside a thunk (e.g. real-time update)
+    balanceUpdated: (state, action) => {
+      state.balance = { ...state.balance, ...action.payload };
+      state.ledger.stale = true;
+    },
+
+    // Apply a transaction pushed over the socket (credits are positive)
+    transactionReceived: (state, action) => {
+      const { amount, balance, transaction } = action.payload;
+      const { stale } = state.ledger;
+      if (state.balance) {
+        if (amount > 0) {
+          creditReward(state, amount);
+        } else {
+          state.balance.available += amount;
+          state.balance.totalSpent -= amount;
+        }
+        // The server's running balance wins over the local arithmetic
+        if (balance !== undefined) state.balance.available = balance;
+      }
+      if (transaction && !state.transactions.some(t => t.id === transaction.id)) {
+        state.transactions.unshift(transaction);
+      }
+      // A transaction with its running balance keeps the snapshot in step
+      if (transaction && balance !== undefined && state.ledger.syncedAt && !stale) {
+        state.ledger.serverBalance = balance;
+        state.ledger.stale = false;
+      } else {
+        state.ledger.stale = true;
+      }
+    },
+
+    // Reset Baraka state
+    resetBarakaState: () => initialState
+  },
+
+  extraReducers: (builder) => {
+    // Wallet mutations share pending/rejected handling
+    WALLET_MUTATIONS.forEach(thunk => {
+      builder
+        .addCase(thunk.pending, (state) => {
+          state.loading.action = true;
+          state.error.action = null;
+        })
+        .addCase(thunk.rejected, (state, action) => {
+          state.loading.action = false;
+          state.error.action = action.payload;
+        });
+    });
+
+    builder
+      // ==================== BALANCE ====================
+      .addCase(fetchBalance.pending, (state) => {
+        state.loading.balance = true;
+        state.error.balance = null;
+      })
+      .addCase(fetchBalance.fulfilled, (state, action) => {
+        state.loading.balance = false;
+        state.balance = action.payload;
+        if (action.payload.available !== state.ledger.serverBalance) state.ledger.stale = true;
+      })
+      .addCase(fetchBalance.rejected, (state, action) => {
+        state.loading.balance = false;
+        state.error.balance = action.payload;
+      })
+
+      // ==================== TIER ====================
+      .addCase(fetchTier.pending, (state) => {
+        state.loading.tier = true;
+        state.error.tier = null;
+      })
+      .addCase(fetchTier.fulfilled, (state, action) => {
+        state.loading.tier = false;
+        state.tier = action.payload;
+      })
+      .addCase(fetchTier.rejected, (state, action) => {
+        state.loading.tier = false;
+        state.error.tier = action.payload;
+      })
+
+      // ==================== TRANSACTIONS ====================
+      .addCase(fetchTransactions.pending, (state) => {
+        state.loading.transactions = true;
+        state.error.transactions = null;
+      })
+      .addCase(fetchTransactions.fulfilled, (state, action) => {
+        state.loading.transactions = false;
+        state.transactions = action.payload.transactions || [];
+        state.transactionsPagination = action.payload.pagination || null;
+        state.ledger.stale = true;
+      })
+      .addCase(fetchTransactions.rejected, (state, action) => {
+        state.loading.transactions = false;
+        state.error.transactions = action.payload;
+      })
+
+      // ==================== LEDGER ====================
+      .addCase(fetchLedger.pending, (state) => {
+        state.loading.ledger = true;
+        state.error.ledger = null;
+      })
+      .addCase(fetchLedger.fulfilled, (state, action) => {
+        const { balance, transactions, pagination } = action.payload;
+        state.loading.ledger = false;
+        state.balance = balance;
+        state.transactions = transactions || [];
+        state.transactionsPagination = pagination || null;
+        state.ledger = {
+          serverBalance: balance.available,
+          syncedAt: new Date().toISOString(),
+          stale: false
+        };
+      })
+      .addCase(fetchLedger.rejected, (state, action) => {
+        state.loading.ledger = false;
+        state.error.ledger = action.payload;
+      })
+
+      // ==================== STORE ====================
+      .addCase(purchaseItem.fulfilled, (state, action) => {
+        state.lastPurchase = action.payload;
+        if (state.balance) state.balance.totalSpent += action.payload.totalCost;
+      })
+      .addCase(fetchStoreItems.pending, (state) => {
+        state.loading.store = true;
+        state.error.store = null;
+      })
+      .addCase(fetchStoreItems.fulfilled, (state, action) => {
+        state.loading.store = false;
+        state.storeItems = action.payload;
+      })
+      .addCase(fetchStoreItems.rejected, (state, action) => {
+        state.loading.store = false;
+        state.error.store = action.payload;
+      })
+
+      // ==================== WITHDRAWALS ====================
+      .addCase(fetchWithdrawals.pending, (state) => {
+        state.loading.withdrawals = true;
+        state.error.withdrawals = null;
+      })
+      .addCase(fetchWithdrawals.fulfilled, (state, action) => {
+        state.loading.withdrawals = false;
+        state.withdrawals = action.payload.withdrawals || [];
+      })
+      .addCase(fetchWithdrawals.rejected, (state, action) => {
+        state.loading.withdrawals = false;
+        state.error.withdrawals = action.payload;
+      })
+      .addCase(fetchWithdrawalMethods.fulfilled, (state, action) => {
+        state.withdrawalMethods = action.payload;
+      })
+      .addCase(fetchWithdrawalMethods.rejected, (state, action) => {
+        state.error.withdrawals = action.payload;
+      })
+      .addCase(initiateWithdrawal.fulfilled, (state, action) => {
+        const { withdrawalId, amount, method, currency, status, estimatedCompletion } = action.payload;
+        state.withdrawals.unshift({ id: withdrawalId, amount, method, currency, status, estimatedCompletion });
+        if (state.balance) state.balance.pending += amount;
+      })
+      .addCase(cancelWithdrawal.pending, (state) => {
+        state.loading.action = true;
+        state.error.action = null;
+      })
+      .addCase(cancelWithdrawal.fulfilled, (state, action) => {
+        state.loading.action = false;
+        state.balance = action.payload.balance;
+        state.ledger.stale = true;
+        const withdrawal = state.withdrawals.find(w => w.id === action.payload.withdrawalId);
+        if (withdrawal) withdrawal.status = action.payload.status;
+      })
+      .addCase(cancelWithdrawal.rejected, (state, action) => {
+        state.loading.action = false;
+        state.error.action = action.payload;
+      })
+
+      // ==================== PEER TRANSFERS ====================
+      .addCase(fetchPeerTransfers.pending, (state) => {
+        state.loading.peer = true;
+        state.error.peer = null;
+      })
+      .addCase(fetchPeerTransfers.fulfilled, (state, action) => {
+        const { limits, incoming, outgoing, escrows } = action.payload;
+        state.loading.peer = false;
+        state.peer = { limits, incoming: incoming || [], outgoing: outgoing || [], escrows };
+      })
+      .addCase(fetchPeerTransfers.rejected, (state, action) => {
+        state.loading.peer = false;
+        state.error.peer = action.payload;
+      })
+      .addCase(transferBaraka.fulfilled, (state, action) => {
+        if (action.payload.limits) state.peer.limits = action.payload.limits;
+      })
+      .addCase(requestBaraka.fulfilled, (state, action) => {
+        state.peer.outgoing.unshift(action.payload);
+      })
+      .addCase(respondToBarakaRequest.fulfilled, (state, action) => {
+        const { request, limits } = action.payload;
+        state.peer.incoming = replaceById(state.peer.incoming, request);
+        state.peer.outgoing = replaceById(state.peer.outgoing, request);
+        if (limits) state.peer.limits = limits;
+      })
+      .addCase(splitPurchase.fulfilled, (state, action) => {
+        state.lastPurchase = action.payload;
+        state.peer.outgoing.unshift(...action.payload.requests);
+        if (state.balance) state.balance.totalSpent += action.payload.totalCost;
+      })
+      .addCase(createEscrow.fulfilled, (state, action) => {
+        state.peer.escrows.unshift(action.payload.escrow);
+        if (action.payload.limits) state.peer.limits = action.payload.limits;
+      })
+      .addCase(settleEscrow.fulfilled, (state, action) => {
+        state.peer.escrows = replaceById(state.peer.escrows, action.payload.escrow);
+      })
+      // The server settles escrow when its task changes; mirror it until refetched
+      .addCase(updateTask.fulfilled, (state, action) => {
+        const { partyId, task } = action.payload;
+        const now = new Date().toISOString();
+        state.peer.escrows
+          .filter(e => e.partyId === partyId && e.taskId === task.id)
+          .forEach(escrow => {
+            const status = resolveEscrow(escrow, task, now);
+            if (!status) return;
+            escrow.status = status;
+            escrow.settledAt = now;
+            state.ledger.stale = true;
+          });
+      })
+
+      // ==================== COVENANT ====================
+      .addCase(fetchCovenantSummary.fulfilled, (state, action) => {
+        state.covenant = action.payload;
+      })
+
+      // ==================== REWARDS ====================
+      .addCase(completeMission.fulfilled, (state, action) => {
+        creditReward(state, action.payload.rewards?.baraka);
+      })
+      .addCase(submitCheckpoint.fulfilled, (state, action) => {
+        creditReward(state, action.payload.rewards?.baraka);
+      })
+
+      // ==================== WALLET MUTATIONS ====================
+      // Every mutation that moves Baraka reports the new available balance
+      .addMatcher(isAnyOf(...WALLET_MUTATIONS.map(thunk => thunk.fulfilled)), (state, action) => {
+        state.loading.action = false;
+        if (action.payload.newBalance === undefined) return;
+        if (state.balance) state.balance.available = action.payload.newBalance;
+        state.ledger.stale = true;
+      });
+  }
+});
+
+// ==================== EXPORTS ====================
+
+export const {
+  balanceUpdated,
+  transactionReceived,
+  resetBarakaState
+} = barakaSlice.actions;
+
+export default barakaSlice.reducer;
@@ -0,0 +1,354 @@
+/**
+ * Bite Redux Slice
+ *
+ * Manages study bites (the learning units inside a mission): per-mission
+ * bite lists, the bite being worked on, its workflow (start, pause,
+ * resume, submit, complete) and its deliverables.
+ */
+
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import biteService from '../../services/api/bite.service';
+import { formatErrorForDisplay } from '../../utils/error/error.handler';
+import { requestReplayed } from './offlineSlice';
+
+// ==================== ASYNC THUNKS ====================
+
+/**
+ * Fetch bites for a mission
+ */
+export const fetchBitesByMission = createAsyncThunk(
+  'bite/fetchBitesByMission',
+  async ({ missionId, useCache = true }, { rejectWithValue, signal }) => {
+    try {
+      const response = await biteService.getBitesByMission(missionId, { useCache, signal });
+      return { missionId, bites: response.bites || [] };
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+/**
+ * Fetch a single bite
+ */
+export const fetchBite = createAsyncThunk(
+  'bite/fetchBite',
+  async ({ biteId, useCache = true }, { rejectWithValue, signal }) => {
+    try {
+      return await biteService.getBite(biteId, { useCache, signal });
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+/**
+ * Start work on a bite
+ */
+export const startBite = createAsyncThunk(
+  'bite/startBite',
+  async (biteId, { rejectWithValue }) => {
+    try {
+      return await biteService.startBite(biteId);
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+/**
+ * Pause work on a bite
+ */
+export const pauseBite = createAsyncThunk(
+  'bite/pauseBite',
+  async (biteId, { rejectWithValue }) => {
+    try {
+      return await biteService.pauseBite(biteId);
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+/**
+ * Resume work on a bite
+ */
+export const resumeBite = createAsyncThunk(
+  'bite/resumeBite',
+  async (biteId, { rejectWithValue }) => {
+    try {
+      return await biteService.resumeBite(biteId);
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+/**
+ * Save bite progress
+ */
+export const updateBite = createAsyncThunk(
+  'bite/updateBite',
+  async ({ biteId, data }, { rejectWithValue }) => {
+    try {
+      return await biteService.updateBite(biteId, data);
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+/**
+ * Submit a bite for review
+ */
+export const submitBite = createAsyncThunk(
+  'bite/submitBite',
+  async ({ biteId, submission }, { rejectWithValue }) => {
+    try {
+      return await biteService.submitBite(biteId, submission);
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+/**
+ * Complete a bite (payload includes mission progress and XP)
+ */
+export const completeBite = createAsyncThunk(
+  'bite/completeBite',
+  async (biteId, { rejectWithValue }) => {
+    try {
+      return await biteService.completeBite(biteId);
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+/**
+ * Fetch deliverables for a bite
+ */
+export const fetchDeliverables = createAsyncThunk(
+  'bite/fetchDeliverables',
+  async (biteId, { rejectWithValue }) => {
+    try {
+      const response = await biteService.getDeliverables(biteId);
+      return { biteId, deliverables: response.deliverables || [] };
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+/**
+ * Upload a deliverable
+ */
+export const uploadDeliverable = createAsyncThunk(
+  'bite/uploadDeliverable',
+  async ({ biteId, file, metadata }, { rejectWithValue }) => {
+    try {
+      const deliverable = await biteService.uploadDeliverable(biteId, file, metadata);
+      return { biteId, deliverable };
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+/**
+ * Delete a deliverable
+ */
+export const deleteDeliverable = createAsyncThunk(
+  'bite/deleteDeliverable',
+  async ({ biteId, deliverableId }, { rejectWithValue }) => {
+    try {
+      await biteService.deleteDeliverable(biteId, deliverableId);
+      return { biteId, deliverableId };
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+// ==================== HELPERS ====================
+
+/**
+ * Inserts or merges bites into the list by id
+ * @param {Object} state - Slice state
+ * @param {Array<Object>} bites - Bites to upsert
+ */
+const upsertBites = (state, bites = []) => {
+  bites.forEach(bite => {
+    if (!bite?.id) return;
+    const index = state.bites.findIndex(b => b.id === bite.id);
+    if (index !== -1) {
+      state.bites[index] = { ...state.bites[index], ...bite };
+    } else {
+      state.bites.push(bite);
+    }
+  });
+};
+
+// ==================== INITIAL STATE ====================
+
+const initialState = {
+  // Bites across all loaded missions
+  bites: [],
+  loadedMissions: [],
+
+  // Bite being worked on
+  currentBiteId: null,
+
+  // Deliverables keyed by bite id
+  deliverables: {},
+
+  // Loading states
+  loading: {
+    list: false,
+    detail: false,
+    action: false,
+    deliverables: false
+  },
+
+  // Error states
+  error: {
+    list: null,
+    detail: null,
+    action: null,
+    deliverables: null
+  }
+};
+
+// ==================== SLICE ====================
+
+const biteSlice = createSlice({
+  name: 'bite',
+  initialState,
+  reducers: {
+    // Set current bite
+    setCurrentBite: (state, action) => {
+      state.currentBiteId = action.payload;
+    },
+
+    // Reset bite state
+    resetBiteState: () => initialState
+  },
+
+  extraReducers: (builder) => {
+    // Workflow actions all return the updated bite
+    [startBite, pauseBite, resumeBite, updateBite, submitBite].forEach(thunk => {
+      builder
+        .addCase(thunk.pending, (state) => {
+          state.loading.action = true;
+          state.error.action = null;
+        })
+        .addCase(thunk.fulfilled, (state, action) => {
+          state.loading.action = false;
+          upsertBites(state, [action.payload]);
+        })
+        .addCase(thunk.rejected, (state, action) => {
+          state.loading.action = false;
+          state.error.action = action.payload;
+        });
+    });
+
+    builder
+      // ==================== FETCH BY MISSION ====================
+      .addCase(fetchBitesByMission.pending, (state) => {
+        state.loading.list = true;
+        state.error.list = null;
+      })
+      .addCase(fetchBitesByMission.fulfilled, (state, action) => {
+        state.loading.list = false;
+        upsertBites(state, action.payload.bites);
+        if (!state.loadedMissions.includes(action.payload.missionId)) {
+          state.loadedMissions.push(action.payload.missionId);
+        }
+      })
+      .addCase(fetchBitesByMission.rejected, (state, action) => {
+        state.loading.list = false;
+        state.error.list = action.payload;
+      })
+
+      // ==================== FETCH BITE ====================
+      .addCase(fetchBite.pending, (state) => {
+        state.loading.detail = true;
+        state.error.detail = null;
+      })
+      .addCase(fetchBite.fulfilled, (state, action) => {
+        state.loading.detail = false;
+        upsertBites(state, [action.payload]);
+      })
+      .addCase(fetchBite.rejected, (state, action) => {
+        state.loading.detail = false;
+        state.error.detail = action.payload;
+      })
+
+      // ==================== COMPLETE BITE ====================
+      .addCase(completeBite.pending, (state) => {
+        state.loading.action = true;
+        state.error.action = null;
+      })
+      .addCase(completeBite.fulfilled, (state, action) => {
+        state.loading.action = false;
+        upsertBites(state, [action.payload.bite]);
+        if (state.currentBiteId === action.payload.bite?.id) state.currentBiteId = null;
+      })
+      .addCase(completeBite.rejected, (state, action) => {
+        state.loading.action = false;
+        state.error.action = action.payload;
+      })
+
+      // ==================== DELIVERABLES ====================
+      .addCase(fetchDeliverables.pending, (state) => {
+        state.loading.deliverables = true;
+        state.error.deliverables = null;
+      })
+      .addCase(fetchDeliverables.fulfilled, (state, action) => {
+        state.loading.deliverables = false;
+        state.deliverables[action.payload.biteId] = action.payload.deliverables;
+      })
+      .addCase(fetchDeliverables.rejected, (state, action) => {
+        state.loading.deliverables = false;
+        state.error.deliverables = action.payload;
+      })
+      .addCase(uploadDeliverable.pending, (state) => {
+        state.loading.deliverables = true;
+        state.error.deliverables = null;
+      })
+      .addCase(uploadDeliverable.fulfilled, (state, action) => {
+        const { biteId, deliverable } = action.payload;
+        state.loading.deliverables = false;
+        state.deliverables[biteId] = [...(state.deliverables[biteId] || []), deliverable];
+      })
+      .addCase(uploadDeliverable.rejected, (state, action) => {
+        state.loading.deliverables = false;
+        state.error.deliverables = action.payload;
+      })
+      .addCase(deleteDeliverable.fulfilled, (state, action) => {
+        const { biteId, deliverableId } = action.payload;
+        state.deliverables[biteId] = (state.deliverables[biteId] || []).filter(d => d.id !== deliverableId);
+      })
+      .addCase(deleteDeliverable.rejected, (state, action) => {
+        state.error.deliverables = action.payload;
+      })
+
+      // ==================== OFFLINE SYNC ====================
+      .addCase(requestReplayed, (state, action) => {
+        const { label, data } = action.payload;
+        if (label === 'bite:submit' || label === 'bite:draft') {
+          upsertBites(state, [{ ...data, pendingSync: false }]);
+        }
+      });
+  }
+});
+
+// ==================== EXPORTS ====================
+
+export const {
+  setCurrentBite,
+  resetBiteState
+} = biteSlice.actions;
+
+export default biteSlice.reducer;
@@ -0,0 +1,367 @@
+/**
+ * Checkpoint Redux Slice
+ *
+ * Manages mission checkpoints (the end-of-mission assessments): the
+ * checkpoint view, the active attempt, results, hints and retries.
+ * Everything is keyed by mission id since each mission has one checkpoint.
+ */
+
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import checkpointService from '../../services/api/checkpoint.service';
+import { formatErrorForDisplay } from '../../utils/error/error.handler';
+import { requestReplayed } from './offlineSlice';
+
+// ==================== ASYNC THUNKS ====================
+
+/**
+ * Fetch the checkpoint for a mission
+ */
+export const fetchCheckpoint = createAsyncThunk(
+  'checkpoint/fetchCheckpoint',
+  async ({ missionId, useCache = true }, { rejectWithValue, signal }) => {
+    try {
+      return await checkpointService.getCheckpoint(missionId, { useCache, signal });
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+/**
+ * Start a checkpoint attempt
+ */
+export const startCheckpoint = createAsyncThunk(
+  'checkpoint/startCheckpoint',
+  async (missionId, { rejectWithValue }) => {
+    try {
+      return await checkpointService.startCheckpoint(missionId);
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+/**
+ * Submit checkpoint answers (payload includes score and rewards)
+ */
+export const submitCheckpoint = createAsyncThunk(
+  'checkpoint/submitCheckpoint',
+  async ({ missionId, submission }, { rejectWithValue }) => {
+    try {
+      return await checkpointService.submitCheckpoint(missionId, submission);
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+/**
+ * Fetch the best result for a checkpoint
+ */
+export const fetchCheckpointResult = createAsyncThunk(
+  'checkpoint/fetchCheckpointResult',
+  async (missionId, { rejectWithValue }) => {
+    try {
+      return await checkpointService.getCheckpointResult(missionId);
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+/**
+ * Fetch attempt history for a checkpoint
+ */
+export const fetchCheckpointHistory = createAsyncThunk(
+  'checkpoint/fetchCheckpointHistory',
+  async ({ missionId, page = 1, limit = 10 }, { rejectWithValue }) => {
+    try {
+      const response = await checkpointService.getCheckpointHistory(missionId, { page, limit });
+      return { missionId, attempts: response.attempts || [] };
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+/**
+ * Fetch hints for a checkpoint
+ */
+export const fetchCheckpointHints = createAsyncThunk(
+  'checkpoint/fetchCheckpointHints',
+  async (missionId, { rejectWithValue }) => {
+    try {
+      return await checkpointService.getCheckpointHints(missionId);
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+/**
+ * Reveal a hint (costs Baraka)
+ */
+export const requestHint = createAsyncThunk(
+  'checkpoint/requestHint',
+  async ({ missionId, hintIndex }, { rejectWithValue }) => {
+    try {
+      const hint = await checkpointService.requestHint(missionId, hintIndex);
+      return { missionId, hint };
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+/**
+ * Check whether a retry is available
+ */
+export const checkRetryAvailability = createAsyncThunk(
+  'checkpoint/checkRetryAvailability',
+  async (missionId, { rejectWithValue }) => {
+    try {
+      const retry = await checkpointService.checkRetryAvailability(missionId);
+      return { missionId, retry };
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+/**
+ * Purchase a retry (with Baraka or PR2R)
+ */
+export const retryCheckpoint = createAsyncThunk(
+  'checkpoint/retryCheckpoint',
+  async ({ missionId, usePR2R = false }, { rejectWithValue }) => {
+    try {
+      return await checkpointService.retryCheckpoint(missionId, { usePR2R });
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+// ==================== HELPERS ====================
+
+/**
+ * Applies a submission result. A submission queued offline only marks the
+ * checkpoint as waiting to sync; the score arrives when it is replayed.
+ * @param {Object} state - Slice state
+ * @param {Object} submission - Scored result, or `{ missionId, pendingSync: true }`
+ */
+const applySubmission = (state, submission) => {
+  const { missionId, passed, score, attemptsRemaining, pendingSync } = submission;
+  delete state.sessions[missionId];
+  state.lastSubmission = submission;
+
+  const checkpoint = state.checkpoints[missionId];
+  if (!checkpoint) return;
+
+  if (pendingSync) {
+    checkpoint.status = 'pending_sync';
+    return;
+  }
+
+  checkpoint.status = passed ? 'passed' : 'failed';
+  checkpoint.bestScore = Math.max(checkpoint.bestScore || 0, score);
+  checkpoint.attemptsRemaining = attemptsRemaining;
+  checkpoint.sessionId = null;
+};
+
+// ==================== INITIAL STATE ====================
+
+const initialState = {
+  // All keyed by mission id
+  checkpoints: {},
+  sessions: {},
+  results: {},
+  history: {},
+  hints: {},
+  retry: {},
+
+  // Result of the most recent submission
+  lastSubmission: null,
+
+  // Loading states
+  loading: {
+    checkpoint: false,
+    session: false,
+    submit: false,
+    hints: false,
+    retry: false
+  },
+
+  // Error states
+  error: {
+    checkpoint: null,
+    session: null,
+    submit: null,
+    hints: null,
+    retry: null
+  }
+};
+
+// ==================== SLICE ====================
+
+const checkpointSlice = createSlice({
+  name: 'checkpoint',
+  initialState,
+  reducers: {
+    // Clear the submission summary once it has been shown
+    clearLastSubmission: (state) => {
+      state.lastSubmission = null;
+    },
+
+    // Merge a result pushed over the socket (e.g. after manual review)
+    checkpointResultReceived: (state, action) => {
+      const { missionId } = action.payload;
+      state.results[missionId] = { ...state.results[missionId], ...action.payload };
+    },
+
+    // Reset checkpoint state
+    resetCheckpointState: () => initialState
+  },
+
+  extraReducers: (builder) => {
+    builder
+      // ==================== FETCH CHECKPOINT ====================
+      .addCase(fetchCheckpoint.pending, (state) => {
+        state.loading.checkpoint = true;
+        state.error.checkpoint = null;
+      })
+      .addCase(fetchCheckpoint.fulfilled, (state, action) => {
+        state.loading.checkpoint = false;
+        state.checkpoints[action.payload.missionId] = action.payload;
+      })
+      .addCase(fetchCheckpoint.rejected, (state, action) => {
+        state.loading.checkpoint = false;
+        state.error.checkpoint = action.payload;
+      })
+
+      // ==================== START CHECKPOINT ====================
+      .addCase(startCheckpoint.pending, (state) => {
+        state.loading.session = true;
+        state.error.session = null;
+      })
+      .addCase(startCheckpoint.fulfilled, (state, action) => {
+        const { missionId } = action.payload;
+        state.loading.session = false;
+        state.sessions[missionId] = action.payload;
+        if (state.checkpoints[missionId]) {
+          state.checkpoints[missionId].status = 'in_progress';
+          state.checkpoints[missionId].sessionId = action.payload.sessionId;
+        }
+      })
+      .addCase(startCheckpoint.rejected, (state, action) => {
+        state.loading.session = false;
+        state.error.session = action.payload;
+      })
+
+      // ==================== SUBMIT CHECKPOINT ====================
+      .addCase(submitCheckpoint.pending, (state) => {
+        state.loading.submit = true;
+        state.error.submit = null;
+      })
+      .addCase(submitCheckpoint.fulfilled, (state, action) => {
+        state.loading.submit = false;
+        applySubmission(state, action.payload);
+      })
+      .addCase(submitCheckpoint.rejected, (state, action) => {
+        state.loading.submit = false;
+        state.error.submit = action.payload;
+      })
+
+      // ==================== RESULTS & HISTORY ====================
+      .addCase(fetchCheckpointResult.fulfilled, (state, action) => {
+        state.results[action.payload.missionId] = action.payload;
+      })
+      .addCase(fetchCheckpointResult.rejected, (state, action) => {
+        state.error.checkpoint = action.payload;
+      })
+      .addCase(fetchCheckpointHistory.fulfilled, (state, action) => {
+        state.history[action.payload.missionId] = action.payload.attempts;
+      })
+      .addCase(fetchCheckpointHistory.rejected, (state, action) => {
+        state.error.checkpoint = action.payload;
+      })
+
+      // ==================== HINTS ====================
+      .addCase(fetchCheckpointHints.pending, (state) => {
+        state.loading.hints = true;
+        state.error.hints = null;
+      })
+      .addCase(fetchCheckpointHints.fulfilled, (state, action) => {
+        state.loading.hints = false;
+        state.hints[action.payload.missionId] = action.payload.hints || [];
+      })
+      .addCase(fetchCheckpointHints.rejected, (state, action) => {
+        state.loading.hints = false;
+        state.error.hints = action.payload;
+      })
+      .addCase(requestHint.pending, (state) => {
+        state.loading.hints = true;
+        state.error.hints = null;
+      })
+      .addCase(requestHint.fulfilled, (state, action) => {
+        const { missionId, hint } = action.payload;
+        state.loading.hints = false;
+        const hints = state.hints[missionId] || [];
+        const index = hints.findIndex(h => h.index === hint.index);
+        const revealed = { ...hint, revealed: true };
+        if (index !== -1) {
+          hints[index] = revealed;
+        } else {
+          hints.push(revealed);
+        }
+        state.hints[missionId] = hints;
+      })
+      .addCase(requestHint.rejected, (state, action) => {
+        state.loading.hints = false;
+        state.error.hints = action.payload;
+      })
+
+      // ==================== RETRY ====================
+      .addCase(checkRetryAvailability.fulfilled, (state, action) => {
+        state.retry[action.payload.missionId] = action.payload.retry;
+      })
+      .addCase(checkRetryAvailability.rejected, (state, action) => {
+        state.error.retry = action.payload;
+      })
+      .addCase(retryCheckpoint.pending, (state) => {
+        state.loading.retry = true;
+        state.error.retry = null;
+      })
+      .addCase(retryCheckpoint.fulfilled, (state, action) => {
+        const { missionId, attemptsRemaining } = action.payload;
+        state.loading.retry = false;
+        state.retry[missionId] = { ...state.retry[missionId], available: true };
+        if (state.checkpoints[missionId]) {
+          state.checkpoints[missionId].canRetry = true;
+          state.checkpoints[missionId].attemptsRemaining = attemptsRemaining;
+        }
+      })
+      .addCase(retryCheckpoint.rejected, (state, action) => {
+        state.loading.retry = false;
+        state.error.retry = action.payload;
+      })
+
+      // ==================== OFFLINE SYNC ====================
+      .addCase(requestReplayed, (state, action) => {
+        const { label, meta, data } = action.payload;
+        if (label === 'checkpoint:submit') {
+          applySubmission(state, { missionId: meta.missionId, ...data });
+        }
+      });
+  }
+});
+
+// ==================== EXPORTS ====================
+
+export const {
+  clearLastSubmission,
+  checkpointResultReceived,
+  resetCheckpointState
+} = checkpointSlice.actions;
+
+export default checkpointSlice.reducer;
@@ -0,0 +1,456 @@
+/**
+ * Curriculum Authoring Redux Slice
+ *
+ * Backs the admin authoring studio for GPS 101 content: the version
+ * history, and the one open draft being edited. Edits are local until
+ * saved; saving sends the draft's `updatedAt` as loaded so a save made by
+ * someone else in the meantime is refused rather than overwritten.
+ * Publishing refreshes the curriculum learners see (gps101 slice).
+ */
+
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import gps101Service from '../../services/api/gps101.service';
+import { fetchGPS101Curriculum } from './gps101Slice';
+import { formatErrorForDisplay } from '../../utils/error/error.handler';
+import { findMission, findSubMission, renumber } from '../../utils/helpers/curriculum.helper';
+
+// ==================== ASYNC THUNKS ====================
+
+/**
+ * Formats a thrown error for the UI. Errors from an unwrapped inner thunk
+ * are already formatted.
+ * @param {Error|Object} error - Thrown error or formatted rejection
+ * @returns {Object} Display error
+ */
+const toDisplayError = (error) => (error instanceof Error ? formatErrorForDisplay(error) : error);
+
+/**
+ * Fetch the version history
+ */
+export const fetchCurriculumVersions = createAsyncThunk(
+  'curriculum/fetchVersions',
+  async (_, { rejectWithValue }) => {
+    try {
+      const response = await gps101Service.getCurriculumVersions();
+      return response.versions || [];
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+/**
+ * Open a draft for editing, with the published curriculum to diff against
+ */
+export const openCurriculumDraft = createAsyncThunk(
+  'curriculum/openDraft',
+  async (versionId, { rejectWithValue }) => {
+    try {
+      const [draft, published] = await Promise.all([
+        gps101Service.getCurriculumVersion(versionId),
+        gps101Service.getPublishedCurriculum({ useCache: false })
+      ]);
+      return { draft, published };
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+/**
+ * Start a draft from a version (the published one by default) and open it
+ */
+export const startCurriculumDraft = createAsyncThunk(
+  'curriculum/startDraft',
+  async (fromVersionId = null, { dispatch, rejectWithValue }) => {
+    try {
+      const draft = await gps101Service.createCurriculumDraft(fromVersionId);
+      await dispatch(openCurriculumDraft(draft.versionId)).unwrap();
+      dispatch(fetchCurriculumVersions());
+      return draft;
+    } catch (error) {
+      return rejectWithValue(toDisplayError(error));
+    }
+  }
+);
+
+/**
+ * Save the open draft
+ */
+export const saveCurriculumDraft = createAsyncThunk(
+  'curriculum/saveDraft',
+  async (_, { getState, rejectWithValue }) => {
+    const { draft } = getState().curriculum;
+    try {
+      return await gps101Service.saveCurriculumDraft(draft.versionId, {
+        stages: draft.stages,
+        missions: draft.missions,
+        notes: draft.notes,
+        updatedAt: draft.updatedAt
+      });
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  },
+  {
+    condition: (_, { getState }) => !!getState().curriculum.draft
+  }
+);
+
+/**
+ * Publish a draft (saving the open one first if it has unsaved edits),
+ * then reload the curriculum learners see
+ */
+export const publishCurriculumDraft = createAsyncThunk(
+  'curriculum/publishDraft',
+  async (versionId, { dispatch, getState, rejectWithValue }) => {
+    try {
+      const { draft, isDirty } = getState().curriculum;
+      if (isDirty && draft?.versionId === versionId) {
+        await dispatch(saveCurriculumDraft()).unwrap();
+      }
+
+      const published = await gps101Service.publishCurriculumVersion(versionId);
+      dispatch(fetchGPS101Curriculum({ useCache: false }));
+      dispatch(fetchCurriculumVersions());
+      return published;
+    } catch (error) {
+      return rejectWithValue(toDisplayError(error));
+    }
+  }
+);
+
+/**
+ * Discard a draft
+ */
+export const discardCurriculumDraft = createAsyncThunk(
+  'curriculum/discardDraft',
+  async (versionId, { rejectWithValue }) => {
+    try {
+      await gps101Service.deleteCurriculumDraft(versionId);
+      return versionId;
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+// ==================== HELPERS ====================
+
+/**
+ * Moves an item one place up or down within a list
+ * @param {Array<Object>} items - List
+ * @param {number} index - Current position
+ * @param {number} direction - -1 (up) or 1 (down)
+ */
+const moveItem = (items, index, direction) => {
+  const target = index + direction;
+  if (index < 0 || target < 0 || target >= items.length) return;
+  const [item] = items.splice(index, 1);
+  items.splice(target, 0, item);
+};
+
+/**
+ * Finds a checkpoint's sub-mission in the open draft
+ * @param {Object} state - Slice state
+ * @param {string} subMissionId - Sub-mission ID
+ * @returns {Object|null} Sub-mission
+ */
+const findDraftSubMission = (state, subMissionId) => {
+  return findSubMission(state.draft, subMissionId)?.subMission || null;
+};
+
+// ==================== INITIAL STATE ====================
+
+const initialState = {
+  // Version history (summaries, newest first)
+  versions: [],
+
+  // Open draft and the published curriculum it is compared with
+  draft: null,
+  published: null,
+  isDirty: false,
+
+  // Loading states
+  loading: {
+    versions: false,
+    draft: false,
+    save: false,
+    action: false
+  },
+
+  // Error states
+  error: {
+    versions: null,
+    draft: null,
+    save: null,
+    action: null
+  }
+};
+
+// ==================== SLICE ====================
+
+const curriculumSlice = createSlice({
+  name: 'curriculum',
+  initialState,
+  reducers: {
+    // ==================== DRAFT ====================
+    updateDraftNotes: (state, action) => {
+      if (!state.draft) return;
+      state.draft.notes = action.payload;
+      state.isDirty = true;
+    },
+
+    closeCurriculumDraft: (state) => {
+      state.draft = null;
+      state.published = null;
+      state.isDirty = false;
+      state.error.draft = null;
+      state.error.save = null;
+    },
+
+    // ==================== STAGES ====================
+    addStage: (state, action) => {
+      if (!state.draft) return;
+      state.draft.stages.push(action.payload);
+      state.isDirty = true;
+    },
+
+    updateStage: (state, action) => {
+      const { stageNumber, changes } = action.payload;
+      const stage = state.draft?.stages.find(s => s.stageNumber === stageNumber);
+      if (!stage) return;
+      Object.assign(stage, changes);
+      state.isDirty = true;
+    },
+
+    // A stage can only be removed once it has no missions
+    removeStage: (state, action) => {
+      if (!state.draft) return;
+      const stageNumber = action.payload;
+      if (state.draft.missions.some(m => m.stageNumber === stageNumber)) return;
+      state.draft.stages = state.draft.stages.filter(s => s.stageNumber !== stageNumber);
+      state.isDirty = true;
+    },
+
+    // ==================== MISSIONS ====================
+    addMission: (state, action) => {
+      if (!state.draft) return;
+      state.draft.missions.push(action.payload);
+      state.isDirty = true;
+    },
+
+    updateMission: (state, action) => {
+      const { missionId, changes } = action.payload;
+      const mission = findMission(state.draft, missionId);
+      if (!mission) return;
+      Object.assign(mission, changes);
+      state.isDirty = true;
+    },
+
+    removeMission: (state, action) => {
+      if (!state.draft) return;
+      state.draft.missions = state.draft.missions.filter(m => m.missionId !== action.payload);
+      state.isDirty = true;
+    },
+
+    // ==================== SUB-MISSIONS ====================
+    addSubMission: (state, action) => {
+      const { missionId, subMission } = action.payload;
+      const mission = findMission(state.draft, missionId);
+      if (!mission) return;
+      mission.subMissions.push(subMission);
+      renumber(mission.subMissions, 'subMissionNumber');
+      state.isDirty = true;
+    },
+
+    updateSubMission: (state, action) => {
+      const { subMissionId, changes } = action.payload;
+      const subMission = findDraftSubMission(state, subMissionId);
+      if (!subMission) return;
+      Object.assign(subMission, changes);
+      state.isDirty = true;
+    },
+
+    removeSubMission: (state, action) => {
+      const found = findSubMission(state.draft, action.payload);
+      if (!found) return;
+      const { mission } = found;
+      mission.subMissions = mission.subMissions.filter(sm => sm.subMissionId !== action.payload);
+      renumber(mission.subMissions, 'subMissionNumber');
+      state.isDirty = true;
+    },
+
+    moveSubMission: (state, action) => {
+      const { subMissionId, direction } = action.payload;
+      const found = findSubMission(state.draft, subMissionId);
+      if (!found) return;
+      const { mission } = found;
+      moveItem(mission.subMissions, mission.subMissions.findIndex(sm => sm.subMissionId === subMissionId), direction);
+      renumber(mission.subMissions, 'subMissionNumber');
+      state.isDirty = true;
+    },
+
+    // ==================== CHECKPOINTS ====================
+    addCheckpoint: (state, action) => {
+      const { subMissionId, checkpoint } = action.payload;
+      const subMission = findDraftSubMission(state, subMissionId);
+      if (!subMission) return;
+      subMission.checkpoints.push(checkpoint);
+      renumber(subMission.checkpoints, 'order');
+      state.isDirty = true;
+    },
+
+    updateCheckpoint: (state, action) => {
+      const { subMissionId, checkpointId, changes } = action.payload;
+      const checkpoint = findDraftSubMission(state, subMissionId)?.checkpoints
+        .find(cp => cp.checkpointId === checkpointId);
+      if (!checkpoint) return;
+      Object.assign(checkpoint, changes);
+      state.isDirty = true;
+    },
+
+    removeCheckpoint: (state, action) => {
+      const { subMissionId, checkpointId } = action.payload;
+      const subMission = findDraftSubMission(state, subMissionId);
+      if (!subMission) return;
+      subMission.checkpoints = subMission.checkpoints.filter(cp => cp.checkpointId !== checkpointId);
+      renumber(subMission.checkpoints, 'order');
+      state.isDirty = true;
+    },
+
+    moveCheckpoint: (state, action) => {
+      const { subMissionId, checkpointId, direction } = action.payload;
+      const subMission = findDraftSubMission(state, subMissionId);
+      if (!subMission) return;
+      moveItem(subMission.checkpoints, subMission.checkpoints.findIndex(cp => cp.checkpointId === checkpointId), direction);
+      renumber(subMission.checkpoints, 'order');
+      state.isDirty = true;
+    },
+
+    // Reset curriculum state
+    resetCurriculumState: () => initialState
+  },
+
+  extraReducers: (builder) => {
+    builder
+      // ==================== VERSIONS ====================
+      .addCase(fetchCurriculumVersions.pending, (state) => {
+        state.loading.versions = true;
+        state.error.versions = null;
+      })
+      .addCase(fetchCurriculumVersions.fulfilled, (state, action) => {
+        state.loading.versions = false;
+        state.versions = action.payload;
+      })
+      .addCase(fetchCurriculumVersions.rejected, (state, action) => {
+        state.loading.versions = false;
+        state.error.versions = action.payload;
+      })
+
+      // ==================== OPEN DRAFT ====================
+      .addCase(openCurriculumDraft.pending, (state) => {
+        state.loading.draft = true;
+        state.error.draft = null;
+      })
+      .addCase(openCurriculumDraft.fulfilled, (state, action) => {
+        state.loading.draft = false;
+        state.draft = action.payload.draft;
+        state.published = action.payload.published;
+        state.isDirty = false;
+        state.error.save = null;
+      })
+      .addCase(openCurriculumDraft.rejected, (state, action) => {
+        state.loading.draft = false;
+        state.error.draft = action.payload;
+      })
+
+      // ==================== SAVE ====================
+      .addCase(saveCurriculumDraft.pending, (state) => {
+        state.loading.save = true;
+        state.error.save = null;
+      })
+      .addCase(saveCurriculumDraft.fulfilled, (state, action) => {
+        state.loading.save = false;
+        // Keep edits made while the save was in flight; take the new version stamp
+        state.draft.updatedAt = action.payload.updatedAt;
+        state.draft.updatedBy = action.payload.updatedBy;
+        state.isDirty = JSON.stringify({ stages: state.draft.stages, missions: state.draft.missions, notes: state.draft.notes })
+          !== JSON.stringify({ stages: action.payload.stages, missions: action.payload.missions, notes: action.payload.notes });
+      })
+      .addCase(saveCurriculumDraft.rejected, (state, action) => {
+        state.loading.save = false;
+        state.error.save = action.payload;
+      })
+
+      // ==================== PUBLISH / DISCARD ====================
+      .addCase(startCurriculumDraft.pending, (state) => {
+        state.loading.action = true;
+        state.error.action = null;
+      })
+      .addCase(startCurriculumDraft.fulfilled, (state) => {
+        state.loading.action = false;
+      })
+      .addCase(startCurriculumDraft.rejected, (state, action) => {
+        state.loading.action = false;
+        state.error.action = action.payload;
+      })
+      .addCase(publishCurriculumDraft.pending, (state) => {
+        state.loading.action = true;
+        state.error.action = null;
+      })
+      .addCase(publishCurriculumDraft.fulfilled, (state, action) => {
+        state.loading.action = false;
+        if (state.draft?.versionId === action.payload.versionId) {
+          state.draft = null;
+          state.published = null;
+          state.isDirty = false;
+        }
+      })
+      .addCase(publishCurriculumDraft.rejected, (state, action) => {
+        state.loading.action = false;
+        state.error.action = action.payload;
+      })
+      .addCase(discardCurriculumDraft.pending, (state) => {
+        state.loading.action = true;
+        state.error.action = null;
+      })
+      .addCase(discardCurriculumDraft.fulfilled, (state, action) => {
+        state.loading.action = false;
+        state.versions = state.versions.filter(v => v.versionId !== action.payload);
+        if (state.draft?.versionId === action.payload) {
+          state.draft = null;
+          state.published = null;
+          state.isDirty = false;
+        }
+      })
+      .addCase(discardCurriculumDraft.rejected, (state, action) => {
+        state.loading.action = false;
+        state.error.action = action.payload;
+      });
+  }
+});
+
+// ==================== EXPORTS ====================
+
+export const {
+  updateDraftNotes,
+  closeCurriculumDraft,
+  addStage,
+  updateStage,
+  removeStage,
+  addMission,
+  updateMission,
+  removeMission,
+  addSubMission,
+  updateSubMission,
+  removeSubMission,
+  moveSubMission,
+  addCheckpoint,
+  updateCheckpoint,
+  removeCheckpoint,
+  moveCheckpoint,
+  resetCurriculumState
+} = curriculumSlice.actions;
+
+export default curriculumSlice.reducer;
@@ -0,0 +1,191 @@
+/**
+ * Economy Config Redux Slice
+ *
+ * Holds the active game economy config. loadEconomyConfig runs at start-up:
+ * the server's config is validated and made active (setEconomyConfig), so
+ * every calculator and the game.config views use it; until then, or if it
+ * fails validation, the shipped defaults stay active. Admins preview a
+ * change and save it from System Settings; a save makes the new config
+ * active straight away.
+ */
+
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import economyService from '../../services/api/economy.service';
+import { getEconomyConfig, setEconomyConfig } from '../../config/economy.config';
+import { validateEconomyConfig } from '../../utils/validators/economy.validator';
+import { createValidationError, formatErrorForDisplay } from '../../utils/error/error.handler';
+
+// ==================== ASYNC THUNKS ====================
+
+/**
+ * Validates a config from the server and makes it active
+ * @param {Object} config - Economy config
+ * @throws {GPSLabError} Validation error when the config does not match the schema
+ */
+const activate = (config) => {
+  const { valid, errors } = validateEconomyConfig(config);
+  if (!valid) {
+    throw createValidationError(Object.fromEntries(errors.map(e => [e.path, e.message])));
+  }
+  setEconomyConfig(config);
+};
+
+/**
+ * Load the active economy config from the server
+ */
+export const loadEconomyConfig = createAsyncThunk(
+  'economy/loadConfig',
+  async ({ useCache = true } = {}, { rejectWithValue }) => {
+    try {
+      const result = await economyService.getEconomyConfig({ useCache });
+      activate(result.config);
+      return result;
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+/**
+ * Preview what a proposed config would change
+ */
+export const previewEconomyConfig = createAsyncThunk(
+  'economy/previewConfig',
+  async (config, { rejectWithValue }) => {
+    try {
+      return await economyService.previewEconomyConfig(config);
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+/**
+ * Save a new config and make it active
+ */
+export const saveEconomyConfig = createAsyncThunk(
+  'economy/saveConfig',
+  async ({ config, reason }, { getState, rejectWithValue }) => {
+    try {
+      const { updatedAt } = getState().economy;
+      const result = await economyService.updateEconomyConfig(config, { reason, updatedAt });
+      activate(result.config);
+      return result;
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+// ==================== INITIAL STATE ====================
+
+const initialState = {
+  // Active config; the shipped defaults until the server's loads
+  config: getEconomyConfig(),
+  source: 'default',
+  revision: null,
+  updatedAt: null,
+  updatedBy: null,
+
+  // Impact of the change being previewed
+  preview: null,
+
+  // Loading states
+  loading: {
+    config: false,
+    preview: false,
+    save: false
+  },
+
+  // Error states
+  error: {
+    config: null,
+    preview: null,
+    save: null
+  }
+};
+
+/**
+ * Stores a config response from the server
+ * @param {Object} state - Slice state
+ * @param {Object} payload - { config, revision, updatedAt, updatedBy }
+ */
+const receiveConfig = (state, { config, revision, updatedAt, updatedBy }) => {
+  state.config = config;
+  state.source = 'server';
+  state.revision = revision;
+  state.updatedAt = updatedAt;
+  state.updatedBy = updatedBy;
+};
+
+// ==================== SLICE ====================
+
+const economySlice = createSlice({
+  name: 'economy',
+  initialState,
+  reducers: {
+    clearEconomyPreview: (state) => {
+      state.preview = null;
+      state.error.preview = null;
+    },
+
+    clearEconomyError: (state, action) => {
+      if (action.payload) {
+        state.error[action.payload] = null;
+      } else {
+        Object.keys(state.error).forEach(key => { state.error[key] = null; });
+      }
+    }
+  },
+  extraReducers: (builder) => {
+    builder
+      // ==================== CONFIG ====================
+      .addCase(loadEconomyConfig.pending, (state) => {
+        state.loading.config = true;
+        state.error.config = null;
+      })
+      .addCase(loadEconomyConfig.fulfilled, (state, action) => {
+        state.loading.config = false;
+        receiveConfig(state, action.payload);
+      })
+      .addCase(loadEconomyConfig.rejected, (state, action) => {
+        state.loading.config = false;
+        state.error.config = action.payload;
+      })
+
+      // ==================== PREVIEW ====================
+      .addCase(previewEconomyConfig.pending, (state) => {
+        state.loading.preview = true;
+        state.error.preview = null;
+      })
+      .addCase(previewEconomyConfig.fulfilled, (state, action) => {
+        state.loading.preview = false;
+        state.preview = action.payload;
+      })
+      .addCase(previewEconomyConfig.rejected, (state, action) => {
+        state.loading.preview = false;
+        state.error.preview = action.payload;
+      })
+
+      // ==================== SAVE ====================
+      .addCase(saveEconomyConfig.pending, (state) => {
+        state.loading.save = true;
+        state.error.save = null;
+      })
+      .addCase(saveEconomyConfig.fulfilled, (state, action) => {
+        state.loading.save = false;
+        state.preview = null;
+        receiveConfig(state, action.payload);
+      })
+      .addCase(saveEconomyConfig.rejected, (state, action) => {
+        state.loading.save = false;
+        state.error.save = action.payload;
+      });
+  }
+});
+
+// ==================== EXPORTS ====================
+
+export const { clearEconomyPreview, clearEconomyError } = economySlice.actions;
+
+export default economySlice.reducer;
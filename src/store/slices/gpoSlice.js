@@ -0,0 +1,364 @@
+/**
+ * GPO Redux Slice
+ *
+ * Manages Global Problem Opportunity (GPO) projects: the learner's project
+ * list, drafting and editing, submission for review, review results,
+ * peer and mentor validation, the community feed of published showcases
+ * and project categories.
+ */
+
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import gpoService from '../../services/api/gpo.service';
+import { formatErrorForDisplay } from '../../utils/error/error.handler';
+
+// ==================== ASYNC THUNKS ====================
+
+/**
+ * Fetch the learner's GPO projects
+ */
+export const fetchProjects = createAsyncThunk(
+  'gpo/fetchProjects',
+  async (params = {}, { rejectWithValue }) => {
+    try {
+      return await gpoService.getProjects(params);
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+/**
+ * Fetch a single GPO project
+ */
+export const fetchProject = createAsyncThunk(
+  'gpo/fetchProject',
+  async (projectId, { rejectWithValue }) => {
+    try {
+      return await gpoService.getProject(projectId);
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+/**
+ * Create a GPO project draft
+ */
+export const createProject = createAsyncThunk(
+  'gpo/createProject',
+  async (data, { rejectWithValue }) => {
+    try {
+      return await gpoService.createProject(data);
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+/**
+ * Update a GPO project
+ */
+export const updateProject = createAsyncThunk(
+  'gpo/updateProject',
+  async ({ projectId, data }, { rejectWithValue }) => {
+    try {
+      return await gpoService.updateProject(projectId, data);
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+/**
+ * Submit a GPO project for review
+ */
+export const submitProject = createAsyncThunk(
+  'gpo/submitProject',
+  async (projectId, { rejectWithValue }) => {
+    try {
+      return await gpoService.submitProject(projectId);
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+/**
+ * Delete a GPO project
+ */
+export const deleteProject = createAsyncThunk(
+  'gpo/deleteProject',
+  async (projectId, { rejectWithValue }) => {
+    try {
+      await gpoService.deleteProject(projectId);
+      return projectId;
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+/**
+ * Fetch the review for a submitted project
+ */
+export const fetchProjectReview = createAsyncThunk(
+  'gpo/fetchProjectReview',
+  async (projectId, { rejectWithValue }) => {
+    try {
+      return await gpoService.getProjectReview(projectId);
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+/**
+ * Validate a submitted showcase as a peer or mentor
+ */
+export const validateProject = createAsyncThunk(
+  'gpo/validateProject',
+  async ({ projectId, validation }, { rejectWithValue }) => {
+    try {
+      return await gpoService.validateProject(projectId, validation);
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+/**
+ * Fetch the showcases awaiting the learner's validation
+ */
+export const fetchValidationQueue = createAsyncThunk(
+  'gpo/fetchValidationQueue',
+  async (params = {}, { rejectWithValue }) => {
+    try {
+      return await gpoService.getValidationQueue(params);
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+/**
+ * Fetch published showcases for the community feed. Page 1 replaces the
+ * feed; later pages append to it.
+ */
+export const fetchShowcases = createAsyncThunk(
+  'gpo/fetchShowcases',
+  async (params = {}, { rejectWithValue }) => {
+    try {
+      return await gpoService.getShowcases(params);
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+/**
+ * Fetch GPO categories
+ */
+export const fetchCategories = createAsyncThunk(
+  'gpo/fetchCategories',
+  async ({ useCache = true } = {}, { rejectWithValue }) => {
+    try {
+      const response = await gpoService.getCategories({ useCache });
+      return response.categories || [];
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+// ==================== HELPERS ====================
+
+/**
+ * Inserts or merges projects into the list by id
+ * @param {Object} state - Slice state
+ * @param {Array<Object>} projects - Projects to upsert
+ */
+const upsertProjects = (state, projects = []) => {
+  projects.forEach(project => {
+    if (!project?.id) return;
+    const index = state.projects.findIndex(p => p.id === project.id);
+    if (index !== -1) {
+      state.projects[index] = { ...state.projects[index], ...project };
+    } else {
+      state.projects.push(project);
+    }
+  });
+};
+
+// ==================== INITIAL STATE ====================
+
+const initialState = {
+  // Projects
+  projects: [],
+  pagination: null,
+  currentProjectId: null,
+
+  // Reviews keyed by project id
+  reviews: {},
+
+  // Community feed of published showcases
+  showcases: [],
+  showcasesPagination: null,
+
+  // Showcases awaiting the learner's validation
+  validationQueue: [],
+  validatorRole: null,
+
+  // Categories
+  categories: [],
+
+  // Loading states
+  loading: {
+    list: false,
+    detail: false,
+    action: false,
+    feed: false,
+    queue: false
+  },
+
+  // Error states
+  error: {
+    list: null,
+    detail: null,
+    action: null,
+    feed: null,
+    queue: null
+  }
+};
+
+// ==================== SLICE ====================
+
+const gpoSlice = createSlice({
+  name: 'gpo',
+  initialState,
+  reducers: {
+    // Set current project
+    setCurrentProject: (state, action) => {
+      state.currentProjectId = action.payload;
+    },
+
+    // Reset GPO state
+    resetGpoState: () => initialState
+  },
+
+  extraReducers: (builder) => {
+    // Create, update, submit and validate all return the project view
+    [createProject, updateProject, submitProject, validateProject].forEach(thunk => {
+      builder
+        .addCase(thunk.pending, (state) => {
+          state.loading.action = true;
+          state.error.action = null;
+        })
+        .addCase(thunk.fulfilled, (state, action) => {
+          const { message, ...project } = action.payload;
+          state.loading.action = false;
+          upsertProjects(state, [project]);
+          state.currentProjectId = project.id;
+          if (thunk === validateProject) {
+            state.validationQueue = state.validationQueue.filter(p => p.id !== project.id);
+          }
+        })
+        .addCase(thunk.rejected, (state, action) => {
+          state.loading.action = false;
+          state.error.action = action.payload;
+        });
+    });
+
+    builder
+      // ==================== FETCH PROJECTS ====================
+      .addCase(fetchProjects.pending, (state) => {
+        state.loading.list = true;
+        state.error.list = null;
+      })
+      .addCase(fetchProjects.fulfilled, (state, action) => {
+        state.loading.list = false;
+        upsertProjects(state, action.payload.projects);
+        state.pagination = action.payload.pagination || null;
+      })
+      .addCase(fetchProjects.rejected, (state, action) => {
+        state.loading.list = false;
+        state.error.list = action.payload;
+      })
+
+      // ==================== FETCH PROJECT ====================
+      .addCase(fetchProject.pending, (state) => {
+        state.loading.detail = true;
+        state.error.detail = null;
+      })
+      .addCase(fetchProject.fulfilled, (state, action) => {
+        state.loading.detail = false;
+        upsertProjects(state, [action.payload]);
+      })
+      .addCase(fetchProject.rejected, (state, action) => {
+        state.loading.detail = false;
+        state.error.detail = action.payload;
+      })
+
+      // ==================== DELETE PROJECT ====================
+      .addCase(deleteProject.fulfilled, (state, action) => {
+        state.projects = state.projects.filter(p => p.id !== action.payload);
+        delete state.reviews[action.payload];
+        if (state.currentProjectId === action.payload) state.currentProjectId = null;
+      })
+      .addCase(deleteProject.rejected, (state, action) => {
+        state.error.action = action.payload;
+      })
+
+      // ==================== REVIEW ====================
+      .addCase(fetchProjectReview.fulfilled, (state, action) => {
+        state.reviews[action.payload.projectId] = action.payload;
+      })
+      .addCase(fetchProjectReview.rejected, (state, action) => {
+        state.error.detail = action.payload;
+      })
+
+      // ==================== VALIDATION QUEUE ====================
+      .addCase(fetchValidationQueue.pending, (state) => {
+        state.loading.queue = true;
+        state.error.queue = null;
+      })
+      .addCase(fetchValidationQueue.fulfilled, (state, action) => {
+        state.loading.queue = false;
+        state.validationQueue = action.payload.projects;
+        state.validatorRole = action.payload.validatorRole;
+      })
+      .addCase(fetchValidationQueue.rejected, (state, action) => {
+        state.loading.queue = false;
+        state.error.queue = action.payload;
+      })
+
+      // ==================== COMMUNITY FEED ====================
+      .addCase(fetchShowcases.pending, (state) => {
+        state.loading.feed = true;
+        state.error.feed = null;
+      })
+      .addCase(fetchShowcases.fulfilled, (state, action) => {
+        const { showcases, pagination } = action.payload;
+        state.loading.feed = false;
+        state.showcases = pagination.page > 1 ? [...state.showcases, ...showcases] : showcases;
+        state.showcasesPagination = pagination;
+      })
+      .addCase(fetchShowcases.rejected, (state, action) => {
+        state.loading.feed = false;
+        state.error.feed = action.payload;
+      })
+
+      // ==================== CATEGORIES ====================
+      .addCase(fetchCategories.fulfilled, (state, action) => {
+        state.categories = action.payload;
+      });
+  }
+});
+
+// ==================== EXPORTS ====================
+
+export const {
+  setCurrentProject,
+  resetGpoState
+} = gpoSlice.actions;
+
+export default gpoSlice.reducer;
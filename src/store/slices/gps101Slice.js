@@ -8,6 +8,10 @@
  * 
  * Manages GPS 101 state in Redux store with complete async thunk actions.
  *
+ * Curriculum content (stages, missions, sub-missions, checkpoints) is the
+ * published version from the API, starting from the bundled curriculum so
+ * the course works before it loads and offline.
+ *
  * UPDATED: enrollInGPS101 thunk now has a mock-safe fallback so that Redux
  * state is properly seeded (isEnrolled = true, Stage 1 = 'available') even
  * when no real API server exists. All fetch thunks also have graceful fallbacks
@@ -17,9 +21,28 @@
 import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
 import gps101Service from '../../services/api/gps101.service';
 import { GPS_101_CONFIG } from '../../config/gps101.config';
+import { BUNDLED_CURRICULUM } from '../../utils/helpers/curriculum.helper';
 
 // ==================== ASYNC THUNKS ====================
 
+/**
+ * Fetch the published curriculum
+ *
+ * Resolves with null when the API is unavailable, keeping whatever
+ * curriculum is loaded (the bundled one at first).
+ */
+export const fetchGPS101Curriculum = createAsyncThunk(
+  'gps101/fetchCurriculum',
+  async ({ useCache = true } = {}, { signal }) => {
+    try {
+      return await gps101Service.getPublishedCurriculum({ signal, useCache });
+    } catch (error) {
+      console.warn('GPS101 fetchGPS101Curriculum: API unavailable, keeping the loaded curriculum.');
+      return null;
+    }
+  }
+);
+
 /**
  * Enroll in GPS 101
  *
@@ -343,6 +366,12 @@ export const retryGPS101Checkpoint = createAsyncThunk(
 // ==================== INITIAL STATE ====================
 
 const initialState = {
+  // Curriculum content (published version, or the bundled one)
+  curriculum: {
+    ...BUNDLED_CURRICULUM,
+    source: 'bundled'
+  },
+
   // Enrollment
   isEnrolled: false,
   enrollmentDate: null,
@@ -390,6 +419,7 @@ const initialState = {
 
   // Loading states
   loading: {
+    curriculum: false,
     enrollment: false,
     progress: false,
     stages: false,
@@ -401,6 +431,7 @@ const initialState = {
 
   // Error states
   error: {
+    curriculum: null,
     enrollment: null,
     progress: null,
     stages: null,
@@ -437,9 +468,9 @@ const gps101Slice = createSlice({
       state.currentCheckpoint = action.payload;
     },
 
-    // Reset GPS 101 state
+    // Reset GPS 101 state (the curriculum is not per-user, so it stays)
     resetGPS101State: (state) => {
-      return initialState;
+      return { ...initialState, curriculum: state.curriculum };
     },
 
     // Update deliverable locally
@@ -451,6 +482,20 @@ const gps101Slice = createSlice({
 
   extraReducers: (builder) => {
     builder
+      // ==================== CURRICULUM ====================
+      .addCase(fetchGPS101Curriculum.pending, (state) => {
+        state.loading.curriculum = true;
+      })
+      .addCase(fetchGPS101Curriculum.fulfilled, (state, action) => {
+        state.loading.curriculum = false;
+        if (action.payload?.missions) {
+          state.curriculum = { ...action.payload, source: 'server' };
+        }
+      })
+      .addCase(fetchGPS101Curriculum.rejected, (state) => {
+        state.loading.curriculum = false;
+      })
+
       // ==================== ENROLL ====================
       .addCase(enrollInGPS101.pending, (state) => {
         state.loading.enrollment = true;
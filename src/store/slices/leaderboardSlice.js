@@ -0,0 +1,161 @@
+/**
+ * Leaderboard Redux Slice
+ *
+ * Manages leaderboard boards (global, weekly, monthly, per stage, party or
+ * university) and the learner's own rank. Each board is stored under a
+ * key such as `global`, `stage:3` or `party:party_001`.
+ */
+
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import leaderboardService from '../../services/api/leaderboard.service';
+import { formatErrorForDisplay } from '../../utils/error/error.handler';
+
+// ==================== HELPERS ====================
+
+/**
+ * Loads one board by scope
+ * @param {Object} args - { scope, id, page, limit }
+ * @returns {Promise<Object>} Board response
+ */
+const loadBoard = ({ scope, id, page, limit }) => {
+  const params = { page, limit };
+  switch (scope) {
+    case 'weekly':
+      return leaderboardService.getWeeklyLeaderboard(params);
+    case 'monthly':
+      return leaderboardService.getMonthlyLeaderboard(params);
+    case 'stage':
+      return leaderboardService.getStageLeaderboard(id, params);
+    case 'party':
+      return leaderboardService.getPartyLeaderboard(id, params);
+    case 'university':
+      return leaderboardService.getUniversityLeaderboard(id, params);
+    default:
+      return leaderboardService.getGlobalLeaderboard(params);
+  }
+};
+
+/**
+ * Builds the state key for a board
+ * @param {string} scope - Board scope
+ * @param {string|number} [id] - Stage number, party ID or university code
+ * @returns {string} Board key
+ */
+export const getBoardKey = (scope = 'global', id) => (id !== undefined && id !== null ? `${scope}:${id}` : scope);
+
+// ==================== ASYNC THUNKS ====================
+
+/**
+ * Fetch a leaderboard by scope
+ */
+export const fetchLeaderboard = createAsyncThunk(
+  'leaderboard/fetchLeaderboard',
+  async ({ scope = 'global', id, page = 1, limit = 20 } = {}, { rejectWithValue }) => {
+    try {
+      const response = await loadBoard({ scope, id, page, limit });
+      return {
+        key: getBoardKey(scope, id),
+        // Party boards list members rather than leaders
+        entries: response.leaders || response.members || [],
+        pagination: response.pagination || null,
+        period: response.period || null
+      };
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+/**
+ * Fetch the learner's own rank
+ */
+export const fetchUserRank = createAsyncThunk(
+  'leaderboard/fetchUserRank',
+  async (_, { rejectWithValue }) => {
+    try {
+      return await leaderboardService.getUserRank();
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+// ==================== INITIAL STATE ====================
+
+const initialState = {
+  // Boards keyed by scope (and id)
+  boards: {},
+  activeBoard: 'global',
+
+  // Learner's rank
+  userRank: null,
+
+  // Loading states
+  loading: {
+    board: false,
+    rank: false
+  },
+
+  // Error states
+  error: {
+    board: null,
+    rank: null
+  }
+};
+
+// ==================== SLICE ====================
+
+const leaderboardSlice = createSlice({
+  name: 'leaderboard',
+  initialState,
+  reducers: {
+    // Select which board is displayed
+    setActiveBoard: (state, action) => {
+      state.activeBoard = action.payload;
+    },
+
+    // Reset leaderboard state
+    resetLeaderboardState: () => initialState
+  },
+
+  extraReducers: (builder) => {
+    builder
+      // ==================== FETCH BOARD ====================
+      .addCase(fetchLeaderboard.pending, (state) => {
+        state.loading.board = true;
+        state.error.board = null;
+      })
+      .addCase(fetchLeaderboard.fulfilled, (state, action) => {
+        const { key, ...board } = action.payload;
+        state.loading.board = false;
+        state.boards[key] = { ...board, fetchedAt: new Date().toISOString() };
+      })
+      .addCase(fetchLeaderboard.rejected, (state, action) => {
+        state.loading.board = false;
+        state.error.board = action.payload;
+      })
+
+      // ==================== USER RANK ====================
+      .addCase(fetchUserRank.pending, (state) => {
+        state.loading.rank = true;
+        state.error.rank = null;
+      })
+      .addCase(fetchUserRank.fulfilled, (state, action) => {
+        state.loading.rank = false;
+        state.userRank = action.payload;
+      })
+      .addCase(fetchUserRank.rejected, (state, action) => {
+        state.loading.rank = false;
+        state.error.rank = action.payload;
+      });
+  }
+});
+
+// ==================== EXPORTS ====================
+
+export const {
+  setActiveBoard,
+  resetLeaderboardState
+} = leaderboardSlice.actions;
+
+export default leaderboardSlice.reducer;
@@ -0,0 +1,405 @@
+/**
+ * Mission Redux Slice
+ *
+ * Manages the mission catalog, the learner's active mission and mission
+ * lifecycle (accept, progress, abandon, complete) in the Redux store.
+ * Missions are kept in one list keyed by `id` and upserted as detail,
+ * stage and action responses arrive.
+ */
+
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import missionService from '../../services/api/mission.service';
+import { completeBite } from './biteSlice';
+import { formatErrorForDisplay } from '../../utils/error/error.handler';
+
+// ==================== ASYNC THUNKS ====================
+
+/**
+ * Fetch missions (paginated, filterable)
+ */
+export const fetchMissions = createAsyncThunk(
+  'mission/fetchMissions',
+  async (params = {}, { rejectWithValue, signal }) => {
+    try {
+      return await missionService.getMissions({ ...params, signal });
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+/**
+ * Fetch missions for one stage
+ */
+export const fetchMissionsByStage = createAsyncThunk(
+  'mission/fetchMissionsByStage',
+  async (stageNumber, { rejectWithValue, signal }) => {
+    try {
+      return await missionService.getMissionsByStage(stageNumber, { signal });
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+/**
+ * Fetch the learner's in-progress mission
+ */
+export const fetchCurrentMission = createAsyncThunk(
+  'mission/fetchCurrentMission',
+  async (_, { rejectWithValue, signal }) => {
+    try {
+      return await missionService.getCurrentActiveMission({ signal });
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+/**
+ * Fetch the recommended next mission
+ */
+export const fetchRecommendedMission = createAsyncThunk(
+  'mission/fetchRecommendedMission',
+  async (_, { rejectWithValue }) => {
+    try {
+      return await missionService.getRecommendedMission();
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+/**
+ * Fetch a single mission
+ */
+export const fetchMission = createAsyncThunk(
+  'mission/fetchMission',
+  async ({ missionId, useCache = true }, { rejectWithValue, signal }) => {
+    try {
+      return await missionService.getMission(missionId, { useCache, signal });
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+/**
+ * Fetch a mission briefing
+ */
+export const fetchMissionBriefing = createAsyncThunk(
+  'mission/fetchMissionBriefing',
+  async (missionId, { rejectWithValue }) => {
+    try {
+      const briefing = await missionService.getMissionBriefing(missionId);
+      return { missionId, briefing };
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+/**
+ * Accept a mission
+ */
+export const acceptMission = createAsyncThunk(
+  'mission/acceptMission',
+  async (missionId, { rejectWithValue }) => {
+    try {
+      return await missionService.acceptMission(missionId);
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+/**
+ * Abandon a mission
+ */
+export const abandonMission = createAsyncThunk(
+  'mission/abandonMission',
+  async ({ missionId, reason }, { rejectWithValue }) => {
+    try {
+      return await missionService.abandonMission(missionId, { reason });
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+/**
+ * Complete a mission (payload includes rewards and unlocks)
+ */
+export const completeMission = createAsyncThunk(
+  'mission/completeMission',
+  async (missionId, { rejectWithValue }) => {
+    try {
+      return await missionService.completeMission(missionId);
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+/**
+ * Update progress on the active mission
+ */
+export const updateMissionProgress = createAsyncThunk(
+  'mission/updateMissionProgress',
+  async ({ missionId, progress }, { rejectWithValue }) => {
+    try {
+      const updated = await missionService.updateMissionProgress(missionId, progress);
+      return { missionId, progress: updated };
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+// ==================== HELPERS ====================
+
+/**
+ * Inserts or merges missions into the list by id
+ * @param {Object} state - Slice state
+ * @param {Array<Object>} missions - Missions to upsert
+ */
+const upsertMissions = (state, missions = []) => {
+  missions.forEach(mission => {
+    if (!mission?.id) return;
+    const index = state.missions.findIndex(m => m.id === mission.id);
+    if (index !== -1) {
+      state.missions[index] = { ...state.missions[index], ...mission };
+    } else {
+      state.missions.push(mission);
+    }
+  });
+};
+
+// ==================== INITIAL STATE ====================
+
+const initialState = {
+  // Catalog
+  missions: [],
+  pagination: null,
+  loadedStages: [],
+
+  // Active mission
+  currentMissionId: null,
+  recommended: null,
+
+  // Briefings keyed by mission id
+  briefings: {},
+
+  // Result of the most recent completion (rewards, unlocks, badge)
+  lastCompletion: null,
+
+  // Loading states
+  loading: {
+    list: false,
+    current: false,
+    detail: false,
+    briefing: false,
+    action: false
+  },
+
+  // Error states
+  error: {
+    list: null,
+    current: null,
+    detail: null,
+    briefing: null,
+    action: null
+  }
+};
+
+// ==================== SLICE ====================
+
+const missionSlice = createSlice({
+  name: 'mission',
+  initialState,
+  reducers: {
+    // Set current mission
+    setCurrentMission: (state, action) => {
+      state.currentMissionId = action.payload;
+    },
+
+    // Merge a mission pushed from outside a thunk (e.g. real-time update)
+    missionUpdated: (state, action) => {
+      upsertMissions(state, [action.payload]);
+    },
+
+    // Clear the completion summary once it has been shown
+    clearLastCompletion: (state) => {
+      state.lastCompletion = null;
+    },
+
+    // Reset mission state
+    resetMissionState: () => initialState
+  },
+
+  extraReducers: (builder) => {
+    builder
+      // ==================== FETCH MISSIONS ====================
+      .addCase(fetchMissions.pending, (state) => {
+        state.loading.list = true;
+        state.error.list = null;
+      })
+      .addCase(fetchMissions.fulfilled, (state, action) => {
+        state.loading.list = false;
+        upsertMissions(state, action.payload.missions);
+        state.pagination = action.payload.pagination || null;
+      })
+      .addCase(fetchMissions.rejected, (state, action) => {
+        state.loading.list = false;
+        state.error.list = action.payload;
+      })
+
+      // ==================== FETCH BY STAGE ====================
+      .addCase(fetchMissionsByStage.pending, (state) => {
+        state.loading.list = true;
+        state.error.list = null;
+      })
+      .addCase(fetchMissionsByStage.fulfilled, (state, action) => {
+        state.loading.list = false;
+        upsertMissions(state, action.payload.missions);
+        if (!state.loadedStages.includes(action.meta.arg)) {
+          state.loadedStages.push(action.meta.arg);
+        }
+      })
+      .addCase(fetchMissionsByStage.rejected, (state, action) => {
+        state.loading.list = false;
+        state.error.list = action.payload;
+      })
+
+      // ==================== FETCH CURRENT ====================
+      .addCase(fetchCurrentMission.pending, (state) => {
+        state.loading.current = true;
+        state.error.current = null;
+      })
+      .addCase(fetchCurrentMission.fulfilled, (state, action) => {
+        state.loading.current = false;
+        if (action.payload) upsertMissions(state, [action.payload]);
+        state.currentMissionId = action.payload?.id || null;
+      })
+      .addCase(fetchCurrentMission.rejected, (state, action) => {
+        state.loading.current = false;
+        state.error.current = action.payload;
+      })
+
+      // ==================== FETCH RECOMMENDED ====================
+      .addCase(fetchRecommendedMission.fulfilled, (state, action) => {
+        if (action.payload?.mission) upsertMissions(state, [action.payload.mission]);
+        state.recommended = action.payload?.mission
+          ? { missionId: action.payload.mission.id, reason: action.payload.reason }
+          : null;
+      })
+
+      // ==================== FETCH MISSION ====================
+      .addCase(fetchMission.pending, (state) => {
+        state.loading.detail = true;
+        state.error.detail = null;
+      })
+      .addCase(fetchMission.fulfilled, (state, action) => {
+        state.loading.detail = false;
+        upsertMissions(state, [action.payload]);
+      })
+      .addCase(fetchMission.rejected, (state, action) => {
+        state.loading.detail = false;
+        state.error.detail = action.payload;
+      })
+
+      // ==================== FETCH BRIEFING ====================
+      .addCase(fetchMissionBriefing.pending, (state) => {
+        state.loading.briefing = true;
+        state.error.briefing = null;
+      })
+      .addCase(fetchMissionBriefing.fulfilled, (state, action) => {
+        state.loading.briefing = false;
+        state.briefings[action.payload.missionId] = action.payload.briefing;
+      })
+      .addCase(fetchMissionBriefing.rejected, (state, action) => {
+        state.loading.briefing = false;
+        state.error.briefing = action.payload;
+      })
+
+      // ==================== ACCEPT MISSION ====================
+      .addCase(acceptMission.pending, (state) => {
+        state.loading.action = true;
+        state.error.action = null;
+      })
+      .addCase(acceptMission.fulfilled, (state, action) => {
+        state.loading.action = false;
+        upsertMissions(state, [action.payload]);
+        state.currentMissionId = action.payload.id;
+      })
+      .addCase(acceptMission.rejected, (state, action) => {
+        state.loading.action = false;
+        state.error.action = action.payload;
+      })
+
+      // ==================== ABANDON MISSION ====================
+      .addCase(abandonMission.pending, (state) => {
+        state.loading.action = true;
+        state.error.action = null;
+      })
+      .addCase(abandonMission.fulfilled, (state, action) => {
+        state.loading.action = false;
+        upsertMissions(state, [action.payload]);
+        if (state.currentMissionId === action.meta.arg.missionId) {
+          state.currentMissionId = null;
+        }
+      })
+      .addCase(abandonMission.rejected, (state, action) => {
+        state.loading.action = false;
+        state.error.action = action.payload;
+      })
+
+      // ==================== COMPLETE MISSION ====================
+      .addCase(completeMission.pending, (state) => {
+        state.loading.action = true;
+        state.error.action = null;
+      })
+      .addCase(completeMission.fulfilled, (state, action) => {
+        const { rewards, newlyUnlocked, levelUp, newBadge, ...mission } = action.payload;
+        state.loading.action = false;
+        upsertMissions(state, [mission]);
+
+        // Unlock the next mission locally until it is next fetched
+        const next = state.missions.find(m => m.id === newlyUnlocked);
+        if (next && next.status === 'locked') next.status = 'available';
+
+        if (state.currentMissionId === mission.id) state.currentMissionId = null;
+        state.lastCompletion = { missionId: mission.id, rewards, newlyUnlocked, levelUp, newBadge };
+      })
+      .addCase(completeMission.rejected, (state, action) => {
+        state.loading.action = false;
+        state.error.action = action.payload;
+      })
+
+      // ==================== UPDATE PROGRESS ====================
+      .addCase(updateMissionProgress.fulfilled, (state, action) => {
+        const mission = state.missions.find(m => m.id === action.payload.missionId);
+        if (mission) mission.progress = action.payload.progress;
+      })
+      .addCase(updateMissionProgress.rejected, (state, action) => {
+        state.error.action = action.payload;
+      })
+
+      // ==================== BITE COMPLETED ====================
+      .addCase(completeBite.fulfilled, (state, action) => {
+        const mission = state.missions.find(m => m.id === action.payload.missionId);
+        if (mission) mission.progress = action.payload.progress;
+      });
+  }
+});
+
+// ==================== EXPORTS ====================
+
+export const {
+  setCurrentMission,
+  missionUpdated,
+  clearLastCompletion,
+  resetMissionState
+} = missionSlice.actions;
+
+export default missionSlice.reducer;
@@ -0,0 +1,282 @@
+/**
+ * Navigator Redux Slice
+ *
+ * Manages conversations with the AI guide characters: chat history, the
+ * active character, streamed replies, the learner context sent with each
+ * message, suggestions and Navigator preferences.
+ */
+
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import navigatorService from '../../services/api/navigator.service';
+import { formatErrorForDisplay } from '../../utils/error/error.handler';
+
+// ==================== ASYNC THUNKS ====================
+
+/**
+ * Send a message to the active character
+ */
+export const sendMessage = createAsyncThunk(
+  'navigator/sendMessage',
+  async ({ message, character, context, streamResponse = false }, { getState, rejectWithValue }) => {
+    try {
+      return await navigatorService.sendMessage({
+        message,
+        character: character || getState().navigator.activeCharacter,
+        context,
+        streamResponse
+      });
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+/**
+ * Fetch chat history
+ */
+export const fetchChatHistory = createAsyncThunk(
+  'navigator/fetchChatHistory',
+  async (params = {}, { rejectWithValue }) => {
+    try {
+      const response = await navigatorService.getChatHistory(params);
+      return response.messages || [];
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+/**
+ * Clear chat history (optionally for one character)
+ */
+export const clearChatHistory = createAsyncThunk(
+  'navigator/clearChatHistory',
+  async (character, { rejectWithValue }) => {
+    try {
+      await navigatorService.clearChatHistory(character);
+      return character || null;
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+/**
+ * Update the learner context
+ */
+export const updateContext = createAsyncThunk(
+  'navigator/updateContext',
+  async (context, { rejectWithValue }) => {
+    try {
+      return await navigatorService.updateContext(context);
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+/**
+ * Fetch suggestions
+ */
+export const fetchSuggestions = createAsyncThunk(
+  'navigator/fetchSuggestions',
+  async (params = {}, { rejectWithValue }) => {
+    try {
+      const response = await navigatorService.getSuggestions(params);
+      return response.suggestions || [];
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+/**
+ * Fetch the characters available to the learner
+ */
+export const fetchCharacters = createAsyncThunk(
+  'navigator/fetchCharacters',
+  async (_, { rejectWithValue }) => {
+    try {
+      const response = await navigatorService.getAvailableCharacters();
+      return response.characters || [];
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+/**
+ * Fetch Navigator preferences
+ */
+export const fetchPreferences = createAsyncThunk(
+  'navigator/fetchPreferences',
+  async (_, { rejectWithValue }) => {
+    try {
+      return await navigatorService.getPreferences();
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+/**
+ * Update Navigator preferences
+ */
+export const updatePreferences = createAsyncThunk(
+  'navigator/updatePreferences',
+  async (preferences, { rejectWithValue }) => {
+    try {
+      return await navigatorService.updatePreferences(preferences);
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+// ==================== INITIAL STATE ====================
+
+const initialState = {
+  // Conversation
+  messages: [],
+  activeCharacter: 'navigator',
+
+  // Reply being streamed in (accumulated text)
+  streaming: null,
+
+  // Context, suggestions and configuration
+  context: null,
+  suggestions: [],
+  characters: [],
+  preferences: null,
+
+  // Loading states
+  loading: {
+    send: false,
+    history: false,
+    suggestions: false
+  },
+
+  // Error states
+  error: {
+    send: null,
+    history: null,
+    suggestions: null
+  }
+};
+
+// ==================== SLICE ====================
+
+const navigatorSlice = createSlice({
+  name: 'navigator',
+  initialState,
+  reducers: {
+    // Switch character
+    setActiveCharacter: (state, action) => {
+      state.activeCharacter = action.payload;
+    },
+
+    // Append a streamed chunk of the pending reply
+    streamChunkReceived: (state, action) => {
+      state.streaming = (state.streaming || '') + action.payload.chunk;
+    },
+
+    // Reset navigator state
+    resetNavigatorState: () => initialState
+  },
+
+  extraReducers: (builder) => {
+    builder
+      // ==================== SEND MESSAGE ====================
+      .addCase(sendMessage.pending, (state, action) => {
+        const { message, character } = action.meta.arg;
+        state.loading.send = true;
+        state.error.send = null;
+        state.streaming = null;
+        state.messages.push({
+          id: action.meta.requestId,
+          role: 'user',
+          character: character || state.activeCharacter,
+          content: message,
+          createdAt: new Date().toISOString()
+        });
+      })
+      .addCase(sendMessage.fulfilled, (state, action) => {
+        const { message, character, messageId, type } = action.payload;
+        state.loading.send = false;
+        state.streaming = null;
+        state.messages.push({
+          id: messageId || `${action.meta.requestId}_reply`,
+          role: 'assistant',
+          character,
+          content: message,
+          type: type || 'text',
+          createdAt: new Date().toISOString()
+        });
+      })
+      .addCase(sendMessage.rejected, (state, action) => {
+        state.loading.send = false;
+        state.streaming = null;
+        state.error.send = action.payload;
+        state.messages = state.messages.filter(m => m.id !== action.meta.requestId);
+      })
+
+      // ==================== HISTORY ====================
+      .addCase(fetchChatHistory.pending, (state) => {
+        state.loading.history = true;
+        state.error.history = null;
+      })
+      .addCase(fetchChatHistory.fulfilled, (state, action) => {
+        state.loading.history = false;
+        state.messages = action.payload;
+      })
+      .addCase(fetchChatHistory.rejected, (state, action) => {
+        state.loading.history = false;
+        state.error.history = action.payload;
+      })
+      .addCase(clearChatHistory.fulfilled, (state, action) => {
+        state.messages = action.payload
+          ? state.messages.filter(m => m.character !== action.payload)
+          : [];
+      })
+
+      // ==================== CONTEXT ====================
+      .addCase(updateContext.fulfilled, (state, action) => {
+        state.context = action.payload;
+      })
+
+      // ==================== SUGGESTIONS ====================
+      .addCase(fetchSuggestions.pending, (state) => {
+        state.loading.suggestions = true;
+        state.error.suggestions = null;
+      })
+      .addCase(fetchSuggestions.fulfilled, (state, action) => {
+        state.loading.suggestions = false;
+        state.suggestions = action.payload;
+      })
+      .addCase(fetchSuggestions.rejected, (state, action) => {
+        state.loading.suggestions = false;
+        state.error.suggestions = action.payload;
+      })
+
+      // ==================== CHARACTERS & PREFERENCES ====================
+      .addCase(fetchCharacters.fulfilled, (state, action) => {
+        state.characters = action.payload;
+      })
+      .addCase(fetchPreferences.fulfilled, (state, action) => {
+        state.preferences = action.payload;
+      })
+      .addCase(updatePreferences.fulfilled, (state, action) => {
+        state.preferences = action.payload;
+      });
+  }
+});
+
+// ==================== EXPORTS ====================
+
+export const {
+  setActiveCharacter,
+  streamChunkReceived,
+  resetNavigatorState
+} = navigatorSlice.actions;
+
+export default navigatorSlice.reducer;
@@ -0,0 +1,302 @@
+/**
+ * Notification Redux Slice
+ *
+ * Manages in-app notifications: the notification list, unread counts,
+ * read/delete actions and notification preferences. Notifications pushed
+ * in real time are added through `notificationReceived`.
+ */
+
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import notificationService from '../../services/api/notification.service';
+import { formatErrorForDisplay } from '../../utils/error/error.handler';
+
+// ==================== ASYNC THUNKS ====================
+
+/**
+ * Fetch notifications (paginated, filterable)
+ */
+export const fetchNotifications = createAsyncThunk(
+  'notification/fetchNotifications',
+  async (params = {}, { rejectWithValue }) => {
+    try {
+      return await notificationService.getNotifications(params);
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+/**
+ * Fetch unread counts
+ */
+export const fetchUnreadCount = createAsyncThunk(
+  'notification/fetchUnreadCount',
+  async (_, { rejectWithValue }) => {
+    try {
+      return await notificationService.getUnreadCount();
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+/**
+ * Mark one notification as read
+ */
+export const markAsRead = createAsyncThunk(
+  'notification/markAsRead',
+  async (notificationId, { rejectWithValue }) => {
+    try {
+      await notificationService.markAsRead(notificationId);
+      return [notificationId];
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+/**
+ * Mark several notifications as read
+ */
+export const markMultipleAsRead = createAsyncThunk(
+  'notification/markMultipleAsRead',
+  async (notificationIds, { rejectWithValue }) => {
+    try {
+      await notificationService.markMultipleAsRead(notificationIds);
+      return notificationIds;
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+/**
+ * Mark all notifications (optionally one category) as read
+ */
+export const markAllAsRead = createAsyncThunk(
+  'notification/markAllAsRead',
+  async (category, { rejectWithValue }) => {
+    try {
+      await notificationService.markAllAsRead(category);
+      return category || null;
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+/**
+ * Delete a notification
+ */
+export const deleteNotification = createAsyncThunk(
+  'notification/deleteNotification',
+  async (notificationId, { rejectWithValue }) => {
+    try {
+      await notificationService.deleteNotification(notificationId);
+      return notificationId;
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+/**
+ * Delete all notifications (optionally one category)
+ */
+export const clearAll = createAsyncThunk(
+  'notification/clearAll',
+  async (category, { rejectWithValue }) => {
+    try {
+      await notificationService.clearAll(category);
+      return category || null;
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+/**
+ * Fetch notification preferences
+ */
+export const fetchPreferences = createAsyncThunk(
+  'notification/fetchPreferences',
+  async (_, { rejectWithValue }) => {
+    try {
+      return await notificationService.getPreferences();
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+/**
+ * Update notification preferences
+ */
+export const updatePreferences = createAsyncThunk(
+  'notification/updatePreferences',
+  async (preferences, { rejectWithValue }) => {
+    try {
+      return await notificationService.updatePreferences(preferences);
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+// ==================== HELPERS ====================
+
+/**
+ * Recounts unread notifications from the loaded list
+ * @param {Object} state - Slice state
+ */
+const recountUnread = (state) => {
+  const unread = state.notifications.filter(n => !n.read);
+  state.unreadCount = unread.length;
+  state.unreadByCategory = unread.reduce((counts, n) => {
+    counts[n.category] = (counts[n.category] || 0) + 1;
+    return counts;
+  }, {});
+};
+
+// ==================== INITIAL STATE ====================
+
+const initialState = {
+  // Notifications
+  notifications: [],
+  pagination: null,
+
+  // Unread counts
+  unreadCount: 0,
+  unreadByCategory: {},
+
+  // Preferences
+  preferences: null,
+
+  // Loading states
+  loading: {
+    list: false,
+    action: false,
+    preferences: false
+  },
+
+  // Error states
+  error: {
+    list: null,
+    action: null,
+    preferences: null
+  }
+};
+
+// ==================== SLICE ====================
+
+const notificationSlice = createSlice({
+  name: 'notification',
+  initialState,
+  reducers: {
+    // Prepend a notification pushed over the socket
+    notificationReceived: (state, action) => {
+      if (state.notifications.some(n => n.id === action.payload.id)) return;
+      state.notifications.unshift({ read: false, ...action.payload });
+      recountUnread(state);
+    },
+
+    // Reset notification state
+    resetNotificationState: () => initialState
+  },
+
+  extraReducers: (builder) => {
+    // Single and bulk mark-as-read both resolve to the ids that were read
+    [markAsRead, markMultipleAsRead].forEach(thunk => {
+      builder
+        .addCase(thunk.fulfilled, (state, action) => {
+          state.notifications.forEach(n => {
+            if (action.payload.includes(n.id)) n.read = true;
+          });
+          recountUnread(state);
+        })
+        .addCase(thunk.rejected, (state, action) => {
+          state.error.action = action.payload;
+        });
+    });
+
+    builder
+      // ==================== FETCH NOTIFICATIONS ====================
+      .addCase(fetchNotifications.pending, (state) => {
+        state.loading.list = true;
+        state.error.list = null;
+      })
+      .addCase(fetchNotifications.fulfilled, (state, action) => {
+        state.loading.list = false;
+        state.notifications = action.payload.notifications || [];
+        state.pagination = action.payload.pagination || null;
+      })
+      .addCase(fetchNotifications.rejected, (state, action) => {
+        state.loading.list = false;
+        state.error.list = action.payload;
+      })
+
+      // ==================== UNREAD COUNT ====================
+      .addCase(fetchUnreadCount.fulfilled, (state, action) => {
+        state.unreadCount = action.payload.count;
+        state.unreadByCategory = action.payload.byCategory || {};
+      })
+
+      // ==================== MARK ALL READ ====================
+      .addCase(markAllAsRead.fulfilled, (state, action) => {
+        state.notifications.forEach(n => {
+          if (!action.payload || n.category === action.payload) n.read = true;
+        });
+        recountUnread(state);
+      })
+      .addCase(markAllAsRead.rejected, (state, action) => {
+        state.error.action = action.payload;
+      })
+
+      // ==================== DELETE ====================
+      .addCase(deleteNotification.fulfilled, (state, action) => {
+        state.notifications = state.notifications.filter(n => n.id !== action.payload);
+        recountUnread(state);
+      })
+      .addCase(deleteNotification.rejected, (state, action) => {
+        state.error.action = action.payload;
+      })
+      .addCase(clearAll.fulfilled, (state, action) => {
+        state.notifications = action.payload
+          ? state.notifications.filter(n => n.category !== action.payload)
+          : [];
+        recountUnread(state);
+      })
+      .addCase(clearAll.rejected, (state, action) => {
+        state.error.action = action.payload;
+      })
+
+      // ==================== PREFERENCES ====================
+      .addCase(fetchPreferences.pending, (state) => {
+        state.loading.preferences = true;
+        state.error.preferences = null;
+      })
+      .addCase(fetchPreferences.fulfilled, (state, action) => {
+        state.loading.preferences = false;
+        state.preferences = action.payload;
+      })
+      .addCase(fetchPreferences.rejected, (state, action) => {
+        state.loading.preferences = false;
+        state.error.preferences = action.payload;
+      })
+      .addCase(updatePreferences.fulfilled, (state, action) => {
+        state.preferences = action.payload;
+      })
+      .addCase(updatePreferences.rejected, (state, action) => {
+        state.error.preferences = action.payload;
+      });
+  }
+});
+
+// ==================== EXPORTS ====================
+
+export const {
+  notificationReceived,
+  resetNotificationState
+} = notificationSlice.actions;
+
+export default notificationSlice.reducer;
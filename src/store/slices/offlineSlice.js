@@ -0,0 +1,49 @@
+/**
+ * Offline Redux Slice
+ *
+ * Mirrors the offline service's sync status — connectivity, changes waiting
+ * to sync and conflicts reported on replay — for the pending-sync indicator.
+ * The service pushes updates through `syncStatusUpdated`; `requestReplayed`
+ * lets other slices apply a queued change once the server accepts it.
+ */
+
+import { createSlice, createAction } from '@reduxjs/toolkit';
+
+// ==================== ACTIONS ====================
+
+/**
+ * A queued request reached the server. Payload: { label, meta, data }
+ */
+export const requestReplayed = createAction('offline/requestReplayed');
+
+// ==================== INITIAL STATE ====================
+
+const initialState = {
+  isOnline: true,
+
+  // Queued changes waiting to sync
+  pendingCount: 0,
+  isSyncing: false,
+
+  // Changes the server refused on replay, newest first
+  conflicts: []
+};
+
+// ==================== SLICE ====================
+
+const offlineSlice = createSlice({
+  name: 'offline',
+  initialState,
+  reducers: {
+    // Replace the status with the service's latest snapshot
+    syncStatusUpdated: (state, action) => ({ ...state, ...action.payload })
+  }
+});
+
+// ==================== EXPORTS ====================
+
+export const {
+  syncStatusUpdated
+} = offlineSlice.actions;
+
+export default offlineSlice.reducer;
@@ -0,0 +1,514 @@
+/**
+ * Party Redux Slice
+ *
+ * Manages study parties: the learner's parties and invitations, discovery,
+ * membership changes, and per-party chat, tasks and progress. Parties are
+ * kept in one list keyed by `id`; chat, tasks and progress are keyed by
+ * party id.
+ */
+
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import partyService from '../../services/api/party.service';
+import { formatErrorForDisplay } from '../../utils/error/error.handler';
+
+// ==================== ASYNC THUNKS ====================
+
+/**
+ * Fetch the learner's parties and pending invitations
+ */
+export const fetchMyParties = createAsyncThunk(
+  'party/fetchMyParties',
+  async (params = {}, { rejectWithValue }) => {
+    try {
+      return await partyService.getMyParties(params);
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+/**
+ * Discover public parties
+ */
+export const discoverParties = createAsyncThunk(
+  'party/discoverParties',
+  async (params = {}, { rejectWithValue }) => {
+    try {
+      return await partyService.discoverParties(params);
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+/**
+ * Fetch recommended parties
+ */
+export const fetchRecommendedParties = createAsyncThunk(
+  'party/fetchRecommendedParties',
+  async (_, { rejectWithValue }) => {
+    try {
+      const response = await partyService.getRecommendedParties();
+      return response.parties || [];
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+/**
+ * Fetch a single party
+ */
+export const fetchParty = createAsyncThunk(
+  'party/fetchParty',
+  async ({ partyId, useCache = true }, { rejectWithValue }) => {
+    try {
+      return await partyService.getParty(partyId, { useCache });
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+/**
+ * Create a party
+ */
+export const createParty = createAsyncThunk(
+  'party/createParty',
+  async (partyData, { rejectWithValue }) => {
+    try {
+      return await partyService.createParty(partyData);
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+/**
+ * Update party settings
+ */
+export const updateParty = createAsyncThunk(
+  'party/updateParty',
+  async ({ partyId, data }, { rejectWithValue }) => {
+    try {
+      return await partyService.updateParty(partyId, data);
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+/**
+ * Join a party
+ */
+export const joinParty = createAsyncThunk(
+  'party/joinParty',
+  async ({ partyId, inviteCode }, { rejectWithValue }) => {
+    try {
+      return await partyService.joinParty(partyId, { inviteCode });
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+/**
+ * Leave a party
+ */
+export const leaveParty = createAsyncThunk(
+  'party/leaveParty',
+  async (partyId, { rejectWithValue }) => {
+    try {
+      await partyService.leaveParty(partyId);
+      return partyId;
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+/**
+ * Disband a party (leader only)
+ */
+export const disbandParty = createAsyncThunk(
+  'party/disbandParty',
+  async (partyId, { rejectWithValue }) => {
+    try {
+      await partyService.disbandParty(partyId);
+      return partyId;
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+/**
+ * Fetch chat messages for a party
+ */
+export const fetchChatMessages = createAsyncThunk(
+  'party/fetchChatMessages',
+  async ({ partyId, before, limit }, { rejectWithValue }) => {
+    try {
+      const response = await partyService.getChatMessages(partyId, { before, limit });
+      return { partyId, messages: response.messages || [], hasMore: Boolean(response.hasMore) };
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+/**
+ * Fetch tasks for a party
+ */
+export const fetchTasks = createAsyncThunk(
+  'party/fetchTasks',
+  async (partyId, { rejectWithValue }) => {
+    try {
+      const response = await partyService.getTasks(partyId);
+      return { partyId, tasks: response.tasks || [] };
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+/**
+ * Create a party task
+ */
+export const createTask = createAsyncThunk(
+  'party/createTask',
+  async ({ partyId, task }, { rejectWithValue }) => {
+    try {
+      const created = await partyService.createTask(partyId, task);
+      return { partyId, task: created };
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+/**
+ * Update a party task
+ */
+export const updateTask = createAsyncThunk(
+  'party/updateTask',
+  async ({ partyId, taskId, data }, { rejectWithValue }) => {
+    try {
+      const task = await partyService.updateTask(partyId, taskId, data);
+      return { partyId, task };
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+/**
+ * Fetch shared progress for a party
+ */
+export const fetchProgress = createAsyncThunk(
+  'party/fetchProgress',
+  async (partyId, { rejectWithValue }) => {
+    try {
+      return await partyService.getProgress(partyId);
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+// ==================== HELPERS ====================
+
+/**
+ * Inserts or merges parties into the list by id
+ * @param {Object} state - Slice state
+ * @param {Array<Object>} parties - Parties to upsert
+ */
+const upsertParties = (state, parties = []) => {
+  parties.forEach(party => {
+    if (!party?.id) return;
+    const index = state.parties.findIndex(p => p.id === party.id);
+    if (index !== -1) {
+      state.parties[index] = { ...state.parties[index], ...party };
+    } else {
+      state.parties.push(party);
+    }
+  });
+};
+
+/**
+ * Drops a party the learner is no longer part of
+ * @param {Object} state - Slice state
+ * @param {string} partyId - Party ID
+ */
+const removeMembership = (state, partyId) => {
+  state.myPartyIds = state.myPartyIds.filter(id => id !== partyId);
+  if (state.currentPartyId === partyId) state.currentPartyId = null;
+  delete state.chat[partyId];
+  delete state.tasks[partyId];
+  delete state.progress[partyId];
+};
+
+// ==================== INITIAL STATE ====================
+
+const initialState = {
+  // Parties across my, discovered and recommended lists
+  parties: [],
+  myPartyIds: [],
+  discoveredIds: [],
+  recommendedIds: [],
+  discoverPagination: null,
+  invitations: [],
+
+  // Party being viewed
+  currentPartyId: null,
+
+  // Keyed by party id
+  chat: {},
+  tasks: {},
+  progress: {},
+
+  // Loading states
+  loading: {
+    list: false,
+    discover: false,
+    detail: false,
+    chat: false,
+    tasks: false,
+    action: false
+  },
+
+  // Error states
+  error: {
+    list: null,
+    discover: null,
+    detail: null,
+    chat: null,
+    tasks: null,
+    action: null
+  }
+};
+
+// ==================== SLICE ====================
+
+const partySlice = createSlice({
+  name: 'party',
+  initialState,
+  reducers: {
+    // Set current party
+    setCurrentParty: (state, action) => {
+      state.currentPartyId = action.payload;
+    },
+
+    // Append a chat message pushed over the socket
+    chatMessageReceived: (state, action) => {
+      const { partyId } = action.payload;
+      const thread = state.chat[partyId] || { messages: [], hasMore: false };
+      if (!thread.messages.some(m => m.id === action.payload.id)) {
+        thread.messages.push(action.payload);
+      }
+      state.chat[partyId] = thread;
+    },
+
+    // Merge a party pushed from outside a thunk (e.g. real-time update)
+    partyUpdated: (state, action) => {
+      upsertParties(state, [action.payload]);
+    },
+
+    // Add a member who joined (pushed over the socket)
+    partyMemberJoined: (state, action) => {
+      const { partyId, member } = action.payload;
+      const party = state.parties.find(p => p.id === partyId);
+      if (!party) return;
+      party.members = party.members || [];
+      if (!party.members.some(m => m.userId === member.userId)) {
+        party.members.push(member);
+      }
+      party.memberCount = party.members.length;
+    },
+
+    // Remove a member who left (pushed over the socket)
+    partyMemberLeft: (state, action) => {
+      const { partyId, userId } = action.payload;
+      const party = state.parties.find(p => p.id === partyId);
+      if (!party?.members) return;
+      party.members = party.members.filter(m => m.userId !== userId);
+      party.memberCount = party.members.length;
+    },
+
+    // Insert or replace a task pushed over the socket
+    taskReceived: (state, action) => {
+      const { partyId, task } = action.payload;
+      const tasks = state.tasks[partyId] || [];
+      const index = tasks.findIndex(t => t.id === task.id);
+      if (index !== -1) {
+        tasks[index] = { ...tasks[index], ...task };
+      } else {
+        tasks.push(task);
+      }
+      state.tasks[partyId] = tasks;
+    },
+
+    // Reset party state
+    resetPartyState: () => initialState
+  },
+
+  extraReducers: (builder) => {
+    // Create, update and join all return the party view
+    [createParty, updateParty, joinParty].forEach(thunk => {
+      builder
+        .addCase(thunk.pending, (state) => {
+          state.loading.action = true;
+          state.error.action = null;
+        })
+        .addCase(thunk.fulfilled, (state, action) => {
+          state.loading.action = false;
+          upsertParties(state, [action.payload]);
+          if (action.payload.isMember && !state.myPartyIds.includes(action.payload.id)) {
+            state.myPartyIds.push(action.payload.id);
+          }
+          state.invitations = state.invitations.filter(i => i.partyId !== action.payload.id);
+        })
+        .addCase(thunk.rejected, (state, action) => {
+          state.loading.action = false;
+          state.error.action = action.payload;
+        });
+    });
+
+    // Leaving and disbanding both end the learner's membership
+    [leaveParty, disbandParty].forEach(thunk => {
+      builder
+        .addCase(thunk.pending, (state) => {
+          state.loading.action = true;
+          state.error.action = null;
+        })
+        .addCase(thunk.fulfilled, (state, action) => {
+          state.loading.action = false;
+          removeMembership(state, action.payload);
+          const party = state.parties.find(p => p.id === action.payload);
+          if (party) {
+            party.isMember = false;
+            party.myRole = null;
+            if (thunk === disbandParty) party.status = 'disbanded';
+          }
+        })
+        .addCase(thunk.rejected, (state, action) => {
+          state.loading.action = false;
+          state.error.action = action.payload;
+        });
+    });
+
+    builder
+      // ==================== MY PARTIES ====================
+      .addCase(fetchMyParties.pending, (state) => {
+        state.loading.list = true;
+        state.error.list = null;
+      })
+      .addCase(fetchMyParties.fulfilled, (state, action) => {
+        state.loading.list = false;
+        upsertParties(state, action.payload.parties);
+        state.myPartyIds = (action.payload.parties || []).map(p => p.id);
+        state.invitations = action.payload.invitations || [];
+      })
+      .addCase(fetchMyParties.rejected, (state, action) => {
+        state.loading.list = false;
+        state.error.list = action.payload;
+      })
+
+      // ==================== DISCOVER ====================
+      .addCase(discoverParties.pending, (state) => {
+        state.loading.discover = true;
+        state.error.discover = null;
+      })
+      .addCase(discoverParties.fulfilled, (state, action) => {
+        state.loading.discover = false;
+        upsertParties(state, action.payload.parties);
+        state.discoveredIds = (action.payload.parties || []).map(p => p.id);
+        state.discoverPagination = action.payload.pagination || null;
+      })
+      .addCase(discoverParties.rejected, (state, action) => {
+        state.loading.discover = false;
+        state.error.discover = action.payload;
+      })
+      .addCase(fetchRecommendedParties.fulfilled, (state, action) => {
+        upsertParties(state, action.payload);
+        state.recommendedIds = action.payload.map(p => p.id);
+      })
+
+      // ==================== FETCH PARTY ====================
+      .addCase(fetchParty.pending, (state) => {
+        state.loading.detail = true;
+        state.error.detail = null;
+      })
+      .addCase(fetchParty.fulfilled, (state, action) => {
+        state.loading.detail = false;
+        upsertParties(state, [action.payload]);
+      })
+      .addCase(fetchParty.rejected, (state, action) => {
+        state.loading.detail = false;
+        state.error.detail = action.payload;
+      })
+
+      // ==================== CHAT ====================
+      .addCase(fetchChatMessages.pending, (state) => {
+        state.loading.chat = true;
+        state.error.chat = null;
+      })
+      .addCase(fetchChatMessages.fulfilled, (state, action) => {
+        const { partyId, messages, hasMore } = action.payload;
+        state.loading.chat = false;
+        const existing = action.meta.arg.before ? state.chat[partyId]?.messages || [] : [];
+        state.chat[partyId] = { messages: [...messages, ...existing], hasMore };
+      })
+      .addCase(fetchChatMessages.rejected, (state, action) => {
+        state.loading.chat = false;
+        state.error.chat = action.payload;
+      })
+
+      // ==================== TASKS ====================
+      .addCase(fetchTasks.pending, (state) => {
+        state.loading.tasks = true;
+        state.error.tasks = null;
+      })
+      .addCase(fetchTasks.fulfilled, (state, action) => {
+        state.loading.tasks = false;
+        state.tasks[action.payload.partyId] = action.payload.tasks;
+      })
+      .addCase(fetchTasks.rejected, (state, action) => {
+        state.loading.tasks = false;
+        state.error.tasks = action.payload;
+      })
+      .addCase(createTask.fulfilled, (state, action) => {
+        const { partyId, task } = action.payload;
+        state.tasks[partyId] = [...(state.tasks[partyId] || []), task];
+      })
+      .addCase(createTask.rejected, (state, action) => {
+        state.error.tasks = action.payload;
+      })
+      .addCase(updateTask.fulfilled, (state, action) => {
+        const { partyId, task } = action.payload;
+        state.tasks[partyId] = (state.tasks[partyId] || []).map(t => (t.id === task.id ? task : t));
+      })
+      .addCase(updateTask.rejected, (state, action) => {
+        state.error.tasks = action.payload;
+      })
+
+      // ==================== PROGRESS ====================
+      .addCase(fetchProgress.fulfilled, (state, action) => {
+        state.progress[action.payload.partyId] = action.payload;
+      });
+  }
+});
+
+// ==================== EXPORTS ====================
+
+export const {
+  setCurrentParty,
+  chatMessageReceived,
+  partyUpdated,
+  partyMemberJoined,
+  partyMemberLeft,
+  taskReceived,
+  resetPartyState
+} = partySlice.actions;
+
+export default partySlice.reducer;
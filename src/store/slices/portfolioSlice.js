@@ -0,0 +1,287 @@
+/**
+ * Portfolio Redux Slice
+ *
+ * Manages the learner's public portfolio: profile fields and stats,
+ * showcase projects, certificates, share links and exports, plus
+ * portfolios of other learners viewed by username.
+ */
+
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import portfolioService from '../../services/api/portfolio.service';
+import { formatErrorForDisplay } from '../../utils/error/error.handler';
+
+// ==================== ASYNC THUNKS ====================
+
+/**
+ * Fetch the learner's portfolio (with projects and certificates)
+ */
+export const fetchPortfolio = createAsyncThunk(
+  'portfolio/fetchPortfolio',
+  async ({ useCache = true } = {}, { rejectWithValue }) => {
+    try {
+      return await portfolioService.getPortfolio({ useCache });
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+/**
+ * Update portfolio profile fields
+ */
+export const updatePortfolio = createAsyncThunk(
+  'portfolio/updatePortfolio',
+  async (data, { rejectWithValue }) => {
+    try {
+      return await portfolioService.updatePortfolio(data);
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+/**
+ * Fetch another learner's public portfolio
+ */
+export const fetchUserPortfolio = createAsyncThunk(
+  'portfolio/fetchUserPortfolio',
+  async (username, { rejectWithValue }) => {
+    try {
+      return await portfolioService.getUserPortfolio(username);
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+/**
+ * Add a showcase project
+ */
+export const addPortfolioProject = createAsyncThunk(
+  'portfolio/addPortfolioProject',
+  async (data, { rejectWithValue }) => {
+    try {
+      return await portfolioService.addProject(data);
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+/**
+ * Update a showcase project
+ */
+export const updatePortfolioProject = createAsyncThunk(
+  'portfolio/updatePortfolioProject',
+  async ({ projectId, data }, { rejectWithValue }) => {
+    try {
+      return await portfolioService.updateProject(projectId, data);
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+/**
+ * Remove a showcase project
+ */
+export const removePortfolioProject = createAsyncThunk(
+  'portfolio/removePortfolioProject',
+  async (projectId, { rejectWithValue }) => {
+    try {
+      await portfolioService.removeProject(projectId);
+      return projectId;
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+/**
+ * Fetch certificates
+ */
+export const fetchCertificates = createAsyncThunk(
+  'portfolio/fetchCertificates',
+  async (_, { rejectWithValue }) => {
+    try {
+      const response = await portfolioService.getCertificates();
+      return response.certificates || [];
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+/**
+ * Generate a public share link
+ */
+export const generateShareLink = createAsyncThunk(
+  'portfolio/generateShareLink',
+  async (_, { rejectWithValue }) => {
+    try {
+      return await portfolioService.generateShareLink();
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+/**
+ * Request a portfolio export
+ */
+export const exportPortfolio = createAsyncThunk(
+  'portfolio/exportPortfolio',
+  async ({ format = 'pdf' } = {}, { rejectWithValue }) => {
+    try {
+      return await portfolioService.exportPortfolio({ format });
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+// ==================== INITIAL STATE ====================
+
+const initialState = {
+  // Learner's own portfolio
+  portfolio: null,
+  projects: [],
+  certificates: [],
+  shareLink: null,
+  lastExport: null,
+
+  // Public portfolios keyed by username
+  publicPortfolios: {},
+
+  // Loading states
+  loading: {
+    portfolio: false,
+    projects: false,
+    public: false,
+    action: false
+  },
+
+  // Error states
+  error: {
+    portfolio: null,
+    projects: null,
+    public: null,
+    action: null
+  }
+};
+
+// ==================== SLICE ====================
+
+const portfolioSlice = createSlice({
+  name: 'portfolio',
+  initialState,
+  reducers: {
+    // Reset portfolio state
+    resetPortfolioState: () => initialState
+  },
+
+  extraReducers: (builder) => {
+    builder
+      // ==================== FETCH PORTFOLIO ====================
+      .addCase(fetchPortfolio.pending, (state) => {
+        state.loading.portfolio = true;
+        state.error.portfolio = null;
+      })
+      .addCase(fetchPortfolio.fulfilled, (state, action) => {
+        const { projects, certificates, ...portfolio } = action.payload;
+        state.loading.portfolio = false;
+        state.portfolio = portfolio;
+        state.projects = projects || [];
+        state.certificates = certificates || [];
+      })
+      .addCase(fetchPortfolio.rejected, (state, action) => {
+        state.loading.portfolio = false;
+        state.error.portfolio = action.payload;
+      })
+
+      // ==================== UPDATE PORTFOLIO ====================
+      .addCase(updatePortfolio.pending, (state) => {
+        state.loading.action = true;
+        state.error.action = null;
+      })
+      .addCase(updatePortfolio.fulfilled, (state, action) => {
+        state.loading.action = false;
+        state.portfolio = { ...state.portfolio, ...action.payload };
+      })
+      .addCase(updatePortfolio.rejected, (state, action) => {
+        state.loading.action = false;
+        state.error.action = action.payload;
+      })
+
+      // ==================== PUBLIC PORTFOLIO ====================
+      .addCase(fetchUserPortfolio.pending, (state) => {
+        state.loading.public = true;
+        state.error.public = null;
+      })
+      .addCase(fetchUserPortfolio.fulfilled, (state, action) => {
+        state.loading.public = false;
+        state.publicPortfolios[action.meta.arg] = action.payload;
+      })
+      .addCase(fetchUserPortfolio.rejected, (state, action) => {
+        state.loading.public = false;
+        state.error.public = action.payload;
+      })
+
+      // ==================== PROJECTS ====================
+      .addCase(addPortfolioProject.pending, (state) => {
+        state.loading.projects = true;
+        state.error.projects = null;
+      })
+      .addCase(addPortfolioProject.fulfilled, (state, action) => {
+        state.loading.projects = false;
+        state.projects.push(action.payload);
+      })
+      .addCase(addPortfolioProject.rejected, (state, action) => {
+        state.loading.projects = false;
+        state.error.projects = action.payload;
+      })
+      .addCase(updatePortfolioProject.fulfilled, (state, action) => {
+        const index = state.projects.findIndex(p => p.id === action.payload.id);
+        if (index !== -1) state.projects[index] = action.payload;
+      })
+      .addCase(updatePortfolioProject.rejected, (state, action) => {
+        state.error.projects = action.payload;
+      })
+      .addCase(removePortfolioProject.fulfilled, (state, action) => {
+        state.projects = state.projects.filter(p => p.id !== action.payload);
+        if (state.portfolio?.featured) {
+          state.portfolio.featured = state.portfolio.featured.filter(id => id !== action.payload);
+        }
+      })
+      .addCase(removePortfolioProject.rejected, (state, action) => {
+        state.error.projects = action.payload;
+      })
+
+      // ==================== CERTIFICATES ====================
+      .addCase(fetchCertificates.fulfilled, (state, action) => {
+        state.certificates = action.payload;
+      })
+
+      // ==================== SHARE & EXPORT ====================
+      .addCase(generateShareLink.fulfilled, (state, action) => {
+        state.shareLink = action.payload;
+      })
+      .addCase(generateShareLink.rejected, (state, action) => {
+        state.error.action = action.payload;
+      })
+      .addCase(exportPortfolio.fulfilled, (state, action) => {
+        state.lastExport = action.payload;
+      })
+      .addCase(exportPortfolio.rejected, (state, action) => {
+        state.error.action = action.payload;
+      });
+  }
+});
+
+// ==================== EXPORTS ====================
+
+export const {
+  resetPortfolioState
+} = portfolioSlice.actions;
+
+export default portfolioSlice.reducer;
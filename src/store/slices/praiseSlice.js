@@ -0,0 +1,285 @@
+/**
+ * Praise Redux Slice
+ *
+ * Manages peer praise and honor: praise received and given, sending and
+ * acknowledging praise, honor stats and honor-to-Baraka conversion.
+ */
+
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import praiseService from '../../services/api/praise.service';
+import { formatErrorForDisplay } from '../../utils/error/error.handler';
+
+// ==================== ASYNC THUNKS ====================
+
+/**
+ * Fetch praise the learner has received
+ */
+export const fetchReceivedPraise = createAsyncThunk(
+  'praise/fetchReceivedPraise',
+  async (params = {}, { rejectWithValue }) => {
+    try {
+      return await praiseService.getReceivedPraise(params);
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+/**
+ * Fetch praise the learner has given
+ */
+export const fetchGivenPraise = createAsyncThunk(
+  'praise/fetchGivenPraise',
+  async (params = {}, { rejectWithValue }) => {
+    try {
+      return await praiseService.getGivenPraise(params);
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+/**
+ * Send praise to another learner
+ */
+export const sendPraise = createAsyncThunk(
+  'praise/sendPraise',
+  async (praiseData, { rejectWithValue }) => {
+    try {
+      return await praiseService.sendPraise(praiseData);
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+/**
+ * Send a predefined praise message for a category
+ */
+export const sendQuickPraise = createAsyncThunk(
+  'praise/sendQuickPraise',
+  async (praiseData, { rejectWithValue }) => {
+    try {
+      return await praiseService.sendQuickPraise(praiseData);
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+/**
+ * Acknowledge received praise
+ */
+export const acknowledgePraise = createAsyncThunk(
+  'praise/acknowledgePraise',
+  async ({ praiseId, thankYouMessage }, { rejectWithValue }) => {
+    try {
+      return await praiseService.acknowledgePraise(praiseId, { thankYouMessage });
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+/**
+ * Fetch honor stats (with tier)
+ */
+export const fetchHonorStats = createAsyncThunk(
+  'praise/fetchHonorStats',
+  async ({ useCache = true } = {}, { rejectWithValue }) => {
+    try {
+      return await praiseService.getHonorStats({ useCache });
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+/**
+ * Convert honor to Baraka
+ */
+export const convertHonorToBaraka = createAsyncThunk(
+  'praise/convertHonorToBaraka',
+  async (honorAmount, { rejectWithValue }) => {
+    try {
+      return await praiseService.convertHonorToBaraka(honorAmount);
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+/**
+ * Fetch praise categories
+ */
+export const fetchCategories = createAsyncThunk(
+  'praise/fetchCategories',
+  async (_, { rejectWithValue }) => {
+    try {
+      const response = await praiseService.getCategories();
+      return response.categories || [];
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+// ==================== INITIAL STATE ====================
+
+const initialState = {
+  // Praise lists
+  received: [],
+  receivedPagination: null,
+  given: [],
+  givenPagination: null,
+
+  // Honor
+  honor: null,
+  lastConversion: null,
+
+  // Categories
+  categories: [],
+
+  // Loading states
+  loading: {
+    received: false,
+    given: false,
+    honor: false,
+    action: false
+  },
+
+  // Error states
+  error: {
+    received: null,
+    given: null,
+    honor: null,
+    action: null
+  }
+};
+
+// ==================== SLICE ====================
+
+const praiseSlice = createSlice({
+  name: 'praise',
+  initialState,
+  reducers: {
+    // Prepend praise pushed over the socket
+    praiseReceived: (state, action) => {
+      if (!state.received.some(p => p.id === action.payload.id)) {
+        state.received.unshift(action.payload);
+      }
+    },
+
+    // Add honor pushed over the socket and refresh the tier
+    honorReceived: (state, action) => {
+      if (!state.honor) return;
+      const { amount = 0, totalHonor } = action.payload;
+      state.honor.totalHonor = totalHonor ?? (state.honor.totalHonor || 0) + amount;
+      state.honor.tier = praiseService.getHonorTier(state.honor.totalHonor);
+    },
+
+    // Reset praise state
+    resetPraiseState: () => initialState
+  },
+
+  extraReducers: (builder) => {
+    // Full and quick praise both return the sent praise
+    [sendPraise, sendQuickPraise].forEach(thunk => {
+      builder
+        .addCase(thunk.pending, (state) => {
+          state.loading.action = true;
+          state.error.action = null;
+        })
+        .addCase(thunk.fulfilled, (state, action) => {
+          state.loading.action = false;
+          state.given.unshift(action.payload);
+        })
+        .addCase(thunk.rejected, (state, action) => {
+          state.loading.action = false;
+          state.error.action = action.payload;
+        });
+    });
+
+    builder
+      // ==================== RECEIVED ====================
+      .addCase(fetchReceivedPraise.pending, (state) => {
+        state.loading.received = true;
+        state.error.received = null;
+      })
+      .addCase(fetchReceivedPraise.fulfilled, (state, action) => {
+        state.loading.received = false;
+        state.received = action.payload.praise || [];
+        state.receivedPagination = action.payload.pagination || null;
+      })
+      .addCase(fetchReceivedPraise.rejected, (state, action) => {
+        state.loading.received = false;
+        state.error.received = action.payload;
+      })
+
+      // ==================== GIVEN ====================
+      .addCase(fetchGivenPraise.pending, (state) => {
+        state.loading.given = true;
+        state.error.given = null;
+      })
+      .addCase(fetchGivenPraise.fulfilled, (state, action) => {
+        state.loading.given = false;
+        state.given = action.payload.praise || [];
+        state.givenPagination = action.payload.pagination || null;
+      })
+      .addCase(fetchGivenPraise.rejected, (state, action) => {
+        state.loading.given = false;
+        state.error.given = action.payload;
+      })
+
+      // ==================== ACKNOWLEDGE ====================
+      .addCase(acknowledgePraise.fulfilled, (state, action) => {
+        const index = state.received.findIndex(p => p.id === action.payload.id);
+        if (index !== -1) state.received[index] = { ...state.received[index], ...action.payload };
+      })
+      .addCase(acknowledgePraise.rejected, (state, action) => {
+        state.error.action = action.payload;
+      })
+
+      // ==================== HONOR ====================
+      .addCase(fetchHonorStats.pending, (state) => {
+        state.loading.honor = true;
+        state.error.honor = null;
+      })
+      .addCase(fetchHonorStats.fulfilled, (state, action) => {
+        state.loading.honor = false;
+        state.honor = action.payload;
+      })
+      .addCase(fetchHonorStats.rejected, (state, action) => {
+        state.loading.honor = false;
+        state.error.honor = action.payload;
+      })
+      .addCase(convertHonorToBaraka.pending, (state) => {
+        state.loading.action = true;
+        state.error.action = null;
+      })
+      .addCase(convertHonorToBaraka.fulfilled, (state, action) => {
+        state.loading.action = false;
+        state.lastConversion = action.payload;
+        if (state.honor) state.honor.totalHonor -= action.meta.arg;
+      })
+      .addCase(convertHonorToBaraka.rejected, (state, action) => {
+        state.loading.action = false;
+        state.error.action = action.payload;
+      })
+
+      // ==================== CATEGORIES ====================
+      .addCase(fetchCategories.fulfilled, (state, action) => {
+        state.categories = action.payload;
+      });
+  }
+});
+
+// ==================== EXPORTS ====================
+
+export const {
+  praiseReceived,
+  honorReceived,
+  resetPraiseState
+} = praiseSlice.actions;
+
+export default praiseSlice.reducer;
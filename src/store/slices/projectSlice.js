@@ -0,0 +1,511 @@
+/**
+ * Project Redux Slice
+ *
+ * Manages real-world impact projects: the learner's projects, discovery
+ * and featured lists, project lifecycle, and per-project milestones, team,
+ * updates and impact metrics keyed by project id.
+ */
+
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import projectService from '../../services/api/project.service';
+import { formatErrorForDisplay } from '../../utils/error/error.handler';
+
+// ==================== ASYNC THUNKS ====================
+
+/**
+ * Fetch the learner's projects
+ */
+export const fetchMyProjects = createAsyncThunk(
+  'project/fetchMyProjects',
+  async (params = {}, { rejectWithValue }) => {
+    try {
+      return await projectService.getMyProjects(params);
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+/**
+ * Discover public projects
+ */
+export const discoverProjects = createAsyncThunk(
+  'project/discoverProjects',
+  async (params = {}, { rejectWithValue }) => {
+    try {
+      return await projectService.discoverProjects(params);
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+/**
+ * Fetch featured projects
+ */
+export const fetchFeaturedProjects = createAsyncThunk(
+  'project/fetchFeaturedProjects',
+  async (_, { rejectWithValue }) => {
+    try {
+      const response = await projectService.getFeaturedProjects();
+      return response.projects || [];
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+/**
+ * Fetch a single project
+ */
+export const fetchProject = createAsyncThunk(
+  'project/fetchProject',
+  async ({ projectId, useCache = true }, { rejectWithValue }) => {
+    try {
+      return await projectService.getProject(projectId, { useCache });
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+/**
+ * Create a project
+ */
+export const createProject = createAsyncThunk(
+  'project/createProject',
+  async (projectData, { rejectWithValue }) => {
+    try {
+      return await projectService.createProject(projectData);
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+/**
+ * Update a project
+ */
+export const updateProject = createAsyncThunk(
+  'project/updateProject',
+  async ({ projectId, data }, { rejectWithValue }) => {
+    try {
+      return await projectService.updateProject(projectId, data);
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+/**
+ * Move a project to a new status
+ */
+export const changeProjectStatus = createAsyncThunk(
+  'project/changeProjectStatus',
+  async ({ projectId, status }, { rejectWithValue }) => {
+    try {
+      return await projectService.changeStatus(projectId, status);
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+/**
+ * Delete a project
+ */
+export const deleteProject = createAsyncThunk(
+  'project/deleteProject',
+  async (projectId, { rejectWithValue }) => {
+    try {
+      await projectService.deleteProject(projectId);
+      return projectId;
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+/**
+ * Fetch milestones for a project
+ */
+export const fetchMilestones = createAsyncThunk(
+  'project/fetchMilestones',
+  async (projectId, { rejectWithValue }) => {
+    try {
+      const response = await projectService.getMilestones(projectId);
+      return { projectId, milestones: response.milestones || [] };
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+/**
+ * Complete a milestone
+ */
+export const completeMilestone = createAsyncThunk(
+  'project/completeMilestone',
+  async ({ projectId, milestoneId, completionData }, { rejectWithValue }) => {
+    try {
+      const milestone = await projectService.completeMilestone(projectId, milestoneId, completionData);
+      return { projectId, milestone };
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+/**
+ * Fetch the project team
+ */
+export const fetchTeam = createAsyncThunk(
+  'project/fetchTeam',
+  async (projectId, { rejectWithValue }) => {
+    try {
+      const response = await projectService.getTeam(projectId);
+      return { projectId, members: response.members || [] };
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+/**
+ * Fetch project updates
+ */
+export const fetchUpdates = createAsyncThunk(
+  'project/fetchUpdates',
+  async ({ projectId, page, limit }, { rejectWithValue }) => {
+    try {
+      const response = await projectService.getUpdates(projectId, { page, limit });
+      return { projectId, updates: response.updates || [] };
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+/**
+ * Post a project update
+ */
+export const postUpdate = createAsyncThunk(
+  'project/postUpdate',
+  async ({ projectId, update }, { rejectWithValue }) => {
+    try {
+      const posted = await projectService.postUpdate(projectId, update);
+      return { projectId, update: posted };
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+/**
+ * Fetch impact metrics for a project
+ */
+export const fetchImpact = createAsyncThunk(
+  'project/fetchImpact',
+  async (projectId, { rejectWithValue }) => {
+    try {
+      const impact = await projectService.getImpact(projectId);
+      return { projectId, impact };
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+/**
+ * Record a measurement of an impact indicator
+ */
+export const recordImpact = createAsyncThunk(
+  'project/recordImpact',
+  async ({ projectId, measurement }, { rejectWithValue }) => {
+    try {
+      const impact = await projectService.recordImpact(projectId, measurement);
+      return { projectId, impact };
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+/**
+ * Add an impact indicator to a project
+ */
+export const defineImpactIndicator = createAsyncThunk(
+  'project/defineImpactIndicator',
+  async ({ projectId, indicator }, { rejectWithValue }) => {
+    try {
+      const impact = await projectService.defineImpactIndicator(projectId, indicator);
+      return { projectId, impact };
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+/**
+ * Share a before/after impact story
+ */
+export const addImpactStory = createAsyncThunk(
+  'project/addImpactStory',
+  async ({ projectId, story }, { rejectWithValue }) => {
+    try {
+      const impact = await projectService.addImpactStory(projectId, story);
+      return { projectId, impact };
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+/**
+ * Contribute Baraka to a project
+ */
+export const contributeBaraka = createAsyncThunk(
+  'project/contributeBaraka',
+  async ({ projectId, amount }, { rejectWithValue }) => {
+    try {
+      const funding = await projectService.contributeBaraka(projectId, amount);
+      return { projectId, funding };
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+// ==================== HELPERS ====================
+
+/**
+ * Inserts or merges projects into the list by id
+ * @param {Object} state - Slice state
+ * @param {Array<Object>} projects - Projects to upsert
+ */
+const upsertProjects = (state, projects = []) => {
+  projects.forEach(project => {
+    if (!project?.id) return;
+    const index = state.projects.findIndex(p => p.id === project.id);
+    if (index !== -1) {
+      state.projects[index] = { ...state.projects[index], ...project };
+    } else {
+      state.projects.push(project);
+    }
+  });
+};
+
+// ==================== INITIAL STATE ====================
+
+const initialState = {
+  // Projects across my, discovered and featured lists
+  projects: [],
+  myProjectIds: [],
+  discoveredIds: [],
+  featuredIds: [],
+  pagination: null,
+
+  // Project being viewed
+  currentProjectId: null,
+
+  // Keyed by project id
+  milestones: {},
+  team: {},
+  updates: {},
+  impact: {},
+  funding: {},
+
+  // Loading states
+  loading: {
+    list: false,
+    discover: false,
+    detail: false,
+    impact: false,
+    action: false
+  },
+
+  // Error states
+  error: {
+    list: null,
+    discover: null,
+    detail: null,
+    impact: null,
+    action: null
+  }
+};
+
+// ==================== SLICE ====================
+
+const projectSlice = createSlice({
+  name: 'project',
+  initialState,
+  reducers: {
+    // Set current project
+    setCurrentProject: (state, action) => {
+      state.currentProjectId = action.payload;
+    },
+
+    // Reset project state
+    resetProjectState: () => initialState
+  },
+
+  extraReducers: (builder) => {
+    // Project mutations all return the saved project
+    [createProject, updateProject, changeProjectStatus].forEach(thunk => {
+      builder
+        .addCase(thunk.pending, (state) => {
+          state.loading.action = true;
+          state.error.action = null;
+        })
+        .addCase(thunk.fulfilled, (state, action) => {
+          state.loading.action = false;
+          upsertProjects(state, [action.payload]);
+          if (!state.myProjectIds.includes(action.payload.id)) {
+            state.myProjectIds.push(action.payload.id);
+          }
+        })
+        .addCase(thunk.rejected, (state, action) => {
+          state.loading.action = false;
+          state.error.action = action.payload;
+        });
+    });
+
+    // Impact changes all return the project's updated impact
+    [recordImpact, defineImpactIndicator, addImpactStory].forEach(thunk => {
+      builder
+        .addCase(thunk.pending, (state) => {
+          state.loading.action = true;
+          state.error.action = null;
+        })
+        .addCase(thunk.fulfilled, (state, action) => {
+          state.loading.action = false;
+          state.impact[action.payload.projectId] = action.payload.impact;
+        })
+        .addCase(thunk.rejected, (state, action) => {
+          state.loading.action = false;
+          state.error.action = action.payload;
+        });
+    });
+
+    builder
+      // ==================== MY PROJECTS ====================
+      .addCase(fetchMyProjects.pending, (state) => {
+        state.loading.list = true;
+        state.error.list = null;
+      })
+      .addCase(fetchMyProjects.fulfilled, (state, action) => {
+        state.loading.list = false;
+        upsertProjects(state, action.payload.projects);
+        state.myProjectIds = (action.payload.projects || []).map(p => p.id);
+      })
+      .addCase(fetchMyProjects.rejected, (state, action) => {
+        state.loading.list = false;
+        state.error.list = action.payload;
+      })
+
+      // ==================== DISCOVER ====================
+      .addCase(discoverProjects.pending, (state) => {
+        state.loading.discover = true;
+        state.error.discover = null;
+      })
+      .addCase(discoverProjects.fulfilled, (state, action) => {
+        state.loading.discover = false;
+        upsertProjects(state, action.payload.projects);
+        state.discoveredIds = (action.payload.projects || []).map(p => p.id);
+        state.pagination = action.payload.pagination || null;
+      })
+      .addCase(discoverProjects.rejected, (state, action) => {
+        state.loading.discover = false;
+        state.error.discover = action.payload;
+      })
+      .addCase(fetchFeaturedProjects.fulfilled, (state, action) => {
+        upsertProjects(state, action.payload);
+        state.featuredIds = action.payload.map(p => p.id);
+      })
+
+      // ==================== FETCH PROJECT ====================
+      .addCase(fetchProject.pending, (state) => {
+        state.loading.detail = true;
+        state.error.detail = null;
+      })
+      .addCase(fetchProject.fulfilled, (state, action) => {
+        state.loading.detail = false;
+        upsertProjects(state, [action.payload]);
+      })
+      .addCase(fetchProject.rejected, (state, action) => {
+        state.loading.detail = false;
+        state.error.detail = action.payload;
+      })
+
+      // ==================== DELETE PROJECT ====================
+      .addCase(deleteProject.fulfilled, (state, action) => {
+        const projectId = action.payload;
+        state.projects = state.projects.filter(p => p.id !== projectId);
+        state.myProjectIds = state.myProjectIds.filter(id => id !== projectId);
+        if (state.currentProjectId === projectId) state.currentProjectId = null;
+        ['milestones', 'team', 'updates', 'impact', 'funding'].forEach(key => {
+          delete state[key][projectId];
+        });
+      })
+      .addCase(deleteProject.rejected, (state, action) => {
+        state.error.action = action.payload;
+      })
+
+      // ==================== MILESTONES ====================
+      .addCase(fetchMilestones.fulfilled, (state, action) => {
+        state.milestones[action.payload.projectId] = action.payload.milestones;
+      })
+      .addCase(completeMilestone.fulfilled, (state, action) => {
+        const { projectId, milestone } = action.payload;
+        state.milestones[projectId] = (state.milestones[projectId] || [])
+          .map(m => (m.id === milestone.id ? { ...m, ...milestone } : m));
+      })
+      .addCase(completeMilestone.rejected, (state, action) => {
+        state.error.action = action.payload;
+      })
+
+      // ==================== TEAM & UPDATES ====================
+      .addCase(fetchTeam.fulfilled, (state, action) => {
+        state.team[action.payload.projectId] = action.payload.members;
+      })
+      .addCase(fetchUpdates.fulfilled, (state, action) => {
+        state.updates[action.payload.projectId] = action.payload.updates;
+      })
+      .addCase(postUpdate.fulfilled, (state, action) => {
+        const { projectId, update } = action.payload;
+        state.updates[projectId] = [update, ...(state.updates[projectId] || [])];
+      })
+      .addCase(postUpdate.rejected, (state, action) => {
+        state.error.action = action.payload;
+      })
+
+      // ==================== IMPACT & FUNDING ====================
+      .addCase(fetchImpact.pending, (state) => {
+        state.loading.impact = true;
+        state.error.impact = null;
+      })
+      .addCase(fetchImpact.fulfilled, (state, action) => {
+        state.loading.impact = false;
+        state.impact[action.payload.projectId] = action.payload.impact;
+      })
+      .addCase(fetchImpact.rejected, (state, action) => {
+        state.loading.impact = false;
+        state.error.impact = action.payload;
+      })
+      .addCase(contributeBaraka.fulfilled, (state, action) => {
+        state.funding[action.payload.projectId] = action.payload.funding;
+      })
+      .addCase(contributeBaraka.rejected, (state, action) => {
+        state.error.action = action.payload;
+      });
+  }
+});
+
+// ==================== EXPORTS ====================
+
+export const {
+  setCurrentProject,
+  resetProjectState
+} = projectSlice.actions;
+
+export default projectSlice.reducer;
@@ -0,0 +1,372 @@
+/**
+ * PSB Market Redux Slice
+ *
+ * The PSB marketplace: order book depth, 24h stats, price candles and
+ * recent trades, and the learner's PSB wallet, orders, lockups and history.
+ * Placing or cancelling an order returns the order and the wallet as they now stand; the book and
+ * history are fetched again by the caller, since other orders may have
+ * traded too. (psbSlice holds problem-solution-benefit analyses.)
+ */
+
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import psbMarketService from '../../services/api/psbMarket.service';
+import { clearUser } from './user.slice';
+import { formatErrorForDisplay } from '../../utils/error/error.handler';
+
+// ==================== ASYNC THUNKS ====================
+
+/**
+ * Fetch the order book, stats and recent trades
+ */
+export const fetchPSBMarket = createAsyncThunk(
+  'psbMarket/fetchMarket',
+  async (options = {}, { rejectWithValue }) => {
+    try {
+      return await psbMarketService.getMarket(options);
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+/**
+ * Fetch price candles for an interval
+ */
+export const fetchPSBCandles = createAsyncThunk(
+  'psbMarket/fetchCandles',
+  async ({ interval = '1h', count } = {}, { rejectWithValue }) => {
+    try {
+      return await psbMarketService.getCandles({ interval, count });
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+/**
+ * Fetch the learner's PSB wallet
+ */
+export const fetchPSBWallet = createAsyncThunk(
+  'psbMarket/fetchWallet',
+  async (_, { rejectWithValue }) => {
+    try {
+      return await psbMarketService.getWallet();
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+/**
+ * Fetch the learner's orders
+ */
+export const fetchPSBOrders = createAsyncThunk(
+  'psbMarket/fetchOrders',
+  async (params = {}, { rejectWithValue }) => {
+    try {
+      return await psbMarketService.getOrders(params);
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+/**
+ * Fetch the learner's PSB history
+ */
+export const fetchPSBHistory = createAsyncThunk(
+  'psbMarket/fetchHistory',
+  async (params = {}, { rejectWithValue }) => {
+    try {
+      return await psbMarketService.getHistory(params);
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+/**
+ * Place an order
+ */
+export const placePSBOrder = createAsyncThunk(
+  'psbMarket/placeOrder',
+  async (order, { rejectWithValue }) => {
+    try {
+      return await psbMarketService.placeOrder(order);
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+/**
+ * Cancel what is left of an order
+ */
+export const cancelPSBOrder = createAsyncThunk(
+  'psbMarket/cancelOrder',
+  async (orderId, { rejectWithValue }) => {
+    try {
+      return await psbMarketService.cancelOrder(orderId);
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+/**
+ * Withdraw PSB to Baraka
+ */
+export const withdrawPSB = createAsyncThunk(
+  'psbMarket/withdraw',
+  async (amount, { rejectWithValue }) => {
+    try {
+      return await psbMarketService.withdraw(amount);
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+/**
+ * Fetch the learner's lockups and the terms on offer
+ */
+export const fetchPSBStakes = createAsyncThunk(
+  'psbMarket/fetchStakes',
+  async (params = {}, { rejectWithValue }) => {
+    try {
+      return await psbMarketService.getStakes(params);
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+/**
+ * Fetch a lockup's accrual schedule
+ */
+export const fetchPSBStake = createAsyncThunk(
+  'psbMarket/fetchStake',
+  async (stakeId, { rejectWithValue }) => {
+    try {
+      return await psbMarketService.getStake(stakeId);
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+/**
+ * Lock PSB up for a term
+ */
+export const stakePSB = createAsyncThunk(
+  'psbMarket/stake',
+  async (data, { rejectWithValue }) => {
+    try {
+      return await psbMarketService.stake(data);
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+/**
+ * End a lockup early
+ */
+export const unlockPSBStake = createAsyncThunk(
+  'psbMarket/unlockStake',
+  async (stakeId, { rejectWithValue }) => {
+    try {
+      return await psbMarketService.unlockStake(stakeId);
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+// ==================== INITIAL STATE ====================
+
+const initialState = {
+  // Market
+  depth: { bids: [], asks: [], bestBid: null, bestAsk: null, spread: null, midPrice: null },
+  stats: null,
+  recentTrades: [],
+  updatedAt: null,
+  candles: { interval: '1h', items: [] },
+
+  // Learner
+  wallet: null,
+  orders: [],
+  history: [],
+  lastOrder: null,
+  lastWithdrawal: null,
+  staking: {
+    stakes: [],
+    summary: null,
+    terms: [],
+    earlyUnlockPenalty: 0,
+    // Accrual schedules by stake ID, fetched as positions are opened
+    schedules: {}
+  },
+
+  // Loading states
+  loading: {
+    market: false,
+    candles: false,
+    wallet: false,
+    orders: false,
+    history: false,
+    order: false,
+    cancel: false,
+    withdraw: false,
+    stakes: false,
+    stake: false,
+    unlock: false
+  },
+
+  // Error states
+  error: {
+    market: null,
+    candles: null,
+    wallet: null,
+    orders: null,
+    history: null,
+    order: null,
+    cancel: null,
+    withdraw: null,
+    stakes: null,
+    stake: null,
+    unlock: null
+  }
+};
+
+/**
+ * Puts an order in the learner's list, replacing an older copy
+ * @param {Object} state - Slice state
+ * @param {Object} order - Order
+ */
+const upsertOrder = (state, order) => {
+  const index = state.orders.findIndex(o => o.id === order.id);
+  if (index === -1) state.orders.unshift(order);
+  else state.orders[index] = order;
+};
+
+/**
+ * Puts a lockup in the learner's list, replacing an older copy
+ * @param {Object} state - Slice state
+ * @param {Object} stake - Stake
+ */
+const upsertStake = (state, stake) => {
+  const index = state.staking.stakes.findIndex(s => s.id === stake.id);
+  if (index === -1) state.staking.stakes.unshift(stake);
+  else state.staking.stakes[index] = stake;
+};
+
+/**
+ * Adds pending, fulfilled and rejected cases that track one loading key
+ * @param {Object} builder - Reducer builder
+ * @param {Function} thunk - Async thunk
+ * @param {string} key - Loading and error key
+ * @param {Function} onFulfilled - (state, payload) => void
+ */
+const addRequestCases = (builder, thunk, key, onFulfilled) => builder
+  .addCase(thunk.pending, (state) => {
+    state.loading[key] = true;
+    state.error[key] = null;
+  })
+  .addCase(thunk.fulfilled, (state, action) => {
+    state.loading[key] = false;
+    onFulfilled(state, action.payload);
+  })
+  .addCase(thunk.rejected, (state, action) => {
+    state.loading[key] = false;
+    state.error[key] = action.payload;
+  });
+
+// ==================== SLICE ====================
+
+const psbMarketSlice = createSlice({
+  name: 'psbMarket',
+  initialState,
+  reducers: {
+    clearPSBMarketError: (state, action) => {
+      if (action.payload) {
+        state.error[action.payload] = null;
+      } else {
+        Object.keys(state.error).forEach(key => { state.error[key] = null; });
+      }
+    }
+  },
+  extraReducers: (builder) => {
+    // ==================== MARKET ====================
+    addRequestCases(builder, fetchPSBMarket, 'market', (state, { depth, stats, recentTrades, updatedAt }) => {
+      state.depth = depth;
+      state.stats = stats;
+      state.recentTrades = recentTrades;
+      state.updatedAt = updatedAt;
+    });
+
+    addRequestCases(builder, fetchPSBCandles, 'candles', (state, { interval, candles }) => {
+      state.candles = { interval, items: candles };
+    });
+
+    // ==================== WALLET ====================
+    addRequestCases(builder, fetchPSBWallet, 'wallet', (state, wallet) => {
+      state.wallet = wallet;
+    });
+
+    // ==================== ORDERS ====================
+    addRequestCases(builder, fetchPSBOrders, 'orders', (state, { orders }) => {
+      state.orders = orders;
+    });
+    addRequestCases(builder, placePSBOrder, 'order', (state, { order, wallet }) => {
+      upsertOrder(state, order);
+      state.lastOrder = order;
+      state.wallet = wallet;
+    });
+    addRequestCases(builder, cancelPSBOrder, 'cancel', (state, { order, wallet }) => {
+      upsertOrder(state, order);
+      state.wallet = wallet;
+    });
+
+    // ==================== HISTORY ====================
+    addRequestCases(builder, fetchPSBHistory, 'history', (state, { transactions }) => {
+      state.history = transactions;
+    });
+    addRequestCases(builder, withdrawPSB, 'withdraw', (state, { transaction, wallet, ...quote }) => {
+      state.history.unshift(transaction);
+      state.lastWithdrawal = quote;
+      state.wallet = wallet;
+    });
+
+    // ==================== STAKING ====================
+    addRequestCases(builder, fetchPSBStakes, 'stakes', (state, { stakes, summary, terms, earlyUnlockPenalty }) => {
+      Object.assign(state.staking, { stakes, summary, terms, earlyUnlockPenalty });
+    });
+    // Schedules load quietly beside the list, so they have no loading flag
+    builder.addCase(fetchPSBStake.fulfilled, (state, { payload }) => {
+      upsertStake(state, payload.stake);
+      state.staking.schedules[payload.stake.id] = payload.schedule;
+    });
+    addRequestCases(builder, stakePSB, 'stake', (state, { stake, transaction, wallet }) => {
+      upsertStake(state, stake);
+      state.history.unshift(transaction);
+      state.wallet = wallet;
+      state.staking.summary = wallet.staking;
+    });
+    addRequestCases(builder, unlockPSBStake, 'unlock', (state, { stake, transactions, wallet }) => {
+      upsertStake(state, stake);
+      state.history.unshift(...transactions);
+      state.wallet = wallet;
+      state.staking.summary = wallet.staking;
+    });
+
+    // The wallet and orders belong to the learner who signed out
+    builder.addCase(clearUser, () => initialState);
+  }
+});
+
+// ==================== EXPORTS ====================
+
+export const { clearPSBMarketError } = psbMarketSlice.actions;
+
+export default psbMarketSlice.reducer;
@@ -0,0 +1,376 @@
+/**
+ * PSB Redux Slice
+ *
+ * Manages Problem-Solution-Benefit analyses: the learner's analyses, the
+ * analysis being edited with its problems, solutions and benefits, and
+ * validation and AI feedback results keyed by analysis id.
+ */
+
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import psbService from '../../services/api/psb.service';
+import { formatErrorForDisplay } from '../../utils/error/error.handler';
+
+// ==================== ASYNC THUNKS ====================
+
+/**
+ * Fetch the learner's analyses
+ */
+export const fetchAnalyses = createAsyncThunk(
+  'psb/fetchAnalyses',
+  async (params = {}, { rejectWithValue }) => {
+    try {
+      return await psbService.getAnalyses(params);
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+/**
+ * Fetch a single analysis
+ */
+export const fetchAnalysis = createAsyncThunk(
+  'psb/fetchAnalysis',
+  async (analysisId, { rejectWithValue }) => {
+    try {
+      return await psbService.getAnalysis(analysisId);
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+/**
+ * Fetch the analysis attached to a mission
+ */
+export const fetchAnalysisByMission = createAsyncThunk(
+  'psb/fetchAnalysisByMission',
+  async (missionId, { rejectWithValue }) => {
+    try {
+      return await psbService.getAnalysisByMission(missionId);
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+/**
+ * Create an analysis
+ */
+export const createAnalysis = createAsyncThunk(
+  'psb/createAnalysis',
+  async (data, { rejectWithValue }) => {
+    try {
+      return await psbService.createAnalysis(data);
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+/**
+ * Update an analysis
+ */
+export const updateAnalysis = createAsyncThunk(
+  'psb/updateAnalysis',
+  async ({ analysisId, data }, { rejectWithValue }) => {
+    try {
+      return await psbService.updateAnalysis(analysisId, data);
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+/**
+ * Delete an analysis
+ */
+export const deleteAnalysis = createAsyncThunk(
+  'psb/deleteAnalysis',
+  async (analysisId, { rejectWithValue }) => {
+    try {
+      await psbService.deleteAnalysis(analysisId);
+      return analysisId;
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+/**
+ * Add a problem, solution or benefit to an analysis
+ */
+export const addComponent = createAsyncThunk(
+  'psb/addComponent',
+  async ({ analysisId, component, data }, { rejectWithValue }) => {
+    try {
+      const adders = {
+        problems: psbService.addProblem,
+        solutions: psbService.addSolution,
+        benefits: psbService.addBenefit
+      };
+      const item = await adders[component](analysisId, data);
+      return { analysisId, component, item };
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+/**
+ * Update a problem, solution or benefit on an analysis
+ */
+export const updateComponent = createAsyncThunk(
+  'psb/updateComponent',
+  async ({ analysisId, component, componentId, data }, { rejectWithValue }) => {
+    try {
+      const updaters = {
+        problems: psbService.updateProblem,
+        solutions: psbService.updateSolution,
+        benefits: psbService.updateBenefit
+      };
+      const item = await updaters[component](analysisId, componentId, data);
+      return { analysisId, component, item };
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+/**
+ * Validate an analysis
+ */
+export const validateAnalysis = createAsyncThunk(
+  'psb/validateAnalysis',
+  async (analysisId, { rejectWithValue }) => {
+    try {
+      const validation = await psbService.validateAnalysis(analysisId);
+      return { analysisId, validation };
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+/**
+ * Fetch AI feedback on an analysis
+ */
+export const fetchAIFeedback = createAsyncThunk(
+  'psb/fetchAIFeedback',
+  async ({ analysisId, component }, { rejectWithValue }) => {
+    try {
+      const feedback = await psbService.getAIFeedback(analysisId, { component });
+      return { analysisId, feedback };
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+/**
+ * Fetch analysis templates
+ */
+export const fetchTemplates = createAsyncThunk(
+  'psb/fetchTemplates',
+  async (params = {}, { rejectWithValue }) => {
+    try {
+      const response = await psbService.getTemplates(params);
+      return response.templates || [];
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+// ==================== HELPERS ====================
+
+/**
+ * Inserts or merges analyses into the list by id
+ * @param {Object} state - Slice state
+ * @param {Array<Object>} analyses - Analyses to upsert
+ */
+const upsertAnalyses = (state, analyses = []) => {
+  analyses.forEach(analysis => {
+    if (!analysis?.id) return;
+    const index = state.analyses.findIndex(a => a.id === analysis.id);
+    if (index !== -1) {
+      state.analyses[index] = { ...state.analyses[index], ...analysis };
+    } else {
+      state.analyses.push(analysis);
+    }
+  });
+};
+
+// ==================== INITIAL STATE ====================
+
+const initialState = {
+  // Analyses
+  analyses: [],
+  pagination: null,
+  currentAnalysisId: null,
+
+  // Keyed by analysis id
+  validation: {},
+  feedback: {},
+
+  // Reference material
+  templates: [],
+
+  // Loading states
+  loading: {
+    list: false,
+    detail: false,
+    action: false,
+    review: false
+  },
+
+  // Error states
+  error: {
+    list: null,
+    detail: null,
+    action: null,
+    review: null
+  }
+};
+
+// ==================== SLICE ====================
+
+const psbSlice = createSlice({
+  name: 'psb',
+  initialState,
+  reducers: {
+    // Set current analysis
+    setCurrentAnalysis: (state, action) => {
+      state.currentAnalysisId = action.payload;
+    },
+
+    // Reset PSB state
+    resetPsbState: () => initialState
+  },
+
+  extraReducers: (builder) => {
+    // Detail lookups all return one analysis and make it current
+    [fetchAnalysis, fetchAnalysisByMission].forEach(thunk => {
+      builder
+        .addCase(thunk.pending, (state) => {
+          state.loading.detail = true;
+          state.error.detail = null;
+        })
+        .addCase(thunk.fulfilled, (state, action) => {
+          state.loading.detail = false;
+          upsertAnalyses(state, [action.payload]);
+          state.currentAnalysisId = action.payload?.id || null;
+        })
+        .addCase(thunk.rejected, (state, action) => {
+          state.loading.detail = false;
+          state.error.detail = action.payload;
+        });
+    });
+
+    // Create and update both return the saved analysis
+    [createAnalysis, updateAnalysis].forEach(thunk => {
+      builder
+        .addCase(thunk.pending, (state) => {
+          state.loading.action = true;
+          state.error.action = null;
+        })
+        .addCase(thunk.fulfilled, (state, action) => {
+          state.loading.action = false;
+          upsertAnalyses(state, [action.payload]);
+          state.currentAnalysisId = action.payload.id;
+        })
+        .addCase(thunk.rejected, (state, action) => {
+          state.loading.action = false;
+          state.error.action = action.payload;
+        });
+    });
+
+    // Component changes merge the item into its list on the analysis
+    [addComponent, updateComponent].forEach(thunk => {
+      builder
+        .addCase(thunk.fulfilled, (state, action) => {
+          const { analysisId, component, item } = action.payload;
+          const analysis = state.analyses.find(a => a.id === analysisId);
+          if (!analysis || !item?.id) return;
+          const items = analysis[component] || [];
+          const index = items.findIndex(i => i.id === item.id);
+          if (index !== -1) {
+            items[index] = { ...items[index], ...item };
+          } else {
+            items.push(item);
+          }
+          analysis[component] = items;
+        })
+        .addCase(thunk.rejected, (state, action) => {
+          state.error.action = action.payload;
+        });
+    });
+
+    builder
+      // ==================== FETCH ANALYSES ====================
+      .addCase(fetchAnalyses.pending, (state) => {
+        state.loading.list = true;
+        state.error.list = null;
+      })
+      .addCase(fetchAnalyses.fulfilled, (state, action) => {
+        state.loading.list = false;
+        upsertAnalyses(state, action.payload.analyses);
+        state.pagination = action.payload.pagination || null;
+      })
+      .addCase(fetchAnalyses.rejected, (state, action) => {
+        state.loading.list = false;
+        state.error.list = action.payload;
+      })
+
+      // ==================== DELETE ANALYSIS ====================
+      .addCase(deleteAnalysis.fulfilled, (state, action) => {
+        state.analyses = state.analyses.filter(a => a.id !== action.payload);
+        delete state.validation[action.payload];
+        delete state.feedback[action.payload];
+        if (state.currentAnalysisId === action.payload) state.currentAnalysisId = null;
+      })
+      .addCase(deleteAnalysis.rejected, (state, action) => {
+        state.error.action = action.payload;
+      })
+
+      // ==================== REVIEW ====================
+      .addCase(validateAnalysis.pending, (state) => {
+        state.loading.review = true;
+        state.error.review = null;
+      })
+      .addCase(validateAnalysis.fulfilled, (state, action) => {
+        state.loading.review = false;
+        state.validation[action.payload.analysisId] = action.payload.validation;
+      })
+      .addCase(validateAnalysis.rejected, (state, action) => {
+        state.loading.review = false;
+        state.error.review = action.payload;
+      })
+      .addCase(fetchAIFeedback.pending, (state) => {
+        state.loading.review = true;
+        state.error.review = null;
+      })
+      .addCase(fetchAIFeedback.fulfilled, (state, action) => {
+        state.loading.review = false;
+        state.feedback[action.payload.analysisId] = action.payload.feedback;
+      })
+      .addCase(fetchAIFeedback.rejected, (state, action) => {
+        state.loading.review = false;
+        state.error.review = action.payload;
+      })
+
+      // ==================== TEMPLATES ====================
+      .addCase(fetchTemplates.fulfilled, (state, action) => {
+        state.templates = action.payload;
+      });
+  }
+});
+
+// ==================== EXPORTS ====================
+
+export const {
+  setCurrentAnalysis,
+  resetPsbState
+} = psbSlice.actions;
+
+export default psbSlice.reducer;
@@ -0,0 +1,400 @@
+/**
+ * Study Redux Slice
+ *
+ * Manages the learner's study activity: overall progress, the active study
+ * session, Right-to-Retry (R2R) tokens, streaks, stats, goals and the
+ * recommended next action.
+ */
+
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import studyService from '../../services/api/study.service';
+import { formatErrorForDisplay } from '../../utils/error/error.handler';
+
+// ==================== ASYNC THUNKS ====================
+
+/**
+ * Fetch overall study progress
+ */
+export const fetchStudyProgress = createAsyncThunk(
+  'study/fetchStudyProgress',
+  async ({ useCache = true } = {}, { rejectWithValue }) => {
+    try {
+      return await studyService.getProgress({ useCache });
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+/**
+ * Fetch the active study session (null when none)
+ */
+export const fetchCurrentSession = createAsyncThunk(
+  'study/fetchCurrentSession',
+  async (_, { rejectWithValue }) => {
+    try {
+      return await studyService.getCurrentSession();
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+/**
+ * Start a study session
+ */
+export const startStudySession = createAsyncThunk(
+  'study/startStudySession',
+  async (sessionData = {}, { rejectWithValue }) => {
+    try {
+      return await studyService.startStudySession(sessionData);
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+/**
+ * Update the active session
+ */
+export const updateSessionProgress = createAsyncThunk(
+  'study/updateSessionProgress',
+  async (update, { rejectWithValue }) => {
+    try {
+      return await studyService.updateSessionProgress(update);
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+/**
+ * End the active session (payload includes XP and Baraka earned)
+ */
+export const endStudySession = createAsyncThunk(
+  'study/endStudySession',
+  async (summary = {}, { rejectWithValue }) => {
+    try {
+      return await studyService.endStudySession(summary);
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+/**
+ * Fetch R2R token status
+ */
+export const fetchR2RStatus = createAsyncThunk(
+  'study/fetchR2RStatus',
+  async (_, { rejectWithValue }) => {
+    try {
+      return await studyService.getR2RStatus();
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+/**
+ * Use an R2R token on a mission checkpoint
+ */
+export const activateR2R = createAsyncThunk(
+  'study/activateR2R',
+  async ({ missionId, type }, { rejectWithValue }) => {
+    try {
+      return await studyService.activateR2R(missionId, { type });
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+/**
+ * Purchase paid R2R (PR2R) tokens
+ */
+export const purchasePR2R = createAsyncThunk(
+  'study/purchasePR2R',
+  async (quantity = 1, { rejectWithValue }) => {
+    try {
+      return await studyService.purchasePR2R(quantity);
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+/**
+ * Fetch the study streak
+ */
+export const fetchStreak = createAsyncThunk(
+  'study/fetchStreak',
+  async ({ useCache = true } = {}, { rejectWithValue }) => {
+    try {
+      return await studyService.getStreak({ useCache });
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+/**
+ * Claim a streak milestone reward
+ */
+export const claimStreakReward = createAsyncThunk(
+  'study/claimStreakReward',
+  async (milestone, { rejectWithValue }) => {
+    try {
+      return await studyService.claimStreakReward(milestone);
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+/**
+ * Fetch study stats for a period
+ */
+export const fetchStudyStats = createAsyncThunk(
+  'study/fetchStudyStats',
+  async ({ period = '30d', useCache = true } = {}, { rejectWithValue }) => {
+    try {
+      return await studyService.getStats({ period, useCache });
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+/**
+ * Fetch study goals
+ */
+export const fetchGoals = createAsyncThunk(
+  'study/fetchGoals',
+  async (_, { rejectWithValue }) => {
+    try {
+      return await studyService.getGoals();
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+/**
+ * Save study goals
+ */
+export const setGoals = createAsyncThunk(
+  'study/setGoals',
+  async (goals, { rejectWithValue }) => {
+    try {
+      return await studyService.setGoals(goals);
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+/**
+ * Fetch the recommended next action
+ */
+export const fetchNextAction = createAsyncThunk(
+  'study/fetchNextAction',
+  async (_, { rejectWithValue }) => {
+    try {
+      return await studyService.getNextAction();
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+// ==================== INITIAL STATE ====================
+
+const initialState = {
+  // Progress and stats
+  progress: null,
+  stats: null,
+
+  // Sessions
+  session: null,
+  lastSession: null,
+
+  // Right to Retry
+  r2r: null,
+
+  // Streak and goals
+  streak: null,
+  goals: null,
+
+  // Recommendation
+  nextAction: null,
+
+  // Loading states
+  loading: {
+    progress: false,
+    session: false,
+    r2r: false,
+    streak: false,
+    stats: false
+  },
+
+  // Error states
+  error: {
+    progress: null,
+    session: null,
+    r2r: null,
+    streak: null,
+    stats: null
+  }
+};
+
+// ==================== SLICE ====================
+
+const studySlice = createSlice({
+  name: 'study',
+  initialState,
+  reducers: {
+    // Clear the session summary once it has been shown
+    clearLastSession: (state) => {
+      state.lastSession = null;
+    },
+
+    // Reset study state
+    resetStudyState: () => initialState
+  },
+
+  extraReducers: (builder) => {
+    // Session lookups and changes all return the active session
+    [fetchCurrentSession, startStudySession, updateSessionProgress].forEach(thunk => {
+      builder
+        .addCase(thunk.pending, (state) => {
+          state.loading.session = true;
+          state.error.session = null;
+        })
+        .addCase(thunk.fulfilled, (state, action) => {
+          state.loading.session = false;
+          state.session = action.payload;
+        })
+        .addCase(thunk.rejected, (state, action) => {
+          state.loading.session = false;
+          state.error.session = action.payload;
+        });
+    });
+
+    builder
+      // ==================== PROGRESS ====================
+      .addCase(fetchStudyProgress.pending, (state) => {
+        state.loading.progress = true;
+        state.error.progress = null;
+      })
+      .addCase(fetchStudyProgress.fulfilled, (state, action) => {
+        state.loading.progress = false;
+        state.progress = action.payload;
+      })
+      .addCase(fetchStudyProgress.rejected, (state, action) => {
+        state.loading.progress = false;
+        state.error.progress = action.payload;
+      })
+
+      // ==================== END SESSION ====================
+      .addCase(endStudySession.pending, (state) => {
+        state.loading.session = true;
+        state.error.session = null;
+      })
+      .addCase(endStudySession.fulfilled, (state, action) => {
+        state.loading.session = false;
+        state.session = null;
+        state.lastSession = action.payload;
+        if (state.streak && !state.streak.studiedToday) {
+          state.streak.studiedToday = true;
+        }
+      })
+      .addCase(endStudySession.rejected, (state, action) => {
+        state.loading.session = false;
+        state.error.session = action.payload;
+      })
+
+      // ==================== R2R ====================
+      .addCase(fetchR2RStatus.pending, (state) => {
+        state.loading.r2r = true;
+        state.error.r2r = null;
+      })
+      .addCase(fetchR2RStatus.fulfilled, (state, action) => {
+        state.loading.r2r = false;
+        state.r2r = action.payload;
+      })
+      .addCase(fetchR2RStatus.rejected, (state, action) => {
+        state.loading.r2r = false;
+        state.error.r2r = action.payload;
+      })
+      .addCase(activateR2R.fulfilled, (state, action) => {
+        if (!state.r2r) return;
+        state.r2r.freeRetries = action.payload.remainingFree;
+        state.r2r.totalUsed += 1;
+      })
+      .addCase(activateR2R.rejected, (state, action) => {
+        state.error.r2r = action.payload;
+      })
+      .addCase(purchasePR2R.fulfilled, (state, action) => {
+        if (state.r2r) state.r2r.paidRetries = action.payload.newPR2RBalance;
+      })
+      .addCase(purchasePR2R.rejected, (state, action) => {
+        state.error.r2r = action.payload;
+      })
+
+      // ==================== STREAK ====================
+      .addCase(fetchStreak.pending, (state) => {
+        state.loading.streak = true;
+        state.error.streak = null;
+      })
+      .addCase(fetchStreak.fulfilled, (state, action) => {
+        state.loading.streak = false;
+        state.streak = action.payload;
+      })
+      .addCase(fetchStreak.rejected, (state, action) => {
+        state.loading.streak = false;
+        state.error.streak = action.payload;
+      })
+      .addCase(claimStreakReward.fulfilled, (state, action) => {
+        const milestone = state.streak?.milestones?.find(m => m.day === action.payload.milestone);
+        if (milestone) milestone.claimed = true;
+      })
+      .addCase(claimStreakReward.rejected, (state, action) => {
+        state.error.streak = action.payload;
+      })
+
+      // ==================== STATS ====================
+      .addCase(fetchStudyStats.pending, (state) => {
+        state.loading.stats = true;
+        state.error.stats = null;
+      })
+      .addCase(fetchStudyStats.fulfilled, (state, action) => {
+        state.loading.stats = false;
+        state.stats = action.payload;
+      })
+      .addCase(fetchStudyStats.rejected, (state, action) => {
+        state.loading.stats = false;
+        state.error.stats = action.payload;
+      })
+
+      // ==================== GOALS & NEXT ACTION ====================
+      .addCase(fetchGoals.fulfilled, (state, action) => {
+        state.goals = action.payload;
+      })
+      .addCase(setGoals.fulfilled, (state, action) => {
+        state.goals = action.payload;
+      })
+      .addCase(fetchNextAction.fulfilled, (state, action) => {
+        state.nextAction = action.payload;
+      });
+  }
+});
+
+// ==================== EXPORTS ====================
+
+export const {
+  clearLastSession,
+  resetStudyState
+} = studySlice.actions;
+
+export default studySlice.reducer;
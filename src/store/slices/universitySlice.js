@@ -0,0 +1,382 @@
+/**
+ * University Portal Redux Slice
+ *
+ * Backs the university partner portal: the overview across active cohorts,
+ * the cohort list, the open cohort with its students' GPS 101 progress and
+ * the student being inspected. Roster imports run as a dry run first; the
+ * preview is kept until the import is applied or dismissed. The last
+ * generated cohort report is kept for display and export.
+ */
+
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import universityService from '../../services/api/university.service';
+import { formatErrorForDisplay } from '../../utils/error/error.handler';
+
+// ==================== ASYNC THUNKS ====================
+
+/**
+ * Fetch the portal overview
+ */
+export const fetchPortalOverview = createAsyncThunk(
+  'university/fetchOverview',
+  async (options = {}, { rejectWithValue }) => {
+    try {
+      return await universityService.getPortalOverview(options);
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+/**
+ * Fetch cohorts with the current filters, optionally overridden
+ */
+export const fetchCohorts = createAsyncThunk(
+  'university/fetchCohorts',
+  async (overrides = {}, { getState, rejectWithValue }) => {
+    try {
+      return await universityService.getCohorts({ ...getState().university.cohorts.filters, ...overrides });
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+/**
+ * Fetch one cohort with its students
+ */
+export const fetchCohort = createAsyncThunk(
+  'university/fetchCohort',
+  async (cohortId, { rejectWithValue }) => {
+    try {
+      return await universityService.getCohort(cohortId);
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+/**
+ * Create a cohort
+ */
+export const createCohort = createAsyncThunk(
+  'university/createCohort',
+  async (data, { rejectWithValue }) => {
+    try {
+      return await universityService.createCohort(data);
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+/**
+ * Update a cohort's details or status
+ */
+export const updateCohort = createAsyncThunk(
+  'university/updateCohort',
+  async ({ cohortId, changes }, { rejectWithValue }) => {
+    try {
+      return await universityService.updateCohort(cohortId, changes);
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+/**
+ * Preview or apply a roster import
+ */
+export const importCohortStudents = createAsyncThunk(
+  'university/importStudents',
+  async ({ cohortId, csv, dryRun = false }, { rejectWithValue }) => {
+    try {
+      return await universityService.importCohortStudents(cohortId, { csv, dryRun });
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+/**
+ * Remove a student from a cohort
+ */
+export const removeCohortStudent = createAsyncThunk(
+  'university/removeStudent',
+  async ({ cohortId, studentId }, { rejectWithValue }) => {
+    try {
+      return await universityService.removeCohortStudent(cohortId, studentId);
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+/**
+ * Fetch one student's stage-by-stage progress
+ */
+export const fetchCohortStudent = createAsyncThunk(
+  'university/fetchStudent',
+  async ({ cohortId, studentId }, { rejectWithValue }) => {
+    try {
+      return await universityService.getCohortStudent(cohortId, studentId);
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+/**
+ * Generate a cohort report for a date range
+ */
+export const fetchCohortReport = createAsyncThunk(
+  'university/fetchReport',
+  async ({ cohortId, from, to }, { rejectWithValue }) => {
+    try {
+      return await universityService.getCohortReport(cohortId, { from, to });
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+// ==================== HELPERS ====================
+
+/**
+ * Stores a cohort response and refreshes its row in the list
+ * @param {Object} state - Slice state
+ * @param {Object} payload - { cohort, students }
+ */
+const receiveCohort = (state, { cohort, students }) => {
+  state.selectedCohort = { cohort, students };
+  const index = state.cohorts.items.findIndex(c => c.id === cohort.id);
+  if (index === -1) {
+    state.cohorts.items.unshift(cohort);
+  } else {
+    state.cohorts.items[index] = cohort;
+  }
+};
+
+// ==================== INITIAL STATE ====================
+
+const initialState = {
+  overview: null,
+
+  cohorts: {
+    items: [],
+    total: 0,
+    filters: {
+      status: 'active',
+      q: ''
+    }
+  },
+
+  // Open cohort ({ cohort, students }) and student ({ cohort, student, stages })
+  selectedCohort: null,
+  selectedStudent: null,
+
+  // Dry-run result of the roster being imported
+  importPreview: null,
+
+  // Last generated report ({ cohort, range, students, summary, timeline })
+  report: null,
+
+  // Loading states
+  loading: {
+    overview: false,
+    cohorts: false,
+    cohort: false,
+    save: false,
+    import: false,
+    student: false,
+    report: false
+  },
+
+  // Error states
+  error: {
+    overview: null,
+    cohorts: null,
+    cohort: null,
+    save: null,
+    import: null,
+    student: null,
+    report: null
+  }
+};
+
+// ==================== SLICE ====================
+
+const universitySlice = createSlice({
+  name: 'university',
+  initialState,
+  reducers: {
+    setCohortFilters: (state, action) => {
+      state.cohorts.filters = { ...state.cohorts.filters, ...action.payload };
+    },
+
+    clearImportPreview: (state) => {
+      state.importPreview = null;
+      state.error.import = null;
+    },
+
+    clearReport: (state) => {
+      state.report = null;
+      state.error.report = null;
+    },
+
+    clearUniversityError: (state, action) => {
+      if (action.payload) {
+        state.error[action.payload] = null;
+      } else {
+        Object.keys(state.error).forEach(key => { state.error[key] = null; });
+      }
+    },
+
+    resetUniversityState: () => initialState
+  },
+  extraReducers: (builder) => {
+    builder
+      // ==================== OVERVIEW ====================
+      .addCase(fetchPortalOverview.pending, (state) => {
+        state.loading.overview = true;
+        state.error.overview = null;
+      })
+      .addCase(fetchPortalOverview.fulfilled, (state, action) => {
+        state.loading.overview = false;
+        state.overview = action.payload;
+      })
+      .addCase(fetchPortalOverview.rejected, (state, action) => {
+        state.loading.overview = false;
+        state.error.overview = action.payload;
+      })
+
+      // ==================== COHORTS ====================
+      .addCase(fetchCohorts.pending, (state) => {
+        state.loading.cohorts = true;
+        state.error.cohorts = null;
+      })
+      .addCase(fetchCohorts.fulfilled, (state, action) => {
+        state.loading.cohorts = false;
+        state.cohorts.items = action.payload.cohorts || [];
+        state.cohorts.total = action.payload.total || 0;
+      })
+      .addCase(fetchCohorts.rejected, (state, action) => {
+        state.loading.cohorts = false;
+        state.error.cohorts = action.payload;
+      })
+      .addCase(fetchCohort.pending, (state, action) => {
+        state.loading.cohort = true;
+        state.error.cohort = null;
+        if (state.selectedCohort?.cohort.id !== action.meta.arg) {
+          state.selectedCohort = null;
+        }
+      })
+      .addCase(fetchCohort.fulfilled, (state, action) => {
+        state.loading.cohort = false;
+        receiveCohort(state, action.payload);
+      })
+      .addCase(fetchCohort.rejected, (state, action) => {
+        state.loading.cohort = false;
+        state.error.cohort = action.payload;
+      })
+
+      // ==================== SAVE ====================
+      .addCase(createCohort.pending, (state) => {
+        state.loading.save = true;
+        state.error.save = null;
+      })
+      .addCase(createCohort.fulfilled, (state, action) => {
+        state.loading.save = false;
+        receiveCohort(state, action.payload);
+        state.cohorts.total += 1;
+      })
+      .addCase(createCohort.rejected, (state, action) => {
+        state.loading.save = false;
+        state.error.save = action.payload;
+      })
+      .addCase(updateCohort.pending, (state) => {
+        state.loading.save = true;
+        state.error.save = null;
+      })
+      .addCase(updateCohort.fulfilled, (state, action) => {
+        state.loading.save = false;
+        receiveCohort(state, action.payload);
+      })
+      .addCase(updateCohort.rejected, (state, action) => {
+        state.loading.save = false;
+        state.error.save = action.payload;
+      })
+      .addCase(removeCohortStudent.pending, (state) => {
+        state.loading.save = true;
+        state.error.save = null;
+      })
+      .addCase(removeCohortStudent.fulfilled, (state, action) => {
+        state.loading.save = false;
+        receiveCohort(state, action.payload);
+      })
+      .addCase(removeCohortStudent.rejected, (state, action) => {
+        state.loading.save = false;
+        state.error.save = action.payload;
+      })
+
+      // ==================== IMPORT ====================
+      .addCase(importCohortStudents.pending, (state) => {
+        state.loading.import = true;
+        state.error.import = null;
+      })
+      .addCase(importCohortStudents.fulfilled, (state, action) => {
+        state.loading.import = false;
+        if (action.payload.dryRun) {
+          state.importPreview = action.payload;
+        } else {
+          state.importPreview = null;
+          receiveCohort(state, action.payload);
+        }
+      })
+      .addCase(importCohortStudents.rejected, (state, action) => {
+        state.loading.import = false;
+        state.error.import = action.payload;
+      })
+
+      // ==================== STUDENT ====================
+      .addCase(fetchCohortStudent.pending, (state) => {
+        state.loading.student = true;
+        state.error.student = null;
+        state.selectedStudent = null;
+      })
+      .addCase(fetchCohortStudent.fulfilled, (state, action) => {
+        state.loading.student = false;
+        state.selectedStudent = action.payload;
+      })
+      .addCase(fetchCohortStudent.rejected, (state, action) => {
+        state.loading.student = false;
+        state.error.student = action.payload;
+      })
+
+      // ==================== REPORT ====================
+      .addCase(fetchCohortReport.pending, (state) => {
+        state.loading.report = true;
+        state.error.report = null;
+      })
+      .addCase(fetchCohortReport.fulfilled, (state, action) => {
+        state.loading.report = false;
+        state.report = action.payload;
+      })
+      .addCase(fetchCohortReport.rejected, (state, action) => {
+        state.loading.report = false;
+        state.error.report = action.payload;
+      });
+  }
+});
+
+// ==================== EXPORTS ====================
+
+export const {
+  setCohortFilters,
+  clearImportPreview,
+  clearReport,
+  clearUniversityError,
+  resetUniversityState
+} = universitySlice.actions;
+
+export default universitySlice.reducer;
@@ -1,14 +1,51 @@
 /**
  * User Redux Slice
- * 
+ *
  * Manages user authentication and profile state.
  */
 
-import { createSlice } from '@reduxjs/toolkit';
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import userService from '../../services/api/user.service';
+import { formatErrorForDisplay } from '../../utils/error/error.handler';
+
+// ==================== ASYNC THUNKS ====================
+
+/**
+ * Fetch the learner's badges
+ */
+export const fetchBadges = createAsyncThunk(
+  'user/fetchBadges',
+  async ({ useCache = true } = {}, { rejectWithValue }) => {
+    try {
+      const response = await userService.getBadges({ useCache });
+      return response.badges || [];
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+/**
+ * Choose which badges are featured on the profile
+ */
+export const updateFeaturedBadges = createAsyncThunk(
+  'user/updateFeaturedBadges',
+  async (badgeIds, { rejectWithValue }) => {
+    try {
+      await userService.setFeaturedBadges(badgeIds);
+      return badgeIds;
+    } catch (error) {
+      return rejectWithValue(formatErrorForDisplay(error));
+    }
+  }
+);
+
+// ==================== SLICE ====================
 
 const initialState = {
   currentUser: null,
   isAuthenticated: false,
+  badges: [],
   loading: false,
   error: null,
 };
@@ -24,6 +61,7 @@ const userSlice = createSlice({
     clearUser: (state) => {
       state.currentUser = null;
       state.isAuthenticated = false;
+      state.badges = [];
     },
     setLoading: (state, action) => {
       state.loading = action.payload;
@@ -32,7 +70,24 @@ const userSlice = createSlice({
       state.error = action.payload;
     },
   },
+  extraReducers: (builder) => {
+    builder
+      .addCase(fetchBadges.fulfilled, (state, action) => {
+        state.badges = action.payload;
+      })
+      .addCase(fetchBadges.rejected, (state, action) => {
+        state.error = action.payload;
+      })
+      .addCase(updateFeaturedBadges.fulfilled, (state, action) => {
+        state.badges.forEach(badge => {
+          badge.featured = action.payload.includes(badge.id);
+        });
+      })
+      .addCase(updateFeaturedBadges.rejected, (state, action) => {
+        state.error = action.payload;
+      });
+  },
 });
 
 export const { setUser, clearUser, setLoading, setError } = userSlice.actions;
-export default userSlice.reducer;
\ No newline at end of file
+export default userSlice.reducer;
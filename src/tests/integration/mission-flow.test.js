@@ -0,0 +1,72 @@
+/**
+ * GPS Lab Platform - Mission Flow Integration Tests
+ *
+ * Drives the real services through ApiClient against the in-process mock
+ * backend, checking that mission progress, rewards and the Baraka ledger
+ * stay consistent across services.
+ */
+
+import { configureMockBackend, resetMockBackend } from '../../services/mock/mock.backend';
+import { login, logout } from '../../services/api/auth.service';
+import {
+  getCurrentActiveMission,
+  getMission,
+  acceptMission,
+  completeMission
+} from '../../services/api/mission.service';
+import { getBalance, getTransactions } from '../../services/api/baraka.service';
+
+describe('mission flow (mock backend)', () => {
+  beforeAll(() => {
+    configureMockBackend({ enabled: true, latency: 0 });
+  });
+
+  afterAll(() => {
+    configureMockBackend({ enabled: false });
+  });
+
+  beforeEach(async () => {
+    localStorage.clear();
+    sessionStorage.clear();
+    resetMockBackend();
+    await login({ email: 'gps.solver@gpslab.dev', password: 'demo' });
+  });
+
+  it('resumes the seeded in-progress mission', async () => {
+    const current = await getCurrentActiveMission();
+
+    expect(current.id).toBe('S2M4');
+    expect(current.status).toBe('in_progress');
+  });
+
+  it('credits mission rewards to the Baraka ledger', async () => {
+    const before = await getBalance({ useCache: false });
+    const result = await completeMission('S2M4');
+    const after = await getBalance({ useCache: false });
+    const { transactions } = await getTransactions();
+
+    expect(result.status).toBe('completed');
+    expect(result.newlyUnlocked).toBeNull();
+    expect(after.available).toBe(before.available + result.rewards.baraka);
+    expect(transactions[0]).toMatchObject({
+      type: 'earn_mission',
+      amount: result.rewards.baraka,
+      balance: after.available
+    });
+  });
+
+  it('rejects actions on locked missions with the backend error', async () => {
+    await expect(acceptMission('S5M1')).rejects.toMatchObject({ message: 'Mission is locked' });
+    expect((await getMission('S5M1', { useCache: false })).status).toBe('locked');
+  });
+
+  it('keeps state across logout but not across a reset', async () => {
+    await completeMission('S2M4');
+    await logout();
+    await login({ email: 'gps.solver@gpslab.dev', password: 'demo' });
+    expect((await getMission('S2M4', { useCache: false })).status).toBe('completed');
+
+    resetMockBackend();
+    expect((await getMission('S2M4', { useCache: false })).status).toBe('in_progress');
+  });
+});
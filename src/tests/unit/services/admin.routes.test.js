@@ -0,0 +1,194 @@
+/**
+ * GPS Lab Platform - Admin Route Tests
+ *
+ * Sends admin console requests through the mock backend as a signed-in
+ * admin: every action needs a reason and lands in the audit log, admins
+ * cannot suspend themselves, bulk actions report the users they failed
+ * for, and exporting the audit log is itself audited.
+ */
+
+import { handleMockRequest, resetMockBackend } from '../../../services/mock/mock.backend';
+import { DEMO_USER_ID, getDb } from '../../../services/mock/mock.db';
+import { ADMIN_USER_ID } from '../../../services/mock/mock.seed';
+import { auditLogToCSV } from '../../../utils/helpers/audit.helper';
+import { parseCSV } from '../../../utils/helpers/export.helper';
+
+const PEER_ID = 'usr_002';
+
+describe('admin routes', () => {
+  let adminToken;
+
+  const send = async (method, url, data, token = adminToken) => {
+    const response = await handleMockRequest({
+      method,
+      url,
+      data,
+      headers: token ? { Authorization: `Bearer ${token}` } : {}
+    });
+    return { status: response.status, data: await response.json() };
+  };
+
+  const act = (userId, action, body) => send('POST', `/admin/users/${userId}/actions/${action}`, body);
+
+  const wallet = async (userId) => (await send('GET', `/admin/users/${userId}`)).data.ledger;
+
+  beforeEach(async () => {
+    resetMockBackend();
+    const { data } = await send('POST', '/auth/login', { email: 'admin@gpslab.dev', password: 'secret' }, null);
+    adminToken = data.accessToken;
+  });
+
+  describe('user actions', () => {
+    it('suspends a learner and records who did it and why', async () => {
+      const { status, data } = await act(DEMO_USER_ID, 'suspend', { reason: '  Spam in party chat ' });
+
+      expect(status).toBe(200);
+      expect(data.user).toMatchObject({ id: DEMO_USER_ID, accountStatus: 'suspended' });
+      expect(data.audit).toMatchObject({
+        action: 'suspend',
+        actorId: ADMIN_USER_ID,
+        targetId: DEMO_USER_ID,
+        reason: 'Spam in party chat'
+      });
+      expect(getDb().auditLog[0].id).toBe(data.audit.id);
+    });
+
+    it('refuses any action without a reason', async () => {
+      const auditSize = getDb().auditLog.length;
+
+      const { status, data } = await act(DEMO_USER_ID, 'grant_r2r', { count: 2, reason: '   ' });
+
+      expect(status).toBe(400);
+      expect(data.code).toBe('REASON_REQUIRED');
+      expect(getDb().auditLog).toHaveLength(auditSize);
+    });
+
+    it('refuses unknown actions', async () => {
+      expect((await act(DEMO_USER_ID, 'delete', { reason: 'Cleanup' })).data.code).toBe('INVALID_ACTION');
+    });
+
+    it('does not let an admin suspend their own account', async () => {
+      const { status, data } = await act(ADMIN_USER_ID, 'suspend', { reason: 'Testing' });
+
+      expect(status).toBe(400);
+      expect(data.code).toBe('CANNOT_TARGET_SELF');
+      expect((await send('GET', `/admin/users/${ADMIN_USER_ID}`)).data.user.accountStatus).toBe('active');
+    });
+
+    it('keeps learners out of the console', async () => {
+      const { data: learner } = await send('POST', '/auth/login', { email: 'nobody@example.com', password: 'secret' }, null);
+
+      expect((await send('GET', '/admin/overview', undefined, learner.accessToken)).status).toBe(403);
+    });
+
+    it('resets a checkpoint without handing out its rewards again', async () => {
+      const { data } = await act(DEMO_USER_ID, 'reset_checkpoint', { missionId: 'S1M5', reason: 'Quiz had a broken question' });
+
+      expect(data.audit.details).toEqual({ missionId: 'S1M5', previousStatus: 'passed', previousAttempts: 2, previousBestScore: 82 });
+      expect(getDb().learners[DEMO_USER_ID].checkpoints.S1M5).toMatchObject({
+        status: 'available',
+        attempts: 0,
+        bestScore: null,
+        rewardsClaimed: true
+      });
+    });
+
+    it('credits and debits Baraka as staff adjustments', async () => {
+      const before = (await wallet(DEMO_USER_ID)).wallet.available;
+
+      const credit = await act(DEMO_USER_ID, 'adjust_baraka', { amount: 120, reason: 'Event prize' });
+      const debit = await act(DEMO_USER_ID, 'adjust_baraka', { amount: -70, reason: 'Duplicate payout' });
+
+      expect(credit.data.audit.details).toMatchObject({ amount: 120, balance: before + 120 });
+      expect(debit.data.audit.details).toMatchObject({ amount: -70, balance: before + 50 });
+
+      const ledger = await wallet(DEMO_USER_ID);
+      expect(ledger.wallet.available).toBe(before + 50);
+      expect(ledger.transactions.slice(0, 2)).toEqual([
+        expect.objectContaining({ type: 'admin_adjustment', amount: -70, description: 'Adjustment by staff: Duplicate payout' }),
+        expect.objectContaining({ type: 'admin_adjustment', amount: 120, description: 'Adjustment by staff: Event prize' })
+      ]);
+    });
+
+    it('refuses a zero adjustment and a debit larger than the balance', async () => {
+      const { available } = (await wallet(DEMO_USER_ID)).wallet;
+
+      expect((await act(DEMO_USER_ID, 'adjust_baraka', { amount: 0, reason: 'Nothing' })).data.code).toBe('INVALID_AMOUNT');
+      expect((await act(DEMO_USER_ID, 'adjust_baraka', { amount: -(available + 1), reason: 'Too much' })).data.code).toBe('INSUFFICIENT_BARAKA');
+      expect((await wallet(DEMO_USER_ID)).wallet.available).toBe(available);
+    });
+  });
+
+  describe('bulk actions', () => {
+    it('reports the users an action failed for and carries on with the rest', async () => {
+      const { status, data } = await send('POST', '/admin/users/bulk', {
+        action: 'suspend',
+        userIds: [DEMO_USER_ID, ADMIN_USER_ID, 'usr_missing', PEER_ID, DEMO_USER_ID],
+        reason: 'Coordinated spam'
+      });
+
+      expect(status).toBe(200);
+      expect(data).toMatchObject({ action: 'suspend', succeeded: 2, failed: 2 });
+      expect(data.results.map(({ userId, success, code }) => ({ userId, success, code }))).toEqual([
+        { userId: DEMO_USER_ID, success: true, code: undefined },
+        { userId: ADMIN_USER_ID, success: false, code: 'CANNOT_TARGET_SELF' },
+        { userId: 'usr_missing', success: false, code: 'NOT_FOUND' },
+        { userId: PEER_ID, success: true, code: undefined }
+      ]);
+      expect(getDb().auditLog.slice(0, 2).map(entry => [entry.targetId, entry.details.bulkId])).toEqual([
+        [PEER_ID, data.bulkId],
+        [DEMO_USER_ID, data.bulkId]
+      ]);
+    });
+
+    it('checks the reason before touching any user', async () => {
+      const { status, data } = await send('POST', '/admin/users/bulk', { action: 'suspend', userIds: [DEMO_USER_ID] });
+
+      expect(status).toBe(400);
+      expect(data.code).toBe('REASON_REQUIRED');
+      expect(getDb().users.find(u => u.id === DEMO_USER_ID).isActive).not.toBe(false);
+    });
+  });
+
+  describe('audit log export', () => {
+    it('exports the filtered log and audits the export', async () => {
+      await act(DEMO_USER_ID, 'grant_r2r', { count: 1, reason: 'Outage' });
+      await act(PEER_ID, 'grant_r2r', { count: 3, reason: 'Outage' });
+      await act(PEER_ID, 'suspend', { reason: 'Spam' });
+
+      const { data } = await send('GET', '/admin/audit-log/export?action=grant_r2r&q=Outage');
+
+      expect(data.total).toBe(2);
+      expect(data.entries.map(entry => entry.targetId)).toEqual([PEER_ID, DEMO_USER_ID]);
+      expect(getDb().auditLog[0]).toMatchObject({
+        action: 'audit_log_exported',
+        actorId: ADMIN_USER_ID,
+        targetType: 'audit_log',
+        details: { count: 2, filters: { action: 'grant_r2r', q: 'Outage' } }
+      });
+    });
+  });
+
+  describe('auditLogToCSV', () => {
+    it('writes one row per entry with the details as JSON', () => {
+      const csv = auditLogToCSV([{
+        id: 'aud_1',
+        createdAt: '2026-03-01T09:00:00.000Z',
+        action: 'adjust_baraka',
+        actorId: ADMIN_USER_ID,
+        actorName: 'GPS Admin',
+        targetType: 'user',
+        targetId: DEMO_USER_ID,
+        targetName: 'Demo, Learner',
+        reason: '=HYPERLINK("x")',
+        details: { amount: -70, balance: 430 }
+      }]);
+
+      expect(parseCSV(csv)).toEqual([
+        ['ID', 'Time', 'Action', 'Actor ID', 'Actor', 'Target type', 'Target ID', 'Target', 'Reason', 'Details'],
+        ['aud_1', '2026-03-01T09:00:00.000Z', 'adjust_baraka', ADMIN_USER_ID, 'GPS Admin', 'user', DEMO_USER_ID, 'Demo, Learner', '\'=HYPERLINK("x")', '{"amount":-70,"balance":430}']
+      ]);
+      expect(auditLogToCSV([])).toBe('ID,Time,Action,Actor ID,Actor,Target type,Target ID,Target,Reason,Details');
+    });
+  });
+});
@@ -0,0 +1,218 @@
+/**
+ * GPS Lab Platform - API Cache Tests
+ *
+ * Covers the shared response cache through the API client: tag
+ * invalidation, sharing identical in-flight GETs, stale-while-revalidate
+ * and clearing the cache when the session ends.
+ */
+
+import apiClient, { ApiClient } from '../../../services/api/client';
+import { CACHE_CONFIG } from '../../../services/api/api.cache';
+import { setSession, endSession, clearSession } from '../../../services/session/session.manager';
+import { setOnline } from '../../../services/offline/connectivity';
+import { createError, ERROR_TYPES } from '../../../utils/error/error.handler';
+
+/**
+ * Response the mocked network answers with
+ */
+const ok = (data) => ({ data, status: 200, statusText: 'OK', headers: null });
+
+/**
+ * Lets pending promise callbacks run
+ */
+const settle = async () => {
+  for (let i = 0; i < 10; i++) await Promise.resolve();
+};
+
+describe('API response cache', () => {
+  let client;
+  let send;
+
+  beforeEach(() => {
+    localStorage.clear();
+    setOnline(true);
+    client = new ApiClient();
+    send = jest.spyOn(client, 'send');
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  describe('tag invalidation', () => {
+    it('removes only the entries carrying a given tag', () => {
+      client.cache.set('missions', [1], { tags: ['missions'] });
+      client.cache.set('mission-1', { id: 1 }, { tags: ['missions', 'mission:1'] });
+      client.cache.set('balance', { available: 10 }, { tags: ['baraka'] });
+
+      expect(client.invalidateTags('mission:1')).toEqual(['mission-1']);
+      expect(client.invalidateTags(['missions', 'user']).sort()).toEqual(['missions']);
+      expect(client.cache.get('balance').data).toEqual({ available: 10 });
+    });
+
+    it('invalidates the tags a mutation names once it succeeds', async () => {
+      client.cache.set('balance', { available: 10 }, { tags: ['baraka'] });
+      send.mockResolvedValueOnce(ok({ success: true }));
+
+      await client.request({ method: 'POST', url: '/baraka/transfer', invalidates: ['baraka'] });
+
+      expect(client.cache.get('balance')).toBeNull();
+    });
+
+    it('keeps the cache when the mutation fails or is only queued', async () => {
+      client.cache.set('balance', { available: 10 }, { tags: ['baraka'] });
+      send
+        .mockRejectedValueOnce(createError(ERROR_TYPES.API_ERROR, { details: { status: 422 } }))
+        .mockResolvedValueOnce({ ...ok({ queued: true }), queued: true });
+
+      await expect(client.request({ method: 'POST', url: '/a', invalidates: ['baraka'] })).rejects.toBeDefined();
+      await client.request({ method: 'POST', url: '/b', invalidates: ['baraka'] });
+
+      expect(client.cache.get('balance')).not.toBeNull();
+    });
+  });
+
+  describe('request deduplication', () => {
+    it('shares one request between identical concurrent GETs', async () => {
+      let respond;
+      send.mockReturnValueOnce(new Promise(resolve => { respond = resolve; }));
+
+      const first = client.request({ url: '/missions', params: { stage: 1 } });
+      const second = client.request({ url: '/missions', params: { stage: 1 } });
+      respond(ok({ missions: ['S1M1'] }));
+      const [a, b] = await Promise.all([first, second]);
+
+      expect(send).toHaveBeenCalledTimes(1);
+      expect(a.data).toEqual({ missions: ['S1M1'] });
+      expect(b.data).toEqual(a.data);
+      expect(b.data).not.toBe(a.data);
+    });
+
+    it('sends GETs for different params separately', async () => {
+      send.mockImplementation(config => Promise.resolve(ok(config.params)));
+
+      await Promise.all([
+        client.request({ url: '/missions', params: { stage: 1 } }),
+        client.request({ url: '/missions', params: { stage: 2 } })
+      ]);
+
+      expect(send).toHaveBeenCalledTimes(2);
+    });
+
+    it('aborts the shared request only once every caller has cancelled', async () => {
+      let sharedSignal;
+      send.mockImplementation(config => {
+        sharedSignal = config.signal;
+        return new Promise(() => {});
+      });
+      const first = new AbortController();
+      const second = new AbortController();
+
+      const a = client.request({ url: '/missions', signal: first.signal });
+      const b = client.request({ url: '/missions', signal: second.signal });
+
+      first.abort();
+      await expect(a).rejects.toMatchObject({ type: ERROR_TYPES.REQUEST_CANCELLED });
+      expect(sharedSignal.aborted).toBe(false);
+
+      second.abort();
+      await expect(b).rejects.toMatchObject({ type: ERROR_TYPES.REQUEST_CANCELLED });
+      expect(sharedSignal.aborted).toBe(true);
+    });
+  });
+
+  describe('stale-while-revalidate', () => {
+    const config = { url: '/baraka/balance', cache: { ttl: 1000, tags: ['baraka'] } };
+
+    beforeEach(() => {
+      jest.useFakeTimers();
+      jest.setSystemTime(new Date('2026-01-01T00:00:00.000Z'));
+    });
+
+    it('serves a fresh entry without a request', async () => {
+      send.mockResolvedValueOnce(ok({ available: 10 }));
+      await client.request(config);
+
+      const response = await client.request(config);
+
+      expect(send).toHaveBeenCalledTimes(1);
+      expect(response).toMatchObject({ data: { available: 10 }, cached: true, stale: false });
+    });
+
+    it('serves a stale entry, then refreshes it in the background', async () => {
+      send.mockResolvedValueOnce(ok({ available: 10 }));
+      await client.request(config);
+      jest.advanceTimersByTime(1001);
+
+      const updates = [];
+      client.onCacheUpdate(update => updates.push(update));
+      send.mockResolvedValueOnce(ok({ available: 25 }));
+
+      const response = await client.request(config);
+      expect(response).toMatchObject({ data: { available: 10 }, cached: true, stale: true });
+
+      await settle();
+      expect(send).toHaveBeenCalledTimes(2);
+      expect(updates).toEqual([{ key: client.getRequestKey(config), tags: ['baraka'], data: { available: 25 } }]);
+      expect(await client.request(config)).toMatchObject({ data: { available: 25 }, stale: false });
+    });
+
+    it('keeps the stale entry when the background refresh fails', async () => {
+      send.mockResolvedValueOnce(ok({ available: 10 }));
+      await client.request(config);
+      jest.advanceTimersByTime(1001);
+      send.mockRejectedValueOnce(createError(ERROR_TYPES.API_ERROR, { details: { status: 500 } }));
+
+      await client.request(config);
+      await settle();
+
+      expect(client.cache.get(client.getRequestKey(config)).data).toEqual({ available: 10 });
+    });
+
+    it('waits for the network once an entry is past the stale window', async () => {
+      send.mockResolvedValueOnce(ok({ available: 10 }));
+      await client.request(config);
+      jest.advanceTimersByTime(1000 + CACHE_CONFIG.maxStale + 1);
+      send.mockResolvedValueOnce(ok({ available: 40 }));
+
+      const response = await client.request(config);
+
+      expect(response.cached).toBeUndefined();
+      expect(response.data).toEqual({ available: 40 });
+    });
+
+    it('falls back to any entry when the network is unreachable', async () => {
+      send.mockResolvedValueOnce(ok({ available: 10 }));
+      await client.request({ ...config, cache: { ...config.cache, ttl: 0 } });
+      jest.advanceTimersByTime(1000 + CACHE_CONFIG.maxStale + 1);
+      send.mockRejectedValueOnce(createError(ERROR_TYPES.NETWORK_ERROR));
+
+      const response = await client.request(config);
+
+      expect(response).toMatchObject({ data: { available: 10 }, cached: true, stale: true });
+    });
+  });
+
+  describe('session end', () => {
+    beforeEach(() => {
+      setSession({ accessToken: 'access', refreshToken: 'refresh', expiresAt: Date.now() + 60 * 60 * 1000 });
+      apiClient.cache.set('profile', { id: 'usr_001' }, { tags: ['user'] });
+    });
+
+    afterEach(() => {
+      clearSession();
+    });
+
+    it('clears the cache on logout', () => {
+      endSession();
+
+      expect(apiClient.cache.get('profile')).toBeNull();
+    });
+
+    it('clears the cache when the session expires', () => {
+      endSession({ reason: 'session_expired' });
+
+      expect(apiClient.cache.get('profile')).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,148 @@
+/**
+ * GPS Lab Platform - GPO Validation Route Tests
+ *
+ * Takes a submitted Problem Showcase through the mock validation routes:
+ * it is published once two peers and a mentor approve in one round, a
+ * request for changes sends it back to its owner, and resubmitting starts
+ * a round in which earlier approvals no longer count.
+ */
+
+import { createMockRouter } from '../../../services/mock/mock.router';
+import { registerGpoRoutes } from '../../../services/mock/routes/gpo.routes';
+import { DEMO_USER_ID, resetMockDb } from '../../../services/mock/mock.db';
+import { ADMIN_USER_ID } from '../../../services/mock/mock.seed';
+import { VALIDATION_CHECKLIST, VALIDATION_DECISIONS, EVIDENCE_TYPES } from '../../../utils/validators/gpo.validator';
+
+const PEERS = ['usr_002', 'usr_003', 'usr_004'];
+const MENTOR_ID = ADMIN_USER_ID;
+
+const approval = {
+  decision: VALIDATION_DECISIONS.APPROVE,
+  comment: 'I walked the route to the borehole and the queue is real.',
+  checklist: VALIDATION_CHECKLIST.map(item => item.id),
+  evidence: [{ type: EVIDENCE_TYPES.LINK, label: 'Survey', url: 'https://example.org/survey' }]
+};
+
+const changeRequest = {
+  decision: VALIDATION_DECISIONS.REQUEST_CHANGES,
+  comment: 'Please add who you spoke to in the village.'
+};
+
+describe('GPO validation routes', () => {
+  let db;
+  let router;
+  let projectId;
+
+  const request = (method, path, userId, body = {}) => {
+    const route = router.match(method, path);
+    return route.handler({ db, userId, params: route.params, query: {}, body });
+  };
+
+  const attempt = (...args) => {
+    try {
+      request(...args);
+    } catch (error) {
+      return error;
+    }
+    throw new Error('Expected the request to fail');
+  };
+
+  const validate = (userId, body = approval) => request('POST', `/gpo/projects/${projectId}/validations`, userId, body);
+
+  const project = () => request('GET', `/gpo/projects/${projectId}`, DEMO_USER_ID);
+
+  beforeEach(() => {
+    db = resetMockDb();
+    router = createMockRouter();
+    registerGpoRoutes(router);
+
+    projectId = request('POST', '/gpo/projects', DEMO_USER_ID, { title: 'Clean water for Kibera', category: 'community' }).id;
+    request('POST', `/gpo/projects/${projectId}/submit`, DEMO_USER_ID);
+  });
+
+  describe('a full approval round', () => {
+    it('publishes only once two peers and a mentor have approved', () => {
+      validate(PEERS[0]);
+      expect(project()).toMatchObject({ status: 'submitted', validation: { round: 1, approvals: { peer: 1, mentor: 0 } } });
+
+      validate(MENTOR_ID);
+      expect(project()).toMatchObject({ status: 'submitted', validation: { approvals: { peer: 1, mentor: 1 } } });
+
+      const published = validate(PEERS[1]);
+
+      expect(published).toMatchObject({
+        status: 'published',
+        publishedAt: expect.any(String),
+        validation: { required: { peer: 2, mentor: 1 }, approvals: { peer: 2, mentor: 1 } }
+      });
+      expect(published.validation.validations.map(v => [v.reviewer.id, v.role])).toEqual([
+        [PEERS[0], 'peer'],
+        [MENTOR_ID, 'mentor'],
+        [PEERS[1], 'peer']
+      ]);
+      expect(request('GET', `/gpo/projects/${projectId}/review`, DEMO_USER_ID)).toMatchObject({ status: 'approved' });
+    });
+
+    it('does not publish on peer approvals alone', () => {
+      PEERS.forEach(peer => validate(peer));
+
+      expect(project()).toMatchObject({ status: 'submitted', validation: { approvals: { peer: 3, mentor: 0 } } });
+    });
+
+    it('counts each reviewer once per round', () => {
+      validate(PEERS[0]);
+
+      expect(attempt('POST', `/gpo/projects/${projectId}/validations`, PEERS[0], approval))
+        .toMatchObject({ status: 409, details: { code: 'ALREADY_VALIDATED' } });
+      expect(request('GET', `/gpo/projects/${projectId}`, PEERS[0]).viewer.canValidate).toBe(false);
+      expect(project().validation.validations).toHaveLength(1);
+    });
+
+    it('does not let the owner validate their own showcase', () => {
+      expect(attempt('POST', `/gpo/projects/${projectId}/validations`, DEMO_USER_ID, approval))
+        .toMatchObject({ status: 403, details: { code: 'OWN_PROJECT' } });
+    });
+
+    it('refuses an approval without the checklist and evidence', () => {
+      const error = attempt('POST', `/gpo/projects/${projectId}/validations`, PEERS[0], { ...approval, checklist: [], evidence: [] });
+
+      expect(error).toMatchObject({ status: 422, details: { code: 'INVALID_VALIDATION' } });
+      expect(Object.keys(error.details.errors)).toEqual(['checklist', 'evidence']);
+    });
+  });
+
+  describe('a changes-requested round', () => {
+    it('sends the showcase back to its owner with the feedback, out of reviewers\' sight', () => {
+      validate(PEERS[0]);
+      validate(MENTOR_ID, changeRequest);
+
+      expect(project()).toMatchObject({ status: 'changes_requested', validation: { approvals: { peer: 1, mentor: 0 } } });
+      expect(request('GET', `/gpo/projects/${projectId}/review`, DEMO_USER_ID)).toMatchObject({
+        status: 'changes_requested',
+        feedback: changeRequest.comment
+      });
+      expect(attempt('POST', `/gpo/projects/${projectId}/validations`, PEERS[1], approval))
+        .toMatchObject({ status: 404, details: { code: 'NOT_FOUND' } });
+    });
+
+    it('starts a fresh round on resubmission, where earlier approvals no longer count', () => {
+      validate(PEERS[0]);
+      validate(PEERS[1]);
+      validate(MENTOR_ID, changeRequest);
+
+      request('PATCH', `/gpo/projects/${projectId}`, DEMO_USER_ID, { description: 'Spoke with 40 households in Soweto East.' });
+      request('POST', `/gpo/projects/${projectId}/submit`, DEMO_USER_ID);
+
+      expect(project()).toMatchObject({
+        status: 'submitted',
+        validation: { round: 2, approvals: { peer: 0, mentor: 0 }, validations: [] }
+      });
+
+      validate(MENTOR_ID);
+      validate(PEERS[0]);
+      expect(project().status).toBe('submitted');
+
+      expect(validate(PEERS[2])).toMatchObject({ status: 'published', validation: { round: 2, approvals: { peer: 2, mentor: 1 } } });
+    });
+  });
+});
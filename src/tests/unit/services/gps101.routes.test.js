@@ -0,0 +1,120 @@
+/**
+ * GPS Lab Platform - GPS 101 Curriculum Route Tests
+ *
+ * Takes a draft through the mock authoring endpoints: learners keep getting
+ * the published version while the draft is edited, a draft with errors is
+ * refused, and publishing archives the version it replaces.
+ */
+
+import { createMockRouter } from '../../../services/mock/mock.router';
+import { registerGps101Routes } from '../../../services/mock/routes/gps101.routes';
+import { DEMO_USER_ID, resetMockDb } from '../../../services/mock/mock.db';
+import { ADMIN_USER_ID } from '../../../services/mock/mock.seed';
+
+const VERSIONS = '/api/gps101/admin/curriculum/versions';
+
+describe('GPS 101 curriculum routes', () => {
+  let db;
+  let router;
+
+  const request = (method, path, body = {}, userId = ADMIN_USER_ID) => {
+    const route = router.match(method, path);
+    return route.handler({ db, userId, params: route.params, query: {}, body });
+  };
+
+  const attempt = (...args) => {
+    try {
+      request(...args);
+    } catch (error) {
+      return error;
+    }
+    throw new Error('Expected the request to fail');
+  };
+
+  const published = () => request('GET', '/api/gps101/curriculum');
+
+  /**
+   * A draft whose first mission has a new title in both languages
+   */
+  const editedDraft = () => {
+    const draft = request('POST', VERSIONS);
+    draft.missions[0].missionTitle = 'Discover who you are';
+    draft.missions[0].missionTitleKo = '나를 발견하기';
+    return request('PUT', `${VERSIONS}/${draft.versionId}`, draft);
+  };
+
+  beforeEach(() => {
+    db = resetMockDb();
+    router = createMockRouter();
+    registerGps101Routes(router);
+  });
+
+  it('starts a draft from the published version, one at a time', () => {
+    const draft = request('POST', VERSIONS);
+
+    expect(draft).toMatchObject({ version: 2, status: 'draft', basedOn: 1, publishedAt: null });
+    expect(draft.missions).toEqual(published().missions);
+    expect(attempt('POST', VERSIONS)).toMatchObject({ status: 409, details: { code: 'DRAFT_EXISTS', versionId: draft.versionId } });
+  });
+
+  it('keeps authoring to curriculum staff', () => {
+    expect(attempt('POST', VERSIONS, {}, DEMO_USER_ID)).toMatchObject({ status: 403 });
+  });
+
+  it('keeps serving the published version while a draft is edited', () => {
+    const before = published();
+
+    const draft = editedDraft();
+
+    expect(draft.missions[0]).toMatchObject({ missionTitle: 'Discover who you are', missionTitleKo: '나를 발견하기' });
+    expect(published()).toEqual(before);
+    expect(published().version).toBe(1);
+  });
+
+  it('refuses a save over someone else\'s changes', () => {
+    const draft = request('POST', VERSIONS);
+
+    expect(attempt('PUT', `${VERSIONS}/${draft.versionId}`, { ...draft, updatedAt: '2020-01-01T00:00:00.000Z' }))
+      .toMatchObject({ status: 409, details: { code: 'VERSION_CONFLICT' } });
+  });
+
+  it('publishes a draft and archives the version it replaces', () => {
+    const draft = editedDraft();
+
+    const result = request('POST', `${VERSIONS}/${draft.versionId}/publish`);
+
+    expect(result).toMatchObject({ versionId: draft.versionId, status: 'published', publishedBy: ADMIN_USER_ID });
+    expect(published()).toMatchObject({ versionId: draft.versionId, version: 2 });
+    expect(published().missions[0]).toMatchObject({ missionTitle: 'Discover who you are', missionTitleKo: '나를 발견하기' });
+    expect(request('GET', VERSIONS).versions.map(v => [v.version, v.status])).toEqual([[2, 'published'], [1, 'archived']]);
+    expect(db.auditLog[0]).toMatchObject({ action: 'curriculum_published', targetId: draft.versionId, details: { previousVersion: 1 } });
+    expect(attempt('PUT', `${VERSIONS}/${draft.versionId}`, result)).toMatchObject({ status: 409, details: { code: 'VERSION_NOT_DRAFT' } });
+  });
+
+  it('publishes with missing Korean text, which is only a warning', () => {
+    const draft = request('POST', VERSIONS);
+    draft.missions[0].missionTitle = 'Discover who you are';
+    draft.missions[0].missionTitleKo = '';
+    request('PUT', `${VERSIONS}/${draft.versionId}`, draft);
+
+    expect(request('POST', `${VERSIONS}/${draft.versionId}/publish`).status).toBe('published');
+  });
+
+  it('refuses to publish a draft with errors and leaves the published version alone', () => {
+    const draft = request('POST', VERSIONS);
+    const [mission] = draft.missions;
+    mission.missionTitle = '';
+    mission.subMissions[0].checkpoints[0].barakaReward = -5;
+    request('PUT', `${VERSIONS}/${draft.versionId}`, draft);
+
+    const error = attempt('POST', `${VERSIONS}/${draft.versionId}/publish`);
+
+    expect(error).toMatchObject({ status: 422, details: { code: 'INVALID_CURRICULUM' } });
+    expect(error.details.errors).toEqual([
+      { id: mission.missionId, message: 'missionTitle is required' },
+      { id: mission.subMissions[0].checkpoints[0].checkpointId, message: 'barakaReward must be a whole number of 0 or more' }
+    ]);
+    expect(published().version).toBe(1);
+    expect(request('GET', `${VERSIONS}/${draft.versionId}`).status).toBe('draft');
+  });
+});
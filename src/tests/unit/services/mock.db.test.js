@@ -0,0 +1,143 @@
+/**
+ * GPS Lab Platform - Mock Database Tests
+ *
+ * Moves Baraka between learners through the mock backend and checks the
+ * wallet totals: Baraka received from another learner adds to the balance
+ * but is not counted as earned, and a refund undoes what was spent or
+ * withdrawn instead of counting as income.
+ */
+
+import { createMockRouter } from '../../../services/mock/mock.router';
+import { registerBarakaRoutes } from '../../../services/mock/routes/baraka.routes';
+import { registerPsbRoutes } from '../../../services/mock/routes/psb.routes';
+import { DEMO_USER_ID, ensureLearner, resetMockDb, settleEscrow } from '../../../services/mock/mock.db';
+import { ESCROW_STATUS } from '../../../utils/helpers/baraka.transfer';
+
+const PEER_ID = 'usr_002';
+
+describe('mock database', () => {
+  let db;
+  let router;
+
+  const request = (method, path, userId, body = {}) => {
+    const route = router.match(method, path);
+    return route.handler({ db, userId, params: route.params, query: {}, body });
+  };
+
+  const totals = (userId) => {
+    const { available, totalEarned, totalSpent, totalWithdrawn } = ensureLearner(db, userId).wallet;
+    return { available, totalEarned, totalSpent, totalWithdrawn };
+  };
+
+  beforeEach(() => {
+    db = resetMockDb();
+    router = createMockRouter();
+    registerBarakaRoutes(router);
+    registerPsbRoutes(router);
+  });
+
+  describe('transfers', () => {
+    it('counts nothing as earned when Baraka goes back and forth', () => {
+      const before = { demo: totals(DEMO_USER_ID), peer: totals(PEER_ID) };
+
+      request('POST', '/baraka/transfer', DEMO_USER_ID, { recipientId: PEER_ID, amount: 50 });
+      request('POST', '/baraka/transfer', PEER_ID, { recipientId: DEMO_USER_ID, amount: 50 });
+
+      const after = { demo: totals(DEMO_USER_ID), peer: totals(PEER_ID) };
+      expect(after.demo).toMatchObject({ available: before.demo.available, totalEarned: before.demo.totalEarned });
+      expect(after.peer).toMatchObject({ available: before.peer.available, totalEarned: before.peer.totalEarned });
+    });
+
+    it('adds a transfer to the recipient\'s balance only', () => {
+      const before = totals(PEER_ID);
+
+      request('POST', '/baraka/transfer', DEMO_USER_ID, { recipientId: PEER_ID, amount: 40 });
+
+      expect(totals(PEER_ID)).toEqual({ ...before, available: before.available + 40 });
+      expect(request('GET', '/baraka/balance', PEER_ID).totalEarned).toBe(before.totalEarned);
+    });
+  });
+
+  describe('refunds', () => {
+    it('takes a cancelled withdrawal back out of the total withdrawn', () => {
+      const before = totals(DEMO_USER_ID);
+
+      const { withdrawalId } = request('POST', '/baraka/withdraw', DEMO_USER_ID, { method: 'mpesa', amount: 120 });
+      expect(totals(DEMO_USER_ID)).toEqual({ ...before, available: before.available - 120, totalWithdrawn: before.totalWithdrawn + 120 });
+
+      request('POST', `/baraka/withdraw/${withdrawalId}/cancel`, DEMO_USER_ID);
+
+      expect(totals(DEMO_USER_ID)).toEqual(before);
+    });
+
+    it('returns a cancelled buy order\'s hold without counting it as earned or spent', () => {
+      const before = totals(DEMO_USER_ID);
+
+      const { order } = request('POST', '/psb/market/orders', DEMO_USER_ID, { side: 'buy', type: 'limit', amount: 10, price: 0.01 });
+      request('DELETE', `/psb/market/orders/${order.id}`, DEMO_USER_ID);
+
+      expect(totals(DEMO_USER_ID)).toEqual(before);
+    });
+
+    it('counts only what a filled buy order paid as spent', () => {
+      const before = totals(DEMO_USER_ID);
+      const ask = db.psbMarket.book.asks.find(o => o.userId !== DEMO_USER_ID);
+
+      const { order } = request('POST', '/psb/market/orders', DEMO_USER_ID, { side: 'buy', type: 'limit', amount: 1, price: ask.price * 2 });
+      const paid = Math.ceil(order.value);
+
+      expect(order.status).toBe('filled');
+      expect(totals(DEMO_USER_ID)).toEqual({ ...before, available: before.available - paid, totalSpent: before.totalSpent + paid });
+    });
+  });
+
+  describe('escrow', () => {
+    const escrow = () => ({
+      id: 'esc_test',
+      funderId: DEMO_USER_ID,
+      recipientId: PEER_ID,
+      amount: 30,
+      taskTitle: 'Map the water points',
+      partyId: 'party_test',
+      taskId: 'task_test',
+      status: ESCROW_STATUS.HELD
+    });
+
+    it('does not count released escrow as earned by the recipient', () => {
+      const before = totals(PEER_ID);
+
+      settleEscrow(db, escrow(), ESCROW_STATUS.RELEASED);
+
+      expect(totals(PEER_ID)).toEqual({ ...before, available: before.available + 30 });
+    });
+
+    it('does not count refunded escrow as earned by the funder', () => {
+      const before = totals(DEMO_USER_ID);
+
+      settleEscrow(db, escrow(), ESCROW_STATUS.REFUNDED);
+
+      expect(totals(DEMO_USER_ID)).toMatchObject({ available: before.available + 30, totalEarned: before.totalEarned });
+    });
+
+    it('leaves the funder\'s totals as they were once held escrow comes back', () => {
+      const before = totals(DEMO_USER_ID);
+      const party = db.parties.find(p => p.status !== 'disbanded' &&
+        p.members.some(m => m.userId === DEMO_USER_ID) &&
+        p.tasks.some(t => !['completed', 'cancelled'].includes(t.status)));
+      const recipient = party.members.find(m => m.userId !== DEMO_USER_ID);
+      const task = party.tasks.find(t => !['completed', 'cancelled'].includes(t.status));
+
+      const { escrow } = request('POST', '/baraka/escrow', DEMO_USER_ID, {
+        recipientId: recipient.userId,
+        partyId: party.id,
+        taskId: task.id,
+        amount: 25
+      });
+      expect(totals(DEMO_USER_ID)).toEqual({ ...before, available: before.available - 25, totalSpent: before.totalSpent + 25 });
+
+      request('POST', `/baraka/escrow/${escrow.id}/refund`, DEMO_USER_ID);
+
+      expect(totals(DEMO_USER_ID)).toEqual(before);
+    });
+  });
+});
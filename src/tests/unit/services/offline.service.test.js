@@ -0,0 +1,216 @@
+/**
+ * GPS Lab Platform - Offline Service Tests
+ *
+ * Queues requests through the API client while offline, then checks how
+ * they are replayed once back online and how refusals become conflicts.
+ */
+
+import apiClient from '../../../services/api/client';
+import { createError, ERROR_TYPES } from '../../../utils/error/error.handler';
+import {
+  setOnline,
+  getSyncStatus,
+  getPendingRequests,
+  registerReplayHandler,
+  replayQueue,
+  startOfflineSync,
+  clearOfflineQueue,
+  dismissConflict
+} from '../../../services/offline/offline.service';
+
+/**
+ * Error the API client rejects with for an HTTP status
+ */
+const httpError = (status, type = ERROR_TYPES.API_ERROR) =>
+  createError(type, { message: `HTTP ${status}`, details: { status } });
+
+/**
+ * Queues a POST through the API client while offline
+ */
+const queuePost = (url, data, queueOffline = true) =>
+  apiClient.post(url, data, { queueOffline });
+
+describe('offline service', () => {
+  let request;
+
+  // Only replays should count as requests from here on
+  const goOnline = () => {
+    request.mockClear();
+    setOnline(true);
+  };
+
+  beforeEach(() => {
+    localStorage.clear();
+    setOnline(false);
+    clearOfflineQueue();
+    getSyncStatus().conflicts.forEach(conflict => dismissConflict(conflict.id));
+    request = jest.spyOn(apiClient, 'request');
+  });
+
+  afterEach(() => {
+    request.mockRestore();
+    jest.useRealTimers();
+    setOnline(true);
+  });
+
+  describe('queueing', () => {
+    it('answers queueOffline requests made offline with a queued response', async () => {
+      const response = await queuePost('/bites/b1/submit', { answer: 42 }, { label: 'bite:submit' });
+
+      expect(response.queued).toBe(true);
+      expect(response.status).toBe(202);
+      expect(getPendingRequests()).toEqual([
+        expect.objectContaining({ method: 'POST', url: '/bites/b1/submit', data: { answer: 42 }, label: 'bite:submit' })
+      ]);
+    });
+
+    it('keeps only the latest request per dedupe key', async () => {
+      await queuePost('/bites/b1/draft', { v: 1 }, { dedupeKey: 'draft_b1' });
+      await queuePost('/bites/b2/draft', { v: 1 }, { dedupeKey: 'draft_b2' });
+      await queuePost('/bites/b1/draft', { v: 2 }, { dedupeKey: 'draft_b1' });
+
+      expect(getPendingRequests().map(entry => [entry.url, entry.data.v])).toEqual([
+        ['/bites/b2/draft', 1],
+        ['/bites/b1/draft', 2]
+      ]);
+    });
+
+    it('fails fast for requests that may not be queued', async () => {
+      await expect(apiClient.post('/praise', {})).rejects.toMatchObject({ type: ERROR_TYPES.NETWORK_ERROR });
+      expect(getPendingRequests()).toEqual([]);
+    });
+  });
+
+  describe('replay', () => {
+    it('replays in order once back online and reports each replay', async () => {
+      await queuePost('/a', { n: 1 }, { label: 'test:a', meta: { n: 1 } });
+      await queuePost('/b', { n: 2 }, { label: 'test:b' });
+      const [first, second] = getPendingRequests();
+
+      const statuses = [];
+      const replayed = [];
+      const handler = jest.fn();
+      registerReplayHandler('test:a', handler);
+      request.mockImplementation(config => Promise.resolve({ data: { saved: config.url } }));
+
+      const stop = startOfflineSync({
+        onStatusChange: status => statuses.push(status),
+        onReplayed: event => replayed.push(event)
+      });
+      expect(statuses[0]).toMatchObject({ isOnline: false, pendingCount: 2 });
+
+      goOnline();
+      await replayQueue();
+      stop();
+
+      expect(request.mock.calls.map(([config]) => config)).toEqual([
+        expect.objectContaining({ url: '/a', headers: { 'Idempotency-Key': first.id }, queueOffline: false }),
+        expect.objectContaining({ url: '/b', headers: { 'Idempotency-Key': second.id }, queueOffline: false })
+      ]);
+      expect(handler).toHaveBeenCalledWith({ saved: '/a' }, expect.objectContaining({ id: first.id }));
+      expect(replayed).toEqual([
+        { label: 'test:a', meta: { n: 1 }, data: { saved: '/a' } },
+        { label: 'test:b', meta: {}, data: { saved: '/b' } }
+      ]);
+      expect(statuses[statuses.length - 1]).toMatchObject({ isOnline: true, pendingCount: 0, isSyncing: false });
+    });
+
+    it('stops without losing anything when the API is unreachable', async () => {
+      await queuePost('/a', {});
+      await queuePost('/b', {});
+      goOnline();
+      request.mockRejectedValueOnce(createError(ERROR_TYPES.NETWORK_ERROR));
+
+      await replayQueue();
+
+      expect(request).toHaveBeenCalledTimes(1);
+      expect(getPendingRequests().map(entry => entry.url)).toEqual(['/a', '/b']);
+      expect(getSyncStatus().conflicts).toEqual([]);
+    });
+
+    it('waits for sign-in when the replay is unauthorized', async () => {
+      await queuePost('/a', {});
+      goOnline();
+      request.mockRejectedValueOnce(httpError(401, ERROR_TYPES.UNAUTHORIZED));
+
+      await replayQueue();
+
+      expect(getPendingRequests()).toHaveLength(1);
+      expect(getSyncStatus().conflicts).toEqual([]);
+    });
+  });
+
+  describe('conflict resolution', () => {
+    it('reports refused replays as conflicts and carries on', async () => {
+      await queuePost('/a', { n: 1 }, { label: 'test:a' });
+      await queuePost('/b', { n: 2 }, { label: 'test:b' });
+      await queuePost('/c', { n: 3 }, { label: 'test:c' });
+      goOnline();
+
+      const events = [];
+      const onConflict = event => events.push(event.detail);
+      window.addEventListener('offline:conflict', onConflict);
+      request
+        .mockRejectedValueOnce(httpError(409))
+        .mockRejectedValueOnce(httpError(422))
+        .mockResolvedValueOnce({ data: {} });
+
+      await replayQueue();
+      window.removeEventListener('offline:conflict', onConflict);
+
+      const { conflicts, pendingCount } = getSyncStatus();
+      expect(pendingCount).toBe(0);
+      expect(request).toHaveBeenCalledTimes(3);
+      expect(conflicts.map(conflict => [conflict.label, conflict.reason, conflict.status])).toEqual(
+        expect.arrayContaining([['test:a', 'conflict', 409], ['test:b', 'rejected', 422]])
+      );
+      expect(events).toHaveLength(2);
+    });
+
+    it('treats a failed precondition as a conflict', async () => {
+      await queuePost('/a', {}, { label: 'test:a' });
+      goOnline();
+      request.mockRejectedValueOnce(httpError(412));
+
+      await replayQueue();
+
+      expect(getSyncStatus().conflicts).toEqual([expect.objectContaining({ reason: 'conflict', status: 412 })]);
+    });
+
+    it('retries server errors with backoff before reporting them as failed', async () => {
+      jest.useFakeTimers();
+      await queuePost('/a', {}, { label: 'test:a' });
+      goOnline();
+      request.mockRejectedValue(httpError(503));
+
+      await replayQueue();
+      expect(request).toHaveBeenCalledTimes(1);
+
+      // 2s, 4s, 8s, 16s between attempts
+      for (const delay of [2000, 4000, 8000, 16000]) {
+        const calls = request.mock.calls.length;
+        jest.advanceTimersByTime(delay - 1);
+        expect(request).toHaveBeenCalledTimes(calls);
+        jest.advanceTimersByTime(1);
+        await replayQueue();
+        expect(request).toHaveBeenCalledTimes(calls + 1);
+      }
+
+      const { conflicts, pendingCount } = getSyncStatus();
+      expect(pendingCount).toBe(0);
+      expect(conflicts).toEqual([expect.objectContaining({ label: 'test:a', reason: 'failed', status: 503 })]);
+    });
+
+    it('dismisses conflicts', async () => {
+      await queuePost('/a', {});
+      goOnline();
+      request.mockRejectedValueOnce(httpError(409));
+      await replayQueue();
+
+      const [conflict] = getSyncStatus().conflicts;
+      dismissConflict(conflict.id);
+
+      expect(getSyncStatus().conflicts).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,222 @@
+/**
+ * GPS Lab Platform - Session Manager Tests
+ *
+ * Covers refresh lock election between tabs (Web Locks, or the storage
+ * lease where unsupported) and session messages between tabs, which
+ * travel as storage events when BroadcastChannel is unavailable.
+ */
+
+import {
+  TOKEN_KEYS,
+  SESSION_MESSAGES,
+  getAccessToken,
+  getRefreshToken,
+  hasSession,
+  onSessionChange,
+  ensureSessionSync,
+  setSession,
+  clearSession,
+  endSession,
+  setRefreshHandler,
+  refreshSession
+} from '../../../services/session/session.manager';
+
+const HOUR = 60 * 60 * 1000;
+
+const inAnHour = () => new Date(Date.now() + HOUR).toISOString();
+const anHourAgo = () => new Date(Date.now() - HOUR).toISOString();
+
+/**
+ * Delivers a message as another tab's storage write would
+ */
+const receiveFromTab = (message) => {
+  window.dispatchEvent(new StorageEvent('storage', {
+    key: TOKEN_KEYS.message,
+    newValue: JSON.stringify({ ...message, from: 'tab-other' })
+  }));
+};
+
+/**
+ * Messages this tab wrote for the others
+ */
+const sentMessages = (setItem) => setItem.mock.calls
+  .filter(([key]) => key === TOKEN_KEYS.message)
+  .map(([, value]) => JSON.parse(value));
+
+/**
+ * Another tab's lease on the refresh lock
+ */
+const otherTabLease = (until) => JSON.stringify({ tabId: 'tab-other', until });
+
+describe('session manager', () => {
+  let refreshHandler;
+  let setItem;
+
+  beforeAll(() => {
+    ensureSessionSync();
+  });
+
+  beforeEach(() => {
+    localStorage.clear();
+    clearSession();
+    refreshHandler = jest.fn();
+    setRefreshHandler(refreshHandler);
+    setItem = jest.spyOn(Storage.prototype, 'setItem');
+  });
+
+  afterEach(() => {
+    setItem.mockRestore();
+    clearSession();
+  });
+
+  describe('refresh lock election', () => {
+    beforeEach(() => {
+      setSession({ accessToken: 'access-1', refreshToken: 'refresh-1', expiresAt: anHourAgo() });
+    });
+
+    it('refreshes once for concurrent callers in a tab', async () => {
+      refreshHandler.mockResolvedValue({ accessToken: 'access-2', refreshToken: 'refresh-2', expiresAt: inAnHour() });
+
+      const tokens = await Promise.all([refreshSession(), refreshSession(), refreshSession()]);
+
+      expect(tokens).toEqual(['access-2', 'access-2', 'access-2']);
+      expect(refreshHandler).toHaveBeenCalledTimes(1);
+      expect(refreshHandler).toHaveBeenCalledWith('refresh-1');
+      expect(getRefreshToken()).toBe('refresh-2');
+    });
+
+    it('holds a storage lease while refreshing and releases it after', async () => {
+      let lease;
+      refreshHandler.mockImplementation(async () => {
+        lease = JSON.parse(localStorage.getItem(TOKEN_KEYS.refreshLease));
+        return { accessToken: 'access-2', expiresAt: inAnHour() };
+      });
+
+      await refreshSession();
+
+      expect(lease.tabId).toMatch(/^tab-/);
+      expect(lease.tabId).not.toBe('tab-other');
+      expect(lease.until).toBeGreaterThan(Date.now());
+      expect(localStorage.getItem(TOKEN_KEYS.refreshLease)).toBeNull();
+    });
+
+    it('waits out another tab\'s lease and adopts the token it refreshed', async () => {
+      localStorage.setItem(TOKEN_KEYS.refreshLease, otherTabLease(Date.now() + 10000));
+
+      const refreshing = refreshSession();
+
+      // The other tab rotates the refresh token, shares the new access
+      // token and gives up the lease
+      await new Promise(resolve => setTimeout(resolve, 150));
+      localStorage.setItem(TOKEN_KEYS.refreshToken, 'refresh-2');
+      localStorage.setItem(TOKEN_KEYS.tokenExpiry, inAnHour());
+      receiveFromTab({ type: SESSION_MESSAGES.REFRESHED, accessToken: 'access-2' });
+      localStorage.removeItem(TOKEN_KEYS.refreshLease);
+
+      expect(await refreshing).toBe('access-2');
+      expect(refreshHandler).not.toHaveBeenCalled();
+    });
+
+    it('takes over a lease another tab abandoned', async () => {
+      localStorage.setItem(TOKEN_KEYS.refreshLease, otherTabLease(Date.now() - 1));
+      refreshHandler.mockResolvedValue({ accessToken: 'access-2', expiresAt: inAnHour() });
+
+      expect(await refreshSession()).toBe('access-2');
+      expect(refreshHandler).toHaveBeenCalledWith('refresh-1');
+    });
+
+    it('uses Web Locks when available instead of the lease', async () => {
+      const request = jest.fn((name, fn) => fn());
+      Object.defineProperty(navigator, 'locks', { value: { request }, configurable: true });
+      refreshHandler.mockImplementation(async () => {
+        expect(localStorage.getItem(TOKEN_KEYS.refreshLease)).toBeNull();
+        return { accessToken: 'access-2', expiresAt: inAnHour() };
+      });
+
+      try {
+        await refreshSession();
+      } finally {
+        delete navigator.locks;
+      }
+
+      expect(request).toHaveBeenCalledWith('gps-token-refresh', expect.any(Function));
+      expect(refreshHandler).toHaveBeenCalledTimes(1);
+    });
+
+    it('ends the session everywhere when the refresh token is refused', async () => {
+      const error = Object.assign(new Error('Invalid refresh token'), { status: 401 });
+      refreshHandler.mockRejectedValue(error);
+
+      expect(await refreshSession()).toBeNull();
+
+      expect(hasSession()).toBe(false);
+      expect(sentMessages(setItem)).toContainEqual(
+        expect.objectContaining({ type: SESSION_MESSAGES.LOGOUT, reason: 'session_expired' })
+      );
+    });
+
+    it('keeps the session when the server cannot be reached', async () => {
+      const error = Object.assign(new Error('Network Error'), { type: 'NETWORK_ERROR' });
+      refreshHandler.mockRejectedValue(error);
+
+      await expect(refreshSession()).rejects.toBe(error);
+
+      expect(getRefreshToken()).toBe('refresh-1');
+    });
+  });
+
+  describe('cross-tab messages over storage events', () => {
+    it('shares refreshed tokens without leaving them in storage', () => {
+      setSession({ accessToken: 'access-1', refreshToken: 'refresh-1', expiresAt: inAnHour() });
+
+      expect(sentMessages(setItem)).toEqual([
+        expect.objectContaining({ type: SESSION_MESSAGES.REFRESHED, accessToken: 'access-1' })
+      ]);
+      expect(localStorage.getItem(TOKEN_KEYS.message)).toBeNull();
+    });
+
+    it('adopts a token refreshed in another tab', () => {
+      setSession({ accessToken: 'access-1', refreshToken: 'refresh-1', expiresAt: inAnHour() });
+      const changes = [];
+      const unsubscribe = onSessionChange(change => changes.push(change));
+
+      localStorage.setItem(TOKEN_KEYS.refreshToken, 'refresh-2');
+      receiveFromTab({ type: SESSION_MESSAGES.REFRESHED, accessToken: 'access-2', expiresAt: 'later' });
+      unsubscribe();
+
+      expect(getAccessToken()).toBe('access-2');
+      expect(changes).toEqual([{ type: 'refreshed', expiresAt: 'later', remote: true }]);
+    });
+
+    it('ignores a refreshed token that arrives after logging out', () => {
+      receiveFromTab({ type: SESSION_MESSAGES.REFRESHED, accessToken: 'access-2' });
+
+      expect(getAccessToken()).toBeNull();
+    });
+
+    it('logs out when another tab does', () => {
+      setSession({ accessToken: 'access-1', refreshToken: 'refresh-1', expiresAt: inAnHour() });
+      const events = [];
+      const onLogout = event => events.push(event.detail);
+      window.addEventListener('auth:logout', onLogout);
+
+      receiveFromTab({ type: SESSION_MESSAGES.LOGOUT, reason: 'session_expired' });
+      window.removeEventListener('auth:logout', onLogout);
+
+      expect(hasSession()).toBe(false);
+      expect(events).toEqual([{ reason: 'session_expired', remote: true }]);
+    });
+
+    it('tells the other tabs when it logs out', () => {
+      setSession({ accessToken: 'access-1', refreshToken: 'refresh-1', expiresAt: inAnHour() });
+      setItem.mockClear();
+
+      endSession();
+
+      expect(sentMessages(setItem)).toEqual([
+        expect.objectContaining({ type: SESSION_MESSAGES.LOGOUT, reason: 'logout' })
+      ]);
+      expect(localStorage.getItem(TOKEN_KEYS.refreshToken)).toBeNull();
+    });
+  });
+});
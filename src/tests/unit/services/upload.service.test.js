@@ -0,0 +1,202 @@
+/**
+ * GPS Lab Platform - Upload Service Tests
+ *
+ * Sends a file in chunks to a fake upload API and checks where the upload
+ * carries on when a chunk is refused: from the API's offset after a 409,
+ * and from the start of a new session after a 404.
+ */
+
+import apiClient from '../../../services/api/client';
+import { setOnline } from '../../../services/offline/connectivity';
+import { createError, ERROR_TYPES } from '../../../utils/error/error.handler';
+import { UPLOAD_KINDS } from '../../../utils/validators/upload.validator';
+import {
+  UPLOAD_STATUS,
+  startUpload,
+  pauseUpload,
+  resumeUpload,
+  getUpload,
+  onUploadChange,
+  clearUploads
+} from '../../../services/upload/upload.service';
+
+const CHUNK_SIZE = 4;
+
+const httpError = (status) => createError(ERROR_TYPES.API_ERROR, { message: `HTTP ${status}`, details: { status } });
+
+/**
+ * Upload API that keeps sessions in memory and records every chunk sent
+ */
+const createFakeUploadAPI = () => {
+  const sessions = new Map();
+  const chunks = [];
+  let nextId = 1;
+
+  const session = (url) => sessions.get(url.split('/')[2]);
+  const answer = (found) => ({ data: { upload: { id: found.id, chunkSize: CHUNK_SIZE, receivedBytes: found.receivedBytes } } });
+
+  return {
+    sessions,
+    chunks,
+    get: jest.fn(async (url) => {
+      const found = session(url);
+      if (!found) throw httpError(404);
+      return answer(found);
+    }),
+    post: jest.fn(async (url, body) => {
+      if (url === '/uploads') {
+        const created = { id: `ups_${nextId++}`, size: body.size, receivedBytes: 0 };
+        sessions.set(created.id, created);
+        return answer(created);
+      }
+      const found = session(url);
+      return { data: { file: { id: `file_${found.id}`, url: `https://cdn.example/${found.id}` } } };
+    }),
+    upload: jest.fn(async (url, formData) => {
+      const found = session(url);
+      const offset = Number(formData.get('offset'));
+      const { size } = formData.get('chunk');
+      chunks.push({ sessionId: found?.id || null, offset, size });
+      if (!found) throw httpError(404);
+      if (offset !== found.receivedBytes) throw httpError(409);
+      found.receivedBytes += size;
+      return answer(found);
+    })
+  };
+};
+
+/**
+ * Resolves once an upload reaches a status
+ */
+const waitForStatus = (status) => new Promise(resolve => {
+  const unsubscribe = onUploadChange(upload => {
+    if (upload.status === status) {
+      unsubscribe();
+      resolve(upload);
+    }
+  });
+});
+
+const evidenceFile = () => new File(['0123456789'], 'evidence.pdf', { type: 'application/pdf' });
+
+describe('upload service', () => {
+  let api;
+  let spies;
+
+  beforeEach(() => {
+    setOnline(true);
+    api = createFakeUploadAPI();
+    spies = ['get', 'post', 'upload'].map(method => jest.spyOn(apiClient, method).mockImplementation(api[method]));
+  });
+
+  afterEach(async () => {
+    spies.forEach(spy => spy.mockRestore());
+    await clearUploads();
+  });
+
+  it('sends the file in chunks and completes the session', async () => {
+    const completed = waitForStatus(UPLOAD_STATUS.COMPLETED);
+    await startUpload(evidenceFile(), { kind: UPLOAD_KINDS.EVIDENCE });
+    const upload = await completed;
+
+    expect(api.chunks).toEqual([
+      { sessionId: 'ups_1', offset: 0, size: 4 },
+      { sessionId: 'ups_1', offset: 4, size: 4 },
+      { sessionId: 'ups_1', offset: 8, size: 2 }
+    ]);
+    expect(upload).toMatchObject({ uploadedBytes: 10, progress: 100, result: { id: 'file_ups_1' } });
+  });
+
+  it('carries on from the API\'s offset after a 409', async () => {
+    // The first chunk lands, and the API already holds the second too,
+    // e.g. sent before a reload whose answer never arrived
+    const send = api.upload.getMockImplementation();
+    api.upload.mockImplementationOnce(async (url, formData) => {
+      const response = await send(url, formData);
+      api.sessions.get('ups_1').receivedBytes += CHUNK_SIZE;
+      return response;
+    });
+
+    const completed = waitForStatus(UPLOAD_STATUS.COMPLETED);
+    await startUpload(evidenceFile(), { kind: UPLOAD_KINDS.EVIDENCE });
+    await completed;
+
+    expect(api.chunks.map(chunk => chunk.offset)).toEqual([0, 4, 8]);
+    expect(api.get).toHaveBeenCalledTimes(1);
+    expect(api.get).toHaveBeenCalledWith('/uploads/ups_1', expect.anything());
+    expect(api.sessions.get('ups_1').receivedBytes).toBe(10);
+  });
+
+  it('starts a new session from the first byte after a 404', async () => {
+    // The session expires after the first chunk
+    const send = api.upload.getMockImplementation();
+    api.upload.mockImplementationOnce(async (url, formData) => {
+      const response = await send(url, formData);
+      api.sessions.delete('ups_1');
+      return response;
+    });
+
+    const completed = waitForStatus(UPLOAD_STATUS.COMPLETED);
+    await startUpload(evidenceFile(), { kind: UPLOAD_KINDS.EVIDENCE });
+    const upload = await completed;
+
+    expect(api.chunks).toEqual([
+      { sessionId: 'ups_1', offset: 0, size: 4 },
+      { sessionId: null, offset: 4, size: 4 },
+      { sessionId: 'ups_2', offset: 0, size: 4 },
+      { sessionId: 'ups_2', offset: 4, size: 4 },
+      { sessionId: 'ups_2', offset: 8, size: 2 }
+    ]);
+    expect(api.get).not.toHaveBeenCalled();
+    expect(api.post).toHaveBeenCalledWith('/uploads/ups_2/complete', {}, expect.anything());
+    expect(upload).toMatchObject({ sessionId: 'ups_2', result: { id: 'file_ups_2' } });
+  });
+
+  it('resumes a paused upload from the offset the API holds', async () => {
+    // Pausing cancels a chunk that still reaches the API
+    let release;
+    const sending = new Promise(resolve => {
+      api.upload.mockImplementationOnce(async (url, formData) => {
+        resolve();
+        await new Promise(done => { release = done; });
+        api.sessions.get('ups_1').receivedBytes = CHUNK_SIZE;
+        api.chunks.push({ sessionId: 'ups_1', offset: Number(formData.get('offset')), size: CHUNK_SIZE });
+        throw createError(ERROR_TYPES.REQUEST_CANCELLED);
+      });
+    });
+
+    const { id } = await startUpload(evidenceFile(), { kind: UPLOAD_KINDS.EVIDENCE });
+    await sending;
+    pauseUpload(id);
+    release();
+    await new Promise(resolve => setTimeout(resolve, 0));
+    expect(getUpload(id)).toMatchObject({ status: UPLOAD_STATUS.PAUSED, uploadedBytes: 0 });
+
+    const completed = waitForStatus(UPLOAD_STATUS.COMPLETED);
+    resumeUpload(id);
+    await completed;
+
+    expect(api.get).toHaveBeenCalledWith('/uploads/ups_1', expect.anything());
+    expect(api.chunks.map(chunk => chunk.offset)).toEqual([0, 4, 8]);
+  });
+
+  it('starts over when a resumed upload\'s session has expired', async () => {
+    api.upload.mockImplementationOnce(async () => {
+      throw createError(ERROR_TYPES.NETWORK_ERROR);
+    });
+
+    const waiting = waitForStatus(UPLOAD_STATUS.WAITING);
+    const { id } = await startUpload(evidenceFile(), { kind: UPLOAD_KINDS.EVIDENCE });
+    await waiting;
+    api.sessions.delete('ups_1');
+
+    const completed = waitForStatus(UPLOAD_STATUS.COMPLETED);
+    resumeUpload(id);
+    const upload = await completed;
+
+    expect(api.get).toHaveBeenCalledWith('/uploads/ups_1', expect.anything());
+    expect(api.post).toHaveBeenCalledWith('/uploads', expect.objectContaining({ size: 10 }), expect.anything());
+    expect(upload.sessionId).toBe('ups_2');
+    expect(api.chunks.filter(chunk => chunk.sessionId === 'ups_2').map(chunk => chunk.offset)).toEqual([0, 4, 8]);
+  });
+});
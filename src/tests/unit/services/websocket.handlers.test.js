@@ -0,0 +1,212 @@
+/**
+ * GPS Lab Platform - WebSocket Handler Tests
+ *
+ * Pushes server frames through the mock socket and checks the store
+ * actions the realtime handlers dispatch.
+ */
+
+import { configureMockBackend, resetMockBackend } from '../../../services/mock/mock.backend';
+import { emitMockSocketEvent } from '../../../services/mock/mock.socket';
+import websocketService, { WS_EVENTS } from '../../../services/websocket/websocket.service';
+import { registerRealtimeHandlers } from '../../../services/websocket/handlers';
+import { missionUpdated } from '../../../store/slices/missionSlice';
+import { checkpointResultReceived } from '../../../store/slices/checkpointSlice';
+import { transactionReceived } from '../../../store/slices/barakaSlice';
+import {
+  chatMessageReceived,
+  partyMemberJoined,
+  partyMemberLeft,
+  taskReceived
+} from '../../../store/slices/partySlice';
+import { praiseReceived, honorReceived } from '../../../store/slices/praiseSlice';
+import { notificationReceived } from '../../../store/slices/notificationSlice';
+
+/**
+ * Store stand-in that records dispatched actions
+ */
+const createRecordingStore = (state = {}) => {
+  const actions = [];
+  return {
+    actions,
+    dispatch: (action) => {
+      actions.push(action);
+      return action;
+    },
+    getState: () => state
+  };
+};
+
+describe('realtime handlers (mock socket)', () => {
+  let store;
+  let unregister;
+
+  beforeAll(async () => {
+    configureMockBackend({ enabled: true, latency: 0 });
+    await websocketService.connect();
+  });
+
+  afterAll(() => {
+    websocketService.disconnect();
+    configureMockBackend({ enabled: false });
+  });
+
+  beforeEach(() => {
+    localStorage.clear();
+    resetMockBackend();
+    store = createRecordingStore({
+      mission: { missions: [{ id: 'S2M4', title: 'Loaded mission', status: 'in_progress' }] }
+    });
+    unregister = registerRealtimeHandlers(store);
+  });
+
+  afterEach(() => {
+    unregister();
+  });
+
+  describe('mission', () => {
+    it('patches a loaded mission', () => {
+      emitMockSocketEvent(WS_EVENTS.MISSION_UPDATE, { missionId: 'S2M4', progress: 60 });
+
+      expect(store.actions).toEqual([
+        missionUpdated({ id: 'S2M4', progress: 60 })
+      ]);
+    });
+
+    it('ignores partial patches for missions that are not loaded', () => {
+      emitMockSocketEvent(WS_EVENTS.MISSION_UPDATE, { missionId: 'S9M9', progress: 10 });
+
+      expect(store.actions).toEqual([]);
+    });
+
+    it('completes a mission and unlocks the next ones', () => {
+      emitMockSocketEvent(WS_EVENTS.MISSION_COMPLETED, {
+        missionId: 'S2M4',
+        completedAt: '2026-01-01T00:00:00.000Z',
+        rewards: { baraka: 100 },
+        unlockedMissions: ['S2M5', { id: 'S3M1', title: 'Next stage' }]
+      });
+
+      expect(store.actions).toEqual([
+        missionUpdated({ id: 'S2M4', status: 'completed', completedAt: '2026-01-01T00:00:00.000Z' }),
+        missionUpdated({ id: 'S3M1', title: 'Next stage', status: 'available' })
+      ]);
+    });
+
+    it('records checkpoint results', () => {
+      emitMockSocketEvent(WS_EVENTS.CHECKPOINT_RESULT, {
+        result: { missionId: 'S2M4', checkpointId: 'cp_1', status: 'passed' },
+        receivedAt: '2026-01-01T00:00:00.000Z'
+      });
+
+      expect(store.actions).toEqual([
+        checkpointResultReceived({
+          missionId: 'S2M4',
+          checkpointId: 'cp_1',
+          status: 'passed',
+          passed: true,
+          receivedAt: '2026-01-01T00:00:00.000Z'
+        })
+      ]);
+    });
+
+    it('signs Baraka credits and debits', () => {
+      emitMockSocketEvent(WS_EVENTS.BARAKA_EARNED, { amount: 50, newBalance: 550 });
+      emitMockSocketEvent(WS_EVENTS.BARAKA_SPENT, { amount: 20, balance: 530 });
+      emitMockSocketEvent(WS_EVENTS.BARAKA_SPENT, { amount: 0 });
+
+      expect(store.actions).toEqual([
+        transactionReceived({ amount: 50, balance: 550, transaction: null }),
+        transactionReceived({ amount: -20, balance: 530, transaction: null })
+      ]);
+    });
+  });
+
+  describe('party', () => {
+    it('adds chat messages, members and tasks', () => {
+      emitMockSocketEvent(WS_EVENTS.PARTY_MESSAGE, {
+        partyId: 'party_1',
+        message: { id: 'msg_1', content: 'Hello', createdAt: '2026-01-01T00:00:00.000Z' }
+      });
+      emitMockSocketEvent(WS_EVENTS.PARTY_MEMBER_JOINED, {
+        partyId: 'party_1',
+        user: { id: 'usr_002', displayName: 'Amara' },
+        joinedAt: '2026-01-01T00:00:00.000Z'
+      });
+      emitMockSocketEvent(WS_EVENTS.PARTY_MEMBER_LEFT, { partyId: 'party_1', userId: 'usr_003' });
+      emitMockSocketEvent(WS_EVENTS.PARTY_TASK_UPDATE, {
+        partyId: 'party_1',
+        task: { id: 'ptask_1', status: 'done' }
+      });
+
+      expect(store.actions).toEqual([
+        chatMessageReceived({
+          type: 'text',
+          id: 'msg_1',
+          content: 'Hello',
+          partyId: 'party_1',
+          createdAt: '2026-01-01T00:00:00.000Z'
+        }),
+        partyMemberJoined({
+          partyId: 'party_1',
+          member: {
+            role: 'member',
+            id: 'usr_002',
+            displayName: 'Amara',
+            userId: 'usr_002',
+            joinedAt: '2026-01-01T00:00:00.000Z'
+          }
+        }),
+        partyMemberLeft({ partyId: 'party_1', userId: 'usr_003' }),
+        taskReceived({ partyId: 'party_1', task: { partyId: 'party_1', id: 'ptask_1', status: 'done' } })
+      ]);
+    });
+
+    it('drops frames without a party', () => {
+      emitMockSocketEvent(WS_EVENTS.PARTY_MESSAGE, { message: { id: 'msg_1' } });
+      emitMockSocketEvent(WS_EVENTS.PARTY_MEMBER_LEFT, { userId: 'usr_003' });
+
+      expect(store.actions).toEqual([]);
+    });
+  });
+
+  describe('praise', () => {
+    it('adds praise and honor', () => {
+      emitMockSocketEvent(WS_EVENTS.PRAISE_RECEIVED, {
+        praise: { id: 'praise_1', category: 'helpful', createdAt: '2026-01-01T00:00:00.000Z' }
+      });
+      emitMockSocketEvent(WS_EVENTS.HONOR_RECEIVED, { amount: 2, totalHonor: 40 });
+      emitMockSocketEvent(WS_EVENTS.HONOR_RECEIVED, {});
+
+      expect(store.actions).toEqual([
+        praiseReceived({ id: 'praise_1', category: 'helpful', createdAt: '2026-01-01T00:00:00.000Z' }),
+        honorReceived({ amount: 2, totalHonor: 40 })
+      ]);
+    });
+  });
+
+  describe('notification', () => {
+    it('adds notifications sent bare or wrapped', () => {
+      emitMockSocketEvent(WS_EVENTS.NOTIFICATION, {
+        notification: { id: 'ntf_1', type: 'mission_completed', createdAt: '2026-01-01T00:00:00.000Z' }
+      });
+      emitMockSocketEvent(WS_EVENTS.NOTIFICATION, { id: 'ntf_2', type: 'mission_completed', read: 1 });
+      emitMockSocketEvent(WS_EVENTS.NOTIFICATION, { type: 'mission_completed' });
+
+      expect(store.actions.map(action => action.type)).toEqual([
+        notificationReceived.type,
+        notificationReceived.type
+      ]);
+      expect(store.actions[0].payload).toMatchObject({ id: 'ntf_1', read: false });
+      expect(store.actions[1].payload).toMatchObject({ id: 'ntf_2', read: true });
+      expect(store.actions[1].payload.category).toBeDefined();
+    });
+  });
+
+  it('stops dispatching once unregistered', () => {
+    unregister();
+    emitMockSocketEvent(WS_EVENTS.NOTIFICATION, { id: 'ntf_3' });
+    emitMockSocketEvent(WS_EVENTS.MISSION_UPDATE, { missionId: 'S2M4', progress: 80 });
+
+    expect(store.actions).toEqual([]);
+  });
+});
@@ -0,0 +1,199 @@
+/**
+ * GPS Lab Platform - WebSocket Outbox Tests
+ *
+ * Covers the outbox queue on its own (acks, retry backoff, expiry) and
+ * delivery through the WebSocket service against the mock socket, where
+ * the mock server dedupes by idempotency key.
+ */
+
+import { WebSocketOutbox, OUTBOX_CONFIG, toWireMessage } from '../../../services/websocket/websocket.outbox';
+import websocketService from '../../../services/websocket/websocket.service';
+import { configureMockBackend } from '../../../services/mock/mock.backend';
+import {
+  MockWebSocket,
+  getMockSockets,
+  getMockDeliveries,
+  resetMockDeliveries
+} from '../../../services/mock/mock.socket';
+
+const STORAGE_KEY = 'test_ws_outbox';
+
+/**
+ * Lets queued socket replies arrive
+ */
+const nextTick = () => new Promise(resolve => setTimeout(resolve, 0));
+
+describe('WebSocketOutbox', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  it('removes a message once acked', () => {
+    const outbox = new WebSocketOutbox({ storageKey: STORAGE_KEY });
+    const { entry } = outbox.enqueue('party:message', { content: 'Hi' });
+
+    expect(outbox.size).toBe(1);
+    expect(outbox.ack(entry.id)).toBe(entry);
+    expect(outbox.ack(entry.id)).toBeNull();
+    expect(outbox.size).toBe(0);
+    expect(localStorage.getItem(STORAGE_KEY)).toBeNull();
+  });
+
+  it('keeps unacked messages across reloads, due straight away', () => {
+    const outbox = new WebSocketOutbox({ storageKey: STORAGE_KEY });
+    const { entry } = outbox.enqueue('party:message', { content: 'Hi' });
+    outbox.markSent([entry], Date.now());
+
+    const reloaded = new WebSocketOutbox({ storageKey: STORAGE_KEY });
+
+    expect(reloaded.size).toBe(1);
+    expect(reloaded.due(Date.now())).toEqual([expect.objectContaining({ id: entry.id })]);
+  });
+
+  it('backs off exponentially between resends, up to the cap', () => {
+    const outbox = new WebSocketOutbox({ storageKey: STORAGE_KEY, config: { maxAttempts: 20 } });
+    const { entry } = outbox.enqueue('party:message', {});
+    const { ackTimeout, retryInterval, maxRetryInterval } = OUTBOX_CONFIG;
+
+    const waits = [];
+    let now = 0;
+    for (let i = 0; i < 7; i++) {
+      outbox.markSent([entry], now);
+      waits.push(entry.nextAttemptAt - now - ackTimeout);
+      now = entry.nextAttemptAt;
+    }
+
+    expect(waits).toEqual([
+      retryInterval,
+      retryInterval * 2,
+      retryInterval * 4,
+      retryInterval * 8,
+      retryInterval * 16,
+      maxRetryInterval,
+      maxRetryInterval
+    ]);
+    expect(entry.attempts).toBe(7);
+  });
+
+  it('resends everything after the first due message, in order', () => {
+    const outbox = new WebSocketOutbox({ storageKey: STORAGE_KEY });
+    const first = outbox.enqueue('party:message', { n: 1 }).entry;
+    const second = outbox.enqueue('party:message', { n: 2 }).entry;
+
+    outbox.markSent([second], 0);
+
+    expect(outbox.due(0).map(entry => entry.id)).toEqual([first.id, second.id]);
+    outbox.markSent([first], 0);
+    expect(outbox.due(0)).toEqual([]);
+  });
+
+  it('abandons messages that run out of attempts', () => {
+    const outbox = new WebSocketOutbox({ storageKey: STORAGE_KEY, config: { maxAttempts: 2 } });
+    const { entry } = outbox.enqueue('party:message', {});
+
+    outbox.markSent([entry], 0);
+    outbox.markSent([entry], entry.nextAttemptAt);
+
+    expect(outbox.expire(entry.nextAttemptAt - 1)).toEqual([]);
+    expect(outbox.expire(entry.nextAttemptAt)).toEqual([entry]);
+    expect(outbox.size).toBe(0);
+  });
+
+  it('keeps the idempotency key on every resend', () => {
+    const outbox = new WebSocketOutbox({ storageKey: STORAGE_KEY });
+    const { entry } = outbox.enqueue('party:message', {}, { idempotencyKey: 'msg-key' });
+
+    const firstSend = toWireMessage(entry);
+    outbox.markSent([entry], 0);
+    const resend = toWireMessage(entry);
+
+    expect(firstSend).toMatchObject({ idempotencyKey: 'msg-key', attempt: 1 });
+    expect(resend).toMatchObject({ id: firstSend.id, idempotencyKey: 'msg-key', attempt: 2 });
+  });
+});
+
+describe('WebSocket service delivery (mock socket)', () => {
+  beforeAll(() => {
+    configureMockBackend({ enabled: true, latency: 0 });
+  });
+
+  afterAll(() => {
+    configureMockBackend({ enabled: false });
+  });
+
+  beforeEach(() => {
+    localStorage.clear();
+    resetMockDeliveries();
+  });
+
+  afterEach(() => {
+    websocketService.clearOutbox();
+    websocketService.disconnect();
+  });
+
+  it('delivers mutating messages sent while offline once connected', async () => {
+    websocketService.send('party:message', { partyId: 'party_1', content: 'Hi' });
+    expect(websocketService.getPendingCount()).toBe(1);
+
+    await websocketService.connect();
+    await nextTick();
+
+    expect(websocketService.getPendingCount()).toBe(0);
+    expect(getMockDeliveries()).toEqual([
+      expect.objectContaining({ type: 'party:message', payload: { partyId: 'party_1', content: 'Hi' } })
+    ]);
+  });
+
+  it('does not queue subscriptions or typing, but renews subscriptions on connect', async () => {
+    websocketService.send('party:typing', { partyId: 'party_1', isTyping: true });
+    await websocketService.subscribe('party:party_1');
+    expect(websocketService.getPendingCount()).toBe(0);
+
+    await websocketService.connect();
+    await nextTick();
+
+    const [socket] = getMockSockets();
+    expect(socket.sent.map(message => message.type)).toEqual(['subscribe']);
+    expect(socket.sent[0].payload).toEqual({ channel: 'party:party_1' });
+    expect(websocketService.getPendingCount()).toBe(0);
+
+    await websocketService.unsubscribe('party:party_1');
+    websocketService.disconnect();
+    await websocketService.connect();
+
+    expect(getMockSockets()[0].sent).toEqual([]);
+  });
+
+  it('resends an unacked message after reconnecting, and the server keeps one copy', async () => {
+    await websocketService.connect();
+
+    // Lose the ack for the first send
+    const reply = jest.spyOn(MockWebSocket.prototype, 'reply').mockImplementationOnce(() => {});
+    websocketService.send('party:message', { content: 'Hi' }, { idempotencyKey: 'chat-1' });
+    await nextTick();
+    expect(websocketService.getPendingCount()).toBe(1);
+    reply.mockRestore();
+
+    websocketService.disconnect();
+    await websocketService.connect();
+    await nextTick();
+
+    expect(getMockSockets()[0].sent).toEqual([
+      expect.objectContaining({ idempotencyKey: 'chat-1', attempt: 1 })
+    ]);
+    expect(websocketService.getPendingCount()).toBe(0);
+    expect(getMockDeliveries().filter(message => message.idempotencyKey === 'chat-1')).toHaveLength(1);
+  });
+
+  it('dedupes repeated sends that share an idempotency key', async () => {
+    await websocketService.connect();
+
+    websocketService.send('party:task_update', { taskId: 'ptask_1' }, { idempotencyKey: 'task-1' });
+    websocketService.send('party:task_update', { taskId: 'ptask_1' }, { idempotencyKey: 'task-1' });
+    await nextTick();
+
+    expect(getMockSockets()[0].sent).toHaveLength(2);
+    expect(getMockDeliveries()).toHaveLength(1);
+    expect(websocketService.getPendingCount()).toBe(0);
+  });
+});
@@ -0,0 +1,289 @@
+/**
+ * GPS Lab Platform - Store Middleware Tests
+ *
+ * Runs the api, error and logger middleware in a store: the request,
+ * success and failure actions of a declarative call, cancelling it down to
+ * the request itself, toasts shown once per message and never for
+ * cancellations, and the state changes the logger records.
+ */
+
+import { configureStore, createAsyncThunk } from '@reduxjs/toolkit';
+import apiClient from '../../../services/api/client';
+import { setMockEnabled } from '../../../services/mock/mock.backend';
+import { createError, ERROR_TYPES, ERROR_SEVERITY, formatErrorForDisplay } from '../../../utils/error/error.handler';
+import { configure, getConfig, getBufferedLogs, clearBuffer, LOG_CATEGORIES } from '../../../utils/error/error.logger';
+import { createApiMiddleware, callApi, cancelApi } from '../../../store/middleware/apiMiddleware';
+import { createErrorMiddleware } from '../../../store/middleware/errorMiddleware';
+import { createLoggerMiddleware } from '../../../store/middleware/loggerMiddleware';
+
+/**
+ * A store that records every action reaching its reducer
+ */
+const createTestStore = (middleware, reducer = (state = {}) => state) => {
+  const actions = [];
+  const store = configureStore({
+    reducer: (state, action) => {
+      actions.push(action);
+      return reducer(state, action);
+    },
+    middleware: () => middleware
+  });
+  const types = (prefix = '') => actions.map(action => action.type).filter(type => type.startsWith(prefix));
+  return { store, actions, types };
+};
+
+/**
+ * A request that settles when the test says so, and rejects like fetch
+ * when its signal aborts
+ */
+const deferredRequest = () => {
+  const calls = [];
+  const request = jest.fn((config) => new Promise((resolve, reject) => {
+    calls.push({ config, resolve, reject });
+    config.signal?.addEventListener('abort', () => reject(Object.assign(new Error('Aborted'), { name: 'AbortError' })));
+  }));
+  return { request, calls };
+};
+
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+describe('store middleware', () => {
+  describe('api middleware', () => {
+    it('dispatches request then success with the transformed data', async () => {
+      const client = { request: jest.fn(async () => ({ data: { categories: ['health', 'water'] } })) };
+      const { store, actions, types } = createTestStore([createApiMiddleware({ client })]);
+
+      await store.dispatch(callApi({
+        type: 'gpo/fetchCategories',
+        url: '/gpo/categories',
+        params: { active: true },
+        transform: data => data.categories,
+        meta: { page: 1 }
+      }));
+
+      expect(types('gpo/')).toEqual(['gpo/fetchCategories/request', 'gpo/fetchCategories/success']);
+      expect(actions[actions.length - 1]).toEqual({
+        type: 'gpo/fetchCategories/success',
+        payload: ['health', 'water'],
+        meta: { page: 1, method: 'GET', url: '/gpo/categories', cancelKey: null }
+      });
+      expect(client.request).toHaveBeenCalledWith(expect.objectContaining({ method: 'GET', url: '/gpo/categories', params: { active: true } }));
+    });
+
+    it('dispatches a failure with the error formatted for display', async () => {
+      const error = createError(ERROR_TYPES.NOT_FOUND);
+      const client = { request: jest.fn(async () => { throw error; }) };
+      const { store, actions, types } = createTestStore([createApiMiddleware({ client })]);
+
+      await store.dispatch(callApi({ type: 'gpo/fetchProject', url: '/gpo/projects/missing' }));
+
+      expect(types('gpo/')).toEqual(['gpo/fetchProject/request', 'gpo/fetchProject/failure']);
+      expect(actions[actions.length - 1]).toMatchObject({ error: true, payload: formatErrorForDisplay(error) });
+    });
+
+    it('aborts the request when it is cancelled', async () => {
+      const { request, calls } = deferredRequest();
+      const { store, types } = createTestStore([createApiMiddleware({ client: { request } })]);
+
+      const pending = store.dispatch(callApi({ type: 'gpo/search', url: '/gpo/search', cancelKey: 'gpo-search' }));
+      store.dispatch(cancelApi('gpo-search'));
+      await pending;
+
+      expect(calls[0].config.signal.aborted).toBe(true);
+      expect(types('gpo/')).toEqual(['gpo/search/request', 'gpo/search/cancelled']);
+    });
+
+    it('lets a newer request with the same key supersede the older one', async () => {
+      const { request, calls } = deferredRequest();
+      const { store, actions, types } = createTestStore([createApiMiddleware({ client: { request } })]);
+
+      const first = store.dispatch(callApi({ type: 'gpo/search', url: '/gpo/search', params: { q: 'wa' }, cancelKey: 'gpo-search' }));
+      const second = store.dispatch(callApi({ type: 'gpo/search', url: '/gpo/search', params: { q: 'water' }, cancelKey: 'gpo-search' }));
+      calls[1].resolve({ data: ['water point'] });
+      calls[0].resolve({ data: ['too late'] });
+      await Promise.all([first, second]);
+
+      expect(calls[0].config.signal.aborted).toBe(true);
+      expect(calls[1].config.signal.aborted).toBe(false);
+      expect(types('gpo/')).toEqual(['gpo/search/request', 'gpo/search/cancelled', 'gpo/search/request', 'gpo/search/success']);
+      expect(actions.find(action => action.type === 'gpo/search/success').payload).toEqual(['water point']);
+    });
+
+    it('ignores cancelling a key with nothing in flight', () => {
+      const { store, types } = createTestStore([createApiMiddleware({ client: { request: jest.fn() } })]);
+
+      store.dispatch(cancelApi('nothing'));
+
+      expect(types('gpo/')).toEqual([]);
+    });
+
+    describe('with the API client', () => {
+      const originalFetch = global.fetch;
+
+      beforeEach(() => {
+        setMockEnabled(false);
+        global.fetch = jest.fn((url, { signal }) => new Promise((resolve, reject) => {
+          signal.addEventListener('abort', () => reject(Object.assign(new Error('Aborted'), { name: 'AbortError' })));
+        }));
+      });
+
+      afterEach(() => {
+        global.fetch = originalFetch;
+        setMockEnabled(true);
+      });
+
+      it('stops the fetch itself when cancelled', async () => {
+        const { store, types } = createTestStore([createApiMiddleware({ client: apiClient })]);
+
+        const pending = store.dispatch(callApi({ type: 'gpo/feed', url: '/gpo/feed', cancelKey: 'gpo-feed' }));
+        await flush();
+        store.dispatch(cancelApi('gpo-feed'));
+        await pending;
+
+        expect(global.fetch).toHaveBeenCalledTimes(1);
+        expect(global.fetch.mock.calls[0][1].signal.aborted).toBe(true);
+        expect(types('gpo/')).toEqual(['gpo/feed/request', 'gpo/feed/cancelled']);
+      });
+    });
+  });
+
+  describe('error middleware', () => {
+    const fetchMission = createAsyncThunk('mission/fetchMission', async () => null);
+    const failed = (type = ERROR_TYPES.API_ERROR) => fetchMission.rejected(
+      null,
+      'req_1',
+      undefined,
+      formatErrorForDisplay(createError(type))
+    );
+
+    let now;
+
+    beforeEach(() => {
+      now = 1000;
+      jest.spyOn(Date, 'now').mockImplementation(() => now);
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    const setup = (options = {}) => {
+      const notify = jest.fn();
+      const { store } = createTestStore([createErrorMiddleware({ notify, dedupeWindow: 3000, ...options })]);
+      return { store, notify };
+    };
+
+    it('shows a failed thunk once per message inside the window', () => {
+      const { store, notify } = setup();
+
+      store.dispatch(failed());
+      now += 1000;
+      store.dispatch(failed());
+      store.dispatch(failed(ERROR_TYPES.NETWORK_ERROR));
+      now += 5000;
+      store.dispatch(failed());
+
+      expect(notify.mock.calls.map(([message]) => message)).toEqual([
+        failed().payload.message,
+        failed(ERROR_TYPES.NETWORK_ERROR).payload.message,
+        failed().payload.message
+      ]);
+    });
+
+    it('shows failed API actions too', () => {
+      const { store, notify } = setup();
+
+      store.dispatch({ type: 'gpo/fetchProject/failure', error: true, payload: formatErrorForDisplay(createError(ERROR_TYPES.NOT_FOUND)) });
+
+      expect(notify).toHaveBeenCalledTimes(1);
+      expect(notify.mock.calls[0][1]).toMatchObject({ type: ERROR_TYPES.NOT_FOUND });
+    });
+
+    it('never shows aborted or skipped thunks', () => {
+      const { store, notify } = setup();
+
+      store.dispatch(fetchMission.rejected(Object.assign(new Error('Aborted'), { name: 'AbortError' }), 'req_2'));
+      store.dispatch(fetchMission.rejected(Object.assign(new Error('Skipped'), { name: 'ConditionError' }), 'req_3'));
+
+      expect(notify).not.toHaveBeenCalled();
+    });
+
+    it('respects silent requests, ignored actions and informational errors', () => {
+      const { store, notify } = setup({ ignoredActions: ['navigator/'] });
+
+      store.dispatch({ ...failed(), meta: { ...failed().meta, silent: true } });
+      store.dispatch({ type: 'navigator/sendMessage/failure', error: true, payload: failed().payload });
+      store.dispatch({ type: 'gpo/x/failure', error: true, payload: { ...failed().payload, severity: ERROR_SEVERITY.INFO } });
+
+      expect(notify).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('logger middleware', () => {
+    const originalConfig = getConfig();
+
+    beforeEach(() => {
+      configure({ level: 'debug', console: false });
+      clearBuffer();
+    });
+
+    afterEach(() => {
+      configure(originalConfig);
+      clearBuffer();
+    });
+
+    const reducer = (state = { auth: { token: null, user: null }, mission: { loading: { detail: false }, missions: [] } }, action) => {
+      switch (action.type) {
+        case 'auth/setToken':
+          return { ...state, auth: { ...state.auth, token: action.payload } };
+        case 'mission/loaded':
+          return { ...state, mission: { loading: { detail: false }, missions: action.payload } };
+        case 'mission/loading':
+          return { ...state, mission: { ...state.mission, loading: { detail: true } } };
+        default:
+          return state;
+      }
+    };
+
+    const stateLogs = () => getBufferedLogs({ category: LOG_CATEGORIES.STATE });
+
+    it('records the state paths an action changed', () => {
+      const { store } = createTestStore([createLoggerMiddleware()], reducer);
+
+      store.dispatch({ type: 'mission/loading' });
+      store.dispatch({ type: 'mission/loaded', payload: [{ id: 'S1M1' }, { id: 'S1M2' }] });
+
+      const [loading, loaded] = stateLogs();
+      expect(loading.data.diff).toEqual({ 'mission.loading.detail': { from: false, to: true } });
+      expect(loaded.data.action).toMatchObject({ type: 'mission/loaded', payload: 'Array(2)' });
+      expect(loaded.data.diff).toEqual({
+        'mission.loading.detail': { from: true, to: false },
+        'mission.missions': { from: 'Array(0)', to: 'Array(2)' }
+      });
+    });
+
+    it('redacts credentials in payloads and diffs', () => {
+      const { store } = createTestStore([createLoggerMiddleware()], reducer);
+
+      store.dispatch({ type: 'auth/setToken', payload: 'secret-access-token' });
+
+      const [entry] = stateLogs();
+      expect(entry.data.action.payload).toBe('[redacted]');
+      expect(entry.data.diff).toEqual({ 'auth.token': { from: null, to: '[redacted]' } });
+      expect(JSON.stringify(entry)).not.toContain('secret-access-token');
+    });
+
+    it('logs failures as warnings and skips ignored actions', () => {
+      const { store } = createTestStore([createLoggerMiddleware({ level: 'debug', ignoredActions: ['mission/loading'] })], reducer);
+
+      store.dispatch({ type: 'mission/loading' });
+      store.dispatch({ type: 'gpo/fetchProject/failure', error: true });
+      store.dispatch({ type: 'mission/loaded', payload: [] });
+
+      expect(stateLogs().map(entry => [entry.message, entry.level])).toEqual([
+        ['gpo/fetchProject/failure', 'warn'],
+        ['mission/loaded', 'debug']
+      ]);
+    });
+  });
+});
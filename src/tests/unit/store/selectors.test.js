@@ -0,0 +1,165 @@
+/**
+ * GPS Lab Platform - Selector Tests
+ *
+ * Covers the mission, Baraka and user selectors the dashboard reads:
+ * which missions are open, the balance with its tier, pending withdrawals,
+ * the learner's level, and that results are reused while state is unchanged.
+ */
+
+import {
+  selectUnlockedMissions,
+  selectUnlockedMissionsByStage
+} from '../../../store/selectors/missionSelectors';
+import {
+  selectBalanceByTier,
+  selectPendingWithdrawals,
+  selectPendingWithdrawalTotal
+} from '../../../store/selectors/barakaSelectors';
+import { selectUserLevel } from '../../../store/selectors/userSelectors';
+import { getBarakaTier } from '../../../utils/formatters/currency.formatter';
+import { getLevelFromXP, getLevelTitle } from '../../../utils/helpers/xp.calculator';
+
+const mission = (stageNumber, missionNumber, status) => ({
+  id: `S${stageNumber}M${missionNumber}`,
+  stageNumber,
+  missionNumber,
+  ...(status && { status })
+});
+
+const missionState = (missions) => ({ mission: { missions } });
+
+const ids = (missions) => missions.map(m => m.id);
+
+describe('selectors', () => {
+  describe('unlocked missions', () => {
+    it('trusts the backend status when there is one', () => {
+      const state = missionState([
+        mission(1, 1, 'locked'),
+        mission(1, 2, 'completed'),
+        mission(1, 3, 'locked'),
+        mission(1, 4, 'available'),
+        mission(2, 1, 'in_progress')
+      ]);
+
+      expect(ids(selectUnlockedMissions(state))).toEqual(['S1M2', 'S1M4', 'S2M1']);
+    });
+
+    it('falls back to the previous mission when there is no status', () => {
+      const state = missionState([
+        mission(1, 1),
+        mission(1, 2, 'completed'),
+        mission(1, 3),
+        mission(1, 4),
+        mission(2, 1)
+      ]);
+
+      expect(ids(selectUnlockedMissions(state))).toEqual(['S1M1', 'S1M2', 'S1M3']);
+    });
+
+    it('groups unlocked missions by stage in mission order', () => {
+      const state = missionState([
+        mission(2, 2, 'available'),
+        mission(1, 3, 'completed'),
+        mission(2, 1, 'completed'),
+        mission(1, 1, 'completed'),
+        mission(2, 3, 'locked')
+      ]);
+
+      const byStage = selectUnlockedMissionsByStage(state);
+
+      expect(Object.keys(byStage)).toEqual(['1', '2']);
+      expect(ids(byStage[1])).toEqual(['S1M1', 'S1M3']);
+      expect(ids(byStage[2])).toEqual(['S2M1', 'S2M2']);
+    });
+  });
+
+  describe('Baraka', () => {
+    it('pairs the balance with its tier and the server\'s progress', () => {
+      const state = {
+        baraka: {
+          balance: { available: 2600, pending: 150, totalEarned: 4000 },
+          tier: { nextTier: 'orange', nextTierThreshold: 5000, progress: 0 }
+        }
+      };
+
+      expect(selectBalanceByTier(state)).toEqual({
+        available: 2600,
+        pending: 150,
+        totalEarned: 4000,
+        tier: getBarakaTier(2600),
+        nextTier: 'orange',
+        nextTierThreshold: 5000,
+        progressToNextTier: 0
+      });
+    });
+
+    it('reads an empty wallet before the balance has loaded', () => {
+      expect(selectBalanceByTier({ baraka: {} })).toMatchObject({
+        available: 0,
+        pending: 0,
+        totalEarned: 0,
+        tier: getBarakaTier(0),
+        nextTier: null,
+        progressToNextTier: null
+      });
+    });
+
+    it('keeps only withdrawals still awaiting processing', () => {
+      const state = {
+        baraka: {
+          withdrawals: [
+            { id: 'wd_1', status: 'pending', amount: 200 },
+            { id: 'wd_2', status: 'completed', amount: 500 },
+            { id: 'wd_3', status: 'pending', amount: 50 },
+            { id: 'wd_4', status: 'cancelled', amount: 75 }
+          ]
+        }
+      };
+
+      expect(ids(selectPendingWithdrawals(state))).toEqual(['wd_1', 'wd_3']);
+      expect(selectPendingWithdrawalTotal(state)).toBe(250);
+    });
+  });
+
+  describe('user level', () => {
+    it('derives the level and its title from profile XP', () => {
+      [0, 150, 2500, 40000].forEach(xp => {
+        const info = getLevelFromXP(xp);
+
+        expect(selectUserLevel({ user: { currentUser: { xp } } })).toEqual({ ...info, title: getLevelTitle(info.level) });
+      });
+    });
+
+    it('falls back to stats XP and then the signed-in user', () => {
+      expect(selectUserLevel({ user: { currentUser: { stats: { xp: 2500 } } } }).totalXP).toBe(2500);
+      expect(selectUserLevel({ auth: { user: { xp: 150 } } }).totalXP).toBe(150);
+      expect(selectUserLevel({}).level).toBe(1);
+    });
+  });
+
+  describe('memoization', () => {
+    it('returns the same result while the inputs are unchanged', () => {
+      const state = {
+        mission: { missions: [mission(1, 1, 'completed'), mission(1, 2, 'available')] },
+        baraka: { balance: { available: 100 }, withdrawals: [{ id: 'wd_1', status: 'pending' }] },
+        user: { currentUser: { xp: 300 } }
+      };
+      const copy = { ...state };
+
+      expect(selectUnlockedMissionsByStage(copy)).toBe(selectUnlockedMissionsByStage(state));
+      expect(selectBalanceByTier(copy)).toBe(selectBalanceByTier(state));
+      expect(selectPendingWithdrawals(copy)).toBe(selectPendingWithdrawals(state));
+      expect(selectUserLevel(copy)).toBe(selectUserLevel(state));
+    });
+
+    it('recomputes when its slice changes', () => {
+      const state = { baraka: { withdrawals: [{ id: 'wd_1', status: 'pending' }] } };
+      const first = selectPendingWithdrawals(state);
+
+      const next = { baraka: { withdrawals: [...state.baraka.withdrawals, { id: 'wd_2', status: 'pending' }] } };
+
+      expect(selectPendingWithdrawals(next)).not.toBe(first);
+      expect(ids(selectPendingWithdrawals(next))).toEqual(['wd_1', 'wd_2']);
+    });
+  });
+});
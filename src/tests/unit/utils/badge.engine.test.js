@@ -0,0 +1,156 @@
+/**
+ * GPS Lab Platform - Badge Engine Tests
+ *
+ * Replays recorded event streams through the engine: every rule unlocks
+ * once, Baraka totals only count when they rise, streaks can fall back
+ * without losing what they unlocked, and a replay always ends the same.
+ */
+
+import {
+  BADGE_EVENTS,
+  BADGE_RULES,
+  applyBadgeEvent,
+  createBadgeState,
+  evaluateBadgeEvent,
+  replayBadgeEvents
+} from '../../../utils/helpers/badge.engine';
+
+const START = Date.parse('2026-01-05T08:00:00.000Z');
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * Stamps events an hour apart, as they were recorded
+ */
+const recorded = (events) => events.map((event, i) => ({ ...event, at: new Date(START + i * HOUR).toISOString() }));
+
+const times = (count, event) => Array.from({ length: count }, (_, i) => (typeof event === 'function' ? event(i) : event));
+
+const ruleIds = (unlocks) => unlocks.map(unlock => unlock.ruleId);
+
+/**
+ * A learner's whole journey, enough to satisfy every rule
+ */
+const JOURNEY = recorded([
+  { type: BADGE_EVENTS.PROJECT_CREATED },
+  ...times(120, i => ({ type: BADGE_EVENTS.CHECKPOINT_PASSED, score: i % 6 === 5 ? 90 : 100 })),
+  ...times(100, i => ({ type: BADGE_EVENTS.MISSION_COMPLETED, stageCompleted: i % 5 === 4 })),
+  ...times(365, i => ({ type: BADGE_EVENTS.STREAK_DAY, streak: i + 1 })),
+  { type: BADGE_EVENTS.PRAISE_GIVEN, count: 60 },
+  { type: BADGE_EVENTS.PRAISE_GIVEN, count: 40 },
+  ...times(100, () => ({ type: BADGE_EVENTS.PRAISE_RECEIVED })),
+  ...[1250, 2500, 3750, 5000, 10000, 50000].map(total => ({ type: BADGE_EVENTS.BARAKA_EARNED, total }))
+]);
+
+describe('badge engine', () => {
+  describe('unlocking', () => {
+    it('unlocks every rule exactly once, even when the stream is replayed again', () => {
+      const { state, unlocks } = replayBadgeEvents([...JOURNEY, ...JOURNEY]);
+
+      expect(ruleIds(unlocks).sort()).toEqual(Object.keys(BADGE_RULES).sort());
+      expect(state.unlocked.sort()).toEqual(Object.keys(BADGE_RULES).sort());
+    });
+
+    it('unlocks a rule on the event that satisfies it', () => {
+      const events = recorded(times(10, () => ({ type: BADGE_EVENTS.MISSION_COMPLETED })));
+      const { unlocks } = replayBadgeEvents(events);
+
+      expect(unlocks).toEqual([
+        expect.objectContaining({ ruleId: 'first-mission', event: BADGE_EVENTS.MISSION_COMPLETED }),
+        expect.objectContaining({ ruleId: '10-missions', event: BADGE_EVENTS.MISSION_COMPLETED })
+      ]);
+      expect(unlocks[0].badge.earnedDate).toBe(events[0].at);
+      expect(unlocks[1].badge.earnedDate).toBe(events[9].at);
+    });
+
+    it('does not announce rules already unlocked', () => {
+      const state = createBadgeState({ stats: { missionsCompleted: 9 }, unlocked: ['first-mission'] });
+
+      const { unlocks } = evaluateBadgeEvent(state, { type: BADGE_EVENTS.MISSION_COMPLETED });
+
+      expect(ruleIds(unlocks)).toEqual(['10-missions']);
+    });
+  });
+
+  describe('Baraka earned', () => {
+    it('keeps the highest lifetime total', () => {
+      const { state } = replayBadgeEvents(recorded([
+        { type: BADGE_EVENTS.BARAKA_EARNED, total: 2600 },
+        { type: BADGE_EVENTS.BARAKA_EARNED, total: 1200 },
+        { type: BADGE_EVENTS.BARAKA_EARNED, total: 'not a number' }
+      ]));
+
+      expect(state.stats).toMatchObject({ barakaEarned: 2600, barakaProgress: 52 });
+    });
+
+    it('changes nothing when the same total is read again', () => {
+      const { state } = replayBadgeEvents([{ type: BADGE_EVENTS.BARAKA_EARNED, total: 1300 }]);
+
+      expect(applyBadgeEvent(state.stats, { type: BADGE_EVENTS.BARAKA_EARNED, total: 1300 })).toBe(state.stats);
+      expect(evaluateBadgeEvent(state, { type: BADGE_EVENTS.BARAKA_EARNED, total: 1300 })).toEqual({ state, unlocks: [] });
+    });
+
+    it('unlocks each milestone once however often balances are re-read', () => {
+      const { unlocks } = replayBadgeEvents(recorded(
+        [1300, 1300, 1250, 2499, 2600, 2600, 1000, 5000, 4999, 5000]
+          .map(total => ({ type: BADGE_EVENTS.BARAKA_EARNED, total }))
+      ));
+
+      expect(ruleIds(unlocks)).toEqual(['baraka-25', 'baraka-50', 'baraka-75', 'orange-beacon']);
+    });
+  });
+
+  describe('streaks', () => {
+    const days = (...streaks) => recorded(streaks.map(streak => ({ type: BADGE_EVENTS.STREAK_DAY, streak })));
+
+    it('keeps the longest streak when a streak breaks', () => {
+      const { state, unlocks } = replayBadgeEvents(days(1, 2, 3, 4, 5, 6, 7, 8, 1, 2));
+
+      expect(ruleIds(unlocks)).toEqual(['streak7']);
+      expect(state.stats).toMatchObject({ streak: 2, longestStreak: 8 });
+    });
+
+    it('does not unlock again when a broken streak climbs back', () => {
+      const { unlocks } = replayBadgeEvents(days(...times(7, i => i + 1), 1, ...times(7, i => i + 1)));
+
+      expect(ruleIds(unlocks)).toEqual(['streak7']);
+    });
+
+    it('reads a missing or negative streak as broken', () => {
+      const { state } = replayBadgeEvents(days(5, -3, 4, undefined));
+
+      expect(state.stats).toMatchObject({ streak: 0, longestStreak: 5 });
+    });
+  });
+
+  describe('replay', () => {
+    it('gives identical unlocks every time a stream is replayed', () => {
+      expect(replayBadgeEvents(JOURNEY)).toEqual(replayBadgeEvents(JOURNEY));
+    });
+
+    it('gives the same result when resumed from a saved state', () => {
+      const middle = Math.floor(JOURNEY.length / 2);
+      const first = replayBadgeEvents(JOURNEY.slice(0, middle));
+      const saved = createBadgeState(JSON.parse(JSON.stringify(first.state)));
+      const second = replayBadgeEvents(JOURNEY.slice(middle), { state: saved });
+
+      const whole = replayBadgeEvents(JOURNEY);
+      expect([...first.unlocks, ...second.unlocks]).toEqual(whole.unlocks);
+      expect(second.state).toEqual(whole.state);
+    });
+
+    it('ends with the same badges whatever order the events arrive in', () => {
+      const whole = replayBadgeEvents(JOURNEY);
+      const reversed = replayBadgeEvents([...JOURNEY].reverse());
+
+      expect([...reversed.state.unlocked].sort()).toEqual([...whole.state.unlocked].sort());
+      expect({ ...reversed.state.stats, streak: 0 }).toEqual({ ...whole.state.stats, streak: 0 });
+    });
+
+    it('ignores events it does not know', () => {
+      const state = createBadgeState();
+
+      expect(evaluateBadgeEvent(state, { type: 'lesson_viewed' })).toEqual({ state, unlocks: [] });
+      expect(applyBadgeEvent(state.stats, null)).toBe(state.stats);
+    });
+  });
+});
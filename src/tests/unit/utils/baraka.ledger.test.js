@@ -0,0 +1,146 @@
+/**
+ * GPS Lab Platform - Baraka Ledger Tests
+ *
+ * Posts a wallet history that starts part way through, derives the running
+ * balance from it and reconciles it with the server: balanced, unverified,
+ * a different server balance, a wrong running balance and a missing
+ * transaction.
+ */
+
+import {
+  LEDGER_ACCOUNTS,
+  RECONCILIATION_STATUS,
+  buildLedger,
+  deriveBalance,
+  withRunningBalance,
+  reconcileLedger
+} from '../../../utils/helpers/baraka.ledger';
+
+/**
+ * The latest page of a wallet history, newest first as the API returns it.
+ * The learner had 500 Baraka before the oldest entry.
+ */
+const HISTORY = [
+  { id: 'txn_5', type: 'refund', source: 'psb_order', amount: 10, balance: 460, createdAt: '2026-02-03T10:00:00.000Z' },
+  { id: 'txn_4', type: 'escrow_hold', amount: -50, balance: 450, createdAt: '2026-02-03T10:00:00.000Z' },
+  { id: 'txn_3', type: 'transfer_out', amount: -60, balance: 500, createdAt: '2026-02-02T16:30:00.000Z' },
+  { id: 'txn_2', type: 'spend', source: 'shop', amount: -40, balance: 560, createdAt: '2026-02-02T09:00:00.000Z' },
+  { id: 'txn_1', type: 'earn_mission', amount: 100, balance: 600, createdAt: '2026-02-01T12:00:00.000Z' }
+];
+
+const withBalance = (id, balance) => HISTORY.map(txn => (txn.id === id ? { ...txn, balance } : txn));
+
+describe('Baraka ledger', () => {
+  describe('buildLedger', () => {
+    it('carries the balance before the oldest entry in as an opening line', () => {
+      const { entries, accounts, openingBalance } = buildLedger(HISTORY);
+
+      expect(openingBalance).toBe(500);
+      expect(entries.slice(0, 2)).toEqual([
+        expect.objectContaining({ transactionId: null, account: LEDGER_ACCOUNTS.WALLET, debit: 500 }),
+        expect.objectContaining({ transactionId: null, account: LEDGER_ACCOUNTS.OPENING, credit: 500 })
+      ]);
+      expect(accounts[LEDGER_ACCOUNTS.WALLET].balance).toBe(460);
+      expect(deriveBalance(entries)).toBe(460);
+    });
+
+    it('posts balanced lines', () => {
+      const { entries, accounts } = buildLedger(HISTORY);
+      const total = (key) => entries.reduce((sum, entry) => sum + entry[key], 0);
+
+      expect(total('debit')).toBe(total('credit'));
+      expect(accounts[LEDGER_ACCOUNTS.TRANSFERS]).toEqual({ debit: 60, credit: 0, balance: 60 });
+      expect(accounts[LEDGER_ACCOUNTS.ESCROW]).toEqual({ debit: 50, credit: 0, balance: 50 });
+    });
+
+    it('starts from nothing when entries carry no running balance', () => {
+      const bare = HISTORY.map(({ balance, ...txn }) => txn);
+
+      expect(buildLedger(bare).openingBalance).toBe(0);
+      expect(deriveBalance(buildLedger(bare).entries)).toBe(-40);
+    });
+  });
+
+  describe('withRunningBalance', () => {
+    it('derives each entry\'s balance, oldest first, keeping the order given', () => {
+      const rows = withRunningBalance(HISTORY);
+
+      expect(rows.map(row => [row.id, row.balanceAfter])).toEqual([
+        ['txn_5', 460],
+        ['txn_4', 450],
+        ['txn_3', 500],
+        ['txn_2', 560],
+        ['txn_1', 600]
+      ]);
+      expect(rows.some(row => row.balanceMismatch)).toBe(false);
+    });
+
+    it('orders entries by time whatever order they arrive in', () => {
+      // Entries posted in the same millisecond still come newest first
+      const [txn5, txn4, txn3, txn2, txn1] = HISTORY;
+      const rows = withRunningBalance([txn2, txn5, txn1, txn4, txn3]);
+
+      expect(rows.map(row => [row.id, row.balanceAfter])).toEqual([
+        ['txn_2', 560],
+        ['txn_5', 460],
+        ['txn_1', 600],
+        ['txn_4', 450],
+        ['txn_3', 500]
+      ]);
+    });
+
+    it('flags an entry whose reported balance disagrees', () => {
+      const rows = withRunningBalance(withBalance('txn_3', 510));
+
+      expect(rows.filter(row => row.balanceMismatch).map(row => row.id)).toEqual(['txn_3']);
+    });
+  });
+
+  describe('reconcileLedger', () => {
+    it('balances when the server agrees with the ledger', () => {
+      expect(reconcileLedger(HISTORY, 460)).toEqual({
+        status: RECONCILIATION_STATUS.BALANCED,
+        serverBalance: 460,
+        derivedBalance: 460,
+        difference: 0,
+        breaks: []
+      });
+    });
+
+    it('is unverified without a server balance', () => {
+      expect(reconcileLedger(HISTORY)).toMatchObject({ status: RECONCILIATION_STATUS.UNVERIFIED, serverBalance: null });
+    });
+
+    it('reports a server balance that differs', () => {
+      expect(reconcileLedger(HISTORY, 470)).toMatchObject({
+        status: RECONCILIATION_STATUS.MISMATCH,
+        derivedBalance: 460,
+        difference: 10,
+        breaks: []
+      });
+    });
+
+    it('reports a wrong running balance even when the totals agree', () => {
+      expect(reconcileLedger(withBalance('txn_3', 510), 460)).toMatchObject({
+        status: RECONCILIATION_STATUS.MISMATCH,
+        difference: 0,
+        breaks: [{ transactionId: 'txn_3', reported: 510, derived: 500 }]
+      });
+    });
+
+    it('shows a missing transaction as breaks from where it was lost', () => {
+      const missing = HISTORY.filter(txn => txn.id !== 'txn_2');
+
+      expect(reconcileLedger(missing, 460)).toMatchObject({
+        status: RECONCILIATION_STATUS.MISMATCH,
+        derivedBalance: 500,
+        difference: -40,
+        breaks: [
+          { transactionId: 'txn_5', reported: 460, derived: 500 },
+          { transactionId: 'txn_4', reported: 450, derived: 490 },
+          { transactionId: 'txn_3', reported: 500, derived: 540 }
+        ]
+      });
+    });
+  });
+});
@@ -0,0 +1,91 @@
+/**
+ * GPS Lab Platform - Baraka Transfer Tests
+ *
+ * Covers splitting a bill in whole Baraka and when held escrow is
+ * released, refunded or kept.
+ */
+
+import {
+  ESCROW_STATUS,
+  ESCROW_GRACE_DAYS,
+  splitBill,
+  getEscrowExpiry,
+  resolveEscrow
+} from '../../../utils/helpers/baraka.transfer';
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = '2026-04-10T12:00:00.000Z';
+
+const later = (iso, days) => new Date(Date.parse(iso) + days * DAY).toISOString();
+
+describe('Baraka transfers', () => {
+  describe('splitBill', () => {
+    it('gives the remainder to the first participants, one each', () => {
+      expect(splitBill(100, ['a', 'b', 'c'])).toEqual([
+        { userId: 'a', amount: 34 },
+        { userId: 'b', amount: 33 },
+        { userId: 'c', amount: 33 }
+      ]);
+      expect(splitBill(11, ['a', 'b', 'c', 'd']).map(share => share.amount)).toEqual([3, 3, 3, 2]);
+    });
+
+    it('always adds up to the total', () => {
+      [1, 2, 7, 99, 1000, 1001].forEach(total => {
+        [1, 2, 3, 6, 7].forEach(count => {
+          const ids = Array.from({ length: count }, (_, i) => `usr_${i}`);
+          const amounts = splitBill(total, ids).map(share => share.amount);
+
+          expect(amounts.reduce((sum, amount) => sum + amount, 0)).toBe(total);
+          expect(Math.max(...amounts) - Math.min(...amounts)).toBeLessThanOrEqual(1);
+        });
+      });
+    });
+
+    it('gives some participants nothing when there is less than one each', () => {
+      expect(splitBill(2, ['a', 'b', 'c']).map(share => share.amount)).toEqual([1, 1, 0]);
+      expect(splitBill(50, [])).toEqual([]);
+    });
+  });
+
+  describe('escrow', () => {
+    const held = (task) => ({ status: ESCROW_STATUS.HELD, expiresAt: getEscrowExpiry(task, NOW) });
+
+    it('expires a grace period after the task is due', () => {
+      const task = { status: 'open', dueDate: later(NOW, 3) };
+
+      expect(getEscrowExpiry(task, NOW)).toBe(later(NOW, 3 + ESCROW_GRACE_DAYS));
+      expect(getEscrowExpiry({ status: 'open' }, NOW)).toBe(later(NOW, ESCROW_GRACE_DAYS));
+      expect(getEscrowExpiry({ status: 'open', dueDate: later(NOW, -3) }, NOW)).toBe(later(NOW, ESCROW_GRACE_DAYS));
+    });
+
+    it('keeps holding until the expiry, then refunds', () => {
+      const task = { status: 'open', dueDate: later(NOW, 3) };
+      const escrow = held(task);
+      const justBefore = new Date(Date.parse(escrow.expiresAt) - 1).toISOString();
+
+      expect(resolveEscrow(escrow, task, justBefore)).toBeNull();
+      expect(resolveEscrow(escrow, task, escrow.expiresAt)).toBe(ESCROW_STATUS.REFUNDED);
+    });
+
+    it('releases for a completed task, even after the expiry', () => {
+      const task = { status: 'completed', dueDate: later(NOW, 3) };
+      const escrow = held(task);
+
+      expect(resolveEscrow(escrow, task, NOW)).toBe(ESCROW_STATUS.RELEASED);
+      expect(resolveEscrow(escrow, task, later(escrow.expiresAt, 1))).toBe(ESCROW_STATUS.RELEASED);
+    });
+
+    it('refunds at once when the task is cancelled or gone', () => {
+      const escrow = held({ status: 'open' });
+
+      expect(resolveEscrow(escrow, { status: 'cancelled' }, NOW)).toBe(ESCROW_STATUS.REFUNDED);
+      expect(resolveEscrow(escrow, null, NOW)).toBe(ESCROW_STATUS.REFUNDED);
+    });
+
+    it('leaves settled escrow alone', () => {
+      const escrow = { ...held({ status: 'open' }), status: ESCROW_STATUS.REFUNDED };
+
+      expect(resolveEscrow(escrow, { status: 'completed' }, later(NOW, 30))).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,53 @@
+/**
+ * GPS Lab Platform - Caption Helper Tests
+ *
+ * Covers writing cues as WebVTT, including caption text that would
+ * otherwise read as markup or as a timing line, and reading it back.
+ */
+
+import { toWebVTT, parseWebVTT } from '../../../utils/helpers/caption.helper';
+
+describe('caption helper', () => {
+  describe('toWebVTT', () => {
+    it('writes numbered cues in time order', () => {
+      expect(toWebVTT([
+        { start: 3, end: 5.5, text: 'Second' },
+        { start: 0, end: 2, text: 'First' },
+        { start: 6, end: 7, text: '  ' }
+      ])).toBe('WEBVTT\n\n1\n00:00:00.000 --> 00:00:02.000\nFirst\n\n2\n00:00:03.000 --> 00:00:05.500\nSecond\n');
+    });
+
+    it('escapes markup characters in cue text', () => {
+      const vtt = toWebVTT([{ start: 0, end: 2, text: 'Profit & loss <b>not bold</b>' }]);
+
+      expect(vtt).toContain('\nProfit &amp; loss &lt;b&gt;not bold&lt;/b&gt;\n');
+    });
+
+    it('keeps a typed arrow from reading as a timing line', () => {
+      const vtt = toWebVTT([{ start: 0, end: 2, text: 'Problem --> purpose\n\nnext line' }]);
+      const lines = vtt.split('\n');
+
+      expect(lines.filter(line => line.includes('-->'))).toEqual(['00:00:00.000 --> 00:00:02.000']);
+      expect(lines).toContain('Problem --&gt; purpose');
+      expect(lines).toContain('next line');
+    });
+  });
+
+  describe('parseWebVTT', () => {
+    it('reads back exactly the text that was written', () => {
+      const cues = [
+        { start: 0, end: 2, text: 'Profit & loss <b>not bold</b>' },
+        { start: 2, end: 4.25, text: 'Problem --> purpose\nsecond line' }
+      ];
+
+      expect(parseWebVTT(toWebVTT(cues))).toEqual(cues);
+    });
+
+    it('drops markup and decodes character references from imported files', () => {
+      const vtt = 'WEBVTT\n\nNOTE made elsewhere\n\n00:00:01.000 --> 00:00:02.500 align:start\n'
+        + '<v Amani><i>Karibu</i> &amp; welcome&nbsp;home</v>\n';
+
+      expect(parseWebVTT(vtt)).toEqual([{ start: 1, end: 2.5, text: 'Karibu & welcome\u00A0home' }]);
+    });
+  });
+});
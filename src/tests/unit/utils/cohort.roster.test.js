@@ -0,0 +1,61 @@
+/**
+ * GPS Lab Platform - Cohort Roster Export Tests
+ *
+ * Exports a cohort's student table to CSV as the university portal does,
+ * with learner-supplied names and numbers that a spreadsheet would
+ * otherwise run as formulas.
+ */
+
+import { toCSV, parseCSV } from '../../../utils/helpers/export.helper';
+import { getReportColumns, calculateStudentMetrics } from '../../../utils/helpers/report.helper';
+import { PROGRESS_STATUS } from '../../../utils/helpers/cohort.helper';
+
+const RANGE = { from: '2026-01-01T00:00:00.000Z', to: '2026-03-31T23:59:59.999Z' };
+
+const student = (fields) => ({
+  studentNumber: '2026-0001',
+  email: 'student@example.edu',
+  progress: { status: PROGRESS_STATUS.ON_TRACK },
+  metrics: calculateStudentMetrics({
+    barakaHistory: [{ amount: 120, earnedAt: '2026-02-01T00:00:00.000Z' }]
+  }, [], RANGE),
+  ...fields
+});
+
+describe('cohort roster export', () => {
+  const students = [
+    student({ displayName: '=HYPERLINK("http://evil.example","Open")' }),
+    student({ displayName: '+254700000000', studentNumber: '-2026-0002' }),
+    student({ displayName: '@SUM(A1:A9)', email: 'at@example.edu' }),
+    student({ displayName: '\tTabbed' }),
+    student({ displayName: 'Amani Njeri' })
+  ];
+
+  const exportRoster = () => {
+    const [header, ...rows] = parseCSV(toCSV(students, getReportColumns()));
+    return rows.map(cells => Object.fromEntries(header.map((label, i) => [label, cells[i]])));
+  };
+
+  it('writes learner names as text, never as formulas', () => {
+    expect(exportRoster().map(row => row.Student)).toEqual([
+      '\'=HYPERLINK("http://evil.example","Open")',
+      "'+254700000000",
+      "'@SUM(A1:A9)",
+      "'\tTabbed",
+      'Amani Njeri'
+    ]);
+  });
+
+  it('writes other learner text the same way', () => {
+    expect(exportRoster()[1]['Student number']).toBe("'-2026-0002");
+  });
+
+  it('keeps the rest of the row intact', () => {
+    expect(exportRoster()[0]).toMatchObject({
+      'Student number': '2026-0001',
+      Email: 'student@example.edu',
+      Pace: 'On track',
+      'Baraka earned': '120'
+    });
+  });
+});
@@ -0,0 +1,132 @@
+/**
+ * GPS Lab Platform - Curriculum Helper Tests
+ *
+ * Covers the pieces the authoring studio builds a draft from: new stages,
+ * missions, sub-missions and checkpoints with IDs that are never reused and
+ * empty Korean fields beside every translated one, the curriculum totals,
+ * and the list of changes a draft makes to the published version.
+ */
+
+import { GPS_101_CONFIG } from '../../../config/gps101.config';
+import {
+  BUNDLED_CURRICULUM,
+  TRANSLATED_FIELDS,
+  createStage,
+  createMission,
+  createSubMission,
+  createCheckpoint,
+  renumber,
+  countCurriculum,
+  diffCurriculum
+} from '../../../utils/helpers/curriculum.helper';
+
+const clone = (value) => JSON.parse(JSON.stringify(value));
+
+const checkpoint = (id, barakaReward = 10, xpReward = 5) => ({ checkpointId: id, question: `Q ${id}`, barakaReward, xpReward });
+
+const CONTENT = {
+  stages: [
+    { stageNumber: 1, stageName: 'Stage 1', question: 'Who are you?', questionKo: '당신은 누구입니까?' },
+    { stageNumber: 2, stageName: 'Stage 2', question: 'What is your purpose?' }
+  ],
+  missions: [
+    {
+      missionId: 'GPS101_M1',
+      stageNumber: 1,
+      missionTitle: 'Know yourself',
+      subMissions: [
+        { subMissionId: 'GPS101_M1_SM1', title: 'Values', checkpoints: [checkpoint('GPS101_M1_SM1_CP1'), checkpoint('GPS101_M1_SM1_CP3')] },
+        { subMissionId: 'GPS101_M1_SM4', title: 'Strengths', checkpoints: [checkpoint('GPS101_M1_SM4_CP1', 20, 15)] }
+      ]
+    },
+    { missionId: 'GPS101_M3', stageNumber: 2, missionTitle: 'Find the problem', subMissions: [] }
+  ]
+};
+
+describe('curriculum helpers', () => {
+  describe('creating content', () => {
+    it('adds a stage after the last one with an empty Korean field for each text', () => {
+      const stage = createStage(CONTENT);
+
+      expect(stage).toMatchObject({ stageId: 'GPS101_S3', stageNumber: 3, order: 3, stageNameKo: '스테이지 3' });
+      TRANSLATED_FIELDS.stage
+        .filter(field => field !== 'stageName')
+        .forEach(field => expect(stage[`${field}Ko`]).toBe(''));
+    });
+
+    it('numbers a new mission past every mission ID in use and copies the stage\'s Korean text', () => {
+      const mission = createMission(CONTENT, CONTENT.stages[0]);
+
+      expect(mission).toMatchObject({
+        missionId: 'GPS101_M4',
+        missionNumber: 4,
+        stageNumber: 1,
+        stageName: 'Who are you?',
+        stageNameKo: '당신은 누구입니까?',
+        missionTitleKo: '',
+        subMissions: []
+      });
+    });
+
+    it('never reuses a sub-mission or checkpoint ID after a removal', () => {
+      const [mission] = CONTENT.missions;
+      const subMission = createSubMission(mission);
+      const cp = createCheckpoint(mission.subMissions[0]);
+
+      expect(subMission).toMatchObject({ subMissionId: 'GPS101_M1_SM5', subMissionNumber: 3, titleKo: '' });
+      expect(cp).toMatchObject({
+        checkpointId: 'GPS101_M1_SM1_CP4',
+        order: 3,
+        questionKo: '',
+        barakaReward: GPS_101_CONFIG.rewards.checkpoint.baraka,
+        xpReward: GPS_101_CONFIG.rewards.checkpoint.xp
+      });
+    });
+
+    it('starts numbering at one for an empty parent', () => {
+      expect(createSubMission({ missionId: 'GPS101_M9' }).subMissionId).toBe('GPS101_M9_SM1');
+      expect(createCheckpoint({ subMissionId: 'GPS101_M9_SM1', checkpoints: [] }).checkpointId).toBe('GPS101_M9_SM1_CP1');
+    });
+
+    it('renumbers positions without touching IDs', () => {
+      const items = [{ subMissionId: 'a', subMissionNumber: 4 }, { subMissionId: 'b', subMissionNumber: 1 }];
+
+      renumber(items, 'subMissionNumber');
+
+      expect(items).toEqual([{ subMissionId: 'a', subMissionNumber: 1 }, { subMissionId: 'b', subMissionNumber: 2 }]);
+    });
+  });
+
+  describe('countCurriculum', () => {
+    it('totals the content and its checkpoint rewards', () => {
+      expect(countCurriculum(CONTENT)).toEqual({ stages: 2, missions: 2, subMissions: 2, checkpoints: 3, baraka: 40, xp: 25 });
+    });
+
+    it('counts the bundled curriculum', () => {
+      const totals = countCurriculum(BUNDLED_CURRICULUM);
+
+      expect(totals).toMatchObject({ stages: 5, missions: 5, subMissions: 30, checkpoints: 150 });
+      expect(countCurriculum(null)).toEqual({ stages: 0, missions: 0, subMissions: 0, checkpoints: 0, baraka: 0, xp: 0 });
+    });
+  });
+
+  describe('diffCurriculum', () => {
+    it('finds nothing between identical versions', () => {
+      expect(diffCurriculum(CONTENT, clone(CONTENT))).toEqual([]);
+    });
+
+    it('lists added, changed and removed items by their own fields', () => {
+      const draft = clone(CONTENT);
+      draft.stages[1].questionKo = '당신의 목적은 무엇입니까?';
+      draft.missions[0].subMissions[0].checkpoints.push(checkpoint('GPS101_M1_SM1_CP4'));
+      draft.missions[0].subMissions.splice(1, 1);
+
+      expect(diffCurriculum(CONTENT, draft)).toEqual([
+        { id: 'stage:2', kind: 'stage', label: 'What is your purpose?', change: 'changed' },
+        { id: 'GPS101_M1_SM1_CP4', kind: 'checkpoint', label: 'Q GPS101_M1_SM1_CP4', change: 'added' },
+        { id: 'GPS101_M1_SM4', kind: 'subMission', label: 'Strengths', change: 'removed' },
+        { id: 'GPS101_M1_SM4_CP1', kind: 'checkpoint', label: 'Q GPS101_M1_SM4_CP1', change: 'removed' }
+      ]);
+    });
+  });
+});
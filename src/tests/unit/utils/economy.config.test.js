@@ -0,0 +1,219 @@
+/**
+ * GPS Lab Platform - Economy Config Tests
+ *
+ * Pins the tables other modules derive from the shipped economy config to
+ * the values the app has always shipped with, and checks the views follow
+ * the active config.
+ */
+
+import {
+  DEFAULT_ECONOMY_CONFIG,
+  setEconomyConfig,
+  resetEconomyConfig
+} from '../../../config/economy.config';
+import {
+  XP_CONFIG,
+  BARAKA_CONFIG,
+  PSB_CONFIG,
+  STUDY_CONFIG,
+  LEADERBOARD_CONFIG,
+  PRAISE_CONFIG
+} from '../../../config/game.config';
+import { GPS_101_CONFIG } from '../../../config/gps101.config';
+import { XP_VALUES, LEVEL_CONFIG } from '../../../utils/helpers/xp.calculator';
+import { BARAKA_CONSTANTS } from '../../../utils/helpers/baraka.calculator';
+import { validateEconomyConfig } from '../../../utils/validators/economy.validator';
+
+const withChange = (change) => {
+  const config = JSON.parse(JSON.stringify(DEFAULT_ECONOMY_CONFIG));
+  change(config);
+  return config;
+};
+
+describe('economy config', () => {
+  afterEach(() => {
+    resetEconomyConfig();
+  });
+
+  it('ships a valid config', () => {
+    expect(validateEconomyConfig(DEFAULT_ECONOMY_CONFIG)).toEqual({ valid: true, errors: [], warnings: [] });
+  });
+
+  describe('shipped tables', () => {
+    it('XP_CONFIG', () => {
+      expect(XP_CONFIG).toEqual({
+        CHECKPOINT_PASS: 5,
+        MISSION_COMPLETE: 25,
+        STAGE_COMPLETE: 100,
+        GPS_101_CHECKPOINT_PASS: 5,
+        GPS_101_MISSION_COMPLETE: 30,
+        GPS_101_STAGE_COMPLETE: 180,
+        GPS_101_COURSE_COMPLETE: 1500,
+        PERFECT_CHECKPOINT: 2,
+        FIRST_TRY: 5,
+        HELP_PARTY_MEMBER: 3,
+        GIVE_PRAISE: 1,
+        RECEIVE_PRAISE: 2,
+        LEVEL_THRESHOLDS: [
+          0, 100, 250, 500, 1000, 2000, 3500, 5500,
+          8000, 11000, 15000, 20000, 26000, 33000, 41000, 50000
+        ]
+      });
+    });
+
+    it('BARAKA_CONFIG', () => {
+      expect(BARAKA_CONFIG).toMatchObject({
+        CHECKPOINT_PASS: 25,
+        MISSION_COMPLETE: 150,
+        STAGE_COMPLETE: 1000,
+        GPS_101_CHECKPOINT_PASS: 25,
+        GPS_101_MISSION_COMPLETE: 150,
+        GPS_101_STAGE_COMPLETE: 1000,
+        GPS_101_COURSE_COMPLETE: 5000,
+        PERFECT_CHECKPOINT: 10,
+        FIRST_TRY: 25,
+        HELP_PARTY_MEMBER: 15,
+        GIVE_PRAISE: 5,
+        DAILY_LOGIN: 10,
+        WEEKLY_STREAK: 50,
+        MONTHLY_STREAK: 200,
+        RETRY_RIGHT: 100,
+        PROVISIONAL_RETRY_RIGHT: 50,
+        UNLOCK_ADVENTURE_MISSION: 500,
+        NAVIGATOR_HINT: 25,
+        SKIP_STUDY_MISSION: 200,
+        UNLOCK_SPECIAL_BADGE: 1000,
+        BEACONS: {
+          WHITE: { threshold: 0 },
+          ORANGE: { threshold: 5000 },
+          RED: { threshold: 10000 },
+          PURPLE: { threshold: 50000 }
+        }
+      });
+    });
+
+    it('GPS 101 reward schedule', () => {
+      expect(GPS_101_CONFIG.rewards).toEqual({
+        checkpoint: { baraka: 5, xp: 5 },
+        subMission: { baraka: 25, xp: 0 },
+        mission: { baraka: 250, xp: 0 },
+        stage: { baraka: 500, xp: 0 }
+      });
+    });
+
+    it('XP_VALUES', () => {
+      expect(XP_VALUES).toEqual({
+        checkpoint: 5,
+        mission: 25,
+        bite: 5,
+        stage: 100,
+        adventure: 500,
+        perfectCheckpoint: 10,
+        speedBonus: 5,
+        firstTryBonus: 15,
+        givingHonor: 2,
+        receivingHonor: 5,
+        partyContribution: 10,
+        helpingNewbie: 20,
+        qualityEvidence: 10,
+        resourceContribution: 25,
+        feedbackProvided: 5,
+        dailyLogin: 5,
+        dailyMission: 10,
+        firstMission: 50,
+        firstStage: 100,
+        firstAdventure: 500,
+        streak7Days: 50,
+        streak30Days: 200,
+        streak90Days: 500
+      });
+    });
+
+    it('LEVEL_CONFIG', () => {
+      expect(LEVEL_CONFIG).toEqual({
+        baseXP: 100,
+        growthRate: 1.5,
+        maxLevel: 100,
+        levelCap: {
+          adventure1: 10,
+          adventure2: 20,
+          adventure3: 35,
+          adventure4: 50,
+          adventure5: 65,
+          adventure6: 80,
+          adventure7: 100
+        }
+      });
+    });
+
+    it('BARAKA_CONSTANTS', () => {
+      expect(BARAKA_CONSTANTS).toEqual({
+        TOTAL_TARGET: 5000,
+        TOTAL_CHECKPOINTS: 150,
+        BARAKA_PER_CHECKPOINT: 33,
+        BONUS_STAGE_COMPLETE: 100,
+        BONUS_MISSION_COMPLETE: 50,
+        BONUS_PERFECT_SUBMISSION: 10,
+        BONUS_EARLY_COMPLETION: 25,
+        MILESTONES: {
+          25: { baraka: 1250, name: '25% Progress', bonus: 50 },
+          50: { baraka: 2500, name: '50% Progress', bonus: 100 },
+          75: { baraka: 3750, name: '75% Progress', bonus: 150 },
+          100: { baraka: 5000, name: 'Orange Beacon', bonus: 500 }
+        }
+      });
+    });
+
+    it('PSB, study, leaderboard and praise', () => {
+      expect(PSB_CONFIG).toMatchObject({
+        COVENANT_RETURN: 0.5,
+        WITHDRAWAL_FEE: 0.05,
+        MINIMUM_WITHDRAWAL: 1000,
+        CONVERSION_RATE: 1,
+        LOCKUP_PERIODS: { SHORT: 30, MEDIUM: 90, LONG: 180 },
+        INTEREST_RATES: { SHORT: 0.05, MEDIUM: 0.10, LONG: 0.15 }
+      });
+      expect(STUDY_CONFIG).toMatchObject({
+        R2R_INITIAL: 3,
+        R2R_MAX: 5,
+        R2R_EARN_PER_STUDY: 1,
+        PR2R_THRESHOLD: 2,
+        PR2R_MAX: 3,
+        STUDY_MISSION_DURATION: 30,
+        STUDY_MISSION_MIN_SCORE: 80,
+        GPS_101: { R2R_INITIAL: 3, PR2R_THRESHOLD: 2, STUDY_DURATION: 30 }
+      });
+      expect(LEADERBOARD_CONFIG).toMatchObject({ PAGE_SIZE: 50, UPDATE_INTERVAL: 5 * 60 * 1000 });
+      expect(PRAISE_CONFIG).toMatchObject({ MAX_DAILY_PRAISE_SENT: 10, MAX_DAILY_PRAISE_RECEIVED: 50 });
+    });
+  });
+
+  describe('views', () => {
+    it('follow the active config and return to the shipped values on reset', () => {
+      setEconomyConfig(withChange(config => {
+        config.xp.levelThresholds[2] = 150;
+        config.gps101.xp.mission = 40;
+        config.gps101.progress.checkpoint = 30;
+      }));
+
+      expect(XP_CONFIG.LEVEL_THRESHOLDS[1]).toBe(150);
+      expect(XP_CONFIG.GPS_101_MISSION_COMPLETE).toBe(40);
+      expect(BARAKA_CONSTANTS.BARAKA_PER_CHECKPOINT).toBe(30);
+
+      resetEconomyConfig();
+
+      expect(XP_CONFIG.LEVEL_THRESHOLDS[1]).toBe(100);
+      expect(XP_CONFIG.GPS_101_MISSION_COMPLETE).toBe(30);
+      expect(BARAKA_CONSTANTS.BARAKA_PER_CHECKPOINT).toBe(33);
+    });
+  });
+
+  it('rejects level thresholds that do not rise', () => {
+    const { valid, errors } = validateEconomyConfig(withChange(config => {
+      config.xp.levelThresholds[5] = config.xp.levelThresholds[4];
+    }));
+
+    expect(valid).toBe(false);
+    expect(errors).toEqual([expect.objectContaining({ path: 'xp.levelThresholds.5' })]);
+  });
+});
@@ -0,0 +1,178 @@
+/**
+ * GPS Lab Platform - Export Helper Tests
+ *
+ * Covers CSV escaping, including cells a spreadsheet would run as
+ * formulas, and reads generated XLSX workbooks back: the zip directory,
+ * each entry's CRC and the sheet XML.
+ */
+
+import { TextEncoder, TextDecoder } from 'util';
+import { toCSVCell, toCSV, parseCSV, toXLSX } from '../../../utils/helpers/export.helper';
+
+/**
+ * Bit-by-bit CRC-32, to check the entries against
+ */
+const referenceCRC = (bytes) => {
+  let crc = 0xFFFFFFFF;
+  bytes.forEach(byte => {
+    crc ^= byte;
+    for (let k = 0; k < 8; k++) crc = (crc >>> 1) ^ (0xEDB88320 & -(crc & 1));
+  });
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+};
+
+/**
+ * Reads an uncompressed zip from its central directory, checking every
+ * local header agrees with it
+ */
+const readZip = (zip) => {
+  const view = new DataView(zip.buffer, zip.byteOffset, zip.byteLength);
+  const decoder = new TextDecoder();
+  const end = zip.length - 22;
+  expect(view.getUint32(end, true)).toBe(0x06054B50);
+
+  const count = view.getUint16(end + 10, true);
+  const centralSize = view.getUint32(end + 12, true);
+  const centralOffset = view.getUint32(end + 16, true);
+  expect(centralOffset + centralSize).toBe(end);
+
+  const files = {};
+  let position = centralOffset;
+  for (let i = 0; i < count; i++) {
+    expect(view.getUint32(position, true)).toBe(0x02014B50);
+    const crc = view.getUint32(position + 16, true);
+    const size = view.getUint32(position + 24, true);
+    const nameLength = view.getUint16(position + 28, true);
+    const localOffset = view.getUint32(position + 42, true);
+    const name = decoder.decode(zip.subarray(position + 46, position + 46 + nameLength));
+
+    expect(view.getUint32(localOffset, true)).toBe(0x04034B50);
+    expect(view.getUint16(localOffset + 8, true)).toBe(0);
+    expect(view.getUint32(localOffset + 14, true)).toBe(crc);
+    expect(view.getUint32(localOffset + 18, true)).toBe(size);
+    expect(view.getUint16(localOffset + 26, true)).toBe(nameLength);
+
+    const start = localOffset + 30 + nameLength;
+    const data = zip.subarray(start, start + size);
+    expect(referenceCRC(data)).toBe(crc);
+
+    files[name] = decoder.decode(data);
+    position += 46 + nameLength;
+  }
+  expect(position).toBe(end);
+  return files;
+};
+
+describe('export helper', () => {
+  describe('CSV', () => {
+    it('quotes cells with commas, quotes and line breaks', () => {
+      expect(toCSVCell('plain')).toBe('plain');
+      expect(toCSVCell('a,b')).toBe('"a,b"');
+      expect(toCSVCell('say "hi"')).toBe('"say ""hi"""');
+      expect(toCSVCell('two\nlines')).toBe('"two\nlines"');
+      expect(toCSVCell({ a: 1 })).toBe('"{""a"":1}"');
+      expect(toCSVCell(null)).toBe('');
+    });
+
+    it('keeps text a spreadsheet would run as a formula as text', () => {
+      expect(toCSVCell('=HYPERLINK("http://x","y")')).toBe('"\'=HYPERLINK(""http://x"",""y"")"');
+      expect(toCSVCell('+1+2')).toBe("'+1+2");
+      expect(toCSVCell('-2+3')).toBe("'-2+3");
+      expect(toCSVCell('@SUM(A1)')).toBe("'@SUM(A1)");
+      expect(toCSVCell('\t=1')).toBe("'\t=1");
+      expect(toCSVCell('\r=1')).toBe('"\'\r=1"');
+    });
+
+    it('leaves numbers and ordinary text alone', () => {
+      expect(toCSVCell(-5)).toBe('-5');
+      expect(toCSVCell(1.5)).toBe('1.5');
+      expect(toCSVCell('a=b')).toBe('a=b');
+      expect(toCSVCell('user@example.com')).toBe('user@example.com');
+    });
+
+    it('parses what it writes', () => {
+      const rows = [{ name: 'Amani, J.', note: 'said "yes"' }, { name: '=cmd', note: 'two\nlines' }];
+      const csv = toCSV(rows, [{ key: 'name', label: 'Name' }, { key: 'note', label: 'Note' }]);
+
+      expect(parseCSV(csv)).toEqual([
+        ['Name', 'Note'],
+        ['Amani, J.', 'said "yes"'],
+        ["'=cmd", 'two\nlines']
+      ]);
+    });
+  });
+
+  describe('XLSX', () => {
+    const originalEncoder = global.TextEncoder;
+
+    beforeAll(() => {
+      global.TextEncoder = TextEncoder;
+    });
+
+    afterAll(() => {
+      global.TextEncoder = originalEncoder;
+    });
+
+    const columns = [
+      { key: 'name', label: 'Name' },
+      { key: 'score', label: 'Score' },
+      { key: 'passed', label: 'Passed', value: row => row.score >= 70 }
+    ];
+    const rows = [
+      { name: 'Amani <A&B>', score: 82 },
+      { name: '=1+1', score: 40 },
+      { name: 'Wanjiru 💡', score: null }
+    ];
+
+    it('packs the workbook parts into a valid zip', () => {
+      const files = readZip(toXLSX([{ name: 'Students', rows, columns }]));
+
+      expect(Object.keys(files)).toEqual([
+        '[Content_Types].xml',
+        '_rels/.rels',
+        'xl/workbook.xml',
+        'xl/_rels/workbook.xml.rels',
+        'xl/styles.xml',
+        'xl/worksheets/sheet1.xml'
+      ]);
+      expect(files['[Content_Types].xml']).toContain('PartName="/xl/worksheets/sheet1.xml"');
+      expect(files['xl/_rels/workbook.xml.rels']).toContain('Target="worksheets/sheet1.xml"');
+    });
+
+    it('writes typed, escaped cells under a bold header', () => {
+      const sheet = readZip(toXLSX([{ name: 'Students', rows, columns }]))['xl/worksheets/sheet1.xml'];
+
+      expect(sheet).toContain('<c r="A1" s="1" t="inlineStr"><is><t xml:space="preserve">Name</t></is></c>');
+      expect(sheet).toContain('<t xml:space="preserve">Amani &lt;A&amp;B&gt;</t>');
+      expect(sheet).toContain('<c r="B2"><v>82</v></c>');
+      expect(sheet).toContain('<c r="C2" t="b"><v>1</v></c>');
+      expect(sheet).toContain('<c r="A3" t="inlineStr"><is><t xml:space="preserve">=1+1</t></is></c>');
+      expect(sheet).toContain('<t xml:space="preserve">Wanjiru 💡</t>');
+      expect(sheet).not.toContain('r="B4"');
+      expect(sheet).toContain('<pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/>');
+    });
+
+    it('drops characters XML cannot hold and keeps the rest', () => {
+      const sheet = readZip(toXLSX([{
+        name: 'Notes',
+        rows: [{ name: `a\u0000b\u0007c\td\ne\u000Bf\uFFFEg\uD83Dh 💡` }],
+        columns: [{ key: 'name', label: 'Name' }]
+      }]))['xl/worksheets/sheet1.xml'];
+
+      expect(sheet).toContain('<t xml:space="preserve">abc\td\nefgh 💡</t>');
+    });
+
+    it('makes sheet names valid and unique', () => {
+      const files = readZip(toXLSX([
+        { name: 'Stage 1: Purpose', rows: [], columns },
+        { name: 'stage 1  purpose', rows: [], columns },
+        { name: '', rows: [], columns }
+      ]));
+
+      expect(files['xl/workbook.xml']).toContain('<sheet name="Stage 1  Purpose" sheetId="1" r:id="rId1"/>');
+      expect(files['xl/workbook.xml']).toContain('<sheet name="stage 1  purpose 2" sheetId="2" r:id="rId2"/>');
+      expect(files['xl/workbook.xml']).toContain('<sheet name="Sheet3" sheetId="3" r:id="rId3"/>');
+      expect(Object.keys(files).filter(name => name.startsWith('xl/worksheets/'))).toHaveLength(3);
+    });
+  });
+});
@@ -0,0 +1,349 @@
+/**
+ * GPS Lab Platform - PSB Market Tests
+ *
+ * Matches orders through the book: price-time priority, partial fills,
+ * orders from the same user, market buys on a budget and cancellation,
+ * and what buyers pay against what sellers are paid. Also builds the
+ * chart series: candles with no gaps and the depth curve.
+ */
+
+import { PSB_SELLER_TIERS } from '../../../utils/constants/tiers.constants';
+import {
+  ORDER_SIDES,
+  ORDER_TYPES,
+  ORDER_STATUS,
+  CANDLE_INTERVALS,
+  createOrder,
+  createOrderBook,
+  matchOrder,
+  cancelOrder,
+  getDepth,
+  getDepthCurve,
+  aggregateCandles,
+  calculateSaleProceeds
+} from '../../../utils/helpers/psb.market';
+import { createMockRouter } from '../../../services/mock/mock.router';
+import { registerPsbRoutes } from '../../../services/mock/routes/psb.routes';
+import { DEMO_USER_ID, resetMockDb } from '../../../services/mock/mock.db';
+
+const NOW = '2026-03-02T09:00:00.000Z';
+
+/**
+ * A book that places orders one after another, keeping every trade
+ */
+const createMarket = () => {
+  let book = createOrderBook();
+  let nextId = 1;
+  let nextTrade = 1;
+  const trades = [];
+
+  const place = (data) => {
+    const order = createOrder({ type: ORDER_TYPES.LIMIT, createdAt: NOW, ...data, id: `ord_${nextId++}` });
+    const result = matchOrder(book, order, { now: NOW, createTradeId: () => `trd_${nextTrade++}` });
+    book = result.book;
+    trades.push(...result.trades);
+    return result;
+  };
+
+  return {
+    place,
+    trades,
+    get book() {
+      return book;
+    },
+    sell: (userId, amount, price) => place({ userId, side: ORDER_SIDES.SELL, amount, price }),
+    buy: (userId, amount, price) => place({ userId, side: ORDER_SIDES.BUY, amount, price })
+  };
+};
+
+const trade = (executedAt, price, amount = 1) => ({ executedAt, price, amount, value: price * amount });
+
+const at = (iso) => Date.parse(iso);
+
+const fills = (trades) => trades.map(({ sellOrderId, buyOrderId, amount, price }) => ({ sellOrderId, buyOrderId, amount, price }));
+
+describe('PSB market', () => {
+  describe('matching', () => {
+    it('fills the best price first and, at one price, the earliest order', () => {
+      const market = createMarket();
+      market.sell('usr_1', 10, 1.02);
+      market.sell('usr_2', 10, 1.00);
+      market.sell('usr_3', 10, 1.00);
+
+      const { order, trades } = market.buy('usr_4', 25, 1.05);
+
+      expect(fills(trades)).toEqual([
+        { sellOrderId: 'ord_2', buyOrderId: 'ord_4', amount: 10, price: 1 },
+        { sellOrderId: 'ord_3', buyOrderId: 'ord_4', amount: 10, price: 1 },
+        { sellOrderId: 'ord_1', buyOrderId: 'ord_4', amount: 5, price: 1.02 }
+      ]);
+      expect(order).toMatchObject({ status: ORDER_STATUS.FILLED, filled: 25, value: 25.1, averagePrice: 1.004 });
+    });
+
+    it('trades at the resting order\'s price', () => {
+      const market = createMarket();
+      market.buy('usr_1', 10, 1.1);
+
+      const { trades } = market.sell('usr_2', 10, 0.9);
+
+      expect(trades).toEqual([expect.objectContaining({ price: 1.1, value: 11, takerSide: ORDER_SIDES.SELL })]);
+    });
+
+    it('sorts resting bids highest first, then by arrival', () => {
+      const market = createMarket();
+      market.buy('usr_1', 5, 0.95);
+      market.buy('usr_2', 5, 0.98);
+      market.buy('usr_3', 5, 0.95);
+
+      expect(market.book.bids.map(order => order.id)).toEqual(['ord_2', 'ord_1', 'ord_3']);
+    });
+  });
+
+  describe('partial fills', () => {
+    it('leaves what a limit order could not fill in the book', () => {
+      const market = createMarket();
+      market.sell('usr_1', 10, 1);
+
+      const { order } = market.buy('usr_2', 15, 1);
+
+      expect(order).toMatchObject({ status: ORDER_STATUS.PARTIAL, filled: 10, remaining: 5 });
+      expect(market.book.asks).toEqual([]);
+      expect(market.book.bids).toEqual([expect.objectContaining({ id: 'ord_2', remaining: 5 })]);
+    });
+
+    it('keeps a part-filled maker in its place', () => {
+      const market = createMarket();
+      market.sell('usr_1', 10, 1);
+      market.sell('usr_2', 10, 1);
+
+      const { makers } = market.buy('usr_3', 4, 1);
+
+      expect(makers).toEqual([expect.objectContaining({ id: 'ord_1', status: ORDER_STATUS.PARTIAL, remaining: 6 })]);
+      expect(market.book.asks.map(order => [order.id, order.remaining])).toEqual([['ord_1', 6], ['ord_2', 10]]);
+    });
+  });
+
+  describe('orders from the same user', () => {
+    it('skips them and leaves them in the book', () => {
+      const market = createMarket();
+      market.sell('usr_1', 10, 1);
+      market.sell('usr_2', 10, 1.01);
+
+      const { order, trades } = market.buy('usr_1', 15, 1.05);
+
+      expect(fills(trades)).toEqual([{ sellOrderId: 'ord_2', buyOrderId: 'ord_3', amount: 10, price: 1.01 }]);
+      expect(order).toMatchObject({ status: ORDER_STATUS.PARTIAL, remaining: 5 });
+      expect(market.book.asks).toEqual([expect.objectContaining({ id: 'ord_1', status: ORDER_STATUS.OPEN, remaining: 10 })]);
+    });
+  });
+
+  describe('market buys', () => {
+    it('take only what the budget pays for and cancel the rest', () => {
+      const market = createMarket();
+      market.sell('usr_1', 10, 1.5);
+      market.sell('usr_2', 10, 2);
+
+      const { order, trades } = market.place({
+        userId: 'usr_3',
+        side: ORDER_SIDES.BUY,
+        type: ORDER_TYPES.MARKET,
+        amount: 100,
+        budget: 20
+      });
+
+      // 10 at 1.5 spends 15, leaving 5 for 2 more at 2
+      expect(trades.map(trade => [trade.amount, trade.price])).toEqual([[10, 1.5], [2, 2]]);
+      expect(order).toMatchObject({ status: ORDER_STATUS.CANCELLED, filled: 12, value: 19 });
+      expect(market.book.bids).toEqual([]);
+      expect(market.book.asks).toEqual([expect.objectContaining({ id: 'ord_2', remaining: 8 })]);
+    });
+
+    it('never rest, even when nothing fills', () => {
+      const market = createMarket();
+
+      const { order, trades } = market.place({ userId: 'usr_1', side: ORDER_SIDES.BUY, type: ORDER_TYPES.MARKET, amount: 5, budget: 10 });
+
+      expect(trades).toEqual([]);
+      expect(order.status).toBe(ORDER_STATUS.CANCELLED);
+      expect(market.book.bids).toEqual([]);
+    });
+  });
+
+  describe('cancelOrder', () => {
+    it('takes the order out of the book', () => {
+      const market = createMarket();
+      market.sell('usr_1', 10, 1);
+      market.sell('usr_2', 10, 1);
+      market.buy('usr_3', 4, 1);
+
+      const { book, order } = cancelOrder(market.book, 'ord_1', '2026-03-02T10:00:00.000Z');
+
+      expect(order).toMatchObject({ id: 'ord_1', status: ORDER_STATUS.CANCELLED, filled: 4, remaining: 6, updatedAt: '2026-03-02T10:00:00.000Z' });
+      expect(book.asks.map(o => o.id)).toEqual(['ord_2']);
+    });
+
+    it('returns no order for one that is not in the book', () => {
+      const market = createMarket();
+      market.sell('usr_1', 10, 1);
+      market.buy('usr_2', 10, 1);
+
+      expect(cancelOrder(market.book, 'ord_1', NOW)).toEqual({ book: market.book, order: null });
+      expect(cancelOrder(market.book, 'ord_missing', NOW).order).toBeNull();
+    });
+  });
+
+  describe('settlement', () => {
+    it('charges across a buy order\'s trades exactly its value rounded up', () => {
+      const market = createMarket();
+      ['usr_1', 'usr_2', 'usr_3'].forEach(userId => market.sell(userId, 1, 0.4));
+
+      const { order, trades } = market.buy('usr_4', 3, 0.4);
+
+      expect(trades.map(trade => trade.charge)).toEqual([1, 0, 1]);
+      expect(order.value).toBe(1.2);
+      expect(trades.reduce((sum, trade) => sum + trade.charge, 0)).toBe(Math.ceil(order.value));
+    });
+
+    it('does the same when the buy order is resting', () => {
+      const market = createMarket();
+      market.buy('usr_1', 3, 0.4);
+      ['usr_2', 'usr_3', 'usr_4'].forEach(userId => market.sell(userId, 1, 0.3));
+
+      expect(market.trades.map(trade => trade.charge)).toEqual([1, 0, 1]);
+    });
+
+    it('pays sellers the gross the buyer was charged, less commission', () => {
+      const market = createMarket();
+      market.sell('usr_1', 7, 1.3);
+      market.sell('usr_2', 3, 1.45);
+
+      const { order, trades } = market.buy('usr_3', 10, 1.5);
+      const proceeds = trades.map(trade => calculateSaleProceeds(trade.charge, PSB_SELLER_TIERS.NEW_SELLER));
+
+      expect(order.value).toBe(13.45);
+      expect(proceeds.reduce((sum, { gross }) => sum + gross, 0)).toBe(14);
+      proceeds.forEach(({ gross, commission, net }) => expect(net + commission).toBe(gross));
+    });
+
+    it('rounds a fractional sale up before taking the commission', () => {
+      expect(calculateSaleProceeds(10.2, PSB_SELLER_TIERS.NEW_SELLER)).toEqual({ gross: 11, commission: 2, net: 9 });
+      expect(calculateSaleProceeds(20, PSB_SELLER_TIERS.ESTABLISHED)).toEqual({ gross: 20, commission: 2, net: 18 });
+    });
+  });
+
+  describe('candles', () => {
+    // A Monday
+    const NOW_HOURLY = '2026-03-02T09:20:00.000Z';
+
+    it('fills hours without trades with the previous close', () => {
+      const candles = aggregateCandles([
+        trade('2026-03-02T07:40:00.000Z', 11),
+        trade('2026-03-02T07:10:00.000Z', 12, 2),
+        trade('2026-03-02T09:05:00.000Z', 13),
+        trade('2026-03-02T10:30:00.000Z', 20)
+      ], { interval: '1h', now: NOW_HOURLY, count: 3 });
+
+      expect(candles).toEqual([
+        { time: at('2026-03-02T07:00:00.000Z'), open: 12, high: 12, low: 11, close: 11, volume: 3, value: 35, trades: 2 },
+        { time: at('2026-03-02T08:00:00.000Z'), open: 11, high: 11, low: 11, close: 11, volume: 0, value: 0, trades: 0 },
+        { time: at('2026-03-02T09:00:00.000Z'), open: 13, high: 13, low: 13, close: 13, volume: 1, value: 13, trades: 1 }
+      ]);
+    });
+
+    it('opens the window at the last close before it', () => {
+      const candles = aggregateCandles([
+        trade('2026-03-01T22:15:00.000Z', 9),
+        trade('2026-03-02T05:30:00.000Z', 10),
+        trade('2026-03-02T08:10:00.000Z', 12)
+      ], { interval: '1h', now: NOW_HOURLY, count: 3 });
+
+      expect(candles.map(({ open, close, trades }) => ({ open, close, trades }))).toEqual([
+        { open: 10, close: 10, trades: 0 },
+        { open: 12, close: 12, trades: 1 },
+        { open: 12, close: 12, trades: 0 }
+      ]);
+    });
+
+    it('starts with the first trade when there is nothing before it', () => {
+      const candles = aggregateCandles([trade('2026-03-02T08:10:00.000Z', 12)], { interval: '1h', now: NOW_HOURLY, count: 3 });
+
+      expect(candles.map(candle => candle.time)).toEqual([at('2026-03-02T08:00:00.000Z'), at('2026-03-02T09:00:00.000Z')]);
+      expect(aggregateCandles([], { now: NOW_HOURLY })).toEqual([]);
+    });
+
+    it('returns count candles ending with the current one', () => {
+      const seed = [trade('2026-02-20T00:00:00.000Z', 10)];
+
+      expect(aggregateCandles(seed, { now: NOW_HOURLY })).toHaveLength(48);
+      expect(aggregateCandles(seed, { interval: '1d', now: NOW_HOURLY, count: 5 }).map(candle => candle.time)).toEqual([
+        at('2026-02-26T00:00:00.000Z'),
+        at('2026-02-27T00:00:00.000Z'),
+        at('2026-02-28T00:00:00.000Z'),
+        at('2026-03-01T00:00:00.000Z'),
+        at('2026-03-02T00:00:00.000Z')
+      ]);
+    });
+
+    it('starts weekly candles on Monday', () => {
+      const candles = aggregateCandles([
+        trade('2026-03-01T23:59:59.000Z', 10),
+        trade('2026-03-02T00:00:00.000Z', 14),
+        trade('2026-03-04T12:00:00.000Z', 12)
+      ], { interval: '1w', now: '2026-03-06T18:00:00.000Z', count: 2 });
+
+      expect(CANDLE_INTERVALS['1w']).toBe(7 * CANDLE_INTERVALS['1d']);
+      expect(candles).toEqual([
+        { time: at('2026-02-23T00:00:00.000Z'), open: 10, high: 10, low: 10, close: 10, volume: 1, value: 10, trades: 1 },
+        { time: at('2026-03-02T00:00:00.000Z'), open: 14, high: 14, low: 12, close: 12, volume: 2, value: 26, trades: 2 }
+      ]);
+      expect(new Date(candles[1].time).getUTCDay()).toBe(1);
+    });
+
+    it('falls back to hourly candles for an unknown interval', () => {
+      const seed = [trade('2026-03-02T05:30:00.000Z', 10)];
+
+      expect(aggregateCandles(seed, { interval: '5m', now: NOW_HOURLY, count: 2 }))
+        .toEqual(aggregateCandles(seed, { interval: '1h', now: NOW_HOURLY, count: 2 }));
+    });
+
+    it('refuses an unsupported interval on the candles route', () => {
+      const router = createMockRouter();
+      registerPsbRoutes(router);
+      const db = resetMockDb();
+      const candles = (query) => router.match('GET', '/psb/market/candles').handler({ db, userId: DEMO_USER_ID, params: {}, query, body: {} });
+
+      let error;
+      try {
+        candles({ interval: '5m' });
+      } catch (err) {
+        error = err;
+      }
+
+      expect(error).toMatchObject({ status: 400, details: { code: 'INVALID_INPUT', intervals: ['1h', '1d', '1w'] } });
+      expect(candles({ interval: '1d', count: '7' })).toMatchObject({ interval: '1d' });
+      expect(candles({ interval: '1d', count: '7' }).candles.length).toBeLessThanOrEqual(7);
+    });
+  });
+
+  describe('getDepthCurve', () => {
+    it('runs from the lowest bid up to the highest ask, each side cumulative from the spread', () => {
+      const market = createMarket();
+      market.buy('usr_a', 5, 10);
+      market.buy('usr_b', 7, 9);
+      market.buy('usr_c', 2, 10);
+      market.sell('usr_d', 3, 11);
+      market.sell('usr_e', 4, 12);
+
+      expect(getDepthCurve(getDepth(market.book))).toEqual([
+        { price: 9, bids: 14, asks: null },
+        { price: 10, bids: 7, asks: null },
+        { price: 11, bids: null, asks: 3 },
+        { price: 12, bids: null, asks: 7 }
+      ]);
+    });
+
+    it('is empty for an empty book', () => {
+      expect(getDepthCurve(getDepth(createOrderBook()))).toEqual([]);
+    });
+  });
+});
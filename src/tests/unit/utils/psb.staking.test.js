@@ -0,0 +1,118 @@
+/**
+ * GPS Lab Platform - PSB Staking Tests
+ *
+ * Covers what a stake pays out at maturity against ending it early, and
+ * the daily accrual schedule adding up to the projected interest.
+ */
+
+import { PSB_CONFIG } from '../../../config/game.config';
+import {
+  STAKE_STATUS,
+  getLockupTerms,
+  roundInterest,
+  projectInterest,
+  getAccrualSchedule,
+  createStake,
+  isStakeMatured,
+  calculateStakePayout,
+  closeStake
+} from '../../../utils/helpers/psb.staking';
+
+const LOCKED_AT = '2026-01-01T00:00:00.000Z';
+const DAY = 24 * 60 * 60 * 1000;
+
+const daysLater = (days) => new Date(Date.parse(LOCKED_AT) + days * DAY).toISOString();
+
+const stakeOf = (amount, term) => createStake({ id: 'stk_1', userId: 'usr_1', amount, term, now: LOCKED_AT });
+
+describe('PSB staking', () => {
+  describe('payout', () => {
+    it('returns the principal and the interest in whole PSB at maturity', () => {
+      const stake = stakeOf(1000, 'medium');
+
+      expect(projectInterest(1000, stake)).toBe(24.66);
+      expect(calculateStakePayout(stake, stake.maturesAt)).toEqual({
+        early: false,
+        principal: 1000,
+        interest: 24,
+        forfeited: 0,
+        penalty: 0,
+        returned: 1024
+      });
+    });
+
+    it('forfeits the accrued interest and keeps the penalty before maturity', () => {
+      const stake = stakeOf(1000, 'medium');
+
+      expect(calculateStakePayout(stake, daysLater(45))).toEqual({
+        early: true,
+        principal: 1000,
+        interest: 0,
+        forfeited: 12.33,
+        penalty: 50,
+        returned: 950
+      });
+    });
+
+    it('rounds the penalty up to whole PSB', () => {
+      const { penalty, returned } = calculateStakePayout(stakeOf(333, 'short'), daysLater(1));
+
+      expect(penalty).toBe(Math.ceil(333 * PSB_CONFIG.EARLY_UNLOCK_PENALTY));
+      expect(penalty + returned).toBe(333);
+    });
+
+    it('counts as early until the last moment of the term', () => {
+      const stake = stakeOf(500, 'short');
+      const lastMoment = new Date(Date.parse(stake.maturesAt) - 1).toISOString();
+
+      expect(isStakeMatured(stake, lastMoment)).toBe(false);
+      expect(calculateStakePayout(stake, lastMoment).early).toBe(true);
+      expect(isStakeMatured(stake, stake.maturesAt)).toBe(true);
+    });
+
+    it('closes a stake released late at its maturity, with no extra interest', () => {
+      const stake = stakeOf(1000, 'medium');
+
+      const { stake: closed, payout } = closeStake(stake, daysLater(120));
+
+      expect(payout.interest).toBe(24);
+      expect(closed).toMatchObject({ status: STAKE_STATUS.MATURED, closedAt: stake.maturesAt, interest: 24, returned: 1024 });
+    });
+
+    it('closes a stake ended early at the time it was ended', () => {
+      const { stake: closed } = closeStake(stakeOf(1000, 'long'), daysLater(10));
+
+      expect(closed).toMatchObject({ status: STAKE_STATUS.UNLOCKED, closedAt: daysLater(10), interest: 0, penalty: 50, returned: 950 });
+    });
+  });
+
+  describe('accrual schedule', () => {
+    it('adds up to the projected interest for every term', () => {
+      getLockupTerms().forEach(term => {
+        [1, 7, 333, 1000, 98765].forEach(amount => {
+          const schedule = getAccrualSchedule(stakeOf(amount, term.id), { now: LOCKED_AT });
+          const total = roundInterest(schedule.reduce((sum, day) => sum + day.interest, 0));
+
+          expect(schedule).toHaveLength(term.days);
+          expect(total).toBe(projectInterest(amount, term));
+          expect(schedule[schedule.length - 1].accrued).toBe(projectInterest(amount, term));
+        });
+      });
+    });
+
+    it('does not drift the way rounding each day would', () => {
+      // 1000 PSB at 5% earns 0.137 a day: 0.14 a day would add up to 4.20
+      const schedule = getAccrualSchedule(stakeOf(1000, 'short'), { now: LOCKED_AT });
+
+      expect(projectInterest(1000, stakeOf(1000, 'short'))).toBe(4.11);
+      expect(new Set(schedule.map(day => day.interest))).toEqual(new Set([0.13, 0.14]));
+    });
+
+    it('marks the days earned so far', () => {
+      const schedule = getAccrualSchedule(stakeOf(1000, 'short'), { now: daysLater(12.5) });
+
+      expect(schedule.filter(day => day.earned).map(day => day.day)).toEqual(Array.from({ length: 12 }, (_, i) => i + 1));
+      expect(schedule[0].date).toBe(daysLater(1));
+    });
+  });
+});
@@ -4,7 +4,7 @@
  * Badge definitions for achievements, character traits, and milestones.
  */
 
-import { GPS_101_BADGES } from './gps101.constants';
+import { BADGE_CONFIG } from '../../config/game.config';
 
 // ==================== BADGE CATEGORIES ====================
 
@@ -128,7 +128,7 @@ export const ACHIEVEMENT_BADGES = [
 
 // ==================== GPS 101 COURSE BADGES ====================
 
-export const GPS_101_COURSE_BADGES = GPS_101_BADGES.map(badge => ({
+export const GPS_101_COURSE_BADGES = BADGE_CONFIG.GPS_101_BADGES.map(badge => ({
   ...badge,
   category: 'course'
 }));
@@ -2054,6 +2054,70 @@ export const getCheckpointById = (checkpointId) => {
   return null;
 };
 
+// ==================== STATIC ASSETS ====================
+/**
+ * Files under /public the GPS 101 journey uses. The service worker
+ * precaches everything except the videos, which are cached as they play.
+ */
+export const GPS101_STATIC_ASSETS = {
+  illustrations: [
+    '/assets/images/illustrations/gps101/stage-1-who-are-you.svg',
+    '/assets/images/illustrations/gps101/stage-2-meaning.svg',
+    '/assets/images/illustrations/gps101/stage-3-story.svg',
+    '/assets/images/illustrations/gps101/stage-4-purpose.svg',
+    '/assets/images/illustrations/gps101/stage-5-project.svg',
+    '/assets/images/illustrations/gps101/checkpoint-pass.svg',
+    '/assets/images/illustrations/gps101/checkpoint-fail.svg',
+    '/assets/images/illustrations/gps101/deliverable-saved.svg',
+    '/assets/images/illustrations/gps101/journey-complete.svg'
+  ],
+  badges: [
+    '/assets/images/badges/achievement-badges/gps-101-stage-1.svg',
+    '/assets/images/badges/achievement-badges/gps-101-stage-2.svg',
+    '/assets/images/badges/achievement-badges/gps-101-stage-3.svg',
+    '/assets/images/badges/achievement-badges/gps-101-stage-4.svg',
+    '/assets/images/badges/achievement-badges/gps-101-stage-5.svg',
+    '/assets/images/badges/achievement-badges/orange-beacon.svg',
+    '/assets/images/badges/achievement-badges/purpose-pathfinder.svg'
+  ],
+  icons: [
+    '/assets/images/icons/gps-101-icon.svg',
+    '/assets/images/icons/identity-icon.svg',
+    '/assets/images/icons/story-icon.svg',
+    '/assets/images/icons/purpose-icon.svg',
+    '/assets/images/icons/problem-candidate-icon.svg',
+    '/assets/images/icons/project-icon.svg'
+  ],
+  sounds: [
+    '/assets/sounds/gps-101-checkpoint-pass.mp3',
+    '/assets/sounds/gps-101-checkpoint-fail.mp3',
+    '/assets/sounds/gps-101-mission-complete.mp3',
+    '/assets/sounds/gps-101-stage-complete.mp3',
+    '/assets/sounds/orange-beacon-unlock.mp3'
+  ],
+  locales: [
+    '/locales/en/gps101.json',
+    '/locales/ko/gps101.json',
+    '/locales/sw/gps101.json'
+  ],
+  videos: [
+    '/assets/videos/stage-intros/gps-101-welcome.mp4',
+    '/assets/videos/stage-intros/gps-101-stage-1-intro.mp4',
+    '/assets/videos/stage-intros/gps-101-stage-2-intro.mp4',
+    '/assets/videos/stage-intros/gps-101-stage-3-intro.mp4',
+    '/assets/videos/stage-intros/gps-101-stage-4-intro.mp4',
+    '/assets/videos/stage-intros/gps-101-stage-5-intro.mp4',
+    '/assets/videos/tutorials/how-to-complete-gps101.mp4',
+    '/assets/videos/tutorials/how-to-submit-checkpoint.mp4'
+  ]
+};
+
+// Helper function to get the GPS 101 assets worth precaching (no videos)
+export const getGPS101PrecacheUrls = () => {
+  const { videos, ...precached } = GPS101_STATIC_ASSETS;
+  return Object.values(precached).flat();
+};
+
 export default {
   GPS_101_CONFIG,
   GPS101_MISSION_1,
@@ -2064,5 +2128,7 @@ export default {
   getTotalCheckpointCount,
   getMissionById,
   getSubMissionById,
-  getCheckpointById
+  getCheckpointById,
+  GPS101_STATIC_ASSETS,
+  getGPS101PrecacheUrls
 };
\ No newline at end of file
@@ -89,6 +89,7 @@ export {
   BEACON_COLORS as UI_BEACON_COLORS,
   BARAKA_TIER_COLORS,
   BADGE_RARITY_COLORS,
+  CHART_COLORS,
   
   // Themes
   LIGHT_THEME,
@@ -67,6 +67,10 @@ export const GPO_STAGE_N4_MISSIONS = [
 
 /**
  * GPS 101 Basic - 5 Missions (CORRECTED)
+ *
+ * The curriculum bundled with the app, kept static like the rest of this
+ * catalogue. Screens read the published version from the gps101 store
+ * (selectGPS101Curriculum), which falls back to this same content.
  * 
  * CORRECT STRUCTURE:
  * - 5 Missions total (1 per stage, NOT 30)
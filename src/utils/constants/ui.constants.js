@@ -114,6 +114,18 @@ export const BADGE_RARITY_COLORS = {
   mythic: '#f59e0b'
 };
 
+/**
+ * Chart series colors, in the order series are assigned them
+ */
+export const CHART_COLORS = [
+  BRAND_COLORS.primary,
+  SEMANTIC_COLORS.success,
+  BRAND_COLORS.accent,
+  BRAND_COLORS.secondary,
+  SEMANTIC_COLORS.danger,
+  SEMANTIC_COLORS.info
+];
+
 // =============================================================================
 // THEMES
 // =============================================================================
@@ -524,6 +536,7 @@ export default {
   BEACON_COLORS,
   BARAKA_TIER_COLORS,
   BADGE_RARITY_COLORS,
+  CHART_COLORS,
   
   // Themes
   LIGHT_THEME,
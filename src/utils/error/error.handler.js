@@ -19,6 +19,7 @@ export const ERROR_TYPES = {
   // Network errors
   NETWORK_ERROR: 'NETWORK_ERROR',
   TIMEOUT_ERROR: 'TIMEOUT_ERROR',
+  REQUEST_CANCELLED: 'REQUEST_CANCELLED',
   API_ERROR: 'API_ERROR',
   
   // Authentication errors
@@ -91,6 +92,7 @@ export const ERROR_MESSAGES = {
   en: {
     [ERROR_TYPES.NETWORK_ERROR]: 'Unable to connect. Please check your internet connection.',
     [ERROR_TYPES.TIMEOUT_ERROR]: 'The request took too long. Please try again.',
+    [ERROR_TYPES.REQUEST_CANCELLED]: 'The request was cancelled.',
     [ERROR_TYPES.API_ERROR]: 'Something went wrong with the server. Please try again later.',
     
     [ERROR_TYPES.AUTH_ERROR]: 'Authentication failed. Please log in again.',
@@ -122,6 +124,7 @@ export const ERROR_MESSAGES = {
   ko: {
     [ERROR_TYPES.NETWORK_ERROR]: '연결할 수 없습니다. 인터넷 연결을 확인해 주세요.',
     [ERROR_TYPES.TIMEOUT_ERROR]: '요청 시간이 초과되었습니다. 다시 시도해 주세요.',
+    [ERROR_TYPES.REQUEST_CANCELLED]: '요청이 취소되었습니다.',
     [ERROR_TYPES.API_ERROR]: '서버 오류가 발생했습니다. 나중에 다시 시도해 주세요.',
     
     [ERROR_TYPES.AUTH_ERROR]: '인증에 실패했습니다. 다시 로그인해 주세요.',
@@ -153,6 +156,7 @@ export const ERROR_MESSAGES = {
   sw: {
     [ERROR_TYPES.NETWORK_ERROR]: 'Haiwezi kuunganisha. Tafadhali angalia muunganisho wako wa mtandao.',
     [ERROR_TYPES.TIMEOUT_ERROR]: 'Ombi lilichukua muda mrefu sana. Tafadhali jaribu tena.',
+    [ERROR_TYPES.REQUEST_CANCELLED]: 'Ombi limesitishwa.',
     [ERROR_TYPES.API_ERROR]: 'Kuna tatizo la seva. Tafadhali jaribu tena baadaye.',
     
     [ERROR_TYPES.AUTH_ERROR]: 'Uthibitishaji umeshindwa. Tafadhali ingia tena.',
@@ -424,6 +428,15 @@ export const isAuthError = (error) => {
   return error instanceof GPSLabError && authTypes.includes(error.type);
 };
 
+/**
+ * Checks if the caller cancelled the request, e.g. an unmounting component
+ * @param {Error} error - Error to check
+ * @returns {boolean} True if cancelled
+ */
+export const isCancelledError = (error) => {
+  return error instanceof GPSLabError && error.type === ERROR_TYPES.REQUEST_CANCELLED;
+};
+
 /**
  * Checks if error is user-correctable
  * @param {Error} error - Error to check
@@ -584,6 +597,7 @@ export default {
   // Classification
   isRetryableError,
   isAuthError,
+  isCancelledError,
   isUserCorrectableError,
   getErrorSeverity,
   
@@ -39,6 +39,7 @@ export const LOG_CATEGORIES = {
   PARTY: 'party',
   PERFORMANCE: 'performance',
   ERROR: 'error',
+  STATE: 'state',
   SYSTEM: 'system'
 };
 
@@ -384,6 +385,7 @@ export const gameLogger = createCategoryLogger(LOG_CATEGORIES.GAME);
 export const barakaLogger = createCategoryLogger(LOG_CATEGORIES.BARAKA);
 export const missionLogger = createCategoryLogger(LOG_CATEGORIES.MISSION);
 export const performanceLogger = createCategoryLogger(LOG_CATEGORIES.PERFORMANCE);
+export const stateLogger = createCategoryLogger(LOG_CATEGORIES.STATE);
 
 // =============================================================================
 // GPS LAB SPECIFIC LOGGING
@@ -571,6 +573,7 @@ export default {
   barakaLogger,
   missionLogger,
   performanceLogger,
+  stateLogger,
   
   // GPS Lab specific
   logMissionEvent,
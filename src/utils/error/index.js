@@ -33,6 +33,7 @@ export {
   // Classification
   isRetryableError,
   isAuthError,
+  isCancelledError,
   isUserCorrectableError,
   getErrorSeverity,
   
@@ -78,6 +79,7 @@ export {
   barakaLogger,
   missionLogger,
   performanceLogger,
+  stateLogger,
   
   // GPS Lab specific logging
   logMissionEvent,
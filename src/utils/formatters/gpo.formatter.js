@@ -6,6 +6,8 @@
  * @module utils/formatters/gpo.formatter
  */
 
+import { formatNumber } from './number.formatter';
+
 /**
  * Format stage number for display
  * @param {number} stageNumber
@@ -78,6 +80,11 @@ export const formatShowcaseStatus = (status) => {
     approved: { label: 'Live', color: 'var(--success, #2a9d8f)' },
     revision_needed: { label: 'Revision Needed', color: 'var(--error, #e74c3c)' },
     archived: { label: 'Archived', color: 'var(--neutral-400, #a8dadc)' },
+    // GPO project statuses
+    in_progress: { label: 'In Progress', color: 'var(--gps-primary, #00d4ff)' },
+    submitted: { label: 'In Validation', color: 'var(--warning, #f39c12)' },
+    changes_requested: { label: 'Changes Requested', color: 'var(--error, #e74c3c)' },
+    published: { label: 'Published', color: 'var(--success, #2a9d8f)' },
   };
   return statuses[status] || { label: status, color: 'var(--neutral-500, #8b949e)' };
 };
@@ -95,6 +102,30 @@ export const formatAffectedCount = (affectedPeople = '') => {
   return 'Community members';
 };
 
+/**
+ * Read the number of affected people out of free text, the way
+ * formatAffectedCount finds it
+ * @param {string} affectedPeople - e.g. "About 3,200 births a year"
+ * @returns {number|null} e.g. 3200, or null when the text has no number
+ */
+export const parseAffectedCount = (affectedPeople = '') => {
+  const match = (affectedPeople || '').match(/(\d[\d,]*)/);
+  return match ? Number(match[1].replace(/,/g, '')) : null;
+};
+
+/**
+ * Format an impact indicator value with its unit
+ * @param {number} value
+ * @param {string} unit - e.g. "people" or "%"
+ * @returns {string} e.g. "3,200 people" or "12%"
+ */
+export const formatImpactValue = (value, unit = '') => {
+  if (value == null) return '—';
+  const number = formatNumber(value, { maximumFractionDigits: 1 });
+  if (!unit) return number;
+  return unit === '%' ? `${number}%` : `${number} ${unit}`;
+};
+
 /**
  * Truncate text with ellipsis
  * @param {string} text
@@ -174,6 +205,8 @@ export default {
   formatMediaCount,
   formatShowcaseStatus,
   formatAffectedCount,
+  parseAffectedCount,
+  formatImpactValue,
   truncateForCard,
   formatForAPISubmission,
   formatXPReward,
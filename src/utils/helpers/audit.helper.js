@@ -0,0 +1,96 @@
+/**
+ * GPS Lab Platform - Audit Log Helper Utilities
+ *
+ * Labels, summaries and export formats for admin audit log entries.
+ *
+ * @module utils/helpers/audit.helper
+ */
+
+import { toCSV } from './export.helper';
+
+/**
+ * Human-readable audit actions
+ */
+export const AUDIT_ACTION_LABELS = {
+  suspend: 'Suspended account',
+  reactivate: 'Reactivated account',
+  reset_checkpoint: 'Reset checkpoint',
+  grant_r2r: 'Granted R2R',
+  adjust_baraka: 'Adjusted Baraka',
+  audit_log_exported: 'Exported audit log',
+  curriculum_draft_created: 'Started curriculum draft',
+  curriculum_published: 'Published curriculum',
+  curriculum_draft_discarded: 'Discarded curriculum draft',
+  economy_config_updated: 'Updated economy settings'
+};
+
+/**
+ * Gets the label for an audit action
+ * @param {string} action - Audit action
+ * @returns {string} Label
+ */
+export const getAuditActionLabel = (action) => AUDIT_ACTION_LABELS[action] || action;
+
+/**
+ * Summarizes an entry's details in one line
+ * @param {Object} entry - Audit entry
+ * @returns {string} Summary
+ */
+export const summarizeAuditDetails = (entry) => {
+  const details = entry.details || {};
+  switch (entry.action) {
+    case 'reset_checkpoint':
+      return `${details.missionId} (was ${details.previousStatus}, ${details.previousAttempts} attempts)`;
+    case 'grant_r2r':
+      return `+${details.count} retr${details.count === 1 ? 'y' : 'ies'}`;
+    case 'adjust_baraka':
+      return `${details.amount > 0 ? '+' : ''}${details.amount} Baraka (balance ${details.balance})`;
+    case 'audit_log_exported':
+      return `${details.count} entries`;
+    case 'economy_config_updated':
+      return (details.changes || []).map(c => `${c.path} ${c.before} → ${c.after}`).join(', ');
+    default:
+      return details.bulkId ? `Bulk ${details.bulkId}` : '';
+  }
+};
+
+/**
+ * Audit log columns for CSV export
+ */
+const AUDIT_CSV_COLUMNS = [
+  { key: 'id', label: 'ID' },
+  { key: 'createdAt', label: 'Time' },
+  { key: 'action', label: 'Action' },
+  { key: 'actorId', label: 'Actor ID' },
+  { key: 'actorName', label: 'Actor' },
+  { key: 'targetType', label: 'Target type' },
+  { key: 'targetId', label: 'Target ID' },
+  { key: 'targetName', label: 'Target' },
+  { key: 'reason', label: 'Reason' },
+  { key: 'details', label: 'Details' }
+];
+
+/**
+ * Formats audit entries as CSV
+ * @param {Array<Object>} entries - Audit entries
+ * @returns {string} CSV text
+ */
+export const auditLogToCSV = (entries = []) => toCSV(entries, AUDIT_CSV_COLUMNS);
+
+/**
+ * Formats audit entries as JSON with export metadata
+ * @param {Array<Object>} entries - Audit entries
+ * @param {Object} meta - { exportedAt, filters }
+ * @returns {string} JSON text
+ */
+export const auditLogToJSON = (entries = [], meta = {}) => {
+  return JSON.stringify({ ...meta, total: entries.length, entries }, null, 2);
+};
+
+export default {
+  AUDIT_ACTION_LABELS,
+  getAuditActionLabel,
+  summarizeAuditDetails,
+  auditLogToCSV,
+  auditLogToJSON
+};
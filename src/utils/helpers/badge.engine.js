@@ -0,0 +1,340 @@
+/**
+ * GPS Lab Platform - Badge Engine
+ *
+ * Declarative rules for badges and XP achievements, evaluated against a
+ * stream of domain events (checkpoint passed, streak day, praise given,
+ * Baraka earned...). Each event is folded into a set of learner stats and
+ * every rule whose condition now holds unlocks once.
+ *
+ * The engine is pure: the same events in the same order always give the
+ * same stats and unlocks, so a recorded stream can be replayed in tests.
+ * Time comes from the events themselves, never from the clock.
+ *
+ * @module utils/helpers/badge.engine
+ * @version 1.0.0
+ */
+
+import { bindEconomyView } from '../../config/economy.config';
+import { BEACON_BADGES, getBadgeById } from '../constants/badges.constants';
+import { XP_ACHIEVEMENTS } from './xp.calculator';
+import { BARAKA_CONSTANTS } from './baraka.calculator';
+
+// =============================================================================
+// EVENTS AND STATS
+// =============================================================================
+
+/**
+ * Domain events the engine understands
+ */
+export const BADGE_EVENTS = {
+  CHECKPOINT_PASSED: 'checkpoint_passed', // { score }
+  MISSION_COMPLETED: 'mission_completed', // { stageCompleted }
+  STREAK_DAY: 'streak_day', // { streak }
+  PRAISE_GIVEN: 'praise_given', // { count }
+  PRAISE_RECEIVED: 'praise_received', // { count }
+  BARAKA_EARNED: 'baraka_earned', // { total } - lifetime Baraka earned
+  PROJECT_CREATED: 'project_created'
+};
+
+/**
+ * Learner stats the rules can test, all starting at zero
+ */
+export const EMPTY_BADGE_STATS = Object.freeze({
+  checkpointsPassed: 0,
+  perfectCheckpoints: 0,
+  missionsCompleted: 0,
+  stagesCompleted: 0,
+  streak: 0,
+  longestStreak: 0,
+  praiseGiven: 0,
+  praiseReceived: 0,
+  barakaEarned: 0,
+  barakaProgress: 0, // % of the Orange Beacon target
+  projectsCreated: 0
+});
+
+const PERFECT_SCORE = 100;
+
+/**
+ * Percentage of the Orange Beacon target, floored like checkMilestoneReached
+ * @param {number} barakaEarned - Lifetime Baraka earned
+ * @returns {number} Progress percentage
+ */
+const toBarakaProgress = (barakaEarned) =>
+  Math.floor((barakaEarned / BARAKA_CONSTANTS.TOTAL_TARGET) * 100);
+
+/**
+ * Folds one event into the stats
+ * @param {Object} stats - Current stats
+ * @param {Object} event - Domain event ({ type, ...data })
+ * @returns {Object} New stats (the same object for events that change nothing)
+ */
+export const applyBadgeEvent = (stats, event) => {
+  switch (event?.type) {
+    case BADGE_EVENTS.CHECKPOINT_PASSED:
+      return {
+        ...stats,
+        checkpointsPassed: stats.checkpointsPassed + 1,
+        perfectCheckpoints: stats.perfectCheckpoints + (event.score >= PERFECT_SCORE ? 1 : 0)
+      };
+    case BADGE_EVENTS.MISSION_COMPLETED:
+      return {
+        ...stats,
+        missionsCompleted: stats.missionsCompleted + 1,
+        stagesCompleted: stats.stagesCompleted + (event.stageCompleted ? 1 : 0)
+      };
+    case BADGE_EVENTS.STREAK_DAY: {
+      const streak = Math.max(0, Number(event.streak) || 0);
+      return { ...stats, streak, longestStreak: Math.max(stats.longestStreak, streak) };
+    }
+    case BADGE_EVENTS.PRAISE_GIVEN:
+      return { ...stats, praiseGiven: stats.praiseGiven + (event.count || 1) };
+    case BADGE_EVENTS.PRAISE_RECEIVED:
+      return { ...stats, praiseReceived: stats.praiseReceived + (event.count || 1) };
+    case BADGE_EVENTS.BARAKA_EARNED: {
+      // Balances can be re-read, so only a higher lifetime total counts
+      const barakaEarned = Math.max(stats.barakaEarned, Number(event.total) || 0);
+      if (barakaEarned === stats.barakaEarned) return stats;
+      return { ...stats, barakaEarned, barakaProgress: toBarakaProgress(barakaEarned) };
+    }
+    case BADGE_EVENTS.PROJECT_CREATED:
+      return { ...stats, projectsCreated: stats.projectsCreated + 1 };
+    default:
+      return stats;
+  }
+};
+
+// =============================================================================
+// RULES
+// =============================================================================
+
+/**
+ * Rule helpers. A condition is `{ stat, gte }`, or `{ all: [...] }` /
+ * `{ any: [...] }` of other conditions.
+ */
+const atLeast = (stat, gte) => ({ stat, gte });
+
+/**
+ * Badge rules, keyed by rule id. A rule unlocks a badge from
+ * badges.constants (`badgeId`), an XP achievement (`achievementId`), or
+ * both, or carries its own `badge` display. Evaluated in this order.
+ * Beacon and Baraka milestone thresholds follow the economy config.
+ */
+export const BADGE_RULES = bindEconomyView({}, ({ baraka }) => ({
+  // Milestones
+  'first-mission': { badgeId: 'first-mission', when: atLeast('missionsCompleted', 1) },
+  'first-stage': { badgeId: 'first-stage', when: atLeast('stagesCompleted', 1) },
+  '10-missions': { badgeId: '10-missions', achievementId: 'complete10Missions', when: atLeast('missionsCompleted', 10) },
+  '50-missions': { badgeId: '50-missions', achievementId: 'complete50Missions', when: atLeast('missionsCompleted', 50) },
+  '100-missions': { badgeId: '100-missions', achievementId: 'complete100Missions', when: atLeast('missionsCompleted', 100) },
+  'first-project': { badgeId: 'first-project', when: atLeast('projectsCreated', 1) },
+
+  // Streaks
+  streak7: { achievementId: 'streak7', icon: '🔥', when: atLeast('longestStreak', 7) },
+  streak30: { achievementId: 'streak30', icon: '🔥', when: atLeast('longestStreak', 30) },
+  streak90: { achievementId: 'streak90', icon: '🔥', when: atLeast('longestStreak', 90) },
+  streak365: { achievementId: 'streak365', icon: '🔥', when: atLeast('longestStreak', 365) },
+
+  // Quality
+  perfect10Checkpoints: { achievementId: 'perfect10Checkpoints', icon: '💯', when: atLeast('perfectCheckpoints', 10) },
+  perfect100Checkpoints: { achievementId: 'perfect100Checkpoints', icon: '💯', when: atLeast('perfectCheckpoints', 100) },
+
+  // Social
+  honor10Others: { achievementId: 'honor10Others', icon: '🙌', when: atLeast('praiseGiven', 10) },
+  honor100Others: { achievementId: 'honor100Others', icon: '🙌', when: atLeast('praiseGiven', 100) },
+  receive10Honors: { achievementId: 'receive10Honors', icon: '🏵️', when: atLeast('praiseReceived', 10) },
+  receive100Honors: { achievementId: 'receive100Honors', icon: '🏵️', when: atLeast('praiseReceived', 100) },
+
+  // Baraka milestones on the way to the Orange Beacon (100% is the beacon itself)
+  ...Object.fromEntries([25, 50, 75].map(percent => [`baraka-${percent}`, {
+    badge: {
+      id: `baraka-${percent}`,
+      name: `${percent}% to Orange Beacon`,
+      description: `Earned ${(baraka.beacons.orange * percent / 100).toLocaleString()} Baraka`,
+      icon: '🧭',
+      rarity: percent === 75 ? 'rare' : 'uncommon',
+      barakaReward: baraka.milestoneBonuses[percent]
+    },
+    when: atLeast('barakaProgress', percent)
+  }])),
+
+  // Beacons (the White Beacon is where everyone starts)
+  'orange-beacon': { badgeId: 'orange-beacon', barakaReward: baraka.milestoneBonuses[100], when: atLeast('barakaEarned', baraka.beacons.orange) },
+  'red-beacon': { badgeId: 'red-beacon', when: atLeast('barakaEarned', baraka.beacons.red) },
+  'purple-beacon': { badgeId: 'purple-beacon', when: atLeast('barakaEarned', baraka.beacons.purple) }
+}));
+
+// =============================================================================
+// EVALUATION
+// =============================================================================
+
+/**
+ * Whether the stats satisfy a condition
+ * @param {Object} condition - Declarative condition
+ * @param {Object} stats - Learner stats
+ * @returns {boolean} True when the condition holds
+ */
+export const matchesCondition = (condition, stats) => {
+  if (!condition) return false;
+  if (Array.isArray(condition.all)) return condition.all.every(c => matchesCondition(c, stats));
+  if (Array.isArray(condition.any)) return condition.any.some(c => matchesCondition(c, stats));
+  return (stats[condition.stat] || 0) >= condition.gte;
+};
+
+/**
+ * How far the stats are towards a condition
+ * @param {Object} condition - Declarative condition
+ * @param {Object} stats - Learner stats
+ * @returns {number} Progress percentage (0-100)
+ */
+export const getConditionProgress = (condition, stats) => {
+  if (!condition) return 0;
+  if (Array.isArray(condition.all) || Array.isArray(condition.any)) {
+    const parts = (condition.all || condition.any).map(c => getConditionProgress(c, stats));
+    if (parts.length === 0) return 0;
+    return condition.all
+      ? Math.round(parts.reduce((sum, p) => sum + p, 0) / parts.length)
+      : Math.max(...parts);
+  }
+  if (!condition.gte) return 100;
+  return Math.min(100, Math.round(((stats[condition.stat] || 0) / condition.gte) * 100));
+};
+
+/**
+ * The badge a rule unlocks, in the shape BadgeUnlockModal displays
+ * @param {string} ruleId - Rule id
+ * @param {Object} rule - Rule definition
+ * @param {string} [earnedDate] - When it was earned
+ * @returns {Object} Badge
+ */
+export const toUnlockedBadge = (ruleId, rule, earnedDate = null) => {
+  const defined = rule.badgeId ? getBadgeById(rule.badgeId) : null;
+  const beacon = BEACON_BADGES.find(b => b.id === rule.badgeId);
+  const achievement = rule.achievementId ? XP_ACHIEVEMENTS[rule.achievementId] : null;
+  const base = rule.badge || defined || {};
+
+  return {
+    id: base.id || rule.badgeId || rule.achievementId || ruleId,
+    name: base.name || achievement?.name || ruleId,
+    description: beacon
+      ? `Earned ${rule.when.gte.toLocaleString()} Baraka`
+      : base.description || '',
+    icon: base.icon || rule.icon || '🏅',
+    rarity: base.rarity || 'common',
+    category: base.category || 'achievement',
+    xpReward: achievement?.xp || 0,
+    barakaReward: base.barakaReward || rule.barakaReward || 0,
+    earnedDate
+  };
+};
+
+/**
+ * Creates engine state
+ * @param {Object} [initial] - Initial values
+ * @param {Object} [initial.stats] - Known stats (unknown keys are dropped)
+ * @param {Array<string>} [initial.unlocked] - Rule ids already unlocked
+ * @returns {Object} State { stats, unlocked }
+ */
+export const createBadgeState = ({ stats = {}, unlocked = [] } = {}) => {
+  const known = { ...EMPTY_BADGE_STATS };
+  Object.keys(EMPTY_BADGE_STATS).forEach(key => {
+    const value = Number(stats[key]);
+    if (Number.isFinite(value)) known[key] = value;
+  });
+  known.barakaProgress = toBarakaProgress(known.barakaEarned);
+  return { stats: known, unlocked: [...new Set(unlocked)] };
+};
+
+/**
+ * Evaluates one event: folds it into the stats and unlocks every rule that
+ * now holds and was not unlocked before
+ * @param {Object} state - Engine state
+ * @param {Object} event - Domain event ({ type, at, ...data })
+ * @param {Object} [rules] - Rules to evaluate
+ * @returns {Object} { state, unlocks: [{ ruleId, badge, event }] }
+ */
+export const evaluateBadgeEvent = (state, event, rules = BADGE_RULES) => {
+  const stats = applyBadgeEvent(state.stats, event);
+  if (stats === state.stats) return { state, unlocks: [] };
+
+  const unlocks = Object.entries(rules)
+    .filter(([ruleId, rule]) => !state.unlocked.includes(ruleId) && matchesCondition(rule.when, stats))
+    .map(([ruleId, rule]) => ({
+      ruleId,
+      badge: toUnlockedBadge(ruleId, rule, event.at || null),
+      event: event.type
+    }));
+
+  return {
+    state: { stats, unlocked: [...state.unlocked, ...unlocks.map(u => u.ruleId)] },
+    unlocks
+  };
+};
+
+/**
+ * Replays a stream of events in order
+ * @param {Array<Object>} events - Domain events
+ * @param {Object} [options] - Options
+ * @param {Object} [options.state] - State to start from (defaults to empty)
+ * @param {Object} [options.rules] - Rules to evaluate
+ * @returns {Object} { state, unlocks } with the unlocks of every event
+ */
+export const replayBadgeEvents = (events = [], { state = createBadgeState(), rules = BADGE_RULES } = {}) =>
+  events.reduce((result, event) => {
+    const { state: next, unlocks } = evaluateBadgeEvent(result.state, event, rules);
+    return { state: next, unlocks: [...result.unlocks, ...unlocks] };
+  }, { state, unlocks: [] });
+
+/**
+ * Catches the state up with stats read from the server. Counters keep the
+ * higher value, since the server may or may not have counted events seen
+ * here yet; the current streak is taken as reported. Rules the stats
+ * already satisfy are marked unlocked without being announced.
+ * @param {Object} state - Engine state
+ * @param {Object} stats - Stats from the server
+ * @param {Object} [rules] - Rules to evaluate
+ * @returns {Object} New state
+ */
+export const seedBadgeState = (state, stats = {}, rules = BADGE_RULES) => {
+  const reported = createBadgeState({ stats }).stats;
+  const merged = { ...state.stats };
+  Object.keys(EMPTY_BADGE_STATS).forEach(key => {
+    if (stats[key] === undefined) return;
+    merged[key] = key === 'streak' ? reported.streak : Math.max(merged[key], reported[key]);
+  });
+  merged.barakaProgress = toBarakaProgress(merged.barakaEarned);
+
+  const satisfied = Object.keys(rules).filter(ruleId => matchesCondition(rules[ruleId].when, merged));
+  return { stats: merged, unlocked: [...new Set([...state.unlocked, ...satisfied])] };
+};
+
+/**
+ * Progress towards every rule not yet unlocked
+ * @param {Object} state - Engine state
+ * @param {Object} [rules] - Rules to evaluate
+ * @returns {Array<Object>} [{ ruleId, badge, progress }], closest first
+ */
+export const getBadgeProgress = (state, rules = BADGE_RULES) =>
+  Object.entries(rules)
+    .filter(([ruleId]) => !state.unlocked.includes(ruleId))
+    .map(([ruleId, rule]) => ({
+      ruleId,
+      badge: toUnlockedBadge(ruleId, rule),
+      progress: getConditionProgress(rule.when, state.stats)
+    }))
+    .sort((a, b) => b.progress - a.progress);
+
+export default {
+  BADGE_EVENTS,
+  EMPTY_BADGE_STATS,
+  BADGE_RULES,
+  applyBadgeEvent,
+  matchesCondition,
+  getConditionProgress,
+  toUnlockedBadge,
+  createBadgeState,
+  evaluateBadgeEvent,
+  replayBadgeEvents,
+  seedBadgeState,
+  getBadgeProgress
+};
@@ -5,33 +5,34 @@
  */
 
 import { GPS_101_STRUCTURE } from './gps101.helper';
+import { bindEconomyView } from '../../config/economy.config';
 
 /**
- * Baraka Distribution Constants
+ * Baraka Distribution Constants, from the economy config
  * Total: 5,000 Baraka for Orange Beacon
  * 150 checkpoints × 33.33 ƀ = ~5,000 ƀ
  */
-export const BARAKA_CONSTANTS = {
+export const BARAKA_CONSTANTS = bindEconomyView({}, ({ baraka, gps101 }) => ({
   TOTAL_TARGET: GPS_101_STRUCTURE.TOTAL_BARAKA, // 5,000
   TOTAL_CHECKPOINTS: GPS_101_STRUCTURE.TOTAL_CHECKPOINTS, // 150
   
   // Per checkpoint: 5000 / 150 = 33.33 (rounded to 33)
-  BARAKA_PER_CHECKPOINT: 33,
+  BARAKA_PER_CHECKPOINT: gps101.progress.checkpoint,
   
   // Bonus Baraka
-  BONUS_STAGE_COMPLETE: 100, // Bonus for completing a stage
-  BONUS_MISSION_COMPLETE: 50, // Bonus for completing a mission
-  BONUS_PERFECT_SUBMISSION: 10, // Bonus for perfect checkpoint submission
-  BONUS_EARLY_COMPLETION: 25, // Bonus for completing ahead of schedule
+  BONUS_STAGE_COMPLETE: gps101.progress.stageBonus, // Bonus for completing a stage
+  BONUS_MISSION_COMPLETE: gps101.progress.missionBonus, // Bonus for completing a mission
+  BONUS_PERFECT_SUBMISSION: baraka.bonuses.perfectCheckpoint, // Bonus for perfect checkpoint submission
+  BONUS_EARLY_COMPLETION: baraka.bonuses.earlyCompletion, // Bonus for completing ahead of schedule
   
   // Milestones
   MILESTONES: {
-    25: { baraka: 1250, name: '25% Progress', bonus: 50 },
-    50: { baraka: 2500, name: '50% Progress', bonus: 100 },
-    75: { baraka: 3750, name: '75% Progress', bonus: 150 },
-    100: { baraka: 5000, name: 'Orange Beacon', bonus: 500 }
+    25: { baraka: baraka.beacons.orange * 0.25, name: '25% Progress', bonus: baraka.milestoneBonuses[25] },
+    50: { baraka: baraka.beacons.orange * 0.5, name: '50% Progress', bonus: baraka.milestoneBonuses[50] },
+    75: { baraka: baraka.beacons.orange * 0.75, name: '75% Progress', bonus: baraka.milestoneBonuses[75] },
+    100: { baraka: baraka.beacons.orange, name: 'Orange Beacon', bonus: baraka.milestoneBonuses[100] }
   }
-};
+}));
 
 /**
  * Calculate Baraka for completing a checkpoint
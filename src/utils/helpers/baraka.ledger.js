@@ -0,0 +1,281 @@
+/**
+ * GPS Lab Platform - Baraka Ledger
+ *
+ * Double-entry view of the Baraka transaction history. Every transaction
+ * posts a balanced pair of lines: the learner's wallet on one side and the
+ * account the Baraka came from or went to on the other. Spending is split
+ * between the platform and the covenant pool at PSB_CONFIG.COVENANT_RETURN.
+ *
+ * The wallet balance is only ever derived by summing wallet lines. When
+ * the loaded history does not reach back to the first transaction, the
+ * balance before the oldest loaded entry is carried in as an opening line.
+ * Reconciliation compares that derived balance, and each transaction's
+ * reported running balance, with what the server says.
+ *
+ * @module utils/helpers/baraka.ledger
+ * @version 1.0.0
+ */
+
+import { PSB_CONFIG } from '../../config/game.config';
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+export const LEDGER_ACCOUNTS = {
+  WALLET: 'wallet',
+  OPENING: 'opening_balance', // Brought forward from before the loaded history
+  EARNINGS: 'earnings',
+  PLATFORM: 'platform',
+  COVENANT_POOL: 'covenant_pool',
+  WITHDRAWALS: 'withdrawals',
+  TRANSFERS: 'transfers',
+  ESCROW: 'escrow', // Held for a party task until it is released or refunded
+  PSB_MARKET: 'psb_market',
+  ADJUSTMENTS: 'adjustments'
+};
+
+export const RECONCILIATION_STATUS = {
+  BALANCED: 'balanced',
+  MISMATCH: 'mismatch',
+  UNVERIFIED: 'unverified' // No server balance to compare with
+};
+
+// =============================================================================
+// POSTING
+// =============================================================================
+
+/**
+ * When a transaction happened
+ * @param {Object} transaction - Baraka transaction
+ * @returns {string} ISO timestamp
+ */
+const getPostedAt = (transaction) => transaction.createdAt || transaction.timestamp;
+
+/**
+ * The account on the other side of a transaction from the wallet
+ * @param {Object} transaction - Baraka transaction
+ * @returns {string|null} Account, or null for spending that is split
+ */
+export const getCounterAccount = (transaction) => {
+  const { type = '', source = '', amount } = transaction;
+
+  if (type.startsWith('transfer')) return LEDGER_ACCOUNTS.TRANSFERS;
+  if (type.startsWith('escrow')) return LEDGER_ACCOUNTS.ESCROW;
+  if (type === 'withdraw' || type === 'withdrawal' || source.startsWith('withdrawal')) {
+    return LEDGER_ACCOUNTS.WITHDRAWALS;
+  }
+  if (type.endsWith('psb') || source.startsWith('psb')) return LEDGER_ACCOUNTS.PSB_MARKET;
+  if (type === 'covenant') return LEDGER_ACCOUNTS.COVENANT_POOL;
+  if (type === 'baraka_adjusted') return LEDGER_ACCOUNTS.ADJUSTMENTS;
+  if (type === 'refund') return LEDGER_ACCOUNTS.PLATFORM;
+  return amount > 0 ? LEDGER_ACCOUNTS.EARNINGS : null;
+};
+
+/**
+ * Splits Baraka spent between the covenant pool and the platform
+ * @param {number} amount - Baraka spent
+ * @param {number} [rate] - Covenant share, PSB_CONFIG.COVENANT_RETURN by default
+ * @returns {{ amount: number, covenant: number, platform: number, rate: number }}
+ *   The covenant share is rounded down to whole Baraka so the parts always
+ *   add up to the amount
+ */
+export const splitCovenantReturn = (amount, rate = PSB_CONFIG.COVENANT_RETURN) => {
+  const total = Math.abs(amount);
+  const covenant = Math.floor(total * rate);
+  return { amount: total, covenant, platform: total - covenant, rate };
+};
+
+/**
+ * The balanced lines a transaction posts
+ * @param {Object} transaction - Baraka transaction (amount signed from the wallet's side)
+ * @returns {Array<Object>} [{ transactionId, account, debit, credit, postedAt }]
+ */
+export const toLedgerEntries = (transaction) => {
+  const { id, amount = 0 } = transaction;
+  const postedAt = getPostedAt(transaction);
+  const line = (account, debit, credit) => ({ transactionId: id, account, debit, credit, postedAt });
+  const value = Math.abs(amount);
+
+  if (!value) return [];
+
+  const counter = getCounterAccount(transaction);
+  if (amount > 0) {
+    return [line(LEDGER_ACCOUNTS.WALLET, value, 0), line(counter, 0, value)];
+  }
+  if (counter) {
+    return [line(counter, value, 0), line(LEDGER_ACCOUNTS.WALLET, 0, value)];
+  }
+
+  const { covenant, platform } = splitCovenantReturn(value);
+  return [
+    line(LEDGER_ACCOUNTS.PLATFORM, platform, 0),
+    covenant > 0 && line(LEDGER_ACCOUNTS.COVENANT_POOL, covenant, 0),
+    line(LEDGER_ACCOUNTS.WALLET, 0, value)
+  ].filter(Boolean);
+};
+
+/**
+ * Orders transactions oldest first without touching the input
+ * @param {Array<Object>} transactions - Baraka transactions, newest first for ties
+ * @returns {Array<Object>} Oldest first
+ */
+const chronological = (transactions) => transactions
+  .map((transaction, index) => ({ transaction, index }))
+  // Transactions posted in the same millisecond come back newest first
+  .sort((a, b) => (new Date(getPostedAt(a.transaction)) - new Date(getPostedAt(b.transaction))) || b.index - a.index)
+  .map(({ transaction }) => transaction);
+
+/**
+ * The balance before the oldest loaded transaction
+ * @param {Array<Object>} ordered - Transactions, oldest first
+ * @returns {number} The oldest entry's reported balance less its amount,
+ *   or 0 when entries carry no running balance
+ */
+const getOpeningBalance = (ordered) => {
+  const oldest = ordered[0];
+  if (!oldest || typeof oldest.balance !== 'number') return 0;
+  return oldest.balance - oldest.amount;
+};
+
+/**
+ * Posts a transaction history to a double-entry ledger
+ * @param {Array<Object>} transactions - Baraka transactions in any order
+ * @returns {{ entries: Array<Object>, accounts: Object, openingBalance: number }}
+ *   Entries oldest first; accounts maps each account to { debit, credit, balance }
+ *   where balance is debits less credits
+ */
+export const buildLedger = (transactions = []) => {
+  const ordered = chronological(transactions);
+  const openingBalance = getOpeningBalance(ordered);
+  const entries = [];
+
+  if (openingBalance) {
+    const postedAt = getPostedAt(ordered[0]);
+    entries.push(
+      { transactionId: null, account: LEDGER_ACCOUNTS.WALLET, debit: openingBalance, credit: 0, postedAt },
+      { transactionId: null, account: LEDGER_ACCOUNTS.OPENING, debit: 0, credit: openingBalance, postedAt }
+    );
+  }
+  ordered.forEach(transaction => entries.push(...toLedgerEntries(transaction)));
+
+  const accounts = {};
+  entries.forEach(({ account, debit, credit }) => {
+    accounts[account] = accounts[account] || { debit: 0, credit: 0, balance: 0 };
+    accounts[account].debit += debit;
+    accounts[account].credit += credit;
+    accounts[account].balance += debit - credit;
+  });
+
+  return { entries, accounts, openingBalance };
+};
+
+/**
+ * The wallet balance derived from ledger lines
+ * @param {Array<Object>} entries - Ledger lines
+ * @returns {number} Wallet debits less credits
+ */
+export const deriveBalance = (entries = []) => entries
+  .filter(entry => entry.account === LEDGER_ACCOUNTS.WALLET)
+  .reduce((sum, entry) => sum + entry.debit - entry.credit, 0);
+
+// =============================================================================
+// RUNNING BALANCE
+// =============================================================================
+
+/**
+ * Adds the derived running balance to each transaction
+ * @param {Array<Object>} transactions - Baraka transactions in any order
+ * @returns {Array<Object>} Copies in the order given, each with balanceAfter
+ *   (derived) and balanceMismatch (true when the reported running balance
+ *   disagrees with the derived one)
+ */
+export const withRunningBalance = (transactions = []) => {
+  const ordered = chronological(transactions);
+  const running = {};
+  let balance = getOpeningBalance(ordered);
+
+  ordered.forEach(transaction => {
+    balance += deriveBalance(toLedgerEntries(transaction));
+    running[transaction.id] = balance;
+  });
+
+  return transactions.map(transaction => ({
+    ...transaction,
+    balanceAfter: running[transaction.id],
+    balanceMismatch: typeof transaction.balance === 'number' && transaction.balance !== running[transaction.id]
+  }));
+};
+
+// =============================================================================
+// RECONCILIATION
+// =============================================================================
+
+/**
+ * Checks a server balance against the ledger
+ * @param {Array<Object>} transactions - Latest Baraka transactions in any order
+ * @param {number} [serverBalance] - Available balance the server reports
+ * @returns {Object} { status, serverBalance, derivedBalance, difference, breaks }
+ *   breaks lists transactions whose reported running balance disagrees with
+ *   the derived one: [{ transactionId, reported, derived }]
+ */
+export const reconcileLedger = (transactions = [], serverBalance) => {
+  const derivedBalance = deriveBalance(buildLedger(transactions).entries);
+  const breaks = withRunningBalance(transactions)
+    .filter(transaction => transaction.balanceMismatch)
+    .map(transaction => ({
+      transactionId: transaction.id,
+      reported: transaction.balance,
+      derived: transaction.balanceAfter
+    }));
+
+  const hasServerBalance = typeof serverBalance === 'number';
+  const difference = hasServerBalance ? serverBalance - derivedBalance : 0;
+  let status = RECONCILIATION_STATUS.BALANCED;
+  if (difference !== 0 || breaks.length > 0) {
+    status = RECONCILIATION_STATUS.MISMATCH;
+  } else if (!hasServerBalance) {
+    status = RECONCILIATION_STATUS.UNVERIFIED;
+  }
+
+  return {
+    status,
+    serverBalance: hasServerBalance ? serverBalance : null,
+    derivedBalance,
+    difference,
+    breaks
+  };
+};
+
+/**
+ * Totals how spending was split between the covenant pool and the platform
+ * @param {Array<Object>} transactions - Baraka transactions
+ * @returns {{ spent: number, covenant: number, platform: number, rate: number }}
+ */
+export const summarizeCovenantSplit = (transactions = []) => {
+  const totals = { spent: 0, covenant: 0, platform: 0, rate: PSB_CONFIG.COVENANT_RETURN };
+
+  transactions
+    .filter(transaction => transaction.amount < 0 && !getCounterAccount(transaction))
+    .forEach(transaction => {
+      const { amount, covenant, platform } = splitCovenantReturn(transaction.amount, totals.rate);
+      totals.spent += amount;
+      totals.covenant += covenant;
+      totals.platform += platform;
+    });
+
+  return totals;
+};
+
+export default {
+  LEDGER_ACCOUNTS,
+  RECONCILIATION_STATUS,
+  getCounterAccount,
+  splitCovenantReturn,
+  toLedgerEntries,
+  buildLedger,
+  deriveBalance,
+  withRunningBalance,
+  reconcileLedger,
+  summarizeCovenantSplit
+};
@@ -0,0 +1,167 @@
+/**
+ * GPS Lab Platform - Baraka Peer Transfers
+ *
+ * Rules for moving Baraka between learners: the daily send allowance,
+ * when a send needs confirming, how a shared bill is split, and when
+ * Baraka held in escrow for a party task is released or refunded.
+ *
+ * Escrow is paid to the recipient as soon as its task is completed. It
+ * goes back to the funder if the task is cancelled or removed, or if the
+ * task is still open a grace period after it was due.
+ *
+ * Every function is pure and takes time from the caller.
+ *
+ * @module utils/helpers/baraka.transfer
+ * @version 1.0.0
+ */
+
+import { BARAKA_CONFIG } from '../../config/game.config';
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+export const REQUEST_STATUS = {
+  PENDING: 'pending',
+  PAID: 'paid',
+  DECLINED: 'declined',
+  CANCELLED: 'cancelled'
+};
+
+export const ESCROW_STATUS = {
+  HELD: 'held',
+  RELEASED: 'released',
+  REFUNDED: 'refunded'
+};
+
+// Transactions that count against the daily send allowance
+export const OUTGOING_TRANSFER_TYPES = ['transfer_out', 'escrow_hold'];
+
+// Credits that move Baraka between learners rather than earn it
+export const INCOMING_TRANSFER_TYPES = ['transfer_in', 'escrow_release'];
+
+export const ESCROW_GRACE_DAYS = 7;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// =============================================================================
+// ALLOWANCE
+// =============================================================================
+
+/**
+ * Baraka sent or put in escrow on the same UTC day as now
+ * @param {Array<Object>} transactions - Wallet transactions
+ * @param {string} now - ISO timestamp
+ * @returns {number} Baraka sent today
+ */
+export const getSentToday = (transactions = [], now) => {
+  const today = now.slice(0, 10);
+  return transactions
+    .filter(t => OUTGOING_TRANSFER_TYPES.includes(t.type) && (t.createdAt || '').slice(0, 10) === today)
+    .reduce((sum, t) => sum + Math.abs(t.amount), 0);
+};
+
+/**
+ * What is left of the daily send allowance
+ * @param {number} sentToday - Baraka sent today
+ * @returns {{ dailyLimit: number, sentToday: number, remaining: number, confirmAbove: number }}
+ */
+export const getTransferAllowance = (sentToday = 0) => {
+  const dailyLimit = BARAKA_CONFIG.DAILY_TRANSFER_LIMIT;
+  return {
+    dailyLimit,
+    sentToday,
+    remaining: Math.max(0, dailyLimit - sentToday),
+    confirmAbove: BARAKA_CONFIG.TRANSFER_CONFIRM_ABOVE
+  };
+};
+
+/**
+ * Whether a send is large enough to need confirming
+ * @param {number} amount - Baraka to send
+ * @returns {boolean}
+ */
+export const requiresConfirmation = (amount) => amount > BARAKA_CONFIG.TRANSFER_CONFIRM_ABOVE;
+
+// =============================================================================
+// SPLIT BILLS
+// =============================================================================
+
+/**
+ * Splits a bill evenly in whole Baraka
+ * @param {number} total - Baraka to split
+ * @param {Array<string>} participantIds - Who shares it, in order
+ * @returns {Array<Object>} [{ userId, amount }] - any remainder falls on
+ *   the first participants, one Baraka each
+ */
+export const splitBill = (total, participantIds = []) => {
+  const count = participantIds.length;
+  if (!count) return [];
+  const base = Math.floor(total / count);
+  const remainder = total - base * count;
+  return participantIds.map((userId, index) => ({
+    userId,
+    amount: base + (index < remainder ? 1 : 0)
+  }));
+};
+
+// =============================================================================
+// ESCROW
+// =============================================================================
+
+/**
+ * When unreleased escrow goes back to its funder
+ * @param {Object} task - Party task
+ * @param {string} now - ISO timestamp
+ * @returns {string} ISO timestamp, a grace period after the task is due
+ *   (or after now when it has no due date or is already overdue)
+ */
+export const getEscrowExpiry = (task, now) => {
+  const due = Math.max(new Date(task?.dueDate || now).getTime(), new Date(now).getTime());
+  return new Date(due + ESCROW_GRACE_DAYS * DAY).toISOString();
+};
+
+/**
+ * How held escrow should be settled
+ * @param {Object} escrow - Escrow
+ * @param {Object|null} task - Its party task, or null when the task is gone
+ * @param {string} now - ISO timestamp
+ * @returns {string|null} ESCROW_STATUS.RELEASED or REFUNDED, or null to keep holding
+ */
+export const resolveEscrow = (escrow, task, now) => {
+  if (escrow.status !== ESCROW_STATUS.HELD) return null;
+  if (task?.status === 'completed') return ESCROW_STATUS.RELEASED;
+  if (!task || task.status === 'cancelled') return ESCROW_STATUS.REFUNDED;
+  if (now >= escrow.expiresAt) return ESCROW_STATUS.REFUNDED;
+  return null;
+};
+
+/**
+ * What a learner may do with an escrow right now
+ * @param {Object} escrow - Escrow
+ * @param {string} userId - Acting learner
+ * @returns {{ canRelease: boolean, canRefund: boolean }} The funder may
+ *   release early or take the escrow back; the recipient may only turn it down
+ */
+export const getEscrowActions = (escrow, userId) => {
+  const isHeld = escrow.status === ESCROW_STATUS.HELD;
+  return {
+    canRelease: isHeld && escrow.funderId === userId,
+    canRefund: isHeld && (escrow.funderId === userId || escrow.recipientId === userId)
+  };
+};
+
+export default {
+  REQUEST_STATUS,
+  ESCROW_STATUS,
+  OUTGOING_TRANSFER_TYPES,
+  INCOMING_TRANSFER_TYPES,
+  ESCROW_GRACE_DAYS,
+  getSentToday,
+  getTransferAllowance,
+  requiresConfirmation,
+  splitBill,
+  getEscrowExpiry,
+  resolveEscrow,
+  getEscrowActions
+};
@@ -0,0 +1,208 @@
+/**
+ * GPS Lab Platform - Caption Helper Utilities
+ *
+ * Timed captions for GPO showcase videos. Captions are kept as cues
+ * ({ start, end, text }, in seconds on the recording's own timeline, so
+ * trimming never shifts them) and turned into WebVTT for the player's
+ * caption tracks and for download. Existing .vtt files can be imported.
+ *
+ * @module utils/helpers/caption.helper
+ */
+
+import { SUPPORTED_LANGUAGES } from '../../config/constants';
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+/**
+ * Languages a video can be captioned in
+ */
+export const CAPTION_LANGUAGES = [
+  { code: SUPPORTED_LANGUAGES.EN, label: 'English' },
+  { code: SUPPORTED_LANGUAGES.KO, label: '한국어' },
+  { code: SUPPORTED_LANGUAGES.SW, label: 'Kiswahili' }
+];
+
+/**
+ * How long a new caption shows by default, in seconds
+ */
+export const DEFAULT_CUE_LENGTH = 3;
+
+export const VTT_MIME_TYPE = 'text/vtt';
+
+// =============================================================================
+// TIMES
+// =============================================================================
+
+/**
+ * Rounds seconds to milliseconds
+ * @param {number} seconds - Seconds
+ * @returns {number} Rounded seconds
+ */
+const roundTime = (seconds) => Math.round(seconds * 1000) / 1000;
+
+/**
+ * Formats seconds as a WebVTT timestamp
+ * @param {number} seconds - Seconds
+ * @returns {string} e.g. "00:01:02.500"
+ */
+export const formatVttTime = (seconds) => {
+  const totalMs = Math.max(0, Math.round(seconds * 1000));
+  const hours = Math.floor(totalMs / 3600000);
+  const minutes = Math.floor((totalMs % 3600000) / 60000);
+  const secs = Math.floor((totalMs % 60000) / 1000);
+  const ms = totalMs % 1000;
+  const pad = (n, size = 2) => String(n).padStart(size, '0');
+  return `${pad(hours)}:${pad(minutes)}:${pad(secs)}.${pad(ms, 3)}`;
+};
+
+/**
+ * Formats seconds for the editor
+ * @param {number} seconds - Seconds
+ * @returns {string} e.g. "1:02.5"
+ */
+export const formatCueTime = (seconds) => {
+  const safe = Math.max(0, roundTime(seconds || 0));
+  const minutes = Math.floor(safe / 60);
+  const rest = (safe - minutes * 60).toFixed(1).padStart(4, '0');
+  return `${minutes}:${rest}`;
+};
+
+/**
+ * Parses a time typed in the editor or read from a .vtt file
+ * @param {string} value - "62.5", "1:02.5", "00:01:02.500" or "01:02,500"
+ * @returns {number|null} Seconds, or null when it is not a time
+ */
+export const parseCueTime = (value) => {
+  const text = String(value ?? '').trim().replace(',', '.');
+  if (!/^\d+(:\d{1,2}){0,2}(\.\d+)?$/.test(text)) return null;
+
+  return roundTime(text.split(':').reduce((total, part) => total * 60 + Number(part), 0));
+};
+
+// =============================================================================
+// CUES
+// =============================================================================
+
+/**
+ * Sorts cues by start time
+ * @param {Array<Object>} cues - Cues
+ * @returns {Array<Object>} Sorted copy
+ */
+export const sortCues = (cues = []) => [...cues].sort((a, b) => a.start - b.start || a.end - b.end);
+
+/**
+ * Builds a new cue at a point in the video
+ * @param {number} start - Start (seconds)
+ * @param {number} [limit] - Latest end, e.g. the trim end
+ * @returns {Object} Cue
+ */
+export const createCue = (start, limit = Infinity) => ({
+  start: roundTime(start),
+  end: roundTime(Math.min(start + DEFAULT_CUE_LENGTH, limit)),
+  text: ''
+});
+
+/**
+ * Languages that have at least one caption with text
+ * @param {Object} captions - Cues by language code
+ * @returns {Array<string>} Language codes, in CAPTION_LANGUAGES order
+ */
+export const getCaptionedLanguages = (captions = {}) =>
+  CAPTION_LANGUAGES
+    .map(language => language.code)
+    .filter(code => (captions[code] || []).some(cue => cue.text?.trim()));
+
+// =============================================================================
+// WEBVTT
+// =============================================================================
+
+const CUE_ENTITIES = { amp: '&', lt: '<', gt: '>', nbsp: '\u00A0', lrm: '\u200E', rlm: '\u200F' };
+
+/**
+ * Escapes caption text for a WebVTT cue. Escaping > as well keeps a
+ * typed "-->" from reading as a cue timing line.
+ * @param {string} text - Caption text
+ * @returns {string} Cue text
+ */
+const escapeCueText = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;');
+
+/**
+ * Reads cue text as plain caption text: markup such as <i> or <v Name>
+ * is dropped and character references are decoded
+ * @param {string} text - Cue text
+ * @returns {string} Caption text
+ */
+const unescapeCueText = (text) => text
+  .replace(/<[^>]*>/g, '')
+  .replace(/&(amp|lt|gt|nbsp|lrm|rlm);/g, (_, name) => CUE_ENTITIES[name]);
+
+/**
+ * Builds a WebVTT file from cues; cues without text are left out
+ * @param {Array<Object>} cues - Cues
+ * @returns {string} WebVTT text
+ */
+export const toWebVTT = (cues = []) => {
+  const blocks = sortCues(cues)
+    .filter(cue => cue.text?.trim())
+    .map((cue, index) => [
+      String(index + 1),
+      `${formatVttTime(cue.start)} --> ${formatVttTime(cue.end)}`,
+      // A blank line would end the cue early
+      escapeCueText(cue.text.trim().replace(/\n\s*\n/g, '\n'))
+    ].join('\n'));
+
+  return ['WEBVTT', ...blocks].join('\n\n') + '\n';
+};
+
+/**
+ * Reads the cues of a WebVTT (or SRT) file. Notes, styles, regions, cue
+ * settings and markup in cue text are dropped.
+ * @param {string} text - File contents
+ * @returns {Array<Object>} Cues
+ */
+export const parseWebVTT = (text = '') => {
+  const blocks = String(text)
+    .replace(/^﻿/, '')
+    .replace(/\r\n?/g, '\n')
+    .split(/\n{2,}/);
+
+  const cues = [];
+  blocks.forEach(block => {
+    const lines = block.split('\n');
+    const timingIndex = lines.findIndex(line => line.includes('-->'));
+    if (timingIndex === -1) return;
+
+    const [startText, rest = ''] = lines[timingIndex].split('-->');
+    const start = parseCueTime(startText);
+    const end = parseCueTime(rest.trim().split(/\s+/)[0]);
+    const cueText = unescapeCueText(lines.slice(timingIndex + 1).join('\n')).trim();
+
+    if (start === null || end === null || !cueText) return;
+    cues.push({ start, end, text: cueText });
+  });
+
+  return sortCues(cues);
+};
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+export default {
+  CAPTION_LANGUAGES,
+  DEFAULT_CUE_LENGTH,
+  VTT_MIME_TYPE,
+  formatVttTime,
+  formatCueTime,
+  parseCueTime,
+  sortCues,
+  createCue,
+  getCaptionedLanguages,
+  toWebVTT,
+  parseWebVTT
+};
@@ -0,0 +1,257 @@
+/**
+ * GPS Lab Platform - Cohort Helper Utilities
+ *
+ * GPS 101 progress and pacing for university cohorts, shared by the mock
+ * backend and the university portal. A student's pace is measured from the
+ * later of the cohort start and the day they were enrolled, at the two
+ * sub-missions a week that gps101.helper.isOnTrack expects; students more
+ * than AT_RISK_WEEKS_BEHIND weeks behind that pace are flagged at risk.
+ *
+ * @module utils/helpers/cohort.helper
+ */
+
+import { calculateOverallProgress, calculateStageProgress, calculateMissionProgress } from './progress.calculator';
+import {
+  GPS_101_STRUCTURE,
+  calculateWeeksElapsed,
+  isOnTrack,
+  isGPS101Completed,
+  getMissionByStageNumber
+} from './gps101.helper';
+import { parseCSV } from './export.helper';
+import { isValidEmailFormat, normalizeEmail } from '../validators/email.validator';
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+/**
+ * Sub-missions a student is expected to finish each week (see isOnTrack)
+ */
+export const SUB_MISSIONS_PER_WEEK = 2;
+
+/**
+ * Weeks behind pace at which a student is flagged at risk
+ */
+export const AT_RISK_WEEKS_BEHIND = 2;
+
+/**
+ * Pacing status of a student
+ */
+export const PROGRESS_STATUS = {
+  NOT_STARTED: 'not_started',
+  ON_TRACK: 'on_track',
+  BEHIND: 'behind',
+  AT_RISK: 'at_risk',
+  COMPLETED: 'completed'
+};
+
+export const PROGRESS_STATUS_LABELS = {
+  [PROGRESS_STATUS.NOT_STARTED]: 'Not started',
+  [PROGRESS_STATUS.ON_TRACK]: 'On track',
+  [PROGRESS_STATUS.BEHIND]: 'Behind',
+  [PROGRESS_STATUS.AT_RISK]: 'At risk',
+  [PROGRESS_STATUS.COMPLETED]: 'Completed'
+};
+
+/**
+ * Columns accepted in a roster CSV. Only `email` is required; the other
+ * columns fill in names for new accounts and the university student number.
+ */
+export const ROSTER_COLUMNS = [
+  { key: 'email', label: 'email', aliases: ['email', 'e-mail', 'email address'], required: true },
+  { key: 'firstName', label: 'first_name', aliases: ['first_name', 'firstname', 'first name', 'given name'] },
+  { key: 'lastName', label: 'last_name', aliases: ['last_name', 'lastname', 'last name', 'family name', 'surname'] },
+  { key: 'studentNumber', label: 'student_number', aliases: ['student_number', 'student number', 'student_id', 'student id'] }
+];
+
+/**
+ * Roster CSV template offered for download
+ */
+export const ROSTER_TEMPLATE = [
+  ROSTER_COLUMNS.map(col => col.label).join(','),
+  'jane.doe@example.edu,Jane,Doe,2025-0001'
+].join('\r\n');
+
+// =============================================================================
+// PROGRESS
+// =============================================================================
+
+/**
+ * Gets the date a student's pace is measured from
+ * @param {Object} cohort - Cohort ({ startDate })
+ * @param {Object} member - Cohort member ({ enrolledAt })
+ * @returns {string} ISO date
+ */
+export const getPacingStart = (cohort, member = {}) => {
+  if (!member.enrolledAt) return cohort.startDate;
+  return new Date(member.enrolledAt) > new Date(cohort.startDate) ? member.enrolledAt : cohort.startDate;
+};
+
+/**
+ * Works out a student's GPS 101 progress and pace
+ * @param {Object} record - { completedStages, completedSubMissions, completedCheckpoints, totalBaraka, lastActivityAt }
+ * @param {string} startDate - Date the pace is measured from
+ * @returns {Object} Progress summary with status
+ */
+export const getStudentProgress = (record = {}, startDate) => {
+  const {
+    completedStages = [],
+    completedSubMissions = [],
+    completedCheckpoints = [],
+    totalBaraka = 0,
+    lastActivityAt = null
+  } = record;
+  const overall = calculateOverallProgress({ completedStages, completedSubMissions, completedCheckpoints, totalBaraka });
+
+  const hasStarted = !!startDate && new Date(startDate) <= new Date();
+  const weeksElapsed = hasStarted ? calculateWeeksElapsed(startDate) : 0;
+  const expectedSubMissions = Math.min(GPS_101_STRUCTURE.TOTAL_SUB_MISSIONS, weeksElapsed * SUB_MISSIONS_PER_WEEK);
+  const subMissionsBehind = Math.max(0, expectedSubMissions - completedSubMissions.length);
+  const weeksBehind = subMissionsBehind / SUB_MISSIONS_PER_WEEK;
+
+  let status;
+  if (isGPS101Completed(completedStages)) {
+    status = PROGRESS_STATUS.COMPLETED;
+  } else if (!hasStarted) {
+    status = PROGRESS_STATUS.NOT_STARTED;
+  } else if (subMissionsBehind === 0 || isOnTrack(completedSubMissions, startDate)) {
+    status = PROGRESS_STATUS.ON_TRACK;
+  } else if (weeksBehind >= AT_RISK_WEEKS_BEHIND) {
+    status = PROGRESS_STATUS.AT_RISK;
+  } else {
+    status = PROGRESS_STATUS.BEHIND;
+  }
+
+  return {
+    percentage: overall.overall.percentage,
+    currentStage: Math.min(GPS_101_STRUCTURE.TOTAL_STAGES, completedStages.length + 1),
+    stages: overall.stages,
+    subMissions: overall.subMissions,
+    checkpoints: overall.checkpoints,
+    baraka: overall.orangeBeacon,
+    weeksElapsed,
+    expectedSubMissions,
+    subMissionsBehind,
+    weeksBehind,
+    status,
+    lastActivityAt
+  };
+};
+
+/**
+ * Breaks a student's progress down by stage
+ * @param {Object} record - { completedStages, completedSubMissions, completedCheckpoints }
+ * @returns {Array<Object>} [{ stageNumber, question, deliverable, isComplete, subMissions, checkpoints }]
+ */
+export const getStageBreakdown = (record = {}) => {
+  const { completedStages = [], completedSubMissions = [], completedCheckpoints = [] } = record;
+
+  return Object.entries(GPS_101_STRUCTURE.STAGES).map(([number, stage]) => {
+    const stageNumber = Number(number);
+    const subMissions = calculateStageProgress(stageNumber, completedSubMissions);
+    const checkpoints = calculateMissionProgress(getMissionByStageNumber(stageNumber).missionId, completedCheckpoints);
+    return {
+      stageNumber,
+      question: stage.question,
+      deliverable: stage.deliverable,
+      icon: stage.icon,
+      isComplete: completedStages.includes(`gps101-stage-${stageNumber}`) || subMissions.isComplete,
+      subMissions,
+      checkpoints
+    };
+  });
+};
+
+/**
+ * Totals the progress of a list of students
+ * @param {Array<Object>} students - Students with `progress` from getStudentProgress
+ * @returns {Object} Counts per status and average progress
+ */
+export const summarizeCohort = (students = []) => {
+  const counts = Object.values(PROGRESS_STATUS).reduce((acc, status) => ({ ...acc, [status]: 0 }), {});
+  students.forEach(s => { counts[s.progress.status] += 1; });
+
+  const average = (pick) => (students.length
+    ? Math.round(students.reduce((sum, s) => sum + pick(s.progress), 0) / students.length)
+    : 0);
+
+  return {
+    total: students.length,
+    notStarted: counts[PROGRESS_STATUS.NOT_STARTED],
+    onTrack: counts[PROGRESS_STATUS.ON_TRACK],
+    behind: counts[PROGRESS_STATUS.BEHIND],
+    atRisk: counts[PROGRESS_STATUS.AT_RISK],
+    completed: counts[PROGRESS_STATUS.COMPLETED],
+    averageProgress: average(p => p.percentage),
+    averageCheckpoints: average(p => p.checkpoints.completed)
+  };
+};
+
+// =============================================================================
+// ROSTER IMPORT
+// =============================================================================
+
+/**
+ * Parses a roster CSV for bulk enrollment
+ * @param {string} text - CSV text with a header row
+ * @returns {Object} { rows: [{ row, email, firstName, lastName, studentNumber }], errors: [{ row, message }] }
+ */
+export const parseRoster = (text = '') => {
+  const [header = [], ...lines] = parseCSV(text);
+  const columns = header.map(name => {
+    const normalized = name.toLowerCase();
+    return ROSTER_COLUMNS.find(col => col.aliases.includes(normalized))?.key || null;
+  });
+
+  if (!columns.includes('email')) {
+    return { rows: [], errors: [{ row: 1, message: 'The first row must be a header with an "email" column' }] };
+  }
+
+  const rows = [];
+  const errors = [];
+  const seen = new Map();
+
+  lines.forEach((cells, index) => {
+    const row = index + 2;
+    const entry = { row, email: '', firstName: '', lastName: '', studentNumber: '' };
+    columns.forEach((key, i) => {
+      if (key) entry[key] = cells[i] || '';
+    });
+    entry.email = normalizeEmail(entry.email);
+
+    if (!entry.email) {
+      errors.push({ row, message: 'Email is missing' });
+    } else if (!isValidEmailFormat(entry.email)) {
+      errors.push({ row, email: entry.email, message: `"${entry.email}" is not a valid email` });
+    } else if (seen.has(entry.email)) {
+      errors.push({ row, email: entry.email, message: `${entry.email} is already listed on row ${seen.get(entry.email)}` });
+    } else {
+      seen.set(entry.email, row);
+      rows.push(entry);
+    }
+  });
+
+  if (rows.length === 0 && errors.length === 0) {
+    errors.push({ row: 2, message: 'The file has no students' });
+  }
+  return { rows, errors };
+};
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+export default {
+  SUB_MISSIONS_PER_WEEK,
+  AT_RISK_WEEKS_BEHIND,
+  PROGRESS_STATUS,
+  PROGRESS_STATUS_LABELS,
+  ROSTER_COLUMNS,
+  ROSTER_TEMPLATE,
+  getPacingStart,
+  getStudentProgress,
+  getStageBreakdown,
+  summarizeCohort,
+  parseRoster
+};
@@ -0,0 +1,331 @@
+/**
+ * GPS 101 Curriculum Helpers
+ *
+ * Lookups, ID generation, totals and diffs for GPS 101 curriculum content:
+ * `{ stages, missions }`, where each mission holds its sub-missions and each
+ * sub-mission its checkpoints. Used by the app to read published content and
+ * by the admin authoring studio to edit drafts.
+ *
+ * IDs follow the bundled curriculum (`GPS101_M1_SM2_CP3`) and are never
+ * reused or renumbered, because learner progress is stored against them.
+ */
+
+import { GPS_101_CONFIG } from '../../config/gps101.config';
+import { GPS_101_ALL_MISSIONS } from '../constants/gps101.constants';
+
+// ==================== BUNDLED CONTENT ====================
+
+/**
+ * The curriculum shipped with the app. Used until published content has
+ * loaded, and whenever it cannot be.
+ */
+export const BUNDLED_CURRICULUM = {
+  versionId: null,
+  version: 0,
+  publishedAt: null,
+  stages: GPS_101_CONFIG.STAGES,
+  missions: GPS_101_ALL_MISSIONS
+};
+
+/**
+ * Checkpoint types used by the bundled curriculum, offered as suggestions
+ * in the authoring studio
+ */
+export const CHECKPOINT_TYPES = [
+  ...new Set(
+    GPS_101_ALL_MISSIONS.flatMap(m => m.subMissions.flatMap(sm => sm.checkpoints.map(cp => cp.type)))
+  )
+].sort();
+
+/**
+ * Fields with a Korean counterpart (`<field>Ko`), per level
+ */
+export const TRANSLATED_FIELDS = {
+  stage: ['stageName', 'question', 'expectedOutcome', 'description', 'deliverable'],
+  mission: ['stageName', 'missionTitle', 'description', 'expectedOutcome', 'deliverable'],
+  subMission: ['title'],
+  checkpoint: ['question']
+};
+
+// ==================== LOOKUPS ====================
+
+/**
+ * Finds a stage
+ * @param {Object} content - Curriculum
+ * @param {number} stageNumber - Stage number
+ * @returns {Object|null} Stage
+ */
+export const findStage = (content, stageNumber) => {
+  return content?.stages?.find(s => s.stageNumber === stageNumber) || null;
+};
+
+/**
+ * Finds a mission
+ * @param {Object} content - Curriculum
+ * @param {string} missionId - Mission ID
+ * @returns {Object|null} Mission
+ */
+export const findMission = (content, missionId) => {
+  return content?.missions?.find(m => m.missionId === missionId) || null;
+};
+
+/**
+ * Finds the mission for a stage
+ * @param {Object} content - Curriculum
+ * @param {number} stageNumber - Stage number
+ * @returns {Object|null} Mission
+ */
+export const findStageMission = (content, stageNumber) => {
+  return content?.missions?.find(m => m.stageNumber === stageNumber) || null;
+};
+
+/**
+ * Finds a sub-mission and its mission
+ * @param {Object} content - Curriculum
+ * @param {string} subMissionId - Sub-mission ID
+ * @returns {Object|null} { mission, subMission }
+ */
+export const findSubMission = (content, subMissionId) => {
+  for (const mission of content?.missions || []) {
+    const subMission = mission.subMissions?.find(sm => sm.subMissionId === subMissionId);
+    if (subMission) return { mission, subMission };
+  }
+  return null;
+};
+
+/**
+ * Finds a checkpoint with its sub-mission and mission
+ * @param {Object} content - Curriculum
+ * @param {string} checkpointId - Checkpoint ID
+ * @returns {Object|null} { mission, subMission, checkpoint }
+ */
+export const findCheckpoint = (content, checkpointId) => {
+  for (const mission of content?.missions || []) {
+    for (const subMission of mission.subMissions || []) {
+      const checkpoint = subMission.checkpoints?.find(cp => cp.checkpointId === checkpointId);
+      if (checkpoint) return { mission, subMission, checkpoint };
+    }
+  }
+  return null;
+};
+
+// ==================== ID GENERATION ====================
+
+/**
+ * Next number for an ID suffix, past every number already used
+ * @param {Array<string>} ids - Existing IDs
+ * @param {RegExp} pattern - Pattern capturing the number
+ * @returns {number} Next number
+ */
+const nextNumber = (ids, pattern) => {
+  const used = ids.map(id => Number(pattern.exec(id || '')?.[1])).filter(Number.isFinite);
+  return used.length ? Math.max(...used) + 1 : 1;
+};
+
+/**
+ * Builds a new, empty stage
+ * @param {Object} content - Curriculum
+ * @returns {Object} Stage
+ */
+export const createStage = (content) => {
+  const stageNumber = (content.stages || []).reduce((max, s) => Math.max(max, s.stageNumber), 0) + 1;
+  return {
+    stageId: `GPS101_S${stageNumber}`,
+    stageNumber,
+    stageName: `Stage ${stageNumber}`,
+    stageNameKo: `스테이지 ${stageNumber}`,
+    question: '',
+    questionKo: '',
+    expectedOutcome: '',
+    expectedOutcomeKo: '',
+    description: '',
+    descriptionKo: '',
+    deliverable: '',
+    deliverableKo: '',
+    missions: 1,
+    duration: '3 weeks',
+    order: stageNumber
+  };
+};
+
+/**
+ * Builds a new, empty mission for a stage
+ * @param {Object} content - Curriculum
+ * @param {Object} stage - Stage the mission belongs to
+ * @returns {Object} Mission
+ */
+export const createMission = (content, stage) => {
+  const missionNumber = nextNumber((content.missions || []).map(m => m.missionId), /^GPS101_M(\d+)$/);
+  return {
+    missionId: `GPS101_M${missionNumber}`,
+    stageNumber: stage.stageNumber,
+    stageName: stage.question || '',
+    stageNameKo: stage.questionKo || '',
+    missionNumber,
+    missionTitle: '',
+    missionTitleKo: '',
+    description: '',
+    descriptionKo: '',
+    expectedOutcome: stage.expectedOutcome || '',
+    expectedOutcomeKo: stage.expectedOutcomeKo || '',
+    deliverable: stage.deliverable || '',
+    deliverableKo: stage.deliverableKo || '',
+    duration: stage.duration || '3 weeks',
+    courseCode: 'GPS_101_BASIC',
+    subMissions: []
+  };
+};
+
+/**
+ * Builds a new, empty sub-mission for a mission
+ * @param {Object} mission - Parent mission
+ * @returns {Object} Sub-mission
+ */
+export const createSubMission = (mission) => {
+  const ids = (mission.subMissions || []).map(sm => sm.subMissionId);
+  const number = nextNumber(ids, /_SM(\d+)$/);
+  return {
+    subMissionId: `${mission.missionId}_SM${number}`,
+    subMissionNumber: (mission.subMissions || []).length + 1,
+    title: '',
+    titleKo: '',
+    objectives: [],
+    checkpoints: []
+  };
+};
+
+/**
+ * Builds a new checkpoint for a sub-mission, with the default rewards
+ * @param {Object} subMission - Parent sub-mission
+ * @returns {Object} Checkpoint
+ */
+export const createCheckpoint = (subMission) => {
+  const ids = (subMission.checkpoints || []).map(cp => cp.checkpointId);
+  const number = nextNumber(ids, /_CP(\d+)$/);
+  return {
+    checkpointId: `${subMission.subMissionId}_CP${number}`,
+    order: (subMission.checkpoints || []).length + 1,
+    question: '',
+    questionKo: '',
+    type: 'reflection',
+    expectedAnswer: '',
+    barakaReward: GPS_101_CONFIG.rewards.checkpoint.baraka,
+    xpReward: GPS_101_CONFIG.rewards.checkpoint.xp
+  };
+};
+
+/**
+ * Rewrites the position field of a list after a move or removal
+ * @param {Array<Object>} items - Sub-missions or checkpoints
+ * @param {string} field - 'subMissionNumber' or 'order'
+ */
+export const renumber = (items, field) => {
+  items.forEach((item, index) => {
+    item[field] = index + 1;
+  });
+};
+
+// ==================== SUMMARIES ====================
+
+/**
+ * Totals for a curriculum
+ * @param {Object} content - Curriculum
+ * @returns {Object} { stages, missions, subMissions, checkpoints, baraka, xp }
+ */
+export const countCurriculum = (content) => {
+  const totals = {
+    stages: content?.stages?.length || 0,
+    missions: content?.missions?.length || 0,
+    subMissions: 0,
+    checkpoints: 0,
+    baraka: 0,
+    xp: 0
+  };
+
+  (content?.missions || []).forEach(mission => {
+    (mission.subMissions || []).forEach(subMission => {
+      totals.subMissions += 1;
+      (subMission.checkpoints || []).forEach(checkpoint => {
+        totals.checkpoints += 1;
+        totals.baraka += Number(checkpoint.barakaReward) || 0;
+        totals.xp += Number(checkpoint.xpReward) || 0;
+      });
+    });
+  });
+
+  return totals;
+};
+
+/**
+ * Flattens a curriculum into items keyed by ID, each without its children
+ * @param {Object} content - Curriculum
+ * @returns {Map<string, Object>} ID -> { kind, label, value }
+ */
+const indexCurriculum = (content) => {
+  const index = new Map();
+
+  (content?.stages || []).forEach(stage => {
+    index.set(`stage:${stage.stageNumber}`, { kind: 'stage', label: stage.question || stage.stageName, value: stage });
+  });
+
+  (content?.missions || []).forEach(({ subMissions = [], ...mission }) => {
+    index.set(mission.missionId, { kind: 'mission', label: mission.missionTitle, value: mission });
+
+    subMissions.forEach(({ checkpoints = [], ...subMission }) => {
+      index.set(subMission.subMissionId, { kind: 'subMission', label: subMission.title, value: subMission });
+
+      checkpoints.forEach(checkpoint => {
+        index.set(checkpoint.checkpointId, { kind: 'checkpoint', label: checkpoint.question, value: checkpoint });
+      });
+    });
+  });
+
+  return index;
+};
+
+/**
+ * Lists what a draft changes relative to a base version
+ * @param {Object} base - Curriculum being replaced (usually the published one)
+ * @param {Object} draft - Edited curriculum
+ * @returns {Array<Object>} [{ id, kind, label, change: 'added'|'removed'|'changed' }]
+ */
+export const diffCurriculum = (base, draft) => {
+  const before = indexCurriculum(base);
+  const after = indexCurriculum(draft);
+  const changes = [];
+
+  after.forEach((item, id) => {
+    const previous = before.get(id);
+    if (!previous) {
+      changes.push({ id, kind: item.kind, label: item.label, change: 'added' });
+    } else if (JSON.stringify(previous.value) !== JSON.stringify(item.value)) {
+      changes.push({ id, kind: item.kind, label: item.label, change: 'changed' });
+    }
+  });
+
+  before.forEach((item, id) => {
+    if (!after.has(id)) {
+      changes.push({ id, kind: item.kind, label: item.label, change: 'removed' });
+    }
+  });
+
+  return changes;
+};
+
+export default {
+  BUNDLED_CURRICULUM,
+  CHECKPOINT_TYPES,
+  TRANSLATED_FIELDS,
+  findStage,
+  findMission,
+  findStageMission,
+  findSubMission,
+  findCheckpoint,
+  createStage,
+  createMission,
+  createSubMission,
+  createCheckpoint,
+  renumber,
+  countCurriculum,
+  diffCurriculum
+};
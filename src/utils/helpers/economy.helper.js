@@ -0,0 +1,200 @@
+/**
+ * GPS Lab Platform - Economy Helper Utilities
+ *
+ * Reads and edits economy configs by path, lists what changed between two
+ * configs and works out the impact of a change: level boundaries, the
+ * level of each existing learner, and what completing GPS 101 pays.
+ *
+ * @module utils/helpers/economy.helper
+ */
+
+import { ECONOMY_SCHEMA } from '../../config/economy.config';
+import { GPS_101_CONFIG } from '../../config/gps101.config';
+import { getLevelFromXP, getTotalXPForLevel } from './xp.calculator';
+
+// ==================== PATHS ====================
+
+/**
+ * Reads a value by dotted path
+ * @param {Object} source - Config or schema
+ * @param {string} path - e.g. 'xp.levels.baseXP'
+ * @returns {*} Value, or undefined
+ */
+export const getEconomyValue = (source, path) => {
+  return path.split('.').reduce((node, key) => (node == null ? undefined : node[key]), source);
+};
+
+/**
+ * Returns a copy of a config with one value replaced
+ * @param {Object} config - Config
+ * @param {string} path - Dotted path
+ * @param {*} value - New value
+ * @returns {Object} New config
+ */
+export const setEconomyValue = (config, path, value) => {
+  const [key, ...rest] = path.split('.');
+  return {
+    ...config,
+    [key]: rest.length ? setEconomyValue(config?.[key] || {}, rest.join('.'), value) : value
+  };
+};
+
+/**
+ * Lists the fields under a schema node
+ * @param {string} path - Dotted path of the node ('' for the whole schema)
+ * @returns {Array<Object>} Field descriptors with their path
+ */
+export const listEconomyFields = (path = '') => {
+  const node = path ? getEconomyValue(ECONOMY_SCHEMA, path) : ECONOMY_SCHEMA;
+  if (!node) return [];
+  if (node.isField) return [{ ...node, path }];
+
+  return Object.keys(node).flatMap(key => listEconomyFields(path ? `${path}.${key}` : key));
+};
+
+/**
+ * Lists the settings that differ between two configs
+ * @param {Object} before - Current config
+ * @param {Object} after - Proposed config
+ * @returns {Array<Object>} { path, label, unit, before, after }
+ */
+export const diffEconomyConfigs = (before, after) => {
+  return listEconomyFields()
+    .map(fieldInfo => ({
+      path: fieldInfo.path,
+      label: fieldInfo.label,
+      unit: fieldInfo.unit,
+      before: getEconomyValue(before, fieldInfo.path),
+      after: getEconomyValue(after, fieldInfo.path)
+    }))
+    .filter(change => change.before !== change.after);
+};
+
+// ==================== LEVELS ====================
+
+/**
+ * Total XP needed to reach each level
+ * @param {Object} levels - Level curve (config xp.levels)
+ * @param {number} count - Levels to list, from level 1
+ * @returns {Array<Object>} { level, totalXP }
+ */
+export const getLevelBoundaries = (levels, count = 20) => {
+  const last = Math.min(count, levels.maxLevel);
+  return Array.from({ length: last }, (_, i) => ({
+    level: i + 1,
+    totalXP: getTotalXPForLevel(i + 1, levels)
+  }));
+};
+
+// ==================== GPS 101 ====================
+
+/**
+ * GPS 101 structure used for course totals when no curriculum is given
+ */
+const DEFAULT_COURSE_COUNTS = {
+  stages: GPS_101_CONFIG.TOTAL_STAGES,
+  missions: GPS_101_CONFIG.TOTAL_MISSIONS,
+  subMissions: GPS_101_CONFIG.TOTAL_SUB_MISSIONS,
+  checkpoints: GPS_101_CONFIG.TOTAL_CHECKPOINTS
+};
+
+const COURSE_ITEMS = [
+  { key: 'checkpoint', countKey: 'checkpoints', label: 'Checkpoints' },
+  { key: 'subMission', countKey: 'subMissions', label: 'Sub-missions' },
+  { key: 'mission', countKey: 'missions', label: 'Missions' },
+  { key: 'stage', countKey: 'stages', label: 'Stages' }
+];
+
+/**
+ * What completing GPS 101 pays under a reward schedule
+ * @param {Object} rewards - Reward schedule (config gps101.rewards)
+ * @param {Object} counts - { stages, missions, subMissions, checkpoints }
+ * @returns {Object} { baraka, xp, items }
+ */
+export const getCourseRewardTotals = (rewards, counts = DEFAULT_COURSE_COUNTS) => {
+  const items = COURSE_ITEMS.map(({ key, countKey, label }) => {
+    const count = counts[countKey] || 0;
+    return {
+      key,
+      label,
+      count,
+      baraka: count * rewards[key].baraka,
+      xp: count * rewards[key].xp
+    };
+  });
+
+  return {
+    baraka: items.reduce((sum, item) => sum + item.baraka, 0),
+    xp: items.reduce((sum, item) => sum + item.xp, 0),
+    items
+  };
+};
+
+// ==================== IMPACT ====================
+
+/**
+ * Works out what a config change would do
+ * @param {Object} current - Active config
+ * @param {Object} proposed - Proposed config
+ * @param {Object} context - { learners: [{ id, name, xp }], counts, boundaryCount, maxUsers }
+ * @returns {Object} { changes, levels, users, course }
+ */
+export const getEconomyImpact = (current, proposed, context = {}) => {
+  const {
+    learners = [],
+    counts = DEFAULT_COURSE_COUNTS,
+    boundaryCount = 20,
+    maxUsers = 50
+  } = context;
+
+  const before = getLevelBoundaries(current.xp.levels, boundaryCount);
+  const after = getLevelBoundaries(proposed.xp.levels, boundaryCount);
+  const levels = after.map((row, i) => ({
+    level: row.level,
+    before: before[i] ? before[i].totalXP : null,
+    after: row.totalXP
+  }));
+
+  const moved = learners.map(learner => ({
+    ...learner,
+    levelBefore: getLevelFromXP(learner.xp, current.xp.levels).level,
+    levelAfter: getLevelFromXP(learner.xp, proposed.xp.levels).level
+  }));
+  const changed = moved
+    .filter(u => u.levelAfter !== u.levelBefore)
+    .sort((a, b) => Math.abs(b.levelAfter - b.levelBefore) - Math.abs(a.levelAfter - a.levelBefore));
+
+  const courseBefore = getCourseRewardTotals(current.gps101.rewards, counts);
+  const courseAfter = getCourseRewardTotals(proposed.gps101.rewards, counts);
+
+  return {
+    changes: diffEconomyConfigs(current, proposed),
+    levels,
+    users: {
+      total: learners.length,
+      up: changed.filter(u => u.levelAfter > u.levelBefore).length,
+      down: changed.filter(u => u.levelAfter < u.levelBefore).length,
+      unchanged: learners.length - changed.length,
+      changed: changed.slice(0, maxUsers)
+    },
+    course: {
+      counts,
+      before: courseBefore,
+      after: courseAfter,
+      orangeBeacon: {
+        before: current.baraka.beacons.orange,
+        after: proposed.baraka.beacons.orange
+      }
+    }
+  };
+};
+
+export default {
+  getEconomyValue,
+  setEconomyValue,
+  listEconomyFields,
+  diffEconomyConfigs,
+  getLevelBoundaries,
+  getCourseRewardTotals,
+  getEconomyImpact
+};
@@ -0,0 +1,384 @@
+/**
+ * GPS Lab Platform - Export Helper Utilities
+ *
+ * Builds and parses CSV, builds XLSX workbooks, and saves or prints
+ * generated files in the browser. XLSX files are written without a
+ * spreadsheet library: the sheets are plain SpreadsheetML packed in an
+ * uncompressed zip, which Excel, Numbers and Sheets all open.
+ *
+ * @module utils/helpers/export.helper
+ */
+
+// =============================================================================
+// CSV
+// =============================================================================
+
+/**
+ * Escapes a value for a CSV cell. Text that a spreadsheet would read as a
+ * formula (starting with =, +, -, @, a tab or a carriage return) is
+ * prefixed with an apostrophe so it opens as text; numbers are kept as-is.
+ * @param {*} value - Cell value (objects are written as JSON)
+ * @returns {string} CSV cell
+ */
+export const toCSVCell = (value) => {
+  if (value === null || value === undefined) return '';
+  let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  if (typeof value !== 'number' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Builds CSV text with a header row
+ * @param {Array<Object>} rows - Data rows
+ * @param {Array<Object>} columns - [{ key, label, value(row) }]
+ * @returns {string} CSV text
+ */
+export const toCSV = (rows = [], columns = []) => {
+  const header = columns.map(col => toCSVCell(col.label || col.key)).join(',');
+  const lines = rows.map(row => columns
+    .map(col => toCSVCell(col.value ? col.value(row) : row[col.key]))
+    .join(','));
+  return [header, ...lines].join('\r\n');
+};
+
+/**
+ * Parses CSV text into rows of cells. Handles quoted cells with commas,
+ * escaped quotes and line breaks; blank lines are dropped.
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} Rows of trimmed cells
+ */
+export const parseCSV = (text = '') => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  const endRow = () => {
+    row.push(cell.trim());
+    if (row.some(value => value !== '')) rows.push(row);
+    row = [];
+    cell = '';
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell.trim());
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      endRow();
+    } else {
+      cell += char;
+    }
+  }
+  endRow();
+  return rows;
+};
+
+// =============================================================================
+// XLSX
+// =============================================================================
+
+export const XLSX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+const SHEET_NS = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+const REL_NS = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+const PACKAGE_REL_NS = 'http://schemas.openxmlformats.org/package/2006/relationships';
+
+/**
+ * Checks a code point is allowed in XML 1.0: tab, line feed, carriage
+ * return and everything from space up, except lone surrogates, U+FFFE
+ * and U+FFFF
+ * @param {number} code - Code point
+ * @returns {boolean} True if allowed
+ */
+const isXMLChar = (code) => code === 0x09 || code === 0x0A || code === 0x0D ||
+  (code >= 0x20 && code <= 0xD7FF) ||
+  (code >= 0xE000 && code <= 0xFFFD) ||
+  (code >= 0x10000 && code <= 0x10FFFF);
+
+/**
+ * Escapes text for XML, dropping characters XML cannot hold
+ * @param {*} value - Value
+ * @returns {string} Escaped text
+ */
+const escapeXML = (value) => Array.from(String(value))
+  .filter(char => isXMLChar(char.codePointAt(0)))
+  .join('')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Converts a zero-based column index to its letters (0 -> A, 27 -> AB)
+ * @param {number} index - Column index
+ * @returns {string} Column letters
+ */
+const columnName = (index) => {
+  let name = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+};
+
+/**
+ * Builds one cell; numbers and booleans keep their type, the rest is text
+ * @param {string} ref - Cell reference
+ * @param {*} value - Cell value
+ * @param {number} style - Style index
+ * @returns {string} Cell XML
+ */
+const toCellXML = (ref, value, style) => {
+  const s = style ? ` s="${style}"` : '';
+  if (value === null || value === undefined || value === '') return '';
+  if (typeof value === 'number' && Number.isFinite(value)) return `<c r="${ref}"${s}><v>${value}</v></c>`;
+  if (typeof value === 'boolean') return `<c r="${ref}"${s} t="b"><v>${value ? 1 : 0}</v></c>`;
+  const text = typeof value === 'object' ? JSON.stringify(value) : value;
+  return `<c r="${ref}"${s} t="inlineStr"><is><t xml:space="preserve">${escapeXML(text)}</t></is></c>`;
+};
+
+/**
+ * Builds a worksheet with a bold, frozen header row
+ * @param {Array<Object>} rows - Data rows
+ * @param {Array<Object>} columns - [{ key, label, value(row) }]
+ * @returns {string} Worksheet XML
+ */
+const toSheetXML = (rows, columns) => {
+  const table = [
+    columns.map(col => col.label || col.key),
+    ...rows.map(row => columns.map(col => (col.value ? col.value(row) : row[col.key])))
+  ];
+  const widths = columns.map((_, c) => Math.min(50, Math.max(8, ...table.map(cells => String(cells[c] ?? '').length + 2))));
+
+  const sheetRows = table.map((cells, r) => `<row r="${r + 1}">${cells
+    .map((value, c) => toCellXML(`${columnName(c)}${r + 1}`, value, r === 0 ? 1 : 0))
+    .join('')}</row>`);
+
+  return `${XML_HEADER}<worksheet xmlns="${SHEET_NS}">`
+    + '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>'
+    + `<cols>${widths.map((width, c) => `<col min="${c + 1}" max="${c + 1}" width="${width}" customWidth="1"/>`).join('')}</cols>`
+    + `<sheetData>${sheetRows.join('')}</sheetData></worksheet>`;
+};
+
+/**
+ * Makes sheet names valid and unique (at most 31 characters, no []:*?/\)
+ * @param {Array<string>} names - Requested names
+ * @returns {Array<string>} Sheet names
+ */
+const toSheetNames = (names) => {
+  const used = new Set();
+  return names.map((name, i) => {
+    const base = String(name || `Sheet${i + 1}`).replace(/[[\]:*?/\\]/g, ' ').trim().slice(0, 31) || `Sheet${i + 1}`;
+    let unique = base;
+    for (let n = 2; used.has(unique.toLowerCase()); n++) unique = `${base.slice(0, 31 - String(n).length - 1)} ${n}`;
+    used.add(unique.toLowerCase());
+    return unique;
+  });
+};
+
+let crcTable = null;
+
+/**
+ * CRC-32 of a byte array, as zip entries need
+ * @param {Uint8Array} bytes - Data
+ * @returns {number} Unsigned CRC
+ */
+const crc32 = (bytes) => {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+      crcTable[n] = c >>> 0;
+    }
+  }
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < bytes.length; i++) crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+};
+
+/**
+ * Packs files into an uncompressed zip
+ * @param {Array<Object>} files - [{ name, content }] with string content
+ * @returns {Uint8Array} Zip bytes
+ */
+const toZip = (files) => {
+  const encoder = new TextEncoder();
+  const now = new Date();
+  const time = (now.getHours() << 11) | (now.getMinutes() << 5) | Math.floor(now.getSeconds() / 2);
+  const date = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  files.forEach(file => {
+    const name = encoder.encode(file.name);
+    const data = encoder.encode(file.content);
+    const crc = crc32(data);
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034B50, true);
+    local.setUint16(4, 20, true);
+    local.setUint16(6, 0x0800, true);
+    local.setUint16(8, 0, true);
+    local.setUint16(10, time, true);
+    local.setUint16(12, date, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, data.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, name.length, true);
+    locals.push(new Uint8Array(local.buffer), name, data);
+
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, 0x02014B50, true);
+    central.setUint16(4, 20, true);
+    central.setUint16(6, 20, true);
+    central.setUint16(8, 0x0800, true);
+    central.setUint16(10, 0, true);
+    central.setUint16(12, time, true);
+    central.setUint16(14, date, true);
+    central.setUint32(16, crc, true);
+    central.setUint32(20, data.length, true);
+    central.setUint32(24, data.length, true);
+    central.setUint16(28, name.length, true);
+    central.setUint32(42, offset, true);
+    centrals.push(new Uint8Array(central.buffer), name);
+
+    offset += 30 + name.length + data.length;
+  });
+
+  const centralSize = centrals.reduce((size, part) => size + part.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054B50, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  const parts = [...locals, ...centrals, new Uint8Array(end.buffer)];
+  const zip = new Uint8Array(parts.reduce((size, part) => size + part.length, 0));
+  let position = 0;
+  parts.forEach(part => {
+    zip.set(part, position);
+    position += part.length;
+  });
+  return zip;
+};
+
+/**
+ * Builds an XLSX workbook
+ * @param {Array<Object>} sheets - [{ name, rows, columns }] with columns as for toCSV
+ * @returns {Uint8Array} XLSX file bytes
+ */
+export const toXLSX = (sheets = []) => {
+  const names = toSheetNames(sheets.map(sheet => sheet.name));
+  const styles = `${XML_HEADER}<styleSheet xmlns="${SHEET_NS}">`
+    + '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>'
+    + '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>'
+    + '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>'
+    + '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>'
+    + '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>'
+    + '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>'
+    + '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles></styleSheet>';
+
+  return toZip([
+    {
+      name: '[Content_Types].xml',
+      content: `${XML_HEADER}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">`
+        + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+        + '<Default Extension="xml" ContentType="application/xml"/>'
+        + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+        + '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>'
+        + sheets.map((_, i) => `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('')
+        + '</Types>'
+    },
+    {
+      name: '_rels/.rels',
+      content: `${XML_HEADER}<Relationships xmlns="${PACKAGE_REL_NS}">`
+        + `<Relationship Id="rId1" Type="${REL_NS}/officeDocument" Target="xl/workbook.xml"/></Relationships>`
+    },
+    {
+      name: 'xl/workbook.xml',
+      content: `${XML_HEADER}<workbook xmlns="${SHEET_NS}" xmlns:r="${REL_NS}"><sheets>`
+        + names.map((name, i) => `<sheet name="${escapeXML(name)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join('')
+        + '</sheets></workbook>'
+    },
+    {
+      name: 'xl/_rels/workbook.xml.rels',
+      content: `${XML_HEADER}<Relationships xmlns="${PACKAGE_REL_NS}">`
+        + sheets.map((_, i) => `<Relationship Id="rId${i + 1}" Type="${REL_NS}/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`).join('')
+        + `<Relationship Id="rId${sheets.length + 1}" Type="${REL_NS}/styles" Target="styles.xml"/></Relationships>`
+    },
+    { name: 'xl/styles.xml', content: styles },
+    ...sheets.map((sheet, i) => ({
+      name: `xl/worksheets/sheet${i + 1}.xml`,
+      content: toSheetXML(sheet.rows || [], sheet.columns || [])
+    }))
+  ]);
+};
+
+// =============================================================================
+// SAVE AND PRINT
+// =============================================================================
+
+/**
+ * Saves generated content as a file download
+ * @param {string|Uint8Array|Blob} content - File content
+ * @param {string} filename - File name
+ * @param {string} mimeType - MIME type
+ */
+export const downloadFile = (content, filename, mimeType = 'text/plain') => {
+  const blob = content instanceof Blob
+    ? content
+    : new Blob([content], { type: typeof content === 'string' ? `${mimeType};charset=utf-8` : mimeType });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
+
+/**
+ * Opens the browser's print dialog (where users can also save a PDF) with
+ * a class on <body> while it is open, so print styles can limit the
+ * printout to one part of the page
+ * @param {string} className - Body class set while printing
+ */
+export const printDocument = (className) => {
+  document.body.classList.add(className);
+  const cleanUp = () => {
+    document.body.classList.remove(className);
+    window.removeEventListener('afterprint', cleanUp);
+  };
+  window.addEventListener('afterprint', cleanUp);
+  window.print();
+};
+
+export default {
+  toCSVCell,
+  toCSV,
+  parseCSV,
+  XLSX_MIME_TYPE,
+  toXLSX,
+  downloadFile,
+  printDocument
+};
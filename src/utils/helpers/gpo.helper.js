@@ -99,6 +99,100 @@ export const buildShowcaseSummary = (stageData = {}) => {
   };
 };
 
+/**
+ * Prepare a showcase summary for the API. Local files stay behind and
+ * uploaded media point at their server copy.
+ * @param {object} showcase - Built showcase summary
+ * @returns {object} JSON-safe showcase
+ */
+export const toShowcasePayload = (showcase = {}) => JSON.parse(JSON.stringify(showcase, (key, value) => {
+  if (key === 'file') return undefined;
+  if (value && typeof value === 'object' && value.mediaUrl) return { ...value, url: value.mediaUrl };
+  return value;
+}));
+
+/**
+ * Build the GPO project a finished GPO Call is submitted as
+ * @param {object} showcase - Built showcase summary
+ * @param {object} details - { title, category } chosen before submitting
+ * @returns {object} Project fields for gpo.service.createProject
+ */
+export const buildShowcaseProject = (showcase = {}, { title, category } = {}) => ({
+  title: title.trim(),
+  description: truncateText(showcase.problem?.theGap || showcase.problem?.currentReality || '', 200),
+  category,
+  tags: showcase.callToAction?.skillsNeeded || [],
+  showcase: toShowcasePayload(showcase),
+});
+
+/**
+ * Summarise how far a showcase is through validation
+ * @param {object} validation - Project validation ({ required, approvals })
+ * @returns {{ peer: object, mentor: object, percentage: number, isComplete: boolean }}
+ */
+export const getValidationProgress = (validation) => {
+  const required = validation?.required || { peer: 0, mentor: 0 };
+  const approvals = validation?.approvals || { peer: 0, mentor: 0 };
+  const peer = { count: Math.min(approvals.peer, required.peer), required: required.peer };
+  const mentor = { count: Math.min(approvals.mentor, required.mentor), required: required.mentor };
+  const total = peer.required + mentor.required;
+
+  return {
+    peer,
+    mentor,
+    percentage: total ? Math.round(((peer.count + mentor.count) / total) * 100) : 0,
+    isComplete: peer.count >= peer.required && mentor.count >= mentor.required,
+  };
+};
+
+/**
+ * Follow one impact indicator over time. Progress runs from the baseline
+ * to the target, so it works for indicators that should fall as well.
+ * @param {object} indicator - { metricType, baseline, target, ... }
+ * @param {Array<object>} measurements - The project's measurements
+ * @returns {object} The indicator with { series, latest, change, progress }
+ */
+export const summarizeIndicator = (indicator, measurements = []) => {
+  const series = measurements
+    .filter(m => m.metricType === indicator.metricType)
+    .map(m => ({ date: m.date, value: m.value }))
+    .sort((a, b) => a.date.localeCompare(b.date));
+  const latest = series.length ? series[series.length - 1] : null;
+  const span = indicator.target - indicator.baseline;
+  const progress = latest && span
+    ? Math.round(Math.min(1, Math.max(0, (latest.value - indicator.baseline) / span)) * 100)
+    : 0;
+
+  return {
+    ...indicator,
+    series,
+    latest,
+    change: latest ? latest.value - indicator.baseline : null,
+    progress,
+  };
+};
+
+/**
+ * Summarise a project's impact for its dashboard
+ * @param {object} impact - { indicators, measurements, stories }
+ * @returns {{ indicators: Array<object>, stories: Array<object>, measurementCount: number, averageProgress: number, lastMeasuredAt: string|null }}
+ */
+export const summarizeImpact = (impact) => {
+  const measurements = impact?.measurements || [];
+  const indicators = (impact?.indicators || []).map(indicator => summarizeIndicator(indicator, measurements));
+  const dates = measurements.map(m => m.date).sort();
+
+  return {
+    indicators,
+    stories: impact?.stories || [],
+    measurementCount: measurements.length,
+    averageProgress: indicators.length
+      ? Math.round(indicators.reduce((sum, i) => sum + i.progress, 0) / indicators.length)
+      : 0,
+    lastMeasuredAt: dates.length ? dates[dates.length - 1] : null,
+  };
+};
+
 /**
  * Count total media files across all stages
  * @param {object} stageData
@@ -194,6 +288,11 @@ export default {
   getGPOStageLabel,
   isGPOCallComplete,
   buildShowcaseSummary,
+  toShowcasePayload,
+  buildShowcaseProject,
+  getValidationProgress,
+  summarizeIndicator,
+  summarizeImpact,
   countTotalMediaFiles,
   formatFileSize,
   generateGPOProjectId,
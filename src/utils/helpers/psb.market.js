@@ -0,0 +1,518 @@
+/**
+ * GPS Lab Platform - PSB Market
+ *
+ * Order book and matching engine for trading PSB against Baraka. Orders
+ * match by price-time priority: the best price first and, at the same
+ * price, the order placed first. Limit orders rest in the book for what
+ * they could not fill; market orders fill what they can and the rest is
+ * cancelled. A trade always executes at the resting (maker) order's price.
+ * Market stats, OHLC candles and the depth chart are built from the trades
+ * and the book.
+ *
+ * Every function is pure and takes time and ids from the caller, so the
+ * same orders in the same sequence always give the same book and trades.
+ * PSB amounts are whole units; prices are Baraka per PSB to 4 decimals.
+ *
+ * @module utils/helpers/psb.market
+ * @version 1.0.0
+ */
+
+import { PSB_CONFIG } from '../../config/game.config';
+import { PSB_SELLER_TIERS } from '../constants/tiers.constants';
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+export const ORDER_SIDES = {
+  BUY: 'buy',
+  SELL: 'sell'
+};
+
+export const ORDER_TYPES = {
+  MARKET: 'market',
+  LIMIT: 'limit'
+};
+
+export const ORDER_STATUS = {
+  OPEN: 'open',
+  PARTIAL: 'partial', // Partly filled, the rest still in the book
+  FILLED: 'filled',
+  CANCELLED: 'cancelled' // May have filled in part first (see `filled`)
+};
+
+export const PRICE_DECIMALS = 4;
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+const WEEK = 7 * DAY;
+
+// 1970-01-01 was a Thursday; weekly candles start on Mondays
+const WEEK_OFFSET = 4 * DAY;
+
+export const CANDLE_INTERVALS = {
+  '1h': HOUR,
+  '1d': DAY,
+  '1w': WEEK
+};
+
+// =============================================================================
+// ORDERS
+// =============================================================================
+
+/**
+ * Rounds a price to the market's precision
+ * @param {number} price - Price
+ * @returns {number} Rounded price
+ */
+export const roundPrice = (price) => Number(Number(price).toFixed(PRICE_DECIMALS));
+
+/**
+ * Baraka value of an amount at a price
+ * @param {number} amount - PSB
+ * @param {number} price - Baraka per PSB
+ * @returns {number} Baraka, to the price precision
+ */
+export const tradeValue = (amount, price) => roundPrice(amount * price);
+
+/**
+ * Whether an order can still fill
+ * @param {Object} order - Order
+ * @returns {boolean} True for open and partly filled orders
+ */
+export const isOrderActive = (order) =>
+  order.status === ORDER_STATUS.OPEN || order.status === ORDER_STATUS.PARTIAL;
+
+/**
+ * Creates an order ready for matching
+ * @param {Object} data - Order data
+ * @param {string} data.id - Order id
+ * @param {string} data.userId - Owner
+ * @param {string} data.side - ORDER_SIDES
+ * @param {string} data.type - ORDER_TYPES
+ * @param {number} data.amount - Whole PSB
+ * @param {number} [data.price] - Limit price (Baraka per PSB)
+ * @param {number} [data.budget] - Most Baraka a market buy may spend
+ * @param {string} data.createdAt - ISO time
+ * @returns {Object} Order
+ */
+export const createOrder = ({ id, userId, side, type, amount, price, budget = null, createdAt }) => ({
+  id,
+  userId,
+  side,
+  type,
+  price: type === ORDER_TYPES.LIMIT ? roundPrice(price) : null,
+  amount,
+  filled: 0,
+  remaining: amount,
+  value: 0, // Baraka traded so far
+  averagePrice: null,
+  budget,
+  status: ORDER_STATUS.OPEN,
+  sequence: null,
+  createdAt,
+  updatedAt: createdAt
+});
+
+// =============================================================================
+// ORDER BOOK
+// =============================================================================
+
+/**
+ * Creates an empty order book
+ * @returns {Object} { bids, asks, sequence }
+ */
+export const createOrderBook = () => ({ bids: [], asks: [], sequence: 0 });
+
+/**
+ * Sort for one side of the book: best price first, then earliest
+ * @param {string} side - ORDER_SIDES of the orders being sorted
+ * @returns {Function} Comparator
+ */
+const byPriority = (side) => (side === ORDER_SIDES.BUY
+  ? (a, b) => b.price - a.price || a.sequence - b.sequence
+  : (a, b) => a.price - b.price || a.sequence - b.sequence);
+
+/**
+ * The book side an order rests on
+ * @param {string} side - ORDER_SIDES
+ * @returns {string} 'bids' or 'asks'
+ */
+const bookSide = (side) => (side === ORDER_SIDES.BUY ? 'bids' : 'asks');
+
+/**
+ * Whether a taker is willing to trade at a maker's price
+ * @param {Object} taker - Incoming order
+ * @param {Object} maker - Resting order
+ * @returns {boolean} True when the prices cross
+ */
+const crosses = (taker, maker) => {
+  if (taker.type === ORDER_TYPES.MARKET) return true;
+  return taker.side === ORDER_SIDES.BUY ? maker.price <= taker.price : maker.price >= taker.price;
+};
+
+/**
+ * Records a fill on an order
+ * @param {Object} order - Order (copied)
+ * @param {number} amount - PSB filled
+ * @param {number} price - Execution price
+ * @param {string} now - ISO time
+ * @returns {Object} Updated order
+ */
+const fill = (order, amount, price, now) => {
+  const filled = order.filled + amount;
+  const value = roundPrice(order.value + tradeValue(amount, price));
+  const remaining = order.amount - filled;
+  return {
+    ...order,
+    filled,
+    remaining,
+    value,
+    averagePrice: roundPrice(value / filled),
+    status: remaining === 0 ? ORDER_STATUS.FILLED : ORDER_STATUS.PARTIAL,
+    updatedAt: now
+  };
+};
+
+/**
+ * Matches an order against the book. Orders never trade with orders of
+ * the same user; those are skipped and stay in the book.
+ * @param {Object} book - Order book
+ * @param {Object} order - Order from createOrder
+ * @param {Object} context - Caller-supplied time and ids
+ * @param {string} context.now - ISO time of the match
+ * @param {Function} context.createTradeId - () => unique trade id
+ * @returns {Object} { book, order, trades, makers } - makers are the resting
+ *   orders that traded, as updated
+ */
+export const matchOrder = (book, order, { now, createTradeId }) => {
+  const sequence = book.sequence + 1;
+  let taker = { ...order, sequence, updatedAt: now };
+  const opposite = book[bookSide(taker.side === ORDER_SIDES.BUY ? ORDER_SIDES.SELL : ORDER_SIDES.BUY)];
+
+  const trades = [];
+  const makers = [];
+  const resting = [];
+  let spent = 0;
+
+  opposite.forEach(maker => {
+    const canTrade = taker.remaining > 0 && crosses(taker, maker) && maker.userId !== taker.userId;
+    let amount = canTrade ? Math.min(taker.remaining, maker.remaining) : 0;
+
+    // A market buy only takes what its budget pays for
+    if (amount > 0 && taker.budget !== null) {
+      amount = Math.min(amount, Math.floor((taker.budget - spent) / maker.price));
+    }
+    if (amount <= 0) {
+      resting.push(maker);
+      return;
+    }
+
+    const buyBefore = taker.side === ORDER_SIDES.BUY ? taker : maker;
+    const updatedMaker = fill(maker, amount, maker.price, now);
+    taker = fill(taker, amount, maker.price, now);
+    spent = roundPrice(spent + tradeValue(amount, maker.price));
+
+    const buy = taker.side === ORDER_SIDES.BUY ? taker : updatedMaker;
+    const sell = taker.side === ORDER_SIDES.SELL ? taker : updatedMaker;
+    trades.push({
+      id: createTradeId(),
+      price: maker.price,
+      amount,
+      value: tradeValue(amount, maker.price),
+      // Buyers pay their order's value rounded up; each trade carries its
+      // share of that, so the seller is paid exactly what the buyer pays
+      charge: Math.ceil(buy.value) - Math.ceil(buyBefore.value),
+      buyOrderId: buy.id,
+      sellOrderId: sell.id,
+      buyerId: buy.userId,
+      sellerId: sell.userId,
+      takerSide: taker.side,
+      executedAt: now
+    });
+    makers.push(updatedMaker);
+    if (updatedMaker.remaining > 0) resting.push(updatedMaker);
+  });
+
+  const ownSide = book[bookSide(taker.side)];
+  let nextOwnSide = ownSide;
+  if (taker.remaining > 0) {
+    if (taker.type === ORDER_TYPES.LIMIT) {
+      nextOwnSide = [...ownSide, taker].sort(byPriority(taker.side));
+    } else {
+      // Market orders never rest
+      taker = { ...taker, status: ORDER_STATUS.CANCELLED };
+    }
+  }
+
+  const nextBook = {
+    ...book,
+    sequence,
+    [bookSide(taker.side)]: nextOwnSide,
+    [bookSide(taker.side === ORDER_SIDES.BUY ? ORDER_SIDES.SELL : ORDER_SIDES.BUY)]: resting
+  };
+  return { book: nextBook, order: taker, trades, makers };
+};
+
+/**
+ * Takes an order out of the book
+ * @param {Object} book - Order book
+ * @param {string} orderId - Order id
+ * @param {string} now - ISO time
+ * @returns {Object} { book, order } - order is null when it is not in the book
+ */
+export const cancelOrder = (book, orderId, now) => {
+  const side = book.bids.some(o => o.id === orderId) ? 'bids'
+    : book.asks.some(o => o.id === orderId) ? 'asks'
+      : null;
+  if (!side) return { book, order: null };
+
+  const order = book[side].find(o => o.id === orderId);
+  return {
+    book: { ...book, [side]: book[side].filter(o => o.id !== orderId) },
+    order: { ...order, status: ORDER_STATUS.CANCELLED, updatedAt: now }
+  };
+};
+
+/**
+ * Aggregates one side of the book into price levels
+ * @param {Array<Object>} orders - Orders in priority order
+ * @param {number} levels - Most levels to return
+ * @returns {Array<Object>} [{ price, amount, orders, cumulative }]
+ */
+const toLevels = (orders, levels) => {
+  const result = [];
+  orders.forEach(order => {
+    const last = result[result.length - 1];
+    if (last && last.price === order.price) {
+      last.amount += order.remaining;
+      last.orders += 1;
+    } else {
+      result.push({ price: order.price, amount: order.remaining, orders: 1 });
+    }
+  });
+
+  let cumulative = 0;
+  return result.slice(0, levels).map(level => {
+    cumulative += level.amount;
+    return { ...level, total: tradeValue(level.amount, level.price), cumulative };
+  });
+};
+
+/**
+ * Market depth: the book aggregated by price
+ * @param {Object} book - Order book
+ * @param {Object} [options] - Options
+ * @param {number} [options.levels] - Most price levels per side
+ * @returns {Object} { bids, asks, bestBid, bestAsk, spread, midPrice }
+ */
+export const getDepth = (book, { levels = 20 } = {}) => {
+  const bids = toLevels(book.bids, levels);
+  const asks = toLevels(book.asks, levels);
+  const bestBid = bids[0]?.price ?? null;
+  const bestAsk = asks[0]?.price ?? null;
+  const both = bestBid !== null && bestAsk !== null;
+  return {
+    bids,
+    asks,
+    bestBid,
+    bestAsk,
+    spread: both ? roundPrice(bestAsk - bestBid) : null,
+    midPrice: both ? roundPrice((bestAsk + bestBid) / 2) : null
+  };
+};
+
+// =============================================================================
+// MARKET STATS
+// =============================================================================
+
+/**
+ * Price and volume over a trailing window
+ * @param {Array<Object>} trades - Executed trades, any order
+ * @param {Object} options - Options
+ * @param {string|number} options.now - End of the window
+ * @param {number} [options.window] - Window length in ms (default 24h)
+ * @param {number} [options.referencePrice] - Price before any trade (defaults
+ *   to the PSB_CONFIG conversion rate)
+ * @returns {Object} { lastPrice, openPrice, high, low, change, volume, value, trades }
+ */
+export const getMarketStats = (trades, { now, window = DAY, referencePrice = roundPrice(1 / PSB_CONFIG.CONVERSION_RATE) }) => {
+  const end = new Date(now).getTime();
+  const sorted = [...trades].sort((a, b) => new Date(a.executedAt) - new Date(b.executedAt));
+  const before = sorted.filter(t => new Date(t.executedAt).getTime() <= end - window);
+  const recent = sorted.filter(t => {
+    const time = new Date(t.executedAt).getTime();
+    return time > end - window && time <= end;
+  });
+
+  const lastPrice = sorted.length ? sorted[sorted.length - 1].price : referencePrice;
+  const openPrice = before.length ? before[before.length - 1].price : recent[0]?.price ?? lastPrice;
+  const prices = recent.map(t => t.price);
+
+  return {
+    lastPrice,
+    openPrice,
+    high: prices.length ? Math.max(...prices) : lastPrice,
+    low: prices.length ? Math.min(...prices) : lastPrice,
+    change: openPrice ? Number((((lastPrice - openPrice) / openPrice) * 100).toFixed(2)) : 0,
+    volume: recent.reduce((sum, t) => sum + t.amount, 0),
+    value: roundPrice(recent.reduce((sum, t) => sum + t.value, 0)),
+    trades: recent.length
+  };
+};
+
+/**
+ * Start of the candle a time falls in (UTC)
+ * @param {number} time - Epoch ms
+ * @param {number} interval - Candle length in ms
+ * @returns {number} Candle start in epoch ms
+ */
+const candleStart = (time, interval) => {
+  const offset = interval === WEEK ? WEEK_OFFSET : 0;
+  return Math.floor((time - offset) / interval) * interval + offset;
+};
+
+/**
+ * Aggregates trades into OHLC candles. Intervals without trades get a flat
+ * candle at the previous close, so the series has no gaps.
+ * @param {Array<Object>} trades - Executed trades, any order
+ * @param {Object} options - Options
+ * @param {string} [options.interval] - CANDLE_INTERVALS key (default '1h')
+ * @param {string|number} options.now - Time of the last candle
+ * @param {number} [options.count] - Candles to return, ending with the current one
+ * @returns {Array<Object>} [{ time, open, high, low, close, volume, value, trades }], oldest first
+ */
+export const aggregateCandles = (trades, { interval = '1h', now, count = 48 }) => {
+  const length = CANDLE_INTERVALS[interval] || CANDLE_INTERVALS['1h'];
+  const last = candleStart(new Date(now).getTime(), length);
+  const first = last - (count - 1) * length;
+
+  const sorted = [...trades]
+    .map(trade => ({ ...trade, time: new Date(trade.executedAt).getTime() }))
+    .filter(trade => trade.time < last + length)
+    .sort((a, b) => a.time - b.time);
+
+  // The close before the window opens the first candle
+  let close = null;
+  const byCandle = new Map();
+  sorted.forEach(trade => {
+    if (trade.time < first) {
+      close = trade.price;
+      return;
+    }
+    const start = candleStart(trade.time, length);
+    byCandle.set(start, [...(byCandle.get(start) || []), trade]);
+  });
+
+  const candles = [];
+  for (let time = first; time <= last; time += length) {
+    const inCandle = byCandle.get(time) || [];
+    if (inCandle.length === 0) {
+      if (close !== null) {
+        candles.push({ time, open: close, high: close, low: close, close, volume: 0, value: 0, trades: 0 });
+      }
+      continue;
+    }
+    const prices = inCandle.map(t => t.price);
+    close = prices[prices.length - 1];
+    candles.push({
+      time,
+      open: prices[0],
+      high: Math.max(...prices),
+      low: Math.min(...prices),
+      close,
+      volume: inCandle.reduce((sum, t) => sum + t.amount, 0),
+      value: roundPrice(inCandle.reduce((sum, t) => sum + t.value, 0)),
+      trades: inCandle.length
+    });
+  }
+  return candles;
+};
+
+/**
+ * Market depth as one price-sorted series for a depth chart: cumulative
+ * bids rising towards the spread from the left, asks from the right
+ * @param {Object} depth - Result of getDepth
+ * @returns {Array<Object>} [{ price, bids, asks }] with null on the other side
+ */
+export const getDepthCurve = (depth) => [
+  ...[...depth.bids].reverse().map(level => ({ price: level.price, bids: level.cumulative, asks: null })),
+  ...depth.asks.map(level => ({ price: level.price, bids: null, asks: level.cumulative }))
+];
+
+// =============================================================================
+// SELLERS AND FEES
+// =============================================================================
+
+/**
+ * A seller's tier from the number of sales they have made
+ * @param {number} sales - Completed sales
+ * @returns {Object} Tier from PSB_SELLER_TIERS
+ */
+export const getSellerTier = (sales = 0) => {
+  const tiers = Object.values(PSB_SELLER_TIERS).sort((a, b) => b.minSales - a.minSales);
+  return tiers.find(tier => sales >= tier.minSales) || PSB_SELLER_TIERS.NEW_SELLER;
+};
+
+/**
+ * Whether a seller has room for another listing
+ * @param {Object} tier - Seller tier
+ * @param {number} openListings - Sell orders already in the book
+ * @returns {boolean} True when another sell order may rest
+ */
+export const canListMore = (tier, openListings) =>
+  typeof tier.maxListings !== 'number' || openListings < tier.maxListings;
+
+/**
+ * The seller's commission on a sale, in whole Baraka. The gross is rounded
+ * up, as the buyer's charge is, before the commission comes off.
+ * @param {number} value - Baraka value of the sale (a trade's `charge`)
+ * @param {Object} tier - Seller tier
+ * @returns {Object} { gross, commission, net }
+ */
+export const calculateSaleProceeds = (value, tier) => {
+  const gross = Math.ceil(value);
+  const commission = Math.round(gross * tier.commission);
+  return { gross, commission, net: gross - commission };
+};
+
+/**
+ * What a PSB withdrawal pays out, per PSB_CONFIG
+ * @param {number} amount - PSB to withdraw
+ * @returns {Object} { amount, fee, net, baraka, minimum, allowed }
+ */
+export const calculateWithdrawal = (amount) => {
+  const fee = Math.ceil(amount * PSB_CONFIG.WITHDRAWAL_FEE);
+  const net = Math.max(0, amount - fee);
+  return {
+    amount,
+    fee,
+    net,
+    baraka: Math.floor(net / PSB_CONFIG.CONVERSION_RATE),
+    minimum: PSB_CONFIG.MINIMUM_WITHDRAWAL,
+    allowed: amount >= PSB_CONFIG.MINIMUM_WITHDRAWAL
+  };
+};
+
+export default {
+  ORDER_SIDES,
+  ORDER_TYPES,
+  ORDER_STATUS,
+  PRICE_DECIMALS,
+  CANDLE_INTERVALS,
+  roundPrice,
+  tradeValue,
+  isOrderActive,
+  createOrder,
+  createOrderBook,
+  matchOrder,
+  cancelOrder,
+  getDepth,
+  getMarketStats,
+  aggregateCandles,
+  getDepthCurve,
+  getSellerTier,
+  canListMore,
+  calculateSaleProceeds,
+  calculateWithdrawal
+};
@@ -0,0 +1,277 @@
+/**
+ * GPS Lab Platform - PSB Staking
+ *
+ * Lockups of PSB for a fixed term at the APY PSB_CONFIG sets for it.
+ * Interest is simple and accrues once a day; it is paid in whole PSB with
+ * the principal when the lockup matures. Ending a lockup early forfeits
+ * the interest accrued so far and keeps the early-unlock penalty from the
+ * principal. A stake keeps the term and APY it was opened with, so later
+ * changes to the economy config do not touch open positions.
+ *
+ * Every function is pure and takes time and ids from the caller.
+ *
+ * @module utils/helpers/psb.staking
+ * @version 1.0.0
+ */
+
+import { PSB_CONFIG } from '../../config/game.config';
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+export const STAKE_STATUS = {
+  ACTIVE: 'active',
+  MATURED: 'matured', // Released with its interest at the end of the term
+  UNLOCKED: 'unlocked' // Ended early, less the penalty
+};
+
+export const INTEREST_DECIMALS = 2;
+
+const DAY = 24 * 60 * 60 * 1000;
+const YEAR_DAYS = 365;
+
+const TERM_LABELS = {
+  SHORT: 'Short',
+  MEDIUM: 'Medium',
+  LONG: 'Long'
+};
+
+// =============================================================================
+// TERMS
+// =============================================================================
+
+/**
+ * The lockup terms on offer, shortest first
+ * @returns {Array<Object>} [{ id, label, days, apy }]
+ */
+export const getLockupTerms = () => Object.keys(TERM_LABELS).map(key => ({
+  id: key.toLowerCase(),
+  label: TERM_LABELS[key],
+  days: PSB_CONFIG.LOCKUP_PERIODS[key],
+  apy: PSB_CONFIG.INTEREST_RATES[key]
+}));
+
+/**
+ * A lockup term by id
+ * @param {string} id - 'short', 'medium' or 'long'
+ * @returns {Object|null} Term, or null when there is no such term
+ */
+export const getLockupTerm = (id) => getLockupTerms().find(term => term.id === id) || null;
+
+// =============================================================================
+// INTEREST
+// =============================================================================
+
+/**
+ * Rounds interest to the precision it is shown at
+ * @param {number} value - PSB
+ * @returns {number} Rounded PSB
+ */
+export const roundInterest = (value) => Number(value.toFixed(INTEREST_DECIMALS));
+
+/**
+ * Interest on an amount after a number of days
+ * @param {number} amount - PSB locked
+ * @param {number} apy - Annual rate, e.g. 0.1
+ * @param {number} days - Whole days
+ * @returns {number} PSB
+ */
+const interestFor = (amount, apy, days) => roundInterest((amount * apy * days) / YEAR_DAYS);
+
+/**
+ * Interest a lockup would earn if held to maturity
+ * @param {number} amount - PSB to lock
+ * @param {Object} term - Term from getLockupTerms, or a stake
+ * @returns {number} PSB
+ */
+export const projectInterest = (amount, term) => interestFor(amount, term.apy, term.days);
+
+/**
+ * Whole days a stake has accrued for, up to its term
+ * @param {Object} stake - Stake
+ * @param {string} now - ISO time
+ * @returns {number} Days
+ */
+export const getDaysAccrued = (stake, now) => {
+  const end = Date.parse(stake.closedAt || now);
+  const days = Math.floor((end - Date.parse(stake.lockedAt)) / DAY);
+  return Math.min(Math.max(days, 0), stake.days);
+};
+
+/**
+ * Interest a stake has accrued so far
+ * @param {Object} stake - Stake
+ * @param {string} now - ISO time
+ * @returns {number} PSB
+ */
+export const getAccruedInterest = (stake, now) => interestFor(stake.amount, stake.apy, getDaysAccrued(stake, now));
+
+/**
+ * Day-by-day accrual of a stake over its whole term
+ * @param {Object} stake - Stake
+ * @param {Object} options - { now }
+ * @returns {Array<Object>} [{ day, date, interest, accrued, earned }]
+ */
+export const getAccrualSchedule = (stake, { now }) => {
+  const accruedDays = getDaysAccrued(stake, now);
+  const start = Date.parse(stake.lockedAt);
+  let previous = 0;
+
+  return Array.from({ length: stake.days }, (_, i) => {
+    const day = i + 1;
+    // Rounding the running total keeps the days summing to the projection
+    const accrued = interestFor(stake.amount, stake.apy, day);
+    const interest = roundInterest(accrued - previous);
+    previous = accrued;
+    return {
+      day,
+      date: new Date(start + day * DAY).toISOString(),
+      interest,
+      accrued,
+      earned: day <= accruedDays
+    };
+  });
+};
+
+// =============================================================================
+// STAKES
+// =============================================================================
+
+/**
+ * Creates a stake on a term
+ * @param {Object} data - { id, userId, amount, term, now }
+ * @returns {Object} Stake
+ */
+export const createStake = ({ id, userId, amount, term, now }) => {
+  const lockup = getLockupTerm(term);
+  return {
+    id,
+    userId,
+    amount,
+    term: lockup.id,
+    days: lockup.days,
+    apy: lockup.apy,
+    lockedAt: now,
+    maturesAt: new Date(Date.parse(now) + lockup.days * DAY).toISOString(),
+    status: STAKE_STATUS.ACTIVE,
+    closedAt: null,
+    interest: 0,
+    penalty: 0,
+    returned: 0
+  };
+};
+
+/**
+ * Whether a stake is open and has reached the end of its term
+ * @param {Object} stake - Stake
+ * @param {string} now - ISO time
+ * @returns {boolean} True when it is due to be released
+ */
+export const isStakeMatured = (stake, now) =>
+  stake.status === STAKE_STATUS.ACTIVE && Date.parse(now) >= Date.parse(stake.maturesAt);
+
+/**
+ * What ending a stake now would return. At maturity that is the
+ * principal and the interest in whole PSB; before it, the principal less
+ * the early-unlock penalty, with the accrued interest forfeited.
+ * @param {Object} stake - Active stake
+ * @param {string} now - ISO time
+ * @returns {Object} { early, principal, interest, forfeited, penalty, returned }
+ */
+export const calculateStakePayout = (stake, now) => {
+  if (Date.parse(now) >= Date.parse(stake.maturesAt)) {
+    const interest = Math.floor(projectInterest(stake.amount, stake));
+    return {
+      early: false,
+      principal: stake.amount,
+      interest,
+      forfeited: 0,
+      penalty: 0,
+      returned: stake.amount + interest
+    };
+  }
+
+  const penalty = Math.ceil(stake.amount * PSB_CONFIG.EARLY_UNLOCK_PENALTY);
+  return {
+    early: true,
+    principal: stake.amount,
+    interest: 0,
+    forfeited: getAccruedInterest(stake, now),
+    penalty,
+    returned: stake.amount - penalty
+  };
+};
+
+/**
+ * Ends a stake. A matured stake closes at its maturity, however late it
+ * is released.
+ * @param {Object} stake - Active stake
+ * @param {string} now - ISO time
+ * @returns {Object} { stake, payout }
+ */
+export const closeStake = (stake, now) => {
+  const payout = calculateStakePayout(stake, now);
+  return {
+    stake: {
+      ...stake,
+      status: payout.early ? STAKE_STATUS.UNLOCKED : STAKE_STATUS.MATURED,
+      closedAt: payout.early ? now : stake.maturesAt,
+      interest: payout.interest,
+      penalty: payout.penalty,
+      returned: payout.returned
+    },
+    payout
+  };
+};
+
+/**
+ * Where a stake stands: days done and left, and its interest so far and
+ * at maturity
+ * @param {Object} stake - Stake
+ * @param {string} now - ISO time
+ * @returns {Object} { daysAccrued, daysLeft, progress, accrued, projected }
+ */
+export const getStakeProgress = (stake, now) => {
+  const daysAccrued = getDaysAccrued(stake, now);
+  return {
+    daysAccrued,
+    daysLeft: stake.status === STAKE_STATUS.ACTIVE ? stake.days - daysAccrued : 0,
+    progress: Math.round((daysAccrued / stake.days) * 100),
+    accrued: getAccruedInterest(stake, now),
+    projected: projectInterest(stake.amount, stake)
+  };
+};
+
+/**
+ * Totals across a user's open stakes
+ * @param {Array<Object>} stakes - Stakes
+ * @param {string} now - ISO time
+ * @returns {Object} { staked, accrued, projected, positions }
+ */
+export const summarizeStakes = (stakes, now) => stakes
+  .filter(stake => stake.status === STAKE_STATUS.ACTIVE)
+  .reduce((summary, stake) => ({
+    staked: summary.staked + stake.amount,
+    accrued: roundInterest(summary.accrued + getAccruedInterest(stake, now)),
+    projected: roundInterest(summary.projected + projectInterest(stake.amount, stake)),
+    positions: summary.positions + 1
+  }), { staked: 0, accrued: 0, projected: 0, positions: 0 });
+
+export default {
+  STAKE_STATUS,
+  INTEREST_DECIMALS,
+  getLockupTerms,
+  getLockupTerm,
+  roundInterest,
+  projectInterest,
+  getDaysAccrued,
+  getAccruedInterest,
+  getAccrualSchedule,
+  createStake,
+  isStakeMatured,
+  calculateStakePayout,
+  closeStake,
+  getStakeProgress,
+  summarizeStakes
+};
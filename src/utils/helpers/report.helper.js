@@ -0,0 +1,314 @@
+/**
+ * GPS Lab Platform - Report Helper Utilities
+ *
+ * Metrics for generated cohort reports, shared by the mock backend and the
+ * university portal. Activity metrics count only what happened inside the
+ * report's date range: checkpoint attempts, Baraka earned and stage
+ * deliverables submitted. The LQ (leadership quotient) score comes from
+ * the character badges a student holds when the report is generated.
+ *
+ * @module utils/helpers/report.helper
+ */
+
+import { calculateLQScore } from './character.calculator';
+import { GPS_101_STRUCTURE } from './gps101.helper';
+import { PROGRESS_STATUS_LABELS } from './cohort.helper';
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+/**
+ * Longest date range a report can cover, in days
+ */
+export const MAX_REPORT_DAYS = 366;
+
+/**
+ * Metrics a report can include
+ */
+export const REPORT_METRICS = [
+  {
+    id: 'checkpointPassRate',
+    label: 'Checkpoint pass rate',
+    exportLabel: 'Checkpoint pass rate (%)',
+    format: 'percent',
+    description: 'Share of checkpoints attempted in the period that were passed'
+  },
+  {
+    id: 'averageAttempts',
+    label: 'Average attempts',
+    exportLabel: 'Average attempts per checkpoint',
+    format: 'decimal',
+    description: 'Attempts per checkpoint attempted in the period'
+  },
+  {
+    id: 'barakaEarned',
+    label: 'Baraka earned',
+    exportLabel: 'Baraka earned',
+    format: 'number',
+    description: 'GPS 101 Baraka earned in the period'
+  },
+  {
+    id: 'deliverablesSubmitted',
+    label: 'Deliverables submitted',
+    exportLabel: 'Deliverables submitted',
+    format: 'number',
+    description: 'Stage deliverables submitted in the period'
+  },
+  {
+    id: 'lqScore',
+    label: 'LQ score',
+    exportLabel: 'LQ score',
+    format: 'score',
+    description: 'Leadership quotient from the character badges held today'
+  }
+];
+
+export const DEFAULT_REPORT_METRICS = REPORT_METRICS.map(metric => metric.id);
+
+/**
+ * LQ levels from calculateLQScore, lowest first
+ */
+export const LQ_LEVELS = ['Beginner', 'Developing', 'Intermediate', 'Advanced', 'Master'];
+
+const DAY = 24 * 60 * 60 * 1000;
+const WEEK = 7 * DAY;
+
+// =============================================================================
+// RANGE
+// =============================================================================
+
+/**
+ * Checks whether a date falls inside a report range (inclusive)
+ * @param {string} date - ISO date
+ * @param {Object} range - { from, to } ISO dates
+ * @returns {boolean} True when inside
+ */
+export const isWithinRange = (date, { from, to }) => {
+  const time = new Date(date).getTime();
+  return time >= new Date(from).getTime() && time <= new Date(to).getTime();
+};
+
+/**
+ * Checks a report date range
+ * @param {Object} range - { from, to } ISO dates
+ * @returns {Object|null} Field errors, or null when the range is valid
+ */
+export const validateReportRange = ({ from, to } = {}) => {
+  const errors = {};
+  const fromTime = Date.parse(from);
+  const toTime = Date.parse(to);
+
+  if (Number.isNaN(fromTime)) errors.from = 'Start date is required';
+  if (Number.isNaN(toTime)) errors.to = 'End date is required';
+  if (!errors.from && !errors.to) {
+    if (toTime < fromTime) {
+      errors.to = 'End date must be on or after the start date';
+    } else if (toTime - fromTime > MAX_REPORT_DAYS * DAY) {
+      errors.to = `Reports can cover at most ${MAX_REPORT_DAYS} days`;
+    }
+  }
+  return Object.keys(errors).length > 0 ? errors : null;
+};
+
+// =============================================================================
+// METRICS
+// =============================================================================
+
+/**
+ * Calculates one student's report metrics
+ * @param {Object} record - GPS 101 record ({ checkpointAttempts, barakaHistory, deliverables })
+ * @param {Array<string>} characterBadges - Character trait IDs the student holds
+ * @param {Object} range - { from, to } ISO dates
+ * @returns {Object} Metrics; rates are null when nothing was attempted
+ */
+export const calculateStudentMetrics = (record = {}, characterBadges = [], range) => {
+  const { checkpointAttempts = [], barakaHistory = [], deliverables = [] } = record;
+
+  const attempts = checkpointAttempts.filter(a => isWithinRange(a.submittedAt, range));
+  const attempted = new Set(attempts.map(a => a.checkpointId));
+  const passed = new Set(attempts.filter(a => a.passed).map(a => a.checkpointId));
+  const lq = calculateLQScore({ characterBadges });
+
+  return {
+    checkpointsAttempted: attempted.size,
+    checkpointsPassed: passed.size,
+    attempts: attempts.length,
+    checkpointPassRate: attempted.size ? Math.round((passed.size / attempted.size) * 1000) / 10 : null,
+    averageAttempts: attempted.size ? Math.round((attempts.length / attempted.size) * 100) / 100 : null,
+    barakaEarned: barakaHistory
+      .filter(entry => isWithinRange(entry.earnedAt, range))
+      .reduce((total, entry) => total + entry.amount, 0),
+    deliverablesSubmitted: deliverables.filter(d => isWithinRange(d.submittedAt, range)).length,
+    lqScore: lq.score,
+    lqLevel: lq.level
+  };
+};
+
+/**
+ * Totals the metrics of every student in a report
+ * @param {Array<Object>} students - Students with `metrics` from calculateStudentMetrics
+ * @param {Object} [deliverablesByStage] - From countDeliverablesByStage
+ * @returns {Object} Cohort-wide metrics, LQ level counts and deliverables per stage
+ */
+export const summarizeReport = (students = [], deliverablesByStage = {}) => {
+  const total = (key) => students.reduce((sum, s) => sum + s.metrics[key], 0);
+  const checkpointsAttempted = total('checkpointsAttempted');
+  const attempts = total('attempts');
+
+  const lqLevels = LQ_LEVELS.reduce((acc, level) => ({ ...acc, [level]: 0 }), {});
+  students.forEach(s => { lqLevels[s.metrics.lqLevel] += 1; });
+
+  return {
+    students: students.length,
+    activeStudents: students.filter(s => s.metrics.attempts > 0).length,
+    checkpointsAttempted,
+    checkpointsPassed: total('checkpointsPassed'),
+    attempts,
+    checkpointPassRate: checkpointsAttempted
+      ? Math.round((total('checkpointsPassed') / checkpointsAttempted) * 1000) / 10
+      : null,
+    averageAttempts: checkpointsAttempted ? Math.round((attempts / checkpointsAttempted) * 100) / 100 : null,
+    barakaEarned: total('barakaEarned'),
+    deliverablesSubmitted: total('deliverablesSubmitted'),
+    deliverablesByStage,
+    lqScore: students.length ? Math.round(total('lqScore') / students.length) : 0,
+    lqLevels
+  };
+};
+
+/**
+ * Counts stage deliverables submitted in the range, per stage
+ * @param {Array<Object>} records - GPS 101 records
+ * @param {Object} range - { from, to } ISO dates
+ * @returns {Object} { [stageNumber]: count } for every stage
+ */
+export const countDeliverablesByStage = (records = [], range) => {
+  const counts = {};
+  for (let stage = 1; stage <= GPS_101_STRUCTURE.TOTAL_STAGES; stage++) counts[stage] = 0;
+  records.forEach(record => {
+    (record.deliverables || [])
+      .filter(d => isWithinRange(d.submittedAt, range))
+      .forEach(d => { counts[d.stageNumber] += 1; });
+  });
+  return counts;
+};
+
+/**
+ * Buckets activity into weeks starting on the range's first day
+ * @param {Array<Object>} records - GPS 101 records
+ * @param {Object} range - { from, to } ISO dates
+ * @returns {Array<Object>} [{ weekStart, attempts, checkpointsPassed, barakaEarned, deliverablesSubmitted }]
+ */
+export const buildReportTimeline = (records = [], range) => {
+  const start = new Date(range.from).getTime();
+  const weeks = Math.max(1, Math.ceil((new Date(range.to).getTime() - start + 1) / WEEK));
+  const timeline = Array.from({ length: weeks }, (_, i) => ({
+    weekStart: new Date(start + i * WEEK).toISOString(),
+    attempts: 0,
+    checkpointsPassed: 0,
+    barakaEarned: 0,
+    deliverablesSubmitted: 0
+  }));
+  const bucket = (date) => timeline[Math.floor((new Date(date).getTime() - start) / WEEK)];
+
+  records.forEach(({ checkpointAttempts = [], barakaHistory = [], deliverables = [] }) => {
+    checkpointAttempts.filter(a => isWithinRange(a.submittedAt, range)).forEach(a => {
+      const week = bucket(a.submittedAt);
+      week.attempts += 1;
+      if (a.passed) week.checkpointsPassed += 1;
+    });
+    barakaHistory.filter(entry => isWithinRange(entry.earnedAt, range)).forEach(entry => {
+      bucket(entry.earnedAt).barakaEarned += entry.amount;
+    });
+    deliverables.filter(d => isWithinRange(d.submittedAt, range)).forEach(d => {
+      bucket(d.submittedAt).deliverablesSubmitted += 1;
+    });
+  });
+
+  return timeline;
+};
+
+// =============================================================================
+// DISPLAY AND EXPORT
+// =============================================================================
+
+/**
+ * Finds a metric definition
+ * @param {string} metricId - Metric ID
+ * @returns {Object|undefined} Metric
+ */
+export const getReportMetric = (metricId) => REPORT_METRICS.find(metric => metric.id === metricId);
+
+/**
+ * Formats a metric value for display
+ * @param {string} metricId - Metric ID
+ * @param {number|null} value - Value
+ * @returns {string} Formatted value
+ */
+export const formatMetricValue = (metricId, value) => {
+  if (value === null || value === undefined) return '—';
+  switch (getReportMetric(metricId)?.format) {
+    case 'percent':
+      return `${value}%`;
+    case 'decimal':
+      return value.toFixed(2);
+    case 'score':
+      return `${value} / 100`;
+    default:
+      return value.toLocaleString();
+  }
+};
+
+/**
+ * Builds the student table columns for the chosen metrics, in the shape
+ * export.helper toCSV and toXLSX take
+ * @param {Array<string>} metricIds - Chosen metrics
+ * @returns {Array<Object>} [{ key, label, value(student) }]
+ */
+export const getReportColumns = (metricIds = DEFAULT_REPORT_METRICS) => [
+  { key: 'displayName', label: 'Student' },
+  { key: 'studentNumber', label: 'Student number' },
+  { key: 'email', label: 'Email' },
+  { key: 'pace', label: 'Pace', value: (s) => PROGRESS_STATUS_LABELS[s.progress.status] },
+  ...REPORT_METRICS
+    .filter(metric => metricIds.includes(metric.id))
+    .flatMap(metric => {
+      const column = { key: metric.id, label: metric.exportLabel, value: (s) => s.metrics[metric.id] };
+      return metric.id === 'lqScore'
+        ? [column, { key: 'lqLevel', label: 'LQ level', value: (s) => s.metrics.lqLevel }]
+        : [column];
+    })
+];
+
+/**
+ * Builds a file name for an exported report
+ * @param {Object} report - Report ({ cohort, range })
+ * @param {string} extension - File extension
+ * @returns {string} e.g. "HGU-GPS101-S1-report-2025-01-06-to-2025-02-17.csv"
+ */
+export const getReportFileName = ({ cohort, range }, extension) => {
+  const name = (cohort.code || cohort.name).replace(/[^a-z0-9]+/gi, '-').replace(/^-|-$/g, '');
+  return `${name}-report-${range.from.slice(0, 10)}-to-${range.to.slice(0, 10)}.${extension}`;
+};
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+export default {
+  MAX_REPORT_DAYS,
+  REPORT_METRICS,
+  DEFAULT_REPORT_METRICS,
+  LQ_LEVELS,
+  isWithinRange,
+  validateReportRange,
+  calculateStudentMetrics,
+  summarizeReport,
+  countDeliverablesByStage,
+  buildReportTimeline,
+  getReportMetric,
+  formatMetricValue,
+  getReportColumns,
+  getReportFileName
+};
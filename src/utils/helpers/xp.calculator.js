@@ -8,70 +8,26 @@
  * @version 1.0.0
  */
 
+import { bindEconomyView } from '../../config/economy.config';
+
 // =============================================================================
 // CONSTANTS
 // =============================================================================
 
 /**
- * Base XP values for different activities
+ * Base XP values for different activities, from the economy config
  */
-export const XP_VALUES = {
-  // Core progression
-  checkpoint: 5,           // Per checkpoint completed
-  mission: 25,             // Per mission completed (5 checkpoints)
-  bite: 5,                 // Per bite (sub-mission) completed
-  stage: 100,              // Per stage completed (5 missions)
-  adventure: 500,          // Per adventure completed
-  
-  // Quality bonuses
-  perfectCheckpoint: 10,   // Perfect score on checkpoint
-  speedBonus: 5,           // Completing ahead of schedule
-  firstTryBonus: 15,       // Completing without retries
-  
-  // Social activities
-  givingHonor: 2,          // Honoring another GPS
-  receivingHonor: 5,       // Being honored
-  partyContribution: 10,   // Contributing to party success
-  helpingNewbie: 20,       // Helping new members
-  
-  // Content creation
-  qualityEvidence: 10,     // High-quality evidence submission
-  resourceContribution: 25,// Contributing learning resources
-  feedbackProvided: 5,     // Providing peer feedback
-  
-  // Daily activities
-  dailyLogin: 5,           // Daily login bonus
-  dailyMission: 10,        // Completing daily mission
-  
-  // Milestones
-  firstMission: 50,        // First mission ever
-  firstStage: 100,         // First stage completion
-  firstAdventure: 500,     // First adventure completion
-  
-  // Streak bonuses
-  streak7Days: 50,         // 7-day streak
-  streak30Days: 200,       // 30-day streak
-  streak90Days: 500        // 90-day streak
-};
+export const XP_VALUES = bindEconomyView({}, ({ xp }) => ({ ...xp.rewards }));
 
 /**
- * Level thresholds and requirements
- * Level progression follows a curved formula
+ * Level thresholds and requirements, from the economy config
+ * Level progression follows a curved formula: baseXP for level 2,
+ * growing by growthRate per level, up to maxLevel
  */
-export const LEVEL_CONFIG = {
-  baseXP: 100,             // XP needed for level 2
-  growthRate: 1.5,         // Exponential growth rate
-  maxLevel: 100,           // Maximum level
-  levelCap: {
-    adventure1: 10,        // Max level in GPS 101
-    adventure2: 20,        // Max level in GPS Prep
-    adventure3: 35,        // Max level in GPS Simulation
-    adventure4: 50,        // Max level in GPS Capstone 1
-    adventure5: 65,        // Max level in GPS Capstone 2
-    adventure6: 80,        // Max level in Venture Acceleration
-    adventure7: 100        // Max level in Venture Capitalization
-  }
-};
+export const LEVEL_CONFIG = bindEconomyView({}, ({ xp }) => ({
+  ...xp.levels,
+  levelCap: { ...xp.levels.levelCap }
+}));
 
 /**
  * Level titles by range
@@ -160,27 +116,29 @@ export const XP_ACHIEVEMENTS = {
 /**
  * Calculates XP required for a specific level
  * @param {number} level - Target level
+ * @param {Object} levels - Level curve (defaults to the active one)
  * @returns {number} XP required
  */
-export const getXPForLevel = (level) => {
+export const getXPForLevel = (level, levels = LEVEL_CONFIG) => {
   if (level <= 1) return 0;
-  if (level > LEVEL_CONFIG.maxLevel) return getXPForLevel(LEVEL_CONFIG.maxLevel);
+  if (level > levels.maxLevel) return getXPForLevel(levels.maxLevel, levels);
   
   // Exponential formula: baseXP * growthRate^(level-2)
   return Math.floor(
-    LEVEL_CONFIG.baseXP * Math.pow(LEVEL_CONFIG.growthRate, level - 2)
+    levels.baseXP * Math.pow(levels.growthRate, level - 2)
   );
 };
 
 /**
  * Calculates cumulative XP required to reach a level
  * @param {number} level - Target level
+ * @param {Object} levels - Level curve (defaults to the active one)
  * @returns {number} Total XP required
  */
-export const getTotalXPForLevel = (level) => {
+export const getTotalXPForLevel = (level, levels = LEVEL_CONFIG) => {
   let total = 0;
   for (let i = 2; i <= level; i++) {
-    total += getXPForLevel(i);
+    total += getXPForLevel(i, levels);
   }
   return total;
 };
@@ -188,16 +146,17 @@ export const getTotalXPForLevel = (level) => {
 /**
  * Calculates level from total XP
  * @param {number} totalXP - Total XP earned
+ * @param {Object} levels - Level curve (defaults to the active one)
  * @returns {Object} Level information
  */
-export const getLevelFromXP = (totalXP) => {
+export const getLevelFromXP = (totalXP, levels = LEVEL_CONFIG) => {
   const xp = Number(totalXP) || 0;
   
   let level = 1;
   let xpAccumulated = 0;
   
-  while (level < LEVEL_CONFIG.maxLevel) {
-    const xpForNext = getXPForLevel(level + 1);
+  while (level < levels.maxLevel) {
+    const xpForNext = getXPForLevel(level + 1, levels);
     if (xpAccumulated + xpForNext > xp) {
       break;
     }
@@ -205,10 +164,9 @@ export const getLevelFromXP = (totalXP) => {
     level++;
   }
   
-  const xpForCurrentLevel = getXPForLevel(level);
-  const xpForNextLevel = getXPForLevel(level + 1);
+  const xpForNextLevel = getXPForLevel(level + 1, levels);
   const xpIntoLevel = xp - xpAccumulated;
-  const progressPercent = level >= LEVEL_CONFIG.maxLevel 
+  const progressPercent = level >= levels.maxLevel 
     ? 100 
     : (xpIntoLevel / xpForNextLevel) * 100;
   
@@ -219,7 +177,7 @@ export const getLevelFromXP = (totalXP) => {
     xpIntoLevel,
     xpNeeded: xpForNextLevel - xpIntoLevel,
     progressPercent: Math.min(100, Math.max(0, progressPercent)),
-    isMaxLevel: level >= LEVEL_CONFIG.maxLevel
+    isMaxLevel: level >= levels.maxLevel
   };
 };
 
@@ -0,0 +1,135 @@
+/**
+ * GPS Lab Platform - Baraka Validator Utilities
+ *
+ * Checks peer transfers, payment requests, split bills and escrow before
+ * they are sent. The wallet forms check as the learner types and the API
+ * checks the same rules.
+ *
+ * @module utils/validators/baraka.validator
+ */
+
+export const LIMITS = {
+  MIN_TRANSFER: 1,
+  MAX_MESSAGE: 200
+};
+
+/**
+ * Checks a whole, positive amount against what can be sent
+ * @param {*} value - Amount entered
+ * @param {Object} funds - { available, remaining }
+ * @returns {string|null} Error message
+ */
+const checkAmount = (value, { available, remaining } = {}) => {
+  const amount = Number(value);
+  if (!Number.isInteger(amount) || amount < LIMITS.MIN_TRANSFER) {
+    return 'Enter a whole number of Baraka';
+  }
+  if (available !== undefined && amount > available) {
+    return `Insufficient Baraka balance (have ${available.toLocaleString()} 🪙)`;
+  }
+  if (remaining !== undefined && amount > remaining) {
+    return `That is over today's send limit (${remaining.toLocaleString()} 🪙 left)`;
+  }
+  return null;
+};
+
+/**
+ * Adds message length errors
+ * @param {Object} errors - Errors so far
+ * @param {string} message - Optional note
+ */
+const checkMessage = (errors, message) => {
+  if (message && message.length > LIMITS.MAX_MESSAGE) {
+    errors.message = `Keep the note under ${LIMITS.MAX_MESSAGE} characters`;
+  }
+};
+
+/**
+ * Validate a Baraka transfer
+ * @param {object} data - { recipientId, amount, message }
+ * @param {object} funds - { available, remaining }
+ * @returns {{ valid: boolean, errors: object }}
+ */
+export const validateBarakaTransfer = (data = {}, funds = {}) => {
+  const errors = {};
+
+  if (!data.recipientId) {
+    errors.recipientId = 'Choose who to send Baraka to';
+  }
+  const amountError = checkAmount(data.amount, funds);
+  if (amountError) errors.amount = amountError;
+  checkMessage(errors, data.message);
+
+  return { valid: Object.keys(errors).length === 0, errors };
+};
+
+/**
+ * Validate a request for Baraka
+ * @param {object} data - { payerId, amount, message }
+ * @returns {{ valid: boolean, errors: object }}
+ */
+export const validateBarakaRequest = (data = {}) => {
+  const errors = {};
+
+  if (!data.payerId) {
+    errors.payerId = 'Choose who to request Baraka from';
+  }
+  const amountError = checkAmount(data.amount);
+  if (amountError) errors.amount = amountError;
+  checkMessage(errors, data.message);
+
+  return { valid: Object.keys(errors).length === 0, errors };
+};
+
+/**
+ * Validate a split store purchase
+ * @param {object} data - { itemId, participantIds }
+ * @param {object} funds - { available } - the buyer pays in full up front
+ * @param {number} total - Cost of the purchase
+ * @returns {{ valid: boolean, errors: object }}
+ */
+export const validateBillSplit = (data = {}, funds = {}, total = 0) => {
+  const errors = {};
+
+  if (!data.itemId) {
+    errors.itemId = 'Choose a store item';
+  }
+  if (!Array.isArray(data.participantIds) || data.participantIds.length === 0) {
+    errors.participantIds = 'Choose at least one party member to split with';
+  }
+  if (funds.available !== undefined && total > funds.available) {
+    errors.itemId = `Insufficient Baraka balance (have ${funds.available.toLocaleString()} 🪙)`;
+  }
+
+  return { valid: Object.keys(errors).length === 0, errors };
+};
+
+/**
+ * Validate Baraka put in escrow for a party task
+ * @param {object} data - { taskId, recipientId, amount, message }
+ * @param {object} funds - { available, remaining }
+ * @returns {{ valid: boolean, errors: object }}
+ */
+export const validateEscrow = (data = {}, funds = {}) => {
+  const errors = {};
+
+  if (!data.taskId) {
+    errors.taskId = 'Choose a party task';
+  }
+  if (!data.recipientId) {
+    errors.recipientId = 'Choose who is paid when the task is done';
+  }
+  const amountError = checkAmount(data.amount, funds);
+  if (amountError) errors.amount = amountError;
+  checkMessage(errors, data.message);
+
+  return { valid: Object.keys(errors).length === 0, errors };
+};
+
+export default {
+  LIMITS,
+  validateBarakaTransfer,
+  validateBarakaRequest,
+  validateBillSplit,
+  validateEscrow
+};
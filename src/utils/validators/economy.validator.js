@@ -0,0 +1,130 @@
+/**
+ * Economy Config Validators
+ * Checks an economy config against ECONOMY_SCHEMA before it is saved or
+ * made active
+ */
+
+import { ECONOMY_SCHEMA, LEVEL_THRESHOLD_COUNT } from '../../config/economy.config';
+import { getCourseRewardTotals } from '../helpers/economy.helper';
+
+const LEVEL_CAPS = ['adventure1', 'adventure2', 'adventure3', 'adventure4', 'adventure5', 'adventure6', 'adventure7'];
+const BEACONS = ['white', 'orange', 'red', 'purple'];
+const LOCKUPS = ['short', 'medium', 'long'];
+
+/**
+ * Validate an economy config
+ *
+ * Errors block saving: missing or unknown settings, values that are not
+ * numbers or fall outside their range, level caps above the maximum level
+ * or out of order, level thresholds that do not rise from level to level,
+ * and beacon thresholds out of order. Warnings do not:
+ * a GPS 101 reward schedule that pays less than the Orange Beacon needs,
+ * and lockups whose interest does not grow with their length.
+ */
+export const validateEconomyConfig = (config) => {
+  const errors = [];
+  const warnings = [];
+
+  const issue = (list, path, message) => list.push({ path, message });
+
+  const checkNode = (schemaNode, value, path) => {
+    if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+      issue(errors, path || null, path ? `${path} must be a group of settings` : 'The config must be an object');
+      return;
+    }
+
+    Object.keys(value).forEach(key => {
+      if (!(key in schemaNode)) {
+        issue(errors, path ? `${path}.${key}` : key, 'Unknown setting');
+      }
+    });
+
+    Object.entries(schemaNode).forEach(([key, node]) => {
+      const childPath = path ? `${path}.${key}` : key;
+      if (node.isField) {
+        checkField(node, value[key], childPath);
+      } else {
+        checkNode(node, value[key], childPath);
+      }
+    });
+  };
+
+  const checkField = (field, value, path) => {
+    if (value === '' || value === null || value === undefined) {
+      issue(errors, path, `${field.label} is required`);
+      return;
+    }
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+      issue(errors, path, `${field.label} must be a number`);
+      return;
+    }
+    if (field.type === 'integer' && !Number.isInteger(value)) {
+      issue(errors, path, `${field.label} must be a whole number`);
+    }
+    if (value < field.min) {
+      issue(errors, path, `${field.label} must be at least ${field.min}`);
+    }
+    if (field.max !== null && value > field.max) {
+      issue(errors, path, `${field.label} must be at most ${field.max}`);
+    }
+  };
+
+  checkNode(ECONOMY_SCHEMA, config, '');
+
+  // Cross-field rules only make sense once every value is a valid number
+  if (errors.length > 0) {
+    return { valid: false, errors, warnings };
+  }
+
+  const { levels } = config.xp;
+  LEVEL_CAPS.forEach((key, i) => {
+    const cap = levels.levelCap[key];
+    if (cap > levels.maxLevel) {
+      issue(errors, `xp.levels.levelCap.${key}`, `Level cap ${cap} is above the maximum level (${levels.maxLevel})`);
+    }
+    if (i > 0 && cap < levels.levelCap[LEVEL_CAPS[i - 1]]) {
+      issue(errors, `xp.levels.levelCap.${key}`, 'Level caps must not decrease from one adventure to the next');
+    }
+  });
+
+  for (let level = 2; level <= LEVEL_THRESHOLD_COUNT; level++) {
+    if (config.xp.levelThresholds[level] <= config.xp.levelThresholds[level - 1]) {
+      issue(errors, `xp.levelThresholds.${level}`, `Level ${level} must need more XP than level ${level - 1}`);
+    }
+  }
+
+  BEACONS.forEach((key, i) => {
+    if (i > 0 && config.baraka.beacons[key] <= config.baraka.beacons[BEACONS[i - 1]]) {
+      issue(errors, `baraka.beacons.${key}`, 'Each beacon must need more Baraka than the one before');
+    }
+  });
+
+  if (config.study.r2rInitial > config.study.r2rMax) {
+    issue(errors, 'study.r2rInitial', 'Initial R2R cannot exceed the maximum R2R');
+  }
+
+  const course = getCourseRewardTotals(config.gps101.rewards);
+  if (course.baraka < config.baraka.beacons.orange) {
+    issue(
+      warnings,
+      'gps101.rewards',
+      `Completing GPS 101 pays ${course.baraka} Baraka, less than the ${config.baraka.beacons.orange} the Orange Beacon needs`
+    );
+  }
+
+  LOCKUPS.forEach((key, i) => {
+    if (i > 0 && config.psb.interestRates[key] < config.psb.interestRates[LOCKUPS[i - 1]]) {
+      issue(warnings, `psb.interestRates.${key}`, 'A longer lockup pays less interest than a shorter one');
+    }
+  });
+
+  return {
+    valid: errors.length === 0,
+    errors,
+    warnings
+  };
+};
+
+export default {
+  validateEconomyConfig
+};
@@ -24,6 +24,45 @@ const LIMITS = {
   MAX_MEDIA_SIZE: 50 * 1024 * 1024,     // 50MB
   ACCEPTED_IMAGE_TYPES: ['image/jpeg', 'image/png', 'image/gif', 'image/webp'],
   ACCEPTED_VIDEO_TYPES: ['video/mp4', 'video/webm', 'video/quicktime'],
+  MAX_CAPTION_LENGTH: 200,
+  MIN_CAPTION_DURATION: 0.5,  // seconds
+  MIN_SHOWCASE_TITLE: 5,
+  MAX_SHOWCASE_TITLE: 100,
+  MIN_VALIDATION_COMMENT: 20,
+  MAX_INDICATORS: 6,
+  MAX_INDICATOR_LABEL: 60,
+  MAX_MEASUREMENT_NOTE: 200,
+  MIN_STORY_TITLE: 5,
+  MAX_STORY_TITLE: 100,
+  MIN_STORY: 50,
+  MAX_STORY_IMAGES: 4,  // per side, as BeforeAfterComparison allows
+};
+
+/**
+ * Decisions a peer or mentor can reach on a submitted showcase
+ */
+export const VALIDATION_DECISIONS = {
+  APPROVE: 'approve',
+  REQUEST_CHANGES: 'request_changes',
+};
+
+/**
+ * What a validator confirms before approving a showcase
+ */
+export const VALIDATION_CHECKLIST = [
+  { id: 'problem_is_real', label: 'The problem is real and described accurately' },
+  { id: 'owner_is_affected', label: 'The owner lives with this problem or speaks for those who do' },
+  { id: 'evidence_supports', label: 'The evidence supports the claims made' },
+  { id: 'ask_is_clear', label: 'The call to action is clear and achievable' },
+];
+
+/**
+ * Kinds of evidence a validator can attach
+ */
+export const EVIDENCE_TYPES = {
+  LINK: 'link',
+  FILE: 'file',
+  NOTE: 'note',
 };
 
 /**
@@ -214,6 +253,252 @@ export const validateMediaFile = (file, type = 'any') => {
   return { valid: true, error: null };
 };
 
+/**
+ * Validate the edits to a showcase video: trim, poster and captions.
+ * Caption errors are keyed by language, then by the cue's position.
+ * @param {object} edit - { trim: { start, end }, poster, captions: { [language]: cues } }
+ * @param {object} [options]
+ * @param {number} [options.duration] - Length of the recording (seconds)
+ * @param {number} [options.minDuration=0] - Shortest the trimmed video may be (seconds)
+ * @returns {{ valid: boolean, errors: object }}
+ */
+export const validateVideoEdit = (edit = {}, { duration = Infinity, minDuration = 0 } = {}) => {
+  const errors = {};
+  const start = edit.trim?.start ?? 0;
+  const end = edit.trim?.end ?? duration;
+
+  if (start < 0 || end > duration + 0.05 || start >= end) {
+    errors.trim = 'The trim must start before it ends and stay within the video';
+  } else if (end - start < minDuration) {
+    errors.trim = `The trimmed video must be at least ${minDuration} seconds long`;
+  }
+
+  if (edit.poster && (edit.poster.time < start || edit.poster.time > end)) {
+    errors.poster = 'Choose a poster frame inside the trimmed video';
+  }
+
+  const captionErrors = {};
+  Object.entries(edit.captions || {}).forEach(([language, cues = []]) => {
+    const cueErrors = {};
+    const sorted = cues
+      .map((cue, index) => ({ ...cue, index }))
+      .sort((a, b) => a.start - b.start);
+
+    sorted.forEach((cue, position) => {
+      let error = null;
+      if (!cue.text?.trim()) {
+        error = 'Caption text is required';
+      } else if (cue.text.trim().length > LIMITS.MAX_CAPTION_LENGTH) {
+        error = `Keep captions under ${LIMITS.MAX_CAPTION_LENGTH} characters`;
+      } else if (!(cue.end - cue.start >= LIMITS.MIN_CAPTION_DURATION)) {
+        error = `Captions must show for at least ${LIMITS.MIN_CAPTION_DURATION} seconds`;
+      } else if (cue.start < start || cue.end > end + 0.05) {
+        error = 'Caption falls outside the trimmed video';
+      } else if (position > 0 && cue.start < sorted[position - 1].end) {
+        error = 'Caption overlaps the one before it';
+      }
+      if (error) cueErrors[cue.index] = error;
+    });
+
+    if (Object.keys(cueErrors).length > 0) captionErrors[language] = cueErrors;
+  });
+  if (Object.keys(captionErrors).length > 0) errors.captions = captionErrors;
+
+  return { valid: Object.keys(errors).length === 0, errors };
+};
+
+/**
+ * Validate the publishing details chosen before a showcase is submitted
+ * @param {object} details - { title, category }
+ * @param {Array<object>} [categories] - Known categories; skipped when empty
+ * @returns {{ valid: boolean, errors: object }}
+ */
+export const validateShowcaseDetails = (details = {}, categories = []) => {
+  const errors = {};
+  const title = details.title?.trim() || '';
+
+  if (title.length < LIMITS.MIN_SHOWCASE_TITLE) {
+    errors.title = `Give your showcase a title of at least ${LIMITS.MIN_SHOWCASE_TITLE} characters`;
+  } else if (title.length > LIMITS.MAX_SHOWCASE_TITLE) {
+    errors.title = `Keep the title under ${LIMITS.MAX_SHOWCASE_TITLE} characters`;
+  }
+
+  if (!details.category) {
+    errors.category = 'Choose a category so solvers can find your showcase';
+  } else if (categories.length > 0 && !categories.some(c => c.id === details.category)) {
+    errors.category = 'Choose one of the listed categories';
+  }
+
+  return { valid: Object.keys(errors).length === 0, errors };
+};
+
+/**
+ * Validate a peer or mentor validation of a showcase. Approving needs every
+ * checklist item confirmed and at least one piece of evidence.
+ * @param {object} data - { decision, comment, checklist, evidence }
+ * @returns {{ valid: boolean, errors: object }}
+ */
+export const validateShowcaseValidation = (data = {}) => {
+  const errors = {};
+  const evidence = data.evidence || [];
+  const checklist = data.checklist || [];
+
+  if (!Object.values(VALIDATION_DECISIONS).includes(data.decision)) {
+    errors.decision = 'Choose whether to approve or request changes';
+  }
+
+  if (!data.comment?.trim()) {
+    errors.comment = 'Explain your decision to the Problem Owner';
+  } else if (data.comment.trim().length < LIMITS.MIN_VALIDATION_COMMENT) {
+    errors.comment = `Must be at least ${LIMITS.MIN_VALIDATION_COMMENT} characters`;
+  }
+
+  if (data.decision === VALIDATION_DECISIONS.APPROVE) {
+    if (VALIDATION_CHECKLIST.some(item => !checklist.includes(item.id))) {
+      errors.checklist = 'Confirm every item before approving';
+    }
+    if (evidence.length === 0) {
+      errors.evidence = 'Add at least one piece of evidence that backs your approval';
+    }
+  }
+
+  const invalid = evidence.find(item => (
+    (item.type === EVIDENCE_TYPES.LINK && !/^https?:\/\/\S+$/i.test(item.url || '')) ||
+    (item.type === EVIDENCE_TYPES.NOTE && !item.text?.trim()) ||
+    (item.type === EVIDENCE_TYPES.FILE && !item.url) ||
+    !Object.values(EVIDENCE_TYPES).includes(item.type)
+  ));
+  if (invalid && !errors.evidence) {
+    errors.evidence = invalid.type === EVIDENCE_TYPES.LINK
+      ? 'Links must start with http:// or https://'
+      : 'Every piece of evidence needs content';
+  }
+
+  return { valid: Object.keys(errors).length === 0, errors };
+};
+
+/**
+ * Impact indicators a project can track. `custom` lets the team name their own.
+ */
+export const IMPACT_METRICS = [
+  { id: 'people_affected', label: 'People reached', unit: 'people', icon: '👥' },
+  { id: 'households_served', label: 'Households served', unit: 'households', icon: '🏠' },
+  { id: 'time_saved', label: 'Time saved per week', unit: 'hours', icon: '⏱️' },
+  { id: 'income_change', label: 'Income change', unit: '%', icon: '💰' },
+  { id: 'loss_rate', label: 'Loss rate', unit: '%', icon: '📉' },
+  { id: 'custom', label: 'Custom indicator', unit: '', icon: '📊' },
+];
+
+/**
+ * Validate an impact indicator before it is added to a project
+ * @param {object} data - { metricType, label, unit, baseline, target }
+ * @param {Array<object>} [existing] - The project's indicators
+ * @returns {{ valid: boolean, errors: object }}
+ */
+export const validateImpactIndicator = (data = {}, existing = []) => {
+  const errors = {};
+  const label = data.label?.trim() || '';
+  const baseline = Number(data.baseline);
+  const target = Number(data.target);
+
+  if (!IMPACT_METRICS.some(m => m.id === data.metricType)) {
+    errors.metricType = 'Choose what you will measure';
+  } else if (data.metricType !== 'custom' && existing.some(i => i.metricType === data.metricType)) {
+    errors.metricType = 'This indicator is already tracked';
+  }
+  if (existing.length >= LIMITS.MAX_INDICATORS) {
+    errors.metricType = `Track at most ${LIMITS.MAX_INDICATORS} indicators`;
+  }
+
+  if (!label) {
+    errors.label = 'Name the indicator';
+  } else if (label.length > LIMITS.MAX_INDICATOR_LABEL) {
+    errors.label = `Keep the name under ${LIMITS.MAX_INDICATOR_LABEL} characters`;
+  } else if (existing.some(i => i.label.toLowerCase() === label.toLowerCase())) {
+    errors.label = 'An indicator with this name already exists';
+  }
+
+  if (!data.unit?.trim()) errors.unit = 'Give a unit, e.g. people or %';
+
+  if (data.baseline === '' || data.baseline == null || !Number.isFinite(baseline)) {
+    errors.baseline = 'Enter the value before the project started';
+  }
+  if (data.target === '' || data.target == null || !Number.isFinite(target)) {
+    errors.target = 'Enter the value you are aiming for';
+  } else if (!errors.baseline && target === baseline) {
+    errors.target = 'The target must differ from the baseline';
+  }
+
+  return { valid: Object.keys(errors).length === 0, errors };
+};
+
+/**
+ * Validate a measurement of an impact indicator
+ * @param {object} data - { metricType, value, date, evidence }
+ * @param {Array<object>} [indicators] - The project's indicators; skipped when empty
+ * @returns {{ valid: boolean, errors: object }}
+ */
+export const validateImpactMeasurement = (data = {}, indicators = []) => {
+  const errors = {};
+  const date = new Date(data.date);
+
+  if (!data.metricType) {
+    errors.metricType = 'Choose an indicator';
+  } else if (indicators.length > 0 && !indicators.some(i => i.metricType === data.metricType)) {
+    errors.metricType = 'Choose one of the project\'s indicators';
+  }
+
+  if (data.value === '' || data.value == null || !Number.isFinite(Number(data.value))) {
+    errors.value = 'Enter the measured value';
+  }
+
+  if (!data.date || Number.isNaN(date.getTime())) {
+    errors.date = 'Enter when it was measured';
+  } else if (date.getTime() - Date.now() > 24 * 60 * 60 * 1000) {
+    // A day's grace, as a calendar date is read as UTC midnight
+    errors.date = 'Measurements cannot be in the future';
+  }
+
+  if ((data.evidence || '').length > LIMITS.MAX_MEASUREMENT_NOTE) {
+    errors.evidence = `Keep the source under ${LIMITS.MAX_MEASUREMENT_NOTE} characters`;
+  }
+
+  return { valid: Object.keys(errors).length === 0, errors };
+};
+
+/**
+ * Validate an impact story. Photos must be uploaded, and a story needs at
+ * least one before and one after photo.
+ * @param {object} data - { title, story, beforeImages, afterImages }
+ * @returns {{ valid: boolean, errors: object }}
+ */
+export const validateImpactStory = (data = {}) => {
+  const errors = {};
+  const title = data.title?.trim() || '';
+  const story = data.story?.trim() || '';
+  const images = [...(data.beforeImages || []), ...(data.afterImages || [])];
+
+  if (title.length < LIMITS.MIN_STORY_TITLE) {
+    errors.title = `Give the story a title of at least ${LIMITS.MIN_STORY_TITLE} characters`;
+  } else if (title.length > LIMITS.MAX_STORY_TITLE) {
+    errors.title = `Keep the title under ${LIMITS.MAX_STORY_TITLE} characters`;
+  }
+
+  if (story.length < LIMITS.MIN_STORY) {
+    errors.story = `Tell the story in at least ${LIMITS.MIN_STORY} characters`;
+  }
+
+  if (!data.beforeImages?.length || !data.afterImages?.length) {
+    errors.images = 'Add at least one before and one after photo';
+  } else if (data.beforeImages.length > LIMITS.MAX_STORY_IMAGES || data.afterImages.length > LIMITS.MAX_STORY_IMAGES) {
+    errors.images = `Add at most ${LIMITS.MAX_STORY_IMAGES} photos on each side`;
+  } else if (images.some(image => !image.mediaId)) {
+    errors.images = 'Wait for every photo to finish uploading';
+  }
+
+  return { valid: Object.keys(errors).length === 0, errors };
+};
+
 /**
  * Validate all GPO stages at once
  * @param {object} stageData - All stage data keyed by stage number
@@ -250,6 +535,16 @@ export default {
   validateStageNeg1,
   validateStage0,
   validateMediaFile,
+  validateVideoEdit,
+  validateShowcaseDetails,
+  validateShowcaseValidation,
+  validateImpactIndicator,
+  validateImpactMeasurement,
+  validateImpactStory,
   validateAllGPOStages,
+  VALIDATION_DECISIONS,
+  VALIDATION_CHECKLIST,
+  EVIDENCE_TYPES,
+  IMPACT_METRICS,
   LIMITS,
 };
\ No newline at end of file
@@ -5,6 +5,7 @@
  */
 
 import { GPS_101_STRUCTURE } from '../helpers/gps101.helper';
+import { TRANSLATED_FIELDS } from '../helpers/curriculum.helper';
 
 /**
  * Validation constants
@@ -348,6 +349,102 @@ export const validateDeliverableByStage = (stageNumber, data) => {
   }
 };
 
+/**
+ * Validate curriculum content before it is published
+ *
+ * Errors block publishing: missing English text, duplicate IDs, missions
+ * without a stage, and invalid rewards. Warnings do not: missing Korean
+ * text, and stages or sub-missions that are still empty.
+ */
+export const validateCurriculum = (content) => {
+  const errors = [];
+  const warnings = [];
+  const seenIds = new Set();
+
+  const issue = (list, id, message) => list.push({ id, message });
+
+  const checkText = (item, id, level, required) => {
+    required.forEach(field => {
+      if (!String(item[field] ?? '').trim()) {
+        issue(errors, id, `${field} is required`);
+      }
+    });
+    TRANSLATED_FIELDS[level].forEach(field => {
+      if (String(item[field] ?? '').trim() && !String(item[`${field}Ko`] ?? '').trim()) {
+        issue(warnings, id, `${field}Ko (Korean) is missing`);
+      }
+    });
+  };
+
+  const checkId = (id) => {
+    if (!id) {
+      issue(errors, null, 'An item has no ID');
+    } else if (seenIds.has(id)) {
+      issue(errors, id, `Duplicate ID ${id}`);
+    }
+    seenIds.add(id);
+  };
+
+  const checkReward = (value, id, field) => {
+    const number = Number(value);
+    if (value === '' || value === null || value === undefined || !Number.isInteger(number) || number < 0) {
+      issue(errors, id, `${field} must be a whole number of 0 or more`);
+    }
+  };
+
+  const stages = content?.stages || [];
+  const missions = content?.missions || [];
+
+  if (stages.length === 0) {
+    issue(errors, null, 'The curriculum has no stages');
+  }
+
+  stages.forEach(stage => {
+    const id = `stage:${stage.stageNumber}`;
+    checkId(id);
+    checkText(stage, id, 'stage', ['stageName', 'question']);
+    if (!missions.some(m => m.stageNumber === stage.stageNumber)) {
+      issue(warnings, id, 'Stage has no mission');
+    }
+  });
+
+  missions.forEach(mission => {
+    const missionId = mission.missionId;
+    checkId(missionId);
+    checkText(mission, missionId, 'mission', ['missionTitle', 'description']);
+
+    if (!stages.some(s => s.stageNumber === mission.stageNumber)) {
+      issue(errors, missionId, `Mission belongs to stage ${mission.stageNumber}, which does not exist`);
+    }
+    if (!mission.subMissions?.length) {
+      issue(warnings, missionId, 'Mission has no sub-missions');
+    }
+
+    (mission.subMissions || []).forEach(subMission => {
+      const subMissionId = subMission.subMissionId;
+      checkId(subMissionId);
+      checkText(subMission, subMissionId, 'subMission', ['title']);
+      if (!subMission.checkpoints?.length) {
+        issue(warnings, subMissionId, 'Sub-mission has no checkpoints');
+      }
+
+      (subMission.checkpoints || []).forEach(checkpoint => {
+        const checkpointId = checkpoint.checkpointId;
+        checkId(checkpointId);
+        checkText(checkpoint, checkpointId, 'checkpoint', ['question', 'type']);
+        checkReward(checkpoint.barakaReward, checkpointId, 'barakaReward');
+        checkReward(checkpoint.xpReward, checkpointId, 'xpReward');
+      });
+    });
+  });
+
+  return {
+    valid: errors.length === 0,
+    errors,
+    warnings
+  };
+};
+
 /**
  * Validate text length
  */
@@ -485,6 +582,7 @@ export default {
   validateLifePurposeStatement,
   validatePurposeDrivenProject,
   validateDeliverableByStage,
+  validateCurriculum,
   validateTextLength,
   validateWordCount,
   validateFileUpload,
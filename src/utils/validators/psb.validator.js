@@ -0,0 +1,108 @@
+/**
+ * GPS Lab Platform - PSB Validator Utilities
+ *
+ * Checks PSB market orders, withdrawals and lockups before they are
+ * sent. The forms check as the learner types and the API checks the same
+ * rules. Order balances are checked by the caller, as only it knows what
+ * is held in open orders.
+ *
+ * @module utils/validators/psb.validator
+ */
+
+import { ORDER_SIDES, ORDER_TYPES, PRICE_DECIMALS } from '../helpers/psb.market';
+import { getLockupTerm } from '../helpers/psb.staking';
+import { PSB_CONFIG } from '../../config/game.config';
+
+export const LIMITS = {
+  MIN_ORDER: 1,
+  MAX_ORDER: 100000,
+  MIN_PRICE: 0.0001,
+  MAX_PRICE: 1000
+};
+
+/**
+ * Validate a PSB order
+ * @param {object} data - { side, type, amount, price }
+ * @returns {{ valid: boolean, errors: object }}
+ */
+export const validatePSBOrder = (data = {}) => {
+  const errors = {};
+  const amount = Number(data.amount);
+  const price = Number(data.price);
+
+  if (!Object.values(ORDER_SIDES).includes(data.side)) {
+    errors.side = 'Choose to buy or sell';
+  }
+  if (!Object.values(ORDER_TYPES).includes(data.type)) {
+    errors.type = 'Choose a market or limit order';
+  }
+
+  if (!Number.isInteger(amount)) {
+    errors.amount = 'Enter a whole number of PSB';
+  } else if (amount < LIMITS.MIN_ORDER) {
+    errors.amount = `Minimum order is ${LIMITS.MIN_ORDER} PSB`;
+  } else if (amount > LIMITS.MAX_ORDER) {
+    errors.amount = `Maximum order is ${LIMITS.MAX_ORDER.toLocaleString()} PSB`;
+  }
+
+  if (data.type === ORDER_TYPES.LIMIT) {
+    if (!Number.isFinite(price) || price < LIMITS.MIN_PRICE || price > LIMITS.MAX_PRICE) {
+      errors.price = 'Please enter a valid price';
+    } else if (Number(price.toFixed(PRICE_DECIMALS)) !== price) {
+      errors.price = `Prices go to ${PRICE_DECIMALS} decimal places`;
+    }
+  }
+
+  return { valid: Object.keys(errors).length === 0, errors };
+};
+
+/**
+ * Validate a PSB withdrawal
+ * @param {number} amount - PSB to withdraw
+ * @param {number} available - PSB available
+ * @returns {{ valid: boolean, errors: object }}
+ */
+export const validatePSBWithdrawal = (amount, available = 0) => {
+  const errors = {};
+  const value = Number(amount);
+
+  if (!Number.isInteger(value) || value <= 0) {
+    errors.amount = 'Enter a whole number of PSB';
+  } else if (value < PSB_CONFIG.MINIMUM_WITHDRAWAL) {
+    errors.amount = `Minimum withdrawal is ${PSB_CONFIG.MINIMUM_WITHDRAWAL.toLocaleString()} PSB`;
+  } else if (value > available) {
+    errors.amount = `Insufficient PSB balance (have ${available.toLocaleString()} 💎)`;
+  }
+
+  return { valid: Object.keys(errors).length === 0, errors };
+};
+
+/**
+ * Validate a PSB lockup
+ * @param {object} data - { amount, term }
+ * @param {number} available - PSB available
+ * @returns {{ valid: boolean, errors: object }}
+ */
+export const validatePSBStake = (data = {}, available = 0) => {
+  const errors = {};
+  const amount = Number(data.amount);
+
+  if (!getLockupTerm(data.term)) {
+    errors.term = 'Choose a lockup period';
+  }
+
+  if (!Number.isInteger(amount) || amount < LIMITS.MIN_ORDER) {
+    errors.amount = 'Enter a whole number of PSB';
+  } else if (amount > available) {
+    errors.amount = `Insufficient PSB balance (have ${available.toLocaleString()} 💎)`;
+  }
+
+  return { valid: Object.keys(errors).length === 0, errors };
+};
+
+export default {
+  LIMITS,
+  validatePSBOrder,
+  validatePSBWithdrawal,
+  validatePSBStake
+};
@@ -0,0 +1,51 @@
+/**
+ * GPS Lab Platform - Upload Validator Utilities
+ *
+ * Checks a file before it is uploaded, by what the upload is for: GPO
+ * recordings and showcase media follow gpo.validator's media rules, bite
+ * deliverables and checkpoint evidence follow file.validator's evidence
+ * rules. The upload service checks before sending anything and the API
+ * checks the same rules when the upload is opened.
+ *
+ * @module utils/validators/upload.validator
+ */
+
+import { validateEvidenceFile } from './file.validator';
+import { validateMediaFile } from './gpo.validator';
+
+/**
+ * What an upload is for; decides which rules apply
+ */
+export const UPLOAD_KINDS = {
+  GPO_VIDEO: 'gpo_video',
+  GPO_MEDIA: 'gpo_media',
+  EVIDENCE: 'evidence'
+};
+
+/**
+ * Validate a file for an upload
+ * @param {File|Object} file - File, or { name, type, size }
+ * @param {string} kind - One of UPLOAD_KINDS
+ * @param {Object} [options] - Extra file.validator options for evidence (e.g. maxSize)
+ * @returns {Promise<{ valid: boolean, errors: string[] }>}
+ */
+export const validateUploadFile = async (file, kind, options = {}) => {
+  switch (kind) {
+    case UPLOAD_KINDS.GPO_VIDEO:
+    case UPLOAD_KINDS.GPO_MEDIA: {
+      const { valid, error } = validateMediaFile(file, kind === UPLOAD_KINDS.GPO_VIDEO ? 'video' : 'any');
+      return { valid, errors: error ? [error] : [] };
+    }
+    case UPLOAD_KINDS.EVIDENCE: {
+      const { isValid, errors } = await validateEvidenceFile(file, { ...options, required: true });
+      return { valid: isValid, errors };
+    }
+    default:
+      return { valid: false, errors: [`Unknown upload kind: ${kind}`] };
+  }
+};
+
+export default {
+  UPLOAD_KINDS,
+  validateUploadFile
+};